@@ -0,0 +1,223 @@
+// Automation Detection Module
+// Looks for a browser driven by a script rather than a person: the WebDriver flag, globals left by
+// Selenium/ChromeDriver and by the Puppeteer, Playwright, PhantomJS and Nightmare bindings, the
+// quirks of headless Chrome, and the side effect of a DevTools Protocol client that enabled the
+// Runtime domain. Registered as the 'automation' detector, a category of its own.
+
+// Properties ChromeDriver, the Selenium IDE and other WebDriver implementations put on the page
+const SELENIUM_GLOBALS = [
+    '_Selenium_IDE_Recorder', '_selenium', 'calledSelenium', '_WEBDRIVER_ELEM_CACHE',
+    '__webdriver_evaluate', '__selenium_evaluate', '__webdriver_script_function', '__webdriver_script_func',
+    '__webdriver_script_fn', '__fxdriver_evaluate', '__driver_unwrapped', '__webdriver_unwrapped',
+    '__driver_evaluate', '__selenium_unwrapped', '__fxdriver_unwrapped', '__lastWatirAlert',
+    '__lastWatirConfirm', '__lastWatirPrompt', '__$webdriverAsyncExecutor', '$chrome_asyncScriptInfo',
+    'domAutomation', 'domAutomationController'
+];
+// ChromeDriver caches elements in a randomly suffixed `cdc_` (or `$cdc_`) property
+const SELENIUM_GLOBAL_PATTERN = /^\$?(cdc|wdc)_[a-zA-Z0-9]+_/;
+const SELENIUM_ATTRIBUTES = ['webdriver', 'selenium', 'driver'];
+
+// Globals the automation frameworks inject to call back into the driver, by framework
+const AUTOMATION_FRAMEWORK_GLOBALS = {
+    Playwright: ['__playwright__binding__', '__pwInitScripts', '__playwright_evaluation_script__'],
+    Puppeteer: ['__puppeteer_evaluation_script__', '__puppeteer_utility_world__'],
+    PhantomJS: ['callPhantom', '_phantom'],
+    Nightmare: ['__nightmare']
+};
+
+/**
+ * @class AutomationDetector
+ * @description Detects WebDriver, headless browsers and automation frameworks.
+ */
+class AutomationDetector {
+    constructor() {
+        this.score = 0;
+        this.indicators = [];
+    }
+
+    #addIndicator(code, evidence, message) {
+        const indicator = createIndicator({ code, source: 'automation', evidence, message });
+        this.indicators.push(indicator);
+        this.score += indicator.weight;
+    }
+
+    /**
+     * @returns {Set<string>} The names of the page's own window and document properties.
+     */
+    #pageGlobals() {
+        const names = new Set(Object.getOwnPropertyNames(window));
+        Object.getOwnPropertyNames(document).forEach(name => names.add(name));
+        return names;
+    }
+
+    /**
+     * @description Checks the WebDriver flag that every W3C WebDriver session sets.
+     */
+    #checkWebDriver() {
+        if (navigator.webdriver === true) {
+            this.#addIndicator(IndicatorCodes.AUTOMATION_WEBDRIVER, { webdriver: true },
+                'navigator.webdriver is set: the browser is controlled by WebDriver');
+        }
+    }
+
+    /**
+     * @description Looks for the globals and attributes Selenium and ChromeDriver leave behind.
+     * @returns {string[]} The artifacts found.
+     */
+    #checkSeleniumArtifacts(globals) {
+        const artifacts = [...globals].filter(name => SELENIUM_GLOBALS.includes(name) || SELENIUM_GLOBAL_PATTERN.test(name));
+        SELENIUM_ATTRIBUTES.forEach(attribute => {
+            if (document.documentElement && document.documentElement.hasAttribute(attribute)) {
+                artifacts.push(`html[${attribute}]`);
+            }
+        });
+        if (artifacts.length > 0) {
+            this.#addIndicator(IndicatorCodes.AUTOMATION_SELENIUM_ARTIFACTS, { artifacts },
+                `Selenium/ChromeDriver artifacts found: ${artifacts.join(', ')}`);
+        }
+        return artifacts;
+    }
+
+    /**
+     * @description Looks for the bindings of Puppeteer, Playwright and older automation frameworks.
+     * @returns {string[]} The frameworks found.
+     */
+    #checkFrameworkBindings(globals) {
+        const found = Object.entries(AUTOMATION_FRAMEWORK_GLOBALS)
+            .map(([framework, names]) => ({ framework, artifacts: names.filter(name => globals.has(name)) }))
+            .filter(entry => entry.artifacts.length > 0);
+        found.forEach(({ framework, artifacts }) => {
+            this.#addIndicator(IndicatorCodes.AUTOMATION_FRAMEWORK_BINDINGS, { framework, artifacts },
+                `${framework} bindings found: ${artifacts.join(', ')}`);
+        });
+        return found.map(entry => entry.framework);
+    }
+
+    /**
+     * @description Checks for what headless Chrome does differently from the desktop browser.
+     * @returns {Promise<object>} The quirks found, by name.
+     */
+    async #checkHeadlessQuirks() {
+        const quirks = {};
+        const userAgent = navigator.userAgent || '';
+
+        if (/HeadlessChrome/.test(userAgent) || /HeadlessChrome/.test(navigator.appVersion || '')) {
+            quirks.headlessUserAgent = true;
+            this.#addIndicator(IndicatorCodes.AUTOMATION_HEADLESS_USER_AGENT, { userAgent },
+                'User agent identifies headless Chrome');
+        }
+
+        // Desktop Chrome exposes chrome.runtime to pages on secure origins; headless Chrome has no
+        // chrome object, or one without the runtime
+        if (/Chrome\//.test(userAgent) && !/Mobile/.test(userAgent) && window.isSecureContext) {
+            const chrome = window.chrome;
+            if (!chrome || !chrome.runtime) {
+                quirks.chromeRuntimeMissing = true;
+                this.#addIndicator(IndicatorCodes.AUTOMATION_CHROME_RUNTIME_MISSING, { chrome: Boolean(chrome), runtime: false },
+                    chrome ? 'Chrome user agent, but window.chrome has no runtime' : 'Chrome user agent, but no window.chrome');
+            }
+        }
+
+        // Headless Chrome denies notifications outright but still reports the permission as promptable
+        if (typeof Notification !== 'undefined' && navigator.permissions && typeof navigator.permissions.query === 'function') {
+            try {
+                const status = await navigator.permissions.query({ name: 'notifications' });
+                if (Notification.permission === 'denied' && status.state === 'prompt') {
+                    quirks.permissionsInconsistent = true;
+                    this.#addIndicator(IndicatorCodes.AUTOMATION_PERMISSIONS_INCONSISTENT,
+                        { notificationPermission: Notification.permission, permissionState: status.state },
+                        'Notifications are denied, yet the Permissions API says the user has not been asked');
+                }
+            } catch (e) {
+                fraudLogger.debug('Permissions query failed:', e.message);
+            }
+        }
+
+        if (window.outerWidth === 0 && window.outerHeight === 0) {
+            quirks.zeroOuterDimensions = true;
+            this.#addIndicator(IndicatorCodes.AUTOMATION_ZERO_OUTER_DIMENSIONS,
+                { outerWidth: 0, outerHeight: 0, innerWidth: window.innerWidth, innerHeight: window.innerHeight },
+                'The browser window has no outer size, as a headless window');
+        }
+
+        return quirks;
+    }
+
+    /**
+     * @description Logs an error whose stack can only be read by a console that serializes its
+     * arguments. The page's console does not, but a DevTools Protocol client that enabled the
+     * Runtime domain (Puppeteer, Playwright, Selenium 4 or an open DevTools) receives every console
+     * call with its arguments serialized, which reads the stack right away.
+     * @returns {boolean|null} Whether the stack was read, or null when console.debug is not the
+     * browser's own and would read it for other reasons.
+     */
+    #checkCdpRuntime() {
+        if (!/\[native code\]/.test(Function.prototype.toString.call(console.debug))) return null;
+
+        let serialized = false;
+        const probe = new Error();
+        Object.defineProperty(probe, 'stack', {
+            configurable: true,
+            get() {
+                serialized = true;
+                return '';
+            }
+        });
+        console.debug(probe);
+
+        if (serialized) {
+            this.#addIndicator(IndicatorCodes.AUTOMATION_CDP_RUNTIME, { probe: 'console.debug' },
+                'A DevTools Protocol client serializes console calls (Runtime domain enabled)');
+        }
+        return serialized;
+    }
+
+    /**
+     * @description Runs every automation check.
+     * @returns {Promise<object>} `{ score, indicators, isAutomated, details }`.
+     */
+    async runChecks() {
+        this.score = 0;
+        this.indicators = [];
+
+        const globals = this.#pageGlobals();
+        this.#checkWebDriver();
+        const seleniumArtifacts = this.#checkSeleniumArtifacts(globals);
+        const frameworks = this.#checkFrameworkBindings(globals);
+        const headlessQuirks = await this.#checkHeadlessQuirks();
+        const cdpRuntime = this.#checkCdpRuntime();
+
+        return {
+            score: this.score,
+            indicators: this.indicators,
+            isAutomated: this.score >= ScoringPolicy.requireActive().verdict('automated', 30),
+            details: {
+                webdriver: navigator.webdriver === true,
+                seleniumArtifacts,
+                frameworks,
+                headlessQuirks: Object.keys(headlessQuirks),
+                cdpRuntime
+            }
+        };
+    }
+}
+
+window.AutomationDetector = AutomationDetector;
+
+if (typeof detectorRegistry !== 'undefined') {
+    const automationDetector = new AutomationDetector();
+    detectorRegistry.register({
+        id: 'automation',
+        category: 'automation',
+        description: 'WebDriver, headless Chrome and automation framework bindings',
+        run: async () => {
+            const result = await automationDetector.runChecks();
+            return {
+                score: result.score,
+                indicators: result.indicators,
+                detected: result.isAutomated,
+                details: result.details
+            };
+        }
+    });
+}
@@ -0,0 +1,816 @@
+// Generated by tools/build-country-locales.js - do not edit by hand.
+// Official languages (ISO 639-1) and currencies (ISO 4217) per ISO 3166-1 country, and the countries
+// each IANA timezone is used in. Sources: countries-list and countries-and-timezones (CLDR / tzdata).
+const COUNTRY_LOCALES = {
+    countries: {
+        AC: { name: 'Ascension Island', languages: ['en'], currencies: ['SHP'] },
+        AD: { name: 'Andorra', languages: ['ca'], currencies: ['EUR'] },
+        AE: { name: 'United Arab Emirates', languages: ['ar'], currencies: ['AED'] },
+        AF: { name: 'Afghanistan', languages: ['ps', 'fa', 'uz', 'tk'], currencies: ['AFN'] },
+        AG: { name: 'Antigua and Barbuda', languages: ['en'], currencies: ['XCD'] },
+        AI: { name: 'Anguilla', languages: ['en'], currencies: ['XCD'] },
+        AL: { name: 'Albania', languages: ['sq'], currencies: ['ALL'] },
+        AM: { name: 'Armenia', languages: ['hy', 'ru'], currencies: ['AMD'] },
+        AO: { name: 'Angola', languages: ['pt'], currencies: ['AOA'] },
+        AQ: { name: 'Antarctica', languages: [], currencies: [] },
+        AR: { name: 'Argentina', languages: ['es', 'gn'], currencies: ['ARS'] },
+        AS: { name: 'American Samoa', languages: ['en', 'sm'], currencies: ['USD'] },
+        AT: { name: 'Austria', languages: ['de'], currencies: ['EUR'] },
+        AU: { name: 'Australia', languages: ['en'], currencies: ['AUD'] },
+        AW: { name: 'Aruba', languages: ['nl', 'pa'], currencies: ['AWG'] },
+        AX: { name: 'Aland', languages: ['sv'], currencies: ['EUR'] },
+        AZ: { name: 'Azerbaijan', languages: ['az'], currencies: ['AZN'] },
+        BA: { name: 'Bosnia and Herzegovina', languages: ['bs', 'hr', 'sr'], currencies: ['BAM'] },
+        BB: { name: 'Barbados', languages: ['en'], currencies: ['BBD'] },
+        BD: { name: 'Bangladesh', languages: ['bn'], currencies: ['BDT'] },
+        BE: { name: 'Belgium', languages: ['nl', 'fr', 'de'], currencies: ['EUR'] },
+        BF: { name: 'Burkina Faso', languages: ['fr', 'ff'], currencies: ['XOF'] },
+        BG: { name: 'Bulgaria', languages: ['bg'], currencies: ['EUR'] },
+        BH: { name: 'Bahrain', languages: ['ar'], currencies: ['BHD'] },
+        BI: { name: 'Burundi', languages: ['fr', 'rn'], currencies: ['BIF'] },
+        BJ: { name: 'Benin', languages: ['fr'], currencies: ['XOF'] },
+        BL: { name: 'Saint Barthelemy', languages: ['fr'], currencies: ['EUR'] },
+        BM: { name: 'Bermuda', languages: ['en'], currencies: ['BMD'] },
+        BN: { name: 'Brunei', languages: ['ms'], currencies: ['BND'] },
+        BO: { name: 'Bolivia', languages: ['es', 'ay', 'qu'], currencies: ['BOB', 'BOV'] },
+        BQ: { name: 'Bonaire', languages: ['nl'], currencies: ['USD'] },
+        BR: { name: 'Brazil', languages: ['pt'], currencies: ['BRL'] },
+        BS: { name: 'Bahamas', languages: ['en'], currencies: ['BSD'] },
+        BT: { name: 'Bhutan', languages: ['dz'], currencies: ['BTN', 'INR'] },
+        BV: { name: 'Bouvet Island', languages: ['no', 'nb', 'nn'], currencies: ['NOK'] },
+        BW: { name: 'Botswana', languages: ['en', 'tn'], currencies: ['BWP'] },
+        BY: { name: 'Belarus', languages: ['be', 'ru'], currencies: ['BYN'] },
+        BZ: { name: 'Belize', languages: ['en', 'es'], currencies: ['BZD'] },
+        CA: { name: 'Canada', languages: ['en', 'fr'], currencies: ['CAD'] },
+        CC: { name: 'Cocos (Keeling) Islands', languages: ['en'], currencies: ['AUD'] },
+        CD: { name: 'Democratic Republic of the Congo', languages: ['fr', 'ln', 'kg', 'sw', 'lu'], currencies: ['CDF'] },
+        CF: { name: 'Central African Republic', languages: ['fr', 'sg'], currencies: ['XAF'] },
+        CG: { name: 'Republic of the Congo', languages: ['fr', 'ln'], currencies: ['XAF'] },
+        CH: { name: 'Switzerland', languages: ['de', 'fr', 'it'], currencies: ['CHF', 'CHE', 'CHW'] },
+        CI: { name: 'Ivory Coast', languages: ['fr'], currencies: ['XOF'] },
+        CK: { name: 'Cook Islands', languages: ['en'], currencies: ['NZD'] },
+        CL: { name: 'Chile', languages: ['es'], currencies: ['CLP', 'CLF'] },
+        CM: { name: 'Cameroon', languages: ['en', 'fr'], currencies: ['XAF'] },
+        CN: { name: 'China', languages: ['zh'], currencies: ['CNY'] },
+        CO: { name: 'Colombia', languages: ['es'], currencies: ['COP'] },
+        CR: { name: 'Costa Rica', languages: ['es'], currencies: ['CRC'] },
+        CU: { name: 'Cuba', languages: ['es'], currencies: ['CUP'] },
+        CV: { name: 'Cabo Verde', languages: ['pt'], currencies: ['CVE'] },
+        CW: { name: 'Curacao', languages: ['nl', 'pa', 'en'], currencies: ['XCG'] },
+        CX: { name: 'Christmas Island', languages: ['en'], currencies: ['AUD'] },
+        CY: { name: 'Cyprus', languages: ['el', 'tr', 'hy'], currencies: ['EUR'] },
+        CZ: { name: 'Czechia', languages: ['cs'], currencies: ['CZK'] },
+        DE: { name: 'Germany', languages: ['de'], currencies: ['EUR'] },
+        DJ: { name: 'Djibouti', languages: ['fr', 'ar'], currencies: ['DJF'] },
+        DK: { name: 'Denmark', languages: ['da'], currencies: ['DKK'] },
+        DM: { name: 'Dominica', languages: ['en'], currencies: ['XCD'] },
+        DO: { name: 'Dominican Republic', languages: ['es'], currencies: ['DOP'] },
+        DZ: { name: 'Algeria', languages: ['ar'], currencies: ['DZD'] },
+        EC: { name: 'Ecuador', languages: ['es'], currencies: ['USD'] },
+        EE: { name: 'Estonia', languages: ['et'], currencies: ['EUR'] },
+        EG: { name: 'Egypt', languages: ['ar'], currencies: ['EGP'] },
+        EH: { name: 'Western Sahara', languages: ['es'], currencies: ['MAD', 'DZD', 'MRU'] },
+        ER: { name: 'Eritrea', languages: ['ti', 'ar', 'en'], currencies: ['ERN'] },
+        ES: { name: 'Spain', languages: ['es', 'eu', 'ca', 'gl', 'oc'], currencies: ['EUR'] },
+        ET: { name: 'Ethiopia', languages: ['am'], currencies: ['ETB'] },
+        FI: { name: 'Finland', languages: ['fi', 'sv'], currencies: ['EUR'] },
+        FJ: { name: 'Fiji', languages: ['en', 'fj', 'hi', 'ur'], currencies: ['FJD'] },
+        FK: { name: 'Falkland Islands', languages: ['en'], currencies: ['FKP'] },
+        FM: { name: 'Micronesia', languages: ['en'], currencies: ['USD'] },
+        FO: { name: 'Faroe Islands', languages: ['fo'], currencies: ['DKK'] },
+        FR: { name: 'France', languages: ['fr'], currencies: ['EUR'] },
+        GA: { name: 'Gabon', languages: ['fr'], currencies: ['XAF'] },
+        GB: { name: 'United Kingdom', languages: ['en'], currencies: ['GBP'] },
+        GD: { name: 'Grenada', languages: ['en'], currencies: ['XCD'] },
+        GE: { name: 'Georgia', languages: ['ka'], currencies: ['GEL'] },
+        GF: { name: 'French Guiana', languages: ['fr'], currencies: ['EUR'] },
+        GG: { name: 'Guernsey', languages: ['en', 'fr'], currencies: ['GBP'] },
+        GH: { name: 'Ghana', languages: ['en'], currencies: ['GHS'] },
+        GI: { name: 'Gibraltar', languages: ['en'], currencies: ['GIP'] },
+        GL: { name: 'Greenland', languages: ['kl'], currencies: ['DKK'] },
+        GM: { name: 'Gambia', languages: ['en'], currencies: ['GMD'] },
+        GN: { name: 'Guinea', languages: ['fr', 'ff'], currencies: ['GNF'] },
+        GP: { name: 'Guadeloupe', languages: ['fr'], currencies: ['EUR'] },
+        GQ: { name: 'Equatorial Guinea', languages: ['es', 'fr'], currencies: ['XAF'] },
+        GR: { name: 'Greece', languages: ['el'], currencies: ['EUR'] },
+        GS: { name: 'South Georgia and the South Sandwich Islands', languages: ['en'], currencies: ['GBP'] },
+        GT: { name: 'Guatemala', languages: ['es'], currencies: ['GTQ'] },
+        GU: { name: 'Guam', languages: ['en', 'ch', 'es'], currencies: ['USD'] },
+        GW: { name: 'Guinea-Bissau', languages: ['pt'], currencies: ['XOF'] },
+        GY: { name: 'Guyana', languages: ['en'], currencies: ['GYD'] },
+        HK: { name: 'Hong Kong', languages: ['zh', 'en'], currencies: ['HKD'] },
+        HM: { name: 'Heard Island and McDonald Islands', languages: ['en'], currencies: ['AUD'] },
+        HN: { name: 'Honduras', languages: ['es'], currencies: ['HNL'] },
+        HR: { name: 'Croatia', languages: ['hr'], currencies: ['EUR'] },
+        HT: { name: 'Haiti', languages: ['fr', 'ht'], currencies: ['HTG', 'USD'] },
+        HU: { name: 'Hungary', languages: ['hu'], currencies: ['HUF'] },
+        ID: { name: 'Indonesia', languages: ['id'], currencies: ['IDR'] },
+        IE: { name: 'Ireland', languages: ['ga', 'en'], currencies: ['EUR'] },
+        IL: { name: 'Israel', languages: ['he', 'ar'], currencies: ['ILS'] },
+        IM: { name: 'Isle of Man', languages: ['en', 'gv'], currencies: ['GBP'] },
+        IN: { name: 'India', languages: ['hi', 'en'], currencies: ['INR'] },
+        IO: { name: 'British Indian Ocean Territory', languages: ['en'], currencies: ['USD'] },
+        IQ: { name: 'Iraq', languages: ['ar', 'ku'], currencies: ['IQD'] },
+        IR: { name: 'Iran', languages: ['fa'], currencies: ['IRR'] },
+        IS: { name: 'Iceland', languages: ['is'], currencies: ['ISK'] },
+        IT: { name: 'Italy', languages: ['it'], currencies: ['EUR'] },
+        JE: { name: 'Jersey', languages: ['en', 'fr'], currencies: ['GBP'] },
+        JM: { name: 'Jamaica', languages: ['en'], currencies: ['JMD'] },
+        JO: { name: 'Jordan', languages: ['ar'], currencies: ['JOD'] },
+        JP: { name: 'Japan', languages: ['ja'], currencies: ['JPY'] },
+        KE: { name: 'Kenya', languages: ['en', 'sw'], currencies: ['KES'] },
+        KG: { name: 'Kyrgyzstan', languages: ['ky', 'ru'], currencies: ['KGS'] },
+        KH: { name: 'Cambodia', languages: ['km'], currencies: ['KHR'] },
+        KI: { name: 'Kiribati', languages: ['en'], currencies: ['AUD'] },
+        KM: { name: 'Comoros', languages: ['ar', 'fr'], currencies: ['KMF'] },
+        KN: { name: 'Saint Kitts and Nevis', languages: ['en'], currencies: ['XCD'] },
+        KP: { name: 'North Korea', languages: ['ko'], currencies: ['KPW'] },
+        KR: { name: 'South Korea', languages: ['ko'], currencies: ['KRW'] },
+        KW: { name: 'Kuwait', languages: ['ar'], currencies: ['KWD'] },
+        KY: { name: 'Cayman Islands', languages: ['en'], currencies: ['KYD'] },
+        KZ: { name: 'Kazakhstan', languages: ['kk', 'ru'], currencies: ['KZT'] },
+        LA: { name: 'Laos', languages: ['lo'], currencies: ['LAK'] },
+        LB: { name: 'Lebanon', languages: ['ar', 'fr'], currencies: ['LBP'] },
+        LC: { name: 'Saint Lucia', languages: ['en'], currencies: ['XCD'] },
+        LI: { name: 'Liechtenstein', languages: ['de'], currencies: ['CHF'] },
+        LK: { name: 'Sri Lanka', languages: ['si', 'ta'], currencies: ['LKR'] },
+        LR: { name: 'Liberia', languages: ['en'], currencies: ['LRD'] },
+        LS: { name: 'Lesotho', languages: ['en', 'st'], currencies: ['LSL', 'ZAR'] },
+        LT: { name: 'Lithuania', languages: ['lt'], currencies: ['EUR'] },
+        LU: { name: 'Luxembourg', languages: ['fr', 'de', 'lb'], currencies: ['EUR'] },
+        LV: { name: 'Latvia', languages: ['lv'], currencies: ['EUR'] },
+        LY: { name: 'Libya', languages: ['ar'], currencies: ['LYD'] },
+        MA: { name: 'Morocco', languages: ['ar'], currencies: ['MAD'] },
+        MC: { name: 'Monaco', languages: ['fr'], currencies: ['EUR'] },
+        MD: { name: 'Moldova', languages: ['ro'], currencies: ['MDL'] },
+        ME: { name: 'Montenegro', languages: ['sr', 'bs', 'sq', 'hr'], currencies: ['EUR'] },
+        MF: { name: 'Saint Martin', languages: ['en', 'fr', 'nl'], currencies: ['EUR'] },
+        MG: { name: 'Madagascar', languages: ['fr', 'mg'], currencies: ['MGA'] },
+        MH: { name: 'Marshall Islands', languages: ['en', 'mh'], currencies: ['USD'] },
+        MK: { name: 'North Macedonia', languages: ['mk'], currencies: ['MKD'] },
+        ML: { name: 'Mali', languages: ['fr'], currencies: ['XOF'] },
+        MM: { name: 'Myanmar', languages: ['my'], currencies: ['MMK'] },
+        MN: { name: 'Mongolia', languages: ['mn'], currencies: ['MNT'] },
+        MO: { name: 'Macao', languages: ['zh', 'pt'], currencies: ['MOP'] },
+        MP: { name: 'Northern Mariana Islands', languages: ['en', 'ch'], currencies: ['USD'] },
+        MQ: { name: 'Martinique', languages: ['fr'], currencies: ['EUR'] },
+        MR: { name: 'Mauritania', languages: ['ar'], currencies: ['MRU'] },
+        MS: { name: 'Montserrat', languages: ['en'], currencies: ['XCD'] },
+        MT: { name: 'Malta', languages: ['mt', 'en'], currencies: ['EUR'] },
+        MU: { name: 'Mauritius', languages: ['en'], currencies: ['MUR'] },
+        MV: { name: 'Maldives', languages: ['dv'], currencies: ['MVR'] },
+        MW: { name: 'Malawi', languages: ['en', 'ny'], currencies: ['MWK'] },
+        MX: { name: 'Mexico', languages: ['es'], currencies: ['MXN'] },
+        MY: { name: 'Malaysia', languages: ['ms'], currencies: ['MYR'] },
+        MZ: { name: 'Mozambique', languages: ['pt'], currencies: ['MZN'] },
+        NA: { name: 'Namibia', languages: ['en', 'af'], currencies: ['NAD', 'ZAR'] },
+        NC: { name: 'New Caledonia', languages: ['fr'], currencies: ['XPF'] },
+        NE: { name: 'Niger', languages: ['fr'], currencies: ['XOF'] },
+        NF: { name: 'Norfolk Island', languages: ['en'], currencies: ['AUD'] },
+        NG: { name: 'Nigeria', languages: ['en'], currencies: ['NGN'] },
+        NI: { name: 'Nicaragua', languages: ['es'], currencies: ['NIO'] },
+        NL: { name: 'Netherlands', languages: ['nl'], currencies: ['EUR'] },
+        NO: { name: 'Norway', languages: ['no', 'nb', 'nn'], currencies: ['NOK'] },
+        NP: { name: 'Nepal', languages: ['ne'], currencies: ['NPR'] },
+        NR: { name: 'Nauru', languages: ['en', 'na'], currencies: ['AUD'] },
+        NU: { name: 'Niue', languages: ['en'], currencies: ['NZD'] },
+        NZ: { name: 'New Zealand', languages: ['en', 'mi'], currencies: ['NZD'] },
+        OM: { name: 'Oman', languages: ['ar'], currencies: ['OMR'] },
+        PA: { name: 'Panama', languages: ['es'], currencies: ['PAB', 'USD'] },
+        PE: { name: 'Peru', languages: ['es'], currencies: ['PEN'] },
+        PF: { name: 'French Polynesia', languages: ['fr'], currencies: ['XPF'] },
+        PG: { name: 'Papua New Guinea', languages: ['en'], currencies: ['PGK'] },
+        PH: { name: 'Philippines', languages: ['en', 'tl'], currencies: ['PHP'] },
+        PK: { name: 'Pakistan', languages: ['en', 'ur'], currencies: ['PKR'] },
+        PL: { name: 'Poland', languages: ['pl'], currencies: ['PLN'] },
+        PM: { name: 'Saint Pierre and Miquelon', languages: ['fr'], currencies: ['EUR'] },
+        PN: { name: 'Pitcairn Islands', languages: ['en'], currencies: ['NZD'] },
+        PR: { name: 'Puerto Rico', languages: ['es', 'en'], currencies: ['USD'] },
+        PS: { name: 'Palestine', languages: ['ar'], currencies: ['ILS'] },
+        PT: { name: 'Portugal', languages: ['pt'], currencies: ['EUR'] },
+        PW: { name: 'Palau', languages: ['en'], currencies: ['USD'] },
+        PY: { name: 'Paraguay', languages: ['es', 'gn'], currencies: ['PYG'] },
+        QA: { name: 'Qatar', languages: ['ar'], currencies: ['QAR'] },
+        RE: { name: 'Reunion', languages: ['fr'], currencies: ['EUR'] },
+        RO: { name: 'Romania', languages: ['ro'], currencies: ['RON'] },
+        RS: { name: 'Serbia', languages: ['sr'], currencies: ['RSD'] },
+        RU: { name: 'Russia', languages: ['ru'], currencies: ['RUB'] },
+        RW: { name: 'Rwanda', languages: ['rw', 'en', 'fr'], currencies: ['RWF'] },
+        SA: { name: 'Saudi Arabia', languages: ['ar'], currencies: ['SAR'] },
+        SB: { name: 'Solomon Islands', languages: ['en'], currencies: ['SBD'] },
+        SC: { name: 'Seychelles', languages: ['fr', 'en'], currencies: ['SCR'] },
+        SD: { name: 'Sudan', languages: ['ar', 'en'], currencies: ['SDG'] },
+        SE: { name: 'Sweden', languages: ['sv'], currencies: ['SEK'] },
+        SG: { name: 'Singapore', languages: ['en', 'ms', 'ta', 'zh'], currencies: ['SGD'] },
+        SH: { name: 'Saint Helena', languages: ['en'], currencies: ['SHP'] },
+        SI: { name: 'Slovenia', languages: ['sl'], currencies: ['EUR'] },
+        SJ: { name: 'Svalbard and Jan Mayen', languages: ['no'], currencies: ['NOK'] },
+        SK: { name: 'Slovakia', languages: ['sk'], currencies: ['EUR'] },
+        SL: { name: 'Sierra Leone', languages: ['en'], currencies: ['SLE'] },
+        SM: { name: 'San Marino', languages: ['it'], currencies: ['EUR'] },
+        SN: { name: 'Senegal', languages: ['fr'], currencies: ['XOF'] },
+        SO: { name: 'Somalia', languages: ['so', 'ar'], currencies: ['SOS'] },
+        SR: { name: 'Suriname', languages: ['nl'], currencies: ['SRD'] },
+        SS: { name: 'South Sudan', languages: ['en'], currencies: ['SSP'] },
+        ST: { name: 'Sao Tome and Principe', languages: ['pt'], currencies: ['STN'] },
+        SV: { name: 'El Salvador', languages: ['es'], currencies: ['USD', 'SVC'] },
+        SX: { name: 'Sint Maarten', languages: ['nl', 'en'], currencies: ['XCG'] },
+        SY: { name: 'Syria', languages: ['ar'], currencies: ['SYP'] },
+        SZ: { name: 'Eswatini', languages: ['en', 'ss'], currencies: ['SZL'] },
+        TA: { name: 'Tristan da Cunha', languages: ['en'], currencies: ['SHP'] },
+        TC: { name: 'Turks and Caicos Islands', languages: ['en'], currencies: ['USD'] },
+        TD: { name: 'Chad', languages: ['fr', 'ar'], currencies: ['XAF'] },
+        TF: { name: 'French Southern Territories', languages: ['fr'], currencies: ['EUR'] },
+        TG: { name: 'Togo', languages: ['fr'], currencies: ['XOF'] },
+        TH: { name: 'Thailand', languages: ['th'], currencies: ['THB'] },
+        TJ: { name: 'Tajikistan', languages: ['tg', 'ru'], currencies: ['TJS'] },
+        TK: { name: 'Tokelau', languages: ['en'], currencies: ['NZD'] },
+        TL: { name: 'East Timor', languages: ['pt'], currencies: ['USD'] },
+        TM: { name: 'Turkmenistan', languages: ['tk', 'ru'], currencies: ['TMT'] },
+        TN: { name: 'Tunisia', languages: ['ar'], currencies: ['TND'] },
+        TO: { name: 'Tonga', languages: ['en', 'to'], currencies: ['TOP'] },
+        TR: { name: 'Türkiye', languages: ['tr'], currencies: ['TRY'] },
+        TT: { name: 'Trinidad and Tobago', languages: ['en'], currencies: ['TTD'] },
+        TV: { name: 'Tuvalu', languages: ['en'], currencies: ['AUD'] },
+        TW: { name: 'Taiwan', languages: ['zh'], currencies: ['TWD'] },
+        TZ: { name: 'Tanzania', languages: ['sw', 'en'], currencies: ['TZS'] },
+        UA: { name: 'Ukraine', languages: ['uk'], currencies: ['UAH'] },
+        UG: { name: 'Uganda', languages: ['en', 'sw'], currencies: ['UGX'] },
+        UM: { name: 'U.S. Minor Outlying Islands', languages: ['en'], currencies: ['USD'] },
+        US: { name: 'United States', languages: ['en'], currencies: ['USD', 'USN'] },
+        UY: { name: 'Uruguay', languages: ['es'], currencies: ['UYU', 'UYI'] },
+        UZ: { name: 'Uzbekistan', languages: ['uz', 'ru'], currencies: ['UZS'] },
+        VA: { name: 'Vatican City', languages: ['it', 'la'], currencies: ['EUR'] },
+        VC: { name: 'Saint Vincent and the Grenadines', languages: ['en'], currencies: ['XCD'] },
+        VE: { name: 'Venezuela', languages: ['es'], currencies: ['VES'] },
+        VG: { name: 'British Virgin Islands', languages: ['en'], currencies: ['USD'] },
+        VI: { name: 'U.S. Virgin Islands', languages: ['en'], currencies: ['USD'] },
+        VN: { name: 'Vietnam', languages: ['vi'], currencies: ['VND'] },
+        VU: { name: 'Vanuatu', languages: ['bi', 'en', 'fr'], currencies: ['VUV'] },
+        WF: { name: 'Wallis and Futuna', languages: ['fr'], currencies: ['XPF'] },
+        WS: { name: 'Samoa', languages: ['sm', 'en'], currencies: ['WST'] },
+        XK: { name: 'Kosovo', languages: ['sq', 'sr'], currencies: ['EUR'] },
+        YE: { name: 'Yemen', languages: ['ar'], currencies: ['YER'] },
+        YT: { name: 'Mayotte', languages: ['fr'], currencies: ['EUR'] },
+        ZA: { name: 'South Africa', languages: ['af', 'en', 'nr', 'st', 'ss', 'tn', 'ts', 've', 'xh', 'zu'], currencies: ['ZAR'] },
+        ZM: { name: 'Zambia', languages: ['en'], currencies: ['ZMW'] },
+        ZW: { name: 'Zimbabwe', languages: ['en', 'sn', 'nd'], currencies: ['ZWG', 'USD', 'ZAR', 'BWP', 'GBP', 'AUD', 'CNY', 'INR', 'JPY'] }
+    },
+    timezones: {
+        'Africa/Abidjan': ['CI', 'BF', 'GH', 'GM', 'GN', 'IS', 'ML', 'MR', 'SH', 'SL', 'SN', 'TG'],
+        'Africa/Accra': ['GH'],
+        'Africa/Addis_Ababa': ['ET'],
+        'Africa/Algiers': ['DZ'],
+        'Africa/Asmara': ['ER'],
+        'Africa/Asmera': ['ER'],
+        'Africa/Bamako': ['ML'],
+        'Africa/Bangui': ['CF'],
+        'Africa/Banjul': ['GM'],
+        'Africa/Bissau': ['GW'],
+        'Africa/Blantyre': ['MW'],
+        'Africa/Brazzaville': ['CG'],
+        'Africa/Bujumbura': ['BI'],
+        'Africa/Cairo': ['EG'],
+        'Africa/Casablanca': ['MA'],
+        'Africa/Ceuta': ['ES'],
+        'Africa/Conakry': ['GN'],
+        'Africa/Dakar': ['SN'],
+        'Africa/Dar_es_Salaam': ['TZ'],
+        'Africa/Djibouti': ['DJ'],
+        'Africa/Douala': ['CM'],
+        'Africa/El_Aaiun': ['EH'],
+        'Africa/Freetown': ['SL'],
+        'Africa/Gaborone': ['BW'],
+        'Africa/Harare': ['ZW'],
+        'Africa/Johannesburg': ['ZA', 'LS', 'SZ'],
+        'Africa/Juba': ['SS'],
+        'Africa/Kampala': ['UG'],
+        'Africa/Khartoum': ['SD'],
+        'Africa/Kigali': ['RW'],
+        'Africa/Kinshasa': ['CD'],
+        'Africa/Lagos': ['NG', 'AO', 'BJ', 'CD', 'CF', 'CG', 'CM', 'GA', 'GQ', 'NE'],
+        'Africa/Libreville': ['GA'],
+        'Africa/Lome': ['TG'],
+        'Africa/Luanda': ['AO'],
+        'Africa/Lubumbashi': ['CD'],
+        'Africa/Lusaka': ['ZM'],
+        'Africa/Malabo': ['GQ'],
+        'Africa/Maputo': ['MZ', 'BI', 'BW', 'CD', 'MW', 'RW', 'ZM', 'ZW'],
+        'Africa/Maseru': ['LS'],
+        'Africa/Mbabane': ['SZ'],
+        'Africa/Mogadishu': ['SO'],
+        'Africa/Monrovia': ['LR'],
+        'Africa/Nairobi': ['KE', 'DJ', 'ER', 'ET', 'KM', 'MG', 'SO', 'TZ', 'UG', 'YT'],
+        'Africa/Ndjamena': ['TD'],
+        'Africa/Niamey': ['NE'],
+        'Africa/Nouakchott': ['MR'],
+        'Africa/Ouagadougou': ['BF'],
+        'Africa/Porto-Novo': ['BJ'],
+        'Africa/Sao_Tome': ['ST'],
+        'Africa/Timbuktu': ['ML'],
+        'Africa/Tripoli': ['LY'],
+        'Africa/Tunis': ['TN'],
+        'Africa/Windhoek': ['NA'],
+        'America/Adak': ['US'],
+        'America/Anchorage': ['US'],
+        'America/Anguilla': ['AI'],
+        'America/Antigua': ['AG'],
+        'America/Araguaina': ['BR'],
+        'America/Argentina/Buenos_Aires': ['AR'],
+        'America/Argentina/Catamarca': ['AR'],
+        'America/Argentina/ComodRivadavia': ['AR'],
+        'America/Argentina/Cordoba': ['AR'],
+        'America/Argentina/Jujuy': ['AR'],
+        'America/Argentina/La_Rioja': ['AR'],
+        'America/Argentina/Mendoza': ['AR'],
+        'America/Argentina/Rio_Gallegos': ['AR'],
+        'America/Argentina/Salta': ['AR'],
+        'America/Argentina/San_Juan': ['AR'],
+        'America/Argentina/San_Luis': ['AR'],
+        'America/Argentina/Tucuman': ['AR'],
+        'America/Argentina/Ushuaia': ['AR'],
+        'America/Aruba': ['AW'],
+        'America/Asuncion': ['PY'],
+        'America/Atikokan': ['CA'],
+        'America/Atka': ['US'],
+        'America/Bahia': ['BR'],
+        'America/Bahia_Banderas': ['MX'],
+        'America/Barbados': ['BB'],
+        'America/Belem': ['BR'],
+        'America/Belize': ['BZ'],
+        'America/Blanc-Sablon': ['CA'],
+        'America/Boa_Vista': ['BR'],
+        'America/Bogota': ['CO'],
+        'America/Boise': ['US'],
+        'America/Buenos_Aires': ['AR'],
+        'America/Cambridge_Bay': ['CA'],
+        'America/Campo_Grande': ['BR'],
+        'America/Cancun': ['MX'],
+        'America/Caracas': ['VE'],
+        'America/Catamarca': ['AR'],
+        'America/Cayenne': ['GF'],
+        'America/Cayman': ['KY'],
+        'America/Chicago': ['US'],
+        'America/Chihuahua': ['MX'],
+        'America/Ciudad_Juarez': ['MX'],
+        'America/Coral_Harbour': ['CA'],
+        'America/Cordoba': ['AR'],
+        'America/Costa_Rica': ['CR'],
+        'America/Coyhaique': ['CL'],
+        'America/Creston': ['CA'],
+        'America/Cuiaba': ['BR'],
+        'America/Curacao': ['CW'],
+        'America/Danmarkshavn': ['GL'],
+        'America/Dawson': ['CA'],
+        'America/Dawson_Creek': ['CA'],
+        'America/Denver': ['US'],
+        'America/Detroit': ['US'],
+        'America/Dominica': ['DM'],
+        'America/Edmonton': ['CA'],
+        'America/Eirunepe': ['BR'],
+        'America/El_Salvador': ['SV'],
+        'America/Ensenada': ['MX'],
+        'America/Fort_Nelson': ['CA'],
+        'America/Fort_Wayne': ['US'],
+        'America/Fortaleza': ['BR'],
+        'America/Glace_Bay': ['CA'],
+        'America/Godthab': ['GL'],
+        'America/Goose_Bay': ['CA'],
+        'America/Grand_Turk': ['TC'],
+        'America/Grenada': ['GD'],
+        'America/Guadeloupe': ['GP'],
+        'America/Guatemala': ['GT'],
+        'America/Guayaquil': ['EC'],
+        'America/Guyana': ['GY'],
+        'America/Halifax': ['CA'],
+        'America/Havana': ['CU'],
+        'America/Hermosillo': ['MX'],
+        'America/Indiana/Indianapolis': ['US'],
+        'America/Indiana/Knox': ['US'],
+        'America/Indiana/Marengo': ['US'],
+        'America/Indiana/Petersburg': ['US'],
+        'America/Indiana/Tell_City': ['US'],
+        'America/Indiana/Vevay': ['US'],
+        'America/Indiana/Vincennes': ['US'],
+        'America/Indiana/Winamac': ['US'],
+        'America/Indianapolis': ['US'],
+        'America/Inuvik': ['CA'],
+        'America/Iqaluit': ['CA'],
+        'America/Jamaica': ['JM'],
+        'America/Jujuy': ['AR'],
+        'America/Juneau': ['US'],
+        'America/Kentucky/Louisville': ['US'],
+        'America/Kentucky/Monticello': ['US'],
+        'America/Knox_IN': ['US'],
+        'America/Kralendijk': ['BQ'],
+        'America/La_Paz': ['BO'],
+        'America/Lima': ['PE'],
+        'America/Los_Angeles': ['US'],
+        'America/Louisville': ['US'],
+        'America/Lower_Princes': ['SX'],
+        'America/Maceio': ['BR'],
+        'America/Managua': ['NI'],
+        'America/Manaus': ['BR'],
+        'America/Marigot': ['MF'],
+        'America/Martinique': ['MQ'],
+        'America/Matamoros': ['MX'],
+        'America/Mazatlan': ['MX'],
+        'America/Mendoza': ['AR'],
+        'America/Menominee': ['US'],
+        'America/Merida': ['MX'],
+        'America/Metlakatla': ['US'],
+        'America/Mexico_City': ['MX'],
+        'America/Miquelon': ['PM'],
+        'America/Moncton': ['CA'],
+        'America/Monterrey': ['MX'],
+        'America/Montevideo': ['UY'],
+        'America/Montreal': ['CA'],
+        'America/Montserrat': ['MS'],
+        'America/Nassau': ['BS'],
+        'America/New_York': ['US'],
+        'America/Nipigon': ['CA'],
+        'America/Nome': ['US'],
+        'America/Noronha': ['BR'],
+        'America/North_Dakota/Beulah': ['US'],
+        'America/North_Dakota/Center': ['US'],
+        'America/North_Dakota/New_Salem': ['US'],
+        'America/Nuuk': ['GL'],
+        'America/Ojinaga': ['MX'],
+        'America/Panama': ['PA', 'CA', 'KY'],
+        'America/Pangnirtung': ['CA'],
+        'America/Paramaribo': ['SR'],
+        'America/Phoenix': ['US', 'CA'],
+        'America/Port-au-Prince': ['HT'],
+        'America/Port_of_Spain': ['TT'],
+        'America/Porto_Acre': ['BR'],
+        'America/Porto_Velho': ['BR'],
+        'America/Puerto_Rico': ['PR', 'AG', 'CA', 'AI', 'AW', 'BL', 'BQ', 'CW', 'DM', 'GD', 'GP', 'KN', 'LC', 'MF', 'MS', 'SX', 'TT', 'VC', 'VG', 'VI'],
+        'America/Punta_Arenas': ['CL'],
+        'America/Rainy_River': ['CA'],
+        'America/Rankin_Inlet': ['CA'],
+        'America/Recife': ['BR'],
+        'America/Regina': ['CA'],
+        'America/Resolute': ['CA'],
+        'America/Rio_Branco': ['BR'],
+        'America/Rosario': ['AR'],
+        'America/Santa_Isabel': ['MX'],
+        'America/Santarem': ['BR'],
+        'America/Santiago': ['CL'],
+        'America/Santo_Domingo': ['DO'],
+        'America/Sao_Paulo': ['BR'],
+        'America/Scoresbysund': ['GL'],
+        'America/Shiprock': ['US'],
+        'America/Sitka': ['US'],
+        'America/St_Barthelemy': ['BL'],
+        'America/St_Johns': ['CA'],
+        'America/St_Kitts': ['KN'],
+        'America/St_Lucia': ['LC'],
+        'America/St_Thomas': ['VI'],
+        'America/St_Vincent': ['VC'],
+        'America/Swift_Current': ['CA'],
+        'America/Tegucigalpa': ['HN'],
+        'America/Thule': ['GL'],
+        'America/Thunder_Bay': ['CA'],
+        'America/Tijuana': ['MX'],
+        'America/Toronto': ['CA', 'BS'],
+        'America/Tortola': ['VG'],
+        'America/Vancouver': ['CA'],
+        'America/Virgin': ['VI'],
+        'America/Whitehorse': ['CA'],
+        'America/Winnipeg': ['CA'],
+        'America/Yakutat': ['US'],
+        'America/Yellowknife': ['CA'],
+        'Antarctica/Casey': ['AQ'],
+        'Antarctica/Davis': ['AQ'],
+        'Antarctica/DumontDUrville': ['AQ'],
+        'Antarctica/Macquarie': ['AU'],
+        'Antarctica/Mawson': ['AQ'],
+        'Antarctica/McMurdo': ['AQ'],
+        'Antarctica/Palmer': ['AQ'],
+        'Antarctica/Rothera': ['AQ'],
+        'Antarctica/South_Pole': ['AQ'],
+        'Antarctica/Syowa': ['AQ'],
+        'Antarctica/Troll': ['AQ'],
+        'Antarctica/Vostok': ['AQ'],
+        'Arctic/Longyearbyen': ['SJ'],
+        'Asia/Aden': ['YE'],
+        'Asia/Almaty': ['KZ'],
+        'Asia/Amman': ['JO'],
+        'Asia/Anadyr': ['RU'],
+        'Asia/Aqtau': ['KZ'],
+        'Asia/Aqtobe': ['KZ'],
+        'Asia/Ashgabat': ['TM'],
+        'Asia/Ashkhabad': ['TM'],
+        'Asia/Atyrau': ['KZ'],
+        'Asia/Baghdad': ['IQ'],
+        'Asia/Bahrain': ['BH'],
+        'Asia/Baku': ['AZ'],
+        'Asia/Bangkok': ['TH', 'CX', 'KH', 'LA', 'VN'],
+        'Asia/Barnaul': ['RU'],
+        'Asia/Beirut': ['LB'],
+        'Asia/Bishkek': ['KG'],
+        'Asia/Brunei': ['BN'],
+        'Asia/Calcutta': ['IN'],
+        'Asia/Chita': ['RU'],
+        'Asia/Choibalsan': ['MN'],
+        'Asia/Chongqing': ['CN'],
+        'Asia/Chungking': ['CN'],
+        'Asia/Colombo': ['LK'],
+        'Asia/Dacca': ['BD'],
+        'Asia/Damascus': ['SY'],
+        'Asia/Dhaka': ['BD'],
+        'Asia/Dili': ['TL'],
+        'Asia/Dubai': ['AE', 'OM', 'RE', 'SC', 'TF'],
+        'Asia/Dushanbe': ['TJ'],
+        'Asia/Famagusta': ['CY'],
+        'Asia/Gaza': ['PS'],
+        'Asia/Harbin': ['CN'],
+        'Asia/Hebron': ['PS'],
+        'Asia/Ho_Chi_Minh': ['VN'],
+        'Asia/Hong_Kong': ['HK'],
+        'Asia/Hovd': ['MN'],
+        'Asia/Irkutsk': ['RU'],
+        'Asia/Istanbul': ['TR'],
+        'Asia/Jakarta': ['ID'],
+        'Asia/Jayapura': ['ID'],
+        'Asia/Jerusalem': ['IL'],
+        'Asia/Kabul': ['AF'],
+        'Asia/Kamchatka': ['RU'],
+        'Asia/Karachi': ['PK'],
+        'Asia/Kashgar': ['CN'],
+        'Asia/Kathmandu': ['NP'],
+        'Asia/Katmandu': ['NP'],
+        'Asia/Khandyga': ['RU'],
+        'Asia/Kolkata': ['IN'],
+        'Asia/Krasnoyarsk': ['RU'],
+        'Asia/Kuala_Lumpur': ['MY'],
+        'Asia/Kuching': ['MY', 'BN'],
+        'Asia/Kuwait': ['KW'],
+        'Asia/Macao': ['MO'],
+        'Asia/Macau': ['MO'],
+        'Asia/Magadan': ['RU'],
+        'Asia/Makassar': ['ID'],
+        'Asia/Manila': ['PH'],
+        'Asia/Muscat': ['OM'],
+        'Asia/Nicosia': ['CY'],
+        'Asia/Novokuznetsk': ['RU'],
+        'Asia/Novosibirsk': ['RU'],
+        'Asia/Omsk': ['RU'],
+        'Asia/Oral': ['KZ'],
+        'Asia/Phnom_Penh': ['KH'],
+        'Asia/Pontianak': ['ID'],
+        'Asia/Pyongyang': ['KP'],
+        'Asia/Qatar': ['QA', 'BH'],
+        'Asia/Qostanay': ['KZ'],
+        'Asia/Qyzylorda': ['KZ'],
+        'Asia/Rangoon': ['MM'],
+        'Asia/Riyadh': ['SA', 'AQ', 'KW', 'YE'],
+        'Asia/Saigon': ['VN'],
+        'Asia/Sakhalin': ['RU'],
+        'Asia/Samarkand': ['UZ'],
+        'Asia/Seoul': ['KR'],
+        'Asia/Shanghai': ['CN'],
+        'Asia/Singapore': ['SG', 'AQ', 'MY'],
+        'Asia/Srednekolymsk': ['RU'],
+        'Asia/Taipei': ['TW'],
+        'Asia/Tashkent': ['UZ'],
+        'Asia/Tbilisi': ['GE'],
+        'Asia/Tehran': ['IR'],
+        'Asia/Tel_Aviv': ['IL'],
+        'Asia/Thimbu': ['BT'],
+        'Asia/Thimphu': ['BT'],
+        'Asia/Tokyo': ['JP', 'AU'],
+        'Asia/Tomsk': ['RU'],
+        'Asia/Ujung_Pandang': ['ID'],
+        'Asia/Ulaanbaatar': ['MN'],
+        'Asia/Ulan_Bator': ['MN'],
+        'Asia/Urumqi': ['CN'],
+        'Asia/Ust-Nera': ['RU'],
+        'Asia/Vientiane': ['LA'],
+        'Asia/Vladivostok': ['RU'],
+        'Asia/Yakutsk': ['RU'],
+        'Asia/Yangon': ['MM', 'CC'],
+        'Asia/Yekaterinburg': ['RU'],
+        'Asia/Yerevan': ['AM'],
+        'Atlantic/Azores': ['PT'],
+        'Atlantic/Bermuda': ['BM'],
+        'Atlantic/Canary': ['ES'],
+        'Atlantic/Cape_Verde': ['CV'],
+        'Atlantic/Faeroe': ['FO'],
+        'Atlantic/Faroe': ['FO'],
+        'Atlantic/Jan_Mayen': ['SJ'],
+        'Atlantic/Madeira': ['PT'],
+        'Atlantic/Reykjavik': ['IS'],
+        'Atlantic/South_Georgia': ['GS'],
+        'Atlantic/St_Helena': ['SH'],
+        'Atlantic/Stanley': ['FK'],
+        'Australia/ACT': ['AU'],
+        'Australia/Adelaide': ['AU'],
+        'Australia/Brisbane': ['AU'],
+        'Australia/Broken_Hill': ['AU'],
+        'Australia/Canberra': ['AU'],
+        'Australia/Currie': ['AU'],
+        'Australia/Darwin': ['AU'],
+        'Australia/Eucla': ['AU'],
+        'Australia/Hobart': ['AU'],
+        'Australia/LHI': ['AU'],
+        'Australia/Lindeman': ['AU'],
+        'Australia/Lord_Howe': ['AU'],
+        'Australia/Melbourne': ['AU'],
+        'Australia/NSW': ['AU'],
+        'Australia/North': ['AU'],
+        'Australia/Perth': ['AU'],
+        'Australia/Queensland': ['AU'],
+        'Australia/South': ['AU'],
+        'Australia/Sydney': ['AU'],
+        'Australia/Tasmania': ['AU'],
+        'Australia/Victoria': ['AU'],
+        'Australia/West': ['AU'],
+        'Australia/Yancowinna': ['AU'],
+        'Brazil/Acre': ['BR'],
+        'Brazil/DeNoronha': ['BR'],
+        'Brazil/East': ['BR'],
+        'Brazil/West': ['BR'],
+        'CET': ['BE', 'LU', 'NL'],
+        'CST6CDT': ['US'],
+        'Canada/Atlantic': ['CA'],
+        'Canada/Central': ['CA'],
+        'Canada/Eastern': ['CA'],
+        'Canada/Mountain': ['CA'],
+        'Canada/Newfoundland': ['CA'],
+        'Canada/Pacific': ['CA'],
+        'Canada/Saskatchewan': ['CA'],
+        'Canada/Yukon': ['CA'],
+        'Chile/Continental': ['CL'],
+        'Chile/EasterIsland': ['CL'],
+        'Cuba': ['CU'],
+        'EET': ['GR'],
+        'EST': ['PA', 'CA', 'KY'],
+        'EST5EDT': ['US'],
+        'Egypt': ['EG'],
+        'Eire': ['IE'],
+        'Europe/Amsterdam': ['NL'],
+        'Europe/Andorra': ['AD'],
+        'Europe/Astrakhan': ['RU'],
+        'Europe/Athens': ['GR'],
+        'Europe/Belfast': ['GB'],
+        'Europe/Belgrade': ['RS', 'BA', 'HR', 'ME', 'MK', 'SI'],
+        'Europe/Berlin': ['DE', 'DK', 'NO', 'SE', 'SJ'],
+        'Europe/Bratislava': ['SK'],
+        'Europe/Brussels': ['BE', 'LU', 'NL'],
+        'Europe/Bucharest': ['RO'],
+        'Europe/Budapest': ['HU'],
+        'Europe/Busingen': ['DE'],
+        'Europe/Chisinau': ['MD'],
+        'Europe/Copenhagen': ['DK'],
+        'Europe/Dublin': ['IE'],
+        'Europe/Gibraltar': ['GI'],
+        'Europe/Guernsey': ['GG'],
+        'Europe/Helsinki': ['FI', 'AX'],
+        'Europe/Isle_of_Man': ['IM'],
+        'Europe/Istanbul': ['TR'],
+        'Europe/Jersey': ['JE'],
+        'Europe/Kaliningrad': ['RU'],
+        'Europe/Kiev': ['UA'],
+        'Europe/Kirov': ['RU'],
+        'Europe/Kyiv': ['UA'],
+        'Europe/Lisbon': ['PT'],
+        'Europe/Ljubljana': ['SI'],
+        'Europe/London': ['GB', 'GG', 'IM', 'JE'],
+        'Europe/Luxembourg': ['LU'],
+        'Europe/Madrid': ['ES'],
+        'Europe/Malta': ['MT'],
+        'Europe/Mariehamn': ['AX'],
+        'Europe/Minsk': ['BY'],
+        'Europe/Monaco': ['MC'],
+        'Europe/Moscow': ['RU'],
+        'Europe/Nicosia': ['CY'],
+        'Europe/Oslo': ['NO'],
+        'Europe/Paris': ['FR', 'MC'],
+        'Europe/Podgorica': ['ME'],
+        'Europe/Prague': ['CZ', 'SK'],
+        'Europe/Riga': ['LV'],
+        'Europe/Rome': ['IT', 'SM', 'VA'],
+        'Europe/Samara': ['RU'],
+        'Europe/San_Marino': ['SM'],
+        'Europe/Sarajevo': ['BA'],
+        'Europe/Saratov': ['RU'],
+        'Europe/Simferopol': ['RU', 'UA'],
+        'Europe/Skopje': ['MK'],
+        'Europe/Sofia': ['BG'],
+        'Europe/Stockholm': ['SE'],
+        'Europe/Tallinn': ['EE'],
+        'Europe/Tirane': ['AL'],
+        'Europe/Tiraspol': ['MD'],
+        'Europe/Ulyanovsk': ['RU'],
+        'Europe/Uzhgorod': ['UA'],
+        'Europe/Vaduz': ['LI'],
+        'Europe/Vatican': ['VA'],
+        'Europe/Vienna': ['AT'],
+        'Europe/Vilnius': ['LT'],
+        'Europe/Volgograd': ['RU'],
+        'Europe/Warsaw': ['PL'],
+        'Europe/Zagreb': ['HR'],
+        'Europe/Zaporozhye': ['UA'],
+        'Europe/Zurich': ['CH', 'DE', 'LI'],
+        'GB': ['GB'],
+        'GB-Eire': ['GB'],
+        'HST': ['US'],
+        'Hongkong': ['HK'],
+        'Iceland': ['IS'],
+        'Indian/Antananarivo': ['MG'],
+        'Indian/Chagos': ['IO'],
+        'Indian/Christmas': ['CX'],
+        'Indian/Cocos': ['CC'],
+        'Indian/Comoro': ['KM'],
+        'Indian/Kerguelen': ['TF', 'HM'],
+        'Indian/Mahe': ['SC'],
+        'Indian/Maldives': ['MV', 'TF'],
+        'Indian/Mauritius': ['MU'],
+        'Indian/Mayotte': ['YT'],
+        'Indian/Reunion': ['RE'],
+        'Iran': ['IR'],
+        'Israel': ['IL'],
+        'Jamaica': ['JM'],
+        'Japan': ['JP'],
+        'Kwajalein': ['MH'],
+        'Libya': ['LY'],
+        'MET': ['BE', 'LU', 'NL'],
+        'MST': ['US', 'CA'],
+        'MST7MDT': ['US'],
+        'Mexico/BajaNorte': ['MX'],
+        'Mexico/BajaSur': ['MX'],
+        'Mexico/General': ['MX'],
+        'NZ': ['NZ'],
+        'NZ-CHAT': ['NZ'],
+        'Navajo': ['US'],
+        'PRC': ['CN'],
+        'PST8PDT': ['US'],
+        'Pacific/Apia': ['WS'],
+        'Pacific/Auckland': ['NZ', 'AQ'],
+        'Pacific/Bougainville': ['PG'],
+        'Pacific/Chatham': ['NZ'],
+        'Pacific/Chuuk': ['FM'],
+        'Pacific/Easter': ['CL'],
+        'Pacific/Efate': ['VU'],
+        'Pacific/Enderbury': ['KI'],
+        'Pacific/Fakaofo': ['TK'],
+        'Pacific/Fiji': ['FJ'],
+        'Pacific/Funafuti': ['TV'],
+        'Pacific/Galapagos': ['EC'],
+        'Pacific/Gambier': ['PF'],
+        'Pacific/Guadalcanal': ['SB', 'FM'],
+        'Pacific/Guam': ['GU', 'MP'],
+        'Pacific/Honolulu': ['US'],
+        'Pacific/Johnston': ['UM'],
+        'Pacific/Kanton': ['KI'],
+        'Pacific/Kiritimati': ['KI'],
+        'Pacific/Kosrae': ['FM'],
+        'Pacific/Kwajalein': ['MH'],
+        'Pacific/Majuro': ['MH'],
+        'Pacific/Marquesas': ['PF'],
+        'Pacific/Midway': ['UM'],
+        'Pacific/Nauru': ['NR'],
+        'Pacific/Niue': ['NU'],
+        'Pacific/Norfolk': ['NF'],
+        'Pacific/Noumea': ['NC'],
+        'Pacific/Pago_Pago': ['AS', 'UM'],
+        'Pacific/Palau': ['PW'],
+        'Pacific/Pitcairn': ['PN'],
+        'Pacific/Pohnpei': ['FM'],
+        'Pacific/Ponape': ['FM'],
+        'Pacific/Port_Moresby': ['PG', 'AQ', 'FM'],
+        'Pacific/Rarotonga': ['CK'],
+        'Pacific/Saipan': ['MP'],
+        'Pacific/Samoa': ['AS'],
+        'Pacific/Tahiti': ['PF'],
+        'Pacific/Tarawa': ['KI', 'MH', 'TV', 'UM', 'WF'],
+        'Pacific/Tongatapu': ['TO'],
+        'Pacific/Truk': ['FM'],
+        'Pacific/Wake': ['UM'],
+        'Pacific/Wallis': ['WF'],
+        'Pacific/Yap': ['FM'],
+        'Poland': ['PL'],
+        'Portugal': ['PT'],
+        'ROC': ['TW'],
+        'ROK': ['KR'],
+        'Singapore': ['SG'],
+        'Turkey': ['TR'],
+        'US/Alaska': ['US'],
+        'US/Aleutian': ['US'],
+        'US/Arizona': ['US'],
+        'US/Central': ['US'],
+        'US/East-Indiana': ['US'],
+        'US/Eastern': ['US'],
+        'US/Hawaii': ['US'],
+        'US/Indiana-Starke': ['US'],
+        'US/Michigan': ['US'],
+        'US/Mountain': ['US'],
+        'US/Pacific': ['US'],
+        'US/Samoa': ['AS'],
+        'W-SU': ['RU'],
+        'WET': ['PT']
+    }
+};
+
+window.COUNTRY_LOCALES = COUNTRY_LOCALES;
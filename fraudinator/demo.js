@@ -0,0 +1,402 @@
+/**
+ * @class UIController
+ * @description Demo page built on the Fraudinator SDK. Handles all interactions with the DOM,
+ * including event listeners and result display.
+ */
+class UIController {
+    constructor() {
+        // Watch the session from page load so DevTools opened before the click still counts
+        this.session = Fraudinator.monitor({
+            consoleProbe: true,
+            blockShortcuts: true,
+            locationHistory: true,
+            onDevToolsDetected: () => {
+                this.updateDevToolsStatus(true);
+                this.updateLocationSpoofingStatus(true);
+            }
+        });
+        this.detector = this.session.detector;
+        this.map = null;
+        this.marker = null;
+
+        this.behaviorAnalyzer = new Fraudinator.LocationBehaviorAnalyzer();
+        this.behaviorAnalyzer.setFraudDetector(this.detector);
+
+        this.initializeEventListeners();
+    }
+
+    /**
+     * @description Binds the click event to the main button.
+     */
+    initializeEventListeners() {
+        const locateBtn = document.getElementById('locateBtn');
+        locateBtn.addEventListener('click', () => this.handleLocateClick());
+    }
+
+    /**
+     * @description Orchestrates the analysis and display process when the button is clicked.
+     */
+    async handleLocateClick() {
+        const btn = document.getElementById('locateBtn');
+        const loading = document.getElementById('loading');
+        const results = document.getElementById('results');
+
+        try {
+            btn.disabled = true;
+            loading.style.display = 'block';
+            results.style.display = 'none';
+
+            if (this.behaviorAnalyzer) {
+                this.behaviorAnalyzer.startLocationMonitoring();
+            }
+
+            const analysis = await this.session.analyze();
+            
+            // Perform RDP/VM analysis
+            await this.performRDPAnalysis();
+            
+            // Display results
+            this.displayResults(analysis);
+            this.displayMap(analysis.location.latitude, analysis.location.longitude);
+
+        } catch (error) {
+            this.displayError(error.message);
+        } finally {
+            loading.style.display = 'none';
+            btn.disabled = false;
+        }
+    }
+
+    /**
+     * @description Renders the analysis results on the page.
+     * @param {object} analysis - The comprehensive analysis report from FraudDetector.
+     */
+    displayResults(analysis) {
+        const results = document.getElementById('results');
+        const locationResult = document.getElementById('locationResult');
+        const environmentResult = document.getElementById('environmentResult');
+        const locationStatus = document.getElementById('locationStatus');
+        const environmentStatus = document.getElementById('environmentStatus');
+        const detectionDetails = document.getElementById('detectionDetails');
+
+        const locationAuth = analysis.location.isSpoofed ? '🚨 SPOOFED' : '✅ AUTHENTIC';
+        locationStatus.innerHTML = `
+            <strong>${locationAuth}</strong><br>
+            Coordinates: ${analysis.location.coordinates}<br>
+            Place: ${analysis.location.countryName ? `${analysis.location.region ? `${analysis.location.region}, ` : ''}${analysis.location.countryName}` : 'Unknown'}<br>
+            Accuracy: ${analysis.location.accuracy}<br>
+            Response Time: ${analysis.location.responseTime}
+        `;
+
+        const envType = analysis.environment.isRemoteDesktop ? 'REMOTE DESKTOP DETECTED' : 'LOCAL DESKTOP';
+        const devToolsStatus = analysis.devTools.detected ? '⚠️ DEV TOOLS DETECTED' : '✅ No Dev Tools';
+        const consoleStatus = analysis.console.overridden ? '⚠️ CONSOLE OVERRIDE' : '✅ Console Normal';
+        const maskingStatus = analysis.deviceMasking.detected ? '⚠️ DEVICE MASKING' : '✅ Device Masking Normal';
+        
+        environmentStatus.innerHTML = `
+            <strong>${envType}</strong><br>
+            Platform: ${analysis.environment.platform}<br>
+            Resolution: ${analysis.environment.resolution}<br>
+            Timezone: ${analysis.environment.timezone}<br><br>
+            <strong>Advanced Detection:</strong><br>
+            ${devToolsStatus}<br>
+            ${consoleStatus}<br>
+            ${maskingStatus}
+        `;
+
+        // Apply appropriate styling based on overall risk
+        const hasHighRisk = analysis.devTools.detected || 
+                           analysis.console.overridden || analysis.location.isSpoofed || 
+                           analysis.deviceMasking.detected;
+        locationResult.className = `result-card ${this.getStatusClass(analysis.location.isSpoofed)}`;
+        environmentResult.className = `result-card ${this.getStatusClass(hasHighRisk)}`;
+
+        const categoryLabels = {
+            location: 'Location Spoofing',
+            remoteDesktop: 'Remote Desktop',
+            devTools: 'Developer Tools',
+            console: 'Console Override',
+            deviceMasking: 'Device Masking',
+            extensions: 'Extensions',
+            vpn: 'VPN / Proxy'
+        };
+        const detectionBreakdown = `
+            <strong>Detection Breakdown (${analysis.overall.aggregation}):</strong><br>
+            ${Object.entries(analysis.overall.contributions).map(([category, entry]) =>
+                `• ${categoryLabels[category] || category}: ${entry.score} points ` +
+                `(${entry.normalized}/100 × ${entry.weight}${entry.critical ? ', critical' : ''}) ` +
+                `→ +${entry.contribution}<br>`
+            ).join('')}
+        `;
+
+        detectionDetails.innerHTML = `
+            <strong>Risk Level: ${analysis.overall.riskLevel}</strong> (Total Score: ${analysis.overall.suspicionScore})<br><br>
+            ${detectionBreakdown}<br>
+            ${analysis.overall.allIndicators.length > 0 ?
+                '<strong>All Detected Indicators:</strong><ul>' +
+                analysis.overall.allIndicators.map(indicator => this.formatIndicator(indicator)).join('') +
+                '</ul>' :
+                'No suspicious indicators detected.'
+            }
+            ${this.formatTimeline(analysis.timeline)}
+        `;
+
+        results.style.display = 'block';
+    }
+
+    /**
+     * @description Renders the session timeline, with times relative to the geolocation request.
+     * @param {object[]} timeline - The report's timeline events.
+     * @returns {string} The HTML for the timeline.
+     */
+    formatTimeline(timeline) {
+        const requests = timeline.filter(event => event.type === Fraudinator.TimelineEventTypes.GEOLOCATION_REQUESTED);
+        if (requests.length === 0) return '';
+
+        const reference = requests[requests.length - 1].at;
+        const items = timeline.map(event => {
+            const seconds = (event.at - reference) / 1000;
+            const details = Object.entries(event.evidence)
+                .filter(([, value]) => typeof value !== 'object')
+                .map(([key, value]) => `${key}: ${value}`)
+                .join(', ');
+            return `<li><code>${seconds >= 0 ? '+' : ''}${seconds.toFixed(2)} s</code> ` +
+                `${event.type} <span style="color: #6c757d;">(${event.source}${details ? `; ${details}` : ''})</span>` +
+                `${event.indicators.length > 0 ? ` → ${event.indicators.join(', ')}` : ''}</li>`;
+        });
+        return `<br><strong>Session Timeline</strong> (relative to the geolocation request):<ul>${items.join('')}</ul>`;
+    }
+    
+    /**
+     * @description Renders a structured indicator as a list item.
+     * @param {object} indicator - The structured indicator.
+     * @returns {string} The HTML list item.
+     */
+    formatIndicator(indicator) {
+        const severityColors = {
+            critical: '#dc3545',
+            high: '#e8590c',
+            medium: '#d39e00',
+            low: '#6c757d',
+            info: '#6c757d'
+        };
+        const color = severityColors[indicator.severity] || severityColors.info;
+        return `<li title="${indicator.code} (${indicator.source})">` +
+            `<span style="color: ${color}; font-weight: 600;">[${indicator.severity.toUpperCase()}]</span> ` +
+            `${indicator.message} <span style="color: #6c757d;">(+${indicator.weight})</span></li>`;
+    }
+
+    /**
+     * @description Displays an error message in the UI.
+     * @param {string} message - The error message to display.
+     */
+    displayError(message) {
+        const results = document.getElementById('results');
+        const locationStatus = document.getElementById('locationStatus');
+        const environmentStatus = document.getElementById('environmentStatus');
+        const detectionDetails = document.getElementById('detectionDetails');
+
+        locationStatus.innerHTML = '<strong>🚨 SPOOFED</strong><br>Error occurred - Location cannot be verified';
+        environmentStatus.innerHTML = '<strong>ERROR</strong><br>Could not analyze environment';
+        detectionDetails.innerHTML = `<strong>Error:</strong> ${message}`;
+
+        document.getElementById('locationResult').className = 'result-card status-fake';
+        document.getElementById('environmentResult').className = 'result-card status-fake';
+
+        results.style.display = 'block';
+    }
+
+    /**
+     * @description Returns a CSS class name based on the spoofing status.
+     * @param {boolean} isSpoofed - Whether an item is considered spoofed or high-risk.
+     * @returns {string} The CSS class name ('status-fake' or 'status-authentic').
+     */
+    getStatusClass(isSpoofed) {
+        return isSpoofed ? 'status-fake' : 'status-authentic';
+    }
+
+    /**
+     * @description Updates the DevTools status in the UI in real-time.
+     * @param {boolean} devToolsDetected - The current detection status of DevTools.
+     */
+    updateDevToolsStatus(devToolsDetected) {
+        const results = document.getElementById('results');
+        if (results.style.display !== 'block') return;
+
+        const environmentStatus = document.getElementById('environmentStatus');
+        const environmentResult = document.getElementById('environmentResult');
+
+        if (environmentStatus && environmentResult) {
+            const devToolsStatus = devToolsDetected ?
+                '⚠️ DEV TOOLS DETECTED (LIVE)' :
+                '✅ Dev Tools Closed (but was detected)';
+            const updatedHTML = environmentStatus.innerHTML.replace(
+                /(⚠️ DEV TOOLS DETECTED.*?|✅ No Dev Tools|✅ Dev Tools Closed.*?)<br>/,
+                `${devToolsStatus}<br>`
+            );
+            environmentStatus.innerHTML = updatedHTML;
+            if (this.detector && this.detector.devToolsDetected) {
+                environmentResult.className = 'result-card status-fake';
+            }
+        }
+    }
+
+    /**
+     * @description Updates the location spoofing status if DevTools is detected.
+     * @param {boolean} locationSpoofed - Whether the location is considered spoofed.
+     */
+    updateLocationSpoofingStatus(locationSpoofed) {
+        const results = document.getElementById('results');
+        if (results.style.display !== 'block') return;
+
+        const locationStatus = document.getElementById('locationStatus');
+        const locationResult = document.getElementById('locationResult');
+
+        if (locationStatus && locationResult && locationSpoofed && this.detector && this.detector.locationSpoofedByDevTools) {
+             const updatedHTML = locationStatus.innerHTML.replace(
+                /<strong>(✅ AUTHENTIC|🚨 SPOOFED)<\/strong>/,
+                '<strong>🚨 SPOOFED - DEVTOOLS DETECTED</strong><br><span style="color: #dc3545; font-weight: bold;">Location cannot be trusted - DevTools allows geolocation manipulation</span>'
+            );
+            locationStatus.innerHTML = updatedHTML;
+            locationResult.className = 'result-card status-fake';
+        }
+    }
+
+    async performRDPAnalysis() {
+        // Run RDP/VM detection checks
+        const screenResult = this.detector.checkScreenProperties();
+        const webglResult = this.detector.checkWebGLRenderer();
+        const navigatorResult = this.detector.checkNavigatorProperties();
+        const cadenceResult = await this.detector.checkFrameCadence();
+        const overallRdp = this.detector.getOverallRDPSuspicion(screenResult, webglResult, navigatorResult, cadenceResult);
+
+        // Update RDP result cards
+        this.updateRDPResultCard('screenResult', 'screenStatus', 'screenDetails', screenResult);
+        this.updateRDPResultCard('webglResult', 'webglStatus', 'webglDetails', webglResult);
+        this.updateRDPResultCard('navigatorResult', 'navigatorStatus', 'navigatorDetails', navigatorResult);
+        this.updateRDPResultCard('cadenceResult', 'cadenceStatus', 'cadenceDetails', cadenceResult);
+        
+        // Update overall RDP result
+        this.updateOverallRDPResult(overallRdp);
+    }
+
+    updateRDPResultCard(resultId, statusId, detailsId, result) {
+        const resultCard = document.getElementById(resultId);
+        const statusEl = document.getElementById(statusId);
+        const detailsEl = document.getElementById(detailsId);
+
+        if (statusEl) {
+            statusEl.textContent = result.suspicion;
+        }
+
+        if (detailsEl) {
+            if (typeof result.data === 'string') {
+                detailsEl.textContent = result.data;
+            } else {
+                detailsEl.textContent = JSON.stringify(result.data, null, 2);
+            }
+        }
+
+        if (resultCard) {
+            // Apply styling based on suspicion level
+            resultCard.classList.remove('status-authentic', 'status-suspicious', 'status-fake');
+            if (result.suspicion === 'Normal') {
+                resultCard.classList.add('status-authentic');
+            } else if (result.suspicion === 'Suspicious') {
+                resultCard.classList.add('status-suspicious');
+            } else {
+                resultCard.classList.add('status-fake');
+            }
+        }
+    }
+
+    updateOverallRDPResult(overallRdp) {
+        const overallRdpResult = document.getElementById('overallRdpResult');
+        const overallRdpStatus = document.getElementById('overallRdpStatus');
+        const overallRdpFactors = document.getElementById('overallRdpFactors');
+
+        if (overallRdpStatus) {
+            overallRdpStatus.textContent = `Suspicion Level: ${overallRdp.level}`;
+        }
+
+        if (overallRdpFactors) {
+            overallRdpFactors.innerHTML = '';
+            overallRdp.factors.forEach(factor => {
+                const li = document.createElement('li');
+                li.textContent = factor;
+                overallRdpFactors.appendChild(li);
+            });
+        }
+
+        if (overallRdpResult) {
+            overallRdpResult.classList.remove('status-authentic', 'status-suspicious', 'status-fake');
+            if (overallRdp.type === 'authentic') {
+                overallRdpResult.classList.add('status-authentic');
+            } else if (overallRdp.type === 'suspicious') {
+                overallRdpResult.classList.add('status-suspicious');
+            } else if (overallRdp.type === 'fake') {
+                overallRdpResult.classList.add('status-fake');
+            }
+        }
+    }
+
+    /**
+     * @description Displays the detected location on a Leaflet map.
+     * @param {number} latitude - The latitude of the location.
+     * @param {number} longitude - The longitude of the location.
+     */
+    displayMap(latitude, longitude) {
+        const mapContainer = document.getElementById('mapContainer');
+        mapContainer.style.display = 'block';
+
+        if (!this.map) {
+            this.map = L.map('map').setView([latitude, longitude], 13);
+            L.tileLayer('https://tile.openstreetmap.org/{z}/{x}/{y}.png', {
+                maxZoom: 19,
+                attribution: '&copy; <a href="http://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+            }).addTo(this.map);
+        } else {
+            this.map.setView([latitude, longitude], 13);
+        }
+
+        if (this.marker) {
+            this.map.removeLayer(this.marker);
+        }
+
+        this.marker = L.marker([latitude, longitude])
+            .addTo(this.map)
+            .bindPopup(`<b>📍 Detected Location</b><br>Latitude: ${latitude.toFixed(6)}<br>Longitude: ${longitude.toFixed(6)}`)
+            .openPopup();
+            
+        if (this.detector.locationData && this.detector.locationData.accuracy) {
+             const accuracyCircle = L.circle([latitude, longitude], {
+                color: 'blue',
+                fillColor: '#add8e6',
+                fillOpacity: 0.2,
+                radius: this.detector.locationData.accuracy
+            }).addTo(this.map);
+            
+            const group = new L.featureGroup([this.marker, accuracyCircle]);
+            this.map.fitBounds(group.getBounds().pad(0.1));
+        }
+    }
+}
+
+// Initialize the application once the scoring policy and the signature catalog are loaded
+document.addEventListener('DOMContentLoaded', async () => {
+    // The demo page shows the detector modules' console output
+    Fraudinator.setLogLevel('debug');
+
+    try {
+        Fraudinator.ScoringPolicy.setActive(await Fraudinator.ScoringPolicy.load('scoring-policy.json'));
+        Fraudinator.LocationSignatureCatalog.setActive(await Fraudinator.LocationSignatureCatalog.load('location-signatures.json'));
+    } catch (error) {
+        console.error(error.message);
+        document.getElementById('locateBtn').disabled = true;
+        document.getElementById('detectionDetails').innerHTML = `<strong>Error:</strong> ${error.message}`;
+        document.getElementById('results').style.display = 'block';
+        return;
+    }
+
+    new UIController();
+});
\ No newline at end of file
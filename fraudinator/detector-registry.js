@@ -0,0 +1,164 @@
+/**
+ * @class DetectorRegistry
+ * @description Keeps track of the detector modules that FraudDetector runs during a full analysis.
+ *
+ * A detector definition has the following shape:
+ *   {
+ *     id: 'vpn',                    // unique, stable identifier
+ *     category: 'vpn',              // report section the result belongs to
+ *     description: '...',           // optional, human readable
+ *     enabled: true,                // optional, defaults to true
+ *     includeInTotal: true,         // optional, whether the score counts towards the overall suspicion
+ *     mergedInto: 'environment',    // optional, report section that lists the indicators instead
+ *     run: async (context) => result
+ *   }
+ *
+ * `run()` may be sync or async and must resolve with `{ score, indicators, detected, details }`.
+ * Missing fields are filled with safe defaults so a partial result never breaks the report.
+ */
+class DetectorRegistry {
+    constructor() {
+        this.detectors = new Map();
+    }
+
+    /**
+     * @description Registers a detector definition.
+     * @param {object} definition - The detector definition (see class description).
+     * @returns {DetectorRegistry} The registry, for chaining.
+     */
+    register(definition) {
+        if (!definition || typeof definition.id !== 'string' || !definition.id) {
+            throw new Error('Detector definition requires a non-empty string id');
+        }
+        if (typeof definition.category !== 'string' || !definition.category) {
+            throw new Error(`Detector "${definition.id}" requires a category`);
+        }
+        if (typeof definition.run !== 'function') {
+            throw new Error(`Detector "${definition.id}" requires a run() function`);
+        }
+        if (this.detectors.has(definition.id)) {
+            throw new Error(`Detector "${definition.id}" is already registered`);
+        }
+
+        this.detectors.set(definition.id, {
+            description: '',
+            enabled: true,
+            includeInTotal: true,
+            mergedInto: null,
+            ...definition
+        });
+        return this;
+    }
+
+    /**
+     * @description Removes a detector from the registry.
+     * @param {string} id - The detector id.
+     * @returns {boolean} True if a detector was removed.
+     */
+    unregister(id) {
+        return this.detectors.delete(id);
+    }
+
+    /**
+     * @description Re-enables a previously disabled detector.
+     * @param {string} id - The detector id.
+     */
+    enable(id) {
+        this.#require(id).enabled = true;
+    }
+
+    /**
+     * @description Disables a detector without removing it, so it can be re-enabled later.
+     * @param {string} id - The detector id.
+     */
+    disable(id) {
+        this.#require(id).enabled = false;
+    }
+
+    /**
+     * @param {string} id - The detector id.
+     * @returns {object|undefined} The registered definition.
+     */
+    get(id) {
+        return this.detectors.get(id);
+    }
+
+    /**
+     * @description Lists registered detectors, optionally filtered.
+     * @param {object} [filter] - `{ category, enabledOnly }`.
+     * @returns {object[]} Matching definitions in registration order.
+     */
+    list(filter = {}) {
+        return [...this.detectors.values()].filter(definition =>
+            (!filter.category || definition.category === filter.category) &&
+            (!filter.enabledOnly || definition.enabled)
+        );
+    }
+
+    /**
+     * @description Runs every enabled detector one after another. A failing detector is
+     * recorded with its error instead of aborting the whole analysis.
+     * @param {object} context - Passed to each detector's run().
+     * @returns {Promise<object>} Results keyed by detector id.
+     */
+    async runAll(context) {
+        const results = {};
+
+        for (const definition of this.list({ enabledOnly: true })) {
+            const startTime = performance.now();
+            let result;
+            let error = null;
+
+            try {
+                result = await definition.run(context);
+            } catch (e) {
+                error = e.message;
+                fraudLogger.warn(`Detector "${definition.id}" failed:`, e.message);
+            }
+
+            results[definition.id] = {
+                id: definition.id,
+                category: definition.category,
+                includeInTotal: definition.includeInTotal,
+                mergedInto: definition.mergedInto,
+                ...DetectorRegistry.normalizeResult(result),
+                startedAt: Math.round((performance.timeOrigin + startTime) * 10) / 10,
+                durationMs: Math.round((performance.now() - startTime) * 10) / 10,
+                error
+            };
+        }
+
+        return results;
+    }
+
+    /**
+     * @description Fills in defaults for a detector result.
+     * @param {object} result - The raw result returned by a detector.
+     * @returns {object} `{ score, indicators, detected, details }`.
+     */
+    static normalizeResult(result) {
+        const raw = result || {};
+        const score = Number.isFinite(raw.score) ? raw.score : 0;
+        return {
+            score,
+            indicators: Array.isArray(raw.indicators) ? raw.indicators : [],
+            detected: typeof raw.detected === 'boolean' ? raw.detected : score > 0,
+            details: raw.details || {}
+        };
+    }
+
+    #require(id) {
+        const definition = this.detectors.get(id);
+        if (!definition) {
+            throw new Error(`Detector "${id}" is not registered`);
+        }
+        return definition;
+    }
+}
+
+// Default registry used by FraudDetector. Detector modules register themselves here on load,
+// and integrators can add their own detectors or disable built-in ones before analysis runs.
+const detectorRegistry = new DetectorRegistry();
+
+window.DetectorRegistry = DetectorRegistry;
+window.detectorRegistry = detectorRegistry;
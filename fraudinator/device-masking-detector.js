@@ -207,6 +207,18 @@ class DeviceDataMaskingDetector {
         }
     }
 
+    /**
+     * @description Records a structured masking indicator and adds its policy weight to the score.
+     * @param {string} code - The indicator code.
+     * @param {object} evidence - Machine-readable evidence.
+     * @param {string} message - Display message.
+     */
+    #addIndicator(code, evidence, message) {
+        const indicator = createIndicator({ code, source: 'deviceMasking', evidence, message });
+        this.score += indicator.weight;
+        this.indicators.push(indicator);
+    }
+
     /**
      * @description Runs all device masking checks and calculates a score.
      * @returns {Promise<object>} An object containing the final score, indicators, and detection status.
@@ -218,50 +230,50 @@ class DeviceDataMaskingDetector {
         // 1. Canvas Fingerprint check
         const canvasFingerprint = await this.#getCanvasFingerprint();
         if (canvasFingerprint.includes('000000') || canvasFingerprint.length < 10) {
-            this.score += 20;
-            this.indicators.push('Canvas fingerprint appears to be manipulated (contains suspicious pattern)');
+            this.#addIndicator(IndicatorCodes.CANVAS_MANIPULATED, { fingerprintPrefix: canvasFingerprint.substring(0, 16) },
+                'Canvas fingerprint appears to be manipulated (contains suspicious pattern)');
         }
         
         // 2. WebGL Info check
         const webglInfo = this.#getWebGLInfo();
         if (webglInfo === 'no-webgl' || webglInfo === 'webgl-error') {
-            this.score += 15;
-            this.indicators.push('WebGL is unavailable or errored, may indicate masking');
+            this.#addIndicator(IndicatorCodes.WEBGL_UNAVAILABLE, { webgl: webglInfo },
+                'WebGL is unavailable or errored, may indicate masking');
         } else if (webglInfo.toLowerCase().includes('swiftshader') || webglInfo.toLowerCase().includes('llvmpipe')) {
-            this.score += 30;
-            this.indicators.push(`Software rendering detected in WebGL (${webglInfo}), common in VMs/bots`);
+            this.#addIndicator(IndicatorCodes.WEBGL_SOFTWARE_RENDERER, { webgl: webglInfo },
+                `Software rendering detected in WebGL (${webglInfo}), common in VMs/bots`);
         } else if (webglInfo === 'no-debug-info') {
-            this.score += 10;
-            this.indicators.push('WebGL debug info is unavailable, could be a privacy tool');
+            this.#addIndicator(IndicatorCodes.WEBGL_DEBUG_INFO_HIDDEN, {},
+                'WebGL debug info is unavailable, could be a privacy tool');
         }
         
         // 3. Audio Fingerprint check
         const audioFingerprint = await this.#getAudioFingerprint();
         if (audioFingerprint.error) {
-            this.score += 10;
-            this.indicators.push('Audio context unavailable or blocked');
+            this.#addIndicator(IndicatorCodes.AUDIO_CONTEXT_BLOCKED, { error: audioFingerprint.error },
+                'Audio context unavailable or blocked');
         } else if (audioFingerprint.sampleRate === 44100 && audioFingerprint.maxChannelCount === 2) {
             // Common default values that might indicate spoofing
-            this.score += 5;
-            this.indicators.push('Audio fingerprint shows default/common values');
+            this.#addIndicator(IndicatorCodes.AUDIO_DEFAULT_VALUES, { sampleRate: audioFingerprint.sampleRate, maxChannelCount: audioFingerprint.maxChannelCount },
+                'Audio fingerprint shows default/common values');
         }
         
         // 4. Hardware concurrency check
         if (navigator.hardwareConcurrency && navigator.hardwareConcurrency < 2) {
-            this.score += 10;
-            this.indicators.push('Very low number of CPU cores reported, potentially a VM');
+            this.#addIndicator(IndicatorCodes.LOW_CPU_CORES, { hardwareConcurrency: navigator.hardwareConcurrency },
+                'Very low number of CPU cores reported, potentially a VM');
         } else if (navigator.hardwareConcurrency && navigator.hardwareConcurrency > 32) {
-            this.score += 5;
-            this.indicators.push('Unusually high number of CPU cores reported');
+            this.#addIndicator(IndicatorCodes.HIGH_CPU_CORES, { hardwareConcurrency: navigator.hardwareConcurrency },
+                'Unusually high number of CPU cores reported');
         }
         
         // 5. Device Memory check
         if (navigator.deviceMemory && navigator.deviceMemory < 2) {
-            this.score += 10;
-            this.indicators.push('Low device memory reported, potentially a VM');
+            this.#addIndicator(IndicatorCodes.LOW_DEVICE_MEMORY, { deviceMemory: navigator.deviceMemory },
+                'Low device memory reported, potentially a VM');
         } else if (navigator.deviceMemory && navigator.deviceMemory > 32) {
-            this.score += 5;
-            this.indicators.push('Unusually high device memory reported');
+            this.#addIndicator(IndicatorCodes.HIGH_DEVICE_MEMORY, { deviceMemory: navigator.deviceMemory },
+                'Unusually high device memory reported');
         }
 
         // 6. Screen Resolution Inconsistency - Check for suspicious screen properties
@@ -272,8 +284,8 @@ class DeviceDataMaskingDetector {
         
         // Check for very low screen resolutions that might indicate VMs
         if (screen.width < 800 || screen.height < 600) {
-            this.score += 10;
-            this.indicators.push(`Very low screen resolution detected: ${screen.width}x${screen.height}`);
+            this.#addIndicator(IndicatorCodes.LOW_SCREEN_RESOLUTION, { width: screen.width, height: screen.height },
+                `Very low screen resolution detected: ${screen.width}x${screen.height}`);
         }
         
         // Check for unusual aspect ratios
@@ -283,8 +295,8 @@ class DeviceDataMaskingDetector {
         );
         
         if (!hasCommonAspectRatio && screen.width > 0 && screen.height > 0) {
-            this.score += 5;
-            this.indicators.push(`Unusual screen aspect ratio: ${screenAspectRatio.toFixed(2)}`);
+            this.#addIndicator(IndicatorCodes.UNUSUAL_ASPECT_RATIO, { aspectRatio: screenAspectRatio },
+                `Unusual screen aspect ratio: ${screenAspectRatio.toFixed(2)}`);
         }
         
         // Check for exact matches with common VM resolutions
@@ -293,46 +305,46 @@ class DeviceDataMaskingDetector {
         ];
         const currentResolution = `${screen.width}x${screen.height}`;
         if (commonVMResolutions.includes(currentResolution) && screen.colorDepth <= 16) {
-            this.score += 8;
-            this.indicators.push(`VM-typical resolution with low color depth: ${currentResolution}`);
+            this.#addIndicator(IndicatorCodes.VM_RESOLUTION_LOW_COLOR_DEPTH, { resolution: currentResolution, colorDepth: screen.colorDepth },
+                `VM-typical resolution with low color depth: ${currentResolution}`);
         }
         
         // 7. Timezone check
         const timezoneCheck = this.#checkTimezone();
         if (timezoneCheck.suspicious) {
-            this.score += 15;
-            this.indicators.push(`Suspicious timezone configuration: ${timezoneCheck.timezone}`);
+            this.#addIndicator(IndicatorCodes.SUSPICIOUS_TIMEZONE_CONFIG, { timezone: timezoneCheck.timezone, offset: timezoneCheck.offset },
+                `Suspicious timezone configuration: ${timezoneCheck.timezone}`);
         }
         
         // 8. Plugin check
         const pluginCheck = this.#checkPlugins();
         if (pluginCheck.suspicious) {
-            this.score += 10;
-            this.indicators.push(`Suspicious plugin configuration: ${pluginCheck.count} plugins detected`);
+            this.#addIndicator(IndicatorCodes.SUSPICIOUS_PLUGINS, { count: pluginCheck.count, hasFlash: pluginCheck.hasFlash },
+                `Suspicious plugin configuration: ${pluginCheck.count} plugins detected`);
         }
         
         // 9. Media devices check
         const mediaCheck = await this.#checkMediaDevices();
         if (mediaCheck.suspicious && !mediaCheck.error) {
-            this.score += 15;
-            this.indicators.push('Media devices configuration appears to be masked or limited');
+            this.#addIndicator(IndicatorCodes.MEDIA_DEVICES_MASKED, { totalDevices: mediaCheck.totalDevices, hasLabels: mediaCheck.hasLabels },
+                'Media devices configuration appears to be masked or limited');
         } else if (mediaCheck.error) {
-            this.score += 5;
-            this.indicators.push('Media devices enumeration failed or blocked');
+            this.#addIndicator(IndicatorCodes.MEDIA_DEVICES_BLOCKED, { error: mediaCheck.error },
+                'Media devices enumeration failed or blocked');
         }
         
         // 10. Language and platform consistency
         const languages = navigator.languages || [navigator.language];
         const platform = navigator.platform;
         if (languages.length === 1 && languages[0] === 'en-US' && platform.includes('Win')) {
-            this.score += 5;
-            this.indicators.push('Generic language/platform combination detected');
+            this.#addIndicator(IndicatorCodes.GENERIC_LANGUAGE_PLATFORM, { languages, platform },
+                'Generic language/platform combination detected');
         }
         
         return {
             score: this.score,
             indicators: this.indicators,
-            isMasked: this.score >= 25,
+            isMasked: this.score >= ScoringPolicy.requireActive().verdict('deviceMasked', 25),
             details: {
                 canvas: canvasFingerprint.substring(0, 16) + '...',
                 webgl: webglInfo,
@@ -346,4 +358,22 @@ class DeviceDataMaskingDetector {
 }
 
 // Make the class available globally
-window.DeviceDataMaskingDetector = DeviceDataMaskingDetector;
\ No newline at end of file
+window.DeviceDataMaskingDetector = DeviceDataMaskingDetector;
+
+if (typeof detectorRegistry !== 'undefined') {
+    const deviceMaskingDetector = new DeviceDataMaskingDetector();
+    detectorRegistry.register({
+        id: 'deviceMasking',
+        category: 'deviceMasking',
+        description: 'Canvas, WebGL, audio and hardware fingerprint masking',
+        run: async () => {
+            const result = await deviceMaskingDetector.runChecks();
+            return {
+                score: result.score,
+                indicators: result.indicators,
+                detected: result.isMasked,
+                details: result.details
+            };
+        }
+    });
+}
\ No newline at end of file
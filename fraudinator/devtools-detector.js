@@ -1,192 +1,143 @@
 // DevTools Detection Module
-// Global reference to UI controller for DevTools detection
-let globalUIController = null;
-let devToolsOpen = false;
-let consoleDetectionElement = null;
-
-// Console-based DevTools detection (more reliable)
-function setupConsoleDetection() {
-  consoleDetectionElement = new Image();
-  
-  Object.defineProperty(consoleDetectionElement, 'id', {
-    get: function() {
-      devToolsOpen = true;
-      return 'devtools-detection';
-    }
-  });
-}
+// Watches for DevTools being opened while a session is monitored and records it on a FraudDetector
 
 // Returns true if the current device is a mobile device, false otherwise
 function isMobileDevice() {
   return /Mobi|Android|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
 }
 
-// Console detection check
-function checkConsoleDetection() {
-  if (!consoleDetectionElement) {
-    setupConsoleDetection();
-  }
-  
-  devToolsOpen = false;
-  console.log(consoleDetectionElement);
-  
-  // Give a small delay for the getter to be called
-  setTimeout(() => {
-    if (devToolsOpen) {
-      handleDevToolsDetected('console');
-    }
-  }, 100);
-}
+// DevTools keyboard shortcuts, checked in order
+const DEVTOOLS_SHORTCUTS = [
+  // F12 key
+  { method: 'keyboard-F12', matches: event => event.key === 'F12' },
+  // Ctrl+Shift+I (Windows/Linux) or Cmd+Option+I (Mac)
+  { method: 'keyboard-Ctrl+Shift+I', matches: event => (event.ctrlKey && event.shiftKey && event.key === 'I') ||
+      (event.metaKey && event.altKey && event.key === 'I') },
+  // Ctrl+Shift+J (Windows/Linux) or Cmd+Option+J (Mac) - Console
+  { method: 'keyboard-Ctrl+Shift+J', matches: event => (event.ctrlKey && event.shiftKey && event.key === 'J') ||
+      (event.metaKey && event.altKey && event.key === 'J') },
+  // Ctrl+Shift+C (Windows/Linux) or Cmd+Option+C (Mac) - Element inspector
+  { method: 'keyboard-Ctrl+Shift+C', matches: event => (event.ctrlKey && event.shiftKey && event.key === 'C') ||
+      (event.metaKey && event.altKey && event.key === 'C') },
+  // Ctrl+U (Windows/Linux) or Cmd+U (Mac) - View source
+  { method: 'keyboard-Ctrl+U', matches: event => (event.ctrlKey && event.key === 'U') ||
+      (event.metaKey && event.key === 'U') }
+];
 
-// Window dimension-based detection (fallback)
-function checkDimensionDetection() {
-  const widthThreshold = window.outerWidth - window.innerWidth > 160;
-  const heightThreshold = window.outerHeight - window.innerHeight > 160;
-  const isDevToolsOpen = widthThreshold || heightThreshold;
+/**
+ * Creates a watcher that reports DevTools being opened to a FraudDetector. Nothing runs until
+ * start() is called, and stop() removes every listener and timer again.
+ * @param {object} options
+ * @param {FraudDetector} options.detector - Records the DevTools and untrusted-location indicators
+ *   and a timeline event for every detection.
+ * @param {function} [options.onDetected] - Called with `(method, indicators)` on every detection;
+ *   `indicators` is empty once DevTools has already been recorded for the session.
+ * @param {boolean} [options.consoleProbe] - Also log a probe object every second and watch whether
+ *   the console reads it. This writes to the console, so it is off by default.
+ * @param {boolean} [options.blockShortcuts] - Cancel the DevTools keyboard shortcuts.
+ */
+function createDevToolsWatcher({ detector, onDetected = null, consoleProbe = false, blockShortcuts = false }) {
+  let devToolsOpen = false;
+  let consoleDetectionElement = null;
+  let checkInterval = null;
 
-  if (isDevToolsOpen) {
-    handleDevToolsDetected('dimensions');
+  // Console-based DevTools detection
+  function setupConsoleDetection() {
+    consoleDetectionElement = new Image();
+
+    Object.defineProperty(consoleDetectionElement, 'id', {
+      get: function() {
+        devToolsOpen = true;
+        return 'devtools-detection';
+      }
+    });
   }
-}
 
-// Keyboard shortcut detection
-function setupKeyboardDetection() {
-  window.addEventListener('keydown', function(event) {
-    // F12 key
-    if (event.key === 'F12') {
-      handleDevToolsDetected('keyboard-F12');
-      event.preventDefault(); // Optional: prevent DevTools from opening
-      return;
-    }
-    
-    // Ctrl+Shift+I (Windows/Linux) or Cmd+Option+I (Mac)
-    if ((event.ctrlKey && event.shiftKey && event.key === 'I') || 
-        (event.metaKey && event.altKey && event.key === 'I')) {
-      handleDevToolsDetected('keyboard-Ctrl+Shift+I');
-      event.preventDefault(); // Optional: prevent DevTools from opening
-      return;
+  // Console detection check
+  function checkConsoleDetection() {
+    if (!consoleDetectionElement) {
+      setupConsoleDetection();
     }
-    
-    // Ctrl+Shift+J (Windows/Linux) or Cmd+Option+J (Mac) - Console
-    if ((event.ctrlKey && event.shiftKey && event.key === 'J') || 
-        (event.metaKey && event.altKey && event.key === 'J')) {
-      handleDevToolsDetected('keyboard-Ctrl+Shift+J');
-      event.preventDefault(); // Optional: prevent DevTools from opening
-      return;
-    }
-    
-    // Ctrl+Shift+C (Windows/Linux) or Cmd+Option+C (Mac) - Element inspector
-    if ((event.ctrlKey && event.shiftKey && event.key === 'C') || 
-        (event.metaKey && event.altKey && event.key === 'C')) {
-      handleDevToolsDetected('keyboard-Ctrl+Shift+C');
-      event.preventDefault(); // Optional: prevent DevTools from opening
-      return;
-    }
-    
-    // Ctrl+U (Windows/Linux) or Cmd+U (Mac) - View source
-    if ((event.ctrlKey && event.key === 'U') || 
-        (event.metaKey && event.key === 'U')) {
-      handleDevToolsDetected('keyboard-Ctrl+U');
-      event.preventDefault(); // Optional: prevent view source
-      return;
-    }
-  });
-}
 
-// Consolidated DevTools detection function
-function detectDevTools() {
-  // Use both methods for maximum reliability
-  checkConsoleDetection();
-  if (!isMobileDevice()) {
-    // Only check dimensions if not on a mobile device
-    checkDimensionDetection();
-  }
-}
+    devToolsOpen = false;
+    console.log(consoleDetectionElement);
 
-// Handle DevTools detection
-function handleDevToolsDetected(method) {
-  console.log(`DevTools detected via ${method} method - MARKING SESSION AS SPOOFED`);
-  
-  // Update the detector if available
-  if (globalUIController && globalUIController.detector) {
-    // Only add score if not already detected to avoid duplicate scoring
-    if (!globalUIController.detector.devToolsDetected) {
-      globalUIController.detector.devToolsDetected = true;
-      if (!globalUIController.detector.environmentData.devToolsScore) {
-        globalUIController.detector.environmentData.devToolsScore = 0;
-      }
-      if (!globalUIController.detector.environmentData.devToolsIndicators) {
-        globalUIController.detector.environmentData.devToolsIndicators = [];
+    // Give a small delay for the getter to be called
+    setTimeout(() => {
+      if (devToolsOpen) {
+        handleDevToolsDetected('console');
       }
-      
-      globalUIController.detector.environmentData.devToolsScore += 25;
-      globalUIController.detector.environmentData.devToolsIndicators.push(`DevTools detected via ${method} (real-time detection)`);
-      
-      // CRITICAL: Mark location as spoofed when DevTools is detected
-      markLocationAsSpoofed(method);
+    }, 100);
+  }
+
+  // Window dimension-based detection
+  function checkDimensionDetection() {
+    if (isMobileDevice()) return;
+
+    const widthThreshold = window.outerWidth - window.innerWidth > 160;
+    const heightThreshold = window.outerHeight - window.innerHeight > 160;
+
+    if (widthThreshold || heightThreshold) {
+      handleDevToolsDetected('dimensions');
     }
-    
-    // Always update UI when DevTools is detected
-    globalUIController.updateDevToolsStatus(true);
   }
-}
 
-// Mark the entire session location as spoofed due to DevTools detection
-function markLocationAsSpoofed(detectionMethod) {
-  if (globalUIController && globalUIController.detector) {
-    // Force location to be marked as spoofed
-    globalUIController.detector.locationSpoofedByDevTools = true;
-    
-    // Add high spoofing score
-    if (!globalUIController.detector.locationSpoofingScore) {
-      globalUIController.detector.locationSpoofingScore = 0;
+  // Keyboard shortcut detection
+  function handleKeydown(event) {
+    const shortcut = DEVTOOLS_SHORTCUTS.find(candidate => candidate.matches(event));
+    if (!shortcut) return;
+
+    handleDevToolsDetected(shortcut.method);
+    if (blockShortcuts) {
+      event.preventDefault();
     }
-    globalUIController.detector.locationSpoofingScore += 100; // Maximum penalty
-    
-    // Add critical indicator
-    if (!globalUIController.detector.locationSpoofingIndicators) {
-      globalUIController.detector.locationSpoofingIndicators = [];
+  }
+
+  // Consolidated DevTools detection function
+  function detect() {
+    if (consoleProbe) {
+      checkConsoleDetection();
     }
-    globalUIController.detector.locationSpoofingIndicators.push(
-      `CRITICAL: DevTools detected (${detectionMethod}) - Location cannot be trusted`
-    );
-    
-    // Update UI to show location as spoofed
-    if (globalUIController.updateLocationSpoofingStatus) {
-      globalUIController.updateLocationSpoofingStatus(true);
+    checkDimensionDetection();
+  }
+
+  // Record the detection; the detector scores only the first one
+  function handleDevToolsDetected(method) {
+    fraudLogger.debug(`DevTools detected via ${method} method - MARKING SESSION AS SPOOFED`);
+
+    const indicators = detector.recordDevToolsDetection(method);
+    // Repeat detections add no indicators but still show when DevTools was in use
+    detector.recordEvent(TimelineEventTypes.DEVTOOLS_DETECTED, 'devtools-detector.js', { method }, indicators);
+    if (onDetected) {
+      onDetected(method, indicators);
     }
   }
-}
 
-// Enhanced detection that runs immediately and continuously
-function initializeDevToolsDetection() {
-  // Setup console detection element
-  setupConsoleDetection();
-  
-  // Setup keyboard shortcut detection
-  setupKeyboardDetection();
-  
-  // Run initial detection
-  detectDevTools();
-  
-  // Set up resize listener for dimension-based detection
-  window.addEventListener('resize', checkDimensionDetection);
-  
-  // Run periodic checks using console and dimension methods
-  setInterval(() => {
-    checkConsoleDetection();
-    checkDimensionDetection();
-  }, 1000);
-}
+  return {
+    /**
+     * Starts listening for shortcuts and resizes and runs the periodic checks.
+     */
+    start() {
+      if (checkInterval) return;
+
+      window.addEventListener('keydown', handleKeydown);
+      window.addEventListener('resize', checkDimensionDetection);
+      detect();
+      checkInterval = setInterval(detect, 1000);
+    },
+
+    /**
+     * Stops the watcher.
+     */
+    stop() {
+      window.removeEventListener('keydown', handleKeydown);
+      window.removeEventListener('resize', checkDimensionDetection);
+      clearInterval(checkInterval);
+      checkInterval = null;
+    },
 
-// Function to set the global UI controller reference
-function setUIController(uiController) {
-  globalUIController = uiController;
+    detect
+  };
 }
 
-// Export functions for use in main script
-window.DevToolsDetector = {
-  initialize: initializeDevToolsDetection,
-  setUIController: setUIController,
-  detect: detectDevTools
-};
\ No newline at end of file
+window.createDevToolsWatcher = createDevToolsWatcher;
@@ -57,9 +57,10 @@ class ExtensionDetector {
                 // Check for global window objects
                 if (window[normalizedName] || window[extensionName] || 
                     window[extensionName.replace(/ /g, '')] || window[extensionName.replace(/ /g, '_')]) {
-                    detectionScore += 50;
-                    detectionIndicators.push(`${extensionName} extension detected via global object`);
-                    console.warn(`🚨 EXTENSION DETECTED: ${extensionName} (via global object)`);
+                    detectionScore += this.addIndicator(detectionIndicators, IndicatorCodes.EXTENSION_GLOBAL_OBJECT,
+                        { extension: extensionName },
+                        `${extensionName} extension detected via global object`);
+                    fraudLogger.warn(`🚨 EXTENSION DETECTED: ${extensionName} (via global object)`);
                     detected = true;
                 }
                 
@@ -76,9 +77,10 @@ class ExtensionDetector {
                     try {
                         const elements = document.querySelectorAll(selector);
                         if (elements.length > 0) {
-                            detectionScore += 30;
-                            detectionIndicators.push(`${extensionName} extension detected via DOM elements`);
-                            console.warn(`🚨 EXTENSION DETECTED: ${extensionName} (via DOM elements)`);
+                            detectionScore += this.addIndicator(detectionIndicators, IndicatorCodes.EXTENSION_DOM_ELEMENTS,
+                                { extension: extensionName, selector, count: elements.length },
+                                `${extensionName} extension detected via DOM elements`);
+                            fraudLogger.warn(`🚨 EXTENSION DETECTED: ${extensionName} (via DOM elements)`);
                             detected = true;
                         }
                     } catch (e) {
@@ -92,16 +94,18 @@ class ExtensionDetector {
             const originalXHR = window.XMLHttpRequest;
             
             if (originalFetch && originalFetch.toString().indexOf('[native code]') === -1) {
-                detectionScore += 25;
-                detectionIndicators.push('Fetch API has been modified (possible extension)');
-                console.warn('🚨 API MODIFICATION: Fetch API has been modified (possible extension)');
+                detectionScore += this.addIndicator(detectionIndicators, IndicatorCodes.FETCH_API_MODIFIED,
+                    { api: 'fetch' },
+                    'Fetch API has been modified (possible extension)');
+                fraudLogger.warn('🚨 API MODIFICATION: Fetch API has been modified (possible extension)');
                 detected = true;
             }
             
             if (originalXHR && originalXHR.prototype.open.toString().indexOf('[native code]') === -1) {
-                detectionScore += 25;
-                detectionIndicators.push('XMLHttpRequest has been modified (possible extension)');
-                console.warn('🚨 API MODIFICATION: XMLHttpRequest has been modified (possible extension)');
+                detectionScore += this.addIndicator(detectionIndicators, IndicatorCodes.XHR_API_MODIFIED,
+                    { api: 'XMLHttpRequest.prototype.open' },
+                    'XMLHttpRequest has been modified (possible extension)');
+                fraudLogger.warn('🚨 API MODIFICATION: XMLHttpRequest has been modified (possible extension)');
                 detected = true;
             }
 
@@ -114,14 +118,16 @@ class ExtensionDetector {
                 if (url && url.includes('chrome-extension://')) {
                     const extensionId = url.split('chrome-extension://')[1].split('/')[0];
                     if (this.EXTENSION_IDS.includes(extensionId)) {
-                        detectionScore += 60;
-                        detectionIndicators.push(`Known location spoofing extension ID detected: ${extensionId}`);
-                        console.error(`🚨 KNOWN THREAT: Location spoofing extension detected with ID: ${extensionId}`);
+                        detectionScore += this.addIndicator(detectionIndicators, IndicatorCodes.KNOWN_SPOOFING_EXTENSION_ID,
+                            { extensionId, url },
+                            `Known location spoofing extension ID detected: ${extensionId}`);
+                        fraudLogger.error(`🚨 KNOWN THREAT: Location spoofing extension detected with ID: ${extensionId}`);
                         detected = true;
                     } else if (extensionId) {
-                        detectionScore += 20;
-                        detectionIndicators.push(`Unknown extension detected: ${extensionId}`);
-                        console.warn(`🔍 UNKNOWN EXTENSION: Extension detected with ID: ${extensionId}`);
+                        detectionScore += this.addIndicator(detectionIndicators, IndicatorCodes.UNKNOWN_EXTENSION_ID,
+                            { extensionId, url },
+                            `Unknown extension detected: ${extensionId}`);
+                        fraudLogger.warn(`🔍 UNKNOWN EXTENSION: Extension detected with ID: ${extensionId}`);
                         detected = true;
                     }
                 }
@@ -136,9 +142,10 @@ class ExtensionDetector {
             
             suspiciousStyles.forEach(styleVar => {
                 if (computedStyle.getPropertyValue(styleVar)) {
-                    detectionScore += 15;
-                    detectionIndicators.push(`Extension-specific CSS variable detected: ${styleVar}`);
-                    console.warn(`🎨 CSS MODIFICATION: Extension-specific CSS variable detected: ${styleVar}`);
+                    detectionScore += this.addIndicator(detectionIndicators, IndicatorCodes.EXTENSION_CSS_VARIABLE,
+                        { variable: styleVar },
+                        `Extension-specific CSS variable detected: ${styleVar}`);
+                    fraudLogger.warn(`🎨 CSS MODIFICATION: Extension-specific CSS variable detected: ${styleVar}`);
                     detected = true;
                 }
             });
@@ -157,9 +164,9 @@ class ExtensionDetector {
             setTimeout(() => {
                 console.error = originalConsoleError;
                 if (extensionErrorDetected) {
-                    detectionScore += 20;
-                    detectionIndicators.push('Extension-related geolocation errors detected');
-                    console.warn('🚨 CONSOLE ERRORS: Extension-related geolocation errors detected');
+                    detectionScore += this.addIndicator(detectionIndicators, IndicatorCodes.EXTENSION_CONSOLE_ERRORS, {},
+                        'Extension-related geolocation errors detected');
+                    fraudLogger.warn('🚨 CONSOLE ERRORS: Extension-related geolocation errors detected');
                     detected = true;
                 }
             }, 100);
@@ -184,60 +191,67 @@ class ExtensionDetector {
         // Vytal extension detection
         if (window.vytal || document.querySelector('[data-vytal]') || 
             document.documentElement.getAttribute('data-vytal')) {
-            extensionScore += 40;
-            extensionIndicators.push('Vytal extension detected');
-            console.error('🚨 VYTAL DETECTED: Vytal location spoofing extension found!');
+            extensionScore += this.addIndicator(extensionIndicators, IndicatorCodes.KNOWN_EXTENSION_ARTIFACT,
+                { extension: 'Vytal' },
+                'Vytal extension detected');
+            fraudLogger.error('🚨 VYTAL DETECTED: Vytal location spoofing extension found!');
             detected = true;
         }
 
         // Location Guard detection
         if (window.locationGuard || navigator.geolocation.getCurrentPosition.toString().includes('locationguard')) {
-            extensionScore += 35;
-            extensionIndicators.push('Location Guard extension detected');
-            console.error('🚨 LOCATION GUARD DETECTED: Location Guard privacy extension found!');
+            extensionScore += this.addIndicator(extensionIndicators, IndicatorCodes.KNOWN_EXTENSION_ARTIFACT,
+                { extension: 'Location Guard' },
+                'Location Guard extension detected');
+            fraudLogger.error('🚨 LOCATION GUARD DETECTED: Location Guard privacy extension found!');
             detected = true;
         }
 
         // Change Location detection
         if (window.changeLocation || document.querySelector('[data-change-location]')) {
-            extensionScore += 35;
-            extensionIndicators.push('Change Location extension detected');
-            console.error('🚨 CHANGE LOCATION DETECTED: Change Location extension found!');
+            extensionScore += this.addIndicator(extensionIndicators, IndicatorCodes.KNOWN_EXTENSION_ARTIFACT,
+                { extension: 'Change Location' },
+                'Change Location extension detected');
+            fraudLogger.error('🚨 CHANGE LOCATION DETECTED: Change Location extension found!');
             detected = true;
         }
 
         // SurfShark extension detection
         if (window.surfshark || document.querySelector('[data-surfshark]') ||
             document.documentElement.hasAttribute('data-surfshark-vpn')) {
-            extensionScore += 30;
-            extensionIndicators.push('SurfShark extension detected');
-            console.error('🚨 SURFSHARK VPN DETECTED: SurfShark VPN extension found!');
+            extensionScore += this.addIndicator(extensionIndicators, IndicatorCodes.KNOWN_EXTENSION_ARTIFACT,
+                { extension: 'SurfShark' },
+                'SurfShark extension detected');
+            fraudLogger.error('🚨 SURFSHARK VPN DETECTED: SurfShark VPN extension found!');
             detected = true;
         }
 
         // Generic extension detection via DOM modifications
         const extensionElements = document.querySelectorAll('[data-extension], [data-vpn], [data-location-spoof]');
         if (extensionElements.length > 0) {
-            extensionScore += 20;
-            extensionIndicators.push('Generic location spoofing extension detected');
-            console.warn('🚨 GENERIC EXTENSION: Location spoofing extension detected via DOM elements');
+            extensionScore += this.addIndicator(extensionIndicators, IndicatorCodes.GENERIC_SPOOFING_EXTENSION,
+                { count: extensionElements.length },
+                'Generic location spoofing extension detected');
+            fraudLogger.warn('🚨 GENERIC EXTENSION: Location spoofing extension detected via DOM elements');
             detected = true;
         }
 
         // Check for modified geolocation API
         if (navigator.geolocation.getCurrentPosition.toString().length > 100) {
-            extensionScore += 25;
-            extensionIndicators.push('Geolocation API appears to be modified');
-            console.warn('🚨 API TAMPERING: Geolocation API has been modified');
+            extensionScore += this.addIndicator(extensionIndicators, IndicatorCodes.GEOLOCATION_API_MODIFIED,
+                { sourceLength: navigator.geolocation.getCurrentPosition.toString().length },
+                'Geolocation API appears to be modified');
+            fraudLogger.warn('🚨 API TAMPERING: Geolocation API has been modified');
             detected = true;
         }
 
         // Check for WebRTC modifications (common in VPN extensions)
         if (window.RTCPeerConnection && 
             window.RTCPeerConnection.prototype.createDataChannel.toString().includes('native') === false) {
-            extensionScore += 20;
-            extensionIndicators.push('WebRTC modifications detected (possible VPN)');
-            console.warn('🚨 WEBRTC MODIFICATION: WebRTC API modified (possible VPN)');
+            extensionScore += this.addIndicator(extensionIndicators, IndicatorCodes.WEBRTC_MODIFIED,
+                { api: 'RTCPeerConnection.prototype.createDataChannel' },
+                'WebRTC modifications detected (possible VPN)');
+            fraudLogger.warn('🚨 WEBRTC MODIFICATION: WebRTC API modified (possible VPN)');
         }
 
         return {
@@ -247,9 +261,17 @@ class ExtensionDetector {
         };
     }
 
+    // Push a structured extension indicator and return the weight the scoring policy assigns to it.
+    // The extension name, when known, refines the weight lookup.
+    addIndicator(indicators, code, evidence, message) {
+        const indicator = createIndicator({ code, source: 'extensions', qualifier: evidence.extension, evidence, message });
+        indicators.push(indicator);
+        return indicator.weight;
+    }
+
     // Main detection method that combines all techniques
     performFullExtensionDetection() {
-        console.log('🔍 Starting comprehensive extension detection scan...');
+        fraudLogger.debug('🔍 Starting comprehensive extension detection scan...');
         
         const basicDetection = this.detectBasicArtifacts();
         const signatureDetection = this.detectExtensionsBySignature();
@@ -262,14 +284,14 @@ class ExtensionDetector {
 
         // Summary logging
         if (result.detected) {
-            console.error(`🚨 FRAUD ALERT: ${result.indicators.length} location spoofing extension(s) detected! Risk Score: ${result.score}`);
-            console.group('📋 Detection Summary:');
+            fraudLogger.error(`🚨 FRAUD ALERT: ${result.indicators.length} location spoofing extension(s) detected! Risk Score: ${result.score}`);
+            fraudLogger.group('📋 Detection Summary:');
             result.indicators.forEach((indicator, index) => {
-                console.warn(`${index + 1}. ${indicator}`);
+                fraudLogger.warn(`${index + 1}. ${indicator.message}`);
             });
-            console.groupEnd();
+            fraudLogger.groupEnd();
         } else {
-            console.log('✅ Extension scan complete: No location spoofing extensions detected');
+            fraudLogger.debug('✅ Extension scan complete: No location spoofing extensions detected');
         }
 
         return result;
@@ -277,4 +299,15 @@ class ExtensionDetector {
 }
 
 // Make ExtensionDetector available globally
-window.ExtensionDetector = ExtensionDetector;
\ No newline at end of file
+window.ExtensionDetector = ExtensionDetector;
+
+if (typeof detectorRegistry !== 'undefined') {
+    const extensionDetector = new ExtensionDetector();
+    detectorRegistry.register({
+        id: 'extensions',
+        category: 'extensions',
+        mergedInto: 'extensions',
+        description: 'Location spoofing, VPN and privacy browser extensions',
+        run: () => extensionDetector.performFullExtensionDetection()
+    });
+}
\ No newline at end of file
@@ -0,0 +1,206 @@
+// Frame Cadence Module
+// Samples requestAnimationFrame to measure the display the page is really drawn on: its refresh
+// rate, how evenly frames arrive and which frames are dropped. A local display paces frames on its
+// vsync, at a standard rate and almost without jitter. A remote desktop or VNC session draws into a
+// virtual display paced by the encoder of the stream: at odd or low rates, unevenly, and with drops
+// that recur as the clocks of the two ends drift apart. The rate is also checked against the device
+// class the user agent and the screen claim. Registered as the 'frameCadence' detector;
+// FraudDetector owns one sampler and merges its result into the environment section.
+
+// Frame intervals sampled per analysis, about a second at 60 Hz
+const FRAME_SAMPLE_INTERVALS = 60;
+// rAF stops in a hidden tab; give up after this long
+const FRAME_SAMPLE_TIMEOUT_MS = 3000;
+// Minimum amount of frames before the cadence is judged
+const FRAME_MIN_INTERVALS = 30;
+// Refresh rates of real displays, in Hz, and how far a measured rate may be from one
+const FRAME_STANDARD_RATES = [24, 30, 48, 50, 60, 72, 75, 85, 90, 100, 120, 144, 165, 180, 240, 360];
+const FRAME_RATE_TOLERANCE = 0.03;
+// An interval at least this many frames long skipped a frame
+const FRAME_DROP_FACTOR = 1.5;
+// Variation of the on-time intervals above which frames are not paced by a vsync
+const FRAME_JITTER_VARIATION = 0.12;
+// Variation of the spacing between drops under which they recur periodically
+const FRAME_PERIODIC_VARIATION = 0.15;
+const FRAME_MIN_DROPS = 3;
+// Refresh rates the displays of each device class run at
+const FRAME_DEVICE_RATES = {
+    phone: { min: 60, max: 144 },
+    tablet: { min: 60, max: 144 },
+    desktop: { min: 48, max: 360 }
+};
+
+const roundFrameTiming = (value, digits = 2) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+function frameMedian(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Coefficient of variation: standard deviation over mean
+function frameVariation(values) {
+    if (values.length < 2) return null;
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    if (mean === 0) return null;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    return Math.sqrt(variance) / mean;
+}
+
+/**
+ * @class FrameCadenceSampler
+ * @description Measures the refresh rate and frame pacing of the display from requestAnimationFrame.
+ */
+class FrameCadenceSampler {
+    constructor({ intervals = FRAME_SAMPLE_INTERVALS, timeoutMs = FRAME_SAMPLE_TIMEOUT_MS } = {}) {
+        this.intervals = intervals;
+        this.timeoutMs = timeoutMs;
+    }
+
+    /**
+     * @description Records the timestamps of consecutive animation frames.
+     * @returns {Promise<number[]>} The frame timestamps, fewer than asked for if the page was hidden
+     * or rAF stopped before the timeout, and none without requestAnimationFrame.
+     */
+    sample() {
+        if (typeof requestAnimationFrame !== 'function' || document.hidden) return Promise.resolve([]);
+
+        return new Promise(resolve => {
+            const timestamps = [];
+            let frameId = null;
+            const finish = () => {
+                clearTimeout(timer);
+                if (frameId !== null) cancelAnimationFrame(frameId);
+                resolve(timestamps);
+            };
+            const timer = setTimeout(finish, this.timeoutMs);
+            const onFrame = timestamp => {
+                frameId = null;
+                timestamps.push(timestamp);
+                if (timestamps.length > this.intervals) {
+                    finish();
+                } else {
+                    frameId = requestAnimationFrame(onFrame);
+                }
+            };
+            frameId = requestAnimationFrame(onFrame);
+        });
+    }
+
+    /**
+     * @description The device class the page claims to run on, from the user agent and the screen:
+     * a touch screen whose short side is under 500 CSS pixels is a phone, whatever the user agent.
+     * @returns {string} 'phone', 'tablet' or 'desktop'.
+     */
+    deviceClass() {
+        const userAgent = navigator.userAgent || '';
+        const shortSide = Math.min(screen.width, screen.height);
+        if (/iPhone|iPod|Android.+Mobile|Windows Phone/.test(userAgent)) return 'phone';
+        if (navigator.maxTouchPoints > 0 && shortSide > 0 && shortSide < 500) return 'phone';
+        if (/iPad|Android|Tablet/.test(userAgent)) return 'tablet';
+        return 'desktop';
+    }
+
+    /**
+     * @description Estimates the refresh rate and the pacing of the frames.
+     * @param {number[]} timestamps - Animation frame timestamps, in order.
+     * @returns {object} The cadence features.
+     */
+    extractFeatures(timestamps) {
+        const intervals = [];
+        for (let i = 1; i < timestamps.length; i++) intervals.push(timestamps[i] - timestamps[i - 1]);
+        const features = {
+            intervals: intervals.length,
+            frameMs: null,
+            refreshHz: null,
+            standardRate: null,
+            jitter: null,
+            droppedFrames: 0,
+            dropRate: 0,
+            dropSpacingVariation: null,
+            deviceClass: this.deviceClass(),
+            screen: { width: screen.width, height: screen.height, colorDepth: screen.colorDepth }
+        };
+        if (intervals.length === 0) return features;
+
+        // The frame length is the mean of the intervals that skipped no frame, those within half a
+        // frame of the shortest ones: dropped frames make intervals of two frames or more, and a
+        // jittery timer spreads the rest around the true frame length
+        const shortest = frameMedian([...intervals].sort((a, b) => a - b).slice(0, Math.ceil(intervals.length / 10)));
+        const single = intervals.filter(interval => interval < shortest * FRAME_DROP_FACTOR);
+        const frameMs = single.reduce((sum, interval) => sum + interval, 0) / single.length;
+        const refreshHz = 1000 / frameMs;
+
+        const onTime = [];
+        const dropsAt = [];
+        let frame = 0;
+        intervals.forEach(interval => {
+            const frames = Math.max(1, Math.round(interval / frameMs));
+            if (interval >= frameMs * FRAME_DROP_FACTOR) {
+                dropsAt.push(frame);
+                features.droppedFrames += frames - 1;
+            } else {
+                onTime.push(interval);
+            }
+            frame += frames;
+        });
+        const dropSpacing = dropsAt.slice(1).map((at, i) => at - dropsAt[i]);
+
+        features.frameMs = roundFrameTiming(frameMs);
+        features.refreshHz = roundFrameTiming(refreshHz, 1);
+        features.standardRate = FRAME_STANDARD_RATES.find(rate => Math.abs(refreshHz - rate) <= rate * FRAME_RATE_TOLERANCE) || null;
+        features.jitter = roundFrameTiming(frameVariation(onTime));
+        features.dropRate = roundFrameTiming(features.droppedFrames / frame);
+        features.dropSpacingVariation = dropsAt.length >= FRAME_MIN_DROPS ? roundFrameTiming(frameVariation(dropSpacing)) : null;
+        return features;
+    }
+
+    /**
+     * @description Samples the frame cadence and judges it.
+     * @returns {Promise<object>} `{ score, indicators, details }`.
+     */
+    async analyze() {
+        const features = this.extractFeatures(await this.sample());
+        const indicators = [];
+        const addIndicator = (code, evidence, message) => {
+            indicators.push(createIndicator({ code, source: 'remoteDesktop', evidence, message }));
+        };
+
+        if (features.intervals >= FRAME_MIN_INTERVALS) {
+            const { refreshHz, standardRate, deviceClass, jitter } = features;
+            const rates = FRAME_DEVICE_RATES[deviceClass];
+
+            if (standardRate === null) {
+                addIndicator(IndicatorCodes.FRAME_RATE_NONSTANDARD, { refreshHz, frameMs: features.frameMs },
+                    `Frames arrive at ${refreshHz} Hz, a rate no display runs at`);
+            } else if (standardRate < rates.min || standardRate > rates.max) {
+                addIndicator(IndicatorCodes.FRAME_RATE_DEVICE_MISMATCH, { refreshHz: standardRate, deviceClass, screen: features.screen, ...rates },
+                    `The display refreshes at ${standardRate} Hz, outside the ${rates.min}-${rates.max} Hz of a ${deviceClass}`);
+            }
+            if (jitter !== null && jitter > FRAME_JITTER_VARIATION) {
+                addIndicator(IndicatorCodes.FRAME_TIMING_JITTER, { jitter },
+                    `Frame times vary by ${Math.round(jitter * 100)}%, without the pacing of a display's vsync`);
+            }
+            if (features.dropSpacingVariation !== null && features.dropSpacingVariation < FRAME_PERIODIC_VARIATION) {
+                addIndicator(IndicatorCodes.FRAME_DROPS_PERIODIC,
+                    { droppedFrames: features.droppedFrames, dropRate: features.dropRate, spacingVariation: features.dropSpacingVariation },
+                    `${features.droppedFrames} frames were dropped at regular spacing, as a stream drifting against the display`);
+            }
+        }
+
+        return { score: sumIndicatorWeights(indicators), indicators, details: features };
+    }
+}
+
+window.FrameCadenceSampler = FrameCadenceSampler;
+
+if (typeof detectorRegistry !== 'undefined') {
+    detectorRegistry.register({
+        id: 'frameCadence',
+        category: 'remoteDesktop',
+        mergedInto: 'environment',
+        description: 'Refresh rate, jitter and dropped frames of the display, from requestAnimationFrame',
+        run: ({ detector }) => (detector && detector.frameCadence ? detector.frameCadence.analyze() : null)
+    });
+}
@@ -0,0 +1,218 @@
+/**
+ * @description Public entry point of the Fraudinator SDK. Loading it (or the bundle built by
+ * tools/build-sdk.js) starts nothing, touches no DOM and writes nothing to the console; detection
+ * runs only when analyze() or monitor() is called.
+ */
+
+/**
+ * @description Activates the policy passed by the caller, or the bundled default when no policy
+ * has been activated yet.
+ * @param {ScoringPolicy|object} [policy] - A policy instance or a raw definition.
+ */
+function activateScoringPolicy(policy) {
+    if (policy) {
+        ScoringPolicy.setActive(policy);
+    } else if (!ScoringPolicy.active && typeof DEFAULT_SCORING_POLICY !== 'undefined') {
+        ScoringPolicy.setActive(DEFAULT_SCORING_POLICY);
+    }
+}
+
+/**
+ * @description Activates the signature catalog passed by the caller, or the bundled default when
+ * no catalog has been activated yet.
+ * @param {LocationSignatureCatalog|object} [catalog] - A catalog instance or a raw definition.
+ */
+function activateSignatureCatalog(catalog) {
+    if (catalog) {
+        LocationSignatureCatalog.setActive(catalog);
+    } else if (!LocationSignatureCatalog.active && typeof DEFAULT_LOCATION_SIGNATURES !== 'undefined') {
+        LocationSignatureCatalog.setActive(DEFAULT_LOCATION_SIGNATURES);
+    }
+}
+
+/**
+ * @description Returns the detector passed by the caller, or a new one for the caller's options.
+ * @param {object} options - As for analyzeSession().
+ * @returns {FraudDetector} The detector.
+ */
+function resolveDetector(options) {
+    if (options.detector) return options.detector;
+
+    let locationHistory = options.locationHistory || null;
+    if (locationHistory && !(locationHistory instanceof LocationHistory)) {
+        locationHistory = new LocationHistory(locationHistory === true ? {} : locationHistory);
+    }
+    let geofence = options.geofence || null;
+    if (geofence && !(geofence instanceof Geofence)) {
+        geofence = new Geofence(geofence);
+    }
+    return new FraudDetector({ registry: options.registry, locationHistory, geofence, compareRealms: options.compareRealms });
+}
+
+/**
+ * @description Runs a one-off analysis: geolocation, location spoofing, environment and every
+ * registered detector module.
+ * @param {object} [options]
+ * @param {ScoringPolicy|object} [options.policy] - Scoring policy to activate. Defaults to the active
+ * policy, then to the policy bundled with the SDK.
+ * @param {LocationSignatureCatalog|object} [options.signatureCatalog] - Catalog of known spoofing
+ * coordinates and accuracies to activate. Defaults to the active catalog, then to the one bundled
+ * with the SDK.
+ * @param {DetectorRegistry} [options.registry] - Detector modules to run. Defaults to the built-in registry.
+ * @param {FraudDetector} [options.detector] - Reuse a detector, e.g. one returned by monitor().
+ * @param {PositionOptions} [options.geolocation] - Overrides for the geolocation request options.
+ * @param {boolean|object|LocationHistory} [options.locationHistory] - Check the travel since the
+ * device's last verified location and keep this one. `true` keeps it in IndexedDB; an object is
+ * passed to LocationHistory as its options, e.g. `{ serverUrl }` to mirror it to a server.
+ * @param {object|Geofence} [options.geofence] - Check whether the location is inside an area: a
+ * Geofence, or the GeoJSON regions to create one from. The result is the report's `geofence` section.
+ * @param {boolean} [options.compareRealms] - Also request the position from a fresh iframe, which
+ * hooks on the page do not reach, and flag answers that disagree.
+ * @returns {Promise<object>} The analysis report from FraudDetector.performFullAnalysis().
+ */
+async function analyzeSession(options = {}) {
+    activateScoringPolicy(options.policy);
+    activateSignatureCatalog(options.signatureCatalog);
+    const detector = resolveDetector(options);
+    return detector.performFullAnalysis({ geolocation: options.geolocation });
+}
+
+/**
+ * @description Runs a one-off analysis for a server challenge and returns it as a signed payload
+ * that server/report-verifier.js can check for replay, reordering and edits.
+ * @param {object} challenge - `{ nonce, key, issuedAt, expiresAt }` as issued by the server.
+ * @param {object} [options] - As for analyzeSession().
+ * @returns {Promise<object>} The signed payload (see ReportSigner).
+ */
+async function analyzeSignedSession(challenge, options = {}) {
+    // Reject a malformed challenge before prompting for the location
+    const signer = new ReportSigner(challenge);
+
+    activateScoringPolicy(options.policy);
+    activateSignatureCatalog(options.signatureCatalog);
+    const detector = resolveDetector(options);
+    const startedAt = Date.now();
+    const report = await detector.performFullAnalysis({ geolocation: options.geolocation });
+
+    return signer.sign({ report, timings: detector.timings, startedAt, completedAt: Date.now() });
+}
+
+/**
+ * @description Starts watching the session: DevTools being opened, extension artifacts injected
+ * into the DOM and mouse movement typical of remote desktop tools. Findings are recorded on the
+ * returned detector, so a later `analyze()` on the handle includes them.
+ * @param {object} [options]
+ * @param {ScoringPolicy|object} [options.policy] - Scoring policy to activate (see analyzeSession()).
+ * @param {LocationSignatureCatalog|object} [options.signatureCatalog] - As for analyzeSession().
+ * @param {DetectorRegistry} [options.registry] - Detector modules to run on analyze().
+ * @param {FraudDetector} [options.detector] - Detector to record findings on. Defaults to a new one.
+ * @param {boolean|object|LocationHistory} [options.locationHistory] - As for analyzeSession().
+ * @param {object|Geofence} [options.geofence] - As for analyzeSession().
+ * @param {boolean} [options.compareRealms] - As for analyzeSession().
+ * @param {function} [options.onIndicator] - Called with each indicator found while monitoring.
+ * @param {function} [options.onDevToolsDetected] - Called with `(method, indicators)` whenever
+ * DevTools is detected, including repeat detections that add no indicators.
+ * @param {boolean} [options.consoleProbe] - Enable the console-based DevTools check, which logs a
+ * probe object every second.
+ * @param {boolean} [options.blockShortcuts] - Cancel the DevTools keyboard shortcuts.
+ * @param {boolean|object} [options.locationMonitoring] - Also watch the device position for
+ * movement no real device makes. An object is passed to LocationBehaviorAnalyzer as its options.
+ * The browser asks for the location permission as soon as monitoring starts.
+ * @returns {object} `{ detector, locationMonitor, analyze(options), analyzeSigned(challenge, options),
+ * getRDPSuspicionScore(), getTimeline(), stop() }`. `locationMonitor` is the
+ * LocationBehaviorAnalyzer, or null without `locationMonitoring`.
+ */
+function monitorSession(options = {}) {
+    activateScoringPolicy(options.policy);
+    activateSignatureCatalog(options.signatureCatalog);
+    const detector = resolveDetector(options);
+
+    const devToolsWatcher = createDevToolsWatcher({
+        detector,
+        onDetected: options.onDevToolsDetected,
+        consoleProbe: options.consoleProbe,
+        blockShortcuts: options.blockShortcuts
+    });
+    let locationMonitor = null;
+    if (options.locationMonitoring) {
+        locationMonitor = new LocationBehaviorAnalyzer(options.locationMonitoring === true ? {} : options.locationMonitoring);
+        locationMonitor.setFraudDetector(detector);
+    }
+
+    detector.startMonitoring({ onIndicator: options.onIndicator });
+    devToolsWatcher.start();
+    if (locationMonitor) locationMonitor.startLocationMonitoring();
+
+    return {
+        detector,
+        locationMonitor,
+
+        /**
+         * @description Runs a full analysis that includes everything seen while monitoring.
+         * @param {object} [analyzeOptions] - As for analyzeSession(); `detector` is always this handle's.
+         * @returns {Promise<object>} The analysis report.
+         */
+        analyze: (analyzeOptions = {}) => analyzeSession({ ...analyzeOptions, detector }),
+
+        /**
+         * @description As analyze(), signed for a server challenge.
+         * @param {object} challenge - The server challenge.
+         * @param {object} [analyzeOptions] - As for analyzeSession().
+         * @returns {Promise<object>} The signed payload.
+         */
+        analyzeSigned: (challenge, analyzeOptions = {}) => analyzeSignedSession(challenge, { ...analyzeOptions, detector }),
+
+        /**
+         * @returns {number} The remote desktop score of the mouse movement so far, the summed weights
+         * of the mouse dynamics indicators (see MouseDynamicsDetector).
+         */
+        getRDPSuspicionScore: () => (detector.mouseDynamics ? detector.mouseDynamics.analyze().score : 0),
+
+        /**
+         * @returns {object[]} Everything detected so far, oldest first (see SessionTimeline).
+         */
+        getTimeline: () => detector.getTimeline(),
+
+        /**
+         * @description Removes every listener, observer and timer started by monitorSession().
+         */
+        stop() {
+            devToolsWatcher.stop();
+            if (locationMonitor) locationMonitor.stopLocationMonitoring();
+            detector.stopMonitoring();
+        }
+    };
+}
+
+const Fraudinator = Object.freeze({
+    version: typeof SDK_VERSION !== 'undefined' ? SDK_VERSION : 'development',
+    analyze: analyzeSession,
+    analyzeSigned: analyzeSignedSession,
+    monitor: monitorSession,
+    /**
+     * @description Sets how much the detector modules log. The SDK is silent by default.
+     * @param {string} level - One of 'debug', 'info', 'warn', 'error', 'silent'.
+     */
+    setLogLevel: level => fraudLogger.setLevel(level),
+    FraudDetector,
+    LocationBehaviorAnalyzer,
+    MotionSensorFusion,
+    LocationHistory,
+    Geofence,
+    GeolocationIntegrityChecker,
+    DetectorRegistry,
+    detectorRegistry,
+    ScoringPolicy,
+    ScoringPolicyError,
+    LocationSignatureCatalog,
+    SignatureCatalogError,
+    IndicatorCodes,
+    IndicatorSeverity,
+    createIndicator,
+    ConsoleInspector,
+    ReportSigner,
+    SessionTimeline,
+    TimelineEventTypes
+});
+
+window.Fraudinator = Fraudinator;
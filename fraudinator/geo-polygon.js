@@ -0,0 +1,171 @@
+/**
+ * @class PolygonIndex
+ * @description Point-in-polygon index over rings stored as encoded polylines. Shared by the offline
+ * timezone lookup and the reverse geocoder. Rings are decoded lazily on the first lookup and tested
+ * with an even-odd rule after a bounding-box prefilter.
+ */
+class PolygonIndex {
+    /**
+     * @param {number} precision - Decimal places the rings were encoded with.
+     * @param {object[]} entries - `{ rings: [encodedRing, ...], ...payload }`. The payload is returned by find().
+     * @param {number} [tolerance] - Simplification tolerance of the rings in degrees. Points that fall
+     * outside every shape but within this distance of one (e.g. a coastal city cut off by a
+     * simplified coastline) are attributed to the nearest shape.
+     */
+    constructor(precision, entries, tolerance = 0) {
+        this.scale = Math.pow(10, precision);
+        this.entries = entries;
+        this.snapDistance = tolerance > 0 ? tolerance + 1 / this.scale : 0;
+        this.decoded = null;
+    }
+
+    /**
+     * @description Finds the entry whose rings contain a coordinate. Enclaves (e.g. San Marino inside
+     * Italy) overlap their surroundings, so the entry with the smallest bounding box wins.
+     * @param {number} lat - Latitude.
+     * @param {number} lng - Longitude.
+     * @returns {object|null} The matching entry, or null when no polygon contains the point.
+     */
+    find(lat, lng) {
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            return null;
+        }
+
+        let match = null;
+        for (const polygon of this.#decodedPolygons()) {
+            const [west, south, east, north] = polygon.bbox;
+            if (lng < west || lng > east || lat < south || lat > north) continue;
+            if (!pointInRings(lng, lat, polygon.rings)) continue;
+            if (!match || polygon.area < match.area) match = polygon;
+        }
+        if (match) return match.entry;
+
+        return this.snapDistance > 0 ? this.#nearest(lat, lng) : null;
+    }
+
+    #nearest(lat, lng) {
+        const margin = this.snapDistance;
+        let nearest = null;
+        let nearestDistance = margin;
+        for (const polygon of this.#decodedPolygons()) {
+            const [west, south, east, north] = polygon.bbox;
+            if (lng < west - margin || lng > east + margin || lat < south - margin || lat > north + margin) continue;
+            const distance = distanceToRings(lng, lat, polygon.rings);
+            if (distance <= nearestDistance) {
+                nearest = polygon;
+                nearestDistance = distance;
+            }
+        }
+        return nearest ? nearest.entry : null;
+    }
+
+    #decodedPolygons() {
+        if (!this.decoded) {
+            this.decoded = this.entries.map(entry => {
+                const rings = entry.rings.map(encoded => decodePolyline(encoded, this.scale));
+                const bbox = ringsBoundingBox(rings);
+                return { entry, rings, bbox, area: (bbox[2] - bbox[0]) * (bbox[3] - bbox[1]) };
+            });
+        }
+        return this.decoded;
+    }
+}
+
+/**
+ * @description Decodes a ring stored with the encoded polyline algorithm.
+ * @param {string} encoded - The encoded ring (lat/lng pairs).
+ * @param {number} scale - 10^precision used when encoding.
+ * @returns {number[][]} `[lng, lat]` points.
+ */
+function decodePolyline(encoded, scale) {
+    const points = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+
+    const nextValue = () => {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = encoded.charCodeAt(index++) - 63;
+            result |= (byte & 0x1f) << shift;
+            shift += 5;
+        } while (byte >= 0x20);
+        return result & 1 ? ~(result >> 1) : result >> 1;
+    };
+
+    while (index < encoded.length) {
+        lat += nextValue();
+        lng += nextValue();
+        points.push([lng / scale, lat / scale]);
+    }
+    return points;
+}
+
+/**
+ * @description Even-odd point-in-polygon test across all rings of a shape, so holes and
+ * multi-part shapes need no special handling.
+ * @param {number} x - Longitude.
+ * @param {number} y - Latitude.
+ * @param {number[][][]} rings - The shape's rings.
+ * @returns {boolean} True if the point is inside.
+ */
+function pointInRings(x, y, rings) {
+    let inside = false;
+    rings.forEach(ring => {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+    });
+    return inside;
+}
+
+/**
+ * @description Planar distance, in degrees, from a point to the closest edge of a shape.
+ * @param {number} x - Longitude.
+ * @param {number} y - Latitude.
+ * @param {number[][][]} rings - The shape's rings.
+ * @returns {number} The distance.
+ */
+function distanceToRings(x, y, rings) {
+    let best = Infinity;
+    rings.forEach(ring => {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [x1, y1] = ring[j];
+            const [x2, y2] = ring[i];
+            const dx = x2 - x1;
+            const dy = y2 - y1;
+            const lengthSquared = dx * dx + dy * dy;
+            const t = lengthSquared > 0 ? Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSquared)) : 0;
+            const distance = Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+            if (distance < best) best = distance;
+        }
+    });
+    return best;
+}
+
+/**
+ * @param {number[][][]} rings - Decoded rings.
+ * @returns {number[]} `[west, south, east, north]`.
+ */
+function ringsBoundingBox(rings) {
+    let west = Infinity;
+    let south = Infinity;
+    let east = -Infinity;
+    let north = -Infinity;
+    rings.forEach(ring => ring.forEach(([lng, lat]) => {
+        if (lng < west) west = lng;
+        if (lng > east) east = lng;
+        if (lat < south) south = lat;
+        if (lat > north) north = lat;
+    }));
+    return [west, south, east, north];
+}
+
+// Make the polygon helpers available globally
+window.PolygonIndex = PolygonIndex;
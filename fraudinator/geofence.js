@@ -0,0 +1,136 @@
+/**
+ * @class Geofence
+ * @description Decides whether a location lies in the area an integrator accepts, e.g. a delivery
+ * area or a licensed jurisdiction. Regions are GeoJSON polygons that either allow or deny:
+ *
+ *   {
+ *     type: 'FeatureCollection',
+ *     features: [
+ *       { type: 'Feature', properties: { name: 'Ho Chi Minh City', rule: 'allow' }, geometry: { type: 'Polygon', coordinates: [...] } },
+ *       { type: 'Feature', properties: { name: 'Airport', rule: 'deny' }, geometry: { type: 'Polygon', coordinates: [...] } }
+ *     ]
+ *   }
+ *
+ * The location is judged together with its accuracy radius: when the accuracy circle crosses the
+ * boundary of a region, the region can neither be ruled in nor out and the result is 'uncertain'.
+ */
+class Geofence {
+    /**
+     * @param {object|object[]} regions - A GeoJSON FeatureCollection, a Feature or an array of
+     * Features with Polygon or MultiPolygon geometry. `properties.rule` is 'allow' (the default) or
+     * 'deny'; `properties.name`, or else the feature's `id`, names the region in results.
+     */
+    constructor(regions) {
+        let features = regions;
+        if (regions && regions.type === 'FeatureCollection') {
+            features = regions.features;
+        } else if (regions && !Array.isArray(regions)) {
+            features = [regions];
+        }
+        if (!Array.isArray(features) || features.length === 0) {
+            throw new Error('Geofence requires at least one GeoJSON feature');
+        }
+        this.regions = features.map((feature, index) => Geofence.parseRegion(feature, index));
+    }
+
+    /**
+     * @description Reads one GeoJSON feature into `{ name, rule, rings, bbox }`. The rings of every
+     * polygon of a MultiPolygon are kept together; the even-odd test handles holes and parts alike.
+     * @param {object} feature - The GeoJSON feature.
+     * @param {number} index - Position of the feature, used when it has no name.
+     * @returns {object} The region.
+     */
+    static parseRegion(feature, index) {
+        const properties = (feature && feature.properties) || {};
+        const name = properties.name || (feature && feature.id) || `region ${index + 1}`;
+        const rule = properties.rule || 'allow';
+        if (rule !== 'allow' && rule !== 'deny') {
+            throw new Error(`Geofence region "${name}" has rule "${rule}"; expected allow or deny`);
+        }
+
+        const geometry = feature && feature.geometry;
+        let polygons;
+        if (geometry && geometry.type === 'Polygon') {
+            polygons = [geometry.coordinates];
+        } else if (geometry && geometry.type === 'MultiPolygon') {
+            polygons = geometry.coordinates;
+        } else {
+            throw new Error(`Geofence region "${name}" needs a Polygon or MultiPolygon geometry`);
+        }
+
+        const rings = polygons.flat();
+        if (rings.length === 0 || rings.some(ring => !Array.isArray(ring) || ring.length < 4)) {
+            throw new Error(`Geofence region "${name}" has a ring with fewer than 4 positions`);
+        }
+        return { name: String(name), rule, rings, bbox: ringsBoundingBox(rings) };
+    }
+
+    /**
+     * @description Evaluates a location against the regions. A location inside a deny region is
+     * outside the geofence, whatever the allow regions say. Without allow regions, everywhere that is
+     * not denied is inside.
+     * @param {object} location - `{ latitude, longitude, accuracy }`, accuracy in meters.
+     * @returns {object} `{ status, reason, accuracyMeters, regions }`. status is 'inside', 'outside'
+     * or 'uncertain'; regions lists `{ name, rule, position, distanceMeters }` for every region, where
+     * position is 'inside', 'outside' or 'boundary' (the accuracy circle crosses its edge) and
+     * distanceMeters is the distance to its edge.
+     */
+    evaluate({ latitude, longitude, accuracy }) {
+        const accuracyMeters = Number.isFinite(accuracy) && accuracy > 0 ? accuracy : 0;
+        const regions = this.regions.map(region => {
+            const distanceMeters = this.distanceToEdgeMeters(latitude, longitude, region.rings);
+            const [west, south, east, north] = region.bbox;
+            const inBox = longitude >= west && longitude <= east && latitude >= south && latitude <= north;
+            let position = inBox && pointInRings(longitude, latitude, region.rings) ? 'inside' : 'outside';
+            if (distanceMeters <= accuracyMeters) position = 'boundary';
+            return { name: region.name, rule: region.rule, position, distanceMeters: Math.round(distanceMeters) };
+        });
+
+        const denied = regions.filter(region => region.rule === 'deny');
+        const allowed = regions.filter(region => region.rule === 'allow');
+        const result = (status, reason) => ({ status, reason, accuracyMeters, regions });
+
+        const deniedInside = denied.find(region => region.position === 'inside');
+        if (deniedInside) {
+            return result('outside', `Inside denied region ${deniedInside.name}`);
+        }
+        const deniedBoundary = denied.find(region => region.position === 'boundary');
+        if (deniedBoundary) {
+            return result('uncertain', `Accuracy circle crosses the edge of denied region ${deniedBoundary.name}`);
+        }
+        if (allowed.length === 0) {
+            return result('inside', 'Outside every denied region');
+        }
+
+        const allowedInside = allowed.find(region => region.position === 'inside');
+        if (allowedInside) {
+            return result('inside', `Inside allowed region ${allowedInside.name}`);
+        }
+        const allowedBoundary = allowed.find(region => region.position === 'boundary');
+        if (allowedBoundary) {
+            return result('uncertain', `Accuracy circle crosses the edge of allowed region ${allowedBoundary.name}`);
+        }
+        return result('outside', 'Outside every allowed region');
+    }
+
+    /**
+     * @description Distance from a point to the closest edge of a region. The rings are projected
+     * onto a plane tangent at the point, which is exact enough near the point, where it matters.
+     * @param {number} latitude - Latitude of the point.
+     * @param {number} longitude - Longitude of the point.
+     * @param {number[][][]} rings - `[lng, lat]` rings.
+     * @returns {number} The distance in meters.
+     */
+    distanceToEdgeMeters(latitude, longitude, rings) {
+        const metersPerDegreeLat = 111320;
+        const metersPerDegreeLng = 111320 * Math.cos(latitude * Math.PI / 180);
+        const projected = rings.map(ring => ring.map(([lng, lat]) => {
+            // Across the antimeridian, 179° east is 2° from 179° west, not 358°
+            const deltaLng = ((lng - longitude + 540) % 360) - 180;
+            return [deltaLng * metersPerDegreeLng, (lat - latitude) * metersPerDegreeLat];
+        }));
+        return distanceToRings(0, 0, projected);
+    }
+}
+
+window.Geofence = Geofence;
@@ -0,0 +1,251 @@
+/**
+ * @description Ways the Geolocation API can be hooked, as reported in the `techniques` of
+ * GeolocationIntegrityChecker.check().
+ */
+const IntegrityTechniques = Object.freeze({
+    // navigator.geolocation is not served by the browser's getter on Navigator.prototype
+    NAVIGATOR_DESCRIPTOR: 'navigator-descriptor',
+    // navigator.geolocation is not a Geolocation object
+    PROTOTYPE_REPLACED: 'prototype-replaced',
+    // A method is set on the navigator.geolocation object, shadowing Geolocation.prototype
+    INSTANCE_PROPERTY: 'instance-property',
+    // A Geolocation.prototype method is an accessor or has other attributes than the browser's
+    PROTOTYPE_DESCRIPTOR: 'prototype-descriptor',
+    // A function's source is a script, or native code of another function
+    REPLACED_FUNCTION: 'replaced-function',
+    // A function is wrapped in a Proxy, which shows the target's native code
+    PROXY: 'proxy',
+    // Function.prototype.toString, or a function's own toString, hides the real source
+    TOSTRING_SPOOFED: 'tostring-spoofed',
+    // A function behaves differently from the pristine copy in an iframe
+    BEHAVIOR_MISMATCH: 'behavior-mismatch',
+    // A function differs from the one seen when the SDK loaded
+    REPLACED_AFTER_LOAD: 'replaced-after-load'
+});
+
+const GEOLOCATION_METHODS = ['getCurrentPosition', 'watchPosition', 'clearWatch'];
+
+// `function name() { [native code] }`, with the line breaks some engines add
+const NATIVE_SOURCE = /^function ([\w$ ]*)\(\) \{\s*\[native code\]\s*\}$/;
+
+/**
+ * @class GeolocationIntegrityChecker
+ * @description Looks for hooks on the Geolocation API: methods replaced by scripts or wrapped in a
+ * Proxy, property descriptors that differ from the browser's, and a Function.prototype.toString
+ * spoofed to hide them. The page's functions are compared with pristine copies from a freshly
+ * created same-origin iframe, which hooks installed on the page do not reach. An extension that
+ * also patches new frames goes unnoticed by the comparison, but not by the other checks.
+ */
+class GeolocationIntegrityChecker {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.snapshot] - `{ getCurrentPosition, toString }` as seen earlier, e.g.
+     * when the SDK loaded. Functions replaced since then are reported.
+     */
+    constructor({ snapshot = null } = {}) {
+        this.snapshot = snapshot;
+    }
+
+    /**
+     * @description Runs every check.
+     * @returns {object} `{ supported, hooked, techniques, findings, pristineRealm }`. findings lists
+     * `{ technique, target, detail }`; techniques the distinct techniques among them; pristineRealm
+     * whether an iframe copy could be compared with.
+     */
+    check() {
+        if (typeof navigator === 'undefined' || !navigator.geolocation) {
+            return { supported: false, hooked: false, techniques: [], findings: [], pristineRealm: false };
+        }
+
+        const realm = openIsolatedRealm();
+        try {
+            const findings = [];
+            const report = (technique, target, detail) => findings.push({ technique, target, detail });
+            const toString = this.pristineToString(realm);
+
+            this.checkToString(toString, report);
+            this.checkNavigator(toString, report);
+            this.checkMethods(realm, toString, report);
+            this.checkSnapshot(report);
+
+            return {
+                supported: true,
+                hooked: findings.length > 0,
+                techniques: [...new Set(findings.map(finding => finding.technique))],
+                findings,
+                pristineRealm: Boolean(realm)
+            };
+        } finally {
+            if (realm) realm.dispose();
+        }
+    }
+
+    /**
+     * @returns {function} The most trustworthy Function.prototype.toString available: the iframe's,
+     * else the one seen when the SDK loaded, else the page's own.
+     */
+    pristineToString(realm) {
+        if (realm) return realm.window.Function.prototype.toString;
+        if (this.snapshot && Object.prototype.hasOwnProperty.call(this.snapshot, 'toString')) {
+            return this.snapshot.toString;
+        }
+        return Function.prototype.toString;
+    }
+
+    checkToString(toString, report) {
+        const target = 'Function.prototype.toString';
+        if (this.isProxy(Function.prototype.toString)) {
+            report(IntegrityTechniques.TOSTRING_SPOOFED, target, 'wrapped in a Proxy');
+        } else if (!this.isNativeSource(this.sourceOf(Function.prototype.toString, toString), 'toString')) {
+            report(IntegrityTechniques.TOSTRING_SPOOFED, target, 'replaced by a script');
+        }
+    }
+
+    checkNavigator(toString, report) {
+        if (Object.getOwnPropertyDescriptor(navigator, 'geolocation')) {
+            report(IntegrityTechniques.NAVIGATOR_DESCRIPTOR, 'navigator.geolocation',
+                'defined on navigator itself instead of Navigator.prototype');
+        }
+
+        const descriptor = typeof Navigator !== 'undefined'
+            ? Object.getOwnPropertyDescriptor(Navigator.prototype, 'geolocation')
+            : undefined;
+        if (descriptor && typeof descriptor.get !== 'function') {
+            report(IntegrityTechniques.NAVIGATOR_DESCRIPTOR, 'Navigator.prototype.geolocation', 'a value instead of a getter');
+        } else if (descriptor) {
+            this.checkFunction(descriptor.get, 'get geolocation', 'Navigator.prototype.geolocation getter', toString, report);
+        }
+
+        if (typeof Geolocation !== 'undefined' && Object.getPrototypeOf(navigator.geolocation) !== Geolocation.prototype) {
+            report(IntegrityTechniques.PROTOTYPE_REPLACED, 'navigator.geolocation', 'not a Geolocation object');
+        }
+    }
+
+    checkMethods(realm, toString, report) {
+        const geolocation = navigator.geolocation;
+        const prototype = typeof Geolocation !== 'undefined' ? Geolocation.prototype : Object.getPrototypeOf(geolocation);
+        const pristinePrototype = realm && typeof realm.window.Geolocation === 'function'
+            ? realm.window.Geolocation.prototype
+            : null;
+
+        GEOLOCATION_METHODS.forEach(name => {
+            const target = `navigator.geolocation.${name}`;
+            if (Object.prototype.hasOwnProperty.call(geolocation, name)) {
+                report(IntegrityTechniques.INSTANCE_PROPERTY, target, 'shadows the Geolocation.prototype method');
+            }
+
+            const descriptor = prototype && Object.getOwnPropertyDescriptor(prototype, name);
+            if (descriptor && !('value' in descriptor)) {
+                report(IntegrityTechniques.PROTOTYPE_DESCRIPTOR, `Geolocation.prototype.${name}`, 'an accessor instead of a method');
+            } else if (descriptor && !(descriptor.writable && descriptor.enumerable && descriptor.configurable)) {
+                report(IntegrityTechniques.PROTOTYPE_DESCRIPTOR, `Geolocation.prototype.${name}`,
+                    'not writable, enumerable and configurable like a browser method');
+            }
+
+            const method = geolocation[name];
+            if (typeof method !== 'function') {
+                report(IntegrityTechniques.REPLACED_FUNCTION, target, 'not a function');
+                return;
+            }
+            this.checkFunction(method, name, target, toString, report);
+
+            // watchPosition is left out: a hook that calls through would start a watch
+            const pristine = pristinePrototype && pristinePrototype[name];
+            if (name !== 'watchPosition' && typeof pristine === 'function') {
+                this.compareBehavior(method, pristine, target, report);
+            }
+        });
+    }
+
+    /**
+     * @description Checks that a function is a built-in with the expected name: not a Proxy, with
+     * native source, and without an own toString to hide its source.
+     */
+    checkFunction(fn, name, target, toString, report) {
+        if (this.isProxy(fn)) {
+            report(IntegrityTechniques.PROXY, target, 'wrapped in a Proxy');
+        } else {
+            const source = this.sourceOf(fn, toString);
+            const match = source !== null ? NATIVE_SOURCE.exec(source.trim()) : null;
+            if (!match) {
+                report(IntegrityTechniques.REPLACED_FUNCTION, target, 'its source is a script, not native code');
+            } else if (match[1] !== name) {
+                report(IntegrityTechniques.REPLACED_FUNCTION, target, `native code of ${match[1] ? `"${match[1]}"` : 'an anonymous function'}`);
+            }
+        }
+        if (Object.prototype.hasOwnProperty.call(fn, 'toString')) {
+            report(IntegrityTechniques.TOSTRING_SPOOFED, `${target}.toString`, 'an own toString hides the source');
+        }
+    }
+
+    /**
+     * @description Calls the method and its pristine copy on an object that is not a Geolocation.
+     * A browser method rejects that before looking at its arguments; a wrapper tends to call
+     * through, answer itself or fail differently. The callbacks do nothing.
+     */
+    compareBehavior(method, pristine, target, report) {
+        const outcome = fn => {
+            try {
+                fn.call({}, () => {}, () => {});
+                return 'returns';
+            } catch (e) {
+                return `throws ${e && e.name}: ${e && e.message}`;
+            }
+        };
+        const actual = outcome(method);
+        const expected = outcome(pristine);
+        if (actual !== expected) {
+            report(IntegrityTechniques.BEHAVIOR_MISMATCH, target,
+                `called on a plain object it ${actual}, the browser's ${expected}`);
+        }
+    }
+
+    checkSnapshot(report) {
+        if (!this.snapshot) return;
+
+        const { getCurrentPosition } = this.snapshot;
+        if (getCurrentPosition && navigator.geolocation.getCurrentPosition !== getCurrentPosition) {
+            report(IntegrityTechniques.REPLACED_AFTER_LOAD, 'navigator.geolocation.getCurrentPosition',
+                'differs from the function seen when the SDK loaded');
+        }
+        if (Object.prototype.hasOwnProperty.call(this.snapshot, 'toString') && Function.prototype.toString !== this.snapshot.toString) {
+            report(IntegrityTechniques.REPLACED_AFTER_LOAD, 'Function.prototype.toString',
+                'differs from the function seen when the SDK loaded');
+        }
+    }
+
+    /**
+     * @description A Proxy takes no part in the check for prototype cycles, so making a function
+     * inherit from an object that inherits from it succeeds for a Proxy and throws for anything else.
+     * The prototype is restored right away.
+     * @param {function} fn - The function.
+     * @returns {boolean} True if the function is a Proxy.
+     */
+    isProxy(fn) {
+        let prototype;
+        try {
+            prototype = Object.getPrototypeOf(fn);
+            Object.setPrototypeOf(fn, Object.create(fn));
+        } catch (e) {
+            return false;
+        }
+        Object.setPrototypeOf(fn, prototype);
+        return true;
+    }
+
+    sourceOf(fn, toString) {
+        try {
+            return toString.call(fn);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    isNativeSource(source, name) {
+        const match = source !== null ? NATIVE_SOURCE.exec(source.trim()) : null;
+        return Boolean(match) && match[1] === name;
+    }
+}
+
+window.GeolocationIntegrityChecker = GeolocationIntegrityChecker;
+window.IntegrityTechniques = IntegrityTechniques;
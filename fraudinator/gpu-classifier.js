@@ -0,0 +1,381 @@
+// GPU Classifier Module
+// Tells the virtual display adapters of VMware, VirtualBox, Hyper-V and Parallels and the software
+// rasterizers SwiftShader and llvmpipe from a real GPU. The renderer string and
+// WEBGL_debug_renderer_info are easy to mask, so the classifier also probes what the adapter can do:
+// the WebGL/WebGL2 limits, the supported extensions and the shader precision formats, compared with
+// the profiles below, and how long a small fragment-heavy scene takes to render. A profile that fits
+// while the renderer string names another GPU is reported as a spoofed renderer. Registered as the
+// 'gpu' detector; FraudDetector owns one classifier, which probes the adapter once, and merges its
+// result into the environment section with the remote desktop checks.
+
+// Capability profiles of the virtual and software adapters as Chrome reports them through ANGLE.
+// `limits` are getParameter() values, `missingExtensions` extensions the adapter never exposes,
+// `webgl2` whether it gets a WebGL2 context at all, and `software` adapters rasterize on the CPU,
+// so they cannot render the benchmark at GPU speed.
+const GPU_SIGNATURES = [
+    {
+        name: 'SwiftShader',
+        kind: 'software',
+        renderer: /swiftshader|subzero/i,
+        software: true,
+        limits: {
+            MAX_TEXTURE_SIZE: 8192, MAX_RENDERBUFFER_SIZE: 8192, MAX_VIEWPORT_DIMS: [8192, 8192],
+            MAX_VERTEX_UNIFORM_VECTORS: 256, MAX_FRAGMENT_UNIFORM_VECTORS: 256, MAX_VARYING_VECTORS: 31,
+            ALIASED_LINE_WIDTH_RANGE: [1, 1], ALIASED_POINT_SIZE_RANGE: [1, 1024], MAX_SAMPLES: 4
+        }
+    },
+    {
+        name: 'llvmpipe',
+        kind: 'software',
+        renderer: /llvmpipe|softpipe|mesa offscreen/i,
+        software: true,
+        limits: {
+            MAX_TEXTURE_SIZE: 16384, MAX_RENDERBUFFER_SIZE: 16384, MAX_VIEWPORT_DIMS: [16384, 16384],
+            MAX_VERTEX_UNIFORM_VECTORS: 4096, MAX_FRAGMENT_UNIFORM_VECTORS: 4096, MAX_VARYING_VECTORS: 32,
+            ALIASED_LINE_WIDTH_RANGE: [1, 255], ALIASED_POINT_SIZE_RANGE: [1, 255], MAX_SAMPLES: 4
+        }
+    },
+    {
+        // Hyper-V guests without GPU passthrough render through WARP, the Direct3D software rasterizer
+        name: 'Hyper-V',
+        kind: 'virtual',
+        renderer: /microsoft basic render driver|hyper-v|remotefx|rdp display miniport/i,
+        software: true,
+        limits: {
+            MAX_TEXTURE_SIZE: 16384, MAX_RENDERBUFFER_SIZE: 16384, MAX_VIEWPORT_DIMS: [16384, 16384],
+            MAX_VERTEX_UNIFORM_VECTORS: 4096, MAX_FRAGMENT_UNIFORM_VECTORS: 1024, MAX_VARYING_VECTORS: 30,
+            ALIASED_LINE_WIDTH_RANGE: [1, 1], ALIASED_POINT_SIZE_RANGE: [1, 1024], MAX_SAMPLES: 8
+        }
+    },
+    {
+        name: 'VMware SVGA',
+        kind: 'virtual',
+        renderer: /vmware|svga3d/i,
+        limits: {
+            MAX_TEXTURE_SIZE: 8192, MAX_RENDERBUFFER_SIZE: 8192, MAX_VIEWPORT_DIMS: [8192, 8192],
+            MAX_VERTEX_UNIFORM_VECTORS: 4096, MAX_FRAGMENT_UNIFORM_VECTORS: 4096, MAX_VARYING_VECTORS: 32,
+            ALIASED_LINE_WIDTH_RANGE: [1, 1], ALIASED_POINT_SIZE_RANGE: [1, 63], MAX_SAMPLES: 4
+        }
+    },
+    {
+        // The VirtualBox WDDM driver offers Direct3D 9 only: ANGLE falls back to its D3D9 renderer,
+        // with the D3D9 uniform limits and no WebGL2
+        name: 'VirtualBox',
+        kind: 'virtual',
+        renderer: /virtualbox|vbox/i,
+        webgl2: false,
+        limits: {
+            MAX_TEXTURE_SIZE: 8192, MAX_RENDERBUFFER_SIZE: 8192, MAX_VIEWPORT_DIMS: [8192, 8192],
+            MAX_VERTEX_UNIFORM_VECTORS: 254, MAX_FRAGMENT_UNIFORM_VECTORS: 221, MAX_VARYING_VECTORS: 10,
+            ALIASED_LINE_WIDTH_RANGE: [1, 1], ALIASED_POINT_SIZE_RANGE: [1, 256]
+        },
+        missingExtensions: ['WEBGL_draw_buffers', 'EXT_texture_filter_anisotropic']
+    },
+    {
+        // The Parallels display adapter runs at Direct3D feature level 10_1
+        name: 'Parallels',
+        kind: 'virtual',
+        renderer: /parallels/i,
+        limits: {
+            MAX_TEXTURE_SIZE: 8192, MAX_RENDERBUFFER_SIZE: 8192, MAX_VIEWPORT_DIMS: [8192, 8192],
+            MAX_VERTEX_UNIFORM_VECTORS: 4096, MAX_FRAGMENT_UNIFORM_VECTORS: 1024, MAX_VARYING_VECTORS: 30,
+            ALIASED_LINE_WIDTH_RANGE: [1, 1], ALIASED_POINT_SIZE_RANGE: [1, 1024], MAX_SAMPLES: 4
+        },
+        missingExtensions: ['EXT_color_buffer_half_float']
+    }
+];
+
+const GPU_WEBGL_LIMITS = [
+    'MAX_TEXTURE_SIZE', 'MAX_RENDERBUFFER_SIZE', 'MAX_VIEWPORT_DIMS', 'MAX_VERTEX_UNIFORM_VECTORS',
+    'MAX_FRAGMENT_UNIFORM_VECTORS', 'MAX_VARYING_VECTORS', 'ALIASED_LINE_WIDTH_RANGE', 'ALIASED_POINT_SIZE_RANGE'
+];
+const GPU_WEBGL2_LIMITS = ['MAX_SAMPLES', 'MAX_3D_TEXTURE_SIZE'];
+// Share of a profile's traits the adapter must match to be classified as that profile
+const GPU_MATCH_SHARE = 0.8;
+// Mobile GPUs, whose lowp and mediump floats are narrower than highp
+const GPU_MOBILE_RENDERER = /adreno|mali|powervr|apple gpu/i;
+
+// The benchmark: a few frames of a trigonometric loop over every pixel of a small canvas. A GPU
+// renders one in well under a millisecond; a CPU rasterizer takes tens of milliseconds.
+const GPU_BENCHMARK_SIZE = 256;
+const GPU_BENCHMARK_FRAMES = 4;
+const GPU_BENCHMARK_ITERATIONS = 64;
+const GPU_SOFTWARE_FRAME_MS = 8;
+
+const GPU_BENCHMARK_VERTEX_SHADER = 'attribute vec2 position; void main() { gl_Position = vec4(position, 0.0, 1.0); }';
+const GPU_BENCHMARK_FRAGMENT_SHADER = `precision highp float;
+uniform float seed;
+void main() {
+    vec2 v = gl_FragCoord.xy * seed;
+    for (int i = 0; i < ${GPU_BENCHMARK_ITERATIONS}; i++) {
+        v = vec2(sin(v.x + v.y), cos(v.x - v.y));
+    }
+    gl_FragColor = vec4(v, 0.0, 1.0);
+}`;
+
+/**
+ * @class GpuClassifier
+ * @description Classifies the WebGL adapter as a real GPU, a virtual display adapter or a software
+ * rasterizer.
+ */
+class GpuClassifier {
+    constructor() {
+        this.profile = null;
+    }
+
+    /**
+     * @description Reads a getParameter() value, with typed arrays turned into plain arrays.
+     */
+    #readParameter(gl, name) {
+        if (gl[name] === undefined) return null;
+        const value = gl.getParameter(gl[name]);
+        if (value === null || value === undefined) return null;
+        return typeof value === 'object' && 'length' in value ? Array.from(value) : value;
+    }
+
+    /**
+     * @returns {object|null} Precision bits of the float formats, by shader type.
+     */
+    #readPrecision(gl) {
+        if (typeof gl.getShaderPrecisionFormat !== 'function') return null;
+        const precision = {};
+        [['vertex', 'VERTEX_SHADER'], ['fragment', 'FRAGMENT_SHADER']].forEach(([shader, shaderType]) => {
+            precision[shader] = {};
+            [['low', 'LOW_FLOAT'], ['medium', 'MEDIUM_FLOAT'], ['high', 'HIGH_FLOAT']].forEach(([name, precisionType]) => {
+                const format = gl.getShaderPrecisionFormat(gl[shaderType], gl[precisionType]);
+                precision[shader][name] = format ? format.precision : null;
+            });
+        });
+        return precision;
+    }
+
+    /**
+     * @description Renders the benchmark scene and times it, reading a pixel back after the last
+     * frame so that the time includes the rendering and not just the queueing of the draw calls.
+     * @returns {object|null} `{ frameMs, frames }`, or null when the scene could not be set up.
+     */
+    #benchmark(gl) {
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            return gl.getShaderParameter(shader, gl.COMPILE_STATUS) ? shader : null;
+        };
+
+        const vertexShader = compile(gl.VERTEX_SHADER, GPU_BENCHMARK_VERTEX_SHADER);
+        const fragmentShader = compile(gl.FRAGMENT_SHADER, GPU_BENCHMARK_FRAGMENT_SHADER);
+        if (!vertexShader || !fragmentShader) return null;
+        const program = gl.createProgram();
+        gl.attachShader(program, vertexShader);
+        gl.attachShader(program, fragmentShader);
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) return null;
+
+        const buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        // One triangle that covers the whole viewport
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), gl.STATIC_DRAW);
+        gl.useProgram(program);
+        const position = gl.getAttribLocation(program, 'position');
+        gl.enableVertexAttribArray(position);
+        gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+        gl.viewport(0, 0, GPU_BENCHMARK_SIZE, GPU_BENCHMARK_SIZE);
+        const seed = gl.getUniformLocation(program, 'seed');
+        const pixel = new Uint8Array(4);
+        const drawFrame = frame => {
+            gl.uniform1f(seed, 1 + frame / 10);
+            gl.drawArrays(gl.TRIANGLES, 0, 3);
+        };
+
+        // The first frame includes the driver's shader compilation and is not timed
+        drawFrame(0);
+        gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+        const start = performance.now();
+        for (let frame = 1; frame <= GPU_BENCHMARK_FRAMES; frame++) drawFrame(frame);
+        gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+        const elapsed = performance.now() - start;
+
+        gl.deleteBuffer(buffer);
+        gl.deleteProgram(program);
+        gl.deleteShader(vertexShader);
+        gl.deleteShader(fragmentShader);
+        return { frameMs: Math.round(elapsed / GPU_BENCHMARK_FRAMES * 100) / 100, frames: GPU_BENCHMARK_FRAMES };
+    }
+
+    /**
+     * @description Probes the WebGL adapter once; the result is kept for later analyses.
+     * @returns {object|null} The adapter's strings, limits, extensions, precision formats and
+     * benchmark, or null without WebGL.
+     */
+    probe() {
+        if (this.profile) return this.profile;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = GPU_BENCHMARK_SIZE;
+        canvas.height = GPU_BENCHMARK_SIZE;
+        const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+        if (!gl) return null;
+
+        const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+        const limits = {};
+        GPU_WEBGL_LIMITS.forEach(name => {
+            limits[name] = this.#readParameter(gl, name);
+        });
+        // A separate canvas: a canvas keeps the first kind of context it was asked for
+        const gl2 = document.createElement('canvas').getContext('webgl2');
+        if (gl2) {
+            GPU_WEBGL2_LIMITS.forEach(name => {
+                limits[name] = this.#readParameter(gl2, name);
+            });
+        }
+
+        let benchmark = null;
+        try {
+            benchmark = this.#benchmark(gl);
+        } catch (e) {
+            fraudLogger.debug('GPU benchmark failed:', e.message);
+        }
+
+        this.profile = {
+            vendor: debugInfo ? gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL) : gl.getParameter(gl.VENDOR),
+            renderer: debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : gl.getParameter(gl.RENDERER),
+            debugInfo: Boolean(debugInfo),
+            webgl2: Boolean(gl2),
+            limits,
+            extensions: Array.from(gl.getSupportedExtensions() || []),
+            precision: this.#readPrecision(gl),
+            benchmark
+        };
+        return this.profile;
+    }
+
+    /**
+     * @description Scores how well a profile fits a signature.
+     * @returns {number} The share of the signature's traits the profile has, in [0, 1]. A software
+     * signature never fits an adapter that rendered the benchmark at GPU speed.
+     */
+    matchSignature(signature, profile) {
+        if (signature.software && profile.benchmark && profile.benchmark.frameMs < GPU_SOFTWARE_FRAME_MS) return 0;
+
+        let traits = 0;
+        let matched = 0;
+        Object.entries(signature.limits).forEach(([name, expected]) => {
+            const actual = profile.limits[name];
+            // Without WebGL2 the WebGL2 limits cannot be compared
+            if ((actual === null || actual === undefined) && GPU_WEBGL2_LIMITS.includes(name)) return;
+            traits++;
+            if (JSON.stringify(actual) === JSON.stringify(expected)) matched++;
+        });
+        (signature.missingExtensions || []).forEach(name => {
+            traits++;
+            if (!profile.extensions.includes(name)) matched++;
+        });
+        if (signature.webgl2 !== undefined) {
+            traits++;
+            if (profile.webgl2 === signature.webgl2) matched++;
+        }
+        if (signature.software && profile.benchmark) {
+            traits++;
+            matched++;
+        }
+        return traits === 0 ? 0 : matched / traits;
+    }
+
+    /**
+     * @description Classifies the adapter from its renderer string and its capabilities.
+     * @returns {object} `{ adapter, kind, basis, claimed, match, softwareRendering, spoofed }`.
+     * `adapter` is the profile the capabilities fit, or else the one the renderer string names;
+     * `basis` says which.
+     */
+    classify(profile) {
+        const renderer = profile.renderer || '';
+        const claimed = GPU_SIGNATURES.find(signature => signature.renderer.test(renderer)) || null;
+        const matches = GPU_SIGNATURES
+            .map(signature => ({ signature, share: this.matchSignature(signature, profile) }))
+            .sort((a, b) => b.share - a.share);
+        const best = matches[0].share >= GPU_MATCH_SHARE ? matches[0] : null;
+        const adapter = best ? best.signature : claimed;
+        const slowRendering = Boolean(profile.benchmark && profile.benchmark.frameMs >= GPU_SOFTWARE_FRAME_MS);
+
+        // The capabilities of one adapter behind the name of another, or of a desktop behind the name
+        // of a mobile GPU whose low and medium precision floats would be narrower
+        let spoofed = null;
+        if (best && profile.debugInfo && claimed !== best.signature) {
+            spoofed = { reason: 'capabilities', renderer, adapter: best.signature.name };
+        } else if (!adapter && GPU_MOBILE_RENDERER.test(renderer) && profile.precision) {
+            const { low, high } = profile.precision.fragment;
+            if (low !== null && low === high) spoofed = { reason: 'precision', renderer, precision: profile.precision.fragment };
+        }
+
+        return {
+            adapter: adapter ? adapter.name : null,
+            kind: adapter ? adapter.kind : null,
+            basis: best ? 'capabilities' : (claimed ? 'renderer' : null),
+            claimed: claimed ? claimed.name : null,
+            match: best ? Math.round(best.share * 100) / 100 : null,
+            softwareRendering: slowRendering || Boolean(adapter && adapter.software),
+            spoofed
+        };
+    }
+
+    /**
+     * @description Probes and classifies the adapter.
+     * @returns {object} `{ score, indicators, details }`.
+     */
+    analyze() {
+        const profile = this.probe();
+        if (!profile) return { score: 0, indicators: [], details: { webgl: false } };
+
+        const classification = this.classify(profile);
+        const indicators = [];
+        const addIndicator = (code, evidence, message) => {
+            indicators.push(createIndicator({ code, source: 'remoteDesktop', evidence, message }));
+        };
+        const benchmark = profile.benchmark;
+        const { adapter, kind, basis, spoofed } = classification;
+
+        if (kind === 'virtual') {
+            addIndicator(IndicatorCodes.GPU_VIRTUAL_ADAPTER, { adapter, basis, match: classification.match },
+                basis === 'capabilities' ? `GPU capabilities match the ${adapter} virtual display adapter` : `Renderer is the ${adapter} virtual display adapter`);
+        }
+        if (classification.softwareRendering) {
+            const frameMs = benchmark ? benchmark.frameMs : null;
+            const cause = adapter && kind === 'software' ? `${adapter} rasterizes on the CPU` : 'the GPU renders at the speed of a CPU rasterizer';
+            addIndicator(IndicatorCodes.GPU_SOFTWARE_RENDERING, { adapter, basis, frameMs },
+                frameMs === null ? `WebGL is rendered in software: ${cause}` : `WebGL is rendered in software: ${cause} (${frameMs}ms per benchmark frame)`);
+        }
+        if (spoofed) {
+            addIndicator(IndicatorCodes.GPU_RENDERER_MISMATCH, spoofed,
+                spoofed.reason === 'capabilities'
+                    ? `Renderer claims "${spoofed.renderer}", but the GPU capabilities are those of ${spoofed.adapter}`
+                    : `Renderer claims the mobile GPU "${spoofed.renderer}", but shader precision is that of a desktop`);
+        }
+
+        return {
+            score: sumIndicatorWeights(indicators),
+            indicators,
+            details: {
+                webgl: true,
+                webgl2: profile.webgl2,
+                renderer: profile.renderer,
+                debugInfo: profile.debugInfo,
+                ...classification,
+                frameMs: benchmark ? benchmark.frameMs : null,
+                limits: profile.limits,
+                extensions: profile.extensions.length
+            }
+        };
+    }
+}
+
+window.GpuClassifier = GpuClassifier;
+
+if (typeof detectorRegistry !== 'undefined') {
+    detectorRegistry.register({
+        id: 'gpu',
+        category: 'remoteDesktop',
+        mergedInto: 'environment',
+        description: 'WebGL limits, extensions, precision and render speed of virtual and software GPUs',
+        run: ({ detector }) => (detector && detector.gpuClassifier ? detector.gpuClassifier.analyze() : null)
+    });
+}
@@ -0,0 +1,232 @@
+/**
+ * @description Structured fraud indicators shared by every detector module.
+ *
+ * An indicator is a plain, frozen record:
+ *   {
+ *     code: 'TIMEZONE_MISMATCH',    // stable identifier, never reworded
+ *     source: 'location',           // detector / module that raised it
+ *     qualifier: null,              // refines the code for the policy (VPN provider, signature id)
+ *     severity: 'critical',         // see IndicatorSeverity
+ *     weight: 25,                   // points it added, taken from the active ScoringPolicy
+ *     evidence: { ... },            // machine-readable data backing the finding
+ *     message: 'Timezone mismatch: ...' // human readable, for display only
+ *   }
+ *
+ * Verdicts must be derived from `code` (and `weight`), never from `message`. Which codes are
+ * critical is decided by the active ScoringPolicy.
+ */
+const IndicatorSeverity = Object.freeze({
+    INFO: 'info',
+    LOW: 'low',
+    MEDIUM: 'medium',
+    HIGH: 'high',
+    CRITICAL: 'critical'
+});
+
+const IndicatorCodes = Object.freeze({
+    // Location (FraudDetector.detectLocationSpoofing / detectLocationSignatures)
+    FAST_GEOLOCATION_RESPONSE: 'FAST_GEOLOCATION_RESPONSE',
+    ACCURACY_TOO_HIGH: 'ACCURACY_TOO_HIGH',
+    ACCURACY_TOO_LOW: 'ACCURACY_TOO_LOW',
+    ROUNDED_COORDINATES: 'ROUNDED_COORDINATES',
+    TIMEZONE_MISMATCH: 'TIMEZONE_MISMATCH',
+    SUSPICIOUS_LOCATION: 'SUSPICIOUS_LOCATION',
+    DEVTOOLS_ACCURACY_SIGNATURE: 'DEVTOOLS_ACCURACY_SIGNATURE',
+    SPOOFER_ACCURACY_SIGNATURE: 'SPOOFER_ACCURACY_SIGNATURE',
+    DEVTOOLS_DEFAULT_LOCATION: 'DEVTOOLS_DEFAULT_LOCATION',
+    UNREALISTIC_COORDINATE_PRECISION: 'UNREALISTIC_COORDINATE_PRECISION',
+    EMULATOR_COORDINATES: 'EMULATOR_COORDINATES',
+    LOCATION_UNTRUSTED_DEVTOOLS: 'LOCATION_UNTRUSTED_DEVTOOLS',
+    LOCALE_LOCATION_MISMATCH: 'LOCALE_LOCATION_MISMATCH',
+    GPS_FIELDS_MISSING: 'GPS_FIELDS_MISSING',
+    ALTITUDE_IMPLAUSIBLE: 'ALTITUDE_IMPLAUSIBLE',
+
+    // Location behavior (LocationBehaviorAnalyzer)
+    IMPOSSIBLE_TRAVEL_SPEED: 'IMPOSSIBLE_TRAVEL_SPEED',
+    SUSPICIOUS_TRAVEL_SPEED: 'SUSPICIOUS_TRAVEL_SPEED',
+    LOW_PRECISION_COORDINATES: 'LOW_PRECISION_COORDINATES',
+    PERFECT_ROUND_COORDINATES: 'PERFECT_ROUND_COORDINATES',
+    UNREALISTIC_ACCURACY_PATTERN: 'UNREALISTIC_ACCURACY_PATTERN',
+    EXTREME_ACCURACY_VARIATION: 'EXTREME_ACCURACY_VARIATION',
+    STATIC_ACCURACY: 'STATIC_ACCURACY',
+    COMMON_SPOOFED_ACCURACY: 'COMMON_SPOOFED_ACCURACY',
+    ZERO_POSITION_JITTER: 'ZERO_POSITION_JITTER',
+    JITTER_INCONSISTENT_WITH_ACCURACY: 'JITTER_INCONSISTENT_WITH_ACCURACY',
+    SPEED_MISMATCH: 'SPEED_MISMATCH',
+    HEADING_MISMATCH: 'HEADING_MISMATCH',
+    SENSORS_STILL_WHILE_MOVING: 'SENSORS_STILL_WHILE_MOVING',
+    SENSORS_MOVING_WHILE_STATIONARY: 'SENSORS_MOVING_WHILE_STATIONARY',
+
+    // Cross-session travel (FraudDetector.detectTravelSinceLastSession)
+    IMPOSSIBLE_TRAVEL_SINCE_LAST_SESSION: 'IMPOSSIBLE_TRAVEL_SINCE_LAST_SESSION',
+
+    // Geolocation API integrity (FraudDetector.detectGeolocationHooks / detectRealmDisagreement)
+    GEOLOCATION_API_HOOKED: 'GEOLOCATION_API_HOOKED',
+    GEOLOCATION_REALM_MISMATCH: 'GEOLOCATION_REALM_MISMATCH',
+
+    // IP geolocation, checked on the server (server/ip-geolocation.js)
+    IP_COUNTRY_MISMATCH: 'IP_COUNTRY_MISMATCH',
+    IP_DISTANCE_MISMATCH: 'IP_DISTANCE_MISMATCH',
+    IP_TIMEZONE_MISMATCH: 'IP_TIMEZONE_MISMATCH',
+
+    // Remote desktop (FraudDetector.detectRemoteDesktop)
+    RDP_COMMON_RESOLUTION: 'RDP_COMMON_RESOLUTION',
+    RDP_LOW_COLOR_DEPTH: 'RDP_LOW_COLOR_DEPTH',
+    RDP_USER_AGENT: 'RDP_USER_AGENT',
+    VIRTUALIZATION_USER_AGENT: 'VIRTUALIZATION_USER_AGENT',
+
+    // Mouse dynamics (MouseDynamicsDetector), merged into the remote desktop section
+    MOUSE_LINEAR_PATHS: 'MOUSE_LINEAR_PATHS',
+    MOUSE_POSITION_JUMPS: 'MOUSE_POSITION_JUMPS',
+    MOUSE_EVENT_BATCHING: 'MOUSE_EVENT_BATCHING',
+    MOUSE_QUANTIZED_SAMPLING: 'MOUSE_QUANTIZED_SAMPLING',
+    MOUSE_UNIFORM_PAUSES: 'MOUSE_UNIFORM_PAUSES',
+    MOUSE_CONSTANT_VELOCITY: 'MOUSE_CONSTANT_VELOCITY',
+    MOUSE_INTEGER_COORDINATES: 'MOUSE_INTEGER_COORDINATES',
+
+    // GPU classification (GpuClassifier), merged into the remote desktop section
+    GPU_VIRTUAL_ADAPTER: 'GPU_VIRTUAL_ADAPTER',
+    GPU_SOFTWARE_RENDERING: 'GPU_SOFTWARE_RENDERING',
+    GPU_RENDERER_MISMATCH: 'GPU_RENDERER_MISMATCH',
+
+    // Frame cadence (FrameCadenceSampler), merged into the remote desktop section
+    FRAME_RATE_NONSTANDARD: 'FRAME_RATE_NONSTANDARD',
+    FRAME_RATE_DEVICE_MISMATCH: 'FRAME_RATE_DEVICE_MISMATCH',
+    FRAME_TIMING_JITTER: 'FRAME_TIMING_JITTER',
+    FRAME_DROPS_PERIODIC: 'FRAME_DROPS_PERIODIC',
+
+    // Keystroke dynamics (KeystrokeDynamicsDetector)
+    KEYSTROKE_BATCHED_INPUT: 'KEYSTROKE_BATCHED_INPUT',
+    KEYSTROKE_QUANTIZED_TIMING: 'KEYSTROKE_QUANTIZED_TIMING',
+    KEYSTROKE_CONSTANT_RHYTHM: 'KEYSTROKE_CONSTANT_RHYTHM',
+    KEYSTROKE_UNIFORM_DWELL: 'KEYSTROKE_UNIFORM_DWELL',
+    KEYSTROKE_PASTE_ONLY: 'KEYSTROKE_PASTE_ONLY',
+
+    // Browser automation (AutomationDetector)
+    AUTOMATION_WEBDRIVER: 'AUTOMATION_WEBDRIVER',
+    AUTOMATION_SELENIUM_ARTIFACTS: 'AUTOMATION_SELENIUM_ARTIFACTS',
+    AUTOMATION_FRAMEWORK_BINDINGS: 'AUTOMATION_FRAMEWORK_BINDINGS',
+    AUTOMATION_HEADLESS_USER_AGENT: 'AUTOMATION_HEADLESS_USER_AGENT',
+    AUTOMATION_CHROME_RUNTIME_MISSING: 'AUTOMATION_CHROME_RUNTIME_MISSING',
+    AUTOMATION_PERMISSIONS_INCONSISTENT: 'AUTOMATION_PERMISSIONS_INCONSISTENT',
+    AUTOMATION_ZERO_OUTER_DIMENSIONS: 'AUTOMATION_ZERO_OUTER_DIMENSIONS',
+    AUTOMATION_CDP_RUNTIME: 'AUTOMATION_CDP_RUNTIME',
+
+    // DevTools and console
+    DEVTOOLS_DEBUGGER_TIMING: 'DEVTOOLS_DEBUGGER_TIMING',
+    DEVTOOLS_WINDOW_DIMENSIONS: 'DEVTOOLS_WINDOW_DIMENSIONS',
+    DEVTOOLS_OPENED_DURING_SESSION: 'DEVTOOLS_OPENED_DURING_SESSION',
+    DEVTOOLS_REALTIME: 'DEVTOOLS_REALTIME',
+    DEVTOOLS_GLOBALS: 'DEVTOOLS_GLOBALS',
+    FUNCTION_TOSTRING_OVERRIDE: 'FUNCTION_TOSTRING_OVERRIDE',
+    CONSOLE_USAGE: 'CONSOLE_USAGE',
+    CONSOLE_METHOD_OVERRIDDEN: 'CONSOLE_METHOD_OVERRIDDEN',
+    FUNCTION_TOSTRING_MODIFIED: 'FUNCTION_TOSTRING_MODIFIED',
+
+    // Extensions (ExtensionDetector and the mutation observer)
+    KNOWN_EXTENSION_ARTIFACT: 'KNOWN_EXTENSION_ARTIFACT',
+    EXTENSION_GLOBAL_OBJECT: 'EXTENSION_GLOBAL_OBJECT',
+    EXTENSION_DOM_ELEMENTS: 'EXTENSION_DOM_ELEMENTS',
+    EXTENSION_DOM_ARTIFACT: 'EXTENSION_DOM_ARTIFACT',
+    GENERIC_SPOOFING_EXTENSION: 'GENERIC_SPOOFING_EXTENSION',
+    KNOWN_SPOOFING_EXTENSION_ID: 'KNOWN_SPOOFING_EXTENSION_ID',
+    UNKNOWN_EXTENSION_ID: 'UNKNOWN_EXTENSION_ID',
+    EXTENSION_CSS_VARIABLE: 'EXTENSION_CSS_VARIABLE',
+    EXTENSION_CONSOLE_ERRORS: 'EXTENSION_CONSOLE_ERRORS',
+    GEOLOCATION_API_MODIFIED: 'GEOLOCATION_API_MODIFIED',
+    FETCH_API_MODIFIED: 'FETCH_API_MODIFIED',
+    XHR_API_MODIFIED: 'XHR_API_MODIFIED',
+    WEBRTC_MODIFIED: 'WEBRTC_MODIFIED',
+
+    // VPN and proxies (VPNDetector)
+    VPN_GLOBAL_OBJECT: 'VPN_GLOBAL_OBJECT',
+    VPN_DOM_ELEMENTS: 'VPN_DOM_ELEMENTS',
+    VPN_USER_AGENT_PROVIDER: 'VPN_USER_AGENT_PROVIDER',
+    VPN_EXTENSION_ID: 'VPN_EXTENSION_ID',
+    VPN_USER_AGENT_KEYWORD: 'VPN_USER_AGENT_KEYWORD',
+    WEBRTC_LEAK_PROTECTION: 'WEBRTC_LEAK_PROTECTION',
+    UNUSUAL_CONNECTION_TYPE: 'UNUSUAL_CONNECTION_TYPE',
+    DNS_OVER_HTTPS: 'DNS_OVER_HTTPS',
+    ZSCALER_PROXY: 'ZSCALER_PROXY',
+    PROXY_METADATA: 'PROXY_METADATA',
+    PROXY_AUTO_CONFIG: 'PROXY_AUTO_CONFIG',
+    WPAD_PROXY: 'WPAD_PROXY',
+
+    // Device data masking (DeviceDataMaskingDetector)
+    CANVAS_MANIPULATED: 'CANVAS_MANIPULATED',
+    WEBGL_UNAVAILABLE: 'WEBGL_UNAVAILABLE',
+    WEBGL_SOFTWARE_RENDERER: 'WEBGL_SOFTWARE_RENDERER',
+    WEBGL_DEBUG_INFO_HIDDEN: 'WEBGL_DEBUG_INFO_HIDDEN',
+    AUDIO_CONTEXT_BLOCKED: 'AUDIO_CONTEXT_BLOCKED',
+    AUDIO_DEFAULT_VALUES: 'AUDIO_DEFAULT_VALUES',
+    LOW_CPU_CORES: 'LOW_CPU_CORES',
+    HIGH_CPU_CORES: 'HIGH_CPU_CORES',
+    LOW_DEVICE_MEMORY: 'LOW_DEVICE_MEMORY',
+    HIGH_DEVICE_MEMORY: 'HIGH_DEVICE_MEMORY',
+    LOW_SCREEN_RESOLUTION: 'LOW_SCREEN_RESOLUTION',
+    UNUSUAL_ASPECT_RATIO: 'UNUSUAL_ASPECT_RATIO',
+    VM_RESOLUTION_LOW_COLOR_DEPTH: 'VM_RESOLUTION_LOW_COLOR_DEPTH',
+    SUSPICIOUS_TIMEZONE_CONFIG: 'SUSPICIOUS_TIMEZONE_CONFIG',
+    SUSPICIOUS_PLUGINS: 'SUSPICIOUS_PLUGINS',
+    MEDIA_DEVICES_MASKED: 'MEDIA_DEVICES_MASKED',
+    MEDIA_DEVICES_BLOCKED: 'MEDIA_DEVICES_BLOCKED',
+    GENERIC_LANGUAGE_PLATFORM: 'GENERIC_LANGUAGE_PLATFORM'
+});
+
+/**
+ * @description Creates a structured indicator record. The weight comes from the active scoring
+ * policy; `weight` is only used for codes the policy does not know (e.g. custom detectors).
+ * @param {object} spec - `{ code, source, qualifier, weight, evidence, message, severity }`.
+ * `qualifier` refines the policy lookup (VPN provider, extension name). When `severity` is
+ * omitted it is derived by the policy from the code's criticality and the weight.
+ * @returns {object} A frozen indicator.
+ */
+function createIndicator({ code, source, qualifier, weight = 0, evidence = {}, message, severity }) {
+    if (typeof code !== 'string' || !code) {
+        throw new Error('Indicator requires a code');
+    }
+    if (typeof source !== 'string' || !source) {
+        throw new Error(`Indicator ${code} requires a source`);
+    }
+
+    const policy = ScoringPolicy.requireActive();
+    const policyWeight = policy.weight(code, qualifier);
+    const resolvedWeight = policyWeight !== undefined ? policyWeight : weight;
+
+    return Object.freeze({
+        code,
+        source,
+        qualifier: qualifier === undefined ? null : qualifier,
+        severity: severity || policy.severity(code, resolvedWeight),
+        weight: resolvedWeight,
+        evidence: Object.freeze({ ...evidence }),
+        message: message || code
+    });
+}
+
+/**
+ * @param {object} indicator - A structured indicator.
+ * @returns {boolean} True if the active policy lists the indicator's code as critical.
+ */
+function isCriticalIndicator(indicator) {
+    return ScoringPolicy.requireActive().isCritical(indicator.code);
+}
+
+/**
+ * @param {object[]} indicators - Structured indicators.
+ * @returns {number} The sum of their weights.
+ */
+function sumIndicatorWeights(indicators) {
+    return indicators.reduce((sum, indicator) => sum + indicator.weight, 0);
+}
+
+const FraudIndicators = {
+    Severity: IndicatorSeverity,
+    Codes: IndicatorCodes,
+    create: createIndicator,
+    isCritical: isCriticalIndicator,
+    sumWeights: sumIndicatorWeights
+};
+
+// Make the indicator helpers available globally
+window.FraudIndicators = FraudIndicators;
@@ -0,0 +1,123 @@
+// Isolated realm helpers: a freshly created same-origin iframe has its own copies of the built-ins,
+// which hooks installed on the page do not reach. Workers have no Geolocation API, so an iframe is
+// the only realm the position can be requested from.
+
+// How far apart the answers of two realms may be before they count as disagreeing
+const REALM_TOLERANCES = Object.freeze({
+    // Added to the sum of both accuracy radii
+    distanceMeters: 10,
+    accuracyMeters: 10,
+    accuracyRatio: 0.5,
+    timestampMs: 5000,
+    responseTimeMs: 100,
+    responseTimeRatio: 0.5
+});
+
+/**
+ * @description Creates a hidden same-origin iframe whose built-ins nothing has touched yet.
+ * @returns {object|null} `{ window, dispose() }`, or null where no frame can be created (no
+ * document, or a sandbox or Content Security Policy that blocks it).
+ */
+function openIsolatedRealm() {
+    if (typeof document === 'undefined' || !document.documentElement) return null;
+
+    let frame = null;
+    try {
+        frame = document.createElement('iframe');
+        frame.style.display = 'none';
+        frame.setAttribute('aria-hidden', 'true');
+        frame.setAttribute('allow', 'geolocation');
+        document.documentElement.appendChild(frame);
+        const frameWindow = frame.contentWindow;
+        if (frameWindow && typeof frameWindow.Function === 'function') {
+            return { window: frameWindow, dispose: () => frame.remove() };
+        }
+    } catch (e) {
+        fraudLogger.debug('No isolated realm available:', e.message);
+    }
+    if (frame) frame.remove();
+    return null;
+}
+
+/**
+ * @description Requests the position from a Geolocation object, e.g. an iframe's.
+ * @param {Geolocation} geolocation - The Geolocation object to ask.
+ * @param {PositionOptions} options - The request options.
+ * @returns {Promise<object>} `{ latitude, longitude, accuracy, timestamp, responseTime }`, or
+ * `{ error: { code, message }, responseTime }`. Never rejects.
+ */
+function requestRealmPosition(geolocation, options) {
+    const startTime = Date.now();
+    return new Promise(resolve => {
+        try {
+            geolocation.getCurrentPosition(
+                position => resolve({
+                    latitude: position.coords.latitude,
+                    longitude: position.coords.longitude,
+                    accuracy: position.coords.accuracy,
+                    timestamp: position.timestamp,
+                    responseTime: Date.now() - startTime
+                }),
+                error => resolve({ error: { code: error.code, message: error.message }, responseTime: Date.now() - startTime }),
+                options
+            );
+        } catch (e) {
+            resolve({ error: { code: null, message: e.message }, responseTime: Date.now() - startTime });
+        }
+    });
+}
+
+/**
+ * @description Compares the answers of the page and of an isolated realm to the same request,
+ * made at the same time. A real device serves both from one fix, so they agree closely.
+ * Coordinates further apart than both accuracy radii, or the isolated realm being refused the
+ * permission that the page apparently had, are enough on their own. The accuracy, timestamp and
+ * response time can differ for a queued request, so only two of them together count.
+ * @param {object} main - The page's answer, `{ latitude, longitude, accuracy, timestamp, responseTime }`.
+ * @param {object} isolated - The isolated realm's answer, as from requestRealmPosition().
+ * @returns {object} `{ disagreements, disagree }`, disagreements listing `{ field, main, isolated }`.
+ */
+function compareRealmPositions(main, isolated) {
+    const disagreements = [];
+    const disagree = (field, mainValue, isolatedValue) => disagreements.push({ field, main: mainValue, isolated: isolatedValue });
+    const beyond = (a, b, minimum, ratio) => Math.abs(a - b) > Math.max(minimum, ratio * Math.max(a, b));
+
+    if (isolated.error) {
+        // A timeout says nothing; a refusal means the page's answer did not come from the browser
+        if (isolated.error.code === 1) disagree('permission', 'granted', 'denied');
+        return { disagreements, disagree: disagreements.length > 0 };
+    }
+
+    const distanceMeters = calculateRealmDistanceMeters(main, isolated);
+    if (distanceMeters > main.accuracy + isolated.accuracy + REALM_TOLERANCES.distanceMeters) {
+        disagree('coordinates',
+            { latitude: main.latitude, longitude: main.longitude },
+            { latitude: isolated.latitude, longitude: isolated.longitude });
+    }
+    if (beyond(main.accuracy, isolated.accuracy, REALM_TOLERANCES.accuracyMeters, REALM_TOLERANCES.accuracyRatio)) {
+        disagree('accuracy', main.accuracy, isolated.accuracy);
+    }
+    if (Math.abs(main.timestamp - isolated.timestamp) > REALM_TOLERANCES.timestampMs) {
+        disagree('timestamp', main.timestamp, isolated.timestamp);
+    }
+    if (beyond(main.responseTime, isolated.responseTime, REALM_TOLERANCES.responseTimeMs, REALM_TOLERANCES.responseTimeRatio)) {
+        disagree('responseTime', main.responseTime, isolated.responseTime);
+    }
+
+    const conclusive = disagreements.some(entry => entry.field === 'coordinates');
+    return { disagreements, disagree: conclusive || disagreements.length >= 2 };
+}
+
+// Great-circle distance (Haversine formula)
+function calculateRealmDistanceMeters(a, b) {
+    const toRad = degrees => degrees * (Math.PI / 180);
+    const dLat = toRad(b.latitude - a.latitude);
+    const dLon = toRad(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return 6371000 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+window.openIsolatedRealm = openIsolatedRealm;
+window.requestRealmPosition = requestRealmPosition;
+window.compareRealmPositions = compareRealmPositions;
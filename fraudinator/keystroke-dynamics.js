@@ -0,0 +1,330 @@
+// Keystroke Dynamics Module
+// Records when keys are pressed and released in the form fields of a monitored session and judges
+// the rhythm: keys forwarded by a remote desktop arrive in bursts and on the tick of the session,
+// scripted typing keeps a constant interval, and a form filled only by pasting was never typed.
+// Only timings are kept, never the characters typed. Registered as the 'keystrokeDynamics' detector;
+// FraudDetector owns one recorder per session.
+
+// Keys pressed closer together than this were delivered in one batch
+const KEYSTROKE_BATCH_INTERVAL_MS = 5;
+// A longer gap is the user thinking or reading, not part of the typing rhythm
+const KEYSTROKE_MAX_INTERVAL_MS = 2000;
+// Candidate delivery ticks of a remote session, from 60 Hz screen updates to 20 Hz
+const KEYSTROKE_MIN_TICK_MS = 15;
+const KEYSTROKE_MAX_TICK_MS = 50;
+// How far an interval may be from a whole number of ticks and still count as on the tick
+const KEYSTROKE_TICK_TOLERANCE_MS = 1.5;
+// Minimum amount of typing before the rhythm is judged
+const KEYSTROKE_MIN_INTERVALS = 20;
+
+const KEYSTROKE_FIELD_SELECTOR = 'input, textarea, [contenteditable=""], [contenteditable="true"]';
+const KEYSTROKE_MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'AltGraph', 'CapsLock', 'Fn'];
+const KEYSTROKE_PASTE_INPUT_TYPES = ['insertFromPaste', 'insertFromDrop', 'insertFromPasteAsQuotation'];
+
+const roundTiming = (value, digits = 2) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+function keystrokeMedian(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Coefficient of variation: standard deviation over mean
+function keystrokeVariation(values) {
+    if (values.length < 2) return null;
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    if (mean === 0) return null;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    return Math.sqrt(variance) / mean;
+}
+
+/**
+ * @description Finds the delivery tick that the most intervals are a whole multiple of.
+ * @param {number[]} intervals - Intervals between keys, in milliseconds.
+ * @returns {object} `{ tickMs, share }`. Of ticks that fit as many intervals, a multiple of the
+ * others wins (every interval on a tick is also on its fractions), else the closest fit.
+ */
+function findKeystrokeTick(intervals) {
+    let best = { tickMs: null, share: 0, error: Infinity };
+    if (intervals.length === 0) return { tickMs: null, share: 0 };
+    for (let tenths = KEYSTROKE_MIN_TICK_MS * 10; tenths <= KEYSTROKE_MAX_TICK_MS * 10; tenths++) {
+        const tick = tenths / 10;
+        const offsets = intervals.map(interval => {
+            const multiple = Math.round(interval / tick);
+            return multiple >= 1 ? Math.abs(interval - multiple * tick) : Infinity;
+        }).filter(offset => offset <= KEYSTROKE_TICK_TOLERANCE_MS);
+        const share = offsets.length / intervals.length;
+        const error = offsets.reduce((sum, offset) => sum + offset, 0) / offsets.length;
+        if (share > best.share || (share > 0 && share === best.share && (tick >= best.tickMs * 1.5 || error < best.error))) {
+            best = { tickMs: tick, share, error };
+        }
+    }
+    return { tickMs: best.tickMs, share: best.share };
+}
+
+/**
+ * @class KeystrokeDynamicsDetector
+ * @description Keeps the keystroke timings of a session: for each key pressed in a form field, when
+ * it went down and up and in which field, and which fields were pasted into. Modifier keys,
+ * auto-repeat and shortcuts are left out of the rhythm. Nothing is recorded until start() is called.
+ */
+class KeystrokeDynamicsDetector {
+    /**
+     * @param {object} [options]
+     * @param {EventTarget} [options.target] - Where the keys are listened for. Defaults to the document.
+     * @param {number} [options.maxKeystrokes] - Keystrokes kept; the oldest are dropped first.
+     */
+    constructor({ target = typeof document !== 'undefined' ? document : null, maxKeystrokes = 1000 } = {}) {
+        this.target = target;
+        this.maxKeystrokes = maxKeystrokes;
+        this.keystrokes = [];
+        this.fields = [];
+        this.listeners = null;
+        // Field numbers by element, and keys held down by physical key; neither is reported
+        this.fieldIds = new WeakMap();
+        this.pressed = new Map();
+    }
+
+    /**
+     * @description Starts recording keydown, keyup and input events in the capture phase, so that
+     * handlers of the page cannot hide them.
+     */
+    start() {
+        if (this.listeners || !this.target) return;
+        this.listeners = {
+            keydown: event => this.recordKeyDown(event),
+            keyup: event => this.recordKeyUp(event),
+            input: event => this.recordInput(event)
+        };
+        Object.entries(this.listeners).forEach(([type, listener]) => {
+            this.target.addEventListener(type, listener, { capture: true, passive: true });
+        });
+        fraudLogger.debug('Keystroke dynamics recording started.');
+    }
+
+    /**
+     * @description Stops recording. The timings so far are kept for analyze().
+     */
+    stop() {
+        if (!this.listeners) return;
+        Object.entries(this.listeners).forEach(([type, listener]) => {
+            this.target.removeEventListener(type, listener, { capture: true });
+        });
+        this.listeners = null;
+        this.pressed.clear();
+        fraudLogger.debug('Keystroke dynamics recording stopped.');
+    }
+
+    /**
+     * @description Forgets the recorded timings.
+     */
+    reset() {
+        this.keystrokes = [];
+        this.fields = [];
+        this.fieldIds = new WeakMap();
+        this.pressed.clear();
+    }
+
+    /**
+     * @returns {number|null} The number of the form field an event happened in, or null outside of one.
+     */
+    fieldOf(event) {
+        const element = event.target && typeof event.target.closest === 'function'
+            ? event.target.closest(KEYSTROKE_FIELD_SELECTOR) : null;
+        if (!element) return null;
+        if (!this.fieldIds.has(element)) {
+            this.fieldIds.set(element, this.fields.length);
+            this.fields.push({ keystrokes: 0, pastes: 0 });
+        }
+        return this.fieldIds.get(element);
+    }
+
+    /**
+     * @param {KeyboardEvent} event - A keydown event.
+     */
+    recordKeyDown(event) {
+        if (event.repeat || KEYSTROKE_MODIFIER_KEYS.includes(event.key)) return;
+        const field = this.fieldOf(event);
+        if (field === null) return;
+
+        const shortcut = event.ctrlKey || event.metaKey;
+        const keystroke = this.addKeystroke({
+            down: event.timeStamp,
+            up: null,
+            field,
+            kind: shortcut ? 'shortcut' : (typeof event.key === 'string' && event.key.length === 1 ? 'character' : 'control')
+        });
+        this.pressed.set(event.code || event.key, keystroke);
+    }
+
+    /**
+     * @param {KeyboardEvent} event - A keyup event.
+     */
+    recordKeyUp(event) {
+        const id = event.code || event.key;
+        const keystroke = this.pressed.get(id);
+        if (!keystroke) return;
+        this.pressed.delete(id);
+        keystroke.up = event.timeStamp;
+    }
+
+    /**
+     * @param {InputEvent} event - An input event; pasted and dropped text counts as a paste.
+     */
+    recordInput(event) {
+        if (!KEYSTROKE_PASTE_INPUT_TYPES.includes(event.inputType)) return;
+        const field = this.fieldOf(event);
+        if (field !== null) this.fields[field].pastes++;
+    }
+
+    /**
+     * @param {object} keystroke - `{ down, up, field, kind }`: keydown and keyup timestamps in
+     * milliseconds (up is null until released), field number and 'character', 'control' or 'shortcut'.
+     * @returns {object} The keystroke as recorded.
+     */
+    addKeystroke({ down, up = null, field = 0, kind = 'character' }) {
+        const keystroke = { down, up, field, kind };
+        while (this.fields.length <= field) this.fields.push({ keystrokes: 0, pastes: 0 });
+        if (kind !== 'shortcut') this.fields[field].keystrokes++;
+        this.keystrokes.push(keystroke);
+        if (this.keystrokes.length > this.maxKeystrokes) {
+            this.keystrokes.shift();
+        }
+        return keystroke;
+    }
+
+    /**
+     * @param {number} [field] - Field number. Defaults to a field of its own.
+     */
+    addPaste(field = this.fields.length) {
+        while (this.fields.length <= field) this.fields.push({ keystrokes: 0, pastes: 0 });
+        this.fields[field].pastes++;
+    }
+
+    /**
+     * @description Extracts the timing features from the recorded keystrokes.
+     * @returns {object} The features; each group is null-valued where there is not enough data.
+     */
+    extractFeatures() {
+        const typed = this.keystrokes.filter(keystroke => keystroke.kind !== 'shortcut');
+        const dwells = typed.filter(keystroke => keystroke.up !== null).map(keystroke => keystroke.up - keystroke.down);
+
+        // Key-to-key intervals within a field; the first key in a field and long pauses start over
+        const intervals = [];
+        for (let i = 1; i < typed.length; i++) {
+            const interval = typed[i].down - typed[i - 1].down;
+            if (typed[i].field === typed[i - 1].field && interval >= 0 && interval <= KEYSTROKE_MAX_INTERVAL_MS) {
+                intervals.push(interval);
+            }
+        }
+        // Flight: from releasing a key to pressing the next, negative when they overlap
+        const flights = [];
+        for (let i = 1; i < typed.length; i++) {
+            const previous = typed[i - 1];
+            if (previous.up !== null && typed[i].field === previous.field &&
+                typed[i].down - previous.down <= KEYSTROKE_MAX_INTERVAL_MS) {
+                flights.push(typed[i].down - previous.up);
+            }
+        }
+
+        // The rhythm is that of the keys delivered one at a time
+        const delivered = intervals.filter(interval => interval >= KEYSTROKE_BATCH_INTERVAL_MS);
+        const batched = intervals.length - delivered.length;
+        const { tickMs, share } = findKeystrokeTick(delivered);
+        const filledFields = this.fields.filter(field => field.keystrokes > 0 || field.pastes > 0);
+
+        return {
+            keystrokes: typed.length,
+            shortcuts: this.keystrokes.length - typed.length,
+            intervals: intervals.length,
+            dwell: {
+                medianMs: roundTiming(keystrokeMedian(dwells), 1),
+                variation: roundTiming(keystrokeVariation(dwells), 3)
+            },
+            flight: {
+                medianMs: roundTiming(keystrokeMedian(flights), 1)
+            },
+            rhythm: {
+                medianMs: roundTiming(keystrokeMedian(delivered), 1),
+                variation: roundTiming(keystrokeVariation(delivered), 3)
+            },
+            batching: {
+                batchedShare: intervals.length > 0 ? roundTiming(batched / intervals.length) : null
+            },
+            quantization: {
+                tickMs,
+                onTickShare: tickMs === null ? null : roundTiming(share)
+            },
+            fields: {
+                filled: filledFields.length,
+                typed: filledFields.filter(field => field.keystrokes > 0).length,
+                pasted: filledFields.filter(field => field.pastes > 0).length
+            }
+        };
+    }
+
+    /**
+     * @description Judges the recorded typing.
+     * @returns {object} `{ score, indicators, details }`. details are the extracted features and
+     * `humanLikeness`, 0 (machine-like) to 100 (human-like), or null when too little was typed.
+     */
+    analyze() {
+        const features = this.extractFeatures();
+        const indicators = [];
+        const addIndicator = (code, evidence, message) => {
+            indicators.push(createIndicator({ code, source: 'keystrokeDynamics', evidence, message }));
+        };
+        const percent = share => `${Math.round(share * 100)}%`;
+        const { dwell, rhythm, batching, quantization, fields } = features;
+        let humanLikeness = null;
+
+        if (features.intervals >= KEYSTROKE_MIN_INTERVALS) {
+            if (batching.batchedShare >= 0.3) {
+                addIndicator(IndicatorCodes.KEYSTROKE_BATCHED_INPUT, batching,
+                    `${percent(batching.batchedShare)} of keys arrive within ${KEYSTROKE_BATCH_INTERVAL_MS}ms of the previous one`);
+            }
+            // A constant rhythm is on every tick that divides it; that is reported as such below
+            if (quantization.onTickShare >= 0.8 && rhythm.variation >= 0.1) {
+                addIndicator(IndicatorCodes.KEYSTROKE_QUANTIZED_TIMING, quantization,
+                    `Keys arrive on a fixed ${quantization.tickMs}ms tick`);
+            }
+            if (rhythm.variation !== null && rhythm.variation < 0.1) {
+                addIndicator(IndicatorCodes.KEYSTROKE_CONSTANT_RHYTHM, rhythm,
+                    `Keys are pressed every ${Math.round(rhythm.medianMs)}ms, without the rhythm of a typist`);
+            }
+            if (dwell.medianMs !== null && (dwell.medianMs < 3 || (dwell.variation !== null && dwell.variation < 0.1))) {
+                addIndicator(IndicatorCodes.KEYSTROKE_UNIFORM_DWELL, dwell, dwell.medianMs < 3
+                    ? 'Keys are released as soon as they are pressed'
+                    : `Every key is held for about ${Math.round(dwell.medianMs)}ms`);
+            }
+
+            // Each trait scores 1 when it is as variable as a typist's and 0 when it is as regular as a machine
+            const traits = [
+                Math.min(1, (rhythm.variation || 0) / 0.3),
+                dwell.medianMs < 3 ? 0 : (dwell.variation === null ? 0.5 : Math.min(1, dwell.variation / 0.2)),
+                1 - batching.batchedShare,
+                1 - Math.max(0, ((quantization.onTickShare || 0) - 0.4) / 0.6)
+            ];
+            humanLikeness = Math.round(100 * traits.reduce((sum, trait) => sum + trait, 0) / traits.length);
+        }
+
+        if (fields.filled > 0 && fields.typed === 0) {
+            addIndicator(IndicatorCodes.KEYSTROKE_PASTE_ONLY, fields,
+                `${fields.pasted} form field${fields.pasted === 1 ? ' was' : 's were'} filled by pasting, without typing`);
+        }
+
+        return { score: sumIndicatorWeights(indicators), indicators, details: { ...features, humanLikeness } };
+    }
+}
+
+window.KeystrokeDynamicsDetector = KeystrokeDynamicsDetector;
+
+if (typeof detectorRegistry !== 'undefined') {
+    detectorRegistry.register({
+        id: 'keystrokeDynamics',
+        category: 'keystrokeDynamics',
+        description: 'Keystroke timings recorded while monitoring, judged for remote desktop, scripted and pasted input',
+        run: ({ detector }) => (detector && detector.keystrokeDynamics ? detector.keystrokeDynamics.analyze() : null)
+    });
+}
@@ -0,0 +1,196 @@
+/**
+ * @description Languages written with a non-Latin keyboard script. Used to map a keyboard layout
+ * to the countries where one of those languages is official.
+ */
+const KEYBOARD_SCRIPT_LANGUAGES = Object.freeze({
+    cyrillic: ['ru', 'uk', 'be', 'bg', 'sr', 'mk', 'kk', 'ky', 'mn', 'tg'],
+    greek: ['el'],
+    hebrew: ['he'],
+    arabic: ['ar', 'fa', 'ur', 'ps'],
+    thai: ['th'],
+    hangul: ['ko'],
+    armenian: ['hy'],
+    georgian: ['ka']
+});
+
+/**
+ * @description Latin layouts that only a handful of countries use. Plain QWERTY is used almost
+ * everywhere, so it never narrows down the country.
+ */
+const KEYBOARD_LATIN_LAYOUT_COUNTRIES = Object.freeze({
+    azerty: ['FR', 'BE', 'LU', 'MC', 'DZ', 'MA', 'TN'],
+    qwertz: ['DE', 'AT', 'CH', 'LI', 'LU', 'CZ', 'SK', 'HU', 'HR', 'SI', 'BA', 'RS', 'ME', 'AL']
+});
+
+/**
+ * @class LocaleConsistencyChecker
+ * @description Compares the country a location falls in with the countries the browser's own
+ * settings point to. Signals are grouped so that one setting is not counted several times:
+ *   locale   - navigator.languages, the Intl locale and the number/currency formatting locale
+ *   timezone - the country (or countries) the browser timezone is used in
+ *   keyboard - the keyboard layout, when the Keyboard API exposes it and the layout is distinctive
+ * A group disagrees when none of its signals is compatible with the location's country.
+ */
+class LocaleConsistencyChecker {
+    /**
+     * @param {object} locales - `{ countries, timezones }` as in country-locales.js.
+     */
+    constructor(locales) {
+        this.locales = locales;
+    }
+
+    /**
+     * @description Checks the browser's locale settings against a country.
+     * @param {string} countryCode - ISO 3166-1 code of the location.
+     * @returns {Promise<object>} `{ countryCode, signals, mismatchedGroups }`. Each signal is
+     * `{ group, signal, value, countries, consistent }`; `countries` and `consistent` are null when
+     * the signal cannot be tied to specific countries.
+     */
+    async check(countryCode) {
+        const signals = await this.collectSignals();
+        signals.forEach(signal => {
+            signal.consistent = signal.countries ? signal.countries.includes(countryCode) : null;
+        });
+
+        const groups = [...new Set(signals.map(signal => signal.group))];
+        const mismatchedGroups = groups.filter(group => {
+            const known = signals.filter(signal => signal.group === group && signal.consistent !== null);
+            return known.length > 0 && known.every(signal => !signal.consistent);
+        });
+
+        return { countryCode, signals, mismatchedGroups };
+    }
+
+    /**
+     * @description Reads the browser's locale-related settings.
+     * @returns {Promise<object[]>} Signals without the `consistent` flag.
+     */
+    async collectSignals() {
+        const signals = [];
+
+        const languages = navigator.languages && navigator.languages.length > 0 ? [...navigator.languages] : [navigator.language];
+        const languageCountries = languages.filter(Boolean).flatMap(tag => this.countriesForLocale(tag));
+        signals.push({
+            group: 'locale',
+            signal: 'navigator.languages',
+            value: languages.join(', '),
+            countries: languageCountries.length > 0 ? [...new Set(languageCountries)] : null
+        });
+
+        const intlLocale = Intl.DateTimeFormat().resolvedOptions().locale;
+        signals.push({
+            group: 'locale',
+            signal: 'Intl locale',
+            value: intlLocale,
+            countries: this.countriesForLocale(intlLocale, true)
+        });
+
+        const numberLocale = Intl.NumberFormat().resolvedOptions().locale;
+        const numberCountries = this.countriesForLocale(numberLocale, true);
+        const numberCountry = numberCountries && numberCountries.length === 1 ? this.locales.countries[numberCountries[0]] : null;
+        signals.push({
+            group: 'locale',
+            signal: 'number format',
+            value: numberCountry ? `${numberLocale} (${numberCountry.currencies[0]})` : numberLocale,
+            countries: numberCountries
+        });
+
+        const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        signals.push({
+            group: 'timezone',
+            signal: 'timezone',
+            value: timezone,
+            countries: this.locales.timezones[timezone] || null
+        });
+
+        const layout = await this.detectKeyboardLayout();
+        if (layout) {
+            signals.push({
+                group: 'keyboard',
+                signal: 'keyboard layout',
+                value: layout,
+                countries: this.countriesForKeyboardLayout(layout)
+            });
+        }
+
+        return signals;
+    }
+
+    /**
+     * @description Maps a BCP 47 tag to countries: its region subtag if present, otherwise every
+     * country where the language is official.
+     * @param {string} tag - e.g. 'en-US', 'vi', 'zh-Hant-TW'.
+     * @param {boolean} [regionOnly] - Ignore tags without a region (Intl falls back to a bare language).
+     * @returns {string[]|null} ISO 3166-1 codes, or null when the tag says nothing about a country.
+     */
+    countriesForLocale(tag, regionOnly = false) {
+        const subtags = String(tag).split(/[-_]/);
+        const region = subtags.slice(1).find(subtag => /^[A-Za-z]{2}$/.test(subtag));
+        if (region) return [region.toUpperCase()];
+        if (regionOnly) return null;
+
+        const language = subtags[0].toLowerCase();
+        const countries = Object.keys(this.locales.countries)
+            .filter(code => this.locales.countries[code].languages.includes(language));
+        return countries.length > 0 ? countries : null;
+    }
+
+    /**
+     * @param {string} layout - Layout family from detectKeyboardLayout().
+     * @returns {string[]|null} Countries where the layout is in common use, or null for QWERTY.
+     */
+    countriesForKeyboardLayout(layout) {
+        if (KEYBOARD_LATIN_LAYOUT_COUNTRIES[layout]) return [...KEYBOARD_LATIN_LAYOUT_COUNTRIES[layout]];
+
+        const languages = KEYBOARD_SCRIPT_LANGUAGES[layout];
+        if (!languages) return null;
+        return Object.keys(this.locales.countries)
+            .filter(code => this.locales.countries[code].languages.some(language => languages.includes(language)));
+    }
+
+    /**
+     * @description Classifies the active keyboard layout using the Keyboard API (Chromium only).
+     * @returns {Promise<string|null>} 'qwerty', 'azerty', 'qwertz', a script name such as 'cyrillic',
+     * or null when the layout cannot be read.
+     */
+    async detectKeyboardLayout() {
+        if (!navigator.keyboard || typeof navigator.keyboard.getLayoutMap !== 'function') return null;
+
+        let layoutMap;
+        try {
+            layoutMap = await navigator.keyboard.getLayoutMap();
+        } catch (e) {
+            // Not allowed in this context (e.g. cross-origin iframe)
+            return null;
+        }
+
+        const keys = ['KeyQ', 'KeyW', 'KeyE', 'KeyY', 'KeyZ'].map(code => layoutMap.get(code) || '');
+        const letters = keys.join('');
+        const scripts = {
+            cyrillic: /[\u0400-\u04FF]/,
+            greek: /[\u0370-\u03FF]/,
+            hebrew: /[\u0590-\u05FF]/,
+            arabic: /[\u0600-\u06FF]/,
+            thai: /[\u0E00-\u0E7F]/,
+            hangul: /[\u1100-\u11FF\u3130-\u318F\uAC00-\uD7AF]/,
+            armenian: /[\u0530-\u058F]/,
+            georgian: /[\u10A0-\u10FF]/
+        };
+        const script = Object.keys(scripts).find(name => scripts[name].test(letters));
+        if (script) return script;
+
+        const [q, w, , y, z] = keys;
+        if (q === 'a' && w === 'z') return 'azerty';
+        if (y === 'z' && z === 'y') return 'qwertz';
+        if (q === 'q' && w === 'w' && y === 'y') return 'qwerty';
+        return null;
+    }
+}
+
+// Shared checker over the embedded country data
+const localeConsistencyChecker = new LocaleConsistencyChecker(
+    typeof COUNTRY_LOCALES !== 'undefined' ? COUNTRY_LOCALES : { countries: {}, timezones: {} }
+);
+
+window.LocaleConsistencyChecker = LocaleConsistencyChecker;
+window.localeConsistencyChecker = localeConsistencyChecker;
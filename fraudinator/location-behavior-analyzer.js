@@ -1,13 +1,58 @@
 // Location Behavioral Analysis Module
 // Detects patterns that indicate manual location spoofing
 
-class LocationBehaviorAnalyzer {
-    constructor() {
+// Position jitter analysis: fixes needed, and the confidence at which a finding is reported
+const JITTER_MIN_SAMPLES = 5;
+const JITTER_CONFIDENCE_THRESHOLD = 0.95;
+// Receivers report accuracy as the radius holding the true position with 68% confidence
+const ACCURACY_CONFIDENCE = 0.68;
+// Fixes reporting more than this come from Wi-Fi or cell positioning, which repeats positions
+const SATELLITE_ACCURACY_LIMIT = 50;
+// Receivers often report a cautious accuracy, and slow drift leaves little scatter around the
+// track, so only a variance under this fraction of what the accuracy allows (scatter under about
+// 1% of the radius) is too tight for it
+const JITTER_MIN_VARIANCE_RATIO = 0.0002;
+
+/**
+ * @class LocationBehaviorAnalyzer
+ * @description Watches the device position for the whole session, e.g. while the user fills out
+ * a form, and looks for movement no real device makes. Dispatches these events:
+ *   - `locationsample`: each accepted position, `detail` is `{ sample, samplesCollected }`;
+ *   - `anomaly`: each time the history shows anomalies, `detail` is `{ score, indicators, samples }`.
+ */
+class LocationBehaviorAnalyzer extends EventTarget {
+    /**
+     * @param {object} [options]
+     * @param {number|null} [options.durationMs] - Stop watching after this long, not counting
+     * paused time. `null` watches until stopLocationMonitoring().
+     * @param {number|null} [options.maxSamples] - Stop watching after this many positions. `null`
+     * for no limit.
+     * @param {number} [options.historySize] - Positions kept for the analysis; older ones are dropped.
+     * @param {boolean|object|MotionSensorFusion} [options.motionSensors] - Also record the motion
+     * sensors while watching, and check them against the movement of the track. An object is passed
+     * to MotionSensorFusion as its options, e.g. `{ source }` to feed it recorded readings.
+     */
+    constructor({ durationMs = 10 * 60 * 1000, maxSamples = 300, historySize = 50, motionSensors = null } = {}) {
+        super();
+        this.durationMs = durationMs;
+        this.maxSamples = maxSamples;
+        this.historySize = historySize;
         this.locationHistory = [];
+        this.samplesCollected = 0;
         this.watchId = null;
         this.monitoringActive = false;
+        this.monitoringPaused = false;
+        this.stopTimer = null;
+        this.remainingMs = null;
+        this.resumedAt = null;
         this.behavioralIndicators = [];
         this.behavioralScore = 0;
+        this.jitterAnalysis = null;
+        this.sensorFusion = motionSensors || null;
+        if (this.sensorFusion && !(this.sensorFusion instanceof MotionSensorFusion)) {
+            this.sensorFusion = new MotionSensorFusion(motionSensors === true ? {} : motionSensors);
+        }
+        this.sensorAnalysis = null;
         this.fraudDetector = null;
     }
 
@@ -16,13 +61,61 @@ class LocationBehaviorAnalyzer {
         this.fraudDetector = detector;
     }
 
-    // Start continuous location monitoring for behavioral analysis
+    /**
+     * @description Starts watching the position until the duration or the sample budget runs
+     * out, or stopLocationMonitoring() is called. Does nothing if already started.
+     */
     startLocationMonitoring() {
         if (!navigator.geolocation || this.monitoringActive) return;
         
         this.monitoringActive = true;
-        console.log('Starting location monitoring for behavioral analysis...');
+        this.monitoringPaused = false;
+        this.samplesCollected = 0;
+        this.remainingMs = this.durationMs;
+        fraudLogger.debug('Starting location monitoring for behavioral analysis...');
         
+        this.watchPosition();
+    }
+    
+    /**
+     * @description Stops watching the position. The history and results are kept.
+     */
+    stopLocationMonitoring() {
+        if (!this.monitoringActive) return;
+
+        this.clearPositionWatch();
+        this.monitoringActive = false;
+        this.monitoringPaused = false;
+        fraudLogger.debug(`Location monitoring stopped after ${this.samplesCollected} samples`);
+    }
+
+    /**
+     * @description Stops watching the position until resumeLocationMonitoring(). The duration
+     * does not run down while paused.
+     */
+    pauseLocationMonitoring() {
+        if (!this.monitoringActive || this.monitoringPaused) return;
+
+        this.clearPositionWatch();
+        if (this.remainingMs !== null) {
+            this.remainingMs = Math.max(0, this.remainingMs - (Date.now() - this.resumedAt));
+        }
+        this.monitoringPaused = true;
+        fraudLogger.debug('Location monitoring paused');
+    }
+
+    /**
+     * @description Continues a paused monitoring with the remaining duration and sample budget.
+     */
+    resumeLocationMonitoring() {
+        if (!this.monitoringActive || !this.monitoringPaused) return;
+
+        this.monitoringPaused = false;
+        fraudLogger.debug('Location monitoring resumed');
+        this.watchPosition();
+    }
+
+    watchPosition() {
         const options = {
             enableHighAccuracy: true,
             timeout: 10000,
@@ -30,21 +123,36 @@ class LocationBehaviorAnalyzer {
         };
         
         this.watchId = navigator.geolocation.watchPosition(
-            (position) => this.analyzeLocationUpdate(position),
-            (error) => console.log('Location monitoring error:', error),
+            (position) => this.handleMonitoredPosition(position),
+            (error) => fraudLogger.debug('Location monitoring error:', error),
             options
         );
-        
-        // Stop monitoring after 2 minutes to avoid excessive tracking
-        setTimeout(() => this.stopLocationMonitoring(), 1);
+
+        if (this.sensorFusion) this.sensorFusion.start();
+
+        this.resumedAt = Date.now();
+        if (this.remainingMs !== null) {
+            this.stopTimer = setTimeout(() => this.stopLocationMonitoring(), this.remainingMs);
+        }
     }
-    
-    stopLocationMonitoring() {
-        if (this.watchId) {
+
+    clearPositionWatch() {
+        if (this.watchId !== null) {
             navigator.geolocation.clearWatch(this.watchId);
             this.watchId = null;
-            this.monitoringActive = false;
-            console.log('Location monitoring stopped');
+        }
+        if (this.sensorFusion) this.sensorFusion.stop();
+        clearTimeout(this.stopTimer);
+        this.stopTimer = null;
+    }
+
+    handleMonitoredPosition(position) {
+        if (!this.monitoringActive || this.monitoringPaused) return;
+
+        this.analyzeLocationUpdate(position);
+
+        if (this.maxSamples !== null && this.samplesCollected >= this.maxSamples) {
+            this.stopLocationMonitoring();
         }
     }
     
@@ -54,14 +162,29 @@ class LocationBehaviorAnalyzer {
             latitude: position.coords.latitude,
             longitude: position.coords.longitude,
             accuracy: position.coords.accuracy,
+            altitude: position.coords.altitude,
+            altitudeAccuracy: position.coords.altitudeAccuracy,
+            heading: position.coords.heading,
+            speed: position.coords.speed,
             timestamp: currentTime,
             coords: position.coords
         };
         
         this.locationHistory.push(locationPoint);
+        this.samplesCollected++;
+        this.dispatchEvent(new CustomEvent('locationsample', {
+            detail: { sample: locationPoint, samplesCollected: this.samplesCollected }
+        }));
+        if (this.fraudDetector) {
+            this.fraudDetector.recordEvent(TimelineEventTypes.LOCATION_UPDATE, 'location-behavior-analyzer.js', {
+                latitude: locationPoint.latitude,
+                longitude: locationPoint.longitude,
+                accuracy: locationPoint.accuracy
+            });
+        }
         
-        // Keep only last 10 location points to avoid memory issues
-        if (this.locationHistory.length > 10) {
+        // Keep only the newest points to avoid memory issues
+        if (this.locationHistory.length > this.historySize) {
             this.locationHistory.shift();
         }
         
@@ -87,20 +210,34 @@ class LocationBehaviorAnalyzer {
         // Check for static accuracy values
         score += this.detectStaticAccuracy(indicators);
         
+        // Check the position noise against the reported accuracy
+        score += this.detectPositionJitter(indicators);
+        
+        // Check reported speed, heading and altitude against the movement between fixes
+        score += this.detectMotionInconsistencies(indicators);
+        
+        // Check the motion sensors against the movement of the track
+        score += this.detectSensorMismatch(indicators);
+        
         // Update behavioral analysis results
         this.behavioralScore = score;
         this.behavioralIndicators = indicators;
         
         if (score > 0) {
-            console.log('Behavioral anomalies detected:', indicators);
+            fraudLogger.debug('Behavioral anomalies detected:', indicators);
+            this.dispatchEvent(new CustomEvent('anomaly', {
+                detail: { score, indicators, samples: this.locationHistory.length }
+            }));
             
             // Update the main fraud detector if available
             if (this.fraudDetector) {
                 this.fraudDetector.behavioralScore = score;
                 this.fraudDetector.behavioralIndicators = indicators;
+                this.fraudDetector.recordEvent(TimelineEventTypes.BEHAVIOR_ANOMALY, 'location-behavior-analyzer.js',
+                    { score, samples: this.locationHistory.length }, indicators);
                 
                 // Mark location as spoofed if behavioral score is high
-                if (score >= 50) {
+                if (score >= ScoringPolicy.requireActive().verdict('locationSpoofedByBehavior', 50)) {
                     this.fraudDetector.locationSpoofedByBehavior = true;
                 }
             }
@@ -125,13 +262,15 @@ class LocationBehaviorAnalyzer {
             
             // Flag impossibly fast travel (faster than commercial aircraft)
             if (speedKmh > 1000 && distance > 1000) { // 1000 km/h and moved more than 1km
-                score += 60;
-                indicators.push(`Impossible travel speed: ${speedKmh.toFixed(0)} km/h over ${distance.toFixed(0)}m`);
+                score += this.addIndicator(indicators, IndicatorCodes.IMPOSSIBLE_TRAVEL_SPEED,
+                    { speedKmh, distanceMeters: distance, seconds: timeDiff },
+                    `Impossible travel speed: ${speedKmh.toFixed(0)} km/h over ${distance.toFixed(0)}m`);
             }
             // Flag very fast travel (faster than car on highway)
             else if (speedKmh > 200 && distance > 500) { // 200 km/h and moved more than 500m
-                score += 40;
-                indicators.push(`Suspicious travel speed: ${speedKmh.toFixed(0)} km/h over ${distance.toFixed(0)}m`);
+                score += this.addIndicator(indicators, IndicatorCodes.SUSPICIOUS_TRAVEL_SPEED,
+                    { speedKmh, distanceMeters: distance, seconds: timeDiff },
+                    `Suspicious travel speed: ${speedKmh.toFixed(0)} km/h over ${distance.toFixed(0)}m`);
             }
         }
         
@@ -155,14 +294,16 @@ class LocationBehaviorAnalyzer {
             
             // Flag coordinates with suspiciously few decimal places
             if (latDecimals <= 4 && lngDecimals <= 4) {
-                score += 25;
-                indicators.push(`Suspiciously precise coordinates: ${lat}, ${lng} (${latDecimals}/${lngDecimals} decimals)`);
+                score += this.addIndicator(indicators, IndicatorCodes.LOW_PRECISION_COORDINATES,
+                    { latitude: lat, longitude: lng, latDecimals, lngDecimals },
+                    `Suspiciously precise coordinates: ${lat}, ${lng} (${latDecimals}/${lngDecimals} decimals)`);
             }
             
             // Check for exact round numbers
             if (lat % 0.1 === 0 || lng % 0.1 === 0) {
-                score += 35;
-                indicators.push(`Perfect round coordinates detected: ${lat}, ${lng}`);
+                score += this.addIndicator(indicators, IndicatorCodes.PERFECT_ROUND_COORDINATES,
+                    { latitude: lat, longitude: lng },
+                    `Perfect round coordinates detected: ${lat}, ${lng}`);
             }
         }
         
@@ -182,14 +323,16 @@ class LocationBehaviorAnalyzer {
         
         // Flag consistently perfect accuracy (unrealistic)
         if (maxAccuracy < 5 && avgAccuracy < 3) {
-            score += 30;
-            indicators.push(`Unrealistically high accuracy: avg ${avgAccuracy.toFixed(1)}m, max ${maxAccuracy.toFixed(1)}m`);
+            score += this.addIndicator(indicators, IndicatorCodes.UNREALISTIC_ACCURACY_PATTERN,
+                { averageAccuracy: avgAccuracy, maxAccuracy },
+                `Unrealistically high accuracy: avg ${avgAccuracy.toFixed(1)}m, max ${maxAccuracy.toFixed(1)}m`);
         }
         
         // Flag wild accuracy swings (inconsistent with real GPS)
         if (maxAccuracy / minAccuracy > 100 && maxAccuracy > 1000) {
-            score += 25;
-            indicators.push(`Extreme accuracy variations: ${minAccuracy.toFixed(1)}m to ${maxAccuracy.toFixed(1)}m`);
+            score += this.addIndicator(indicators, IndicatorCodes.EXTREME_ACCURACY_VARIATION,
+                { minAccuracy, maxAccuracy },
+                `Extreme accuracy variations: ${minAccuracy.toFixed(1)}m to ${maxAccuracy.toFixed(1)}m`);
         }
         
         return score;
@@ -204,20 +347,338 @@ class LocationBehaviorAnalyzer {
         // Check if accuracy never changes (suspicious)
         const uniqueAccuracies = [...new Set(accuracies)];
         if (uniqueAccuracies.length === 1) {
-            score += 20;
-            indicators.push(`Static accuracy value: ${accuracies[0]}m (never changes)`);
+            score += this.addIndicator(indicators, IndicatorCodes.STATIC_ACCURACY,
+                { accuracy: accuracies[0], samples: accuracies.length },
+                `Static accuracy value: ${accuracies[0]}m (never changes)`);
         }
         
         // Check for common spoofed accuracy values
         const commonSpoofedValues = [10, 20, 50, 100, 150];
         if (commonSpoofedValues.includes(accuracies[0]) && uniqueAccuracies.length === 1) {
-            score += 30;
-            indicators.push(`Common spoofed accuracy value: ${accuracies[0]}m`);
+            score += this.addIndicator(indicators, IndicatorCodes.COMMON_SPOOFED_ACCURACY,
+                { accuracy: accuracies[0] },
+                `Common spoofed accuracy value: ${accuracies[0]}m`);
+        }
+        
+        return score;
+    }
+    
+    // Real receivers wander slowly around a fix, within the accuracy they report. Synthetic
+    // streams are perfectly static, move in clean steps or add independent random noise.
+    detectPositionJitter(indicators) {
+        let score = 0;
+        const jitter = this.analyzePositionJitter();
+        this.jitterAnalysis = jitter;
+        
+        if (!jitter) return score;
+        
+        const evidence = {
+            samples: jitter.samples,
+            meanAccuracy: jitter.meanAccuracy,
+            residualMeters: jitter.residualMeters,
+            varianceRatio: jitter.varianceRatio,
+            autocorrelation: jitter.autocorrelation,
+            errorEllipse: jitter.errorEllipse,
+            outsideAccuracy: jitter.outsideAccuracy
+        };
+        
+        if (jitter.zeroJitter.confidence >= JITTER_CONFIDENCE_THRESHOLD) {
+            score += this.addIndicator(indicators, IndicatorCodes.ZERO_POSITION_JITTER,
+                { ...evidence, confidence: jitter.zeroJitter.confidence },
+                `No position jitter over ${jitter.samples} fixes reporting ${jitter.meanAccuracy.toFixed(0)}m accuracy ` +
+                `(confidence ${jitter.zeroJitter.confidence.toFixed(2)})`);
+        }
+        else if (jitter.inconsistentJitter.confidence >= JITTER_CONFIDENCE_THRESHOLD) {
+            const { confidence, reasons } = jitter.inconsistentJitter;
+            score += this.addIndicator(indicators, IndicatorCodes.JITTER_INCONSISTENT_WITH_ACCURACY,
+                { ...evidence, confidence, reasons },
+                `Position jitter inconsistent with ${jitter.meanAccuracy.toFixed(0)}m accuracy: ${reasons.join(', ')} ` +
+                `(confidence ${confidence.toFixed(2)})`);
+        }
+        
+        return score;
+    }
+    
+    /**
+     * @description Estimates the position noise of the location history. Steady movement is
+     * removed with a least-squares line through time, so the statistics describe the noise
+     * around the track:
+     *   - the variance of the residuals against the variance the reported accuracy allows;
+     *   - the lag-1 autocorrelation of the displacements between fixes, about -0.5 for
+     *     independent noise and close to 0 for the slowly drifting noise of a real receiver;
+     *   - the 95% error ellipse, and how many fixes fall outside their own accuracy radius.
+     * The variance ratio is judged both ways: fixes outside their radius show scatter too wide for
+     * the accuracy, a ratio far under JITTER_MIN_VARIANCE_RATIO scatter too tight for it.
+     * @returns {object|null} The statistics and the confidence of both findings, or null with
+     * fewer than JITTER_MIN_SAMPLES fixes.
+     */
+    analyzePositionJitter() {
+        const history = this.locationHistory;
+        const n = history.length;
+        if (n < JITTER_MIN_SAMPLES) return null;
+        
+        // East/north offsets in meters from the first fix, seconds since it
+        const origin = history[0];
+        const metersPerDegreeLat = 111320;
+        const metersPerDegreeLng = 111320 * Math.cos(this.toRad(origin.latitude));
+        const points = history.map(point => ({
+            t: (point.timestamp - origin.timestamp) / 1000,
+            x: (point.longitude - origin.longitude) * metersPerDegreeLng,
+            y: (point.latitude - origin.latitude) * metersPerDegreeLat
+        }));
+        const residuals = this.detrend(points);
+        
+        // Covariance of the residuals; the fitted line used two degrees of freedom per axis
+        let sxx = 0, syy = 0, sxy = 0;
+        residuals.forEach(({ x, y }) => {
+            sxx += x * x;
+            syy += y * y;
+            sxy += x * y;
+        });
+        sxx /= n - 2;
+        syy /= n - 2;
+        sxy /= n - 2;
+        
+        const halfTrace = (sxx + syy) / 2;
+        const spread = Math.sqrt(((sxx - syy) / 2) ** 2 + sxy ** 2);
+        const chiSquare95 = Math.sqrt(5.991); // 2 degrees of freedom
+        const errorEllipse = {
+            semiMajorMeters: chiSquare95 * Math.sqrt(halfTrace + spread),
+            semiMinorMeters: chiSquare95 * Math.sqrt(Math.max(0, halfTrace - spread)),
+            orientationDegrees: 0.5 * Math.atan2(2 * sxy, sxx - syy) * 180 / Math.PI
+        };
+        
+        const meanAccuracy = history.reduce((sum, point) => sum + point.accuracy, 0) / n;
+        const residualMeters = Math.sqrt(residuals.reduce((sum, { x, y }) => sum + x * x + y * y, 0) / n);
+        
+        // Per-axis variance the accuracy allows: the radius holds ACCURACY_CONFIDENCE of the fixes
+        const allowedSigma = meanAccuracy / Math.sqrt(-2 * Math.log(1 - ACCURACY_CONFIDENCE));
+        const varianceRatio = halfTrace / (allowedSigma * allowedSigma);
+        // With independent noise, 2(n - 2) times the ratio over its true value is chi-square with
+        // 2(n - 2) degrees of freedom (Wilson-Hilferty approximation): how unlikely is a ratio this
+        // small if the scatter were as wide as JITTER_MIN_VARIANCE_RATIO allows?
+        const degrees = 2 * (n - 2);
+        const wilsonHilferty = 2 / (9 * degrees);
+        const tightConfidence = residualMeters >= 0.01 && meanAccuracy <= SATELLITE_ACCURACY_LIMIT
+            ? 1 - this.normalCdf((Math.cbrt(varianceRatio / JITTER_MIN_VARIANCE_RATIO) - (1 - wilsonHilferty)) / Math.sqrt(wilsonHilferty))
+            : 0;
+        
+        // Fixes outside their own accuracy radius; an honest receiver has 1 - ACCURACY_CONFIDENCE
+        const outside = residuals.filter(({ x, y }, i) => Math.hypot(x, y) > history[i].accuracy).length;
+        const outsideConfidence = outside > 0 ? 1 - this.binomialTail(n, outside, 1 - ACCURACY_CONFIDENCE) : 0;
+        
+        // Lag-1 autocorrelation of the displacements between consecutive fixes
+        let lagged = 0, energy = 0;
+        for (let i = 1; i < n; i++) {
+            const dx = residuals[i].x - residuals[i - 1].x;
+            const dy = residuals[i].y - residuals[i - 1].y;
+            energy += dx * dx + dy * dy;
+            if (i < n - 1) {
+                lagged += dx * (residuals[i + 1].x - residuals[i].x) + dy * (residuals[i + 1].y - residuals[i].y);
+            }
+        }
+        const autocorrelation = energy > 0 ? lagged / energy : 0;
+        // The estimate has a standard error of about 1/sqrt(pairs) around 0 for real noise
+        const independenceConfidence = autocorrelation < 0
+            ? 2 * this.normalCdf(-autocorrelation * Math.sqrt(n - 2)) - 1
+            : 0;
+        
+        // Below a centimetre nothing moved beyond the rounding of the coordinates. A stationary
+        // receiver repeats a fix at most about every other update.
+        const zeroJitterConfidence = residualMeters < 0.01 && meanAccuracy <= SATELLITE_ACCURACY_LIMIT
+            ? 1 - Math.pow(0.5, n - 1)
+            : 0;
+        
+        const reasons = [];
+        if (outsideConfidence >= JITTER_CONFIDENCE_THRESHOLD) {
+            reasons.push(`${outside} of ${n} fixes outside their accuracy radius`);
+        }
+        if (independenceConfidence >= JITTER_CONFIDENCE_THRESHOLD) {
+            reasons.push(`independent noise (autocorrelation ${autocorrelation.toFixed(2)})`);
+        }
+        if (tightConfidence >= JITTER_CONFIDENCE_THRESHOLD) {
+            reasons.push(`scatter of ${residualMeters.toFixed(2)}m far inside the accuracy radius ` +
+                `(variance ratio ${varianceRatio.toFixed(4)})`);
+        }
+        
+        const round = value => Math.round(value * 1000) / 1000;
+        return {
+            samples: n,
+            meanAccuracy: round(meanAccuracy),
+            residualMeters: round(residualMeters),
+            varianceRatio: round(varianceRatio),
+            autocorrelation: round(autocorrelation),
+            errorEllipse: {
+                semiMajorMeters: round(errorEllipse.semiMajorMeters),
+                semiMinorMeters: round(errorEllipse.semiMinorMeters),
+                orientationDegrees: round(errorEllipse.orientationDegrees)
+            },
+            outsideAccuracy: outside,
+            zeroJitter: { confidence: round(zeroJitterConfidence) },
+            inconsistentJitter: {
+                confidence: round(Math.max(outsideConfidence, independenceConfidence, tightConfidence)),
+                reasons
+            }
+        };
+    }
+    
+    // Residuals of x and y after a least-squares line through time
+    detrend(points) {
+        const n = points.length;
+        const mean = key => points.reduce((sum, point) => sum + point[key], 0) / n;
+        const tMean = mean('t');
+        const xMean = mean('x');
+        const yMean = mean('y');
+        
+        let tVariance = 0, txCovariance = 0, tyCovariance = 0;
+        points.forEach(({ t, x, y }) => {
+            tVariance += (t - tMean) ** 2;
+            txCovariance += (t - tMean) * (x - xMean);
+            tyCovariance += (t - tMean) * (y - yMean);
+        });
+        const xSlope = tVariance > 0 ? txCovariance / tVariance : 0;
+        const ySlope = tVariance > 0 ? tyCovariance / tVariance : 0;
+        
+        return points.map(({ t, x, y }) => ({
+            x: x - xMean - xSlope * (t - tMean),
+            y: y - yMean - ySlope * (t - tMean)
+        }));
+    }
+    
+    // Standard normal cumulative distribution (Abramowitz and Stegun 7.1.26)
+    normalCdf(z) {
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+        return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+    
+    // Probability of at least k successes in n trials of probability p
+    binomialTail(n, k, p) {
+        let term = Math.pow(1 - p, n); // i = 0
+        let below = 0;
+        for (let i = 0; i < k; i++) {
+            below += term;
+            term *= ((n - i) / (i + 1)) * (p / (1 - p));
+        }
+        return Math.max(0, 1 - below);
+    }
+    
+    // A receiver derives speed and heading from the same movement the fixes show, and its
+    // altitude wanders like its position does
+    detectMotionInconsistencies(indicators) {
+        let score = 0;
+        const speedChecks = [];
+        const headingChecks = [];
+        
+        for (let i = 1; i < this.locationHistory.length; i++) {
+            const prev = this.locationHistory[i - 1];
+            const current = this.locationHistory[i];
+            const seconds = (current.timestamp - prev.timestamp) / 1000;
+            if (seconds <= 0) continue;
+            
+            const distance = this.calculateDistance(prev.latitude, prev.longitude, current.latitude, current.longitude);
+            const derivedSpeed = distance / seconds;
+            // Movement the position error alone could produce
+            const noiseSpeed = (prev.accuracy + current.accuracy) / seconds;
+            
+            if (typeof current.speed === 'number' && !isNaN(current.speed)) {
+                const difference = Math.abs(current.speed - derivedSpeed);
+                speedChecks.push({
+                    reportedSpeed: current.speed,
+                    derivedSpeed,
+                    mismatch: difference > Math.max(2, noiseSpeed, 0.5 * derivedSpeed)
+                });
+            }
+            
+            // Bearings between fixes closer than their accuracy are noise
+            if (typeof current.heading === 'number' && !isNaN(current.heading) && distance > prev.accuracy + current.accuracy) {
+                const bearing = this.calculateBearing(prev.latitude, prev.longitude, current.latitude, current.longitude);
+                const difference = Math.abs(((current.heading - bearing) % 360 + 540) % 360 - 180);
+                headingChecks.push({ reportedHeading: current.heading, bearing, mismatch: difference > 45 });
+            }
+        }
+        
+        const summarize = checks => ({
+            pairs: checks.length,
+            mismatched: checks.filter(check => check.mismatch).length
+        });
+        const speed = summarize(speedChecks);
+        // A single odd pair is a dropped or delayed fix
+        if (speed.mismatched >= 2 && speed.mismatched >= speed.pairs / 2) {
+            const worst = speedChecks.filter(check => check.mismatch).pop();
+            score += this.addIndicator(indicators, IndicatorCodes.SPEED_MISMATCH,
+                { ...speed, reportedSpeed: worst.reportedSpeed, derivedSpeed: worst.derivedSpeed },
+                `Reported speed disagrees with the movement between fixes in ${speed.mismatched} of ${speed.pairs} updates ` +
+                `(${worst.reportedSpeed.toFixed(1)} m/s reported, ${worst.derivedSpeed.toFixed(1)} m/s measured)`);
+        }
+        
+        const heading = summarize(headingChecks);
+        if (heading.mismatched >= 2 && heading.mismatched >= heading.pairs / 2) {
+            const worst = headingChecks.filter(check => check.mismatch).pop();
+            score += this.addIndicator(indicators, IndicatorCodes.HEADING_MISMATCH,
+                { ...heading, reportedHeading: worst.reportedHeading, bearing: worst.bearing },
+                `Reported heading disagrees with the direction of travel in ${heading.mismatched} of ${heading.pairs} updates ` +
+                `(${worst.reportedHeading.toFixed(0)}° reported, ${worst.bearing.toFixed(0)}° measured)`);
+        }
+        
+        // The altitude of a satellite fix is noisier than its position and never repeats exactly
+        const altitudes = this.locationHistory
+            .filter(point => point.accuracy <= 10 && typeof point.altitude === 'number')
+            .map(point => point.altitude);
+        if (altitudes.length >= 3 && new Set(altitudes).size === 1) {
+            score += this.addIndicator(indicators, IndicatorCodes.ALTITUDE_IMPLAUSIBLE,
+                { altitude: altitudes[0], samples: altitudes.length, reason: 'constant' },
+                `Altitude constant at ${altitudes[0]}m over ${altitudes.length} GPS-grade fixes`);
         }
         
         return score;
     }
     
+    // A phone that travels at walking or driving speed moves, and one that swings with every step
+    // travels. A single odd step is a delayed fix or a phone put down for a moment.
+    detectSensorMismatch(indicators) {
+        let score = 0;
+        if (!this.sensorFusion) return score;
+        
+        const analysis = this.sensorFusion.analyze(this.locationHistory);
+        this.sensorAnalysis = analysis;
+        const flagged = ({ pairs, mismatched }) => mismatched >= 2 && mismatched >= pairs / 2;
+        
+        if (flagged(analysis.stillWhileMoving)) {
+            const worst = analysis.intervals.filter(interval => interval.track === 'moving' && interval.sensors.activity === 'still').pop();
+            score += this.addIndicator(indicators, IndicatorCodes.SENSORS_STILL_WHILE_MOVING,
+                { ...analysis.stillWhileMoving, trackSpeed: worst.trackSpeed, accelerationRms: worst.sensors.accelerationRms, source: analysis.source },
+                `Motion sensors report a still device while the location moves in ${analysis.stillWhileMoving.mismatched} of ` +
+                `${analysis.stillWhileMoving.pairs} updates (${worst.trackSpeed.toFixed(1)} m/s)`);
+        }
+        if (flagged(analysis.activeWhileStationary)) {
+            const worst = analysis.intervals.filter(interval => interval.track === 'stationary' && interval.sensors.activity === 'active').pop();
+            score += this.addIndicator(indicators, IndicatorCodes.SENSORS_MOVING_WHILE_STATIONARY,
+                { ...analysis.activeWhileStationary, trackSpeed: worst.trackSpeed, accelerationRms: worst.sensors.accelerationRms, source: analysis.source },
+                `Motion sensors report walking or driving while the location stays put in ${analysis.activeWhileStationary.mismatched} of ` +
+                `${analysis.activeWhileStationary.pairs} updates (${worst.sensors.accelerationRms.toFixed(2)} m/s² RMS)`);
+        }
+        
+        return score;
+    }
+    
+    // Initial bearing from the first coordinate to the second, in degrees clockwise from north
+    calculateBearing(lat1, lon1, lat2, lon2) {
+        const dLon = this.toRad(lon2 - lon1);
+        const y = Math.sin(dLon) * Math.cos(this.toRad(lat2));
+        const x = Math.cos(this.toRad(lat1)) * Math.sin(this.toRad(lat2)) -
+                Math.sin(this.toRad(lat1)) * Math.cos(this.toRad(lat2)) * Math.cos(dLon);
+        return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    }
+    
+    // Push a structured behavioral indicator and return the weight it adds
+    addIndicator(indicators, code, evidence, message) {
+        const indicator = createIndicator({ code, source: 'locationBehavior', evidence, message });
+        indicators.push(indicator);
+        return indicator.weight;
+    }
+
     // Calculate distance between two coordinates (Haversine formula)
     calculateDistance(lat1, lon1, lat2, lon2) {
         const R = 6371000; // Earth's radius in meters
@@ -239,9 +700,13 @@ class LocationBehaviorAnalyzer {
         return {
             behavioralScore: this.behavioralScore,
             behavioralIndicators: this.behavioralIndicators,
-            isLocationSpoofedByBehavior: this.behavioralScore >= 50,
+            isLocationSpoofedByBehavior: this.behavioralScore >= ScoringPolicy.requireActive().verdict('locationSpoofedByBehavior', 50),
+            jitterAnalysis: this.jitterAnalysis,
+            sensorAnalysis: this.sensorAnalysis,
             locationHistory: this.locationHistory,
-            monitoringActive: this.monitoringActive
+            samplesCollected: this.samplesCollected,
+            monitoringActive: this.monitoringActive,
+            monitoringPaused: this.monitoringPaused
         };
     }
 }
@@ -0,0 +1,234 @@
+/**
+ * @class LocationHistory
+ * @description Remembers the last verified location of a device across sessions, so the next
+ * analysis can tell whether the device could have travelled from there in the time since.
+ * Records are kept in IndexedDB and, when a server URL is given, mirrored to the server so that
+ * clearing the browser storage does not clear the history.
+ *
+ * A record has the following shape:
+ *   {
+ *     fingerprint: '3f9a...',       // SHA-256 of stable device properties, see computeFingerprint()
+ *     latitude: 10.823123,
+ *     longitude: 106.629712,
+ *     accuracy: 23,                 // meters
+ *     timestamp: 1718000000123      // epoch ms of the fix
+ *   }
+ *
+ * The server mirror answers `GET <serverUrl>?fingerprint=<fingerprint>` with a record (404 when
+ * there is none) and accepts a record with `POST <serverUrl>`; see server/test-server.js.
+ */
+class LocationHistory {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.databaseName] - IndexedDB database holding the records.
+     * @param {string|null} [options.serverUrl] - Endpoint of the server mirror.
+     * @param {string} [options.fingerprint] - Device fingerprint to use instead of computing one.
+     * @param {number} [options.groundSpeedKmh] - Fastest travel allowed without a flight.
+     * @param {boolean} [options.allowFlights] - Whether a flight can explain a distance.
+     * @param {number} [options.flightSpeedKmh] - Cruising speed of an airliner.
+     * @param {number} [options.flightOverheadHours] - Time a flight adds on the ground: getting to
+     * the airport, boarding, taxiing and getting out at the other end.
+     */
+    constructor({
+        databaseName = 'fraudinator',
+        serverUrl = null,
+        fingerprint = null,
+        groundSpeedKmh = 150,
+        allowFlights = true,
+        flightSpeedKmh = 950,
+        flightOverheadHours = 3
+    } = {}) {
+        this.databaseName = databaseName;
+        this.serverUrl = serverUrl;
+        this.fingerprint = fingerprint;
+        this.allowances = { groundSpeedKmh, allowFlights, flightSpeedKmh, flightOverheadHours };
+        // Without IndexedDB (e.g. some private modes) records only last as long as the page
+        this.memory = new Map();
+        this.database = null;
+    }
+
+    /**
+     * @description Hashes device properties that survive travel: the timezone and language are
+     * left out because they change with the location.
+     * @returns {Promise<string>} The hex-encoded SHA-256 fingerprint.
+     */
+    static async computeFingerprint() {
+        const properties = [
+            navigator.userAgent,
+            navigator.platform,
+            navigator.hardwareConcurrency,
+            navigator.deviceMemory,
+            screen.width,
+            screen.height,
+            screen.colorDepth,
+            window.devicePixelRatio
+        ];
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(properties.join('|')));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * @returns {Promise<string>} The fingerprint records are kept under.
+     */
+    async getFingerprint() {
+        if (!this.fingerprint) {
+            this.fingerprint = await LocationHistory.computeFingerprint();
+        }
+        return this.fingerprint;
+    }
+
+    /**
+     * @description Loads the last verified location of this device, the newer of the local and
+     * the server record.
+     * @returns {Promise<object|null>} The record, or null on the first visit.
+     */
+    async load() {
+        const fingerprint = await this.getFingerprint();
+        const records = await Promise.all([
+            this.readLocal(fingerprint),
+            this.readServer(fingerprint)
+        ]);
+        return records
+            .filter(Boolean)
+            .reduce((newest, record) => (!newest || record.timestamp > newest.timestamp ? record : newest), null);
+    }
+
+    /**
+     * @description Stores a verified location as the last one of this device.
+     * @param {object} location - `{ latitude, longitude, accuracy, timestamp }`.
+     * @returns {Promise<object>} The stored record.
+     */
+    async save({ latitude, longitude, accuracy, timestamp }) {
+        const record = {
+            fingerprint: await this.getFingerprint(),
+            latitude,
+            longitude,
+            accuracy,
+            timestamp
+        };
+        await Promise.all([this.writeLocal(record), this.writeServer(record)]);
+        return record;
+    }
+
+    /**
+     * @description Works out whether a device could have travelled between two locations, by
+     * road or, when allowed, by air. The accuracy of both fixes is added to the allowance.
+     * @param {object} previous - The earlier `{ latitude, longitude, accuracy, timestamp }`.
+     * @param {object} current - The later one.
+     * @returns {object} `{ distanceKm, elapsedHours, requiredSpeedKmh, allowedDistanceKm, mode,
+     * possible }`, where mode is 'ground', 'flight' or 'impossible'.
+     */
+    evaluateTravel(previous, current) {
+        const { groundSpeedKmh, allowFlights, flightSpeedKmh, flightOverheadHours } = this.allowances;
+        const distanceKm = this.calculateDistanceKm(previous.latitude, previous.longitude, current.latitude, current.longitude);
+        // A clock set back makes the previous visit look like it is in the future
+        const elapsedHours = Math.max(0, (current.timestamp - previous.timestamp) / (60 * 60 * 1000));
+        const marginKm = ((previous.accuracy || 0) + (current.accuracy || 0)) / 1000;
+
+        const groundKm = groundSpeedKmh * elapsedHours + marginKm;
+        const flightKm = allowFlights && elapsedHours > flightOverheadHours
+            ? flightSpeedKmh * (elapsedHours - flightOverheadHours) + marginKm
+            : 0;
+        const allowedDistanceKm = Math.max(groundKm, flightKm);
+
+        let mode = 'impossible';
+        if (distanceKm <= groundKm) {
+            mode = 'ground';
+        } else if (distanceKm <= flightKm) {
+            mode = 'flight';
+        }
+
+        const round = value => Math.round(value * 10) / 10;
+        return {
+            distanceKm: round(distanceKm),
+            elapsedHours: Math.round(elapsedHours * 1000) / 1000,
+            requiredSpeedKmh: elapsedHours > 0 ? round(distanceKm / elapsedHours) : null,
+            allowedDistanceKm: round(allowedDistanceKm),
+            mode,
+            possible: mode !== 'impossible'
+        };
+    }
+
+    // Great-circle distance (Haversine formula)
+    calculateDistanceKm(lat1, lon1, lat2, lon2) {
+        const toRad = degrees => degrees * (Math.PI / 180);
+        const dLat = toRad(lat2 - lat1);
+        const dLon = toRad(lon2 - lon1);
+        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+        return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    openDatabase() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('locations', { keyPath: 'fingerprint' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.database;
+    }
+
+    async readLocal(fingerprint) {
+        if (typeof indexedDB === 'undefined') {
+            return this.memory.get(fingerprint) || null;
+        }
+        const database = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const request = database.transaction('locations', 'readonly').objectStore('locations').get(fingerprint);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async writeLocal(record) {
+        if (typeof indexedDB === 'undefined') {
+            this.memory.set(record.fingerprint, record);
+            return;
+        }
+        const database = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction('locations', 'readwrite');
+            transaction.objectStore('locations').put(record);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // The mirror is best effort: an unreachable server leaves the local history in charge
+    async readServer(fingerprint) {
+        if (!this.serverUrl) return null;
+        try {
+            const url = new URL(this.serverUrl, location.href);
+            url.searchParams.set('fingerprint', fingerprint);
+            const response = await fetch(url.href, { credentials: 'same-origin' });
+            return response.ok ? await response.json() : null;
+        } catch (e) {
+            fraudLogger.warn('Location history server unavailable:', e.message);
+            return null;
+        }
+    }
+
+    async writeServer(record) {
+        if (!this.serverUrl) return;
+        try {
+            const response = await fetch(this.serverUrl, {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(record)
+            });
+            if (!response.ok) {
+                fraudLogger.warn(`Location history server rejected the record: HTTP ${response.status}`);
+            }
+        } catch (e) {
+            fraudLogger.warn('Location history server unavailable:', e.message);
+        }
+    }
+}
+
+window.LocationHistory = LocationHistory;
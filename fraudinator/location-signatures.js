@@ -0,0 +1,201 @@
+/**
+ * @description JSON Schema (draft-07 subset) describing a signature catalog file such as
+ * location-signatures.json.
+ */
+const SIGNATURE_CATALOG_SCHEMA = {
+    type: 'object',
+    required: ['version', 'signatures'],
+    additionalProperties: false,
+    properties: {
+        $schema: { type: 'string' },
+        version: { type: 'integer', minimum: 1 },
+        updated: { type: 'string' },
+        signatures: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'name', 'source', 'code', 'accuracies', 'weight'],
+                additionalProperties: false,
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    source: { type: 'string' },
+                    code: { type: 'string' },
+                    location: {
+                        type: 'object',
+                        required: ['latitude', 'longitude'],
+                        additionalProperties: false,
+                        properties: {
+                            latitude: { type: 'number', minimum: -90 },
+                            longitude: { type: 'number', minimum: -180 }
+                        }
+                    },
+                    toleranceMeters: { type: 'number', exclusiveMinimum: 0 },
+                    accuracies: { type: 'array', items: { type: 'number', minimum: 0 } },
+                    weight: { type: 'number', minimum: 0 }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * @class SignatureCatalogError
+ * @description Raised when a signature catalog cannot be loaded or fails validation.
+ */
+class SignatureCatalogError extends Error {
+    /**
+     * @param {string} message - Summary of the failure.
+     * @param {string[]} [errors] - Individual validation errors.
+     */
+    constructor(message, errors = []) {
+        super(errors.length > 0 ? `${message}:\n  - ${errors.join('\n  - ')}` : message);
+        this.name = 'SignatureCatalogError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * @class LocationSignatureCatalog
+ * @description Versioned catalog of the coordinates and accuracy values spoofing tools are known to
+ * report: DevTools presets, emulator defaults, spots commonly typed into spoofing extensions. Each
+ * signature names its source, the indicator code it raises and its weight. One with a `location`
+ * matches positions within `toleranceMeters` of it; its `accuracies` are the values the tool
+ * reports there. One without matches on its `accuracies` alone.
+ */
+class LocationSignatureCatalog {
+    static #active = null;
+
+    /**
+     * @param {object} definition - A catalog object, e.g. the parsed contents of location-signatures.json.
+     * @throws {SignatureCatalogError} If the definition is invalid.
+     */
+    constructor(definition) {
+        const errors = LocationSignatureCatalog.validate(definition);
+        if (errors.length > 0) {
+            throw new SignatureCatalogError('Invalid signature catalog', errors);
+        }
+
+        this.definition = definition;
+        this.version = definition.version;
+        this.updated = definition.updated || null;
+        this.signatures = definition.signatures;
+    }
+
+    /**
+     * @description Fetches a catalog file over HTTP(S), validates it and returns the catalog.
+     * @param {string} [url] - Location of the catalog JSON.
+     * @returns {Promise<LocationSignatureCatalog>} The loaded catalog.
+     */
+    static async load(url = 'location-signatures.json') {
+        let response;
+        try {
+            response = await fetch(url, { cache: 'no-cache' });
+        } catch (e) {
+            throw new SignatureCatalogError(`Could not fetch signature catalog from ${url}: ${e.message}`);
+        }
+        if (!response.ok) {
+            throw new SignatureCatalogError(`Could not fetch signature catalog from ${url}: HTTP ${response.status}`);
+        }
+
+        let definition;
+        try {
+            definition = await response.json();
+        } catch (e) {
+            throw new SignatureCatalogError(`Signature catalog at ${url} is not valid JSON: ${e.message}`);
+        }
+        return new LocationSignatureCatalog(definition);
+    }
+
+    /**
+     * @description Makes a catalog the one the location checks match against.
+     * @param {LocationSignatureCatalog|object} catalog - A catalog instance or a raw definition.
+     * @returns {LocationSignatureCatalog} The active catalog.
+     */
+    static setActive(catalog) {
+        LocationSignatureCatalog.#active = catalog instanceof LocationSignatureCatalog ? catalog : new LocationSignatureCatalog(catalog);
+        return LocationSignatureCatalog.#active;
+    }
+
+    /**
+     * @returns {LocationSignatureCatalog|null} The active catalog, if one has been loaded.
+     */
+    static get active() {
+        return LocationSignatureCatalog.#active;
+    }
+
+    /**
+     * @returns {LocationSignatureCatalog} The active catalog.
+     * @throws {SignatureCatalogError} If no catalog has been loaded yet.
+     */
+    static requireActive() {
+        if (!LocationSignatureCatalog.#active) {
+            throw new SignatureCatalogError('No signature catalog loaded; call LocationSignatureCatalog.setActive() first');
+        }
+        return LocationSignatureCatalog.#active;
+    }
+
+    /**
+     * @description Validates a catalog definition against SIGNATURE_CATALOG_SCHEMA, plus the rules
+     * the schema subset cannot express.
+     * @param {object} definition - The catalog definition.
+     * @returns {string[]} Validation errors; empty when the definition is valid.
+     */
+    static validate(definition) {
+        const errors = [];
+        validateAgainstSchema(definition, SIGNATURE_CATALOG_SCHEMA, 'catalog', errors);
+        if (errors.length > 0) return errors;
+
+        const ids = new Set();
+        definition.signatures.forEach((signature, index) => {
+            const path = `catalog.signatures[${index}]`;
+            if (ids.has(signature.id)) errors.push(`${path}.id "${signature.id}" is used twice`);
+            ids.add(signature.id);
+
+            if (signature.location) {
+                const { latitude, longitude } = signature.location;
+                if (latitude > 90 || longitude > 180) errors.push(`${path}.location is outside the valid coordinate range`);
+                if (signature.toleranceMeters === undefined) errors.push(`${path}.toleranceMeters is required with a location`);
+            } else if (signature.accuracies.length === 0) {
+                errors.push(`${path} needs a location or accuracies to match on`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * @description Finds the signatures a position matches.
+     * @param {object} position - `{ latitude, longitude, accuracy }`.
+     * @returns {object[]} `{ signature, distanceMeters, accuracyMatched }` for each match, in catalog
+     * order. distanceMeters is null for signatures without a location.
+     */
+    match({ latitude, longitude, accuracy }) {
+        const matches = [];
+        this.signatures.forEach(signature => {
+            const accuracyMatched = signature.accuracies.includes(accuracy);
+            if (!signature.location) {
+                if (accuracyMatched) matches.push({ signature, distanceMeters: null, accuracyMatched });
+                return;
+            }
+
+            const distanceMeters = calculateSignatureDistanceMeters({ latitude, longitude }, signature.location);
+            if (distanceMeters <= signature.toleranceMeters) {
+                matches.push({ signature, distanceMeters: Math.round(distanceMeters * 10) / 10, accuracyMatched });
+            }
+        });
+        return matches;
+    }
+}
+
+// Great-circle distance (Haversine formula)
+function calculateSignatureDistanceMeters(a, b) {
+    const toRad = degrees => degrees * (Math.PI / 180);
+    const dLat = toRad(b.latitude - a.latitude);
+    const dLon = toRad(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return 6371000 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+window.LocationSignatureCatalog = LocationSignatureCatalog;
+window.SignatureCatalogError = SignatureCatalogError;
@@ -0,0 +1,72 @@
+/**
+ * @description Log levels from most to least verbose. 'silent' turns logging off.
+ */
+const LOG_LEVELS = Object.freeze(['debug', 'info', 'warn', 'error', 'silent']);
+
+/**
+ * @class Logger
+ * @description Console wrapper used by the detector modules instead of calling `console` directly.
+ * It is silent by default so that pages embedding the SDK keep a clean console; the demo page
+ * turns on debug output.
+ */
+class Logger {
+    /**
+     * @param {string} [level] - One of LOG_LEVELS.
+     */
+    constructor(level = 'silent') {
+        this.setLevel(level);
+    }
+
+    /**
+     * @description Changes the minimum level that reaches the console.
+     * @param {string} level - One of LOG_LEVELS.
+     * @returns {Logger} The logger, for chaining.
+     */
+    setLevel(level) {
+        if (!LOG_LEVELS.includes(level)) {
+            throw new Error(`Unknown log level "${level}"; expected one of ${LOG_LEVELS.join(', ')}`);
+        }
+        this.level = level;
+        return this;
+    }
+
+    /**
+     * @param {string} level - One of LOG_LEVELS.
+     * @returns {boolean} True if messages of this level are written.
+     */
+    isEnabled(level) {
+        return this.level !== 'silent' && LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+    }
+
+    debug(...args) {
+        if (this.isEnabled('debug')) console.log(...args);
+    }
+
+    info(...args) {
+        if (this.isEnabled('info')) console.info(...args);
+    }
+
+    warn(...args) {
+        if (this.isEnabled('warn')) console.warn(...args);
+    }
+
+    error(...args) {
+        if (this.isEnabled('error')) console.error(...args);
+    }
+
+    // Groups wrap detection summaries, which are logged as warnings
+    group(label) {
+        if (this.isEnabled('warn')) console.group(label);
+    }
+
+    groupEnd() {
+        if (this.isEnabled('warn')) console.groupEnd();
+    }
+}
+
+// Shared logger for every detector module
+const fraudLogger = new Logger();
+
+window.LOG_LEVELS = LOG_LEVELS;
+window.Logger = Logger;
+window.fraudLogger = fraudLogger;
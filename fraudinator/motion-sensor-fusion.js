@@ -0,0 +1,305 @@
+// Motion Sensor Fusion Module
+// Corroborates the movement of a location track with the device's accelerometer and gyroscope
+
+// A phone lying still reads a few hundredths of m/s² of sensor noise; one carried by a walking
+// person swings by 1 m/s² and more with each step, and one in a car shakes with the road
+const SENSOR_STILL_ACCELERATION = 0.03; // m/s², RMS
+const SENSOR_STILL_ROTATION = 0.5; // °/s
+const SENSOR_ACTIVE_ACCELERATION = 0.8; // m/s², RMS
+// Acceleration readings needed between two fixes to judge how the device moved
+const SENSOR_MIN_READINGS = 5;
+// Track speeds between fixes: from walking pace up a move counts, below a stroll the device stays put
+const TRACK_MOVING_SPEED = 1; // m/s
+const TRACK_STATIONARY_SPEED = 0.2; // m/s
+const WALKING_SPEED = 1.4; // m/s
+
+/**
+ * @description Sensor readings from `devicemotion` and `deviceorientation` events. iOS only fires
+ * them once DeviceMotionEvent.requestPermission() was granted in a user gesture.
+ * @param {EventTarget} [target] - Where the events are fired.
+ * @returns {object} A sensor source, `{ name, start(onReading, onError), stop() }`.
+ */
+function createDeviceMotionSource(target = window) {
+    const listeners = {
+        devicemotion: null,
+        deviceorientation: null
+    };
+    return {
+        name: 'devicemotion',
+        start(onReading) {
+            listeners.devicemotion = event => onReading({
+                acceleration: event.acceleration,
+                accelerationIncludingGravity: event.accelerationIncludingGravity,
+                rotationRate: event.rotationRate
+            });
+            listeners.deviceorientation = event => onReading({
+                orientation: { alpha: event.alpha, beta: event.beta, gamma: event.gamma }
+            });
+            Object.keys(listeners).forEach(type => target.addEventListener(type, listeners[type]));
+        },
+        stop() {
+            Object.keys(listeners).forEach(type => {
+                if (listeners[type]) target.removeEventListener(type, listeners[type]);
+                listeners[type] = null;
+            });
+        }
+    };
+}
+
+/**
+ * @description Sensor readings from the Generic Sensor API. Browsers without it, or a
+ * Permissions Policy that blocks the sensors, make the source report an error.
+ * @param {number} [frequency] - Readings per second requested from each sensor.
+ * @returns {object|null} A sensor source, or null where the API is missing.
+ */
+function createGenericSensorSource(frequency = 30) {
+    if (typeof LinearAccelerationSensor !== 'function' || typeof Gyroscope !== 'function') return null;
+
+    let sensors = [];
+    const toDegrees = radians => radians * 180 / Math.PI;
+    return {
+        name: 'generic-sensor',
+        start(onReading, onError) {
+            try {
+                const accelerometer = new LinearAccelerationSensor({ frequency });
+                const gyroscope = new Gyroscope({ frequency });
+                accelerometer.addEventListener('reading', () => onReading({
+                    acceleration: { x: accelerometer.x, y: accelerometer.y, z: accelerometer.z }
+                }));
+                // Around the same axes as DeviceMotionEvent.rotationRate, which is in °/s
+                gyroscope.addEventListener('reading', () => onReading({
+                    rotationRate: { alpha: toDegrees(gyroscope.z), beta: toDegrees(gyroscope.x), gamma: toDegrees(gyroscope.y) }
+                }));
+                sensors = [accelerometer, gyroscope];
+                sensors.forEach(sensor => {
+                    sensor.addEventListener('error', event => onError(event.error));
+                    sensor.start();
+                });
+            } catch (e) {
+                onError(e);
+            }
+        },
+        stop() {
+            sensors.forEach(sensor => sensor.stop());
+            sensors = [];
+        }
+    };
+}
+
+/**
+ * @class MotionSensorFusion
+ * @description Records the device's motion sensors while a LocationBehaviorAnalyzer watches the
+ * position, and checks that both tell the same story: a track moving at walking or driving speed
+ * needs a device that moves, and a device swinging with every step needs a track that moves.
+ * Desktops, and phones that deny sensor access, send no readings and are not judged.
+ */
+class MotionSensorFusion {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.source] - Where readings come from, `{ name, start(onReading, onError), stop() }`.
+     * onReading takes `{ timestamp, acceleration, accelerationIncludingGravity, rotationRate, orientation }`,
+     * any of them optional. Defaults to the Generic Sensor API, falling back to the device motion events.
+     * @param {number} [options.maxReadings] - Readings kept; older ones are dropped.
+     */
+    constructor({ source = null, maxReadings = 5000 } = {}) {
+        this.source = source;
+        this.maxReadings = maxReadings;
+        this.activeSource = null;
+        this.active = false;
+        this.readings = [];
+    }
+
+    /**
+     * @description Starts recording the sensors. Does nothing if already started.
+     */
+    start() {
+        if (this.active) return;
+
+        this.active = true;
+        this.activeSource = this.source || createGenericSensorSource() || createDeviceMotionSource();
+        this.startSource(this.activeSource);
+    }
+
+    /**
+     * @description Stops recording the sensors. The readings are kept.
+     */
+    stop() {
+        if (!this.active) return;
+
+        this.active = false;
+        this.activeSource.stop();
+    }
+
+    startSource(source) {
+        source.start(reading => this.addReading(reading), error => this.handleSourceError(source, error));
+    }
+
+    handleSourceError(source, error) {
+        fraudLogger.debug(`Motion sensors unavailable from ${source.name}:`, error && error.message);
+        source.stop();
+
+        // The Generic Sensor API needs permissions the device motion events do not
+        if (this.active && source === this.activeSource && !this.source && source.name === 'generic-sensor') {
+            this.activeSource = createDeviceMotionSource();
+            this.startSource(this.activeSource);
+        }
+    }
+
+    /**
+     * @description Records a reading. Vectors with missing components are left out, as browsers
+     * send them for sensors the device lacks.
+     * @param {object} reading - As passed to the onReading callback of a source.
+     */
+    addReading({ timestamp = Date.now(), acceleration, accelerationIncludingGravity, rotationRate, orientation } = {}) {
+        const reading = {
+            timestamp,
+            acceleration: readVector(acceleration, ['x', 'y', 'z']),
+            accelerationIncludingGravity: readVector(accelerationIncludingGravity, ['x', 'y', 'z']),
+            rotationRate: readVector(rotationRate, ['alpha', 'beta', 'gamma']),
+            orientation: readVector(orientation, ['alpha', 'beta', 'gamma'])
+        };
+        if (!reading.acceleration && !reading.accelerationIncludingGravity && !reading.rotationRate && !reading.orientation) return;
+
+        this.readings.push(reading);
+        if (this.readings.length > this.maxReadings) {
+            this.readings.splice(0, this.readings.length - this.maxReadings);
+        }
+    }
+
+    /**
+     * @description Sums up how the device moved after `from` and up to `to`.
+     * @returns {object} `{ readings, accelerationRms, rotationRate, activity }`: the RMS of the
+     * acceleration without gravity in m/s², the mean rotation speed in °/s, and 'still', 'light' or
+     * 'active', or null with too few readings to tell.
+     */
+    summarize(from, to) {
+        const readings = this.readings.filter(reading => reading.timestamp > from && reading.timestamp <= to);
+        const magnitude = vector => Math.hypot(...Object.values(vector));
+        const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const rms = values => Math.sqrt(mean(values.map(value => value * value)));
+
+        // Without the linear acceleration, the swing of the magnitude around its mean removes gravity
+        const linear = readings.filter(reading => reading.acceleration).map(reading => magnitude(reading.acceleration));
+        const withGravity = readings.filter(reading => reading.accelerationIncludingGravity)
+            .map(reading => magnitude(reading.accelerationIncludingGravity));
+        let accelerationRms = null;
+        let accelerationReadings = 0;
+        if (linear.length > 0) {
+            accelerationRms = rms(linear);
+            accelerationReadings = linear.length;
+        } else if (withGravity.length > 0) {
+            const gravity = mean(withGravity);
+            accelerationRms = rms(withGravity.map(value => value - gravity));
+            accelerationReadings = withGravity.length;
+        }
+
+        // The gyroscope where there is one, else how far the orientation turned
+        const rates = readings.filter(reading => reading.rotationRate).map(reading => magnitude(reading.rotationRate));
+        const orientations = readings.filter(reading => reading.orientation).map(reading => reading.orientation);
+        let rotationRate = null;
+        if (rates.length > 0) {
+            rotationRate = mean(rates);
+        } else if (orientations.length >= 2 && to > from) {
+            const angle = (a, b) => Math.abs(((b - a) % 360 + 540) % 360 - 180);
+            let turned = 0;
+            for (let i = 1; i < orientations.length; i++) {
+                const [previous, current] = [orientations[i - 1], orientations[i]];
+                turned += Math.hypot(angle(previous.alpha, current.alpha), angle(previous.beta, current.beta), angle(previous.gamma, current.gamma));
+            }
+            rotationRate = turned / ((to - from) / 1000);
+        }
+
+        let activity = null;
+        if (accelerationReadings >= SENSOR_MIN_READINGS) {
+            if (accelerationRms >= SENSOR_ACTIVE_ACCELERATION) {
+                activity = 'active';
+            } else if (accelerationRms < SENSOR_STILL_ACCELERATION && (rotationRate === null || rotationRate < SENSOR_STILL_ROTATION)) {
+                activity = 'still';
+            } else {
+                activity = 'light';
+            }
+        }
+
+        const round = value => (value === null ? null : Math.round(value * 1000) / 1000);
+        return { readings: readings.length, accelerationRms: round(accelerationRms), rotationRate: round(rotationRate), activity };
+    }
+
+    /**
+     * @description Compares each step of a location history with the sensors over the same time.
+     * A step moves when it covers more than both accuracy radii at walking pace or faster; it stays
+     * put when it is slower than a stroll over a time long enough for a walk to stand out from the
+     * position noise. Readings older than the history are dropped.
+     * @param {object[]} locationHistory - Positions with `latitude`, `longitude`, `accuracy` and `timestamp`.
+     * @returns {object} `{ source, readings, intervals, stillWhileMoving, activeWhileStationary }`. Each
+     * interval is `{ from, to, trackSpeed, track, sensors }` with track 'moving', 'stationary' or
+     * null, and sensors as from summarize(). The last two count `{ pairs, mismatched }` over the
+     * steps where both sides could be judged.
+     */
+    analyze(locationHistory) {
+        if (locationHistory.length > 0) {
+            const oldest = locationHistory[0].timestamp;
+            this.readings = this.readings.filter(reading => reading.timestamp >= oldest);
+        }
+
+        const intervals = [];
+        for (let i = 1; i < locationHistory.length; i++) {
+            const prev = locationHistory[i - 1];
+            const current = locationHistory[i];
+            const seconds = (current.timestamp - prev.timestamp) / 1000;
+            if (seconds <= 0) continue;
+
+            const distance = calculateTrackDistanceMeters(prev, current);
+            const noise = prev.accuracy + current.accuracy;
+            const speed = distance / seconds;
+            let track = null;
+            if (distance > noise && speed >= TRACK_MOVING_SPEED) {
+                track = 'moving';
+            } else if (speed < TRACK_STATIONARY_SPEED && WALKING_SPEED * seconds > noise) {
+                track = 'stationary';
+            }
+
+            intervals.push({
+                from: prev.timestamp,
+                to: current.timestamp,
+                trackSpeed: Math.round(speed * 1000) / 1000,
+                track,
+                sensors: this.summarize(prev.timestamp, current.timestamp)
+            });
+        }
+
+        const count = (track, activity) => {
+            const judged = intervals.filter(interval => interval.track === track && interval.sensors.activity !== null);
+            return { pairs: judged.length, mismatched: judged.filter(interval => interval.sensors.activity === activity).length };
+        };
+        return {
+            source: this.activeSource ? this.activeSource.name : null,
+            readings: this.readings.length,
+            intervals,
+            stillWhileMoving: count('moving', 'still'),
+            activeWhileStationary: count('stationary', 'active')
+        };
+    }
+}
+
+// The numeric components of a sensor vector, or null if any is missing
+function readVector(value, keys) {
+    if (!value) return null;
+    const vector = {};
+    for (const key of keys) {
+        if (typeof value[key] !== 'number' || isNaN(value[key])) return null;
+        vector[key] = value[key];
+    }
+    return vector;
+}
+
+// Great-circle distance (Haversine formula)
+function calculateTrackDistanceMeters(a, b) {
+    const toRad = degrees => degrees * (Math.PI / 180);
+    const dLat = toRad(b.latitude - a.latitude);
+    const dLon = toRad(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return 6371000 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+window.MotionSensorFusion = MotionSensorFusion;
@@ -1,136 +1,308 @@
+// Mouse Dynamics Module
+// Records the mouse movement of a monitored session and looks for the marks remote desktop tools
+// (RDP, VNC, TeamViewer) and injected input leave on it: movement replayed on a fixed network tick,
+// in batches, in straight jumps between sparse positions, at a constant speed or without sub-pixel
+// precision. Registered as the 'mouseDynamics' detector; FraudDetector owns one recorder per
+// session and merges its result into the environment section.
+
+// A gap between samples at least this long ends a stroke and counts as a pause
+const MOUSE_PAUSE_MS = 100;
+// Longer gaps are the user doing something else, not part of the movement rhythm
+const MOUSE_MAX_PAUSE_MS = 5000;
+// Samples closer together than this were delivered in one batch
+const MOUSE_BATCH_INTERVAL_MS = 0.25;
+// Local mice report at 125 Hz or more (8 ms); a slower fixed tick comes from remote input
+const MOUSE_MIN_TICK_MS = 25;
+// Distance between consecutive samples that no hand covers in one sampling interval
+const MOUSE_JUMP_PX = 100;
+// Turning angle (radians) under which three samples count as a straight line, about 1 degree
+const MOUSE_STRAIGHT_ANGLE = 0.02;
+// Segments shorter than this are dominated by pixel rounding and have no meaningful direction
+const MOUSE_MIN_TURN_SEGMENT_PX = 2;
+// Minimum amount of data before a feature is judged
+const MOUSE_MIN_SAMPLES = 30;
+const MOUSE_MIN_SEGMENTS = 20;
+const MOUSE_MIN_PAUSES = 5;
+const MOUSE_MIN_POINTER_SAMPLES = 50;
+
+const roundFeature = (value, digits = 2) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+function medianOf(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Coefficient of variation: standard deviation over mean
+function coefficientOfVariation(values) {
+  if (values.length < 2) return null;
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  if (mean === 0) return null;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return Math.sqrt(variance) / mean;
+}
+
 /**
- * Creates a detector for identifying potential Remote Desktop Protocol (RDP) usage
- * by analyzing mouse movement patterns.
+ * @class MouseDynamicsDetector
+ * @description Keeps the mouse movement history of a session and extracts features of the whole
+ * history: path curvature, jerk, the pause-duration distribution, sub-pixel motion, event
+ * coalescing and batching, and quantization of the sampling interval. Nothing is recorded until
+ * start() is called.
  */
-function createRDPDetector() {
-  let mousePositions = [];
-  let suspicionScore = 0;
-  let lastEventTime = performance.now();
-  let analysisInterval;
-
-  const config = {
-    // How often to analyze the collected data (in milliseconds)
-    analysisFrequency: 1000,
-    // The number of recent mouse positions to keep for analysis
-    positionHistorySize: 50,
-    // Thresholds for flagging suspicious movements
-    linearityThreshold: 0.8, // How close to a straight line a movement is
-    jumpThreshold: 100, // Maximum distance (in pixels) for a legitimate single movement
-    lowEventFrequencyThreshold: 20, // Minimum expected events per analysis interval for active movement
-    velocityChangeThreshold: 5, // How much the velocity can change between movements
-  };
+class MouseDynamicsDetector {
+  /**
+   * @param {object} [options]
+   * @param {EventTarget} [options.target] - Where the movement is listened for. Defaults to the document.
+   * @param {number} [options.maxSamples] - Samples kept; the oldest are dropped first.
+   */
+  constructor({ target = typeof document !== 'undefined' ? document : null, maxSamples = 2000 } = {}) {
+    this.target = target;
+    this.maxSamples = maxSamples;
+    this.samples = [];
+    this.eventCount = 0;
+    this.listener = null;
+    this.eventType = null;
+  }
+
+  /**
+   * @description Starts recording. Pointer events are preferred: they carry the coalesced samples
+   * the browser merged into one event, with fractional coordinates.
+   */
+  start() {
+    if (this.listener || !this.target) return;
+    this.eventType = typeof PointerEvent !== 'undefined' ? 'pointermove' : 'mousemove';
+    this.listener = event => this.recordEvent(event);
+    this.target.addEventListener(this.eventType, this.listener, { passive: true });
+    fraudLogger.debug('Mouse dynamics recording started.');
+  }
+
+  /**
+   * @description Stops recording. The samples so far are kept for analyze().
+   */
+  stop() {
+    if (!this.listener) return;
+    this.target.removeEventListener(this.eventType, this.listener);
+    this.listener = null;
+    fraudLogger.debug('Mouse dynamics recording stopped.');
+  }
+
+  /**
+   * @description Forgets the recorded movement.
+   */
+  reset() {
+    this.samples = [];
+    this.eventCount = 0;
+  }
 
   /**
-   * Records the mouse position and timestamp.
-   * @param {MouseEvent} event The mousemove event.
+   * @description Records a mousemove or pointermove event, expanded into its coalesced samples.
+   * Touch and pen input is ignored.
+   * @param {MouseEvent|PointerEvent} event - The event.
    */
-  function recordMouseMovement(event) {
-    const currentTime = performance.now();
-    const elapsedTime = currentTime - lastEventTime;
-    lastEventTime = currentTime;
-
-    mousePositions.push({
-      x: event.clientX,
-      y: event.clientY,
-      time: currentTime,
-      elapsedTime: elapsedTime,
+  recordEvent(event) {
+    if (event.pointerType && event.pointerType !== 'mouse') return;
+
+    const pointer = typeof event.pointerType === 'string';
+    const coalesced = typeof event.getCoalescedEvents === 'function' ? event.getCoalescedEvents() : [];
+    this.eventCount++;
+    (coalesced.length > 0 ? coalesced : [event]).forEach(sample => {
+      this.addSample({ x: sample.clientX, y: sample.clientY, time: sample.timeStamp, pointer });
     });
+  }
 
-    // Keep the array at a manageable size
-    if (mousePositions.length > config.positionHistorySize) {
-      mousePositions.shift();
+  /**
+   * @param {object} sample - `{ x, y, time, pointer }`: CSS pixel position, timestamp in
+   * milliseconds and whether it came from a pointer event (which may carry fractional coordinates).
+   */
+  addSample(sample) {
+    this.samples.push(sample);
+    if (this.samples.length > this.maxSamples) {
+      this.samples.shift();
     }
   }
 
   /**
-   * Analyzes the collected mouse movement data for RDP-like patterns.
+   * @description Extracts the movement features from the whole recorded history.
+   * @returns {object} The features; each group is null-valued where there is not enough data.
    */
-  function analyzeMouseData() {
-    if (mousePositions.length < 3) {
-      // Not enough data to analyze
-      return;
-    }
+  extractFeatures() {
+    const samples = this.samples;
+    const strokes = [];
+    const pauses = [];
+    let stroke = [];
+    samples.forEach((sample, index) => {
+      const gap = index > 0 ? sample.time - samples[index - 1].time : 0;
+      if (gap >= MOUSE_PAUSE_MS) {
+        if (gap <= MOUSE_MAX_PAUSE_MS) pauses.push(gap);
+        strokes.push(stroke);
+        stroke = [];
+      }
+      stroke.push(sample);
+    });
+    if (stroke.length > 0) strokes.push(stroke);
 
-    // 1. Check for unnaturally straight lines
-    const recentPositions = mousePositions.slice(-3);
-    const [p1, p2, p3] = recentPositions;
-    const slope1 = (p2.y - p1.y) / (p2.x - p1.x);
-    const slope2 = (p3.y - p2.y) / (p3.x - p2.x);
+    const intervals = [];
+    const speeds = [];
+    const turns = [];
+    const jerks = [];
+    let segmentCount = 0;
+    let batched = 0;
+    let jumps = 0;
 
-    if (Math.abs(slope1 - slope2) < 0.1 && isFinite(slope1) && isFinite(slope2)) {
-      suspicionScore += config.linearityThreshold;
-    }
+    strokes.forEach(points => {
+      const segments = [];
+      for (let i = 1; i < points.length; i++) {
+        const dt = points[i].time - points[i - 1].time;
+        const dx = points[i].x - points[i - 1].x;
+        const dy = points[i].y - points[i - 1].y;
+        const distance = Math.hypot(dx, dy);
+        if (distance === 0) continue;
 
-    // 2. Check for large jumps (teleportation)
-    const distance = Math.sqrt(Math.pow(p3.x - p2.x, 2) + Math.pow(p3.y - p2.y, 2));
-    if (distance > config.jumpThreshold) {
-      suspicionScore += 1;
-    }
-    
-    // 3. Check for inconsistent velocities
-    const velocity1 = Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2)) / p2.elapsedTime;
-    const velocity2 = Math.sqrt(Math.pow(p3.x - p2.x, 2) + Math.pow(p3.y - p2.y, 2)) / p3.elapsedTime;
+        segmentCount++;
+        if (distance > MOUSE_JUMP_PX) jumps++;
+        if (dt < MOUSE_BATCH_INTERVAL_MS) {
+          batched++;
+        } else {
+          intervals.push(dt);
+        }
+        segments.push({ dt, dx, dy, distance });
+      }
 
-    if (velocity1 > 0 && Math.abs(velocity1 - velocity2) > config.velocityChangeThreshold) {
-        suspicionScore += 0.5;
-    }
+      // Curvature: turning angle between consecutive segments, per pixel travelled
+      for (let i = 1; i < segments.length; i++) {
+        const [a, b] = [segments[i - 1], segments[i]];
+        if (a.distance < MOUSE_MIN_TURN_SEGMENT_PX || b.distance < MOUSE_MIN_TURN_SEGMENT_PX) continue;
+        const angle = Math.abs(Math.atan2(a.dx * b.dy - a.dy * b.dx, a.dx * b.dx + a.dy * b.dy));
+        turns.push({ angle, curvature: angle / ((a.distance + b.distance) / 2) });
+      }
 
-    // 4. Check for low event frequency during movement
-    if (mousePositions.length < config.lowEventFrequencyThreshold) {
-      suspicionScore += 0.2;
-    }
+      // Speed, then its second derivative (jerk), over the segments with a usable interval
+      const timed = segments.filter(segment => segment.dt >= MOUSE_BATCH_INTERVAL_MS);
+      const velocities = timed.map(segment => segment.distance / segment.dt);
+      speeds.push(...velocities);
+      const accelerations = [];
+      for (let i = 1; i < velocities.length; i++) {
+        accelerations.push((velocities[i] - velocities[i - 1]) / ((timed[i].dt + timed[i - 1].dt) / 2));
+      }
+      for (let i = 1; i < accelerations.length; i++) {
+        jerks.push((accelerations[i] - accelerations[i - 1]) / timed[i].dt);
+      }
+    });
 
-    // Decay the suspicion score over time
-    suspicionScore *= 0.95;
+    // Quantization: how many intervals are a whole multiple of the typical one
+    const tick = medianOf(intervals);
+    const onTick = tick === null ? 0 : intervals.filter(interval => {
+      const multiple = Math.round(interval / tick);
+      return multiple >= 1 && Math.abs(interval - multiple * tick) <= Math.max(1, tick * 0.1);
+    }).length;
 
-    // Normalize the score
-    if (suspicionScore > 10) suspicionScore = 10;
-    if (suspicionScore < 0) suspicionScore = 0;
+    const pointerSamples = samples.filter(sample => sample.pointer);
+    const fractional = pointerSamples.filter(sample => sample.x % 1 !== 0 || sample.y % 1 !== 0).length;
+    const timedCount = segmentCount - batched;
+
+    return {
+      samples: samples.length,
+      events: this.eventCount,
+      strokes: strokes.length,
+      segments: segmentCount,
+      curvature: {
+        turns: turns.length,
+        straightShare: turns.length > 0 ? roundFeature(turns.filter(turn => turn.angle < MOUSE_STRAIGHT_ANGLE).length / turns.length) : null,
+        median: roundFeature(medianOf(turns.map(turn => turn.curvature)), 4)
+      },
+      velocity: {
+        median: roundFeature(medianOf(speeds), 3),
+        variation: roundFeature(coefficientOfVariation(speeds), 3)
+      },
+      jerk: {
+        rms: jerks.length > 0 ? roundFeature(Math.sqrt(jerks.reduce((sum, jerk) => sum + jerk * jerk, 0) / jerks.length), 6) : null
+      },
+      pauses: {
+        count: pauses.length,
+        medianMs: roundFeature(medianOf(pauses), 1),
+        variation: roundFeature(coefficientOfVariation(pauses), 3)
+      },
+      sampling: {
+        intervals: timedCount,
+        tickMs: roundFeature(tick, 1),
+        rateHz: tick ? roundFeature(1000 / tick, 1) : null,
+        onTickShare: intervals.length > 0 ? roundFeature(onTick / intervals.length) : null
+      },
+      batching: {
+        batchedShare: segmentCount > 0 ? roundFeature(batched / segmentCount) : null,
+        samplesPerEvent: this.eventCount > 0 ? roundFeature(samples.length / this.eventCount) : null
+      },
+      jumps: {
+        count: jumps,
+        share: segmentCount > 0 ? roundFeature(jumps / segmentCount) : null
+      },
+      subPixel: {
+        pointerSamples: pointerSamples.length,
+        fractionalShare: pointerSamples.length > 0 ? roundFeature(fractional / pointerSamples.length) : null,
+        devicePixelRatio: typeof window !== 'undefined' ? window.devicePixelRatio || 1 : 1
+      }
+    };
   }
 
-  return {
-    /**
-     * Starts the RDP detection.
-     */
-    start() {
-      document.addEventListener("mousemove", recordMouseMovement);
-      analysisInterval = setInterval(analyzeMouseData, config.analysisFrequency);
-      console.log("RDP detection started.");
-    },
-
-    /**
-     * Stops the RDP detection.
-     */
-    stop() {
-      document.removeEventListener("mousemove", recordMouseMovement);
-      clearInterval(analysisInterval);
-      mousePositions = [];
-      suspicionScore = 0;
-      console.log("RDP detection stopped.");
-    },
-
-    /**
-     * @returns {number} The current suspicion score (0-10).
-     */
-    getSuspicionScore() {
-      return suspicionScore;
-    },
-  };
-}
+  /**
+   * @description Judges the recorded movement.
+   * @returns {object} `{ score, indicators, details }`, details being the extracted features.
+   */
+  analyze() {
+    const features = this.extractFeatures();
+    const indicators = [];
+    const addIndicator = (code, evidence, message) => {
+      indicators.push(createIndicator({ code, source: 'remoteDesktop', evidence, message }));
+    };
+    const percent = share => `${Math.round(share * 100)}%`;
+
+    if (features.samples >= MOUSE_MIN_SAMPLES) {
+      const { curvature, velocity, jerk, pauses, sampling, batching, jumps, subPixel } = features;
 
-// --- Example Usage ---
-const rdpDetector = createRDPDetector();
-rdpDetector.start();
-
-// You can periodically check the suspicion score
-setInterval(() => {
-  const score = rdpDetector.getSuspicionScore();
-  console.log(`Current RDP Suspicion Score: ${score.toFixed(2)}`);
-  if (score > 5) {
-    console.warn("High suspicion of RDP usage detected!");
-    // Here you could trigger additional security measures
+      if (curvature.turns >= MOUSE_MIN_SEGMENTS && curvature.straightShare >= 0.8) {
+        addIndicator(IndicatorCodes.MOUSE_LINEAR_PATHS, curvature,
+          `Mouse moves in straight lines: ${percent(curvature.straightShare)} of turns are under 1°`);
+      }
+      if (features.segments >= MOUSE_MIN_SEGMENTS && jumps.share >= 0.1) {
+        addIndicator(IndicatorCodes.MOUSE_POSITION_JUMPS, { ...jumps, thresholdPx: MOUSE_JUMP_PX },
+          `Mouse jumps more than ${MOUSE_JUMP_PX}px between samples in ${percent(jumps.share)} of moves`);
+      }
+      if (features.segments >= MOUSE_MIN_SEGMENTS && batching.batchedShare >= 0.3) {
+        addIndicator(IndicatorCodes.MOUSE_EVENT_BATCHING, batching,
+          `${percent(batching.batchedShare)} of mouse samples arrive in batches at the same instant`);
+      }
+      if (sampling.intervals >= MOUSE_MIN_SEGMENTS && sampling.tickMs >= MOUSE_MIN_TICK_MS && sampling.onTickShare >= 0.8) {
+        addIndicator(IndicatorCodes.MOUSE_QUANTIZED_SAMPLING, sampling,
+          `Mouse samples arrive on a fixed ${sampling.tickMs}ms tick (${sampling.rateHz} Hz)`);
+      }
+      if (pauses.count >= MOUSE_MIN_PAUSES && pauses.variation < 0.1) {
+        addIndicator(IndicatorCodes.MOUSE_UNIFORM_PAUSES, pauses,
+          `Mouse pauses all last about ${Math.round(pauses.medianMs)}ms`);
+      }
+      if (sampling.intervals >= MOUSE_MIN_SEGMENTS && velocity.variation !== null && velocity.variation < 0.05) {
+        addIndicator(IndicatorCodes.MOUSE_CONSTANT_VELOCITY, { ...velocity, jerkRms: jerk.rms },
+          'Mouse moves at a constant speed, without accelerating or slowing down');
+      }
+      if (subPixel.pointerSamples >= MOUSE_MIN_POINTER_SAMPLES && subPixel.devicePixelRatio % 1 !== 0 &&
+          subPixel.fractionalShare === 0) {
+        addIndicator(IndicatorCodes.MOUSE_INTEGER_COORDINATES, subPixel,
+          `Mouse positions are whole CSS pixels at a device pixel ratio of ${subPixel.devicePixelRatio}`);
+      }
+    }
+
+    return { score: sumIndicatorWeights(indicators), indicators, details: features };
   }
-}, 3000);
+}
 
-// To stop the detection:
-// rdpDetector.stop();
\ No newline at end of file
+window.MouseDynamicsDetector = MouseDynamicsDetector;
+
+if (typeof detectorRegistry !== 'undefined') {
+  detectorRegistry.register({
+    id: 'mouseDynamics',
+    category: 'remoteDesktop',
+    mergedInto: 'environment',
+    description: 'Mouse movement recorded while monitoring, judged for remote desktop and injected input',
+    run: ({ detector }) => (detector && detector.mouseDynamics ? detector.mouseDynamics.analyze() : null)
+  });
+}
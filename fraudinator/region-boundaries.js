@@ -0,0 +1,4511 @@
+// Generated by tools/build-region-boundaries.js - do not edit by hand.
+// Natural Earth 1:10m admin-1 boundaries (public domain) via geojson-places 1.0.8,
+// simplified to 0.1° and stored as encoded polylines (lat/lng, 2 decimal places).
+// Each region is [ISO 3166-1 country, ISO 3166-2 region or null, name, [encodedRing, ...]].
+const REGION_BOUNDARIES = {
+    source: 'Natural Earth admin-1 (geojson-places 1.0.8)',
+    precision: 2,
+    tolerance: 0.1,
+    regions: [
+        ['AD', 'AD-02', 'Canillo', ['yhGuH?k@S??j@R?']],
+        ['AD', 'AD-03', 'Encamp', ['qhGuH?a@Q??`@P?']],
+        ['AD', 'AD-04', 'La Massana', ['shGwG?_@U??^T?']],
+        ['AD', 'AD-05', 'Ordino', ['_iGaH?]Q??\\P?']],
+        ['AD', 'AD-06', 'Sant Julià de Lòria', ['chGwG?c@S??b@R?']],
+        ['AD', 'AD-07', 'Andorra la Vella', ['ohGgH?OK??NJ?']],
+        ['AD', 'AD-08', 'Escaldes-Engordany', ['ihGiH?a@Q??`@P?']],
+        ['AE', 'AE-AJ', 'Emirate of Ajman', ['_}CkyI?uBe@??tBd@?']],
+        ['AE', 'AE-AZ', 'Emirate of Abu Dhabi', ['iyCw{IP~BiA\\j@hAn@JE^P]f@d@d@bB]~Ff@r@HpAsAbAp@BlFeE~@}NeFuAe@NWkB]n@{AG', '_vCknIA{@UTVd@', 'svCglI]SVn@D[']],
+        ['AE', 'AE-DU', 'Emirate of Dubai', ['e}CwxIbA|@hAa@YcB{AJWz@']],
+        ['AE', 'AE-FU', 'Emirate of Fujairah', ['a}Ce_JLd@v@UeAO', 'i}Cs~Iu@O@hAj@a@AZ\\@Su@']],
+        ['AE', 'AE-RK', 'Emirate of Ras Al Khaimah', ['e}Cm~IVv@hA_@I_@a@Vu@O', 'k_D}}IqA?pAnA`Ae@Ee@k@^Oc@']],
+        ['AE', 'AE-SH', 'Emirate of Sharjah', ['a{C{|IqACRb@m@z@ZQJx@V{@~AIs@}@']],
+        ['AE', 'AE-UQ', 'Emirate of Umm Al Quwain', ['m~C_zIh@mAgA^\\l@']],
+        ['AE', null, 'Fujairah', ['oyCu|I?iAo@??hAn@?']],
+        ['AF', 'AF-BAL', 'Balkh', ['mgFsfL?fBe@p@BvCp@q@|ADPi@`Aj@J[v@Eh@VImAwDuBHkCwBpA']],
+        ['AF', 'AF-BAM', 'Bamyan', ['ktEmdL[W]z@g@IDeCg@}@s@r@oAMP~Ff@xAn@B|@uAp@z@~@KTcBg@oA']],
+        ['AF', 'AF-BDG', 'Badghis', ['e`FmnKd@bD\\WfAlA`B\\`A_Fw@sFcAZiAlDiBP']],
+        ['AF', 'AF-BDS', 'Badakhshan', ['kfF{pM]`@KgBg@pBh@xBGTa@]ExAtA~BbAhEkAj@eDa@EbA_ASk@lAJ|@zA`Bt@U\\v@`BWrBNb@uA|@@z@l@?q@l@SGw@aCgAaAmAJa@}@mAa@kEJiDg@cB']],
+        ['AF', 'AF-BGL', 'Baghlan', ['y~EgtLkBv@VjA{@rBEfBpAaA|AhAzBZ?oBgAyBWoBu@i@']],
+        ['AF', 'AF-FRA', 'Farah', ['ecEa`K}BiAIoBZg@Qy@m@YMeCq@c@Kw@sByAUd@^~@eAz@d@|CjBvEYlAqBc@?jEbAt@pDu@vC@R}C']],
+        ['AF', 'AF-FYB', 'Faryab', ['ieFqsKnBl@r@tB~@Bj@YNoA`@?F_EyASe@cAc@PH|BkA]Gm@oB\\y@_@RfCx@N']],
+        ['AF', 'AF-GHA', 'Ghazni', ['_oEu`LHa@v@JKaBh@BrAiAX\\b@kAkAMs@r@QwAuBeBaA?D|@eBpA?|ARf@l@?d@f@RbAz@@']],
+        ['AF', 'AF-GHO', 'Ghōr', ['eyEw}KXr@w@Ji@nAJtDb@u@n@APdBh@BBv@n@NG|Bf@Rt@e@t@dBh@Mg@cDnAiAg@g@Vy@k@mBc@i@u@b@}AW]sF]Cu@nA']],
+        ['AF', 'AF-HEL', 'Helmand', ['ywDcrKeM}@k@{@kA_@{AP_Ac@[ZX`BxBxArAtCtEd@d@f@rAH~@~@zC`@DiHc@qA']],
+        ['AF', 'AF-HER', 'Herat', ['y{EsgKd@hB{@v@@pAe@`A`Df@x@hAf@e@b@nAbBC^kGlBd@Te@CcBg@WUkBkAKu@eBu@d@g@SF}Bo@OCw@c@?^hC[vCk@hA{A_@']],
+        ['AF', 'AF-JOW', 'Jowzjan', ['ohFa}K]tBjB`ArB]Fl@lAZ@gBkAVs@kE]TI]_ALq@p@']],
+        ['AF', 'AF-KAB', 'Kabul', ['yxE{sLr@tAo@`@M~@pAZZYA}@j@e@u@cAwAQ']],
+        ['AF', 'AF-KAN', 'Kandahar', ['cdEmfLcArEd@jA]XeCgALbDYXx@\\Gf@~AtAdM|@DkB{@gFW[SVoD_@iAiBRwAWqAc@f@Ee@']],
+        ['AF', 'AF-KAP', 'Kapisa', ['yxE{sL{@`@AxA\\CRu@r@Eg@{@']],
+        ['AF', 'AF-KDZ', 'Kunduz', ['_gFepLi@|Al@lBv@p@n@a@v@iEcDQ']],
+        ['AF', 'AF-KHO', 'Khost', ['{qEotLd@rAdBl@IiBm@qAsAx@']],
+        ['AF', 'AF-KNR', 'Kunar', ['kyEq}Lq@e@u@HfA~AEzAZNzAa@EaAkAkA']],
+        ['AF', 'AF-LAG', 'Laghman', ['avEisLSsB}Ag@F~@{@z@^`@z@YhAV']],
+        ['AF', 'AF-LOG', 'Logar', ['otEiqLg@h@@|@nBr@b@K?o@wAiB?gAg@^Pp@']],
+        ['AF', 'AF-NAN', 'Nangarhar', ['_wEszLDn@s@\\z@n@RhCl@`@Qo@h@c@N}Di@q@mAX']],
+        ['AF', 'AF-NIM', 'Nimruz', ['syDg{JvA_J{Ca@_A_AsAIe@g@uEe@IhAl@XPx@[f@HnBbBhAdCe@dE~D']],
+        ['AF', 'AF-NUR', 'Nuristan', ['e`Fy{LlB|@D~@k@J?p@|@|@p@Uh@gAm@s@D{Ag@S]iAmA\\e@r@']],
+        ['AF', 'AF-PAR', 'Parwan', ['a_FevLzAhEl@@NmByC}A', 'kwEkmLw@WL_An@]K]s@DWx@mAFpArEjAe@@aB']],
+        ['AF', 'AF-PIA', 'Paktika', ['sfEcpLgBLuAs@]Zg@IPnAq@H@b@zBjBJpAr@s@hCCKuAh@}@aA{A']],
+        ['AF', 'AF-PKA', 'Paktia', ['wsE}sL?lAtAdB?n@j@?Ac@p@IQoA}@c@_@qAaAN']],
+        ['AF', 'AF-SAM', 'Samangan', ['ucFeiLB`Dv@@l@z@XIf@j@n@QT^YeG_CmAwAbA']],
+        ['AF', 'AF-SAR', 'Sar-e Pol', ['ucFy~Kt@lEbAEGk@b@Md@bAfAJl@{Bv@KYs@u@?C}@gAcA_@TFnAg@Yw@DKZ_Ak@I\\']],
+        ['AF', 'AF-TAK', 'Takhar', ['uiFotLG|AZ\\l@KpCx@r@]WkAnB{@a@_Bk@Cy@vAqBOeBV']],
+        ['AF', 'AF-URU', 'Urozgan', ['_oEu`LEfBp@r@EpCd@ZrBKFg@y@_@XU@yAaAoAPK_@iAoAAI`@', 'wsE}cLLlCuAb@HxD~AXt@c@n@fAx@g@@}Bq@w@DcB{@Aw@kBc@D']],
+        ['AF', 'AF-WAR', 'Maidan Wardak', ['kwEkmLA`Ba@Pf@|@GbCf@J^{@ZVI_Cl@Ov@oA}@cA}BD']],
+        ['AF', 'AF-ZAB', 'Zabul', ['oeEshLcAH_@rAW]sAhAi@CIdAl@Pp@bCLi@dCfA\\Ye@kAbAsEk@eA']],
+        ['AG', 'AG-03', 'Saint George', ['uiBhaK?KS??JR?']],
+        ['AG', 'AG-04', 'Saint John', ['oiBzaK?YY??XX?']],
+        ['AG', 'AG-05', 'Saint Mary', ['giBzaK?SS??RR?']],
+        ['AG', 'AG-06', 'Saint Paul', ['ciBjaK?SQ??RP?']],
+        ['AG', 'AG-07', 'Saint Peter', ['siBbaK?OQ??NP?']],
+        ['AG', 'AG-08', 'Saint Philip', ['kiBz`K?OQ??NP?']],
+        ['AG', 'AG-10', 'Barbuda', ['}lBnaK?U[TZ?']],
+        ['AG', 'AG-11', 'Redonda', ['yhBtdK?AC??@B?']],
+        ['AI', 'AI-X00', '', ['cqBlkK?u@eA??t@dA?']],
+        ['AI', null, 'East End', ['}pBzhK?SM??RL?']],
+        ['AI', null, 'Stoney Ground', ['}pB`iK?KI??JH?']],
+        ['AI', null, 'North Side', ['}pBdiK?II??HH?']],
+        ['AI', null, 'The Valley', ['{pBfiK?GE??FD?']],
+        ['AI', null, 'North Hill', ['ypBfiK?GE??FD?']],
+        ['AI', null, 'Sandy Ground', ['ypBjiK?EC??DB?']],
+        ['AI', null, 'South Hill', ['spBpiK?MG??LF?']],
+        ['AI', null, 'West End', ['opBxiK?II??HH?']],
+        ['AI', null, 'Blowing Point', ['qpBniK?KI??JH?']],
+        ['AI', null, 'The Farrington', ['upBdiK?GG??FF?']],
+        ['AI', null, 'Sandy Hill Bay', ['ypB~hK?II??HH?']],
+        ['AI', null, 'Island Harbour', ['cqBxhK?CC??BB?']],
+        ['AI', null, 'George Hill', ['wpBfiK?CC??BB?']],
+        ['AI', null, 'The Quarter', ['{pB`iK?EC??DB?']],
+        ['AL', 'AL-01', 'Berat', ['q}Fy}B]x@Nt@l@Wh@yAO[y@\\']],
+        ['AL', 'AL-02', 'Durrës', ['{`G_yBe@SKy@O|A`AO']],
+        ['AL', 'AL-03', 'Elbasan', ['q`Ge_Cc@JB\\~@|B`AsB}@eAc@P']],
+        ['AL', 'AL-04', 'Fier', ['a}FswBl@aBUUu@`@K[[JIbAnA`@']],
+        ['AL', 'AL-05', 'Gjirokastër', ['oyF{_CgA^N`@a@lATVdA_@r@gAc@?Q_A']],
+        ['AL', 'AL-06', 'Korçë', ['y_Gw_CfA|@`CaAoBsAq@Ng@fA']],
+        ['AL', 'AL-07', 'Kukës', ['udGq_CcAL{@fAPdAd@GFqA~@B?eA']],
+        ['AL', 'AL-08', 'Lezhë', ['{bGgyB@w@[DIeAq@SXt@EfB`AQ']],
+        ['AL', 'AL-09', 'Dibër', ['waGk_CwA?K`AZHHdA~@o@AaB']],
+        ['AL', 'AL-10', 'Shkodër', ['eiGmzBnA~AbASE}B]i@_@EGrAgAL']],
+        ['AL', 'AL-11', 'Tirana', ['i_GqxBaA}Ca@~@Jz@vA`@']],
+        ['AL', 'AL-12', 'Vlorë', ['ywF{}Bs@fA{Al@WpAz@a@Mb@hAqBfAYHi@a@S']],
+        ['AM', 'AM-AG', 'Aragatsotn', ['ozFapGHqCiAYc@jAl@EF`BVVTS']],
+        ['AM', 'AM-AR', 'Ararat', ['mwFuxGqAFLfClAsAI{@']],
+        ['AM', 'AM-AV', 'Armavir', ['uyF}oGRmC[KY|B`@Z']],
+        ['AM', 'AM-ER', 'Yerevan', ['iyFqtG?o@c@??n@b@?']],
+        ['AM', 'AM-GR', 'Gegharkunik', ['a}FqzG?pBzC}@u@iDeBtB']],
+        ['AM', 'AM-KT', 'Kotayk', ['e}FyvGAdAVYbAZZw@OcAeBr@']],
+        ['AM', 'AM-LO', 'Lori', ['s`GiwGJlDh@]XT\\uCo@[QZMa@]P']],
+        ['AM', 'AM-SH', 'Shirak', ['g`G{qGHjBdAw@dARSsBaCj@']],
+        ['AM', 'AM-SU', 'Syunik', ['axFi}GbBFRk@lA]CiA_ATCg@e@n@[_@{@lC']],
+        ['AM', 'AM-TV', 'Tavush', ['aaGgxGDf@d@[L`@P[n@ZBwB]i@k@^GdAOY]f@']],
+        ['AM', 'AM-VD', 'Vayots Dzor', ['{xF{{GT|Ax@G@oBw@SYl@']],
+        ['AO', 'AO-BGO', 'Bengo', ['rt@qrAr@u@`A`@^`AlD_A^o@OoB^y@eCCo@`Bs@WaAVc@w@aAJEgAcBIAx@s@`A^fE|Cw@']],
+        ['AO', 'AO-BGU', 'Benguela', ['xsAimAIqBFe@t@UFsDs@c@YyBoCv@o@s@}@HiAjB^n@i@^Gx@dB^nBhCtCpA']],
+        ['AO', 'AO-BIE', 'Bié', ['`aAyfBrAnAGr@`Bf@JiBpA{@~Bv@f@i@zFFA_B|@iAw@]_@aAmEgAuBqBcEcB}@|AnAMf@|Cg@h@hAn@_Dj@a@vBe@^']],
+        ['AO', 'AO-CAB', 'Cabinda', ['nZ{nAzBxCAYFVlCe@E{@eCLoA}Bs@x@']],
+        ['AO', 'AO-CCU', 'Cuando Cubango', ['`dBkhCiFpEIvCcC~BP|BsBhAm@rBrC`C}@dA@~AxEm@bDgCdHR?iFpAwAHaHb@}AmAaOoEtFuA`@']],
+        ['AO', 'AO-CNN', 'Cunene', ['`iBmrAxA}BEsSeHSuCvBAr@l@|@PdCpBlAe@zB~AdDQj@pA`A|@g@']],
+        ['AO', 'AO-CNO', 'Cuanza Norte', ['hr@waBg@NMvAfA`@X`D`AKb@v@hCO\\kAKqBgAAi@gBuAOWRmAc@']],
+        ['AO', 'AO-CUS', 'Cuanza Sul', ['lhAeuAFy@h@_@_@o@hAkBo@gAkA@]kAaBg@Fs@sAoA_At@gAFa@t@RpC]dARjAdCB_@x@NnB[f@pCcA~CH']],
+        ['AO', 'AO-HUA', 'Huambo', ['nfAmaB\\jAjAAX|@rA?^r@xB]ReAhAk@gAuAYsBgBDg@h@_Cw@qAz@KhB']],
+        ['AO', 'AO-HUI', 'Huíla', ['nrAifBFpBfAtAiAn@j@`Dr@b@CrCtBW|AnA~@Jz@aAnCLPk@_BeDd@{ByB{Aw@cFiBp@}FE']],
+        ['AO', 'AO-LNO', 'Lunda Norte', ['xn@mgCiAH@zFiAQNxEfE^MfDb@rAEnBlEIj@p@p@MtAgDf@Ld@e@AcAmBeFkA[eDcE{@{DaA`@eAO']],
+        ['AO', 'AO-LSU', 'Lunda Sul', ['`s@}gC`A`E~CzDrAf@dBlGpB}@x@{Ah@Dq@eEr@kDcAcCcBQCgBgC\\gBhAwEW']],
+        ['AO', 'AO-LUA', 'Luanda', ['hy@cqA_@aAgBUMh@b@A~@hAi@YPThAU']],
+        ['AO', 'AO-MAL', 'Malanje', ['bm@{iBj@h@w@z@x@fBdBCPx@lAb@VStANh@fBfA@FyExD}An@kC~Ck@iAo@`@Q@aBm@sAqC^cA`Bm@MuAfDq@Lk@q@wEHaCvA']],
+        ['AO', 'AO-MOX', 'Moxico', ['ptAkhCiC??sKi@XoA_@oHJ^Z@hGh@r@oALo@[Cj@J|@~ANbAbCs@jDHxBxAvBjBn@tBpBlBh@b@?fAwCxAe@Q}BbC_CHwChFqEoN?']],
+        ['AO', 'AO-NAM', 'Namibe', ['xjBqhAU_AP_Bs@{C}@f@uAgAqAOy@F{@`A_AK}AoAeBJUn@s@PFxClKdBt@t@tGE']],
+        ['AO', 'AO-UIG', 'Uíge', ['bm@{iBcHbBMv@DvHjAi@v@b@vAdEfB_@VZt@mDdBDS{AgA_@LwAf@OGm@oBGy@gBv@{@k@i@']],
+        ['AO', 'AO-ZAI', 'Zaire', ['vc@g{ACzHn@pD`DkBnDs@w@kDiB\\wAeEw@c@kAh@']],
+        ['AQ', null, 'Antarctica', ['z_OhbIX`OBkAZzE`@f@GjCbEdUBfHE^Ki@C|Di@sC][SRV|EKq@yAlDeA_Nn@d\\]^H~CMa@Gf@SWU}@G|BUkPYxLKqUKXOnQoA~RM}@KlA?pH_@rA]?KrAZfIh@X_@lHP`HIj@McDYvC]{@g@hCi@`@RnKg@zGGcRi@iBe@c@S\\YzAIjW~@JYfC]\\Si@uAjLeA~BQi@ZsCo@`Cs@b@bB_GjAuLU}N[sAc@NsBrYWiEITnBwb@QeEEYBbAW_DuAuC[vMRxAcBdHEc@w@jCo@`@b@cEQJKm@f@iPM`@FqWOc@Gt@Iw@Cl@E{@CtAwAwWwBcRQ|Fa@uG]pEQiEo@d@@qB~@a@k@sCkApBRsGq@aAAhGOiDQMG~CKw@Kh@CSLkCo@s@BrA_@eAGpDa@n@CgAWtABeAWrALgD\\]Ug@^]k@YRqBkAO`@`Dw@u@YJVtBYv@Ag@m@n@BcDMfAY}@GjAMkAW?`@~AWbBPrBGRQo@Q`A[gIq@bA^rAIlBm@cEQx@HwA]z@GeA_@vA_@KFnCc@R_@{CA|CYDAn@e@CAgBeAbCcAYgAnES[OvB[iCWvB[I_@qDj@bHd@{@g@pFSTWiAQdBi@qCJfEe@uAWjAg@iAUp@c@DKmDU~@IkAWv@YAPq@[JO]XS?wCs@hAIaAQTM]IZ@aAWz@C_@KRJwB|AqBOc@Kn@Se@_@p@QQEkCv@k@u@DHy@]Cl@_B]UUZH}@a@_@IzAXBYp@b@DKbAZIKrA{@bAs@cCq@bBKqBu@RFgCiAiCWJWqAd@sAg@LOg@l@_Cc@XMg@KfAAy@m@WaAwBSgCWDJ_A\\AIcA_Ap@KbA~@pHXFFpAf@N[jAd@^RjER]VR^~BT]Cb@XEa@l@x@`Ac@fAb@`@Rs@MjA^vALk@XLW|CVh@f@SFTTqAPVSv@F\\Zc@KtAP[D`Af@c@NPMfCd@a@?zB\\^R_Af@j@NOEjDl@Y^d@Ha@p@B]p@Pt@cAEThBbBXC{Ep@pB?}@XNJrAp@_AD_AHhBL{@^|@j@i@PfBl@oCf@`Bl@Zk@pDVDDdBp@{AhAVr@iBfCkBvAh@fCmDnCvCv@|F`AxYv@~DSvFr@hJM^y@gBPfLu@K{@lDQfDX^~@yA]lELXt@u@TPd@~Dc@|CDnDc@KMlGStAi@\\f@|Fi@nARrE]z@w@wBUJSjFz@{@b@b@l@pJg@vId@~Q_@jL[s@DnYKvCm@}BK|DZlAz@W^wAHkRXgADb@LoCd@~Ia@xMTg@f@HN{Ft@y@l@RF_IP|@Ze@VvBBwEf@KXcEd@|OWlB_@SMf@DlSt@vHm@jRP`IG~@sAiGm@e@}@xAMnET|@f@qBLvBp@mAt@`OI`@}@yAAhB{@aFHpB]UGr@_@eBC~Ca@y@Ir@l@tDlAq@HzC[r@`@zCGzEs@b@n@hFBgBNp@d@bQUda@l@bP]dL`@bJMjBWb@SMMrDb@v@@`Fp@b@`@cCWtGPlJv@lCRpEv@gCGnDq@`AQxBXh@JnINmAVp@RlK`@x@bAeFcAxPx@lHX{FOqG~@cITbBf@aCKtEl@aF?jCV[@\\^cBCvDs@vBb@fC_@d@_@vDj@x@ZcGRpET[Fh@QtDZkBJnCgBzMf@l@K~FSkBw@|NHnCNn@LgARlBy@nFt@Tj@i@x@fBV{@v@cFUqBPqPtA|OhAwHZuKQsFb@hC`Ck`@I`KTaD?vCNwGBrPVo@JdCZeDFnEh@ePNnFf@mJdAdz@pAoSLYd@dFxBkMp@vNp@hBNpQRgI^~B\\dICrQg@~DNnEX@E~A{@tAF~[LYU~Eq@hCa@nQ~AiTEzCp@oQ@z@p@wG?rBFc@BkRp@_GP`Hj@mL@jT|AubAJxKl@kLL|GBwDcAvi@At[k@`D{@lhAhb@??_ieAib@?e@|HGW[dSCZKw@M|AHvHCVSuAm@nPEcCIlAQvR_@lEL{GGUIxAE}C]v@EfHI{@}@vKWe@]pDTlHRw@KnOM^m@oSw@dGGaBKh@@`CMkAKZ[dHYwAEzEMw@WbBFiEWvBCw@Qt@SaAMrGKqJCbAWa@M|GMaGWt@FfOgBsSOhKg@kGF~DYn@KuG{@~Bi@aDEf@ZuEaBpCMi@Eu@XJ`@oC`@[i@wA[mGLsP_@`@UhGYBMhAOs@ST|@hDS~C[oBg@_@AdDSeBU~CKw@Gh@[}@mAbCQjD_@eC]lBg@{Ag@XGbCYaC]f@SgAq@lDGw@[VA`I_@sKWHUo@]tA@k@q@m@To@a@k@W`@OiAv@i@WcCXyE[Ew@vBa@FSpAPsDSvA]^{@c@]fA@eDL`Af@i@p@FHyAG[Kh@OmC]|AAoAQNTmCm@wEUdDV~@}@@_@tAp@eDBgFg@K|@cDc@FCqAcAeAiA`Il@cKu@CRlA[WMn@Iq@iA}@h@s@c@kAiBhCn@OXb@aBlHHtDWcAU~DOqCY`@{@rTFh@Ta@Zz@]DGjC_ApB`@vBlAGf@mANPg@pAApBi@QuBhCUnDSVQqBy@nB?dCe@v@]tDJjA\\WJl@w@v@F|Cq@pBDn@Vk@DVsAhDPt@a@LA_AQHq@fDRf@Te@J`@h@[VtCi@hFBdAl@?[lB_AQW\\D~FPg@DRM~OYI@lAs@cAZzAo@u@@zAc@WNl@s@p@\\tAk@bAtAlEChA]?c@}@c@Re@sAKd@IcAS\\?v@^VGfAk@UOdAd@lEm@bB?nLUIWzBH~EWA_@fC@nCd@N{@hBTbBq@x@l@^d@dDCn@e@_Ag@~BXtKQrEx@bEfBv@h@jA[z@Vn@O~E[Fh@v@y@B?jA_@[Cp@k@w@SrAh@Js@tAzArFa@jCdDr^[l@{@wIf@lKEh@Wc@TtHe@Kf@rBdArO}@aAe@oGi@mAc@XYjBD|CQ_@K`@YW{AtFv@dMr@vARm@VVb@[I~@|@vHcA`Cj@bBk@a@ORiCt^NpGP`@D}@~@|BBjAJa@JZQj@n@nCUDXdBj@d@u@T]eAXhBa@??x@l@lBe@zBj@nHm@~Bt@jFa@VOjI~@vHIdNrAtMO`FbAzEd@m@GlEbC~Vl@x@^?Hi@VfCb@IXf@nArKp@S^~AY^Xd@C|Ci@l@\\hAKx@fAxCv@i@`A~ELWbAdBLg@h@jA\\kAj@xEVw@`@lDZQf@lAHtFb@pAr@g@f@R^~Cc@pDg@aCwBcAq@JoAyB[Fe@m@}@gDyBgAYbA`@fACrBa@t@C`BkB_Ez@mAMyA]e@K`AW_BM|BSa@K^QgEY@WtAc@oBGrBWmAWFSmBiAlBgAAZzFoAp\\^lEMrGk@xCD`Dh@\\kA~D@kBK`@HlDYQUlBVlEz@lAi@BJrAq@_CKj@MWBwA}@nCZkECu@Y?a@|AHpAiBrFOtGd@rKdA`HdANDuB`@jAXAFcBTNSpC`@xAi@c@OnCIe@YXf@jD`@WDyDp@dDr@[x@bAYh@_@w@OjBVlBUu@HjB[o@KpASgBY~D`@p@ZmADh@X@C|GXdAVc@VhKv@x@xAvOd@\\tBMVzB^ERlA^w@HZc@nCa@f@Ok@QxAh@tCs@`ATdHM^Y]w@Re@dBCjEo@yCWLCvEl@lCb@BrAeBdBp@z@dQnBvOVWGlMi@`Cg@SY|@AfArAzAK~DSbBWuC}@dDdAjBl@@ZdIi@~BiAiASXCWOdA^hC`@q@FpAQzH_AMJzBd@XEjK{@nDBhB^wBZnCpA|AaAtJiAhCTlAd@o@RjCAdBy@F@pA\\Fb@m@jAd_@xAhMrAtC]tAo@[W`Ab@r@HlCm@pBDxBl@f@m@xANxLKX}AmC_@vAJrAb@d@O`G|@eAbAj@Zc@L~Em@DKjAg@OYfDa@b@NjAX{Af@bCh@IH^a@pDY@NhCv@g@ZcGt@b@VdA@[n@\\rAlKYhEv@aBNTFQEhIlA`Ej@FRuCRhCEoLfAzDZS@xMj@HHdAZa@|AtEh@{B@lLn@lDHjQtB`\\|BvP`@j@CrBbAjJj@xA^u@A`D|@t@LvApArAj@e@x@uKRwGi@cON{@`@vB?gE|@`FXag@R?RyIlA|u@d@aEKnIJ|GHw@Lz@?vJDTHs@lArKm@vH~AnPt@dAv@tFl@At@hD?ZY[CXx@rGWhFw@sCk@`A^bEI~@I_AIVEfE`@|S', 'hgN{v_@[\\j@lCS`Df@aAc@kG', 'htNpqJYdCa@aAAl@Ig@OZEhCOqAl@~GPw@NpBd@}BVpBB`YIv@]FZnBrAwN_@cFt@{BRuJk@eDQ]Kd@SmAFjAe@QY}A', 'tpNl|KMpIl@mETj@b@oCYkDUxAKeAUdFIuD@fA', 'pnNliLDj@AcEXzEL{EIm@Kt@[{ADjF', 'tnN~rEk@zHd@xESdAVi@@qP', 'fiN``LAZMs@@`EfBxQ|@hEv@j@`@kAIeJM_@M`Ao@gB{CaO', 'ftNfgIWo@D`FxAhCBv@^DZq@QgZuBef@QQUrAIoCuAg@w@pAKk@M~@}@x@AdIe@aHi@e@[PuAdLI`Gv@xJ~BzFDSP^Bk@XdA`@O\\r@HeAh@YbCbM', 'dpMh~BaA~@}@e@g@ZfAdB^pD?sCR_Ap@[E}A', 'zgMhmSQ|Ab@i@CsAM^', 'lfMxrMBxD\\sCVxEd@s@l@wGWU_@nA}@kBW|B', 'bfMbwPW[[^HxCx@gAz@b@SuBe@g@Qb@', 'fdMpmQXzCGmDQP', '~bMzsQEvD[wDS^^jG{@yDMx@@|BfAnAUl@Ws@Qn@Bx@l@YBtBe@KU}@SlB^zBd@{Ac@`DL|DUeBMd@n@tL~@qRVh@GkDTF@yNOUG^[wB', 'zzLdsM{@oG[tDh@Zi@dAf@p@d@jG`@qAWsF', 'zwLlTEgCWMQzAn@x@', 'huLvvMFkCi@kAo@nBH~ALi@b@vBTeA', '|qLhfMPsDs@lCL|@RW', '`qL~`Ks@tA?lAjB_Bw@cA', '|dMr}LQ_MU@i@}AB_Ac@S_@ZOu@}DPKb@A]oD|Dy@FcArA@hAi@We@TUz@`@`IZd@h@SZ_Br@x@n@BP]b@oCOkDRD\\_CNxGh@t@`@gHz@Hg@pBBxDd@dASzEN`Al@yDIvGPLX_ALd@m@hCLj@h@]YpCXlAPm@Hj@VGp@oG_@cB]jAJkE}@gBx@eB@}Ep@jGXiC]uDRcA^tBYhK^~A^gAGiAVCG}D', 'teL|nLTiBc@a@QwASv@k@qBi@dAy@iA`@nCxBrCf@A', 'frKdhKJfAc@_@Fp@]i@CrAtApC\\{BaAyC', 'brKrfK[aB]WE^Gg@QnBd@Un@`ABY', 'bqKlfJDi@Or@YaBA`AKo@MhAQGZhAw@Mz@dC\\yANz@JSGkC', '~iKvwII`Dj@rBAsGOYOV', 'rfKf}JI{CTHF[]aBBj@a@TVfAU|@d@fA', 'ncKllJB^]oEWNBrCx@vBKkB', 'x|JfwIDhA\\o@_@oBCtA', 'xyJp~GXmDe@bAJhB', 'feOru^MdHl@mBKoISvC', '~|Npj^E_@{@`OXhEf@kT', 'lrNbxDs@jFDX^kCg@xGLfB|@eJIkAOr@E]H_B', '|nN~e^wBtNGpDx@zDx@\\nBsUO_JsApD', '`cN}``@GrIq@pDTv@Pw@`@dB\\qCDxA?wA\\h@k@qC?cHWaBMP', 'lpMpyW]rE`@S\\kBa@sA', 'fnMzkVm@}DMlEb@s@Nx@FU', '`mMrnVI~AIgAO^MxI?hD^l@NkE`AjC^}CKcFG_@]Pm@yC', 'tjMt{WH{@XNKkC`@MlAsIDiDe@c@cAzC\\zASnD[cCcApDCpE\\dAVE', 'zuLifD]vAh@rAZuDg@H', 'vtLyGDtAVBj@o@s@u@UJ', 'vwKqsRr@t@BeC[y@[hC']],
+        ['AQ', null, '', ['xqMw~^FTZu@m@OQs@ZbB', 'zcLge_@Ob@v@?Ck@c@F', 'zpNzgEQm@PhC?{A', 'rmNdfLDfBE}B?T', 'fkNlwMTOYWBf@', 'teNzrHWeBTjC@e@', '~gMxlMd@t@R]w@aBAhA', 'nfMxpPTxARaC_@gAInB', 'tdMddBM`A`@[?w@SP', 'jbM|wLDRAm@CX', 'jaMbnA?|@T_BU`@', '`{LhyJWJHhALuA', 'fxLvxJQlAT\\Ps@Uw@', 'dwLd_MYmA?bBXU', 'ftL||JU^PZB{@', 'vlLp{JBo@MhAHY', 'hfLpcLQa@H`CF_B', 'baLbdLM[Q`@Zd@Bk@', 'j|Kh`Ld@Vo@aAHh@', 'jzKt|KBkAYRc@y@BbAt@l@', '`tKnjKQWd@tAS}@', 'vqKdeJPZFm@m@cARtA', '|nKbbKNVSw@B^', 'bnKp{J?s@_@OEp@HYZj@', 'vkKf{I?fBRw@So@', 'tjKdbKMp@TNGaA', 'jiKl`JNw@Wm@OvAVL', 'diKffKe@y@h@nACU', '|eKltJIg@IxARq@', 'ddKroJBn@BmAG\\', 'x}JvpIWBZ`@Ce@', 'tfOl_`@}@|PhAmRKn@', 'z~Nt|]UdC|@wDKy@[jB', 'fsNdb]Ck@g@bJj@wH', 'pqNfl]DZCw@AZ', 'lqNjz^Dz@DmCKpA', 'fcNjb\\Ee@AjAFe@', 'jbNnk\\MlENgFAX', '|_Nh_\\GxCJkDCP', '`aNxf\\AeBo@zBT~DZuE', 'x_Nnp[I`EXSOmD', '~~Mh_\\Ek@?jFD_E', 'z~M|i\\G]?~CFaC', 'l~Mn`\\Eq@GfCLuA', '`~Mhz[@a@QxANw@', 'v}Mpt[QtATXRsACUMj@Eq@', 'rzMrx[b@_Da@p@AlB', 'jwM~k[AnCV_EUn@', '|oMp{XF`AEoBAl@', 'fpMfqXWvCRbBd@aEa@y@', 'voMh{UMg@NtAAm@', 'zlMztUl@zF@_Do@{A', 'ljMge`@e@h@l@x@GcB', 'vaM{lLb@lAKsAWD', 'l`M_tLLn@NU]Y', '`{LdSNd@R_Bc@x@', 'ryL~OQk@@xEp@wDJd@VKcAoCA~B', 'bwLbd@BdB`@{@Ku@YJ', '|vLcSX~BL_Bg@_@', 'hxLgbMcAlANd@r@a@?qA', 'jvLiXf@w@]y@IpB', 'trLqdB^jCf@{Bk@WUeAElA', 'baLeqVHd@KmA@f@', 'b`LkvODnAj@eASaA]v@', 'z_L}{OD~@AyACX', '`_LosOF\\Ay@EZ', 'j~Kmw^i@`A\\@JcA', 'x{Kw|QXzBDyBMWQT', 'bzK_uRLnAG}BEl@', 'ryKcaQHr@DuAO`@', 'twKqdSk@f@@bAv@sAAq@KX']],
+        ['AR', 'AR-A', 'Salta', ['hsChcLz@TpBbFh@N|@i@FXTcKbAKf@~@rBsAk@e@XaBm@If@oCI{A_C{@N}C{FuEaK@}AzA?`FlDnAcCr@UvB`B^fAWNk@n@Dl@a@VuAQs@lC?hAvA]h@ZPe@bC}ArAqAA[t@?V`CEf@\\eBtC']],
+        ['AR', 'AR-B', 'Buenos Aires', ['n_GngKa@{Ao@_@F\\WMo@l@cBc@@g@iAI[j@Hs@U|@yAHf@wFeBqPiAyCy@MsD_DyBHJf@oAtAkBo@e@VsAzBWdCcAQOVSe@_@BgAvFqA`CfAd@KtAbD~CDjIjf@BFy@x@{@', 'rsF|aKId@\\m@SF', 'h{FncKZNHYUOOX']],
+        ['AR', 'AR-C', 'Buenos Aires', ['vvEllJXPVWUW[\\']],
+        ['AR', 'AR-D', 'San Luis', ['vyExuKeJFuBq@_AFDt@u@Va@fAErIxHk@|BoA~@JrC{@nDT?qHgE?']],
+        ['AR', 'AR-E', 'Entre Ríos', ['xiEvjJa@SmARq@i@_@PmCw@gBtASfAd@tE`BJxEfEbCHjBu@`BqCvAaFMg@{@TsBWIw@wBH']],
+        ['AR', 'AR-F', 'La Rioja', ['plD`oL|BfBd@{ApAw@zBTLgCnBmC~BmB|BEfA_A@aE}C@_EiAqDlAoApByAj@YnATfDs@TWdBs@?DhC']],
+        ['AR', 'AR-G', 'Santiago del Estero', ['j_DfkKO|CxAn@`CL|CnB|@KX`@rGYt@_@[}BdAmD@yEjAg@oLkAcM@OnI']],
+        ['AR', 'AR-H', 'Chaco', ['`gDtkJ_BvBw@lCcHtHmB`Fv@AzFtE?iIrMG?yPgBD_@y@_@Hu@{@']],
+        ['AR', 'AR-J', 'San Juan', ['vxD`tLdAHXY`@TAh@fCRr@z@fBQVo@R\\p@OEaC{@aBVq@r@Eu@eD`@m@BwAoACB_CgA~@}BD_ClBoBlCMfCyBUsBnBEb@jC\\f@n@rAU']],
+        ['AR', 'AR-K', 'Catamarca', ['`}ClkLhD[~@d@|A{@l@x@Gj@`C~@EiCr@?VeBr@UUgDXoAxAk@nAqBpDmAOs@cBs@uDz@m@UeBRIb@d@j@cCpAMh@uBcAe@z@y@SO`@h@d@gBlA[?U{@aAHWdKXH']],
+        ['AR', 'AR-L', 'La Pampa', ['vyExuKfE?@zRtHCTcBbAVn@w@EqA~A{B\\aL~AwEaZA?tI']],
+        ['AR', 'AR-M', 'Mendoza', ['pmEduLp@SNk@lAVzAOJl@nD`APd@R]`EIzCgCxAaHsHDCkIeBSqBDkBr@_AK}BnAgE`@i@\\BfAa@d@t@lDs@DWr@z@~AHvBpBs@`@T']],
+        ['AR', 'AR-N', 'Misiones', ['x~CftItEd@|@dADt@zAbAIr@tCmAy@uB_Ak@iAcEk@UoCIsBl@]j@f@`AW\\']],
+        ['AR', 'AR-P', 'Formosa', ['lkCrdKhI?lBaFbHuHr@gC~AcCiCa@{BqBkA`@oArEyCrFg@bE{C|DoBjA']],
+        ['AR', 'AR-Q', 'Neuquén', ['x`FdwLv@x@L~@fA^r@UxBRhDgAdApBhCR?h@|@Qb@d@l@[nAx@x@QFoCqAc@g@mDaB_@{AcEiB_CB}@_An@{E?yA`HcEpC']],
+        ['AR', 'AR-R', 'Río Negro', ['neGp_M@_i@aBKmBd@q@g@vAoFWcEy@z@Gx@sG?_BvE]`L_BzBDpAo@v@cAWUbBzE?~@o@C|@hB~BzAbE`B^f@lDpAb@GnC~BJdA_@']],
+        ['AR', 'AR-S', 'Santa Fe', ['~mDznJ?xPbNrA|@u@fEjApAC~@}@jB]rGxE?cFcD_DHwAaAe@k@t@_Bj@cCIkFsEoGOgAkAgDUc@m@']],
+        ['AR', 'AR-T', 'Tucumán', ['zbD`rKHzAg@nCl@F@jAl@Jh@{@pBbALi@bCqAu@qB}@J}CoB{AA']],
+        ['AR', 'AR-U', 'Chubut', ['neGp_Mr@dAj@OTTxAC\\mAp@j@^q@^T`@_@b@f@t@?\\sCt@b@C|CVCN_Bx@u@z@xAtAW?mXsCaCaAyGWh@wAeBmCTsAmAs@_Cg@jCYIYoBfAw@OwAi@Qy@Bm@h@`@hBDu@^DBdAE\\a@Wq@`C?nh@']],
+        ['AR', 'AR-V', 'Tierra del Fuego', ['juI~kLt@uLWyEw@k@c@jGoBxEqBjBSvAk@g@NW{AnAjL@']],
+        ['AR', 'AR-W', 'Corrientes', ['ljDdeJa@xDj@`CvAIr@p@fDTfAjA~DNe@uERgAbBsAg@NiAs@}EoFiCgB@m@_@PQ]m@j@sBXCb@v@p@Y\\EvC']],
+        ['AR', 'AR-X', 'Córdoba', ['n{D`cKkAf@AxEeAlD^jCz@Ar@zA~DhA|CA`@yAt@WCu@|@GtBp@dJG?uIuBAEgBmGuEm@GcC~AsABeEkAy@t@w@G']],
+        ['AR', 'AR-Y', 'Jujuy', ['hsChcLdBuCg@]aCDDi@Vc@nA@zAqAf@aC[U\\k@uAyAeCDTp@YtA{A\\Oh@gAVaB_@@tB_AvAx@P\\tAtBxAb@c@pCn@']],
+        ['AR', 'AR-Z', 'Santa Cruz', ['n~Gx~L\\r@lAm@\\@Vr@p@JZ]p@bBzAb@rAo@Vv@hAFhAlBfAUh@pAjAJ^m@|A_@WgD|@E\\XZ[z@d@rA_BFsKjAqHyClB@`CMcCsBh@Rn@c@u@qBs@c@iBc@l@FtAOuAg@^lAoAa@eBgCk@Tj@gAu@uEgJc@ZP`BWkBkBUe@pEwA|BqB^?lX']],
+        ['AS', null, 'Western District', ['zxAvj`@?]S??\\R?']],
+        ['AS', null, 'Eastern District', ['nxA`j`@?a@M??`@L?']],
+        ['AS', null, 'Manu\'a Islands', ['fxAnc`@?o@W??n@V?']],
+        ['AS', null, 'Rose Atoll', ['zyAbz_@?CE??BD?']],
+        ['AS', null, 'Swains Island', ['ddAhl`@?CC??BB?']],
+        ['AT', 'AT-1', 'Burgenland', ['akHejBS\\j@zBlAJVz@dAWd@T_@{AoAJ[s@Wv@IeC]N]]']],
+        ['AT', 'AT-2', 'Carinthia', ['qbHenAt@uJu@qBmAn@VlEk@hFhAw@Vv@']],
+        ['AT', 'AT-3', 'Lower Austria', ['spHc`BUnBp@FPn@\\k@x@IAxAb@P\\}@ZFIcChAmDwA]k@gCs@j@eAEc@hG', 'ylH_fBZQChAWw@']],
+        ['AT', 'AT-4', 'Upper Austria', ['unHyzA?zBc@p@p@RIt@d@Fv@dCTyBZJLm@x@Km@o@PiBq@oAc@~@a@K?_By@HMl@']],
+        ['AT', 'AT-5', 'Salzburg', ['eeHgkAQ{@h@_Gi@_@c@bAwANMl@YMIlAHV`Be@a@vAp@?XbBh@S']],
+        ['AT', 'AT-6', 'Styria', ['wcHecBe@UeAVKYkA|Cf@nESbBt@p@x@iAn@RWmElAo@FeAKoBa@A']],
+        ['AT', 'AT-7', 'Tyrol', ['ycHi~@]o@\\WNeBe@a@W_Eg@Dk@sBm@vAbAfEe@`Db@?Xr@rAF', 'wbH}lAQ_BiAhAXzA`AeA']],
+        ['AT', 'AT-8', 'Vorarlberg', ['ceH{z@h@mBgBOi@pAHp@|AE']],
+        ['AT', 'AT-9', 'Vienna', ['ylH_fBVv@BiA[P']],
+        ['AU', 'AU-ACT', 'Australian Capital Territory', ['~{Emd\\k@j@d@~@~@Fl@_@Ca@uAGMi@']],
+        ['AU', 'AU-NSW', 'New South Wales', ['|nDm~\\f@nAQzBv@hBfAIHxAj@b@wA`Ag@tCHbDrAdB?xp@j^?f@mBScBj@eAtA]e@o@f@kB`AEn@m@|CeFGo@m@EG_Bl@qCD}C\\Sg@CE{CxB{@`@PnCqJo@Oa@`@qG}@kCeBH[i@Tu@e@IVeBuAEXKc@sAH?e@_CkAyAsCoAAoBkAwLsAqAs@oCR', '~{Emd\\Lh@tAFB`@m@^_AGe@_Aj@k@']],
+        ['AU', 'AU-NT', 'Northern Territory', ['|{AgeXpdA??gw@cz@?gChENt@sFlGgBkBkBa@Hd@uACD[e@SZAi@a@r@@M]s@EB_@m@d@J[eAYYo@e@j@RRu@d@SQv@jALe@f@VBl@m@GCV]Up@~@]Ne@u@Df@o@_@jBbCeAxAXrBg@HCz@[O\\lAW?IfAiAr@b@n@mA`A\\H]Xx@Aw@d@b@h@h@cAGmA`@g@XTdAa@B~@l@Hk@Z\\d@CxBq@\\f@FQl@j@CDl@n@Oo@~@z@USb@|@d@Dd@j@@d@i@b@fAQNlB\\Jr@v@Tj@a@Cq@Nf@ZOJ}@B`AhAEgAxAnABs@DUb@', 'laBwwY_@PXJD]', 'rwA}vYIp@iAg@N`@e@@`@|@pAPLsBWI', 'dhA{nXmAf@zA~@ByBQP', 'hfAcuXk@t@h@H]L^XSRVj@m@`AxAYv@{AgBsB', 'vdAa{Xb@UiA?d@T']],
+        ['AU', 'AU-QLD', 'Queensland', ['jfBo}Ybz@??wQvQ??yp@sAeBIcDf@uCvAaAk@c@IyAgAHw@iBP{Bg@oAgAJwBpAUa@wCZmA[U\\\\F{@ZkAEUbAiARk@dAqBbALl@sBrCqEH[d@x@G}AnB^XdAYu@n@T\\}D`@Ef@sAJg@nA_A`@YGPo@y@^e@j@\\^aBrBVZgBr@Rx@m@TVTuA|BcAKy@`AyB[qBt@e@OVd@mBhAkAK}Bj@aBUkAdCoAd@dAlBU^aCp@wDAHb@u@Mw@dAgAa@YlA{AAoAXEn@s@Ir@nA|Df@ZOEf@hBn@Q]r@u@f@Lo@X~@l@r@UzBj@rFe@xGhAzDvAt@hDmAvCsAl@gAhE', 'd{Cq}\\{@PXZh@Qb@j@tBIaD}@', '|rCmp\\c@D?r@x@m@UK', '~}Bub\\a@PZHD[', 'zqBoq[[B@f@j@WQS', 'veBihZDvAx@\\_AuB']],
+        ['AU', 'AU-SA', 'South Australia', ['`eEgeXi@sLlBqEOmBt@aBUoAv@w@\\PQu@Z[h@HM\\z@Ob@c@GkAzAYhAsAxBo@c@x@`@RpAiDu@KLj@w@[?_@}BeBq@yBeBm@_@aA{A@nBu@b@l@fAWjB~AvC?CtAfAb@YuDgEaA`C}AnBTv@`ADsAS{AMf@Fo@ULQk@Jc@XZb@We@b@RV|B}BaCtCjAkBpAu@nAYb@d@l@MrCcCZqBkjAE?~iApb@?', 'z~Ei~Yo@|Cb@rC\\L\\e@BsCs@eC']],
+        ['AU', 'AU-TAS', 'Tasmania', ['dmG_|[gCTwBy@x@OGSoFD_@VSl@\\XKf@b@h@ErARf@NYQh@T\\gBxJbAPpA[nB{Al@CZaA`@P}@v@nAOhCoBQQV}@Fx@d@OOiBZkAu@EG[a@XVy@}ACXg@ZFi@QJ}@XIQf@RJf@_@UQRW', 'zmG{w[Pp@Ni@a@G', 'h{Fu~[HtANcAYQ', '|yFa|[L_As@Dq@dA`@d@t@q@', 'hxFuc[k@?Q`@lBFo@i@']],
+        ['AU', 'AU-VIC', 'Victoria', ['liFih\\oCpJa@QyBz@DzCf@B]RE|Cm@pCF~Al@DFn@}CdFo@l@aADg@jBd@l@sB~@Q`BVf@m@rBlX?bAsA[iATsC`BoEoBkDAq@[IE`Aq@oBx@e@b@ZAz@b@s@w@gB^S\\d@TwAr@UGs@t@i@aAQRd@g@LE}BiCuDi@yIs@m@Aq@']],
+        ['AU', 'AU-WA', 'Western Australia', ['`eEgeXchB?MvBn@I[Z^TbAQk@^~@T}Ci@yC`DDx@q@b@Lf@^Uv@r@]\\[Wx@v@u@LGf@v@WvAj@o@d@l@PgAQCZz@?P\\[Pn@h@nAy@Yr@\\?e@`@XCJd@?m@Z`@@q@h@Iu@hBj@CJz@|AUe@o@|@XK`@t@DP_BCbCc@|@^OHXo@HAn@p@[Jx@Je@RRn@w@K_@`@^j@Wm@~@xBBkExBg@KFRb@^b@K?n@d@AIVbAz@nC??a@ZAbAjBvClApA|AvAnGS`B|@x@NbC|@~AHfAW^Tx@c@L~@tB`CnCbAdD`C|@@j@gCKBZrClAdA_@hBFxA|@bBLjC{@pCqB~ADLh@yA`@r@V}@EkAn@j@RxB{Ab@@Xf@i@FXJoBh@hACkALl@DOVhFiD|C_@fEeCxGk@xFcChE@u@@\\RxBUfAbAUjApCCf@wBlAiABqAd@q@LaGQPAgAqB_CNmA]aAo@Ai@uAUiG?gCf@O_@yD\\YMkAaE{CSgBwBkF?_GsBuI', '|aDsbUuBr@x@@z@u@']],
+        ['AU', null, 'Jervis Bay Territory', ['~zEil\\?a@O??`@N?']],
+        ['AU', null, 'Cocos', ['fkAc|Q?UO??TN?']],
+        ['AU', null, 'Macquarie Island', ['fuIu_^?[{@??Zz@?']],
+        ['AU', null, 'Coral Sea Islands', ['xiCe{[?sp@_e@??rp@~d@?']],
+        ['AU', null, 'Christmas Island', ['d`AssSPVFUYA']],
+        ['AU', null, 'Ashmore and Cartier Islands', ['vlAicW?EC??DB?']],
+        ['AW', null, 'Aruba', ['qlA|tL?g@m@??f@l@?']],
+        ['AX', null, 'Lumparland', ['kvJe}B?UQ??TP?']],
+        ['AX', null, 'Eckerö', ['wvJ}xB?a@]??`@\\?']],
+        ['AX', null, 'Vårdö', ['ewJc~B?UO??TN?']],
+        ['AX', null, 'Kumlinge', ['ewJc`C?g@c@??f@b@?']],
+        ['AX', null, 'Jomala', ['svJm{BOYNx@?_@']],
+        ['AX', null, 'Mariehamn', ['gvJm{B?KO??JN?']],
+        ['AX', null, 'Kökar', ['kuJkaC?[K??ZJ?']],
+        ['AX', null, 'Föglö', ['uuJw}B?cAY??bAX?']],
+        ['AX', null, 'Sottunga', ['svJ}_C?KK??JJ?']],
+        ['AX', null, 'Lemland', ['yuJc|B?i@Y??h@X?']],
+        ['AX', null, 'Brändö', ['wxJqbC?II??HH?']],
+        ['AZ', 'AZ-ABS', 'Absheron', ['a{FipHjAwAyAYU}AYpA|@|B']],
+        ['AZ', 'AZ-AGA', 'Agstafa', ['}~F_{GmA{@S`BR\\Py@z@I']],
+        ['AZ', 'AZ-AGC', 'Aghjabadi', ['azFefHf@^Fe@j@IyAyAAhB']],
+        ['AZ', 'AZ-AGM', 'Agdam', ['cyF{bHVk@RLSwAMj@g@_@Iz@f@l@']],
+        ['AZ', 'AZ-AGS', 'Agdash', ['m{F_hHiAAEt@v@Fh@k@QO']],
+        ['AZ', 'AZ-AGU', 'Agsu', ['a{F}mH_@c@Oh@k@CbAjAVmA']],
+        ['AZ', 'AZ-AST', 'Astara', ['_oFynHEs@a@?Jz@ZG']],
+        ['AZ', 'AZ-BA', 'Baku', ['u|FuuHNc@T|ApCJmBk@]}@\\cBw@\\QhB']],
+        ['AZ', 'AZ-BAB', 'Babek', ['mvF}yGjAVn@mAe@@Kj@Mo@{@v@']],
+        ['AZ', 'AZ-BAL', 'Balakan', ['ydGeaHv@n@@{@i@m@Ox@']],
+        ['AZ', 'AZ-BAR', 'Barda', ['azFefHUy@w@|@Zn@p@W?[']],
+        ['AZ', 'AZ-BEY', 'Beylagan', ['{vFuiHUSOZ}@AjA`Ah@e@Qa@']],
+        ['AZ', 'AZ-BIL', 'Bilasuvar', ['cuFamHNw@}@_@FbB]|@bAiA']],
+        ['AZ', 'AZ-CAB', 'Jabrayil', ['}sFydHc@q@ElBl@_@C[']],
+        ['AZ', 'AZ-CAL', 'Jalilabad', ['{rF{lHYwAs@CT~Bv@c@']],
+        ['AZ', 'AZ-CUL', 'Julfa', ['_uF_}G`@x@j@M@q@aAUMZ']],
+        ['AZ', 'AZ-DAS', 'Dashkasan', ['{zFk}GAcAu@GKh@bA`@']],
+        ['AZ', 'AZ-FUZ', 'Fuzuli', ['ivFshHa@\\`@xAf@o@g@gA']],
+        ['AZ', 'AZ-GA', 'Ganja', ['{|Fi`H?YU??XT?']],
+        ['AZ', 'AZ-GAD', 'Gadabay', ['a}FqzGdAyAaAQe@d@l@F_@f@RT']],
+        ['AZ', 'AZ-GOR', 'Goranboy', ['}zFyaHg@uA[d@_A@n@t@xA`@Ei@']],
+        ['AZ', 'AZ-GOY', 'Goychay', ['e|FekHWBArAZEAqA']],
+        ['AZ', 'AZ-GYG', 'Goygol', ['g}FmaHH^g@Db@f@LWt@FD_@oA]']],
+        ['AZ', 'AZ-HAC', 'Hajigabul', ['a{FipH?jAd@@`AsDgBdB']],
+        ['AZ', 'AZ-IMI', 'Imishli', ['ewFwjHPsAi@`@k@SEnB|@[TRIa@']],
+        ['AZ', 'AZ-ISM', 'Ismayilli', ['i|FukH}@kAk@zAlAz@ZkA']],
+        ['AZ', 'AZ-KAL', 'Kalbajar', ['szFy}Gn@?D|@d@{@m@oDSl@c@?H~B']],
+        ['AZ', 'AZ-KAN', 'Kangarli', ['qtFqxG?k@}@??j@|@?']],
+        ['AZ', 'AZ-KUR', 'Kurdamir', ['wzFwmHm@pApAb@J}Ao@W']],
+        ['AZ', 'AZ-LA', 'Lankaran', ['wsFurHUh@f@`@ZMq@Wj@Gg@]', 'arFspHL`An@YCa@y@E']],
+        ['AZ', 'AZ-LAN', 'Lankaran', ['wwFw}Gl@}BXA]k@Eh@cAN^pB']],
+        ['AZ', 'AZ-LER', 'Lerik', ['}pFmlHn@}@_@e@}@b@l@~@']],
+        ['AZ', 'AZ-MAS', 'Masally', ['irFwpHk@f@^n@^c@Ss@']],
+        ['AZ', 'AZ-MI', 'Mingachevir', ['o}FgdH?YM??XL?']],
+        ['AZ', 'AZ-NA', 'Naftalan', ['a|FqcH?GG??FF?']],
+        ['AZ', 'AZ-NEF', 'Neftchala', ['}uFasHRhBr@BWw@Ti@c@GH[k@V']],
+        ['AZ', 'AZ-NX', 'Nakhchivan', ['{sFezG?m@M??l@L?']],
+        ['AZ', 'AZ-OGU', 'Oghuz', ['{`GagHn@Rj@{@qAWI~@']],
+        ['AZ', 'AZ-ORD', 'Ordubad', ['qtF{}Gv@b@\\sAuAn@']],
+        ['AZ', 'AZ-QAB', 'Qabala', ['o`GyiHAVpBRo@mAc@I[j@']],
+        ['AZ', 'AZ-QAX', 'Qakh', ['ibG{eHCtAnAXf@}@{@Vw@iA']],
+        ['AZ', 'AZ-QAZ', 'Qazax', ['aaGgxG\\g@NXH}@o@AGlA']],
+        ['AZ', 'AZ-QBA', 'Quba', ['s~FgoHyAKY^~@`Cr@uC']],
+        ['AZ', 'AZ-QBI', 'Qubadli', ['ctFgbHAk@q@LFjAj@m@']],
+        ['AZ', 'AZ-QOB', 'Gobustan', ['c{FuoHHe@k@_Aq@xArAJ']],
+        ['AZ', 'AZ-QUS', 'Qusar', ['wcG{mHjB~B{@wCo@V']],
+        ['AZ', 'AZ-SA', 'Sheki', ['ibG{eHfAhAj@WZ}Bq@x@o@Sm@d@']],
+        ['AZ', 'AZ-SAB', 'Sabirabad', ['{yF{mH^h@PqA^GLZL_AYUs@V_@pA']],
+        ['AZ', 'AZ-SAD', 'Sadarak', ['uvFyvG?e@U??d@T?']],
+        ['AZ', 'AZ-SAH', 'Shahbuz', ['yuF{zGf@U_@u@WJN~@']],
+        ['AZ', 'AZ-SAL', 'Salyan', ['}vFosHi@REdAd@OTj@f@@SiB_@M']],
+        ['AZ', 'AZ-SAR', 'Sharur', ['mwFuxGVp@n@m@c@Wc@R']],
+        ['AZ', 'AZ-SAT', 'Saatly', ['yvFsnHo@OQpAbAUAk@']],
+        ['AZ', 'AZ-SBN', 'Shabran', ['oaGwqH@bAxAJ@_@w@UDk@k@P']],
+        ['AZ', 'AZ-SIY', 'Siyazan', ['c`GirHEj@v@T@iBs@f@']],
+        ['AZ', 'AZ-SKR', 'Shamkir', ['e~Fg`H}@Nx@~Ax@e@u@iA']],
+        ['AZ', 'AZ-SM', 'Sumqayit', ['i|FgtH?m@[??l@Z?']],
+        ['AZ', 'AZ-SMI', 'Shamakhi', ['c{FuoHgBEQlAn@[ZPNi@^b@Aw@']],
+        ['AZ', 'AZ-SMX', 'Samukh', ['}_GkbHMhB`B_Aw@eA[Z']],
+        ['AZ', 'AZ-SR', 'Şirvan', ['kxFmpH?SQ??RP?']],
+        ['AZ', 'AZ-SUS', 'Susa', ['qwFccH@f@Z@Di@c@?']],
+        ['AZ', 'AZ-TAR', 'Tartar', ['azFieH}@`@h@rAn@s@e@a@H_@']],
+        ['AZ', 'AZ-TOV', 'Tovuz', ['u}Fg{G^g@y@Ks@{ACvBpAV']],
+        ['AZ', 'AZ-UCA', 'Ujar', ['w{F}jHAfB^g@]_A']],
+        ['AZ', 'AZ-XA', 'Stepanakert', ['wwFccH?MM??LL?']],
+        ['AZ', 'AZ-XAC', 'Khachmaz', ['wcG{mHhAk@AoA{AzAR^']],
+        ['AZ', 'AZ-XCI', 'Khojali', ['qwFccHRa@_APDhAf@QAg@']],
+        ['AZ', 'AZ-XIZ', 'Khizi', ['o~FqsHSbAb@r@x@qB]e@k@^']],
+        ['AZ', 'AZ-XVD', 'Khojavend', ['wwFycHXKd@t@RaAs@OUy@UVJhA']],
+        ['AZ', 'AZ-YAR', 'Yardimli', ['}pFmlHm@_AQXZtAb@o@']],
+        ['AZ', 'AZ-YEV', 'Yevlakh', ['s{FqdH_@q@i@Gc@bB~@Al@g@']],
+        ['AZ', 'AZ-ZAN', 'Zangilan', ['ctFgbHBf@~@Uy@gAIt@']],
+        ['AZ', 'AZ-ZAQ', 'Zaqatala', ['wbG}dHy@x@v@zAj@aAi@sA']],
+        ['AZ', 'AZ-ZAR', 'Zardab', ['}zFqjH@`Bf@gAi@Y']],
+        ['AZ', null, 'Shusha', ['kwFacH?IG??HF?']],
+        ['BA', 'BA-BIH', 'Herzegovina-Neretva Canton', ['akGimB~@oC_A`Aq@H}@G@gA]@q@`BCbBnBgA@`@nAM', 'kxGeeBe@hBrARvAaBU_C}@BYhBWI', 'etGidBt@WlBqCQ}As@N}@nAu@fBT~@', 'ulGalBN]k@B@a@iAb@VdBjAmA', 'mrGyjBl@w@A_CiBvAOrBlAS', 'ktGymB~AmAq@_CqBrCbAx@', 'suGiqBjAq@Hk@i@@Yw@[@@v@k@AOx@XhA^y@HP', 'irGesBJlAz@^HkBe@h@k@k@', '_pGisBR]Q{@AxA']],
+        ['BA', 'BA-BRC', 'Brčko', ['owGwtBXJQg@GZ']],
+        ['BA', 'BA-SRP', 'Posavina Canton', ['uxGorBh@gAk@^@f@', 'wxGirBC|@T[Qa@']],
+        ['BA', null, 'Trebinje', ['_iGgrBUUw@VMi@g@Im@bCnBA`AoA']],
+        ['BA', null, 'Foča', ['smG{uBo@JEiBkAp@`@?Fx@VAFtBr@AB_C']],
+        ['BA', null, 'Banja Luka', ['iyG_jBItBv@t@XiBdAK?bAlAsCmARPsB]e@{@f@}@CGzB']],
+        ['BA', null, 'Doboj', ['}xGanBfA@`@kAEq@c@z@SgCe@~@P`@WdB']],
+        ['BA', null, 'Bijeljina', ['kwGquBd@n@XW?aA_Ag@?pA']],
+        ['BA', null, 'Vlasenica', ['kuG{vBb@tAn@@f@_BQiA{@xAm@G']],
+        ['BA', null, 'Sarajevo-Romanija', ['irGesB|@`@GcD}@`AF~@']],
+        ['BB', 'BB-01', 'Christ Church', ['qpApsJ?[O??ZN?']],
+        ['BB', 'BB-02', 'Saint Andrew', ['oqApsJ?MQ??LP?']],
+        ['BB', 'BB-03', 'Saint George', ['{pAlsJ?QQ??PP?']],
+        ['BB', 'BB-04', 'Saint James', ['aqAzsJ?KW??JV?']],
+        ['BB', 'BB-05', 'Saint John', ['cqAdsJ?QO??PN?']],
+        ['BB', 'BB-06', 'Saint Joseph', ['kqAlsJ?OM??NL?']],
+        ['BB', 'BB-07', 'Saint Lucy', ['}qAzsJ?QO??PN?']],
+        ['BB', 'BB-08', 'Saint Michael', ['wpAxsJ?QQ??PP?']],
+        ['BB', 'BB-09', 'Saint Peter', ['uqAzsJ?SO??RN?']],
+        ['BB', 'BB-10', 'Saint Philip', ['wpA~rJ?SU??RT?']],
+        ['BB', 'BB-11', 'Saint Thomas', ['eqAtsJ?OM??NL?']],
+        ['BD', 'BD-A', 'Barisal', ['aoCitPA|@dAr@j@Y`BNg@}@r@h@ZYaBm@h@Im@a@yAn@[a@]P', 'skCmvPu@f@zCKe@e@_AH']],
+        ['BD', 'BD-B', 'Chattogram', ['edC_bQ_NjAAbA|BV\\h@_Af@^NiB`@yBe@?n@|C`BdCa@p@gAiAgAbC{@c@Wn@R~Ak@r@NjCiAcCPPqA']],
+        ['BD', 'BD-C', 'Dhaka', ['w}CgpPtA\\pDa@l@VMfAd@DjD{Be@i@CuAi@Ac@`AP{@g@LLk@cAKiBaB{C~@@pBq@nB']],
+        ['BD', 'BD-D', 'Khulna', ['iiCskP`Ba@aAWl@CGSgBA~@IgAS|BJMY]HHm@}DOqD`Cg@Eu@xBlBd@\\m@n@LHs@j@VhDk@']],
+        ['BD', 'BD-E', 'Rajshahi', ['evCqiPr@uANkB_AYeE\\[jCXJC~A~@XIf@rA?`@qBZI']],
+        ['BD', 'BD-F', 'Rangpur', ['_~CipPkBCo@b@r@TGf@kAz@A\\^YEfAeAx@ZHVc@j@bAfADvBeF@oAw@Y']],
+        ['BD', 'BD-G', 'Sylhet', ['kxC}~PeAM@u@e@d@QpGb@B|@}@pALBc@p@Bm@_AJq@kAu@']],
+        ['BE', 'BE-BRU', 'Brussels Capital', ['o|H_[UNP\\Bm@']],
+        ['BE', 'BE-VAN', 'Antwerp', ['k_Iw_@k@h@@lBRj@j@MTZ?}Ck@s@']],
+        ['BE', 'BE-VBR', 'Flemish Brabant', ['}{HsX?gEg@QE\\OWCvD~@dA@i@', 'o|H_[Cl@Q]TO']],
+        ['BE', 'BE-VLI', 'Limburg', ['c_Iua@G|@b@l@J]NVD]f@PSoBaAc@Ox@']],
+        ['BE', 'BE-VOV', 'East Flanders', ['g_IgT|AKHa@MuAkAu@g@T^x@EhB']],
+        ['BE', 'BE-VWV', 'West Flanders', ['i~HwNn@M\\w@UaCqB`@x@dD']],
+        ['BE', 'BE-WBR', 'Walloon Brabant', ['}{HsXb@sAk@cBFvD']],
+        ['BE', 'BE-WHT', 'Hainaut', ['e|HwRj@UHcAb@QFcBx@L@}@{@\\K{@k@@o@bDDvB']],
+        ['BE', 'BE-WLG', 'Liège', ['mxHsd@a@eAmAx@CxEfA}@FgCb@G']],
+        ['BE', 'BE-WLX', 'Luxembourg', ['gvHa^z@aBIeAaARuA{@Hx@a@|@~@\\Nx@R]X\\']],
+        ['BE', 'BE-WNA', 'Namur', ['awHuZm@mAhAEAWY]S\\Oy@UH]e@u@rAD|@x@NJz@`A[']],
+        ['BF', 'BF-BAL', 'Balé', ['ijAfQGx@f@WS~@b@f@dAaAMuAz@Ic@u@iAjAu@@']],
+        ['BF', 'BF-BAM', 'Bam', ['_qAzIXo@]g@kB?k@l@x@bA`BY']],
+        ['BF', 'BF-BAN', 'Banwa', ['qnApYBn@nAOn@n@@c@bA?k@gB}AkAYbA^b@eA^']],
+        ['BF', 'BF-BAZ', 'Bazèga', ['ckArEFdD^\\nAiCaAm@Bm@y@`@']],
+        ['BF', 'BF-BGR', 'Bougouriba', ['ydArSPp@lAn@R}A[s@UZcAO@b@']],
+        ['BF', 'BF-BLG', 'Boulgou', ['odAVg@YEb@k@Cu@_@BlAa@X\\x@p@LZcAp@p@p@Sa@oB']],
+        ['BF', 'BF-BLK', 'Boulkiemdé', ['anAlMxB`@Zm@_AyAWBFr@a@y@o@j@Jz@']],
+        ['BF', 'BF-COM', 'Comoé', ['i_A~^lA]~@wB}@_B]Rc@m@mBMLtBa@f@Pf@Uv@vB^']],
+        ['BF', 'BF-GAN', 'Ganzourgou', ['emAxBa@Pf@\\?l@n@BnAy@i@mA{Ad@']],
+        ['BF', 'BF-GNA', 'Gnagna', ['mkANi@uA}AJK}@yBjB@l@`Bd@hDw@']],
+        ['BF', 'BF-GOU', 'Gourma', ['oiATr@oBs@qAf@iAqEGxAtBe@f@b@|ApAV']],
+        ['BF', 'BF-HOU', 'Houet', ['mjA`\\rBSXh@x@Uh@Z\\yDs@u@e@x@wCNf@dBcA?Ab@']],
+        ['BF', 'BF-IOB', 'Ioba', ['ucA`PWQc@j@FrAL_@nAJNq@y@g@']],
+        ['BF', 'BF-KAD', 'Kadiogo', ['skAzEqAbBhBt@N_@g@yB']],
+        ['BF', 'BF-KEN', 'Kénédougou', ['gjAp\\h@fCpAe@hAx@n@_AKoAa@[i@Zu@o@gBb@']],
+        ['BF', 'BF-KMD', 'Komondjari', ['ypAaEb@fC|AKMYd@g@yAuB_Az@']],
+        ['BF', 'BF-KMP', 'Kompienga', ['qfA{G}AnBr@`AxACb@b@?sCm@Ee@w@']],
+        ['BF', 'BF-KOP', 'Koulpélogo', ['}cAiAc@c@yABWvAh@n@j@BDc@f@XPaB']],
+        ['BF', 'BF-KOS', 'Kossi', ['isAxWhAjArCy@_@]JeAu@YsAF_AbB']],
+        ['BF', 'BF-KOT', 'Kouritenga', ['}iAzAf@i@}@w@a@h@y@DHnAfB]']],
+        ['BF', 'BF-KOW', 'Kourwéogo', ['gnAbKh@]Bj@b@BYeA{@Og@Xj@h@']],
+        ['BF', 'BF-LER', 'Léraba', ['e`Ana@ZoAq@Do@g@u@nBzB@']],
+        ['BF', 'BF-LOR', 'Loroum', ['owA`LWhAZj@`@qAvA]Ao@a@]yAfA']],
+        ['BF', 'BF-MOU', 'Mouhoun', ['ilAvPgAfCnDtAXk@s@o@RkAg@VBsA}@D']],
+        ['BF', 'BF-NAM', 'Namentenga', ['emAxBQqAmA`@}B]{@lAv@Z`CM@X|Ag@']],
+        ['BF', 'BF-NAO', 'Nahouri', ['ycAxGIoC}AzBhAbA\\o@']],
+        ['BF', 'BF-NAY', 'Nayala', ['snAnOe@HMbBp@n@nA}AmA_A']],
+        ['BF', 'BF-NOU', 'Noumbiel', ['}|@~RbB{AgCH@fA`@H']],
+        ['BF', 'BF-OUB', 'Oubritenga', ['skAzEk@CGo@cAhBGfAfAa@Hy@l@a@']],
+        ['BF', 'BF-OUD', 'Oudalan', ['e|Ak@a@zDr@~@dCyAEoBs@m@}AC']],
+        ['BF', 'BF-PAS', 'Passoré', ['snAnOMYd@MIaBg@QWgASrCVxAl@I']],
+        ['BF', 'BF-PON', 'Poni', ['y|@hWHyBo@YAgAyBVJzCrAL`@l@^S']],
+        ['BF', 'BF-SEN', 'Séno', ['gyAg@p@f@HpBb@LzAqAeAqCuBz@']],
+        ['BF', 'BF-SIS', 'Sissili', ['ycAxGYl@k@?LfAs@bAgASVz@b@Zj@_@^v@V_@VPCgG']],
+        ['BF', 'BF-SMT', 'Sanmatenga', ['gnAdC{@ZAYcEGl@hCvBEDd@h@JhAgC]g@']],
+        ['BF', 'BF-SNG', 'Sanguié', ['ijAfQt@A`@_Ay@cA_@l@qBq@@j@e@JLXhCv@']],
+        ['BF', 'BF-SOM', 'Soum', ['s{AnEdA~D|@PtAcAa@k@^o@u@oC_ALaBnA']],
+        ['BF', 'BF-SOR', 'Sourou', ['gtAhQKfApAGVj@jAGi@o@LcBy@o@sA~A']],
+        ['BF', 'BF-TAP', 'Tapoa', ['kiA}MwAbAOe@y@XPdBk@z@|FFb@cACkAaBqA']],
+        ['BF', 'BF-TUI', 'Tuy', ['ohAlUQfAh@F~AUd@s@iAsADgAk@@LtA{@|@']],
+        ['BF', 'BF-YAG', 'Yagha', ['quAcBdAtAlBcBAc@Yk@w@ABy@cBxC']],
+        ['BF', 'BF-YAT', 'Yatenga', ['kwAvOZd@nAD|@}@IcB|@?QeAsAZ@n@wA\\a@pA']],
+        ['BF', 'BF-ZIR', 'Ziro', ['kgAlGoAhCLf@|@T|@iAEmAs@o@']],
+        ['BF', 'BF-ZON', 'Zondoma', ['spAhLw@GI|@hAz@GqB']],
+        ['BF', 'BF-ZOU', 'Zoundwéogo', ['iiApDCl@`Al@pAiBw@y@[bA{@B']],
+        ['BG', 'BG-01', 'Blagoevgrad', ['kaGgnCi@_G}@nA_AFPdDtC@']],
+        ['BG', 'BG-02', 'Burgas', ['_fGahDb@cBM}AwAz@Kt@o@wA[@[~BLdCj@JfAsBr@F']],
+        ['BG', 'BG-03', 'Varna', ['_nGqnDe@tClBr@`@uCiBs@']],
+        ['BG', 'BG-04', 'Veliko Tarnovo', ['apGa}ChBh@X_Br@KIwAYUcANW~As@XCd@']],
+        ['BG', 'BG-05', 'Vidin', ['msGylCrAbArAiA[q@}@OEf@k@c@[bA']],
+        ['BG', 'BG-06', 'Vratsa', ['}pGsrCz@?p@x@t@k@CmAs@GIq@q@Ta@k@MnC']],
+        ['BG', 'BG-07', 'Gabrovo', ['ejGi{C@wB]C[La@pBh@Vn@[']],
+        ['BG', 'BG-08', 'Dobrich', ['}qG_lD~@~Az@eCUmCs@?q@rD']],
+        ['BG', 'BG-09', 'Kardzhali', ['gcG{aDBrAy@vA`Ah@bA{@WeDw@J']],
+        ['BG', 'BG-10', 'Kyustendil', ['mgGujCz@cBYgCEd@g@H?zAs@r@?X`@Q\\b@']],
+        ['BG', 'BG-11', 'Lovech', ['ejGowCAyBm@Zy@o@LvEpAUHs@']],
+        ['BG', 'BG-12', 'Montana', ['}lGsnCC}AMVq@y@{@?J~Bn@@Zp@f@s@']],
+        ['BG', 'BG-13', 'Pazardzhik', ['_iGqwCAdBV]t@x@fAKXq@g@eAeC@']],
+        ['BG', 'BG-14', 'Pernik', ['ckGcmCNz@d@?t@qAAiA_@KiAjB']],
+        ['BG', 'BG-15', 'Pleven', ['opGcyC?~@`@j@p@UTt@U}FWPm@]M|B']],
+        ['BG', 'BG-16', 'Plovdiv', ['ejGi{CF`CvCQ^_Cc@k@c@@Gh@m@UaAd@']],
+        ['BG', 'BG-17', 'Razgrad', ['cpGwgDq@vBlAn@j@wAgAoA']],
+        ['BG', 'BG-18', 'Ruse', ['gpGy_D`@r@l@mBSLw@mAYPe@Yz@`C']],
+        ['BG', 'BG-19', 'Silistra', ['wrGiiDLvDjAqD_A{AYtA']],
+        ['BG', 'BG-20', 'Sliven', ['kjGi`D|Bi@E]u@Ii@wAM^y@@n@fC']],
+        ['BG', 'BG-21', 'Smolyan', ['ubGgvCn@}Di@@K\\i@O[r@ZtCn@[']],
+        ['BG', 'BG-22', 'Sofia', ['yhGopCPiAk@\\g@UGbAd@h@b@k@']],
+        ['BG', 'BG-23', 'Sofia', ['ckGcmCd@_Ae@i@FcAf@Tj@]QhA^Jx@aAg@sAa@OW\\EqB{AzAHzA]VExAx@n@']],
+        ['BG', 'BG-24', 'Stara Zagora', ['ejGi{C`Ae@t@HReEqC`AD~C']],
+        ['BG', 'BG-25', 'Targovishte', ['mkGqbDK{AmA[UpCPP|Ak@']],
+        ['BG', 'BG-26', 'Haskovo', ['wdG}dD}@~DJ|@p@L~@mC_A}B']],
+        ['BG', 'BG-27', 'Shumen', ['gkGaeDEmBaCy@WfA`@r@|Bj@']],
+        ['BG', 'BG-28', 'Yambol', ['_fGahDs@GeAhAv@lBfADb@mAi@gB']],
+        ['BH', 'BH-13', 'Capital', ['ubDszH?UK??TJ?']],
+        ['BH', 'BH-14', 'Southern', ['cbDk{HT^f@U}@I']],
+        ['BH', 'BH-15', 'Muharraq', ['wbDe{H?SQ??RP?']],
+        ['BH', 'BH-16', 'Central', ['abDszH?]U??\\T?']],
+        ['BH', 'BH-17', 'Northern', ['waD{yH?c@i@??b@h@?']],
+        ['BI', 'BI-BB', 'Bubanza', ['lSwuD?{@gAHRf@r@H']],
+        ['BI', 'BI-BL', 'Bujumbura Rural', ['hTquDQg@lAd@@u@wAEAv@ZD']],
+        ['BI', 'BI-BM', 'Bujumbura Mairie', ['hUsuDG_@k@Ar@`@']],
+        ['BI', 'BI-BR', 'Bururi', ['dYqvDq@yAVKo@IC`@]CLRa@R`@PAt@~A]']],
+        ['BI', 'BI-CA', 'Cankuzo', ['jQq}Dp@f@d@{@Ui@y@EGbA']],
+        ['BI', 'BI-CI', 'Cibitoke', ['xOevDQp@b@L~@q@e@q@k@b@']],
+        ['BI', 'BI-GI', 'Gitega', ['bRwyDrB\\b@G@c@q@]gBj@']],
+        ['BI', 'BI-KI', 'Kirundo', ['nMu|DTl@Ud@~@DZc@Sg@W[o@L']],
+        ['BI', 'BI-KR', 'Karuzi', ['hR}yDx@Um@_Aq@\\d@v@']],
+        ['BI', 'BI-KY', 'Kayanza', ['lPgxDBf@v@WNu@_@Ik@n@']],
+        ['BI', 'BI-MA', 'Makamba', ['fXs{DRl@g@Xp@xAr@E@aAsAyA']],
+        ['BI', 'BI-MU', 'Muramvya', ['hRwwD|@AGu@c@DQp@']],
+        ['BI', 'BI-MW', 'Mwaro', ['~SoyDFp@~@QgA_@']],
+        ['BI', 'BI-MY', 'Muyinga', ['~M}}DQd@t@Kf@bAfAg@g@i@y@EBTu@[']],
+        ['BI', 'BI-NG', 'Ngozi', ['nO{yDl@x@j@{@k@w@m@x@']],
+        ['BI', 'BI-RT', 'Rutana', ['bVy|DKt@vAh@Gy@cAe@']],
+        ['BI', 'BI-RY', 'Ruyigi', ['bTi~De@~@^p@x@KJs@_Aq@']],
+        ['BJ', 'BJ-AK', 'Atakora', ['mfAsKGrBb@v@r@HFh@zBXrAqBa@wD{@NkBc@}AbA']],
+        ['BJ', 'BJ-AL', 'Alibori', ['chAoUkCvC^|Ar@QlBvA|AcAvATU}H}ChAw@Y']],
+        ['BJ', 'BJ-AQ', 'Atlantique', ['sf@wMWYqALIbA|BPIiA']],
+        ['BJ', 'BJ-BO', 'Borgou', ['maA_WX`IzETX\\nAOReCy@IG}@gAIaB{AcABcAu@']],
+        ['BJ', 'BJ-CO', 'Collines', ['ip@uOoDIAhBz@DUlB`EAd@aDm@M?k@m@H']],
+        ['BJ', 'BJ-DO', 'Donga', ['e}@kGnGu@RsB_AAO^aALwAe@iALNtC']],
+        ['BJ', 'BJ-KO', 'Kouffo', ['cn@cIbDD@uAi@K{BzA']],
+        ['BJ', 'BJ-LI', 'Littoral', ['qf@uM?[M??ZL?']],
+        ['BJ', 'BJ-MO', 'Mono', ['_i@}HvAe@L^OiAsAEAtA']],
+        ['BJ', 'BJ-OU', 'Ouémé', ['mg@}OeBz@vBIQq@']],
+        ['BJ', 'BJ-PL', 'Plateau', ['{n@_P?j@d@N`E{@gF?']],
+        ['BJ', 'BJ-ZO', 'Zou', ['cn@cIzBqAOiBuAXg@tBPj@']],
+        ['BL', null, 'Saint Barthélemy', ['wnB|gK?OI??NH?']],
+        ['BM', 'BM-DEV', 'Devonshire', ['whE|sK?KG??JF?']],
+        ['BM', 'BM-HA', 'Hamilton', ['whE~sK?CC??BB?']],
+        ['BM', 'BM-HAM', 'Hamilton', ['}hEtsK?KI??JH?']],
+        ['BM', 'BM-PAG', 'Paget Parish', ['shEbtK?KG??JF?']],
+        ['BM', 'BM-PEM', 'Pembroke Parish', ['whEbtK?IE??HD?']],
+        ['BM', 'BM-SAN', 'Sandys Parish', ['shEptK?II??HH?']],
+        ['BM', 'BM-SG', 'St. George', ['giEhsK?EE??DD?']],
+        ['BM', 'BM-SGE', 'Saint George', ['_iEpsK?QM??PL?']],
+        ['BM', 'BM-SMI', 'Smith\'s Parish', ['{hEtsK?IE??HD?']],
+        ['BM', 'BM-SOU', 'Southampton', ['ohEptK?OE??ND?']],
+        ['BM', 'BM-WAR', 'Warwick', ['qhEftK?KG??JF?']],
+        ['BN', 'BN-BE', 'Belait', ['w[ogUrBuBUc@]GoA~@N`B']],
+        ['BN', 'BN-BM', 'Brunei-Muara', ['q]smU_@W\\bA`@B_@o@']],
+        ['BN', 'BN-TE', 'Temburong', ['u]unUPVpAKRs@wBf@']],
+        ['BN', 'BN-TU', 'Tutong', ['q\\clUa@Cj@t@jA{@uAH']],
+        ['BO', 'BO-B', 'Beni', ['|_AtwKxAnC`BZVtAnAx@bDCpCxAxD`@~B]tA}@vDmD\\eA]iBqAg@@oJ{BjBoBRuFyMDp@sA~@W|BeAx@Hn@q@~AH`BcBlCoClAqD?']],
+        ['BO', 'BO-C', 'Cochabamba', ['tlBtaLvAiAYwBvC}C[qAd@q@Ow@gCrAiBcBaCvBoD]JbBpAf@\\hB]dA{BjBfA`@fCe@x@p@vAa@N\\']],
+        ['BO', 'BO-H', 'Chuquisaca', ['|~BxcKC~G{GRZr@oBfAJf@e@p@b@r@}@xBnAGIm@lAPj@k@JiAfAa@|AzB`AMvCb@p@q@uBM\\aAa@Yh@}Aq@IT}JiBK']],
+        ['BO', 'BO-L', 'La Paz', ['llBlqL|Ai@Jk@mA}Bh@cCqAaBB{AsAb@}@s@gCd@gAa@qC~B_C\\yDa@kAeA_CW}AlE~DjE|BA`@XfBo@xBdBtAk@nAv@pBq@XeAjD|C~@U']],
+        ['BO', 'BO-N', 'Pando', ['|_AtwKmBQ_@Z^ZUh@b@hD~CvEG~@vArB_@~DrHqDuBoC~AoE_CCMc@k@IWuAaB[yAoC']],
+        ['BO', 'BO-O', 'Oruro', ['luBdnL|AiBZVr@gDaCsIoAn@c@fAm@FU_@Ql@a@YuBdBzA~Bi@fClA|BtDQ']],
+        ['BO', 'BO-P', 'Potosí', ['fyBrkL`@Xf@a@b@p@|@Cf@y@x@NhAeAtHaAAiCuByA]uAy@Q~@wAAyB{@^s@Sq@p@wCc@aAL}A{BgA`@KhAo@l@iASHl@oAFLeAmAtAc@`Aj@~B\\ADi@T^l@Gd@iArAi@FlAtBvFu@pD']],
+        ['BO', 'BO-S', 'Santa Cruz', ['`}BnjJe@{@q@r@iCoAYJiC}@iC`Ay@vBoBNoAYChJ{CPkA`AC}@_Gf@cArBHjBtFxMnBSxBkBGrGjDT|BuBlB`BxFiCWw@xGQB_HcD{AeA{IA{DhBqDdAC']],
+        ['BO', 'BO-T', 'Tarija', ['|iCpfKuFkAU|Jp@Hi@|A`@X[bAfD^z@[TwB`Cq@kDqA?}El@a@']],
+        ['BR', 'BR-AC', 'Acre', ['lcAzqL^_EwAsBF_A}CuE_JfVqBhM}AdFb@SJt@b@Fp@}@\\LrAo@~BqBpAn@VsD~AUCsDoB{CzHVKsE']],
+        ['BR', 'BR-AL', 'Alagoas', ['tv@tzECjD|@bA^tBcBbD|A~A~B{FhBqBwCwBY\\Js@wCmB']],
+        ['BR', 'BR-AM', 'Amazonas', ['sF~`LFh@iBDuAz@nAdBu@r@b@PTW@rI`CABoBlA]ObAZpBtCBfAyAbCk@lRpBHn@g@VC~@t@~@XzDxBhEfBJtAp@nAO`AjB|@V|AeFpBiMnIcUwAwA?wA`@g@_AkBb@[wAy@EcCiBYuAyAH_DbDcDc@g@@gSwBa@w@L_Bo@_C`A{ZoLKtA[@eEfIkCzAsBBBjFdCbAl@M^rA{@d@Kx@n@|@hCLGt@wB|Ba@g@wBx@eD[{CbAcAQo@xAKn@v@xBtBdA[JjApC~AjAaANl@hC}AtB']],
+        ['BR', 'BR-AP', 'Amapá', ['qMjtIY^hCG@kAbByD~@Af@{@xDg@f@y@fCu@\\y@e@eA}DmAq@kBgEsDIr@Qu@qALSfBy@\\F^SSmDbAgDJl@RuA@gA`AdBO{@\\vExC`Cl@z@`Aa@fDr@hAk@`B', 'uCvxH[c@Dh@TE', 'eLhzHp@EUU[Z']],
+        ['BR', 'BR-BA', 'Bahia', ['~fAfiF[dBcBp@_@IMoAkBCgAr@u@CMd@oAPAd@c@H^TyAvC~DtFGXm@KM\\y@F]p@t@tBt@VJ|Ar@z@m@hEZh@pBYlBtAz@vDqBjCtAjBZMlA`Af@UViAZd@^g@d@r@n@B^e@v@N`@c@vDf@~AcApD^gEsJRuAdAHReA_@aAlBuEMy@lAwAn@GN{E~@gAvApAr@CNt@|APjAoAn@E|@eB_CiBgBLeGeAkFh@yC[v@T_AIW^Ra@cADRTqCoAYf@QKd@Iu@W\\c@z@BOi@iH_ELV', 'trAjrFLTh@]w@F']],
+        ['BR', 'BR-CE', 'Ceará', ['xQx`GtAf@bDgAfA\\pJ{AdAiApBXCqD~AgCiBwAeAh@mC_@iAwAeDsA_AyA_@jAoDdDiDlHD|FXA']],
+        ['BR', 'BR-DF', 'Federal', ['fcBrfHkBV?xChBJ@}D']],
+        ['BR', 'BR-ES', 'Espírito Santo', ['nqB|vFwAxCL|Af@[Dx@h@PD[hAQH~@z@y@`A@nCpA^~ApADJ[x@E^sCqAi@o@cA{@_@QTF[iDgB{EG']],
+        ['BR', 'BR-GO', 'Goiás', ['~nA|_HbBbGg@Xr@@c@bBW?R|Aj@TyAHw@f@vBnAaAjDcBYPd@pFlBhFl@z@lBxBl@RdAlAvAn@GbAlAnAb@rE]Nw@p@XHsAzCaI}CqBg@}CXY{@uAVmEmA_C_BAYr@}AkA_Bz@{A]A|Dg@DcAS@wCjBW_@wAgDDB_AeAIl@aAe@s@oAA_BbAwDg@]`@']],
+        ['BR', 'BR-MA', 'Maranhão', ['pF~~GhBn@NU~@LrBjAXQlEdBdCbB~CfFe@oAhAgDtCWjCVh@n@Tq@\\RtBqBMiBrA?NbAnBp@~AkBn@XrA_A\\oAkD]mBb@oF_B_A_DaCqCRmB]aBcAS{@p@uABwA{@{Dd@}CaBCw@}AqAm@@RrAaBhFh@FMt@`AfABp@uAs@Xv@rANdAhAwCs@HVs@{@e@Rx@d@_@B@\\m@aAAXg@QWVP^QSFTe@BPPo@K`@RUd@r@^uA@n@Xs@GNr@o@Ff@Pu@Jd@Le@F\\R', 'pPbuGUCfAVq@S']],
+        ['BR', 'BR-MG', 'Minas Gerais', ['|{Ar~GFt@g@j@dAJE|@dDGb@zAzA\\~A{@|AjAXs@~A@lA~BWlEz@tAYXf@|CtBjBzAd@dAG_AcBd@sF~@I[k@x@Sy@OAsBYCZ]e@wBp@o@l@Jf@c@t@T`Bk@JaBjDd@h@}@ZPd@YDm@GcAs@IJaAuBcIF_CmAkDWP}Bm@_AaA{@F]_BoCqA_AC}@z@K_AcBj@YiAg@ZDkCi@?iAnAw@Gq@QEm@s@ByAqA}@fAOzEo@FmAvALx@cBjDTjBSdAeAIMh@NnBrDlHkAI']],
+        ['BR', 'BR-MS', 'Mato Grosso do Sul', ['zmBvgJbBq@hH`Cp@s@d@z@zCcA~E`@j@aFi@yAf@g@@eAdAo@dGg@Lq@k@iBl@wAaF{BoC_FeBsA]Jc@m@sCy@qAmBoCMwCnHIrAq@YIr@cABQxDgCy@hAvAJp@a@l@b@pBcBzDX~BvA~@d@lAi@p@']],
+        ['BR', 'BR-MT', 'Mato Grosso', ['jtApzJ~@cAb@PvDi@B|@jAaAzCQBiJnAXnBOv@uBtAcAe@mAwA_AYcCbBwDc@qB`@m@Kq@iAwAfCx@PuDuA`@oCk@k@}@cBc@gAcCwBk@m@aBmAc@iDUgDmAs@f@eFJaD[cDgAwAxg@cCbDgBHoDbBxGpABbRXYrAX|@YnGD@uEZwAn@QfAd@dCw@hEnBn@dA']],
+        ['BR', 'BR-PA', 'Pará', ['cK~_JGfDzAlCOx@`Af@N|@WZfKm@xDuEl@sBlAoAFkA~ZnLjHeDfBI`BkBp@sBfA}e@gBe@}DuCqB[q@l@{@g@_ADw@mBoCwAmACe@hB_DgFeCcB}JkDm@RuBs@Df@s@Qd@\\K^c@I\\~@]]L\\m@Ld@Xg@B`@Pg@BXJi@\\?`@j@Mm@d@b@\\e@Nh@\\WN`Cx@E\\b@B@a@F\\\\Iw@l@|AhAy@a@FTvEhCsDo@Vl@TKUr@h@Gw@`@n@vAs@d@\\l@k@e@yB|@k@WzCnGa@NNtAq@}AHo@o@QCfAs@p@_BTwAjAkCTg@z@_A@cBxDAjA_CAg@l@h@vCYr@t@`@hAm@InB', 'tEbmHPVHY[@', 'zBr|HJp@\\Di@w@', 'xB|~HQVTj@fDnAwAaCsAQ', 'rBzmH_AE]bKp@`A~@]Yd@|AHB}@ZNQl@bA@nAmAeA]z@SWY\\q@m@Gd@IIYk@EV}@m@CZYOm@_@\\X_@w@PKw@cBc@', 'x@p}Hu@}@Ax@v@B', 'RlvHQ_BS\\d@`A', 'Ml{HLe@_@HPZ', '{@vwHPbA^EJ_BgAcAHdB', 'o@zyHkAApA\\E[', 'qAlyHSu@[Dn@n@']],
+        ['BR', 'BR-PB', 'Paraíba', ['rg@nyEg@zGrB^Rb@k@PJrA]x@_C{@ZhBdAjAa@jAnBl@nAi@z@b@h@}BmBeDh@s@Ph@rA\\Ag@z@g@{AiBBaBe@iAg@MIkA\\y@qEZ']],
+        ['BR', 'BR-PE', 'Pernambuco', ['bn@`yE[j@HjAf@Ld@hAC`BzAjB{@d@@f@sA]Qi@i@r@rBhEm@vAl@hA_BrBDfEjCMxB|CX}A|@IL]l@JFY_EyFxAsC[_@`Bo@}A_B`BaDIgAqAsBBkDcEcAmAN']],
+        ['BR', 'BR-PI', 'Piauí', ['hPndGpATp@t@Bv@|C`BzDe@vAz@tACz@q@bAR\\`BSlB`CpCr@rCtFhBrBa@jD\\@eAvAu@Vs@yAeFuBo@sAZYgAt@gDs@{@K}As@UIo@uD_EwB\\G]qBYa@|@sFj@aBn@oAJi@a@qDjAuAg@o@tB']],
+        ['BR', 'BR-PR', 'Paraná', ['pyCvrIfDn@V]g@aAZi@|Bq@vA_MQc@{@EM}Am@]Rq@SoAj@mAo@uAAkBUC?h@Cm@w@c@MdA]DXu@m@ACYX?Og@b@Nm@c@k@f@FbAiA@AnC_AO}AjA{BFgAbAHzC{@tBYnCV\\MpC`A|BnA\\Zn@dBT`@n@xBF']],
+        ['BR', 'BR-RJ', 'Rio de Janeiro', ['|cC`_G_@rCy@DCb@^j@zC`@fAdDG~BdApEd@g@P}Ax@|Bp@LVw@OM@Za@He@cAX[_@iAVq@PlASyCq@HOe@z@I@kEm@[i@RmBgE}ARq@S']],
+        ['BR', 'BR-RN', 'Rio Grande do Norte', ['d]vgFl@~AbDpAf@`A~@\\V_BeAkA[iB~Bz@\\y@KsAj@QSc@sB_@f@{GkEz@cAp@AlE{@jC']],
+        ['BR', 'BR-RO', 'Rondônia', ['|_AtwKpD?nCmAbBmCIaBp@_BIo@dAy@\\gClAu@O}Cf@_Ao@eAiEoBeCv@gAe@o@Pa@nHgLA_@h@b@d@Qh@wClCClCtAxAhBXDbCvAz@c@X~@jBa@f@?vAvAvAUoETi@]c@fBWb@T']],
+        ['BR', 'BR-RR', 'Roraima', ['g_@pvJUVLhBp@]rAlA@bAhApBEjB\\|@hA@RZoAzANhCo@XY~BbCyB~E]JiCl@En@}BbAP~CcA`DZvBy@^h@zBaCDs@iCMo@}@Jy@z@e@_@uAm@NeCcACkFwERyAlCcBJqAr@uD[gAaAs@h@c@I]|AiBc@ST']],
+        ['BR', 'BR-RS', 'Rio Grande do Sul', ['t{D~fJReAe@sAjCcDv@?m@sAlAeAj@_CfAaAn@eBlAg@t@yAxAtA~A?P_@wBsCaEmB[ABb@WYe@Pc@[PM_AIq@gBwAKZU_ACU_@Yn@i@IrAcAo@aAr@GQ^hAG^x@n@?Ib@jANlAvBCp@bAAaGgHwHqDYn@^RMVuC{A_@tDsCpCUhBq@z@I`D[DZ|BSl@|@pARfB~@j@jArC`@OCj@hJpI']],
+        ['BR', 'BR-SC', 'Santa Catarina', ['bcDjnItDb@QcDZEHaDp@{@TiB|CaDH{CZKTj@jANR`@^Wa@SXo@}C}Dc@TZUs@WcECS[IXcC?[d@i@?\\Ys@Q@jBn@tAk@lARnASp@l@\\L|Az@DPb@wA~L', 'rcDjnHa@@Z\\D_@']],
+        ['BR', 'BR-SE', 'Sergipe', ['r`ApbFiBpBuAnEnBo@hB?PpA\\H`CwAEiA}@Qn@Am@c@a@XT[gAo@u@aB']],
+        ['BR', 'BR-SP', 'São Paulo', ['|pCpvGWXq@M_@gBm@IBlAg@j@n@pBK`Ar@J@nBe@X[Qk@~@kDg@I`BaBj@u@Ug@b@m@Kq@n@d@vB[\\XB@rBx@Ny@RZj@_AH_@`G|CjEjH|CvB~Cc@{EXoCz@uBI{CfAcAzBG|AkA~@N@oChAAGcAz@]q@e@C^kEmI]@\\Ss@uALuAi@Cu@gC', 'ltCpyGe@R`@ZBo@']],
+        ['BR', 'BR-TO', 'Tocantins', ['p_A~|G_@tBsA~@o@Y_BjBoBq@OcA_ACa@XZrAuBpB]SUp@i@o@kCWuCVw@nAKvB`@j@DcAn@o@V^xBNpBfD~@Ez@f@p@m@pBZ|DtCjGlBfDZbG[FWwAaAfBT`AkDwBoAv@g@zAKm@SS}AV?b@cBs@Af@Y}AuFaA[O^}@Bg@u@]h@_@e@w@~AsAcA[LuAkB']],
+        ['BS', 'BS-AK', 'Acklins', ['slCnmM^W`AnA}@qAq@CL\\']],
+        ['BS', 'BS-BI', 'Bimini', ['yqCnpN?gAiM??fAhM?']],
+        ['BS', 'BS-BP', 'Black Point', ['ytC~~M?aBuB??`BtB?']],
+        ['BS', 'BS-BY', 'Berry Islands', ['w}C|eN?SmA??RlA?']],
+        ['BS', 'BS-CE', 'Central Eleuthera', ['c{Cb|M?m@_A??l@~@?']],
+        ['BS', 'BS-CI', 'Cat Island', ['kvCtuM_BrAtA_AXROg@']],
+        ['BS', 'BS-CK', 'Crooked Island', ['amChoM@u@W~@TI']],
+        ['BS', 'BS-CO', 'Central Abaco', ['icDtaNMg@[@g@bA\\m@r@N']],
+        ['BS', 'BS-CS', 'Central Andros', ['}xCzdND`A~@Ce@_A_@@']],
+        ['BS', 'BS-EG', 'East Grand Bahama', ['}eDliNVKMeBWBLlB']],
+        ['BS', 'BS-EX', 'Exuma', ['crCvxMYl@j@iAQZ']],
+        ['BS', 'BS-FP', 'Freeport', ['sdDrjN?MI??LH?']],
+        ['BS', 'BS-HI', 'Harbour Island', ['q~C|~M?IE??HD?']],
+        ['BS', 'BS-IN', 'Inagua', ['sbChkM\\?GsAgAm@p@`C']],
+        ['BS', 'BS-LI', 'Long Island', ['snCzrMmC|ApBs@I^|@mAWB']],
+        ['BS', 'BS-MC', 'Mangrove Cay', ['{tCjeN_A[f@r@VW']],
+        ['BS', 'BS-MG', 'Mayaguana', ['gjChhM?uAc@??tAb@?']],
+        ['BS', 'BS-MI', 'Moore\'s Island', ['ccDzcN?IO??HN?']],
+        ['BS', 'BS-NE', 'North Eleuthera', ['a}C`|Mu@pAXFZyA']],
+        ['BS', 'BS-NO', 'North Abaco', ['{eDrbNk@l@DdABoA`@c@']],
+        ['BS', 'BS-NS', 'North Andros', ['cxChgNg@mAyAp@Kh@~ARXSCn@V}@']],
+        ['BS', 'BS-RC', 'Rum Cay', ['yrCptM?gAg@??fAf@?']],
+        ['BS', 'BS-RI', 'Ragged Island', ['qiC|xM?Wk@??Vj@?']],
+        ['BS', 'BS-SA', 'South Andros', ['guCzdNb@LBm@Pf@@i@_BFb@X']],
+        ['BS', 'BS-SE', 'South Eleuthera', ['c{C|zM`@d@^c@aAA']],
+        ['BS', 'BS-SO', 'South Abaco', ['wcDl`N`AjAZc@}Ag@']],
+        ['BS', 'BS-SS', 'San Salvador Island', ['cuClpMWAd@RMQ']],
+        ['BS', 'BS-SW', 'Spanish Wells', ['k~Cn_N?OG??NF?']],
+        ['BS', 'BS-WG', 'West Grand Bahama', ['eeD`iNk@b@n@VYx@f@u@Q_A']],
+        ['BS', null, 'New Providence', ['c{CxcN?}@U??|@T?']],
+        ['BT', 'BT-11', 'Paro', ['qkD_lPnAi@Bc@oBVZt@']],
+        ['BT', 'BT-12', 'Chukha', ['{eD}oPmBZFv@x@Jj@_B']],
+        ['BT', 'BT-13', 'Haa', ['oiDojPh@gAo@Y_Av@dAh@']],
+        ['BT', 'BT-14', 'Samtse', ['uhDqiP`AiACu@w@F_@xAX\\']],
+        ['BT', 'BT-15', 'Thimphu', ['mlDqlP?c@xBm@iAg@s@bAYOQZn@h@']],
+        ['BT', 'BT-21', 'Tsirang', ['yhDmsP?p@dADeAw@']],
+        ['BT', 'BT-22', 'Dagana', ['khD{qPa@x@X\\bA[Ko@o@K']],
+        ['BT', 'BT-23', 'Punakha', ['wlDoqPG`@j@f@Pw@u@Q']],
+        ['BT', 'BT-24', 'Wangdue Phodrang', ['khD{qPY{@o@Vm@i@iAE`@ZMd@`AVv@bAr@iA']],
+        ['BT', 'BT-31', 'Geylegphug', ['_fDspPc@aBTyBsAzBhAh@NlAFW']],
+        ['BT', 'BT-32', 'Trongsa', ['slDmtP|@l@bAw@k@g@uAp@']],
+        ['BT', 'BT-33', 'Bumthang', ['mnDotPzBQPgAkC`@Av@']],
+        ['BT', 'BT-34', 'Zhemgang', ['kfDywP_@a@uAp@Ad@t@j@`AaB']],
+        ['BT', 'BT-41', 'Trashigang', ['sjDi|PJbAlAWu@qBe@R@p@']],
+        ['BT', 'BT-42', 'Mongar', ['kkDuyP\\LJ|@tAk@gA_Aw@^']],
+        ['BT', 'BT-43', 'Pemagatshel', ['whDczPj@f@Ra@k@]SV']],
+        ['BT', 'BT-44', 'Lhuntse', ['knDgvPdCi@Gu@oBg@MfC']],
+        ['BT', 'BT-45', 'Samdrup Jongkhar', ['ggDo~P_A^nAlBSd@Xb@UwE']],
+        ['BT', 'BT-GA', 'Gasa', ['}mD{mPP[ZLFc@q@aBLc@{@s@]hBfA`C']],
+        ['BT', 'BT-TY', 'Trashiyangtse', ['}mDozPlAZl@k@Qi@_@^{@OMh@']],
+        ['BW', 'BW-CE', 'Central', ['vuBiaD?bEfE?Lc@t@@JvCg@n@Rv@jC?lMqJ~BeEsAqA}@{BmByA_BeFa@|@q@J{@hHiBr@eDBqBpEkBd@']],
+        ['BW', 'BW-FR', 'Francistown', ['rcCojD?WW??VV?']],
+        ['BW', 'BW-GA', 'Gaborone', ['zxCm`DPY]MJf@']],
+        ['BW', 'BW-GH', 'Ghanzi', ['tpC{{B@{_@iAg@eKvH?bQfE@?dEdG?']],
+        ['BW', 'BW-JW', 'Jwaneng', ['zwC_yCf@?Ac@e@b@']],
+        ['BW', 'BW-KG', 'Kgalagadi', ['tyC{{BnCgCbCc@fAl@nAOEaEo@oA{BaCkC_ACuAdA{AXsBs@p@cBB]^?hEuGR]S?fR~G?']],
+        ['BW', 'BW-KL', 'Kgatleng', ['lsCogDf@n@kAjCtDX\\eBgAwAgBW']],
+        ['BW', 'BW-KW', 'Kweneng', ['lnC_~ChAf@ArL\\RjBQxCoOs@s@{DM{BrB']],
+        ['BW', 'BW-LO', 'Lobatse', ['v|Ci_D?KM??JL?']],
+        ['BW', 'BW-NE', 'North-East', ['teC}mD_B~@oBEAtAvAF|Ai@ZmB']],
+        ['BW', 'BW-NW', 'North-West', ['dnB{|C?|@r@lAQh@fBrC_B~@~@lMvO??cQkC?Sw@f@o@KwCu@AMb@gE??cEgElCi@?']],
+        ['BW', 'BW-SE', 'South-East', ['byCqbDSZh@bA`CZFSmCk@Q{@']],
+        ['BW', 'BW-SO', 'Southern', ['b~Ci_DKT}B]s@nDZA@b@g@?{A|HhDA?iE\\_@bBCr@q@CqDw@s@']],
+        ['BW', 'BW-SP', 'Selebi-Phikwe', ['nhCwlD?QO??PN?']],
+        ['BW', 'BW-ST', 'Sowa', ['v_CgbD?[K??ZJ?']],
+        ['BY', 'BY-BR', 'Brest', ['ocIu~C^_I`@o@sAi@k@J}@bBYYc@vCi@UYp@a@UEdClBlAW|Bj@\\EzB~AtCh@}ApBBU?DgAy@qAGgF']],
+        ['BY', 'BY-HM', 'Minsk', ['goIolDk@OJxAV@FkA']],
+        ['BY', 'BY-HO', 'Gomel', ['g_I}}DYSm@X{AoAGgDi@d@_B@k@|@UUAt@a@RL~CWlAp@`@\\Q?jBt@lCf@XK`Db@r@Zu@vBD\\e@c@iBp@cBm@eAr@o@UeDn@oA']],
+        ['BY', 'BY-HR', 'Grodno', ['uvIqbDh@xAzAd@?a@`@G@j@_@JpAvEIpD|CoAjAED{Bk@]V}BmBkAAmDwAfA_@k@[dA[mAeAi@gAdB']],
+        ['BY', 'BY-MA', 'Mahilioŭ', ['isI{aE`@rIv@Zt@Qh@~AQ`AZj@b@I?fAZuAjAl@NkAs@eB?kB]Pq@a@t@oMq@wBq@|@YIOnCs@Oc@bBk@Z']],
+        ['BY', 'BY-MI', 'Minsk', ['}qIyvDmAKGrDTb@Q|BgAdBBlDVFv@cAz@h@ZlAZeA^j@vAgAh@z@Xq@h@Tb@wCXXb@m@c@s@BoD_@KQb@kAm@[tA?gAc@H[k@PaAi@_BcBB', 'goIolDGjAWAKyAj@N']],
+        ['BY', 'BY-VI', 'Vitebsk', ['}zIeeDbAZJeAXjBh@AMcEfAeBP}BUc@FsDlAPk@gJGVYUc@pAk@q@u@j@w@Wk@vAKfB`@|Au@N?dCi@zBhAfBGxB^lA']],
+        ['BZ', 'BZ-BZ', 'Belize', ['goB`fPLlA|CFG}@cDW', 'uoBldP[It@\\YS']],
+        ['BZ', 'BZ-CY', 'Cayo', ['meBllPsAgBgCQ`@pBxDF']],
+        ['BZ', 'BZ-CZL', 'Corozal', ['orBzfPBj@h@Px@wAqAOLt@c@K']],
+        ['BZ', 'BZ-OW', 'Orange Walk', ['gkBdlPYgBwAMOw@k@h@KVfAr@Or@`CB']],
+        ['BZ', 'BZ-SC', 'Stann Creek', ['cjBxfPF|@jA`@f@i@Ba@_@OZD{BI']],
+        ['BZ', 'BZ-TOL', 'Toledo', ['mbBvlPBaAyBgBe@fAn@nAjBP']],
+        ['CA', 'CA-AB', 'Alberta', ['eqHnnTycA??n}@re@?f@u@R`@~@_CBqAbAuA|Ae@Uo@Pq@d@@BuAzAkAQu@bBqAbA_CVDz@uAAk@bBcA|ANvBgC?kX']],
+        ['CA', 'CA-BC', 'British Columbia', ['eqHnzUGwQoBjC}AOcBbA@j@{@tAWEcA~BcBpAPt@{AjACtAe@AQp@Tn@}Ad@cAtACpA_A~BSa@g@t@se@??bvBvCaHbAWu@wDy@SMm@KTg@oDl@yAZNZ[nDyHnFgFVTH}@`@NLo@f@GdB_J^Ub@`@xAc@v@`@eAaAs@Df@UGm@vAfBDgA\\hBIW^\\T_AG`Bl@u@QWXRLW}@|Ar@HGm@f@DH_@O_CHxAn@k@i@bAh@HnBaDeBw@VOq@aAXPJk@F|@b@Dd@w@KsAr@o@k@r@TfAk@~AL[h@BXiA~@GQqAzBfAw@eBP`@ZEa@Yz@COq@qA}Bc@P^]h@z@XGB{AJh@~@u@aA~AxApCpAa@g@o@Gb@a@{@f@LGcDNlDt@|@GcC`@dCx@gAVqAISMp@JcBg@_@ZcARjAEiAN]Tb@?y@Su@_@U_@R^Yb@TX`C?aATbANyBw@k@p@XMk@Vc@eBiAxBt@e@oCb@dAPUp@NK\\z@mBa@o@PSc@HQc@Wb@J_@nARHoAf@p@m@^TVn@iB_AgAhARSqA^R@x@ZGCa@^H?yd@', '_aIn~Wg@PP\\`@UKY', 'ccIz_XPWw@MBh@\\PBU', 'udIvqX?X^U_@C', 'ieIl`XHx@Nc@YU', 'ufIfzWb@dBv@\\{AcC', 'yfIzbX?Zb@Oc@K', 'ygInbXPr@N_Aa@J', 'qhIfuX@ZLq@Kj@CU', 'ufI|`XiANrANI_@', 'ygIxdXi@dAhA{@_@I', 'qhI|`XXGk@SPZ', 'aeIlrXKSUdAUUP^eAtASc@M~@IiAYlABoAk@f@TxC\\{AJl@`@oAF\\vBaDU?La@', 'khI~cXu@[hARAa@qAIw@jBdARQ_AU^N[l@n@Z_A', '}jI`gX@]k@Jh@P', 'ylItdXYPb@\\Io@', 'wkIziXmAzCzAsBMg@', 'ulIhfX_AeANbAn@@', 'qnI`nXV_Am@`@T\\', 'yoI`mXdCcCGs@_BbB]rA', 'kpIhnX@WX\\Uq@]d@n@z@Wu@', 'qkIr{XM{BqD{@XfBbACV~@QYC|@QsAm@OQp@^p@c@OI`Bt@Lv@q@JPl@sBIz@H_@L`@HY', 'itIbpXAd@^F]m@', 'yoH`bWc@l@j@MG_@', 'evHrvWE`Al@}@g@C', 'kxHllWVCIWMZ', 'wwHnmWc@EI`@l@[', 'uxHpkWB[Y`@TE', 'kyHjnW`@g@OQm@n@ZH', 'g{HrtWLv@GmAET', 'i|HjwWEk@EdAJY', 'cnHvaWe@R\\Vw@FqAhAo@fDmDhCe@rGcAjERjB~@gAQ}AQx@D{ANZZUO~AVFRk@X\\OwA^SWs@d@ZPSS{@r@u@D{ANvAd@BGeBXIWS`@VSs@j@CK[Vr@Xs@IkCo@Sl@Fj@bALSrA_He@aA']],
+        ['CA', 'CA-MB', 'Manitoba', ['eqHt~QA}K{VAeXwe@qA~KdApJ[w@{@c@uGrCGjEnBb@uB_@Pn@U|@m@H@f@Gi@u@Y_CZ?~k@bY?ti@_C?yX']],
+        ['CA', 'CA-NB', 'New Brunswick', ['kyGzbLRsCc@kAMZYe@\\XLmA_B}E[Mm@d@hAu@oAoCS|C]?FZgA@@ZoAIApBg@qAwAy@WfAl@xBs@Xg@zBn@`E_@p@?bBLt@lADp@`CRa@a@_Cv@wApG?TkA`AFPy@', 'qvGz`LVHAk@_@HHV']],
+        ['CA', 'CA-NL', 'Newfoundland and Labrador', ['{wJhrKF|@Zo@Lz@Xq@~@p@\\g@KeA|@b@d@o@KzAXXb@wGPrBVBNs@nAxBBi@v@a@J}A\\b@fCT`@r@t@q@@x@h@y@\\XHqBTnAx@a@^RLwAV`ABq@dAf@Gf@^PXa@H`@e@`BHjAk@`Ap@rB}BxEjB_@JPcAlCnA_Af@b@Ul@^p@n@U^`@zAaB^uA`ATElAn@Qd@iBgAcAd@[@T~AIDXd@Ua@Qp@y@GaBv@_@JqB`@o@]q@m@N_@g@mB@c@oBh@m@b@jC\\aAt@UCb@LO?oh@rBIiCqGe@D]`BTsASY_@hDCuCg@pACgAe@hAWsAe@Li@vA?w@[tCSq@JbBz@nA_@K?l@m@}AkAlAApDVGBgBVnEn@b@`@jDJSf@dAOv@]eAg@jDYK|@oCc@WMTIcCoA{Eb@pFaAeKOi@Cx@UgAs@vH}@Vb@dAs@k@bBvCoAaBBhBOk@YF|@fBs@w@v@dCuAcBNx@c@c@Ql@_@g@Cb@n@`@s@OPbASi@c@xCEu@Cl@_@WOrCB}Ac@jBWwAk@nDGcBJpA^aDa@h@a@oBYB]`CYi@IRO|B[_CcAp@FhBQgAEh@WKf@nDi@kCCt@u@eATvBQMA`@^`A]q@KRa@wBCf@GY]RF~@Ka@Ub@Ei@FtDSwB_@KJp@SUIXXb@YWCdAYaA@p@SWA\\RT[g@SbAu@OXbAm@[ZvAc@wAMjAAkAI\\', 'elHxmICfAX}@UI', '{tHfrIO{@Mx@\\@', 'ahH|gIu@ZjAfA[XmBsAKN\\fA~At@}@jAN[w@c@Dz@Gq@Ep@]BLy@kAcC]Rx@jB[Fb@f@U?Pz@y@oBMn@VPWPQc@LfAw@yBo@Se@lBh@vAw@At@dAY@b@f@YH|@z@aBo@@`@j@?IZ]O\\f@YIJxBs@y@V`Ac@a@i@iBO`BVl@o@MxBrCc@OCX_CqAw@oAi@J^OgAeAy@fAJaBq@g@J|AYB|@dDz@b@?d@R_@h@|ANq@Bh@xDtBj@q@Sz@d@l@XGAs@R\\Em@Hx@^s@a@fBpB|@Ip@_@e@|@`BIeEzBbFbAs@e@qDRPVwHQyAYEVYi@EZQs@w@z@XCw@d@hBSqA\\`@Uw@\\GSe@k@BZ{@i@e@d@\\MmAjC~FVo@MaBcBqAFc@m@o@n@f@Ok@yAYBe@zAu@Rd@`Bd@iA}BrBAWe@Ly@kDwA', 'g}Ih|JWDJd@Jk@', 'ibJd`Kl@o@]A?f@a@o@Px@', '{eJ``KCj@S]Pj@Dy@', 'ghJ`bKW?Nb@Fc@', 'wtJnoKJVAo@IV']],
+        ['CA', 'CA-NS', 'Nova Scotia', ['m~GfoKbCpDEyHZvCn@FgA~@xBvFIy@^r@F|@d@f@c@gAnAdAtAMMs@z@YFs@u@SBeA{BuBL_@{@FPm@k@e@d@FL{@OUg@ZVk@e@_ALy@iAmFQHQoCO`B_@k@c@p@?lAg@Dv@fD_@OHzBIPG]c@`D', 'e}GnvJ]u@Q\\[]@~Aa@AjAbBIkA~@`AErAeAqATjAaAiCLb@mAs@q@GId@YSDn@bEtD|Au@o@oF']],
+        ['CA', 'CA-NT', 'Northwest Territories', ['qvLtzTEhAHaCCv@', '}wLruUDn@CiAAX', 'axLrzU?n@BsACb@', 'umLvsYjF?l@w@`B@@sMFr@lAcBr@l@Hs@d@ZTQA_GXn@p@oAfAxBf@yAh@x@z@{DZZGeCjAy@n@uCRh@j@cBh@`Af@kBf@^z@k@PkAJXt@ADsCdBsCZcCv@[VP@_@|@U[yDTkBc@wC`@WTZj@oAvAe@BuhCmY?mBpj@oCrI?lJsN`r@wH@KXk@jLtAtAFnEGRu@aBK~AWUUZSc@Qd@Ff@LaAH|C@sBb@`CP{ADlBNLV_ALbBEiBXfAi@~Co@xA_BvAcAjDh@b@^cCPbD`@Ev@|B]l@]w@x@hHpApBZCMRc@YH\\g@Sh@`@y@@p@@k@Rf@OLd@c@S^r@SO@~ADe@bAdFXe@NRCmAJPGtD^}A]pBm@mAPi@w@WEm@XGkAgBEoEmBqH]r@d@r@E~Dx@z@[j@t@pCIpALNA{@BnBl@^v@zFoAoBc@pCPMXb@LUGfCLV\\UEhCd@wAWlBd@yAN~ATcCA`@d@gAq@`G', 'sxLl`XVTMs@I\\', 'weMnnTm@?@tCj@uC', 'irLjyUBm@s@dBUC?kY`@EG}AEr@S_@?sNkN?WjC`@lAVKKdAWOr@xA]QAl@g@wB]M{@fJThAXh@P_@Nj@Q]XnEo@qBaACo@zBzAlPvAnFl@{A|@zD|@?GmGHt@J{@P~BP][kRhB~SdAoCJkL[yHtA{NEbR`AhQbAsB', 'mjMvoUoCbL@dGl@zAk@ICbAd@x@e@q@aAzKh@zR|AmBTwAfCxE^kAJ|B`@_@L\\J]\\`BzAvAAwD@x@r@mFpB_DF{AkA{ECsEg@s@u@Ha@u@YPQuDw@c@oD_W', 'qyMfsV`@x@?{@_@WAX', 'kyMb_Ve@_A`@fF~@|CR_DoAeD', 'm{MnnTs@?JjAX?LkA', 'gyMnnTE?@HBI', 'yrMnnTiC?BxFy@dAE[DxCUcBg@~CISCpHu@f@KjBl@tFX{FGhHN|ANLJo@Fv@J}JPzKb@fAQaMj@nE?fFj@`BZwDQeBPNA{@Lj@PkBMc@UXEqAh@g@S{BU[S~@HsAo@YHuCR`BZXAy@Xn@ImEa@c@^aAU}Gj@dCBpF|@fIv@sFSwHeAkI', 'w~MvlUAuGYnAZdE', 'g{MvhVJgAi@mAa@jAE_Ca@d@S}BFYhA~@VwDMi@e@N]_Fm@~AC_Ce@dCa@iEq@jERrCLcBFhBJ[EfLdBpFVbDn@~@HpD|@~BOuADWBh@Bk@Vp@MoDZmBIeAc@JK]l@}AVRFS_@sD]~@?s@k@`@ZoA', 'ueNpeUi@~BV|Cp@cDUoCIT', 'afNnnTa@?@~Fv@vKd@m@F\\JMd@kFa@}I[g@[LM|COsD', 'qhNnnTgA?OtAtAdQ@{S', 'mqLdoYDXDo@KT']],
+        ['CA', 'CA-NU', 'Nunavut', ['_vJnoQmAc@Ub@Iw@mBiBm@V?w@Y\\w@oCi@fAHcAYZFq@Yo@Gd@KgA]`Bj@{Ci@fAO{@c@P?qCg@nBDsEu@wC{@JKx@Bg@}@fEb@hCa@iAw@bGZc@GtAUVGi@_@j@pAyG`@mLg@q@g@|@J}Ac@~@WcAj@ONcCe@n@`@oBa@{BgEiFe@bL{AvD_@rHXyIYl@?}@~@_GCrAx@yCDgCeDoH]vCi@^IeGz@m@RkDa@r@MSj@eDoAbBSMi@xBG]BxBKqBOt@PkBAh@t@wAc@k@f@KRVn@yBgAqFu@i@CyA{As@yAjDSNi@e@L~@[G[jAK}AIPT_Ai@gCm@TAfCk@}CwArKHyCQl@KcBk@tSLm@Bb@h@WRZBe@D`@Pa@FXr@{D\\bCXoA@nDfCl@fA|B|@EBrBRWZnB]_@oAzC}@l@]Q_@VQg@XCHo@Y]_Bl@{AjEBx@v@pA~@CAb@`@Gp@pAg@bAmAa@D^O_@}AhEP_C_@k@ET?mAMzF[oA`@|Bk@pBFlBeAcEK`CY_AERNkDg@h@JhAMUW|@YMo@bD?e@aBX}@fDUSRjCYMCz@Ge@YDFrCN{Br@bGRiBh@^UtBXjAVYDb@Fc@z@j@`@qASkATn@Ls@EvAl@~@f@CnAsC`@uDWq@n@}@GmDVZ?m@f@~Au@}@VtC^F?}@d@tBh@F?mBWs@Dp@k@q@LN^cAl@b@EkAvB|GCfC`Al@b@iAPLb@o@Xb@b@YHlDp@yANb@a@D{@xBHaFe@TDnAi@s@^hBEZk@]AhAi@YH_@eBS]c@v@jD{@gAXj@OzAMQYt@OnCb@m@A~Dh@mABt@|@aBc@qARwAXYNTDa@J\\OnCoA`CZ\\`@iAPrB]`J^lH_AbF_@HZtEUf@SO?bAUIP\\]bBMk@o@\\m@tC`AzKdAjBEoAd@EK{CSv@[{ETo@UKK\\Ik@?XWsDh@NNnCf@ASd@Fb@TIThEQMAb@Zk@n@dAh@sARXv@gBNf@h@}@[|@\\@C\\UZDk@_@^|@^rAoB_DrGRqCm@Ra@jARRw@`@t@b@gAp@?`Cy@bA~@lJUdSWrASuAa@X?_BSb@HsD_@YqBjI?tC^eAOnFeC|TvHArNar@?mJnCsIlBqj@lY??_l@', 'adL`bTHS]EJt@F[', 'yeLxbTb@COe@Sh@', 'efL|_RJVEi@EP', 'igLjhUA^BiAAh@', 'qgL`dUB\\AeAAf@', 'shLznTJf@QkADb@', '{iLzxTLTMu@?^', 'mkLvsTLr@AoAKZ', 'mkLnrTCVBo@?V', 'gkL`lSEvB\\uAWa@', 'ylLpzRNbCVeBg@]', '_mLhqRUQQf@?|@n@EGmA', 'ynLfpRFj@To@]B', 'gqLbvRKnAJe@THUs@', 'gqLlzQXqAWGW~BTe@', '{pLrvQ[k@j@D@k@c@_@WtAh@Z', 'kmL`rQCzBeAj@b@b@s@AmArERTMRG]e@tBx@vAb@eA_@hBTYDd@Zg@v@lFf@qAWk@f@yAU_@d@o@j@_IqAeG', 'qwLdrRDWY^@g@SfBd@gA', 'meMnnTh@i@?h@Jk@Cj@jN??rNR^Ds@Fp@?j@a@D?jYTBr@eBFv@x@{DTeN?\\\\[j@V`A}BFf@w@iYk@aBOqF}AuCRs@h@PTiHXfAH_@RmLe@_Fa@QMzAe@w@ObAVnBr@fAgAc@i@|AZwD[OOb@?aA]Wt@mBs@i@n@a@UqAqAZNdBa@JIvBeArDb@_@U~B{AjEw@S?i@m@PaB`CWIuBjBA[u@~As@jEZf@YxEVy@JtAnBsAHTJg@~@An@iBx@rBUrAo@Ke@dAsAP?rASS_ApEl@?Fm@@l@', 'a`L|fMrBnHjAuC|@q@O`Ch@tAMnBZNKvC|@uBS_@l@hAIk@f@IIn@a@XOq@g@jAo@|HPSHj@Xg@l@`D\\ITl@bAyAb@gFWBKaEWb@Dy@_@d@n@cFc@i@o@fBDs@YOJ_@Rj@^_A]cA\\I@`@Jk@Eb@h@I]{@YZLa@YS^e@_@_@NYb@|@Fi@PV?y@|@iAUMj@@Ny@c@[H]l@l@SWVu@_@ATkAXBCaA`@jAChBFgAl@MV}@U}AFUZbAn@wDCiDTf@pAoEjAqNGUi@p@F_@_@IS~AUWD^s@p@Bp@GSw@dBHr@U[Nl@[_@BjAgCfEJkC`AuBoAj@~AoCUm@^HPe@WCt@s@y@d@OShAo@H{@e@b@TyAPXLa@c@Oj@UQu@n@BTc@Mo@iAbAR_CkAfBHq@e@p@a@_@i@|@lBwC_@R?Yq@@_@|Ag@_A@fBI[m@xB?uA]_@G~Bk@]B\\]@Gl@n@[Ol@[C`@f@OVSe@a@hBt@D{@HB^[e@XjAc@a@U~AMgAOnA]e@^vCaAk@BnAEYi@t@G_AUbDUcAj@kBb@ICqCOVG]i@tBs@n@h@gDYr@Jq@_@XGzA?mDOb@JaAHXNc@LPCaAFX\\IMiALTRq@u@iBbA~ARKY{Du@yBXhAb@XLUHvB^`@DoC\\lBO}B`@zAV_@UwBZdB?o@Fl@h@eAcA_Ap@XCy@Rf@Q}A\\J?i@H`@Py@o@g@Ib@Ci@c@h@AYMt@FiAW`AOq@IdA@iAu@^|@}@Fo@a@E`@u@OKSp@@w@]z@PsB{@zCR_F_AzDVm@OcA[|@RuEESGhBMqA]n@?hA?wDg@zAGWAnAMs@DfA[CXbAf@Wi@vAz@\\aAEN~Ab@Ng@@PjA]sB[FU{@Wb@jAxBu@_Aj@xFu@sCN`DSkBIpBFqD[PEvAKoAg@t@L`AQu@IX`@hCu@q@CXM_APdCVXd@e@e@p@i@_@DfA`Af@gBOjAzASfA@cA]m@Kz@Ia@Ct@^^_@ITv@i@c@N`D_@qBHhD_@sFIpDTJ]WE`@^z@_@EI`EOiDa@lGNeIWnCFaBWlBGiD_@dCh@`C[S?\\QoBCxA?oDKjFOq@j@eMOQWZq@fJH|GQmI]cAHqDk@T}@rBKdAXd@J_@d@zAZzEb@l@i@e@?kA_AyC@nE`@NVlCY_CGdA]iA]yE]YRY]c@KNi@|E|@jE_@Gk@gCCZp@vExBlBgBiAGbAx@|@[Q@n@{@gFe@y@_@RzAdKm@oABxBs@qC@sBg@eAo@rA_@hEhCdDo@SIm@OlAx@zAaAgBDr@g@OB|@bAhAo@i@Bx@G_A}@kABjAXj@NMMRY[NpA\\j@VUf@rAg@eAMl@KQH|@i@cB^vC[}AGpA[cFYQUVIbDrA`D@l@iAoDIvAr@tCm@kAa@yEo@r@QrCT^q@fCEbD`@dD\\V|@uHDbCWDUnC\\Bc@`@Xv@~AaFsAvE^NZqAUpC{@u@WhATj@PSC~@Wc@a@l@b@dAf@aBa@pBVl@XO^tBYe@Ml@@{AWnA{@{Ar@lDcBaFe@lAm@CSpBw@Fc@z@CbGn@jFFcA^Kc@pBN~A`@_A_@zA^lAp@uHYjJNNt@}HYxIp@DJo@D\\PUNwEPdBt@{Cq@fGd@BLlBbA}C?_Cf@QJl@d@SFZp@?_@dABu@YPh@pJ{@kKoCxHu@B[e@}@bBqBmCyAmFKt@@rKjAvHP`@Fo@FtAD_@n@|A\\HLYEz@VUn@vAn@AD_Al@jB`@_A^n@r@e@LmKt@kDQ~NXiAHr@hAkBz@sEIoDSv@Ow@ZaAg@u@^j@XGn@yC?mBM~BIsETW?gIj@uD[uAkAjGtBcLKc@cAdEZqJXm@EoDYYy@r@UbCm@uCPWHjA^mCD\\PYBmCzAQg@}BR`A?iBJVJULpACkEVxA~@mEZBNhAA`CbACcAaFXiAe@}@Ja@TnADgALz@EqAR\\j@cBEaAc@z@FuA`@CTh@JURk@]cAVh@FcB|@IZaATHnA}An@xB|@\\', '_xJfrKOSMvA\\cA', 'cyJfgLQfAjAb@OyAi@Q', 'm~JftK}@WFvCt@_C', 'aeKt_QBRAm@AX', 'edKnnN]r@FlAn@v@v@Hv@cBqAuAw@I', 'yeKjqKLrBPiA_@i@', 'efKvdNAT@i@?R', 'yeK`uKIYDz@Ba@', 'wfKpxPAZDy@C\\', 'kfK~uLu@fEV}AB^f@g@MaB', 'uhKt`ORtF|AfBv@m@I_CgBaFi@OM`A', 'qjKrcNc@z@BjCfAwBg@oA', '{jKpoKaAr@H\\v@k@?e@', 'ykKh~Ma@vCp@}AKwAC\\', 'umKptKJcBKj@WIV`A', 'kpK~hMJVIm@AT', 'crKpjMC\\DS`@Lc@W', 'mrKtxKQcASf@d@v@?[', '}yKbdKDl@LgASX', 'qmKbtNW`BEa@g@lAXFU|ARtBYkAkA^wA~Ge@d@MjCw@xAt@jAg@NW|@Mu@c@VA~@W?^xAfAh@pBBl@p@bBm@`@lCt@~@ReAi@gFhBMViAg@gC}@}@[aCo@Jc@yBHUb@THmCj@Tl@oG}@{D', 'q{KfrOBb@l@Md@}@Mm@iAtA', 'a|K|nOb@eAZB@yAT\\K}BSrBWS_@`A?xA', 'wcL~kKD|@A}AC^', '_eLnmKYd@VP@w@', '_gLniM]Pe@pD\\vAp@kAKoE', 'uiLj}KJfAI_BAV', 'yiLb|Oh@pAbA}@g@}@u@FO`@', 'aiL|sMa@nDNzClB|B|AcAMsGo@iBoAPk@Y', '_jLdlNCp@VBEeAMN', 'mjLxoMZ]O[Kx@', 'ekLhjNATSs@GtANk@Tz@GgA', 'sjLvrMs@b@LjAt@oAO_@', 'ylL`hLCxAP_DMdA', 'omLfmNsAmDGbBNQ`A~CHcA', 'cpL`sP]IN|@Ls@', 'ypLh~MEnB`@Z^aB{@i@', '}qLndLL|@GwAEX', 'qqLlgLYc@LrBJoA', 'irL|hN`@`Ba@{DUn@Th@', 'erLxrNO_CUbAXbFd@aD[N@U', 'csLrzPSIN`ABw@', 'mtLf_PE{BQvDV{@', '{zL|}LKdA^hATm@g@cCA`@', '_~L|fM?tAj@aA]m@MX', '{~LreMLz@Ju@YE', 'seMv|QKu@STVp@FQ', 'chMt}Qh@SWoAQbB', 'ekMfmS[jCJrFl@vAd@wDvAgDSNkA}Co@MKb@', 'akMrxNXg@?\\^@PkCfA_@TuA[}TyBdF_@rDShNBz@ZF', '}cM~xQw@j@X`CU_@YlAS_@OpC`@zA]FkAkG[`B]kCm@dDl@xGq@zBNbBEyA\\`@QlDTl@VqBRHNc@c@bBTlCl@yC[cBd@uBC|CZEG{@DP^w@Lr@UVIU@^h@]LXBnDiAzBHhBl@v@bBcEVcFvByFn@]NeBs@iCe@zAc@g@l@IHoBg@{EUQ@t@Uw@CjAGiA]DQdA[oB', 'slMhkRC}Ee@cB^fJHe@', '_mMhsPCvKo@zDN`Hb@xBr@mCEzETc@B^tAe@Xh@z@Yn@yA|@FAmAHpA@UTV@eFI`@uAyCw@`AEhBB{LyAoCEp@GiAaCaE', 'eqM~rQ@dBJyBMR', '_uMvfSa@b@KrBx@hBVkCc@uB', 'ksM~fQSf@E]g@@Gz@IWw@rFl@zFDkAd@hCf@\\NeAUi@NNTo@f@kFGmFu@Q', 'ovMrzQ[_@Vi@S{@S|A^dCZc@Oy@', 'qxM|aSc@qDb@xG?gB', '{yMpmQFrAb@a@CyAg@f@', '}yM``SIq@RjIIyG', 'wzMblNn@hDFiDWv@WkAGR', '}zMh{NEYBt@@[', 'ezMxgSY_G_@f@`@|IVeC', '}|MnkS\\CSqG]pEM[ERLbCXw@', '_wMz_R_@GMnBWiAUNi@[Yv@a@We@|CNpB^c@Fj@o@pBXlGj@eFJ~BLsEB~Cf@gAEsAPdBiBpG?nC`@XA{CZdBPwB\\p@J_CKlGJTTgANlDVq@g@kVFxDF]r@|EV}CDnBd@c@FoC]cAXRA}Gk@VNiB]lBWeAKt@Q_A`@wAWZ', 's}MfwR_@uD\\~G@iB', 'q~MloPU|@PxBt@yBE}@Ud@Ue@', 'myMnnTj@iFZf@LWKxEhC?k@kF\\oAC_B_@a@b@kB[sFqAsAC^_@gAy@j@WpCPhBXBFw@Dt@V?q@f@T|Dg@mAIjDq@sAYjBG[c@p@Qw@Y`AhArFr@?b@qCZpC', 'usMfpNInDe@wDMPOWKd@AUi@vIWc@I`QZbCLOTxHT}BDzEKs@e@tDJn@RGWv@T~Ak@`BNb@`@[@^_@x@@lBe@wBCzBUQWt@VnBMQEhA^`Aa@e@Aj@IaEg@zG\\oHKhAM}Fq@zM@{E]xA@nLl@~AIRSgAg@Sa@bB_@|KRpED_@N^TeBBbCXsGTfB`@eGPtBUqM~AyDt@YZjAn@VLwAN`@t@a@^mB@qAUX]wAd@l@\\}HKw@]VFi@WFb@q@o@}@Vo@v@j@D_K]f@XsAYg@ZKCgBe@Mf@eAi@a@d@S?aCMyCc@a@]`@PqA\\FVg@PaFYyHo@WM|@GSXoAQsBQl@', 'ccNfsOGcAGnCNkA', 'obNjoPu@~BHtDd@Ed@yC_@uC', 'maNlkSiB|EAtBpBmDEeD', 'gdNxeQC]]`Nf@bDXcAFyLg@iB', '{dNh_S?oHa@~CDnCZ?', 'cgNnnT`@?WsAIrA', 'ehNbbSTjAIcBKV', 'yjNnnTfA?BuB]]m@rC', 'kkN~pMHZ?iBIlA', 'geNt|Qa@qJ[a@WdBYqBwAjODtDj@cAJlAn@_CD\\NqERrDV{CTT@e@', 'kmN`sSPyDh@v@g@mCRsAVfAFmDTnCFcCP^?lHl@sBUyIPJHi@DqHdAyANeCSuDQLS]o@hDYL_@}@GbBKa@WzA@fDWg@]bCf@|DMb@]_@Yr@YfDDzIl@\\', '_sN|pR`AeGWe@c@J_@pACbC\\hA', 'awN`vQ@oDEjFB{@', 'gsNzzQX_BHxAh@sCYuHz@fHf@qBWqGXhA@w@e@yBTLImASPRiKZlH?cMNnQb@~Dj@yF?xCb@iBBeIRjGr@aELmIYCIrACsAb@mDy@hB_@BvAoFq@u@e@r@\\qBQ_AUxAEk@}@DOwAt@t@`@eAw@mC[DRk@}@oJeA|Cb@hACRUYOt@TdFU_As@c@LhBU_Bc@pEIaBm@X@zDTLd@oB?lAe@nCc@g@SlIO[uAhGOWi@bHTbFHkFTKCbFNmALjBQxAn@|BPwGJlBZqDI~LFYHf@\\cC?vFRaHJ|AH{@IeGNnCTuAUbNJc@', 'qaOx|J]zFIc@PnFYwA]vDUoAGhHGo@T`CDe@MhCh@hP{@oMKvSIa@A~@MOThJVcCY~DOa@`@rKl@sE{@`IGhQHr@hAmK`@bD]aAaAfKAlMFt@h@aK?fHHYe@bIDTr@gEW|I^iDRxFhA}Ph@}B_BjVf@cAJuCExFKc@k@nCO~FIo@HpF\\gBLfH~@gMS`FXaAe@vCL`EPoAk@jGb@jGFs@Nd@QrDn@vIXaBa@iFLmCb@|FNiAk@mLPyE?fI`@tENmENzG^gBu@{^t@hKRfPr@}IkAaK]kTf@jSjA`FReIG}FQYYZQuBB]PxAOiJl@xGHs@WuKa@}Fs@kBUvAPyCg@mBYaHt@rIx@bBBcNn@nTH}Jp@f_@jAiJDr@d@[@aJZfDGnFAa@}BpLK|O`@\\TWR_GEdFf@LZaHh@iBj@_@XaEQxETz@\\{L_@qEh@t@?lHToEBjAVgABReAxOh@|JXb@Ds@ZdCb@ABuALxAByCu@uD|@tAE_D_BmDj@p@By@ZlAD{D?hERuCZtGFoGLvEAuARjAZqAYcB^tAHUAwEoA{DSBIwAnAdCj@hDTiAEdFN]YhGw@`@Y~AC`JFU`@RTeB`@B@mDHnAXaCLxJ@Sn@dFX]^x@^yCe@g@f@Q]W_@h@Ug@tAUDeEs@\\\\YVmCc@sAUv@TiAJh@NMTeFGaDg@dCLgDi@Lj@sB@gBw@bAI]~@kA?kDOPI]q@`Cd@yAKcB`@v@GiDZwAx@z@a@cJw@gBToAe@wB_@Ig@hAd@|BSbCa@iA[rA`@zD[q@ObEVvCYbAEmESpBQMa@t@jAuGAsJy@aE{@lCQi@FiM]eASjGYyJe@dIKuKIn@M]Od@G[CpIYgC@bKf@dBo@iBKnFAaPQ`LEqLZiIWjAIeAYlUDsDWn@Cw@TwFe@xFb@cLI[QTKuJi@p@MbHIyBn@oKYyESm@AlB_@aE?pJKwAQfBBcMMg@}@jD\\wBJP?_CuBeLiBoRz@`c@cAoU?hKEv@@cBc@|D^{E_@_WyBoS', 'g~IzrNaAuAl@dBRF?W', 'yaJlpN\\EWOET', 'qbJjrNPa@]LJR', 'odIfoN^j@_@iA?\\', 'wiIvwNy@pABhC`@f@`AkGm@F', 'evIpnNX`B_@wCDt@', 'szIdbNd@bAk@wADR', 'a~IfkNu@Q~@t@Ic@', 'g}IdpNp@n@Q_AgA}@hAXgB}@hBj@}A_Am@hAWIzAh@Pf@uA_@t@NlAbBLWy@wANN', 'chKf~KAXJm@IR', 'eiKfaLE\\^{@Y\\', '}pK`uK?TVQGUOP', 'ugLhaUD\\GoA@p@', 'ypLf}NBr@FqAK\\']],
+        ['CA', 'CA-ON', 'Ontario', ['_kHjnP{@eFvGuTvA}@M{A|A]HcBn@b@vAyE|IoA~DjA|@lBr@Nf@Qb@oAkBuG_@mEuAuFYUiBr@_@sAA}JeCiCoBoDgAwDSXq@QQp@t@nFc@zC_Af@R`@mAdCa@rEsClCgA\\yTKoAlDz@zB_AsBeA^iBvDHhAUoAeCbD_Ae@gBBoB|@{Ao@y@H_@bH\\]g@hAF~Ex@hAeAy@}@xCcAvIwAfAsAtDfXbf@pT@J_AhB]r@yDQ_Db@}Ah@WY{@z@cBc@kC\\WNyF', 'q}H~oNcB?t@l@l@m@']],
+        ['CA', 'CA-PE', 'Prince Edward Island', ['kaHnbKCbKYUa@r@y@QlArAFeAj@JBmAb@[LiAa@u@R^t@iAOy@i@Vk@sB']],
+        ['CA', 'CA-QC', 'Quebec', ['gxGliMAqJw@a@KcAVSiC}By@BaBu@uCwCDg@X@q@aCmAEMyC^q@mAcHj@yBgB{EeAhAToAeAxA]~D\\pE~A|H`CvFbEvE~AjI~A`EzBfAtAlF?oG', 'k}H~oNxTJvD{Bd@u@j@sF~@yAQg@|@a@T}@NoBu@cFPq@p@PRYYmAi@rAJoAu@oBwAuA_B}EIkBeAuBeAs@aAoBeAe@_AhGx@uGqEwFZIm@cAIeCaBq@gAaBDi@UFIoVXaFPZa@wDJeCaAmCeAaAXOq@?[kAYAg@yDJuBsB??nh@MNBc@u@T]`Ac@kCi@l@b@nBlBA^f@l@O\\p@a@n@KpBw@^F`Bq@x@`@Pe@TEYy@HFUmALbAdBi@d@?n@o@PDmAaAU_@tA{A`B_@a@o@T_@q@Tm@g@c@kAdA~@sCKQkB^|ByEq@sBj@aAIkAd@aBIa@Y`@_@QFg@eAg@Cp@WaAMvA_@Sy@`@UoAIpB]Yi@x@Ay@u@p@a@s@gCU]c@K|Aw@`@Ch@oAyBOr@WCQsBc@vGYYJ{Ae@n@}@c@JdA]f@_Aq@Yp@M{@[n@G}@FtAjAt@Vq@QbAVl@h@[ZuAUrBh@g@Sf@VMAp@TCToAXbCJc@N|@f@w@p@j@y@Um@vAdAn@t@|Dz@ZkBDlAlAm@u@u@\\jBpAt@|DeAkEuA_@u@j@SfAHxBt@tAc@T@`AKyAm@Jt@e@Uk@a@HC_@Of@M}@OhBMYYVYm@IZ_@Si@fHAyGyAf@u@yAw@^t@jAMl@i@@MxGe@p@Ko@C|@c@}@SjAZbAU{@g@l@FpBw@a@gAnEt@xERg@i@xC^nBU{@_AvJx@fCtB_@`@eBP|@n@SrAdBIiCf@~@PqA\\~@r@aALj@@wAZn@V[Jr@`@o@[|A^IXd@Bo@d@tAv@h@Ep@p@SLRtA{EhBcCnBw@lCAhA^xCzExBlKLo@v@MHa@LP@aAPn@L}@J^Zo@Tr@Zo@Jd@n@i@n@NZy@X^dBwA~A|Bv@eAPd@n@E_BpANz@tBGn@e@i@d@', 'qpJznLAp@b@@a@s@', 'u|GjjMt@|AAkAs@Q', 'ehHl`KQy@l@lBd@NCk@Gb@u@{@', 'evH~pKnBuF^gDOuB}BbHa@hENjANe@']],
+        ['CA', 'CA-SK', 'Saskatchewan', ['eqHhiS?yOui@~BcY??~p@xcA??ed@']],
+        ['CA', 'CA-YT', 'Yukon', ['irLhpZly@CTkE_@mDv@NLW?g~ACh@wAd@k@nAU[a@Vb@vCUjBZxD}@TA^WQw@Z[bCeBrCErCu@@KYQjA{@j@g@_@g@jBi@aAk@bBSi@o@tCkAx@FdC[[{@zDi@y@g@xAgAyBq@nAYo@@~FUPe@[Ir@s@m@mAbBGs@ArMaBAm@v@kF?aAnLu@jB[tJ', 'irLldZNl@C}AKn@']],
+        ['CD', 'CD-BC', 'Kongo Central', ['f[g}AjAxAAl@yB@j@xAIl@n@?f@~@}@z@~A`CdCMDz@x@o@o@yAH_SkDc@@lByAHR~@m@h@PL']],
+        ['CD', 'CD-BN', 'Bandundu', ['jQcdBlAGxB`A^cBp@_@vAx@tE^JcBrGoAzCkBDoBc@sALgDgE_@?wAaDt@eBaBuGZR{@s@aA_D@_EaAeA~@QtCs@d@Th@oEhBd@d@z@ASbCfCtECr@h@O[jAbA`ArC@']],
+        ['CD', 'CD-EQ', 'Équateur', ['vCulBdBnCtB|@ZU?u@i@NBs@gCuERcC{@@e@e@nEiBUi@r@e@PyC|A_AAqA[Kb@eAo@}@d@UmBNFcA]Ut@wBK}Aq@[BuBoAXK|@aBvBe@o@e@ZKbBe@uA{BvA{DbA_@bAyBy@Tc@a@k@AeCaAx@G~@uBE\\r@iAb@{@kBHg@g@[IdCo@x@YlBc@zGeAn@gAxBd@xBjBhALh@dFQjEnBxB?hBf@~BOrBl@~@En@f@']],
+        ['CD', 'CD-KA', 'Katanga', ['f^kvD?dRjAb@lDMNfDj@g@^PG|AnAdBe@|@`A`@zBBTnC[LRv@c@r@NvA]dAdANzAe@|D\\~DgBlAAP\\nAMi@s@AiG_@a@l@iAz@Ni@kExAEr@_CTsCwA{AnC{Al@{CnDqBa@sBl@i@eGCP`Ah@EMzAeBhBeA\\oDcAsAXuAYgBdAcBkBy@?y@sJoEzAgDtCyBMkCt@']],
+        ['CD', 'CD-KE', 'Kasaï-Oriental', ['dJswCCtBp@ZJ|Au@jB\\b@I~@hBU_@\\h@n@dBy@rBh@|@k@Nb@Bu@bBoBFu@h@Kr@h@tAyCd@@l@xCdAYxA^|@}@bE@UoC{BCaAa@d@}@oAeBF}A_@Qk@f@WkDeDPkAc@AlF}@j@cB]qAv@kC{@{BM?lAcCx@']],
+        ['CD', 'CD-KN', 'Kinshasa', ['tZu}Al@g@SaAfAJTi@UMNkAaCu@q@^_@bB`BrC']],
+        ['CD', 'CD-KW', 'Kasaï-Occidental', ['vj@w{BOaChAPA{FhAIXq@KkBb@s@Sw@gDO}@|@yA_@eAXm@yCe@AuAxCs@i@i@JGt@cBnBCt@Oc@}@j@sBi@eBx@]rAZJ@pA|CdAhDAr@`AUz@vG[dB`B`Du@']],
+        ['CD', 'CD-MA', 'Maniema', ['bKywCfBu@AkAzBLjCz@`Au@bAAh@^bAi@@oV}ChB{AnFsBEaCx@eACLaAk@q@CaA}ClBCWi@HU_B{@DiAnD`@jAw@|@hAo@jEjAQ^|AH?t@p@|@a@l@?lB']],
+        ['CD', 'CD-NK', 'North Kivu', ['tG{wDcHW{Cw@UXRtAn@BDfD]j@`@vBZ{@~BMfAjAz@ET~Ah@IBV|CmBAkBc@OVc@s@_AL}@eAmA']],
+        ['CD', 'CD-OR', 'Orientale', ['u^ojDYhA^f@AhAaA~DLb@v@HTrBg@`Ad@ZbAhDm@dBdCxAv@mAHeCf@ZIf@z@jBhAc@]s@tBDF_A`Ay@@dC`@j@Ub@xBx@^cAzDcAzBwAd@tAJcBd@[^p@fByBLaAjB[?mB`@m@q@}@?u@}AIP_@kEkAiAn@v@}@a@kAhAoDcAkAkAE}@VWt@_@uB\\k@EgDo@CGqCoF_Fg@P]|AuEe@]\\Jh@s@@QbAqAnAe@AUbA`Ar@i@vAt@jA_AxB}A`A']],
+        ['CD', 'CD-SK', 'South Kivu', ['xZwvDmBb@iDAiBhA_Au@{AKM~@lA`DG|Bj@p@U~@vI{@fAaF|CiB?gBmBK']],
+        ['CF', 'CF-AC', 'Ouham Prefecture', ['cq@spBFnBtA~CnBZtAUT}@dAd@hAU@oBc@_A^aB`@EQe@cACe@w@{@`@e@Yu@h@y@c@gAR_@u@mDKrB~ADpA']],
+        ['CF', 'CF-BB', 'Bamingui-Bangoran Prefecture', ['{y@aaCz@tAR~F^l@b@q@vDo@Jm@dCaCo@_Co@g@yAIKy@m@MOu@Vg@mAG@mAiFrDbAfC']],
+        ['CF', 'CF-BGF', 'Bangui', ['{YqrB?U[??TZ?']],
+        ['CF', 'CF-BK', 'Basse-Kotto Prefecture', ['g[{~Bx@{Hw@Ug@pAwC_@?`As@`@@fAtDZx@vA']],
+        ['CF', 'CF-HK', 'Haute-Kotto Prefecture', ['ex@sqCKPxA~@^pEjABUn@hAxBr@?pAyAfBEj@c@bAHz@g@n@FVn@No@a@e@cACs@yAZqCuDyFsEL{@dA}@WEpCwAH']],
+        ['CF', 'CF-HM', 'Haut-Mbomou Prefecture', ['ur@svCf@i@tBW|AHr@v@fAeASs@Tc@^f@|@aAzAh@dA`Bb@c@EsAsAcB~@wD@iA_@g@XiAkC~@{@jC[Qs@n@c@UiDlFeAGaAtAQjB']],
+        ['CF', 'CF-HS', 'Mambéré-Kadéï', ['i^szAlAKz@aAt@[B^hAm@}@}BZoBuBqALi@mAn@sAy@i@f@z@pDa@|@j@D@lE']],
+        ['CF', 'CF-KB', 'Nana-Grébizi Economic Prefecture', ['st@cvBbDHd@v@`AUz@d@v@k@\\VJ_FaCy@kCfDaAGyAz@']],
+        ['CF', 'CF-KG', 'Kémo Prefecture', ['s^c{BqA_@MlB[e@o@Jg@o@o@A]zE|@_@f@v@t@?~@gA~AWi@_ANuA']],
+        ['CF', 'CF-LB', 'Lobaye Prefecture', ['eWisBqBzAQnBcBxA^|@fBo@Of@d@XnBeCf@yC]y@\\_@mAB']],
+        ['CF', 'CF-MB', 'Mbomou Prefecture', ['}XikCeCyAl@eBsCcHqB}@_A`A[i@Yd@Rr@gAdA`C`Ea@vBx@rB|FhAf@qAv@TNqA']],
+        ['CF', 'CF-MP', 'Ombella-M\'Poko Prefecture', ['y]mvBkCp@Un@b@h@c@@_@`Bb@`A?jB[Jx@zAz@AQoAd@e@\\Nl@sAr@YNkBrB_BiBT?q@iBgA']],
+        ['CF', 'CF-NM', 'Nana-Mambéré Prefecture', ['yh@g|ArAd@l@bAb@m@pBRv@[AmEi@C^y@g@iB{@@aAt@Td@]n@{AHRdAyAn@Jr@']],
+        ['CF', 'CF-OP', 'Ouham-Pendé Prefecture', ['en@chB_At@jAzBExAdDnBKs@xAo@WcAbBKXo@Wc@`A}@w@uAq@L{@e@k@bAgANoB[']],
+        ['CF', 'CF-SE', 'Sangha-Mbaéré', ['_VykBsBpCtAl@[nB|@|BnC_DjC[{FoAc@aD']],
+        ['CF', 'CF-UK', 'Ouaka Prefecture', ['g[{~By@wAuD[AgAr@e@cAeAgHfAqAxA|BnBEpA`Cv@EZfASpBhANmBpA^x@_Bp@W']],
+        ['CF', 'CF-VK', 'Vakaga Prefecture', ['gcA{mCOpAfApCbA?nDtDeAgCrEoCXy@c@mByA_AMs@qAGuF`D']],
+        ['CG', 'CG-11', 'Bouenza', ['z\\{sAaAYFg@kB}AuAVBnAdBrAYrAmAfAx@H~DaE']],
+        ['CG', 'CG-12', 'Pool', ['jQcdBWfAf@rBYz@a@HfAhAK`AfB`AGkAxA[jB|Ai@_BxBAKsA}@s@_@VuD}@f@}@Wk@x@_@eBu@iAH']],
+        ['CG', 'CG-13', 'Sangha', ['oLarAr@XfCCi@yBFmC^Ml@qB~AF`@uAQeAnA{AeAmC}AdAkHGeAt@nBjAbBBw@fAObDg@`AH|F']],
+        ['CG', 'CG-14', 'Plateaux', ['|HcgB}B|DBt@`ElDD`AbBZf@GB_@v@FRs@gAiA`@IX{@g@sBVgAwCAuB}A']],
+        ['CG', 'CG-15', 'Cuvette-Ouest', ['oG{wAjBm@|AbBnBVbA_C~BDSmBm@g@a@b@k@[}Ar@YeAa@TU_@]f@qAKsA`CDv@']],
+        ['CG', 'CG-16', 'Pointe-Noire', ['j]yhA?QW??PV?']],
+        ['CG', 'CG-2', 'Lékoumou', ['nNcwAAp@iATbAv@O|AzCWx@dBnA{@f@wBs@MoDyCqAn@']],
+        ['CG', 'CG-5', 'Kouilou', ['nZ{nAqAnA}AhDrArA~BkCvAg@{ByC']],
+        ['CG', 'CG-7', 'Likouala', ['wTmsB]^\\x@m@nCb@bDhA`@tAFhA}@jHF`CcB`CJz@WBy@o@g@wO_AaEkBeAC']],
+        ['CG', 'CG-8', 'Cuvette', ['vCulBMbAsEV`AtCoAzADtBT^j@KNz@|As@j@Z`@c@l@f@RlB`DJ}A_CmBsACu@|B}D_BeAeAkB']],
+        ['CG', 'CG-9', 'Niari', ['~[upAp@_AUe@_E`EoA@k@{Ai@MWXuBAyAtAL^tAG?pDdBF`@q@^PXq@vANp@gB`CiC']],
+        ['CG', 'CG-BZV', 'Brazzaville', ['zVwbBy@^Vj@g@|@tD|@^WkCoD']],
+        ['CH', 'CH-AG', 'Aargau', ['khHss@DhC\\{@`@d@IsAZ]wAA']],
+        ['CH', 'CH-AI', 'Appenzell Innerrhoden', ['efHcy@?}@k@??|@j@?']],
+        ['CH', 'CH-AR', 'Appenzell Ausserrhoden', ['egHiz@KW`@pAUy@']],
+        ['CH', 'CH-BE', 'Bern', ['icHys@OrBsAHAn@RSRl@YRUi@\\lCv@eBnBXi@oEm@c@']],
+        ['CH', 'CH-BL', 'Basel-Landschaft', ['ehHio@ZdAAqBYj@']],
+        ['CH', 'CH-BS', 'Basel-Stadt', ['_hH_n@?[O??ZN?']],
+        ['CH', 'CH-FR', 'Fribourg', ['_bHgl@aAWUZ\\b@OXPQ~@`@GqA', 'edH_j@VP?YWF']],
+        ['CH', 'CH-GE', 'Geneva', ['q`Hge@f@^U_AQ^']],
+        ['CH', 'CH-GL', 'Glarus', ['gdHyv@V@W_Ag@JId@p@J']],
+        ['CH', 'CH-GR', 'Grisons', ['}_Hsx@u@Uf@i@MkAXm@y@VAqAoACPdAi@|Bb@Dd@zCPiAhAG?[']],
+        ['CH', 'CH-JU', 'Jura', ['ygHsk@?`@ZR@a@`@f@]oCa@rA']],
+        ['CH', 'CH-LU', 'Lucerne', ['seHqs@[\\HrAjAEJa@a@UIeAYP']],
+        ['CH', 'CH-NE', 'Neuchâtel', ['ycHgg@?aAo@_AOp@~@nA']],
+        ['CH', 'CH-NW', 'Nidwalden', ['udH}s@@p@f@a@i@O']],
+        ['CH', 'CH-OW', 'Obwalden', ['mcHis@e@TZh@H_A']],
+        ['CH', 'CH-SG', 'St. Gallen', ['_hHuz@BfBv@p@bAeCiBg@UR', '}fHiz@TTWd@QsARV']],
+        ['CH', 'CH-SH', 'Schaffhausen', ['}hHiv@Yt@Td@B{A']],
+        ['CH', 'CH-SO', 'Solothurn', ['wfHgn@Rh@J[JR{@_CDjAWATj@JW']],
+        ['CH', 'CH-SZ', 'Schwyz', ['udHot@JmAo@GRvBNa@']],
+        ['CH', 'CH-TG', 'Thurgau', ['}hHiv@JTl@e@[{B]jC']],
+        ['CH', 'CH-TI', 'Ticino', ['e_Hqu@v@a@CYe@DY_@uAZTzBp@GXy@']],
+        ['CH', 'CH-UR', 'Uri', ['gdHyv@MhAtAZCs@cAq@']],
+        ['CH', 'CH-VD', 'Vaud', ['q`Hge@YaBt@uAeAi@DpAaA_@QPZV]JfAxBp@?']],
+        ['CH', 'CH-VS', 'Valais', ['c~Gap@uB}BWJzArGi@`@HVj@Cp@_AKwC']],
+        ['CH', 'CH-ZG', 'Zug', ['meHws@Is@Qx@ZE']],
+        ['CH', 'CH-ZH', 'Zürich', ['{hHut@Zl@x@KGeBoAX@h@']],
+        ['CI', 'CI-01', 'Lagunes', ['m_@f`@MV^AEuAK~@', 'g_@bUO[wBLMr@x@f@BpAs@~@gAg@]vCpBw@pB\\BXCsFF`DW[FyDUJTM?t@T{A']],
+        ['CI', 'CI-02', 'Haut-Sassandra', ['go@dk@fGS\\[YsCwBXe@y@OfBmAaA[XJbD']],
+        ['CI', 'CI-03', 'Savanes', ['e`Ana@n@tBKX}A@`@f@Sj@~AQHx@^NTk@pCBOaBnB{@TeA{@PGm@cACc@e@t@iAh@H?qAz@wBa@[cAJU~@{@Li@r@Jb@k@x@mA\\[nA']],
+        ['CI', 'CI-04', 'Vallée du Bandama', ['eq@`XsBO{@vB?pAkANQ~@bBVVr@|@Sd@u@r@lArCOBiA{@oABm@w@Ym@gB']],
+        ['CI', 'CI-05', 'Comoé', ['ak@jR{@nAv@LPh@|@BdBoAjAD}As@kAPsA_@']],
+        ['CI', 'CI-06', 'Dix-Huit Montagnes', ['eq@xp@`Br@Cr@rAe@~AZLUkAcAXe@QsCsEBc@hA`Aj@e@z@']],
+        ['CI', 'CI-07', 'Lacs', ['gf@j\\_AF]l@Ya@_C[Cl@z@nAChAVa@n@HfBo@RwB']],
+        ['CI', 'CI-08', 'Zanzan', ['iz@xONVeBnAExAX`Bh@`@hA[l@kAnEh@jAuAp@Gx@wAqD}@u@w@mCTY\\wAO']],
+        ['CI', 'CI-09', 'Bas-Sassandra', ['eb@jm@|@ErAj@lBMgCoIc@UeANHZu@p@gBb@HvA}@^RVxCEJ`A']],
+        ['CI', 'CI-10', 'Denguélé', ['e}@|q@xA?Nw@n@JbCsCsAF?_Ai@a@mCASj@_@OIy@c@N@z@f@N{@zB`B`B']],
+        ['CI', 'CI-11', 'N\'zi-Comoé', ['mh@pVeA@Qi@kAKiBrACl@f@hA`FrALi@~@GPyAy@]]aA']],
+        ['CI', 'CI-12', 'Marahoué', ['oh@x`@{ElA?h@`BvANgBd@x@pAYNeA]aA']],
+        ['CI', 'CI-13', 'Sud-Comoé', ['af@xR|Ar@jBENZFm@q@_@l@AAgAyA@Sn@mBZ']],
+        ['CI', 'CI-14', 'Worodougou', ['sn@de@YaAq@GUcAa@IgAxBoBz@r@`ErF_@KcD^[']],
+        ['CI', 'CI-15', 'Sud-Bandama', ['{^|`@_@@DeAqB]}@LWz@DrAfB~@`@OI[v@Qp@VMuA']],
+        ['CI', 'CI-16', 'Agnéby', ['mh@pV\\`Ax@XQf@rAl@j@o@BaBy@g@Ls@_AM}AhA']],
+        ['CI', 'CI-17', 'Bafing', ['ww@lo@t@j@d@u@p@GWjBn@LnAsBIc@u@Kb@iAiBToBnB']],
+        ['CI', 'CI-18', 'Fromager', ['oh@x`@bAdEfBc@Ra@gB_ACaBsA`@']],
+        ['CI', 'CI-19', 'Moyen-Cavally', ['sh@vs@`@b@j@mC|@WTcAj@EKaAwFEPrCYd@hAx@K^']],
+        ['CK', null, 'Mangaia', ['bhChz]?QM??PL?']],
+        ['CK', null, 'Mitiaro', ['b{B|x]?IS??HR?']],
+        ['CK', null, 'Penrhyn Atoll', ['dw@pz]?MI??LH?']],
+        ['CK', null, 'Rarotonga', ['zcC`f^?WO??VN?']],
+        ['CK', null, 'Mauke', ['b}Blv]?GI??FH?']],
+        ['CK', null, 'Atiu', ['b|Bj|]?m@i@??l@h@?']],
+        ['CK', null, 'Aitutaki', ['lwBn`^?IE??HD?']],
+        ['CK', null, 'Pukapuka', ['bcAlk_@?EC??DB?']],
+        ['CK', null, 'Manihiki', ['d`Afm^?MK??LJ?']],
+        ['CK', null, 'Rakahanga', ['x}@xm^?CE??BD?']],
+        ['CK', null, 'Palmerston Island', ['`uBxe^?IM??HL?']],
+        ['CL', 'CL-AI', 'Aysén', ['frGl_M}@vB?hCIe@XEGd@nAt@C]RHp@{A_@Y`@@p@Xl@dC\\SZ\\Z{BWnA\\v@`ANWoA~@|AbADy@eAbBnADp@o@k@c@TJZZc@]`CUgBSP^T{@MIr@l@Pg@j@lAT@|@VKG`@bAbBl@IJo@k@@Jn@aAqCf@\\TM\\iBId@Oe@GTR{AZBJi@j@DEdAh@h@b@aBLr@NQi@dA`@b@VcD}@g@`ASZmACpA^gATv@k@h@EnBl@Wq@h@Nh@dAsCFZ\\GIbA^?jBgFs@_@g@sAcAASw@wAn@{Ac@m@_BqALWs@yALQ\\c@{@oA^{@yAy@t@O~AWBB}Cu@c@]rCcAU', 'znHzuM^|@IeAUF', 'lnHxuMW@@t@ZLDo@PR]i@', 'dmHrpMPw@_@PLd@', 'rnHrpMyAn@~@CH|@d@sAUU', '~lHzpMMa@Yd@f@C', 'zlHvtMZYu@m@SzAl@S', 'boHttM]MaBr@Fh@ZWVTCe@Rf@Im@v@GDY', 'dkHluMNkB{@Jj@~A', 'rjH`pMIwBO~AXV', '|iHztME_@WLJt@Pc@', 'zdH|mMR^Mq@EP', 'x~GxkMBh@X_@]I', 'h}GdrMJfAXq@Ph@Oy@g@E', 'd}GzkMb@d@Oo@SH', '||G`mM@^\\M_@Q', 'p|G|mMS_@IZ\\B', 'x|GrpMIs@c@DI\\v@N', '~zGlkMf@\\T[}@A', 'd{GxlMI`@\\NSq@', 'pyGxkMk@ZVjARgB', 'zwGdoMLPKyAAfA', '~vGhtMVJCWSJ', '|uG`mMJ~AT]a@aA', 'fvGjkM[BFZ^MKQ', 'luG|oM[YFv@R]', 'tuGriMf@@@c@Bf@V]m@sAUZMs@Cr@]BVFGh@TWPTIZ', '|pGjnMJkAYTLt@', 'voGrrMAs@Sb@TN', 'viHpqMVAIWMX']],
+        ['CL', 'CL-AN', 'Antofagasta', ['xaChkL|@r@n@`GzGh@bA|@v@DJo@zDd@bD[`Bz@f@Uy@_BQuEs@MC_Aq@_A}@h@}@c@cBsEgEaAc@b@@hCuH`AeA~@']],
+        ['CL', 'CL-AP', 'Arica y Parinacota', ['llBlqLb@bAx@Mt@d@PrAdDWc@_BTwBe@m@mDVKj@}Ah@']],
+        ['CL', 'CL-AR', 'Araucanía', ['jmFzzLOx@d@dAe@JGhAcArAEnBdDf@?r@tDw@Ay@h@@ZwB?kAu@k@\\q@kCWk@iBmB\\']],
+        ['CL', 'CL-AT', 'Atacama', ['`}ClkLRzAr@LPtEx@~A`E^^`@zAI|FvB~@Cb@wAc@OWgAtB}@FiAsATg@o@kC]yA{AeDkAO_BsBt@_Ae@iDZ']],
+        ['CL', 'CL-BI', 'Biobío', ['zfFh{LPdF_@IUzAg@Iw@z@r@PSXb@PpAD@nAfBD`Ai@tAJ?q@eDi@DmBbAsAFiAd@Ke@eANy@_B`@oBS']],
+        ['CL', 'CL-CO', 'Coquimbo', ['vxD`tLGhAuB|@VfAb@Nc@vAf@c@|AE|BrAnI_@]QMaBn@}Ba@JS]Wn@gBPs@{@gCS@i@a@UYXeAI']],
+        ['CL', 'CL-LI', 'O\'Higgins', ['fuExtLkAlAJhAl@r@s@~CdDl@d@gAYqBh@_DuC_A']],
+        ['CL', 'CL-LL', 'Los Lagos', ['neGp_MeA^yEMTdC_AzAOvCbDb@~AYK}@n@t@DoB{@q@l@iAaAw@t@?r@tBLuAzAGs@`@Rp@v@{@?~@fBYKXz@j@x@a@VZQk@P_Bj@o@@wAg@\\_@U_@p@u@i@a@nAsCEs@eA', 'nmGpoMZ_BKc@o@T@w@s@h@Ik@}@`Am@wA_Bb@@bBdHt@']],
+        ['CL', 'CL-LR', 'Los Ríos', ['nvFv~L[Xt@j@?jA[vBi@A@x@dBXL`Az@FNwCz@gA?{B}@aAYZ{@g@}@B']],
+        ['CL', 'CL-MA', 'Magellan and the Chilean Antarctic', ['xrHhhMeBrDCz@bCHZi@eB]Bm@Hh@t@g@Ql@^Hz@uAc@fAPt@Ns@^r@Pw@SYXRPWQ|Az@cBE`Aa@^PbAb@q@S_@b@EOm@JTVq@KrAbAs@sA_B^`@Ts@?z@x@DCzA@e@n@JIwAZAIRnAa@k@~@hAi@Qs@JXt@e@i@j@l@KXu@gBRvAa@m@{@Bx@Qk@c@x@`@oC{@lCKc@hA{BZ?Df@n@g@f@`@HW?pAm@mAw@r@T\\\\M[Yf@VCh@c@O^z@e@vAb@_@h@PJc@l@h@a@}@XWo@OLw@Ab@LQ^|@LO@`APeARp@Ts@Ik@i@Fe@eAH~@g@Y@}AN^JY[[Z_D?fCh@t@@v@_@AXv@r@IHw@B\\VQ[tBPSz@gDk@x@[{AShAHkBoA{Bd@w@z@zBz@LDf@Uk@i@Ld@l@@\\S_@Qf@`@`@v@eAf@aDY_AiDOY]KVe@mFaAwA\\{CcAjHGrKsA~A{@e@[Z]Y}@DVfD}A^_@l@yBJk@YKy@', 'nuI~kLoLAQ\\XfAm@v@nA`BQdB\\aAR`Az@H^u@UiD^@|@bDv@a@fAkEh@lAo@[_@zBt@Oy@p@J`@TK_A|CvA_D_@zAh@`@s@]Cd@d@x@[t@Fp@RISx@^c@KbAZMFyA_@s@\\JKcA^N]sBh@|@?mA]Y\\L?_A_@CZKYw@XBXsBIaAWl@BaA', 'l{IbdL@Yc@RXl@Fg@', 'zvI|`LAf@Rs@QJ', 'tzI~gLm@\\YvBAkBk@hDTwAQy@WTh@|HTc@QeAZx@f@}Bg@z@[a@A\\D_Cd@`@Ii@Nh@RSSq@z@gBOS', 'fxIfgLMkAZm@k@k@_@p@?rEHa@n@IBoA?Z', 'fwIjvLMtAWkANbCNsA^GYq@', 'vvIzsLGsCSpBZ`@', 'tqIzvLCZJ{@G^', '~pIzbM^f@@g@a@?', '~pIt~L\\BWm@r@i@Sk@a@DNf@g@VEt@XB', 'vqIbaMXe@SQk@h@\\c@m@W?xBt@o@', '`nIjwLPp@`@SEt@t@KTw@u@XNaAsAV', 'dmIjlMVDM_@IX', 'xlItiMBpAZ_A_@Q', '~pIhdMIg@c@JIq@K|@_@@Gh@X@k@b@l@By@^DZTSIbAb@}AIdCP[JTGcAp@JLi@m@G@s@F]l@fAA_B', 'flIphMoBrHbAuAGwAr@{@FaBGV', 'jhInlM{@Ud@xAVK_@q@RTH[', 'lfItqM[YIhAd@o@', 'nfIfnMOc@e@~AJu@XRNY', 'fdIdrMg@]A\\v@\\M]', '~bIdpMFaAa@nAXM', '~cI`sMk@Y_@Tj@GZn@ZUWM', 'jbIbmMg@Z^^F{@', 'x_IzsMCf@~@P{@y@', 'j_IdlMFXLYU?', '``IbrMD]]EGl@p@l@Qw@', 'r}H|oMq@t@d@EDbAJy@RHYcA', 'n|HdsMBq@]ZXT', 'pzHptM?bARUJ\\TIBa@k@JMk@', 't|HloMIYYp@De@k@Z@x@Jq@R^f@u@', 'hyH~sM_@o@QvBRw@VJSh@f@JKs@RXFS]c@', '`vHpvMZu@eA~@t@XKc@', 'vqHbsMJbAZ{@g@G', 'xrHfwMWo@[Bj@~@FS', 'hqHbuMc@`@Nr@RuA', '`vH~tMXe@sACYcAb@n@Tc@Eb@l@_@Pb@?m@Jb@JQU{@w@GHb@qA_@uBP\\Pc@LZfABe@\\RG]JXP]r@P_@f@`@?Ul@n@]e@x@zAs@', '~nHhtMZ^D[a@C', '~pI~vL@TFi@IR', 'bcIjlMC^^u@[T', 'hyHpsM`@f@Ee@[A', '`uHdpMK[WZb@?']],
+        ['CL', 'CL-ML', 'Maule', ['|yExvLi@~CXpBe@fA`GjCLuC|@_CCiCgAcAiCHS\\m@i@']],
+        ['CL', 'CL-NB', 'Ñuble', ['~bF|zL}AlItAf@v@{@f@HRwAb@AS}Eq@TiAa@']],
+        ['CL', 'CL-RM', 'Santiago', ['pmEduLVd@g@~@LtAz@lAzAGb@|@h@_Cm@s@KiAjAmAGk@}ANmAWOj@q@R']],
+        ['CL', 'CL-TA', 'Tarapacá', ['luBdnL\\f@UvBb@~AfMi@?yBmAqDwAOa@t@cAFKi@aAVy@q@_BjB']],
+        ['CL', 'CL-VS', 'Valparaíso', ['|hEbvL{@dBDfC`C?pA|@vA[lAp@Y}A{AF{@mAMuAf@_Ac@s@gCj@']],
+        ['CM', 'CM-AD', 'Adamawa', ['qm@kiAd@^b@Yf@|@pA`@Dd@xAQu@gCr@mBO}Jo@cA}D_Bn@tB[|@oAp@YlGaBfBrC`A']],
+        ['CM', 'CM-CE', 'Centre', ['od@ooAs@tDv@hChE`AJxAf@ZE[l@TL_@c@iAnAg@^nA~@RIl@tARWiBdAoAC_A}@gA^q@gA_ARS}@Le@y@}ASK_AaABkAhAo@q@{Ad@']],
+        ['CM', 'CM-EN', 'Far North', ['gpAoyAOrAlCYd@_B~BH`AlCxEfBU_Ap@aBAgHiBjBaHJc@b@aBNSn@s@R']],
+        ['CM', 'CM-ES', 'East', ['_MgdBkCZcDpDu@ZE_@oB|AeCf@}BKg@f@VjHzAe@n@p@`BsAn@FDz@~ATd@x@zD{@Z}BWe@tCGIsDf@aANcDv@gAuBY']],
+        ['CM', 'CM-LT', 'Littoral', ['oXaz@^V?]_@D', 'mSa}@kB_BLi@_AS_@oAqAf@f@`AKd@sASc@X^p@uAp@~EtAj@WWe@b@X?[ZB?d@j@OEe@Pb@t@y@']],
+        ['CM', 'CM-NO', 'North', ['k}@wwAm@`AXzBjBHb@dApBJb@rArAZ`BgBXmGnAq@ZcAgAsCoAYiDdBgEzEcAq@']],
+        ['CM', 'CM-NW', 'Northwest', ['yg@q{@hAUp@d@b@}@UeCgB{BkA`@mAzAr@N[fAj@dAr@R']],
+        ['CM', 'CM-OU', 'West', ['if@}dAnCrFx@TdAs@_@q@b@YKyAcDgAcBV']],
+        ['CM', 'CM-SU', 'South', ['qLweAYEC}@^oKuCFVd@[|BsC|@dAx@[z@r@j@JfAw@v@LrCm@`@~@l@hENNkH']],
+        ['CM', 'CM-SW', 'Southwest', ['wg@g{@hC|CdCHhBx@ZMC[m@Jf@YSKjBWb@gAq@m@MV_AOeBaAk@RoAgAk@bBgAg@q@`@']],
+        ['CN', 'CN-AH', 'Anhui', ['qaEujV_@x@JjBmAMaAfB{@_AcATZgBiAM]x@n@ZIrAqAPIv@cBm@@tAu@R_@vBm@Nq@fBb@v@b@sAjAKb@|Aw@f@Iz@|ADJv@jALJlAl@{@r@Ab@eA_@iAzCBHhAhA^bAeCbAt@rDkAs@cBTm@z@l@POkAyA~@gA\\iDgBcBcA@IeBe@\\Qi@_Bc@']],
+        ['CN', 'CN-BJ', 'Beijing', ['szFo|Uq@b@]}@KhBaAbAVt@^Wh@rCx@i@v@dBd@[^Tf@aEq@yAaAVOkB_@K']],
+        ['CN', 'CN-CQ', 'Chongqing', ['ghEgeTp@r@n@s@~A~AfATNxApCxA@z@y@d@Vz@k@rA`@d@nAQ~@tAj@YDw@fASFuAfAo@y@C|@MF]oA}@AuAeAGr@gASwAhAERs@t@C[Ur@EBeAiAe@{AAcD`CTf@kBSW^c@w@?qC}@_BJg@iAUgBfB@fAaBzC']],
+        ['CN', 'CN-FJ', 'Fujian', ['waDuhVKRVe@KP', 'aiDsoVg@d@PzAeA`@p@bAMfAgD^J`Ab@Hv@xB_@l@Tl@tCp@n@`B|AIhBzAvDv@TgBj@[Gq@nEoAa@y@_@Fh@a@_AO\\OeAkAi@bABm@o@[\\K_@i@\\e@i@[Yd@MyAw@ZG]`@MYo@c@n@c@i@n@cAaAf@?[}@UJhAi@n@`@iAy@e@Q{@Ft@YTFk@a@@@b@c@HHa@UDG_@d@E[e@t@l@Qq@w@Jq@mA]j@Pk@', 's~CalVWP`@PPQ[Q']],
+        ['CN', 'CN-GD', 'Guangdong', ['ykC_hUOaA^UKSg@RUs@h@FJ_@i@FLYi@aATPVeAe@EMf@?_Ab@Om@oAFw@y@CAy@c@v@Lq@}@]Fq@oEnAFp@k@\\O~ARZr@Gk@hAv@hEa@n@yAoB{@b@\\fBa@BVvAe@dAb@hARc@t@FBZs@bCpAHPh@dAWVb@lANl@~@jCV`AvBz@CTZCz@z@GBnAj@j@d@g@Rb@tATh@g@f@FPe@B\\`@KAgAm@q@c@l@e@M?h@k@GUg@s@Fp@MeAwB@wBQ_@_@TRe@QY_@Tj@oAgAUz@]g@w@TOeAc@d@M_@o@oAl@rA}@sAW_AlACu@c@JCqAVz@EUb@DnAw@Oe@']],
+        ['CN', 'CN-GS', 'Gansu', ['_jGiyQ^|@lBB\\b@L~Cf@~AfEfEV~BxBb@lCc@a@qFZgFbBsC`AkDgDSlAsEk@q@Lw@Wc@jCkE^gAw@B`EeIi@g@t@Mz@eBf@P^k@XNxAwAlAJAv@~@?RnAp@M|AxBf@mAh@?j@hA_AfDTX|BgAIcAd@UGs@tADeA}B}A|@gAsC\\m@hAQZuD~@q@~APb@eAB{Bs@[Q_Bm@EYf@_@WIkCiAVyAq@g@dAo@k@i@HNuFIW_ARRm@_@_CaBVYc@iAEgDdKlC~@l@Mb@wA|@DL|AxAJ]~AMc@Ap@uAdB_AYqCt@s@jBc@OB|A}AdDmBC{B{CoA^|@xEWrB^nBf@g@d@f@MdBq@TU`Aw@L_BrGkCwCy@XDrD|@xDgAQgBbCi@e@iFbCLbD']],
+        ['CN', 'CN-GX', 'Guangxi', ['koCsrSf@}@Ow@b@cCfAr@|AWFgA`AcAI{Aj@_@i@o@RMe@K`@YgA@EUdAc@GUc@Jf@YBi@^PI_Bu@Gx@a@oAm@EoAy@FQwA{@BaAwBkCWm@_AmAOWc@oAHLpByAFd@jAi@BuCaBBn@kAEY~@TLM~@hA|@k@x@z@f@]x@|@b@DrAAa@h@FQ|@x@Pm@|@lArA_@l@P`@cAl@D^x@Pv@dD~@ZiAdDjAzAMn@hAe@[KFeAdAc@EsCZ]vAF@v@rAz@']],
+        ['CN', 'CN-GZ', 'Guizhou', ['eqD{iT~@b@EbAi@GP`@u@DOp@mADRxAs@fAdAF@tAnAx@G`@YMc@\\x@AL^y@dAb@z@r@B~@_Cj@HBnDfA`@PbAO|D|@|@Vc@jA?Jq@g@mAbAs@|BjAbBaBdBp@Te@kA{AhAeD_A[w@eDy@QE_@bAm@Qa@^k@Qq@{@c@l@}@y@QJeAc@?J`@SKBgA{@a@eCb@Wo@k@BGlCcBaCwDb@']],
+        ['CN', 'CN-HA', 'Henan', ['_aFspURhB{@pFhDp@t@pB@fDb@BtArI^@z@y@x@Bx@kAfAAzBoBr@uCQuCZmAYy@dCm@?sBb@APo@WiAf@c@cAe@IiA{CC^hAc@dAs@@m@z@KmAkAMKw@}AEH{@v@i@m@}AaALAf@_Av@DnBgAdAOdAgAo@iCkEx@vCkAY']],
+        ['CN', 'CN-HB', 'Hubei', ['keE}kTpAoB`BJvAtIV_@jBRUg@tCqB}As@k@}BZw@Wi@o@XQw@b@iEjAiBm@qC`@R^_@wAgB`DUy@uB]cD]DBs@k@]LcCsDjAcAu@Y|AwAnAVjAQn@c@@?rBeCl@Xx@[lAPtCs@tCeCrB`@j@]h@JvEdA_Ch@MPtB~CA']],
+        ['CN', 'CN-HE', 'Hebei', ['kpFs}UJv@o@jBe@B[i@}AV^jAe@zDa@Se@Zw@eBy@h@i@sC_@VWy@`A_AJiB^|@vAsBLr@n@E`@QDy@`ASd@_ASsBq@iAe@Lc@_@o@_BmBx@@t@{@vAaBmA?nDuAh@G]u@BD^sB~@h@tDpAPCrAh@~@Yb@bA~BCfAqBNJv@lEjCnC_BFi@z@tB`@}A`A]xAt@@rAr@Bt@z@x@ARq@~A_AnBfAn@CZ`Ap@SdAkEH}C]Uq@b@gDkCGq@s@WZOeAeAA}By@cA[QeAz@', 'qyFw{UL~A`AWJy@{AM']],
+        ['CN', 'CN-HI', 'Hainan', ['_zBytT_AN_@p@n@L_@l@^G]r@^`@St@Jd@PIG~@b@R@]vAfCtCI|@mEe@GBy@Y@w@cBkAHeBiB']],
+        ['CN', 'CN-HL', 'Heilongjiang', ['mpHmoXAtAkBnCLfAs@xADbDi@|@sAIWr@sAF}@fAs@GD^SSyB|AYW{ApBe@SSvAc@D]lBRf@yAzFn@vLz@mAvA|B|@cCk@kAp@kBVVpAOnAkATiBOuCQ{Aq@{@TgA|AmBx@x@j@GrAhBxAXtASTpAnBx@tA@oAx@nFjJlBmCS}Av@d@AjAf@Dd@a@M}CfBK|@iAMkBZ_@W{Bz@i@NoEhBQBgB`@LbAy@Gs@q@AWcA`AKtBuA{AmE`@e@g@m@jAMl@yAEoAsBA}C`AWcBkAsA|@uEOc@kAO[{@eBi@Wi@i@HaCkAi@HkAuB{@h@q@_@W`Av@lDAtA^rAn@\\DfHkAhAs@_@{@z@q@S']],
+        ['CN', 'CN-HN', 'Hunan', ['eqD{iTvDc@bB`CDmCl@CTn@ZYn@VxAmA}@q@j@_AiAaAPiC`ALDw@tC`Bl@Eg@oA~AS[]?}AsAKr@gCy@]U`@c@sAf@y@YgAuBQ[g@@x@oA_@Ql@{@E[Zq@SAn@k@HkA_@uAeBa@`@u@MsAlBg@]o@f@e@KvAfB_@^a@Sl@pCkAhBYxFv@QVh@[v@p@bCvAl@tBI']],
+        ['CN', 'CN-JL', 'Jilin', ['unGisXDnAm@xAkALf@l@a@d@zAlE{DdBZ~@p@@Fr@cAx@a@MCfBiBPOnE{@h@VzB[^LjB}@hAgBJf@dFjARo@x@Z`@i@vAv@\\Hy@`Au@t@f@lDu@}@cDfDuAl@^TaAWOn@aBjAi@q@qAvAKdBiBf@d@t@C?[vA{@`A`@HWG}@yAeBmA_@Kq@v@g@ZkEg@]qAt@IuDqAoA@gAqBi@TaAd@Cb@u@i@Va@iCoB]']],
+        ['CN', 'CN-JS', 'Jiangsu', ['gzEohVFpA|@VHx@r@VB`@w@n@^^MtAZ^eBfAJdAr@Pp@qBz@i@P}At@SEqAfBh@Hw@pAQHsAo@[\\y@hAL[fBbAUz@~@`AgBlALL}EnAsBqCiD_AxBa@CDrCq@nA]?pAgB[cBt@eAO}@^_Ck@T_@jAu@H_AnB}@McG~BwAbDDp@gAQ']],
+        ['CN', 'CN-JX', 'Jiangxi', ['a~CagUb@Q]iBZ_@^CxAnB`@o@w@iEj@kAwEm@wCqB}AHo@aBuCq@Um@\\m@u@yBm@U_BRaAhAm@c@a@NOnB_AfAjAxA_@Ji@k@[d@v@zAOtCj@\\Cr@\\EdA|Ed@RZm@t@Ld@a@pAdBjA^j@I@o@p@RZ[z@DPm@nA^Ay@Zf@tBP']],
+        ['CN', 'CN-LN', 'Liaoning', ['k~FspWIVaAa@wAz@?Zu@Bg@e@eBhBwAJp@pAkAf@o@hBjAXz@lBKfCd@AKdAr@`AIbAhAnDvAnAcBr@e@`Af@r@TWdCApBhB|@wAAu@lBy@k@{B{BeBUkAPkA]Y`@B`AyAdBtAb@nAd@KP|@`@}@GqAZdA`@O\\lBj@K[gBOTQYN]oAsAaAyD[EAmDaC{CkA_D']],
+        ['CN', 'CN-NM', 'Inner Mongolia', ['kvHgxU`GnDx@?Tx@j@Ml@aAc@aACsBl@kBcAqA?kCdDuF`Ba@JlB_@|Ap@pEIpAh@HLxCrBnAr@bBJbF`CxDYhDg@bADpBhCvA`CiBjA~DlBnB~@vD^~OjCfJM|Ai@?T`DsAjIgAdBq@`ZhFcCh@d@fBcChAL_AuDGqDz@[jCvC~AsGx@OR_Ar@WJcBe@g@g@f@_@oBVsB}@wEnAa@zBzCr@Q\\ZxBkDsAuHwCGmBu@q@cCfAi@nCdB\\iCbBgD@aAIuAs@E[q@cAAkD_F_@Hd@kB_AgA?Wd@Du@cABoAcCmBVaAm@gANeAc@_Co@MeA`AOa@q@JmC{BCy@jBGBgAcA_CXc@i@_ABsAqAQi@uDrB_AE_@t@CF\\tAi@HmDe@_@{BBWVe@s@d@aAbBs@wAoAiAoDHcAs@aAJeAe@@JeC{@oBs@OYdAi@c@eDrAz@dDmDt@u@g@aAt@Ix@w@]h@wA[a@n@y@kASE{@_BP?kAo@k@FjBiBbCoFkJnAy@uAAoBy@UqAoCFsBwBk@Fi@{@[LgBhDp@z@PzANtCUhBoAjAqANU[s@nBj@jA}@bCyA}By@lAFjBfBfD`@IH_Cd@Pl@]zAfC|F~DHk@r@JXbCvA~C}@fF']],
+        ['CN', 'CN-NX', 'Ningxia', ['qkF{_TwAlFqCeBcAd@?^NbAjBlAxDRpA~GAgA^RDo@rA{ARRxAm@v@Zh@WbByD]Y{@JD_Ao@e@y@TQfAoDa@TaCeBCu@eA']],
+        ['CN', 'CN-QH', 'Qinghai', ['usF{cQ|AfMp@dB~Bu@|@cCpAq@x@~Bv@_AtASLr@s@dDb@LPdB`@eAhAHl@x@t@WRs@VThAWz@f@tCaC`@_Bg@wBr@a@bAgC?{Cl@aBD{Be@cBdAgA^uApAQFqBb@YeAAf@oBy@BIsAs@m@k@DAcAmAbAaBkAm@dAo@@[s@ZUSw@TqAhCuArAeDw@c@b@s@d@?EeAv@Gw@[AcB{AAB{AoA[B`@e@RHbA}BfAUY~@gDk@iAi@?g@lA}AyBq@LSoA_A?@w@mAKyAvAYO_@j@g@Q{@dBu@Lh@f@aEdIv@C_@fAkCjEVb@Mv@j@p@mArEfDRaAjDcBrC[fF`@pF']],
+        ['CN', 'CN-SC', 'Sichuan', ['ghEgeTHjBkAjBBfAi@FX`Dw@\\`@|Ak@^b@B\\~@QfBc@|@{AU_Ap@[tDiAP]l@fArC|A}@dAzB}@Kc@V~A^CzAzA@@bBv@Zw@FDdAe@?c@r@v@b@sAdDkCvASnARv@[P`@z@fA]Lm@h@n@tATnAcDlBk@zAyAb@v@vAgAhMg@|@o@mAD_AeAdBuAx@N|@q@]cAhCeAA_@`@Br@eAf@Pf@m@\\Jd@u@eAoC^U]}@wDR}AoBk@U]Rg@sAeA@JqBNd@d@AV_@n@LZo@o@}APk@v@CUoE_A`@c@fBq@Ec@{@x@aASM}@XKxAgARg@nAiAsA}@^s@u@j@qAW{@x@e@A{@qCyAOyAgAU_B_Bo@r@q@s@']],
+        ['CN', 'CN-SD', 'Shandong', ['enFo_VrArA@|BfAfA[Nr@VFp@fDjC~@c@jAZy@yChCjEfAn@NeAfAgA@kCaAm@KeAdBgA[_@LuA_@_@v@o@Ca@s@WIy@{@UMcB_By@mAaCs@f@Gi@l@GSeAe@Hk@}@Mh@Fu@q@wAPa@q@{@PSU[^CBa@Oa@UXiAy@EdB[JXX?rAoAdD\\fBHS~AlB@~A_@`AsAO?k@kA|@a@|E']],
+        ['CN', 'CN-SH', 'Shanghai', ['ycEkuVbAv@@d@|@UZy@c@iCqAl@i@lA', 'qdEoxVa@bCz@_DYZ']],
+        ['CN', 'CN-SN', 'Shaanxi', ['ghEgeT`B{CEy@_D@QuBi@LeA~BKwE\\i@q@s@q@Fw@jAw@ESd@kBd@_DkA{Gp@kBsAyBx@iAoAuAMaAs@Wd@_@QbA~Ae@jB\\KjD~EbA@Zp@r@FHlCk@jAr@bAfCFlB{GfADVb@bBW^~BSl@~@SHVOtFh@In@j@f@eAxAp@`A[ApBn@t@\\g@l@DNlAh@Sa@_Bv@]YaDh@GCgAjAkBIkB']],
+        ['CN', 'CN-SX', 'Shanxi', ['s}FmhUn@N`@rBS|@r@zAW~@bClBCnAr@bAPW`Ar@tALhAnAxBy@jBrAzGq@nAv@nBLk@aGk@u@Di@c@CAgDmAmCoCUiAv@]aAo@BoBgA_B~@Sp@y@@u@{@s@CAsAyAu@aA\\a@|Ay@uBIh@iA\\']],
+        ['CN', 'CN-TJ', 'Tianjin', ['ctFq`VaAREx@a@Po@DMs@g@nAz@h@TUj@PDjA|AWr@j@|@oBKy@aBc@Uy@']],
+        ['CN', 'CN-XJ', 'Xinjiang', ['{|EgeN@o@j@F`C{@v@cCQeDu@a@k@NyBmAx@iGOoAiAqA?sAx@y@BqEiAcEPsASkA{AgBm@aKhA_G?u@c@Or@cDMs@uARw@~@cA}BgAn@}@bCcCr@m@cB}AgMmCb@yBc@W_CgEgEg@_BM_D]c@iBAc@_Aa@FgAzAmC`AKj@s@OKjCyBhFo@rO{@j@iBeAw@Ru@]yElCiA~CF`Bi@xAe@R_@fB_@O_@~@SYg@HJ~DrBx@`@hDvAf@`C_@j@b@n@vCa@N@tCo@pDnIpCTcAz@PCtBi@v@xAhJ`@}BNXhBB`EyAVrA\\c@n@pAxBQbBxH`BtBDpFbChBQP\\nBcA^d@`AMdAb@C|@rDl@Zh@SXx@n@Bp@k@P\\\\Kd@e@[kAh@gBjDKf@u@t@zCj@aBCwAh@WNsApA_@`@Tp@u@QiA~@kANoD']],
+        ['CN', 'CN-XZ', 'Tibet', ['suEolNr@l@tBMn@cCr@Xr@y@jAfCw@f@NfA~@Ot@w@`CAYkArAu@l@wCl@Cz@_Dn@W[q@i@GFkCt@KvAkEvAeAOqBhBgAd@gAIeAx@LGwBxAy@u@c@p@u@g@q@|@iCKuCq@aBVi@lBJXi@k@AwBsBm@eCXgA^TTqBYo@hAcCe@qCk@?i@iBs@UOyB_CeCv@yC{@iAEaAT{@~@`@Is@l@YjAj@KeAj@wB_Am@nAqBi@c@V]QY_CMZs@iAMEYmH\\wAfAc@w@{AxAmBj@c@`BFfArATTdBx@Ce@rBbAAc@XGpBqAP_@tAeAfAd@bBEzBm@`B?zCcAfCs@`@f@vB_@zAyCdCy@g@iAVWUSr@u@Vm@y@iAIa@dAQo@y@fDOnBl@hJzAfBRjAQrAhAbECpEy@x@?rAhApANnAy@hGxBlAj@Ot@`@PdD']],
+        ['CN', 'CN-YN', 'Yunnan', ['scCk{RwBLuAl@m@a@LiBgAq@bAoBgAw@h@e@k@]x@}@w@YRq@[kAcA_@g@qAh@m@gA_AAw@_AOs@b@FrCgAd@GdAZFUXm@PsB}@cB`B}BkAcAr@`@tBqAHUb@aAcAXm@c@e@X_@OeCwBQQr@d@X@nAY^QUqAd@Se@ItBbAEf@rA\\Sj@T|AnBvDS\\|@_@TdAnCe@t@]Kg@l@g@Qs@dAa@C@^iCdA\\bA}@p@y@OgBvA`AbAjAC{@l@{CH@ThAHWz@~BLPXW\\h@b@vBa@[WRu@|DOzAHJ^n@[|@jAI`@z@RLn@pADTn@v@B@[v@Mh@f@PSq@aBIwCd@h@dAg@tA?H}Af@i@b@l@p@IdAj@R_D`AALe@h@CE{A{@{AtBc@GoB']],
+        ['CN', 'CN-ZJ', 'Zhejiang', ['y~D}tV[x@c@@p@~AoArB?r@dBf@Ph@d@]HdBtB^xAdC`@FpAsApACJeArCSLgAq@cAdAa@Q{Al@o@y@i@y@FWm@m@|@VqAmAg@l@_@]O@i@iATe@hAT_Be@XQg@[v@]_@X]e@Mf@?E]mAEf@`BYFkAiCKpAmA|Aj@vBJ[I^US[T`@|Ag@aAPeAkAwA', 'szDq{VWhAZKC}@']],
+        ['CN', null, 'Paracel Islands', ['qaB}uT?uHiF??tHhF?']],
+        ['CO', 'CO-AMA', 'Amazonas', ['vFzpLo@z@Jh@[E\\n@[ZeBKS|BwA~@jAlDfAn@Jt@y@fF`@jCpA[x@}BvAYP_ArA@j@s@CwCw@uAp@aAa@gBrAaDdF~BHsApAeAwQkB']],
+        ['CO', 'CO-ANT', 'Antioquia', ['sr@d`N~AZtB{Bf@FCt@f@\\|Bs@@yAfCaAEcAk@@Lk@n@Sm@e@UuAkDu@mAcBw@Fx@pA_BBLf@eBAs@v@ZnAfC|BAlBgARmC{@sAl@~@dBXc@bBAG`@[S_@^']],
+        ['CO', 'CO-ARA', 'Arauca', ['yj@v`MlClAl@e@g@}D?oEn@}@QuAiDjCYpBZ~AIzC']],
+        ['CO', 'CO-ATL', 'Atlántico', ['}aAjuMh@Al@aA}@e@uAFG\\bAbA']],
+        ['CO', 'CO-BOL', 'Bolívar', ['a~@jwMIQj@AF]n@Ff@}Ar@?hAgAnADj@r@r@w@zADTQYY~@F`@]yBsAoGF_BxDsB@}AvAo@@`@r@p@?d@b@Ua@\\H']],
+        ['CO', 'CO-BOY', 'Boyacá', ['yj@|`MPdBtAHOn@bAG|A`CeARlA\\YxBuAr@dBZK_AbAQVq@e@e@R_@jBSr@wAiCq@La@m@iAa@Oa@h@eAE{@w@eB]']],
+        ['CO', 'CO-CAL', 'Caldas', ['ac@rqMTtAl@d@o@RMl@j@CDt@d@k@Db@z@NO]p@iAaAQ_@kB_BQ']],
+        ['CO', 'CO-CAQ', 'Caquetá', ['mQbsM|@RTl@hDxBV~@pATrAiEfDgC`BqGByDy@]{AaDm@hBeDbDp@|AgCjBq@lDiDHm@z@']],
+        ['CO', 'CO-CAS', 'Casanare', ['uf@~bM~AXd@i@`@Nl@hAM`@fBh@hBeASmCsA}CsBoBq@qBkAm@q@`Bh@bJw@d@']],
+        ['CO', 'CO-CAU', 'Cauca', ['qO|fN|Am@@iBh@Ut@XEqApAAYs@nA[BuAc@j@kA]kAxA{Ak@IsBsCv@UfAh@TB~@ElAc@f@jBdA`@IK|@']],
+        ['CO', 'CO-CES', 'Cesar', ['e`AvfMDj@m@Kk@f@?`AbAGbA~ApBu@RfAvAcAfGIJu@u@e@aBLJ`@m@DeBWiCyA{BM']],
+        ['CO', 'CO-CHO', 'Chocó', ['kt@dcNvB}@pArAc@b@|AZdCmBjAXzAm@l@|@Rc@jCWdAXfAaCg@{@g@TaC}A}@Rm@[uBj@@pA[XeB`@g@]Bu@g@GuBzB_B[sAjAZR']],
+        ['CO', 'CO-COR', 'Córdoba', ['mv@v|MrAm@lCz@fAS@mBgC}Bg@uAo@Z?hAeAHg@]kA`BPnAzAbA']],
+        ['CO', 'CO-CUN', 'Bogotá', ['aXlnM{B]i@NbFpA}@cA', 'cVppMaFoAf@QzB\\e@oA_AIj@a@LmAcBQH`@i@z@eA?_Av@d@f@Un@eATNz@dHn@FiAjBE']],
+        ['CO', 'CO-GUA', 'Guainía', ['uInsLAoIUVc@Qt@s@oAeBtA{@hBEGi@iF|@sAvABl@uBmBcCnAV`@S~Aj@d@d@jBUjAd@d@?rAtBf@bA|BfAsAGyAlAVb@_A']],
+        ['CO', 'CO-GUV', 'Guaviare', ['cInkMdCgBq@{AjBcC{AiByBW{@mFe@g@C`BgArAc@qAKPEpHdBjEA~AtCJ']],
+        ['CO', 'CO-HUI', 'Huila', ['mQbsM}@q@eBQ~AdAA^YEB~@fBxAGj@h@k@p@AHrBjBf@n@m@LmAuE_E}@S']],
+        ['CO', 'CO-LAG', 'La Guajira', ['aiAx|Lk@k@o@V]|Ax@n@Kl@bAPvBlE@v@tAF?aAj@g@l@JEk@sFyDg@cC']],
+        ['CO', 'CO-MAG', 'Magdalena', ['idAxrM~AWvAj@Z]rB?nByDa@MwAbASgA_Bx@w@]]eAyC?KrBtBp@Wf@W{@SlB']],
+        ['CO', 'CO-MET', 'Meta', ['mQbsMl@{@hDIp@mDwCMB}AeBkE?sEyK?hBdEPfCuA~@bBPMlAk@b@~@Fd@|ArEfC']],
+        ['CO', 'CO-NAR', 'Nariño', ['}GtkNdBmCNsAxA{@F{@eAZsDoAYRFlAu@Yi@TAhBqAZKV^D_@j@zAdApAYGv@`@`@j@e@']],
+        ['CO', 'CO-NSA', 'Norte de Santander', ['ks@rcMwDtB\\pAnBZr@SUS~AMr@^Id@f@w@KiAlBUb@_BYqAiAj@St@{A@Y_@}@P']],
+        ['CO', 'CO-PUT', 'Putumayo', ['eAz`NXmBo@q@jAeBp@aElAqAa@mBcA~Cg@BWv@}A|@y@fC@jBsA^p@vA`@K~@h@dA[']],
+        ['CO', 'CO-QUI', 'Quindío', ['o\\dvMJtAlB@yBwA']],
+        ['CO', 'CO-RIS', 'Risaralda', ['ia@byMQb@`@XhAQ|@m@FqAm@HIpA{@OEc@e@j@']],
+        ['CO', 'CO-SAN', 'Santander', ['io@dkMAVsAFbFRlAbBdAXtAs@ZkAAo@mA[dAOk@g@Fg@{@u@aAFXa@w@[w@NK~@mBTJhAc@t@']],
+        ['CO', 'CO-SAP', 'Archipelago of Saint Andréws', ['cmAx}N?iIwE??hIvE?']],
+        ['CO', 'CO-SUC', 'Sucre', ['{y@bxMjAaBf@\\fAK\\cC_BSiAfAs@?g@|AcBVnCh@']],
+        ['CO', 'CO-TOL', 'Tolima', ['qV~pM}AGGhAeE]Ct@f@`AxANxDjBzCLFk@gByAC_AXD@_@_BeA']],
+        ['CO', 'CO-VAC', 'Valle del Cauca', ['sSbcNb@g@DmAC_Ai@UTgAeDaAkAZy@c@aAhA`C|Ad@UZXJd@o@`BPd@j@O[a@h@RKs@hAx@l@?BZ']],
+        ['CO', 'CO-VAU', 'Vaupés', ['uInsL_@~@m@KhA`GxBVzAhBz@e@fAmD~@YR}BdBJZ[]o@ZDKi@n@{@oCf@gAxAuCC[qBR_Ao@Ae@d@?dBaCA']],
+        ['CO', 'CO-VID', 'Vichada', ['ue@rdLWhAr@lKtAz@l@nB|AjAxK?BgCgC{@?sA_@KNeBe@kBk@e@LoBmGFgCsAi@F']],
+        ['CO', null, '', ['uWb}N?II??HH?']],
+        ['CR', 'CR-A', 'Alajuela', ['mbA~lOw@fB\\vCrAaCfCk@c@mA}CC']],
+        ['CR', 'CR-C', 'Cartago', ['k~@rkO`@Mh@h@x@uBcBa@a@zB']],
+        ['CR', 'CR-G', 'Guanacaste', ['adAvsO_@fAv@TFn@Pu@b@Ir@n@v@QfAmBi@LU]o@Z`@iAaA_@}AfC[g@']],
+        ['CR', 'CR-H', 'Heredia', ['ibAnjOCnAdDFy@cAgBS']],
+        ['CR', 'CR-L', 'Limón', ['uw@jeOgBM@{@mB|BaDbB~Cn@`@{BtBX|@eB']],
+        ['CR', 'CR-P', 'Puntarenas', ['uw@jeO{@jAx@n@iBtBFjAmC\\VlAd@cAlAUjBeEp@I`@^b@_@F{@_Ad@VeAl@DbAq@{@\\[g@y@L_@g@]j@', 's}@hsOPXhAe@u@q@e@|@']],
+        ['CR', 'CR-SJ', 'San José', ['w~@lkOH^b@CR`Bd@FTIGkAjB_CoACy@tBi@i@m@F']],
+        ['CU', 'CU-01', 'Pinar del Río', ['ilCrdOqAb@z@pEdBnAd@_@^bCMyA^@]_Bq@SCeBsAwB']],
+        ['CU', 'CU-03', 'Havana', ['eoCzbOV]e@}@LzA']],
+        ['CU', 'CU-04', 'Matanzas', ['woCn}NdCETbB~@wDk@Gd@SFcB{@dAe@sAcAl@u@_@VjBQ^Q[^jAU\\']],
+        ['CU', 'CU-05', 'Villa Clara', ['eoCtvNd@^bAm@Gs@~Bo@Kq@e@?GqAeCtAa@~C']],
+        ['CU', 'CU-06', 'Cienfuegos', ['kgCrsNuACaAb@^dCr@SVgA]@hAkA']],
+        ['CU', 'CU-07', 'Sancti Spíritus', ['mkCjoNn@KFpAd@?b@`At@iDIy@]^aCe@M`B']],
+        ['CU', 'CU-08', 'Ciego de Ávila', ['kkCdiN@]QrANu@', '_kChlNtC`@V{Ao@{A_@L]a@_AhD']],
+        ['CU', 'CU-09', 'Camagüey', ['yhCddNI~@d@q@[M', 'miCnfNAa@]d@^C', 'qjCvgNHe@Wz@LU', '_iC~fN\\`@^Mn@zA`B]bAmBkAcBN]{AeA]\\X`@YRJi@UCu@vAt@[sA`C']],
+        ['CU', 'CU-10', 'Las Tunas', ['ceCz_NzAdAO\\dAlA?aFo@Ew@gALl@w@nA']],
+        ['CU', 'CU-11', 'Holguín', ['ycC|{Mv@fAp@H~@yBa@K^e@[eA\\u@AoA]W[v@?nC[HBk@Md@a@YEdB_@d@']],
+        ['CU', 'CU-12', 'Granma', ['i{Bl`Na@sBqAq@m@hAOnCpAc@dB|BEmC']],
+        ['CU', 'CU-13', 'Santiago de Cuba', ['g{BbvMc@TaBSZtA_@l@`@JDp@~@RTtBJmI']],
+        ['CU', 'CU-14', 'Guantánamo', ['k{BjtMa@eDa@Y_ArB\\V?rBnAJVg@a@e@^@']],
+        ['CU', 'CU-15', 'Artemisa', ['unCjeOjAWOuAkARNxA']],
+        ['CU', 'CU-16', 'Mayabeque', ['}oCb`Ol@bAt@ITsCsBDErA']],
+        ['CU', 'CU-99', 'Isla de la Juventud', ['gfC`cOq@XKx@\\Rn@YMl@d@w@g@cA']],
+        ['CU', null, 'USNB, Guantanamo Bay', ['i{BfuM?]Q??\\P?']],
+        ['CV', 'CV-BR', 'Brava', ['o{AvyC?OU??NT?']],
+        ['CV', 'CV-BV', 'Boa Vista', ['ucBvlCYn@d@FKw@']],
+        ['CV', 'CV-CA', 'Santa Catarina', ['q|AfsC]SK\\h@I']],
+        ['CV', 'CV-CF', 'Santa Catarina do Fogo', ['{{AlwC?SS??RR?']],
+        ['CV', 'CV-CR', 'Santa Cruz', ['_}AtrC?][??\\Z?']],
+        ['CV', 'CV-MA', 'Maio', ['m}AjpC?]m@??\\l@?']],
+        ['CV', 'CV-MO', 'Mosteiros', ['k|AtwC?YU??XT?']],
+        ['CV', 'CV-PA', 'Paul', ['uiBv{C?UO??TN?']],
+        ['CV', 'CV-PN', 'Porto Novo', ['wiBd{CBhAZM_@{@']],
+        ['CV', 'CV-PR', 'Praia', ['c|AhrC?SQ??RP?']],
+        ['CV', 'CV-RB', 'Ribeira Brava', ['ggBjwCf@KOy@WdA']],
+        ['CV', 'CV-RG', 'Ribeira Grande', ['wiBx|C?m@W??l@V?']],
+        ['CV', 'CV-RS', 'Ribeira Grande de Santiago', ['e|AbrCYLLTJc@']],
+        ['CV', 'CV-SD', 'São Domingos', ['o|AnrC?_@U??^T?']],
+        ['CV', 'CV-SF', 'São Filipe', ['c|AzvCYXTRBm@']],
+        ['CV', 'CV-SL', 'Sal', ['ufBvnC?Ww@??Vv@?']],
+        ['CV', 'CV-SM', 'São Miguel', ['m}A`sC?SW??RV?']],
+        ['CV', 'CV-SO', 'São Lourenço dos Órgãos', ['y|ArrC?SO??RN?']],
+        ['CV', 'CV-SS', 'São Salvador do Mundo', ['}|AxrC?OO??NN?']],
+        ['CV', 'CV-SV', 'São Vicente', ['wfBz{C?kBaA??jB`A?']],
+        ['CV', 'CV-TA', 'Tarrafal', ['{}ApsCKWQP\\D']],
+        ['CV', 'CV-TS', 'Tarrafal de São Nicolau', ['_fBvwC?Yg@??Xf@?']],
+        ['CW', null, 'Curaçao', ['gjAjoL?yAgA??xAfA?']],
+        ['CY', 'CY-01', 'Nicosia', ['azEipE]NVnBQv@v@W?qB_@m@']],
+        ['CY', 'CY-02', 'Limassol', ['qwEwkEWeBe@|At@^FW']],
+        ['CY', 'CY-03', 'Larnaca', ['}yEoqE`@lBXo@{@}@']],
+        ['CY', 'CY-04', 'Famagusta', ['ezE}rEDTL{@Sd@']],
+        ['CY', 'CY-05', 'Paphos', ['swE_kEi@[o@\\BdAbAYPm@']],
+        ['CY', null, 'Dhekelia', ['syEcrE[UJh@NS']],
+        ['CY', null, 'Northern Cyprus', ['czEqsEq@JkA_C`AxDGrCj@D?b@R[WoBf@MKiB']],
+        ['CY', null, 'Akrotiri', ['_wEwkE?w@]??v@\\?']],
+        ['CZ', 'CZ-JC', 'South Bohemian', ['aqHosAhAgBB_Cc@s@q@GToBe@Ki@fCm@CO`@VhEfBn@']],
+        ['CZ', 'CZ-JM', 'South Moravian', ['spHc`BVwEb@aAs@k@B_Bq@hBk@C_AfBDl@fB^b@hC']],
+        ['CZ', 'CZ-KA', 'Karlovy Vary', ['azH_pABxAl@h@Oj@bAwASkCaA?Or@']],
+        ['CZ', 'CZ-KR', 'Hradec Králové', ['k|H_`Bv@S@bBlAy@EiFy@lA]o@MR[`D']],
+        ['CZ', 'CZ-LI', 'Liberec', ['y|HizA`@t@d@[U}AReCw@Rm@fA^lB']],
+        ['CZ', 'CZ-MO', 'Moravian-Silesian', ['wwHsoBLb@c@r@_@YF~@rAr@|AyFYyAoAt@YjB']],
+        ['CZ', 'CZ-OL', 'Olomouc', ['czH{hBf@Ml@x@rBMO]l@m@o@oCm@n@UdBuAq@]xA']],
+        ['CZ', 'CZ-PA', 'Pardubice', ['ixHsfBRvF`AgBPyDkALg@]Jx@']],
+        ['CZ', 'CZ-PL', 'Plzeň-', ['{vHgmA^ZpAoAlAkCq@o@qCQe@fBh@xC']],
+        ['CZ', 'CZ-PR', 'Prague', ['owHezAQQOZL`A\\UIu@']],
+        ['CZ', 'CZ-ST', 'Central Bohemian', ['wvHw_BmAXaAlAdBtHb@sArALSwGy@_A', 'owHezAHt@]TMaAN[PP']],
+        ['CZ', 'CZ-US', 'Ústí nad Labem', ['y|HizAe@~@^K|AtG`AsAu@aE[Ye@Za@u@']],
+        ['CZ', 'CZ-VY', 'Vysočina', ['_uHmeBw@tDZr@VCBr@l@RrAkD]eBcB[']],
+        ['CZ', 'CZ-ZL', 'Zlín', ['isHwqB]LIjAVtB|@h@r@kBaBmC']],
+        ['DE', 'DE-BB', 'Brandenburg', ['wgIizAq@`B_Bu@Jx@_@[UvAhA~Cg@`Dp@vDr@{DfC?~@mEn@b@l@YDyCa@g@AmBy@Xq@c@{@h@k@K', 'agIetAFWTROnBo@g@`@cA']],
+        ['DE', 'DE-BE', 'Berlin', ['agIetAa@bAn@f@NoBUSGV']],
+        ['DE', 'DE-BW', 'Baden-Württemberg', ['ahHuz@]sBkC\\]cAa@D?i@o@Fs@|@}@BDd@{@x@?~@XQp@pBUGUh@Fr@v@KfCdCzDx@Z_@IoDS`@Ue@t@aE']],
+        ['DE', 'DE-BY', 'Bavaria', ['myHsjAi@tCp@PW|AZKFXeAtB~@zBX?@bBfBSM}@YNJyAn@]Ee@|@Cv@_Aj@E?h@`@E\\bAjC]\\rBAoA`@s@RHYu@c@?d@aDcAgEn@_Dc@CI`@YSs@p@u@eCe@GHu@q@ScCjF}@r@_@[qArA']],
+        ['DE', 'DE-HB', 'Free Hanseatic Bremen', ['qkIot@^[Gy@WtA']],
+        ['DE', 'DE-HE', 'Hesse', ['c`Ie}@FjAm@WQj@z@|CPR?[^@`ArBd@Ed@d@X]j@dA@{At@q@d@JGs@Ti@TNU_AuBVAcBY?w@mB]?Db@o@c@KTKo@c@Gg@v@']],
+        ['DE', 'DE-HH', 'Hamburg', ['umI_|@VqB{@Zb@tA']],
+        ['DE', 'DE-MV', 'Mecklenburg-Western Pomerania', ['snIcxA]vAQQm@f@Nl@cAxA^bC_@mBKlAlApAKtAp@l@IlBh@\\b@e@f@dAp@eCq@wDh@}CkA_DT{A^Z@]M[iAX', 'cpIywAi@zAXC@w@^h@QiA', '}rIstAOVSQWv@XZLs@IhA\\YH\\Ty@UQJk@UB']],
+        ['DE', 'DE-NI', 'Lower Saxony', ['giIek@h@H@~@Z?Du@h@Ok@}B\\y@t@?[gBu@d@EeDdAXr@{Aj@PFw@n@VNe@u@yDyANImAa@YyB`Ag@cDaAlDKhDwAtBCzBd@^`@]`@Zc@IMv@f@J}@r@VhDp@JHaAHb@pAV', 'qkIot@VuAFx@_@Z']],
+        ['DE', 'DE-NW', 'North Rhine-Westphalia', ['udIii@f@DR`DrAw@b@\\JQXx@jCeBGuAUF}@yD]Sp@cAuAsBm@J}@}Ck@Cs@zAiAQH|Ct@e@ZfBw@?_@fAhAfD']],
+        ['DE', 'DE-RP', 'Rhineland-Palatinate', ['gxHge@l@SPw@t@\\IwDj@W\\R`@cALwBaAq@cCZQpBk@eAY\\e@e@aAz@xAzETGCnAr@v@']],
+        ['DE', 'DE-SH', 'Schleswig-Holstein', ['quI_z@QzClAeA`@pABgAZ\\Ni@Jd@RQT_Bp@y@]cBf@?`@kAg@kAw@f@Mi@[h@Y_Ai@MNpAYpAVb@a@?@z@Oe@k@NEdB', 'guIct@HTAg@GP', 'mvIgs@SS|@b@YECcAKx@']],
+        ['DE', 'DE-SL', 'Saarland', ['ctHuf@z@gAAcCqARVvD']],
+        ['DE', 'DE-SN', 'Saxony', ['azH_pA}AuG_@Jl@aBuAo@g@JWpAh@zCGtBc@@Sv@TbClANv@cBRlAZGl@nAr@oAm@i@CyA']],
+        ['DE', 'DE-ST', 'Saxony-Anhalt', ['waI{aAv@eCr@K`@yCwB?QkDo@c@c@lD]`@aASEb@{@Qg@rBh@lDxBaA`@XHlAhAY']],
+        ['DE', 'DE-TH', 'Thuringia', ['c`Ie}@f@w@b@FJn@JUn@b@Ec@\\@Dw@t@y@Ck@QXKYVsAq@QVgBq@uA[FSmAg@~@^Xa@xCs@JKnAi@`@p@hD']],
+        ['DJ', 'DJ-AR', 'Arta', ['yfAgmGUjAXr@c@l@dAYe@sC']],
+        ['DJ', 'DJ-AS', 'Ali Sabieh', ['ifA}lGGv@fAz@P}@qAu@']],
+        ['DJ', 'DJ-DI', 'Dikhil', ['ucAadGC{Bs@_AEh@eAXm@nAbAj@lBC']],
+        ['DJ', 'DJ-DJ', 'Djibouti', ['}fAckG?w@U??v@T?']],
+        ['DJ', 'DJ-OB', 'Obock', ['mnAolGRt@z@b@|AsAq@aA{Bz@']],
+        ['DJ', 'DJ-TA', 'Tadjourah', ['giAieG`AoBy@oBgC~B~B~A']],
+        ['DK', 'DK-81', 'North Denmark', ['eaJiy@T_B_@iBs@DOjAHsAm@e@aATa@k@\\fCrAnBH|CdAjAb@_AS\\s@u@UwFRjCt@HB_@', 'saJev@o@Sn@rA?_A', 'ieJsdALx@Jc@YU']],
+        ['DK', 'DK-82', 'Central Denmark', ['w{Icr@[uEn@wCUGGb@B}@gAOUc@RPRa@[UPU{@k@]|BX\\m@]ZfBU~AZ@Y^PR[WQj@~@|@m@vAhCRKa@`@URf@c@Jd@I', 'e|I_aATCWQWXXC']],
+        ['DK', 'DK-83', 'Southern Denmark', ['cvIcu@JyE_@BGz@i@w@m@HA^[eA}@vBZtEp@NXiBv@KFl@Ek@l@B', 'svIq}@OjAf@_AWK', '_wIybAf@p@RQqAu@TT', 'cwIuaAm@_@]v@Ie@WT`@^c@^V|BhA}@Aa@HPDwB']],
+        ['DK', 'DK-84', 'Denmark', ['qwIu}Ac@lAh@NTmA[O', 'i{IaiAAg@_@H`@\\', 's{IojALc@PP@_AuAYQhA^jAd@i@']],
+        ['DK', 'DK-85', 'Zealand', ['auIaiAc@f@RJ]fA`@l@^}ASkA', '}vIslAVz@IuAMX', 'ozIglAc@p@XHMlAq@SEbBXo@`@~@G|@Ni@A^Pk@b@KFV^a@HmBJd@Ts@F`@hAo@u@k@Sx@Kw@a@\\W{Ag@t@U_@']],
+        ['DM', 'DM-02', 'Saint Andrew', ['o_B`_K?e@g@??d@f@?']],
+        ['DM', 'DM-03', 'Saint David', ['u~Aj~J?Sg@??Rf@?']],
+        ['DM', 'DM-04', 'Saint George', ['i~Av~J?SS??RR?']],
+        ['DM', 'DM-05', 'Saint John', ['{_Bh_K?Q[??PZ?']],
+        ['DM', 'DM-06', 'Saint Joseph', ['c_Bb_K?]W??\\V?']],
+        ['DM', 'DM-07', 'Saint Luke', ['e~Ar~J?EG??DF?']],
+        ['DM', 'DM-08', 'Saint Mark', ['_~Ar~J?GI??FH?']],
+        ['DM', 'DM-09', 'Saint Patrick', ['a~An~J?UY??TX?']],
+        ['DM', 'DM-10', 'Saint Paul', ['u~Az~J?SS??RR?']],
+        ['DM', 'DM-11', 'Saint Peter', ['s_Bh_K?QO??PN?']],
+        ['DO', 'DO-01', 'Nacional', ['crBntL?YW??XV?']],
+        ['DO', 'DO-02', 'Azua', ['eqBbxL[SsBpAhAt@Pa@t@Cc@y@`@S']],
+        ['DO', 'DO-03', 'Baoruco', ['qsB`~L`@JZeAa@q@[jB']],
+        ['DO', 'DO-04', 'Barahona', ['cqBpzLu@Jn@dA`ABTYyAe@FU']],
+        ['DO', 'DO-05', 'Dajabón', ['owBl_M?o@s@SUbAhA?']],
+        ['DO', 'DO-06', 'Duarte', ['{xBzuLl@ZVOTmA[i@_AjB']],
+        ['DO', 'DO-07', 'La Estrelleta', ['cwBx~Lt@h@PYb@HDq@y@Pq@y@E~@']],
+        ['DO', 'DO-08', 'El Seibo', ['{uBpoLRVlAo@yA{@GrA']],
+        ['DO', 'DO-09', 'Espaillat', ['ezBxvLfAj@m@_BYr@']],
+        ['DO', 'DO-10', 'Independencia', ['wsBt_MNj@|@y@\\{@g@k@[lAa@KEr@']],
+        ['DO', 'DO-11', 'La Altagracia', ['qpBblLEXPk@KP', 'suB|lLrBTd@o@qAaAgAzA']],
+        ['DO', 'DO-12', 'La Romana', ['_rBrmLu@Fd@b@Nk@']],
+        ['DO', 'DO-13', 'La Vega', ['axBhxLz@|@lAk@K]aAIMk@m@`A']],
+        ['DO', 'DO-14', 'María Trinidad Sánchez', ['wyB`uLZX\\S\\aAwAT?d@']],
+        ['DO', 'DO-15', 'Monte Cristi', ['yyBl_MTqBi@I]fBp@R']],
+        ['DO', 'DO-16', 'Pedernales', ['woBr_MvAgAq@[u@Ta@`Ap@J']],
+        ['DO', 'DO-17', 'Peravia', ['}pBruLu@b@l@j@FoA']],
+        ['DO', 'DO-18', 'Puerto Plata', ['}zBb|L|@eCe@c@m@|BTj@']],
+        ['DO', 'DO-19', 'Hermanas Mirabal', ['{xB~uL?f@t@Gu@_@']],
+        ['DO', 'DO-20', 'Samaná', ['swB`sLx@Yk@CK{AAxB']],
+        ['DO', 'DO-21', 'San Cristóbal', ['crBntLiAx@j@PbAg@e@c@']],
+        ['DO', 'DO-22', 'San Juan', ['}vBx|LjAz@^SBqAgAm@g@vA']],
+        ['DO', 'DO-23', 'San Pedro de Macorís', ['_rBxnLc@AJt@w@T^Xl@K@wA']],
+        ['DO', 'DO-24', 'Sánchez Ramírez', ['ytBzuLKu@c@GAxAp@[']],
+        ['DO', 'DO-25', 'Santiago', ['_yB|wLW|@d@DRbAb@?Z}@aBiA']],
+        ['DO', 'DO-26', 'Santiago Rodríguez', ['cyBz{LCj@n@T\\w@o@_@YT']],
+        ['DO', 'DO-27', 'Valverde', ['mzBp{Lt@BDs@e@EUt@']],
+        ['DO', 'DO-28', 'Monseñor Nouel', ['evB|vLj@f@Xw@YQk@`@']],
+        ['DO', 'DO-29', 'Monte Plata', ['otB`vLl@{A{@qAk@vAx@tA']],
+        ['DO', 'DO-30', 'Hato Mayor', ['kvBbrLl@o@dAEcB[OpA']],
+        ['DO', 'DO-31', 'San José de Ocoa', ['mtBxwLT`@t@k@}@YMb@']],
+        ['DO', 'DO-32', 'Santo Domingo', ['erBjtLUALyAc@JNh@_@jAz@e@']],
+        ['DZ', 'DZ-01', 'Adrar', ['g{Cb]jWid@fA?ZqAz@k@DsAh@g@n@_DrCFRa@O{AkJTuGzMmSAqC~Ae@gCeAuAoIe@_Id@yH]|BjGdLtIZvD`BxDw@zDpG{CpIxOdBgD']],
+        ['DZ', 'DZ-02', 'Chlef', ['cbFsC\\FAg@`@Kd@yAa@[P_@yA^c@]h@~D']],
+        ['DZ', 'DZ-03', 'Laghouat', ['kkEiMaAyJqFxE~@zByCTzBjEpBgCh@FtB}@']],
+        ['DZ', 'DZ-04', 'Oum El Bouaghi', ['k_Fme@xAuGa@{@g@CURPf@{@t@Rh@]|@x@zB']],
+        ['DZ', 'DZ-05', 'Batna', ['o_Fkd@pA`DCx@fAR\\iBu@gBJc@n@BMwAx@]eALoBs@o@|C']],
+        ['DZ', 'DZ-06', 'Béjaïa', ['seFu[n@?d@j@n@IcAcCd@[Yo@]Do@fD']],
+        ['DZ', 'DZ-07', 'Biskra', ['gzEo^h@FRpBr@p@hB_@pA{Cw@i@_AEe@`@[WVuGgAGOx@o@BLvAo@CKb@j@x@AbB']],
+        ['DZ', 'DZ-08', 'Béchar', ['mhE|FZK@lIx@IZdD~Ab@h@y@p@Rf@nChB`DzAfAKzApGqCiAwIx@sCyAcDu@gFsIuFgC~C{DgAl@jDYhA']],
+        ['DZ', 'DZ-09', 'Blida', ['idFwTCxAx@lBJiBaA}A']],
+        ['DZ', 'DZ-10', 'Bouïra', ['cbFgZYAC~Ag@p@f@fALw@rACZu@Ae@}A_A']],
+        ['DZ', 'DZ-11', 'Tamanghasset', ['_rCyiA_Br@?xQm@b@_BpFi@f@iAK}Ah@YrAcAfAiAOs@|@mBT_BqCg@JoAnBKhLqBdDNtDbM\\~@rAd@fCpC_BlS@tG{MjJUmAoK{GqIqOa[']],
+        ['DZ', 'DZ-12', 'Tébessa', ['{vEsq@kCaAQZeCRxBzCxAd@TIYSl@EpBr@HoAuAoB']],
+        ['DZ', 'DZ-13', 'Tlemcen', ['atElIc@mBwAgAYb@i@Au@tAl@jDdAyAZRVa@TTv@[']],
+        ['DZ', 'DZ-14', 'Tiaret', ['g}EaMYrDZlAzA|AVy@XTbAe@JRhAsB{BkEcAs@{@`Am@F']],
+        ['DZ', 'DZ-15', 'Tizi Ouzou', ['seFgXr@z@\\]?kB{@k@UxB']],
+        ['DZ', 'DZ-16', 'Algiers', ['_dFoQ?u@c@??t@b@?']],
+        ['DZ', 'DZ-17', 'Djelfa', ['glEc^oADaAa@mAvC_DxAIp@eAd@cAi@q@z@Nz@YVdAt@@nApAaAnB`AlBc@_A{BpFyEd@_D']],
+        ['DZ', 'DZ-18', 'Jijel', ['cdF}`@ZU[{Dw@l@v@bD']],
+        ['DZ', 'DZ-19', 'Sétif', ['kbF_]b@yAjAf@^c@s@uC_Cn@Er@h@j@g@`@f@x@']],
+        ['DZ', 'DZ-20', 'Saïda', ['gvEwCqB@]jDx@r@~@}@fAvAt@[gB_F']],
+        ['DZ', 'DZ-21', 'Skikda', ['{eFaf@fAi@ByAPPFW{@wAgA^b@Jc@jC\\h@']],
+        ['DZ', 'DZ-22', 'Sidi Bel Abbès', ['ozE`@c@BYt@b@rA`APh@i@vAfAF}B{@sAcAz@q@g@']],
+        ['DZ', 'DZ-23', 'Annaba', ['wfFkl@xAk@[u@k@IQjB']],
+        ['DZ', 'DZ-24', 'Guelma', ['_aFyj@TWuAkDo@zBx@tAt@M']],
+        ['DZ', 'DZ-25', 'Constantine', ['ubFkj@c@x@n@`Ar@s@?_AY]e@T']],
+        ['DZ', 'DZ-26', 'Médéa', ['g}EaMVGAkAeAy@XW[aAZYuCCVlETU~A~A\\Q']],
+        ['DZ', 'DZ-27', 'Mostaganem', ['u~ETTu@Um@mBeAXnArAxA']],
+        ['DZ', 'DZ-28', 'M\'Sila', ['s~Eq^IrBg@C?pA^JIlAp@PW\\~@}@|@l@t@YX}@hB{@CUs@Zo@i@a@aC_@?Qr@eASUcB]`A']],
+        ['DZ', 'DZ-29', 'Mascara', ['c~Em@ObAhAvAlAwCeAeCaA`C']],
+        ['DZ', 'DZ-30', 'Ouargla', ['_gEsw@ItK}F`CWpGvBDrBzB|Ap@fJ|@fCzAd@dApBeDPyDEoFkAgDDgAkF{LSNUm@aJzA']],
+        ['DZ', 'DZ-31', 'Oran', ['s}E|Ef@GKkAd@GcBkBSfAt@~B']],
+        ['DZ', 'DZ-32', 'El Bayadh', ['gvEwClAdCfHd@XShEnAnC_DmAwA_CoGmA[qG~@aAn@yBjE']],
+        ['DZ', 'DZ-33', 'Illizi', ['szDqy@jFzLEfAjAfDnAoBf@KpBtC|A[v@}@bAPbAgAXsA|Ai@hAJh@g@~AqFj@a@@{Q}@f@u@xFw@l@}ABgD|BeA}A_AK}Ad@oBk@oA^kDIqDzA']],
+        ['DZ', 'DZ-34', 'Bordj Bou Arréridj', ['kbF_]\\x@U\\|@v@?qAf@BHsBsAg@c@xA']],
+        ['DZ', 'DZ-35', 'Boumerdès', ['sdFyRXoBy@}@^lD']],
+        ['DZ', 'DZ-36', 'El Tarf', ['{eFwt@HdDl@Vp@oAuAuBSF']],
+        ['DZ', 'DZ-37', 'Tindouf', ['m~Cjb@qIyOqGzCfAnHqGpCd@bIfCpEzG@bJ{Q']],
+        ['DZ', 'DZ-38', 'Tissemsilt', ['o_FuIO^dAz@PgE[Pa@]IvB']],
+        ['DZ', 'DZ-39', 'El Oued', ['yoEeo@yAl@q@Ku@fDWrGZXd@a@~@DpA~@VqG|FaCHuKiBpC}@HmAnBc@@']],
+        ['DZ', 'DZ-40', 'Khenchela', ['_~Eii@|Br@~@o@nAF`@uAuBs@i@DXRWHcB_Am@xC']],
+        ['DZ', 'DZ-41', 'Souk Ahras', ['gbFgs@Yd@HhAVEn@dBp@s@Ey@UoAmAQ']],
+        ['DZ', 'DZ-42', 'Tipasa', ['mcFsIb@AIyCq@oB]Jj@jAHrD']],
+        ['DZ', 'DZ-43', 'Mila', ['ocF{b@~Bo@q@kBg@f@i@c@BvC']],
+        ['DZ', 'DZ-44', 'Aïn Defla', ['o_FuIHwB}@aAK\\]_@IfEPRtA_@']],
+        ['DZ', 'DZ-45', 'Naama', ['mhE|FXiAm@kDwIYGl@`@j@mAn@j@tElANxCe@vAiBr@n@']],
+        ['DZ', 'DZ-46', 'Aïn Témouchent', ['w{EnGl@gA_AiA?tAi@Hz@p@']],
+        ['DZ', 'DZ-47', 'Ghardaïa', ['{dEaLxH\\pE[OuDe@eAgC{AgJ}@}Aq@sB{Be@~C`AxJpBI|Ap@']],
+        ['DZ', 'DZ-48', 'Relizane', ['__FyGeAlC`B|Ar@_CoAkB']],
+        ['EC', 'EC-A', 'Azuay', ['rNnoNnB~@T_@\\LDeAv@o@iEcCKZr@fA_AfB']],
+        ['EC', 'EC-B', 'Bolívar', ['jF|kNXfBpDs@kBu@_B@']],
+        ['EC', 'EC-C', 'Carchi', ['mFniNr@FrAmA^_A}@{@iB`E']],
+        ['EC', 'EC-D', 'Orellana', ['~BluMk@~A?f@ZAW^L|@wAfBCdA|@Ab@dA\\Wr@Lo@yAjAKGeBf@QNsBj@{@}Ba@Hc@aAF']],
+        ['EC', 'EC-E', 'Esmeraldas', ['}GtkN|@^SLl@pBZC]Hj@vAbBYQq@jAWFa@iAi@Hm@y@oB}BHo@dA']],
+        ['EC', 'EC-F', 'Cañar', ['rNnoN~@{BwAcAB|Ag@b@z@|@']],
+        ['EC', 'EC-G', 'Guayas', ['rOjsNfAh@y@gAM\\', '`RjrN@[mCcA]y@qBpC}C_Av@vAxAz@TK^z@t@}@r@L^r@f@s@oAu@\\ORXG_@kBY^RtA[zA`@']],
+        ['EC', 'EC-H', 'Chimborazo', ['vLpmNf@c@UqA}Cc@GfBrCp@']],
+        ['EC', 'EC-I', 'Imbabura', ['eAheNgB|B~@Av@rBZaDk@mA']],
+        ['EC', 'EC-L', 'Loja', ['fW`tN^`A^]t@Ne@y@p@}Bn@IeAcA{CCy@j@CZzAGPtC']],
+        ['EC', 'EC-M', 'Manabí', ['nIbxNCo@b@[_@k@UJwAy@w@iAcCi@Wd@wAVTh@ST|@DtAtAv@g@I\\z@VXbAz@a@bAN']],
+        ['EC', 'EC-N', 'Napo', ['~D|hNj@~Av@@GqCk@EGl@g@F']],
+        ['EC', 'EC-O', 'El Oro', ['fW`tNQwC{AHAh@e@EOr@j@XR|@dBa@']],
+        ['EC', 'EC-P', 'Pichincha', ['EleNi@nB@~Dj@Gl@oBX`@|@i@?kA}A]k@eA']],
+        ['EC', 'EC-R', 'Los Ríos', ['nFnnNaCe@\\l@_@^vEjAhB{BeD\\WU']],
+        ['EC', 'EC-S', 'Morona-Santiago', ['~Nd~MI~@uBfD{Az@Bb@dDt@z@EBYhCfBl@WCwA]IXSgBgAuAoF']],
+        ['EC', 'EC-SD', 'Santo Domingo de los Tsáchilas', ['dAflNYa@[`@KfC`@e@dAL\\[U{@m@W']],
+        ['EC', 'EC-SE', 'Santa Elena', ['xNjvN_@s@s@MwAdA@r@rAONt@dA}A']],
+        ['EC', 'EC-T', 'Tungurahua', ['~D|hNf@GNw@m@kE_@Z[Ml@zAq@O]Vc@eA{@DQhBh@dAzCh@']],
+        ['EC', 'EC-U', 'Sucumbíos', ['eAz`NGz@s@L@f@fBz@f@m@AaDvAgBM}@V_@[@?g@h@aBcBjACgAi@jBs@l@Sr@n@r@YhB']],
+        ['EC', 'EC-W', 'Galápagos', ['hCdmPn@~@Ai@m@U', 'jBtrPEt@`@NRg@o@]', 'xAfzPe@JBh@b@KAi@', 'v@`uPYh@VP@{@', 'pCpvPmDdBDb@VRBc@lBaAl@jAd@EEeBo@W']],
+        ['EC', 'EC-X', 'Cotopaxi', ['fC~hNE|@{@j@nBfAx@AYcDmAK']],
+        ['EC', 'EC-Y', 'Pastaza', ['tHjwMk@z@OrBg@PT~@]b@j@tEj@HpB{AnBcEmEeF']],
+        ['EC', 'EC-Z', 'Zamora Chinchipe', ['`UzhNBvAm@VPV~@XfCOfAdAd@_@Ho@wAkAoE{@']],
+        ['EE', 'EE-37', 'Harju', ['eqJgsCVoAXBq@yCn@yAu@a@E{AeA`@Ez@XKHXOxBVDCvAn@xB']],
+        ['EE', 'EE-39', 'Hiiu', ['coJijCh@u@]_Bo@hAZ|BFq@']],
+        ['EE', 'EE-44', 'Ida-Viru', ['wrJcnDCvFn@FTg@d@n@ZuC{AuAO{@W^']],
+        ['EE', 'EE-49', 'Jõgeva', ['snJqjDSfF|@jBPmD{@eD']],
+        ['EE', 'EE-51', 'Järva', ['ymJc`Ds@kAUl@k@?BvAhBx@T]MuA']],
+        ['EE', 'EE-57', 'Lääne', ['{lJmrC_@kBqA@S`Cb@JHk@Hh@`@AAwABbAh@K']],
+        ['EE', 'EE-59', 'Lääne-Viru', ['ksJo`DnAc@VP`@k@Q{Ba@a@Uf@w@FGjD']],
+        ['EE', 'EE-65', 'Põlva', ['ujJ_kDI~BLn@h@RTyFcAt@']],
+        ['EE', 'EE-67', 'Pärnu', ['yiJm{Ci@k@Kv@a@Ck@y@@dF^jBz@cBQ{AzAn@c@oC']],
+        ['EE', 'EE-70', 'Rapla', ['{mJyuCEuEs@Wm@bCn@nBv@E']],
+        ['EE', 'EE-74', 'Saare', ['slJepCYfCh@zAQr@^c@J`@ZgA`@n@JQu@q@u@mEGR']],
+        ['EE', 'EE-78', 'Tartu', ['}mJmjDl@bGdAJKaHgBP']],
+        ['EE', 'EE-82', 'Valga', ['eiJu~ClAoDaALm@m@ErCf@z@']],
+        ['EE', 'EE-84', 'Viljandi', ['}iJy{CV{Ac@gBy@Su@lAJlBZn@`@BJw@d@^']],
+        ['EE', 'EE-86', 'Võru', ['wfJedDFqDy@o@YhFjAG']],
+        ['EG', 'EG-ALX', 'Alexandria', ['y`E_xDdCCgAmAiAZs@g@~@|A']],
+        ['EG', 'EG-ASN', 'Aswan', ['ohCycE}@eBu@[NoAuA{@j@aBeAt@u@]eDn@gA_@eB\\o@v@zBm@fBFXl@h@SNl@r@RPaAtB~@Sp@`@pBt@Bl@hAROW]j@E']],
+        ['EG', 'EG-AST', 'Asyut', ['ukDu~D|C}BS_@T_@yA`A_@~@c@DAt@']],
+        ['EG', 'EG-BA', 'Red Sea', ['ohCgjEEkZsDnFeEj@B}@wB`CmLnFq@KuCbBq@IgCfCkBh@`@tCeA`CjEvAdD[`@aA~EkESiAj@o@xBz@nAgAdB]fA^dDo@t@\\bAu@i@`BtAz@OnAt@Z|@dB?mE']],
+        ['EG', 'EG-BH', 'Beheira', ['obEc{Df@l@jA[fAlAvAmC}AmB{AJeC|Aj@`@FUGd@']],
+        ['EG', 'EG-BNS', 'Beni Suef', ['wvDkaEv@n@ZbBUlB`AJFmF_B}@g@\\']],
+        ['EG', 'EG-C', 'Cairo', ['}{DifEUHl@vBdAIC_CyAF']],
+        ['EG', 'EG-DK', 'Dakahlia', ['obEueEVb@w@FG~@pD?kB_D]r@']],
+        ['EG', 'EG-DT', 'Damietta', ['_cEogEa@`@^pAFe@`@NiAs@`@i@']],
+        ['EG', 'EG-FYM', 'Faiyum', ['wvDkaE}@R?p@zBzDTmB[cBw@o@']],
+        ['EG', 'EG-GH', 'Gharbia', ['w~Do_ETyAkB?T~A~@E']],
+        ['EG', 'EG-GZ', 'Giza', ['wrD}xDaAKoA}Aq@gC~B}AXwAaDKB~BkAJe@nAtHhLh@lDrDdB?iGqBaDgBy@']],
+        ['EG', 'EG-IS', 'Ismailia', ['gaE{gEnAFVbA`AYCuDoCf@UzA']],
+        ['EG', 'EG-JS', 'South Sinai', ['iwDayEwA~IZ~A`AM|A{ArAIfDkE_J_C']],
+        ['EG', 'EG-KB', 'Qalyubia', ['u{DmdEq@~@YOf@x@r@c@OeA']],
+        ['EG', 'EG-KFS', 'Kafr el-Sheikh', ['ocE_}DzAyA]yAoAIOp@`@VHvAg@uA\\pB']],
+        ['EG', 'EG-KN', 'Qena', ['obD}hEBfA`@q@QmBzA|@xAi@eADgA{@m@Ba@j@RhA']],
+        ['EG', 'EG-LX', 'Luxor', ['o_D{jE?II??HH?']],
+        ['EG', 'EG-MN', 'Minya', ['}kDarDHiM_CV{AWGlFfBx@pB`D']],
+        ['EG', 'EG-MNF', 'Monufia', ['q|Du_E\\_Ae@Pc@g@[vAfAA']],
+        ['EG', 'EG-MT', 'Matrouh', ['snDc{CtA??sMsDeBi@mD_FeIeAbCwCLb@pBq@xBC`B[NBnA_@Xo@lGTdC]\\|@z@nB[xBz@zDw@bFA']],
+        ['EG', 'EG-PTS', 'Port Said', ['qbEshEb@EZ}@_AbA']],
+        ['EG', 'EG-SHG', 'Sohag', ['kbDufECgAqBfBi@`AR^jCaC']],
+        ['EG', 'EG-SHR', 'Al Sharqia', ['qaEigEfAfC`AR^WPg@]q@k@NGu@kAa@]\\']],
+        ['EG', 'EG-SIN', 'North Sinai', ['abEauESHd@lBLfB]BZR?pAdFq@NwDbA_FwI~B', '}aEsoEETNi@IR', 'ebEwmEN\\MaAAb@']],
+        ['EG', 'EG-SUZ', 'Suez', ['eyDakEWg@cAHBtDzFB]}C}A~@sAm@j@O']],
+        ['EG', 'EG-WAD', 'New Valley', ['ahDc{Cp^?@ef@o@@g@gAy@G]mBRq@sB_AS`As@SOm@i@RYm@sBEmD~AaB{@J|BiGfGaAR?tb@zB?']],
+        ['EH', null, 'Western Sahara', ['{kDfu@?ZjBEDzBn@pAa@zDZ|Bp@IhBjATbAfFhAfAnB`B~@x@rBrG`A`DhBNbM`CHoBS?sWiHXyAiBe@wByN?AySkIA']],
+        ['ER', 'ER-AN', 'Anseba', ['w}AmqFCkBoAhAB`@nA?']],
+        ['ER', 'ER-DK', 'Southern Red Sea', ['mnAolGeBrCeAPiAxBkCdBKnAq@f@xBj@l@_BfIuHT{@eAwA']],
+        ['ER', 'ER-DU', 'Debub', ['ooBgpF|AhAAj@nDENw@vBe@V}@nGsD^}BoAo@q@F@lAgAN_@f@`ADNXeQ~E', 'w`Bm{F?l@q@h@l@YGZPGEqA']],
+        ['ER', 'ER-GB', 'Gash-Barka', ['cxAicFCiBc@m@dAs@yCcAl@gAy@Ak@iBoA?y@xFuBxBdGbBlDS']],
+        ['ER', 'ER-MA', 'Maekel', ['qzAanFl@e@m@qBh@g@KeBgClALpDb@d@v@?']],
+        ['ER', 'ER-SK', 'Northern Red Sea', ['slBqlFl@dBv@RGrArBR~BcCXyC`@e@E{Aw@ZW|@wBd@Ov@oDD']],
+        ['ES', 'ES-A', 'Alicante', ['_rFDd@tBQ`ApAXzAe@JYaBq@oAsC[r@']],
+        ['ES', 'ES-AB', 'Albacete', ['qpFjEq@Q]`Aq@OW|@d@~CQxAd@Rf@Ff@o@f@VXu@dACq@uAE}AiAc@HiA']],
+        ['ES', 'ES-AL', 'Almería', ['shFfIu@fAk@CIl@nA\\Zv@`@BKd@fBv@@gE_CaB']],
+        ['ES', 'ES-AV', 'Ávila', ['wyFh`@QwC_BqAJr@gBv@@pAdALbBlBDkAZC']],
+        ['ES', 'ES-B', 'Barcelona', ['icGkPc@xAm@]OpAc@^Jj@v@CjAbApAq@{AgF']],
+        ['ES', 'ES-BA', 'Badajoz', ['iqFdl@~@Xr@m@p@}Dm@cA@{@u@D{AoC_@RWy@q@BlAbH]b@AxAe@DKp@h@j@j@{@n@r@']],
+        ['ES', 'ES-BI', 'Biscay', ['_nGtRj@t@KsAb@gA}@m@WfAPjA']],
+        ['ES', 'ES-BU', 'Burgos', ['oiGvPo@vAI{@q@`@?bBb@z@d@YRxAt@J|@W\\}@Td@n@K`@{@qA{ACq@YUc@h@eAAQu@', 'ijGlODn@PeAWT']],
+        ['ES', 'ES-C', 'A Coruña', ['yiGpu@i@}CmA?cBs@j@|BN[FZZSEzBb@lABUp@^E[^EMi@x@Z]{@']],
+        ['ES', 'ES-CA', 'Cádiz', ['{`Fj`@g@Kc@`A]u@g@G?e@YDPfF^XnBmAb@uAYu@']],
+        ['ES', 'ES-CC', 'Cáceres', ['mtFhl@a@g@Hm@f@I@yA\\c@gAoFg@r@g@EQj@kAGCrBg@x@p@~Cj@[~@Z@jBpA}@']],
+        ['ES', 'ES-CE', 'Ceuta', ['__Fv`@?WQ??VP?']],
+        ['ES', 'ES-CO', 'Córdoba', ['whF~WsAv@gBGmA~Cz@hB|@@dAu@^LQkAbAc@\\w@e@kB']],
+        ['ES', 'ES-CR', 'Ciudad Real', ['wtFbPc@nAn@rCUt@i@UDbBbDbBjAsCU{Gq@m@k@l@mA[', 'kuFt\\[T`@NEe@']],
+        ['ES', 'ES-CS', 'Castellón', ['i|FgBq@lCVd@x@QxAjB`@g@DwAaDmC']],
+        ['ES', 'ES-CU', 'Cuenca', ['ayFfFAh@_CzCp@bCf@@^dAjCy@VuBe@}CuBcA']],
+        ['ES', 'ES-GC', 'Las Palmas', ['enDd_B]B@z@p@Td@o@Wg@c@@', 'srDhvAfBp@\\x@a@sBwAUK\\', 'wuDfsAjAlA[mAo@?']],
+        ['ES', 'ES-GI', 'Girona', ['qhGuIdAgANqAh@^Xm@Lm@{@yAu@TSg@UZNhF[z@']],
+        ['ES', 'ES-GR', 'Granada', ['udFpRgBw@Je@a@C[w@oA]QPIz@zAjAAhBrA`DxAkBAaC']],
+        ['ES', 'ES-GU', 'Guadalajara', ['_zFdR_B{CFeAf@Yg@s@k@AcAnAP~Aq@~AJfBRX\\[j@P|BuA']],
+        ['ES', 'ES-H', 'Huelva', ['mgFhm@B_BYOXFfAkB}BEk@h@M}@c@Q{@~CxBrBpAS']],
+        ['ES', 'ES-HU', 'Huesca', ['gkGtCt@`@lA?Ie@|@V|B{CGqA[SYTwAiAaBM_@jG]b@']],
+        ['ES', 'ES-J', 'Jaén', ['_mF|Ne@Wo@`@TjIr@Q~@TrAw@@_@k@aA@iB_BuA']],
+        ['ES', 'ES-L', 'Lleida', ['qjGkDAh@lBQnA\\d@r@XU~@NeAmEi@Cg@}@u@DI]e@XJt@u@RS~A']],
+        ['ES', 'ES-LE', 'León', ['}lGd]v@nKpAn@@q@t@Ub@iGa@?a@}A}AAa@a@a@R']],
+        ['ES', 'ES-LO', 'La Rioja', ['shG`NYbCtAHd@q@QqCb@a@k@w@gAnC']],
+        ['ES', 'ES-LU', 'Lugo', ['ipGbo@jBr@xBEp@qCaBcAg@XW_@q@bA_@[c@dC']],
+        ['ES', 'ES-M', 'Community of Madrid', ['_zFdReAXc@r@_AI]ZhBrCrAv@Sg@f@wCj@f@u@sC']],
+        ['ES', 'ES-MA', 'Málaga', ['sdFrVw@~As@VBbArCpDj@gAsAeDC_C']],
+        ['ES', 'ES-ML', 'Melilla', ['k{EpQ?KM??JL?']],
+        ['ES', 'ES-MU', 'Murcia', ['qkFvCm@t@eBC_@^Pr@`AZD|At@z@^gAj@Bt@gAc@_AGuB[XUS']],
+        ['ES', 'ES-NA', 'Navarre', ['qmG|IhCrCjA}Cd@d@V}A{B[mAiBWhCg@GIdA']],
+        ['ES', 'ES-O', 'Asturias', ['wnG`k@PVl@_AZZXm@_@oANoB[gCu@yBw@jGb@nF']],
+        ['ES', 'ES-OR', 'Ourense', ['mfGjr@TWl@NSu@R}A]{AkAo@a@b@b@v@o@`EN`@bAW']],
+        ['ES', 'ES-P', 'Palencia', ['gjGpXy@bAJfAvEf@Z}Di@[BVyA|@w@IMe@']],
+        ['ES', 'ES-PM', 'Balearic Islands', ['isFaI@p@d@ZJc@s@i@', 'swF}SAh@c@GlAdDBaAx@kAmAmAWR', 'qxF{Y]d@J|@f@yAUI']],
+        ['ES', 'ES-PO', 'Pontevedra', ['mfGjr@cAVQqAs@DXvCn@j@Dw@b@h@Oq@j@v@l@Cs@cC']],
+        ['ES', 'ES-S', 'Cantabria', ['gnGd[x@~@LsAv@_AIu@W^][o@iCg@nAV~D']],
+        ['ES', 'ES-SA', 'Salamanca', ['wzF|i@g@aCd@aBcBmBcAI[nHp@x@^WrBH']],
+        ['ES', 'ES-SE', 'Seville', ['seF|e@JcAi@sARq@aAoBsAbAPjA_@Mu@d@[|@n@hAh@FL|@j@i@dBJD]']],
+        ['ES', 'ES-SG', 'Segovia', ['i}F~XyB_Ew@bA`@`E~@f@zAy@Ks@']],
+        ['ES', 'ES-SO', 'Soria', ['eeGrJe@vAZt@Wd@jBzCv@cAj@aFq@RkAkAo@L']],
+        ['ES', 'ES-SS', 'Gipuzkoa', ['enGdJJzBdAd@D_BwAaA']],
+        ['ES', 'ES-T', 'Tarragona', ['m`GcIkAd@?l@j@n@BdBh@n@jAF`@eB[e@Ob@q@{@]}B']],
+        ['ES', 'ES-TE', 'Teruel', ['yxFdFPgAaBcBy@PMmBy@SaAbDn@ZIpAh@fBdAMf@r@~@oCTJ']],
+        ['ES', 'ES-TF', 'Santa Cruz de Tenerife', ['amD`oBXl@Nc@i@I', 'ioDdkBd@IO_@Uh@', '}nDteBsA}@j@~CdAm@]s@', 'csD~mBFn@~@_@gAO']],
+        ['ES', 'ES-TO', 'Toledo', ['wyFh`@n@JPk@f@Df@s@a@OZU_@mCj@RR{@i@uD{Br@d@~Bi@k@g@vCd@~D']],
+        ['ES', 'ES-V', 'Valencia', ['gwFd@q@~DhBhAZeAl@PVUr@iBe@uBeBx@aAY', 'ayFfFe@XH^Zy@']],
+        ['ES', 'ES-VA', 'Valladolid', ['{bGzWm@ZSlDkA@NjAnASHTl@_@dARN}Ae@mAWFa@iB']],
+        ['ES', 'ES-VI', 'Araba / Álava', ['oiGvPZuAUNIg@o@GOdAUIKxBj@c@Hz@n@wA', 'ijGlOVUQdAEo@']],
+        ['ES', 'ES-Z', 'Zaragoza', ['cjGrDh@jAzBXQvAx@KTf@b@GA`@n@Dn@eCe@o@DmBo@g@v@mCcAWFpA_C|C{@YHd@_BC']],
+        ['ES', 'ES-ZA', 'Zamora', ['caGng@b@kFqAMm@^k@U_@nAMnFp@R@mAx@IPaAt@t@']],
+        ['ET', 'ET-AA', 'Addis Ababa', ['ww@uqFN`@`@_@q@A']],
+        ['ET', 'ET-AF', 'Afar', ['giAieGuBqAsC|B{DbE_AdCZrAnA[nELX[fBXfFwAbEL@X`@Qd@LA`@fAJhBo@{EeEqCKs@a@IgBmBBcAk@']],
+        ['ET', 'ET-AM', 'Amhara', ['cuAwbFvE~@FvAhCtAVKFm@m@m@fAkAYc@zAc@hBf@`AKn@eDl@Ub@mA{@oCm@O@eA`Ab@hCgDHr@ZWdALM{AmDQ@a@cADE[cEMyFrABdBmCH@h@sBlBj@|GqAtB']],
+        ['ET', 'ET-BE', 'Benishangul-Gumuz', ['eiAuzEfEf@d@d@g@f@|@v@nGf@@w@wASHm@wAe@ToAzC_DcAe@qBZy@iAXQQ{Am@jCcD_@{Ab@Xb@eA|@j@z@]x@PR', 'ow@k`Fb@HLo@q@d@']],
+        ['ET', 'ET-DD', 'Dire Dawa', ['w{@sgGNrB`@B?cAq@s@']],
+        ['ET', 'ET-GA', 'Gambela', ['wt@etEl@fAQdBzBj@b@kCxBsBOmE{@EIr@eAl@m@CUg@uAbE']],
+        ['ET', 'ET-HA', 'Harari', ['mx@agGa@CCZ\\LFe@']],
+        ['ET', 'ET-OR', 'Oromia', ['wt@etEtAcETf@l@BdAm@Ga@_AQEkAi@QdBk@dAmD]{A}BABm@wAR@oC\\W]y@z@GWZh@M`Bd@tAfABkBz@Gr@wAfAIu@`CrAf@PSJ^y@Zw@g@_@pApBPx@{@P\\lAFJxDvC~@JiAvCwER_Da@uAsIgCGgBw@mAoCJo@a@z@uBq@iAyBo@y@dAaEe@[g@Xm@dAa@oAo@kFpBp@r@G`Df@rAWKCh@xBbC}@b@v@RPvAeBLIs@yAfCu@`@I_@o@GEXjBlEc@lAo@XHtBWTv@dApB[bAd@{C~CUnAvAd@Il@vARAv@xBE', 'ww@uqFp@@a@^Oa@', 'ow@k`Fp@e@Mn@c@I', 'mx@agGGd@]MB[`@B']],
+        ['ET', 'ET-SN', 'Southern Nations', ['qd@qyE`CaAFcB|AHbAe@JwCsCu@KyDmAGQ]y@z@qBQ^qAv@f@x@[K_@QRsAg@t@aCgAHs@vA{@FCjBuAgAkDm@K^d@Z]VAnCzASGl@vB?^p@_AvEgBt@f@D?~@f@f@lBQD`FrAcBdCu@']],
+        ['ET', 'ET-SO', 'Somali', ['_q@{jH?fEiEvQoAnB_DrBsAd@iAu@FhIv@d@pCJdB~@@i@VJg@sAFwAa@IWkBvDoBtAGt@l@_BnAd@n@vD\\x@eAxBn@p@hA{@tBn@`@nCKv@lAFfBbHjBnAjATyA{A}@qAuDbAoAAgCo@s@UqCkBkCMyGiR_R']],
+        ['ET', 'ET-TI', 'Tigray', ['cuAwbFpAuBk@}GrBmBAi@lCIEiB}HCmA\\[aAU~AX|@i@f@l@rB{AjBxCbAeAr@f@v@EvAdBX']],
+        ['FI', 'FI-02', 'South Karelia', ['qaKm{D~AhK@pF^sAp@p@x@kDmFmL']],
+        ['FI', 'FI-03', 'Southern Ostrobothnia', ['ckKcsCU|@X`CpBxAKfB|An@\\o@d@ZHmA}@qBg@_K_@KoAz@KQs@bC']],
+        ['FI', 'FI-04', 'Southern Savonia', ['qfKcrDlAhCs@tBLdCj@HPrAvAy@r@t@l@mAFgC]LGx@AqFe@uEs@wAuBvAo@tB']],
+        ['FI', 'FI-05', 'Kainuu', ['kxKyxDC~AtApG?fBt@?bArEj@{Af@GjAcHg@s@@cF^UOuAs@kAa@Bc@hBa@NMm@YJ[`BWDQq@Wt@s@]']],
+        ['FI', 'FI-06', 'Tavastia Proper', ['g~JwzCp@bFVMI`CJQP\\v@cFSeDuAc@k@hA']],
+        ['FI', 'FI-07', 'Central Ostrobothnia', ['umKunCRqCNv@x@aAf@uBCkAi@GUq@mCfGjAnC']],
+        ['FI', 'FI-08', 'Central Finland', ['skKkbDWdEl@hAh@FN|AxA}@v@nBx@mD|@UTh@`@c@G{Ae@QWcA^cCcBv@k@iB]v@OS_@Na@zAIu@aBb@']],
+        ['FI', 'FI-09', 'Kymenlaakso', ['czJ_nDy@jDi@MWbA`@bDv@Gj@_Cb@b@]cCTsAe@iA']],
+        ['FI', 'FI-10', 'Lapland', ['mnL}sDa@Rs@aBg@d@sA~F\\jGn@fB|At@l@KtApDs@bEf@pCQ|CoBxCDjBf@D?xAnBaHPsCvAiDPb@t@MRVLcAt@d@bAsAdAdAf@G~AgBYcB\\^VYHqAk@oERmCo@uBVeEa@DCiAS\\W]Mh@_@[FkD_BbB{C_EkAfCYdCaAh@}@eAKlAYkB']],
+        ['FI', 'FI-11', 'Pirkanmaa', ['wdKcuCYd@j@dEf@LLj@b@u@bBp@TeAb@ONiDWLa@cBGwBc@O_@`@Ui@}@T_AlD']],
+        ['FI', 'FI-12', 'Ostrobothnia', ['cbKgdCOaAg@U_@l@}Ao@N_BiAsAYPk@yCTgAm@t@Ky@Y`D`@\\Mb@n@b@IZPYGh@b@[ZdAWPFlAd@e@Ap@rAhAdA{@`AH', 'ijK{dCGbAZ_@Sc@', 'ijKkiCQQB^LM']],
+        ['FI', 'FI-13', 'North Karelia', ['mmKozDY|GXh@Nq@x@]`@Zl@wAHXP]@|@b@Tt@{BpAkAp@RYuByA{CyB_CgDxH']],
+        ['FI', 'FI-14', 'Northern Ostrobothnia', ['e~KuwDGjD^ZLi@V\\R]BhA`@EWdEn@tBE`H\\z@Vu@dA\\\\m@?p@Za@BbD~BdDlCgG[g@ZuDY]k@Hk@}Bm@Tk@zAcAsEq@HwBoPwCnB']],
+        ['FI', 'FI-15', 'Northern Savonia', ['eoK}fDj@|Bj@Ij@f@nAm@Ht@b@}Al@DAqDr@uBUeA{AyAC_AgA|Aa@[{@^eAxI']],
+        ['FI', 'FI-16', 'Päijänne Tavastia', ['a`KocDe@zAVbAd@PBpBb@KTcAfA`@VwEqAV_@}ASl@o@E']],
+        ['FI', 'FI-17', 'Satakunta', ['q|JydC^sCc@iDs@tAaBq@c@t@Mk@g@M`AnHpAoAEr@LY?`@L]BVf@U\\\\']],
+        ['FI', 'FI-18', 'Uusimaa', ['uyJ}dD_@r@JnC[jA^NTtBQzBxAr@PzBLo@V\\Uk@j@vAEgAm@{@TVEkEa@Sg@_FTs@]PJu@]d@TsAi@i@']],
+        ['FI', 'FI-19', 'Finland Proper', ['uvJ{nCQ{ByAs@QdCYPO_@[zAf@hCa@hD`Aa@HVd@i@[w@\\HNeDf@P_@mBb@h@L]', 'owJwmCBlAN]Db@TI?s@y@m@HV']],
+        ['FJ', 'FJ-C', 'Central', ['tlBiza@VDSlApAD@d@l@D]sDgBl@']],
+        ['FJ', 'FJ-E', 'Eastern', ['nuBeza@`@~ADm@g@q@', 'noB}_b@KVb@WW?']],
+        ['FJ', 'FJ-N', 'Northern', ['|gB~cb@`@?e@c@Bb@', '~hB_db@a@?^T@U', '`dB_db@z@vE`@VAt@^Fj@o@_AkBVEGyB}@En@zAiBgB']],
+        ['FJ', 'FJ-R', 'Rotuma', ['fmAgqa@?YI??XH?']],
+        ['FJ', 'FJ-W', 'Western', ['zpBcva@m@EAe@qAEPoAcAd@VxBrAfAp@MTwA']],
+        ['FK', null, 'Falkland Islands', ['tcI|{Je@QNx@Tg@', 'jbItsJaAsAE`DTX[bBbAqBCjBVMEiABr@j@PHdBd@yAcB_E', 'd`I`wJQSEl@VY', '`bIjhJ]`A?iA_@XFjAl@K_@x@Ke@UNMjBTQh@|@l@c@Qj@nAdBl@kAg@VLqAk@j@V}B[Aa@|@PgBg@wB', '|cIblJFXLWUA']],
+        ['FM', 'FM-KSA', 'Kosrae', ['{_@ey^?[W??ZV?']],
+        ['FM', 'FM-PNI', 'Pohnpei State', ['kj@i|]?^ZI[U']],
+        ['FM', 'FM-TRK', 'Chuuk State', ['_`@kc\\?k[eV??j[dV?']],
+        ['FM', 'FM-YAP', 'Yap State', ['yy@{}Y?oNiA??nNhA?']],
+        ['FO', null, 'Eysturoy', ['w~Jph@a@LKn@l@}@', 'qcKbl@l@gBeAhAV\\', 'ucKzg@M]U\\b@?']],
+        ['FR', 'FR-01', 'Ain', ['q`Hge@LxBq@nBlBf@\\a@MyAl@u@yAe@m@y@']],
+        ['FR', 'FR-02', 'Aisne', ['iwHyXI`En@RbAUn@f@dAeB_Au@YRMoAs@?Uc@m@R']],
+        ['FR', 'FR-03', 'Allier', ['k_HaOW_A^YZcC}A}@}@hAP\\[`BhApCv@_A']],
+        ['FR', 'FR-04', 'Alpes-de-Haute-Provence', ['cvGkj@h@`AOn@\\XEt@j@NLjAz@E\\aBm@uDq@n@eBo@']],
+        ['FR', 'FR-05', 'Hautes-Alpes', ['mvG_k@qApA?fAr@QFfAnApBl@{AUHa@m@BkBs@uA']],
+        ['FR', 'FR-06', 'Alpes-Maritimes', ['qrGao@s@`Df@b@p@o@Tz@|@y@w@mBaAi@']],
+        ['FR', 'FR-07', 'Ardèche', ['czGa]JdA`BtBrAc@HyBeCm@eAN']],
+        ['FR', 'FR-08', 'Ardennes', ['gvHa^@ViADb@`@DtAfBd@d@}DaAYGw@e@rA']],
+        ['FR', 'FR-09', 'Ariège', ['qjGkDh@qBMsC]z@IWm@Fg@tAh@fBv@Z']],
+        ['FR', 'FR-10', 'Aube', ['inHe\\c@|Ab@dAO|@d@\\`BiB@iAi@mBoA`@']],
+        ['FR', 'FR-11', 'Aude', ['cmGgSk@bEBrAb@Z\\s@`AHTw@g@c@@gCkAe@']],
+        ['FR', 'FR-12', 'Aveyron', ['{uGyLXjAz@QP{AfAaAH_A}@sAyDnC|@fB']],
+        ['FR', 'FR-13', 'Bouches-du-Rhône', ['{lGmb@mBSJn@s@vC|AnBTyBm@Xn@a@k@a@Ng@Zf@^_C']],
+        ['FR', 'FR-14', 'Calvados', ['msH~E~@s@d@v@JSc@eH}AZ\\dBMrD']],
+        ['FR', 'FR-15', 'Cantal', ['mzGkRKtCtAx@v@MDcAu@s@z@q@q@YKs@oAt@']],
+        ['FR', 'FR-16', 'Charente', ['i~GRb@LHx@n@k@d@FVw@{CwDa@f@`@bD']],
+        ['FR', 'FR-17', 'Charente-Maritime', ['gzGlC`@kCa@v@c@Io@j@i@iAmAfE`@VxAk@@r@lAkB', 'c~GrFUb@n@e@Y@']],
+        ['FR', 'FR-18', 'Cher', ['cfHoJPLBu@h@Q~AAyAyDaCf@OlCd@Qd@pA']],
+        ['FR', 'FR-19', 'Corrèze', ['s|GyJj@xB`A?h@aBIgAsAk@@[{@E?|B']],
+        ['FR', 'FR-21', 'Côte-d’Or', ['{fHuXvAsBSyBy@k@_AHO`BaAv@RpArBb@']],
+        ['FR', 'FR-22', 'Côtes-d\'Armor', ['ioHvUbBOAgB`@oAq@cCi@Mi@pAd@fA}@`AJVWEFrA\\V']],
+        ['FR', 'FR-23', 'Creuse', ['s|GyJGwBQPc@g@s@X]j@LfDrAUl@iA']],
+        ['FR', 'FR-24', 'Dordogne', ['_yGDr@CA_Ah@MPkCyAkAe@j@m@Iu@`CtBdC']],
+        ['FR', 'FR-25', 'Doubs', ['mgHkj@YXJ`Bl@zBp@Ip@{Ah@LyCsDC`@OM']],
+        ['FR', 'FR-26', 'Drôme', ['mvGic@QdAw@E?|@s@b@Fd@dAOzBl@b@gEu@l@y@kA']],
+        ['FR', 'FR-27', 'Eure', ['}sHy@hBUl@sAUeBs@Ui@cAe@n@b@fB_@j@AdB']],
+        ['FR', 'FR-28', 'Eure-et-Loir', ['qkHeDTiCWeAm@YyBdBt@dCn@_@Tf@l@I']],
+        ['FR', 'FR-29', 'Finistère', ['qiHbU_@]a@bAc@i@sAVb@~E`@@O_BP^Ds@GfA`@@Ju@NvAJ{@`@KUo@\\uB']],
+        ['FR', 'FR-2A', 'Corse-du-Sud', ['sdGwy@?`@a@@y@dAM~@T[XXPc@\\X?g@^\\Js@XVd@sAaBc@']],
+        ['FR', 'FR-2B', 'Haute-Corse', ['{gGqt@J{@x@eA`@A?a@y@_@gDRAT`AJPrBf@Z']],
+        ['FR', 'FR-30', 'Gard', ['snGiYkB_Cw@d@IxBYJ`ATFtBn@_@Wu@Rm@pAs@']],
+        ['FR', 'FR-31', 'Haute-Garonne', ['{iGcCwAmABo@c@CHcAo@oA[fAy@XXxBl@m@tArC`@g@t@`@Ae@']],
+        ['FR', 'FR-32', 'Gers', ['ioGTr@oCImAo@e@eAtASOCp@^~Cx@JH_@']],
+        ['FR', 'FR-33', 'Gironde', ['}tGxFByBp@oAOi@wA][g@Bx@w@?g@rCtAc@gCjBzDd@]QTYf@h@']],
+        ['FR', 'FR-34', 'Hérault', ['eoGuXe@Em@rAbAvEr@N\\gCaAmD']],
+        ['FR', 'FR-35', 'Ille-et-Vilaine', ['knHdKn@@`@`Ax@o@f@H[iDk@i@cBFDhAo@lAJd@TO']],
+        ['FR', 'FR-36', 'Indre', ['}eHiGvAxAfA{@QiE}BZCv@_@HRlA']],
+        ['FR', 'FR-37', 'Indre-et-Loire', ['}eHiGWj@y@LUlATpAxA`@pAmDyAmA']],
+        ['FR', 'FR-38', 'Isère', ['czGa]Ge@r@c@?}@v@DNe@]oCiBf@GpAwAlAx@pBx@A']],
+        ['FR', 'FR-39', 'Jura', ['_bHke@i@Mq@zAq@HCb@|@t@Vi@vA\\\\a@AoAw@s@']],
+        ['FR', 'FR-40', 'Landes', ['coGlHI}F}@CAy@i@MqArFJ`@xDr@']],
+        ['FR', 'FR-41', 'Loir-et-Cher', ['cfHoJM{@iAOBtAYn@k@?MtChAd@PuAx@MVk@EeB']],
+        ['FR', 'FR-42', 'Loire', ['_{Gw\\i@jAoAX_@a@C`CtANz@w@\\NGqA\\{@g@_@']],
+        ['FR', 'FR-43', 'Haute-Loire', ['mzGkRhBkALmA}AyBa@b@FnF']],
+        ['FR', 'FR-44', 'Loire-Atlantique', ['_eHlKb@wA_@?CuAw@h@MqA]p@I_@m@xAvAzE`@eDMrAZPRq@']],
+        ['FR', 'FR-45', 'Loiret', ['}jHoHj@EVi@`@wDQy@c@Zq@y@]^D`Be@LEd@dAhC']],
+        ['FR', 'FR-46', 'Lot', ['{uGyLgA\\MjBfBfBl@]LsAmA_C']],
+        ['FR', 'FR-47', 'Lot-et-Garonne', ['msGZTw@\\HMuBUi@sAe@a@zDdBv@']],
+        ['FR', 'FR-48', 'Lozère', ['{tG}Wy@Vi@`BLt@p@XjA[\\oACgAaAU']],
+        ['FR', 'FR-49', 'Maine-et-Loire', ['siHxFlAaALpA|@q@I_EQe@yAa@c@hH']],
+        ['FR', 'FR-50', 'Manche', ['_oH|Hb@c@GmBe@WYpAi@y@iBxA[ICfCbAW\\u@~A?Te@?l@']],
+        ['FR', 'FR-51', 'Marne', ['ioHe^mB@a@vDTpAXSpAfAl@{A_@m@^yA_@{A']],
+        ['FR', 'FR-52', 'Haute-Marne', ['ioHe^j@dAt@k@b@^`Aw@?mCm@i@c@n@SKaBpC']],
+        ['FR', 'FR-53', 'Mayenne', ['oiHrAgCgAW`@JhDbBGd@f@HcD']],
+        ['FR', 'FR-54', 'Meurthe-et-Moselle', ['stHec@N`AJo@bA[nBLZi@_@}EgB~Eq@Eq@h@']],
+        ['FR', 'FR-55', 'Meuse', ['auHu`@Hx@vCd@lAqBQy@{AOsAXGl@e@R']],
+        ['FR', 'FR-56', 'Morbihan', ['qgHjN_@iAm@Gy@n@?|Gb@aAX^TQCcAp@@c@_@Fy@Jl@JQA{AJR']],
+        ['FR', 'FR-57', 'Moselle', ['ctHuf@CrAtAChBcFo@m@[bA_@SVs@S{@Yl@@jC{@fA']],
+        ['FR', 'FR-58', 'Nièvre', ['{fHuXk@zBB|BxCa@Na@SiDi@Hg@k@[T']],
+        ['FR', 'FR-59', 'Nord', ['i~HwNNzAbA}@FcBPN|@kAb@NA_Fg@@GbBc@PIbAq@ZGdBu@R']],
+        ['FR', 'FR-60', 'Oise', ['uuHoRX~Ae@pDhBJZqGk@RWi@u@H']],
+        ['FR', 'FR-61', 'Orne', ['cnHjDK}Bb@c@QgAx@{Aq@i@eAn@e@zAX`EbA`@']],
+        ['FR', 'FR-62', 'Pas-de-Calais', ['yyH}HdA}FEm@a@O_AjAWIA|AcA|@Z~AbBA']],
+        ['FR', 'FR-63', 'Puy-de-Dôme', ['g~G_V{@`DVz@`@E\\f@`ASf@cBYaAJoB[O{Ax@']],
+        ['FR', 'FR-64', 'Pyrenees-Atlantics', ['qmG|IHeAd@JKa@bAoCKs@eBaAk@TEhAHpEp@n@']],
+        ['FR', 'FR-65', 'Hautes-Pyrénées', ['ujG|@Z{Cu@a@a@f@c@a@w@jCp@UdB`A']],
+        ['FR', 'FR-66', 'Pyrénées-Orientales', ['{hGwId@y@QiFoAXMd@hAbF']],
+        ['FR', 'FR-67', 'Bas-Rhin', ['oqHwn@Rz@Wp@ZT^cAn@l@b@Cj@uAgDcCOnB']],
+        ['FR', 'FR-68', 'Haut-Rhin', ['wkHkn@c@hAbAr@^NfA{@[sAkB@']],
+        ['FR', 'FR-69', 'Rhône', ['q_H_]WlAn@^nAYh@kAu@oAq@pAi@I']],
+        ['FR', 'FR-70', 'Haute-Saône', ['qfHoa@q@{Fw@K_@nDx@t@N~@~@]']],
+        ['FR', 'FR-71', 'Saône-et-Loire', ['weHiY^h@h@IHtAt@gAr@NQsCX_@aA[@_B_ALIUWh@NnBs@~A']],
+        ['FR', 'FR-72', 'Sarthe', ['oiHrAb@aDi@eAgAa@_AvBRtAxBz@']],
+        ['FR', 'FR-73', 'Savoie', ['e{Ggk@wAnBl@t@s@pAv@n@j@_@?iAx@ER{@_@wBs@C']],
+        ['FR', 'FR-74', 'Haute-Savoie', ['a~G{j@k@p@s@CIb@fAzCr@I^iAm@s@b@g@g@}@']],
+        ['FR', 'FR-75', 'Paris', ['apH{L?s@S??r@R?']],
+        ['FR', 'FR-76', 'Seine-Maritime', ['itHaBl@iBe@iAHy@kAMy@jAbA`Fh@^DqA']],
+        ['FR', 'FR-77', 'Seine-et-Marne', ['}lH}Md@OG{Ag@UIgAg@[[ZSOo@bA@nBbCHTZ']],
+        ['FR', 'FR-78', 'Yvelines', ['wqHcIFb@bA[r@cAcA}@g@HSnB']],
+        ['FR', 'FR-79', 'Deux-Sèvres', ['k`HvC`AcCY{@m@DOb@wAGk@ZJdD~BkALf@']],
+        ['FR', 'FR-80', 'Somme', ['}wHqGhAaBV{CY_Bu@MoAbId@SVz@']],
+        ['FR', 'FR-81', 'Tarn', ['asGkKH~@n@T~AeBEmBg@EKy@Kr@eAx@MnA']],
+        ['FR', 'FR-82', 'Tarn-et-Garonne', ['asGkKa@RVfB_@vA|@b@v@_@BeAeAqAI_A']],
+        ['FR', 'FR-83', 'Var', ['wnGij@aA|@ZtBQp@rBTZeB_@cBONg@aA']],
+        ['FR', 'FR-84', 'Vaucluse', ['ipG}b@Qh@kA^YnCnAUr@wCKk@']],
+        ['FR', 'FR-85', 'Vendée', ['m`H~EKoByBdAKtBb@Hc@vA\\ZnAaAb@gC']],
+        ['FR', 'FR-86', 'Vienne', ['i_H_Ds@kAYFyA|AUxCpDi@Xc@MeB']],
+        ['FR', 'FR-87', 'Haute-Vienne', ['s|GyJm@hA}Ad@`@jBr@Yr@v@r@{Bq@}B']],
+        ['FR', 'FR-88', 'Vosges', ['gnHik@Vv@FdD[ZVrA`@y@p@QZuE_BcAk@V']],
+        ['FR', 'FR-89', 'Yonne', ['ihHqQ@gBp@iB{A_Ag@VFz@_BfBHfAf@T^e@t@x@^[']],
+        ['FR', 'FR-90', 'Territoire de Belfort', ['mgHkj@Si@y@|@TNv@c@']],
+        ['FR', 'FR-91', 'Essonne', ['{oH}Ll@v@t@C[oBu@GQbA']],
+        ['FR', 'FR-92', 'Hauts-de-Seine', ['spHeMJVT]a@D']],
+        ['FR', 'FR-93', 'Seine-Saint-Denis', ['spHeMP_Ag@DTx@']],
+        ['FR', 'FR-94', 'Val-de-Marne', ['kpHmNT\\Jq@a@R']],
+        ['FR', 'FR-95', 'Val-d\'Oise', ['_qHoMWs@]nD\\NPmBRHMg@']],
+        ['FR', 'FR-GF', 'French Guiana', ['q_@nrI|@`@hCOtCqA`Ah@v@GfBxAj@aBs@iAd@_D_AiAaCm@qDgCeA@w@d@bA`@_AIm@l@^Ti@KeBhCy@fDAXhBjA']],
+        ['FR', 'FR-GP', 'Guadeloupe', ['ydBt_KCp@fAUcA[', 'ydBr_KFkAs@z@j@N']],
+        ['FR', 'FR-MQ', 'Martinique', ['kyA`{J_ALMbAv@k@RL@s@']],
+        ['FR', 'FR-RE', 'Réunion', ['zbCu{Im@h@^dAbAeAEm@o@B']],
+        ['FR', 'FR-YT', 'Mayotte', ['nnAoyGC^v@Ks@S']],
+        ['FR', null, 'Clipperton Island', ['g_AviT?EG??DF?']],
+        ['GA', 'GA-1', 'Estuaire', ['gEc`AN~A[t@tBJi@LLl@~@e@PiBLt@TIO~@k@b@tB?|@s@_@?GkB_CoCoBYb@nBgAC']],
+        ['GA', 'GA-2', 'Haut-Ogooué', ['PyuAYxBn@DpB}@bEzCzBe@LaBcAw@jAWYiAYNiB{@sEIiAzBa@A']],
+        ['GA', 'GA-3', 'Moyen-Ogooué', ['m@kgABtDtBnBFjBhAM\\w@j@@R_@Sy@iB{@IcB`@oAgCv@{@{@']],
+        ['GA', 'GA-4', 'Ngounié', ['zJylAu@rAm@?cAv@Hf@gAAa@nAHdBnEzCx@uBdA]I{AjB}A}AE?qDuA@']],
+        ['GA', 'GA-5', 'Nyanga', ['nPcgAmBbBJtA`Av@ThAlFeFuAiAb@e@Cm@iAGYp@_@Qi@n@']],
+        ['GA', 'GA-6', 'Ogooué-Ivindo', ['sFkqAAdDjA\\bBnCb@Sp@z@dCw@eAsDgC]dAcGsAG}AcBeBf@SzAh@xB']],
+        ['GA', 'GA-7', 'Ogooué-Lolo', ['xJsnAyCsAFSqA{@mB|@o@Eo@lB@VdC\\bB~Dj@KKe@`Au@rAe@NiB']],
+        ['GA', 'GA-8', 'Ogooué-Maritime', ['dPg}@UiAaAw@eA\\e@hBeB[eEvCvBz@w@|@lCaAT_@Y]x@HSa@ZSLv@yAz@xBw@Ps@ZCe@t@|AaAh@oBLb@e@v@|@s@']],
+        ['GA', 'GA-9', 'Woleu-Ntem', ['oLarAWXChJbG@?vDdABa@oBtB\\?yCWRcBoCkA]@eDgCBs@Y']],
+        ['GB', 'GB-ABD', 'Aberdeenshire', ['sgJrPd@UDv@f@Bf@pC\\JIyDn@uAgAiA@v@YIAs@o@w@m@n@?bD']],
+        ['GB', 'GB-ABE', 'Aberdeen', ['udJvKX|@?w@YE']],
+        ['GB', 'GB-AGB', 'Argyll and Bute', ['s|It[kAJId@w@k@@fC^`@QqAn@dBn@G\\b@S[n@PIi@b@l@fARIq@sAi@o@Xi@mAI[v@rA\\GIi@UDX]y@IG_@h@RJu@', '}yIt^e@XHd@d@QIm@', 'i{Itd@i@TP|@`@HSq@f@F]s@', 'u}Ifc@z@r@}@iA@T', 'u_Jpb@k@zARd@H_AVb@?c@JdAUgC']],
+        ['GB', 'GB-AGY', 'Anglesey', ['elIrXO|Ar@_@c@}@']],
+        ['GB', 'GB-ANS', 'Angus', ['saJfNo@tARhBnAy@@kAu@y@']],
+        ['GB', 'GB-ANT', 'Antrim', ['}tIrg@ZMQqA]XRdA']],
+        ['GB', 'GB-ARD', 'Ards', ['utIva@b@r@Oc@l@[aAJ']],
+        ['GB', 'GB-ARM', 'Armagh', ['qrI|i@^k@Uy@c@d@X~@']],
+        ['GB', 'GB-BAS', 'Bath and North East Somerset', ['m_I~O?yA_@??xA^?']],
+        ['GB', 'GB-BBD', 'Blackburn with Darwen', ['cnIxN?c@_@??b@^?']],
+        ['GB', 'GB-BDF', 'Bedford', ['sdIpBQ_AUp@HZ\\M']],
+        ['GB', 'GB-BDG', 'Barking and Dagenham', ['y`IM?YU??XT?']],
+        ['GB', 'GB-BEN', 'Brent', ['_aI`A?_@Q??^P?']],
+        ['GB', 'GB-BEX', 'Bexley', ['e`IO?]W??\\V?']],
+        ['GB', 'GB-BFS', 'Belfast', ['qtI|c@D^Dq@KP']],
+        ['GB', 'GB-BGE', 'Bridgend', ['k`IjUa@WId@ZRNa@']],
+        ['GB', 'GB-BGW', 'Blaenau Gwent', ['cbIrS?g@W??f@V?']],
+        ['GB', 'GB-BIR', 'Birmingham', ['cgIzIQP\\f@Ky@']],
+        ['GB', 'GB-BKM', 'Buckinghamshire', ['edIlD@t@n@EJm@`@@LmAq@DSf@?g@g@bA']],
+        ['GB', 'GB-BLA', 'Ballymena', ['kuIng@IkBg@p@T~@ZE']],
+        ['GB', 'GB-BLY', 'Ballymoney', ['gvItg@g@w@AbAh@K']],
+        ['GB', 'GB-BMH', 'Bournemouth', ['}{H`K?[I??ZH?']],
+        ['GB', 'GB-BNB', 'Banbridge', ['grIvf@DiAWIExAVE']],
+        ['GB', 'GB-BNE', 'Barnet', ['}aI`@FVNSWC']],
+        ['GB', 'GB-BNH', 'Brighton and Hove', ['k|Hn@?s@W??r@V?']],
+        ['GB', 'GB-BNS', 'Barnsley', ['omIjJTmAS[AhB']],
+        ['GB', 'GB-BOL', 'Bolton', ['smItN@a@UPRN']],
+        ['GB', 'GB-BPL', 'Blackpool', ['{nIbR?Wg@??Vf@?']],
+        ['GB', 'GB-BRC', 'Bracknell Forest', ['y_IxCSQG\\ZK']],
+        ['GB', 'GB-BRD', 'Bradford', ['{oIxIDp@TaA[N']],
+        ['GB', 'GB-BRY', 'Bromley', ['g`Ia@Cp@Z]WS']],
+        ['GB', 'GB-BST', 'Bristol', ['c`I`P?k@_@??j@^?']],
+        ['GB', 'GB-BUR', 'Bury', ['kmIzM?Ya@??X`@?']],
+        ['GB', 'GB-CAM', 'Cambridgeshire', ['mdI\\DkBWUoB`A^rBRMT\\v@cA']],
+        ['GB', 'GB-CAY', 'Caerphilly', ['qaI|Qc@z@n@SKg@']],
+        ['GB', 'GB-CBF', 'Central Bedfordshire', ['ucIbC\\]aAkADvA\\P']],
+        ['GB', 'GB-CGN', 'Ceredigion', ['udIh\\?yDo@U]LEbAp@Z`@`B']],
+        ['GB', 'GB-CGV', 'Craigavon', ['ksI|g@DcAc@L\\t@']],
+        ['GB', 'GB-CHE', 'Cheshire East', ['qlIrKApA\\Cb@r@Jy@k@oA_@F']],
+        ['GB', 'GB-CHW', 'Cheshire West and Chester', ['ckInQ`@m@s@_AKhC\\[']],
+        ['GB', 'GB-CKF', 'Carrickfergus', ['wtI|c@?k@S??j@R?']],
+        ['GB', 'GB-CKT', 'Mid Ulster', ['ctInj@KkBSlB^A']],
+        ['GB', 'GB-CLD', 'Calderdale', ['snIlL?qAa@r@`@\\']],
+        ['GB', 'GB-CLK', 'Clackmannanshire', ['m}IlVUg@At@VM']],
+        ['GB', 'GB-CLR', 'Coleraine', ['{wIvi@t@KGs@w@DHx@']],
+        ['GB', 'GB-CMA', 'Cumbria', ['mwIxPl@jBhAn@~@_AMSf@Ka@UAqCk@]_A\\Gp@s@MEfA']],
+        ['GB', 'GB-CMD', 'Camden', ['{`Ih@?WM??VL?']],
+        ['GB', 'GB-CMN', 'Carmarthenshire', ['_bIlXe@eAo@ALhDh@h@\\kC']],
+        ['GB', 'GB-CON', 'Cornwall', ['izHfY}AdA`AhANOtAnDIq@`@w@o@[WkDY@']],
+        ['GB', 'GB-COV', 'Coventry', ['efIhI?k@S??j@R?']],
+        ['GB', 'GB-CRF', 'Cardiff', ['q`IrS?o@U??n@T?']],
+        ['GB', 'GB-CRY', 'Croydon', ['o_I`@?e@[??d@Z?']],
+        ['GB', 'GB-CSR', 'Castlereagh', ['qsIjc@YKLd@JY']],
+        ['GB', 'GB-CWY', 'Conwy', ['ykI~Wp@CBgBUXk@OJ`B']],
+        ['GB', 'GB-DAL', 'Darlington', ['gtIxGLt@Pm@_@G']],
+        ['GB', 'GB-DBY', 'Derbyshire', ['qkIjKJc@p@Fj@s@g@eAa@Ro@a@CxAk@x@~@N']],
+        ['GB', 'GB-DEN', 'Denbighshire', ['elI|TxAGSkAmAt@F\\']],
+        ['GB', 'GB-DER', 'Derby', ['giItH?_@S??^R?']],
+        ['GB', 'GB-DEV', 'Devon', ['a|HlQc@Rk@vCWGJzATC^bArBwAX_A[s@SVm@e@IeB']],
+        ['GB', 'GB-DGN', 'Dungannon and South Tyrone', ['qrI|i@i@cATdDRaB']],
+        ['GB', 'GB-DGY', 'Dumfries and Galloway', ['mwIxP_@DMrAQKZnAa@bA~@vAd@vC~@_Ao@?d@_Bm@BZwAcA}E']],
+        ['GB', 'GB-DNC', 'Doncaster', ['inItE`@r@LaAk@[Ch@']],
+        ['GB', 'GB-DND', 'Dundee', ['y_JfR?u@M??t@L?']],
+        ['GB', 'GB-DOR', 'Dorset', ['c|HlIe@Z]dBr@|Bx@aBWKHuAa@BD_A']],
+        ['GB', 'GB-DOW', 'Down', ['ksIfb@Cl@p@h@AwAk@?']],
+        ['GB', 'GB-DRY', 'Derry', ['kvIjm@VqAm@ZTt@']],
+        ['GB', 'GB-DUD', 'Dudley', ['ogI~KZLCWWH']],
+        ['GB', 'GB-DUR', 'Durham', ['}uIjGE~Ah@hBl@e@@m@g@wBk@@']],
+        ['GB', 'GB-EAL', 'Ealing', ['w`IpA?c@M??b@L?']],
+        ['GB', 'GB-EAY', 'East Ayrshire', ['mzIr[L]X\\p@]kA}Ao@nB`@J']],
+        ['GB', 'GB-EDH', 'Edinburgh', ['_}IpTb@IM}@UfA']],
+        ['GB', 'GB-EDU', 'East Dunbartonshire', ['a}IxXRl@?{@SL']],
+        ['GB', 'GB-ELN', 'East Lothian', ['u|IbRXo@Y{AUvATr@']],
+        ['GB', 'GB-ELS', 'Outer Hebrides', ['ieJfl@Kd@x@OAYGXc@U', 'igJpk@JpANkAG\\Sc@', '{gJnj@[{@c@DZ]We@It@Y{ACh@Ug@]Hh@vBRUN\\Mp@Xc@Jb@Hu@Rx@Ra@']],
+        ['GB', 'GB-ENF', 'Enfield', ['oaI`@?a@Q??`@P?']],
+        ['GB', 'GB-ERW', 'East Renfrewshire', ['_{If[?}@[??|@Z?']],
+        ['GB', 'GB-ERY', 'East Riding of Yorkshire', ['mqIf@ZhCx@FFb@Lu@c@_Bj@aBsB`A']],
+        ['GB', 'GB-ESS', 'Essex', ['ucIwES`El@O`@f@TgDe@W@p@[uBQh@']],
+        ['GB', 'GB-ESX', 'East Sussex', ['i}HmDi@rCr@r@XoAc@wB']],
+        ['GB', 'GB-FAL', 'Falkirk', ['i}IjVFt@Tg@U{@Gl@']],
+        ['GB', 'GB-FER', 'Fermanagh', ['gtIdo@ZzA~@oBO{AkAnB']],
+        ['GB', 'GB-FIF', 'Fife', ['e_JjSb@@R~AFqAq@wCc@z@TjA']],
+        ['GB', 'GB-FLN', 'Flintshire', ['{kIfRMz@r@s@Si@Q`@']],
+        ['GB', 'GB-GAT', 'Gateshead', ['_vIrJ?eAY??dAX?']],
+        ['GB', 'GB-GLG', 'Glasgow', ['s{IfZ?{@[??z@Z?']],
+        ['GB', 'GB-GLS', 'Gloucestershire', ['saItO_@u@TZPu@Q{BgAG@hDnAh@']],
+        ['GB', 'GB-GRE', 'Greenwich', ['k`ID?_@Q??^P?']],
+        ['GB', 'GB-GWN', 'Gwynedd', ['mgItW]eAu@c@EnBg@IEd@vA~B[gCVLN_@XZHc@']],
+        ['GB', 'GB-HAL', 'Halton', ['alIrP?s@S??r@R?']],
+        ['GB', 'GB-HAM', 'Hampshire', ['w|HxDs@e@q@NCrBXz@v@QEbAt@mAOo@[T^w@Kk@']],
+        ['GB', 'GB-HAV', 'Havering', ['w`I[?g@]??f@\\?']],
+        ['GB', 'GB-HCK', 'Hackney', ['}`IR?QM??PL?']],
+        ['GB', 'GB-HEF', 'Herefordshire', ['{cI`R^mAy@}@u@lBp@j@\\M']],
+        ['GB', 'GB-HIL', 'Hillingdon', ['eaIhAMTZBMY']],
+        ['GB', 'GB-HLD', 'Highland', ['_aJb`@?uBmB}Fm@G@~@k@DZvAg@c@TrAy@_CGvBFkAQLqA}Du@Ud@fHSMR`AUSKbAl@BF\\Xo@GzAT]Lh@p@kAUz@P]BtBV[LZR{@G`Al@EMgAVv@Cy@^n@Hw@A~@Vg@?|@TPBs@Fd@HQJ~ABkCJ|AZcA_AmBRV?o@Nz@', 'scJpf@JXHc@UH', 'meJ~g@Fo@?^\\_@E}A^^m@gAIbBw@?U^HTd@U]`A`@EC`@Tk@']],
+        ['GB', 'GB-HMF', 'Hammersmith and Fulham', ['s`Ip@?OM??NL?']],
+        ['GB', 'GB-HNS', 'Hounslow', ['i`IxA?k@Q??j@P?']],
+        ['GB', 'GB-HPL', 'Hartlepool', ['auIxFRZBc@WF']],
+        ['GB', 'GB-HRT', 'Hertfordshire', ['_bI@e@i@a@\\h@zCn@o@Q_B']],
+        ['GB', 'GB-HRW', 'Harrow', ['caInA?[S??ZR?']],
+        ['GB', 'GB-HRY', 'Haringey', ['gaI`@?]I??\\H?']],
+        ['GB', 'GB-IOS', 'Isles of Scilly', ['{vHtf@?MM??LL?']],
+        ['GB', 'GB-IOW', 'Isle of Wight', ['}{HvEH`BNy@Yg@']],
+        ['GB', 'GB-ISL', 'Islington', ['_aIZ?MK??LJ?']],
+        ['GB', 'GB-IVC', 'Inverclyde', ['_|Ir]?_AW??~@V?']],
+        ['GB', 'GB-KEC', 'Kensington and Chelsea', ['u`Ij@?OK??NJ?']],
+        ['GB', 'GB-KEN', 'Kent', ['q`IkA@f@z@Vl@qDo@uAm@MLjD[h@']],
+        ['GB', 'GB-KHL', 'Kingston upon Hull', ['unIxA?_@O??^N?']],
+        ['GB', 'GB-KIR', 'Kirklees', ['omIjJIk@e@HVhAVg@']],
+        ['GB', 'GB-KTT', 'Kingston upon Thames', ['w_I~@?SW??RV?']],
+        ['GB', 'GB-KWL', 'Knowsley', ['glIjQ?e@i@??d@h@?']],
+        ['GB', 'GB-LAN', 'Lancashire', ['unIlQ`@NHi@w@eA^i@o@m@s@fBYQH`Ar@l@j@M']],
+        ['GB', 'GB-LBH', 'Lambeth', ['g`I\\?OU??NT?']],
+        ['GB', 'GB-LCE', 'Leicester', ['ogIjF?YS??XR?']],
+        ['GB', 'GB-LDS', 'Leeds', ['_oIhIF_Ai@GDvAZO']],
+        ['GB', 'GB-LEC', 'Leicestershire', ['_jIxC\\h@GfAt@h@f@mAWuAi@NG_@i@V']],
+        ['GB', 'GB-LEW', 'Lewisham', ['i`IL?WO??VN?']],
+        ['GB', 'GB-LIN', 'Lincolnshire', ['omICPXc@b@^dBj@C?[bAVf@cAHPW}C[t@y@eAaAbA']],
+        ['GB', 'GB-LIV', 'Liverpool', ['ilI`R?c@a@??b@`@?']],
+        ['GB', 'GB-LMV', 'Limavady', ['awItk@l@[Im@}@JX|@']],
+        ['GB', 'GB-LND', 'London', ['{`IT?IE??HD?']],
+        ['GB', 'GB-LRN', 'Larne', ['cwIjd@LVf@QB_Ay@x@']],
+        ['GB', 'GB-LSB', 'Lisburn', ['osItc@QtAd@y@S[']],
+        ['GB', 'GB-LUT', 'Luton', ['{bI~A?]U??\\T?']],
+        ['GB', 'GB-MAN', 'Manchester', ['klIrM?_@i@??^h@?']],
+        ['GB', 'GB-MDB', 'Middlesbrough', ['osIbG?YS??XR?']],
+        ['GB', 'GB-MDW', 'Medway', ['y`IeB\\JUu@Gh@']],
+        ['GB', 'GB-MFT', 'Magherafelt', ['iuIhj@JuAWESt@^d@']],
+        ['GB', 'GB-MIK', 'Milton Keynes', ['edIlDNi@]QQN^j@']],
+        ['GB', 'GB-MLN', 'Midlothian', ['u|IfRZv@Ro@U{@Yr@']],
+        ['GB', 'GB-MON', 'Monmouthshire', ['{cI`R`@Tn@aAI_@g@C_@nA']],
+        ['GB', 'GB-MRT', 'Merton', ['a`Ip@?[M??ZL?']],
+        ['GB', 'GB-MRY', 'Moray', ['egJlVj@EDcAz@v@A}@i@gAc@?Ew@e@TLxD']],
+        ['GB', 'GB-MTY', 'Merthyr Tydfil', ['ubIxSFTR[[D']],
+        ['GB', 'GB-MYL', 'Moyle', ['exI|g@n@qAM_@]VCxA']],
+        ['GB', 'GB-NAY', 'North Ayrshire', ['gzId\\g@]UhA^D\\q@']],
+        ['GB', 'GB-NBL', 'Northumberland', ['}wIxOTg@r@LFq@y@iDgB`@k@lA`@|@d@[r@bB']],
+        ['GB', 'GB-NDN', 'North Down', ['itIvc@?_AO??~@N?']],
+        ['GB', 'GB-NEL', 'North East Lincolnshire', ['enIf@f@QQYUj@']],
+        ['GB', 'GB-NET', 'Newcastle upon Tyne', ['ewIhILRBs@Q^']],
+        ['GB', 'GB-NFK', 'Norfolk', ['_iIw@v@JPm@NuCc@mBm@Na@nAKtBd@nA']],
+        ['GB', 'GB-NGM', 'Nottingham', ['miItF?YY??XX?']],
+        ['GB', 'GB-NLK', 'North Lanarkshire', ['a}I`XT^VwAm@v@']],
+        ['GB', 'GB-NLN', 'North Lincolnshire', ['qnIjCl@h@a@mCKbB']],
+        ['GB', 'GB-NSM', 'North Somerset', ['o_IvQ?iAk@??hAj@?']],
+        ['GB', 'GB-NTA', 'Newtownabbey', ['otI`e@?k@_@??j@^?']],
+        ['GB', 'GB-NTH', 'Northamptonshire', ['eeI`Cu@}@c@\\r@jCj@Xb@[i@iB']],
+        ['GB', 'GB-NTL', 'Neath Port Talbot', ['aaIlVUg@WF?bAl@c@']],
+        ['GB', 'GB-NTT', 'Nottinghamshire', ['imIvDdAlAfAOu@kBe@Iq@v@']],
+        ['GB', 'GB-NTY', 'North Tyneside', ['svIhI?o@Q??n@P?']],
+        ['GB', 'GB-NWM', 'Newham', ['y`IB?WO??VN?']],
+        ['GB', 'GB-NWP', 'Newport', ['{`InR?cA]??bA\\?']],
+        ['GB', 'GB-NYK', 'North Yorkshire', ['_tIzCTbH~@|@v@gBQkC|@g@c@i@Sz@WMW}DqArB']],
+        ['GB', 'GB-NYM', 'Newry and Mourne', ['qqIph@XE@kB]i@S`BTx@']],
+        ['GB', 'GB-OLD', 'Oldham', ['cmIxL?_A_@??~@^?']],
+        ['GB', 'GB-OMH', 'Omagh', ['gtI`o@f@c@MoA{@c@`@vC']],
+        ['GB', 'GB-ORK', 'Orkney Islands', ['mnJhSQb@L{@BV', 'qoJ`PElAMYOd@Xd@H_C']],
+        ['GB', 'GB-OXF', 'Oxfordshire', ['{cIhIzAI@qCi@@Up@_@O@j@c@Hb@`A']],
+        ['GB', 'GB-PEM', 'Pembrokeshire', ['ibI~[SX[w@[j@p@vB?c@`@HUgAVz@Nc@Y{@']],
+        ['GB', 'GB-PKN', 'Perth and Kinross', ['y_JbR_BhBBtBp@hBP]PREgBb@Nf@uBGgAg@HOs@']],
+        ['GB', 'GB-PLY', 'Plymouth', ['syHfY?a@S??`@R?']],
+        ['GB', 'GB-POL', 'Poole', ['y{HtK?[O??ZN?']],
+        ['GB', 'GB-POR', 'Portsmouth', ['k|H|E?c@O??b@N?']],
+        ['GB', 'GB-POW', 'Powys', ['_iIrRK`A|@zAf@w@tBTYqCo@Pi@_@Sr@So@GZ]_@Mb@']],
+        ['GB', 'GB-PTE', 'Peterborough', ['chIHBvAZg@_@o@']],
+        ['GB', 'GB-RCC', 'Redcar and Cleveland', ['ktIlFVAKoAKpA']],
+        ['GB', 'GB-RCH', 'Rochdale', ['anIlKQ^\\RKs@']],
+        ['GB', 'GB-RCT', 'Rhondda Cynon Taf', ['yaIrSa@ZN\\l@UGq@SL']],
+        ['GB', 'GB-RDB', 'Redbridge', ['caIA?]Q??\\P?']],
+        ['GB', 'GB-RDG', 'Reading', ['i`IxE?YO??XN?']],
+        ['GB', 'GB-RFW', 'Renfrewshire', ['q|I|[LVPWIu@Ut@']],
+        ['GB', 'GB-RIC', 'Richmond upon Thames', ['c`IlA?c@U??b@T?']],
+        ['GB', 'GB-ROT', 'Rotherham', ['ilItGEw@Wj@\\J']],
+        ['GB', 'GB-RUT', 'Rutland', ['uhI`CF^f@Oc@}@Kl@']],
+        ['GB', 'GB-SAW', 'Sandwell', ['yfIbL?g@W??f@V?']],
+        ['GB', 'GB-SAY', 'South Ayrshire', ['uvIl^a@oBm@T][?p@lBbA']],
+        ['GB', 'GB-SCB', 'Scottish Borders', ['y{IrK[bAn@vCUt@jAZ`@aC^EcAcCe@Za@}@']],
+        ['GB', 'GB-SFK', 'Suffolk', ['igI}Ib@lBOtC^K@^Fa@^TVwD]s@wA_@']],
+        ['GB', 'GB-SFT', 'Sefton', ['gmI`RG]CXa@Ol@R']],
+        ['GB', 'GB-SGC', 'South Gloucestershire', ['aaIvOXi@Wk@]x@ZZ']],
+        ['GB', 'GB-SHF', 'Sheffield', ['ilItG[LIfAh@i@Ck@']],
+        ['GB', 'GB-SHN', 'Merseyside', ['slIvOKUOl@ZW']],
+        ['GB', 'GB-SHR', 'Shropshire', ['_iIrRLc@\\^F[Pl@R[FeBi@{@m@JZRYn@Os@a@EFzB\\\\']],
+        ['GB', 'GB-SKP', 'Stockport', ['glIdM?y@W??x@V?']],
+        ['GB', 'GB-SLF', 'Salford', ['ylIvN?m@]??l@\\?']],
+        ['GB', 'GB-SLG', 'Slough', ['m`I`C?[U??ZT?']],
+        ['GB', 'GB-SLK', 'South Lanarkshire', ['syIzW`@gAsAm@W~Ct@BRm@']],
+        ['GB', 'GB-SND', 'Sunderland', ['gvInGDj@P[WO']],
+        ['GB', 'GB-SOL', 'Solihull', ['afInJ?m@a@??l@`@?']],
+        ['GB', 'GB-SOM', 'Somerset', ['g_IdVRV~@oD_@yBw@SBdH']],
+        ['GB', 'GB-SOS', 'Southend-on-Sea', ['_aI}B?g@K??f@J?']],
+        ['GB', 'GB-SRY', 'Surrey', ['q`IvAV`Ab@H@oDe@JWvA']],
+        ['GB', 'GB-STB', 'Strabane', ['kvIjm@f@VFlARo@c@}C_@fB']],
+        ['GB', 'GB-STE', 'Stoke-on-Trent', ['yiI`M?_@e@??^d@?']],
+        ['GB', 'GB-STG', 'Stirling', ['u}I~Vk@jAc@OZjClAuAMeCKR']],
+        ['GB', 'GB-STH', 'Southampton', ['y|H`H?]S??\\R?']],
+        ['GB', 'GB-STN', 'Sutton', ['u_Ip@?[O??ZN?']],
+        ['GB', 'GB-STS', 'Staffordshire', ['uhInM`A]i@GImBiBhARp@`@QUr@^NZY']],
+        ['GB', 'GB-STT', 'Stockton-on-Tees', ['osI|GYk@Cb@\\F']],
+        ['GB', 'GB-STY', 'South Tyneside', ['cvIrH?c@U??b@T?']],
+        ['GB', 'GB-SWA', 'Swansea', ['saIhW]Pf@~@IqA']],
+        ['GB', 'GB-SWD', 'Swindon', ['_bInIf@XCm@c@R']],
+        ['GB', 'GB-SWK', 'Southwark', ['i`IT?QU??PT?']],
+        ['GB', 'GB-TAM', 'Tameside', ['wlI|L?s@U??r@T?']],
+        ['GB', 'GB-TFW', 'Telford and Wrekin', ['ciI~MNr@Xo@i@C']],
+        ['GB', 'GB-THR', 'Thurrock', ['o`Ii@?cAW??bAV?']],
+        ['GB', 'GB-TOB', 'Torbay', ['uzH|TNZH]Y@']],
+        ['GB', 'GB-TOF', 'Torfaen', ['oaIpR?a@g@??`@f@?']],
+        ['GB', 'GB-TRF', 'Trafford', ['mlIlN?a@U??`@T?']],
+        ['GB', 'GB-TWH', 'Tower Hamlets', ['u`IN?SO??RN?']],
+        ['GB', 'GB-VGL', 'Vale of Glamorgan', ['c`IjU?sA[??rAZ?']],
+        ['GB', 'GB-WAR', 'Warwickshire', ['udI~IZi@mAkA_ApAb@^V}@?pAj@RHc@']],
+        ['GB', 'GB-WBK', 'West Berkshire', ['}_IlEc@V@tAd@QC{A']],
+        ['GB', 'GB-WDU', 'West Dunbartonshire', ['q|I`[LYk@n@\\U']],
+        ['GB', 'GB-WFT', 'Waltham Forest', ['eaIJ?QS??PR?']],
+        ['GB', 'GB-WGN', 'Wigan', ['mmIdPHs@]PR`@']],
+        ['GB', 'GB-WIL', 'Wiltshire', ['{aI|INfB`BNXsCw@PSi@_@PAp@]O']],
+        ['GB', 'GB-WKF', 'Wakefield', ['ymI~H[mA@hAXB']],
+        ['GB', 'GB-WLL', 'Walsall', ['kgIzK?i@Y??h@X?']],
+        ['GB', 'GB-WLN', 'West Lothian', ['a}I|TV|@VgAo@H']],
+        ['GB', 'GB-WLV', 'Wolverhampton', ['kgIxL?c@S??b@R?']],
+        ['GB', 'GB-WND', 'Wandsworth', ['i`Ip@?YQ??XP?']],
+        ['GB', 'GB-WNM', 'Windsor and Maidenhead', ['y`I~BIh@`@]WK']],
+        ['GB', 'GB-WOK', 'Wokingham', ['}_IlE?c@e@?d@b@']],
+        ['GB', 'GB-WOR', 'Worcestershire', ['udI~IIb@k@SKd@TxBfAaA[mB']],
+        ['GB', 'GB-WRL', 'Halton', ['alIjRAa@YXFXRQ']],
+        ['GB', 'GB-WRT', 'Warrington', ['_mI`OJT?q@KZ']],
+        ['GB', 'GB-WRX', 'Wrexham', ['ckInQt@tAIeCk@n@']],
+        ['GB', 'GB-WSM', 'Westminster', ['w`Ij@?UK??TJ?']],
+        ['GB', 'GB-WSX', 'West Sussex', ['u|Hh@}@m@HxCf@f@^_@SsB']],
+        ['GB', 'GB-YOR', 'York', ['ipIxDBz@Pg@US']],
+        ['GB', 'GB-ZET', 'Shetland Islands', ['sxJzEBt@o@M^|@VeALtAXm@Qe@bATJUqBa@', 'kzJdEAVf@F@Yg@E', 'gzJrD]YD`@VG']],
+        ['GD', 'GD-01', 'Saint Andrew', ['kjAp`K?QW??PV?']],
+        ['GD', 'GD-02', 'Saint David', ['cjAr`K?OM??NL?']],
+        ['GD', 'GD-03', 'Saint George', ['_jAfaK?YW??XV?']],
+        ['GD', 'GD-04', 'Saint John', ['ujA~`K?SO??RN?']],
+        ['GD', 'GD-05', 'Saint Mark', ['}jAv`K?MO??LN?']],
+        ['GD', 'GD-06', 'Saint Patrick', ['akAp`K?QM??PL?']],
+        ['GD', 'GD-10', 'Carriacou and Petite Martinique', ['wlAj_K?OQ??NP?']],
+        ['GE', 'GE-AB', 'Abkhazia', ['_oGi}FKhBd@`@`C}G`AYi@mAcAJs@u@?pB{@pD']],
+        ['GE', 'GE-AJ', 'Adjara', ['}aGihG][k@TSrBlAjANyD']],
+        ['GE', 'GE-GU', 'Guria', ['gdGohGY]e@xAJzA^IRmC']],
+        ['GE', 'GE-IM', 'Imereti', ['_eGmnG}A_AHjCc@fBxA~@r@cBUoC']],
+        ['GE', 'GE-KA', 'Kakheti', ['_iGczGzAp@f@_@Bd@`Ae@bAyBV{Ce@QkAdBm@q@}@~C}@MInA']],
+        ['GE', 'GE-KK', 'Kvemo Kartli', ['aaGgxG]aAoAr@Ph@VOSpEh@j@Bg@bAUYkE']],
+        ['GE', 'GE-MM', 'Mtskheta-Mtianeti', ['yiGwxGMj@\\P[r@V~@Z[zAL\\}@XP]qCg@^{Aq@Yj@']],
+        ['GE', 'GE-RL', 'Racha-Lechkhumi and Kvemo Svaneti', ['akGenGRnEdAw@RsAc@iDSb@YO[pA']],
+        ['GE', 'GE-SJ', 'Samtskhe–Javakheti', ['{bGeiG@m@zA{BIkBcATCf@i@k@c@hATnEj@U']],
+        ['GE', 'GE-SK', 'Shida Kartli', ['aiGmqGb@~@Na@lA`Af@mE_@Ua@|@wAM[ZJv@']],
+        ['GE', 'GE-SZ', 'Samegrelo-Zemo Svaneti', ['gmGwgGv@~AbAKh@lAdAa@GmBsAcA}@l@S_D}@bD']],
+        ['GE', 'GE-TB', 'Tbilisi', ['adGqwGJh@N{@[P']],
+        ['GG', null, 'Sark', ['ysHvO?eBaA??dB`A?']],
+        ['GH', 'GH-AA', 'Greater Accra', ['_c@eCo@t@r@tDn@]u@cC@iA']],
+        ['GH', 'GH-AH', 'Ashanti', ['}k@h@eA`BNlB_@Xv@t@WzAv@q@d@xA|BVYi@~A}@VcCiD{@yAsC']],
+        ['GH', 'GH-BA', 'Brong-Ahafo', ['}u@fOrBQt@v@pD|@~BsBsAw@C\\[Oa@wA{@n@V{Aw@u@^YOmBdAaBBuA{DjBi@bBbAt@kAb@}@QQr@ZrAn@FX[R`A_CdB']],
+        ['GH', 'GH-CP', 'Central', ['ka@fAm@\\W`E_@tAy@TN\\~DuCn@\\e@yCy@wA']],
+        ['GH', 'GH-EP', 'Eastern', ['}k@h@xArCvCx@f@WF}Co@y@FgAi@l@kEYCtA']],
+        ['GH', 'GH-NP', 'Northern', ['{aAPb@rBWVbAvAYr@tBt@d@bEjAOj@TpD_COgAiAR]uARu@z@RlAi@eAo@d@oAi@eAPu@u@Rq@QCw@uBMI|@_@]MV{B[sA`B']],
+        ['GH', 'GH-TV', 'Volta', ['ip@wB}@DW[wAbA?b@n@Pt@SQt@f@~@~C}BlF\\h@m@Eq@h@]Em@eAo@{@vAoAl@qEO']],
+        ['GH', 'GH-UE', 'Upper East', ['qdA`@j@zAU|CpAZ|@aAcAwAVW[cBiAe@Sd@']],
+        ['GH', 'GH-UW', 'Upper West', ['{cAzGBzGhAPh@_@vCCk@qEg@[i@HUq@u@j@eA_@']],
+        ['GH', 'GH-WP', 'Western', ['af@xRlB[Po@n@Kh@FLdAdAmEw@gBo@]qDrC]Qe@\\Nz@_CrBrA^jAQ']],
+        ['GI', null, 'Gibraltar', ['u`Fn`@?EG??DF?']],
+        ['GL', 'GL-KU', 'Kujalleq', ['ggKtlG@hD`KnY]qFFWPXFc@Q]Ib@D}@OLSo@Pq@MZO{ASt@OoAT^Nq@f@xAOyAm@U^]S_@vAhECcBo@}@R[h@vB?w@VnAJSYs@JTV]s@m@?m@n@jAa@wAj@\\{@sBxBjBwAkChAx@TpALaAY?^q@oAaBNUZb@PoE[f@Qm@Mr@Cc@PpA[u@]nDFsB_@Lp@{AQLHs@GRE}@E|@OmAD`BM}AUvCFqC[fCJyAI{@YCMrDDcEUlB@wBKNOtBKeDg@bCF_C]e@KzB@iBU]Il@Q{@JtAgAy@i@lCXaDiAdE', '{uJdtGM]Qn@XHD[', 'kxJdyGAf@f@Je@s@', '_{J|aHUmAZhCE{@', 'kuJdpGOp@\\^MqA', 'mvJxlGM~Dj@kB_@A@qA', 's{JhjGBb@CaA?\\']],
+        ['GL', 'GL-QA', 'Qaasuitsup', ['w}M|gLNeA?lBj@?g@pDVnBz@qF`@cKq@bDUkAb@gBe@g@?}AFe@ZbALkB]AFuCURA}@QHh@oAo@cCb@sBQgBVmG`@a@NgFVb@OcBb@m@C}BFb@Fw@LVXk@P`BIyAPd@\\gBTj@XwETs@LfAp@kEFbCJeCx@jFc@mFh@x@FwAB\\X_BB|@ZcALzAv@cERhAN_AVnBLwD`@c@F~@@mAr@~AFoCDnGNaEjAxDJcAQ}Bg@s@|@|Al@pEFaA@Tb@a@?_ISK_@p@LaAS\\UgB}@vAg@D?_ADz@x@yAr@Gm@gCz@tBR{EWeB|@hGMeIVrDd@z@e@wDRUZlCTgG?nE\\}EXk@@bDN_D@~@Rm@D\\KzA\\gAW{AZ\\F]MjEaAvFMpGb@|AvBmM@_LTdA`@oAFxBTmAGhAZRAgCJdCTGB^HWLp@YuCXRDaAHlBJ}AT?a@jDn@TGm@b@`AO_CPbAVYP~IBm@b@fEC_DPdANaBWuFUtAS_Dp@hBLsAA~Ap@aGo@vRF\\`@wGGnFFiA`@~CP]Vh@RM_B}K^pCPmDQ[Un@IiBPK?lAXg@QgBAn@IULgBXrE@sGRxDP_AG}g@i`A?wKfqAqBnRgBxHS`FLlAnAuBmAnDdD|VTB\\{AAgLe@mCTwAXzFJQTb@~@{@jAvE@W?vIh@jIPmA~@xVf@r@DmAXvBx@qJLl@DYMkG^lCOiFb@zCXuEMyB]V`@iAk@sIl@yBLxB`@uAYpFTjILiQNd@W`THhFFg@XfCNkCF|@T}Ak@cEh@nBf@eL', 'yjLzjIBX@kAEp@', '_lLvcIHzAGyBA\\', '_lLdfIMk@ZdEMyC', '}sLb_IJZGgAb@jAf@i@aAeBMnB', 'mpLriIy@sEoB|GWrELtA^L`@yBHlCd@kBCvBRsERLCu@JPY}ATl@Fc@FlDXuAO{D', '_yLzaI?f@HeAI\\', 'kzLzbIHbA@uBKp@', 'g{LzoIKgBc@l@`@hALO', 'k|L~fIG]EhDb@k@U_B', 'c~L`lIWiB?nCVe@', 'o`M`{IFVAoAEv@', 'ieMv{IQ_@LtBBuA', 'ydMj{IBiAk@oAf@nD?U', 'yjMd}IPiANPEw@[nB', 'mlMx}I?c@IbDH_C', 'ubNj~LCfEDwFAn@', '{bNvvLEzDHwFCz@', 'wvNj`LCe@IlALg@']],
+        ['GL', 'GL-QE', 'Qeqqata', ['urKbdIkAiFq@X[oDAce@sL?Nve@{@tMdAzFh@?k@{ONpAf@cAGeDLdDi@hAG~Bd@hIRVPsC@xBLc@MoFZk@CxCPTE{AHlBF{BLnDRoEDnFFWTf@TMGeB`@hBO_CqCoJ]iDJ|@F}BF~DR}B?|D~CrLBeAFfAHUQaBRnAJQk@aHJXPWA|Dd@pBKkAVfABsA[Y`@NGk@Xp@WaAb@ZEa@XHkAqENuDI~DnArE\\C]g@BYVNWw@j@t@Vs@Lh@TGWWFWN`@KeAa@MF[R\\Y{A|@pDVU']],
+        ['GL', 'GL-SM', 'Sermersooq', ['o{LlmDVtD?z}Adb@?Bre@j@bCfAw@QoBXj@lA}BiApDTvA\\sCr@|HHsA@z@Hi@w@wEb@d@CcBd@`IF{@\\RWkBb@xBDc@Fd@Jm@PTYwDBnBVDCeAT~AF{DLbD`@SQk@TXQiDXlB\\[M_Al@n@u@iCh@jBZDe@oAlAxAh@iBHRCwBTlACmAJpADo@Rb@E}Ac@a@VN@o@p@tBOq@X`@HYu@wAr@hAKw@`@d@C}ANlCR}@]_CNXCq@\\fDBqCZz@@cARTg@cBZ|@?yAR^HQHnBGkCwIcVHmHYP?_@Gb@Oy@X@CqB_@YUtBSMb@yBk@`BVuBcA|AOc@n@wBc@zAPcAa@`@b@y@CW]x@Tq@ORKqAg@pDJ}Ee@TEj@_@w@_@hEQqFUv@i@Gu@lBEa@[ZVgDScAMb@OgAUd@I_@StA?qAc@]TyAa@Xd@u@C}AU\\FiB_@Ui@hAPyA]ME\\Qs@G\\C}@WvAF{Dx@xB`@HTeCKP@_@QX]_@j@Mo@{AAe@b@Ec@yBAj@Se@P_@STG]e@v@f@yBCc@Kf@SYX[O_Aa@o@SVUU`@]m@c@F_@c@L?[GVQwA[XE{@Wl@EaA]RO}@KZo@gFWT?]UHInABkAo@tAe@AfAcB@wAFf@Xa@@gFe@nA\\wC]n@@}@MNSk@j@}AIPKiAQLL_AYgDUERg@i@aHy@oDWh@LiAUFGcAMx@GQFeBe@J?aCa@r@PkBWm@YdAAyDGQIhAu@oF?bJo@bFP~@ONGg@ATh@jEKlBz@tBY~Ey@eMKdQWwD}@mAU~AD{Ca@x@', 'y}LrbDZ\\h@~Gf@s@?gCcAyGe@|@CxA', 'm`MvkCJjJj@x@f@IC`D\\y@K{AdAwA~@Yp@oCAoCu@B[a@pASIgDQl@Oe@Gb@?i@En@K]Ax@]gAArAS_A@bCKyBOXJ[UDCj@KeACp@Ie@If@KUBhAl@dAy@De@{B`@lCSHYm@ZnCq@{B', 'euKt|HvAdGHSD\\p@IQ_ByAqACi@^T[eBm@d@', 's|J~kHAWA`ABi@', 'q~JhoHDZ?}@E`@', 'irKp|HCj@z@|@w@iB', 'kqKr_Ie@i@b@tA@k@', 'igKveGBpA@uBEb@', 'yhK|bGXAQYGZ', 'ojKd`Ge@lCn@yAIs@', 'arKzyFQbAGSQ`@WIMhApAkA?eA', 'uzK|dFHh@Na@YG', 'ezK`iFDc@]rAh@z@Xq@UuAUZ', '}zKtdFTY]WFp@', '{rLnqCB\\HiAMj@', 'axLxbDN`@E}@IZ', 'cyLflD]_B?~A\\?', 'eyLf}CcAjAh@`HrAdEOkLi@gC']],
+        ['GL', 'GL-UO', 'Northeast Greenland National Park', ['s{LplDi@_H[]OlM]gFiArGN{CzAcFQmAp@qHI_Ae@Nk@y@KkJg@bGUUg@fDH|Bn@dAs@o@EzBYeGy@vDr@|D]_@WvELeG_@{D[QWtGLbDf@j@c@OC`AUiGk@lEj@cHw@aGwAhErAuFo@WGw@p@{FK{BMpJr@sBd@cFo@yCFgEM_@i@Z]o@a@jHLZv@k@HXeA^ObBE}@I^Yu@CnAUkCc@|@fAiNo@cCOrAQWGXBvIKeBU\\m@OTxEe@~B^aC]wFy@tDUvEN{Ei@hDhBuOu@q@u@t@Is@g@rBKxK?uI]wBc@lGb@wBStFg@KAtDC_DOlAGw@KbAX`@c@rA_@kBh@sBe@gDI|DKsFh@oKgAq@c@v@GjBXC?h@aAjIH{AKe@WjBIqC`@qCQkAK\\y@hJrAzBUUCfBuD_FGfAQiAKXKyEKUYTg@gE_@nAh@~@iBmADvC_@xAo@yACf@_@kCF{Qg@iC_@bFPfF[|G`@jDSbBUsGTeF_@wELkJo@aGSrAEoF{AiKk@lF[~OPnFVEHnBFi@XbASpGZzDo@_BQpCzAvFbCdQ{DgOmAg@a@`AJhJz@f@x@tQS`Aq@qKi@QMrRl@nW\\|AUbC}@cQWlIKao@KaHw@_Fm@zKP`CG]M\\ISZhKk@eFa@|AFn]f@xHC`K^v@OKIf@BxD\\fB[a@C~@YsRW~DR_Go@ug@aAvi@J~HTs@[hBRzNZyA]bFN|ALq@MrETa@J^Hc@JgJP~JHqHDvJ\\eCNZi@bDYpNOk@U~DNhGReFCtOf@oLC|I_@jDRpCNoCGtDd@}c@NmELOJZJq@X`@g@z@c@lGB~@Nu@`@Cm@nBIWAfVfAwKLTVsHMbMRl@NmAThB^wCP`BkCdZKbLfAiBj@cF?dIv@cHF|@uA~Q`@E`AnCDc@ObA_A{@i@Hq@nDPfFVaBUhDZtMXfFbC{QcA|Lc@^QtFb@nGr@_CZfBf@sAF~DfByHpBoRvKgqAvj@??{}A[qE', 'q`O|kI`@_L_A~HBxAXD', 'abOhuGu@dJH|GpB}OG}@WbA[_CIR', 'kdO`jHEqAG`ELoB', 'mfOnuFI|E^oDQkAC\\', 'cfOryFUtGd@eIOn@', 'yfOtqFYnJb@uKId@', 'ucMdhCqAlF@lGjAuA~@sH[}Aa@lC@aD', 'wfM~yCLfBLsA[S', 'seM`hCMr@Yk@[|FXlGh@sO', 'ehMhdCDXAy@C^', 'qgMfxCUeI]fLNgJg@xFBzCj@|AZmF', 'aoMd~B_@b@InCh@rC^oCScFKj@', 'asMxzB_@hBHr@b@NVkBe@aA', 'stMfkBOpDQqAUp@PrD`AKJ}Fg@{@', 'izM|rByBVMnAZ}@VdApB{A]S', 'gdNpoBa@mAKt@h@jABs@', 'ofNxvB[}@?zAZ]', 'kgNj~BUPNbADuA', 'giNfuBLhAZCBkAS`@Y[', '}jNnvBGSCr@Ao@A`@Y_@\\nBJaB', '}lNplBQWMf@l@dAMuA', 'yrNftBV`C^wF}@uDDjH', 'esN~xBScDO`C\\dADc@', '_}NxmBAmAUzDVmB', 'e_OrxBXeDu@lEZg@', 'c}MvnLf@qDk@?OmBR~G']],
+        ['GM', 'GM-B', 'Banjul', ['irAxgB?e@a@??d@`@?']],
+        ['GM', 'GM-L', 'Lower River', ['wsAz}Al@pENqAYkBc@S']],
+        ['GM', 'GM-M', 'Central River', ['auAz{AC`B\\\\~@}Dy@G_@dA']],
+        ['GM', 'GM-N', 'North Bank', ['gtAz_BHrER?\\a@YwEa@d@']],
+        ['GM', 'GM-U', 'Upper River', ['osAjyAf@PNc@[mBg@\\J`B']],
+        ['GM', 'GM-W', 'West Coast', ['yqAzaBQhEt@Oc@yD']],
+        ['GN', 'GN-BE', 'Beyla Prefecture', ['wy@lq@DxApAxAh@?xAKI_A`A}B_@FMt@g@CNuBq@Fe@t@u@k@Sb@m@K@f@']],
+        ['GN', 'GN-BF', 'Boffa Prefecture', ['e}@ptAa@j@uB{@h@zDx@SD}@XA]Y`@J`@m@Q[']],
+        ['GN', 'GN-BK', 'Boké', ['wgArvAZhCvBfAXUs@GEm@\\Xh@KUU`@Hq@g@pA\\qA}Cu@S_Br@']],
+        ['GN', 'GN-C', 'Conakry', ['kz@xtA?QO??PN?']],
+        ['GN', 'GN-CO', 'Coyah Prefecture', ['yz@hsA@oAwAd@Rd@`AB']],
+        ['GN', 'GN-DB', 'Dabola Prefecture', ['o}@pfAoAMs@{Cc@z@u@g@`@jAWbAPb@rD@L_@']],
+        ['GN', 'GN-DI', 'Dinguiraye Prefecture', ['kjAx|@_@jA`AvA}@bAb@XjBIxAx@PcAy@kAHaAs@BJgAuAb@q@_A']],
+        ['GN', 'GN-DL', 'Dalaba Prefecture', ['qeA`jA?Tr@@z@`Bf@DQ]XO}@wBaBd@']],
+        ['GN', 'GN-DU', 'Dubréka Prefecture', ['yz@ltAH]kAIi@}@y@E^dAKbAb@P`@k@b@JCe@j@T']],
+        ['GN', 'GN-FA', 'Faranah', ['o}@pfADs@bCeBl@LD_@o@g@yAB{Cw@QpDh@fAnAL']],
+        ['GN', 'GN-FO', 'Forécariah Prefecture', ['i{@vmA@nC^f@d@UMUb@BA_@X^Bg@yBgB']],
+        ['GN', 'GN-FR', 'Fria Prefecture', ['}aA`tApAh@JcA_@u@g@?UnA']],
+        ['GN', 'GN-GA', 'Gaoual Prefecture', ['ykArtAZt@\\q@x@@b@~@n@o@MqAl@a@Gs@oAu@sBXXjAw@`@@~@']],
+        ['GN', 'GN-GU', 'Guéckédou Prefecture', ['ow@daAhAUnAn@k@eAAcBoASDtA_Av@\\T']],
+        ['GN', 'GN-K', 'Kankan', ['e}@|q@w@fBwAx@OpA|@z@jBDl@r@n@sCi@GS{@nAyBKg@mBN']],
+        ['GN', 'GN-KB', 'Koubia Prefecture', ['yjAtfAnA^?hCvAs@kAmC{AV']],
+        ['GN', 'GN-KD', 'Kindia', ['w|@tjAsClAj@|BnA\\vAe@QaBq@a@B_A']],
+        ['GN', 'GN-KE', 'Kérouané Prefecture', ['yw@jy@b@e@_@sAyAs@i@lB~B~@']],
+        ['GN', 'GN-KN', 'Koundara Prefecture', ['anAnrAChAjAEA_At@W@o@cAwAy@zC']],
+        ['GN', 'GN-KO', 'Kouroussa Prefecture', ['m{@f}@m@s@kBEuAaA?dAuAb@a@xAr@BCfAlAf@`A{AA}@tDx@K{A']],
+        ['GN', 'GN-KS', 'Kissidougou Prefecture', ['m{@f}@JzAhBBh@o@K{CcBg@o@rC']],
+        ['GN', 'GN-LA', 'Labé Prefecture', ['qeAvjAwAf@?b@nBCWgA']],
+        ['GN', 'GN-LE', 'Lélouma Prefecture', ['ucAloA}@cAuAE@|@\\U|@x@t@W']],
+        ['GN', 'GN-LO', 'Lola Prefecture', ['cq@lq@g@fAzBVJ_A_B_@']],
+        ['GN', 'GN-MC', 'Macenta Prefecture', ['ct@t|@^iAtBa@mC}AcBTFt@a@RbApBp@G']],
+        ['GN', 'GN-MD', 'Mandiana Prefecture', ['o~@|p@kA|@_BDJhAgAaAaAfAfBd@jAxANqAj@KxAoBHe@i@_@']],
+        ['GN', 'GN-ML', 'Mali Prefecture', ['olAdfABdFZr@fB@AkFeCo@']],
+        ['GN', 'GN-MM', 'Mamou Prefecture', ['m}@lgAcE@i@eA]J`AbBf@@|@vBxB}@UgB']],
+        ['GN', 'GN-NZ', 'Nzérékoré Prefecture', ['ao@pt@iB[[j@Jr@p@^jAe@C}@']],
+        ['GN', 'GN-PI', 'Pita Prefecture', ['qeAvjAZz@a@VLb@hAl@pAIAg@q@O{@aBs@A']],
+        ['GN', 'GN-SI', 'Siguiri Prefecture', ['olAlw@MhAj@GvAhDzDgB?eAs@sAgBe@AVu@I}Al@']],
+        ['GN', 'GN-TE', 'Télimélé Prefecture', ['ydA`pAFr@m@`@HlArALj@v@EsCRe@f@?M}@kCL']],
+        ['GN', 'GN-TO', 'Tougué Prefecture', ['gjA|eAhA?dA`C|@U{AuCsAC]l@']],
+        ['GN', 'GN-YO', 'Yomou Prefecture', ['am@hz@As@d@SKk@iAc@uAbAfCrA']],
+        ['GQ', 'GQ-AN', 'Annobón', ['fHab@?GM??FL?']],
+        ['GQ', 'GQ-BN', 'Bioko Norte', ['uU}t@Tm@_@SQj@ZT']],
+        ['GQ', 'GQ-BS', 'Bioko Sur', ['_Ukv@Ul@fAb@Lo@_Aa@']],
+        ['GQ', 'GQ-CS', 'Centro Sur', ['qLu~@tBt@vAgAZv@?_E}@b@s@g@CpAk@IWd@o@B?j@']],
+        ['GQ', 'GQ-KN', 'Kié-Ntem', ['qLa`Ap@EIcBl@K@aAwA@?tD']],
+        ['GQ', 'GQ-LI', 'Litoral', ['sMg|@pAAx@f@FYrAlAZm@Q[h@k@k@cAwAfAiBw@m@nA']],
+        ['GQ', 'GQ-WN', 'Wele-Nzas', ['yIyeAA`Am@JJrA~@IBqAr@f@|@c@?kAqC@']],
+        ['GR', 'GR-69', 'Mount Athos', ['wyF}tC?qAaA??pA`A?']],
+        ['GR', 'GR-A', 'East Macedonia and Thrace', ['ucGqcD@v@t@YXz@J~B_ApCh@pDdAcBj@t@H[k@uARkA_@cAt@{Dk@w@y@FU}@q@DSt@', 's}F}yCK\\^VDs@YA']],
+        ['GR', 'GR-A1', 'Attica', ['snFqsCj@j@[f@f@t@VOUsAnAyAmBG[z@', 'ajF}oC`@cAg@XDh@', '}aFynCETf@QSUMP']],
+        ['GR', 'GR-B', 'Centre Macedonia', ['kaGgnCf@j@A`Cd@t@x@DlAsAXLh@yBUZsAAa@aAp@B\\qAv@KDmAk@lAYO`AmBa@?e@z@M_A_A~@{@uAkAbBFjC']],
+        ['GR', 'GR-C', 'West Macedonia', ['i~FabCx@Ip@v@~AcAAaDwAw@mArAe@K@fD']],
+        ['GR', 'GR-D', 'Epirus', ['oyF{_CP~@`@S^\\Ep@rCsC_@MRq@[{@eBp@_@c@Ah@cBn@p@j@']],
+        ['GR', 'GR-E', 'Thessalia', ['sxF}lCm@zBbAh@EpAf@fAdBq@Qw@h@y@i@}@h@w@L_BOMe@p@YWb@w@N`@Qy@uC|B', 'osF}rC?WQf@PO']],
+        ['GR', 'GR-F', 'Ionian Islands', ['ekFsaCMv@h@g@Ic@QR', '{lFq`CqAd@x@d@SSj@w@', 'kpFu_CAYk@Dl@R', 'muFq|Bk@p@[UF~@~@w@?c@']],
+        ['GR', 'GR-G', 'West Greece', ['shFofCU{@Qd@u@G@oA_AYc@dBd@l@Mp@t@n@pBmB', '}nFqgCeA]@vAsAf@Lx@h@SMpA~BoAg@_@f@g@QaA']],
+        ['GR', 'GR-H', 'Central Greece', ['orFwnCM~Ai@v@h@|@i@x@Pv@rAg@AwAfAZFgBUCr@eBMwAVo@g@c@_@f@gAnES}A', 'qqFgyC_@j@h@UIU', 'omFuxCMbAsAPWpBu@x@d@|ABiArAyA@mAtAaACg@a@C']],
+        ['GR', 'GR-J', 'Peloponnese', ['clFwoCk@~C~@XAnAt@FPe@z@pAhA[Pa@s@KEi@|BcAsAg@jAeB}E~APqA\\GUu@Uv@y@CMb@K_@']],
+        ['GR', 'GR-K', 'North Aegean', ['{oFobDG|@f@[^R?k@_AI', 'asFieDaAp@\\fBZk@Uk@b@TEwA', 'gyFa~CFrA^COg@XSq@S']],
+        ['GR', 'GR-L', 'South Aegean', ['_}EaiD}@An@\\d@MWM', 'ubFooDt@nBn@I[gAiA]', '_dFwcDXJMa@KT', '}eFegDIYQ\\ZC', 'qfF_}CSFZZGc@', 'ogFq~CVd@^Uw@O', 'yhFiwCR?SU?T', '{iFy{CAa@Qv@RU']],
+        ['GR', 'GR-M', 'Crete', ['w{EocDf@fBk@DA|G]t@QUJfA_@NnAj@RoDTcA\\??w@MaF_Aa@']],
+        ['GS', null, 'South Georgia and the South Sandwich Islands', ['xtIl_F[CBb@w@d@ArASe@M`@SpGDsAXNCyAT`@p@uDhAkAEg@Qd@?aAMX']],
+        ['GT', 'GT-AV', 'Alta Verapaz', ['ocBhtPT|@j@Jj@k@ZRb@mADkCkAH{@s@k@pE']],
+        ['GT', 'GT-BV', 'Baja Verapaz', ['c|A~sPiA_B@|DfAi@?s@']],
+        ['GT', 'GT-CM', 'Chimaltenango', ['k{AhvPWUCfA`BPF[mAg@']],
+        ['GT', 'GT-CQ', 'Chiquimula', ['cyAnmP_@g@gAFF|A~@D^cA']],
+        ['GT', 'GT-ES', 'Escuintla', ['_vAluPw@Uu@XFzA^JUh@~@`@ZwD']],
+        ['GT', 'GT-GU', 'Guatemala', ['k{AhvPfBi@qAeAq@f@ZfA']],
+        ['GT', 'GT-HU', 'Huehuetenango', ['q_Bt~P`@MM_Ad@g@YcAm@\\mBcA@tCxBhA']],
+        ['GT', 'GT-IZ', 'Izabal', ['iaBjfPo@lAVW\\V_@b@IpBdAz@bAEOsAl@KcCyD']],
+        ['GT', 'GT-JA', 'Jalapa', ['uyAhsPLoASi@m@ASf@fArA']],
+        ['GT', 'GT-JU', 'Jutiapa', ['wvA|oPe@m@u@CM\\l@dBn@UPn@j@IJ[i@OSu@']],
+        ['GT', 'GT-PE', 'Petén', ['gkBdlPaB@AfJpBD@xAbDqEbAJn@{DMu@yGQ']],
+        ['GT', 'GT-PR', 'El Progreso', ['c|A~sPl@e@s@yAm@h@r@tA']],
+        ['GT', 'GT-QC', 'Quiché', ['mcBtwPlBbAX]`@ZpAg@Q{AgAh@ImAOj@[Sk@j@k@KS_A?lB']],
+        ['GT', 'GT-QZ', 'Quetzaltenango', ['s{AlzPoAd@~Ah@R|@Vw@{@uA']],
+        ['GT', 'GT-RE', 'Retalhuleu', ['gwAz{PuB]j@`ChAcB']],
+        ['GT', 'GT-SA', 'Sacatepéquez', ['qyA`wPBo@w@Fr@f@']],
+        ['GT', 'GT-SM', 'San Marcos', ['}yAp_QBm@UT[aAwAc@YRL~@a@LrDZ']],
+        ['GT', 'GT-SO', 'Sololá', ['u{AhxPEx@l@RRiA{@C']],
+        ['GT', 'GT-SR', 'Santa Rosa', ['euA~rPk@HQo@]Zu@KBr@vAn@Z?XmA']],
+        ['GT', 'GT-SU', 'Suchitepéquez', ['{vAd{P{@[Po@g@Mu@hApBf@TW']],
+        ['GT', 'GT-TO', 'Totonicapán', ['w}A~zPbAQQq@eAZRf@']],
+        ['GT', 'GT-ZA', 'Zacapa', ['e}AdlPm@LZbChAQWwB_@G']],
+        ['GU', null, 'Guam', ['gtAqh[h@t@b@KmAi@']],
+        ['GW', 'GW-BA', 'Bafatá', ['gnA|{AdDf@p@cAGk@iBOk@Xy@k@?hB']],
+        ['GW', 'GW-BL', 'Bolama', ['}fAbcBJW]FPN']],
+        ['GW', 'GW-BM', 'Biombo', ['whA~`Bm@Av@z@[a@ZDI]', 'eiA`dBTYYIBb@']],
+        ['GW', 'GW-BS', 'Bissau', ['kiAd`BML`@JSY']],
+        ['GW', 'GW-CA', 'Cacheu', ['omAj_Bl@dG^u@c@oAp@z@h@o@[yAq@NYcA]@']],
+        ['GW', 'GW-GA', 'Gabú', ['ykArtAkADFfCn@\\j@YhBNM{Cy@A]p@[u@']],
+        ['GW', 'GW-OI', 'Oio', ['gnAt}AnAvBjAg@MwBg@VC]}AKCx@']],
+        ['GW', 'GW-QU', 'Quinara', ['_hAl_BOi@\\i@At@x@h@UiBs@Yo@r@HdA`@TFW']],
+        ['GW', 'GW-TO', 'Tombali', ['ggAdyA[nAr@XLtAb@BLc@UCn@Bm@m@x@PqBkAKw@']],
+        ['GY', 'GY-BA', 'Barima-Waini', ['ot@bvJx@g@|AnCt@d@bASVkBWs@h@gCwAIq@_AqDvF']],
+        ['GY', 'GY-CU', 'Cuyuni-Mazaruni', ['}n@jnJp@~@~@Nl@A^cAqAgAm@?_A|@']],
+        ['GY', 'GY-DE', 'Demerara-Mahaica', ['sj@vlJt@|@`@AHg@aBS', 'kg@bmJdA}@mCSGr@nA\\']],
+        ['GY', 'GY-EB', 'East Berbice-Corentyne', ['si@pjJzAZp@GD[{Aq@i@NMh@']],
+        ['GY', 'GY-ES', 'Mahaica-Berbice', ['}h@|hJnCj@\\y@G_@mA_@wAlA']],
+        ['GY', 'GY-MA', 'Mahaica-Berbice', ['cK~_JQl@cD`BkBT?bA}BlAeD[a@yB_@U[^_Ac@yA@q@~@`Aj@bCAvErCrGeB~GpBs@{Du@o@FgD']],
+        ['GY', 'GY-PM', 'Pomeroon-Supenaam', ['o_@rzJMiBTWmBmDf@YLoAqEMaBhBi@fCVr@Or@h@Dj@tChBAn@v@tCcC']],
+        ['GY', 'GY-PT', 'Potaro-Siparuni', ['g_@pvJRUlB`@ZeBYa@|@A@oAb@Wq@cBeA]]`BeCJy@hAlBnD']],
+        ['GY', 'GY-UD', 'Upper Demerara-Berbice', ['iZ`tJ`@Hr@i@fA`ApDZtAs@nABbCqDMeAcIuByFtA]f@x@fAc@ZAnA}@@Xj@']],
+        ['GY', 'GY-UT', 'Upper Takutu-Upper Essequibo', ['cg@fmJfDBp@r@nBQ\\k@CaBaF}AgAtCy@n@']],
+        ['HK', null, 'North District', ['_lC}hUPXGm@IR']],
+        ['HK', null, 'Lantau Island', ['qiCmfU?aA]??`A\\?']],
+        ['HK', null, 'Southern District', ['siCehU?]S??\\R?']],
+        ['HK', null, 'Central and Western District', ['ajCehU?KG??JF?']],
+        ['HK', null, 'Wan Chai', ['ajCohU?GE??FD?']],
+        ['HK', null, 'Siu Ma Shan', ['_jCqhU?QK??PJ?']],
+        ['HK', null, 'Tsuen Wan', ['mjCmgU?e@U??d@T?']],
+        ['HK', null, 'Tai Po', ['}jCghU?q@Y??p@X?']],
+        ['HK', null, 'Sha Tin', ['sjCmhU?US??TR?']],
+        ['HK', null, 'Sai Kung', ['ajC{hU?e@g@??d@f@?']],
+        ['HK', null, 'Kwun Tong', ['gjCwhU?IK??HJ?']],
+        ['HK', null, 'Kowloon City', ['ijCqhU?IK??HJ?']],
+        ['HK', null, 'Yau Tsim Mong', ['gjCmhU?EI??DH?']],
+        ['HK', null, 'Sham Shui Po', ['ojCkhU?GE??FD?']],
+        ['HK', null, 'Kwai Tsing', ['qjCehU?II??HH?']],
+        ['HK', null, 'Tuen Mun', ['ujCyfU?]O??\\N?']],
+        ['HK', null, 'Yuen Long', ['{jCcgU?g@]??f@\\?']],
+        ['HK', null, 'Wong Tai Sin District', ['qjCshU?KE??JD?']],
+        ['HM', null, 'Heard Island and McDonald Islands', ['|jI{kMYbBh@m@Ou@']],
+        ['HN', 'HN-AT', 'Atlántida', ['obBhcPf@Jv@qAe@kEa@T@hEYp@']],
+        ['HN', 'HN-CH', 'Choluteca', ['}qA`}OwAFf@|@q@hA`ASZ^|@g@?u@s@YEc@']],
+        ['HN', 'HN-CL', 'Colón', ['uaBf{OpAu@g@_BdBiCwD?V`B_@fBVGV|A']],
+        ['HN', 'HN-CM', 'Comayagua', ['szAlePx@sAZb@b@[c@s@y@FcAs@_@hBfA`A']],
+        ['HN', 'HN-CP', 'Copán', ['e}AdlPbA@b@uAkCAb@tA']],
+        ['HN', 'HN-CR', 'Cortés', ['iaBjfPh@p@\\cApBa@c@k@s@f@gCi@d@`B']],
+        ['HN', 'HN-EP', 'El Paraíso', ['wvAvuO[PHr@y@~C|CdBV[s@eA@mA{@_An@w@k@c@']],
+        ['HN', 'HN-FM', 'Francisco Morazán', ['c|Ah`PjAj@x@GVb@dAFPc@@cAwCsAwBv@Vr@']],
+        ['HN', 'HN-GD', 'Gracias a Dios', ['c{AfrOQc@h@cAmAaE@kAoApBb@k@Bv@i@t@Zi@@Vy@t@\\_BqAnBFhAk@bAxF?']],
+        ['HN', 'HN-IB', 'Bay Islands', ['kcBv~O?iRoG??hRnG?']],
+        ['HN', 'HN-IN', 'Intibucá', ['ivAbhPV?Qs@aBmAc@VGhAf@^bAc@Zb@']],
+        ['HN', 'HN-LE', 'Lempira', ['ywA`kPn@}AU_@iA^Wc@q@FUv@h@B@Xt@Il@l@']],
+        ['HN', 'HN-LP', 'La Paz', ['mvAjfP^qBs@E[h@[c@Cz@nAt@']],
+        ['HN', 'HN-OC', 'Ocotepeque', ['ayAlmPf@kA_Aq@g@hA~@r@']],
+        ['HN', 'HN-OL', 'Olancho', ['c{AfrOaA?eBlCd@~@R|Ct@`@vBw@x@_DIs@ZQw@mAsAa@']],
+        ['HN', 'HN-SB', 'Santa Bárbara', ['s~AviPhAMTaA`@CAu@oAIuAj@El@j@x@']],
+        ['HN', 'HN-VA', 'Valle', ['quAlcPvAL?{Am@Li@~@']],
+        ['HN', 'HN-YO', 'Yoro', ['gaBtcPhBXv@_B[gBo@SWuBe@pA^rCw@pA']],
+        ['HR', 'HR-01', 'Zagreb', ['k}Ge`BTz@n@qCcAoAK_Ae@dBh@Gl@|@m@\\U]ZhA']],
+        ['HR', 'HR-02', 'Krapina-Zagorje', ['a`HwaBTh@`@QJy@]y@]JGnA']],
+        ['HR', 'HR-03', 'Sisak-Moslavina', ['kxGeeBg@c@HuB_@MaBvCj@`@?h@RKNxAh@BAiAf@cA']],
+        ['HR', 'HR-04', 'Karlovac', ['oyGwaBG`@w@c@c@lAR\\VQh@lA\\Gn@oBI_@u@M']],
+        ['HR', 'HR-05', 'Varaždin', ['y`HqcBXh@HiAb@Gu@_BQfC']],
+        ['HR', 'HR-06', 'Koprivnica-Križevci', ['m`HohBx@fBRaA_@a@h@w@Ua@aAtA']],
+        ['HR', 'HR-07', 'Bjelovar-Bilogora', ['u}GcjBi@z@fAbAp@qAIeBa@Mc@dA']],
+        ['HR', 'HR-08', 'Primorje-Gorski', ['_{Ge~AEtAg@j@h@zAz@Qe@[|@iBoAeA', 'quGiyA]Tn@e@QN', 'cvGuyAeBf@h@SHVp@k@', '{wG_{A}@`@^V\\y@']],
+        ['HR', 'HR-09', 'Lika-Senj', ['gtGq~AEaAeA\\KY_AtBnAXfAqA', 'ouG_|Aj@iAgAfBZ]']],
+        ['HR', 'HR-10', 'Virovitica-Podravina', ['k~GekBPb@f@gAVJRyA_@g@eAxC']],
+        ['HR', 'HR-12', 'Brod-Posavina', ['iyG_jBT{G]HBvCg@bAFh@b@J', 'e|G_pB^f@UfARtBx@eDy@gC]fA']],
+        ['HR', 'HR-13', 'Zadar', ['ywGiaBCb@^IFXfA]D`ARo@Mt@XV~@qA]uBTIIcAo@|@qAd@]z@_@?']],
+        ['HR', 'HR-14', 'Osijek-Baranja', ['}}GstB`@rAI`B|@iBh@fAN}Ai@UUyAKh@cAN']],
+        ['HR', 'HR-15', 'Šibenik-Knin', ['{nGacB_AsAWPQf@\\tBd@oAd@K']],
+        ['HR', 'HR-16', 'Vukovar-Syrmia', ['yxGyrBl@}AQYe@PKiAw@lBd@dAf@C']],
+        ['HR', 'HR-17', 'Split-Dalmatia', ['yqGifB|AfBIyAnAeE}@b@eBrC', 'qlGigB?cBMbDL_A', 'omGcfBEmAOzATM']],
+        ['HR', 'HR-18', 'Istria', ['c{GktAG^fAS@YJTr@kAcAm@q@DKjB']],
+        ['HR', 'HR-19', 'Dubrovnik-Neretva', ['_iGgrBeA|B[`Dr@qDhAyB[J', 'ulGalB@RVOHm@c@h@', 'cjGkmBIbARuAIP']],
+        ['HR', 'HR-20', 'Međimurje', ['saHgfBBx@^YA_Ba@~@']],
+        ['HR', 'HR-21', 'Zagreb', ['i~G{cBJ~@h@HN]a@u@c@H']],
+        ['HT', 'HT-AR', 'Artibonite', ['kuBleMJ{AiBCoAxANlARHj@wA`AZZU']],
+        ['HT', 'HT-CE', 'Centre', ['owBl_MCxArAH@V`@yBs@Tq@m@MT']],
+        ['HT', 'HT-GA', 'Grand\'Anse', ['wqBhpM?kBc@a@UvBx@T']],
+        ['HT', 'HT-ND', 'Nord', ['g{BpdMLTn@a@?c@|@e@O_@kAN_@dB']],
+        ['HT', 'HT-NE', 'Nord-Est', ['ezBn_MPdAbAk@Ye@{@J']],
+        ['HT', 'HT-NI', 'Nippes', ['{rBzkMVFJ_CZYo@HOfC']],
+        ['HT', 'HT-NO', 'Nord-Ouest', ['q|BhfMDTHaAOj@', 'uyB~gMq@mBKvBj@z@PeA']],
+        ['HT', 'HT-OU', 'Ouest', ['wsBt_My@pDx@eA\\B\\lCVg@[iATyC}@x@Ok@', '_uBzhM^yAq@lAPJ']],
+        ['HT', 'HT-SD', 'Sud', ['spBhgMc@TM~ALhD`AsBm@k@N_C']],
+        ['HT', 'HT-SE', 'Sud-Est', ['iqBf_MUxC^fBRWScDf@y@q@K']],
+        ['HU', 'HU-BA', 'Baranya', ['q}GimBTuCu@yAmAbCj@bB`AF', '{~GwqBCl@Qe@TG']],
+        ['HU', 'HU-BC', 'Békéscsaba', ['ubHicC]@Hb@Re@']],
+        ['HU', 'HU-BE', 'Békés', ['sbH{dCaAq@F~@g@NQv@nArBPc@bA@\\i@CeAkAw@', 'ubHicCSd@Ic@\\A']],
+        ['HU', 'HU-BK', 'Bács-Kiskun', ['o_HezBe@FEc@c@DE_@mAa@?t@d@d@aA^HjBdFd@o@uD']],
+        ['HU', 'HU-BU', 'Budapest', ['agHmuBWkAOnAf@C']],
+        ['HU', 'HU-BZ', 'Borsod-Abaúj-Zemplén', ['omHiiCLhAm@~@AbCFz@dAvAA}C`@GHxAt@e@Bw@aAq@mAeE']],
+        ['HU', 'HU-CS', 'Csongrád-Csanád', ['c`H}`CWd@l@`B@mBWY', 'o_HezB@eAa@H?i@g@OLy@{@?CrBlA^Db@d@G']],
+        ['HU', 'HU-DE', 'Debrecen', ['}hHueC`@XT_@Os@a@HEn@']],
+        ['HU', 'HU-DU', 'Dunaújváros', ['wcHstB?]c@??\\b@?']],
+        ['HU', 'HU-ED', 'Érd', ['sfHqtB?]a@??\\`@?']],
+        ['HU', 'HU-EG', 'Eger', ['yjHs~BEVd@E_@Q']],
+        ['HU', 'HU-FE', 'Fejér', ['mdHspB^GJgBWe@wA@u@n@VlB`BI', 'ofHsrBXON\\YROa@']],
+        ['HU', 'HU-GS', 'Győr-Moson-Sopron', ['akHejB\\\\\\ONfBb@M?yF{@?s@pC', 'iiHymBNMBz@Sm@']],
+        ['HU', 'HU-GY', 'Győr', ['iiHymBRl@C{@OL']],
+        ['HU', 'HU-HB', 'Hajdú-Bihar', ['khHmiC_@bBi@ZAnAv@x@T_@`AAz@oAa@iA}AmA', '}hHueCDo@`@INr@U^a@Y']],
+        ['HU', 'HU-HE', 'Heves', ['}hHy`Ci@~@LVcAQJtAdApA|@cDo@iA']],
+        ['HU', 'HU-HV', 'Hódmezővásárhely', ['iaHu_CMx@n@NDq@g@W']],
+        ['HU', 'HU-JN', 'Jász-Nagykun-Szolnok', ['}hHy`Cn@hAm@nAJ`AdAeAQUV_@VBIh@Z[f@f@UiC_A{@aA@Sh@']],
+        ['HU', 'HU-KE', 'Komárom-Esztergom', ['}iHqtBNxDdA?C_Bg@GJw@a@q@SV']],
+        ['HU', 'HU-KM', 'Kecskemét', ['ydHyyBj@G_@YK`@']],
+        ['HU', 'HU-KV', 'Kaposvár', ['gaHcnBd@FO[UR']],
+        ['HU', 'HU-MI', 'Miskolc', ['ikHa_C@qAc@d@`@j@']],
+        ['HU', 'HU-NK', 'Nagykanizsa', ['caHuiB[V^DC]']],
+        ['HU', 'HU-NO', 'Nógrád', ['wkHm{BLf@[KG\\v@fCn@gBuA_CBd@']],
+        ['HU', 'HU-NY', 'Nyíregyháza', ['}jHqgCGd@^FDk@]A']],
+        ['HU', 'HU-PE', 'Pest', ['}iHqtBRW`@p@f@[o@k@Ty@VjAbACW{@XISi@`@o@KuAmCrBg@bCYDNd@ZM']],
+        ['HU', 'HU-PS', 'Pécs', ['{~GwqBUFPd@Bm@']],
+        ['HU', 'HU-SD', 'Szeged', ['m_Hu|BQ_@WVFZ`@S']],
+        ['HU', 'HU-SF', 'Székesfehérvár', ['ofHsrBN`@XSO]YN']],
+        ['HU', 'HU-SH', 'Szombathely', ['qfHcgB@XXM[K']],
+        ['HU', 'HU-SK', 'Szolnok', ['ueHk|B?o@e@`@d@L']],
+        ['HU', 'HU-SN', 'Sopron', ['shHoeB?_A[??~@Z?']],
+        ['HU', 'HU-SO', 'Somogy', ['k~GekBVoAg@P}@_BsBOj@nDx@VXz@`AuA', 'gaHcnBTSNZe@G']],
+        ['HU', 'HU-SS', 'Szekszárd', ['w`HitBB^@w@EV']],
+        ['HU', 'HU-ST', 'Salgótarján', ['_lHqzBTJMg@GZ']],
+        ['HU', 'HU-SZ', 'Szabolcs-Szatmár-Bereg', ['ujH_nC}AfCzAxEBwAf@S^cBiAqC', '}jHqgC\\@Ej@_@GFe@']],
+        ['HU', 'HU-TB', 'Tatabánya', ['{gHyqB?_@Y??^X?']],
+        ['HU', 'HU-TO', 'Tolna', ['ycHiuB\\t@ObBpAJGm@b@OVoAsCW', 'w`HitBDWAv@C_@']],
+        ['HU', 'HU-VA', 'Vas', ['qgH}fBHf@nAKZnABo@ZEk@q@]yBs@OQVElB', 'qfHcgBZJYLAY']],
+        ['HU', 'HU-VE', 'Veszprém', ['_gHcpBYv@PzBLSv@f@hAGu@oEqAN', 'ceHqoBFXa@HXc@']],
+        ['HU', 'HU-VM', 'Veszprém', ['ceHqoBYb@`@IGY']],
+        ['HU', 'HU-ZA', 'Zala', ['saHgfBb@iBg@XBy@gBJl@rCx@U']],
+        ['HU', 'HU-ZE', 'Zalaegerszeg', ['kcHygB?]Y??\\X?']],
+        ['ID', 'ID-AC', 'Aceh', ['uLcdRuEn@MYqAh@{BcBe@v@cAPgApADxEqA~CJnAv@@`CiAjDuDRoA`DoCtB[PgA', 'mLi_RKl@b@k@WA', 'aN_zQcBpBNh@|A}BI]', '{c@{rQ?XVYW?']],
+        ['ID', 'ID-BA', 'Bali', ['xr@sqUm@tAX`AMpAt@]t@oBd@DuAqBYN']],
+        ['ID', 'ID-BB', 'Bangka Belitung Islands', ['xPycTo@d@ItAdCLc@u@b@g@kAk@', '~NizSYxA{DpAFh@r@Us@n@vAtA`@a@@}AdCi@x@kBGk@_@\\eAa@']],
+        ['ID', 'ID-BE', 'Bengkulu', ['v]qfSW_@qA`@sB`Em@gAa@AMxA{E|En@pAxCyBlAsBdAQxDcG', 'v`@a_SM|@`@c@SY']],
+        ['ID', 'ID-BT', 'Banten', ['tj@_xS{BC?eA_AFGlBWPzB|@EZ`A\\]XTZj@kF']],
+        ['ID', 'ID-GO', 'Gorontalo', ['mEwzVbAnEl@a@K{Ih@mAq@CiAjATp@i@`C']],
+        ['ID', 'ID-JA', 'Jambi', ['tCoeSF~Bx@r@k@dAb@rAXMhAf@b@d@CbAvBm@KSdB}AEeCiAw@BcAe@Ej@m@uAOo@eEkC\\FlB_AlA']],
+        ['ID', 'ID-JB', 'West Java', ['~d@u{Sx@H?fBnAQf@TH[fAZViE~@wD_@}AkAp@}AeAIx@eBp@AfCaA~B`@H']],
+        ['ID', 'ID-JI', 'East Java', ['`i@}xTrAJ^`@Gn@pBUlAhAj@yIa@qBzAsGk@n@qCMc@nAVvDg@hAu@KMj@_ABF|Ac@vA', 'dj@ygUC`F`@l@d@cDu@yBML']],
+        ['ID', 'ID-JK', 'Jakarta', ['zd@azSj@APg@y@ICr@']],
+        ['ID', 'ID-JT', 'Central Java', ['pi@sgT|AdAjAq@l@wFi@SW{@dCcBmAiAqBTFo@_@a@sAKGhBy@j@Rp@~Ax@a@fH']],
+        ['ID', 'ID-KB', 'West Kalimantan', ['_LilTZ|@pAt@|@Na@w@l@dAbD?`AkAAZr@K@`@v@Qd@iAIp@b@AXqAUO~A{@~A^Ve@pBe@RVdAOQeAf@MkAcB{El@kDkFe@eF_Bk@_A^M}@_FsB?z@h@x@e@bC]A?bBZ|@x@LXt@MzBj@hCsChDy@Xe@W', 'zE_mTWv@t@J]cA']],
+        ['ID', 'ID-KI', 'East Kalimantan', ['_Yy}Ug@hACtETTWb@|Az@`BKnAZAj@h@`@~@[r@tAdAIxAt@@dAh@@p@bAVQz@`@c@}EP_@bDLc@iA~@NrBe@f@eAtAn@dD{@@kCc@EA~@Yc@s@B@j@sAkBeABn@OC[uA_AEcAOZw@]Td@_CE}Bu@Ky@}@Z|@aB?sAc@i@qEzF}@aAaBzAMWCf@G]YL[dAg@c@_@rAC_Bc@F^_@Mg@}AzA@g@']],
+        ['ID', 'ID-KR', 'Riau Islands', ['{CyeSQXj@MYK', 'gF}iSPn@Nc@a@K', '{EamSYLZdAJs@f@Ou@O', 'wQgtSKTj@C_@Q', 'eWodTiAb@l@n@j@w@P`@HQk@k@', 'nAmlS?t@r@Os@e@', 'n@ynSu@hAj@VHaB']],
+        ['ID', 'ID-KS', 'South Kalimantan', ['vMqwUAjCeDz@]WLt@vBPl@xAfFpBLa@]MbDMoBmG}Ay@_AV`@]{AABk@e@I', 'fV{uUcBDpAp@vAMeAi@']],
+        ['ID', 'ID-KT', 'Central Kalimantan', ['lTmiUgFqBm@yAwBQA{@_@Qc@?_AlA{A\\_AOb@hAoCSe@Vb@jFp@^Jz@~@_@~Aj@d@dFnDlFvEo@`ApAAcDw@c@dD[o@}@PwAs@kAo@CdA}@UH@}@x@CSqAa@Od@Ma@a@j@H']],
+        ['ID', 'ID-LA', 'Lampung', ['~XmtSqAdBrA|@t@jCxA@FpAYVV^hE}DA_@qA`@v@yBeAWzAyA_Ec@{CN']],
+        ['ID', 'ID-MA', 'Maluku', ['bg@ihYKr@`@e@UM', 'xq@q_XA`AZu@YK', 'fp@ojXOh@RF^e@c@K', 'ho@wwWa@h@RbCdAf@Yw@PsAo@iA', 'dl@cvXSXfA`AdBVBg@oA}@mAM', 'bh@ogYoAjA`AUIRhAFDo@w@a@', 'dc@_}Xe@b@`AM[U', 'ne@giYi@^B[{@Co@p@v@^?\\Nc@`ARp@aAi@]', '|TaaXp@nAG}@i@Q', '`UocXG^XOQO', 'tTgzWoAnAFtCZRjAi@l@cBg@eBe@E', 'hU}pXsB~Ai@hDb@fA_@XJlDh@NRr@jAQ_Bo@lA}@s@oA^ORiB_@CDkAjByD{@I']],
+        ['ID', 'ID-MU', 'North Maluku', ['zM}rWsAZt@D\\a@', 'jJqtWDdERQYsD', 'bJenW]|Cn@d@Zi@Y{CS@', '|H}_Xs@fBPf@h@HNeCWS', 'rCszWWR\\FE[', 'vCi~WIn@mALBr@~A[Ma@ZWY[', '`BezWi@MCXn@JAW', 'h@}|W`BgAh@qAaCzAkCLl@eE[h@g@@k@|A{@aBcBCb@fBn@BbA`AYj@iAkAqA?Y^eAg@fArA|Bl@jAk@t@Pp@e@fBH', 'oNicX]V`@p@d@Vt@MU{@iAW']],
+        ['ID', 'ID-NB', 'West Nusa Tenggara', ['|q@k~UD`@b@?i@a@', 'vr@}wUGbAh@r@x@KNp@NqCeBa@UT', 'xt@_hVF\\eANDj@j@Ns@BNbAw@lA\\h@nAqBN|Aw@d@OrA\\fAxAT\\w@KkAc@yCy@q@t@??cBSh@AyAYI']],
+        ['ID', 'ID-NT', 'East Nusa Tenggara', ['jx@yhW|@Z]z@t@~@rATFc@x@x@q@mE{A_BwAB]g@Sn@j@|A', 'f}@}qVeCdDR|C^l@`@_@HiBjBcDUu@o@M', 'ft@gjVOZz@Fk@c@', 'tr@}aWV`A@u@YK', 'xr@}_Wk@`@\\VEg@RJbAtBg@t@`@fBiAvEb@lB`AJXSSs@`@cD]qARkAw@mEa@@]m@', 'daAebW_@?zApBOmAk@c@', 'd`AcyVXp@Fe@a@K', 'lr@qeWAx@\\HSb@NOb@r@FeAcAeA', 'jr@}gWl@nAPo@_A_@', 'jr@amWQ`CZPG_@b@j@K}CYA']],
+        ['ID', 'ID-PA', 'Papua', ['fOapZDp@YCc@rBDjAoDbK`AnC|@KV~C`AT|CvCChBe@^o@EPV]JjBvAjAoE`BnAf@_AJwCrAmD@{A|A}C~@?Iy@Pf@Lo@LZ`Bi@|@gA?\\r@eBYr@NhAl@w@?oAHpBfAsAnBp@`@McA}@p@c@SqBk@c@|@^vDeEyL?g@XgAYkV@', 'bs@ccZc@Td@n@AeA', 'bn@kcZc@j@f@|BlDxACsCaAgBcBc@GZ', '`JivY_@|Gz@iD[sB', 'jEwjY@f@TYWM', 'xEksYmAdBKbBf@oAbAWQaB']],
+        ['ID', 'ID-PB', 'West Papua', ['pY}iYaBoAkAnEkBwAaADD^~@BmBz@}BLaAe@mAn@SYeBxIbAnBX~Br@AdAz@TmEfAFhAiA_@eI\\\\K_@ZNH[Hr@h@M[Th@Dc@HRb@]?d@Ls@ZlAdBYrATdAZCBeAjAcAI[t@WXf@pAc@CcAg@g@aBKFWcBm@d@MVp@vACHYYAt@]U[t@e@]A^g@QwABx@^DXk@', 'xJ}mXi@Hf@|Bd@sAQ}@QH', 'fEcrXEpAjA}@eAS', 'zCgqXBvAXN]gB', 'n@ssXo@~Af@vBJ{@b@E][^MOe@y@~@v@eABu@[I']],
+        ['ID', 'ID-RI', 'Riau', ['}N}qR|BBz@]n@hAl@_@bBLf@Up@qBv@Pn@UnCuDc@sAj@eAy@s@G_C{@LAm@Mp@_@[Hj@q@iB{@Lq@hAjAzCOZJ[cAcBi@f@MxAuB|@_AhCsBjANp@jA]oC~B', '}BqdSMT^FQ]', '_DacS}@rB~@IRaBUG', 'yDqcSm@`AZb@PeB', 'wFm_S_@r@zA_@{@S', 'oGs_S_@FSxAr@aB', '{KwzRBz@z@MGm@w@?']],
+        ['ID', 'ID-SA', 'North Sulawesi', ['yDk`WhAkAp@BQkD_FwDi@r@r@ZTx@^GhA`CSfD', 'uTipWu@h@v@MA[', 'aZ}wWk@XlBJaAe@']],
+        ['ID', 'ID-SB', 'West Sumatra', ['nNmvRc@}@wBl@?iAmBgAeDbEsBLe@fB}@RYzAlAg@KdA|@pA`@_BrDeCjIqC', 'zRorR_@Mq@n@f@FfAu@]J', 'xOiqRg@n@bAI[e@', 'hM{nRs@r@n@GBk@', 'dImkRmChAFn@n@L~Ay@Vo@a@]']],
+        ['ID', 'ID-SG', 'Southeast Sulawesi', ['fSs{ViA`FfB~@bBgAf@kAhB\\j@k@?mAi@F_@c@@iBa@PNm@aAJN\\a@ZOU{@xAi@GJYg@F', 'r_@}yVWj@hAWq@S', 'v]k~V{@LX`AzBROm@XQcBc@', 't_@u`WGf@yASNa@wAb@l@d@vBFz@n@\\MBe@yA_A', '|W_aWJp@^QC_@g@?']],
+        ['ID', 'ID-SN', 'South Sulawesi', ['nl@_sV?`@Bw@CT', 'dQysVTuAeAu@}@lA[~BkAfABdA`ApAbB]Lt@fAWPl@bBIt@e@rGz@l@OTy@e@wBT[}Af@cBe@uGB{@l@eAsBLq@l@K', 'bd@mpVa@NlCAkBM']],
+        ['ID', 'ID-SR', 'West Sulawesi', ['xTyiVy@NQm@eAVMu@cB\\m@m@iBd@Wd@_BOrAr@lCGHXvAN`AjAPYj@X~Aa@OoB']],
+        ['ID', 'ID-SS', 'South Sumatra', ['xIilSJ~Bd@hArAJk@l@d@DCbAfAr@MbAZd@nBaBLwA`@@p@dAnB_EjBy@GqAyAAu@kCsA}@nAmAw@o@g@X{Bm@]n@cBd@UvC~A`Ai@c@e@?DRu@u@e@jAi@E']],
+        ['ID', 'ID-ST', 'Central Sulawesi', ['{AiuVm@`@[[g@sDExBo@ZIjBpBbAi@x@tC`B~@GQf@Xa@hCMUh@xB`@Ve@fBa@SsBhAaAZ_Ct@gAbA^v@eD_ExBkArANJa@FPmAo@a@c@eBuB}AKs@f@q@aAQ]fAPdATg@?nC`@R@nA[PxBdBCtAqAb@_ApAuBLuB}AJgD', 'zF{bWXt@o@FDv@r@R\\Qy@q@v@FHYi@I@o@a@D', 'nAqxV\\h@Gq@UF', '~HocWWNl@DUU']],
+        ['ID', 'ID-SU', 'North Sumatra', ['q@ujR}@qAJeAmAf@X{AoAIk@\\o@iA{@\\_CC]Tb@Lg@NXFeADm@l@gEhHLNc@?lBnApAi@LXbAIT]zBGdBoCVTdGwA', 'zAsfRk@Lx@\\Fk@U?', '^ofR]b@hAq@k@L', 'gEacRgBdBRfAhD_CIa@kAK']],
+        ['ID', 'ID-YO', 'Yogyakarta', ['fr@wsTeAJGn@q@RVz@h@R|@_D']],
+        ['IE', 'IE-CE', 'Clare', ['ehItu@{@}A?rBc@Z?p@nAp@d@vAEaCe@eATe@']],
+        ['IE', 'IE-CN', 'Cavan', ['krIrp@TRpAaCY_CmAlF']],
+        ['IE', 'IE-CO', 'Cork', ['{cI`p@}@dAGxDRZp@[lAlEa@wBNSXlAK{@^t@QqDk@}B_@d@VgAc@w@']],
+        ['IE', 'IE-CW', 'Carlow', ['wiI`i@`@dAv@_@oAsAIl@']],
+        ['IE', 'IE-D', 'Dublin', ['glIre@RTBg@WP', 'enIve@r@t@?qAs@Z', 'skIlg@Mi@Oh@\\?']],
+        ['IE', 'IE-DL', 'Donegal', ['ewIhl@a@}@]vATWAr@l@KTj@a@]]TH\\VQ_@RVJCrA^b@`@Y`@zA@cCd@VOoAO[Oj@GmAaAy@']],
+        ['IE', 'IE-G', 'Galway', ['ekIfw@b@[?eBq@kAaBbBl@nCYhAL~BJe@L`@AkARPMcA\\JKiC\\N']],
+        ['IE', 'IE-KE', 'Kildare', ['wiI`i@}Au@AtBnADNeA']],
+        ['IE', 'IE-KK', 'Kilkenny', ['weItj@y@M{@j@PhBvA}@JiA']],
+        ['IE', 'IE-KY', 'Kerry', ['mbIr|@o@sCuBn@`@tB^i@LnCDkCt@~BZs@[oBXv@']],
+        ['IE', 'IE-LD', 'Longford', ['coIdm@_@p@~@lANiAo@u@']],
+        ['IE', 'IE-LH', 'Louth', ['cqIdf@d@pAb@uAy@T@q@Q^']],
+        ['IE', 'IE-LK', 'Limerick', ['sgIny@x@[CsE[l@k@g@Qx@ZTFxC']],
+        ['IE', 'IE-LM', 'Leitrim', ['ksI`r@Fn@p@SNs@`@FTm@Ws@s@vAUS_@l@']],
+        ['IE', 'IE-LS', 'Laois', ['oiIhj@w@ZIz@Hr@f@Rb@KSsC']],
+        ['IE', 'IE-MH', 'Meath', ['ynI`f@e@~AVxB\\mAj@l@HUAyBcAi@']],
+        ['IE', 'IE-MN', 'Monaghan', ['qrI|i@Ob@t@v@l@sBMe@eA|@']],
+        ['IE', 'IE-MO', 'Mayo', ['_nIr{@VqBo@sAy@WCpAUIc@hAAfBLMJZSRd@VS[r@g@L\\CiAZbA^i@']],
+        ['IE', 'IE-OY', 'Offaly', ['slIdk@@lD|APK{@g@SEwBe@F']],
+        ['IE', 'IE-RN', 'Roscommon', ['qlIrp@q@P_@][h@a@G`@x@GbAx@ZGgArA{@Ok@']],
+        ['IE', 'IE-SO', 'Sligo', ['qqI`x@r@gCe@y@kA|@Xf@Z_@OdBVT']],
+        ['IE', 'IE-TA', 'Tipperary', ['_jIho@Tp@m@KQ^pAnAn@mBYy@}@P', 'cfI~l@mAt@h@z@]r@h@f@p@y@YsC']],
+        ['IE', 'IE-WD', 'Waterford', ['ueItj@MzCTCNnAh@uA_@WGsBYE']],
+        ['IE', 'IE-WH', 'Westmeath', ['goIzl@r@~@Bz@\\CSoDc@U]lA']],
+        ['IE', 'IE-WW', 'Wicklow', ['okI`e@CjA^p@Z@Hm@Rd@DkBk@_@o@R']],
+        ['IE', 'IE-WX', 'Wexford', ['shIle@VzB`Ap@^MYe@LoAa@ZBYoAk@']],
+        ['IL', 'IL-D', 'Southern', ['abEauEvIcCoKmBZnBs@Iu@t@dCtA']],
+        ['IL', 'IL-HA', 'Haifa', ['kjEa{EMd@k@W?b@rAPYcA']],
+        ['IL', 'IL-JM', 'Jerusalem', ['qdEmyESy@a@BPlAb@W']],
+        ['IL', 'IL-M', 'Central', ['kiE}yEE^jAAB\\j@JMgAgB?']],
+        ['IL', 'IL-TA', 'Tel Aviv', ['agEaxEC][B^X']],
+        ['IL', 'IL-Z', 'Northern', ['kiEg}Es@?{@aA}AL~@bABlAfBF`@eB']],
+        ['IM', null, 'Isle of Man', ['{pIx[m@{@WFbAvA@c@']],
+        ['IN', 'IN-AN', 'Andaman and Nicobar Islands', ['{j@_jQk@PJ\\tA]u@Q', 'ibAuaQO^~@H@_@q@I', '_rAqdQ{@FxCt@vBIdAt@hAg@{DYQ[oATgAa@']],
+        ['IN', 'IN-AP', 'Andhra Pradesh', ['msAwtNkCl@gA]gB\\yBm@i@mAd@[}@Qp@UmBq@@cBs@mBiBKmF{IkDaChAvBCr@_Ax@J\\N^ZQh@fAp@AGn@f@^y@f@~ATXpBjBdA~@lBEzAx@g@m@xAlAd@Sd@^bB`AJh@rAAlBh@Z]lDTf@fAJhA_@XROt@~ABZe@h@BO}A\\QLZl@Ku@dBlAO?a@[Ah@}@o@cANy@f@@L{@t@AHe@nARBl@`@KF]sAu@BwAy@y@TaA}@q@Jm@Yf@YOj@[']],
+        ['IN', 'IN-AR', 'Arunachal Pradesh', ['koDg_R_@n@GzCcAy@m@XHr@_Aa@Ul@DnAz@hAw@xC~BdCNxBr@Th@hBZKZ`@XzBYlAl@AZQDgAhBK]{BVwC]iAmBqAcAyIt@d@dAm@`AbDlAMyBoDSqBt@qAeBr@y@}AaA@']],
+        ['IN', 'IN-AS', 'Assam', ['_fDspPlAD`@`@b@a@jBBgBaABeDh@q@{@iARO_@[@yAlAPMi@\\{@VRr@m@l@tAZSAr@xB?Xs@eAw@Lw@uDsAm@VkAeAFs@cC_AmCwFUcBeAl@u@e@bAxIlBpA\\dAWzCt@bDDfFYhAb@`B']],
+        ['IN', 'IN-BR', 'Bihar', ['adDybPJdAm@r@`@`Ag@tAFxAw@j@T~@y@`C{@Je@~APt@dBo@t@_ARzA^s@b@f@vA{BX`ASZbBvCfADdAa@UcBbA{Ag@_A^y@_@wAu@k@By@pAqAk@[EyAuBs@[k@Ts@m@@I{@sAv@gBaBWPb@b@GfA']],
+        ['IN', 'IN-CH', 'Chandigarh', ['m_Ea_NDTNYUB']],
+        ['IN', 'IN-CT', 'Chhattisgarh', ['{uC{gOf@XKpAj@t@QtDjAAXaBp@CnBbBN~ApCrAvAJ^j@jBEP[b@@Rf@b@[r@\\~@aBh@b@YZZ`@dB\\x@qAv@MBk@hAMEgAyA]cCgCaFdA?k@l@i@EqA]@Mv@_DLw@}@D_Bk@o@}Cc@wC}Cs@~@aBFFl@_Bn@Kb@']],
+        ['IN', 'IN-DH', 'Dadra and Nagar Haveli and Daman and Diu', ['u|BihMm@RRb@f@UMa@']],
+        ['IN', 'IN-DL', 'Delhi', ['osDoaNHr@|@L?{AgAX']],
+        ['IN', 'IN-GA', 'Goa', ['a|AanM[c@uBD?v@_@XVX?[\\PZk@Gd@fB}@']],
+        ['IN', 'IN-GJ', 'Gujarat', ['iyCc{LTT`@Yb@~@Gd@]@p@tB_@rFfADDzAb@RPWJZu@gCr@pA`@AtAyAr@oCm@kBHs@_@UjB~@x@`Ei@Zb@XdF}EtAiCaBoGsAg@a@z@w@}@g@^?wCP`Ah@NAm@~@b@QsBhApBd@a@PTCe@hA[hCn@u@gAf@BGaA}ABPcAk@i@sAfAaAuCOlBm@KU_AiALMe@Wj@WaAi@QuAhAa@xAeAt@}@@NR[\\i@W[X\\d@MvAi@XMv@BdE']],
+        ['IN', 'IN-HP', 'Himachal Pradesh', ['ijE{hNFTw@Q^dAoAx@ZhAgA`D|@pCbBSbA`AT{@`C{@Uc@|DiDRiA[m@u@RkAm@WiA^gCe@p@_C?qBfA']],
+        ['IN', 'IN-HR', 'Haryana', ['{|D}cNSjAyApAnBSI`@bAf@K~@v@?Vp@MdBp@f@iA\\CrBdBCb@iDzBg@|AaBHZt@IBk@i@HAa@]Dl@s@s@w@lBYu@oB_BJ]~Bs@WMu@aC^cDiB']],
+        ['IN', 'IN-JH', 'Jharkhand', ['{uC{gOJc@~Ao@Gm@`BGb@{@tAfAj@cAc@wClANC_DZGqBi@bAaCO_@_BxAi@Ua@zB_AJYi@^m@w@iBc@OJgAe@?]sAoAQE]_AB{@TOp@~@lApAPDxAj@ZqApACx@h@Pj@pB_@x@f@~@cAzAVrBjAR']],
+        ['IN', 'IN-JK', 'Jammu and Kashmir', ['clEooMAiAfA?`@aD_AsA}@Tu@yD}GjH[|DXhAt@\\\\k@d@LLeAt@|@f@g@v@`@j@_A`@A']],
+        ['IN', 'IN-KA', 'Karnataka', ['ynAyrM`@sA|@W`AwA`AeEc@SBaBc@s@g@MQv@wBcARuAUo@sAQEb@u@@Mz@{@Xr@xAi@dA^`@qAPt@eBm@J_@YBlBi@C[d@_BCNu@YSiA^gAKOsAiASYx@e@e@sBNeA_AKv@aAk@aAHa@t@z@pAxAj@M^`@h@p@GWpCbBADdCbAx@LtApAm@hAZPn@H]`AK`AJL\\D[HZ`AcAdD}@|COCWTP']],
+        ['IN', 'IN-KL', 'Kerala', ['cjAcuMWc@h@PnBuA`FcBXJrB_A@ZwAT|BUjAa@K[RXxByBm@Y}AV{Ao@[h@gCIEnA}AIc@h@w@CDp@YQe@|@i@_@m@pB_AtA}@Va@rAtCiA']],
+        ['IN', 'IN-LA', 'Ladakh', ['{|EgeNtCdFL|Bb@n@KtAd@CbB_Dz@O~BqDOsBnAy@_@eAx@N_@uAx@m@c@cBg@c@s@x@s@YO|Ak@h@iBHm@q@}@fCaCz@k@GAn@']],
+        ['IN', 'IN-LD', 'Lakshadweep', ['or@abM?oHsT??nHrT?']],
+        ['IN', 'IN-MH', 'Maharashtra', ['gaBskMKY`@_@[aA}A_@_An@MuAcAy@EeCaBBVqCs@Da@i@L_@yAk@y@gAZy@g@AaAeAi@^q@WF{@k@YqAEtAmDYM?iB^_@vBFVeAkB[[a@X[e@c@cA`Bs@]c@ZSg@c@AeBd@aAo@Gv@q@h@RzBa@|@j@zA[tAn@nD_AKKj@`@fBlAb@ZbAOb@k@DAxCw@jCgAf@b@vB`AAE_BbAtCl@_Aj@Ed@f@_@t@jBH\\n@GtAj@J|@M@_@\\V^y@Qr@fABi@g@ZQX^NWX^zAi@?Z|Bu@tEU~CmA']],
+        ['IN', 'IN-ML', 'Meghalaya', ['g{Ck`Qm@uAs@l@WS]z@Lh@oAQ?xA^ZSNz@hAi@p@CdDlBbAXCXkBEmIb@eA']],
+        ['IN', 'IN-MN', 'Manipur', ['a~CqnQo@Nb@n@CnB~@^Q^bB`AjCZr@cFmFuBa@^q@S']],
+        ['IN', 'IN-MP', 'Madhya Pradesh', ['_uCodOc@XaBSFzAi@RgAdCDz@r@ZMbAo@Oh@jBc@Wm@j@t@bANbBm@OJXW?f@DWv@RXgACt@jAxBi@n@q@f@^e@~@RXoBd@_Ag@i@Vo@cBmC}@gAX[~BnE`JtAYEmCt@CXhBb@Lp@w@@p@lAIa@hClAb@ZlAa@TU_A{B?AzB_@??k@C^]Mf@~@Mb@\\_@VRWRr@LN[`@Vl@o@hAFjApAVg@XnAn@[x@tAVk@`@d@t@MMw@fAg@v@kC@yCv@UWwAmAc@a@gBJk@~@Jo@oDZuAk@{A`@}@S{B|@wAcFiBO_BwBgB_@Ee@r@@z@kA@PuDk@u@']],
+        ['IN', 'IN-MZ', 'Mizoram', ['guCcfQK~@{@GOr@dAt@Ud@|BHdIaAa@S^y@u@g@eBPw@MOk@gBKmAX']],
+        ['IN', 'IN-NL', 'Nagaland', ['qeDirQkAL~AtDbC~@Gr@jAdAp@UP_@_A_@BoBc@o@f@BAm@mBiAuATa@i@']],
+        ['IN', 'IN-OR', 'Odisha', ['afCwaPeAx@H^a@J_BvDpBj@[FB~CmAOb@vCk@bA^@t@pAxC`@j@n@E~Av@~@~COLw@^ABpAy@fAZVf@k@fDe@dChCxA\\m@{D_BUx@g@g@_@Hm@s@?i@gA[PO_@K]~@y@?sAoD{FD`Ab@XsA_ABYj@T{@uDc@j@Zw@kCyBO^_B@eAyB']],
+        ['IN', 'IN-PB', 'Punjab', ['aiEsuMb@@~@rC`CFR]pCbD`@[f@PHqFhA]q@g@HuBUe@s@BH_AWUIRc@i@L[]Cq@h@O[e@j@g@?g@r@Tb@aCz@Uz@sAy@`@pB']],
+        ['IN', 'IN-PY', 'Puducherry', ['scAarNF\\X[a@A', 'wiAarNCb@\\UYM']],
+        ['IN', 'IN-RJ', 'Rajasthan', ['w{DemMt@rBnDvAv@rB`D~Ar@nE_Az@@d@bDvCjATv@iCvBNl@c@DmAt@?lCqACeELw@h@YLwA]e@ZYh@VZ]OS|@AdAu@nAiCYoAWf@kAqAiAGm@n@a@WOZs@MVSWS]^Lc@g@_A\\LB_@?j@^?@{BzB?T~@`@U[mAmAc@`@iCmAHAq@q@v@c@MYiBu@BNtBYj@u@LeB_CwA_Eo@a@AhB\\~@k@_AQj@U_@yBjAXlAmBFr@x@m@r@\\E@`@h@ICj@u@HI[}A`B{Bf@MzC{BPE|Bk@K']],
+        ['IN', 'IN-SK', 'Sikkim', ['wiDqjPi@\\_BKSh@b@`BzC@?_Ca@_@']],
+        ['IN', 'IN-TG', 'Telangana', ['mqBucNhAO|@j@Jw@dA~@rBOd@d@Vy@jARVaCi@[@gBg@wAcAM_@cBRe@mAe@l@yAy@f@D{AiAyBwA_ALxCgAJCj@iA^y@bCwBG_@^?hBXLuAlDpADj@XGz@p@Vh@_@`AdAf@@']],
+        ['IN', 'IN-TN', 'Tamil Nadu', ['qbAarNSZq@]e@DH\\Q[uB\\Bc@eB}@oDe@c@z@|@t@W|@z@|@CvAtAx@m@|BvBbAPw@f@Lb@r@C`Bb@RQbAVn@r@{@XPEq@v@Bb@i@|AHPYYk@\\QvBPZi@zAn@|AWn@`@h@{Aw@aBgBWk@m@c@sBV{A_@T@z@q@TmCiAAmBiB?']],
+        ['IN', 'IN-TR', 'Tripura', ['csCs_QaBMeAb@lAx@HbBjAl@zBc@_@O~@g@]i@}BWBcA']],
+        ['IN', 'IN-UP', 'Uttar Pradesh', ['clDucO]`DeDbGVLs@pAE~B{@jAF\\c@f@Yi@iBjCv@L@~@_ANq@g@_@x@pCpBfDWrBaAzBj@rAcAV^Jk@n@~@a@yCXETqCt@W~Cz@n@bBh@W~@f@pBg@UWd@_Ag@_@o@p@yBh@u@kAfABSYVw@g@EV?KYl@NOcBu@cAl@k@b@Vi@kBn@NLcAs@[E{@fAeCh@SQoA`CCVaBsB{@eC`@kB}CR[]aAsAzBc@g@_@r@S{AgCbB[bBZT_@hBi@N']],
+        ['IN', 'IN-UT', 'Uttarakhand', ['w{DgyNgAbDa@Gk@hAMxAwA~@b@d@^Ma@`CVjAjAj@t@STn@b@kAp@f@~@OA_Aw@MhBkCXh@b@g@jAsEmEoAwA}B']],
+        ['IN', 'IN-WB', 'West Bengal', ['uhDqiPMrCzAc@j@Nd@i@tAdBtAw@P`AzC_@D\\nAP\\rAl@LSx@b@Nv@hB_@l@Zj@|@M`@{Bh@T~AyAT\\v@aAI_@dAy@[mAcAy@aAp@p@y@zBIq@Ad@IUCRYaAGlAMaCQ|BIe@]Zm@cAb@D]i@CeDn@k@WIr@o@M]l@aCg@gAnCkBsAB_BWK{BtDwAuAWb@]MfAu@DgAi@L|@c@`@oAqBgAe@DSvCaAhA', 'ufCiePNQo@A^R']],
+        ['IO', null, 'British Indian Ocean Territory', ['nm@k|L?wF{L??vFzL?']],
+        ['IQ', 'IQ-AN', 'Al Anbar', ['wgEusFf@}FfDkIhBkC{E}AkAkBkBrBq@mBFiAsA|@JsAm@Gy@v@UpBm@z@cBf@SlAiAHe@bGhAAlAl@lEvLnEs@Ps@VZ']],
+        ['IQ', 'IQ-AR', 'Erbil', ['ehFmrGz@n@v@}ArC~DnBMU_A}@c@IuEyAvA_@}Ac@EWj@i@M_@v@f@hAs@?M`@']],
+        ['IQ', 'IQ-BA', 'Basra', ['mzDujHWB^}BeBlBiB??bAq@A@bBbCPJfBrAa@`Eb@oDsBSiBTw@']],
+        ['IQ', 'IQ-BB', 'Babylon', ['knEcuGCfCxAwAtBSFkAaAyAu@p@UlAeAH']],
+        ['IQ', 'IQ-BG', 'Baghdad', ['knEcuGm@ETz@Vu@']],
+        ['IQ', 'IQ-DA', 'Duhok', ['chF_nGMtBr@pAr@[^cAo@_BRaAk@?_@yAQrC']],
+        ['IQ', 'IQ-DI', 'Diyala', ['cyEg}Gi@PvB`Bu@DQj@dAbAGVz@?p@j@L_@bAH`@^Dy@lAA_@y@RaCeAwAi@DH^mAdA_Ac@]Z]OFg@a@Lc@a@']],
+        ['IQ', 'IQ-DQ', 'Dhi Qar', ['ydEe}G`DLTaCj@_@KoBoBGMjAaDtAJtBz@K']],
+        ['IQ', 'IQ-KA', 'Karbala', ['{kEyrGGhAv@jBhA}AYyBwAFGX']],
+        ['IQ', 'IQ-MA', 'Maysan', ['clEgbHpB`@t@]Ft@jB{@r@o@SeDqB]aC`BgArC']],
+        ['IQ', 'IQ-MU', 'Al Muthanna', ['_uD_bHaEc@sA`@k@f@U`CaDMExCrAF]p@nAR`AfAlDxAzBsDLoJ']],
+        ['IQ', 'IQ-NA', 'Najaf', ['iyD{pGmDyAaAgAoASc@z@qBg@Br@g@H`@|BZSb@jAbG|BrCoE']],
+        ['IQ', 'IQ-NI', 'Nineveh', ['sfF{gGlCzEhCObB`@h@wE]uCkAZi@wA}@EqC}D_A~Bj@@S`An@~AiAzA']],
+        ['IQ', 'IQ-QA', 'Al-Qādisiyyah', ['miEoyGl@pBh@XnAHx@iBsAGDyCsAR_A`B']],
+        ['IQ', 'IQ-SD', 'Saladin', ['qzEouGtAt@aBnDm@Z{@Kn@xAjA_@DfB`ABv@m@Gg@|BgAh@mCl@o@a@_@cAIM^q@k@{@?FWeAcAs@pA']],
+        ['IQ', 'IQ-SU', 'Sulaymaniyah', ['gcFixG\\|An@Ql@eA@dAtAa@`An@`AyBx@IwBaBj@Yg@MAm@_Bb@k@iAc@dEsARWl@']],
+        ['IQ', 'IQ-TS', 'Kirkuk', ['i_F}uGFnC|@b@XzAz@k@pAcDwCaBuA`@']],
+        ['IQ', 'IQ-WA', 'Wasit', ['kpEg~GtA|ASbC`@|@^CVqAxC{CEiDu@\\qBa@YbBy@Ks@f@']],
+        ['IR', 'IR-01', 'East Azerbaijan', ['_rFuaHA`F|@@|@v@dE{@nAsDc@eA`A_AEm@qAuAIgDeAfBeCl@A~Ae@MW}@gBNlAhBItAq@cBg@J|@bB']],
+        ['IR', 'IR-02', 'West Azerbaijan', ['wvFawGYn@fAb@FjAhBu@zAAFa@vAr@b@oAx@DpA_Ah@LVk@t@EBa@pAO{AqCNiF[Uq@Z@`Aq@RK`@b@z@yAxD{Dt@mCoAcCfC']],
+        ['IR', 'IR-03', 'Ardabil', ['ewFwjHnAjDz@@t@fBHuAmAiBfBOV|@d@L@_BdCm@~@kAHoBgCrAsAy@mBvC]{@u@b@Um@aAjA']],
+        ['IR', 'IR-04', 'Isfahan', ['kpEowHdAX|@pAXGHo@\\?W}Ez@Sx@eAlAPfC_@d@eAkB]m@j@_@aBf@}@QsAuDA{AaKgAc@s@iAuCCBnNk@|EP|B~Br@|@rD']],
+        ['IR', 'IR-05', 'Ilam', ['eqEw|G?a@ZFl@}@|@J`BwFdAg@Ui@kA]_Ad@}BnD{@oBe@?Dh@d@?D~@k@nEjAR']],
+        ['IR', 'IR-06', 'Bushehr', ['wiDghIKy@wCtCuF~BuAtAMpA}@d@EbBvCyB|@BPy@VXd@s@`DcAz@sE|@k@']],
+        ['IR', 'IR-07', 'Tehran', ['c{Ek|HbA{Eq@Se@^q@Il@_De@kAe@C_@XSjBh@hAeAdC|AhBtAH', '}}EiyHTuAoB_Ci@tD`@c@dAlAZI']],
+        ['IR', 'IR-08', 'Chaharmahal and Bakhtiari', ['waEu_IoD@y@dA{@RV|EjDyB^PjAkCIeA']],
+        ['IR', 'IR-10', 'Khuzestan', ['gbE_iHp@@?cAhB?n@mAp@QMuA_BK@m@^@Ev@fAyBg@sD_BDa@xAw@DcBuAyCtBe@Cg@`Am@nDL~AlDdB~@s@jB^']],
+        ['IR', 'IR-11', 'Zanjan', ['ogFopHDzFpAtAv@a@TkB~A?`A}COUi@f@s@_DmBlA]o@a@Jk@|@']],
+        ['IR', 'IR-12', 'Semnan', ['_cFgqIjBrBTdBz@C^r@g@vDp@Hd@_@tBd@j@}EGwP}FiGcA|@cC?UnB[Xs@Ui@|@rBhAC`Bz@lB@bA']],
+        ['IR', 'IR-13', 'Sistan and Baluchestan', ['ecEa`KK~AnERmApCd@zCtDj@dA[~BLn@~A\\]xEt@hBc@xCVbBsAZsFQLM]b@Oh@{Cm@i@{Di@aAuBMoCo@WcA?KfBcECy@lDgGpEeE_EyAHQZ']],
+        ['IR', 'IR-14', 'Fars', ['odEmiIPrAg@|@^`Bl@k@pCf@OfBhAE\\rBXEj@gBtAuAtF_ClDiDX{C}@g@MkEaA_BwBPq@z@iCl@K`AcA`@e@fA_GdCcAhB']],
+        ['IR', 'IR-15', 'Kerman', ['}sDqwIh@aBg@oAtBGl@w@_@_Cv@Gp@u@jCWr@}CpBXh@}CiCQiBb@yEu@]\\o@_B_CMeAZuDk@cBnA{DpN|AlD|AN\\`Fv@\\jAg@xACNd@~@a@JaAvAg@']],
+        ['IR', 'IR-16', 'Kurdistan', ['a`Fk{Gd@m@?uB\\~@b@FtCoCCs@qAcBh@cAKeAqB`ASuAm@bA_BBIjJvAlB']],
+        ['IR', 'IR-17', 'Kermanshah', ['o{Ei_Hb@A@l@v@n@r@EGf@\\N\\[~@b@bAcAkASd@oGe@?Gk@y@c@QqAc@BR^_@j@u@s@_@l@Mb@pAbBBr@kBlB']],
+        ['IR', 'IR-18', 'Kohgiluyeh and Boyer-Ahmad', ['waEu_IHdAkAjCv@bAbAE`@yA~AENa@_@sBiADNgBqBfA']],
+        ['IR', 'IR-19', 'Gilan', ['_oFynHR[rAx@tE}Cp@oB[mBy@k@kAdAq@zEaDr@Dr@']],
+        ['IR', 'IR-20', 'Lorestan', ['kpEowHc@tAe@H`@~AKXm@KMvC{@rBf@l@v@A~@rB~AqC~AcAqAo@EuAl@oDcAsAeAY']],
+        ['IR', 'IR-21', 'Mazandaran', ['efFc{H~@v@rDyIi@iA\\}BOwAqBaCoAdBMoAhAbLqAhG']],
+        ['IR', 'IR-22', 'Markazi', ['etE}}HUtBgAjAo@]S_BwBc@_@j@n@pFhAf@\\w@d@Ca@XAt@|@FAf@bBg@dAd@JYe@sAh@Ub@uA}@sD{@Y']],
+        ['IR', 'IR-23', 'Hormozgan', ['}}CiqJaCvA[rC}BMg@pCkCVq@t@w@F`@fB[|@iCXf@nAi@`Bp@E~@aA|@L`@[jA`BLjE|@f@o@nDJx@xBoE?uBh@_BcCiGBiCZ_@rFcAdAcK', 'wgDi~IHxA\\AZ`BTA]cC{@s@']],
+        ['IR', 'IR-24', 'Hamadan', ['o|E_tHi@~AAxEnBw@lApBf@m@Mc@\\?Nz@x@gBLwCWYcBf@@g@}@GZuAw@~@mAe@']],
+        ['IR', 'IR-25', 'Yazd', ['suEcyItCBr@hAfAb@bB`KlD@bAiB~FeCd@gAKe@yABkAf@w@]]aF}AO}AmDpAoFcCmAyALq@hAyBb@A`BeATaBYqAoBWBe@x@DfAn@`DbBfAL|A']],
+        ['IR', 'IR-26', 'Qom', ['{vEubIcAQaA`DAx@z@PR~An@\\fAkATuB}@EWqC']],
+        ['IR', 'IR-27', 'Golestan', ['_mFa~I?tC~@nB~@h@RrC`BWL|@z@oA?u@}@{BBaBoBaA{@}AyAX']],
+        ['IR', 'IR-28', 'Qazvin', ['aeFyrH\\n@lBmAr@~CfAgBHcBm@eC[HeAmA[h@CkAeAbBT`Bq@nB']],
+        ['IR', 'IR-29', 'South Khorasan', ['_tEayJ@jCi@x@XjD~ADb@k@jBrBjA\\jAQlBfAvAcFtBmBe@{CnAkCeE[S~@wCAaDt@yAgAYpAwAB']],
+        ['IR', 'IR-30', 'Razavi Khorasan', ['{kFygJh@b@F_Bf@c@lAf@Zi@n@D@lAy@dC\\nAfDEbA}@~@h@nA`Cy@sEh@oAVCpAnB`BXdAU@aBxBc@p@iAsCgCc@j@_BEYkDh@y@AkCm@]Aq@g@d@y@iAsCk@sA^eCG?dDmA~@c@nB_A\\_@dBJvAu@|B']],
+        ['IR', 'IR-31', 'North Khorasan', ['{kFygJMjA}@^HbD\\f@xAYv@tAh@}@x@Pl@uAcAyB|@kEu@M[h@mAg@g@b@G~Ai@c@']],
+        ['IS', 'IS-0', 'Reykjavík', ['goKfiCG{Ac@GAt@Ne@\\rA']],
+        ['IS', 'IS-1', 'Capital', ['upKvgCNu@d@~@?_AkA}ATrC']],
+        ['IS', 'IS-2', 'Southern Peninsula', ['anK`hC]w@@xEb@KGuC']],
+        ['IS', 'IS-3', 'Western', ['kqK|dC_AuGk@q@MfGmAjBWG`A|DCeD\\R\\|L^m@Q{GZAKi@Lp@h@w@e@aC\\|APLBe@Ln@KeC']],
+        ['IS', 'IS-4', 'Westfjords', ['axKrfC~AoC{Aj@Cv@]_@a@zADyAE\\a@c@C|@Iw@AbAa@Nw@lCTpCNcDHxBXwBp@HYP\\Xm@D\\Zy@~BJZFg@Ct@X{@CvA`@wBGbCRgCJdAFq@Lt@e@hBd@w@Gv@Tw@S`BXn@T_Cm@mGVMQiATv@J[CmB']],
+        ['IS', 'IS-5', 'Northwestern', ['ivKvbCh@SBiFZ`@Hw@Y}Fe@OgBpBUW]d@a@[[l@RhA`A@oA|BHbApA_@b@h@g@f@Pn@r@?Ub@v@C']],
+        ['IS', 'IS-6', 'Northeastern', ['o|KfvBZm@`@Z\\e@TVjAkB`AHpAuHyAs@YsAgB_@BeAe@Aq@uEWpBu@{BAhAn@xAmA~BDfBhAUOnCr@r@Ef@NKo@fAElAhBo@aBpBCxA']],
+        ['IS', 'IS-7', 'Austurland', ['m{KhzAp@tEd@@CdAfB^XrAv@LvB`Ct@HYwDiAuEYLVuBaAiBBl@MQ@k@]n@N{AYw@Ov@?eAUhBEoCYfBK{ACvAIw@ETCa@c@BUnB`@|@a@y@UJBnBm@w@']],
+        ['IS', 'IS-8', 'Southern', ['qmKtkBu@IuA{AqAtHNtHjBxGpAjBSqDJ\\DcBPO?^Je@Ya@TSBn@`@gAZcHiAkG']],
+        ['IT', 'IT-AG', 'Agrigento', ['}fFwvAy@\\Kp@k@[ZrAWBEtAd@UlAkE']],
+        ['IT', 'IT-AL', 'Alessandria', ['gyGot@HxA~@mAt@l@BcBc@a@Ns@yA~@U~@']],
+        ['IT', 'IT-AN', 'Ancona', ['mpGkqAx@rAp@Qk@o@IoBu@|A']],
+        ['IT', 'IT-AO', 'Aosta', ['a~G{j@\\n@|@{@c@gDy@L@dD']],
+        ['IT', 'IT-AP', 'Ascoli Piceno', ['elGquA\\nBd@Ra@oCa@J']],
+        ['IT', 'IT-AQ', 'L\'Aquila', ['giGsrA\\p@r@o@Bv@ZJr@eB?aC_ARKx@s@Be@nA']],
+        ['IT', 'IT-AR', 'Arezzo', ['eoGgfAlAaBY_AY`@{@_A]hC~@t@']],
+        ['IT', 'IT-AT', 'Asti', ['iwGsp@ZaAd@?q@m@gAlAFj@n@I']],
+        ['IT', 'IT-AV', 'Avellino', ['i_GazA^GZoB{@qAw@nAv@xB']],
+        ['IT', 'IT-BA', 'Bari', ['w`GkfB`AbAf@g@IeEk@Ts@rC']],
+        ['IT', 'IT-BG', 'Bergamo', ['{~Gq~@HfCbBCNkAa@BsAmAGP']],
+        ['IT', 'IT-BI', 'Biella', ['wzGeq@[s@i@VBp@`AU']],
+        ['IT', 'IT-BL', 'Belluno', ['wbH}lAb@~B|@[Pt@h@Oi@oCa@^{@sAUx@']],
+        ['IT', 'IT-BN', 'Benevento', ['uaGuyAn@\\Za@s@yBi@ZP`B']],
+        ['IT', 'IT-BO', 'Bologna', ['_wGqeAB^zARh@h@ImCo@y@o@D_@bB']],
+        ['IT', 'IT-BR', 'Brindisi', ['q~FukBxA_@OmBiAlC']],
+        ['IT', 'IT-BS', 'Brescia', ['}zGy|@l@wAk@aAqAc@A~@_BI^pAZSrAlA`@C']],
+        ['IT', 'IT-BT', 'Barletta-Andria-Trani', ['abGybBh@IR^d@YFi@}@cAm@pB']],
+        ['IT', 'IT-BZ', 'Trentino-South Tyrol', ['}aHi`AHuCv@CyAmDAkAm@bAc@IXhEd@`@QlB|@?']],
+        ['IT', 'IT-CA', 'Cagliari', ['evFi{@eAxAZf@bABHv@v@]d@p@SuAs@B^eByAY']],
+        ['IT', 'IT-CB', 'Campobasso', ['_fGg{A~BjAAmBa@AOk@m@B]jA']],
+        ['IT', 'IT-CE', 'Caserta', ['{~FqvAKgB]`@o@]G`Cd@Vz@u@']],
+        ['IT', 'IT-CH', 'Chieti', ['ihGcxAVb@lA?`@mA}@y@iAbB']],
+        ['IT', 'IT-CI', 'Carbonia-Iglesias', ['esF{s@ETZKUI', 'mrFyt@[o@w@\\Sv@p@Ht@o@']],
+        ['IT', 'IT-CL', 'Caltanissetta', ['gfFqxAY[k@jAs@KWjAt@XzAiC']],
+        ['IT', 'IT-CN', 'Cuneo', ['qrGao@OkAkBg@Y`C|@zCx@[\\mC']],
+        ['IT', 'IT-CO', 'Como', ['m}Guv@b@CAs@mBq@@r@hAt@']],
+        ['IT', 'IT-CR', 'Cremona', ['}zGy|@OjARHhAyBJaByAdC']],
+        ['IT', 'IT-CS', 'Cosenza', ['wyF_gBAj@l@LCvBlDeA?iAuAmBi@bBuAW']],
+        ['IT', 'IT-CT', 'Catania', ['ikFk~AY`Bl@JTYJz@VQTv@r@QOoAw@KHe@yAa@']],
+        ['IT', 'IT-CZ', 'Catanzaro', ['irFqhBs@v@ZZ?hArBwA_AE[_A']],
+        ['IT', 'IT-EN', 'Enna', ['kkFc{ACzA`Bd@FsAUWURBq@}@F']],
+        ['IT', 'IT-FC', 'Forlì-Cesena', ['msGmlASfAbAjAl@yAaAgA[L']],
+        ['IT', 'IT-FE', 'Ferrara', ['}vGmlAg@nANvCL[XTGi@f@_ACsAs@KFW']],
+        ['IT', 'IT-FG', 'Foggia', ['aeGs}Al@C`@l@v@aARJPgAc@{AiAVw@w@GnE']],
+        ['IT', 'IT-FI', 'Florence', ['upG}aATg@j@BM}A_@q@wA[SdANf@lAZEdA']],
+        ['IT', 'IT-FM', 'Fermo', ['qmG{tAnAbBc@yBk@T']],
+        ['IT', 'IT-FR', 'Frosinone', ['{bGkqAr@yACo@e@[e@Vm@tBZx@l@a@']],
+        ['IT', 'IT-GE', 'Liguria', ['ksGmz@kARO`Bb@\\Ch@XK`@qD']],
+        ['IT', 'IT-GO', 'Gorizia', ['q~GcsA`AJy@k@G^']],
+        ['IT', 'IT-GR', 'Grosseto', ['ygGqfAqAaA{@rAMzBdA@n@uA^LDgA']],
+        ['IT', 'IT-IM', 'Imperia', ['upG{m@]}Bg@hAdAr@']],
+        ['IT', 'IT-IS', 'Isernia', ['cdGqyAKbA\\f@j@ADsAcAU']],
+        ['IT', 'IT-KR', 'Crotone', ['wuFkiBx@pAx@aBeBKMZ']],
+        ['IT', 'IT-LC', 'Lecco', ['q~Gqz@Wl@zAC?_@cAI']],
+        ['IT', 'IT-LE', 'Lecce', ['g|FcpBl@bA`ByBcA]kArA']],
+        ['IT', 'IT-LI', 'Livorno', ['kkG}aAWOaAx@o@@Hf@`Ao@|@D?i@', 'yjGg`AP`AH}@[C']],
+        ['IT', 'IT-LO', 'Lodi', ['a{Gez@f@^^uBgAtA']],
+        ['IT', 'IT-LT', 'Latina', ['w`G{tASYMpB{@hALfApA}AAkC']],
+        ['IT', 'IT-LU', 'Lucca', ['{pGc_ADyAy@Ae@|Ax@T^W']],
+        ['IT', 'IT-MB', 'Monza and Brianza', ['m|Ggz@HtANu@Y_@']],
+        ['IT', 'IT-MC', 'Macerata', ['wnGitAJpBh@l@n@KV}@wAgBe@P']],
+        ['IT', 'IT-ME', 'Messina', ['ulFswAl@y@A_A]G\\uA}AmAp@dH']],
+        ['IT', 'IT-MI', 'Milan', ['i|Gkz@P|Cz@u@IoAcAW']],
+        ['IT', 'IT-MN', 'Mantua', ['oyGo_AXi@\\DEwD}AnC@l@h@\\']],
+        ['IT', 'IT-MO', 'Modena', ['ksGm`ATeAi@i@{ASKo@M~AhCrA']],
+        ['IT', 'IT-MS', 'Massa-Carrara', ['{qGk~@aAKa@`ATb@lAyA']],
+        ['IT', 'IT-MT', 'Matera', ['m{FkhBeA`@SvAb@d@jAWEe@p@EaA{A']],
+        ['IT', 'IT-NA', 'Naples', ['{|FmyAw@g@URLnB\\GJsA^XIY']],
+        ['IT', 'IT-NO', 'Novara', ['a}Ges@vAWOgAsAl@Jp@']],
+        ['IT', 'IT-NU', 'Nuoro', ['c}F}{@@`AbAlASf@Xh@LiAv@?Ri@oBoBu@@']],
+        ['IT', 'IT-OG', 'Ogliastra', ['kzFe{@b@`Ad@Dz@kAiBO[R']],
+        ['IT', 'IT-OR', 'Oristano', ['cwFmt@Lg@m@qAM`@w@?g@vBbB?D_@b@?']],
+        ['IT', 'IT-OT', 'Olbia-Tempio', ['{~Fav@A_@PL~@y@WoBc@DQj@M_@C\\SK[bA~@rA']],
+        ['IT', 'IT-PA', 'Palermo', ['wlFcpAh@Dx@qAi@yDw@TH|Ao@lAb@bA']],
+        ['IT', 'IT-PC', 'Piacenza', ['oxG}}@K~B`Bl@MqBgA{@']],
+        ['IT', 'IT-PD', 'Padua', ['azG}jAU`@o@QGdAtARBj@XeAe@oA']],
+        ['IT', 'IT-PE', 'Pescara', ['yhGmwAHbA`A@H}@m@DWc@OT']],
+        ['IT', 'IT-PG', 'Perugia', ['}jGqiAGiAl@IMo@\\YGuA]Uc@dAaB\\_@pAf@|@Xc@\\z@t@A']],
+        ['IT', 'IT-PI', 'Pisa', ['koGi_AIg@fBm@Yu@aBVQxBn@E']],
+        ['IT', 'IT-PN', 'Pordenone', ['_aHcmAX^V_@d@HZcBeBCM|A']],
+        ['IT', 'IT-PO', 'Prato', ['srG_eA@\\z@L}@k@']],
+        ['IT', 'IT-PR', 'Parma', ['oxG}}@|B|BMuAZu@i@q@iAUWtA']],
+        ['IT', 'IT-PT', 'Pistoia', ['yrGiaA~@WGy@y@?@pA']],
+        ['IT', 'IT-PU', 'Pesaro and Urbino', ['oqG_mAv@x@h@sA_AqBk@jAXXOd@']],
+        ['IT', 'IT-PV', 'Pavia', ['yzGev@Hx@j@EvAsCk@?o@m@q@lC']],
+        ['IT', 'IT-PZ', 'Potenza', ['oxFmaBBwB_@Iq@DDd@eAXi@g@{@lAFv@v@n@nByAb@Z^S']],
+        ['IT', 'IT-RA', 'Ravenna', ['}uGukAN~A\\En@x@AgA_@[X_AuAN']],
+        ['IT', 'IT-RC', 'Reggio Calabria', ['moFqfBGbCx@v@l@CHuAiBaB']],
+        ['IT', 'IT-RE', 'Reggio Emilia', ['ctGk~@TcAgCqA@rAdANh@p@']],
+        ['IT', 'IT-RG', 'Ragusa', ['kdFw|AuAh@XzAh@_@PeB']],
+        ['IT', 'IT-RI', 'Rieti', ['}gG}lAn@g@B{BqA\\Sq@Qf@bAnC']],
+        ['IT', 'IT-RM', 'Rome', ['{aGynAk@f@MeA^c@s@P[y@cAnCZp@AtBrCmE']],
+        ['IT', 'IT-RN', 'Rimini', ['yqGamAXc@YOg@x@pAfAi@mA']],
+        ['IT', 'IT-RO', 'Rovigo', ['gyG_lAL`Fd@uAGeC\\Uc@Ye@h@']],
+        ['IT', 'IT-SA', 'Salerno', ['iyFy`Bi@[sB|AX\\K`C\\HHsA`ACn@yAIy@']],
+        ['IT', 'IT-SI', 'Siena', ['ylGuiAkAlBHvAbAHNyAv@w@O}@y@?']],
+        ['IT', 'IT-SO', 'Sondrio', ['}_Hsx@Bk@f@QI_CeA}Ak@xAR^z@Q[f@LjAg@h@t@T']],
+        ['IT', 'IT-SP', 'La Spezia', ['irGu}@gAlBd@E`@gB']],
+        ['IT', 'IT-SR', 'Syracuse', ['ohFi}AId@d@VjAKd@q@gAo@eAn@']],
+        ['IT', 'IT-SS', 'Sassari', ['q{Fms@R_Cc@q@e@t@u@FX|A_@z@lAHb@o@']],
+        ['IT', 'IT-SV', 'Savona', ['ktG}t@UCGpAhBn@Fa@sA{A']],
+        ['IT', 'IT-TA', 'Taranto', ['yzF_nB{ApAH`C|@_@U{ANVXoB']],
+        ['IT', 'IT-TE', 'Teramo', ['ckG}uAh@pB^OTeAUkAiAn@']],
+        ['IT', 'IT-TN', 'Trentino', ['saH}hAv@xBw@BHrB|A^b@SRqBo@c@q@cC}@Z']],
+        ['IT', 'IT-TO', 'Turin', ['mvG_k@[sDo@HOs@_@d@WM]\\PrCx@NVzAlAwA']],
+        ['IT', 'IT-TP', 'Trapani', ['yiFqoAo@g@kAfAlAz@l@m@?m@']],
+        ['IT', 'IT-TR', 'Terni', ['iiGsoAMlBm@HJpAzAmBk@{A']],
+        ['IT', 'IT-TS', 'Trieste', ['i}G}sAj@WEc@e@z@']],
+        ['IT', 'IT-TV', 'Treviso', ['w~GslAh@fCh@a@HeBm@q@o@p@']],
+        ['IT', 'IT-UD', 'Udine', ['obHunAn@p@L}AlAJx@e@WCH{@g@@o@o@Yv@m@aAW|D']],
+        ['IT', 'IT-VA', 'Varese', ['e_Hqu@|@^n@[EeAgB`A']],
+        ['IT', 'IT-VB', 'Verbano-Cusio-Ossola', ['c~Gap@AgAb@[Kq@w@YaAlAbB`B']],
+        ['IT', 'IT-VC', 'Vercelli', ['wzGeq@h@CDeB}CdADfAd@MPiAn@r@']],
+        ['IT', 'IT-VE', 'Venice', ['i|G{pAi@|@x@hA?jA`@JTa@q@q@Ac@T^i@gC', '}yGgkAXn@@_A[N']],
+        ['IT', 'IT-VI', 'Vicenza', ['s|GqdAzA}Aq@]]RWc@q@`A|@hA']],
+        ['IT', 'IT-VR', 'Verona', ['s|GqdABf@]Pj@f@x@Kp@qCi@KsAfA']],
+        ['IT', 'IT-VS', 'Medio Campidano', ['quFos@FqBcASVlAYl@|@H']],
+        ['IT', 'IT-VT', 'Viterbo', ['ofGkhA@uB]e@mB|B~AvAh@y@']],
+        ['IT', 'IT-VV', 'Vibo Valentia', ['uoFmbBN}AeA@VhB\\M']],
+        ['JE', null, 'Jersey', ['{rH~KN\\@i@QJ']],
+        ['JM', 'JM-01', 'Kingston', ['eoBb_N?SI??RH?']],
+        ['JM', 'JM-02', 'Saint Andrew', ['ioB`_NF][EQj@d@G']],
+        ['JM', 'JM-03', 'Saint Thomas', ['ooBr{MMhAZDL{@Ka@OL']],
+        ['JM', 'JM-04', 'Portland', ['eqBj~Md@DN}Au@vA']],
+        ['JM', 'JM-05', 'Saint Mary', ['arBt`Nt@_AYI[hA']],
+        ['JM', 'JM-06', 'Saint Ann', ['orBdcNv@BGaBa@LMnA']],
+        ['JM', 'JM-07', 'Trelawny', ['urBzdNv@FDy@w@CEt@']],
+        ['JM', 'JM-08', 'Saint James', ['irBnfNp@SEWw@GJr@']],
+        ['JM', 'JM-09', 'Hanover', ['kqBthN?uA_@t@^^']],
+        ['JM', 'JM-10', 'Westmoreland', ['yoBffNq@GDxAj@qA']],
+        ['JM', 'JM-11', 'Saint Elizabeth', ['snBvcNgANFv@\\F`@oA']],
+        ['JM', 'JM-12', 'Manchester', ['qnBtbNeARC\\fAO@a@']],
+        ['JM', 'JM-13', 'Clarendon', ['ynB`aN{@NAv@dAS\\m@e@E']],
+        ['JM', 'JM-14', 'Saint Catherine', ['moBh_Ns@TJp@z@OJe@_@Q']],
+        ['JO', 'JO-AJ', 'Ajloun', ['_hEa~Eo@_@Jh@b@I']],
+        ['JO', 'JO-AM', 'Amman', ['{cEgfFy@bBk@PG|Ab@v@Pc@hBA?qGq@j@']],
+        ['JO', 'JO-AQ', 'Aqaba', ['wwDoyEh@@V}CcC`@Wt@wB]Ud@fFz@']],
+        ['JO', 'JO-AT', 'Tafilah', ['__Ek{EVoAa@gAm@hBv@l@']],
+        ['JO', 'JO-AZ', 'Zarqa', ['ceE_kFqAhG@hB\\]IkAh@Mx@cBg@wC']],
+        ['JO', 'JO-BA', 'Balqa', ['aeE{|EqAoAQbAbBJ']],
+        ['JO', 'JO-IR', 'Irbid', ['skEo~ERf@xA?a@QIwAq@POn@']],
+        ['JO', 'JO-JA', 'Jerash', ['_hEa~EJi@q@Wd@`A']],
+        ['JO', 'JO-KA', 'Karak', ['g`E}{EI_Af@eA_BYc@hCdBT']],
+        ['JO', 'JO-MA', 'Mafraq', ['ikEiiFjAfCi@pCt@XlBiJy@oFq@aAQr@oEr@fC~F']],
+        ['JO', 'JO-MD', 'Madaba', ['mcEs|E?kAeA?PbAr@F']],
+        ['JO', 'JO-MN', 'Ma\'an', ['ibEsgF?tEtBf@HbBrB\\Zu@bCa@DaAaCcC[sCcAc@a@aAuCvC']],
+        ['JP', 'JP-01', 'Hokkaidō', ['enGan[^p@Sr@BY{A~@sBu@vAvBi@bB@dByGhJNt@d@LxBk@jC^l@z@lAOb@p@e@`D`A_@n@n@RnAdAT`AkAnA`@b@m@uAyADkB{AtD_Ai@Bm@r@q@{@gDdC{GmAUgBkB_@uA@iCoAwC']],
+        ['JP', 'JP-02', 'Aomori Prefecture', ['u{FsiZMyDx@Y]mBQYw@r@kCGNb@e@hAlAZUwAlAN[n@^d@cALOx@\\PP_@rAlBb@O']],
+        ['JP', 'JP-03', 'Iwate Prefecture', ['y{FotZt@bD|Cf@vASf@}AeAgCyA_@sDlA']],
+        ['JP', 'JP-04', 'Miyagi Prefecture', ['qrFgtZj@pAg@pALx@tAK`B~@d@eBuB{@PyAmAL}@c@']],
+        ['JP', 'JP-05', 'Akita Prefecture', ['osFgiZp@cCOk@wARwEw@FfEz@GZv@r@gAxBb@']],
+        ['JP', 'JP-06', 'Yamagata Prefecture', ['}oFegZr@_APb@~@JZsBkEqAk@h@[hBpB`A']],
+        ['JP', 'JP-07', 'Fukushima Prefecture', ['ykFyoZV`@e@`Bn@\\SnA|@`@PfA`BEi@kCdAiB[WNm@iBo@eBT']],
+        ['JP', 'JP-08', 'Ibaraki Prefecture', ['ieF_oZMnBdBJv@`Bv@wAGsA^}@mBz@qBo@']],
+        ['JP', 'JP-09', 'Tochigi Prefecture', ['seF_fZ|BOLs@{@iBaB?WXh@rC']],
+        ['JP', 'JP-10', 'Gunma Prefecture', ['}eFaeZQX|AfCZ@Hm@pAO{@qAVoBi@`Am@UgAn@']],
+        ['JP', 'JP-11', 'Saitama Prefecture', ['}`F}gZWnB~@pA`@gFiAd@']],
+        ['JP', 'JP-12', 'Chiba Prefecture', ['k~EkoZ]|@FrAm@jAxAUJo@p@~@~@QFTa@oBwA_@a@kA']],
+        ['JP', 'JP-13', 'Tokyo', ['u}EciZ]?KzDdAkBU@PcAWM', 'yiEohZ@AE@B?']],
+        ['JP', 'JP-14', 'Kanagawa Prefecture', ['}|EuhZ[dCt@j@n@Yc@kAd@q@_ABK]']],
+        ['JP', 'JP-15', 'Niigata Prefecture', ['cfFa{Yh@W][Ta@g@cBv@[}@oAPY}ABQgA}@a@iAFWc@o@|@nAV~@pBxA|@nAzD', '}lFk`Zq@Ip@t@RS`@VUw@_@O?V']],
+        ['JP', 'JP-16', 'Toyama Prefecture', ['_fFowYn@r@tA@YiDeBK`@~AOd@WE']],
+        ['JP', 'JP-17', 'Ishikawa Prefecture', ['yaFmrYj@aBaCKq@u@g@^WcAm@U^tB`BArBhB']],
+        ['JP', 'JP-18', 'Fukui Prefecture', ['c}EwmY`@GDk@sAsBQ_Bk@Nk@`Bx@t@bAUUHn@d@AdA']],
+        ['JP', 'JP-19', 'Yamanashi Prefecture', ['k_F_bZKfA`@b@`BKZe@s@UJy@c@w@gAlA']],
+        ['JP', 'JP-20', 'Nagano Prefecture', ['qdFwaZy@b@p@xCrC\\l@r@z@u@|@Ba@kBuAMa@c@JgAcBTMl@s@{@']],
+        ['JP', 'JP-21', 'Gifu Prefecture', ['kbFyzYMx@^dB|AE`@jBxA[Ju@o@w@TwBm@G{@t@m@s@eA@']],
+        ['JP', 'JP-22', 'Shizuoka Prefecture', ['ozEidZs@RGtAp@ZYb@aAF~DpCNwC}@Wo@eATi@H\\jAOu@{@q@H']],
+        ['JP', 'JP-23', 'Aichi Prefecture', ['uwEezYgBcA_@pEh@PHk@dADFUk@AZGH_A\\~@QyA']],
+        ['JP', 'JP-24', 'Mie Prefecture', ['}yEuuYa@dAt@B^jAv@i@RZjAE`@p@ZS_BmAQoB_@Cq@nAeAm@']],
+        ['JP', 'JP-25', 'Shiga Prefecture', ['y}EsrY|@fBpBs@g@qAgC\\']],
+        ['JP', 'JP-26', 'Kyōto Prefecture', ['{}E{iY^c@h@Rb@wAjAiADw@{@j@s@CU|@m@J\\Z_APThA']],
+        ['JP', 'JP-27', 'Ōsaka Prefecture', ['kuEikYOsBgBBSx@zAIn@~@']],
+        ['JP', 'JP-28', 'Hyōgo Prefecture', ['o}EyfY`A[t@p@x@GAcFkAHg@zAg@U_@b@J`B', 'iwEwjYv@~@ZIOm@cAG']],
+        ['JP', 'JP-29', 'Nara Prefecture', ['_xEgqYG`ArDP_@_BiADS[m@`@']],
+        ['JP', 'JP-30', 'Wakayama Prefecture', ['qqE}pYe@lAaBINrBZWt@X`AkAV_As@m@']],
+        ['JP', 'JP-31', 'Tottori Prefecture', ['c}E{_Yr@Gh@`@q@{AAoA`@c@UcAaAZJ|E']],
+        ['JP', 'JP-32', 'Shimane Prefecture', ['uwE_vXfAQ?c@}A{@y@oDcBg@XhC\\?zB~D']],
+        ['JP', 'JP-33', 'Okayama Prefecture', ['}wEkfYgBSQ`Dt@`A|Bi@E}AYUATWgA']],
+        ['JP', 'JP-34', 'Hiroshima Prefecture', ['mvE_aYiBZO|@n@~@JrAv@h@|@g@c@[`@w@u@{C']],
+        ['JP', 'JP-35', 'Yamaguchi Prefecture', ['utEoyXu@d@\\v@eA\\n@h@?zA~ALWkDd@gAPFqAc@']],
+        ['JP', 'JP-36', 'Tokushima Prefecture', ['ytEggYVxBl@b@HiAv@w@{@yAc@\\m@IDh@']],
+        ['JP', 'JP-37', 'Kagawa Prefecture', ['ssE}aYe@iDa@bBVjAn@E', '}vEyfYLh@He@WC']],
+        ['JP', 'JP-38', 'Ehime Prefecture', ['ulE_|Xo@Ba@s@WLGe@y@c@Q}A]?NfBi@d@rAr@hAdCQqAh@YD^b@@Ts@']],
+        ['JP', 'JP-39', 'Kōchi Prefecture', ['qpEkfYw@v@FfDzBpBnACDoA{@@uAyAG{Ap@q@y@W']],
+        ['JP', 'JP-40', 'Fukuoka Prefecture', ['cpEwkXHaBl@b@f@OSoAeAKc@}@i@n@]ID~@~A`C']],
+        ['JP', 'JP-41', 'Saga Prefecture', ['ioEijXr@WXu@c@Ls@qAa@hCj@F']],
+        ['JP', 'JP-42', 'Nagasaki Prefecture', ['{lEwlXYt@w@VCl@ZDjAyACh@k@T^Fh@k@\\Vk@eAf@OOa@e@?Cl@KQ', 'ekEodXUj@`@JKw@', 'emE{eXc@AdAJa@I', 'arEcjXSPXDEW', 'guEegXIRj@Fa@[', 'kwEahXEXx@PBa@w@I']],
+        ['JP', 'JP-43', 'Kumamoto Prefecture', ['_hEsmX?sCaANaA_A_Af@^hCt@g@Pb@Ek@`B`A', 'ejEanXLf@L][I', 'mjEolXB^bA?]g@i@F']],
+        ['JP', 'JP-44', 'Ōita Prefecture', ['aqE_sXb@|@dAJH_@]MvA}AM}AYOGb@OUMf@[Q?lAi@m@e@LJ|A']],
+        ['JP', 'JP-45', 'Miyazaki Prefecture', ['qkEewXMxB|@r@`AOPjAfCmBkG{B']],
+        ['JP', 'JP-46', 'Kagoshima Prefecture', ['ucEurXiCjBLtAz@@b@a@f@j@^SJsAs@Vw@a@NWJj@p@i@bAZw@}AOVU[', 'y|DuoXCx@^U[c@']],
+        ['JP', 'JP-47', 'Okinawa Prefecture', ['mwCydWPZFg@YJ', 'sxCahWZp@RKo@e@', '{yCunWUX^?IY', 'ofDcaXQNp@f@Ib@XOXn@dALm@u@YLgAaB', 'ylDeeXORf@GWK', '{pDuiXh@nBXm@cAaA']],
+        ['KE', 'KE-110', 'Nairobi', ['vFagFSd@^r@Vk@c@m@']],
+        ['KE', 'KE-200', 'Central', ['CyfF~@b@_@HG~@UUUb@Xh@t@HhA}@vB@UuARe@g@m@s@TGo@]@yBlA']],
+        ['KE', 'KE-300', 'Coast', ['nIsbGDjBhAdDkDb@sDpAw@fBD~BvEsBbDBvAdAxBqAEtB{@~@Ph@pC~@hF}HIi@gBu@MT@[gAa@WP{@cAwBUYsA}@i@NOeANTQa@KZ?Mu@y@s@', 'xKq_G\\JQa@KT']],
+        ['KE', 'KE-400', 'Eastern', ['uZadFAvB`HOZq@zAc@[c@dBk@Bk@rBiACgA`C]h@`Be@~@B`A^HN_Bz@Ad@t@d@m@pBa@Dl@t@SpAbB|AaAt@iB^VtA_AQi@z@_ADuByBpAwAeAcDCwErB?aAoBNaB{C}A`@Oa@wArAiB\\kBwAyABWnFwCvEKhA']],
+        ['KE', 'KE-500', 'North Eastern', ['{WydGFpCcAnAn@tB`@~@zA|@On@xAChBvAjB]vAsAN`@|Aa@`BzCnBOE}@v@gBrDqAjDc@iAeDEkBaDnB_V@iFwD']],
+        ['KE', 'KE-600', 'Nyanza', ['xG_xEoA\\WsAgCKCw@_@XAfC{@XC^rAv@nDHpAcD']],
+        ['KE', 'KE-700', 'Rift Valley', ['{[o_F?|@qAf@pAlEnAnAvAa@Ty@`B@jCaB~CKxAb@Xl@r@g@Gy@\\U^~@~@Or@`@BwA^YBv@fCJZrAjA]~IkRwAQmA~@]Yu@hB}Ah@g@|A}B?kA|@gAu@Tc@ZN^oA}BuAe@JK~A_@KCaAd@_Ai@aBeAB{@XBfAsBhACj@eBj@Zb@{Ab@[p@aHNc@X']],
+        ['KE', 'KE-800', 'Western', ['yE_wEbEdCl@KsAw@B_@z@Yg@mAkALo@_AEjAs@j@']],
+        ['KG', 'KG-B', 'Batken', ['szFaaMV~@WJA|BhAfBYIc@nBNxAh@BKd@l@Nl@MOkFj@y@gA{DTmAUuAk@p@aALDf@', '_zFyzLTm@^D?f@u@?']],
+        ['KG', 'KG-C', 'Chuy', ['kkGyxMX^GxAqAjEFh@`A~A`ALTs@TH\\nB`AuEkAg@KkBWJ@oC}AoIKxG', 'qjGmqMKXMWXA']],
+        ['KG', 'KG-GB', 'Bishkek', ['qjGmqMY@LVJY']],
+        ['KG', 'KG-J', 'Jalal-Abad', ['wfGi|LfCvEHcBl@SXqACo@k@?Da@m@OfAg@?y@d@AM_@p@kB_A}C^B]m@^a@e@GI_AmAeAFdCU`@Lk@q@^Gn@WGYbCNx@]|AZx@Y`D']],
+        ['KG', 'KG-N', 'Naryn', ['i`G}gNQnDiA@DfC_@MIv@Yg@M|BiALO|@FbDVKJjBjAf@[ZRv@Hq@p@_@Mj@Ta@IeCnAdAJ~@b@F^c@hAcDe@gBbAWYyCuBqACoF[a@']],
+        ['KG', 'KG-O', 'Osh', ['e|FurMyB|D`@`@KVYOHh@rBdDQv@h@GMh@Zj@Dq@`AMj@q@TtAUlAp@j@Fq@b@AS{@b@c@e@y@QcGoB]{@qDc@D']],
+        ['KG', 'KG-T', 'Talas', ['chGmjMqAjINvBvAnAp@kKgAkD?b@']],
+        ['KG', 'KG-Y', 'Issyk-Kul', ['ufGitNm@x@I`B_Ar@QrCErFxAxHN}@hAML}BXf@Hw@^LEgChAAPoDiAwAaBwH_@B']],
+        ['KH', 'KH-1', 'Banteay Meanchey', ['owAebSlB|@Xt@HwEeBAy@lALV']],
+        ['KH', 'KH-10', 'Kratié', ['mjAmzS{ArAaAq@o@t@_AAz@|A]|@hEa@~@aBYmB']],
+        ['KH', 'KH-11', 'Mondulkiri', ['onAc_TqBEO~@f@jAq@dB~@@n@u@`Ap@zAsAs@mCmAG']],
+        ['KH', 'KH-12', 'Phnom Penh', ['qfAwnSm@Jj@N@[']],
+        ['KH', 'KH-13', 'Preah Vihear', ['}xAwnSDzAbBTr@MBs@z@VKaAj@UkAqBcAFOiAo@hAHd@o@^X\\a@T']],
+        ['KH', 'KH-14', 'Prey Veng', ['wgAktSm@`BVb@^F^c@jBNOqAeCg@']],
+        ['KH', 'KH-15', 'Pursat', ['gjAiaSJkA_@cAd@iBwBmAwBvBpBj@\\dDlAA']],
+        ['KH', 'KH-16', 'Ratanakiri', ['{zA__TjApBY`ApDLhAo@Bq@g@i@N_AeDp@sBg@']],
+        ['KH', 'KH-17', 'Siem Reap', ['wxA{kSAlAX?hA`CvA@fC{CcDaBKt@qCI']],
+        ['KH', 'KH-18', 'Sihanoukville', ['kaAohSiAChAvAX[Yw@']],
+        ['KH', 'KH-19', 'Stung Treng', ['kyAkySYTj@jB~@c@XNNjBpBI\\{@{@uAN{@_FA']],
+        ['KH', 'KH-2', 'Battambang', ['ulAgaS_@gDoBi@a@X_@lG|A[Eu@z@?Pn@j@s@']],
+        ['KH', 'KH-20', 'Svay Rieng', ['kgAetSpBf@n@uBw@Bo@~@y@H']],
+        ['KH', 'KH-21', 'Takéo', ['gcAooSsAV@h@l@FCl@l@s@hA?e@iAi@D']],
+        ['KH', 'KH-22', 'Oddar Meanchey', ['wxAiiSOpAf@zBdAqAeA_CWB']],
+        ['KH', 'KH-23', 'Kep', ['g`AsjS?a@[??`@Z?']],
+        ['KH', 'KH-24', 'Pailin', ['anAs_SWq@cANZf@~@E']],
+        ['KH', 'KH-3', 'Kampong Cham', ['_hAexSy@D@n@{@pAq@?VrBf@EI|@rAFZ{H']],
+        ['KH', 'KH-4', 'Kampong Chhnang', ['ujAgjS~@a@EmAa@]oA?g@n@Fr@vAh@']],
+        ['KH', 'KH-5', 'Kam', ['miAchSp@JZu@fAMJiBoCQDlA_A`@f@bA']],
+        ['KH', 'KH-6', 'Kampong Thom', ['mmAqkSBsAx@KH}@g@DWsB_Ef@dAlBk@VTlA~Az@f@k@']],
+        ['KH', 'KH-7', 'Kampot', ['w`AkmSiA?m@r@E`A^`@nAABoA\\WSm@']],
+        ['KH', 'KH-8', 'Kandal', ['acAqpSkBOoAj@Iv@tAZVw@nASFc@', 'qfAwnSAZk@Ol@K']],
+        ['KH', 'KH-9', 'Koh Kong', ['ygAebSc@BRe@`@XXk@CTpBOAw@u@UrA_@sAyAgAL[t@q@Kk@bA\\hAKjAlA[']],
+        ['KI', null, 'Kiribati', ['aEwx`@IPd@?[Q', '_Jlu]s@l@b@@M\\\\mA']],
+        ['KI', null, '', ['fb@|aa@?{sByN??zsBxN?']],
+        ['KM', 'KM-A', 'Anjouan', ['lkAiuGa@JRr@j@{@]C']],
+        ['KM', 'KM-G', 'Andjazîdja', ['zhAunGsANCThAJb@k@UE']],
+        ['KM', 'KM-M', 'Mohéli', ['jlAsoG?q@]??p@\\?']],
+        ['KN', 'KN-01', 'Christ Church Nichola Town', ['ikBlgK?KK??JJ?']],
+        ['KN', 'KN-02', 'Saint Anne Sandy Point', ['ikB|gK?MK??LJ?']],
+        ['KN', 'KN-03', 'Saint George Basseterre', ['qjBbgK?WW??VV?']],
+        ['KN', 'KN-04', 'Saint George Gingerland', ['{iBbfK?IK??HJ?']],
+        ['KN', 'KN-05', 'Saint James Windward', ['ajBjfK?QO??PN?']],
+        ['KN', 'KN-06', 'Saint John Capisterre', ['kkBtgK?MO??LN?']],
+        ['KN', 'KN-07', 'Saint John Figtree', ['{iBlfK?MI??LH?']],
+        ['KN', 'KN-08', 'Saint Mary Cayon', ['ikBdgK?IG??HF?']],
+        ['KN', 'KN-09', 'Saint Paul Capisterre', ['okBzgK?KK??JJ?']],
+        ['KN', 'KN-10', 'Saint Paul Charlestown', ['_jBlfK?KE??JD?']],
+        ['KN', 'KN-11', 'Saint Peter Basseterre', ['akBbgK?KK??JJ?']],
+        ['KN', 'KN-12', 'Saint Thomas Lowland', ['ajBlfK?KK??JJ?']],
+        ['KN', 'KN-13', 'Saint Thomas Middle Island', ['akBvgK?QO??PN?']],
+        ['KN', 'KN-14', 'Trinity Palmetto Point', ['akBjgK?KI??JH?']],
+        ['KP', 'KP-01', 'Pyongyang', ['irF}tWm@^WdBvAf@XoBM[e@PFs@']],
+        ['KP', 'KP-02', 'South Pyongan', ['spFepWe@TuAe@VgBp@m@Og@c@N@_B]dAm@F{@UEaAqA@Id@vAlBdA|D`A?pAt@ZaB']],
+        ['KP', 'KP-03', 'North Pyongan', ['a}F{nW`@fBpBrBRo@j@Oe@Ur@kBkAwEsArCq@FO`@']],
+        ['KP', 'KP-04', 'Chagang', ['}cGwxW@~@lA^xAdBl@tBdAi@`A_D}CyDkAC@~@_Ap@w@e@']],
+        ['KP', 'KP-05', 'South Hwanghae', ['ykF_uW{@A@~AiB|AV~A|@THWR~@HuB\\v@FiBh@^q@mASZx@eB]y@']],
+        ['KP', 'KP-06', 'North Hwanghae', ['qmFkxWyAr@yA{@SnAb@OBhBd@QLTMhB|A_@Zg@EyA|@ATc@mAgA']],
+        ['KP', 'KP-07', 'Kangwon', ['kpFgaXcBvBOhAi@I?d@|CpBxAs@[k@A}D{@q@']],
+        ['KP', 'KP-08', 'South Hamgyong', ['o|FgfXs@n@u@?Ox@b@t@rA^`@|Ac@Gs@p@s@]IZh@j@^Ip@jAf@Ld@u@x@NB~@dBNVaAi@UEcAXMaBEq@uAB_AiBeD']],
+        ['KP', 'KP-09', 'North Hamgyong', ['}hGinXeAh@U`ApBh@AfAhB~BhAi@nCAp@]q@aCmBQO\\e@EsDwC']],
+        ['KP', 'KP-10', 'Ryanggang', ['ueGodXFhDpAu@f@\\[jEm@Xv@d@dA}@AkBx@ZtAo@_@wAsA_@c@u@Ny@{A@iAh@Uc@']],
+        ['KP', 'KP-13', 'Rason', ['yhGynXTt@p@J]i@Dy@o@`@']],
+        ['KR', 'KR-11', 'Seoul', ['uiFoyWYLXr@Va@W_@']],
+        ['KR', 'KR-26', 'Busan', ['wzEofXS^h@NUo@']],
+        ['KR', 'KR-27', 'Daegu', ['a_FscX_@H^h@?s@']],
+        ['KR', 'KR-28', 'Incheon', ['shF_wWYGG^`@W']],
+        ['KR', 'KR-29', 'Gwangju', ['uzEswW?e@U??d@T?']],
+        ['KR', 'KR-30', 'Daejeon', ['{bFczWl@SKY]ACn@']],
+        ['KR', 'KR-31', 'Ulsan', ['q}EchXM~@b@\\b@{@y@a@']],
+        ['KR', 'KR-41', 'Gyeonggi', ['mkFuvWd@QYl@^EbA}@Tf@Cg@XTJw@NN?sAwByAQx@w@Qs@~@MbAjAz@', 'uiFoyWV^W`@Ys@XM', '_jFuuWk@Rd@FD[']],
+        ['KR', 'KR-42', 'Gangwon', ['kpFgaXz@p@TbF`AcCv@PPy@jAj@QkAj@sCEsAnAY@[cCPkG`E']],
+        ['KR', 'KR-43', 'North Chungcheong', ['agFq|Wp@dAbAH\\aAd@Lb@_@Dk@a@c@Od@_AHk@u@AiAm@k@c@zALrB']],
+        ['KR', 'KR-44', 'South Chungcheong', ['i`FqwWBaDa@\\e@M^j@m@R?^m@GEm@_@LEz@^Tm@PLX[Xh@B_@Xh@Aa@Lp@^Xa@a@c@z@CCWbAXN_A']],
+        ['KR', 'KR-45', 'North Jeolla', ['a|EguWN]a@{@b@o@?aByAQk@i@c@jD^jBN_Ap@hATk@?f@^H']],
+        ['KR', 'KR-46', 'South Jeolla', ['oyEw}WeAn@DtAc@r@`@v@Ob@ZRh@WSb@b@MGWd@LC{@J|@Vs@On@T?]NTDNu@h@JHWy@c@`@WeAeALU^n@Pk@[A?]m@XM]t@Wm@[Of@Ek@', 'svE{tWMX`@\\Sw@']],
+        ['KR', 'KR-47', 'North Gyeongsang', ['{cF{gX{@~@SOMdAz@nA@hAj@t@~@INe@z@Tp@{@LmAMiDqAYCh@sBG', 'a_FscX?r@_@i@^I']],
+        ['KR', 'KR-48', 'South Gyeongsang', ['qzE_eXe@}@s@r@E|Cw@|@bAv@z@B|@k@[o@\\@PeAa@QGTAs@]HNgA', 'sxEm_XIn@^KUc@', '}xEucX_@H^h@^Q_@a@']],
+        ['KR', 'KR-49', 'Jeju', ['gpEmxWG|Aj@~@JyAo@cA']],
+        ['KR', 'KR-50', 'Sejong', ['adFizWG\\l@FCy@a@R']],
+        ['KW', 'KW-AH', 'Al Ahmadi', ['ctDqgHxAk@AwCeC~@Kt@h@LN~@']],
+        ['KW', 'KW-FA', 'Al Farwaniyah', ['evDcjHVCC]S`@']],
+        ['KW', 'KW-HA', 'Hawally', ['avDyjH?[O??ZN?']],
+        ['KW', 'KW-JA', 'Al Jahra', ['mzDujHUv@RhBrDxBFwFq@QOZa@{AuAl@', 'uxDemHu@l@dAGOe@']],
+        ['KW', 'KW-KU', 'Capital', ['cvDajH?mBc@??lBb@?']],
+        ['KW', 'KW-MU', 'Mubarak Al-Kabeer', ['ouD_kH?UW??TV?']],
+        ['KY', null, 'Cayman Islands', ['}wBbzNCv@TEQq@']],
+        ['KZ', 'KZ-AKM', 'Akmola', ['ofIy{KdBd@f@tAXi@z@Z|Ak@UcAn@sAF_Cx@i@sAaHHk@dBb@HyAg@{@`@s@IsAl@Gm@wBe@KeAiCT{@p@NCsAyA{Bm@mC@p@a@L?sAw@oBOtAy@i@cCNe@hEw@VRpEs@Gc@j@CzD^XWtAWQAl@g@XLbAV?a@t@Z`BX^x@cA|@Lx@jCRO\\f@[zAd@rAe@zE', 'q}Hu}Le@j@YKX{@d@Z']],
+        ['KZ', 'KZ-AKT', 'Aktobe', ['gzGcpJuCIiCaDcAgD}BqBIiBhBuBLmAkCoGuBjBoCrGGi@s@h@Ea@cA_@G{@_DvBcABEr@m@^Fj@~Av@X`Cg@jCx@f@Pz@_@N_@zCm@JYx@DjBh@HHp@o@~@XzASh@jBbD}A`FnA]n@x@tAWv@j@d@rBv@FH}@pAQCqCbEs@xBJl@a@r@_Af@{CbGwAoAkJn@iB']],
+        ['KZ', 'KZ-ALA', 'Almaty', ['u{GkaO{DxDmAlGBhBwApFXjC`BCVhAYlAXSWj@?fGv@~BvArBb@VdBERv@dBqCp@M`AoCfB|@PqA`@X~@w@d@iU~@w@HaBl@y@yALs@qAYb@WsAaExAiBCOYa@|ByAiJh@w@BuB{@QY`A', '}lG_`NO\\Ye@h@F', '}lG_`Ni@GXd@N]']],
+        ['KZ', 'KZ-AST', 'Nur-Sultan', ['q}Hu}Le@[Yz@XJd@k@']],
+        ['KZ', 'KZ-ATY', 'Atyrau', ['olHmeH`@ON\\j@Y?mDfAaB~B_BTlB`AyC[@L]e@JHeBsBuG|@sDe@eATwBl@[b@f@h@_@bBz@KgCgAqAy@qHnAeEkAf@g@zCs@~@m@`@yBKcEr@BpCqAPZtErBjAq@fFnCbK{@nM', 'm`HkvHIR\\OSC']],
+        ['KZ', 'KZ-KAR', 'Karaganda', ['uzHshLb@UZxAfAl@dDpG^zGd@l@\\GdArBt@m@dDtHxE}[?cj@oCsF?gGVk@YRZ_AYwAaBBN~@]jAe@w@g@PwAcA}@~Am@sAi@AG|Ae@_@{@rAy@kBs@Cm@_BaAHc@~BhAt@t@lIQ\\[u@_@^q@lBJhAKTkBKQbBHr@^y@d@bCxAzBBrAq@OUz@dAhCd@Jl@vBm@FHrAa@r@f@z@IxAeBc@Ij@ZtCRM']],
+        ['KZ', 'KZ-KUS', 'Kostanay', ['otIc|K@`CTp@h@BOvB~@dKf@R_@VRpAYbC\\XEh@Zg@`@~@VgC@~@f@Nb@qDXGB~Ez@z@bAiAfApEd@aBVRHoBpBmGbAC~CwBFz@bA^D`@r@i@Fh@|@kABiA`@?j@}B~@}@eAsB]Fe@m@CeEiAqD_DcF_@?k@eBS`@b@xCy@h@G~Bo@rATbA}Aj@{@[e@f@[sAqD}@m@JYgAwAdA_@Uq@h@UeAa@r@EWcAX']],
+        ['KZ', 'KZ-KZY', 'Kyzylorda', ['gzGcpJzDkKrDeE]kFNsFa@aBrAwBrAw@U{@zBP}C}Jg@`@mByAoAtBwCBc@z@yA]gAd@m@rIsB~Ic@bFYe@MlAiBtBHhB|BpBAj@hBlDdBnBtCH', 'y{GckK]xA{@X{@s@KwA`@iAt@Qv@h@PhA']],
+        ['KZ', 'KZ-MAN', 'Mangystau', ['}cGwfIkAkBi@cFpA}C`CkBGiB}U?a@qCwDn@oAdEx@pHt@d@v@hET@f@eBKlJhA\\F|@V?dAwB]zFx@J\\sBbCyAnA@EmAdAs@ZeDTD]\\f@WxAv@bAG', 'ewGqxHo@VVJVc@']],
+        ['KZ', 'KZ-PAV', 'Pavlodar', ['ilIceNcDxGBy@aAo@|BhL^`Ah@H]rC^f@^YTXA_Ap@l@PaBh@VO`@p@y@nBCx@h@NuAv@nBb@kAvAVh@cEf@i@Zt@P]u@mIiAu@b@_Cl@IPw@TgBYg@e@]eAXmArBi@aCmAkBgInH']],
+        ['KZ', 'KZ-SEV', 'North Kazakhstan', ['qxImwL^t@{@|F\\GOt@^PDtARYTZ~@|KbAYDV`@s@TdAp@i@^TvAeAXfAxBJd@{Ee@sAZ{A]g@SNy@kC}@My@bAY_@[aB`@u@W?McAf@Y@m@VPVuA_@YB{Db@k@r@FSqEv@Wd@iE]l@Na@i@WBlAWG@Zq@m@Jv@_@Qw@dAaBeBVjAe@rCNVPg@H|@m@Qo@vAn@[UrAZT@`Bi@d@Ak@gAKQn@gBd@?dA']],
+        ['KZ', 'KZ-VOS', 'East Kazakhstan', ['yqHw`P_BnCi@]~@pB[~D}@t@_@Ge@rCgBz@i@fBPjCd@p@CjEm@J?dAm@SU|AlB|B{DtClAjBh@`ClAsBdAYd@\\Xf@a@rChDzEz@sAd@^\\_B`AvA|@_BvAbAf@Qd@v@\\kAi@kEvAqFCiBlAmGzDsDkIuCn@qDAuC`@Oo@wCk@c@aC^wAg@a@iDsBy@B{A']],
+        ['KZ', 'KZ-YUZ', 'Turkistan', ['sgGazLgApB{Aj@q@pBwCkAsFlAmBdACxJr@_@xA\\b@{@vCCnAuBlBxAf@a@|C|JhA?@aB|Ce@?yF`@e@j@Zh@wB}@B{@{A_@AcAmDeAyADq@k@cAQJ']],
+        ['KZ', 'KZ-ZAP', 'West Kazakhstan', ['yzH}sIM`@q@S}BtEBjD}@n@RvAj@b@ClA_@MYvB^CGh@bAp@d@pDv@Ld@~CpB{@ZPLjBuB~B^x@j@Ch@pAhBZl@o@hCjB|AmQoCcKp@gFsBkACoByAo@eAsCk@SaA^a@_@']],
+        ['KZ', 'KZ-ZHA', 'Jambyl', ['chGmjMi@RmA]g@qAGi@pAkEFyAY_@s@|Au@QQpAgB}@aAnCq@LeBpCSw@eBDc@WBh^lBeArFmAvCjAfAiCdASfAqBqAgAOwBpAkI']],
+        ['KZ', null, 'Baikonur', ['y{GckKQiAw@i@u@Pa@hAJvAz@r@z@Y\\yA']],
+        ['LA', 'LA-AT', 'Attapeu', ['_}A{~So@`ADjAVTn@[RXk@dAr@^z@_@[a@t@sAw@gAH[aBM']],
+        ['LA', 'LA-BK', 'Bokeo', ['gaCysRNbApA`@TI]e@j@i@lALgAwCa@@e@nAcAj@']],
+        ['LA', 'LA-BL', 'Bolikhamsai', ['kqBsdS[QTuB|A{@_A]n@yB}@k@g@b@q@EoAhDt@ZWrBfARNzBlAe@c@y@']],
+        ['LA', 'LA-CH', 'Champasak', ['m_B}rSz@\\Z]tANt@~@b@]Ie@n@kBYO_Ab@UkAeAb@c@g@j@_Aw@WaAvATh@a@PD~A']],
+        ['LA', 'LA-HO', 'Houaphanh', ['_`CylS_AfBz@nA_@t@Td@|CPHaA_@aAn@[Us@f@?PqA}AeAgAvBg@q@']],
+        ['LA', 'LA-KH', 'Khammouane', ['{hBumSa@qARwFu@VmAnBgBt@Kd@|@j@y@`BhAt@vAeB~AF']],
+        ['LA', 'LA-LM', 'Luang Namtha', ['ueCgwRn@tArAh@tByBKaAu@SS\\qAiAGfBiAR']],
+        ['LA', 'LA-LP', 'Luang Prabang', ['ccCibSt@rAQf@`DTj@`BhBg@dAReA_AXqBs@DmA}AuCMWc@Kr@y@f@']],
+        ['LA', 'LA-OU', 'Oudomxay', ['scCk{R`BpAR]t@RFl@h@?n@|AH_DaA_Cs@JaBg@_AfB']],
+        ['LA', 'LA-PH', 'Phongsaly', ['_kCg}RQpAn@d@zBw@|@NxA}Cu@sAUX{A_@Y\\b@^sChB']],
+        ['LA', 'LA-SL', 'Salavan', ['acB{qSh@@Vm@p@HE_B`@Qi@a@IeAcB[Y_AeA~@bAd@@|Ad@BTp@Y|A']],
+        ['LA', 'LA-SV', 'Savannakhet', ['chBwmSx@@pA}@l@qC_BgEu@n@eADUhA@`Gt@R']],
+        ['LA', 'LA-VI', 'Vientiane Prefecture', ['ypBe}RnAqBaAqAy@nD@^h@K', 'upB{|Rm@@AYd@gAIgAk@NGmBkAUR{@c@UmA~IdA~@tA?pAlAv@?T[iAcB']],
+        ['LA', 'LA-XA', 'Sainyabuli', ['gzBmrRl@_@MkCb@NfA_@tBz@jA[xAv@Zo@aAuAmA^sByA_CKyAZGbE`@nA']],
+        ['LA', 'LA-XE', 'Sekong', ['cdBs|SX~@bBZXfAv@eA[cBl@qAm@OaBdB{@y@Uz@']],
+        ['LA', 'LA-XI', 'Xiangkhouang', ['czBgjSg@?Vp@o@h@^lClAhAt@q@HwBbAsBy@a@g@pAc@o@g@PCg@']],
+        ['LB', 'LB-AS', 'North', ['svEabFYUC|AtA`ALoAeAy@']],
+        ['LB', 'LB-BA', 'Beirut', ['srEu|E?OK??NJ?']],
+        ['LB', 'LB-BI', 'Beqaa', ['}oEe_F[a@e@HKiAYLq@}@y@`@Db@|D~BNs@']],
+        ['LB', 'LB-JA', 'South', ['{mEq{Ei@[KXYk@TMk@A\\`AfA`@?e@']],
+        ['LB', 'LB-JL', 'Mount Lebanon', ['}rEe}E~@`@Nm@_CoAMhA|@P']],
+        ['LB', 'LB-NA', 'Nabatieh', ['{mEq{E@e@aAiAL|@]@DVhAV']],
+        ['LC', 'LC-01', 'Anse la Raye Quarter', ['suAt|J?QY??PX?']],
+        ['LC', 'LC-02', 'Castries Quarter', ['uuAl|J?Sc@??Rb@?']],
+        ['LC', 'LC-03', 'Choiseul Quarter', ['}tAt|J?QQ??PP?']],
+        ['LC', 'LC-04', 'Dauphin Quarter', ['ivA|{J?MU??LT?']],
+        ['LC', 'LC-05', 'Dennery Quarter', ['yuA`|J?QS??PR?']],
+        ['LC', 'LC-06', 'Gros Islet Quarter', ['qvAb|J?OU??NT?']],
+        ['LC', 'LC-07', 'Laborie Quarter', ['ytAj|J?KU??JT?']],
+        ['LC', 'LC-08', 'Micoud Quarter', ['auAb|J?QO??PN?']],
+        ['LC', 'LC-09', 'Praslin Quarter', ['muA`|J?OO??NN?']],
+        ['LC', 'LC-10', 'Soufrière Quarter', ['euAv|J?WW??VV?']],
+        ['LC', 'LC-11', 'Vieux Fort Quarter', ['utAd|J?OY??NX?']],
+        ['LI', 'LI-01', 'Balzers', ['aeHez@?[W??ZV?']],
+        ['LI', 'LI-02', 'Eschen', ['}eHkz@?MG??LF?']],
+        ['LI', 'LI-03', 'Gamprin', ['}eHgz@?KG??JF?']],
+        ['LI', 'LI-04', 'Mauren', ['afHmz@?IE??HD?']],
+        ['LI', 'LI-05', 'Planken', ['seHoz@?IK??HJ?']],
+        ['LI', 'LI-06', 'Ruggell', ['cfHiz@?II??HH?']],
+        ['LI', 'LI-07', 'Schaan', ['ceHgz@?[[??ZZ?']],
+        ['LI', 'LI-08', 'Schellenberg', ['cfHmz@?GG??FF?']],
+        ['LI', 'LI-09', 'Triesen', ['aeHkz@?QQ??PP?']],
+        ['LI', 'LI-10', 'Triesenberg', ['eeHoz@?SS??RR?']],
+        ['LI', 'LI-11', 'Vaduz', ['geHiz@?UQ??TP?']],
+        ['LK', 'LK-11', 'Colombo', ['}h@krNs@_A@hAp@I']],
+        ['LK', 'LK-12', 'Gampaha', ['oj@arNCaAcAHFz@~@C']],
+        ['LK', 'LK-13', 'Kalutara', ['gg@{rNV_AUOkAf@Dx@bAQ']],
+        ['LK', 'LK-21', 'Kandy', ['}j@{uNPUaAe@Jm@w@@PdBhA@']],
+        ['LK', 'LK-22', 'Matale', ['aq@wwNh@t@pA_@SaAm@ADj@_A@']],
+        ['LK', 'LK-23', 'Nuwara Eliya', ['ui@cvNDaAmAWOd@`Ad@IZ^M']],
+        ['LK', 'LK-31', 'Galle', ['gd@kuNsAUKdB|@W`@w@']],
+        ['LK', 'LK-32', 'Matara', ['kd@qwNiANBt@hA?CeA']],
+        ['LK', 'LK-33', 'Hambantota', ['ug@u}N`@zAOf@d@TMv@r@?a@cC{@mA']],
+        ['LK', 'LK-41', 'Jaffna', ['{z@wuNXe@gA`Bl@{@', 'c{@stNg@ZHh@\\eA']],
+        ['LK', 'LK-42', 'Kilinochchi', ['qx@usNo@cB]nBX]N\\b@K']],
+        ['LK', 'LK-43', 'Mannar', ['qt@mrNH[]@c@eASj@y@Cz@t@hA@']],
+        ['LK', 'LK-44', 'Vavuniya', ['uv@uwNg@RAn@t@BRj@f@a@gAqA']],
+        ['LK', 'LK-45', 'Mullaitivu', ['az@}vN\\lAdALa@q@@m@`@WKc@yA~@']],
+        ['LK', 'LK-51', 'Batticaloa', ['qr@{{NATfBLbAuAa@SgCdA']],
+        ['LK', 'LK-52', 'Ampara', ['sm@a~NJRaAbA@bA~A{@i@e@zDm@eBc@wAV']],
+        ['LK', 'LK-53', 'Trincomalee', ['ew@wxNN`@L_@bBAb@}@Qe@m@HCn@]ScA|@']],
+        ['LK', 'LK-61', 'Kurunegala', ['_m@suNY]yATs@fAxD^Q_B']],
+        ['LK', 'LK-62', 'Puttalam', ['ol@}qN@UaAF}Aq@cBn@rBRgADXNzDY']],
+        ['LK', 'LK-71', 'Anuradhapura', ['cs@wxNsBThA|AWz@z@N`A{Aj@OgBsA']],
+        ['LK', 'LK-72', 'Polonnaruwa', ['aq@wwN`ACDwAyBQTTe@v@`A^']],
+        ['LK', 'LK-81', 'Badulla', ['ol@}zNw@LIh@jAC|@l@jAo@_Bk@]TU[']],
+        ['LK', 'LK-82', 'Monaragala', ['kf@wxNUkBa@]mDXv@dAd@UnAb@Gb@~@G']],
+        ['LK', 'LK-91', 'Ratnapura', ['yh@yxNa@tCzAm@`@iBs@Tg@S']],
+        ['LK', 'LK-92', 'Kegalle', ['gj@itNN{@aAGk@\\h@p@r@K']],
+        ['LR', 'LR-BG', 'Bong', ['am@hz@`AtBQVx@|@h@{B_@Uj@g@XJe@}AyBIYhA']],
+        ['LR', 'LR-BM', 'Bomi', ['_g@pbAa@q@}@QJr@]BEb@nA\\f@u@']],
+        ['LR', 'LR-CM', 'Grand Cape Mount', ['gj@vfA`AoAsA[kAqAWpAtBjB']],
+        ['LR', 'LR-GB', 'Grand Bassa', ['{a@x{@yAOy@g@G}@q@G`@hBi@FVpBpAVjB}B']],
+        ['LR', 'LR-GG', 'Grand Gedeh', ['qg@zt@pB~@`@iBv@BIoEaAJUbA}@Vk@lC']],
+        ['LR', 'LR-GK', 'Grand Kru', ['{Z~o@y@JUf@q@OKz@dAjAfAkD']],
+        ['LR', 'LR-LO', 'Lofa', ['cq@jaAv@wDjBNsAuAoC\\k@t@NdBz@F^z@']],
+        ['LR', 'LR-MG', 'Margibi', ['me@x_AkAYAoAk@UX^Y|A|@Bl@r@Lu@']],
+        ['LR', 'LR-MO', 'Montserrado', ['{e@naAo@s@{@CO\\t@HJp@f@?Pa@']],
+        ['LR', 'LR-MY', 'Maryland', ['c]pn@y@pAp@NTg@`AQLk@}AB']],
+        ['LR', 'LR-NI', 'Nimba', ['gn@`t@Yf@rA`@h@z@tFMCa@_EwBuC`@']],
+        ['LR', 'LR-RI', 'River Cess', ['}_@zy@}@K{@y@_BLF|@x@f@xAN|@}@']],
+        ['LR', 'LR-SI', 'Sinoe', ['c]ju@eAmAgA`@]W]pCjBbA|AqC']],
+        ['LR', null, 'Gbarpolu', ['cn@zbA^cAjAtADg@\\EkAqD}A]eAzDp@?l@n@']],
+        ['LR', null, 'River Gee', ['ma@hm@PlEp@YPyAj@CFm@iCg@']],
+        ['LS', 'LS-A', 'Maseru', ['|uD}jDp@h@ZYr@gC}BKCbC']],
+        ['LS', 'LS-B', 'Butha-Buthe', ['vrDesDe@f@XpAb@u@d@C}@_A']],
+        ['LS', 'LS-C', 'Leribe', ['jrDkoDlAtB]kAnAwByAc@b@x@e@@c@t@']],
+        ['LS', 'LS-D', 'Berea', ['|uD}jDAcBTE[q@y@x@`A`B']],
+        ['LS', 'LS-E', 'Mafeteng', ['nwDsiDTx@x@_@Mk@d@I[_COrA{@fA', 'txDcoD@Vn@m@q@T']],
+        ['LS', 'LS-F', 'Mohale\'s Hoek', ['~yDyhD|AmA_AiAK_Bi@[^r@GpCVVe@HLj@']],
+        ['LS', 'LS-G', 'Quthing', ['p{DgpDI^WKL~@~@pAt@mBaBw@']],
+        ['LS', 'LS-H', 'Qacha\'s Nek', ['jzDktDm@QXpAUZdAfA[cD']],
+        ['LS', 'LS-J', 'Mokhotlong', ['xrDksD`Bz@M]z@MFcBe@_@q@X_AxA']],
+        ['LS', 'LS-K', 'Thaba-Tseka', ['pwD_vDGbB{@L^\\o@p@~@h@zAc@Ww@PoAaA_A']],
+        ['LT', 'LT-AL', 'Alytus', ['kqIizCQNk@m@UtCHxBv@z@`Ay@@uCQuA_@G']],
+        ['LT', 'LT-KL', 'Klaipėda', ['m}IqbCbDk@b@gEg@hA[]E^_AZIl@oA}Aa@B|@vD']],
+        ['LT', 'LT-KU', 'Kaunas', ['eyIswCc@hBRvFb@i@L{BZLJa@Jb@Pm@n@@`@o@OmBeAmASp@MSaAl@']],
+        ['LT', 'LT-MR', 'Marijampolė', ['}rIqmC^iBo@sAoAXQl@Oa@CfEl@u@bA`@R[']],
+        ['LT', 'LT-PN', 'Panevėžys', ['w_JmzCb@pCrAf@f@MLZb@mBSi@m@KAgEc@q@m@v@KtBo@f@']],
+        ['LT', 'LT-SA', 'Šiauliai', ['g_JyoCEtB`@d@Z}@nAn@f@_@SoBTyAa@kAg@LsAg@S`E']],
+        ['LT', 'LT-TA', 'Tauragė', ['cwIalCCgD[MMzBmAnAV`C\\o@Z\\h@eC']],
+        ['LT', 'LT-TE', 'Telšiai', ['m_JclCDdC\\Oh@nAf@Lf@gAS{BkAg@O`Am@i@']],
+        ['LT', 'LT-UT', 'Utena', ['}zIeeDy@|Bl@t@@fEf@Jp@mBl@GAeBw@?LsEMbAcA[']],
+        ['LT', 'LT-VL', 'Vilnius', ['gxIcfDQhEt@ABfBm@Fq@pBf@j@p@s@NRRq@f@`An@F?qBj@l@PO_@yB^KAk@QIUr@gBq@iA_E']],
+        ['LU', 'LU-D', 'Diekirch', ['gxHge@Bp@j@^^SYaBu@b@']],
+        ['LU', 'LU-G', 'Grevenmacher', ['qvHkf@^Xl@c@cA]If@']],
+        ['LU', 'LU-L', 'Luxembourg', ['stHec@H{Aw@CIl@v@p@']],
+        ['LV', 'LV-001', 'Aglona', ['c~I_hDH\\\\]_@{@Gz@']],
+        ['LV', 'LV-002', 'Aizkraukle', ['s`Ja|C?a@Y??`@X?']],
+        ['LV', 'LV-003', 'Aizpute', ['mbJ_eC\\R\\{Ae@JUz@']],
+        ['LV', 'LV-004', 'Aknīste', ['g}Ig`DGm@]bAd@U']],
+        ['LV', 'LV-005', 'Aloja', ['kiJezCRr@p@eBeAp@']],
+        ['LV', 'LV-006', 'Alsunga', ['sbJieCSg@Ob@\\VDS']],
+        ['LV', 'LV-007', 'Alūksne', ['qfJ}iDS~An@v@^qBSiBg@bA']],
+        ['LV', 'LV-008', 'Valmiera', ['ecJi~C_@MS|ARWf@LGeA']],
+        ['LV', 'LV-009', 'Valmiera', ['wfJedDl@\\a@iBKjA']],
+        ['LV', 'LV-010', 'Auce', ['o_J{mCF}@m@\\B|@`@]']],
+        ['LV', 'LV-011', 'Ādaži', ['kdJewCZPMq@M^']],
+        ['LV', 'LV-012', 'Babīte', ['ecJutCJzAXaAe@Y']],
+        ['LV', 'LV-013', 'Baldone', ['aaJcvC?eA[??dAZ?']],
+        ['LV', 'LV-014', 'Baltinava', ['mcJmlDX`AJk@e@U']],
+        ['LV', 'LV-015', 'Balvi', ['}dJyjD^~AH_AV?TnAHsAi@}@a@r@UQ']],
+        ['LV', 'LV-016', 'Bauska', ['}~IqxCm@l@F~@T[Nb@?uB']],
+        ['LV', 'LV-017', 'Valmiera', ['kfJc`DW\\Tp@@oA']],
+        ['LV', 'LV-018', 'Brocēni', ['_bJmmCDdAh@_Ao@E']],
+        ['LV', 'LV-019', 'Valmiera', ['ehJu~CAhBr@wAg@m@IZ']],
+        ['LV', 'LV-020', 'Carnikava', ['qcJuuC?o@]??n@\\?']],
+        ['LV', 'LV-021', 'Valmiera', ['ocJycDGd@X@Qg@']],
+        ['LV', 'LV-022', 'Cēsis', ['cdJu|C?eAg@??dAf@?']],
+        ['LV', 'LV-023', 'Cibla', ['saJemD^|@HqBi@r@']],
+        ['LV', 'LV-024', 'Dagda', ['{}IinDWdB\\z@XgB_@y@']],
+        ['LV', 'LV-026', 'Dobele', ['cbJyqCl@lC^iAMy@_AI']],
+        ['LV', 'LV-027', 'Dundaga', ['kgJuiC\\OPd@OmBq@BPrA']],
+        ['LV', 'LV-028', 'Durbe', ['saJgdCh@JKgA]z@']],
+        ['LV', 'LV-029', 'Engure', ['geJwoCnA@KuAW~@k@R']],
+        ['LV', 'LV-030', 'Valmiera', ['ecJi~Cb@CFc@_@s@KzA']],
+        ['LV', 'LV-031', 'Garkalne', ['acJ_wCQq@@pAN_@']],
+        ['LV', 'LV-032', 'Grobiņa', ['a`JsbC^g@Oc@u@x@d@P']],
+        ['LV', 'LV-033', 'Gulbene', ['ieJgcDPv@x@qBw@uBc@~BNn@']],
+        ['LV', 'LV-034', 'Iecava', ['caJgwC?dA^k@_@Y']],
+        ['LV', 'LV-035', 'Ikskile', ['cbJexCIm@Az@JM']],
+        ['LV', 'LV-036', 'Ilūkste', ['w|IgaD^u@c@_@a@PD|A^Y']],
+        ['LV', 'LV-037', 'Inčukalns', ['scJ}xCO]Dt@HW']],
+        ['LV', 'LV-038', 'Jaunjelgava', ['s`J}zCb@WCqA]YAbC']],
+        ['LV', 'LV-039', 'Valmiera', ['sdJqaDHp@PgA[T']],
+        ['LV', 'LV-040', 'Jaunpils', ['kaJumC?y@_@n@^H']],
+        ['LV', 'LV-043', 'Kandava', ['wbJikCJaBUV_@[h@dB']],
+        ['LV', 'LV-044', 'Kārsava', ['gbJwkDJz@^o@e@cAEv@']],
+        ['LV', 'LV-045', 'Valmiera', ['cgJozCl@eBw@f@H|@']],
+        ['LV', 'LV-046', 'Koknese', ['abJm~CLp@\\Ec@oAGb@']],
+        ['LV', 'LV-047', 'Krāslava', ['{|IolDSvANlAX?NcCe@a@']],
+        ['LV', 'LV-048', 'Krimulda', ['weJezCNd@d@EWs@]R']],
+        ['LV', 'LV-049', 'Krustpils', ['q_JabDYkBMlDf@aA']],
+        ['LV', 'LV-050', 'Kuldīga', ['mbJ_eCb@kA_AiCa@z@JnB^KPt@']],
+        ['LV', 'LV-051', 'Ķegums', ['maJgxC`@[KoAm@n@Vz@']],
+        ['LV', 'LV-052', 'Ķekava', ['obJgvC`@d@KiBUbA']],
+        ['LV', 'LV-053', 'Lielvārde', ['saJ{{CBz@Re@WU']],
+        ['LV', 'LV-054', 'Limbaži', ['meJowCV}@_@BWoAs@vARl@h@_@Tb@']],
+        ['LV', 'LV-055', 'Valmiera', ['ydJy{CDd@L}@SV']],
+        ['LV', 'LV-056', 'Līvāni', ['e~IscDWCDo@OZYONxAj@q@']],
+        ['LV', 'LV-057', 'Valmiera', ['obJugDUl@Zx@EgB']],
+        ['LV', 'LV-058', 'Ludza', ['c`JqnDAvB`AgAQu@Iv@UaAMN']],
+        ['LV', 'LV-059', 'Madona', ['ibJmgDHpAs@FXv@]FCl@d@?Ff@l@c@HgAs@cC']],
+        ['LV', 'LV-060', 'Valmiera', ['yiJm{CLf@\\MDeAq@j@']],
+        ['LV', 'LV-061', 'Mālpils', ['ecJe|CUt@`@LKcA']],
+        ['LV', 'LV-062', 'Mārupe', ['{bJstCTPKk@IX']],
+        ['LV', 'LV-063', 'Mērsrags', ['ueJ}nCJTP_@OOMX']],
+        ['LV', 'LV-064', 'Valmiera', ['eiJu~C@x@\\m@Yi@E\\']],
+        ['LV', 'LV-065', 'Nereta', ['_~Im}Cq@JGpAp@e@Fw@']],
+        ['LV', 'LV-066', 'Nīca', ['s~IabCPUs@YGd@h@H']],
+        ['LV', 'LV-067', 'Ogre', ['ecJi~Cb@rDTiCa@w@WL']],
+        ['LV', 'LV-068', 'Olaine', ['qbJmuC\\|@CaAYB']],
+        ['LV', 'LV-069', 'Ozolnieki', ['qaJ_uC@`Aj@iAm@F']],
+        ['LV', 'LV-070', 'Valmiera', ['kfJw{CPv@`@c@]qAU|@']],
+        ['LV', 'LV-071', 'Pāvilosta', ['caJqbC?i@o@m@HrAd@B']],
+        ['LV', 'LV-072', 'Pļaviņas', ['ebJa`Dn@v@IwAe@^']],
+        ['LV', 'LV-073', 'Preiļi', ['{}IqeD@o@_Az@PXj@e@']],
+        ['LV', 'LV-074', 'Priekule', ['__J{fCm@DHfAl@[Iq@']],
+        ['LV', 'LV-075', 'Valmiera', ['cfJk_DXtAV_Aq@U']],
+        ['LV', 'LV-076', 'Valmiera', ['cfJk_DT\\Lo@c@P']],
+        ['LV', 'LV-078', 'Riebiņi', ['y_JigDUd@Pf@dAmAKUu@T']],
+        ['LV', 'LV-079', 'Roja', ['kgJelCj@WDw@q@nA']],
+        ['LV', 'LV-080', 'Ropaži', ['ybJazCYb@Vr@@wA']],
+        ['LV', 'LV-081', 'Rucava', ['u~IieCBfBb@Og@wA']],
+        ['LV', 'LV-082', 'Rugāji', ['ccJ{fDF}Aa@l@Xn@']],
+        ['LV', 'LV-083', 'Rundāle', ['}~I{tCOc@UZLb@V[']],
+        ['LV', 'LV-084', 'Valmiera', ['qiJ{}CK`Ax@c@Ae@]f@M_@']],
+        ['LV', 'LV-085', 'Salacgrīva', ['eiJsxCRx@xASKe@i@^Sm@c@L']],
+        ['LV', 'LV-086', 'Sala', ['y`J_`DFf@j@a@KUg@N']],
+        ['LV', 'LV-087', 'Salaspils', ['ybJmvCR@Ak@Qh@']],
+        ['LV', 'LV-088', 'Saldus', ['m_JkhCAoDo@fAu@EAl@hB~@']],
+        ['LV', 'LV-089', 'Saulkrasti', ['odJawCG_@UP\\L']],
+        ['LV', 'LV-090', 'Sēja', ['sdJgyCSXZb@G}@']],
+        ['LV', 'LV-091', 'Sigulda', ['ecJe|Cm@p@^t@LgB']],
+        ['LV', 'LV-092', 'Skrīveri', ['saJ{{CXNE_@SN']],
+        ['LV', 'LV-093', 'Skrunda', ['q`JggCJs@y@S?l@l@X']],
+        ['LV', 'LV-094', 'Valmiera', ['kfJmcDF`Cb@Q@}@Ag@k@I']],
+        ['LV', 'LV-095', 'Stopiņi', ['qbJmvC?c@O??b@N?']],
+        ['LV', 'LV-096', 'Valmiera', ['agJ}~CXeAe@IMz@XR']],
+        ['LV', 'LV-097', 'Talsi', ['yeJunCQvALt@l@Pb@yAk@wAQ^OM']],
+        ['LV', 'LV-098', 'Tērvete', ['e_JcqCg@?Zr@Js@']],
+        ['LV', 'LV-099', 'Tukums', ['ybJyqC@bAeAFz@x@v@eAo@_A']],
+        ['LV', 'LV-100', 'Vaiņode', ['k_JihCY@Gp@l@EKm@']],
+        ['LV', 'LV-101', 'Valka', ['{fJucDs@bAEjBf@gBZPIyA']],
+        ['LV', 'LV-102', 'Valmiera', ['gaJifDFlARcA[I']],
+        ['LV', 'LV-103', 'Vārkava', ['e~IscDEaAQ|@VB']],
+        ['LV', 'LV-104', 'Valmiera', ['_eJ}_DJd@l@J@sA{@`@']],
+        ['LV', 'LV-105', 'Vecumnieki', ['w_JmzCUY@bAa@JRx@z@a@YmA']],
+        ['LV', 'LV-107', 'Viesīte', ['_~Im}CB{@m@OItAr@I']],
+        ['LV', 'LV-108', 'Viļaka', ['oeJalDf@x@XeAo@SQ^']],
+        ['LV', 'LV-109', 'Viļāni', ['o`JcfDP{@e@d@RT']],
+        ['LV', 'LV-110', 'Zilupe', ['u_JaoDT`ABq@^Ky@C']],
+        ['LV', 'LV-DGV', 'Daugavpils', ['}zIeeD_@mAm@@WdCf@Qb@^XgA', '}{IwdDONIa@XP', '}{IwdDYQH`@NO']],
+        ['LV', 'LV-JEL', 'Jelgava', ['e_JcqCBaBa@W]fAg@OEp@hBN']],
+        ['LV', 'LV-JKB', 'Jēkabpils', ['q_JabDOt@r@XZcC_Ar@']],
+        ['LV', 'LV-JUR', 'Jūrmala', ['ccJkrCFTI_B@hA']],
+        ['LV', 'LV-LPX', 'Liepāja', ['w_JebC?Wc@??Vb@?']],
+        ['LV', 'LV-REZ', 'Rēzekne', ['ebJigD\\^Vo@\\Tl@[OcCeBn@KhB']],
+        ['LV', 'LV-RIX', 'Riga', ['icJqtCZ[Sq@GlA']],
+        ['LV', 'LV-VEN', 'Ventspils', ['acJidC]kDs@QGf@g@_@JjBtBhA']],
+        ['LV', 'LV-VMR', 'Valmiera', ['kfJq}C?QK??PJ?']],
+        ['LY', 'LY-AJ', 'Ajdabiya', ['snDc{CG~JmO?KvA_AfAZlIq@zAvAPnArA^|AWhAvJv@\\eCjG?Gic@qE?']],
+        ['LY', 'LY-BA', 'Benghazi', ['cbE{|Bh@yAEqCcBRGdCeAf@}Bm@vB~BrCg@']],
+        ['LY', 'LY-BU', 'Butnan', ['{dEe|C}@`@q@xIdEx@hRSF_KcF@{Dv@yB{@oBZ}@{@']],
+        ['LY', 'LY-GD', 'Ghadames', ['shE{dArBvDp@\\jCOhA~@n@rBdBkAdE_@?yBk@}Af@UR{@K}BaBj@aHZkBiAs@VaECU`A^dA']],
+        ['LY', 'LY-GT', 'Ghat', ['{lDa}@hBh@~Bc@z@rAn@NzCyB|ACv@m@p@qFwQ|@aBtF']],
+        ['LY', 'LY-JA', 'Jabal al Akhdar', ['{kEodC\\Sz@RrA{@fDKImA_@d@eIMX|B']],
+        ['LY', 'LY-JI', 'Jafara', ['_iEyqAaAPCd@pA\\KuA']],
+        ['LY', 'LY-JU', 'Jufra', ['quDcyA`A?|AkBt@KMqBXy@lAPjB}Az@ChCcCT}AaA}CjAaEuM?y@vEuCdBTp@k@lFTnA}ApDxARf@`A']],
+        ['LY', 'LY-KF', 'Kufra', ['{xB{tCcB??gEak@?Fhc@d_@CvM}\\']],
+        ['LY', 'LY-MB', 'Murqub', ['wkEevAtAlCv@_@QoC`@mB_BQ}@`D']],
+        ['LY', 'LY-MI', 'Misrata', ['yiEg{A~APa@lBPnCjBm@|CsB|@sClBR^g@TgBf@a@CgCk@UeIlAiA|BkCn@WdB']],
+        ['LY', 'LY-MJ', 'Marj', ['ojEs_CxAt@~Ag@D_CnBa@EoAgDJgB`Au@YOfAj@fB']],
+        ['LY', 'LY-MQ', 'Murzuq', ['sgC}vB{XBkA`E`A|CU|AiCbCm@?~@`HjApAr@zDn@t@z@pEDvCtCL~F_CbAmHnBsCcDaJzH_S']],
+        ['LY', 'LY-MZ', 'Mizdah', ['shEcoAI~D`EBr@WjBhA`H[`Bk@`@_C}@eBaDoCNgAr@o@]y@_AEcAo@mAD}@rC}CrBwC`A@~A']],
+        ['LY', 'LY-NQ', 'Nuqat al Khams', ['siEagALqB{A}AiArEvCC']],
+        ['LY', 'LY-QB', 'Al Qubbah', ['ulEmhCdILxAkCDeAwBCcDs@U`@{@Gw@`F']],
+        ['LY', 'LY-SB', 'Sabha', ['glDwaBPpCzA`CFvAzAa@rAj@YaBkAqA_AaH_C~A']],
+        ['LY', 'LY-SR', 'Sirte', ['kbE{cBdImAj@TXuDUq@bCoAp@gB{Jw@mCxGa@tF']],
+        ['LY', 'LY-TN', 'Tripoli District', ['olE{pAlB[uAmCWhD']],
+        ['LY', 'LY-WD', 'Wadi al Hayaa', ['qhDkvAW`ElEfIrBFJeDeCaJsAk@{A`@']],
+        ['LY', 'LY-WS', 'Ash Shati', ['{lDa}@jAkFrFs@mEgINyGoAcB]oDw@Qi@z@LpBu@J}AjBkA?}@dBbFrFk@lCVNArBSz@g@Tj@|A?xB~CS']],
+        ['LY', 'LY-ZA', 'Zawiya', ['alEqmAbAv@^tAH_E{Bw@LhB']],
+        ['MA', 'MA-01', 'Tangier-Tetouan', ['o_Fv`@ZhBzC~@x@sD}@gD_@AoAtCcA\\']],
+        ['MA', 'MA-02', 'Gharb-Chrarda-Béni Hssen', ['stE~h@HeFuBkAw@rEbD|A']],
+        ['MA', 'MA-03', 'Taza-Al Hoceïma-Taounate', ['{zEb[d@Fj@tBtAdAHeBlAaB?y@dA_@Dc@mAeAVoAyBP}@g@Kv@b@t@q@LQf@w@@DfC']],
+        ['MA', 'MA-04', 'Oriental', ['y{ElQWBp@dAQjA^VjBw@c@u@N{@x@j@p@W\\Zp@_@h@d@`A}@VdC|AnA|A_A?yArAMKaAy@HAmIu@DYi@q@lAcBp@gD?y@ZUUW`@[SiAdB[vBXYATg@P']],
+        ['MA', 'MA-05', 'Fès-méknas-boulmane', ['erEjRWnAhA|AgAj@?x@mA`B@xAvAaAVJXq@`@P|Ao@bAoBAe@}AoAWeCaA|@q@[']],
+        ['MA', 'MA-06', 'Meknès-Tafilalet', ['ieEvRsAL?xA}A~@aAtC}An@a@QYp@WKwA`A^|A`Aa@vALExBb@?pAgAv@wBr@Fn@jALu@z@\\l@iBjB\\hA[t@yAaAcB]{Bq@Se@x@e@CI]s@AOcB']],
+        ['MA', 'MA-07', 'Rabat-Salé-Zemmour-Zaër', ['mrEnk@v@aA|@K?}@o@QXkBwAMaA`@KdDdAnA']],
+        ['MA', 'MA-08', 'Grand Casablanca', ['mpEhp@\\}@iAo@j@lB']],
+        ['MA', 'MA-09', 'Chaouia-Ouardigha', ['yqEzl@hAn@UtAz@TdC}A\\gBcAu@M_D_BfAGlAu@Cw@~@Rl@']],
+        ['MA', 'MA-10', 'Doukkala Abda', ['sfEbz@`@iEcAe@m@d@aB{AcAX{@Uf@fBhCpC~Bf@']],
+        ['MA', 'MA-11', 'Marrakesh-Tensift-El Haouz', ['o`Ej|@XYWkIcBgDq@Pc@q@}AR[`BcAhA`BzAl@e@bAd@]lEfBhAvAE']],
+        ['MA', 'MA-12', 'Tadla-Azilal', ['}kEvd@\\zDx@\\fBQXn@p@QJmA_B{Dm@G]cAs@Gw@vB']],
+        ['MA', 'MA-13', 'Suss-Massa-Draa', ['}{Dx\\u@xAiAZkB]m@hBm@a@SPrBbFKlAbBfDVjIYX|@Lp@w@t@H`ErCN{@k@iAYsEiBEm@gGg@[S{AZe@zCe@H_DmCyC']],
+        ['MA', 'MA-14', 'Guelmim-Es Semara', ['oaDjjAScAiBkAq@H[}B`@{Do@qAKcCwHOgCqEc@_G{Cd@[d@RzAf@Zl@fGhBDXrEj@hAOz@|DrGrAo@dA`BbElB|AYAmA']],
+        ['MA', 'MA-15', 'Laâyoune-Boujdour-Sakia El Hamra', ['oaDjjA@lA}AXcEmBeAaBsAn@z@lFfFtBnBtD~HjBb@kAQoIkAmB_FcA']],
+        ['MA', 'MA-16', 'Oued Ed-Dahab', ['cxC|oATpCC|Dc@jAR^bDdDo@k@pHhCxAxAdBPOcMaDiBsGaAy@sBgBgA']],
+        ['MC', null, 'Monaco', ['epG_m@?OK??NJ?']],
+        ['MD', 'MD-AN', 'Anenii Noi', ['seHavD^HH~@^u@Is@_A^']],
+        ['MD', 'MD-BA', 'Bălți', ['{iHumDLPDe@SR']],
+        ['MD', 'MD-BD', 'Bender', ['odHwwDZTr@aBq@@]hA']],
+        ['MD', 'MD-BR', 'Briceni', ['slHkeDZuAc@s@Q|AXj@']],
+        ['MD', 'MD-BS', 'Basarabeasca', ['saHstDIXp@l@Xk@aA[']],
+        ['MD', 'MD-CA', 'Cahul', ['c_HunD|AKFTX[WcAk@DPh@kA_@AdA']],
+        ['MD', 'MD-CAM', 'Camenca', ['_kHksD_@~@t@J@{AWN']],
+        ['MD', 'MD-CL', 'Călărași', ['yfHsqDS|@b@b@Po@a@q@']],
+        ['MD', 'MD-CM', 'Cimișlia', ['{aHkuDs@h@XlAp@c@WsA']],
+        ['MD', 'MD-CR', 'Criuleni', ['keHgsDVoA_@IFj@SUY^Pj@ZG']],
+        ['MD', 'MD-CS', 'Căușeni', ['{aHkuD`@?Ie@eAc@ErBr@i@']],
+        ['MD', 'MD-CT', 'Cantemir', ['c_HunD?aAaAEFr@x@R']],
+        ['MD', 'MD-CU', 'Chișinău', ['keHgsDGb@X}@QX']],
+        ['MD', 'MD-DO', 'Dondușeni', ['kmHimDBz@n@FAcA]YSX']],
+        ['MD', 'MD-DR', 'Drochia', ['kjHmnDk@EO\\\\r@\\kA']],
+        ['MD', 'MD-ED', 'Edineț', ['wkHahDb@_@WeAY?Up@b@r@']],
+        ['MD', 'MD-FA', 'Fălești', ['ihHmjDf@_@QmA_@G]h@f@jA']],
+        ['MD', 'MD-FL', 'Florești', ['ijH_qDU@@nAz@cAg@M']],
+        ['MD', 'MD-GA', 'Comrat', ['saHuqDnA\\PmAi@Ow@~@', 'u}GmpD^PHS[UMV']],
+        ['MD', 'MD-GL', 'Glodeni', ['khHmjDe@uAM~AXTX_@']],
+        ['MD', 'MD-GRI', 'Grigoriopol', ['sfHqvD`AL@s@eAA@f@']],
+        ['MD', 'MD-HI', 'Hîncești', ['wcHwnDl@i@i@qAm@p@h@hA']],
+        ['MD', 'MD-IA', 'Ialoveni', ['aeHaqDp@y@I}@g@vB']],
+        ['MD', 'MD-LE', 'Leova', ['mbHqoDn@BUgAi@@N`A']],
+        ['MD', 'MD-NI', 'Nisporeni', ['gdHsnD[oAc@bB~@S']],
+        ['MD', 'MD-OC', 'Ocnița', ['kmHimDU|@T`AZs@[kA']],
+        ['MD', 'MD-OR', 'Orhei', ['yfHktDYQ[h@b@jAj@u@Ym@']],
+        ['MD', 'MD-RE', 'Rezina', ['sjH{sD|Ae@oAUMz@', 'ehHmrDB_A_A@XjA`@M']],
+        ['MD', 'MD-RI', 'Rîșcani', ['miHqiDScCu@nAf@lA`@Y']],
+        ['MD', 'MD-SD', 'Șoldănești', ['giH_rD[_AWb@XdAXi@']],
+        ['MD', 'MD-SI', 'Sîngerei', ['ajHumDlAE]uAy@bAHV']],
+        ['MD', 'MD-SN', 'Transnistria', ['wgHcuDV^Ri@d@Lm@q@c@l@']],
+        ['MD', 'MD-SO', 'Soroca', ['amH_nDbAMS}Ao@jB']],
+        ['MD', 'MD-ST', 'Strășeni', ['_fH}rDWt@h@d@PsAWPFc@SH']],
+        ['MD', 'MD-SV', 'Ștefan Vodă', ['}aH{yDa@`A^\\f@c@KiBYl@']],
+        ['MD', 'MD-TA', 'Taraclia', ['{_HctDh@\\OhAj@LPw@k@y@k@C']],
+        ['MD', 'MD-TE', 'Telenești', ['oiHiqDz@jADuAa@[_@d@']],
+        ['MD', 'MD-UN', 'Ungheni', ['agHmkDdAyAa@Jm@q@H~B']],
+        ['ME', 'ME-01', 'Andrijevica', ['eiGmzBa@YKn@l@U']],
+        ['ME', 'ME-02', 'Bar', ['wfGowBSfAv@k@Qm@QP']],
+        ['ME', 'ME-03', 'Berane', ['gjGk|Bs@?\\lAb@o@M]']],
+        ['ME', 'ME-04', 'Bijelo Polje', ['cmGeyB`@PZo@UgAg@dB']],
+        ['ME', 'ME-05', 'Budva', ['sfGktB?m@e@??l@d@?']],
+        ['ME', 'ME-06', 'Cetinje', ['kiGkuBAx@v@[H_A_A`@']],
+        ['ME', 'ME-07', 'Danilovgrad', ['gjGawBZt@TIBi@u@A']],
+        ['ME', 'ME-08', 'Herceg Novi', ['chGsrBE]]Zb@@']],
+        ['ME', 'ME-09', 'Kolašin', ['gjGawBPsAi@IExA\\B']],
+        ['ME', 'ME-10', 'Kotor', ['giGurB~@w@m@DQp@']],
+        ['ME', 'ME-11', 'Mojkovac', ['_kGywB?iAc@??hAb@?']],
+        ['ME', 'ME-12', 'Nikšić', ['olGksB`@d@~@UOeC]?s@tB']],
+        ['ME', 'ME-13', 'Plav', ['}iGg|Bj@x@K}@_@B']],
+        ['ME', 'ME-14', 'Pljevlja', ['aoG_wBFx@t@[`@qAa@Q}@dA']],
+        ['ME', 'ME-15', 'Plužine', ['mmGuuBM`@j@f@d@gAcAA']],
+        ['ME', 'ME-16', 'Podgorica', ['miG{yBUVp@bAAn@z@_AuAkA']],
+        ['ME', 'ME-17', 'Rožaje', ['ujGe~B[j@b@NG{@']],
+        ['ME', 'ME-18', 'Šavnik', ['ilG{uB^F?mA_@dA']],
+        ['ME', 'ME-19', 'Tivat', ['ugGosB?SY??RX?']],
+        ['ME', 'ME-20', 'Ulcinj', ['efGaxBVl@Zm@s@?']],
+        ['ME', 'ME-21', 'Žabljak', ['smG{uBh@?FmAq@lA']],
+        ['MF', null, 'Saint Martin', ['uoBtiK?[S??ZR?']],
+        ['MG', 'MG-A', 'Toamasina', ['nbBixHoDd@O|Av@RTdATS`CVXk@|ClAbAGd@Zd@]o@wBwBWOo@OV}@[mAb@sBCIg@bBm@', 'zgBgwH|@XoAe@PJ', 'llBgtHhAdDt@a@n@x@xC[j@v@pAPMl@`@z@nBAA{@k@Qf@yAeMcD_CG', 'lyBgjHh@DAyAqAQk@w@yCZo@y@u@`@Ym@e@\\oDe@Nl@y@Jm@dARdAlACtAq@rCz@zAYtF\\']],
+        ['MG', 'MG-D', 'Diana', ['zvAekHg@k@^Jl@_CIu@w@m@cEKu@q@y@R_@|@C[q@PhB`AIj@jAm@pBb@Cz@^IDf@p@Dw@l@N`@zAY', 'nrAamH_@@JXR[', 'dnAguHt@p@zBE~B~@jDwBTcA`DYqCaAcBx@wIt@gAz@']],
+        ['MG', 'MG-F', 'Vatovavy-Fitovinany', ['r~B{nHg@xAj@PV|ApCp@tCDh@j@dAyCsLsC', 'flCgjHuAbDTLbDi@ShAzBADdA\\N~AaB{@k@Z}@YOuGiA', 'f{Bc}GfF?y@_Cz@uAa@gARo@iBaAwATr@`FmAvC', 'fjCudHMxAmA~@]vCn@l@n@QdDx@Z_As@Mc@sBbB}A|ACFu@iCMRiAcDh@', 'lfCo{G\\kClA_ALyAo@cAsEWSn@`@fA{@tAx@~B|Br@']],
+        ['MG', 'MG-M', 'Boeny', ['hdBowG`C}AXcCp@m@y@eAcAUBaCa@^q@[wCb@Rd@i@U[RtA~Bd@DZa@BZw@d@^LKpAp@HOl@ZNe@Dx@lA', 'p_BueHhDe@h@sBs@KA}@l@cAx@MSw@sAo@Yj@aCWSRWcA{@m@sC~AOpCUf@[K\\f@|@Fo@NZCZl@j@GAe@b@Ke@f@jBhAwAAfBjAr@Q', 'tvBusGPgDoDx@a@k@LqCyAg@kAR?v@kBZkCbC@dAbB@zCbBlIcA', 'zmBebH^eGsC{@aCv@i@rB^\\j@WMxBbATx@dAq@l@AdBxAQ?w@jASM{B']],
+        ['MG', 'MG-T', 'Antananarivo', ['znBkjH_@dGtDyAdBmBr@D`@_AuF]{AX', 'zmBebHLzBrA^Jn@~BLz@}@j@?AeAoCcBB}AgEjB', 'f{Bc}G^cBf@QFuAm@yAD}AaB_@a@~@s@E^p@QtAd@bADvCtAD', 'btBqeHC|AnCbBi@uCDiBu@@q@z@']],
+        ['MG', 'MG-U', 'Anosy', ['vuCmgH[|@|@h@}A~A{BG{AfAMr@h@xAnCVCe@tAIPaAjDSn@y@IiBk@gAaD{@', 'n|C_`Ho@x@kDRc@nB`Ef@pAfAz@uAGoAgAgC', 'b}CqvGqAgAqD[y@{@Up@_BOo@dAqC}@o@Pq@}@qCq@tApCQ|@bB\\Pt@@rAoBnA`Cp@nDSzBoAz@ZpBIdCgAr@cAFgA', 'ddCcoGnBiAAsAQu@cB]P}@uAqC}HIqAbA_CQSlBb@j@lDy@QfD`Ai@x@Tj@StFbCPt@']],
+        ['MH', 'MH-L', 'Ralik Chain', ['q[_h_@?{Zuk@??zZtk@?']],
+        ['MH', 'MH-T', 'Ratak Chain', ['yd@c_`@?aRqt@??`Rpt@?']],
+        ['MK', 'MK-01', 'Aerodrom', ['}dG}dC?YO??XN?']],
+        ['MK', 'MK-02', 'Aračinovo', ['keGqeC?US??TR?']],
+        ['MK', 'MK-03', 'Berovo', ['ocGunCIhAh@m@_@[']],
+        ['MK', 'MK-04', 'Bitola', ['s~FmeC}@f@Nh@t@]Gs@']],
+        ['MK', 'MK-05', 'Bogdanci', ['_`GskC?a@[??`@Z?']],
+        ['MK', 'MK-06', 'Bogovinje', ['udGu`C?o@W??n@V?']],
+        ['MK', 'MK-07', 'Bosilovo', ['obG{mCIX\\FSa@']],
+        ['MK', 'MK-08', 'Brvenica', ['eeGkbCRL@m@U^']],
+        ['MK', 'MK-09', 'Butel', ['meGsdC?[_@??Z^?']],
+        ['MK', 'MK-10', 'Valandovo', ['gaGgmCQtAf@a@Us@']],
+        ['MK', 'MK-11', 'Vasilevo', ['ebGukCSk@KX^P']],
+        ['MK', 'MK-12', 'Vevčani', ['q`Ga_C?[I??ZH?']],
+        ['MK', 'MK-13', 'Veles', ['{cGyeCZg@m@OPv@']],
+        ['MK', 'MK-14', 'Vinica', ['adGikCFg@a@KIr@b@?']],
+        ['MK', 'MK-15', 'Vraneštica', ['ebGwbCUCVZAW']],
+        ['MK', 'MK-16', 'Vrapčište', ['gdGm`C?q@W??p@V?']],
+        ['MK', 'MK-17', 'Gazi Baba', ['oeGaeCNYc@LRJ']],
+        ['MK', 'MK-18', 'Gevgelija', ['_`GelCs@l@h@\\HkA']],
+        ['MK', 'MK-19', 'Gostivar', ['gdGm_Cb@wA_@QChB']],
+        ['MK', 'MK-20', 'Gradsko', ['ubGkhCa@RRRXGK_@']],
+        ['MK', 'MK-21', 'Debar', ['ebG__CAq@Uf@VH']],
+        ['MK', 'MK-22', 'Debarca', ['s_Gc`Cc@a@Bg@g@Z?f@fAD']],
+        ['MK', 'MK-23', 'Delčevo', ['_fGmlCv@IMg@i@p@']],
+        ['MK', 'MK-24', 'Demir Kapija', ['ibGkjCZj@Bu@_@H']],
+        ['MK', 'MK-25', 'Demir Hisar', ['saGccCJd@d@]Ue@[\\']],
+        ['MK', 'MK-26', 'Dojran', ['aaGcmCH`@RY]G']],
+        ['MK', 'MK-27', 'Dolneni', ['}bGqdCh@LK{@]l@']],
+        ['MK', 'MK-28', 'Drugovo', ['acGaaCd@VFyAm@`A']],
+        ['MK', 'MK-29', 'Gjorče Petrov', ['keGwcC?WW??VV?']],
+        ['MK', 'MK-30', 'Želino', ['eeGkbCXi@]FB`@']],
+        ['MK', 'MK-31', 'Zajas', ['ccGebC?h@RWSQ']],
+        ['MK', 'MK-32', 'Zelenikovo', ['{cGceC?c@_@??b@^?']],
+        ['MK', 'MK-33', 'Zrnovci', ['cdGujC?SQ??RP?']],
+        ['MK', 'MK-34', 'Ilinden', ['}dGqeC?_@[??^Z?']],
+        ['MK', 'MK-35', 'Jegunovce', ['wfG{bCj@AWWSX']],
+        ['MK', 'MK-36', 'Kavadarci', ['g`GyiC[Og@p@Jt@`A_@Iw@']],
+        ['MK', 'MK-37', 'Karbinci', ['qdG{iCJPB_AOl@']],
+        ['MK', 'MK-38', 'Karpoš', ['ceGmdC?OQ??NP?']],
+        ['MK', 'MK-39', 'Kisela Voda', ['ydG{dC?WQ??VP?']],
+        ['MK', 'MK-40', 'Kičevo', ['cbGqaC?WS??VR?']],
+        ['MK', 'MK-41', 'Konče', ['ibGkjCBi@Yd@TB']],
+        ['MK', 'MK-42', 'Kočani', ['eeGcjCRSS_@]Z\\V']],
+        ['MK', 'MK-43', 'Kratovo', ['ueGsjCY~@RRDsA']],
+        ['MK', 'MK-44', 'Kriva Palanka', ['mgGujCAh@h@MG{@_@^']],
+        ['MK', 'MK-45', 'Krivogaštani', ['w`GcdC?Y]??X\\?']],
+        ['MK', 'MK-46', 'Kruševo', ['ebG{cCLXd@c@s@H']],
+        ['MK', 'MK-47', 'Kumanovo', ['}fGofCp@AAy@o@z@']],
+        ['MK', 'MK-48', 'Lipkovo', ['agGgeCh@We@OCf@']],
+        ['MK', 'MK-49', 'Lozovo', ['gcGigC?i@g@??h@f@?']],
+        ['MK', 'MK-50', 'Mavrovo and Rostuša', ['}bGi_CVm@e@[[dAh@B']],
+        ['MK', 'MK-51', 'Makedonska Kamenica', ['mfGukCh@E[QMV']],
+        ['MK', 'MK-52', 'Makedonski Brod', ['odGkcCT\\z@a@m@g@c@j@']],
+        ['MK', 'MK-53', 'Mogila', ['y`GodC`@AKk@Ul@']],
+        ['MK', 'MK-54', 'Negotino', ['kbGkhC\\S[k@_@x@\\D']],
+        ['MK', 'MK-55', 'Novaci', ['w~F_gC[[E|Aj@WIi@']],
+        ['MK', 'MK-56', 'Novo Selo', ['kaGgnCc@Jb@L?Y']],
+        ['MK', 'MK-57', 'Oslomej', ['kbG_bC?]]??\\\\?']],
+        ['MK', 'MK-58', 'Ohrid', ['s_Gc`C^W_As@Ch@b@`@']],
+        ['MK', 'MK-60', 'Pehčevo', ['udG_nCZRHi@e@T']],
+        ['MK', 'MK-61', 'Plasnica', ['waGmbC?a@Q??`@P?']],
+        ['MK', 'MK-62', 'Prilep', ['}_GahCgAf@XbA\\INaB']],
+        ['MK', 'MK-63', 'Probištip', ['eeGcjCQML~@Xa@UO']],
+        ['MK', 'MK-64', 'Radoviš', ['ucG_kCTPLy@g@CBj@']],
+        ['MK', 'MK-65', 'Rankovce', ['ogGkiC^VL[m@B']],
+        ['MK', 'MK-66', 'Resen', ['i~FabCIy@}@j@p@h@T[']],
+        ['MK', 'MK-67', 'Rosoman', ['}aGggC?e@Y??d@X?']],
+        ['MK', 'MK-68', 'Saraj', ['cfGucCj@@M[]X']],
+        ['MK', 'MK-69', 'Sveti Nikole', ['ycGqhCa@OSj@XJZg@']],
+        ['MK', 'MK-70', 'Sopište', ['kdGucCPWi@QVh@']],
+        ['MK', 'MK-71', 'Staro Nagoričane', ['kgGyhCF`AXGDi@g@O']],
+        ['MK', 'MK-72', 'Struga', ['waGk_C~@Ug@UWj@']],
+        ['MK', 'MK-73', 'Strumica', ['eaGgkC?gAe@??fAd@?']],
+        ['MK', 'MK-74', 'Studeničani', ['ycGmdC_@o@?p@^A']],
+        ['MK', 'MK-75', 'Tearce', ['qeGsaC?o@]??n@\\?']],
+        ['MK', 'MK-76', 'Tetovo', ['_fG{`CZDC{@Wt@']],
+        ['MK', 'MK-77', 'Centar', ['eeGwdC?GG??FF?']],
+        ['MK', 'MK-78', 'Centar Župa', ['waGk_CE[QTVD']],
+        ['MK', 'MK-79', 'Čair', ['keG{dC?EE??DD?']],
+        ['MK', 'MK-80', 'Čaška', ['}bGqdCXwAw@n@\\f@']],
+        ['MK', 'MK-81', 'Češinovo-Obleševo', ['cdGsiC?k@c@??j@b@?']],
+        ['MK', 'MK-82', 'Čučer-Sandevo', ['_gGeeCPb@VMi@U']],
+        ['MK', 'MK-83', 'Štip', ['icGqhCTo@a@]_@z@j@P']],
+        ['MK', 'MK-84', 'Šuto Orizari', ['oeGsdC?IK??HJ?']],
+        ['MK', 'MK-85', 'Skopje', ['}dGyeCT][QDn@']],
+        ['ML', 'ML-1', 'Kayes', ['srAjiABy@lAk@zCVb@e@i@iA`Ao@aAwAd@mBo@kAg@JLiAqAuAwE]OnA_AGWo@PqAa@A_DjCi@bBg@@r@J@dG`Ad@kBvBRh@~BPXvAjAGj@k@bAGXZ~@g@']],
+        ['ML', 'ML-2', 'Koulikoro', ['olAlw@|Am@t@Hf@}@c@UcAiDyA{ArAGfAsBsAg@I_Ac@ESr@{@b@K`Bs@f@uAgAmBb@}Aw@Mo@oA`@mBm@ArP|AoALm@zBkAMvAVn@~@FXm@O_@bBAxB\\pAtA']],
+        ['ML', 'ML-3', 'Wassoulou', ['onAzZ\\xBm@f@d@^i@\\j@|Bf@?d@s@b@nAjAVi@~AmBj@tApAbAhDb@T`@_@`A~@KiA~AEjAaA{@}A~@_Bg@KCy@y@?Rk@c@e@~ACJk@eAkBiBBIa@{@UqAd@}@gDa@_@qAH']],
+        ['ML', 'ML-4', 'Ségou', ['isAxWyAZx@v@J|AkAACfA}@Lm@jAoAUGw@m@a@y@R?~ElBl@nAa@Ln@|Av@lBc@tAfAr@g@Iq@r@iAu@gCh@]e@_@l@g@Gs@]c@DmAmATiAkA']],
+        ['ML', 'ML-5', 'Mopti', ['s{AnEo@u@iAvDTfDiBlAGv@nAvA?h@aAXn@lCQjB`@TD_@t@Ol@`@Fv@nATl@kA|@MBgAjA@K}Ay@w@jBYl@gBWi@qAFHmAeAEk@u@LcB_ASeA_E']],
+        ['ML', 'ML-6', 'Tombouctou', ['g{Cb]@`Jzs@aEj@u@~C^_@w@PkBo@mC`AY?i@oAwAFw@hBmAUgDp@_BRmCqJb@UxD}ARkA{CuEG_EdFgAoCmD{EkCk@uRb]']],
+        ['ML', 'ML-7', 'Gao', ['g}AbBZiFcAcCMsLgAgAmC}@wHI?`Mj@b@XvBwE`Fq@~DtEFjAzC|ASTyDpJc@']],
+        ['ML', 'ML-8', 'Kidal', ['qgC?jCj@lDzEfAnC~DeFp@_EvEaFYwBk@c@?aMgF?Z|D[b@q@_@uAJo@~Ci@f@F|@iA`A[pAgA?uCdF']],
+        ['ML', 'ML-BKO', 'Bamako', ['kmAlq@?[a@??Z`@?']],
+        ['MM', 'MM-01', 'Sagaing', ['ihDs}Qu@dARpBzCzEtAUbCjBd@J`@_@jCpAfEz@`CAf@q@jCe@IcCh@e@Yq@Vk@y@u@cHXq@a@XUKe@y@c@c@`@Uw@w@@GrAcBnAEm@iBR]i@gEXy@e@YcD']],
+        ['MM', 'MM-02', 'Bago', ['clBo|Q]GJ}@wBByAl@Ax@kDx@@vBx@CTdBlAl@xA}@hBOl@w@{@}@xCaARwAqBI']],
+        ['MM', 'MM-03', 'Magway', ['wqBwoQU}@g@LmAm@UgBwARgBS{Bj@j@bB{@DWt@q@AU_A{@g@k@h@DnCuD|@nDRbF[An@V?zIsD~AG']],
+        ['MM', 'MM-04', 'Mandalay', ['}qC_yQWn@p@`@bHYx@t@QhAr@L~@hBd@AVu@z@Ci@eBxBk@zBPPiAOoBgBz@g@c@cBPYYi@jAU_@iADg@mBcA\\y@rAiAVe@gBYfByAW']],
+        ['MM', 'MM-05', 'Tanintharyi', ['u|AudRQx@f@Tl@o@EZdBk@|BEgBIlDmAfDYT`@?_@n@CV`@?_@d@F_@[^OH\\nCDf@p@pCOkCm@aFkDsFjBeD?eBjByBfA', 'wbAeeR[RPPf@a@]C', 'whA{fR@`@r@a@u@?', 'yiAggR[^j@GOW', 'smAmfRU\\dABo@a@', 'wpAkeR[H|@Ia@?']],
+        ['MM', 'MM-06', 'Yangon', ['qhBe|QSvAyC`Ap@x@n@NbAi@dBBHqAyADp@EHaAiAi@']],
+        ['MM', 'MM-07', 'Ayeyarwady', ['keBcwQSd@yAMw@d@q@Gm@v@kBPo@l@Jn@fCDfAXQb@v@VhFn@q@sAs@SrB^k@k@n@d@JWmAu@zAZCc@cAUfAMgA]pALBUcB_A?s@_@G', 'kdBsnQj@t@^AkAs@']],
+        ['MM', 'MM-11', 'Kachin State', ['koDg_R`AAx@|AdBs@XnDv@d@hEY\\h@hBSDl@bBoAFsAd@H`A}@ZZVq@e@yBUV{@g@g@h@}@EOm@o@L_AqAk@EHa@y@iAs@XK_@{AIaEPOr@ZVwB`@iAxACZ|@h@']],
+        ['MM', 'MM-12', 'Kayah State', ['iyBubRaAdAQdAr@Dj@n@p@JlAa@jAsAQ_AeAP_Ci@']],
+        ['MM', 'MM-13', 'Kayin State', ['}rBq_R]r@gCx@QrAlBw@t@B@y@`Bq@tBA]i@bE[jBqBJ|@xAIzAcAGc@Sa@iC@Ks@u@QQJb@b@wB\\_DtC{BVB\\s@V']],
+        ['MM', 'MM-14', 'Chin State', ['edC_bQ~BeDGi@c@Af@yA}L\\yD[i@bDpAWfBJNj@v@LdBQt@f@_@x@`@RdCK']],
+        ['MM', 'MM-15', 'Mon State', ['c~AydRgChAm@BK}@gAtA`BXj@_@~DKg@UPy@m@C', 'qfBsaR_Af@cDNl@z@Wl@j@Az@m@EYd@NvAe@QaA', 'seB}`RKXv@Qk@G']],
+        ['MM', 'MM-16', 'Rakhine State', ['edC_bQ]~@ZZzBg@vAeAwAPf@e@jAGuAg@nANKYN\\~@g@w@F^yBh@ZEi@VNn@s@\\^e@v@RJ|AwAaABg@_@hBDVo@@XrAu@hD]Pc@{A]iERu@n@gEz@yChBb@JDf@_CdD', 'otB}hQMt@d@a@WS', 'kxBijQM`Ah@_@[a@']],
+        ['MM', 'MM-17', 'Shan State', ['}|B}lRm@PMgBX_@mAWa@uAEXoAi@i@uAo@Fx@bBFtAk@HMd@aA@S~CeAk@q@Hc@m@g@h@I|AuA?eAf@e@i@HvCxAhES~@c@Yi@n@Rt@d@_@lCnAh@oBd@fBhAWx@sA~@]j@lBhAET^h@kAXXbBQf@b@~@y@TRz@w@kCaAPeA`AeAo@c@\\e@QcCeAa@IwA']],
+        ['MN', 'MN-035', 'Orkhon', ['}qHglSArAXRPkAi@[']],
+        ['MN', 'MN-037', 'Darkhan-Uul', ['otHywSS`Ac@?^h@dBB?eEkABApA']],
+        ['MN', 'MN-039', 'Khentii', ['isHqeTh@Hz@aAbBe@n@^`@nAnANhCqBGYfAP~@kAYwB_A_@xAaBLoAs@u@u@F}B_AUcBw@G]oBeInB|@~Gg@fL']],
+        ['MN', 'MN-041', 'Khövsgöl', ['wdIkiR~CjEdAT~AaBtAd@`AxCOp@tAd@dAkEF_Ca@aBz@Sv@X~@k@{@sFo@R[i@Y\\[y@h@{Dm@O{AqEo@dC}AeBe@bAqCRuAbMiAbE']],
+        ['MN', 'MN-043', 'Khovd', ['ybHywPlATv@ShBdAz@k@d@sLkCMaCeBk@Ry@sCkAn@u@`BgAt@k@Nw@}@y@tAHjDiAlAt@tAVjCxG{Cf@Hx@}AX|AYpA']],
+        ['MN', 'MN-046', 'Uvs', ['yvHwsQYnDmBfAEbFc@ZT|@g@x@lDvMtA}@t@uBvByAu@eBfAeAIkDr@mAoAeCTcCa@qCcBa@q@l@w@C']],
+        ['MN', 'MN-047', 'Töv', ['ghHudTKf@i@Aq@_Co@_@cBd@{@`AJfDN\\\\g@d@NNnADfC[lBg@d@fAxCWhBr@@l@l@f@qAv@Kd@hC|Aw@\\V|@a@^q@i@_A\\uAy@oA`AcGa@kCe@K[sDUMmBnA', 'alH_{SIk@x@{Av@HSdEeB^PgB']],
+        ['MN', 'MN-049', 'Selenge', ['iwHk`TGlB_AhB]hGb@vDxB_AfC^Td@t@]V_BgAcDf@e@\\_CU_Ee@W_@h@[eEi@IcA~Bq@EIj@', 'otHywS@qAjAC?dEeBC_@i@b@?RaA']],
+        ['MN', 'MN-051', 'Sükhbaatar', ['k`HswU_AbAXhGeAxAgAB}@~BQ|Ei@?\\nBv@FTbBhEfA^mAhEgAdAcIaCyDI}Eq@cByBwA']],
+        ['MN', 'MN-053', 'Ömnögovi', ['giGsmRJ{JfAeBrAkIUaDh@?L}AkCgJ]_GgC?uGbA|@nIcBlBY~FeARA`AlAjBxAz@f@M?nD`AxD?jDeAdBJ`AlHY']],
+        ['MN', 'MN-055', 'Övörkhangai', ['sfH}iSP~Dk@hBZM~@j@On@l@hEhA{@z@JZf@jD^z@uA\\L~Bq@QyFg@LyA{@s@{Au@Wy@b@WuAiAUIq@s@c@uAhA]W{@f@']],
+        ['MN', 'MN-057', 'Zavkhan', ['ivHy}Qi@zFXdAv@Bp@m@bB`@f@fJpBhBj@On@k@]cCh@gG|@mChAi@?wAv@_@?aCoBk@My@cAm@Wh@eACy@uD{@Nk@Y{@Rb@hBu@xGg@p@s@y@SJ']],
+        ['MN', 'MN-059', 'Dundgovi', ['icHwaTfAzB_ArHx@nA]tA|A|CjAVf@xAdA_@DeA`AOX_GbBgB}@uI{@[k@yCsDDMx@aACo@p@S[Sp@']],
+        ['MN', 'MN-061', 'Dornod', ['kvHgxUe@zAVdDeA~BGzAzAvEl@`@\\tD`BO~AaAlD]P}E|@_CfACdAyAYiG~@cAKwCi@IHqAg@}AH_IaB`@eDtF?jCbApAm@jBBrBb@`Am@`Ak@LUy@y@?aGoD']],
+        ['MN', 'MN-063', 'Dornogovi', ['yxG{zTkEjAWhAZjAmBtC`ATXvB_AjAgAQ]t@l@dA@fBRq@RZn@q@`ABLy@nDEn@xCvAb@bC}@|FMA_H_AwDmBoBkA_EiChBsBcAWo@']],
+        ['MN', 'MN-064', 'Govisümber', ['mjH_eTNn@n@CDa@eAI']],
+        ['MN', 'MN-065', 'Govi-Altai', ['ixGwdQVyBlBmEJgCr@NJk@lCaAhBaB?iHiIQg@w@oDs@mARaBhCw@H?`Cw@^?vAiAh@}@lCi@nG\\zBlAkBpAm@r@pCj@S`CdBhCF']],
+        ['MN', 'MN-067', 'Bulgan', ['_zHk`SxAfBr@gCzApEx@HXyA~Ao@T}@~@a@`CeDI}Ak@A[wBw@Jg@pAw@o@iAAg@jBYS@sAsBi@e@h@u@?W`@ZtCu@bE']],
+        ['MN', 'MN-069', 'Bayankhongor', ['_jGqbRVaJmHXKaAdAeB?oDo@kB_Cp@]Mc@jAgAN{Be@[g@yACs@~@@dBaAx@LhBmBj@b@~Bo@v@@l@|AdAHt@zCl@pBqClASnDr@f@v@hIP']],
+        ['MN', 'MN-071', 'Bayan-Ölgii', ['irH{cPf@IRX^_A^N^gBd@Sh@yATeElFaEXqAO{AcAzAg@IwGzCWcC]FyApAw@vBmAh@FrAh@Er@hC@`Db@JR~@']],
+        ['MN', 'MN-073', 'Arkhangai', ['gqHizRi@zDZx@X]Zh@n@S~A~LjAHEkBp@{@c@_ClBk@MiBbA}@YgJ_Ak@[Lj@iBGaBaCdD_A`@U|@_Bn@e@~A']],
+        ['MN', 'MN-1', 'Ulaanbaatar', ['alH_{SQfBdB_@ReEw@Iy@zAHj@']],
+        ['MO', 'MO-M', 'Macau', ['ciCmdU?OY??NX?']],
+        ['MP', null, 'Rota', ['ewA}i[?e@S??d@R?']],
+        ['MP', null, 'Tinian', ['e|Ayl[?Sc@??Rb@?']],
+        ['MP', null, 'Saipan', ['i}Aom[?]e@??\\d@?']],
+        ['MP', null, 'Northern Mariana Islands', ['aeBsh[?aEmY??`ElY?']],
+        ['MR', 'MR-01', 'Hodh Ech Chargui', ['ooCxf@nc@jPMmB`A}@~DzCnBM@yTcD_@k@t@eh@tC']],
+        ['MR', 'MR-02', 'Hodh El Gharbi', ['{_Bfw@oBL_E{CaA|@LlBw@pBFxBg@tCrDQl@y@X`@lEy@AgFs@Kf@A?eA']],
+        ['MR', 'MR-03', 'Assaba', ['c`BbhAOu@fBeB_Ac@A_@mEx@Ya@q@z@cDPaCW~@xBfA_@dB\\DbAe@nAdAdB|AKBaAl@?Ea@bA_A_@YP}@tAf@']],
+        ['MR', 'MR-04', 'Gorgol', ['{cBvtAAo@hBo@Tw@jAi@iBy@w@{A{@r@D`@m@?C`AoAJxAfAt@jB']],
+        ['MR', 'MR-05', 'Brakna', ['egBl|ADyBfBeBcBsDuAg@m@sAi@l@{CKy@d@xJfM']],
+        ['MR', 'MR-06', 'Trarza', ['egBl|AyJgMwApB?pQxB]?w@bB??p@xFtAdDNmCu@FwBe@oC']],
+        ['MR', 'MR-07', 'Adrar', ['idCjxAh@]fLL?cEvAqBwCeEVm@i@E{@mAC_ReTcIgFZfPvY`@|Hm@`Cp@A?~F']],
+        ['MR', 'MR-08', 'Dakhlet Nouadhibou', ['y`CriBmA[~Aq@VYc@AJWtAg@zABjAj@iGmDqAr@@mIe@X?rOnBR']],
+        ['MR', 'MR-09', 'Tagant', ['izB|p@B~Qz@lAh@DWl@vCdEx@e@zCJz@aAL_CeB]gA^_AyBtBTf@uCGyBv@qBiNgF']],
+        ['MR', 'MR-10', 'Guidimaka', ['q}AtnAfAcBMiAaFkAQ|@\\BDpAtCdB']],
+        ['MR', 'MR-11', 'Tiris Zemmour', ['qiDfu@`G@@xSxN?d@vBlAbBbGQl@aCa@}HgPwYmCNAaJiMbW']],
+        ['MR', 'MR-12', 'Inchiri', ['wuBhdB?mKkLIAlIpAs@vFjCVr@jAaA']],
+        ['MR', 'MR-NKC', 'Nouakchott', ['ynBdcB?q@cB??v@bBE']],
+        ['MS', 'MS-A', 'Saint Anthony', ['egB~cK?SO??RN?']],
+        ['MS', 'MS-G', 'Saint George', ['ogBtcK?IK??HJ?']],
+        ['MS', 'MS-P', 'Saint Peter', ['qgB|cK?KQ??JP?']],
+        ['MT', 'MT-01', 'Attard', ['e_FayA?IE??HD?']],
+        ['MT', 'MT-02', 'Balzan', ['g_FgyA?CE??BD?']],
+        ['MT', 'MT-03', 'Birgu', ['g_FuyA?CC??BB?']],
+        ['MT', 'MT-04', 'Birkirkara', ['g_FiyA?EE??DD?']],
+        ['MT', 'MT-05', 'Birżebbuġa', ['w~EqyA?KG??JF?']],
+        ['MT', 'MT-06', 'Cospicua', ['e_FuyA?CC??BB?']],
+        ['MT', 'MT-07', 'Dingli', ['}~EwxA?GG??FF?']],
+        ['MT', 'MT-08', 'Fgura', ['c_FsyA?EC??DB?']],
+        ['MT', 'MT-09', 'Floriana', ['e_FqyA?EE??DD?']],
+        ['MT', 'MT-10', 'Fontana', ['c`F}wA?CC??BB?']],
+        ['MT', 'MT-11', 'Gudja', ['}~EqyA?CE??BD?']],
+        ['MT', 'MT-12', 'Gżira', ['i_FoyA?EC??DB?']],
+        ['MT', 'MT-13', 'Għajnsielem', ['a`FexA?GE??FD?']],
+        ['MT', 'MT-14', 'Għarb', ['i`FswA?GE??FD?']],
+        ['MT', 'MT-15', 'Għargħur', ['k_FgyA?EE??DD?']],
+        ['MT', 'MT-16', 'Għasri', ['g`FywA?EG??DF?']],
+        ['MT', 'MT-17', 'Għaxaq', ['{~EsyA?EG??DF?']],
+        ['MT', 'MT-18', 'Ħamrun', ['e_FmyA?EC??DB?']],
+        ['MT', 'MT-19', 'Iklin', ['i_FgyA?EE??DD?']],
+        ['MT', 'MT-20', 'Senglea', ['g_FsyA?EC??DB?']],
+        ['MT', 'MT-21', 'Kalkara', ['g_FuyA?GC??FB?']],
+        ['MT', 'MT-22', 'Kerċem', ['c`FuwA?IG??HF?']],
+        ['MT', 'MT-23', 'Kirkop', ['}~EmyA?EC??DB?']],
+        ['MT', 'MT-24', 'Lija', ['i_FeyA?CC??BB?']],
+        ['MT', 'MT-25', 'Luqa', ['{~EiyA?KK??JJ?']],
+        ['MT', 'MT-26', 'Marsa', ['c_FoyA?EE??DD?']],
+        ['MT', 'MT-27', 'Marsaskala', ['__F{yA?EG??DF?']],
+        ['MT', 'MT-28', 'Marsaxlokk', ['{~EwyA?IE??HD?']],
+        ['MT', 'MT-29', 'Mdina', ['e_F_yA?CC??BB?']],
+        ['MT', 'MT-30', 'Mellieħa', ['o_FoxA?QO??PN?']],
+        ['MT', 'MT-31', 'Mġarr', ['i_FsxA?MI??LH?']],
+        ['MT', 'MT-32', 'Mosta', ['i_F}xA?IG??HF?']],
+        ['MT', 'MT-33', 'Mqabba', ['}~EiyA?EC??DB?']],
+        ['MT', 'MT-34', 'Msida', ['g_FmyA?CE??BD?']],
+        ['MT', 'MT-35', 'Mtarfa', ['g_F}xA?EC??DB?']],
+        ['MT', 'MT-36', 'Munxar', ['a`FwwA?IE??HD?']],
+        ['MT', 'MT-37', 'Nadur', ['e`FgxA?IG??HF?']],
+        ['MT', 'MT-38', 'Naxxar', ['k_FcyA?IM??HL?']],
+        ['MT', 'MT-39', 'Paola', ['a_FqyA?EG??DF?']],
+        ['MT', 'MT-40', 'Pembroke', ['m_FkyA?IG??HF?']],
+        ['MT', 'MT-41', 'Pietà', ['g_FoyA?CC??BB?']],
+        ['MT', 'MT-42', 'Qala', ['c`FixA?IE??HD?']],
+        ['MT', 'MT-43', 'Qormi', ['c_FiyA?GE??FD?']],
+        ['MT', 'MT-44', 'Qrendi', ['y~EcyA?IE??HD?']],
+        ['MT', 'MT-45', 'Victoria', ['e`F{wA?GC??FB?']],
+        ['MT', 'MT-46', 'Rabat', ['a_FsxA?OK??NJ?']],
+        ['MT', 'MT-47', 'Safi', ['{~EmyA?GC??FB?']],
+        ['MT', 'MT-48', 'St. Julian\'s', ['k_FoyA?GG??FF?']],
+        ['MT', 'MT-49', 'San Ġwann', ['i_FkyA?EE??DD?']],
+        ['MT', 'MT-50', 'Saint Lawrence', ['c`FswA?GI??FH?']],
+        ['MT', 'MT-51', 'St. Paul\'s Bay', ['k_FyxA?MM??LL?']],
+        ['MT', 'MT-52', 'Sannat', ['a`F}wA?IC??HB?']],
+        ['MT', 'MT-53', 'Santa Luċija', ['a_FqyA?EA??D@?']],
+        ['MT', 'MT-54', 'Santa Venera', ['g_FmyA?CC??BB?']],
+        ['MT', 'MT-55', 'Siġġiewi', ['{~E{xA?SI??RH?']],
+        ['MT', 'MT-56', 'Sliema', ['i_FqyA?EG??DF?']],
+        ['MT', 'MT-57', 'Swieqi', ['m_FiyA?GC??FB?']],
+        ['MT', 'MT-58', 'Ta\' Xbiex', ['i_FoyA?EA??D@?']],
+        ['MT', 'MT-59', 'Tarxien', ['a_FqyA?EC??DB?']],
+        ['MT', 'MT-60', 'Valletta', ['g_FsyA?EE??DD?']],
+        ['MT', 'MT-61', 'Xagħra', ['e`FaxA?GI??FH?']],
+        ['MT', 'MT-62', 'Xewkija', ['a`F_xA?IE??HD?']],
+        ['MT', 'MT-63', 'Xgħajra', ['e_F{yA?CE??BD?']],
+        ['MT', 'MT-64', 'Żabbar', ['c_FwyA?IE??HD?']],
+        ['MT', 'MT-65', 'Żebbuġ', ['g`F}wA?IG??HF?']],
+        ['MT', 'MT-66', 'Żebbuġ Gozo', ['a_FayA?KG??JF?']],
+        ['MT', 'MT-67', 'Żejtun', ['__FuyA?GE??FD?']],
+        ['MT', 'MT-68', 'Żurrieq', ['w~EiyA?MG??LF?']],
+        ['MU', 'MU-AG', 'Agaléga', ['``Ag`J?IQ??HP?']],
+        ['MU', 'MU-BL', 'Rivière Noire', ['b_CweJcAKt@^LS']],
+        ['MU', 'MU-BR', 'Beau Bassin-Rose Hill', ['r}BafJ?II??HH?']],
+        ['MU', 'MU-CU', 'Curepipe', ['d~BgfJ?OK??NJ?']],
+        ['MU', 'MU-FL', 'Flacq', ['r|BygJl@JKWa@J']],
+        ['MU', 'MU-GP', 'Grand Port', ['z}BchJRl@NWc@U']],
+        ['MU', 'MU-MO', 'Moka', ['b}BagJ@V\\[_@B']],
+        ['MU', 'MU-PA', 'Pamplemousses', ['v|BifJH[a@HVP']],
+        ['MU', 'MU-PL', 'Port Louis', ['h}BcfJ?SQ??RP?']],
+        ['MU', 'MU-PW', 'Plaines Wilhems', ['b~B_gJ]Xh@@K[']],
+        ['MU', 'MU-QB', 'Quatre Bornes', ['z}BafJ?MK??LJ?']],
+        ['MU', 'MU-RO', 'Rodrigues', ['pzByjK?a@U??`@T?']],
+        ['MU', 'MU-RR', 'Rivière du Rempart', ['~{B{fJ^IKSS\\']],
+        ['MU', 'MU-SA', 'Savanne', ['f_CueJ?q@Y??p@X?']],
+        ['MU', 'MU-VP', 'Vacoas-Phoenix', ['`~BafJ?OK??NJ?']],
+        ['MV', 'MV-00', 'Alif Dhaal Atoll', ['{TgeM?w@cA??v@bA?']],
+        ['MV', 'MV-01', 'Addu Atoll', ['hCygM?_@W??^V?']],
+        ['MV', 'MV-02', 'Alif Alif Atoll', ['}WieM?y@yA??x@xA?']],
+        ['MV', 'MV-03', 'Lhaviyani Atoll', ['w_@eiM?cA}@??bA|@?']],
+        ['MV', 'MV-04', 'Vaavu Atoll', ['}SkjM?s@_@??r@^?']],
+        ['MV', 'MV-05', 'Laamu Atoll', ['cJwhM?eAaA??dA`A?']],
+        ['MV', 'MV-07', 'Haa Alif Atoll', ['si@ofM?cAy@??bAx@?']],
+        ['MV', 'MV-08', 'Thaa Atoll', ['oLwfM?yAoA??xAnA?']],
+        ['MV', 'MV-12', 'Meemu Atoll', ['iPkiM?w@gH??v@fH?']],
+        ['MV', 'MV-13', 'Raa Atoll', ['aa@mfM?]kB??\\jB?']],
+        ['MV', 'MV-14', 'Faafu Atoll', ['eRefM?k@q@??j@p@?']],
+        ['MV', 'MV-17', 'Dhaalu Atoll', ['uOkfM?c@{@??b@z@?']],
+        ['MV', 'MV-20', 'Baa Atoll', ['o]ifM?y@_B??x@~A?']],
+        ['MV', 'MV-23', 'Haa Dhaalu Atoll', ['_g@geM?aBmA??`BlA?']],
+        ['MV', 'MV-24', 'Shaviyani Atoll', ['}d@qfM?mAmA??lAlA?']],
+        ['MV', 'MV-25', 'Noonu Atoll', ['ub@qiM?Ou@??Nt@?']],
+        ['MV', 'MV-26', 'Kaafu Atoll', ['_WkiM?iAcF??hAbF?']],
+        ['MV', 'MV-27', 'Gaafu Alif Atoll', ['kAkiM?c@}A??b@|A?']],
+        ['MV', 'MV-28', 'Gaafu Dhaalu Atoll', ['i@yfM?yAy@??xAx@?']],
+        ['MV', 'MV-29', 'Gnaviyani Atoll', ['|@}iM?CE??BD?']],
+        ['MW', 'MW-BA', 'Balaka', ['d~AyzEyAYC|@lB\\OaA']],
+        ['MW', 'MW-BL', 'Blantyre', ['b`BszEe@Xn@n@vAWa@s@_A@']],
+        ['MW', 'MW-CK', 'Chikwawa', ['jgBayEiAi@cBl@OrBfB[tA{A']],
+        ['MW', 'MW-CR', 'Chiradzulu', ['~`B{{E_@\\NPpAi@aAE']],
+        ['MW', 'MW-CT', 'Chitipa', ['lz@_tEh@`@Ur@`@Id@j@xB}B?eBqBRcBvA', 'xy@wlEj@MEe@l@_@l@FdBiAWw@_B|Ae@k@a@Hg@pC']],
+        ['MW', 'MW-DE', 'Dedza', ['~yAcqE]aEU_@k@@Dn@s@j@lCbC']],
+        ['MW', 'MW-DO', 'Dowa', ['jsAgtE?fAu@Zp@f@f@KZqBMs@q@d@']],
+        ['MW', 'MW-KS', 'Kasungu', ['hlAmpEnApBrBDAo@x@c@{@YmAkB{@tAu@J']],
+        ['MW', 'MW-LI', 'Lilongwe', ['~yAcqEmCcC]vCk@RfA`@nCiA']],
+        ['MW', 'MW-LK', 'Likoma', ['xjA{vE?m@_@??l@^?']],
+        ['MW', 'MW-MC', 'Mchinji', ['lrAulEv@l@rA_AY[|@k@wBDy@b@@n@']],
+        ['MW', 'MW-MG', 'Mangochi', ['nsA{xElEJh@e@?}Ak@y@kEpD']],
+        ['MW', 'MW-MH', 'Machinga', ['zyAm~Ej@x@Ob@pBPGwB_AUeA\\']],
+        ['MW', 'MW-MU', 'Mulanje', ['pbBw~E@f@aALLd@dBJOsAc@S']],
+        ['MW', 'MW-MW', 'Mwanza', ['haBsuENqAg@AEbA\\N']],
+        ['MW', 'MW-MZ', 'Mzimba', ['rcAaoEb@Sr@^nCCr@cAn@BNo@k@{@Gd@iAf@aBM_@}@gAFWV\\`BY^']],
+        ['MW', 'MW-NB', 'Nkhata Bay', ['pcAkwETnBfAG^|@dBLP_C{Bs@AcAwBbA']],
+        ['MW', 'MW-NE', 'Neno', ['j`BcvEDcAy@y@W`BjAZ']],
+        ['MW', 'MW-NI', 'Ntchisi', ['jpA_sEp@x@l@YB_AeAC]b@']],
+        ['MW', 'MW-NK', 'Nkhotakota', ['fkAwuEBvBt@cA`Av@Rc@\\NRc@~@EQyAoFj@']],
+        ['MW', 'MW-NS', 'Nsanje', ['jgBayEXm@v@HBk@uB^[UMZhAh@']],
+        ['MW', 'MW-NU', 'Ntcheu', ['~}A_wEXu@eB_@gBn@ThA|Cc@']],
+        ['MW', 'MW-PH', 'Phalombe', ['r_B__FVz@fAKAg@}AG']],
+        ['MW', 'MW-RU', 'Rumphi', ['baAkwEYdCxAnCh@k@[iFmA?']],
+        ['MW', 'MW-SA', 'Salima', ['vrAcwERzAn@e@XVn@}@Eo@oBWWv@']],
+        ['MW', 'MW-TH', 'Thyolo', ['hdBs{EeAT`@z@fAs@c@]']],
+        ['MW', 'MW-ZO', 'Zomba', ['`~Au~EZzC~@yAi@kAq@H']],
+        ['MX', 'MX-AGU', 'Aguascalientes', ['shCp{RwAvA`@fAvAh@b@wBeAqA']],
+        ['MX', 'MX-BCN', 'Baja California', ['mkE~kUj@~M`CeBPZhBqAr@?^w@nEgAjAqCnC_DbCU?cGwAPKp@wAx@HXmAVcBtCoAt@sCHo@b@cBU}@r@JUkATsA_A', 'cpD|nUr@`@HY}@G', 'stDbbUk@Ds@nAp@Ml@gA', 'ytD`bVGVr@Ok@G']],
+        ['MX', 'MX-BCS', 'Baja California Sur', ['kwCfxTBTDi@IR', 'ywClyTKr@h@{@]F', 'gxCnpTIR`@MWE', '{xCr{Tm@TsAO~A`@`@g@', 'oaDfuTGRn@Bg@W', '_nD|gURh@b@gAVb@u@f@BzCvAqBl@Ml@{Bj@c@CiAk@Wl@LzCoE`B]fBZd@QBUYFfAg@OYpEqG`C}@k@}AyAK{CvCl@X[p@}BLsD|BsCXkAjA~@[@RgB`@aCrCs@L?dG']],
+        ['MX', 'MX-CAM', 'Campeche', ['eoBdlPkGUkFbEIdA{@@fDNt@n@hAFfBxC[u@\\`@\\m@t@zBe@RD\\Ic@QNFjBd@W?k@x@@j@{@]_AXmB`@?AmJ[A']],
+        ['MX', 'MX-CHH', 'Chihuahua', ['qeEtxSAtIxAA?vCfBLz@{A|EXvEa@VxBfCaB~AQVmBnCo@NmAr@[n@aBa@k@qBUQm@mAa@jAkCQi@h@oBuAqAXgB_G`A}EaCoB`FkE`BgFzH']],
+        ['MX', 'MX-CHP', 'Chiapas', ['yjBlzP_ClAb@fBdArAc@j@mABKt@lFxC`CFbEeGzBkBgB_@g@Z}C}AIeG}@GeDnE']],
+        ['MX', 'MX-COA', 'Coahuila', ['qlDxnReB|AgDlAcCrCUtD\\fAdBb@n@x@E^zE`C~FaA`AgAhEn@pAw@^mAmAi@G{At@qBXBKmAr@oAoBG_@uBm@bBAYiD`CeAyBaAIFd@e@J]eA_ASWc@\\g@Ya@']],
+        ['MX', 'MX-COL', 'Colima', ['ysBjgSw@s@iB`@Rb@[l@hAhB~AiD']],
+        ['MX', 'MX-DIF', 'Mexico', ['ivBniR_B^`Ah@\\iA']],
+        ['MX', 'MX-DUR', 'Durango', ['g_Dj{SnAd@`ASvBcBOaA`AcAdAFtAk@fAqCjAHYq@n@k@Gg@\\CaFi@k@y@sADmAoBB}CgA?s@b@dA`@_@lAmAv@wEm@qAhCBj@pAhAi@nBPh@kAjClA`@Pl@rBTZnA']],
+        ['MX', 'MX-GRO', 'Guerrero', ['_eB|fRQi@{BcAy@~@mB@u@tBqAn@R`@}@`AhA~ByA\\Cx@fBU_@d@QbEjAXJl@l@@DgA|BuCnBwGZoDn@m@']],
+        ['MX', 'MX-GUA', 'Guanajuato', ['{dCtnRs@xBd@l@s@`AQnB`BHnBfBf@Wf@Xd@i@YuAx@MKiA^ED}A{@m@yAt@o@ICoAs@MIaAe@N']],
+        ['MX', 'MX-HID', 'Hidalgo', ['}cC~iR`@bAvAT\\`Af@B\\y@nA_@w@iAl@K@_Ah@BOgBc@Tq@][b@o@w@c@B|@xA[RkA]Fe@o@Sc@^LVk@Td@LKxA']],
+        ['MX', 'MX-JAL', 'Jalisco', ['uvBtlSmAiBZm@Sc@hBa@BaAw@aBa@WOh@}@LMUo@hAy@cEg@Yw@N_B_BiBG[~@bAjAMhBr@Uf@Z?p@p@Be@hCy@COi@k@@c@iAy@Wm@`AlAV@`@oAIQVtAVmBMGf@nAETjA`@L|@{@r@TZu@h@v@zAL}@bBXbAfA`@VnAnEgCj@uA']],
+        ['MX', 'MX-MEX', 'State of Mexico', ['sxBngRkAHDt@m@Lv@fAoA^]x@hAv@bBDpB|ADa@xAc@iAyBP_@sDkA~A_@Vq@aBM']],
+        ['MX', 'MX-MIC', 'Michoacán', ['_oBp}Rm@AKm@kAYPcE^e@{A^_C_CuCPv@x@G`B]?JhAy@LXtAg@Tz@vEXGBw@|AAPg@vAvBSX^`Az@R~@eAdAmF']],
+        ['MX', 'MX-MOR', 'Morelos', ['{uBpgRW~BfBj@`@c@Sc@f@SOiAuBE']],
+        ['MX', 'MX-NAY', 'Nayarit', ['i`C`qSaAeB|@aB{AMi@w@[t@s@U}@z@kAMFf@q@n@Zl@mAGUxAt@`@r@[@x@jBSdBwAlAFx@|@Nq@']],
+        ['MX', 'MX-NLE', 'Nuevo León', ['qlDxnRX`@]f@Vb@~@R\\dAd@KGe@`AHdAxBhDaC@Xl@cBn@~BNUnARp@i@~Ew@Iw@WLCk@gAM]mAgCx@i@sBu@AiAkCsBVKnBm@HUn@g@EOr@]QS`@gBDO\\[g@SR']],
+        ['MX', 'MX-OAX', 'Oaxaca', ['kcBdkQe@`AJkA_AL_Cs@MtEgA|@]Gh@pBo@XgAME~@gBbB`@CjAdAIr@b@l@iAXh@f@h@AQdAZf@pBEz@_AxBbARh@`CmKkBeJMx@]c@^QMi@XZZyB']],
+        ['MX', 'MX-PUE', 'Puebla', ['{uBpgRtBDNhAfAcARgA]sAVMwAq@d@Dd@e@e@e@Hu@u@s@_@LJz@m@l@wAMWw@a@tAeCu@[r@Zb@]d@_@@Mk@}@j@dB|Ah@]n@\\hB}Bh@pBeAxAvA@']],
+        ['MX', 'MX-QUE', 'Querétaro', ['}cC~iRkA^n@v@Qt@t@GH`Az@VQz@|@RjCmAm@w@_AM]aAwAUa@cA']],
+        ['MX', 'MX-ROO', 'Quintana Roo', ['aqBxhP{BqBhAFz@o@_FkA@j@u@u@Lr@_@Ly@s@b@?wAI{DiCwAz@LhAEu@VRKz@hDXdC~E^rB`@HtAqA|FZJw@gAs@', 'u_Cd}ONj@p@DaAq@']],
+        ['MX', 'MX-SIN', 'Sinaloa', ['ukCvsS?w@s@ZkAe@Ol@eAj@_BBaA~@BrAyCfBcBc@}ArAQrAoCn@_@dAv@ZxAzBZEEd@xA\\N]JVPq@YPRe@i@k@r@v@?eA^?Dc@AZ`AqCO`Ax@o@YS^Lh@]JkAb@Ea@z@hBwCdHgG']],
+        ['MX', 'MX-SLP', 'San Luis Potosí', ['oxCduRnBnAtCtExA]bAcAY{AbBCp@d@PoBr@aAe@m@x@eDs@iAfAQNgBy@MUVe@c@c@X?[u@QiBfIg@Qs@\\@jAwEb@q@h@']],
+        ['MX', 'MX-SON', 'Sonora', ['cjErlUh@j@jAUrAyCa@c@`AgA`@qB`BDhGeCBa@dAMlEsELwBl@VdAUd@qB`AWJmAjAe@}AsCoC\\gC`BWyBwE`@}EY{@zAgBM?bLiFlV', 'yrDt|T_BALf@z@VT}@']],
+        ['MX', 'MX-TAB', 'Tabasco', ['gnBtwPa@?Y`BXpAg@t@y@A?j@e@VDh@d@E_@Hp@pAQrAj@tB`AK~@{Ab@EyB_AJu@lACb@k@mB}CFa@zBiA?wAmB?']],
+        ['MX', 'MX-TAM', 'Tamaulipas', ['}kDdnRZf@N]fBERa@\\PNs@f@DTo@l@IJoBrBWhAjCt@@h@rBdCy@`@nAdAJBj@jAk@TXp@aBKa@n@a@GiEr@eAoHYIRsLgCVx@oBjIaChAeBHSf@']],
+        ['MX', 'MX-TLA', 'Tlaxcala', ['}yBjdRPpB|AgBi@qBeAfB']],
+        ['MX', 'MX-VER', 'Veracruz', ['ejCbbRi@rAJrAl@u@h@n@b@Yd@b@hA]`@gAn@RGd@nA\\VSeAmAj@OaAk@|@k@Lj@^A\\e@[c@Zs@dCt@`@uAVv@~AFt@qBs@MfBcBD_AfALn@[i@oB\\FfA}@LuE]m@s@C_AzAaAJFnAcAp@g@nAAdC[RJi@iBjBkB`@{ChCaH|BnBqAt@Hy@SmCzA']],
+        ['MX', 'MX-YUC', 'Yucatán', ['caCzsPz@AHeAbDwBa@I_@sBeC_FiDYWtBbAjIp@jBh@H']],
+        ['MX', 'MX-ZAC', 'Zacatecas', ['oxCduRs@nAJlA_An@GtCbCWC|ClAnBrAEj@x@lFl@UkAoADFg@lBLuAWPWnAHAa@mAWl@aAx@Vb@hAj@ANh@x@Bd@iCq@C?q@g@[gAh@qAc@g@mAzByCq@e@cBBXzAcAbAyA\\uCuEoBoA']],
+        ['MX', null, '', ['wjCbpP?a@m@??`@l@?']],
+        ['MY', 'MY-01', 'Johor', ['uOwfSj@B]|Bo@x@tCh@lBoDt@]c@c@?}@g@FRc@`@F@a@aE`AaA|@', 'mPkjSSHZFGQ']],
+        ['MY', 'MY-02', 'Kedah', ['yg@krRt@b@hC]Bc@|AEwAkAiC]Er@q@RGdA', 'wf@koROp@b@OSa@']],
+        ['MY', 'MY-03', 'Kelantan', ['cf@}|RnA^Ph@nAIRj@tBd@TW?g@e@YZW[KVs@[wAqAr@cBB_@]aAf@Ot@']],
+        ['MY', 'MY-04', 'Melaka', ['aLq_SaAUDxBz@cB']],
+        ['MY', 'MY-05', 'Negeri Sembilan', ['}Mm|REyBsASwAxCp@EtAn@h@u@']],
+        ['MY', 'MY-06', 'Pahang', ['aYoeSCV|@?m@nA{@SiAnAZlAWr@ZJ[Tf@ZAz@~F}A`@oBfBwB\\}BaGv@uAS']],
+        ['MY', 'MY-07', 'Penang', ['__@orRC_@qADCb@xAI', 'aa@}qRAXd@?c@Y']],
+        ['MY', 'MY-08', 'Perak', ['ac@avRrAVt@`BpA}@`BH^q@\\\\d@_DoAKwBn@uBe@Sk@mAH]Zv@vA[\\']],
+        ['MY', 'MY-09', 'Perlis', ['{h@gqRvA?u@c@a@b@']],
+        ['MY', 'MY-10', 'Selangor', ['gOwzRwAo@}Bd@a@xDpB{ArA@p@uA']],
+        ['MY', 'MY-11', 'Terengganu', ['qc@{_S^\\xCW~AcB~@Pn@oA}@?Wc@cBHqB`A}ArB']],
+        ['MY', 'MY-12', 'Sabah', ['_Ys~U?i@Uh@T?', '}XwqUo@k@V_@UUBuEf@iAs@Qd@_AYsB_@GgAzA_@k@R_Aa@_Bq@UEbAq@v@TN]CYj@VpAWFIi@g@Td@lBSg@_BKe@tAgA\\pAhAwA@dHvDFp@W?r@j@`@m@p@d@Bk@|C?', '{l@i{Un@RSe@[P']],
+        ['MY', 'MY-13', 'Sarawak', ['u]unUvBg@Sr@eBLd@v@`AUjAj@qB`C~@D|EzDxAtHfAEMt@t@FAg@lAv@Za@Hr@l@iAk@tBVTSIq@nAXFCfAmAv@d@Vx@YtCqDm@aCL{BYu@y@M[}@?cB\\@d@cCi@y@@_C}Aw@eAHs@uA_AZi@a@@k@oA[mHGD`B']],
+        ['MY', 'MY-14', 'Kuala Lumpur', ['{QczR?]k@??\\j@?']],
+        ['MY', 'MY-15', 'Labuan', ['y_@unU?U[??TZ?']],
+        ['MY', 'MY-16', 'Putrajaya', ['}PkzR?OW??NV?']],
+        ['MZ', 'MZ-A', 'Niassa', ['hfAqoFYlBp@Vd@hA_@rAZdDy@hAf@z@CvDxBr@`Fg@hAiB|DyC`D@DyAoCwBaBsC]}CeChAcA_@In@qBKoBoAiBK']],
+        ['MZ', 'MZ-B', 'Manica', ['rkBimEtBNjAUvBfAXc@jAR~@u@p@BpBhBhBZ|AqCe@aD_Ao@eC|BcANo@uBm@\\iCc@o@|@kBk@J{@uBTqAQiAkAuA~CBn@~DlB']],
+        ['MZ', 'MZ-G', 'Gaza', ['ddCyiE|EhFnEq@bDoAV{CbEsAiBmG[b@Qa@_@HNv@i@ZcEP}CxByAMqAj@g@YRh@y@zB']],
+        ['MZ', 'MZ-I', 'Inhambane', ['|aCmzEfAzCRfDv@bArAk@|AJxCwBbEQh@[Ow@^IR`@Xc@_AkCeCgAOJb@\\qEw@qCJXDe@NhAHiDViBp@_@Q']],
+        ['MZ', 'MZ-L', 'Maputo', ['vfDugE@{CyCKh@T}@fAkCcCoDtAe@~BLZpHBf@_@dDG']],
+        ['MZ', 'MZ-N', 'Nampula', ['lsAi|FKnAbC`G`@pFnCvD@cBh@a@E{A`BgDnF}AyAmCYNOi@wDgCW^c@s@]XIg@cA?Th@{@WGf@g@SgBV']],
+        ['MZ', 'MZ-P', 'Cabo Delgado', ['l`Aw{FzA`Cn@pDz@xA|ABnBnApBJHo@bA^dCiACsAcCaGHqAgBKGd@c@o@s@`@cCGgB`@_Bu@OXM_@k@h@']],
+        ['MZ', 'MZ-Q', 'Zambezia', ['r_B__FrBHRrAnAn@|@c@lDA`CyChBKAWg@DPa@gCkBk@VX]u@i@yA{DSHRQcA}DiFbAmBbDm@xF`BrAExA']],
+        ['MZ', 'MZ-S', 'Sofala', ['ptBy`FwAF}C`EyBr@[r@l@|@lB^nBYRZYb@lBl@l@_AhCb@l@]p@tB`AO`C}Bn@RgAyEqAvAoCUo@l@v@aAqEyF']],
+        ['MZ', 'MZ-T', 'Tete', ['v`B_}DfA?BkDpAaCp@sEr@ZvAc@uD}AM_ApBsEvBq@\\i@uBDQp@i@OoBhCkAf@{BcAcCHk@b@h@jCuBvAvCzMh@xBbCe@']],
+        ['NA', 'NA-CA', 'Zambezi', ['fmBcqChAlKGnAdA?_AkM~A_AgBsCPi@s@mA?}@{@rB\\bG']],
+        ['NA', 'NA-ER', 'Erongo', ['drCoyAr@mGaANu@a@}@BO_@YR_AaBoFKgCpE`BdCCzBl@jBnGoDfED']],
+        ['NA', 'NA-HA', 'Hardap', ['tyC{{BqD?AjCg@HPjBw@v@b@bAEzB_AEIjDn@XTQVx@Zi@`@b@_@JTxAw@fA[`ExB@fDgA@yDrBUt@_AA]s@HLY[Sn@aDi@OUsEb@mHmD?']],
+        ['NA', 'NA-KA', 'Karas', ['pqDafBQq@oA]Ie@f@u@|AIf@yCJ}DuAyAUqAoP?c@lHTrEh@No@`DZRMXr@I@\\u@~@sBTAxDtCAxH{AjCyAlBsC']],
+        ['NA', 'NA-KH', 'Khomas', ['xjCyeB~@`B\\SJ^nE\\OeB^Ka@c@[h@Wy@UPo@YHkD~@DUeEqBHkCrAgB]VdBpA|AXhC']],
+        ['NA', 'NA-KU', 'Kunene', ['`iBmrAr@zCMtBTj@v@F~D}@lAsAhMkFm@kBB{BaBuBPmAg@kB_@?u@oA{A@{@rGJzC`@EAVqIz@aAMDr@yAxB']],
+        ['NA', 'NA-OD', 'Otjozondjupa', ['xvBcbCB|IiAAKpEpCt@_A|C|@rA|A?t@nA^?b@lCV?`BuDnFJYiCqA}Ac@wBoA?@_@k@A?YqB_Am@uBTwHkF?']],
+        ['NA', 'NA-OH', 'Omaheke', ['d~BcbCS|Hp@vBjBv@?Xj@@A^hAEtBv@nCuAtC[EkCf@I@kCsJ??eEiIA']],
+        ['NA', 'NA-OK', 'Kavango', ['tkBooBnGALuFhA@C}IoFAa@bLqAvA?xA']],
+        ['NA', 'NA-ON', 'Oshana', ['nmBy`BbAfAXi@tDSd@x@N}B{ARk@g@}DFCdA']],
+        ['NA', 'NA-OS', 'Omusati', ['tkBg`B?jG`ALpI{@@Wa@De@sEuDRUh@gAgAy@P']],
+        ['NA', 'NA-OT', 'Oshikoto', ['xxBkgBcAcBx@eADmAmCq@Ab@cE@?xFZfAi@lA|DGj@f@zAS^wC']],
+        ['NA', 'NA-OW', 'Ohangwena', ['tkBg`BdAUGaAh@mA[gA?yFkA??fN']],
+        ['NC', null, 'North', ['pdC}f_@l@wCOi@q@zAeBnAgCtFhCmAvBqC']],
+        ['NC', null, 'South', ['neC_m_@Nh@m@vCfB}DrAkADoBs@JoBjD']],
+        ['NC', null, 'Loyalty Islands', ['|dC{y_@I`At@c@k@]', 'lbCmu_@_AX@n@PYR`@ZSXu@]G']],
+        ['NE', 'NE-1', 'Agadez', ['_rCyiApO`[zGpI|@vH`B?F}B`CZfEeG`CaAVu@vCGRaCu@WI_FuMwZ?aO{Ja@wAm@eF|CmHf@jAvCoBrCcAlH']],
+        ['NE', 'NE-2', 'Diffa', ['stAatAsC^Ui@oFmCcF{E}ES?`ObBfEbRBt@vCfAnAvAb@@_Dz@mEuAiAi@yC']],
+        ['NE', 'NE-3', 'Dosso', ['qqAwXs@Aq@cB{DjAbDnCFfAhBbAXfAd@s@tARbDaEcDGm@y@{Ae@']],
+        ['NE', 'NE-4', 'Maradi', ['iqAei@b@y@eAuCX{AgBDc@_Ag@BqAdBJx@gD`A[t@@xApG\\z@n@tB}A']],
+        ['NE', 'NE-5', 'Tahoua', ['wtA}[_@qDh@wCmAo@gLWYv@aC`AgEdGaC[G|B|LHjC|@nKwC']],
+        ['NE', 'NE-6', 'Tillabéri', ['olAwPWh@uASi@p@UeAiBcAGgAsAy@w@sAkFhAhAfALrLz@jACpCbBJtBy@nBcDCx@bA?nAsBOmBx@YNd@vAcAcAB_@}A', 'ctAgLH_@f@N_@l@Q]']],
+        ['NE', 'NE-7', 'Zinder', ['qrAqaAwAa@gAoAu@wCcRCjHvOpAzDAzDt@VlDoAKy@pAeBh@Af@~@`BGZ_@j@iBHeCyAeBWiB']],
+        ['NE', 'NE-8', 'Niamey', ['ctAgLP\\^m@g@OI^']],
+        ['NF', null, 'Norfolk Island', ['xtDmx_@?QS??PR?']],
+        ['NG', 'NG-AB', 'Abia State', ['qb@gp@aApAD`@xASdCj@H_AiC[\\{@aAJ']],
+        ['NG', 'NG-AD', 'Adamawa State', ['kcA}tA@`AzATQ|AfBpDr@Bd@nAdCwAjDpBh@WQYX]fASiB{@qAEk@[]oA{BQ_@cAeBESg@}C_A']],
+        ['NG', 'NG-AK', 'Akwa Ibom State', ['{\\{r@yAp@w@pAhBb@vAOAuCm@A']],
+        ['NG', 'NG-AN', 'Anambra State', ['wb@ih@{@uCsAbAm@OUd@n@l@rAOnA\\']],
+        ['NG', 'NG-BA', 'Bauchi State', ['kz@_aAUgBaBfAeASs@v@aAYq@cAqFnAN~@pAZv@fBBa@xAg@ZgAd@b@Cl@}@ZMlC|@fAfAOn@VXo@t@CBk@rAW@wAu@YbAiC']],
+        ['NG', 'NG-BE', 'Benue State', ['wg@g{@yDw@}@n@IlBq@\\MrAJd@x@Iq@tCxBi@pAp@KZh@cAz@EaAgDl@y@BaAj@a@S]']],
+        ['NG', 'NG-BO', 'Borno State', ['stAatAh@xCpAxApASj@b@|CLV]`Bj@d@fA|A`@dA}@gBqDP}A{AUAaAcAm@Fe@u@wAeCKe@~AmCX{BxA']],
+        ['NG', 'NG-BY', 'Bayelsa State', ['u[_i@m@`AoBg@dApDU|@zAc@bAkAFUW?X_@i@Ch@EG{@c@Ab@Ss@G']],
+        ['NG', 'NG-CR', 'Cross River State', ['cg@iz@}ApCh@|Av@]jAd@Dv@bCRfBkAc@Lv@eAyAu@eCIuB_C']],
+        ['NG', 'NG-DE', 'Delta State', ['a_@ca@DuBu@yAuCs@sANh@xBfA]h@f@w@fAXpAk@XfAN[q@Vd@^EQi@T@@c@R|@Rm@[i@^JBl@l@U']],
+        ['NG', 'NG-EB', 'Ebonyi State', ['wh@yr@ULt@x@Ql@dBEp@f@^eA{@QEw@kAe@w@\\']],
+        ['NG', 'NG-ED', 'Edo State', ['{g@wh@gCCeAdCbD~@UdBrBj@hAu@YqAz@s@m@{@gA\\i@yB']],
+        ['NG', 'NG-EK', 'Ekiti State', ['mq@sa@F~Ad@XtAKFmBmAu@}@t@']],
+        ['NG', 'NG-EN', 'Enugu State', ['ek@ym@dArBHe@f@PtAs@ToAgCE_@_@{@hA']],
+        ['NG', 'NG-FC', 'Federal Capital Territory', ['qs@sj@a@{AqCe@@~@f@\\UpArCAJk@']],
+        ['NG', 'NG-GO', 'Gombe State', ['}z@edACmBk@_Ai@A{@|@{BJiAtAx@~A`AXr@w@dARdBeA']],
+        ['NG', 'NG-IM', 'Imo State', ['qb@uh@tAQLaBeA]cAHEfAj@~@']],
+        ['NG', 'NG-JI', 'Jigawa State', ['goAcw@^h@Y|B\\Bl@o@U_A~As@Do@|@H^k@j@XNuBv@OD_Am@c@OlAyAf@C`@w@gBqA[O_Au@LGv@a@Rd@lAI|C']],
+        ['NG', 'NG-KD', 'Kaduna State', ['}`Asu@Wr@qAKsAvAl@vASd@r@v@s@|@x@d@HhAf@f@dADTWg@k@IqA~@m@d@b@XmAfCBIiCbA][_@\\k@s@g@iAVwDc@']],
+        ['NG', 'NG-KE', 'Kebbi State', ['chAoUv@Xz@k@j@mEvAj@fAKa@}@oAFOs@w@Fg@t@UeBjAe@]mBgBf@QlBXtCqCOOk@qCDOfCzAd@l@x@bDF']],
+        ['NG', 'NG-KN', 'Kano State', ['{eAsx@k@Y_@j@}@IEn@_Br@T~@Y`@x@dAzBIl@b@KuAZ@r@qAxA?Ng@iBEs@yA']],
+        ['NG', 'NG-KO', 'Kogi State', ['eq@}n@^pCkBGf@x@iBpAfAd@]pBh@`@~@a@A]^HP{@`Ai@h@qBfCBeB}BF{@_@c@q@QyBh@']],
+        ['NG', 'NG-KT', 'Katsina State', ['qqAqr@YzAbApCzEa@X~@nADp@u@q@_A@}@uDK{@wAo@ZX}B[g@mAnC']],
+        ['NG', 'NG-KW', 'Kwara State', ['i~@{U`A`AjCp@F|@hBDaCaFd@wAz@TbCgAJ}CSe@q@d@i@a@XuBaAUCtAyAzCHn@aEvCAdA']],
+        ['NG', 'NG-LA', 'Lagos', ['yf@{OEgCg@SCy@b@lAFaEu@r@E`Db@T\\|A']],
+        ['NG', 'NG-NA', 'Nasarawa State', ['es@c{@_@dCgBOa@hAf@Z]r@Z^cA\\Dz@rCh@`@zAjBF_@kCp@{CcAAh@sC]g@s@DEw@']],
+        ['NG', 'NG-NI', 'Niger State', ['maA_WlAp@VsA`EwCIo@zA}C?_BzA}AyD?TsAaBa@mAJYlAe@c@_Al@HpAh@r@uCZ\\lBmAt@VtAf@u@v@GNr@bAKl@r@gAXwAk@m@hEbBY']],
+        ['NG', 'NG-OG', 'Ogun State', ['{n@_PlF@I{Ac@U@uCh@WZsAMRk@S@j@mAg@[nARvAkAJKn@Zl@wB~@Jd@l@I']],
+        ['NG', 'NG-ON', 'Ondo State', ['qc@g^eDOe@[VaBcD_Ae@TFf@vAx@[R@bA|@VGb@tA|@X?Ci@v@R|AeB']],
+        ['NG', 'NG-OS', 'Osun State', ['mk@oXX}@W_ByDe@b@`ErC@']],
+        ['NG', 'NG-OY', 'Oyo State', ['ip@uOKe@h@IQQh@Dt@i@[m@Jo@jAKKiAsCAW}AoCfA{@Uc@`BtBjEhCX']],
+        ['NG', 'NG-PL', 'Plateau State', ['kz@_aAcAhCt@XAvAuCnA^n@hCRzAu@Do@r@d@r@]VoCiBmD{BJ']],
+        ['NG', 'NG-RI', 'Rivers State', ['k\\an@a@dA_AMSfBuAVv@ZT]dBl@h@eAr@BA]}A\\vA_@?[cAJx@OO[o@Tr@i@g@q@']],
+        ['NG', 'NG-SO', 'Sokoto State', ['mtAgf@i@vCd@hEj@jAr@@RkClCANj@xCHY{AuBI@yAu@Eo@aBq@C]iCcB|A']],
+        ['NG', 'NG-TA', 'Taraba State', ['qm@kiAgARY\\PXi@VkDqBeCvAP`EzBKdB~CH~Ar@El@r@A{Av@}@nEn@aBcBZgAs@OlA{A|@MAm@wAk@g@}@c@Xe@_@']],
+        ['NG', 'NG-YO', 'Yobe State', ['wpAmlAw@|DCxCXlBrA|A]eB`@SFw@|GoAVqA|B}@aAi@Y{@aBk@W\\}CMk@c@qAR']],
+        ['NG', 'NG-ZA', 'Zamfara State', ['iqAei@@zAZl@p@Bn@`Bt@DAxAVF|A@JiDvCy@m@kBgCi@Y_A{E`@a@|@']],
+        ['NI', 'NI-AN', 'North Caribbean Coast', ['c{AfrOfC]~@h@H|@tAJTe@m@gA^YEmDj@eAmCGyB{@yAl@g@y@AjAlA`Ei@bAPb@']],
+        ['NI', 'NI-AS', 'South Caribbean Coast', ['mpA`iOk@dADlDt@?^~AZMUYv@c@nBw@|ACdBeDuA\\{@k@g@d@}@Kd@UgAIc@\\Sc@e@DtABE_@yBH']],
+        ['NI', 'NI-BO', 'Boaco', ['cnAjsOHhCTTbA[Tc@u@SYcBw@KLb@']],
+        ['NI', 'NI-CA', 'Carazo', ['_gAryOcAUSh@d@j@p@_A']],
+        ['NI', 'NI-CI', 'Chinandega', ['}qA`}ODb@r@XLdAa@d@^TvA_CaAmA{AL']],
+        ['NI', 'NI-CO', 'Chontales', ['anA`rOh@T\\fBxBOHsAm@aB}CfA']],
+        ['NI', 'NI-ES', 'Estelí', ['qpAbyOmA\\@t@p@h@`A}Ag@_@']],
+        ['NI', 'NI-GR', 'Granada', ['gkApwOJ\\hBRMsBgB`A']],
+        ['NI', 'NI-JI', 'Jinotega', ['gzAjrOv@\\fAnBrAT\\hAbAUDc@eAqA_A[I_AmBi@}@b@']],
+        ['NI', 'NI-LE', 'León', ['_jAt|O_CkAi@Eu@l@Dl@|@I|@bB|AcB']],
+        ['NI', 'NI-MD', 'Madriz', ['}qA`}Ok@eCa@fClAA']],
+        ['NI', 'NI-MN', 'Managua', ['qhAr{OuAaC_AVMjAtB~@l@a@']],
+        ['NI', 'NI-MS', 'Masaya', ['{jAnxOb@v@Ri@w@M']],
+        ['NI', 'NI-MT', 'Matagalpa', ['gmAhxOk@oBTk@c@D[}Au@?_@Xl@hAk@r@dApAEb@pAd@V_A']],
+        ['NI', 'NI-NS', 'Nueva Segovia', ['kuAzvOk@fAv@l@TvA^kDaAa@']],
+        ['NI', 'NI-RI', 'Rivas', ['adAvsORgAg@zA_Bo@IrD^b@rAqAUa@^gA']],
+        ['NI', 'NI-SJ', 'Río San Juan', ['mcAnqOWg@N_Av@wAWs@{BpDsAVf@pAfBr@f@{A']],
+        ['NL', 'NL-BQ1', 'Bonaire', ['mkAhiLEh@n@a@i@G']],
+        ['NL', 'NL-BQ2', 'Saba', ['amBjjK?GG??FF?']],
+        ['NL', 'NL-BQ3', 'Sint Eustatius', ['clBvhK?KM??JL?']],
+        ['NL', 'NL-DR', 'Drenthe', ['giIek@gAvBT^XWh@z@VqDi@I']],
+        ['NL', 'NL-FL', 'Flevoland', ['_iIec@@rAh@t@j@?PoA_@{@i@k@_@l@']],
+        ['NL', 'NL-FR', 'Friesland', ['ijIk_@j@e@c@sE_@r@c@WSRTvBx@pA', '}lI{`@Jp@OsAB`@']],
+        ['NL', 'NL-GE', 'Gelderland', ['udIii@WzBo@HIl@p@zA~@i@RzBVYCaD]e@AyBg@E']],
+        ['NL', 'NL-GR', 'Groningen', ['ykI}k@g@fAJbCNWd@TMeAdAkBqAW']],
+        ['NL', 'NL-LI', 'Limburg', ['mbIed@b@S?h@d@Q^jANy@x@j@RQ?w@_@MYh@U{@KPc@]gAr@']],
+        ['NL', 'NL-NB', 'North Brabant', ['a`IwYUuCj@e@FaA_@kAe@P?i@q@pAApCd@lCt@O']],
+        ['NL', 'NL-NH', 'North Holland', ['cfIe[XKB}BQa@Ot@k@?i@u@k@d@FtA|Bn@']],
+        ['NL', 'NL-OV', 'Overijssel', ['}gI_i@IjBa@HHbA^m@Hd@Vu@n@IVgCs@k@UdA]C']],
+        ['NL', 'NL-UT', 'Utrecht', ['ueIy`@H~Bf@ELcD_Ah@']],
+        ['NL', 'NL-ZE', 'Zeeland', ['g_IgTDiB_@y@IhCFb@ZI', 'a`IwYo@tAJnAb@eD']],
+        ['NL', 'NL-ZH', 'South Holland', ['yaIuX_AuEDx@m@Da@dAdA`B\\KBj@`@q@']],
+        ['NO', 'NO-01', 'Østfold', ['ytJgiAb@fA_@l@L|@x@lAt@m@GgA|@uAgAg@gAZg@i@']],
+        ['NO', 'NO-02', 'Akershus', ['guJeiAsClCRvA^g@h@n@v@q@ZhAp@Y}@sB^q@q@eA']],
+        ['NO', 'NO-03', 'Oslo', ['_uJgbAA_@[A_@|@z@t@@qA']],
+        ['NO', 'NO-04', 'Hedmark', ['sdKwkAKlCw@vAEfDfB|BVo@ZPDw@ZDDmBxAo@l@nApAkCvCoCAm@e@kAkAYkBfAIyA{@e@iApC{BW']],
+        ['NO', 'NO-05', 'Oppland', ['{yJwdAuAlCm@oAyAn@ElB[EEv@[QSn@WWQpG`AvEx@_@@kAz@wAj@r@^]v@wEh@YRsAc@i@jAy@XeAi@o@_@f@SwA']],
+        ['NO', 'NO-06', 'Buskerud', ['wtJq`Ac@Va@q@eBrB\\jAu@fAcAjErA~Cd@g@nAh@IqGnCgDKmAYZU}@f@{@s@H']],
+        ['NO', 'NO-07', 'Vestfold', ['ctJg_Aj@bBfBEScBo@g@s@t@?][T']],
+        ['NO', 'NO-08', 'Telemark', ['{oJm|@qAHQz@y@VeAfBHpG~@jAb@{Ab@BxAcBVqC]m@l@oASPSsA[b@Ry@']],
+        ['NO', 'NO-09', 'Aust-Agder', ['knJuy@m@nA\\l@[|CgChBLxAv@`@VAFeA~@TEgBnA@VeBf@YkBgEG\\G_A']],
+        ['NO', 'NO-10', 'Vest-Agder', ['ojJkr@g@XWdBoAADfBaAU?x@fBvAv@c@Tl@?yA\\~@HQ?_@WJPuATZa@qF']],
+        ['NO', 'NO-11', 'Rogaland', ['ekJ_g@Sm@y@b@I]k@Fw@kASVy@a@Qq@EpB[Zn@fAZbEf@_A[OXCKq@Kh@Y_@JcAVl@y@iAVHE{@b@bBJsAp@rB^][wB\\pBJa@YjARXa@`@TOb@\\f@a@v@uC', 'sqJ_`@UPt@C_@M']],
+        ['NO', 'NO-12', 'Hordaland', ['wrJm_@Q{@a@?r@z@', 'gsJqa@K_Co@gA\\a@OmAiBqBm@AuAdEJnHTDMqARz@\\e@a@bBn@_A_@cBx@RSbAb@`@j@u@s@aAl@f@Iq@j@Dw@mAg@EGyDXzAz@XcAWVvAd@PAc@t@~B?cCx@zC', 'otJe`@Cn@d@Oa@_@', 'cuJia@In@\\[SS', 'mvJcb@Lr@Nw@]B', 'gwJ}^o@^b@?J_@', 'gzJqb@XhATy@o@O']],
+        ['NO', 'NO-14', 'Sogn og Fjordane', ['g{J{^e@yD`AaH_AmCg@\\m@u@{@vAAjAy@ZPbJq@nAPNR}@Vn@DkIXvDUGKrBn@rAj@kDDhDJgCPdCPy@Bh@HuGy@u@b@ZTmAOqAi@RQ}@f@r@JkAZhCl@UOn@]QQfA`@n@K`Gd@EMVTW', 'yaKm]TIM{@GdA']],
+        ['NO', 'NO-15', 'Møre og Romsdal', ['qbKca@MqFT[kAkGE{Dc@]c@z@Q_Be@_@e@z@P|EZcBBp@Zw@KhAm@n@Rh@dAeC_ArB?pDLf@RcANt@FoFJpCJgALn@EpAWFH~CTkAFtAEmBp@}BGjA^J@i@@f@aATEd@Jx@v@Ys@j@^lA\\yAOrAVRa@KBn@NOSz@V[JX', 'ajKmv@k@NZ|@NmA', '_eKmd@@`@Z@Qu@KP', 'giKso@BRCm@?X', 'gjKuq@Jb@Bs@ON', 'ijK_t@Bj@H}@MP', '{jKmp@Iu@CnALY']],
+        ['NO', 'NO-16', 'Sør-Trøndelag', ['_jKkjAq@jFFfDZk@KtASYi@r@XjBD_ATr@Es@TlA_@FBr@LWj@HIyB`@Ud@^R`B`@}@b@\\TeB_@aBw@g@DgDv@wAJmCq@d@qAYg@^', 'clKw~@uAwB_A_@[zAL]n@~B^LBs@`@`C?m@Rn@SoBT|@`@e@Ik@', 'ilKcx@MdA`@dBSkD']],
+        ['NO', 'NO-17', 'Nord-Trøndelag', ['}uKqxAAlF`@jAWzC\\rBJ\\IyA`@zAg@cEl@bDTkAt@hBSQa@hA\\|@Na@Ol@^gA\\\\DUjBtC_@sCY]H`B}@}CLVFq@\\lALgAn@~CIs@N^`@a@\\aFoAUmAuBEsFa@c@q@F[~AiBiC', 'orKqeAIp@RqAI^', 'stKidA@c@FvAIs@', 'otKwbAQw@TpACY']],
+        ['NO', 'NO-18', 'Nordland', ['kkLupB@tI?uENNJoACzB`@a@LPg@f@BtDj@sB]jCTaBNz@BoA@z@^OSr@f@{@m@|Ak@J\\ZJnBB{CVf@NxENeANlABUk@uB`@qAEjBRVFy@Hl@EcCPhAd@Yg@l@?vBKaAGRP`AF_Ah@nCMgDJTNgCEfAXWYrDN]F~AJ{@RlEXyANvCL_AEfAFi@N^IaBN|AJSKlAHe@\\V@aBX`B[yEXfBFi@Fv@Y@`@fDAeAPVXs@MbBZGF^Tm@Qx@XZZsA@z@Vi@RvAC{ABdAP[e@wA`ArCUiLiC_AaAT[{Dk@HoBeEyAn@yBcFZwBm@u@cA?', 'siLuvAElAj@b@e@kC?X', 'akLg{AKo@AnAL_@', '}wKylA[d@RJ?Yp@v@i@oA', 'o{KknAT`AYiBBf@', '_|KqmA[Bf@r@Kw@', 'ybLexAPv@Ng@a@O', 'shLqpAx@r@YaA_@L', 'yhL_rAVTWu@?^', 'ijLw|AOa@N|CJW^z@k@_D', 'skLcfBVjDcBu@?l@\\l@Ts@Ct@Te@HpAR[d@hAo@mB^j@H{@g@q@XEi@wB', 'clL_yASuCZbAFq@Q_AYTIU_@z@d@OAhB`@l@', 'umLa`BkA{Bb@rB\\ZHS', 'y{Lvp@z@fF_@}E[I']],
+        ['NO', 'NO-19', 'Troms', ['onL{_C?_B[LUw@j@_CGqBWMo@p@a@uBMz@i@Lo@xAKnD^aBKkANz@@}@Nf@f@e@u@`Df@TEx@Sg@d@xBXAXgAOhA~@hBaAuA{@GIp@l@dAVy@ChAh@h@oAq@BhB^|@R_AJr@l@eBC`AMg@m@hBRnA^oBMxAVJq@n@f@r@Z]D`Bj@l@@oAJfAN}@AlBRyAL~EEgHt@aKYw@Kx@s@oAk@r@CgB', 'cmLqiBNl@EaAIR', 'qmLqjBCXV[Ok@Cl@', '_nLmbBbBt@g@wD_@?O|@r@`@TbAk@o@@j@k@]', '_qL}oB_@vBZc@O|@F\\L}@FpBXk@Lp@Au@TnANgAe@cA@gBKTe@e@', 'msLwuBK~@f@OUjARq@T|BByCs@m@', 'otL_bC?f@AcA@Z', 'stLsyBOpA\\~A^mAm@cB', 'auL}`C]JZbA@oA', 'muL{{BSvAb@o@GiAG`@']],
+        ['NO', 'NO-20', 'Finnmark', ['mnL}sDu@uA[sCWUMTT_C]a@]xA\\Zk@H@Vd@CDjCq@q@HjAUaAi@tETsH{@sDa@rEKeAUp@J|CYQQxB~CzCyAaAF`Bk@yAP`CY_BIhA?eBc@w@_@rD`@R@rA\\cBLfBZ_@Bz@RYTtBw@]A~@QeAi@NlD`HOh@{@cAEl@kAkDD~AOSK`@d@VYRHl@SU?rARUPN?lA^}AMhA\\p@Nq@PfDLSh@tALgALh@An@e@LTrCa@iCIpBPLFm@Ax@]GEz@Jf@TKa@z@RbAJoDn@yAh@ML{@`@tBdAi@HvBfA{AP}Cg@qCr@cEuAqDm@J}Au@m@aB]iFpAgHf@e@r@`B`@S', 'kvLgnCElBNaCIR', 'swL{rCWt@N]XhCXiAk@wA', 'sxLmuCEtAb@_@]u@', 'uwLckCOeCi@mAApALUNh@Qp@RUHTWb@LtBFkAZb@Gu@', 'ozLmuCG]?`AFgA?b@', '_{LkbDY|ADVPa@BtARs@UuB', 'msLszDOb@\\XM}@']],
+        ['NO', 'NO-21', 'Svalbard', ['ypMwvBHhAXw@Qi@QV', 'm~Mg~Cr@jBq@_CAR', 'meNswC_@bGa@eASbBH|FTbDb@{CjAdDRs@UqIVfA\\BBeDqBmF', '{gNkbCIyFaAh@V|JPeBLd@H_ANZEiA', '{jN{gDOzB\\cAMw@', '_hN{jAi@t@OxB{@r@KfBxA_Cf@kE', 'clN_wDMjEXrBKuJ?t@', 'omNs|BXs@M}AKpC', 'coNk|BAtAFmBEV', 'ojNi}BCiFa@a@c@fI_@V@fDSfAKy@W?e@hBr@jCWYKd@c@eBcAhJV`ANc@RbBjD_Dg@vCYQgA|Ai@tCt@dCf@w@LVg@zCWe@BfEi@oHS`@LfI\\[e@~AJtB^m@PzCvAmBQaBWX@iBl@vA^eDKjFXqBPr@Ts@RcGHfDx@aCe@wIUdAKi@WZIgAXa@q@oAf@QJv@Xq@CoBo@mBLw@f@bBBaEbAdRXSSrC|@]Dk@k@aRJj@RaAVzMj@gHQlMdAkBb@_LVlE`@{CZKYiDQt@e@oAMj@?o@oAw@MgCq@]YVOa@GPOiCOb@Ia@k@Xe@yF', 'mtN{mEXbIWoLAjB', 'wtNkqBC{A@~B@c@', 'msNyhD}@dQDTDq@f@~FYJQy@Il@Go@QrBd@DIpANo@l@l@HYFf@]fC[q@JfE{@lFRd@BwAZd@DY[bDh@mB@fJNeF\\bDd@eCQ}TVhJVeCGnHl@mFG_LTr@VyGq@cJO[UZo@sGg@F', 'cwNicCCg@AdAD]', 'qwN}_CBiAK~AFU']],
+        ['NO', null, 'Bouvet Island', ['lsI{S?]Q??\\P?']],
+        ['NP', 'NP-BA', 'Bagmati Zone', ['apDwrOrBpALiB~@cAKq@}As@q@d@g@`@@xB']],
+        ['NP', 'NP-BH', 'Bheri Zone', ['mmDy_OUY[`@uA?oAoBWx@XvA]x@XZp@U]NIvAp@w@|@l@r@q@v@oBKe@']],
+        ['NP', 'NP-DH', 'Dhaulagiri Zone', ['usDmmOeAZDlAxAl@F~@t@r@xAwCiC[g@wA']],
+        ['NP', 'NP-GA', 'Gandaki Zone', ['usDmmOf@vA~A@x@`AVaGwCuAFfAiArB']],
+        ['NP', 'NP-JA', 'Janakpur Zone', ['ymDw{OUxA~Bp@RjArBNQo@v@m@E_A{@?w@o@Mb@]EcAeAm@L']],
+        ['NP', 'NP-KA', 'Karnali Zone', ['guDyiO{A~AwAjEw@NGbCp@Zn@k@Aw@lBHHp@p@ULcBYw@x@oARiBMg@iA_@']],
+        ['NP', 'NP-KO', 'Bhojpur', ['ylD_cP[jCfDJf@I@i@jAn@KSb@MAkBeAAk@b@m@s@a@x@uAm@']],
+        ['NP', 'NP-LU', 'Lumbini Zone', ['qjDokO}@aB_@xD]Me@jAnBbBh@O^iB[UV{ASM']],
+        ['NP', 'NP-MA', 'Mahakali Zone', ['w{DgyNvA|BzBZj@f@fA{AiBIcAeAk@XW{@uAJ']],
+        ['NP', 'NP-ME', 'Mechi Zone', ['cmDwePIx@hAdAb@B\\w@l@r@j@c@dA@FgAcA]oAd@uC]']],
+        ['NP', 'NP-NA', 'Narayani Zone', ['gfDotO{B[{@z@AnAe@h@dAbCf@aCx@Iv@qC']],
+        ['NP', 'NP-RA', 'Rapti Zone', ['clDucOq@aA_AOg@d@u@s@q@rBnBxBpAk@TXl@eACu@']],
+        ['NP', 'NP-SA', 'Sagarmatha Zone', ['umDs~O[vAdAIbAdA\\DLc@v@n@z@?`@aCqAeAMb@k@HcDK']],
+        ['NP', 'NP-SE', 'Seti Zone', ['uzDwyNv@DTz@h@[vAnAbAMr@aBy@m@u@v@b@qBm@^Y[a@NIq@k@McADWfC']],
+        ['NR', 'NR-01', 'Aiwo', ['jBcr_@?CC??BB?']],
+        ['NR', 'NR-02', 'Anabar', ['`Bkr_@@??CAB']],
+        ['NR', 'NR-03', 'Anetan', ['dBir_@?AC??@B?']],
+        ['NR', 'NR-04', 'Anibare', ['jBir_@?EG??DF?']],
+        ['NR', 'NR-05', 'Baiti', ['fBer_@?EE??DD?']],
+        ['NR', 'NR-06', 'Boe', ['lBer_@?CC??BB?']],
+        ['NR', 'NR-07', 'Buada', ['jBer_@?EC??DB?']],
+        ['NR', 'NR-08', 'Denigomodu', ['hBcr_@?EC??DB?']],
+        ['NR', 'NR-09', 'Ewa', ['fBgr_@?CE??BD?']],
+        ['NR', 'NR-10', 'Ijuw', ['fBir_@?EE??DD?']],
+        ['NR', 'NR-11', 'Meneng', ['nBgr_@?GG??FF?']],
+        ['NR', 'NR-12', 'Nibok', ['hBer_@?EE??DD?']],
+        ['NR', 'NR-13', 'Uaboe', ['hBer_@?EG??DF?']],
+        ['NR', 'NR-14', 'Yaren', ['nBer_@?EE??DD?']],
+        ['NU', null, 'Niue', ['puBpd`@^NK]SL']],
+        ['NZ', null, 'Auckland Islands', ['f{H_n_@KZ|@f@?cA]VSW']],
+        ['NZ', null, 'Campbell Islands', ['xgIi_`@?y@]??x@\\?']],
+        ['NZ', null, 'Antipodes Islands', ['xuH}{a@?[W??ZV?']],
+        ['NZ', null, 'Kermadec Islands', ['bvDfwa@?WO??VN?']],
+        ['NZ', null, 'Snares Islands', ['lkH_p_@?OO??NN?']],
+        ['NZ', null, 'Three Kings Islands', ['ptEur`@?IE??HD?']],
+        ['NZ', 'NZ-AUK', 'Auckland', ['vaFcha@i@^\\HJi@', '`hFuba@w@cCa@lAVHU@Jf@UJBg@e@RC[g@ZK_@k@j@h@lADg@z@Fk@p@rB_ASu@Za@`@f@c@b@l@U']],
+        ['NZ', 'NZ-BOP', 'Bay of Plenty', ['phFwja@Z\\|A_@pAiBrAn@d@]e@Wm@_CoBgBP]eAk@k@LhAtATtAkA`FWJRm@q@h@']],
+        ['NZ', 'NZ-CAN', 'Canterbury', ['heG__a@IdAlBdCgApA|CxDfC|HnAzA|AVxBgD_@aAHyAeCc@kBuEFm@Ll@JmB_@BR[g@DAjAG]aAN_AkBcE}C']],
+        ['NZ', 'NZ-CIT', 'Chatham Islands', ['jqGjma@a@i@PfCBw@v@@Ow@w@n@@a@X@']],
+        ['NZ', 'NZ-GIS', 'Gisborne', ['tiF_xa@dBf@Gd@lBfBlAsCs@Ca@iAiBIw@i@a@~A']],
+        ['NZ', 'NZ-HKB', 'Hawke\'s Bay', ['nrF}va@mArCn@~Bd@NQb@j@d@jBW`APxAgByCaBq@j@k@]W_Df@C_@Ya@P']],
+        ['NZ', 'NZ-MBH', 'Marlborough', ['r_G}{`@rEnDdAcAmBgCHeAk@i@}@n@k@w@JlAw@kAE~@j@RAm@TbAm@a@Ib@So@\\tA']],
+        ['NZ', 'NZ-MWT', 'Manawatū-Whanganui', ['d}Fsea@TiCOgBo@w@{AfBaAQkBVZ`BkCGQTd@lB|Ap@rAu@z@j@tA}AjAR']],
+        ['NZ', 'NZ-NSN', 'Nelson', ['daGky`@H_@{@q@p@pA']],
+        ['NZ', 'NZ-NTL', 'Northland', ['laFuaa@S]mAz@Rq@g@XCSsAl@`@f@]ZOW_@dCc@Bh@`@}AfAYa@?jAjB{Ar@LPm@j@Ii@y@r@p@dDeCIW_Bx@z@a@JuA']],
+        ['NZ', 'NZ-OTA', 'Otago', ['|wGyl`@IxA^`A]|@{AhBaBQhBdGhAf@vAc@LmDnAb@pDk@YgBmBuBSyABj@Wg@MXwCkB']],
+        ['NZ', 'NZ-STL', 'Southland', ['`eHgz_@Ol@Ui@_@lAh@CfAx@k@gC', 'b|G}p_@Rf@@m@UD', 'fyGqr_@NNJ[[J', 'jbHm``@iDd@eAg@Y\\Zf@a@h@F`AwAb@aBo@SXn@nAd@QU\\Zl@\\CQTf@I]VVd@N[Ed@NW@j@NWI^b@{@Br@\\_@_@jAVWEb@`@JQcAl@v@?o@RjBd@CO_A^d@]aAh@v@LQKcDl@s@DiBTRPU?aD']],
+        ['NZ', 'NZ-TAS', 'Tasman', ['z}Fms`@v@Q\\kAlBtBn@D|@aAwDoDUh@cBNE|@m@I?s@AfAt@pA']],
+        ['NZ', 'NZ-TKI', 'Taranaki', ['bxFica@e@k@iBt@gA]Mp@p@f@f@xBz@GnAwD']],
+        ['NZ', 'NZ-WGN', 'Wellington', ['j}Fema@EpFzBhBMw@f@B?}@d@]gA_CmBkA']],
+        ['NZ', 'NZ-WKO', 'Waikato', ['|pFkba@Lq@y@kCzCCDk@}@qA_Bu@iBfB}A^[]_AFi@L?\\W]Fj@q@RCb@tCw@Er@g@Fv@bC@a@^TbAq@Ld@h@?B]?l@xBP']],
+        ['NZ', 'NZ-WTC', 'West Coast', ['vsG{y_@Hi@^BOkAy@_A[_CyAiB}BoHiBqCsAlAuC_CYhAu@ZxBVr@h@RlAfCn@lAhApC`FtAxDFtAn@l@']],
+        ['OM', 'OM-BA', 'Al Batinah North', ['czCa~IXPlBm@z@yAdAU]mBe@Uy@tBkDnB^h@']],
+        ['OM', 'OM-BJ', 'Al Batinah South', ['}sCqfJ`AhAt@{@?qAm@q@q@AWvB']],
+        ['OM', 'OM-BU', 'Al Buraimi', ['a{C{|ITd@xBF`@q@VjBpA@OiAeA[K_AyDz@']],
+        ['OM', 'OM-DA', 'Ad Dakhiliyah', ['ufC_jJaDp@gAaA[kAm@Io@r@x@nC{@xA@x@vFdAl@d@vDgKyBh@']],
+        ['OM', 'OM-MA', 'Muscat', ['esCijJp@@Ei@n@s@l@Hd@{@KsAaCbBa@|B']],
+        ['OM', 'OM-MU', 'Musandam', ['k_D}}IDY_Aa@k@VB]i@Cp@pAxAK']],
+        ['OM', 'OM-SH', 'Ash Sharqiyah', ['klCwrJpAPbBdGdC_A~Bf@C_AaCaAiAaBaB}@mBe@[fA', '}_CeoJr@r@f@?{As@']],
+        ['OM', 'OM-SS', 'Ash Sharqiyah North', ['anCkqJJrAe@z@|@xBd@R`Dq@cBeGqAQu@j@']],
+        ['OM', 'OM-WU', 'Al Wusta', ['{bC{xI`KwFj@mDMmAmC\\}AYqAwAuA[cE|K\\pCxCr@']],
+        ['OM', 'OM-ZA', 'Ad Dhahirah', ['{lC}wIdDqA]qCm@e@wFeAeAT{@xA^dA|@Lf@dBxCd@']],
+        ['OM', 'OM-ZU', 'Dhofar', ['suB}cIrM{EiAeE?}Dk@m@}@D{@k@SuD}CsAk@eCk@lDaKvFzEfAjEtQ']],
+        ['PA', 'PA-1', 'comarca Ngäbe-Buglé', ['{z@`cO@|@dBJp@sB_AGx@[O_@Sn@c@QAb@k@A]l@']],
+        ['PA', 'PA-2', 'Coclé', ['os@fsNaC\\`@\\Gb@jAz@rA_@Dc@k@QQeA']],
+        ['PA', 'PA-3', 'Colón', ['wz@dmNInBr@^dBtEl@[}@g@KiBi@OEcAm@IXw@o@a@']],
+        ['PA', 'PA-4', 'Chiriquí', ['wv@~cO^f@x@MZf@z@]q@KOqABq@b@CEqAd@UkAWF~AWb@{@E_@pB']],
+        ['PA', 'PA-5', 'Darién', ['ar@|aNPt@c@d@gAb@a@k@w@`Ap@tA|AGg@?XGW]^BE]]Ft@U^w@w@lAdA|@bDgB}A_@b@c@qAsAm@T', 'qq@rgN|@m@d@Fy@bAi@]']],
+        ['PA', 'PA-6', 'Herrera', ['qq@~uNGr@l@f@hAk@}AcAQR']],
+        ['PA', 'PA-7', 'Los Santos', ['_q@juN|AbAx@Ws@yBcBlA']],
+        ['PA', 'PA-8', 'Panamá', ['es@`iN}AFIw@g@Yw@|ALvCWAMl@bAb@Kn@n@l@lBSo@cA?Xm@Yw@oC^Tj@_BrAg@']],
+        ['PA', 'PA-9', 'Veraguas', ['gn@dzNLRQk@BV', 'gm@j}No@R\\VPk@', '}u@pzNx@IS`AvB`@n@Q\\eAy@?Aa@`CWBaAmBdAcAs@qAXg@Q]XRdA']],
+        ['PA', 'PA-EM', 'Emberá-Wounaan Comarca', ['kt@dcNm@j@\\j@jBiAQu@iAf@', 'qq@rgNh@\\x@cAe@G}@l@']],
+        ['PA', 'PA-KY', 'Guna Yala', ['cu@pbNsCtEKzBUIt@t@IyC\\eAbCiCWS']],
+        ['PA', 'PA-NB', 'Ngöbe-Buglé Comarca', ['}v@p_OT`@y@ZXVn@y@z@DVc@JcA_Aa@RaAy@HC`AiAbAn@SAl@']],
+        ['PE', 'PE-AMA', 'Amazonas', ['pQheNdBdAQd@zD`AhFMz@`@rCcC|AYCq@oAC@cAs@k@cCnB{@OsBX{Co@qEv@']],
+        ['PE', 'PE-ANC', 'Áncash', ['faAxeNm@e@\\Hl@s@{AoBgBZwBaA_AxAgDzAHp@vBdAV~@h@P`IyC']],
+        ['PE', 'PE-APU', 'Apurímac', ['tzA`dMyAkAwAJmApCHnBm@bA~Hu@c@cBFkB']],
+        ['PE', 'PE-ARE', 'Arequipa', ['fkBx}Lu@_@i@VcAo@Gq@q@SiBHwBz@C~Be@Gg@f@h@Lk@fCpCfBJxB^b@gBbCdAdAvJmU']],
+        ['PE', 'PE-AYA', 'Ayacucho', ['vkAfmMYtART|Ck@n@nATGGr@dCa@R`Av@Lh@OI]`@YnAKLo@v@e@Ea@^G_@c@KyBs@q@y@CIa@_@d@b@bBqB?cEz@^yBaAbAaDnA']],
+        ['PE', 'PE-CAJ', 'Cajamarca', ['t[|jNrBfCbDJJm@|Al@j@y@tBl@hAkAYmAf@cA{@iByDhAmC`CmDe@iAX']],
+        ['PE', 'PE-CAL', 'Callao', ['vjAzaN?_@Y??^X?']],
+        ['PE', 'PE-CUS', 'Cusco Departament', ['vkAfmMvEcCDoArAuCz@MvArAr@OLcAi@Of@e@d@F@}Bn@m@iB?WZq@o@sBMaBsA_AGHbCy@dDwAXeAlAgCa@VjAm@pAVxA~@n@Ve@tA\\P~@']],
+        ['PE', 'PE-HUC', 'Huanuco', ['h{@zpMy@b@qC_@ZpA~B`CgD`A^f@eA^j@TMrD~@Y~@yAxB`AbCy@c@u@`@oBSc@qACu@qF']],
+        ['PE', 'PE-HUV', 'Huancavelica', ['|jA|oMa@fClAHpCtBx@PN_ApAJr@}AWcAeC`@Fs@UFo@oAuAHk@j@o@_@']],
+        ['PE', 'PE-ICA', 'Ica', ['n_BftMkBkAcAd@H^aBFo@xAuAIK|@oAa@@~@~@z@pAEb@`@rC{A|CiD']],
+        ['PE', 'PE-JUN', 'Junín', ['veA~iMiBf@r@rCg@Xa@fBj@vFb@@Ph@dD{AVmApBa@_AeAmAKByA|@wAQcB{Ac@Wd@_Ao@']],
+        ['PE', 'PE-LAL', 'La Libertad', ['~v@pjN{@oAwBeAIq@fBaALaAGY}@Ho@`BkEbABp@zAo@z@jBg@`AXlAgAhAaAEIZj@h@v@WvCuBrCcA']],
+        ['PE', 'PE-LAM', 'Lambayeque', ['vk@`qNmAgBmAx@cAo@UrAkA|@t@?ZjArAz@fA}BrA}@']],
+        ['PE', 'PE-LIM', 'Lima', ['frAp{MoBwC}B\\WhA}AbAmF`B@t@lAnAkAt@l@ThCo@lAyAYWb@k@l@LKi@bAOt@^`DmB', 'dmA~~Mu@_@{@JBl@m@Mc@l@xAHdBcA']],
+        ['PE', 'PE-LOR', 'Loreto', ['nB`pMgBpCLbBtAkArAEGb@zB^fErEtAjFpEw@dDp@hB[dAuC|@o@WaAnAiDxBXc@bAn@`@fFaAbBd@u@eAPg@k@P]_@e@yCsB@f@yBa@?Gs@uAFyA}BgARuAq@gBKyBiEY{Du@_AB_Af@WOq@uAdAIrAeF_CsA`D`@fBq@`Av@tABvCk@r@sAAQ~@wAXy@|BqAZ']],
+        ['PE', 'PE-MDD', 'Madre de Dios', ['lcAzqLJrEqE?pCpBx@vBEbApEh@bAkAzA_@`AcFWgA`AmC}@_CiBy@uHrD']],
+        ['PE', 'PE-MOQ', 'Moquegua', ['dnBz{LeCcCw@QRg@q@i@m@v@oAVMtA|ATFp@bAn@h@Wt@^jAUPg@']],
+        ['PE', 'PE-PAS', 'Pasco', ['h{@zpMt@pFpABRb@]|B^`@lBc@Py@c@Ak@uF\\qBq@{@yDhA']],
+        ['PE', 'PE-PIU', 'Piura', ['lXdvNZ`@StAhAj@jBu@d@ZvAcAf@NDh@\\CdAcBsA{@[kAu@?jA}@Au@uCBg@_@iBtA_@~A`@`Aq@WY^']],
+        ['PE', 'PE-PUN', 'Puno', ['lpA`nL~@`CaArC~@F`BrArBLp@n@V[dCFjBc@NwAlAUl@w@j@ZlAuAaEsDYdAqBp@oAw@uAj@yBeBgBn@_CY']],
+        ['PE', 'PE-SAM', 'San Martín', ['r`@fdNz@Nv@YdAuAx@j@AbAz@J|EkA`@sAlAWD}Ai@OfAg@qBaAkF`Ao@a@b@cA{BWmAfDV`A}@n@eAtC']],
+        ['PE', 'PE-TAC', 'Tacna', ['llBlqLc@HeBdD`E|ClB}CAm@k@_AsA@c@cA']],
+        ['PE', 'PE-TUM', 'Tumbes', ['fW`tNaB`@jCnCVmAaAcB']],
+        ['PE', 'PE-UCA', 'Ucayali', ['`n@jmMg@xBrBAd@xC\\^j@QQf@t@dAvCeAsC_D?y@hCd@rFmBt@bAb@KKgBi@e@`@i@lAQWyAj@yAUgAiAGFcAyAaDqBeAiBWnBzCBrD_BTWrDsAm@}BnBsAn@]Ms@t@']],
+        ['PF', null, 'Tuamotu Archipelago', ['bnBfnZQK^j@M_@', 'tbBhj[IHABJM']],
+        ['PF', null, 'Windward Islands', ['xmBjc\\i@h@Dn@d@IXmA[A']],
+        ['PF', null, 'Leeward Islands', ['rgBvq\\\\?EYWX']],
+        ['PF', null, 'Austral Islands', ['xkDfq\\?ok@u_@??nk@t_@?']],
+        ['PF', null, 'Marquesas Islands', ['bv@hjZ?h@XOYY']],
+        ['PG', 'PG-CPK', 'Chimbu', ['dc@oi[An@zCdA~@iDe@Ca@`Ao@u@aBj@']],
+        ['PG', 'PG-CPM', 'Central', ['r_Aof\\q@Dw@vAEn@\\AD`@kAtCmClB}@U_@T}BnD`@j@~BBj@k@ZHPsAn@Ph@g@Ma@hC{A?aEXKTyD']],
+        ['PG', 'PG-EBR', 'East New Britain', ['|]yr\\Xz@vAZx@xB~@a@{@uBa@a@YLJiAYu@_BXQeAoBQCj@a@?d@l@]rAxCU']],
+        ['PG', 'PG-EHG', 'Eastern Highlands', ['nd@un[YjCtAQ^t@zCkDeEw@q@r@']],
+        ['PG', 'PG-EPW', 'Enga', ['b^yb[FpF`BExAkCC}@o@{@u@Ha@g@w@v@']],
+        ['PG', 'PG-ESW', 'East Sepik', ['|Si}Z`@DMpAxBZGxCn@jA`AADeDdAWRgCQiE}@wAe@UcCHC`BgAbBQtA']],
+        ['PG', 'PG-GPK', 'Gulf', ['rt@}q[_CCa@k@m@hBiCfDWbBT~If@?|D{DmBx@fAoBe@Sd@g@y@R^Sa@A^OQq@h@EXuD`@}@bBy@']],
+        ['PG', 'PG-MBA', 'Milne Bay', ['|z@ce\\f@bBH}@p@kAp@EVoAPl@\\gAY_Bo@~@UcB_@xDm@j@e@y@IlB', 'lgA_`]u@lBf@OL}A', 'd}@{o\\NPaA`AnAg@Ru@m@MCV', 'h{@om\\?Yk@XKhAr@?BiA', 'py@yj\\_@^PRj@g@]K', 'bx@g{\\]xBt@eAWs@', 'xu@mo\\eACRXp@U']],
+        ['PG', 'PG-MPL', 'Morobe', ['jc@mt[b@|@?xBp@s@dEv@rC}DBkFkB|CsBp@a@[CyCeABiAfA]fC', '`b@i|[Sv@dAk@q@K']],
+        ['PG', 'PG-MPM', 'Madang', ['~Wsf[~ABbBtBn@k@rC}FFkEc@}@k@`AWjCcCEuAvAmAxC', '|_@aw[Hf@V]a@I']],
+        ['PG', 'PG-MRL', 'Manus', ['jKmx[CxCd@ZFiCi@k@']],
+        ['PG', 'PG-NCD', 'Port Moresby', ['rz@cv[?m@_@??l@^?']],
+        ['PG', 'PG-NIK', 'New Ireland', ['lRay\\EVZUUA', 'tYc|\\kExEiCvFZOLX~CqHtBoAlA?z@i@sBo@', 'xNmk\\_@r@Pp@j@m@Cs@YC', 'dH{f\\Gf@\\q@UH']],
+        ['PG', 'PG-NPP', 'Oro', ['~p@{{[?dEdBwBfANjCiBlAyCEa@o@AS}Ag@t@iAYFpCmAZWj@cBNI`@']],
+        ['PG', 'PG-NSB', 'of Bougainville', ['nh@qm]yElDWfAfBKhAyAnAW^iAQm@]?', 'p_@af]g@TxAAq@S', 'jSoe]IPp@c@g@P']],
+        ['PG', 'PG-SAN', 'Sandaun', ['d^cpZfAeGeCAQxD{@Du@oAFyCyB[LqAa@EuCfL|MA']],
+        ['PG', 'PG-SHM', 'Southern Highlands', ['`^oxZfBZxA{AlDGMuKa@p@g@OeAhBKfB_AvB{BXIvA']],
+        ['PG', 'PG-WBK', 'West New Britain', ['he@im\\_A`@y@yBwA[Y{@Iv@fBhAZhAUZNdAgBDfBn@?pHp@Il@cC\\?KqAh@c@C{C_@eA']],
+        ['PG', 'PG-WHM', 'Western Highlands', ['dc@oi[mBjCd@x@v@E^|@hBcD{Bi@@o@']],
+        ['PG', 'PG-WPD', 'Western', ['d^cpZlG?fAXf@YxL?Va@MsE`@oA_AuCo@Gw@t@s@dETgDUaCaAt@PsB}DzDg@?E~@mDFiBtAsAtF']],
+        ['PH', 'PH-ABR', 'Abra', ['ioB{rVjAzAtAq@Ea@mAk@mAb@']],
+        ['PH', 'PH-AGN', 'Agusan del Norte', ['kw@ooW@e@g@Kq@\\B\\rAI', 'ww@omW`BWWkAiAbB', 'cw@_oWb@M?_@i@GDt@']],
+        ['PH', 'PH-AGS', 'Agusan del Sur', ['_q@itWqFfBbBLVjAtBI?wD']],
+        ['PH', 'PH-AKL', 'Aklan', ['qhAqxVB{@tAEm@qAkA|B^T']],
+        ['PH', 'PH-ALB', 'Albay', ['qsAmcW\\@Zx@l@CKyB@`@a@U{@t@']],
+        ['PH', 'PH-ANT', 'Antique', ['k`AuyVuB{@gC`@Sb@JXTs@nD`@~@Q']],
+        ['PH', 'PH-APA', 'Apayao', ['ioB{rVx@e@G{@WTuA_@s@rAnBV']],
+        ['PH', 'PH-AUR', 'Aurora', ['efB_{V?f@pCxCtCK}B{@s@JcAqBb@NuAc@']],
+        ['PH', 'PH-BAN', 'Bataan', ['u{AmpVUP`@j@dAm@QY_AH']],
+        ['PH', 'PH-BAS', 'Basilan', ['ci@yyV\\IKx@p@]g@kA[x@']],
+        ['PH', 'PH-BCD', 'Bacolod', ['eaAe_W?_@_@??^^?']],
+        ['PH', 'PH-BEN', 'Benguet', ['mdBipVDm@e@YiBVnAx@x@I']],
+        ['PH', 'PH-BIL', 'Biliran', ['ggAwiWWp@h@WQY']],
+        ['PH', 'PH-BOH', 'Bohol', ['u|@qiW_@AWfAlArA\\aBY}@YD']],
+        ['PH', 'PH-BTG', 'Batangas', ['kuAavV_At@ExBlAQ]GBc@j@AQU\\GDo@k@a@']],
+        ['PH', 'PH-BTN', 'Batanes', ['u}BcxV?s@kD??r@jD?']],
+        ['PH', 'PH-BUK', 'Bukidnon', ['ut@gnW?rAb@N?f@bBBbB{@{@iBoDT']],
+        ['PH', 'PH-BUL', 'Bulacan', ['yzAwrVg@sAy@FGfAvAv@Ps@']],
+        ['PH', 'PH-CAG', 'Cagayan', ['isBgsV^FQUt@qAxA^r@q@ByBcEKn@bAaArD']],
+        ['PH', 'PH-CAM', 'Camiguin', ['ox@{jWBZRYWA']],
+        ['PH', 'PH-CAN', 'Camarines Norte', ['cwAm{Vh@{C{AlADv@j@T']],
+        ['PH', 'PH-CAP', 'Capiz', ['egAe}Vl@pA\\GEcCaAi@Pd@a@LJn@']],
+        ['PH', 'PH-CAS', 'Camarines Sur', ['kuAa`Wa@l@Jr@hCqC[y@cA@AoAg@r@Bx@e@PdAJMj@', 'ysAeaWIP?m@HZ', 'ysAeaWI[?l@HQ']],
+        ['PH', 'PH-CAT', 'Catanduanes', ['uuAshWi@v@|APHw@}@Q']],
+        ['PH', 'PH-CAV', 'Cavite', ['{wAwpVZ{@o@a@c@Tv@fA']],
+        ['PH', 'PH-CEB', 'Cebu', ['a_AeeWm@a@_DAdGbCnBJgDkB']],
+        ['PH', 'PH-COM', 'Davao de Oro', ['ak@erWq@cAiCTAbBbASS_@`ATjAW']],
+        ['PH', 'PH-DAO', 'Davao Oriental', ['kp@{tWQf@hCUp@bAxCq@{BDTa@e@B{@{@wAFc@f@']],
+        ['PH', 'PH-DAS', 'Davao del Sur', ['{j@moW@l@l@XdA@X_Ah@MdBh@iBmAmB`AgAY']],
+        ['PH', 'PH-DAV', 'Davao del Norte', ['}l@mqW_BQ`@ZcAR?|@x@KTZ@i@dA?UaA', 'kl@opWBb@eA?@l@nBEE{@i@O']],
+        ['PH', 'PH-EAS', 'Eastern Samar', ['{kAgnWMXn@NnCo@~@TKqAXUuBx@qBMWj@']],
+        ['PH', 'PH-GUI', 'Guimaras', ['a`Ao|V?s@gA??r@fA?']],
+        ['PH', 'PH-IFU', 'Ifugao', ['yiBwvVTlBX^p@Iq@{Bo@G']],
+        ['PH', 'PH-ILI', 'Iloilo', ['yaAm|V{A_CyAInAv@F~B^OhB|@k@{A']],
+        ['PH', 'PH-ILN', 'Ilocos Norte', ['ynBuoVd@Uu@oA_CKTtAxBZ']],
+        ['PH', 'PH-ILS', 'Ilocos Sur', ['whBooVt@g@iBu@_@`AoBFbA`@~BM']],
+        ['PH', 'PH-ISA', 'Isabela', ['slBszVBhBVHpBVtAu@UaBmAk@i@MuAdA', 'yfByvVk@PHZ`@m@']],
+        ['PH', 'PH-KAL', 'Kalinga', ['wmB}uVH`ArAd@?cCo@Sm@n@']],
+        ['PH', 'PH-LAG', 'Laguna', ['gvA{tVs@aAeAXv@\\k@Hh@Bm@R`@XnAq@']],
+        ['PH', 'PH-LAN', 'Iligan', ['ir@mgWf@oAgAj@^b@', 'yp@adWZNXkAgB}@p@xB']],
+        ['PH', 'PH-LAP', 'Lapu-Lapu', ['__AqeW?WQ??VP?']],
+        ['PH', 'PH-LAS', 'Lanao del Sur', ['mm@agWs@cAN{@{BxAhBhAGV|@{@']],
+        ['PH', 'PH-LEY', 'Leyte', ['scAmiWc@IvAg@hBD{@[Ys@Y^}BDNdAs@z@|BMI]', 'wcA{iW_@BHRTW']],
+        ['PH', 'PH-LUN', 'La Union', ['idBooVCYsAMu@N|@n@nAW']],
+        ['PH', 'PH-MAD', 'Marinduque', ['{rAczV]n@j@H\\g@k@Q']],
+        ['PH', 'PH-MAG', 'Maguindanao', ['wl@kgW\\KHp@~@JLcBYa@j@u@oBd@p@F]l@YGH^aBYn@x@TI']],
+        ['PH', 'PH-MAS', 'Masbate', ['whAifWqA^kAbChAKz@X{@aArAoB', 'koAoaWq@bArAwAa@R']],
+        ['PH', 'PH-MDC', 'Occidental Mindoro', ['kkAytVgDBg@xAo@UAlB~AoAfBc@x@aA']],
+        ['PH', 'PH-MDE', 'Mandaue', ['k_AmeW?MU??LT?']],
+        ['PH', 'PH-MDR', 'Oriental Mindoro', ['ksAqrVn@Tl@}A`D?mA{@cB?aAdAK|@']],
+        ['PH', 'PH-MNL', 'Las Pinas', ['uxAurV?q@sA??p@rA?']],
+        ['PH', 'PH-MOU', 'Mountain', ['yjByvV?bC`AZN]_@YQeB_@A']],
+        ['PH', 'PH-MSC', 'Misamis Occidental', ['{t@ecWlBAJW]g@q@Bg@RAh@']],
+        ['PH', 'PH-MSR', 'Misamis Oriental', ['ot@ujWEqBaBVp@Na@~@vAH', '_s@sgWi@}@O^x@\\', 'it@qiWb@XTYa@ICi@Sr@']],
+        ['PH', 'PH-NCO', 'Cotabato', ['qn@akWKdA`BXI_@XF\\m@q@GvAYC{@q@a@mBHd@v@k@b@']],
+        ['PH', 'PH-NEC', 'Negros Occidental', ['_z@g}VgBqA{AYUaAmAIO|@Zp@b@U^r@rAKr@|AnAg@']],
+        ['PH', 'PH-NER', 'Negros Oriental', ['}_AabWEl@zAXfBpAPo@|@e@k@y@kAb@uCm@']],
+        ['PH', 'PH-NSA', 'Northern Samar', ['ykAihWJ_Ba@cBc@b@?jDx@K']],
+        ['PH', 'PH-NUE', 'Nueva Ecija', ['k~A{qVNgBy@M}Bl@Cl@~@LCh@nB]']],
+        ['PH', 'PH-NUV', 'Nueva Vizcaya', ['obBavVcA^S[eAHT~AnAZVqAz@S[c@']],
+        ['PH', 'PH-PAM', 'Pampanga', ['k{AcqVwAw@JpBjAy@']],
+        ['PH', 'PH-PAN', 'Pangasinan', ['waBilVCq@h@Us@eANk@e@Ue@NK~@p@l@qAtAxATZY']],
+        ['PH', 'PH-PLW', 'Palawan', ['kq@wzU?Vr@Is@M', 'gaAulVGTb@H[_@', 'oz@odV[v@xDfElA`@kFaH', 'k_AufVn@i@u@_@e@iAgAl@kB?rAb@t@]k@n@fAQx@`A', '_gAelVJ\\NU[G', 'iiAcmVK`@x@Wm@I', 'ejAeoVy@zA|@UCeA', 'k{@{bVZs@qAYYuAk@p@zBpB']],
+        ['PH', 'PH-QUE', 'Quezon', ['a~AavVrARjBq@x@bAZe@c@Yf@_BvBuBuCn@GqAQdBa@JbABk@xAcB`@SU_Bt@', 'cwAczVW`@h@q@QN', 'y|AqyV?b@hAUiAM']],
+        ['PH', 'PH-QUI', 'Quirino', ['efBwyVTx@q@dAz@CPXbA_@uBuB']],
+        ['PH', 'PH-RIZ', 'Rizal', ['a|AkuVv@j@|@W_@Q`@Bw@]_AV']],
+        ['PH', 'PH-ROM', 'Romblon', ['olAy}VKt@b@e@WO', 'enAgzV`Af@n@QqBU']],
+        ['PH', 'PH-SAR', 'Sarangani', ['ed@}lWc@rCt@qBQa@', '{a@enW_Cg@i@hAhDa@']],
+        ['PH', 'PH-SCO', 'General Santos', ['ae@wmWm@RfAPYe@', '_h@kmWOlBdAA?lAx@_DoBY']],
+        ['PH', 'PH-SIG', 'Siquijor', ['ix@cdWWJR`@Bm@']],
+        ['PH', 'PH-SLE', 'Southern Leyte', ['kaAimWXr@z@Z`@s@gAFb@YO]cAR']],
+        ['PH', 'PH-SLU', 'Sulu', ['qd@suVQbAZ`@RsA]Q']],
+        ['PH', 'PH-SOR', 'Sorsogon', ['_qAseW\\vAVm@U{@Xn@x@s@cB[Op@']],
+        ['PH', 'PH-SUK', 'Sultan Kudarat', ['ie@ihW_@V?mAeA@NmBk@DZv@k@l@XVE~AfAEt@{@']],
+        ['PH', 'PH-SUN', 'Dinagat Islands', ['_z@eoWXs@c@g@aA|AjAA', 'm|@qsWm@Rh@RBg@', '}|@wpWmBNdAZf@k@']],
+        ['PH', 'PH-SUR', 'Surigao del Sur', ['iz@arWb@f@bAMtEsBuBEWz@o@o@wAXF^o@X']],
+        ['PH', 'PH-TAR', 'Tarlac', ['y}AkoVQoAyBb@zAzAn@o@']],
+        ['PH', 'PH-TAW', 'Tawi-Tawi', ['}_@qnVh@tA_@{@TS_@E']],
+        ['PH', 'PH-WSA', 'Samar', ['idAwmW_AUoBTEV_AGD|ChBeCp@h@rAqA']],
+        ['PH', 'PH-ZAN', 'Zamboanga del Norte', ['uk@{xV?k@qCyAUyBo@A?iA}AHf@xAbATb@jCdDdA', 'um@w{V~@n@?j@d@KDe@kBi@']],
+        ['PH', 'PH-ZAS', 'Zamboanga del Sur', ['aq@_dWk@V?hAn@@Vt@bBgBg@NwAaA']],
+        ['PH', 'PH-ZMB', 'Olongapo', ['q{AwnVSa@C`@V?', '_|AinVKq@oAz@}@Mg@j@TZ|@C|Be@OY']],
+        ['PH', 'PH-ZSI', 'Zamboanga Sibugay', ['eo@k`Wk@lAzAxA_AwAz@QBi@o@S']],
+        ['PK', 'PK-BA', 'Balochistan', ['sfEcpL`AzAi@|@?lAx@pBb@i@Nf@ArCfA|AlEPdAvFEnBb@lAUfBPxEyAfIfGqEx@mDbEB@wAZ[`Bb@LnC`AtBlEn@@e@`@Hg@sAXm@a@]LaEa@MBaBU@v@yB]OO_J]^Np@_@y@nAcA~@FYy@cD}AsCv@aCDyBu@_@iBuAkBGwD_C_AgBToBwAOTiB}@qBCJn@qCf@VfB']],
+        ['PK', 'PK-GB', 'Gilgit-Baltistan', ['y}E{~Mq@j@PlAk@p@mAMu@f@gA`Fl@zBM`Ab@a@@~CvBlBf@@BqBv@k@N{A|@FPwCzB_Fo@mEq@iAcCl@']],
+        ['PK', 'PK-IS', 'Islamabad Capital Territory', ['yqEyfMZRRaAe@_@Wd@Lf@']],
+        ['PK', 'PK-JK', 'Azad Kashmir', ['owEcuMk@J@fAu@bADfAh@N~@pBbHe@p@iCgAbAw@a@s@d@i@{@QjAa@S]j@u@]YuAXmD']],
+        ['PK', 'PK-KP', 'Khyber Pakhtunkhwa', ['qeFukM^jH`AtAK`@pAvAbBsAfAIp@d@b@eA~@Tv@dA`@Gr@[IaA\\@Nl@e@|A\\F`@xBl@kAdA`BfAi@|@fBvDaAa@}AiE_BgAn@q@eAg@Fb@w@{@CmA{@s@qA\\m@QWj@]w@uBmBL_AqBm@SUnA{@IOzAw@j@CpBcAIm@qAm@QAcDc@b@']],
+        ['PK', 'PK-PB', 'Punjab', ['aiEsuM[xBiABL~@aAlCuDVh@lATe@f@^S`A_@Sg@\\@jB`@@Bh@lAz@z@Be@t@l@CPx@~@?d@c@`FnBZfBjD`ANUnBvAfBUpBjAPoAbBw@Nc@[_A~@q@o@{EcDaBw@sBoDwAs@qBc@PmCaDS\\aCG_AsCc@A']],
+        ['PK', 'PK-SD', 'Sindh', ['imDuuLsBzAKj@NnEtAjB^hBxBt@`CExCw@vCxAl@bANwBZRv@i@p@BBe@b@HGa@ZMW[Z]a@?p@[k@AKoBgAE^sFm@yA`@cAc@_A{FtAElAm@b@wBOo@hCgAKwCcC']],
+        ['PK', 'PK-TA', 'Federally Administered Tribal Areas', ['kyEq}LpA`B`@_@~@LBjFjCsAr@zCvBv@fBMWgBpCg@]i@pACY_@aEbA}@gBgAh@eAaBm@jAa@yB]Gd@}AOm@]AH`As@Za@Fw@eA_AUc@dA']],
+        ['PL', 'PL-DS', 'Lower Silesian Voivodeship', ['{|Hq{A]aAl@k@ZaELS^l@~@cBW}@i@ZqCgDe@AEf@i@JLfBo@vAP~@Un@x@`ANbC^MjAh@']],
+        ['PL', 'PL-KP', 'Kuyavian-Pomeranian Voivodeship', ['yjImzB}AzBYlDXtCj@h@hCk@fAyFGiBcAg@m@Fe@y@']],
+        ['PL', 'PL-LB', 'Lubusz Voivodeship', ['g`Im|AOcCy@aATo@Qe@eAdBuBDI]gAIxAvGt@Nz@i@v@`@nAgA']],
+        ['PL', 'PL-LD', 'Łódź Voivodeship', ['afIswB~@tBj@HDl@dAPTx@d@W|@{He@UFe@g@B[oAeAC@k@_CtCKzB']],
+        ['PL', 'PL-LU', 'Lublin Voivodeship', ['yeI{oCd@v@ZrEz@KHp@Xi@lBJfAaDh@BGuGm@Yc@\\Ic@wAbBgATaA]{@bB']],
+        ['PL', 'PL-MA', 'Lesser Poland Voivodeship', ['_uHqxBh@_Af@CBs@k@u@RwBYuBw@NQf@MWQV{AMn@dC}@rBVlBvAlA~@cA']],
+        ['PL', 'PL-MZ', 'Masovian Voivodeship', ['_mIoeCjAtJ^d@l@GbAf@J{BhAeARcAb@IDn@fAS`@cGsAGYh@Iq@{@J[sEe@e@UhBmAb@MnAsBzA']],
+        ['PL', 'PL-OP', 'Opole Voivodeship', ['czH{hBb@aBMw@^X\\yAi@aA{@I?c@[VeAe@YvElC~B']],
+        ['PL', 'PL-PD', 'Podlaskie Voivodeship', ['}qI{pCa@bBZnANPr@u@\\N`AjEj@OfAkALoAnAm@ToBmAkC_BCwElB']],
+        ['PL', 'PL-PK', 'Podkarpackie Voivodeship', ['{sHmeCtAmGkBj@_DkEEtEi@Cs@xCtBzBjAYLVPg@v@O']],
+        ['PL', 'PL-PM', 'Pomeranian Voivodeship', ['ksIqyBNpDiAz@VoAi@bBr@pHd@c@f@^fAq@n@T^yAu@gBZqFy@sAk@bAi@K]aBE\\']],
+        ['PL', 'PL-SK', 'Świętokrzyskie Voivodeship', ['q_Iu~B^tAb@IGd@v@VXi@LVTyAf@][uCoAcC_ABKtEa@~@']],
+        ['PL', 'PL-SL', 'Silesian Voivodeship', ['_uHqxB_AbAs@{@MRe@cCu@l@OUi@lFdAd@ZW?b@z@H`@bAXkBfBoAi@aB']],
+        ['PL', 'PL-WN', 'Warmian-Masurian Voivodeship', ['wrIimCM|Q^`Br@B^_Ax@rA|A{BCqB}BqLc@Ys@t@c@sA']],
+        ['PL', 'PL-WP', 'Greater Poland Voivodeship', ['weI_vBiAnHe@CWh@}AMa@`B^jAl@a@f@bCfAh@lBEn@q@~@oC?qC`@FDg@t@YM{@c@NQu@eAQEo@aBiA']],
+        ['PL', 'PL-ZP', 'West Pomeranian Voivodeship', ['wgIizAw@sAm@sDXy@m@_Bm@`@]sAo@UgAp@g@_@e@b@Bj@z@lA~@hKPsAh@@S`A`B]nA~@p@aB']],
+        ['PM', null, 'Saint Pierre and Miquelon', ['ecHp~I?UM??TL?']],
+        ['PM', null, 'Miquelon-Langlade', ['cdHt~Io@RdA?US']],
+        ['PN', null, 'Pitcairn Islands', ['v{CfpX?md@gF??ld@fF?']],
+        ['PR', 'US-PR', 'Puerto Rico', ['gqBdyKUASvCEnC^`@rAQEwF}@}@']],
+        ['PS', 'PS-GZZ', 'Gaza', ['abEwtE?gAkA??fAjA?']],
+        ['PS', 'PS-WBK', 'West Bank', ['kjEa{Ef@h@dBBIo@XGZz@r@J[oBw@SyB?_@dA']],
+        ['PT', 'PT-01', 'Aveiro', ['g|F|u@Ry@XBI]mAIw@m@ApBhAPe@QNQn@j@']],
+        ['PT', 'PT-02', 'Beja', ['wmFlj@YpFp@n@l@MB|AjA@VsCg@oByAo@Gq@c@M']],
+        ['PT', 'PT-03', 'Braga', ['idGbr@d@~B\\GZwCq@i@m@hA']],
+        ['PT', 'PT-04', 'Bragança', ['caGng@u@u@Q`Aw@DC|BrCl@`@yBq@cA']],
+        ['PT', 'PT-05', 'Castelo Branco', ['qzFjj@_@dBb@`Ad@Df@xAb@EOu@b@_@Y{CoBO']],
+        ['PT', 'PT-06', 'Coimbra', ['iyFrv@VeB_@k@`@GW_AsAA`@bCm@`A|AT']],
+        ['PT', 'PT-07', 'Évora', ['iqFdl@m@z@Rz@Y~@VTVYKn@r@v@t@aBV_CYm@\\]u@j@_AY']],
+        ['PT', 'PT-08', 'Faro', ['qiF|m@f@nBWrCtAd@SsAVwCa@sAgAT']],
+        ['PT', 'PT-09', 'Guarda', ['wzF|i@uBI_Ax@Dd@j@FZv@l@GLn@n@?]iAXsB']],
+        ['PT', 'PT-10', 'Leiria', ['qtFly@AgAu@_Ag@?WgBc@?Zn@WdBvCxA']],
+        ['PT', 'PT-11', 'Lisbon', ['kqFzv@y@]^j@XM', 'gsF|u@a@NG~ArBZ?kAiA_A']],
+        ['PT', 'PT-12', 'Portalegre', ['iqFdl@{@o@Gb@qBlAZpArAfAj@aBS}@l@{@']],
+        ['PT', 'PT-13', 'Porto', ['k_Gbu@m@{Ck@rDxAW']],
+        ['PT', 'PT-14', 'Santarém', ['esF|u@`AVEwCeAb@wAiBc@^Vb@a@ZBlAf@?j@`Av@i@']],
+        ['PT', 'PT-15', 'Setúbal', ['mkF~u@C}Aq@JYs@}@n@At@g@[OT^~Bp@C]{A\\_@K`AV[hB?']],
+        ['PT', 'PT-16', 'Viana do Castelo', ['mfGjr@b@hBl@XBc@RVe@_Cm@OUV']],
+        ['PT', 'PT-17', 'Vila Real', ['kdGhq@XLT}@h@`@h@OQeBcBk@[FLfD']],
+        ['PT', 'PT-18', 'Viseu', ['s`Glm@ZjDNg@t@l@fADg@yCy@?Sq@g@EKX']],
+        ['PT', 'PT-20', 'Azores', ['skFn|C@bCZeAGeAUF', 'ioFtnDOvAVQGeA', 'gpFhmD_@tAh@oBIX']],
+        ['PT', 'PT-30', 'Madeira', ['ikE|gBMWIrBV{A']],
+        ['PW', 'PW-002', 'Aimeliik', ['em@ogY?QQ??PP?']],
+        ['PW', 'PW-004', 'Airai', ['}l@ugY?SQ??RP?']],
+        ['PW', 'PW-010', 'Angaur', ['_j@ieY?IK??HJ?']],
+        ['PW', 'PW-050', 'Hatohobei', ['kQqrX?iCY??hCX?']],
+        ['PW', 'PW-100', 'Kayangel', ['iq@yhY?GI??FH?']],
+        ['PW', 'PW-150', 'Koror', ['al@sfY?e@_@??d@^?']],
+        ['PW', 'PW-212', 'Melekeok', ['wm@ehY?IM??HL?']],
+        ['PW', 'PW-214', 'Ngaraard', ['mn@khY?IS??HR?']],
+        ['PW', 'PW-218', 'Ngarchelong', ['_o@khY?IK??HJ?']],
+        ['PW', 'PW-222', 'Ngardmau', ['in@{gY?QK??PJ?']],
+        ['PW', 'PW-224', 'Ngatpang', ['mm@ogY?US??TR?']],
+        ['PW', 'PW-226', 'Ngchesar', ['km@_hY?MS??LR?']],
+        ['PW', 'PW-227', 'Ngeremlengui', ['um@ugY?UW??TV?']],
+        ['PW', 'PW-228', 'Ngiwal', ['an@ghY?KO??JN?']],
+        ['PW', 'PW-350', 'Peleliu', ['sj@}eY?KS??JR?']],
+        ['PW', 'PW-370', 'Sonsorol', ['a`@iyX?CE??BD?']],
+        ['PY', 'PY-1', 'Concepción', ['~hChiJrBe@J^tCaBEwDm@cAeBPb@pAeADa@[w@tG']],
+        ['PY', 'PY-10', 'Alto Paraná', ['x~CftIgDo@m@lDzARjAkAO|@z@l@pABHw@b@@FsBeCK']],
+        ['PY', 'PY-11', 'Central', ['v}C~fJxAj@^_AsBcA_AdAx@P']],
+        ['PY', 'PY-12', 'Ñeembucú', ['p`DjhJ`A`A|ADdB|A^IKsB`@mCaAUw@rAqAPoAi@_@~@']],
+        ['PY', 'PY-13', 'Amambay', ['`rC`zIqDPeAn@AdAi@h@b@lATm@`@ZdAEa@sAdA[v@`@Ak@v@@O_@~@X_AiB']],
+        ['PY', 'PY-14', 'Canindeyú', ['`rC`zI~@hBb@MX^tBcAw@iCr@wCgCUq@lAd@pC{A^']],
+        ['PY', 'PY-15', 'Presidente Hayes', ['dtC|zJZwC~FwM}@}A{@UoBLg@b@e@KiEbCK_@o@Lk@pAWvEVETz@`B~@jCX\\hCj@F']],
+        ['PY', 'PY-16', 'Alto Paraguay', ['`}BnjJeABiBtD@vDbAxItAb@|B{K|B_@Z\\pBP^oIj@qAiAZ{Ea@{CbA']],
+        ['PY', 'PY-19', 'Boquerón', ['lkCrdKnBkA|CeEHc@k@G]iCsE_Ao@wA]VAfBqBQ[]}B^}BzK~AdAfB@fFhAn@}@']],
+        ['PY', 'PY-2', 'San Pedro', ['zyCl{IgBpAcCm@Ef@q@I\\pG`Cy@nBM|@VDoCo@q@d@e@e@{@']],
+        ['PY', 'PY-3', 'Cordillera', ['j{C``JSh@d@tCpAeAXeA[J_@q@aAM']],
+        ['PY', 'PY-4', 'Guairá', ['h_DrzIEnDV`@|@AXYa@a@Dg@mAkB']],
+        ['PY', 'PY-5', 'Caaguazú', ['zyCl{Id@z@c@f@nCnBZK@eFuAiATw@kAjA{ASv@fB']],
+        ['PY', 'PY-6', 'Caazapá', ['v~CxyIzAxBLjAxAz@n@iAmBmEg@]Kv@qAC']],
+        ['PY', 'PY-7', 'Itapúa', ['~bDrtI_@`CtB|CH|ApCLXu@w@q@ZiA{AcAEu@y@aAsA]']],
+        ['PY', 'PY-8', 'Misiones', ['ljDdeJBeCyCMw@vAj@`Ai@hApAQv@sA`AT']],
+        ['PY', 'PY-9', 'Paraguarí', ['h_DtaJg@xA~DdBh@cAk@aAZs@gAe@iB^']],
+        ['PY', 'PY-ASU', 'Asunción', ['x}CngJ?]c@??\\b@?']],
+        ['QA', 'QA-DA', 'Doha', ['e|Ck`I?g@o@??f@n@?']],
+        ['QA', 'QA-KH', 'Al Khor', ['eaDk`IV?S~@\\\\l@yAi@e@e@`@']],
+        ['QA', 'QA-MS', 'Madinat ash Shamal', ['m`Dq}HSYR_Au@LHz@j@N']],
+        ['QA', 'QA-RA', 'Al Rayyan', ['uyCq|H`@cAuAMi@_A_@n@eAPOv@h@ETh@rCK']],
+        ['QA', 'QA-US', 'Umm Salal', ['m}Co_I?a@k@??`@j@?']],
+        ['QA', 'QA-WA', 'Al Wakrah', ['w|CqaIl@lAvAWeCu@']],
+        ['QA', 'QA-ZA', 'Al Daayen', ['c_DcaI@Xp@Gs@Q']],
+        ['RO', 'RO-AB', 'Alba', ['q`HgmC\\}@pCeB}AWq@cBw@`@O|BGbCn@C']],
+        ['RO', 'RO-AG', 'Argeș', ['uzGe}Cc@h@@pBlCPVy@~@GKiBcCZs@]']],
+        ['RO', 'RO-AR', 'Arad', ['sbH{dCjAv@TvAd@qAP_FwAiBw@dCIdC']],
+        ['RO', 'RO-B', 'Bucharest', ['otGwbDe@RNTTi@']],
+        ['RO', 'RO-BC', 'Bacău', ['s~GodD[oEc@BoAt@LrFr@APu@`@FXm@']],
+        ['RO', 'RO-BH', 'Bihor', ['sbH{dCHeCn@qBq@]oB~@c@Mm@lAxDtC']],
+        ['RO', 'RO-BN', 'Bistrița-Năsăud', ['kcHgvC@w@aAuBmAAD|Dl@d@xAs@']],
+        ['RO', 'RO-BR', 'Brăila', ['uzGkjDd@fA\\i@l@LFiDeAYu@\\QxAR^']],
+        ['RO', 'RO-BT', 'Botoșani', ['wkHahD]jAJhAl@f@jBeB?yAYiAmBjA']],
+        ['RO', 'RO-BV', 'Brașov', ['a{G}}CUeCe@tAy@RWn@p@xB|@@\\oC']],
+        ['RO', 'RO-BZ', 'Buzău', ['g}G{cD~@`AxBmBPwBu@M]h@e@gAqAnE']],
+        ['RO', 'RO-CJ', 'Cluj', ['wfHauCd@bBn@^Q|Bf@H~@oABwD{Aq@s@v@_@I']],
+        ['RO', 'RO-CL', 'Călărași', ['krGcdDMkEk@sBg@lHl@l@r@[']],
+        ['RO', 'RO-CS', 'Caraș-Severin', ['eyGgeC\\XTe@Jf@l@aDi@OFi@gCq@i@n@^vAKnApAX']],
+        ['RO', 'RO-CT', 'Constanța', ['wrGiiDjAiGsBK{@w@\\^SDWq@QtE~@g@^Vb@rC']],
+        ['RO', 'RO-CV', 'Covasna', ['s~GodD_@\\JtAa@h@f@n@bAk@d@uAKm@oA]']],
+        ['RO', 'RO-DB', 'Dâmbovița', ['svGuaDk@~@aBv@JVr@\\hCWY}Ba@W']],
+        ['RO', 'RO-DJ', 'Dolj', ['srGynCr@VP{Fq@[qCjBh@zArAv@']],
+        ['RO', 'RO-GJ', 'Gorj', ['mzGmrCf@lEvByDOq@mBS]BCl@']],
+        ['RO', 'RO-GL', 'Galați', ['c_HunDE~AX@UZZl@~AaANwBiCL']],
+        ['RO', 'RO-GR', 'Giurgiu', ['irGqcDc@U[hBg@?JnAp@i@jBAaAwB']],
+        ['RO', 'RO-HD', 'Hunedoara', ['mzGmrCaEfCX|An@PzAaAp@@UwD']],
+        ['RO', 'RO-HR', 'Harghita', ['e_Ha~Cc@o@`@i@EeA]IUv@{Bt@UjAJ`@pAObApAj@sB']],
+        ['RO', 'RO-IF', 'Ilfov', ['quG}`Dd@BVs@i@}@w@X?x@b@X', 'otGwbDUh@OUd@S']],
+        ['RO', 'RO-IL', 'Ialomița', ['guGedDNoIiAv@KtFT`An@_@']],
+        ['RO', 'RO-IS', 'Iași', ['ihHmjDNlCn@n@n@mAKy@h@GUuAXaBqChC']],
+        ['RO', 'RO-MH', 'Mehedinți', ['srGynCsAw@Eg@_B`CKf@`Ah@If@h@f@P[k@s@Ru@l@d@z@cB']],
+        ['RO', 'RO-MM', 'Maramureș', ['sjHqxCKrEb@UNfA\\K^dAToEo@gAIcCaAzA']],
+        ['RO', 'RO-MS', 'Mureș', ['iaH_uCh@e@E_Bd@IK}Ae@~@cAqA}@BWd@`AtBA|@`A`@']],
+        ['RO', 'RO-NT', 'Neamț', ['ceHm_D\\g@v@EYkG}@N?bBk@n@@~Bj@T']],
+        ['RO', 'RO-OT', 'Olt', ['mpG}uCKwBg@VUi@u@AcBx@Dh@v@BRrAt@eAzAT']],
+        ['RO', 'RO-PH', 'Prahova', ['svGuaDOgB_@EcBhBDzB`Bw@j@_A']],
+        ['RO', 'RO-SB', 'Sibiu', ['_|GmyC}@A]s@Ct@e@FD~An@b@Lz@n@Rn@C]wE']],
+        ['RO', 'RO-SJ', 'Sălaj', ['wfHysCMlEh@x@|@mCyAyB']],
+        ['RO', 'RO-SM', 'Satu Mare', ['ujH_nCfAlCt@qA@}AYNg@mASVQmAu@|A\\v@']],
+        ['RO', 'RO-SV', 'Suceava', ['{jHcbDNfDb@~@zBYHiBm@c@@}C[SqBpB']],
+        ['RO', 'RO-TL', 'Tulcea', ['syGkxDY@Q`Ah@jBk@jB^p@^e@dAXRsCaAc@b@a@ZZ_@yBiAI']],
+        ['RO', 'RO-TM', 'Timiș', ['q_Hk`CJzAfAmBt@B`AmCoAUHsAu@iBc@d@CtFg@rA']],
+        ['RO', 'RO-TR', 'Teleorman', ['gpGy_DkB@q@h@VbCt@@Th@t@OBkE']],
+        ['RO', 'RO-VL', 'Vâlcea', ['mzGmrCFq@|BH\\a@IiAa@F_@k@aCCHrC^f@']],
+        ['RO', 'RO-VN', 'Vrancea', ['g}G{cDdAgCGgB_B`Ae@u@ZnEj@R']],
+        ['RO', 'RO-VS', 'Vaslui', ['wcHwnDY`BTtAjDqAYCD_BcA[oAX']],
+        ['RS', 'RS-00', 'Belgrade', ['_vGy{BVCCg@z@Oc@a@VaAYMm@HsAtAvAlA']],
+        ['RS', 'RS-01', 'North Bačka', ['o_HezBZpAnAkA]c@YRo@WC`@']],
+        ['RS', 'RS-02', 'Central Banat', ['g}G_`Cd@V?f@c@ELr@~Bq@m@eCaBhA']],
+        ['RS', 'RS-03', 'North Banat', ['m_Hk|BDh@dAACaBd@ASs@e@Hs@dB']],
+        ['RS', 'RS-04', 'South Banat', ['gzGkbCp@zBnAgAk@{CSd@c@U]vA']],
+        ['RS', 'RS-05', 'West Bačka', ['s~GswBVtArA_@FaAm@q@eA|@']],
+        ['RS', 'RS-06', 'South Bačka', ['_{GwuBx@uAIqDmBp@?z@|@pA?fA']],
+        ['RS', 'RS-07', 'Srem', ['mwG{uBIqC^DXk@oAsA]`@CpE`AV']],
+        ['RS', 'RS-08', 'Mačva', ['kuG{vBl@Fj@kAISUd@c@KFcA{@c@Mx@_@GCdAnAl@']],
+        ['RS', 'RS-09', 'Kolubara', ['{rGsyBLcBc@{@Kl@m@@Cv@`@LGbAb@JTe@']],
+        ['RS', 'RS-10', 'Podunavlje', ['cvG}`CfABViAgBNFt@']],
+        ['RS', 'RS-11', 'Braničevo', ['ewGodCT~@tAOd@eDs@^y@i@c@~B']],
+        ['RS', 'RS-12', 'Šumadija', ['cqG{_CBkAcA[k@pCjBi@']],
+        ['RS', 'RS-13', 'Pomoravski', ['ipG_bCMeCu@e@k@hCnB`@']],
+        ['RS', 'RS-14', 'Bor', ['msGylCs@h@Qy@]bAbAxBv@[Vd@TeAy@U\\u@i@e@']],
+        ['RS', 'RS-15', 'Zaječar', ['crGmkC]n@x@TUdA~@NbAqDMOqA|@i@W']],
+        ['RS', 'RS-16', 'Zlatibor', ['cmGeyBf@cB[m@iAlAYw@uATItA^NC|@dAu@`@`Ar@iA']],
+        ['RS', 'RS-17', 'Moravica', ['cqG{_CkAf@\\fAtAUXv@t@wAQQc@TaA}@']],
+        ['RS', 'RS-18', 'Raška', ['kmGaaCq@H?e@k@AYbA`A|@f@S|@fA^uAcAWKi@']],
+        ['RS', 'RS-19', 'Rasina', ['kmGaaCVSs@_C_AHWn@\\TGl@j@E?d@p@I']],
+        ['RS', 'RS-20', 'Nišava', ['anGeeC~@qCKSm@^Oi@_@rBk@VHb@jA?']],
+        ['RS', 'RS-21', 'Toplica', ['klGebCr@sAw@oAu@|AZhA\\C']],
+        ['RS', 'RS-22', 'Pirot', ['gnGslCJfBl@_@RRViB}@q@g@~@']],
+        ['RS', 'RS-23', 'Jablanica', ['}jG{kCy@~Bb@xAn@LJgAe@_D']],
+        ['RS', 'RS-24', 'Pčinja', ['mgGujC]c@gARHxBxA|@@gD']],
+        ['RU', null, '', ['ulLmbL?{@O??z@N?']],
+        ['RU', 'RU-AD', 'Republic of Adygea', ['ayGmwF`@vE`@_DOa@a@ZDkAt@]lAn@Ty@b@VYj@r@B`@wBi@[_CZWk@t@S]Q_B|AGdB']],
+        ['RU', 'RU-AL', 'Altai Republic', ['irH{cPS_Ac@KAaDs@iCkATUp@s@a@?gAuB`D{An@f@zAm@bBi@q@It@_AeB_AM?zCg@|Cr@l@Re@b@FFhDbBxAvAdHx@yB\\LJxAhA_@b@qC~Ao@Z_E_AqBd@^bAuAb@kASsA']],
+        ['RU', 'RU-ALT', 'Altai Republic', ['ilIceNbOeMmB}BT}Al@R?eAl@KBkEy@gDhAyCKyAs@Bc@dBwAcHcByAGiDc@GQd@YQ[[DcAo@p@k@[a@pAq@cAGvAyAtAi@hCy@z@dAhC@pDd@^Yj@vBjCm@v@AjAYRYWDz@{A|BdClGLrD`@x@QrATSZv@']],
+        ['RU', 'RU-AMU', 'Amur', ['}lIuyVY{HxA{FSg@\\mBb@ERwAd@RzAqBXVxB}ARRE_@r@F|@gArAGVs@rAHh@}@EcDr@yAMgAlAyAb@yBWwAyAgBw@\\i@]Mf@i@[c@ZCjAw@A@v@sBqAUwAaAPUmDmAmBCeB_BBp@eGk@]y@V}@{@Q\\QUe@fAd@lBWvAr@rA^zFQvAiBD_@jEiAcAGiAy@QwC}I}@rAK`QPvBb@Ne@rCNnLi@n@OdGeBtBi@lERz@q@tA?nBo@d@C|Ef@vB|@s@j@sBX~At@W]mEdB]UqAZi@`BDp@z@Kq@hAo@@tAv@GJVr@{@lAS']],
+        ['RU', 'RU-ARK', 'Arkhangelsk', ['ynKgcFx@HNxBlAmBb@\\f@o@b@gEf@Qn@^@{@n@g@|@`@hASpB_DS{@^m@?wCY_DXuBi@IKiB\\}A?_F}@kBb@kF}@]FqA\\QG}Bf@wAe@q@AiAh@iDg@Q[_DoA]SpAwEoBFvFpANXnDaC`A}@}Ae@vBk@Me@f@sAtG_@kFCmHXy@iAmFNmCw@_@SpAoAxAHxBoDAAhD|@tA?rBuBxPf@j@dASaAbAVzARYM^g@cAe@lAFtCIUQzAfAnBf@xDrA~Dd@@tB{CDTf@U[dCNJ?YHdAu@~E`@nAYCK_A}@xHd@@FhAf@WhAqCAeC`AYn@`Cc@vD', 'y_Mi`In@WT}@CwAMZGYT]]Yn@aA_@oBPd@\\_@]kBf@bBZ}CDrCn@g@CnALo@\\uFc@r@v@aCS}@SLh@}EI[WxA\\{E[nBPmCQQGT@i@iBpH_CvBEv@u@cASd@[QAdACsAWt@HeASSKRDaA[|ACsC[E@|BIwCGQCbCKyCSZg@lHh@`IVf@Ps@Hn@Lo@^fENgD@|AFeAVrAXe@JxAh@HAvCv@f@', 'yqMecJFbHXYD}BFrDL^NgBDdC^{CKfD\\tAHi@h@hF^aCWuET`Dn@dBFk@WaCZkE[?^g@HyBWCScBk@dBXyBWu@_@t@K|C^mFe@_@_@`CUu@f@uB_@G?gAMl@CwAc@P_@xAZ_Ec@MEZ@i@Sf@\\eCQUWfAHyCGQKb@McBQvCC}C{@oBTg@aB}KqBs\\EToAiDs@pBGlD`AnJ\\q@GfBr@tGX|HSzGVb@Fq@TrA?r@UiA@pBJl@F}@ZzGhA|G`@o@MhC~@fB[zAZbAX}D\\hDTgF', '_xL_dJIv@NkAER', 'c|LukIe@`BRhBbA_Dq@k@', 'urN}_I]dAX|DFcHC^', 'msN_xHUs@B`DPmB', '_wNu{IIgFCnHLgA', 'ivNybHKsCKXWyATiEg@rFn@vOHkFXGQyB', 'axN{cKExNd@|Aj@sABwGi@wEe@S', '{wNijJGsD@pFD}@', '{wNq{ICk@CpKFeJ', 'qwNabIA~GU_DMd@HjDGwACf@f@~F@oCf@`BLhJBkDBzBNeBDlHPeHZzACsCSsCU~AQi@AcEOZq@qK', 'qxNkeJG{D_@rLf@wF', 'gyN_tI|@sNScCq@rIQlGVp@@[', 'uyNozHHTQyBB|BBY', '}{N}dJBcG]|CTnEBiB', 'i}NseKAeGCrIDmA', 'u}NkkJUcFA~FVt@?qA', 'wyM}oJJbAMqB@l@', '{rNwoJAyDYnARvCFm@', 'ssNe{IDyFYe@_@X@pDp@rA', 'ctN{gIQyF[nCX`ERwA', 'ysNqfJg@}I]pMdAsB', '}uNgoIAeCYtBNQJ`@', 'oyNswJFn@NaEe@mCL~G', 'qxNigKLt@Z}Bq@sMi@n@MhBj@bCR|F', 'qzNkeJFdAGyE?rC', 'ozNyzIScMSjF@lAZg@E|ENk@', '_}N{aK?p@FmBGz@', 'qsK}yFPs@YN@z@DW', '{uNsuICq@ExAHg@']],
+        ['RU', 'RU-AST', 'Astrakhan', ['eoHkbHg@xBt@lAJpAN_@d@lAn@sCd@AbAmAOiCd@x@`CiC`@t@ZAZzAHkA^DCaAfBv@U}AZi@g@`@d@q@i@P^s@gAuC^]w@PK_Be@GP]qAfDUmB_C~AgA`BM|B^HUj@_BF[zBs@[']],
+        ['RU', 'RU-BA', 'Bashkortostan', ['a_JyeJl@dBw@hAPzAc@^\\zDk@pAx@h@bAnCJgAj@e@rAtBNxAl@cBfBx@|B}@`AyAf@cDnAm@Cq@d@^Jy@f@?B_Au@e@FkAx@CZr@HuAhB_@EUYPb@oA{@_BNqDu@WUPYcAeAj@eAWAe@g@h@qCSo@oAFqAgAH{@y@UbAz@nAj@|FqAxCy@Ho@y@TmCHb@p@Gq@{@j@_AOg@Un@W_@Bs@aA_CAnAe@OG`@_A[D|Im@X']],
+        ['RU', 'RU-BEL', 'Belgorod', ['o}Ho{EzA]^g@O_Bj@_Bm@eDhBsB_@{@r@_CKo@e@QkAv@c@Yc@nAq@YExAe@G_@nANrDr@hBO|Bj@b@CfB']],
+        ['RU', 'RU-BRY', 'Bryansk', ['}lIokE`AfBSzCd@`@j@}@~AAh@e@B}Ao@WG}GhBuBc@Ek@_Be@Hw@s@_@x@g@eBaAx@GfBa@Gy@`A[lBNpAXElAnB']],
+        ['RU', 'RU-BU', 'Republic of Buryatia', ['wdIkiRhAcEjAmL`Dm@fAcEHgDaAqF\\iG~@iBFmBgAq@_@iCs@xBgAcB_@j@o@o@^{Cu@gCV}B{CuGLcA[YSoEgBqCqA|As@DkAeFsAeCUuEcAk@eBhBAxAyCR]\\[Ua@fAy@c@k@{BQTVnErA|@B~B\\n@_@fEu@n@HhDg@j@z@vA_@dFt@l@VtEl@ZhAkCTpApAl@x@_@|Bj@J_B|FbExCrJrBrCn@`DdAFZ~Cu@AG`BiAVsAdC@rBoAbBc@tB{@|Au@Zr@pDr@^Mv@p@?p@z@^CZy@']],
+        ['RU', 'RU-CE', 'Chechen Republic', ['_iGczGNcBsAoAGcAaBh@mAeAc@r@b@fA_@l@DvChAl@Tm@bCURT\\m@']],
+        ['RU', 'RU-CHE', 'Chelyabinsk', ['oqIyjK_@n@i@i@_@TEhFSSg@\\Bm@YM_@n@i@oBMXa@KSr@QOg@h@o@vCb@zA_@vIZd@N{@VXh@B^e@JR@oApArEZo@Lt@k@p@p@z@q@FGc@WzBn@jAt@EtA}Ck@}F{@oAH}@fAr@fAIGpAn@nApCRf@i@@d@dAVh@O^kAi@QJmD`Al@TWcAiEcAhA{@{@C_FYFc@pDg@OA_AWfCa@_A[f@Di@]YXcCSqA^Wg@SQkC']],
+        ['RU', 'RU-CHU', 'Chukotka Autonomous Okrug', ['ctKns`@ZlAMuBMf@', 'cnL~cb@lW?McAmAoAy@dBgAODwAe@`@Hq@WA`@GLaAi@}@n@BXb@Gz@bAoBn@FDoEa@wA^{Dz@{@\\Vl@yAYwC`@?nAiEMq@k@B`@]^THs@Oy@WECj@EYNcC]tCQYAf@[m@FdA_AwE[VEbB@eBo@SHz@]?W|Af@_FDx@?eEWKo@~Al@mDMSe@Vi@aEWjC?m@S^JfAQo@}BhGQ|FT}BKlCN^J[Dh@_@AC]IX@g@OrBJ~DRsBx@SR`AXqBj@|@q@Bd@vAq@C[hBKw@}@j@s@]c@~@JUJnA[o@_@Z]lBNd@ZaAKhBIX]sA]xBR_A?`AcA~CFx@KZEw@u@pDj@gCNhA_@IWfC[BPo@_@fAm@fF', 'qsLab`@a@lFd@dBr@_FCgAs@k@', 'c~L~cb@lB?LcBWyHg@aB{@|D?`I', 'orLev^r@Jl@qAd@p@X_ALp@d@Wr@d@K~Ez@tQj@hAZw@RtBjAWx@{Dd@SbAjBn@gDzAx@n@_FbAaBDwC|@iB`@yD@{@w@{A?iCn@iC_@kAz@yBMqGv@}AB}Cx@gANaBx@q@rBbFrAcITPt@y@e@aJZ_Dg@gDNmAhAEAk@v@_@Oo@SXEqB]QH[HP{AmGKyBObAg@K^g@Su@l@\\x@_Jc@Io@aBu@fA_@_@i@vBDg@w@l@`@KFZCR_@U?vAIaBkAVDr@Mi@oAlAPORh@FUi@pCYPk@Yl@rGa@}@i@bAl@fIS}Fa@cA\\mAAkDm@bAA`CC}BfAiCFaFPf@_B_HmW?y@rCIxBAsAQz@q@vKk@vB?dALkAH^a@~OHVH_AJv@g@|A_@`MjAU\\tAByAlBmBR~AVIGv@Tc@EfE{@r@_@vE{@Fo@xAv@tDMzKg@~CP~H', 'uzL_db@mB?`BrGp@a@e@qF', 'asLgf`@F^G_A?^']],
+        ['RU', 'RU-CU', 'Chuvash Republic', ['}{IqmHeB`Fv@pEhA|@n@}ApA`AAg@r@]^yAEcAm@m@LsAWJi@y@a@jAeBmC']],
+        ['RU', 'RU-DA', 'Republic of Dagestan', ['mhG{|Gt@TpA{DKa@~BaDAcA}BiCiF~EiDo@?^fAZu@SuAp@o@lBaAe@_@zAGnCnAxAr@[Rz@DqA`@?PiBTAc@iAb@s@lAdA`Bi@FbAb@Fp@rA']],
+        ['RU', 'RU-IN', 'Republic of Ingushetia', ['cjG_vGXYg@qAcCT]z@Dl@f@FvAwAL|@ZA']],
+        ['RU', 'RU-IRK', 'Irkutsk', ['kpKebTd@y@`@xCYfD\\ObAv@Xk@|@xBjAkAN{@`A|ADWh@Ff@dBh@Pt@jE`@k@TnAb@CH`@vAg@\\cDnAA^hCl@c@Dq@bAWl@lBd@@L`A[tB_@EYfBm@JL~CVTdASvBtGj@PBj@jA]Rh@]dAiBfAAbAx@v@NzAQlEvCrBRu@ZXDy@hASD|@b@ARxA`AfAvA]|@bARYnAZIdB`AlAtBsDO{@X{AdBkEKuBf@}@sAiEtAeA~@iDlAaB?uBtAgCfAUD_Bv@E[yCeAGo@aDsBsCyCsJ}FcEK~AmAg@cCNeAw@E{@_AfCy@WWuEu@m@\\iFy@sAf@k@IiDt@o@^gE]o@C_CsA}@WyCPkAd@hB\\qAPiCk@iBVU}AcAFfAmBbAU_Ak@?Ic@YTSgAl@}CG_Bs@CWdAg@Us@b@m@[WRg@|A`@nAQ`CKZm@[Q`@Uo@aAjCa@pDz@hE|AhBb@rB|@Xd@pDf@Ls@Hc@c@@bAg@Bx@|BIzDv@rAO~Bm@XEp@[Ac@q@uBi@gAmAOLEk@wAo@e@nCg@OcAt@qAoAo@pC}@kASb@qAPi@bACtDo@_@K_BsA|@LtA']],
+        ['RU', 'RU-IVA', 'Ivanovo', ['efJipGc@\\l@hAi@?f@HF|@}@LZvBe@nBx@Jb@pGp@dCh@XF}A`@Db@aAa@mBd@oJKaAeAFc@}Ce@Xc@gASX']],
+        ['RU', 'RU-KAM', 'Kamchatka Krai', ['guIsp_@mApAc@?DbBjBuD', 'soJmd_@s@\\j@`DD_@xAbBROkBsF', 'iaKiaa@w@T@l@iADOlAf@fD[~Cb@dJs@t@UQsAbIsBcFy@p@O`By@fAC|Cw@|ALpG{@xB`@`Aq@rCXtEN[`@P^y@p@dCd@[\\h@z@o@Vx@f@QT|A\\@h@kBrAPRpBRiA^j@t@g@Ls@M\\Ik@d@c@[}@[dAu@i@_@RSw@Sf@]m@UqEl@oF@hBXc@YvCd@pArBPn@x@Pw@dAjBVs@zAhJj@F`CvGxAjC|BnBtAhEPUMjCj@`@K`BXl@z@q@jA~@KX`BvBjGnArMoBtAcAC`@rFo@l@o@f@RyEeIcAu@eAZ@[YJW]Yh@E]`@WmA_Fb@m@sAt@Ba@_@ZgBm@gAiCDcEq@qAsA~@iAHgB{@g@iBUb@_@yBFSt@nBj@aBa@_AmBXEzAuBCgAiBs@~Bv@bAQUSjAi@PoBsA_AcC_@d@HkA]d@Ko@u@XMi@g@D_@uAK^HqBP^J]QLa@iA~@eAg@iA]h@gAqGtBt@N]wByCg@uLlCsEqAmAWZUcCk@k@Fm@MP[sAPQW]Wd@F}AOn@WiBMRHk@]`@DqA_@eAe@KRs@e@u@DkA']],
+        ['RU', 'RU-KB', 'Kabardino-Balkaria', ['gmGwgGz@oFiAy@Ra@k@Q@y@m@ES\\q@[b@vIh@n@hAR']],
+        ['RU', 'RU-KC', 'Karachay-Cherkess Republic', ['_oGi}Fz@qDC{CiASg@k@m@PLf@YPe@s@g@lCNj@b@On@r@]nB^KJ`@nAP']],
+        ['RU', 'RU-KDA', 'Krasnodar Krai', ['enG}xFe@a@JiBoAQKa@]NZqBo@u@[TWYg@~@w@q@u@hABr@}@d@_@CMsAiBv@@bC_B~@IrBj@rBm@IGvA\\PHi@ChDt@a@jAaCQlAz@Xo@KF^jAbAbAYJ`CSKS|@T^Hy@ThAb@wB~@}@Kw@bAwAVkBnDuF', 'ayGmwFFeB~A}A\\Pu@RVj@~B[h@Za@vBs@CXk@c@WUx@mAo@u@\\EjA`@[N`@a@~Ca@wE']],
+        ['RU', 'RU-KEM', 'Kemerovo', ['ebJ{hPv@dDMxH~@`CJWf@~FbBgAXXBo@vDg@~AsExAuADwAr@bA`@qAj@Zt@m@ZyFv@JO_AmBmBe@`As@]Wx@k@Os@uAk@x@Oi@c@@K~CwAkAwAhAuBsEwAlA[|Ac@NQm@WV']],
+        ['RU', 'RU-KGD', 'Kaliningrad', ['ewIejCk@rDPd@r@ICjC_AmAz@vABbBx@Nh@x@RwRi@P_A[c@lB']],
+        ['RU', 'RU-KGN', 'Kurgan', ['}xIqlLo@nBWAEpCk@\\E`Gw@bACdBmB~@PfBv@\\]vCTHFlEbAr@zBgBLlA`@`@`@o@Rz@dA[GwE^Uh@h@^w@m@qFNwBi@CUq@aA_PU[SXEuA]W']],
+        ['RU', 'RU-KHA', 'Khabarovsk Krai', ['kmH}fYVaAp@^z@i@jAtBjC`@IqAu@Co@aC\\aAVHXwFm@iAu@QPkA_A_C_@FSxBWa@e@x@eAeEp@oA`@X^q@f@~@HYXPP_BoAm@eCwDiBk@Cb@qBcAy@Zi@u@M`@kANcBu@w@B{BsCc@NIi@s@tAo@e@e@Js@lBV_B_@o@]BcAdDm@~@e@Bo@|AT|AUbCv@YdB`ABj@cAgAa@?`AtAZ`DMViA_C]lBFa@o@s@`@fCTm@d@RLtA_@Rk@]aBANtEYdB_@JwH_Ra@Pq@_AJYc@GoDwJuAo@eAgDcBgCs@sDKuNBy@b@ZRm@M}@q@OFaC{ACE`AgApALrBs@v@w@mBLcAs@QEi@wAME^i@DsAhDRr@OvC|@`BEx@m@?Vv@]FSnAh@l@FpBk@l@J~@qAnBYvBb@dAbALLx@bBvAhAzFj@Th@s@d@f@zCAE|Bb@\\h@lCc@fEpApB_@~Ib@tBj@DAh@pAb@Az@p@MXb@JUUbCbBuBRfA|@b@BpAdBkCr@RQf@ZhAdBt@j@KCgH`AmBvC|Ix@PFhAfAdA`@mEhBEPwA_@{Fs@sAVwAe@mBd@gAPTP]|@z@x@Wj@\\q@fGl@Jf@c@`@fDx@z@TnD`AQTvArBpAAw@v@@BkAj@_@^^Ng@h@\\P]nAHEkBo@c@d@k@KkA`@oAfA]l@mIj@j@AjA', 'ksIk|YPR[g@HR', 'owIixYh@bBCoAe@S', 'cwIy}YY~ApAbASs@r@m@sAaBC^']],
+        ['RU', 'RU-KHM', 'Khanty-Mansi Autonomous Okrug', ['mbKyrJPaBb@OF}E|AaHh@o@ZR|BwATwAbCg@XkFdCaCLmCQmAq@AeA{Hy@i@i@qCWl@Qo@`@yEQ}CdAeDnAcBBqAv@Sh@iLaA_Bs@@e@u@_@uCgBG_@_@URc@{@]N[Y@aLb@c@[mGt@aHcBaE`@_FaCuI{@~FoBxAe@vARfBy@hBKtBVjA[vAy@l@FhBx@dCd@PZhJsBfG?rLa@bFm@t@p@hHoAJS~B}@dAe@i@]zAYbGD\\TYTTOxAt@|Bg@bEs@WMr@A~Fv@|Ja@DKj@EjCe@u@]XoA[KbAiAzAdDpGa@bBv@bBTIb@j@FYj@BRu@f@x@jDdA^s@d@Nh@o@jAn@ZQ']],
+        ['RU', 'RU-KIR', 'Kirov', ['{`J}wHIw@|@m@Eu@\\@To@AgAgAz@kAoAe@|@gAJAsAe@s@eAGe@j@y@{@BiJa@La@i@_@d@]]K~Ai@d@aCaBe@n@UzGfAdBUxAf@t@PdDjBd@@f@c@JQ`Ba@EKnB}AHa@y@Kf@uAXg@rFjAn@PQ~@z@@xAb@{@IuAz@TRi@bALBe@xAeA?z@x@z@JpAxAv@j@cHNf@v@R@nC`@LV_@x@XP}Cg@m@HoAa@a@NaCo@m@v@OCyA`@ETgA`@D']],
+        ['RU', 'RU-KK', 'Republic of Khakassia', ['qyIyhPd@j@vAiAtAjALaD`@?Nh@j@y@r@tAj@NBi@h@O\\\\b@cAnBnB^rBv@r@Hu@t@f@`@yAo@kAS}ATmAg@cBmAEGeAiCwDi@Hu@cB_@jA}@Zo@YuAz@[|@_@MOzAw@r@^fE{AtB']],
+        ['RU', 'RU-KL', 'Republic of Kalmykia', ['y{G{gHWZT|AgBw@B`A_@EIjA[{A[@a@u@aChCe@y@ZdBy@|A{@Tc@vC\\lAg@r@j@_@`@NG~@`AtAz@_@s@aAJg@rBL|@vAp@[Md@h@\\Dr@u@tA[vCFZj@c@\\nB`@KLmAa@OTcAq@oAx@_EbAaAxAsGb@Wl@kFa@UXO{CsA']],
+        ['RU', 'RU-KLU', 'Kaluga', ['cnIa`Fm@Rk@}@Wf@SuD_AVLs@][]IkAbACtHhBlBDpAr@D[`CdB|@^{Cx@cA`@FFeBR?@eAu@w@MiA']],
+        ['RU', 'RU-KO', 'Komi Republic', ['mbKyrJ[PkAo@i@n@e@O_@r@kDeAg@y@St@k@CGX}@e@s@_B`@cBaDsFa@cEg@Aa@wAo@UqAqIq@QcAuDQz@WqAUd@YMO~Ck@Bg@i@DpCLp@XE`@jCf@El@`Eh@LlAtGQ|x@`EtRnD@E_CjAsARqAv@^OlChAlFYx@BlH^jFrAuGd@g@j@Ld@wB|@|A`CaAYoDqAOGwFvEnBRqAnA\\Z~Cf@PtAYJg@`@x@|AIJoB`@DPaBb@KAg@kBe@QeDg@u@TwAeA_BJ{@e@Ca@jBw@WFyAq@iBJaBZBDeIs@}@QgE}@mAEsMYaA}@[']],
+        ['RU', 'RU-KOS', 'Kostroma', ['cmJy~Fj@m@tAlBdAINt@j@Kc@}Ey@Md@mB[wB|@MG}@g@Ih@Im@_Ab@]BaAs@gCiAWZkCY{CaBq@KqAy@{@?{@yAdACd@m@ICjCv@H^pAL~DIbHYFZ~Bu@~Cz@B`@hDl@G\\x@']],
+        ['RU', 'RU-KR', 'Karelia', ['e~KuwDrCqBJrAL[~@r@Vu@Xr@d@e@DcAXKLl@`@O`@eB\\IbAxBhBsFz@iApA`AnFfK`CkTsAiFKpAQMLoDa@_A^mCmAmFDcFwA_@o@f@Az@][w@Je@hEg@n@c@]mAlBOyBy@IiAlCFzAs@xBc@u@Ep@Qc@Wn@WMy@|AKkAgAANw@gArAm@vFUuAS~CEm@CVj@dF{@bADvLf@e@', 'muKe_F[NHv@PgA']],
+        ['RU', 'RU-KRS', 'Kursk', ['}bIyuEVALz@t@k@VTFqDz@}AEs@k@a@N}B}@wCEeCXq@cA\\SiAm@h@DtDwAnEVnCc@NN`Cv@j@Lz@`@@']],
+        ['RU', 'RU-KYA', 'Krasnoyarsk Krai', ['kcMsiNr@qAl@}GJz@`@KHpCd@l@fAwGr@]NRJa@^\\T[GpBv@hDt@xAZq@FVH_Bz@iAZ}EKwBc@URq@\\PFyBTVj@k@^aBPpBPi@d@CV|@l@DD|BlAcCTZPUPn@rAoE\\[Jh@\\?t@yAVp@p@m@DeBx@}Ah@Od@t@f@BZyHhCS~AxDl@_Ch@f@j@ItCvEhAq@bA_GxBtI`BgBnAp@P}NxBeDCmCt@i@TvApA|AlAi@d@yFv@?Dl@`BzBDe@r@RVWVn@x@oBvAmApAfDzAuB_@gEv@s@N{A^LZ}@tA{@n@X|@[j@iAh@`Bh@IhCvDt@iAXkIwAgF{B_BMgAaAe@MTM]c@_K{CdEm@mAHeBoA[SX}@cAwA\\aAgASyAc@@E}@iAREx@[YSt@wCsBPmEO{Ay@w@@cAhBgA\\eASi@kA\\Ck@k@QwBuGeARWUM_Dl@KXgB^DZuBMaAe@Am@mBcAVEp@m@b@_@iCoA@]bDwAf@Ia@c@BUoAa@j@u@kEi@Qg@eBi@GEVaA}AOz@kAjA}@yBYj@cAw@]NXgDc@yCg@^AdDs@pCT|Ac@pA}@m@Du@a@l@}AaEa@jBcAIe@dAc@BSk@_AZk@~BaA{FmHQoBtCwAmLN}Dq@u@c@l@k@cEg@^iAmLo@{Aa@lCoC?q@zDWo@y@hCs@y@cArCm@_EMd@n@rFSfBVo@\\tFJWXjLVMTiDQrE^`EWsBgAqAMqCw@gACwDcC}JArAgAyLsCeKo@xAPzA[JAW[hBd@_GVd@?Y}@aAApA_@Mq@x@@`AZiALpCQy@SfASq@U`BTtAYiAy@|EBrRh@RB|GqAwEYdCHtG[aBHdJw@mLg@rA[~EHtHv@fFdBjFRiAj@dA`@qG_@vGHtKjAqEb@E\\`AA\\s@aA]nEMUj@|FJu@J|BWi@@\\`@|CSg@TvDE^g@{BGtNN}@InDHUNnADiGfAhYJUDxAHQMxApAbGKxDLVJqDFzBHk@n@|BPg@i@lDb@dANoEHn@^oCHjBQm@M|AFtATq@GlAz@aHBrAd@gAIgAv@bB`@fGvA{DaA|D]FmAaGz@`h@La@`@tAT}@F`Ah@sBn@b@Tg@LXt@kHRUPVh@aBFgCh@s@fBbBNs@lBmA\\bDp@g@SdBq@iAaAYo@n@P~@z@VFz@hAe@iAt@i@cAi@h@U[c@N[{C}@g@DlHeA|EEg@w@fGChE', 'qzMg~QPzAU}BB`@', 's{Ms|QHTSy@Il@\\XE_ACZ', 'w}MokQ@x@BaBEf@', 'alM_tTs@kCVzBSzDh@`BZi@UcF', 'mmN{`QCv@HkBEr@', 'qoN}_QDhBAiCC^', 'yoNazPMrBTsCG^', '_qNgqRNx@MoAAT', 'yeMgpN_@Ba@hAr@tBLcE', 'gnM}hODjC?aDET', 'onMacOFp@BsAK`@', 'aqMsuODlAD_BKP', '_qM_yOPrAGmBIX', 'erMusOB_BExB@Y', 'usM}~OPbDNmCOl@GyAIT', 'cvM_aOKl@O_@^fCb@gB_@EGg@', 'iyMe`OGnBHmCA\\', 'u{M_{QHpGTuEQPFeAUG', 'g|MacUA_@A`ABa@', 'g~MytQEl@BqA@b@', 'a~Mg`RGd@P}@IV', 'qaNizQf@bGBiEk@y@', '_bNqoPJnB@iCMX', 'ahNyxSKo@PzCEkB', 'cjN{qSm@n@DvBOh@E]OJg@fDdAvFqAyAO_AWhDL^VUYtA`@|BZf@L_C?nCb@PHeA@zCpAbAz@zCPwBo@kG]kUo@}B', '_pNadNYvH`@aCGuD', 'qrNehQYfPZuALl@V_GHtAk@yJEb@', '_mNioRs@jDA_CuA]Og@o@bHb@b@`@lFeAsDUbBLnOf@pCN}Ar@nJJ}ADh@DY_@_CJd@H{@Dx@CyBl@Cb@cBl@iPB^?iKYgBQF', 'ayNyqNXfDSeHE|B', 'ezNe{PCjITcGQgA', 'swN}aREYgBbLBfCHyAj@rNHU`@bCCyCv@bBJnDLsCNpF?kJB`FV{C?bD`@oIm@oTSm@g@nA[UIgDCj@', 'qyLugOvAn@Mo@g@@Sa@M^', 'caNqkPJlARs@_@Y']],
+        ['RU', 'RU-LEN', 'Leningrad', ['czJ_nDXh@i@sDv@ASr@b@c@f@}AQkB\\wCr@WNq@`@bBcAnBIjBh@`AKdAb@RQhAnAa@Nz@z@b@`@_GfAgCG{Aw@IBkB_Ay@N}@kAo@CqBt@iB}@gA`AeJg@sBYMM^]eAKl@s@?I~@uA_@aATeAmB_@fAEvB`@~@MnDPLJqArAhFaCjT~B~F']],
+        ['RU', 'RU-LIP', 'Lipetsk', ['klI_zFq@tAf@lBc@x@r@pAr@UCfCzAf@t@aAb@r@h@?_@iHd@}AEwCaAe@kArCgCi@']],
+        ['RU', 'RU-MAG', 'Magadan', ['_rJau[VcCa@eCb@mC]KQp@?}Aa@`@YcAh@uGLt@Jw@a@{Bx@aARuBTtFt@s@IeCc@cA^kB_@UEaA]EAoAf@w@a@mAFuC_@C_@p@FbDg@OP]{@\\Aq@c@JE]ZLeAaAoAyEk@Ew@mC_AEu@kDWmIPgA`@Ay@yClAJ|@dBXk@b@f@U_Cj@t@n@Ba@w@DgAc@YwC}Hu@f@_@k@ShASqBsAQi@jB]AU}Ag@PWy@{@n@]i@e@Zq@eC_@x@a@QIRV^_@`F}@fBIdDcA`Bm@|E}Aw@]dCTZZQ?vCd@vBw@`BZx@[bKZb@V_@TV?zC|ABXxCx@d@p@q@`AfB[h@JjBZPEvC^BIrA[^YKOt@^vB[vDVv@d@o@z@~@S`AYAVdA_@nDt@v@TlB^O~AlA~Bm@JfAh@If@xAHiFlAiCh@ED_@vALDh@r@PMbAv@lBr@w@MsBfAqADcAzABJh@']],
+        ['RU', 'RU-ME', 'Mari El Republic', ['{`J}wHa@EUfAa@DBxAw@Nn@l@O`C`@`@InAf@l@W`DRnCj@HXx@P_A`@Nf@k@u@_G\\OFsA|@kBkA_CIVY_@[oBPaA[k@GX']],
+        ['RU', 'RU-MO', 'Republic of Mordovia', ['qoImgGPuAq@}CdAmEGc@g@TCwEu@}@c@oCMl@wBl@LpBi@?rA`Cn@QHh@?bAUGiAtF`@bAQvBXH^w@PZTMVxALsAL~@\\c@V\\']],
+        ['RU', 'RU-MOS', 'Moscow', ['uvI_gFqCwCWNSlAv@?h@n@Mr@j@SLTn@k@']],
+        ['RU', 'RU-MOW', 'Moscow', ['gxIa|EJyC[sAV}@S[k@RLs@i@o@s@DHeA\\]pCvCVMl@_G`@Nl@y@_@o@g@RGqA{@s@[oAI`@c@aBgBdALbBg@vCqB|@a@Oq@`Cf@pBl@RKj@n@tCWzBf@Kz@dAb@c@jBC']],
+        ['RU', 'RU-MUR', 'Murmansk', ['mnL}sDXjBJmA|@dA`Ai@XeCjAgCjCtDfAs@EwLz@cAu@{Gs@rDUYWx@EpAAiBLuBN`@v@gCGcCRH@uAD^PWM_Aj@wCbAuQgAyJoAsC}@i@Yv@_BZEbBoAfCTMy@dHiAlC}AtI_@`MlAjCs@gBKz@_@w@XjCc@s@HpDQ}@G~Ae@Q`@wC]s@m@vEBZ\\e@GlAZSNdBUUQpBv@ASpCLUVTZrCt@tA']],
+        ['RU', 'RU-NEN', 'Nenets Autonomous Okrug', ['ckLs_IVdBUmCAf@', '}mLayIFZ?w@GZ', 'a~KisGvBqT_A_B@mDaEuRNcz@kAoFw@y@a@wCe@Fa@kC_@Eg@yEo@bAMvC]Bq@eBVp@]i@]xAsArUx@|CxAyA@}@h@Mj@fFj@]Xx@OrBg@D[gAa@hBMaA?bATxB\\]]p@`AfD?bK^xAl@T[`AF`G[qCq@j@e@}@KvAQaEDfCbAtHE{@LZVo@X`AGr@Qk@C|@QYf@vGfBhIMjBx@gBFzF^SpBhAVhFUe@DpBaAvAi@fCgAwAQmG}@`@kA|D]lMfA_Er@HCm@Jt@LYFb@h@InAhAb@yBb@[Z^Tg@r@dA', 'eoLoyHgAxGl@xBjAN`@iAIcCiAuE', 'ksLkyJcCnH\\hBTaAGpAr@y@TqCPe@NJScE']],
+        ['RU', 'RU-NGR', 'Novgorod', ['kpJaxEaAvI|@fAu@hBBpBjAn@Qx@`A|@@xBh@Mx@dB^Cf@kDRX^g@p@`@TaAx@VDqDgB}FD_Bk@Eu@kA[^Q[LgE_@QFw@m@cA?oB_@y@o@dBLzAcAjB']],
+        ['RU', 'RU-NIZ', 'Nizhny Novgorod', ['}uImhGPwBa@cAhAuFTFEiBq@NYiAg@ISo@f@@GaAsAeAq@zAgAy@iBpBMw@k@GS}CmB?AoCkAy@_@zGXzC[jChAVn@hERYb@fAd@Yf@~C`AIHx@p@gAnBtD`@Q~@dA`@mAK{@Z?']],
+        ['RU', 'RU-NVS', 'Novosibirsk', ['eqIaxMeAqF`An@Cx@bDyG[w@URPsAa@y@MsDeCmGzA}BE{@XVXS@kAl@w@wBkCXk@e@_@G_E{@mBs@Z[[Wf@oA?Cn@YYc@j@_ABDnB|@`ABdAk@WaAbAi@e@U`@x@pHu@vANlD_BbCm@dFQpMfBa@t@tA@w@r@e@HnBp@xAVGBr@h@m@^j@bAy@VH|@aBNZrA?']],
+        ['RU', 'RU-OMS', 'Omsk', ['qxImwL?eAfBe@Po@fAJ@j@h@e@AaB[UTsAo@Zn@wAl@PI}@Qf@OMd@}C[}@h@Ah@xAf@Wc@uBb@yAk@KuAwFsA?O[}@`BWIcAx@_@k@i@l@Cs@WFq@yAImBs@`@Ax@u@uAc@DoAd@eA~Au@Be@~AS[W\\Um@Yd@xArDC~EZl@M`I}@I]pAzBdBdA}@d@r@b@c@[aBbBqBZxB^@Lt@L_@T`@b@[d@TD~@Hy@Tj@Zg@z@v@']],
+        ['RU', 'RU-ORE', 'Orenburg', ['}cIevJUVaAm@KlDh@Pa@|@^MT`AXOv@\\SjDz@~Ac@nAXQDTiB^ItA[s@y@BGjAt@d@C~@g@?Kx@e@_@Bp@oAl@g@fD}BzBCnA[XWWIfBNbAn@w@lBnApAOl@tAh@?Cd@rBVbA`CXwB^LBmAk@c@SwA|@o@CkD|BuEl@RRWOc@aAb@S[bBkEkBcDRi@Y{An@_AIq@i@IEkBXy@l@K^{C^OQ{@y@g@f@kC]gC{As@a@d@m@xEWSOrAYD']],
+        ['RU', 'RU-ORL', 'Oryol', ['ijIokFy@v@?tCcArDfAlBEr@^APg@f@dB^y@|@r@GqCb@QWiCtAiEEaAiAgAu@`Aa@_@m@D']],
+        ['RU', 'RU-PER', 'Perm Krai', ['g_JurIc@i@j@qA]{Db@]Q}At@aAI}@a@o@aACe@h@g@iDw@XeAk@RgAa@aAu@n@{AgDe@BSdAoAQ{@jDmAiAM_AaCmAgAO{@h@e@_@q@L`@jBAhL|@lAPfEr@|@EdI[CK`Bp@hBGzAv@T`@kBd@BFgFd@o@`C`Bh@e@J_B^^\\g@d@j@fAUr@y@r@KZ`@Tu@\\ZBg@p@OLz@j@HIl@^CEo@|@u@']],
+        ['RU', 'RU-PNZ', 'Penza', ['ioIifGv@DlDcF^n@RON}Fm@g@l@_Bg@yBTcAs@}@HkB]]qBNa@pAaB~ADbFNp@d@WFb@eAlEp@|CIxB']],
+        ['RU', 'RU-PRI', 'Primorsky Krai', ['obHodY`@\\h@IVh@dBh@Zz@tA^w@hFjArAVbB|CaAfBR\\W|Ab@h@nCNe@|@Sk@g@Yh@ToB}CwBDm@n@Vm@sAxAFKyA\\KMa@Za@e@yC{BoFkDmC[aAkIsJmDiBgA}AQ~AYQIXg@_A_@p@a@Yq@nAdAdEd@y@V`@RyB^G~@~BQjAt@Pl@hAYvFWI]`An@`Ct@BFrA']],
+        ['RU', 'RU-PSK', 'Pskov', ['oeJalD\\]hAh@Bw@xCkARyEt@Sc@oCt@kBc@}@FsAm@XQa@q@Bc@|Ag@GQv@g@k@?dAy@WU`Aq@a@_@f@SYe@jDa@Bg@_AmBrJT~BbCCfA{@x@|Ah@gA']],
+        ['RU', 'RU-ROS', 'Rostov', ['}tHwyFbACl@zA\\iAJt@j@\\Bi@d@OLRFa@vAl@CxD`@RVvAzAL_@oE^?CYTT\\xBHo@j@Hk@sBHsBpAk@JwCbA_@ImBc@H[mBk@b@G[ZwCt@uAEs@i@]Lg@o@^_AyAeCBx@vAg@LExCcB|AE|AiAK[mBq@WeApA?t@sBMcBzCjB~ARvC']],
+        ['RU', 'RU-RYA', 'Ryazan', ['ymIcrFb@w@g@mBr@{Am@cBX_BeAm@a@sE[f@ScAMrAWyAMP[_@g@|@k@MJx@[d@q@zIh@fBHa@ZnAz@r@HrAd@Uj@p@xBm@']],
+        ['RU', 'RU-SA', 'Sakha Republic', ['mnLip^i@`@}@IPv@hAGPaATH[O', 'wqLeq^O\\l@V]u@', 'ulMsvTRrAb@g@f@vDbAsCr@x@x@iCVn@p@{DnC?d@iCj@vAhAlLf@_@j@bEb@m@p@t@O|DvAjLnBsClHP`AzFj@_C~@[Rj@b@Cd@eAbAH`@kB|AbE`@o@Et@l@L?`@`@OCeDbAmGUcBrA{@H|Al@b@DwDf@_ArAURc@|@jAl@qCpAnA^Cd@q@h@Ll@oClAp@Dj@NMfAlAf@ElCbBDo@|@_A?{Au@qAF}Dy@}Bf@CAcAb@b@r@Ig@Me@qD}@Yc@sB}AiBm@kBM}A^mDdAoCPn@Va@h@Z\\}Ca@oAf@}AVSl@Zr@c@f@TXeArCPj@[O_A^Rr@y@`@FTq@[wCJwCl@c@dAiMdByBPgGh@o@OoLd@sCc@OOuAHaHk@JeBu@[iAPg@s@SeBjCCqA}@c@SgAcBrBTaCKTYc@q@L@{@qAc@@i@k@Ec@uB^_JqAqBb@gEi@mCc@]D}B{C@e@g@i@r@k@UiA{FcBwAMy@cAMc@eAXwBpAoBK_Aj@m@GqBi@m@RoA\\GWw@l@?Dy@mB}Di@HKgA_Cl@_BmA]PWoBu@w@^oDWeAX@RaA{@_Ae@n@Ww@ZwD_@wBNu@XJZ_@HsA_@CDwC[QKkBZc@aAmBq@p@y@e@YyC}AC?{CUWW^[c@ZcK[y@v@aBe@wB?wC[PU[Q`@gAkBq@f@i@fDa@CSd@a@WGgBUv@i@i@cAuRRiE{@{@e@VMq@Y~@e@q@m@pAk@OKV~@pDzAYfAvABdAMaAiA}@YzAiBDWfF]Ne@k@Ej@?q@c@]u@p@q@vBk@xFIxK|@fTe@jDG{A}@`CHrDUMb@xBw@{BD~CYm@Q|FOi@Ih@OwFm@dAe@fGCnFjBfFTdF_@aA[p@HgD}@f@`@gAKkARfA`@ByA_EXtNS|@HqAi@sAP}JkBbf@z@gBPxHr@xAD}Er@jDP}Ad@Nf@{@HfDk@tAJbCd@t@LiBPzBRaA@r@Sv@Ka@o@xDSdFZ`Dj@ZUMi@|Hm@tA]}@L}@KzBfCzCHq@@bA~@z@\\dBo@t@T\\k@dEKYoAdBUtAKoC{@bBh@[Lp@{AfCYbB?USd@fA{F_@}Bm@z@i@lG@aGG_@QtFe@mGQjCUe@a@hEKWKPK`FRMHhA\\Ac@\\Dr@Om@SR\\pCWQCxA]JMzFXWOtA`@~@Ta@Df@h@yADt@d@JFlETsA]zDB|Kw@hGo@OAiBSlBW~Qh@bK\\qBR~At@B^jAj@yDk@dEw@sAo@DUfA_@{@w@~@Ux@h@YNrB_@tE', 'wxL{u^DZ?o@ER', 'g~L}|YFvDRkC[k@', 'ceMedXDpCFmDMZ', 'afM_aX?{EWtAVdC', 'giMu_[k@JkAnGFvDlA~BLnCn@gTIoAQR', 'gmMsrY{@tDjA}COW', 'mnM{pZStCb@d@\\mAOaB]K', 'gpMycUUbGb@^J`Bj@eGeA_C', 'wtMum\\KzLg@f@H`IM`@M[Q`AfAhAvAcLFoEYwGq@eACX', 'awM}pYQe@q@`B`Bn@GiBUA', 'cwMqk[y@zGEvG_AvF`@}@GzB|@ZPg@@rB]EuA`IC]x@bIf@}@BdCXk@d@\\Fw@@nBdBoEf@uFaAgB\\sAa@aJb@eCYoFq@|FsAtAKsAIPBcC`AdBl@mAX_Fq@{DKr@SIU_C']],
+        ['RU', 'RU-SAK', 'Sakhalin', ['krIyyZ?p@dAuAp@T][ZKHz@Xe@\\l@?f@]B^|AdA_@jCx@vA?Zc@AXv@mAfAe@nBl@xEQhCt@~CaAfAj@nBQdBp@~Bw@cDiB^uChBKcAg@{A\\Av@Xe@?j@kB\\gB|AmG{Ae@cCOpAZ_DxBkCuAhAwFvBcEt@KZ_@MYNV\\e@Ss@d@iA@s@[r@LUUsAKgEdBq@_@}@x@Xd@', 'utGmr[OdA|CfCLWg@EwBcEBR', '{zG_a\\ULv@bCc@Xh@HlAzCVQr@bAkB}CDs@{AqD', 'y_Hqj\\zBpD_CaFBn@', 'o{Hyn]YPhAdAT`Bj@CLc@q@_BmAq@', '}|H{p]b@v@Jm@o@I', 'q|Hgk]KUIf@TQ', 'iuHwf]fAl@Ci@cAC']],
+        ['RU', 'RU-SAM', 'Samara', ['{rIkgISRZfAe@\\]jBZjAf@Lc@jDl@c@p@JNl@XKJvHRY@t@d@ITtAfAu@NiAr@l@BaAl@g@ScATeAh@m@JqATHPmB`@IcAaCsBWBe@i@?m@uAqANmBoAo@v@OcA']],
+        ['RU', 'RU-SAR', 'Saratov', ['obIi|He@TM`BUIgAxDNnAoA~Bl@jB]`F~@vBUbAf@tBm@bBl@f@[hFPr@hCvAxAmAh@{Ae@_FNuBp@u@x@N?wAc@[n@w@_@}B|@gBKkA|BaDi@{A{B~@e@_Dw@Me@qDcAq@Fi@_@B']],
+        ['RU', 'RU-SE', 'Republic of North Ossetia-Alania', ['aiGmqGcAkEaBtAg@GB{@k@DChBnAWAx@j@PS`@pAzA`AgB']],
+        ['RU', 'RU-SMO', 'Smolensk', ['kzIe`Ex@Vt@k@l@n@`@oAXTr@s@b@cBr@NNoC\\D\\cAqAgBYFCm@uBo@ZaCs@GQeBUHgAcB_APIWcAl@WxFrAtCWfLd@Z']],
+        ['RU', 'RU-SPE', 'Saint Petersburg', ['uuJsxDbAoBWaBmAfAQzDn@_DRPOzA']],
+        ['RU', 'RU-STA', 'Stavropol Krai', ['o~GucGHlBf@UJpA^B|@e@Cs@t@iAt@p@^_@p@eE^r@^OMi@l@Q[kBZUe@yEb@ZBgB\\Q{@e@JiA{@MErA_@cAUh@}@sAg@M_@XsAdGiAnAy@~Dp@nA@f@]Af@j@MnA']],
+        ['RU', 'RU-SVE', 'Sverdlovsk', ['a_JyeJl@YH_G{@mA^sIc@{An@kC_@?y@}ALcDUI\\}Cw@YWsDuAnAy@a@I^oAoGqBt@Ir@eC|B]pF_Cd@UvA}BvA[Si@n@}A`HG|Ec@NQ`B^^nAQ\\^bAi@fAN`ClAL~@lAhAz@kDnAPPcAd@GlA|CRLt@m@\\|@UdA\\d@`BQf@hDd@i@`AB']],
+        ['RU', 'RU-TA', 'Republic of Tatarstan', ['m|IenIAtAs@gAQn@b@AIv@m@T_@]@r@JYf@nA`@u@?xBd@H@lAMhAe@m@BpBUl@]ADt@s@RGx@j@h@Q`A`@xBRTHWpDlG`@kAh@x@VKMrAh@d@b@a@o@eAPuEo@yA~@w@NcD^YAuAg@M[kA\\kBd@][gAZyBZTl@wAsADeBy@q@`BKwA_B_Ck@vB']],
+        ['RU', 'RU-TAM', 'Tambov', ['klI_zFhCh@fAsCbAd@JwA\\HKyBd@eEoA_A_@J_BaBoDbFw@EDpCdAl@Y~Aj@hB']],
+        ['RU', 'RU-TOM', 'Tomsk', ['k{JsmOa@~EbB`Eu@`HZlGc@b@A`LZX\\Ob@z@TS^^fBFH~Az@jBj@GvAnBXe@Tl@V]RZd@_Bv@EnAgBPqMl@eF~AcCOmDt@wAy@qHTa@h@d@`AcAj@TCcA}@aAm@wIKV_AaCLyHm@uC{@e@If@_B{BEm@}@F_@jFYZy@PkA{AUwAu@h@BlCyBdDC|MO^mAq@aBfB']],
+        ['RU', 'RU-TUL', 'Tula', ['ymIcrFyB\\y@fAYYm@rBVt@YpAz@d@Mr@~@WRrDVe@j@|@r@S^mAXgFx@w@HaBSu@q@Vs@sA']],
+        ['RU', 'RU-TVE', 'Tver', ['qlJejFkAjBHx@x@|@RzEh@n@?tAZDMhEPZZ_@t@jAj@DE~AfB|FEjBf@j@Pw@f@Fb@}Ap@CP`@l@YNsIsAqCV}F}@eAg@FVwBo@uCJk@m@Sg@oBb@mBUZaBa@KbBg@Gs@~Ae@_Aa@~@o@w@']],
+        ['RU', 'RU-TY', 'Tuva Republic', ['wdIkiR[x@_@Bq@{@q@?E_Ag@|@H~BW@eBzGj@tAUd@`@^XjHNU`Ad@LfAzB|AlAdDOnKw@bBh@~@l@M`@hABdEXm@hAQnBaDDfAh@^dAw@yCgLAqAc@g@f@y@U}@b@[FgFjBcAXsDUoBt@wFy@uCs@i@o@EyA~AaAUcDkE']],
+        ['RU', 'RU-TYU', 'Tyumen', ['}xIqlLLo@]Dl@}GmAkAWh@[i@Et@SkA}@PUa@M^Mu@_@AYyBeBpBZ`Bc@b@e@s@eA|@yB_BZwA|@HLaI[m@B_FgB}Di@hLw@RCpAoAbBeAdDP|Ca@xEPn@Vm@h@pCx@h@dAzHr@FJ`DrBu@lAnGH_@x@`@J_@`AOAa@`@r@p@@h@e@BeBv@cADaGj@]DqCV@n@oB']],
+        ['RU', 'RU-UD', 'Udmurt Republic', ['g_JurI}@t@Dn@_@BHm@k@IM{@q@NCf@][Ut@s@]yBfAChJx@z@d@k@dAFp@lCtAc@Lk@jAnAfA{@?i@j@h@SuF[a@Sv@w@kAB]\\\\l@UJw@a@L@y@z@fANSa@oCaAcA']],
+        ['RU', 'RU-ULY', 'Ulyanovsk', ['wsI_xHIfB_Av@n@xAQtEn@dAc@`@Q~C`AMRm@bA|DNqApAy@`@sApBM\\\\FqD{@mD_@tAaAh@SuAe@HAu@SXK{HYNOm@q@Km@b@']],
+        ['RU', 'RU-VGG', 'Volgograd', ['{yHmgH}@nC^zBo@v@b@Z?vAs@Og@V_@rCf@xEm@fBFpDrAzCb@gAhA`@\\YlAiCjBT?u@dAqAp@VZlBhAJD}A`B{AIe@VQ?wAm@Gk@eADaAa@Ok@^f@s@]kATeAa@~@e@mASVGiAu@qAf@uB_BsAc@r@aBWk@qAcAW']],
+        ['RU', 'RU-VLA', 'Vladimir', ['yaJkuFl@\\?lC_@d@`@NpB}@f@wCMcBdBaATuANmF}@_Aa@PoBuDq@fADzB]LLbDYpB`@dAc@`Aa@E@vA']],
+        ['RU', 'RU-VLG', 'Vologda', ['o_KakFEbFfAlEJQp@j@R`A`AUrA`@JaAr@?Jm@\\dAL_@XLHzAb@b@|@iBMyAXoAf@i@cAgBEu@jAeBq@sA?kDg@CAa@FcBhAiCG_C]y@m@F_@iD}@Ct@_D[_CXGHcHKyDa@wAw@IMqCSh@_ASHtAa@z@CyA_A{@OPa@Wm@pBF|B]PGpA|@\\c@~E|@vB?~E]|AJhBh@H[vDZtFu@`EwBxA']],
+        ['RU', 'RU-VOR', 'Voronezh', ['svH{sF~@{B]wEkC}Bi@Cc@fAqAgCBoCMaA[FeAdCB~Em@bABdEe@|ATpDNNd@i@ThAtAgAVRDyAp@Xb@oAb@XhAw@f@P']],
+        ['RU', 'RU-YAN', 'Yamalo-Nenets Autonomous Okrug', ['__LiuL]NQvD~@sCOs@', '}oLouKp@dBV?R{Cn@cA~@hAl@AN_DXLTe@VpAN}@dAvDp@PpApIn@T`@vAf@@\\dDhA{AJcAnAZ\\Yd@t@DkCp@iA{@eJ@_GLs@r@Vf@cEu@}BNyAUUUXEiAv@sHd@h@ROh@w@R}BnAKq@iHl@u@`@cF?sLrBkG[eJe@Qy@eCGiBx@m@ZwAWkAJuBx@iBSeBjAaCuCwEk@Hi@g@m@~B}AyDg@Mg@d@_A?YvHkA{@i@Ny@|AEdBq@l@Wq@u@xA]?Ki@]ZsAnEQo@QTU[mAbCE}Bm@EW}@e@BQh@QqB_@`Bk@j@UWGxB]QSp@b@TJvB[|E{@hAI~AGW[p@u@yAw@iDFqBUZ_@]K`@OSs@\\gAvGe@m@IqCa@JK{@m@|Gs@pAt@~E?yBXo@RVHhBk@jCZnDbAu@t@sFMcBTJ`@wBb@PEyBF~Bo@|BGxCTRWBc@dIa@u@o@z@_@CiAcBe@d@QYQdAOc@W~ALz@h@_AzAL~@bH^Dl@~A`@kBtBwC\\?fAxBpAd@`AkAt@VLeE_@}F`AaInA[n@kAZ|BjAHb@wHBnGk@pB[e@OVo@a@Kf@m@a@o@dCi@HAbBr@dI`A\\n@oAvACpAhDbARtAfHn@@GdKy@xFe@ZH}IVrAVmA[qDk@LMh@DyA[o@MNE_A[b@EeAy@c@MiBu@Qq@Tq@oB_BtEo@RUa@W^E]i@Ze@e@g@f@WYYb@[aAe@Po@_@u@f@eAfDm@kB]AsAgBsA\\AWi@~FExLp@hAjE|BlA~Gl@x@Cu@f@v@TO@_CjBn@To@RxArANH_@SRK_@\\yEl@NbAuABwCJt@B_@dBlBHQXfAm@^wAnEqAxK', 'mdMghNOdCz@vCDwDe@{BKT', '}gMarMN~B`@qBk@GBs@Il@', 'uhM}~LWl@NzAe@q@GvCRdB^Sf@d@[kH\\gAg@J', 'ojMoyMG_@\\zCU{B', 'yqLycLP|@Fo@YM', '{wL__Ls@X`@DP_@']],
+        ['RU', 'RU-YAR', 'Yaroslavl', ['cmJy~FDpCgAvBEbCf@DTlFjAhA`@_Ad@~@r@_Bf@FJcBbB`@~@uA@oCaBq@q@yDk@JOu@eAHuAmBk@l@']],
+        ['RU', 'RU-YEV', 'Jewish', ['mpHmoXp@Rz@{@r@^jAiAEgHo@]_@sA@uAqAcHm@tBTbAe@pCgA\\a@nAJjAg@t@p@XA`Dv@f@RdA']],
+        ['RU', 'RU-ZAB', 'Zabaykalsky Krai', ['_tHy{T]uDm@a@{AwEF{AdA_CWeDbBuHwAmDMqB{@]Kl@gBmAwCsB{AgCm@\\e@QI~Ba@HeBcD_@kFmARs@z@KWw@FAuAiAn@Jp@q@{@aBEYb@RvAeB\\TvEm@LY_BaBlDYm@Yv@]Ms@x@_@SJfAiCDF~Am@|CPdAZSHb@j@?T~@lBcAGgAZd@z@DQn@j@hBo@xEt@v@j@iAZT\\]xCS@yArAcBpA`@XxErAdChAdFt@EpA}AfBpCRnEZXMbAzCtGW|Bt@fC_@xCn@p@^k@fAbBr@yB^hCh@l@\\BHk@p@DbAyBf@mL}@_H']],
+        ['RU', 'UA-40', 'Sevastopol', ['otGyqEEWsAx@l@AFf@b@gA']],
+        ['RU', 'UA-43', 'Autonomous Republic of Crimea', ['g_HeqEr@KNfBhAhCx@sEzAQl@k@DVEiAkA{BBgA_AuAVcAOuBg@?Og@W`D`@dAeC|Cm@pDN`@']],
+        ['RW', 'RW-01', 'Kigali', ['|KszD?e@m@G?p@l@C']],
+        ['RW', 'RW-02', 'Eastern', ['nMu|DHwAy@SaBJiBjA`AjAlBg@Xp@r@JR_@Um@']],
+        ['RW', 'RW-03', 'Northern', ['tG}zDP\\_@Rb@hApAiBQy@uAf@']],
+        ['RW', 'RW-04', 'Western', ['xOevDkACYw@m@KgAFQb@z@z@nABj@t@t@O?iA']],
+        ['RW', 'RW-05', 'Southern', ['pMgzDsACc@~@xAHx@bAfAMOcBsAW']],
+        ['SA', 'SA-01', 'Riyadh', ['ciD}uGl@i@bAxAr@@lA{@rAE@hCx@z@TrA~Ap@OdDfAj@~B@~CmANoBbASHyAbFR~CeCxAVtBoBr@yCu@oNeZmBmA^gB~B_HHmAzBo@vDeCvDLz@n@J']],
+        ['SA', 'SA-02', 'Makkah', ['gpB_cGkAi@s@RKz@aABU{AcBAAdAnAx@e@n@gBb@c@cAcBa@d@g@S}A~@w@yAcCc@uCoAv@_FSIxAcAROnBcElA@n@z@Dn@tAh@YvBvCRxAaA~@aACNrAiAnBBx@jEcBlAh@r@c@~BKvCuBL_AbBcCjIkD']],
+        ['SA', 'SA-03', 'Al Madinah', ['kqCopFCy@hAoBOsA`AB~@i@OkB{B_Dc@^s@wA{@EAo@cCUaBxAmAFSrCp@nDaEDI`@iAHHtBq@pAZrAwBpB^|DTe@pAEZo@l@Pr@SLy@nB{AxBDb@nBx@?^gB|CiC']],
+        ['SA', 'SA-04', 'Eastern', ['uyCq|HyFbDg@G^Uw@OoAl@Ja@iBtBFf@y@p@Ae@SLKpAk@ImCxA@vC{An@QfE~@pCjEpCdBw@`EsLdHM|C}Cdj@jDsEqCuAoDsAkQgEwQkKcCoCxAo@lOgGdEIx@u@k@@fBc@`@', '}iDytHJTEm@EV']],
+        ['SA', 'SA-05', 'Al-Qassim', ['ciD}uGXfAo@nAf@xApDrFz@JBn@d@Id@jBPm@dAARk@|@WNUc@a@R{C_Bq@UsAy@{@AiCsADmAz@s@AcAyAm@h@']],
+        ['SA', 'SA-06', 'Ha\'il', ['s~CyaGe@kBe@HCo@{@KiDcFo@mBr@uB_B}@y@jCqBdADzBk@\\Lz@{@dC?rHnBlGVPz@mCdBg@\\o@zClARc@~DCKyBc@w@HkB']],
+        ['SA', 'SA-07', 'Tabuk', ['kxCshF{@yByBEoBzAMx@eBBWl@qADSf@a@_EvBqB[wAp@mABeCiBeAeDjCy@vHmB`@x@|@@zDsA|BRjE|Ct@FaC|PsK`AP|@m@', 'k~C}dFJQUf@HU']],
+        ['SA', 'SA-08', 'Northern Borders', ['}}DkjGiBjCkDtIc@pFhAhFjAV~AcAMcEl@qIl@aCrAiAbC|EvBp@AcHz@eCM{@j@]GwBrBiAPwAx@eAsFsCoAaDWzImG|J']],
+        ['SA', 'SA-09', 'Jazan', ['ggB}lGaCB]a@eBpA`Az@oAjCq@@Tv@x@O|AuBrAI_@?xAeAfAO}@oA', 'mgBufGe@tAl@g@Pk@YA']],
+        ['SA', 'SA-10', 'Najran', ['yiBmgHgN_At@nNq@tCbC\\bCpCfDUO{G\\sH`Au@[yA']],
+        ['SA', 'SA-11', 'Al-Baha', ['{_CueGHfBc@j@`B\\b@bAjCmAC_@gA]Gg@iBaAy@?']],
+        ['SA', 'SA-12', 'Al-Jowf', ['ibEsgFtCwC`@`A~@^^vCbChC_@xEzAVQmErA}BA{D{@y@nBe@ZyEaCsHwBq@gC}EoAhAm@`Cm@pIJfEcA~@eBWr@lEn@s@']],
+        ['SA', 'SA-14', '\'Asir', ['_lBwoG{CA}BoCiA?Y[wCpByAWsAlAb@tCxAbCu@l@x@?hB`AJa@zA@RzAbA?R_AhCk@lAiCaA{@dBqAF{@']],
+        ['SB', 'SB-CE', 'Central', ['nx@}`^?uGs@??tGr@?']],
+        ['SB', 'SB-CH', 'Western', ['ht@{z]D^f@KM]_@H', 'rt@ov]a@@^\\^i@]H', 'nt@gy]k@GgAnAbAh@K_Az@q@', 'lq@yq]YJr@GYC', 'vq@{t]WS]TXZZ]', 'fo@as]Q|@|@_@k@]', 'xl@qw]kCvE`CoB\\wASO']],
+        ['SB', 'SB-CT', 'Honiara', ['dz@qf^?WI??VH?']],
+        ['SB', 'SB-GU', 'Guadalcanal', ['zy@eg^a@~@TVtAq@NcE{AxA@bA']],
+        ['SB', 'SB-IS', 'Isabel', ['dt@cf^c@BeAvAyA|DfBcBzAuD']],
+        ['SB', 'SB-MK', 'Makira-Ulawa', ['rbAyu^gAr@q@`DfBaBPsB']],
+        ['SB', 'SB-ML', 'Malaita', ['b{@oo^uANkA`Ai@Iu@nAbDu@|AaB']],
+        ['SB', 'SB-RB', 'Rennell and Bellona', ['jhAcj^o@hBbAeBSC']],
+        ['SB', 'SB-TE', 'Temotu', ['xaAmm_@Et@\\VWmA']],
+        ['SC', null, 'Coralline Seychelles', ['~{@w_H?a~@cZ??`~@bZ?']],
+        ['SC', 'SC-01', 'Anse-aux-Pins', ['h\\{yI?EC??DB?']],
+        ['SC', 'SC-02', 'Anse Boileau', ['r\\uyI?GM??FL?']],
+        ['SC', 'SC-03', 'Anse Etoile', ['x[myI?GG??FF?']],
+        ['SC', 'SC-04', 'Au Cap', ['r\\{yI?EM??DL?']],
+        ['SC', 'SC-05', 'Anse Royale', ['z\\{yI?EM??DL?']],
+        ['SC', 'SC-06', 'Baie Lazare', ['z\\syI?KI??JH?']],
+        ['SC', 'SC-07', 'Baie Sainte Anne', ['fZ_{I?UQ??TP?']],
+        ['SC', 'SC-08', 'Beau Vallon', ['|[iyI?GI??FH?']],
+        ['SC', 'SC-09', 'Bel Air', ['b\\myI?GI??FH?']],
+        ['SC', 'SC-10', 'Bel Ombre', ['`\\cyI?KG??JF?']],
+        ['SC', 'SC-11', 'Cascade', ['h\\wyI?GG??FF?']],
+        ['SC', 'SC-12', 'Glacis', ['t[myI?GE??FD?']],
+        ['SC', 'SC-13', 'Grand\'Anse Praslin', ['l\\oyI?KK??JJ?']],
+        ['SC', 'SC-14', 'Grand\'Anse Praslin', ['fZwzI?Y_@??X^?']],
+        ['SC', 'SC-15', 'La Digue', ['v[cxI?sCaD??rC`D?']],
+        ['SC', 'SC-16', 'La Rivière Anglaise', ['|[oyI?CG??BF?']],
+        ['SC', 'SC-17', 'Mont Buxton', ['|[myI?CE??BD?']],
+        ['SC', 'SC-18', 'Mont Fleuri', ['`\\qyI?MK??LJ?']],
+        ['SC', 'SC-19', 'Plaisance', ['f\\qyI?EI??DH?']],
+        ['SC', 'SC-20', 'Pointe La Rue', ['h\\{yI?EE??DD?']],
+        ['SC', 'SC-21', 'Port Glaud', ['h\\_yI?SM??RL?']],
+        ['SC', 'SC-22', 'Saint Louis', ['~[myI?CE??BD?']],
+        ['SC', 'SC-23', 'Takamaka', ['`]yyI?IG??HF?']],
+        ['SC', 'SC-24', 'Les Mamelles', ['d\\uyI?CE??BD?']],
+        ['SC', 'SC-25', 'Roche Caiman', ['b\\uyI?EE??DD?']],
+        ['SD', 'SD-DE', 'Central Darfur', ['yaAynCsAy@{@}A{Es@uBuBKr@oAe@`@nBa@|A`@|@vCrBfEPl@iAdBHf@]']],
+        ['SD', 'SD-DN', 'North Darfur', ['a|Bc{C@fEd]FbBi@tEbCh@cBa@oBvA\\NaE~A}BZ\\jAcAh@gEsB`@oFcB}FlAaJh@EsBwSBArN']],
+        ['SD', 'SD-DS', 'South Darfur', ['yaAynCdD}BrB@r@d@HYr@JBcCe@kAyGiBYwCwCn@qApAeHIGzBdBhBjF~@z@|ArAx@', 'm}@cbDdBiBW}FwGtBeDVi@fEkAbA[]cBvCdHHpAqAdE{@f@g@']],
+        ['SD', 'SD-DW', 'West Soudan', ['gaB{tCDtDfElA\\~@nAe@fA~AxAg@jBzA\\YSs@Xq@rBAq@k@eAHwCsBa@}@gEyBmBb@yBE']],
+        ['SD', 'SD-GD', 'Al Qadarif', ['cuAwbFiECb@pEqD|Ci@bDb@h@RHr@_BhAm@~BbA`Aa@Rk@hAWrBiDNiDwE_A']],
+        ['SD', 'SD-GZ', 'Al Jazirah', ['m_BspEf@tDl@P~@YrAp@pCo@gBaBXm@c@s@NcA[L_CcAiAl@s@~A']],
+        ['SD', 'SD-KA', 'Kassala', ['weByeF{BGLxDe@jAxBRZnE|A~@jA_@l@gBzAq@v@kAc@}DcADeGcB']],
+        ['SD', 'SD-KH', 'Khartoum', ['m_BspEw@m@XuBwA^R`B_B~Hu@r@Xp@hGmCk@uF']],
+        ['SD', 'SD-KN', 'North Kordofan', ['kfAciDBsAqBuA@iBiB}@h@uByAyAl@S?iAl@w@eAyADkBkAHu@mAo@EgB~A_BFuBuA[cAiGlCWd\\bJg@|FmApFbBbEg@']],
+        ['SD', 'SD-KS', 'South Kordofan', ['_jAogEk@`AiAJUf@PhAbArAm@v@?hAm@`@xAjAi@tBdBv@@nBpBtACrA^CvJwCJgDi@Mm@qB{@[i@mAlBwCM{AaGoF{BN{@t@']],
+        ['SD', 'SD-NB', 'Blue Nile', ['eiAuzEkDtCfBlFdHLpB{ClCB@a@eGaAWa@f@e@e@e@gEg@']],
+        ['SD', 'SD-NO', 'Northern', ['ohCycEm@Ln@`@Adf@lK?@sNvSCZsXYq@mFgDcDRm@rAiReA?lE']],
+        ['SD', 'SD-NR', 'River Nile', ['ohCgjEhRdAl@sAbDSvFbDj@o@`BgIUyAqA_AIqDq@q@yA?eAhBsBrAs@rB{E~AgEEaBpAkB?i@y@y@nA?~B']],
+        ['SD', 'SD-NW', 'White Nile', ['ikAqnEoGbADj@kCl@wAq@_AXYSO`AZbAtBtA~AGfB_Bn@Dt@lArCUl@aA?eCk@B@_B']],
+        ['SD', 'SD-RS', 'Red Sea', ['ooBgpFkDhFuM`A\\i@uBrAeA@?fVx@oAh@x@jB?zAoAjEDzE_Bt@uBxByAdBoDGoGw@Sk@qC}AiA']],
+        ['SD', 'SD-SI', 'Sennar', ['wiAi{EmCyAUtAsBhDiAVy@~@ObAb@r@[d@|@l@GVzHiAgBmFjDuCQS']],
+        ['SE', 'SE-AB', 'Stockholm', ['wvJ}rBn@^h@`DxAz@f@OHq@g@I|@m@c@WSqAc@X?eAQ|B@{@eAwCCbAYcAk@p@VBWp@']],
+        ['SE', 'SE-AC', 'Västerbotten', ['_vKqxA~EiNBiIpBwE[PVu@gAcEgA{@{@_CkApBo@kBo@dH\\lCmFnWj@zD`AUfC~@']],
+        ['SE', 'SE-BD', 'Norrbotten', ['onL{_CBfBj@s@r@nAJy@Xv@k@pHFv@`AEl@t@[vBf@dBv@j@h@zAj@}@\\BnBdEZIlFsW]iCn@eHu@~@RgAW`@e@uCc@vAd@aCOj@Ig@Qb@Sg@Rq@]@h@yAYS@_EcBbBaBcAcArAu@e@MbASWu@LQc@wAhDQrCoB`H']],
+        ['SE', 'SE-C', 'Uppsala', ['{yJskBn@^^a@~@f@RnAt@c@Z}Aw@]m@cDu@[]l@Nw@QhAu@v@Rh@WfA']],
+        ['SE', 'SE-D', 'Södermanland', ['ooJ}lBm@z@e@a@]|@NjDpA`CpA_Ga@qB_@S']],
+        ['SE', 'SE-E', 'Östergötland', ['mmJ{gBkAxDfAnEtAjALqBpA]Dy@WoBq@CJqCc@XFe@_@@E`@A[WfAAiB[vC?wB']],
+        ['SE', 'SE-F', 'Jönköping', ['gdJ_qAVCAyD^q@u@OIeFoAWYfBqA\\MpBz@j@LzAv@LpAnB']],
+        ['SE', 'SE-G', 'Kronoberg', ['s_JksAWyB^wCQ}AwAe@I_Aw@~AN`Et@N[nBf@vApAc@']],
+        ['SE', 'SE-H', 'Kalmar', ['miJigB[p@HrAp@BNjBZi@`A`@bAeAD~@tA`@\\eCaAcAmAM@[o@Te@k@_@`@Me@e@x@\\w@]n@UKVo@UL', 'geJ_jBB\\lClBhAA{EiC']],
+        ['SE', 'SE-I', 'Gotland', ['uhJ_vBGfAfAlBx@D`@e@`@\\}A}Co@`@o@w@']],
+        ['SE', 'SE-K', 'Blekinge', ['c_JmcBa@dBXdCSdAZXbA}@a@?GmDVs@q@k@']],
+        ['SE', 'SE-M', 'Skåne', ['i}I}yAy@Z[YGr@b@tEYbBHPb@e@KfAxBwB|@j@AmG_@e@u@^m@cA']],
+        ['SE', 'SE-N', 'Halland', ['}_JuoAXw@O}@qAb@]iA[v@Nt@{@xAFn@_A\\FlAd@@M_@jB{@t@eBb@G']],
+        ['SE', 'SE-O', 'Västra Götaland', ['iqJyhAfAf@g@r@Ll@dCSQg@b@Bg@]FWb@^UgA`C^NuB~@]XyBoA{Bw@MO_BoCsBO|@}@r@A`Cx@ZB^OfAgAn@MnD', '{iJkhADn@PQW]', '}jJyhARnAD{@YS']],
+        ['SE', 'SE-S', 'Värmland', ['s|JmnAJzArBgAhA^b@vB^IXl@`A[LoDfAo@NgAC_@y@[DoCkE[sAzDwB~C']],
+        ['SE', 'SE-T', 'Örebro', ['gvJiyAjEZx@e@N}@aAuDq@Q]b@_@UcAx@o@vBNnA']],
+        ['SE', 'SE-U', 'Västmanland', ['asJaiBw@b@MmAgAi@KrAj@`CSbBz@hAbAy@n@TP]o@eBOgC']],
+        ['SE', 'SE-W', 'Dalarna', ['s|JmnAvB_DrA{DOoAn@wB{@iARcBWoAkAfBm@e@qCnFWzHcAl@u@rElB^fAqCz@b@']],
+        ['SE', 'SE-X', 'Gävleborg', ['mcKklBg@hKdBrAEtAv@f@HmCzAsBNmAj@q@f@h@hAyBSsA}@]Md@O]mBn@@c@u@j@Ee@WTPgAc@^aA_@']],
+        ['SE', 'SE-Y', 'Västernorrland', ['skKwwBgBpDPjCYbEv@^RfCbCqEp@xBXhH\\Bb@eAQmAh@_KO]Uv@_@DJiA_@eAmAhAh@eBc@kAGbAi@eCI^N{@w@u@']],
+        ['SE', 'SE-Z', 'Jämtland', ['}uKqxAhBhCZ_Bp@G`@b@DrFlAtBXIb@l@x@m@pAX~@m@t@sEbAm@NyCy@{@DuA_@C_@_Au@vB_@B[oHs@{BaCrESgCw@_@yEbN']],
+        ['SG', 'SG-01', 'Central Singapore Community Development Council', ['}FwgS?U_@??T^?']],
+        ['SG', 'SG-02', 'North East Community Development Council', ['mGihS?OM??NL?']],
+        ['SG', 'SG-03', 'North West', ['}GogSTIUM?V']],
+        ['SG', 'SG-04', 'South East Community Development Council', ['cGehS?[Q??ZP?']],
+        ['SG', 'SG-05', 'South West Community Development Council', ['}FahS[`@RDFg@']],
+        ['SH', 'SH-AC', 'Ascension', ['zp@byA?YU??XT?']],
+        ['SH', 'SH-HL', 'Saint Helena', ['bcBdc@?[W??ZV?']],
+        ['SH', 'SH-TA', 'Tristan da Cunha', ['n{FblA?iN}S??hN|S?']],
+        ['SI', 'SI-001', 'Ajdovščina', ['w}GgwAWt@PVDmA']],
+        ['SI', 'SI-002', 'Beltinci', ['}aH_dB?]U??\\T?']],
+        ['SI', 'SI-003', 'Bled', ['i`HouA?_A_@??~@^?']],
+        ['SI', 'SI-004', 'Bohinj', ['{_HwtA?}Aa@??|A`@?']],
+        ['SI', 'SI-005', 'Borovnica', ['s}GqxA?QU??PT?']],
+        ['SI', 'SI-006', 'Bovec', ['kaHqtA\\x@MwAO\\']],
+        ['SI', 'SI-007', 'Brda', ['g~GcsA?a@W??`@V?']],
+        ['SI', 'SI-008', 'Brezovica', ['s}GwxA?[c@??Zb@?']],
+        ['SI', 'SI-009', 'Brežice', ['i}G{_B?g@o@??f@n@?']],
+        ['SI', 'SI-011', 'Celje', ['s_Ha~A?]]??\\\\?']],
+        ['SI', 'SI-012', 'Cerklje na Gorenjskem', ['w_HgyA?YW??XV?']],
+        ['SI', 'SI-013', 'Cerknica', ['w}GqyAPl@N]a@O']],
+        ['SI', 'SI-014', 'Cerkno', ['{~GwuA?g@[??f@Z?']],
+        ['SI', 'SI-015', 'Črenšovci', ['yaHodB?UM??TL?']],
+        ['SI', 'SI-016', 'Črna na Koroškem', ['waHo{AJX@y@M^']],
+        ['SI', 'SI-017', 'Črnomelj', ['y{Go~AEh@X?Bs@WH']],
+        ['SI', 'SI-018', 'Destrnik', ['iaH{aB?YK??XJ?']],
+        ['SI', 'SI-019', 'Divača', ['_}GwvAVRFW_@B']],
+        ['SI', 'SI-020', 'Dobrepolje', ['w}Ge{ADTT_@[H']],
+        ['SI', 'SI-021', 'Dobrova–Polhov Gradec', ['q~GswA?u@S??t@R?']],
+        ['SI', 'SI-022', 'Dol pri Ljubljani', ['}~GezA?a@I??`@H?']],
+        ['SI', 'SI-023', 'Domžale', ['a_H_zA?YW??XV?']],
+        ['SI', 'SI-024', 'Dornava', ['aaHsbB?UQ??TP?']],
+        ['SI', 'SI-025', 'Dravograd', ['yaHe|A?k@W??j@V?']],
+        ['SI', 'SI-026', 'Duplek', ['kaHgaB?SQ??RP?']],
+        ['SI', 'SI-027', 'Občina Gorenja vas-Poljane', ['u~GsvA?i@_@??h@^?']],
+        ['SI', 'SI-028', 'Gorišnica', ['i`HwbB?W]??V\\?']],
+        ['SI', 'SI-029', 'Gornja Radgona', ['cbHgbB?a@W??`@V?']],
+        ['SI', 'SI-030', 'Gornji Grad', ['a`H{zA?c@S??b@R?']],
+        ['SI', 'SI-031', 'Gornji Petrovci', ['ccHwcB?]W??\\V?']],
+        ['SI', 'SI-032', 'Grosuplje', ['o~Gc{APZD]W@']],
+        ['SI', 'SI-033', 'Šalovci', ['icHadB?]S??\\R?']],
+        ['SI', 'SI-034', 'Hrastnik', ['__Hc}A?YU??XT?']],
+        ['SI', 'SI-035', 'Hrpelje-Kozina', ['_|GuuAXq@[D@j@']],
+        ['SI', 'SI-036', 'Idrija', ['q~GkwA@x@Vu@YC']],
+        ['SI', 'SI-037', 'Ig', ['s}GgyA?][??\\Z?']],
+        ['SI', 'SI-038', 'Ilirska Bistrica', ['{{GqyAQ^\\n@KoA']],
+        ['SI', 'SI-039', 'Ivančna Gorica', ['o~Gc{Af@U_@OGd@']],
+        ['SI', 'SI-040', 'Izola', ['g{GatA?MM??LL?']],
+        ['SI', 'SI-041', 'Jesenice', ['_aHmvA?_@Q??^P?']],
+        ['SI', 'SI-042', 'Juršinci', ['gaHsbB?QQ??PP?']],
+        ['SI', 'SI-043', 'Kamnik', ['m`H{yAVIEcAQlA']],
+        ['SI', 'SI-044', 'Kanal ob Soči', ['o~GosA?q@c@??p@b@?']],
+        ['SI', 'SI-045', 'Kidričevo', ['u`H}`B?a@Q??`@P?']],
+        ['SI', 'SI-046', 'Kobarid', ['m`HwrAXc@U_@CbA']],
+        ['SI', 'SI-047', 'Kobilje', ['sbHeeB?MG??LF?']],
+        ['SI', 'SI-048', 'Kočevje', ['e{Ge}A{@PZt@^gA']],
+        ['SI', 'SI-049', 'Komen', ['a}GysA?cAS??bAR?']],
+        ['SI', 'SI-05', 'Zagorje ob Savi', ['a_Hq{A?m@Y??l@X?']],
+        ['SI', 'SI-050', 'Koper', ['_|GuuAZh@?}@[R']],
+        ['SI', 'SI-051', 'Kozje', ['m~Gu_B?g@]??f@\\?']],
+        ['SI', 'SI-052', 'Kranj', ['u_HayA_@?Ln@Po@']],
+        ['SI', 'SI-053', 'Kranjska Gora', ['{`HotA?cA[??bAZ?']],
+        ['SI', 'SI-054', 'Krško', ['k}Ge`Ba@EM^`@LLg@']],
+        ['SI', 'SI-055', 'Kungota', ['ebH_`B?]Q??\\P?']],
+        ['SI', 'SI-056', 'Kuzma', ['qcHicB?QK??PJ?']],
+        ['SI', 'SI-057', 'Laško', ['k_Ha_BGr@VQOa@']],
+        ['SI', 'SI-058', 'Lenart', ['qbHwaBRHBa@WV']],
+        ['SI', 'SI-059', 'Lendava', ['saH_eB?g@[??f@Z?']],
+        ['SI', 'SI-060', 'Litija', ['k_Hu{AJVNqA[x@']],
+        ['SI', 'SI-061', 'Ljubljana', ['i~G_yA?gAc@??fAb@?']],
+        ['SI', 'SI-062', 'Ljubno', ['m`Hk{A?YW??XV?']],
+        ['SI', 'SI-063', 'Ljutomer', ['maHccB?{@W??z@V?']],
+        ['SI', 'SI-064', 'Logatec', ['w~GuwAXPJc@e@P']],
+        ['SI', 'SI-065', 'Loška Dolina', ['k|GazAIb@XIOY']],
+        ['SI', 'SI-066', 'Loški Potok', ['y{GszASMKd@^W']],
+        ['SI', 'SI-067', 'Luče', ['g`HmzA?c@_@??b@^?']],
+        ['SI', 'SI-068', 'Lukovica', ['k_HqzA?s@M??r@L?']],
+        ['SI', 'SI-069', 'Majšperk', ['c`H}`B?]U??\\T?']],
+        ['SI', 'SI-070', 'Maribor', ['mbH}_BVIIi@Mr@']],
+        ['SI', 'SI-071', 'Medvode', ['__HoxA?]W??\\V?']],
+        ['SI', 'SI-072', 'Mengeš', ['i_HuyA?QM??PL?']],
+        ['SI', 'SI-073', 'Metlika', ['u|Gi~AZEMQMV']],
+        ['SI', 'SI-074', 'Mežica', ['qaHm{A?WM??VL?']],
+        ['SI', 'SI-075', 'Miren–Kostanjevica', ['i}GwsA?]U??\\T?']],
+        ['SI', 'SI-076', 'Mislinja', ['{`Ho}A?i@[??h@Z?']],
+        ['SI', 'SI-077', 'Moravče', ['a_HuzA?c@O??b@N?']],
+        ['SI', 'SI-078', 'Moravske Toplice', ['kcH{dBTTAa@SJ']],
+        ['SI', 'SI-079', 'Mozirje', ['k`H{{A?]U??\\T?']],
+        ['SI', 'SI-080', 'Murska Sobota', ['gbHscB?]S??\\R?']],
+        ['SI', 'SI-081', 'Muta', ['ebHg}A?UK??TJ?']],
+        ['SI', 'SI-082', 'Naklo', ['a`HcxA?OO??NN?']],
+        ['SI', 'SI-083', 'Nazarje', ['_`Hy{A?YQ??XP?']],
+        ['SI', 'SI-084', 'Nova Gorica', ['e~GctATi@MRS[SP^^']],
+        ['SI', 'SI-085', 'Novo Mesto', ['}|Gy~Aa@PZb@Du@']],
+        ['SI', 'SI-086', 'Odranci', ['_bHqdB?KG??JF?']],
+        ['SI', 'SI-087', 'Ormož', ['oaHmdBEj@ZOAe@SH']],
+        ['SI', 'SI-089', 'Pesnica', ['_bHw`B?[W??ZV?']],
+        ['SI', 'SI-090', 'Piran', ['a{GwsA?[Q??ZP?']],
+        ['SI', 'SI-091', 'Pivka', ['}|GoxAVn@AeAUT']],
+        ['SI', 'SI-092', 'Podčetrtek', ['s~Go`B?SK??RJ?']],
+        ['SI', 'SI-093', 'Podvelka', ['uaHm~A?c@[??b@Z?']],
+        ['SI', 'SI-094', 'Postojna', ['q}GgxAPn@Dk@WC']],
+        ['SI', 'SI-095', 'Preddvor', ['g`HwxA?g@Q??f@P?']],
+        ['SI', 'SI-096', 'Ptuj', ['{`HsaB?c@W??b@V?']],
+        ['SI', 'SI-097', 'Puconci', ['ucH{cBXLI[OL']],
+        ['SI', 'SI-098', 'Rače–Fram', ['_aHc`B?g@Q??f@P?']],
+        ['SI', 'SI-099', 'Radeče', ['s~Ge}A?c@O??b@N?']],
+        ['SI', 'SI-100', 'Radenci', ['cbH_cB?WQ??VP?']],
+        ['SI', 'SI-101', 'Radlje ob Dravi', ['obHy}ATEUY?^']],
+        ['SI', 'SI-102', 'Radovljica', ['e`HewA?a@_@??`@^?']],
+        ['SI', 'SI-103', 'Ravne na Koroškem', ['oaHa|A?Y[??XZ?']],
+        ['SI', 'SI-104', 'Ribnica', ['e}GezA\\_@QMKl@']],
+        ['SI', 'SI-105', 'Rogašovci', ['ecHybB?SS??RR?']],
+        ['SI', 'SI-106', 'Rogaška Slatina', ['u_Hg`B?e@S??d@R?']],
+        ['SI', 'SI-107', 'Rogatec', ['y_H}`B?YK??XJ?']],
+        ['SI', 'SI-108', 'Ruše', ['maHg_B?a@S??`@R?']],
+        ['SI', 'SI-109', 'Semič', ['}{G}|A?s@W??r@V?']],
+        ['SI', 'SI-110', 'Sevnica', ['}~Ga_BFv@Ru@[A']],
+        ['SI', 'SI-111', 'Sežana', ['e|GyuA[QAt@\\c@']],
+        ['SI', 'SI-112', 'Slovenj Gradec', ['caHm|A?q@_@??p@^?']],
+        ['SI', 'SI-113', 'Slovenska Bistrica', ['g`He`BY[MdAf@i@']],
+        ['SI', 'SI-114', 'Slovenske Konjice', ['e`H__B?g@U??f@T?']],
+        ['SI', 'SI-115', 'Starše', ['caHeaB?UQ??TP?']],
+        ['SI', 'SI-116', 'Sveti Jurij ob Ščavnici', ['uaHwbB?[S??ZR?']],
+        ['SI', 'SI-117', 'Šenčur', ['u_H{xA?QU??PT?']],
+        ['SI', 'SI-118', 'Šentilj', ['mbHs`B?e@Q??d@P?']],
+        ['SI', 'SI-119', 'Šentjernej', ['}|Gm~A?_@[??^Z?']],
+        ['SI', 'SI-120', 'Šentjur', ['s_H__BTYi@GE\\XB']],
+        ['SI', 'SI-121', 'Škocjan', ['s}Ge~A?[S??ZR?']],
+        ['SI', 'SI-122', 'Škofja Loka', ['_`HaxA\\FMc@OZ']],
+        ['SI', 'SI-123', 'Škofljica', ['y}GyyA?QY??PX?']],
+        ['SI', 'SI-124', 'Šmarje pri Jelšah', ['m_Ho_B?c@Y??b@X?']],
+        ['SI', 'SI-125', 'Šmartno ob Paki', ['k`Hu|A?OO??NN?']],
+        ['SI', 'SI-126', 'Šoštanj', ['u`Ha|A?g@U??f@T?']],
+        ['SI', 'SI-127', 'Štore', ['o_Ho~A?QM??PL?']],
+        ['SI', 'SI-128', 'Tolmin', ['q_HgtA^m@k@[Kv@VP']],
+        ['SI', 'SI-129', 'Trbovlje', ['y~Gs|A?[]??Z\\?']],
+        ['SI', 'SI-130', 'Trebnje', ['u}Gs}AISQZVl@Bu@']],
+        ['SI', 'SI-131', 'Tržič', ['gaH_xAVKS[Cf@']],
+        ['SI', 'SI-132', 'Turnišče', ['cbHwdB?SM??RL?']],
+        ['SI', 'SI-133', 'Velenje', ['m`Hc}A?]Y??\\X?']],
+        ['SI', 'SI-134', 'Velike Lašče', ['e}GqyA?g@W??f@V?']],
+        ['SI', 'SI-135', 'Videm', ['e`HwaB?g@Y??f@X?']],
+        ['SI', 'SI-136', 'Vipava', ['_}GwuA?c@W??b@V?']],
+        ['SI', 'SI-137', 'Vitanje', ['w`He~A?YS??XR?']],
+        ['SI', 'SI-138', 'Vodice', ['i_HiyA?QO??PN?']],
+        ['SI', 'SI-139', 'Vojnik', ['c`Hg~A?[U??ZT?']],
+        ['SI', 'SI-140', 'Vrhnika', ['s~G_xA\\[]C?^']],
+        ['SI', 'SI-141', 'Vuzenica', ['uaHk}A?WU??VT?']],
+        ['SI', 'SI-143', 'Zavrč', ['m`HecB?KO??JN?']],
+        ['SI', 'SI-144', 'Zreče', ['q`Hu~A?W_@??V^?']],
+        ['SI', 'SI-146', 'Železniki', ['m_HkvA?u@[??t@Z?']],
+        ['SI', 'SI-147', 'Žiri', ['o~GuvA?_@Q??^P?']],
+        ['SI', 'SI-148', 'Benedikt', ['cbHcbB?OM??NL?']],
+        ['SI', 'SI-149', 'Bistrica ob Sotli', ['{~Ga`B?S]??R\\?']],
+        ['SI', 'SI-150', 'Bloke', ['w|GgyA?[Y??ZX?']],
+        ['SI', 'SI-151', 'Braslovče', ['{_Hq|A?YW??XV?']],
+        ['SI', 'SI-152', 'Cankova', ['ubHccBDS[\\TI']],
+        ['SI', 'SI-153', 'Cerkvenjak', ['yaHmbB?OK??NJ?']],
+        ['SI', 'SI-154', 'Dobje', ['c_Ha_B?OK??NJ?']],
+        ['SI', 'SI-155', 'Dobrna', ['m`H}}A?OQ??NP?']],
+        ['SI', 'SI-156', 'Dobrovnik', ['ibH}dB?SO??RN?']],
+        ['SI', 'SI-157', 'Dolenjske Toplice', ['e|Gq|A?_@_@??^^?']],
+        ['SI', 'SI-158', 'Grad', ['gcHicB?QO??PN?']],
+        ['SI', 'SI-159', 'Hajdina', ['{`HwaB?OO??NN?']],
+        ['SI', 'SI-160', 'Hoče-Slivnica', ['iaHa`B?c@M??b@L?']],
+        ['SI', 'SI-161', 'Hodoš', ['mcHydB?GK??FJ?']],
+        ['SI', 'SI-162', 'Horjul', ['m~G}wA?WK??VJ?']],
+        ['SI', 'SI-163', 'Jezersko', ['u`H_yA?a@M??`@L?']],
+        ['SI', 'SI-164', 'Komenda', ['q_HsyA?QO??PN?']],
+        ['SI', 'SI-165', 'Kostel', ['a{GszA?_A]??~@\\?']],
+        ['SI', 'SI-166', 'Križevci', ['waHmcB?UU??TT?']],
+        ['SI', 'SI-167', 'Lovrenc na Pohorju', ['kaHu~A?_@Y??^X?']],
+        ['SI', 'SI-168', 'Markovci', ['w`HkbB?SM??RL?']],
+        ['SI', 'SI-169', 'Miklavž na Dravskem Polju', ['kaHaaB?IK??HJ?']],
+        ['SI', 'SI-170', 'Mirna Peč', ['g}G}|A?WS??VR?']],
+        ['SI', 'SI-171', 'Oplotnica', ['u`Hg_B?UO??TN?']],
+        ['SI', 'SI-172', 'Podlehnik', ['a`H{aB?SU??RT?']],
+        ['SI', 'SI-173', 'Polzela', ['a`Ha}A?OU??NT?']],
+        ['SI', 'SI-174', 'Prebold', ['s_H_}A?UO??TN?']],
+        ['SI', 'SI-175', 'Prevalje', ['saHq{A?]U??\\T?']],
+        ['SI', 'SI-176', 'Razkrižje', ['uaHqdB?KE??JD?']],
+        ['SI', 'SI-177', 'Ribnica na Pohorju', ['qaH{}A?]Q??\\P?']],
+        ['SI', 'SI-178', 'Selnica ob Dravi', ['yaHm_B?[U??ZT?']],
+        ['SI', 'SI-179', 'Sodražica', ['s|G}yA?YS??XR?']],
+        ['SI', 'SI-180', 'Solčava', ['w`H_zA?g@U??f@T?']],
+        ['SI', 'SI-181', 'Sveta Ana', ['gbHuaB?SS??RR?']],
+        ['SI', 'SI-182', 'Sveti Andraž v Slovenskih Goricah', ['oaHobB?QM??PL?']],
+        ['SI', 'SI-183', 'Šempeter–Vrtojba', ['y}G}sA?SK??RJ?']],
+        ['SI', 'SI-184', 'Tabor', ['u_Hq|A?QM??PL?']],
+        ['SI', 'SI-185', 'Trnovska Vas', ['qaHabB?QK??PJ?']],
+        ['SI', 'SI-186', 'Trzin', ['c_HwyA?MI??LH?']],
+        ['SI', 'SI-187', 'Velika Polana', ['}aH_eB?OK??NJ?']],
+        ['SI', 'SI-188', 'Veržej', ['_bHycB?QI??PH?']],
+        ['SI', 'SI-189', 'Vransko', ['u_H_|A?YS??XR?']],
+        ['SI', 'SI-190', 'Žalec', ['s_Hk}A?Y_@??X^?']],
+        ['SI', 'SI-191', 'Žetale', ['_`HmaB?[Q??ZP?']],
+        ['SI', 'SI-192', 'Žirovnica', ['y`HgwA?YO??XN?']],
+        ['SI', 'SI-193', 'Žužemberk', ['{|Go{A?y@[??x@Z?']],
+        ['SI', 'SI-194', 'Šmartno pri Litiji', ['g~Ga{A?m@W??l@V?']],
+        ['SI', 'SI-195', 'Apače', ['sbHsaB?e@M??d@L?']],
+        ['SK', 'SK-BC', 'Banská Bystrica', ['{mH}~Bu@x@[QMlCJfB`AlBl@IQi@n@KEs@XH_@wBR}@aAkB']],
+        ['SK', 'SK-BL', 'Bratislava', ['akHejBe@kA{Ad@f@~AxAy@']],
+        ['SK', 'SK-KI', 'Košice', ['kpHyjCGrBZRq@hFr@bAx@]SyEl@cAMiA{Ao@']],
+        ['SK', 'SK-NI', 'Nitra', ['mkH{uBYIDr@o@JPh@m@HHb@k@x@pBr@l@Y\\`@AaEIY[NSw@']],
+        ['SK', 'SK-PV', 'Prešov', ['{sHmeCXtBSvBd@xAP_@f@DQyCn@wD[SFsBY]uAhE']],
+        ['SK', 'SK-TA', 'Trnava', ['knH}hBUqAd@Fr@i@d@t@n@{A]a@m@X}Am@AzAo@~@`Ar@']],
+        ['SK', 'SK-TC', 'Trenčín', ['isHwqBpAbBZbB\\a@KuBf@k@[kAWUg@V?l@_@Uk@l@']],
+        ['SK', 'SK-ZI', 'Žilina', ['_uHqxBh@|@W|@VvA~@i@TX@o@h@W[i@IiEe@DMr@g@Ai@~@']],
+        ['SL', 'SL-E', 'Eastern', ['ow@daARh@Wx@hBr@Bl@pAo@rAb@XGG]`@BLi@a@q@q@u@s@A]y@_ABh@nAkAs@iAT']],
+        ['SL', 'SL-N', 'Northern', ['qw@daAE^m@MiCtBVnFhBx@|@jBb@}@Dp@|@O]?Cw@n@p@b@m@SQVyCU?a@iCiBs@Vy@Ui@']],
+        ['SL', 'SL-S', 'Southern', ['}l@rdAMj@e@?HXgB]uAn@r@zAWxCX`@pAS\\w@UYn@EIs@h@`A|AmEuAcA', 'in@`mAAzAd@oAc@K']],
+        ['SL', 'SL-W', 'Western Area', ['qr@bpAQK_@hA`AYOc@']],
+        ['SM', 'SM-01', 'Acquaviva', ['oqGklA?II??HH?']],
+        ['SM', 'SM-02', 'Chiesanuova', ['iqGklA?ME??LD?']],
+        ['SM', 'SM-03', 'Domagnano', ['qqGwlA?KG??JF?']],
+        ['SM', 'SM-04', 'Faetano', ['oqGylA?IE??HD?']],
+        ['SM', 'SM-05', 'Fiorentino', ['iqGulA?GG??FF?']],
+        ['SM', 'SM-06', 'Borgo Maggiore', ['mqGqlA?KK??JJ?']],
+        ['SM', 'SM-07', 'San Marino', ['kqGklA?MI??LH?']],
+        ['SM', 'SM-08', 'Montegiardino', ['kqG{lA?CE??BD?']],
+        ['SM', 'SM-09', 'Serravalle', ['uqGslA?OG??NF?']],
+        ['SN', 'SN-DB', 'Diourbel', ['{zAb_B{@xAVhDz@]FwBg@_@`@cAYI']],
+        ['SN', 'SN-DK', 'Dakar', ['izAdjBy@DZfA\\mA']],
+        ['SN', 'SN-FK', 'Fatick', ['}sApcBqBh@f@vAd@Gm@i@pAL?}A', 'qwAjeBa@WEuAo@kAY~@f@^KtB~Ax@v@Ek@IUeA']],
+        ['SN', 'SN-KA', 'Kaffrine', ['auAz{Aq@u@kBH[rC~@rAbAHt@c@?aD']],
+        ['SN', 'SN-KD', 'Kolda', ['anAnrAqDvAf@HTdAgAzDl@f@fCe@DeJ']],
+        ['SN', 'SN-KE', 'Kédougou', ['srAjiAKjAXA`ArBGzA_AHRr@hB[LoA`@E^iCQaEsB?kAj@Cx@']],
+        ['SN', 'SN-KL', 'Kaolack', ['gtAz_BYU?v@u@b@cAIPdBVLL[dB]IuB']],
+        ['SN', 'SN-LG', 'Louga', ['w_BrgBdAYe@u@`A_@AgAnAoCMw@iACKs@u@AMp@wAe@Wr@NrCs@p@hAjC`Af@']],
+        ['SN', 'SN-MT', 'Matam', ['{cBvtAbBrB_@n@Vf@n@FLq@t@@Jr@rAFTi@Yu@p@sBe@qEiA]oBjAUv@iBn@@n@']],
+        ['SN', 'SN-SE', 'Sédhiou', ['gnAt}AgCd@D~AfC^PcAw@q@v@f@GhA^Oo@qC']],
+        ['SN', 'SN-SL', 'Saint-Louis', ['egBl|Ad@nCGvBlCt@iAkCr@q@OsCfAmBcBsBcBzBExB']],
+        ['SN', 'SN-TC', 'Tambacounda', ['i{ArkAcAhAj@K~@d@CzAf@nBo@zBVl@`BGp@t@~@aBOqBx@_@Sw@~@IF{AaAsBY@JkA_Af@Y[cAFk@j@kAF']],
+        ['SN', 'SN-TH', 'Thiès', ['c|AjjBzCiA{Aw@eAXGiBeAh@d@t@eAXrBvA']],
+        ['SN', 'SN-ZG', 'Ziguinchor', ['alApgBUiDe@X?pBZj@^M', 'gqAjbB?`DrBJk@a@XDTs@S_AcB]']],
+        ['SO', null, 'Somaliland', ['wz@{pHqI?Ox@d@fBGrC`BzDe@fCzA`DFhAsAvCkClBlD|BrFyCnAoBhEwQ?gEwH_E']],
+        ['SO', 'SO-BK', 'Bakool', ['w]wuGEdCtA`Ed@PbCq@J{A}@iALm@dBSLcBiIb@']],
+        ['SO', 'SO-BN', 'Banaadir', ['kK{yG?eAi@??dAh@?']],
+        ['SO', 'SO-BR', 'Bari', ['wz@{pHAW~CWn@wBf@KYQXo@}EeCqDQWaBUn@VG@h@a@]sCNaBi@W`CfAhAbAhGpI?']],
+        ['SO', 'SO-BY', 'Bay', ['iScvGQjAeBRMl@|@hAKzAxBBAbB~Ef@`BsBwCmImEA']],
+        ['SO', 'SO-GA', 'Galguduud', ['sa@o{GtAe@DgB`CNf@q@bA@rAaCmD_D]bAkCUoBr@iBq@s@`FfE|D']],
+        ['SO', 'SO-GE', 'Gedo', ['{WydGhFvDzH?EyAgCk@AwC_Fg@@cB}CG_Bt@ZxCh@h@']],
+        ['SO', 'SO-HI', 'Hiran', ['sa@o{G|BrBAbAhIc@BgF_CyAcAAg@p@aCOEfBuAd@']],
+        ['SO', 'SO-JD', 'Middle Juba', ['eC_oGqFfEKnDfCj@KiEhE{@AyAeAcA']],
+        ['SO', 'SO-JH', 'Lower Juba', ['nIsbG}CqATCgGqF@xAiEz@PbHbLA`DoB']],
+        ['SO', 'SO-MU', 'Mudug', ['{g@maHr@aFhBp@nBs@jCT\\cAgHiE}H}Cy@xAx@hC_@`ElErE']],
+        ['SO', 'SO-NU', 'Nugal', ['in@ahH^aEy@iCx@yAwDiBYn@XPg@Jo@vB_DV@VvH~DtAxA']],
+        ['SO', 'SO-SD', 'Middle Shebelle', ['uT_eHsA`C~BxA?lDhBu@jB@s@kCmEiE']],
+        ['SO', 'SO-SH', 'Lower Shebelle', ['mK}yG_@WqBHiBt@?pAlE@vClI|CkBgG}I']],
+        ['SR', 'SR-BR', 'Brokopondo', ['c^xuIcAb@@~@l@\\tEk@k@kAcC_@QT']],
+        ['SR', 'SR-CM', 'Commewijne', ['kc@pwIv@OCsAqALCrAXs@Ft@']],
+        ['SR', 'SR-CR', 'Coronie', ['ed@v`J|BWk@oBs@B]bC']],
+        ['SR', 'SR-MA', 'Marowijne', ['m`@pqI_B][fCvBI^aA[]']],
+        ['SR', 'SR-NI', 'Nickerie', ['ga@xdJr@BWaD_Cf@DpA|Ab@']],
+        ['SR', 'SR-PM', 'Paramaribo', ['_c@fxI?[]??Z\\?']],
+        ['SR', 'SR-PR', 'Para', ['mb@~vI?|@n@RBxAYBvANTiA_Aw@A_AbAa@kBq@CvAYA']],
+        ['SR', 'SR-SA', 'Saramacca', ['ob@j|It@?C{AaBe@IzBx@D']],
+        ['SR', 'SR-SI', 'Sipaliwini', ['qMjtIgByAw@FaAi@uCpAiCNcA][`AnAb@PUbC^j@fAuEn@Rb@W~@wAOj@|AJfDn@JRnBxDb@vBkA?cAjBUbDaBb@wCg@Ei@l@u@c@Xq@i@wCv@cA']],
+        ['SR', 'SR-WA', 'Wanica', ['_d@hxIp@R?_Aq@j@']],
+        ['SS', 'SS-BN', 'Northern Bahr el Ghazal', ['_{@kmDV|FeBhBvEDbDc@t@kBuAuDoCm@KsDo@a@K|Du@\\']],
+        ['SS', 'SS-BW', 'Western Bahr el Ghazal', ['ur@svCRqB~@oAv@Lj@e@nCmEe@wHXc@IgBoDPu@tBgAr@vA`Ew@~AcDb@wEEuAr@\\xCrGdBb@jAbAJR[']],
+        ['SS', 'SS-EC', 'Central Equatoria', ['k[eyDrBoAPcAt@CMg@b@Q{@aANgBwE_C}EV@|B{@lCLtAjBgBpBR|AtE']],
+        ['SS', 'SS-EE', 'Eastern Equatoria', ['{[o_Fm@`@}AIGbBaC`Al@zCWjK|EWbEhBz@gAk@i@_@}BZaBmDqDqAmEpAg@?}@']],
+        ['SS', 'SS-EW', 'Western Equatoria', ['mh@{cD^Tr@o@ZPz@kCvC_AbCsCLk@u@gAh@{AaAo@XaA}AuE{BOiDvCBr@nADfA|@_@~BuA~@yACHfBYb@d@vH']],
+        ['SS', 'SS-JG', 'Jonglei', ['sp@imEQ`@aAGeCjB^lAaBrA]pBEzAd@b@fAXfHeAxCkC~CqA^{Nm@{CeCt@iA`BaB`As@dD[F']],
+        ['SS', 'SS-LK', 'Lakes', ['{o@sxD`CfB`Bb@KfAxABtA_A^mCqAs@eAACs@fAs@MuAh@}@HaBeExBi@hDaC|@Gf@']],
+        ['SS', 'SS-NU', 'Upper Nile', ['wt@etEiDFId@eCGqBzCeHMA~Aj@C?dCz@u@zBO`GnFFv@l@@^uB`BsA]qAbCgB`AFPa@gBm@PeBm@gA']],
+        ['SS', 'SS-UY', 'Unity', ['}{@m`EDb@mBvCh@lAz@Z`A`C^a@n@`@?u@rBkB|BKBc@lCyA@aBuEdBkDV}Am@CaBq@G']],
+        ['SS', 'SS-WR', 'Warrap', ['mw@esDJrDnCl@fAs@t@uBnDQTg@Oc@{A_@aCgBwBHyBlB?t@']],
+        ['ST', 'ST-P', 'Príncipe', ['qHwl@?]a@??\\`@?']],
+        ['ST', 'ST-S', 'São Tomé', ['qAwh@Zh@p@Km@m@_@N']],
+        ['SV', 'SV-AH', 'Ahuachapán', ['ytAbrPHw@eASNx@j@P']],
+        ['SV', 'SV-CA', 'Cabañas', ['qvAhiPTv@ZO?gAk@EEd@']],
+        ['SV', 'SV-CH', 'Chalatenango', ['ayAlmPPSv@^DoCmArAAn@']],
+        ['SV', 'SV-CU', 'Cuscatlán', ['evAxjPWh@tAg@}@A']],
+        ['SV', 'SV-LI', 'La Libertad', ['yrAblPcCb@nBx@R}A']],
+        ['SV', 'SV-MO', 'Morazán', ['mvAjfPz@FZq@cAKSt@']],
+        ['SV', 'SV-PA', 'La Paz', ['}qAdjPw@CWh@r@VZ}@']],
+        ['SV', 'SV-SA', 'Santa Ana', ['wvA|oPr@y@kBi@Q~@b@Id@l@']],
+        ['SV', 'SV-SM', 'San Miguel', ['_vAtfPb@r@pBwAkAOIf@_AJ']],
+        ['SV', 'SV-SO', 'Sonsonate', ['msA`oPs@a@W`Aj@b@^cA']],
+        ['SV', 'SV-SS', 'San Salvador', ['}vAblPLXdBQc@_@oAV']],
+        ['SV', 'SV-SV', 'San Vicente', ['{qAbjPcBy@C~@fBE']],
+        ['SV', 'SV-UN', 'La Unión', ['quAlcPGf@nCZSy@sBI']],
+        ['SV', 'SV-US', 'Usulután', ['iqAtePg@n@_ANtAlAPmC']],
+        ['SX', 'NL-SX', 'Sint Maarten', ['qoBniK?UK??TJ?']],
+        ['SY', null, 'Western al-Samadania', ['skEo~Em@_@{AHhCT']],
+        ['SY', 'SY-DI', 'Damascus', ['cpEcaF?c@U??b@T?']],
+        ['SY', 'SY-DR', 'Daraa', ['ukEq~ElAuCkBb@Sg@m@EDxBp@Ef@j@']],
+        ['SY', 'SY-DY', 'Deir ez-Zor', ['e}EeaGOjBeD`EhCXfBtAjFyDgAcDgAi@wCU']],
+        ['SY', 'SY-HA', 'Al-Hasakah', ['}fFwgGi@\\n@pCCxCpA|FrEiGNkBiBLqAYUyAeBkB']],
+        ['SY', 'SY-HI', 'Homs', ['mwEu`F?aAVV|@w@Eu@zEaH{DqJ}EdDe@bCAjAv@Jf@p@k@p@r@xCQ|A~@lA']],
+        ['SY', 'SY-HL', 'Aleppo', ['sdFopFa@rAx@hFi@pAdATl@}@VTjBoA\\{Ee@h@aA_@a@Vq@iBgAI']],
+        ['SY', 'SY-HM', 'Hama', ['e}EsgFl@ZQjBeAx@hCCPXXg@YkBVQs@yCj@q@cA}@g@LUhE']],
+        ['SY', 'SY-ID', 'Idlib', ['}aFadFPx@tAh@Ns@t@CVcCm@YsB`BWUKd@']],
+        ['SY', 'SY-LA', 'Latakia', ['{~E_aFSp@bAd@fA{@?m@qBGEX']],
+        ['SY', 'SY-QU', 'Quneitra', ['glEa_FU[iA\\~AA']],
+        ['SY', 'SY-RA', 'Al-Raqqah', ['idFouFI~CfAHn@hBb@WbA\\n@u@X{DgBuAiCYm@fA']],
+        ['SY', 'SY-RD', 'Rif Dimashq', ['wtEwcFp@|@XMTpAVQh@h@ZKByDhBeCwAeD{E`HDt@']],
+        ['SY', 'SY-SU', 'As-Suwayda', ['ikEiiFiBdCD~@d@GJf@rBc@F{@iAeC']],
+        ['SY', 'SY-TA', 'Tartus', ['qwEy_FB[u@g@S`@k@UG~@xBG']],
+        ['SZ', 'SZ-HH', 'Hhohho', ['`aDmeEe@pAlBvA^gAgBaB']],
+        ['SZ', 'SZ-LU', 'Lubombo', ['faDufECv@bDb@f@If@oAsBc@qBHIV']],
+        ['SZ', 'SZ-MA', 'Manzini', ['hcDc`EfBRLu@WsAeBi@OZx@|@a@dA']],
+        ['SZ', 'SZ-SH', 'Shiselweni', ['diDgbEPqC_@Dk@rAc@EV~AU`@zAcA']],
+        ['TC', null, 'Providenciales and West Caicos', ['efC`dM?qAs@??pAr@?']],
+        ['TC', null, 'South Caicos and East Caicos', ['adCb_M?q@_B??p@~A?']],
+        ['TC', null, 'Middle Caicos', ['{fCb`M?m@W??l@V?']],
+        ['TC', null, 'North Caicos', ['kgCfaM?e@[??d@Z?']],
+        ['TC', null, 'Grand Turk', ['}dCv{L?GQ??FP?']],
+        ['TC', null, 'Salt Cay', ['edCb|L?EG??DF?']],
+        ['TD', null, 'Ennedi', ['kbCqaCzIpDdGsApFVvDcAX^w@{BRi@UmDx@{DBiDyVAoHhR']],
+        ['TD', 'TD-BA', 'Batha', ['cqAajBl@d@jCwAHc@wBoD@cC}@yBBmBiDBWn@aJ?UvAy@bAxAPl@n@VpAo@`BfJvAR|@rBT']],
+        ['TD', 'TD-BG', 'Bahr el Gazel', ['mqAgbBZWQaFsBUS}@gJwA_@XoBlF~InBbBfB`AA?s@nBC']],
+        ['TD', 'TD-BO', 'Borkou', ['sgC}vB[t@\\f@nCCrAtDBrAhU~Jj@BnHyQm@qBqBa@x@cAj@qCa@eAwDbAqFWeGrA{IqDgDrI']],
+        ['TD', 'TD-CB', 'Chari-Baguirmi', ['qkAc|A^KCa@lERQ}@fAqAJkAjBMGiAj@a@h@uB_Cg@Wl@uDDq@~AaB\\m@rBh@fF']],
+        ['TD', 'TD-GR', 'Guéra', ['yfA}jBtDEn@iDzAyBsCsD{@EuAdDcAAB_AaBg@LuAwCeAi@zA|@vBAdCfBnDfBMl@fA']],
+        ['TD', 'TD-HL', 'Hadjer-Lamis', ['gpAoyAr@SRo@lAOi@gFl@sBhBg@h@uAm@gAwALIb@kCvAm@e@P`FgA~BF\\`@a@RT_@t@r@A?hB']],
+        ['TD', 'TD-KA', 'Kanem', ['wyAatAR_BvCoCQqB`Bc@P}@sB@?r@aA@cBgB_JoBoBnFdFzEtFvC']],
+        ['TD', 'TD-LC', 'Lac', ['wpA{vAN{Ds@@^u@QWe@^VcAaBb@PpBwCnCQlBXPfC_@zByA']],
+        ['TD', 'TD-LO', 'Logone Occidental', ['ax@weBUNl@xDnB^d@{@Ko@uAkC]Qm@^']],
+        ['TD', 'TD-LR', 'Logone Oriental', ['yo@ujBaA\\[a@eAj@wAMKbCl@_@\\PtAjCSvB|BeAv@FBqAkA{B`As@u@sA']],
+        ['TD', 'TD-MA', 'Mandoul', ['cq@spBgDn@{@m@_BlCHl@`A`@RYhB^bAk@\\`@`A]i@}D']],
+        ['TD', 'TD-MC', 'Moyen-Chari', ['sw@q{BkEfAkBQtC~D}AlBWzB~Bf@hB}AXiAz@l@fDo@EqAm@k@oA}@a@p@[]MuD']],
+        ['TD', 'TD-ME', 'Mayo-Kebbi Est', ['gdA}|AnBUhBkBL|Dp@A?q@v@Sf@eAmBmAJ[w@o@yCLOlAgApAP|@']],
+        ['TD', 'TD-MO', 'Mayo-Kebbi Ouest', ['_}@a{AKlBbAl@rF{FuCo@k@fAw@R?p@q@@']],
+        ['TD', 'TD-ND', 'N\'Djamena', ['ijAy|A?W[??VZ?']],
+        ['TD', 'TD-OD', 'Ouaddaï', ['_vAsiCe@~A@hBiAzBDr@v@x@t@o@~CIFmAjA{@i@uBPo@kB{AwAf@]U']],
+        ['TD', 'TD-SA', 'Salamat', ['mcAwjCgC|@CjEsAzCRjAe@~A`Bf@C~@bA@tAeDfDVjEgAOeBw@mAoDqDcA?}@_C']],
+        ['TD', 'TD-SI', 'Sila', ['mcAwjCDcBy@Se@Hm@hAwAMF\\uBDWl@Rr@o@hAh@tBkAz@LjCb@e@zAv@fAFSiAtAaDBkEfC}@']],
+        ['TD', 'TD-TA', 'Tandjilé', ['ax@weBJcCcBSQgAiAbDk@`@HdA`AHd@f@KZhCjAGkC]i@TO']],
+        ['TD', 'TD-TI', 'Tibesti', ['ohCguB_HhQvAhElHg@dF}CvAl@jPp@iU_KCsAsAuDoCB]g@']],
+        ['TD', 'TD-WF', 'Wadi Fira', ['eaBooCy@zDTlDSh@z@hBQpBbI?w@y@Es@hA{BAiBd@_Bk@iAoAd@]_AiBy@_AJa@i@']],
+        ['TF', null, 'Scattered Islands in the Indian Ocean', ['hgAqfH?CC@B@']],
+        ['TF', null, 'Kerguelen Islands', ['dqHmoLRE_@e@Jj@', 'jrH}wLYh@n@jBClAWKDd@KgAa@HZZ?xA_Ae@Vv@_@i@ORf@l@VUT\\Jc@H`@R_@jA^Fu@k@g@f@iE_@KAp@RQk@xAF{CK^g@o@']],
+        ['TF', null, 'Crozet Islands', ['jaHqxH?sIsA??rIrA?']],
+        ['TF', null, 'Amsterdam and Saint-Paul Islands', ['bqFgcN?UwD??TvD?']],
+        ['TG', 'TG-C', 'Centre', ['ev@_BTTrAcARZ|@EQyBmAE?gAmC?i@b@NrAd@HEj@j@p@']],
+        ['TG', 'TG-K', 'Kara', ['w}@mAjAXLW^\\D{@pBHk@q@Dk@e@IOsAmCPk@`AHr@x@J_@x@']],
+        ['TG', 'TG-M', 'Maritime', ['ce@mFc@uB{Bj@b@~@Q~@v@h@tA_B']],
+        ['TG', 'TG-P', 'Plateaux', ['ip@wBlARf@[`A\\dA[NYu@_@P_AYw@oHQ?hAlADPxB']],
+        ['TG', 'TG-S', 'Savanes', ['qdA`@Le@tATdAaB~@CNs@y@KIs@_@n@yB[JpAg@bC']],
+        ['TH', 'TH-10', 'Bangkok', ['ksA}rRg@Q@{@s@G\\nBz@Y']],
+        ['TH', 'TH-11', 'Samut Prakan', ['gsAguRi@CTnARkA']],
+        ['TH', 'TH-12', 'Nonthaburi', ['ewAerRj@JPg@]K_@f@']],
+        ['TH', 'TH-13', 'Pathum Thani', ['ywAuuR`@pBPoBs@A']],
+        ['TH', 'TH-14', 'Phra Nakhon Si Ayutthaya', ['swAkqRKwB_AHYp@l@BEp@|@D']],
+        ['TH', 'TH-15', 'Ang Thong', ['qyAqqRDq@m@CSx@z@C']],
+        ['TH', 'TH-16', 'Lopburi', ['s~AcxRg@nBxAz@bAIa@cAXQCqA[WmA\\']],
+        ['TH', 'TH-17', 'Sing Buri', ['o|AiqR`@CLq@wAZf@X']],
+        ['TH', 'TH-18', 'Chai Nat', ['o|AinR@kBcA@YZ^JKz@fAD']],
+        ['TH', 'TH-19', 'Saraburi', ['g{AmwRUnAv@j@Dg@dA[g@]F]mAB']],
+        ['TH', 'TH-20', 'Chon Buri', ['_nAcvRkAU]}BsApBz@n@rBLL[']],
+        ['TH', 'TH-21', 'Rayong', ['knAe{RyA\\XlBhAVIcD']],
+        ['TH', 'TH-22', 'Chanthaburi', ['gpAq_Su@^Tx@c@Fl@|@pASlA}AWJFa@yBW']],
+        ['TH', 'TH-23', 'Trat', ['gjAiaSoA@y@~@hB\\\\y@a@EpB{@mAZ', 'gjA__SU\\b@GMU']],
+        ['TH', 'TH-24', 'Chachoengsao', ['csAcvRQ{@jAwAa@w@kAVYpCW@@l@~ALB[']],
+        ['TH', 'TH-25', 'Prachin Buri', ['ivAcwRVAXqC}Aa@e@PO~Ab@E|@hA']],
+        ['TH', 'TH-26', 'Nakhon Nayok', ['oyAwwRb@x@bAFSqAk@e@g@t@']],
+        ['TH', 'TH-27', 'Sa Kaeo', ['owAebSEjD\\ZnDYGm@cAGMy@mB}@']],
+        ['TH', 'TH-30', 'Nakhon Ratchasima', ['oyAwwRRoCj@YL{AwCTcAkBu@EeAhCtAvA^xAOXrA]Vr@v@I']],
+        ['TH', 'TH-31', 'Buri Ram', ['_xA{bSSk@_Es@M`AsAj@b@^^m@r@FbAjBjC]QuA']],
+        ['TH', 'TH-32', 'Surin', ['sxAgdSCaDcBXkB[OzDb@kA~Dr@']],
+        ['TH', 'TH-33', 'Si Sa Ket', ['wxA{kSE{As@@wBl@QlAk@^jCh@bBY?qA']],
+        ['TH', 'TH-34', 'Ubon Ratchathani', ['}xAwnSb@Yk@iAoBa@[\\mBg@Wl@i@AQ|@xBd@]r@h@v@r@gAzCc@']],
+        ['TH', 'TH-35', 'Yasothon', ['g`ByiSv@y@}BGw@eAYxAbAbArAU']],
+        ['TH', 'TH-36', 'Chaiyaphum', ['yaBq~RaCOk@rDrGh@NY_@yAuAyA']],
+        ['TH', 'TH-37', 'Amnat Charoen', ['ydBeoSf@rA`BRTyAyBe@e@V']],
+        ['TH', 'TH-38', 'Bueng Kan', ['soBgjS}@j@EtC~@Yt@yBq@m@']],
+        ['TH', 'TH-39', 'Nong Bua Lam Phu', ['{hBw`SgCz@@l@pAf@b@g@XNXaBc@W']],
+        ['TH', 'TH-40', 'Khon Kaen', ['qhB}|Rj@~@h@cClAZ`ASRcB}BBsBaACbAg@Vz@TWjB']],
+        ['TH', 'TH-41', 'Udon Thani', ['{hBw`SYGf@WQoAXg@o@QBYs@pAoB]CdBx@j@aBxBrABHcAfC{@']],
+        ['TH', 'TH-42', 'Loei', ['wlB{uR`CYi@[LuAx@QU_A]Sc@f@}@e@m@V}AQtCbESd@']],
+        ['TH', 'TH-43', 'Nong Khai', ['kqBsdS`BzBoAhBVP`BgCy@]BeBuAR']],
+        ['TH', 'TH-44', 'Maha Sarakham', ['_gBwcSd@j@hANpBk@Ts@aDe@_@dAu@B']],
+        ['TH', 'TH-45', 'Roi Et', ['ueBojSGrAp@P@f@xBl@`@WBqBg@k@i@h@cBgAUV']],
+        ['TH', 'TH-46', 'Kalasin', ['uhBmcSjBMb@u@Ew@q@QFsAoA`@HX}@`Ar@`@O`A']],
+        ['TH', 'TH-47', 'Sakon Nakhon', ['moBoeSnC`@T_AjAeA]gAaBUDdAqAHs@|ALR']],
+        ['TH', 'TH-48', 'Nakhon Phanom', ['soBgjS\\h@~AKEiAnADV\\\\cB{BOaCzB']],
+        ['TH', 'TH-49', 'Mukdahan', ['chBwmSAhCbBs@ZeBS]o@n@y@A']],
+        ['TH', 'TH-50', 'Chiang Mai', ['}|B}lRHvAdA`@FrA`C_@EfB~BQvAXvCaAG_@wAQCo@eCf@w@wATi@qEP_A_@?_@e@L']],
+        ['TH', 'TH-51', 'Lamphun', ['yrBukRa@`@v@vAvBi@Jf@t@A_AyAuA\\y@y@']],
+        ['TH', 'TH-52', 'Lampang', ['mxBanRGRdADr@n@fA@r@x@lA_@vA`@@q@f@YeBQK`@eDaDeDtA']],
+        ['TH', 'TH-53', 'Uttaradit', ['yqBuvRbA|@l@jD|BOkBaEcAk@_AR']],
+        ['TH', 'TH-54', 'Phrae', ['stBerR@l@n@@pDvCk@eEiBg@mAd@']],
+        ['TH', 'TH-55', 'Nan', ['yqBuvRaCs@gA^c@OB~B\\Rr@W`Av@dAe@tAVAcAcA}@']],
+        ['TH', 'TH-56', 'Phayao', ['gzBmrRx@|@?lAfAQp@{@?u@}@w@uBn@']],
+        ['TH', 'TH-57', 'Chiang Rai', ['_~BspRY^LfBhAa@hA`A~B[cBi@L}AyAoAy@Mk@h@Ln@']],
+        ['TH', 'TH-58', 'Mae Hong Son', ['ezBofRQzAlDfAfAQBnAr@[C]~AGv@m@]mA}@j@yAYiAXaASP{A_C^']],
+        ['TH', 'TH-60', 'Nakhon Sawan', ['c}AwrRqBmA{@L?jBqAl@lB|@YZHzA|@mAMkApBuB']],
+        ['TH', 'TH-61', 'Uthai Thani', ['w|AokRFyAaA@BeAc@Be@f@NhAi@fAdCXRy@']],
+        ['TH', 'TH-62', 'Kamphaeng Phet', ['igBkoRg@lBbATPp@tBQHaCgC{@e@X']],
+        ['TH', 'TH-63', 'Tak', ['ulB}bRbCwBvB]c@c@PKt@PJr@bA@`BwAcB[sCXSs@eDC@l@s@L\\p@u@@|AZFZyAX\\lA']],
+        ['TH', 'TH-64', 'Sukhothai', ['igBkoRk@m@o@j@mBKUrAjDv@r@}B']],
+        ['TH', 'TH-65', 'Phitsanulok', ['umB_vRdBtCFx@f@i@f@n@`@EHyBd@[UWyAw@_ACm@h@q@O']],
+        ['TH', 'TH-66', 'Phichit', ['eeBetRo@tAl@r@xAy@CaBsAP']],
+        ['TH', 'TH-67', 'Phetchabun', ['ygBe{Rw@\\MtA`A|@`Ct@zAg@b@P^uBkEI_AYQw@']],
+        ['TH', 'TH-70', 'Ratchaburi', ['qqA}jRWeC}@k@y@Zh@|CdBG']],
+        ['TH', 'TH-71', 'Kanchanaburi', ['_aB{fR~@CZjAbBWfEiDSaCcDM_@h@Tf@eEvD']],
+        ['TH', 'TH-72', 'Suphan Buri', ['o|AiqRQtDfA_@Ug@^i@rBJa@wAqCF']],
+        ['TH', 'TH-73', 'Nakhon Pathom', ['swAkqRVpAdA_@CgAyAT']],
+        ['TH', 'TH-74', 'Samut Sakhon', ['isAorRo@LHp@p@AK}@']],
+        ['TH', 'TH-75', 'Samut Songkhram', ['}rAqpRO`@r@Hc@k@']],
+        ['TH', 'TH-76', 'Phetchaburi', ['qmAglRMoBsA[m@ZRhDzAS^e@']],
+        ['TH', 'TH-77', 'Prachuap Khiri Khan', ['qmAglRtCm@zC`BNYGm@mFgByAJLnB']],
+        ['TH', 'TH-80', 'Nakhon Si Thammarat', ['ey@qnRp@AfBbBvAAh@USaAZAHmA[i@kALy@z@kCf@']],
+        ['TH', 'TH-81', 'Krabi', ['{n@kkR}BKEpAo@CU`@lAZr@]R{@j@@Fg@']],
+        ['TH', 'TH-82', 'Phang Nga', ['is@qgRs@KE^kCXdDj@lAe@c@GIk@']],
+        ['TH', 'TH-83', 'Phuket', ['kp@cfRy@ZpAAWY']],
+        ['TH', 'TH-84', 'Surat Thani', ['e|@sjRTdArCbAx@SLiAt@@EgAg@AgBeBs@FP`BoBV', '}z@mpRBZ\\Ca@W']],
+        ['TH', 'TH-85', 'Ranong', ['u_AehR`EdALUI_@e@Uo@Zw@y@oCHvAX']],
+        ['TH', 'TH-86', 'Chumphon', ['_dAsjRp@r@fCK~@z@d@Ue@mAwAUYR?[c@HaAu@Y@GfA']],
+        ['TH', 'TH-90', 'Songkhla', ['{h@gqRh@iBd@Q{@y@s@FyAhCj@dAlAa@', 'sp@crRZh@@_@r@BGWz@GN[uCl@']],
+        ['TH', 'TH-91', 'Satun', ['{h@gqRgAZM|@p@JvAwAs@M']],
+        ['TH', 'TH-92', 'Trang', ['qk@mnRL{@wDz@FpAnB??s@b@FLe@']],
+        ['TH', 'TH-93', 'Phatthalung', ['qo@gqROzAvCy@k@eAg@d@s@A']],
+        ['TH', 'TH-94', 'Pattani', ['{i@uvRr@ODqB}@l@BrA']],
+        ['TH', 'TH-95', 'Yala', ['kf@cuRLu@vAV^]s@kA}@VcAm@SdBbAv@']],
+        ['TH', 'TH-96', 'Narathiwat', ['cf@}|RiAxAtAn@|@W\\w@gBy@']],
+        ['TJ', null, 'districts of Republican Subordination', ['kvF}}Ld@hBS~@f@vDj@b@U^v@xFfAPhA{@l@VDk@sA]UqBTe@oA{Bh@yAs@i@EcAf@IXmAs@kBcBm@Y\\Rz@}@n@']],
+        ['TJ', 'TJ-DU', 'Dushanbe', ['koFglL?e@g@??d@f@?']],
+        ['TJ', 'TJ-GB', 'Gorno-Badakhshan', ['quFekMVdGfBr@`A|BYlAe@DBdAfA~@nALsAaB^qBdALDcAhD`@hAu@eA_EuA_CDyA`@\\FUi@yBf@qBOc@QQg@t@e@My@`@kAGi@bBNdBkDd@']],
+        ['TJ', 'TJ-KT', 'Khatlon', ['mgFsfLr@o@qAmDl@kAUa@k@J[YFaCkEs@@r@c@`@nAzBUd@TpBrA\\A~@`At@nAP']],
+        ['TJ', 'TJ-SU', 'Khujand', ['ozFozLFbA_@p@kAoAy@~@nAvCa@z@l@d@jAQDlCLqA@j@f@USVtAn@KfDXp@r@N~@_Dw@yFT_@k@c@g@wDYzARrD{AAJe@i@COyAb@oBXHcA_B']],
+        ['TK', null, 'Tokelau', ['py@du`@?iGeD??hGdD?']],
+        ['TL', 'TL-AL', 'Aileu', ['rt@_qWFp@`@NGkAa@H']],
+        ['TL', 'TL-AN', 'Ainaro', ['lx@mpWsA?r@r@h@OIc@']],
+        ['TL', 'TL-BA', 'Baucau', ['bt@ksWd@GM}Be@VLlB']],
+        ['TL', 'TL-BO', 'Bobonaro', ['~v@wkWp@{@c@e@y@|@j@b@']],
+        ['TL', 'TL-CO', 'Cova Lima', ['hx@emWFd@v@SaAyAYRb@RG^']],
+        ['TL', 'TL-DI', 'Dili', ['|t@goW?iAcB??hAbB?']],
+        ['TL', 'TL-ER', 'Ermera', ['`u@ioWR|@n@]S_@o@?']],
+        ['TL', 'TL-LA', 'Lautém', ['ts@yvW`AGcAsBUbAVv@']],
+        ['TL', 'TL-LI', 'Liquiçá', ['vu@{lW?sAg@??rAf@?']],
+        ['TL', 'TL-MF', 'Manufahi', ['rw@yrW}@n@l@l@h@QYkA']],
+        ['TL', 'TL-MT', 'Manatuto', ['fw@ksWi@Tu@YE`AhABZaA']],
+        ['TL', 'TL-OE', 'Oe-Cusse Ambeno', ['jx@yhW^rA\\w@}@[']],
+        ['TL', 'TL-VI', 'Viqueque', ['vu@awW]t@b@tAh@Uo@uB']],
+        ['TM', 'TM-A', 'Ahal', ['s}E}}JL]i@]WTM[mCPkCdBf@u@U]WzAeBCoAjAyAZwCoBDbCa@fAeA@?`Di@jCf@hHjAUbFfBj@_Cz@YbAiEKwA^eB~@]b@oBlA_A?eDdCFdA[']],
+        ['TM', 'TM-B', 'Balkan', ['gaG{|IFhBaCjBqA|Ch@bFjAjBjCwA{BGA\\{@e@[kD|Bq@xAkCf@XIlAj@]FfCs@R\\ZEfA_Af@xBb@tA?v@u@q@RHcC~@\\V}@?dBYKr@d@j@M_@@AqA^ATU_@G^B^w@lA\\lFOSsC_Ai@_AuBc@qIs@pB}EiBiAVQe@i@FgEvBClB']],
+        ['TM', 'TM-D', 'Daşoguz', ['udG{vJSl@k@YU`@GrByAjCZJDpA~@iAg@|A~@d@HjBr@bAdBi@RzBtFoCc@sFh@kC?aDfAC\\eBcDDEn@cC??qCm@CBfBg@pAa@Qa@TEg@QT']],
+        ['TM', 'TM-L', 'Lebap', ['wgFixKcAu@p@mCcC]q@jEiIxQaFzBm@~@@~Bn@D?pCbC?Do@`DC?mCxFoHd@aB`BaBl@l@~AC@sFy@OSgC']],
+        ['TM', 'TM-M', 'Mary', ['ieFqsKArF_BBw@k@wJpNAf@vCnBxA[nAkAdBBV{AT\\g@t@jCeBlCQJZVWj@^RW@}Az@w@UoAe@mAs@Y_@T[}Du@uAsBq@']],
+        ['TN', 'TN-11', 'Tunis', ['qeFs_AVbAHg@a@[']],
+        ['TN', 'TN-13', 'Ben Arous', ['}dFa_A\\v@f@w@y@a@K`@']],
+        ['TN', 'TN-14', 'Manouba', ['agF{~@z@dCp@cA}@yAo@V']],
+        ['TN', 'TN-21', 'Nabeul', ['qdFc`AdANDe@gByBi@XdAtB']],
+        ['TN', 'TN-22', 'Zaghouan', ['}bFs_Ac@nApAhAl@}Am@_Am@B']],
+        ['TN', 'TN-23', 'Bizerte', ['igFww@xA_A{AmDOlATJc@GCVb@bC']],
+        ['TN', 'TN-31', 'Beja', ['kfFsv@`Ck@g@sCs@|@Rb@wAx@\\b@']],
+        ['TN', 'TN-32', 'Jendouba', ['{eFwt@xAtAZs@UyBgBRFbA']],
+        ['TN', 'TN-33', 'Kef', ['s}Eas@_@gAN}@eA]mAl@NnBrCD']],
+        ['TN', 'TN-34', 'Siliana', ['y|Eaz@k@b@Eo@_@Bg@s@]b@a@c@CdDlAm@dA\\h@yA']],
+        ['TN', 'TN-41', 'Kairouan', ['y`Fy~@J~A`@n@^CDn@fAi@bAqB[c@uAOmBR']],
+        ['TN', 'TN-42', 'Kasserine', ['cxEsr@R}@m@_Bc@k@i@Vq@a@u@zB^hAx@FP[bB`@']],
+        ['TN', 'TN-43', 'Sidi Bouzid', ['y|Eaz@h@z@l@Wz@zAP_BpAu@@e@s@{@Yl@kAm@_BvB']],
+        ['TN', 'TN-51', 'Sousse', ['ebFy`AC^jBh@pAiAiA_@y@h@u@I']],
+        ['TN', 'TN-52', 'Monastir', ['u~EyaAz@f@DcA]m@c@hA']],
+        ['TN', 'TN-53', 'Mahdia', ['g}EycAZ~A[t@pADWmBb@o@][_A\\']],
+        ['TN', 'TN-61', 'Sfax', ['izE{cAc@n@ZxB~AbA^k@n@bAPs@iAyBoBwA']],
+        ['TN', 'TN-71', 'Gafsa', ['{vEsq@j@Ll@aA_@oFqAt@OlEf@^']],
+        ['TN', 'TN-72', 'Tozeur', ['yoEeo@gC_EWbBUZk@M|AvBbCi@']],
+        ['TN', 'TN-73', 'Kebili', ['yoEeo@b@AlAoB|@Iu@kGZ{@kBFwBxBoAHTvBfC~D']],
+        ['TN', 'TN-81', 'Gabès', ['qtEq}@WdAPlAfAElBwAG_A_AoAe@z@aA\\']],
+        ['TN', 'TN-82', 'Medenine', ['siEagAwCBE`ASHB_@Md@s@JZz@m@BJr@~@nAF~@j@a@e@sCh@gAhAQd@cAl@r@_@eA', 'orEucAGp@^?N]g@S']],
+        ['TN', 'TN-83', 'Tataouine', ['shE{dAm@s@e@bAiAPi@hAd@pCpAI[x@t@jGzAoCnJ}AYeA_BkAuBZq@]sBwD']],
+        ['TO', 'TO-01', 'ʻEua', ['beCtda@?Qc@??Pb@?']],
+        ['TO', 'TO-02', 'Haʻapai', ['|zBlea@?mDo@??lDn@?']],
+        ['TO', 'TO-03', 'Niuas', ['zbB`ia@?kKuA??jKtA?']],
+        ['TO', 'TO-04', 'Tongatapu', ['~bCdea@Ax@^i@]O']],
+        ['TO', 'TO-05', 'Vavaʻu', ['rtBtba@?wCs@??vCr@?']],
+        ['TR', 'TR-01', 'Adana', ['meFq_Fq@a@q@^y@a@Mq@uB]]^fBrCb@CP~Cx@FfAy@z@\\d@sAaAsB']],
+        ['TR', 'TR-02', 'Adıyaman', ['oiFejFTmBo@iCiBkAPxAWhA|@z@`@dCh@a@']],
+        ['TR', 'TR-03', 'Afyonkarahisar', ['}pFyyDr@Zr@y@l@jAf@e@I_Ac@KiBmD@aA{Ay@}@zAd@~BWb@bBlB']],
+        ['TR', 'TR-04', 'Ağrı', ['wvF{tG[rEi@XVfEVk@r@J`Bg@[{Ac@FQe@TcAQsCq@[']],
+        ['TR', 'TR-05', 'Amasya', ['y_GizEhA@^kAfAR}@_BFgAw@y@s@p@^h@o@zD']],
+        ['TR', 'TR-06', 'Ankara', ['m}FejEx@d@TtCSbBt@h@XQA{CrC}@Tb@Xm@FmAk@{BRk@~A]QkA{@Qc@nAgBt@q@SGe@_AG@`AkAvC']],
+        ['TR', 'TR-07', 'Antalya', ['q`FqjEeAOgB`AcAbBYjBr@pGnD`C`@qAe@oBRa@gCy@bAiGzAmB']],
+        ['TR', 'TR-08', 'Artvin', ['}aGihGOxDh@~@j@e@t@r@Jo@d@EEsAy@[o@mB}@J']],
+        ['TR', 'TR-09', 'Aydın', ['yhFgjD[UL{EUD]_AgAf@VhF|@fBLg@n@BIi@']],
+        ['TR', 'TR-10', 'Balıkesir', ['_{FikD\\\\`ACXrC^D@w@r@bATa@y@eBVsBx@{@UaBo@o@e@MeBdD{@MDz@SWMt@\\WL|@']],
+        ['TR', 'TR-11', 'Bilecik', ['a{Fm~Dc@rCpCj@Z}AiBwB_@T']],
+        ['TR', 'TR-12', 'Bingöl', ['evFm|Fh@dBn@BOiAjCPs@_EgCRYxB']],
+        ['TR', 'TR-13', 'Bitlis', ['wrFmiGtAxEdA[AkAv@aCcBBsA}Am@d@RbA']],
+        ['TR', 'TR-14', 'Bolu', ['m}FejEy@l@G~AfAxAIzAv@z@|@u@u@i@RcBUuCy@e@']],
+        ['TR', 'TR-15', 'Burdur', ['_kFqyDb@|@zBZF_AaAiABcC]c@}AtBP`B']],
+        ['TR', 'TR-16', 'Bursa', ['o{FioDp@Rp@a@dAuDeAi@AkAc@PwAq@G~DZa@DzD']],
+        ['TR', 'TR-17', 'Çanakkale', ['o|FogDa@`@\\Er@xBr@HcB_D', 'evFueD_@EYsCaAB]]Y|Ar@hCp@r@|ANOwB']],
+        ['TR', 'TR-18', 'Çankırı', ['}}FijEzAsCJiCYe@oALYr@a@AZrAYbAz@jB']],
+        ['TR', 'TR-19', 'Çorum', ['eaGmvEp@p@ZGJl@vAW\\d@fAQYkEaBmA_@dAoABc@f@GrA']],
+        ['TR', 'TR-20', 'Denizli', ['cmFkrDfAg@\\~@h@I|A_CcB}@a@Fc@}@k@`@i@gAs@x@^\\HvCZZ']],
+        ['TR', 'TR-21', 'Diyarbakır', ['cqF{`Gr@fDZdG\\?lAsCrA]eAmBEiBeCa@Mc@o@`@']],
+        ['TR', 'TR-22', 'Edirne', ['keGwfDh@fB^w@l@GX~@x@Gj@`AXIIkCgGK']],
+        ['TR', 'TR-23', 'Elazığ', ['ksFcyFbAjBs@jDt@A\\v@t@_C]eGkCQNhA']],
+        ['TR', 'TR-24', 'Erzincan', ['iyFgqFRdATD@_@t@f@pACXaAuAcAO}H_@Kq@vAUG^dD_@hC']],
+        ['TR', 'TR-25', 'Erzurum', ['yuFehGs@KWj@Oy@y@pAe@mAa@?_Ar@F~@x@ZDrAe@DKn@t@~Br@OLm@j@lBz@uA^JIo@pAqD_AgC']],
+        ['TR', 'TR-26', 'Eskişehir', ['azFc_EhBvBfBoA_@oCd@e@?}@e@w@sC|@@zC_@h@']],
+        ['TR', 'TR-27', 'Gaziantep', ['geFulFuAd@c@g@Qf@|@~C[\\pAvAXi@e@q@dAyBa@eB']],
+        ['TR', 'TR-28', 'Giresun', ['__GemFdAHrAi@VcCg@BW_@a@j@i@y@{@ATnE']],
+        ['TR', 'TR-29', 'Gümüşhane', ['o|F}wFg@`Dn@b@Xm@V^f@Cb@{AGoA}BG']],
+        ['TR', 'TR-30', 'Hakkâri', ['chF_nGBcD|@Sa@aB]E[l@_A@_@vAb@pCtAD']],
+        ['TR', 'TR-31', 'Hatay', ['eeFcdFe@rAP~@t@{@bAtAnAWRq@qAi@?y@q@XeAY']],
+        ['TR', 'TR-32', 'Isparta', ['coFibES\\zCtEU}@|AuBGoAsBWSa@_AhA']],
+        ['TR', 'TR-33', 'Mersin', ['qdFiyE{@]gAx@Fv@lBpHn@q@VrBdANI_F}BkDFkA']],
+        ['TR', 'TR-34', 'Istanbul', ['sbGgoDzADVaCWm@a@Gy@pD', 'o~FyuDYg@Rg@o@m@OlCf@^\\o@']],
+        ['TR', 'TR-35', 'İzmir', ['ykFkiDk@cGc@TGvBy@hB[PaA_AiAr@x@dBj@EJq@`@bAx@k@Ck@BzAVDiAr@l@BBW\\v@b@gAWa@`AcB']],
+        ['TR', 'TR-36', 'Kars', ['}_GonGj@xBr@JDl@`@?d@lA~@yBe@uDiATw@_@eAv@']],
+        ['TR', 'TR-37', 'Kastamonu', ['sdG_lEv@Cb@{@p@d@d@_B[sAXHTi@Ku@sCaAUxAe@OKrD^fB']],
+        ['TR', 'TR-38', 'Kayseri', ['kkF}zEHwAc@BeBcCZo@aDmAg@vE~@pBEj@|AGd@\\f@y@fAB']],
+        ['TR', 'TR-39', 'Kırklareli', ['ieGcnDL|Aa@hBPb@vBJV{Bm@wC_BZ']],
+        ['TR', 'TR-40', 'Kırşehir', ['wrFasEZ{Aq@w@w@LA[uAdCnBlBt@qA']],
+        ['TR', 'TR-41', 'Kocaeli', ['e`GwyDn@l@Sf@Xf@ZiCBzA^JKmCkAgAk@h@LnA']],
+        ['TR', 'TR-42', 'Konya', ['opFepE_B\\Sj@j@zBQzCrATp@bA~@iAR`@rBVp@kCbBuAk@w@e@TqA_B]}B~AqA_@eAoAHw@x@E`Ds@NeAg@']],
+        ['TR', 'TR-43', 'Kütahya', ['mxFoxD@v@~@\\Av@dAz@dBgA_@cCb@g@cBmBuAz@MrAg@F']],
+        ['TR', 'TR-44', 'Malatya', ['usFwnFZ|Ch@At@dAp@mBzAh@OoB}@{@ViAS}@]?c@nCcB{@Y`A']],
+        ['TR', 'TR-45', 'Manisa', ['wsFcrDT`By@z@MhAhAG|@|@nA{BKq@x@_C_@e@cANe@e@u@XSp@']],
+        ['TR', 'TR-46', 'Kahramanmaraş', ['onFecF`Dx@^OCuBZ]c@sBw@f@cC}@W`BYGEnA|@hA']],
+        ['TR', 'TR-47', 'Mardin', ['egF{dGc@j@Ui@u@Ld@xAq@t@FlBdAlBzAs@c@yAImF']],
+        ['TR', 'TR-48', 'Muğla', ['yaF{uD{BuA_@z@^VI\\gBdBMzEf@VNm@ZF@`A^GOoERx@^@RbCWuCT\\XM_AqAv@kA]UN_@VPr@q@']],
+        ['TR', 'TR-49', 'Muş', ['yuFehG~@vBg@zBjBBz@m@uAcFw@Oq@h@']],
+        ['TR', 'TR-50', 'Nevşehir', ['}nFqvE@uAe@]uBLo@p@@\\~@Eb@pAn@?r@u@']],
+        ['TR', 'TR-51', 'Niğde', ['mhFuvEGw@y@Gu@uAuAbAAtAlA`Av@y@hAK']],
+        ['TR', 'TR-52', 'Ordu', ['e`GegFbAxAn@oDn@e@e@mAwAHe@~D']],
+        ['TR', 'TR-53', 'Rize', ['e_Ge{FxA[kBsDk@d@|@hD']],
+        ['TR', 'TR-54', 'Sakarya', ['i`Ge}Dl@E?`@x@TRp@^]JmBuCaAQhB']],
+        ['TR', 'TR-55', 'Samsun', ['gcG{|EfA?WlAXj@b@Oh@sCDgA_@a@\\}Aw@wAm@lATfA_BvARzA']],
+        ['TR', 'TR-56', 'Siirt', ['smFmjGn@Vy@xB@jAv@r@v@kBDeEgBMEl@']],
+        ['TR', 'TR-57', 'Sinop', ['geG{tEd@NTyAhAPPcAg@u@VmAgA?y@pAUUNbE']],
+        ['TR', 'TR-58', 'Sivas', ['g|FomFvB|Kv@Q|@fAf@wEhB\\CuBc@o@i@@[}CmBCY_@A^UEIeAe@`BaAT']],
+        ['TR', 'TR-59', 'Tekirdağ', ['w_GaoDqA@l@vCSvAD\\~APx@u@uAiBQaC']],
+        ['TR', 'TR-60', 'Tokat', ['k~FmdF?z@t@@\\r@Mz@~@`ANcBd@OIoAo@w@IsBg@w@oAvD']],
+        ['TR', 'TR-61', 'Trabzon', ['u_GusFr@B\\k@VcFyAZOnF']],
+        ['TR', 'TR-62', 'Tunceli', ['evFm|FRnHx@|@p@I\\mCO}@gBu@e@aB']],
+        ['TR', 'TR-63', 'Şanlıurfa', ['idFouFm@cDoDpAc@lAEhAfAj@dAjEzAc@\\yG']],
+        ['TR', 'TR-64', 'Uşak', ['}pFyyDc@f@VvB`@n@z@@@wCsAy@']],
+        ['TR', 'TR-65', 'Van', ['{tFirGBfE^KXZ^e@|A~Af@IHy@rA?EsDa@}@qAm@G`@_En@']],
+        ['TR', 'TR-66', 'Yozgat', ['ezF}|EE~@b@Vd@hEzAoCdAq@Dk@m@aB_B}AmAf@ObB']],
+        ['TR', 'TR-67', 'Zonguldak', ['e`G}bEX_DoA_@_@t@r@~B`@H']],
+        ['TR', 'TR-68', 'Aksaray', ['wrFasEh@?r@nB`ATt@g@MkCmAaAs@t@w@CM|@']],
+        ['TR', 'TR-69', 'Bayburt', ['iyFwzFc@gBIl@s@NK|BtBAGqA']],
+        ['TR', 'TR-70', 'Karaman', ['ggFmtEaBdBd@|BjAjAd@Uj@v@l@e@EoAQc@o@p@gAiF']],
+        ['TR', 'TR-71', 'Kırıkkale', ['mtFopEoBmBwATMfA~@FVl@r@DhAk@']],
+        ['TR', 'TR-72', 'Batman', ['yoF{aGdCjAbAaAe@yAm@nAaAs@s@J?f@']],
+        ['TR', 'TR-73', 'Şırnak', ['}fFwgGs@qALuBuAERvAO`Ft@M\\d@Zg@a@}@h@]']],
+        ['TR', 'TR-74', 'Bartın', ['_cGygEt@u@eA}Ac@Tr@|B']],
+        ['TR', 'TR-75', 'Ardahan', ['}_GonG_BdD^^|@Kf@l@~@s@Em@s@Kk@yB']],
+        ['TR', 'TR-76', 'Iğdır', ['wvFawGoAfBMzBZdAb@IZeB@sBYYXk@']],
+        ['TR', 'TR-77', 'Yalova', ['{{FctDU?@wAYA`@bCJi@']],
+        ['TR', 'TR-78', 'Karabük', ['}}FijEk@cBq@V[i@YJIn@bAzBj@Hl@kA']],
+        ['TR', 'TR-79', 'Kilis', ['edFoiFeAxBd@p@h@mAI}A']],
+        ['TR', 'TR-80', 'Osmaniye', ['mjFwaF@`@hA`@v@WHmA}@u@OrA_AB']],
+        ['TR', 'TR-81', 'Düzce', ['w_Go`EdALJgAiAmBGfD']],
+        ['TT', 'TT-ARI', 'Arima', ['gaAb~J?GK??FJ?']],
+        ['TT', 'TT-CHA', 'Chaguanas', ['s`Ad_K?UM??TL?']],
+        ['TT', 'TT-CTT', 'Couva-Tabaquite-Talparo', ['m_Ab_K?k@w@?Lj@h@?']],
+        ['TT', 'TT-DMN', 'Diego Martin Regional Corporation', ['uaAt_KOKFb@FW']],
+        ['TT', 'TT-ETO', 'Tobago', ['ueA`zJT?[YDX']],
+        ['TT', 'TT-PED', 'Penal-Debe Regional Corporation', ['{}@p_K?_@g@??^f@?']],
+        ['TT', 'TT-POS', 'Port of Spain', ['maAt_K?KI??JH?']],
+        ['TT', 'TT-PRT', 'Princes Town', ['_~@j}Jm@J?d@n@IAg@']],
+        ['TT', 'TT-PTF', 'Point Fortin', ['k~@t`K?QO??PN?']],
+        ['TT', 'TT-RCM', 'Mayaro-Rio Claro', ['k`An|JD`@dAEKc@_AF']],
+        ['TT', 'TT-SFO', 'San Fernando', ['__Ah_K?MO??LN?']],
+        ['TT', 'TT-SGE', 'Sangre Grande Regional Corporation', ['obAh}JbAH?c@kAYFr@']],
+        ['TT', 'TT-SIP', 'Siparia Regional Corporation', ['y~@f`K\\x@AuAYCA^']],
+        ['TT', 'TT-SJL', 'San Juan–Laventille', ['ebAh_Kh@Ek@Y@^']],
+        ['TT', 'TT-TUP', 'Tunapuna-Piarco Regional Corporation', ['obAl~Jl@Jg@q@Ed@']],
+        ['TT', 'TT-WTO', 'Tobago', ['_eA`zJU?\\f@Gg@']],
+        ['TV', null, 'Tuvalu', ['|y@wka@?uVoV??tVnV?']],
+        ['TW', 'TW-CHA', 'Changhua', ['_tConVLoAq@Ee@d@hAn@']],
+        ['TW', 'TW-CYI', 'Chiayi', ['oqCioV?[O??ZN?']],
+        ['TW', 'TW-CYQ', 'Chiayi', ['wpCwmVQ_Ab@i@q@}@]jBTz@f@?']],
+        ['TW', 'TW-HSQ', 'Hsinchu', ['izCurVdA_@Jq@_@Q_@Te@r@RX']],
+        ['TW', 'TW-HSZ', 'Hsinchu', ['myCmrV?c@]??b@\\?']],
+        ['TW', 'TW-HUA', 'Hualien', ['awC_xVGz@d@`@pBLl@l@t@w@sFaB']],
+        ['TW', 'TW-ILA', 'Yilan', ['e{CiyV`AfBr@VLuAcBI_@_@']],
+        ['TW', 'TW-KEE', 'Keelung', ['q{CewV?]W??\\V?']],
+        ['TW', 'TW-KHH', 'Kaohsiung', ['okCqoVgAKCoAwBY^bAjAr@Al@xAo@']],
+        ['TW', 'TW-KIN', 'Kinmen', ['gxC}bVVTEc@QL']],
+        ['TW', 'TW-MIA', 'Miaoli', ['{wC{pV`@m@[qA_AlAx@p@']],
+        ['TW', 'TW-NAN', 'Nantou', ['ovCkuVj@dCjADf@kAS[kCc@']],
+        ['TW', 'TW-PEN', 'Penghu', ['}qCoiV?o@a@??n@`@?']],
+        ['TW', 'TW-PIF', 'Pingtung', ['_jCorVgAXg@_@GvAfAJjB{@FYcAG']],
+        ['TW', 'TW-TAO', 'Taoyuan', ['}zCasVbA_B{AJVrA']],
+        ['TW', 'TW-TNN', 'Tainan', ['inCanV@m@}@q@c@h@P~@lAI']],
+        ['TW', 'TW-TPE', 'Taipei', ['a{C_wVo@FPR\\[']],
+        ['TW', 'TW-TPQ', 'New Taipei', ['c|C_xV]j@`@p@vAe@_AiB[p@', 'a{C_wV]ZQSn@G']],
+        ['TW', 'TW-TTT', 'Taitung', ['oqCgvV`Ab@YjAdBBX\\dAMmFcC']],
+        ['TW', 'TW-TXG', 'Taichung City', ['ivC_pVf@y@gAiCNxBa@l@p@Z']],
+        ['TW', 'TW-YUN', 'Yunlin', ['_rCwmVS{B]PMpA~@V']],
+        ['TZ', 'TZ-01', 'Arusha', ['tIi{EhBQfCj@Gj@vDZTYy@aB\\c@g@e@r@?e@e@|A}@Ew@qAIc@_BaB\\[m@Jw@qFpL']],
+        ['TZ', 'TZ-02', 'Dar es Salaam', ['~g@qsF|ARMaAj@[e@IuArA']],
+        ['TZ', 'TZ-03', 'Dodoma', ['nd@keFkBzB_GKb@~AbB|@r@tArBs@rFr@h@mEn@iAqGkA']],
+        ['TZ', 'TZ-04', 'Iringa', ['`m@_cFo@hAo@lFt@f@bAzCz@Rh@oFjA`Aj@CrAoBcAI`@aAk@IyB}BMsA}@g@w@`B']],
+        ['TZ', 'TZ-05', 'Kagera', ['tEm}DfBgA`BKt@JT~@lAPZ}@]q@_@ToA{@N{AqDuE}ACL`M']],
+        ['TZ', 'TZ-06', 'North Pemba', ['f_@kwFBWw@?Ab@t@K']],
+        ['TZ', 'TZ-07', 'Unguja North', ['td@_tFEe@w@N|@T']],
+        ['TZ', 'TZ-08', 'Kigoma', ['f^kvDjCu@xBL`BuAqAsAmEnAa@sCLm@n@SG]cBCcAs@qCXiCfAcACxGjEd@t@A`AlBJ']],
+        ['TZ', 'TZ-09', 'Kilimanjaro', ['fQ{hFKv@z@n@xBmBdCOf@cBgBmAyBbDwAK]n@']],
+        ['TZ', 'TZ-10', 'South Pemba', ['j_@cxF@h@HYd@Xq@i@']],
+        ['TZ', 'TZ-11', 'Unguja South', ['nd@euFb@Tv@m@{AV']],
+        ['TZ', 'TZ-12', 'Lindi', ['~r@otFb@rC_Ap@o@`BnBtA~B@jE`Bt@iDlAu@_ByGp@m@{AcAQv@k@UkHfB']],
+        ['TZ', 'TZ-13', 'Mara', ['xG_xEqAnC?~F~A?FsCnAb@Ny@?x@ZJAcDfA{B?mBq@YiBP{@hB']],
+        ['TZ', 'TZ-14', 'Mbeya', ['lz@_tE{@l@{@?SeCyCkBk@`C@lB{@WuBbBMvAbAxCjBv@z@}ArAy@s@p@Pd@t@Bh@v@x@[lBaGR}Ai@a@']],
+        ['TZ', 'TZ-15', 'Mjini Magharibi', ['nf@ysF?[y@??Zx@?']],
+        ['TZ', 'TZ-16', 'Morogoro', ['rp@gkFeASM{Ag@JcAg@Qh@g@AIv@mAG_Ah@Hj@e@n@~@j@o@Tb@l@x@ElEjAv@aB|@f@BdA`AnAlBdAa@`A~@E`AaA[g@rBb@I_Cc@WpAQoAqBsAk@_CAoBuA']],
+        ['TZ', 'TZ-17', 'Mtwara', ['l`Aw{Fa@@a@vAf@v@r@Ns@h@h@fDv@tBf@En@M\\oA_BcG{AaC']],
+        ['TZ', 'TZ-18', 'Mwanza', ['dHkkEfCbDn@MrAsBnB?N_@e@a@`@q@_@}@uAQYw@uBrBWgAOx@oAc@IvC']],
+        ['TZ', 'TZ-19', 'Pwani', ['zk@muFk@LL`A}ASe@t@qAJMfEfAs@lAFHw@f@@\\m@v@j@f@KLzAdARn@aB~@q@c@sC}@a@k@FD^_Cc@', 'vn@kxFdAt@Oe@u@O']],
+        ['TZ', 'TZ-20', 'Rukwa', ['dr@e_ElAo@@gA~A}B?a@y@Zi@w@u@CQe@r@q@kB|Ak@|CoAHQfA_Ab@p@xBnE{A']],
+        ['TZ', 'TZ-21', 'Ruvuma', ['x`AcwEpBE|AeAF{Bg@q@x@iA[eD^sA{A_CwCt@cA|DwBu@nApBqAPb@VNvB{B[pBzCtA?bAjB']],
+        ['TZ', 'TZ-22', 'Shinyanga', ['fXaeERu@x@AIwAg@WLc@u@?M]EsCd@wBUi@qAp@w@rC^|@a@bAd@Vq@ZL`AnAHLx@z@\\']],
+        ['TZ', 'TZ-23', 'Singida', ['h]{{E}A|A{@[w@p@n@|AxA`AbCDn@{@f@`@|BFnAbB~@F`BcALWcA{Cu@g@D_@sFs@mBt@{@u@']],
+        ['TZ', 'TZ-24', 'Tabora', ['fXiuEY|GL\\t@?Mb@f@VHvAy@@St@`@@\\r@r@MbAr@|A?\\d@j@o@EyCbA]x@gBjC`@m@aBLwA_AGoAcB}BGg@a@o@z@qBAkBeA']],
+        ['TZ', 'TZ-25', 'Tanga', ['vXcoFpBvA|@MCzAl@f@bC`An@U_Ak@d@o@Y_A`@gBKaAwFsAwB~C']],
+        ['TZ', 'TZ-26', 'Manyara', ['tc@sfFqDiBB{AmAHm@bBmDf@N|Bd@`@z@EFd@_BnAd@d@s@?f@d@]b@x@`Bf@Yt@\\~AcB?[kAY{@cC~FJbBaBQaA']],
+        ['TZ', 'TZ-27', 'Geita', ['fZkcE]s@mAM]kAoAIMaAo@QeAd@k@zAo@Lh@p@OzAnAz@r@g@r@LhCgA|AK']],
+        ['TZ', 'TZ-28', 'Katavi', ['tk@i|Dq@yB~@c@PgAnAINgBsBs@Uw@aCe@cAjBcA\\ArDcBd@MlB`@rAlEoApArAdA_A']],
+        ['TZ', 'TZ-29', 'Njombe', ['x`AcwEcAkBuA?sAsBcAv@Dj@q@Pa@jAf@h@f@nCfEoCfBK']],
+        ['TZ', 'TZ-30', 'Simiyu', ['pNa{E?lBgAzBFfCjBuAXv@tAPv@sCpAq@Uw@q@g@oCAFk@uAQ']],
+        ['UA', 'UA-05', 'Vinnytsia', ['}mH{jD|AoG]m@JuBu@SS{@qB`B]We@h@u@AHfBy@\\b@vEjBY\\bBjBU']],
+        ['UA', 'UA-07', 'Volyn', ['ocIu~CFjFx@lAEhA~@EvAcBHb@b@]bA}DQ[a@LYm@H}AgAu@mAv@Dr@eAHe@]ET']],
+        ['UA', 'UA-09', 'Luhansk', ['svH{sFJn@s@xCdD~@lAuAnB]t@wBb@K@_CyAs@G`@MSe@NCh@k@]Ku@]hAm@{AaA@F`A_AzB']],
+        ['UA', 'UA-12', 'Dnipropetrovsk', ['grHsyENpB`A`@GdCVq@ZhAx@Kh@xAtALN}JwBHD}En@WFi@Ey@o@A@{@eB@MnAVf@wA`Ae@`E']],
+        ['UA', 'UA-14', 'Donetsk', ['cjH_sF]@w@xBmBZWt@e@KOfBnAhAH`Bp@KG[n@NXW`@PIr@d@Hx@k@Z}At@fA^s@\\N?{@i@o@HoBmBc@u@oC']],
+        ['UA', 'UA-18', 'Zhytomyr', ['c`ImvDq@l@l@lAq@bBFnA`@`AxAz@vBEZkA`ALVWOkFx@]K{A}Aw@{@z@y@_@s@f@SSKd@q@I']],
+        ['UA', 'UA-21', 'Zakarpattia', ['omHiiCxAuC]s@f@uE]uA_A|@?b@_@BJh@{BnGhCtA']],
+        ['UA', 'UA-23', 'Zaporizhzhia', ['c`Ho{EmA{BFkAa@sAZMaAeAk@r@u@gA[|Ao@`@AbBo@VE|EtBMHnCh@SGi@z@I\\m@`@^lAwAi@Wp@Q']],
+        ['UA', 'UA-26', 'Ivano-Frankivsk', ['eiHyzCmAKy@wBgAIWf@Pd@]?UdAKOmAt@Et@j@^T_@PpCjAb@p@mAKi@^C^mAt@El@gA']],
+        ['UA', 'UA-30', 'Kyiv', ['iyHe_EeAO@nBn@NCYnAu@s@CC[']],
+        ['UA', 'UA-32', 'Kyiv', ['g_I}}Do@hAAfBp@lAhB_Ax@^x@{@f@?Zx@rAKf@s@c@eFi@q@y@I?eBcBsAu@x@TfBs@n@@dAq@l@m@G', 'iyHe_EBZr@BoAt@BXo@OAoBdAN']],
+        ['UA', 'UA-35', 'Kirovohrad', ['{rH}kEz@@Dr@_@d@l@vAKdAf@h@I|Bf@XZhC^ZXcAMyETuBz@S?{Ca@K?cAu@}Ay@J[iASr@SgAMjB_AtB']],
+        ['UA', 'UA-46', 'Lviv', ['qyH{rC~CjEhAGz@{@ZmBiA_@SsCU\\i@]Bw@yAoC_@n@e@AWhCg@\\El@n@\\L~@']],
+        ['UA', 'UA-48', 'Mykolaiv', ['_cHwfEk@sEa@RWk@aD^Lx@`@HHbBIv@{@RUtBZ~DrAi@BgAdA[b@kA\\t@~@_@g@sAf@VCqAy@M_Al@p@o@x@B']],
+        ['UA', 'UA-51', 'Odessa', ['c{GgoDl@eBg@oCh@w@wBNh@Sy@iBaCiBOoA_A^]u@c@jAeAZCfAeAf@[M@vFXd@XkArANXoAhA?ZiAv@DTm@EjFxAAHj@vAn@Hz@', 'q|G_zDRd@k@oAVh@']],
+        ['UA', 'UA-53', 'Poltava', ['{zHsmEz@dE`CgC`AG~@uBd@kDaAa@OqB_@Gc@yAc@Hs@lBi@GFvAsAj@AlF']],
+        ['UA', 'UA-56', 'Rivne', ['ocIu~CDUd@\\dAIEs@lAw@fAt@I|AZn@^OPZv@}@]OU{BV_@eAsBGkAyAAsBeBeAnL']],
+        ['UA', 'UA-59', 'Sumy', ['}bIyuEgBpB@nAd@LN]v@rAt@YrAp@Hu@dB\\@mFrAm@i@oFc@p@iBLc@v@GpDWUu@j@M{@W@']],
+        ['UA', 'UA-61', 'Ternopil', ['mxH}bDW^TzBv@J~@bCfBa@TeA\\?Qg@n@y@T_CmAd@wFG']],
+        ['UA', 'UA-63', 'Kharkiv', ['}vHslFgBvBl@dDk@tCl@jDd@ZvA_CnAbBd@aEvAcASwA_@DG_B_AuAOLB{@kCc@']],
+        ['UA', 'UA-65', 'Kherson', ['y|GwyEwAd@Y{@_@Lm@pAa@_@]l@{@HFh@i@RS|EfAIVj@N[Zp@BYX`E`@c@QcBb@x@IdBXi@Lx@n@qC[sC`@w@]aAl@gDn@}@', 'w_HsfEa@vAj@eCIl@']],
+        ['UA', 'UA-68', 'Khmelnytskyi', ['{zH}hDFjAfAvBtFBlAe@O_EgB]GoAcA`@s@]]`AcAMYjA_@F']],
+        ['UA', 'UA-71', 'Cherkasy', ['_yHmgElAdA?dBx@Hh@p@ZvFb@NhAiAf@?SyBi@YH}Bg@i@@sBc@i@^g@O_AsBRaCfC']],
+        ['UA', 'UA-74', 'Chernihiv', ['sdIoeEFfDzAnAl@YfAZbBaDUiBv@iA[}CqBg@It@sAq@u@Xw@sAO\\e@MBpEn@VC|A']],
+        ['UA', 'UA-77', 'Chernivtsi', ['slHkeDi@oD_@XF`CZTm@`Ex@Hx@vBlAJe@aAQuDk@YI_A']],
+        ['UG', 'UG-101', 'Kalangala', ['fEokE?YgD?ExDj@]`CN?qC']],
+        ['UG', 'UG-102', 'Kampala', ['u@gjE?a@o@??`@n@?']],
+        ['UG', 'UG-103', 'Kiboga', ['kCchEoAl@l@v@j@w@Im@']],
+        ['UG', 'UG-104', 'Luwero', ['wE{kEKZ`@BWh@lAO\\^GsAaBE']],
+        ['UG', 'UG-105', 'Masaka', ['|AsdEr@YFo@gBC@x@h@R']],
+        ['UG', 'UG-106', 'Mpigi', ['u@shEv@nAZS@y@gBe@Mb@^?']],
+        ['UG', 'UG-107', 'Mubende', ['kDocE`CtAQ{DcBTKnA']],
+        ['UG', 'UG-108', 'Mukono', ['iD}kEhEz@gBiBm@As@n@']],
+        ['UG', 'UG-109', 'Nakasongola', ['iI{hE`@bAdBcCa@CJ[s@@}@|A']],
+        ['UG', 'UG-110', 'Rakai', ['fE}fEm@?Gn@q@PVf@[j@d@`@dAi@?mC']],
+        ['UG', 'UG-111', 'Sembabule', ['g@w`El@CLy@^DF_AeA@]tB']],
+        ['UG', 'UG-112', 'Kayunga', ['wE{kEz@Gn@w@_CZy@t@lAQ']],
+        ['UG', 'UG-113', 'Wakiso', ['uAshELc@fBd@?o@yAa@]VWYAxAZG']],
+        ['UG', 'UG-114', 'Mityana', ['kCchENr@jAHEmAuAN']],
+        ['UG', 'UG-115', 'Nakaseke', ['kCchE^W_@e@yAPaAvAVZbCgA']],
+        ['UG', 'UG-116', 'Lyantonde', ['r@obEc@AGh@`BIu@]']],
+        ['UG', 'UG-117', 'Buikwe', ['uBmmEl@@fBpA?o@z@?aDsAo@n@']],
+        ['UG', 'UG-118', 'Bukomansimbi', ['r@qdEI]s@T|@F']],
+        ['UG', 'UG-119', 'Butambala', ['@ueE?_Bw@??~Av@?']],
+        ['UG', 'UG-120', 'Buvuma', ['fE}oEqF?[^`DrAjB??sB']],
+        ['UG', 'UG-121', 'Gomba', ['w@{eEN`B\\{Ai@eAC~@']],
+        ['UG', 'UG-122', 'Kalungu', ['@cfEKh@|@MEq@k@T']],
+        ['UG', 'UG-123', 'Kyankwanzi', ['oG{eE\\hBb@m@`@No@eBs@X']],
+        ['UG', 'UG-124', 'Lwengo', ['r@obEf@FZk@cAs@?vA']],
+        ['UG', 'UG-201', 'Bugiri', ['qCeqEpAIo@w@a@`A']],
+        ['UG', 'UG-202', 'Busia', ['qBitELn@z@MiAa@']],
+        ['UG', 'UG-203', 'Iganga', ['yAypEm@Se@n@rA[']],
+        ['UG', 'UG-204', 'Jinja', ['eCsnE@`@t@YF_Aa@G]~@']],
+        ['UG', 'UG-205', 'Kamuli', ['{DcoEo@bAfBQAa@u@O']],
+        ['UG', 'UG-206', 'Kapchorwa', ['yE_wEw@AOZXVl@q@']],
+        ['UG', 'UG-207', 'Katakwi', ['uIirENoA_B@e@x@tBR']],
+        ['UG', 'UG-208', 'Kumi', ['wH}tEMhA~@LJ[}@{@']],
+        ['UG', 'UG-209', 'Mbale', ['}EitEv@Es@g@Cl@']],
+        ['UG', 'UG-210', 'Pallisa', ['aG_pEf@e@CcBm@nAHx@']],
+        ['UG', 'UG-211', 'Soroti', ['wImoE\\m@Sm@eA~@z@Z']],
+        ['UG', 'UG-212', 'Tororo', ['uCkuE]n@j@d@Ts@c@a@']],
+        ['UG', 'UG-213', 'Kaberamaido', ['eH_mERq@aAG[i@c@Pz@jAp@D']],
+        ['UG', 'UG-214', 'Mayuge', ['fEeqEsD?KUaB`@\\b@bGG?g@']],
+        ['UG', 'UG-215', 'Sironko', ['yEwuEM_@?fALg@']],
+        ['UG', 'UG-216', 'Amuria', ['yJ_pEWQt@_AoBKKfAt@b@f@M']],
+        ['UG', 'UG-217', 'Budaka', ['}EitEKl@l@Ja@y@']],
+        ['UG', 'UG-218', 'Bukwo', ['{EawEYm@e@J~@`@']],
+        ['UG', 'UG-219', 'Butaleja', ['mE}sEP`Ap@ScAm@']],
+        ['UG', 'UG-220', 'Kaliro', ['oDqpEi@Sg@d@h@Rf@e@']],
+        ['UG', 'UG-221', 'Manafwa', ['gEkvE`@z@N[q@_@']],
+        ['UG', 'UG-222', 'Namutumba', ['qCeqEFi@oAh@fA?']],
+        ['UG', 'UG-223', 'Bududa', ['cEcuE?q@Y??p@X?']],
+        ['UG', 'UG-224', 'Bukedea', ['kFgtEkAU|@z@Le@']],
+        ['UG', 'UG-225', 'Bulambuli', ['wH{uE?\\~@BN}@_@h@o@M']],
+        ['UG', 'UG-226', 'Buyende', ['wEkoEy@GUpBz@]n@cA[G']],
+        ['UG', 'UG-227', 'Kibuku', ['{DorEm@KNt@\\i@']],
+        ['UG', 'UG-228', 'Kween', ['sHowECr@fAa@k@e@WR']],
+        ['UG', 'UG-229', 'Luuka', ['eCsnEV{@iBb@pAV']],
+        ['UG', 'UG-230', 'Namayingo', ['fE{rEeH@j@l@xFD?u@']],
+        ['UG', 'UG-231', 'Ngora', ['mIirEbAp@Bm@gAC']],
+        ['UG', 'UG-232', 'Serere', ['kGyoEMs@c@IU|A`AFDg@']],
+        ['UG', 'UG-301', 'Adjumani', ['mUcgER`AhBx@P_@a@iAmBQ']],
+        ['UG', 'UG-302', 'Apac', ['iI{hEa@oCq@XUbAzAxALg@']],
+        ['UG', 'UG-303', 'Arua', ['wOi_EF_B_Bs@e@zAd@x@vAA']],
+        ['UG', 'UG-304', 'Gulu', ['sRgjE]^n@b@pAB`@g@s@iAqAh@']],
+        ['UG', 'UG-305', 'Kitgum', ['qVqpEBt@~@CUV\\lAh@A^kAw@m@D_AcBb@']],
+        ['UG', 'UG-306', 'Kotido', ['_SwpErBmA[KFk@gA_@u@`C\\b@']],
+        ['UG', 'UG-307', 'Lira', ['mNalEfA?Nq@e@CYd@c@WUd@`@@']],
+        ['UG', 'UG-308', 'Moroto', ['kR}vEt@z@d@mAhBg@iAO{BhA']],
+        ['UG', 'UG-309', 'Moyo', ['yVweEdAbA~@KeAa@SaAk@j@']],
+        ['UG', 'UG-310', 'Nebbi', ['aNq`El@kA}@c@s@PbA|A']],
+        ['UG', 'UG-311', 'Nakapiripirit', ['wH{uEWqA_DF?TnAFXlAlAC?]']],
+        ['UG', 'UG-312', 'Pader', ['cO{kEHm@q@m@mAp@HfBjB}@']],
+        ['UG', 'UG-313', 'Yumbe', ['cVqdEQ|A~APd@{AcAHo@]']],
+        ['UG', 'UG-314', 'Amolatar', ['wIemEOj@\\|Ad@{@AgAq@E']],
+        ['UG', 'UG-315', 'Kaabong', ['qVqpExAu@j@uCy@`@w@KUx@uAZvA~A']],
+        ['UG', 'UG-316', 'Koboko', ['iVeaEn@l@`@]qAO']],
+        ['UG', 'UG-317', 'Abim', ['_SwpEvBDZWIiAiCzA']],
+        ['UG', 'UG-318', 'Dokolo', ['}KqlEdAg@_Ag@EnA']],
+        ['UG', 'UG-319', 'Amuru', ['aUchEEXfBV`@hAQ^bACc@aALyA_ABo@c@o@b@']],
+        ['UG', 'UG-320', 'Maracha', ['oRg_Ee@y@O\\t@Z']],
+        ['UG', 'UG-321', 'Oyam', ['mNalE]n@^`AlAUoA{A']],
+        ['UG', 'UG-322', 'Agago', ['mSupENbArBN@oAeCC']],
+        ['UG', 'UG-323', 'Alebtong', ['sKqoEcAc@C`C|@e@Hw@']],
+        ['UG', 'UG-324', 'Amudat', ['yLgyEdCv@`@[}@g@iBJ']],
+        ['UG', 'UG-325', 'Buhweju', ['h@o|Dh@b@Le@m@a@Ib@']],
+        ['UG', 'UG-326', 'Kole', ['mNalEx@r@Ls@gA?']],
+        ['UG', 'UG-327', 'Lamwo', ['mV{nE[r@^|Bf@d@lAcA?_@q@Q]mATW_AB']],
+        ['UG', 'UG-328', 'Napak', ['uPauETx@h@K\\jAj@iBd@GYmAoAG?UeAbB']],
+        ['UG', 'UG-329', 'Nwoya', ['mNgiEs@^MxAb@`AXU|@b@e@iBZ{@o@c@']],
+        ['UG', 'UG-330', 'Otuke', ['yNimEd@kAMu@k@l@RrA']],
+        ['UG', 'UG-331', 'Zombo', ['wOi_El@JV_@e@g@k@RJf@']],
+        ['UG', 'UG-401', 'Bundibugyo', ['iDkzDvADwA{@SLRf@']],
+        ['UG', 'UG-402', 'Bushenyi', ['dBczDTiAs@p@\\V']],
+        ['UG', 'UG-403', 'Hoima', ['kG}}Dz@G_AwDuA\\Iv@bBhB']],
+        ['UG', 'UG-404', 'Kabale', ['tG}zDo@k@WfBrAUKe@']],
+        ['UG', 'UG-405', 'Kabarole', ['cAmyDTiBwCa@`CjC']],
+        ['UG', 'UG-406', 'Kasese', ['cAmyD~A\\KiBcAKOvA']],
+        ['UG', 'UG-407', 'Kibaale', ['kDocEa@Oe@t@l@nChAgCo@m@']],
+        ['UG', 'UG-408', 'Kisoro', ['fGmyDo@NQf@nAEMq@']],
+        ['UG', 'UG-409', 'Masindi', ['iIsgEGf@yBZBh@fASb@x@`AQP}@aAcA']],
+        ['UG', 'UG-410', 'Mbarara', ['r@s}DjBn@@kAg@YkA\\DV', '_@o~DxAD~@_@Lu@e@UyBTGnA']],
+        ['UG', 'UG-411', 'Ntungamo', ['rEk}Dq@YIhBjAEOiA']],
+        ['UG', 'UG-412', 'Rukungiri', ['vAexDvBu@Ha@aCX?|@']],
+        ['UG', 'UG-413', 'Kamwenge', ['kBe}D~Bl@Lk@u@Ic@yA[ZVl@o@V']],
+        ['UG', 'UG-414', 'Kanungu', ['dEuwDHeAyBd@nB^']],
+        ['UG', 'UG-415', 'Kyenjojo', ['yD}}Dx@\\bA]UaAk@M{@nA']],
+        ['UG', 'UG-416', 'Ibanda', ['l@k~DmACd@n@XKGh@`@c@Ke@']],
+        ['UG', 'UG-417', 'Isingiro', ['tEm}DMaD_A^OlA|Ar@']],
+        ['UG', 'UG-419', 'Buliisa', ['oJgaEN}AgB?vA|A']],
+        ['UG', 'UG-420', 'Kiryandongo', ['}KeiEe@PGbBbCm@m@eAg@A']],
+        ['UG', 'UG-421', 'Kyegegwa', ['i@y`EgAo@Y|@dBPC_@']],
+        ['UG', 'UG-422', 'Mitooma', ['nCu{Di@p@h@K?e@']],
+        ['UG', 'UG-423', 'Ntoroko', ['kG}}Df@|@tALw@gAeAC']],
+        ['UG', 'UG-424', 'Rubirizi', ['fAgxDJcBi@c@YZJbBj@F']],
+        ['UG', 'UG-425', 'Sheema', ['xAm}Db@z@VG{@s@']],
+        ['UM', 'UM-67', 'Johnston Atoll', ['ogBtb`@?GI??FH?']],
+        ['UM', 'UM-71', 'Midway Atoll', ['eoDtsa@?ME??LD?']],
+        ['UM', 'UM-76', 'Navassa Island', ['}qB~sM?GE??FD?']],
+        ['UM', 'UM-79', 'Wake Island', ['mwBip_@?IG??HF?']],
+        ['UM', 'UM-81', 'Baker Island', ['e@`na@?GG??FF?']],
+        ['UM', 'UM-84', 'Howland Island', ['}C`oa@?CC??BB?']],
+        ['UM', 'UM-86', 'Jarvis Island', ['lAdg^?EC??DB?']],
+        ['UM', 'UM-95', 'Palmyra Atoll', ['sc@dt^?KG??JF?']],
+        ['US', 'US-AK', 'Alaska', ['irLhpZ}A|LZrIkBl[LpNUq@?rDCmBOtA]y@ITMxD\\`ESrBYi@UhARXYAJf@PSn@|CY?Eh@m@{Bg@lEEm@ERjBtGHnFX^Ql@Uy@r@`EPgDFjBz@Ka@b@Fb@_@i@@v@Wq@|@fEZhFUsAKh@pB|EfATt@`Bd@pCFtJ~ARJdBpCwOdBuAPcF]k@b@R?yDp@hAf@oAUuFn@GIvGcBhDR\\bAsCp@@[mAj@aBQ`Bz@dASjJUdBScAo@QK`@B{@E~BfAbIPmAE`DxArFJxBt@sC^qGJxDv@qB`@PZy@ZeF[oGb@eBUYOdAKo@~@iA_BaELs@g@iBBZf@iAj@p@EhAZXCeA`@k@tAg@p@x@Z|EK]Kx@`BzCKvAXv@[u@OnDNb@Vy@CjAd@d@j@MYaAd@jAXw@QlBnArBr@WFdBXaAGhAZJLsAb@Rt@eBs@O{@qBrA~BRuB`@nADaIJhARgB^v@e@t@l@zAo@]]dCl@J^tA?wAR\\VaB`AkBHRVUa@yHe@OOp@Uw@eAo@D{@TbAx@n@d@[[a@j@JhBcBh@`A^M@oAPx@r@c@XbBN}AeBoGz@wA_@y@hBsCQa@y@f@@Wi@FTSc@u@YNt@kBObBb@Jf@gAw@_Fu@{@nAz@B[jAzBd@sAJ|AzAR^{@MdAp@lBx@hAr@GGjAQYbBbGnAlAh@cAUlBd@Se@`AS]DbBKi@X~B~AbDFWp@dD|@@Yy@g@Xf@{@C_AcAPd@y@?^LMIyA]HB]mAw@N_BGp@d@XDo@UwBQPK_@VU_@Kg@uBFk@`@AFZBY}@QRWa@sCo@G@_@ZVFa@a@CKy@EhBa@k@GmBIp@]gAJy@SX]e@Pm@g@m@L][ELm@ORm@}@Ef@U_B]GDw@o@YH{@y@y@@wAc@QLo@]YAn@SgAQTkAiDy@fEi@}@Cf@KoAUXCy@KVCk@[GLYLTAs@]a@In@IcB_@_@m@bBL_BwAmBKcAWR[o@kAmEVoBs@mB@c@bAbD|@oEg@nG|@hEdAQ~BnBZ{Aa@sAp@xAPKG|@f@x@NkEo@eAUHIa@XAq@s@p@Xm@m@LUQQOTXw@c@VU]n@e@URy@k@p@We@e@RcCi@UIm@FbASIc@yA[ZZ^?xAa@aB[DZf@]KTz@Yk@@p@EiAo@c@?r@DgAq@_A`A~@Tc@Eu@y@Gp@CSWVKm@wE^|AXWAkBRxBJuEj@|@ReCgAaCpA~@RsC`@g@@p@OaH\\aFc@y@b@UNb@b@aFeA_Dn@{BCjAp@@w@BY^R\\d@[\\jAfAyGJ^tDeKYGHq@[ZXo@Oo@w@r@Jn@Oe@_@p@BjBSm@Y^`@uA[NJk@j@w@y@Ib@UGw@Pz@h@q@j@P@uAU?f@YFs@mALwBlAZo@m@n@]g@|Bg@Bg@vAe@b@wB{@c@Ci@Tl@bAJNg@a@c@j@@C`@`@a@[[LuAKtA`@Cl@iBc@`CXKCw@Jd@P_@RNEkAd@dBPuCVEA\\X_@DoAd@b@Am@TDz@uA@sAJ|AbAPJj@`@SPi@a@FLWg@WK\\q@sDZd@^w@bBK@q@@|@^ZD{@m@{@p@r@Bp@n@G?c@]?h@K]_AiAkA}Ab@_@]a@HeB~Ig@FMn@a@OI|@WUoFfFoDxH[Z[O[n@Qj@f@lDJULl@x@Rt@vDcAVeDxHu@S\\zDU`Emy@B', 'awId}X?_@[\\Z@', '{tIj|XkB~Ax@Ep@yA', 'yvIvtXe@UOb@r@L@[', 'iyIzvXt@S_@OUb@', 'iyI`aYRn@LOa@_@', 'qyIl`YOOA^PO', 'i|Ixk]LRJ]YH', 'mzInqXkA~@ZpAHi@Fl@@e@t@z@^y@g@C`@IWYg@Bf@O^d@Wq@`@RHWoAm@', 'o}I`bYZb@K_B]CL~@', '{~Il{XN\\^IXgB_@LCUOlA_@OH\\', 'uuIzwXg@CFr@w@m@Lp@a@QG`AGg@AnAa@_@^kAgAhAm@pBu@RCtA`@GD}@t@Wp@n@?}A\\j@Xw@EfAR?XeBUKf@E@]NXIi@|@SBw@[C', 'o_Jx{XJxARo@_@i@', 'c_J~wX]jAl@GZu@M[]L', '}aJ~}Xv@GMmAi@tA', 'a`JvcYw@_@Xt@q@BFnA`@IDu@Nj@Nw@Xp@fA]c@J[[l@SoAM', 'wcJ|cYJT`@cApAKQkB}@t@f@sAcAVSjD', 'gdJtz\\I`AX`@N[_@gA', 'idJnnY]n@\\Yb@XCi@_@E', 'saJjhYcChAGpAMWGR^l@FYAd@~@cBh@f@?q@\\LOe@^TQs@\\f@hAkAqBI', 'egJ~u\\MlAYk@O^b@nAc@OS|Ab@m@Md@d@K[t@VYEb@X@s@^Np@d@cAEz@Tg@G`@|@k@qAtB`AtB`BeBq@g@?lAAiB^Za@gAjApA@_@q@uAKf@Cs@UFOsBQh@CqBKvAQMPyBg@g@', 'giJlsYU\\j@QUK', 'ueJ`pYO{@y@r@r@gEs@RDxAu@hBh@oD]d@Pw@c@?U|Ad@t@QVW{@KbC^G_@r@TQDZl@kA]v@`@Th@}A@Vj@k@', '_kJfhYFcA[z@DVLO', 'ycJtfYa@u@YRD_A]h@Hm@kAxAs@BdBgBqBlAAdBm@t@f@IBc@rBOJ{@Hj@Rs@Ap@PSP`@h@COs@', 'qkJxt\\R`@a@CNz@_@l@Ll@\\UAbARg@?~@b@uAk@k@VEGw@Y@T_@c@]', 'cnJ|l^Hj@ZOu@oANr@', '{uJbe[`@t@g@oADX', 'gvJ~|[_@U`@r@A]', 'ywJlv[KSAb@pBpCMuAyAqBBd@', 'oxJtp[@hBDm@TT]gB?T', 'qxJpz[VZVUu@e@D^', '_{Jp|[Ec@Qf@VC', 'gsLbz^RLm@y@Xj@', 'stLzw^LT[q@LZ', 'quLnv^JN_@oAR~@', 'ybIrla@G^TEMY', 'wbIfva@Kc@CtBVq@PZLa@g@Y', 'qcI~qa@l@rB?kBm@G', 'ubIvma@Mf@WQDh@^KCf@h@Ne@kB', '}cIzka@Ic@Mb@V?', 'udI~x`@AzDD{EC^', 'mfIpt`@Xj@K_AMR', 'oeIx~`@WGKb@Rp@Hi@NTb@fEEyDg@gA', 'ulIbx_@YIAtAV`@ZI?r@xA`BqByF', 'ynIhn_@Bx@g@gAS\\b@n@a@BFlAZXRwApAbF[{EWFNYo@iA', 'iqIzj_@Qh@R`@AkA', 'qqIhi_@Y?Hd@Ne@', 'ewI~c^c@@b@X?[', 'swIjf^_@Ad@XA`@LS^\\q@cA', 'wdIgua@l@rAGmAe@E', 'cgIe}`@RnAFeA[I', 'eiIsz`@_@p@J`Cb@{AOwA', 'ytIdz^iAhCZnC`A~Af@}@m@gBMsE', 'wwIxq^Bb@N_@SC', '_yI`i^Df@Ne@UA', '}wIbj^g@JJx@h@EM_A', 'y`Jzb`@Ah@D_ACT', 'sdJ~f`@F`@LW[e@DZ', 'uuJzi_@W\\m@I[~Aj@bC?|BzA}FCSM`@SeC', 'exJzs`@s@|BTX\\wC', 'olKhl`@AH?B@M', 'ojKr}_@i@jGi@l@PjFe@n@v@Vf@qA[sBRsApAyCm@_ASyB']],
+        ['US', 'US-AL', 'Alabama', ['o}DjaPgB`@AeOaDZyAo@eCz@yKpACbOVSvQnAjHQJu@qASzAu@Jt@KwAg@a@']],
+        ['US', 'US-AR', 'Arkansas', ['wyEjsP]i@qB[g@w@MlC{@}@i@P?zZ|Ec@zIFRuAjBA?}PgCJeGyD']],
+        ['US', 'US-AZ', 'Arizona', ['cjErlUhFmV?sKmb@??d^|DNUtA\\d@`FWtBcB`AnAlA@p@d@|As@dAfA']],
+        ['US', 'US-CA', 'California', ['mkE~kU[s@}Ar@q@e@mAAaAoAmCdB_Xp`@wQ??hYj@HbAg@dC`@M]nA`AxBoBtDWbDsD[`@p@DOUp@mAaAYTu@UyATRFaAAvDlBcA[bAi@Fv@TpAc@v@kBr@b@v@OfF{FrB?\\wE|@uAN{Bv@S?y@nAyB`DkAc@aN', '{oEvcVTk@a@z@JO', 'wsEfmVFh@T[I[SL']],
+        ['US', 'US-CO', 'Colorado', ['g_GphT~W??yj@_X@?vj@']],
+        ['US', 'US-CT', 'Connecticut', ['g_GfkM}@qCAuEkCGEnIdD?Vn@RO']],
+        ['US', 'US-DC', 'Washington', ['oqFj`NQUUXf@C']],
+        ['US', 'US-DE', 'Delaware', ['ioFftM_@CF\\m@YYl@iBv@eAa@Ar@RTzFS@yB']],
+        ['US', 'US-FL', 'Florida', ['m|DpaPYu@[?XS_@I`@[Nz@[cETSCnAv@}CYXMs@XXZ_AMv@n@_Ah@Ai@aESPWs@d@iBlEqErEh@`@Wa@RXa@e@Q]Xj@_@SUrA`@AZbCsAH_@k@VBy@PVjAKc@s@l@l@D]hBYRkApBuAQh@j@EMkCmCs@VAmEQkK`Dd@q@pC]wBN}FlC_Ef@WfBvAPBVg@L_@nOw@X?bOnBq@XT', 'y|C~tNQMlAdA{@w@', 'kdDh`OQLRa@AR', 'ceDj`OPKi@RVG', 'glDluNlBm@iCv@ZI', 'a}Dx|ONxBM{CA`@']],
+        ['US', 'US-GA', 'Georgia', ['egEpxNUp@sDjAyDpEaBx@q@bBy@q@@rNxKqAdC{@xAn@~BGzAk@^oOd@c@yAST{AkA@JQc@DIc@Uj@B_@sAKD_@a@@F[_@Q']],
+        ['US', 'US-HI', 'Hawaii', ['iyBbg]kAt@{@lCt@Gp@j@jCc@Vi@m@a@u@}B_@D', 'oaChs]Ah@^S]U', '_aC~m]m@vBTR`Ay@KgA]I', 'icCtr]IdBTFJuAWW', 'mdCtx]gAr@X|@x@e@KkA', 'miCrb^Or@h@l@\\eAw@[']],
+        ['US', 'US-IA', 'Iowa', ['{nGxyQ?\\jA[hAb@bGoChD]CgXl@eAe@BoAyAuAN[yBuAu@gClBOdAsBFc@^?n_@']],
+        ['US', 'US-ID', 'Idaho', ['eqHnzUhO?|Ag@|@mA~EtCb@?V}@dAZlJA?id@sN?q@`Af@NCzCd@vBoAz@Ox@uChAQd@j@|@Qn@{Ei@ItAoC~Ds@?{@`AeE??dE']],
+        ['US', 'US-IL', 'Illinois', ['k{FnzPh@NzA_@tAuBlA[DaBzBl@nBiDzBYNu@q@_@^_B}@@UoAsCSiB_BgA^o@[_NA?}@sCe@ArUlA}Ax@Bx@p@XtBtAOvB`B']],
+        ['US', 'US-IN', 'Indiana', ['scG`qOK|O~M@n@ZfA_@hB~ApARF[]GRw@]Ed@_Bi@{@\\g@cAo@j@aAsB_Cc@FK_CeQ?']],
+        ['US', 'US-KS', 'Kansas', ['gfFv|R?km@mLAoAbBe@o@_@NShA?`i@vQA']],
+        ['US', 'US-KY', 'Kentucky', ['cfF~kPhAPTh@?sGe@DRcZ_@wB}CgF]`A}AbAs@I_Az@RbDeBjEPZt@KJ~Bb@GjBlBc@rAbAn@]f@h@z@_@|@Eb@\\HSp@t@p@`@MTnA|@A]fBn@V']],
+        ['US', 'US-LA', 'Louisiana', ['u{DpnPaB~@_AU?~JgD}@}AwA_@f@kBJ?|PhE?~DiB|Aj@lDRM}Bn@wDSs@Yb@MeAx@y@Js@YMbAWUTVLZsBo@w@t@g@i@i@w@^TgA\\?LgA^OMSl@Xo@oA{AtC?w@SVKq@s@B`@x@Yb@]a@Z~AWv@q@o@f@cC', 'iwDv|PQOC~@To@']],
+        ['US', 'US-MA', 'Massachusetts', ['ocG|{L`@]m@qAj@D]oCa@Co@z@r@k@JvAo@t@CWk@\\Mz@_AwAs@~@d@lAIfKdCn@JgLn@MCi@VN', 'uaGxtLNl@J}@[N']],
+        ['US', 'US-MD', 'Maryland', ['ilFxwMIu@uA{@AxB{FR?`VdB@uAoCTe@a@oAPaAhBoAd@kBbBdAQm@d@UUGfAoBs@He@z@e@@h@GVq@oCb@Hc@o@l@La@g@INW_@ITCg@YG]\\LYa@d@f@Be@H`Ax@LWa@|@z@Gs@h@l@UI`@_AA|@HUR\\n@w@a@g@r@RDg@^XCk@']],
+        ['US', 'US-ME', 'Maine', ['czGf{L|JS|@o@_BkBg@CU{@ZQaAAz@Cu@Yj@Gi@Kd@Bm@e@Ta@yBmA^BAWRVLw@q@KGw@f@[q@m@Hm@y@{BOj@M_@i@ZQx@aAGUjAqG?y@`Bb@xBs@bAtCvC`Bt@x@CpA|ARQA`@d@NMd@', 'stGniL^`@Mm@QJ']],
+        ['US', 'US-MI', 'Michigan', ['_kHjnP`HrDh@w@pAoKn@_A|@N@k@p@AFi@gAeAf@gDlAzAnDdAtBPnDYrCd@BwVg@w@iAI}@mBcEkAaJvAoApEo@c@IbB}A\\LzAwA|@wGtTz@dF']],
+        ['US', 'US-MN', 'Minnesota', ['eqHt~QjDUhBs@~DM|Am@`ADn@t@z@qAfJ??o_@eB^uCxGeC_@u@l@kAwBsB?aCgIBiCmC{AOxF]Vb@jC{@bBXz@i@VEl@OMO`AR~Cs@tDeBZM\\Ab@jAB?xK']],
+        ['US', 'US-MO', 'Missouri', ['w|FpuQpBgAh@iBt@l@nAcBpO@?{Zh@Qz@z@AaCoB]TQc@UB_@iAQy@nAqA?oBhD{Bm@KfBgAT{AvB_CLo@x@BfX']],
+        ['US', 'US-MS', 'Mississippi', ['}|DngPkHP{QoAQxLdGxDxC_@v@R~@s@~AvAfD|@?_K~@T`By@e@o@AwD', '_|D~hPAVDk@CR']],
+        ['US', 'US-MT', 'Montana', ['eqHhtUdE?z@aAr@?nC_EJuAxEj@Pq@k@}@Pe@tCiANy@nA{@e@wBB{Cg@Op@aAcB??yj@}W@?~iA']],
+        ['US', 'US-NC', 'North Carolina', ['mcFdzMKdb@t@Jn@fAZ~ASLv@fAt@rDv@nAn@DAsFk@mCLiG~@w@DaFxDyECiB{@Mr@CmAi@i@eAk@Jd@Wg@e@D{Bo@o@Dd@YAZPInAc@Z`@_Aw@y@s@rBXyAWHCe@\\FFeAs@oAiAR`Ab@ITw@QDfCiA?|@]Qu@U\\HoA_@Z^y@]Hl@a@}An@', '{wEr_NHf@KsA@j@', 'c~EvvMpAFRj@Mk@wAG']],
+        ['US', 'US-ND', 'North Dakota', ['eqHhiS`RA?wm@aRdC?ri@']],
+        ['US', 'US-NE', 'Nebraska', ['g_GhiS?oKfE??ai@qClBsB?mFhBkAnDRjCk@dB?va@nK?']],
+        ['US', 'US-NH', 'New Hampshire', ['ixG|}Lt@X\\Qt@|AvChAfC`@\\QDiFeAuBcAt@}JRLhAj@J']],
+        ['US', 'US-NJ', 'New Jersey', ['cyFzsMpAjBrAqA@o@r@DmA{@Im@kCeAv@DeCUIz@aBiAiA|CPZx@z@fAJzA}AZx@']],
+        ['US', 'US-NM', 'New Mexico', ['ybE`hT?wCyA@@uIm@\\?mUg^M?xd@lb@O']],
+        ['US', 'US-NV', 'Nevada', ['oeGvgU?fd@vQ?~Wq`@yEPJoBe@Wcc@?']],
+        ['US', 'US-NY', 'New York', ['{hGnqNjB??sZ`@s@`ASdBuE_AF`BC@Ye@_@SNWo@kDDeCo@_DCKb@uGOLbJtCnFlBdB?pJ`@~ApBq@dAfD', 'q}FnfMRtA[mBFV', 's_Gn`M\\jCq@cAb@dADjD`AlBF{AEXyAeJ']],
+        ['US', 'US-OH', 'Ohio', ['ceGpfOf@v@FvGfO@AeAx@q@b@eBUaD`A}@Co@oBy@J{@aAOuAgD{Bo@u@NK_@mI?TvCjBhFu@fC']],
+        ['US', 'US-OK', 'Oklahoma', ['ccFvbS?wQ~J?d@_AM_An@c@ZiCMkAv@c@Wy@^g@Om@b@Mm@i@r@wBs@}E|@sC{IGaIb@?js@bB?']],
+        ['US', 'US-OR', 'Oregon', ['s_Hz`WAhCPMYj@hB]rK`AEYbAt@Ag@Lr@~A`@zCw@Hml@mJ@eA[W|@c@?_FuCoAtA?fLfAzJOpD\\|AOzAwA`@Qx@']],
+        ['US', 'US-PA', 'Pennsylvania', ['ogGfvNfO??s\\wAqEkB|A{@MkAuAWv@aARa@r@?rZkB?j@vC']],
+        ['US', 'US-RI', 'Rhode Island', ['ucGf|L}@\\@pAjCNKmAyAST]', '{bGp|LVJg@YNL']],
+        ['US', 'US-SC', 'South Carolina', ['wrE`jNwDvEE`F_Av@MhGj@nCx@p@p@cB`By@xDqErDkATm@c@m@aA`@n@a@_@Cd@CIa@[VCUGd@QcCS[[LPUs@wA_@i@m@Hd@IsAo@o@iA']],
+        ['US', 'US-SD', 'South Dakota', ['c~GfiSjQ@?wa@j@_BSqCfA_Dm@^iAc@kAZ?]gJ?{@pAcA{@?vm@']],
+        ['US', 'US-TN', 'Tennessee', ['_`FvoP|BnAj@E\\h@@kd@o@Ew@oAu@sDw@gARM[_Bo@gAu@KO`g@d@E?nHbB^']],
+        ['US', 'US-TX', 'Texas', ['qeEtxSfF{HjEaBnBqEDu@m@s@eBa@]iATuDbCsCfDmAhCwChBK~BeArB{IYm@mDrAsAYGbAAS_@R`@[Gk@gA]a@r@DcAs@_@PX]BSs@TEaAQ^[Uq@{@p@\\_@IWYLLq@RFIo@\\l@oBsE_@@_@eAkAl@PYWe@p@HGy@f@t@}@oDoGiA_EhBuH@AbAoAdDr@|Es@vBl@h@c@LNl@_@f@Vx@w@b@LjA[hCo@b@L~@e@~@_K??~Qb[D?lUl@]', 'gcDn~QyDb@|Ei@c@D']],
+        ['US', 'US-UT', 'Utah', ['oeG`uT?tQf^??e^_X??nKgE?']],
+        ['US', 'US-VA', 'Virginia', ['mcF`zMa@I`@UkA\\LfBaA\\[xB@sA|@oBaBbBp@{@e@OR_@e@XGUKt@kBrBdB}BBg@s@I}@jCe@PJz@eB}@u@|AWEQr@d@T}@~Ax@RhAxAIXpAv@_@hAvE~B|@`Ga@dAa@F|CfF\\jBH{n@', 'slFbvMTfAzCl@qDuB']],
+        ['US', 'US-VT', 'Vermont', ['gxGliMtGNJc@~CDBaD]PgCa@wCiAu@}A]Pu@Y@nJ']],
+        ['US', 'US-WA', 'Washington', ['eqHd~VpA}@\\n@Xy@\\VR_@_@Db@e@l@h@vAMt@lAGfAu@u@l@Gm@[ZKs@KSd@[m@]JfBrBGu@L~@}A{@\\Kg@c@s@\\\\Re@n@@jDk@vCbHmBUKN}@J~@^GJaAJf@f@WFVs@ThA@X}E`Bq@N{A]}ANqDgA{J?gLkA^iO??tb@', '{jHv{Vq@fAKg@SZb@Nl@kA']],
+        ['US', 'US-WI', 'Wisconsin', ['shGz~OoDXuBQoDeAmA{Ag@fDfAdAC^QXe@K?h@}@Oo@~@qAnKo@x@mCyAChC`CfIrB?jAvBt@m@dC^fDoHlFu@j@mA@sU']],
+        ['US', 'US-WV', 'West Virginia', ['coFdcOt@FjD}C?qDk@cCwE_C`@gAsAy@HYiAyAw@Oz@cBu@Sy@lA`@bAUz@tAnCeBA?nEyD?BRfEr@fA~C`ANKz@lAVd@pA']],
+        ['US', 'US-WY', 'Wyoming', ['oeG`uTfE??wj@_X@?tj@vQ?']],
+        ['UY', 'UY-AR', 'Artigas', ['t{D~fJfAx@n@Qx@qCe@aCb@oAu@AkCbDd@rASdA']],
+        ['UY', 'UY-CA', 'Canelones', ['nxE`yIuBp@\\rCl@Tz@uAQeC']],
+        ['UY', 'UY-CL', 'Cerro Largo', ['zdElsIxAVA`@hAv@Bx@xAGNw@{@gCBsFy@xAmAf@oAlC']],
+        ['UY', 'UY-CO', 'Colonia', ['hvEhdJ{@m@e@Zc@xERp@tBoBCiC']],
+        ['UY', 'UY-DU', 'Durazno', ['`jExxIKZlAtCp@~DtAaCMkCqAcDW|@qA@']],
+        ['UY', 'UY-FD', 'Florida', ['~mElwI~@tCJdCjDK]iDwCeBaA?']],
+        ['UY', 'UY-FS', 'Flores', ['~mE`dJr@j@rBu@M_C_BXy@nB']],
+        ['UY', 'UY-LA', 'Lavalleja', ['xtErzIpA]g@sB}DwCU|DhDjB']],
+        ['UY', 'UY-MA', 'Maldonado', ['pxExsIoDIzAfAl@|Bv@i@L{@_@uA']],
+        ['UY', 'UY-MO', 'Montevideo', ['`yEf}Ia@RTv@JkA']],
+        ['UY', 'UY-PA', 'Paysandú', ['xiEvjJ^mAq@yCX_BsB_A_@NV`@MfC_AxCpAr@lAS`@R']],
+        ['UY', 'UY-RN', 'Río Negro', ['zoE|kJkAkBNoCw@{AeAUY~Ap@vCWlAzAY`@x@z@F']],
+        ['UY', 'UY-RO', 'Rocha', ['~mEnmIhBjDfF\\Uo@[FTc@w@mAcAm@}@]Q^iBC']],
+        ['UY', 'UY-RV', 'Rivera', ['zdElsIg@Xk@~BmAdApAvBVgArAi@LmCp@s@{Ac@']],
+        ['UY', 'UY-SA', 'Salto', ['l_EfhJhCv@~@uDJmC{CyAe@pAd@`Cy@pC']],
+        ['UY', 'UY-SJ', 'San José', ['lxEf_JqDRJzBd@[z@l@bAaD']],
+        ['UY', 'UY-SO', 'Soriano', ['vrEblJSq@b@yEsBt@s@k@SnATfBx@bAzAD']],
+        ['UY', 'UY-TA', 'Tacuarembó', ['`jEn`JdATBs@uA{DFuAeAmAq@r@MlCsAh@Wt@`Ap@~@SrB|@']],
+        ['UY', 'UY-TT', 'Treinta y Tres', ['~kEjkIQxCXlDVf@lAXVkEeC}D']],
+        ['UZ', 'UZ-AN', 'Andijan', ['g~FchME~Ag@`Az@tCjA}Ci@BPw@aAeB']],
+        ['UZ', 'UZ-BU', 'Bukhara', ['e|FucKzBoA|DcJk@eB{@s@yAlBs@}@c@H@w@iAo@CxAk@Z\\zBa@Vn@z@cAvCsAxARdA|@y@Nl@h@i@v@r@']],
+        ['UZ', 'UZ-FA', 'Fergana', ['szFaaM{@i@i@~B\\|@]bA|@rBr@u@W}Bb@wAW_A', '_zFyzLt@??g@_@EUl@']],
+        ['UZ', 'UZ-JI', 'Jizzakh', ['czF_lLSEFpBsAa@]v@k@[a@d@VhGz@e@v@b@Du@pAKVeBv@^`@[Yw@L_D}BW']],
+        ['UZ', 'UZ-NG', 'Namangan', ['waGmwLjA@~@{@KiAZ_@u@eAWoBc@F?x@gAf@l@NE`@n@DYzBm@RLf@']],
+        ['UZ', 'UZ-NW', 'Navoiy', ['ygGq{K{BQTz@sAv@sAvB`@`B@dKJxAn@wAfDtBrAWXr@zAwASwArAgAbAwCo@{@`@W]{Bj@[ByAhAn@Av@b@Ir@|@xAmBEWiAXI}@o@MPwBiBYGu@XUw@c@_@`@i@YgDr@A`BiA?']],
+        ['UZ', 'UZ-QA', 'Qashqadaryo', ['qtF_dL[dCT~Bo@v@R|Bz@r@j@dBjCuFEw@z@wCqCqDsA]a@~@']],
+        ['UZ', 'UZ-QR', 'Karakalpakstan', ['gzGcpJo@hBnB|N~U?JqEUYSZuAFs@oAE}A}@a@f@}A_AhAEqA[KxAkCFsBTa@n@VEgBfCeDGaBdAuAQw@{CpCWs@sAViDuBS`AmEzE{DjK']],
+        ['UZ', 'UZ-SA', 'Samarqand', ['yuFodLa@Zw@_@WdBqAJ_@jAHv@fBVQvBn@LJ~@fA[KmBl@o@U_CZiCg@K']],
+        ['UZ', 'UZ-SI', 'Sirdaryo', ['kzFunLiAIgA|AbAFIbAjAb@JcE', 'axF_lLYWRWc@VKk@@v@r@J']],
+        ['UZ', 'UZ-SU', 'Surxondaryo', ['wrF}eLF\\r@AzBdDjCh@d@aGcAI_CiBiAz@wAGCtA']],
+        ['UZ', 'UZ-TK', 'Tashkent', ['s`GwoLOWSZb@C']],
+        ['UZ', 'UZ-TO', 'Tashkent', ['wfGi|LQn@t@tAGj@dAxAbAlD^@r@jAfA}AhAHDk@kAPk@a@^_AmAyCkAA]~@aC{E', 's`GwoLc@BR[NV']],
+        ['UZ', 'UZ-XO', 'Xorazm', ['udG{vJPUDf@`@U`@Pd@iAEqFl@_AdBk@w@s@mBhCF`BgCdDTz@']],
+        ['VA', null, 'Vatican City', ['{dGylA?AA??@@?']],
+        ['VC', 'VC-01', 'Charlotte', ['mqAp}J?Qe@??Pd@?']],
+        ['VC', 'VC-02', 'Saint Andrew', ['gqA~}J?QO??PN?']],
+        ['VC', 'VC-03', 'Saint David', ['yqA~}J?W[??VZ?']],
+        ['VC', 'VC-04', 'Saint George', ['aqAv}J?UQ??TP?']],
+        ['VC', 'VC-05', 'Saint Patrick', ['kqA~}J?SS??RR?']],
+        ['VC', 'VC-06', 'Grenadines', ['smAb_K?y@_B??x@~A?']],
+        ['VE', null, '', ['aaBxlK?CC??BB?']],
+        ['VE', 'VE-A', 'Capital', ['}`A|`LVv@@q@YE']],
+        ['VE', 'VE-B', 'Anzoátegui', ['k~@|wKd@t@r@?b@_Bl@FnA}A\\fA~C`At@_CYcAe@FSs@T{@_@a@s@_Fi@dAe@Q@dAmA`AGv@uDLDhAa@j@h@bBQfA']],
+        ['VE', 'VE-C', 'Apure', ['im@ncMDe@x@URk@UkFXqBhDiCFe@[e@CsIo@m@yBKm@{AiAy@gAdI\\lDa@zBzClFi@nFX^GpA']],
+        ['VE', 'VE-D', 'Aragua', ['k`AdgL\\i@x@DReBp@_Aj@ZHsAqBDU~A{Az@N~A']],
+        ['VE', 'VE-E', 'Barinas', ['kt@fhLShBhBv@iBvAkAdFrAfB`BRbAnAt@[AhBj@kF{CuF`@{B]mDNuAqBfB']],
+        ['VE', 'VE-F', 'Bolívar', ['op@twJ`@dBg@d@XdA}A~@_@~D~@pF^^U|@Rr@d@GXbAo@`Dl@|@DpA~@n@l@zA|BLt@~@Pw@jABRg@{@cCd@SIi@aAg@Ek@tA?ImAnASX^vBcALu@tAK@wAn@YOiCnA{AS[iAAk@iFaC_Eu@H{CrCo@w@iB@IuAw@oA[`AcARmA{A']],
+        ['VE', 'VE-G', 'Carabobo', ['gaApiLTZ~A?W]t@a@IkBU^{@Cw@rB']],
+        ['VE', 'VE-H', 'Cojedes', ['m|@tfLEx@u@^l@r@UV\\fArAUh@s@jAEJ`@VWV}BkB]yAT[g@]D']],
+        ['VE', 'VE-I', 'Falcón', ['ucAn|L|Au@j@eAeAcBUcBXuGq@EGZw@Bq@vAIdDkCdAr@r@|@IKqAj@KSnAXWxAvF']],
+        ['VE', 'VE-J', 'Guárico State', ['e}@ryKCtDrB@KjAk@[q@~@A|BtGl@zBcB\\oAIyBb@y@s@uBDy@WXqCcA_@gAoA|Am@Gc@~As@?']],
+        ['VE', 'VE-K', 'Lara', ['s|@bnL[CVZu@ZSm@yAQHvFrBjCz@yCbAK[S@[ZN@m@uAgA\\Ua@e@']],
+        ['VE', 'VE-L', 'Merida', ['mx@b|Lb@KnAzCXa@z@X`@mA`AEuAsA_BQiAwAmAvA^p@']],
+        ['VE', 'VE-M', 'Miranda', ['maAl}Kh@tD|@Sb@eFa@iBiBlD']],
+        ['VE', 'VE-N', 'Monagas', ['c~@xhKi@xAr@vBbBi@l@V|@mBl@WAeAd@Ph@eAeBgC_@HOr@mAXo@YqAf@b@v@Sh@']],
+        ['VE', 'VE-O', 'Nueva Esparta', ['sdA`nK`@nBPeBs@I']],
+        ['VE', 'VE-P', 'Portuguesa', ['c|@bnLPl@]LvAtAa@j@nBp@hAqDhByAaBu@e@b@Ka@kADi@r@cAT']],
+        ['VE', 'VE-R', 'Sucre', ['a_AjrK`@uBm@aBt@_CQe@u@XVn@Y??a@WDN\\OQ?uBi@_BLbN\\GDqB@hBl@dA']],
+        ['VE', 'VE-S', 'Tachira', ['ks@rcMzDDKaFY`@kABa@lAoAQb@tA[F^Z']],
+        ['VE', 'VE-T', 'Trujillo', ['ky@b{LdAgAEsBuB@QUaAtBp@H^nAv@?']],
+        ['VE', 'VE-U', 'Yaracuy', ['maAtiLSbBb@p@z@ARl@t@YYY^Q[gB_CS']],
+        ['VE', 'VE-V', 'Zulia', ['aiAx|Ld@~BdBz@Dl@hCpAzBNzBnAUkAf@IAa@zAUt@s@_@[ZGk@eBqAsB_@LT`B{@BOt@iAVqDkBmDjAs@}B', 'c{@b{La@sAw@j@m@g@k@dA}At@Bb@pANzD_B']],
+        ['VE', 'VE-W', 'Federal Dependencies', ['_cA`fL?sRmF??rRlF?']],
+        ['VE', 'VE-X', 'Vargas state', ['{`AddLZIc@aAAkCHvE']],
+        ['VE', 'VE-Y', 'Delta Amacuro', ['ot@bvJC~Db@PSGRp@e@hACwAqBq@NXw@y@gBfDVIIn@l@QsAzA\\a@K`@x@BaAFzAb@hAWNs@d@IrAtB^_EzA{@WiAf@e@cB}D}@d@', 'st@t~J@\\Tw@WX', 'ou@tzJPJAe@OX', 'ev@|{Jl@j@e@_BGr@']],
+        ['VE', 'VE-Z', 'Amazonas', ['iY`sKeABMt@wBbAY_@oARHlAuA?Dj@`Af@Hh@e@Rz@bCSf@mACK|@d@M~BpA`DHxCq@`AaA~BnBCm@rAwAhF}@zAiBm@sC`AU}AgAkAqCZKuBeAe@uBs@IKhC_F\\cCxBF_@']],
+        ['VG', null, 'British Virgin Islands', ['qqBzsK?eBsA??dBrA?']],
+        ['VI', null, 'Saint Croix', ['omBrtK?eAW??dAV?']],
+        ['VI', null, 'Saint John', ['kqB`tK?]O??\\N?']],
+        ['VI', null, 'Saint Thomas', ['kqBpuK?i@Q??h@P?']],
+        ['VN', 'VN-01', 'Lai Châu', ['qlCefS[n@fAz@cAjBf@\\@g@rAqAAyAr@a@}Aq@Qh@g@F']],
+        ['VN', 'VN-02', 'Lào Cai', ['ylCgkSSt@v@Xy@|@RRp@GPi@`Al@|@y@q@WLqAm@AGq@gBx@']],
+        ['VN', 'VN-03', 'Hà Giang', ['woCorSi@l@fCxDzAo@Jq@_BaAJmAw@t@y@k@']],
+        ['VN', 'VN-04', 'Cao Bằng', ['koCsrSl@n@v@u@Wg@l@QR_CoA{@g@dCNv@g@|@']],
+        ['VN', 'VN-05', 'Sơn La', ['}`CeeSX{@{@oAlAeCk@aAkBr@Q|Aw@DC|A_Ap@tAHf@b@bAKA\\d@JR_@']],
+        ['VN', 'VN-06', 'Yên Bái', ['qiCinSSf@`@NE`@l@@MpAp@H@kAx@IP}Au@MSi@}Ar@']],
+        ['VN', 'VN-07', 'Tuyên Quang', ['sfC}oSd@i@Es@qE@KlA~A`A|As@']],
+        ['VN', 'VN-09', 'Lạng Sơn', ['_kCyxSAbApDBTm@e@c@?q@j@e@Ee@w@Qq@|@C`AwAX']],
+        ['VN', 'VN-13', 'Quảng Ninh', ['afCy}SpAhAZfBFgAZM]_@Pa@Qa@{@I_@qBa@h@HxA', '_aCg|SG`@Z[SE', 'qcCk_TMVj@P]i@']],
+        ['VN', 'VN-14', 'Hòa Bình', ['s~BotSqBbAHfA_@l@|@c@^p@|@eDSa@']],
+        ['VN', 'VN-18', 'Ninh Bình', ['e|BevSe@Ig@~@Hz@bAqB']],
+        ['VN', 'VN-20', 'Thái Bình', ['a`CeySB~Az@_@L}@mAA']],
+        ['VN', 'VN-21', 'Thanh Hóa', ['_`CylSf@p@r@mBdCiAn@iBaAB{Au@iBtDIjB']],
+        ['VN', 'VN-22', 'Nghệ An', ['}{B}nSjAbAMxBf@Qb@n@bBkDj@aEe@Om@\\u@g@o@hBkARSl@']],
+        ['VN', 'VN-23', 'Hà Tĩnh', ['ksBipSz@@dAwASaATuB{@tAcB`Ad@RI`B']],
+        ['VN', 'VN-24', 'Quảng Bình', ['ioB_sSbEcDBiAe@k@yBnCLg@s@EUtBR`A']],
+        ['VN', 'VN-25', 'Quảng Trị', ['}hByxSdB[Qc@l@WyAwAWt@y@Xh@~A']],
+        ['VN', 'VN-26', 'Thừa Thiên Huế', ['cdBs|S`@uBi@}AOjAyApAf@z@hAE']],
+        ['VN', 'VN-27', 'Quảng Nam', ['kcBm~Sx@v@`DeEeAk@QoAuB~AMhD']],
+        ['VN', 'VN-28', 'Kon Tum', ['{zA__TrBf@f@YoCiFqA~@P^yAjBf@Kb@h@`AM']],
+        ['VN', 'VN-29', 'Quảng Ngãi', ['g_BwfTj@~ArBmAMuA_Bn@SQ]d@']],
+        ['VN', 'VN-30', 'Gia Lai', ['{qAg_TWmBjAmBe@i@aHp@nChFbCU']],
+        ['VN', 'VN-31', 'Bình Định', ['uzAwhTLpA`BDpBu@_@aAe@AXIuDj@']],
+        ['VN', 'VN-32', 'Phú Yên', ['stAwiTZpAdAGh@h@d@g@IwBgDj@']],
+        ['VN', 'VN-33', 'Đắk Lắk', ['onAc_T?{@pBw@]oBc@??a@u@e@_C`EXdBjBB']],
+        ['VN', 'VN-34', 'Khánh Hòa', ['eoAsjTAf@hAdBx@IlAqAcAIr@UqBZJe@u@Z]_@l@Qs@L']],
+        ['VN', 'VN-35', 'Lâm Đồng', ['ckAofTWf@`@fBfAA[|@v@rAj@c@f@{B{@s@As@cCW']],
+        ['VN', 'VN-36', 'Ninh Thuận', ['uhAoiTiAdBlBNh@a@Jm@y@AJWk@K']],
+        ['VN', 'VN-37', 'Tây Ninh', ['_hAexSQpA^l@~@I`AcAQm@}BC']],
+        ['VN', 'VN-39', 'Đông Nam Bộ', ['kaAw{Sm@uBe@^_Ac@g@l@Nv@rA\\D^n@SNXPo@']],
+        ['VN', 'VN-40', 'Bình Thuận', ['weAugTo@n@H`A|@t@_@|A~@`@X_@bA?uCgG']],
+        ['VN', 'VN-41', 'Long An', ['qcAqvSf@Aq@tALl@jAoAAiA`@c@Us@oAp@I|@']],
+        ['VN', 'VN-43', 'Bà Rịa-Vũng Tàu', ['u`A{{SXq@e@_Am@X^xAXA']],
+        ['VN', 'VN-44', 'An Giang', ['acAqpSG`@j@Ed@dA~@gBq@cAwAhA']],
+        ['VN', 'VN-45', 'Đồng Tháp', ['mcAorSVz@hB}Bq@UoAvA']],
+        ['VN', 'VN-46', 'Tiền Giang', ['g`AkyS]|Ap@|@J}De@HDV']],
+        ['VN', 'VN-47', 'Kiên Giang', ['w`AkmSRp@v@_@Q_@v@cARj@~@JV{AiBo@sBdD', 'y_AoiS?l@fAg@gAE']],
+        ['VN', 'VN-49', 'Vĩnh Long', ['y|@ouSe@q@k@nAZIFh@l@}@']],
+        ['VN', 'VN-50', 'Bến Tre', ['o_AcxSD|AzAiCuAdAx@_Ae@e@_@jA']],
+        ['VN', 'VN-51', 'Trà Vinh', ['_~@awSd@p@bAcBe@McA~@']],
+        ['VN', 'VN-52', 'Sóc Trăng', ['c{@yvS[Vj@e@OL', '_}@{tS|@`Ad@E`@u@k@cAyA|@']],
+        ['VN', 'VN-53', 'Northeast Vietnam', ['ehCwrSMa@n@Oa@{@}@]u@\\Hp@m@PDVpA^~@M']],
+        ['VN', 'VN-54', 'Bắc Giang', ['odCe|So@n@?p@d@b@k@dAz@Xf@kAKaCa@W']],
+        ['VN', 'VN-55', 'Bạc Liêu', ['yx@utSa@t@e@D@t@tBYo@wA']],
+        ['VN', 'VN-56', 'Bắc Ninh', ['gbCmvSY]WfAr@KA]']],
+        ['VN', 'VN-57', 'Bình Dương', ['odAexSl@qAmAWG~@m@b@h@Vj@Q']],
+        ['VN', 'VN-58', 'Bình Phước', ['}kAe}SbAhB?|@`Cq@F_Ay@eAm@QeB`@']],
+        ['VN', 'VN-59', 'Cà Mau', ['iw@}qSoA\\WxAlCJRe@Vn@EkAkAaA']],
+        ['VN', 'VN-61', 'Hải Dương', ['o`CcxS}@e@E`@a@CnAbAT{@']],
+        ['VN', 'VN-63', 'Hà Nam', ['c~BeuS]m@k@^Zl@l@_@']],
+        ['VN', 'VN-66', 'Red River Delta', ['k`CcwS{@TDn@dA]Og@']],
+        ['VN', 'VN-67', 'Nam Định', ['{}BsxSe@~@Rl@`@i@r@HcAmA']],
+        ['VN', 'VN-68', 'Phú Thọ', ['meCgqSe@h@Xj@tABf@u@Be@u@HUc@i@Z']],
+        ['VN', 'VN-69', 'Thái Nguyên', ['seC{rSh@cA{@WIk@u@\\`@z@q@X^\\`AI']],
+        ['VN', 'VN-70', 'Vĩnh Phúc', ['_dC}qSb@aAw@?_@b@Dr@l@U']],
+        ['VN', 'VN-71', 'Điện Biên', ['_kCg}RrCiBc@_@R[`B\\rAuAaDcAcB`@?|AuArA`@lA']],
+        ['VN', 'VN-72', 'Đắk Nông', ['onAc_TjADDv@nB_@_@aAZy@_ABS[_@d@[Mm@`@?z@']],
+        ['VN', 'VN-73', 'Hậu Giang', ['o}@otSW\\Nt@XU~@ZYwAw@A']],
+        ['VN', 'VN-CT', 'Cần Thơ', ['w}@{qSa@aBo@`Ap@bA^c@']],
+        ['VN', 'VN-DN', 'Da Nang', ['idBgcTVbARsA[MX\\i@?']],
+        ['VN', 'VN-HN', 'Hanoi', ['q_CetS[k@{BPE\\r@@g@pAr@JHi@rAy@']],
+        ['VN', 'VN-HP', 'Haiphong', ['kbCqySrAb@OcAcA^']],
+        ['VN', 'VN-SG', 'Ho Chi Minh', ['aaAs{S[j@c@Om@pAnAM`@o@S[b@OSC']],
+        ['VU', 'VU-MAP', 'Malampa', ['deBcz_@G]m@^\\r@Vu@', 'reByw_@iBzBd@FTk@jAQ]eA']],
+        ['VU', 'VU-PAM', 'Penama', ['d_Bsx_@UK`@`AKu@']],
+        ['VU', 'VU-SAM', 'Sanma', ['laBat_@UC@\\RY', 'b`Bss_@GUqB`@l@t@eBp@bEe@QmA']],
+        ['VU', 'VU-SEE', 'Shefa', ['pmBm|_@_@l@d@`@RaAYM', '`hBez_@Ay@m@bAn@I']],
+        ['VU', 'VU-TAE', 'Tafea', ['xxB}a`@]d@~@g@a@@', 'huBka`@y@d@@Zl@BHeA']],
+        ['VU', 'VU-TOB', 'Torba', ['jwA}u_@`@TA_@_@H', '~uAqu_@K[]Rh@F']],
+        ['WF', 'WF-AL', 'Alo', ['zxAjxa@?a@Y??`@X?']],
+        ['WF', 'WF-SG', 'Sigave', ['nxAtxa@?MQ??LP?']],
+        ['WF', 'WF-UV', 'Uvea', ['nrAfla@?O_@??N^?']],
+        ['WS', 'WS-AA', 'A\'ana', ['luA|q`@`@Ue@CBX']],
+        ['WS', 'WS-AL', 'Aiga-i-le-Tai', ['~uAlr`@?SS??RR?']],
+        ['WS', 'WS-AT', 'Atua', ['zuAho`@\\N?i@]X']],
+        ['WS', 'WS-FA', 'Fa\'asaleleaga', ['huA~s`@?]s@??\\r@?']],
+        ['WS', 'WS-GE', 'Gaga\'emauga', ['bsAht`@b@KOQS\\']],
+        ['WS', 'WS-GI', 'Gaga\'ifomauga', ['nsA~u`@Vm@c@GJt@']],
+        ['WS', 'WS-PA', 'Palauli', ['buAdt`@[FAd@b@KEa@']],
+        ['WS', 'WS-SA', 'Satupa\'itea', ['duAlv`@?oAi@??nAh@?']],
+        ['WS', 'WS-TU', 'Tuamasaga', ['juAtp`@b@JHg@m@Z']],
+        ['WS', 'WS-VF', 'Va\'a-o-Fonoti', ['nvAno`@?[W??ZV?']],
+        ['WS', 'WS-VS', 'Vaisigano', ['btAjv`@SK?ZRO']],
+        ['XK', null, 'Dečani', ['}hGk|BTq@SYUbARF']],
+        ['XK', null, 'Gjakova', ['qhG}|B`@Q?gAk@XH~@']],
+        ['XK', null, 'Dragaš', ['udGq_C?]s@IJj@f@C']],
+        ['XK', null, 'Plužine', ['}eGm_CKuAe@`ANb@`@O']],
+        ['XK', null, 'Gnjilane', ['agGgeCg@[U`A|@e@']],
+        ['XK', null, 'Viti/Vitina', ['agGgeCc@ZNTRq@']],
+        ['XK', null, 'Kačanik', ['{fGodCAt@Zg@YM']],
+        ['XK', null, 'Štrpce', ['wfG{bCWHVf@?q@']],
+        ['XK', null, 'Leposavić', ['kmGaaCNh@h@i@Oe@i@d@']],
+        ['XK', null, 'Podujevo/Podujeva', ['klGebCbAW@w@eAnA']],
+        ['XK', null, 'Zubin Potok', ['{kG{_CR`@Xy@m@V']],
+        ['XK', null, 'Zvečan', ['_kGy_C?u@c@??t@b@?']],
+        ['XK', null, 'Istok', ['ujGe~BZCAq@a@DFn@']],
+        ['XK', null, 'Kosovo and Metohija', ['ejGudCGn@j@LIcAYD']],
+        ['XK', null, 'Kosovo-Pomoravlje', ['ajGgeCTJ`@g@k@[Kv@']],
+        ['XK', null, 'Peja', ['sjG_~BRz@f@_B{@b@']],
+        ['XK', null, 'Orahovac', ['kgGs_CO[Wb@f@G']],
+        ['XK', null, 'Skenderaj/Srbica', ['{iG{_CA}@[t@\\F']],
+        ['XK', null, 'Klina', ['{iG{_CD^`@OUk@QZ']],
+        ['XK', null, 'Kosovska Mitrovica', ['alGgbCf@v@McAYJ']],
+        ['XK', null, 'Glogovac', ['iiGw`CTWc@QLh@']],
+        ['XK', null, 'Mališevo', ['iiGw`CTj@NaAe@T']],
+        ['XK', null, 'Suva Reka', ['qgGm`CJq@g@NZ`@']],
+        ['XK', null, 'Uroševac/ferizaj', ['ggG}bCa@[Pz@N_@']],
+        ['XK', null, 'Novo Brdo', ['whGadC?g@S??f@R?']],
+        ['XK', null, 'Obiliq', ['kiG{aC?c@c@??b@b@?']],
+        ['XK', null, 'Kosovo Polje', ['_iG{aC?c@S??b@R?']],
+        ['XK', null, 'Lipljan', ['shGkaCHmAYON|A']],
+        ['XK', null, 'Štimlje', ['ugGqaC?i@W??h@V?']],
+        ['XK', null, 'Vučitrn', ['gkGsbCb@h@Be@g@C']],
+        ['YE', 'YE-AB', 'Abyan', ['etAwfHeBN@tCa@V|AbCKbA|Dt@oAqBy@iI']],
+        ['YE', 'YE-AD', '\'Adan', ['woAyxGp@dC]e@JyA_@E']],
+        ['YE', 'YE-AM', '\'Amran', ['}fBesGBtBbCKj@_@f@TGoAoA[Kc@wBn@']],
+        ['YE', 'YE-BA', 'Al Bayda\'', ['q{AixGZj@~AVCcAp@a@Mg@h@s@g@eAu@AmAz@b@fB}@`@']],
+        ['YE', 'YE-DA', 'Ad Dali\'', ['gvAkyGq@`@Bl@lBhAVk@Mk@iAaA']],
+        ['YE', 'YE-DH', 'Dhamar', ['yxAgoGx@a@eAiA^eBgBs@o@ZFvBZ|@|@W`@jA']],
+        ['YE', 'YE-HD', 'Hadhramaut', ['wuB{cIlAxPxA|DtEtCZtAvBGzCjCOkHjDdAnByEd@QaBwAqBqIa@PKxAkFEeDaEkIoC', 'gkAyeIGl@PaAIR', 'kmAmsIa@|D`@h@n@sAo@sC']],
+        ['YE', 'YE-HJ', 'Hajjah', ['ggB}lG|@nAzAGL_B`A?CoAg@Uk@^cCJMpA']],
+        ['YE', 'YE-HU', 'Al Hudaydah', ['ktAomGkAgB_At@wAAa@c@cAlAiBBM~Ah@Z`BS_@NXRVu@bHoA']],
+        ['YE', 'YE-IB', 'Ibb', ['ewAwpGp@P^yB{AoAw@|A`AxA']],
+        ['YE', 'YE-JA', 'Al Jawf', ['}kBaxG~@BXzAr@t@hCi@n@aFgA}Fg@i@wBFaAx@]zI']],
+        ['YE', 'YE-LA', 'Lahij', ['enAqtGq@gC{E}@tAlBV|Aj@Bf@bACv@hAh@DoD']],
+        ['YE', 'YE-MA', 'Ma\'rib', ['}cBucHhArGm@|CpAa@d@b@`@cB~@\\pA_@OeA}ASeBqCsBaB']],
+        ['YE', 'YE-MR', 'Al Mahrah', ['suB}cIfIpC|C|DzFDBuA`@Qo@oDw@mBgAL}@_@eAyCsMzE']],
+        ['YE', 'YE-MW', 'Al Mahwit', ['_}AioG{AqAAdC|As@']],
+        ['YE', 'YE-RA', 'Raymah', ['i|AcpGX^tACm@sAaAv@']],
+        ['YE', 'YE-SA', 'Sanaa', ['a`BitGLp@`@Ko@e@']],
+        ['YE', 'YE-SD', 'Sa\'dah', ['_lBwoGOl@d@n@bCGJuDiAiAY{A_ACXpE[v@']],
+        ['YE', 'YE-SH', 'Shabwah', ['wvAgoHe@RoBxEk@e@u@FaAi@MRTxGhC~ChCcBUgA`@QAuCdBOuAkCBcC']],
+        ['YE', 'YE-SN', 'Sanaa', ['acBcvGFpAdANrAlB~@U]cEt@_@I[mA]i@dBe@c@qA`@', 'a`BitGn@d@a@JMq@']],
+        ['YE', 'YE-TA', 'Ta\'izz', ['knAaoGiAi@c@{BaAa@c@V]pCp@nAjAHrB{@']],
+        ['ZA', 'ZA-EC', 'Eastern Cape', ['jzDktD^~BfBz@OhAu@r@hAvBe@jCd@rAMr@vBPd@bDz@JJdApAVb@jC^Pr@Y@z@zB~@JwC^W^r@P_ATHl@mFk@WFuCa@LW_@BiCm@{BaEaHgHiIiApAS`Cy@_@cAv@']],
+        ['ZA', 'ZA-FS', 'Free State', ['xrDksDyB_DmCUJZeB~BJzAmApBJbA\\\\VfDb@j@h@SFr@x@d@[r@j@hB|AhAjADfEhBpD}DZwAe@sAd@kC}@mBkCnAe@eAqBoAcAmDf@o@']],
+        ['ZA', 'ZA-GT', 'Gauteng', ['bfDkkDMkAj@{@mAu@SaAu@fA_@YDo@cBk@^rAmBO\\TRdCb@Ox@XJzA~Bz@h@sA']],
+        ['ZA', 'ZA-LP', 'Limpopo', ['tiCmvDpApEzBlB|@zBrCx@fAvAb@GJ}@]u@r@]VeAWSD_BLWVPVo@My@Mz@w@oBh@i@v@A?}BKm@o@BBa@q@E?wAoAWR_B_BZW{CcB`A{Et@a@|J']],
+        ['ZA', 'ZA-MP', 'Mpumalanga', ['vvCqfE_ALVzC~A[S~AnAV?vAp@DC`@n@CFZBnCw@@i@h@t@lBKkAj@VdAO@We@C?o@bBj@NhA~@gAR`AlAt@`@u@K{AdB_Co@wCHwCQQsAvAcABqCoBj@yBoIB']],
+        ['ZA', 'ZA-NC', 'Northern Cape', ['b_D{{BnP?TpAtAxAK|Dg@xC}AHg@t@Hd@nA\\Pp@dO_GcC_CNaAZg@hFQd@yAbB@mAkC`ALrA_ACy@gCgDGsA}B_ApA{C{@aAV{AS_C{@Ke@cDwBQ_E`FgEiBsB[_@d@g@i@MbAzA`@g@^g@OF`AkADSd@eASa@bBWQ[|@sAFG[Et@zAv@cAf@tC~DD`EoANgAm@cCb@oCfClD?']],
+        ['ZA', 'ZA-NL', 'KwaZulu-Natal', ['xrDksDpBsB~BrAbAw@r@b@XeChAqA}IiF}CkEqIcBGrDdBBQpC\\rGRZfCJxB~C']],
+        ['ZA', 'ZA-NW', 'North West', ['|xC_dDVhBlDv@Vf@NpCe@rCeAzABtA`DpAz@OFW{Aw@Du@FZrAGZ}@VP`@cBdARRe@jAEGaAf@Nf@_@aBo@Ru@f@h@d@WsAoBS_AXo@w@e@Gs@i@Rc@k@YiDk@QWpAkAY}@o@AmAy@Yc@NG_A}@d@E~AVRWdAs@\\\\x@Kx@c@F']],
+        ['ZA', 'ZA-WC', 'Western Cape', ['jsEwrCUIQ~@[q@[J[bDsBaAA{@eAX{@iDa@Qm@^GzBz@`AqAzC|B~@FrAfCfDBx@sA~@aAMlAjCcBAe@xAiFP[f@O`AbC~BpCeBnCCh@zAnDuBvAVf@[m@EC_Ax@CQ_Ah@k@VJf@kC{AuDDgD}@wASkBXgCYm@', 'tcHkjFVJK{@Kn@']],
+        ['ZM', 'ZM-01', 'Western', ['`dBkhCtAa@nEuF_@kDNqCaC}@iAv@yAuAcAD_@b@gEaADjBmAMu@rA?dDh@xB{@hAVZ{@zA?t@nN?']],
+        ['ZM', 'ZM-02', 'Central', ['~jAgyDbGBo@l@`@~AbBpBDnBu@z@t@j@c@LCbBfCQHjAt@n@_@pCrCt@HoH\\mAn@Ms@q@d@[]m@s@NPsAg@[DcAeBeGm@B{@y@i@j@?{CwBmBgARLh@c@jAmBn@}@bB^f@']],
+        ['ZM', 'ZM-03', 'Eastern', ['vgAeoE|@j@p@~CdDjApDjE@|Cf@k@tA~@rAi@aEuQFf@yAbAoAcAuBCq@eBk@v@cBK']],
+        ['ZM', 'ZM-04', 'Luapula', ['hs@{wDThCx@?bBjBfBeAtAXrAYpDbAhDeCLyAi@@ScAo@BO}A_Ag@s@fA^t@yAKi@n@`@|@h@G_@z@sBgA}@cBm@B{@lB_AFYj@oC}A']],
+        ['ZM', 'ZM-05', 'Northern', ['dr@e_Eb@hFfCzA`@i@~@Gz@mBl@C|@bBrBfA^{@k@DSuAvBI_@u@p@kAqBeCa@Be@sAq@?mBvA]S]_FaARk@nB_A~@AfAmAn@']],
+        ['ZM', 'ZM-06', 'Northwestern', ['ptAkhC?u@z@{AW[z@iAq@}F|@uBnAHMuB\\mCs@m@OoAmB@o@^sB{@Uh@m@@[i@e@DQkBeCpAvAzAUrCs@~ByADt@jDO^w@Om@nAnHKnA^h@Y?rKhC?']],
+        ['ZM', 'ZM-07', 'Southern', ['vbB}sDy@zFe@Xr@r@o@L]lAInHx@R^c@bAEvAtAjAw@`C|@v@iAEcAd@o@Wy@d@aBU_AgE_D}AeEiB[']],
+        ['ZM', 'ZM-08', 'Copperbelt', ['nkAmkDPjBd@EZh@l@ATi@fCx@JmBb@Mu@k@t@{@KqC}AoAkBnAFXwAf@i@tC']],
+        ['ZM', 'ZM-09', 'Lusaka', ['vbB}sD{@_CEcD_EfAdBdGEbAf@ZG`Bd@_@\\`@|@mF']],
+        ['ZM', 'ZM-10', 'Muchinga', ['xy@wlEw@hC`AS\\~E\\RlBwAp@?d@rA`@CZz@vCtBP~Ap@C_@g@|@cBnBq@`@iAKk@zAQqA_BeDkAq@_D}@k@k@Ns@_@w@^gAwA{AhAm@Gm@^Dd@k@L']],
+        ['ZW', 'ZW-BU', 'Bulawayo', ['n}BwqD]KKn@XDNi@']],
+        ['ZW', 'ZW-HA', 'Harare', ['lmBiaEv@h@Rc@g@_@c@X']],
+        ['ZW', 'ZW-MA', 'Manicaland', ['rkBimEM\\jD|DbA`@zBq@UlAl@nAvCaFvDd@jA}@c@TiB[qBiBq@C_At@kASYb@wBgAkATuBO']],
+        ['ZW', 'ZW-MC', 'Mashonaland Central', ['v`Bk|DfAp@b@Sf@RGgAlC[Bc@`BRb@iAu@]@a@\\Ba@}@_CuAUiCiCdHCjDgAR']],
+        ['ZW', 'ZW-ME', 'Mashonaland East', ['lgBqkEThC~CbC[n@jB@Q|@`CJv@nAVaAx@a@USNcAk@{@TmA{Bp@cCsAsBaDaAZs@[Dn@']],
+        ['ZW', 'ZW-MI', 'Midlands', ['ztBw|Du@zCi@Ao@bAaC]a@\\e@`Av@dCtBn@jB?D}E^n@xAWjCuA^wAdElAQ_EoACaBx@e@iB}AAW]y@`@W`A']],
+        ['ZW', 'ZW-MN', 'Matabeleland North', ['vuBiaDjBe@~@wAI}ChAwAS}@r@e@[c@a@PJo@d@A}CmBsCbAc@o@E|EkB?uBo@kBl@tE`EXbAw@`Hh@?fEmC']],
+        ['ZW', 'ZW-MS', 'Matabeleland South', ['h{BweDf@gBpAM@uAnBDbBeAl@kEj@?`@_AZ{IsB|Aq@fB_BjA?r@W_@y@FqBw@_@vAmAh@|ClBJbAs@d@R|@iAvANlC']],
+        ['ZW', 'ZW-MV', 'Masvingo', ['pjCkaEEaAiEcEgAt@wDe@iDpGl@p@|A@d@hB`By@nABNlC~AkAp@gBrB}A']],
+        ['ZW', 'ZW-MW', 'Mashonaland West', ['v`Bk|D`@|En@`AbBV~@nCjBm@w@eCd@cA`@[`C\\n@cAh@@t@{Cu@mAgAHeBw@_@dAaBSCb@mCZFfAg@Sc@RgAq@']]
+    ]
+};
+
+window.REGION_BOUNDARIES = REGION_BOUNDARIES;
@@ -0,0 +1,147 @@
+/**
+ * @description Version of the signed report format. The verifier rejects any other version.
+ */
+const SIGNED_REPORT_VERSION = 1;
+
+/**
+ * @class ReportSigner
+ * @description Binds an analysis report to a server challenge so that the server can tell a report
+ * produced for this challenge from a replayed, reordered or edited one.
+ *
+ * The server issues `{ nonce, key, issuedAt, expiresAt }` (see server/report-verifier.js). The
+ * signed payload carries:
+ *   - the nonce and the client's start/end timestamps;
+ *   - the step timings of the analysis, folded into a SHA-256 hash chain seeded with the nonce;
+ *   - a SHA-256 digest of the canonical report;
+ *   - an HMAC-SHA-256 over all of the above, keyed with the challenge key.
+ *
+ * The key is visible to scripts running on the page, so the signature proves freshness and
+ * integrity in transit; edits made on the page before signing are caught by the verifier's
+ * consistency checks instead.
+ */
+class ReportSigner {
+    /**
+     * @param {object} challenge - `{ nonce, key, issuedAt, expiresAt }` as issued by the server.
+     * @throws {Error} If the challenge is incomplete.
+     */
+    constructor(challenge) {
+        if (!challenge || typeof challenge.nonce !== 'string' || typeof challenge.key !== 'string' ||
+            !Number.isFinite(challenge.issuedAt)) {
+            throw new Error('Challenge requires a nonce, a key and an issuedAt timestamp');
+        }
+        this.challenge = challenge;
+    }
+
+    /**
+     * @description Builds the signed payload for a finished analysis.
+     * @param {object} analysis
+     * @param {object} analysis.report - The report returned by FraudDetector.performFullAnalysis().
+     * @param {object[]} analysis.timings - `{ step, startedAt, durationMs }` in the order the steps ran.
+     * @param {number} analysis.startedAt - Epoch milliseconds when the analysis started.
+     * @param {number} analysis.completedAt - Epoch milliseconds when it completed.
+     * @returns {Promise<object>} The payload to submit to the server.
+     */
+    async sign({ report, timings, startedAt, completedAt }) {
+        const envelope = {
+            version: SIGNED_REPORT_VERSION,
+            nonce: this.challenge.nonce,
+            issuedAt: this.challenge.issuedAt,
+            startedAt,
+            completedAt,
+            timings,
+            chain: await hashTimingChain(this.challenge.nonce, timings),
+            reportDigest: await sha256Hex(canonicalJson(report))
+        };
+
+        return {
+            ...envelope,
+            report,
+            signature: await hmacSha256Hex(this.challenge.key, signedContent(envelope))
+        };
+    }
+}
+
+/**
+ * @description Serializes a value as JSON with object keys sorted, so that the client and the
+ * verifier hash exactly the same text for the same data.
+ * @param {*} value - Any JSON-serializable value.
+ * @returns {string} The canonical JSON.
+ */
+function canonicalJson(value) {
+    return JSON.stringify(value, (key, member) => {
+        if (member && typeof member === 'object' && !Array.isArray(member)) {
+            return Object.keys(member).sort().reduce((sorted, name) => {
+                sorted[name] = member[name];
+                return sorted;
+            }, {});
+        }
+        return member;
+    });
+}
+
+/**
+ * @param {object} envelope - The payload fields covered by the signature.
+ * @returns {string} The text that is signed.
+ */
+function signedContent(envelope) {
+    const { version, nonce, issuedAt, startedAt, completedAt, chain, reportDigest } = envelope;
+    return canonicalJson({ version, nonce, issuedAt, startedAt, completedAt, chain, reportDigest });
+}
+
+/**
+ * @description Folds step timings into a hash chain: each link is SHA-256 of the previous link and
+ * the canonical step, starting from SHA-256 of the nonce. Dropping, inserting or reordering a step
+ * changes the head.
+ * @param {string} nonce - The challenge nonce.
+ * @param {object[]} timings - The step timings.
+ * @returns {Promise<string>} The hex-encoded head of the chain.
+ */
+async function hashTimingChain(nonce, timings) {
+    let link = await sha256Hex(nonce);
+    for (const timing of timings) {
+        link = await sha256Hex(link + canonicalJson(timing));
+    }
+    return link;
+}
+
+/**
+ * @param {string} text - UTF-8 text.
+ * @returns {Promise<string>} The hex-encoded SHA-256 digest.
+ */
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return bytesToHex(digest);
+}
+
+/**
+ * @param {string} key - Base64url-encoded key.
+ * @param {string} text - UTF-8 text.
+ * @returns {Promise<string>} The hex-encoded HMAC-SHA-256.
+ */
+async function hmacSha256Hex(key, text) {
+    const cryptoKey = await crypto.subtle.importKey('raw', base64UrlToBytes(key),
+        { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(text));
+    return bytesToHex(signature);
+}
+
+function bytesToHex(buffer) {
+    return [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function base64UrlToBytes(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, character => character.charCodeAt(0));
+}
+
+const ReportSigning = Object.freeze({
+    version: SIGNED_REPORT_VERSION,
+    canonicalJson,
+    signedContent,
+    hashTimingChain,
+    sha256Hex
+});
+
+window.SIGNED_REPORT_VERSION = SIGNED_REPORT_VERSION;
+window.ReportSigner = ReportSigner;
+window.ReportSigning = ReportSigning;
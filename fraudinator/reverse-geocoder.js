@@ -0,0 +1,45 @@
+/**
+ * @class ReverseGeocoder
+ * @description Offline coordinate → country and first-level region (state, province) lookup backed
+ * by the embedded Natural Earth admin-1 dataset (region-boundaries.js). No network requests are made.
+ */
+class ReverseGeocoder {
+    /**
+     * @param {object} dataset - `{ precision, tolerance, regions: [[country, regionCode, regionName, encodedRings], ...] }`.
+     * @param {object} [countries] - Country details keyed by ISO 3166-1 code, used for country names.
+     */
+    constructor(dataset, countries = {}) {
+        this.countries = countries;
+        this.index = new PolygonIndex(dataset.precision, dataset.regions
+            .map(([countryCode, regionCode, regionName, rings]) => ({ countryCode, regionCode, regionName, rings })),
+            dataset.tolerance);
+    }
+
+    /**
+     * @description Resolves the country and region a coordinate falls in.
+     * @param {number} lat - Latitude.
+     * @param {number} lng - Longitude.
+     * @returns {object|null} `{ countryCode, countryName, regionCode, regionName }`, or null for open sea.
+     */
+    lookup(lat, lng) {
+        const match = this.index.find(lat, lng);
+        if (!match) return null;
+
+        const country = this.countries[match.countryCode];
+        return {
+            countryCode: match.countryCode,
+            countryName: country ? country.name : match.countryCode,
+            regionCode: match.regionCode,
+            regionName: match.regionName
+        };
+    }
+}
+
+// Shared geocoder over the embedded dataset
+const reverseGeocoder = new ReverseGeocoder(
+    typeof REGION_BOUNDARIES !== 'undefined' ? REGION_BOUNDARIES : { precision: 2, regions: [] },
+    typeof COUNTRY_LOCALES !== 'undefined' ? COUNTRY_LOCALES.countries : {}
+);
+
+window.ReverseGeocoder = ReverseGeocoder;
+window.reverseGeocoder = reverseGeocoder;
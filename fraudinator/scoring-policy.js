@@ -0,0 +1,434 @@
+/**
+ * @description Ways of combining the normalized 0-100 category sub-scores into the overall score.
+ *   weightedSum    - sum of weight x sub-score, clamped to 100
+ *   noisyOr        - treats each weighted sub-score as an independent probability of fraud
+ *   maxOfCriticals - the highest weighted sub-score; a category holding a critical indicator counts as 100
+ */
+const AGGREGATION_METHODS = Object.freeze(['weightedSum', 'noisyOr', 'maxOfCriticals']);
+
+/**
+ * @description JSON Schema (draft-07 subset) describing a scoring policy file such as scoring-policy.json.
+ */
+const SCORING_POLICY_SCHEMA = {
+    type: 'object',
+    required: ['version', 'weights', 'critical', 'categories', 'riskLevels'],
+    additionalProperties: false,
+    properties: {
+        $schema: { type: 'string' },
+        version: { type: 'integer', minimum: 1 },
+        name: { type: 'string' },
+        weights: {
+            type: 'object',
+            additionalProperties: {
+                oneOf: [
+                    { type: 'number', minimum: 0 },
+                    {
+                        type: 'object',
+                        required: ['default'],
+                        additionalProperties: false,
+                        properties: {
+                            default: { type: 'number', minimum: 0 },
+                            qualifiers: {
+                                type: 'object',
+                                additionalProperties: { type: 'number', minimum: 0 }
+                            }
+                        }
+                    }
+                ]
+            }
+        },
+        critical: {
+            type: 'array',
+            items: { type: 'string' }
+        },
+        categories: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                required: ['cap'],
+                additionalProperties: false,
+                properties: {
+                    cap: { type: 'number', exclusiveMinimum: 0 },
+                    weight: { type: 'number', minimum: 0 }
+                }
+            }
+        },
+        defaultCategoryCap: { type: 'number', exclusiveMinimum: 0 },
+        aggregation: {
+            type: 'object',
+            required: ['method'],
+            additionalProperties: false,
+            properties: {
+                method: { type: 'string', enum: AGGREGATION_METHODS }
+            }
+        },
+        riskLevels: {
+            type: 'object',
+            required: ['MEDIUM', 'HIGH', 'CRITICAL'],
+            additionalProperties: false,
+            properties: {
+                MEDIUM: { type: 'number', minimum: 0 },
+                HIGH: { type: 'number', minimum: 0 },
+                CRITICAL: { type: 'number', minimum: 0 }
+            }
+        },
+        severity: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                medium: { type: 'number', minimum: 0 },
+                high: { type: 'number', minimum: 0 }
+            }
+        },
+        verdicts: {
+            type: 'object',
+            additionalProperties: { type: 'number', minimum: 0 }
+        }
+    }
+};
+
+/**
+ * @class ScoringPolicyError
+ * @description Raised when a scoring policy cannot be loaded or fails schema validation.
+ */
+class ScoringPolicyError extends Error {
+    /**
+     * @param {string} message - Summary of the failure.
+     * @param {string[]} [errors] - Individual validation errors.
+     */
+    constructor(message, errors = []) {
+        super(errors.length > 0 ? `${message}:\n  - ${errors.join('\n  - ')}` : message);
+        this.name = 'ScoringPolicyError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * @class ScoringPolicy
+ * @description Declarative indicator weights, category caps, risk thresholds and critical codes.
+ * Detector modules never hard-code weights; they look them up from the active policy by indicator code.
+ */
+class ScoringPolicy {
+    static #active = null;
+
+    /**
+     * @param {object} definition - A policy object, e.g. the parsed contents of scoring-policy.json.
+     * @throws {ScoringPolicyError} If the definition does not match the schema.
+     */
+    constructor(definition) {
+        const errors = ScoringPolicy.validate(definition);
+        if (errors.length > 0) {
+            throw new ScoringPolicyError('Invalid scoring policy', errors);
+        }
+
+        const { riskLevels } = definition;
+        if (!(riskLevels.MEDIUM <= riskLevels.HIGH && riskLevels.HIGH <= riskLevels.CRITICAL)) {
+            throw new ScoringPolicyError('Invalid scoring policy', ['riskLevels must satisfy MEDIUM <= HIGH <= CRITICAL']);
+        }
+
+        this.definition = definition;
+        this.version = definition.version;
+        this.name = definition.name || 'unnamed';
+        this.criticalCodes = new Set(definition.critical);
+        this.aggregationMethod = definition.aggregation ? definition.aggregation.method : 'weightedSum';
+    }
+
+    /**
+     * @description Fetches a policy file over HTTP(S), validates it and returns the policy.
+     * @param {string} [url] - Location of the policy JSON.
+     * @returns {Promise<ScoringPolicy>} The loaded policy.
+     */
+    static async load(url = 'scoring-policy.json') {
+        let response;
+        try {
+            response = await fetch(url, { cache: 'no-cache' });
+        } catch (e) {
+            throw new ScoringPolicyError(`Could not fetch scoring policy from ${url}: ${e.message}`);
+        }
+        if (!response.ok) {
+            throw new ScoringPolicyError(`Could not fetch scoring policy from ${url}: HTTP ${response.status}`);
+        }
+
+        let definition;
+        try {
+            definition = await response.json();
+        } catch (e) {
+            throw new ScoringPolicyError(`Scoring policy at ${url} is not valid JSON: ${e.message}`);
+        }
+        return new ScoringPolicy(definition);
+    }
+
+    /**
+     * @description Makes a policy the one used by every detector module.
+     * @param {ScoringPolicy|object} policy - A policy instance or a raw definition.
+     * @returns {ScoringPolicy} The active policy.
+     */
+    static setActive(policy) {
+        ScoringPolicy.#active = policy instanceof ScoringPolicy ? policy : new ScoringPolicy(policy);
+        return ScoringPolicy.#active;
+    }
+
+    /**
+     * @returns {ScoringPolicy|null} The active policy, if one has been loaded.
+     */
+    static get active() {
+        return ScoringPolicy.#active;
+    }
+
+    /**
+     * @returns {ScoringPolicy} The active policy.
+     * @throws {ScoringPolicyError} If no policy has been loaded yet.
+     */
+    static requireActive() {
+        if (!ScoringPolicy.#active) {
+            throw new ScoringPolicyError('No scoring policy loaded; call ScoringPolicy.setActive() first');
+        }
+        return ScoringPolicy.#active;
+    }
+
+    /**
+     * @description Validates a policy definition against SCORING_POLICY_SCHEMA.
+     * @param {object} definition - The policy definition.
+     * @returns {string[]} Validation errors; empty when the definition is valid.
+     */
+    static validate(definition) {
+        const errors = [];
+        validateAgainstSchema(definition, SCORING_POLICY_SCHEMA, 'policy', errors);
+        return errors;
+    }
+
+    /**
+     * @description Returns the weight of an indicator code, optionally refined by a qualifier
+     * (for example the VPN provider or extension name).
+     * @param {string} code - Indicator code.
+     * @param {string} [qualifier] - Optional qualifier.
+     * @returns {number|undefined} The weight, or undefined if the policy does not define the code.
+     */
+    weight(code, qualifier) {
+        const entry = this.definition.weights[code];
+        if (entry === undefined) return undefined;
+        if (typeof entry === 'number') return entry;
+        if (qualifier !== undefined && entry.qualifiers && entry.qualifiers[qualifier] !== undefined) {
+            return entry.qualifiers[qualifier];
+        }
+        return entry.default;
+    }
+
+    /**
+     * @param {string} code - Indicator code.
+     * @returns {boolean} True if the code is critical on its own.
+     */
+    isCritical(code) {
+        return this.criticalCodes.has(code);
+    }
+
+    /**
+     * @param {string} category - Report category, e.g. 'location' or 'vpn'.
+     * @returns {number} The maximum points the category can contribute.
+     */
+    categoryCap(category) {
+        const entry = this.definition.categories[category];
+        if (entry) return entry.cap;
+        return this.definition.defaultCategoryCap || Infinity;
+    }
+
+    /**
+     * @param {string} category - Report category.
+     * @returns {number} The category's weight in the aggregation; 1 when the policy does not set one.
+     */
+    categoryWeight(category) {
+        const entry = this.definition.categories[category];
+        return entry && entry.weight !== undefined ? entry.weight : 1;
+    }
+
+    /**
+     * @description Scales a raw category score to a 0-100 sub-score relative to the category cap.
+     * @param {string} category - Report category.
+     * @param {number} score - Raw points collected by the category.
+     * @returns {number} The normalized sub-score.
+     */
+    normalizeCategoryScore(category, score) {
+        const cap = this.categoryCap(category);
+        const clamped = Math.max(0, score);
+        if (!Number.isFinite(cap)) return Math.min(clamped, 100);
+        return Math.min(clamped, cap) / cap * 100;
+    }
+
+    /**
+     * @description Combines per-category results into the overall 0-100 suspicion score using the
+     * policy's aggregation method, and explains how much each category contributed.
+     * @param {object} categories - `{ score, indicators }` keyed by category.
+     * @returns {object} `{ method, total, contributions }`. Each contribution holds the raw score,
+     * cap, normalized sub-score, weight, whether a critical indicator was present, and the points
+     * of the total attributed to the category.
+     */
+    aggregate(categories) {
+        const entries = Object.entries(categories).map(([category, { score, indicators = [] }]) => {
+            const normalized = this.normalizeCategoryScore(category, score);
+            const weight = this.categoryWeight(category);
+            return {
+                category,
+                score,
+                normalized,
+                weight,
+                weighted: Math.min(normalized * weight, 100),
+                critical: indicators.some(indicator => this.isCritical(indicator.code))
+            };
+        });
+
+        let total;
+        let shares;
+        switch (this.aggregationMethod) {
+            case 'noisyOr':
+                total = 100 * (1 - entries.reduce((product, entry) => product * (1 - entry.weighted / 100), 1));
+                shares = entries.map(entry => entry.weighted);
+                break;
+            case 'maxOfCriticals': {
+                const effective = entries.map(entry => (entry.critical ? 100 : entry.weighted));
+                total = Math.max(0, ...effective);
+                // Ties at the maximum share the total
+                shares = effective.map(value => (value > 0 && value === total ? 1 : 0));
+                break;
+            }
+            default:
+                shares = entries.map(entry => entry.normalized * entry.weight);
+                total = Math.min(shares.reduce((sum, share) => sum + share, 0), 100);
+        }
+
+        const shareSum = shares.reduce((sum, share) => sum + share, 0);
+        const round = value => Math.round(value * 10) / 10;
+        const contributions = {};
+        entries.forEach((entry, index) => {
+            contributions[entry.category] = {
+                score: entry.score,
+                cap: this.categoryCap(entry.category),
+                normalized: round(entry.normalized),
+                weight: entry.weight,
+                critical: entry.critical,
+                contribution: shareSum > 0 ? round(total * shares[index] / shareSum) : 0
+            };
+        });
+
+        return { method: this.aggregationMethod, total: Math.round(total), contributions };
+    }
+
+    /**
+     * @description Converts a numerical score into a categorical risk level.
+     * @param {number} score - The total suspicion score.
+     * @returns {string} The risk level ('LOW', 'MEDIUM', 'HIGH', 'CRITICAL').
+     */
+    riskLevel(score) {
+        const { MEDIUM, HIGH, CRITICAL } = this.definition.riskLevels;
+        if (score < MEDIUM) return 'LOW';
+        if (score < HIGH) return 'MEDIUM';
+        if (score < CRITICAL) return 'HIGH';
+        return 'CRITICAL';
+    }
+
+    /**
+     * @param {string} code - Indicator code.
+     * @param {number} weight - Points the indicator adds.
+     * @returns {string} The default severity for an indicator.
+     */
+    severity(code, weight) {
+        const bands = this.definition.severity || {};
+        if (this.isCritical(code)) return 'critical';
+        if (weight >= (bands.high !== undefined ? bands.high : 50)) return 'high';
+        if (weight >= (bands.medium !== undefined ? bands.medium : 20)) return 'medium';
+        if (weight > 0) return 'low';
+        return 'info';
+    }
+
+    /**
+     * @description Returns a named verdict threshold, e.g. the score at which a location is called spoofed.
+     * @param {string} name - Verdict name.
+     * @param {number} fallback - Value used when the policy does not set the verdict.
+     * @returns {number} The threshold.
+     */
+    verdict(name, fallback) {
+        const verdicts = this.definition.verdicts || {};
+        return verdicts[name] !== undefined ? verdicts[name] : fallback;
+    }
+}
+
+/**
+ * @description Minimal JSON Schema validator covering the keywords used by SCORING_POLICY_SCHEMA.
+ * @param {*} value - The value to validate.
+ * @param {object} schema - The (sub)schema.
+ * @param {string} path - Path of the value, used in error messages.
+ * @param {string[]} errors - Collected error messages.
+ */
+function validateAgainstSchema(value, schema, path, errors) {
+    if (schema.oneOf) {
+        const matching = schema.oneOf.filter(option => {
+            const optionErrors = [];
+            validateAgainstSchema(value, option, path, optionErrors);
+            return optionErrors.length === 0;
+        });
+        if (matching.length !== 1) {
+            errors.push(`${path} must match exactly one allowed form`);
+        }
+        return;
+    }
+
+    if (!matchesSchemaType(value, schema.type)) {
+        errors.push(`${path} must be of type ${schema.type}`);
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be >= ${schema.minimum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push(`${path} must be > ${schema.exclusiveMinimum}`);
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => validateAgainstSchema(item, schema.items, `${path}[${index}]`, errors));
+    }
+
+    if (schema.type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push(`${path}.${key} is required`);
+        });
+
+        Object.entries(value).forEach(([key, child]) => {
+            const childPath = `${path}.${key}`;
+            if (schema.properties && schema.properties[key]) {
+                validateAgainstSchema(child, schema.properties[key], childPath, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${childPath} is not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateAgainstSchema(child, schema.additionalProperties, childPath, errors);
+            }
+        });
+    }
+}
+
+/**
+ * @param {*} value - The value to check.
+ * @param {string} [type] - JSON Schema type name.
+ * @returns {boolean} True if the value matches the type.
+ */
+function matchesSchemaType(value, type) {
+    switch (type) {
+        case undefined: return true;
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        default: return typeof value === type;
+    }
+}
+
+// Make the scoring policy available globally
+window.ScoringPolicy = ScoringPolicy;
+window.ScoringPolicyError = ScoringPolicyError;
+window.SCORING_POLICY_SCHEMA = SCORING_POLICY_SCHEMA;
+window.AGGREGATION_METHODS = AGGREGATION_METHODS;
@@ -1,5 +1,17 @@
 class FraudDetector {
-    constructor() {
+    /**
+     * @param {object} [options]
+     * @param {DetectorRegistry} [options.registry] - Registry of detector modules to run. Defaults to the global registry.
+     * @param {ScoringPolicy|object} [options.policy] - Scoring policy to activate. Defaults to the already active policy.
+     * @param {SessionTimeline} [options.timeline] - Timeline to record detection events on. Defaults to a new one.
+     * @param {LocationHistory} [options.locationHistory] - Where the last verified location is kept
+     * between sessions. Without it, travel since the last session is not checked.
+     * @param {Geofence} [options.geofence] - Area the location is checked against. The result is the
+     * report's `geofence` section.
+     * @param {boolean} [options.compareRealms] - Also request the position from a fresh iframe and
+     * compare the answers, see analyzeLocation().
+     */
+    constructor(options = {}) {
         this.locationData = null;
         this.environmentData = {};
         this.suspicionScore = 0;
@@ -9,49 +21,99 @@ class FraudDetector {
         this.consoleOverridden = false;
         this.deviceMaskingDetected = false;
         this.vpnDetected = false;
+        this.automationDetected = false;
+        this.detectorResults = {};
+        this.timings = [];
 
         // Behavioral analysis properties
         this.behavioralIndicators = [];
         this.behavioralScore = 0;
         this.locationSpoofedByBehavior = false;
 
-        // Instantiate detector modules
-        this.extensionDetector = new ExtensionDetector();
-        this.deviceMaskingDetector = new DeviceDataMaskingDetector();
-        this.vpnDetector = new VPNDetector();
+        if (options.policy) {
+            ScoringPolicy.setActive(options.policy);
+        }
+
+        // Detector modules are looked up from the registry at analysis time
+        this.registry = options.registry || (typeof detectorRegistry !== 'undefined' ? detectorRegistry : null);
+
+        // Every detection, with when it happened and which module saw it
+        this.timeline = options.timeline || new SessionTimeline();
+
+        // Last verified location of earlier sessions, for the cross-session travel check
+        this.locationHistory = options.locationHistory || null;
+
+        // Allowed and denied areas for the location, see evaluateGeofence()
+        this.geofence = options.geofence || null;
+
+        // Answer of the isolated realm to the last location request, see analyzeLocation()
+        this.compareRealms = Boolean(options.compareRealms);
+        this.isolatedLocationData = null;
+
+        // Mouse movement and keystroke timings of the session, recorded while monitoring
+        this.mouseDynamics = typeof MouseDynamicsDetector !== 'undefined' ? new MouseDynamicsDetector() : null;
+        this.keystrokeDynamics = typeof KeystrokeDynamicsDetector !== 'undefined' ? new KeystrokeDynamicsDetector() : null;
+        // The WebGL adapter, probed once on first use, and the display's frame cadence, sampled at
+        // every analysis
+        this.gpuClassifier = typeof GpuClassifier !== 'undefined' ? new GpuClassifier() : null;
+        this.frameCadence = typeof FrameCadenceSampler !== 'undefined' ? new FrameCadenceSampler() : null;
+
+        // Runtime watchers, created by startMonitoring()
+        this.monitoring = null;
+        this.indicatorListener = null;
         this.initializeDetection();
     }
 
     /**
-     * @description Initializes all detection mechanisms when the class is instantiated.
+     * @returns {ScoringPolicy} The scoring policy used for weights, caps and risk thresholds.
      */
-    initializeDetection() {
-        this.detectDevToolsInitial();
-        this.detectConsoleOverrides();
-        this.detectExtensionArtifacts();
-        this.detectVPN();
-        this.setupAntiEvasion();
+    get policy() {
+        return ScoringPolicy.requireActive();
     }
 
     /**
-     * @description Sets up advanced anti-evasion techniques to make detection more robust.
+     * @returns {LocationSignatureCatalog} The catalog of coordinates and accuracies spoofing tools report.
      */
-    setupAntiEvasion() {
-        // Anti-evasion technique 1: Multiple detection attempts with random delays
-        setInterval(() => {
-            this.detectDevToolsRuntime();
-        }, Math.random() * 5000 + 2000);
+    get signatureCatalog() {
+        return LocationSignatureCatalog.requireActive();
+    }
 
-        // Anti-evasion technique 2: Function integrity checks
+    /**
+     * @description Runs the one-shot checks when the class is instantiated. Nothing keeps running
+     * afterwards; the runtime checks only start with startMonitoring().
+     */
+    initializeDetection() {
+        this.detectDevToolsInitial();
+        this.detectConsoleOverrides();
+
+        // Functions as seen when the SDK loaded, for the geolocation integrity check
         this.originalFunctions = {
-            getCurrentPosition: navigator.geolocation.getCurrentPosition,
+            getCurrentPosition: navigator.geolocation ? navigator.geolocation.getCurrentPosition : null,
             toString: Function.prototype.toString,
             apply: Function.prototype.apply,
             call: Function.prototype.call
         };
+    }
+
+    /**
+     * @description Starts the runtime anti-evasion checks: repeated DevTools checks at a random
+     * interval, a DOM mutation observer for extension artifacts and the mouse and keystroke recordings.
+     * @param {object} [options]
+     * @param {function} [options.onIndicator] - Called with each indicator found while monitoring.
+     */
+    startMonitoring(options = {}) {
+        this.indicatorListener = options.onIndicator || null;
+        if (this.monitoring) return;
+
+        this.monitoring = { interval: null, observer: null };
+
+        // Anti-evasion technique 1: Multiple detection attempts with random delays
+        this.monitoring.interval = setInterval(() => {
+            this.detectDevToolsRuntime();
+        }, Math.random() * 5000 + 2000);
 
-        // Anti-evasion technique 3: DOM mutation observer for extension detection
-        if (window.MutationObserver) {
+        // Anti-evasion technique 2: DOM mutation observer for extension detection
+        if (typeof MutationObserver !== 'undefined') {
             const observer = new MutationObserver((mutations) => {
                 mutations.forEach((mutation) => {
                     if (mutation.type === 'childList') {
@@ -70,7 +132,97 @@ class FraudDetector {
                 attributes: true,
                 attributeFilter: ['data-vytal', 'data-surfshark', 'data-location-guard']
             });
+            this.monitoring.observer = observer;
+        }
+
+        if (this.mouseDynamics) this.mouseDynamics.start();
+        if (this.keystrokeDynamics) this.keystrokeDynamics.start();
+    }
+
+    /**
+     * @description Stops the runtime checks started by startMonitoring().
+     */
+    stopMonitoring() {
+        if (!this.monitoring) return;
+
+        clearInterval(this.monitoring.interval);
+        if (this.monitoring.observer) {
+            this.monitoring.observer.disconnect();
         }
+        if (this.mouseDynamics) this.mouseDynamics.stop();
+        if (this.keystrokeDynamics) this.keystrokeDynamics.stop();
+        this.monitoring = null;
+        this.indicatorListener = null;
+    }
+
+    /**
+     * @description Records a detection event on the session timeline.
+     * @param {string} type - One of TimelineEventTypes.
+     * @param {string} source - The module that observed the event, e.g. 'devtools-detector.js'.
+     * @param {object} [evidence] - Machine-readable details.
+     * @param {object[]} [indicators] - Structured indicators added because of the event.
+     * @returns {object} The recorded event.
+     */
+    recordEvent(type, source, evidence = {}, indicators = []) {
+        return this.timeline.record(type, source, evidence, indicators);
+    }
+
+    /**
+     * @returns {object[]} The session's detection events, oldest first (see SessionTimeline).
+     */
+    getTimeline() {
+        return this.timeline.getEvents();
+    }
+
+    /**
+     * @description Passes an indicator found while monitoring to the listener, if any.
+     * @param {object} indicator - The structured indicator.
+     */
+    reportIndicator(indicator) {
+        if (this.indicatorListener) {
+            this.indicatorListener(indicator);
+        }
+    }
+
+    /**
+     * @description Records DevTools being opened while the session is monitored. DevTools can
+     * override geolocation, so the location is marked as untrusted as well. Only the first
+     * detection is scored.
+     * @param {string} method - How DevTools was detected, e.g. 'keyboard-F12'.
+     * @returns {object[]} The indicators added; empty if DevTools was already detected.
+     */
+    recordDevToolsDetection(method) {
+        if (this.devToolsDetected) return [];
+        this.devToolsDetected = true;
+
+        if (!this.environmentData.devToolsScore) this.environmentData.devToolsScore = 0;
+        if (!this.environmentData.devToolsIndicators) this.environmentData.devToolsIndicators = [];
+
+        const devToolsIndicator = createIndicator({
+            code: IndicatorCodes.DEVTOOLS_REALTIME,
+            source: 'devTools',
+            evidence: { method },
+            message: `DevTools detected via ${method} (real-time detection)`
+        });
+        this.environmentData.devToolsScore += devToolsIndicator.weight;
+        this.environmentData.devToolsIndicators.push(devToolsIndicator);
+
+        // CRITICAL: Mark location as spoofed when DevTools is detected
+        this.locationSpoofedByDevTools = true;
+        if (!this.locationSpoofingScore) this.locationSpoofingScore = 0;
+        if (!this.locationSpoofingIndicators) this.locationSpoofingIndicators = [];
+
+        const locationIndicator = createIndicator({
+            code: IndicatorCodes.LOCATION_UNTRUSTED_DEVTOOLS,
+            source: 'devTools',
+            evidence: { method },
+            message: `CRITICAL: DevTools detected (${method}) - Location cannot be trusted`
+        });
+        this.locationSpoofingScore += locationIndicator.weight;
+        this.locationSpoofingIndicators.push(locationIndicator);
+
+        [devToolsIndicator, locationIndicator].forEach(indicator => this.reportIndicator(indicator));
+        return [devToolsIndicator, locationIndicator];
     }
 
     /**
@@ -87,8 +239,21 @@ class FraudDetector {
             if (!this.environmentData.devToolsScore) this.environmentData.devToolsScore = 0;
             if (!this.environmentData.devToolsIndicators) this.environmentData.devToolsIndicators = [];
 
-            this.environmentData.devToolsScore += 25;
-            this.environmentData.devToolsIndicators.push('DevTools opened during session');
+            const evidence = {
+                widthDifference: window.outerWidth - window.innerWidth,
+                heightDifference: window.outerHeight - window.innerHeight
+            };
+            const indicator = createIndicator({
+                code: IndicatorCodes.DEVTOOLS_OPENED_DURING_SESSION,
+                source: 'devTools',
+                evidence,
+                message: 'DevTools opened during session'
+            });
+            this.environmentData.devToolsScore += indicator.weight;
+            this.environmentData.devToolsIndicators.push(indicator);
+            this.recordEvent(TimelineEventTypes.DEVTOOLS_DETECTED, 'script.js',
+                { method: 'runtime-dimensions', ...evidence }, [indicator]);
+            this.reportIndicator(indicator);
         }
     }
 
@@ -109,8 +274,17 @@ class FraudDetector {
                 if (!this.environmentData.extensionScore) this.environmentData.extensionScore = 0;
                 if (!this.environmentData.extensionIndicators) this.environmentData.extensionIndicators = [];
 
-                this.environmentData.extensionScore += 20;
-                this.environmentData.extensionIndicators.push(`Extension artifact detected: ${attr}`);
+                const indicator = createIndicator({
+                    code: IndicatorCodes.EXTENSION_DOM_ARTIFACT,
+                    source: 'extensions',
+                    evidence: { attribute: attr },
+                    message: `Extension artifact detected: ${attr}`
+                });
+                this.environmentData.extensionScore += indicator.weight;
+                this.environmentData.extensionIndicators.push(indicator);
+                this.recordEvent(TimelineEventTypes.EXTENSION_ARTIFACT, 'script.js',
+                    { attribute: attr, element: node.tagName.toLowerCase() }, [indicator]);
+                this.reportIndicator(indicator);
             }
         });
     }
@@ -120,7 +294,9 @@ class FraudDetector {
      */
     detectDevToolsInitial() {
         const devToolsIndicators = [];
-        let devToolsScore = 0;
+        const addIndicator = (code, evidence, message) => {
+            devToolsIndicators.push(createIndicator({ code, source: 'devTools', evidence, message }));
+        };
 
         // Method 1: Timing-based detection
         const startTime = performance.now();
@@ -129,8 +305,8 @@ class FraudDetector {
         const timeDiff = endTime - startTime;
 
         if (timeDiff > 100) {
-            devToolsScore += 30;
-            devToolsIndicators.push('DevTools detected via debugger timing');
+            addIndicator(IndicatorCodes.DEVTOOLS_DEBUGGER_TIMING, { elapsedMs: timeDiff },
+                'DevTools detected via debugger timing');
             this.devToolsDetected = true;
         }
 
@@ -139,8 +315,9 @@ class FraudDetector {
         const windowWidth = window.outerWidth - window.innerWidth;
 
         if (windowHeight > 200 || windowWidth > 200) {
-            devToolsScore += 20;
-            devToolsIndicators.push('DevTools panel detected via window dimensions');
+            addIndicator(IndicatorCodes.DEVTOOLS_WINDOW_DIMENSIONS,
+                { widthDifference: windowWidth, heightDifference: windowHeight },
+                'DevTools panel detected via window dimensions');
             this.devToolsDetected = true;
         }
 
@@ -149,35 +326,29 @@ class FraudDetector {
         const overrideTest = () => {};
 
         if (overrideTest.toString() !== originalToString.call(overrideTest)) {
-            devToolsScore += 25;
-            devToolsIndicators.push('Function toString override detected');
+            addIndicator(IndicatorCodes.FUNCTION_TOSTRING_OVERRIDE, {},
+                'Function toString override detected');
         }
 
-        // Method 4: Console detection
-        let consoleDetected = false;
-        const originalConsole = console.log;
-        console.log = function(...args) {
-            consoleDetected = true;
-            return originalConsole.apply(console, args);
-        };
-        console.log('');
-        console.log = originalConsole;
-
-        if (consoleDetected) {
-            devToolsScore += 15;
-            devToolsIndicators.push('Console usage detected');
-        }
+        // Console usage is taken from the probe of the automation detector, see
+        // recordConsoleUsage(): these checks write nothing to the page's console
 
-        // Method 5: DevTools-specific globals detection
-        if (window.devtools || window.__REACT_DEVTOOLS_GLOBAL_HOOK__ || window.__VUE_DEVTOOLS_GLOBAL_HOOK__) {
-            devToolsScore += 20;
-            devToolsIndicators.push('DevTools global objects detected');
+        // Method 4: DevTools-specific globals detection
+        const devToolsGlobals = ['devtools', '__REACT_DEVTOOLS_GLOBAL_HOOK__', '__VUE_DEVTOOLS_GLOBAL_HOOK__']
+            .filter(name => window[name]);
+        if (devToolsGlobals.length > 0) {
+            addIndicator(IndicatorCodes.DEVTOOLS_GLOBALS, { globals: devToolsGlobals },
+                'DevTools global objects detected');
             this.devToolsDetected = true;
         }
 
-        this.environmentData.devToolsScore = devToolsScore;
+        this.environmentData.devToolsScore = sumIndicatorWeights(devToolsIndicators);
         this.environmentData.devToolsIndicators = devToolsIndicators;
         this.environmentData.devToolsDetected = this.devToolsDetected;
+
+        if (this.devToolsDetected) {
+            this.recordEvent(TimelineEventTypes.DEVTOOLS_DETECTED, 'script.js', { method: 'page-load' }, devToolsIndicators);
+        }
     }
 
     /**
@@ -185,7 +356,6 @@ class FraudDetector {
      */
     detectConsoleOverrides() {
         const consoleOverrides = [];
-        let overrideScore = 0;
 
         const nativeToString = Function.prototype.toString;
         const consoleMethods = ['log', 'warn', 'error', 'info', 'debug', 'trace'];
@@ -196,126 +366,172 @@ class FraudDetector {
             const methodString = nativeToString.call(consoleMethod);
 
             if (!methodString.includes('[native code]')) {
-                overrideScore += 10;
-                consoleOverrides.push(`Console.${method} has been overridden`);
+                consoleOverrides.push(createIndicator({
+                    code: IndicatorCodes.CONSOLE_METHOD_OVERRIDDEN,
+                    source: 'console',
+                    evidence: { method },
+                    message: `Console.${method} has been overridden`
+                }));
                 this.consoleOverridden = true;
             }
         });
 
-        const testFunction = function() {};
-        const originalString = testFunction.toString();
-        testFunction.toString = () => 'modified';
-
-        if (testFunction.toString() !== originalString) {
-            overrideScore += 15;
-            consoleOverrides.push('Function toString modification detected');
+        // Scripts that override built-ins replace Function.prototype.toString to hide it. The
+        // replacement shows its own source, or a made-up one for functions it was not written for.
+        const testFunction = function fraudinatorToStringProbe() {};
+        if (!/^function toString\(\) \{\s*\[native code\]\s*\}$/.test(nativeToString.call(nativeToString)) ||
+            !nativeToString.call(testFunction).includes('fraudinatorToStringProbe')) {
+            consoleOverrides.push(createIndicator({
+                code: IndicatorCodes.FUNCTION_TOSTRING_MODIFIED,
+                source: 'console',
+                message: 'Function toString modification detected'
+            }));
         }
 
-        this.environmentData.consoleOverrideScore = overrideScore;
+        this.environmentData.consoleOverrideScore = sumIndicatorWeights(consoleOverrides);
         this.environmentData.consoleOverrides = consoleOverrides;
-    }
-
-    /**
-     * @description Uses the ExtensionDetector class to find spoofing-related extensions.
-     */
-    detectExtensionArtifacts() {
-        const detectionResult = this.extensionDetector.performFullExtensionDetection();
 
-        this.environmentData.extensionScore = detectionResult.score;
-        this.environmentData.extensionIndicators = detectionResult.indicators;
-        this.extensionDetected = detectionResult.detected;
-    }
-
-    detectVPN() {
-        // Use the dedicated VPNDetector class
-        const detectionResult = this.vpnDetector.performFullVPNDetection();
-        
-        this.environmentData.vpnScore = detectionResult.score;
-        this.environmentData.vpnIndicators = detectionResult.indicators;
-        this.environmentData.vpnDetected = detectionResult.detected;
-        this.environmentData.detectedVpnProvider = detectionResult.provider;
-        this.vpnDetected = detectionResult.detected;
+        if (this.consoleOverridden) {
+            const methods = consoleOverrides
+                .filter(indicator => indicator.code === IndicatorCodes.CONSOLE_METHOD_OVERRIDDEN)
+                .map(indicator => indicator.evidence.method);
+            this.recordEvent(TimelineEventTypes.CONSOLE_OVERRIDDEN, 'script.js', { methods }, consoleOverrides);
+        }
     }
 
     /**
-     * @description Analyzes the user's geolocation for known spoofing signatures.
-     * @returns {object} An object containing the signature score and indicators.
+     * @description Analyzes the user's geolocation for known spoofing signatures: the coordinates
+     * and accuracy values of the active LocationSignatureCatalog, and coordinates too round to
+     * come from a receiver.
+     * @returns {object} An object containing the signature score and structured indicators.
      */
     detectLocationSignatures() {
         if (!this.locationData) return { signatureScore: 0, signatureIndicators: [] };
 
         const signatureIndicators = [];
-        let signatureScore = 0;
-
-        // DevTools signature: accuracy exactly 150
-        if (this.locationData.accuracy === 150) {
-            signatureScore += 50;
-            signatureIndicators.push('DevTools signature: accuracy exactly 150m detected');
-        }
-
-        // DevTools/Vytal extension signature: accuracy exactly 1
-        if (this.locationData.accuracy === 1) {
-            signatureScore += 60;
-            signatureIndicators.push('DevTools/Vytal extension signature: accuracy exactly 1m detected');
-        }
-
-        // DevTools default coordinates detection
-        const devToolsDefaults = [
-            { lat: 37.4224764, lng: -122.0842499, name: 'Google HQ (DevTools default)' },
-            { lat: 37.386052, lng: -122.083851, name: 'Mountain View (DevTools default)' },
-            { lat: 37.7749, lng: -122.4194, name: 'San Francisco (DevTools default)' },
-            { lat: 40.7128, lng: -74.0060, name: 'New York (DevTools default)' },
-            { lat: 51.5074, lng: -0.1278, name: 'London (DevTools default)' }
-        ];
-
         const currentLat = this.locationData.latitude;
         const currentLng = this.locationData.longitude;
-
-        devToolsDefaults.forEach(coord => {
-            if (Math.abs(currentLat - coord.lat) < 0.0001 &&
-                Math.abs(currentLng - coord.lng) < 0.0001) {
-                signatureScore += 60;
-                signatureIndicators.push(`DevTools default location detected: ${coord.name}`);
+        const catalog = this.signatureCatalog;
+
+        // The catalog sets the weight of each signature; a policy that defines the code overrides
+        // it, per signature through qualifiers
+        catalog.match(this.locationData).forEach(({ signature, distanceMeters, accuracyMatched }) => {
+            const evidence = {
+                signature: signature.id,
+                preset: signature.name,
+                toolSource: signature.source,
+                catalogVersion: catalog.version,
+                accuracy: this.locationData.accuracy,
+                accuracyMatched
+            };
+            let message = `Known spoofing accuracy: exactly ${this.locationData.accuracy}m (${signature.name}, ${signature.source})`;
+            if (signature.location) {
+                Object.assign(evidence, signature.location, { distanceMeters });
+                message = `Known spoofing location: ${signature.name}, ${distanceMeters}m away` +
+                    (accuracyMatched ? ` with its ${this.locationData.accuracy}m accuracy` : '') + ` (${signature.source})`;
             }
+            signatureIndicators.push(createIndicator({
+                code: signature.code,
+                source: 'location',
+                qualifier: signature.id,
+                weight: signature.weight,
+                evidence,
+                message
+            }));
         });
 
         const latStr = currentLat.toString();
         const lngStr = currentLng.toString();
 
         if (latStr.includes('.000000') || lngStr.includes('.000000')) {
-            signatureScore += 30;
-            signatureIndicators.push('Unrealistic coordinate precision detected');
+            signatureIndicators.push(createIndicator({
+                code: IndicatorCodes.UNREALISTIC_COORDINATE_PRECISION,
+                source: 'location',
+                evidence: { latitude: currentLat, longitude: currentLng },
+                message: 'Unrealistic coordinate precision detected'
+            }));
         }
 
-        const emulatorCoords = [
-            { lat: 0, lng: 0, name: 'Null Island (0,0)' },
-            { lat: 37.421998333333335, lng: -122.08400000000002, name: 'Android Emulator Default' }
-        ];
+        return { signatureScore: sumIndicatorWeights(signatureIndicators), signatureIndicators };
+    }
+
+    /**
+     * @description Checks the altitude, heading and speed of the fix. A satellite receiver fills
+     * the altitude whenever it reports GPS-grade accuracy; spoofing tools usually set only the
+     * latitude, longitude and accuracy.
+     * @returns {object[]} Structured indicators.
+     */
+    detectCoordinateFieldAnomalies() {
+        if (!this.locationData) return [];
+
+        const indicators = [];
+        const { accuracy, altitude, altitudeAccuracy, heading, speed } = this.locationData;
+        const gpsGrade = accuracy <= 10;
+
+        if (gpsGrade && altitude === null) {
+            const missingFields = Object.entries({ altitude, altitudeAccuracy, heading, speed })
+                .filter(([, value]) => value === null)
+                .map(([field]) => field);
+            indicators.push(createIndicator({
+                code: IndicatorCodes.GPS_FIELDS_MISSING,
+                source: 'location',
+                evidence: { accuracy, missingFields },
+                message: `No ${missingFields.join(', ')} on a fix claiming ${accuracy}m accuracy`
+            }));
+        }
 
-        emulatorCoords.forEach(coord => {
-            if (Math.abs(currentLat - coord.lat) < 0.001 &&
-                Math.abs(currentLng - coord.lng) < 0.001) {
-                signatureScore += 40;
-                signatureIndicators.push(`Emulator coordinates detected: ${coord.name}`);
+        if (altitude !== null && altitude !== undefined) {
+            // Sea level to the metre is what a tool filling the field with a default reports
+            if (gpsGrade && altitude === 0) {
+                indicators.push(createIndicator({
+                    code: IndicatorCodes.ALTITUDE_IMPLAUSIBLE,
+                    source: 'location',
+                    evidence: { altitude, accuracy, reason: 'zero' },
+                    message: `Altitude exactly 0m on a fix claiming ${accuracy}m accuracy`
+                }));
+            // Below the Dead Sea shore or above cruising airliners
+            } else if (altitude < -450 || altitude > 12000) {
+                indicators.push(createIndicator({
+                    code: IndicatorCodes.ALTITUDE_IMPLAUSIBLE,
+                    source: 'location',
+                    evidence: { altitude, accuracy, reason: 'out-of-range' },
+                    message: `Implausible altitude: ${altitude.toFixed(0)}m`
+                }));
             }
-        });
+        }
 
-        return { signatureScore, signatureIndicators };
+        return indicators;
     }
 
     /**
-     * @description Fetches the user's geolocation data.
+     * @description Fetches the user's geolocation data. With `compareRealms`, the position is also
+     * requested from a fresh iframe at the same time, and its answer is kept in
+     * `isolatedLocationData` (null when no iframe could be created).
+     * @param {PositionOptions} [positionOptions] - Overrides for the geolocation request options.
      * @returns {Promise<object>} A promise that resolves with the location data.
      */
-    async analyzeLocation() {
-        return new Promise((resolve, reject) => {
-            if (!navigator.geolocation) {
-                reject(new Error('Geolocation not supported'));
-                return;
-            }
+    async analyzeLocation(positionOptions = {}) {
+        if (!navigator.geolocation) {
+            throw new Error('Geolocation not supported');
+        }
+
+        const requestOptions = {
+            enableHighAccuracy: true,
+            timeout: 10000,
+            maximumAge: 0,
+            ...positionOptions
+        };
+        this.recordEvent(TimelineEventTypes.GEOLOCATION_REQUESTED, 'script.js', requestOptions);
 
-            const startTime = Date.now();
+        // The same request from a fresh iframe at the same time, which hooks on this page do not reach
+        this.isolatedLocationData = null;
+        const realm = this.compareRealms ? openIsolatedRealm() : null;
+        const isolatedRequest = realm && realm.window.navigator.geolocation
+            ? requestRealmPosition(realm.window.navigator.geolocation, requestOptions)
+            : Promise.resolve(null);
 
+        const startTime = Date.now();
+        const request = new Promise((resolve, reject) => {
             navigator.geolocation.getCurrentPosition(
                 (position) => {
                     const responseTime = Date.now() - startTime;
@@ -323,20 +539,31 @@ class FraudDetector {
                         latitude: position.coords.latitude,
                         longitude: position.coords.longitude,
                         accuracy: position.coords.accuracy,
+                        altitude: position.coords.altitude,
+                        altitudeAccuracy: position.coords.altitudeAccuracy,
+                        heading: position.coords.heading,
+                        speed: position.coords.speed,
                         timestamp: position.timestamp,
                         responseTime: responseTime
                     };
+                    this.recordEvent(TimelineEventTypes.GEOLOCATION_RECEIVED, 'script.js', this.locationData);
                     resolve(this.locationData);
                 },
                 (error) => {
+                    this.recordEvent(TimelineEventTypes.GEOLOCATION_FAILED, 'script.js',
+                        { code: error.code, message: error.message });
                     reject(error);
-                }, {
-                    enableHighAccuracy: true,
-                    timeout: 10000,
-                    maximumAge: 0
-                }
+                },
+                requestOptions
             );
         });
+
+        try {
+            return await request;
+        } finally {
+            this.isolatedLocationData = await isolatedRequest;
+            if (realm) realm.dispose();
+        }
     }
 
     /**
@@ -363,61 +590,95 @@ class FraudDetector {
             }
         };
 
-        let rdpScore = 0;
         const rdpIndicators = [];
+        const addIndicator = (code, evidence, message) => {
+            rdpIndicators.push(createIndicator({ code, source: 'remoteDesktop', evidence, message }));
+        };
 
         const commonRdpResolutions = [
             [1024, 768], [1280, 1024], [1440, 900], [1920, 1080]
         ];
         const currentRes = [checks.screen.width, checks.screen.height];
         if (commonRdpResolutions.some(res => res[0] === currentRes[0] && res[1] === currentRes[1])) {
-            rdpScore += 10;
-            rdpIndicators.push('Common RDP resolution detected');
+            addIndicator(IndicatorCodes.RDP_COMMON_RESOLUTION, { resolution: currentRes.join('x') },
+                'Common RDP resolution detected');
         }
 
         if (checks.screen.colorDepth < 24) {
-            rdpScore += 15;
-            rdpIndicators.push('Low color depth (typical of RDP)');
+            addIndicator(IndicatorCodes.RDP_LOW_COLOR_DEPTH, { colorDepth: checks.screen.colorDepth },
+                'Low color depth (typical of RDP)');
         }
 
         if (checks.userAgent.includes('RDP') || checks.userAgent.includes('Remote')) {
-            rdpScore += 20;
-            rdpIndicators.push('RDP indicator in user agent');
+            addIndicator(IndicatorCodes.RDP_USER_AGENT, { userAgent: checks.userAgent },
+                'RDP indicator in user agent');
         }
 
         if (checks.userAgent.includes('VirtualBox') ||
             checks.userAgent.includes('VMware') ||
             checks.userAgent.includes('QEMU')) {
-            rdpScore += 25;
-            rdpIndicators.push('Virtualization detected');
+            addIndicator(IndicatorCodes.VIRTUALIZATION_USER_AGENT, { userAgent: checks.userAgent },
+                'Virtualization detected');
         }
 
+        const rdpScore = sumIndicatorWeights(rdpIndicators);
+
+        // Keep the DevTools, console and extension findings recorded earlier in the session
         this.environmentData = {
+            ...this.environmentData,
             ...checks,
             rdpScore,
             rdpIndicators,
-            isRemoteDesktop: rdpScore >= 20
+            isRemoteDesktop: rdpScore >= this.policy.verdict('remoteDesktop', 20)
         };
 
         return this.environmentData;
     }
     
     /**
-     * @description Runs the device data masking detector.
-     * @returns {object} An object containing the masking score and indicators.
+     * @description Runs every enabled detector module from the registry and records the results.
+     * @returns {Promise<object>} Detector results keyed by detector id.
      */
-    async detectDeviceDataMasking() {
-        const maskingResult = await this.deviceMaskingDetector.runChecks();
-        this.deviceMaskingDetected = maskingResult.isMasked;
-        
-        this.environmentData.maskingScore = maskingResult.score;
-        this.environmentData.maskingIndicators = maskingResult.indicators;
-        
-        return {
-            score: maskingResult.score,
-            indicators: maskingResult.indicators,
-            detected: maskingResult.isMasked
-        };
+    async runRegisteredDetectors() {
+        this.detectorResults = this.registry ? await this.registry.runAll({ detector: this }) : {};
+
+        this.extensionDetected = this.getDetectorResult('extensions').detected;
+        this.deviceMaskingDetected = this.getDetectorResult('deviceMasking').detected;
+        this.vpnDetected = this.getDetectorResult('vpn').detected;
+        const automationResult = this.getDetectorResult('automation');
+        this.automationDetected = automationResult.detected;
+        if (automationResult.details.cdpRuntime) this.recordConsoleUsage();
+
+        return this.detectorResults;
+    }
+
+    /**
+     * @description Records that something reads the page's console, as the console.debug probe of
+     * the automation detector found: an open DevTools panel and a DevTools Protocol client both
+     * serialize what is logged. Recorded once per session.
+     */
+    recordConsoleUsage() {
+        const indicators = this.environmentData.devToolsIndicators || [];
+        if (indicators.some(indicator => indicator.code === IndicatorCodes.CONSOLE_USAGE)) return;
+
+        const indicator = createIndicator({
+            code: IndicatorCodes.CONSOLE_USAGE,
+            source: 'devTools',
+            evidence: { probe: 'console.debug' },
+            message: 'Console usage detected'
+        });
+        this.environmentData.devToolsIndicators = [...indicators, indicator];
+        this.environmentData.devToolsScore = (this.environmentData.devToolsScore || 0) + indicator.weight;
+    }
+
+    /**
+     * @description Returns the latest result of a registered detector, or an empty result if it
+     * is not registered, disabled or has not run yet.
+     * @param {string} id - The detector id.
+     * @returns {object} `{ score, indicators, detected, details }`.
+     */
+    getDetectorResult(id) {
+        return this.detectorResults[id] || DetectorRegistry.normalizeResult(null);
     }
 
     /**
@@ -430,224 +691,378 @@ class FraudDetector {
         }
 
         const spoofingIndicators = [];
-        let spoofingScore = 0;
+        const addIndicator = (code, evidence, message) => {
+            spoofingIndicators.push(createIndicator({ code, source: 'location', evidence, message }));
+        };
 
         if (this.locationData.responseTime < 100) {
-            spoofingScore += 15;
-            spoofingIndicators.push('Suspiciously fast geolocation response');
+            addIndicator(IndicatorCodes.FAST_GEOLOCATION_RESPONSE,
+                { responseTime: this.locationData.responseTime },
+                'Suspiciously fast geolocation response');
         }
 
         if (this.locationData.accuracy < 5) {
-            spoofingScore += 10;
-            spoofingIndicators.push('Unrealistically high accuracy');
+            addIndicator(IndicatorCodes.ACCURACY_TOO_HIGH, { accuracy: this.locationData.accuracy },
+                'Unrealistically high accuracy');
         } else if (this.locationData.accuracy > 10000) {
-            spoofingScore += 5;
-            spoofingIndicators.push('Very low accuracy');
+            addIndicator(IndicatorCodes.ACCURACY_TOO_LOW, { accuracy: this.locationData.accuracy },
+                'Very low accuracy');
         }
 
         const lat = this.locationData.latitude;
         const lng = this.locationData.longitude;
 
         if (Math.abs(lat % 1) < 0.001 || Math.abs(lng % 1) < 0.001) {
-            spoofingScore += 20;
-            spoofingIndicators.push('Coordinates appear rounded/artificial');
+            addIndicator(IndicatorCodes.ROUNDED_COORDINATES, { latitude: lat, longitude: lng },
+                'Coordinates appear rounded/artificial');
         }
 
         try {
             const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
-            const browserOffset = this.getTimezoneOffsetFromName(browserTimezone);
-            const locationOffset = await this.getTimezoneFromCoords(lat, lng);
-
-            // Compare UTC offsets instead of timezone names
-            if (Math.abs(browserOffset - locationOffset) > 1) { // Allow 1 hour difference for DST
-                spoofingScore += 25;
-                spoofingIndicators.push(`Timezone mismatch: Browser(${browserTimezone}/${browserOffset >= 0 ? '+' : ''}${browserOffset}) vs Location(UTC${locationOffset >= 0 ? '+' : ''}${locationOffset})`);
+            const locationTimezone = await this.getTimezoneFromCoords(lat, lng);
+
+            // Points outside every known boundary (open sea, simplified coastline) cannot be checked
+            if (locationTimezone) {
+                // Compare the UTC offsets both zones observe right now, so DST is handled exactly
+                const now = new Date();
+                const browserOffset = this.getTimezoneOffsetFromName(browserTimezone, now);
+                const locationOffset = this.getTimezoneOffsetFromName(locationTimezone, now);
+                const acceptedOffsets = timezoneLookup.acceptedTimezones(locationTimezone)
+                    .map(timezone => this.getTimezoneOffsetFromName(timezone, now));
+                const formatOffset = offset => `UTC${offset >= 0 ? '+' : ''}${offset}`;
+
+                if (!acceptedOffsets.includes(browserOffset)) {
+                    addIndicator(IndicatorCodes.TIMEZONE_MISMATCH,
+                        { browserTimezone, browserOffset, locationTimezone, locationOffset },
+                        `Timezone mismatch: Browser(${browserTimezone}/${formatOffset(browserOffset)}) vs Location(${locationTimezone}/${formatOffset(locationOffset)})`);
+                }
             }
         } catch (e) {
             // Timezone API might fail
         }
 
-        if (this.isSuspiciousLocation(lat, lng)) {
-            spoofingScore += 30;
-            spoofingIndicators.push('Location appears to be in suspicious area');
+        // Which country/region the coordinates fall in, and whether the browser's locale agrees
+        const place = this.getPlaceFromCoords(lat, lng);
+        if (place) {
+            try {
+                const consistency = await localeConsistencyChecker.check(place.countryCode);
+                if (consistency.mismatchedGroups.length >= this.policy.verdict('localeLocationMismatch', 2)) {
+                    const disagreeing = consistency.signals
+                        .filter(signal => consistency.mismatchedGroups.includes(signal.group) && signal.consistent === false)
+                        .map(signal => `${signal.signal} ${signal.value}`);
+                    addIndicator(IndicatorCodes.LOCALE_LOCATION_MISMATCH,
+                        {
+                            countryCode: place.countryCode,
+                            regionCode: place.regionCode,
+                            mismatchedGroups: consistency.mismatchedGroups,
+                            signals: consistency.signals
+                        },
+                        `Locale-location mismatch: coordinates in ${place.countryName} but ${disagreeing.join(', ')}`);
+                }
+            } catch (e) {
+                // Locale APIs might fail
+            }
         }
 
-        const signatureDetection = this.detectLocationSignatures();
-        spoofingScore += signatureDetection.signatureScore;
-        spoofingIndicators.push(...signatureDetection.signatureIndicators);
+        spoofingIndicators.push(...this.detectLocationSignatures().signatureIndicators);
+        spoofingIndicators.push(...this.detectCoordinateFieldAnomalies());
+        spoofingIndicators.push(...this.detectGeolocationHooks());
+        const realmComparison = this.detectRealmDisagreement();
+        spoofingIndicators.push(...realmComparison.indicators);
 
         if (this.locationSpoofedByDevTools) {
-            spoofingScore += this.locationSpoofingScore || 100;
-            if (this.locationSpoofingIndicators) {
+            if (this.locationSpoofingIndicators && this.locationSpoofingIndicators.length > 0) {
                 spoofingIndicators.push(...this.locationSpoofingIndicators);
+            } else {
+                addIndicator(IndicatorCodes.LOCATION_UNTRUSTED_DEVTOOLS, {},
+                    'CRITICAL: DevTools detected - Location cannot be trusted');
             }
         }
 
         if (this.behavioralScore > 0) {
-            spoofingScore += this.behavioralScore;
             spoofingIndicators.push(...this.behavioralIndicators);
         }
 
+        const sinceLastSession = await this.detectTravelSinceLastSession();
+        spoofingIndicators.push(...sinceLastSession.indicators);
+
+        const spoofingScore = sumIndicatorWeights(spoofingIndicators);
         const criticalIndicators = this.checkCriticalSpoofingIndicators(spoofingIndicators);
-        const hasTimezoneIssue = spoofingIndicators.some(indicator => indicator.includes('Timezone mismatch'));
-        const hasDevToolsSignature = spoofingIndicators.some(indicator =>
-            indicator.includes('DevTools signature') ||
-            indicator.includes('DevTools default location') ||
-            indicator.includes('accuracy exactly 150') ||
-            indicator.includes('accuracy exactly 1')
-        );
 
         return {
             spoofingScore,
             spoofingIndicators,
-            isLocationSpoofed: spoofingScore >= 20 ||
+            place,
+            sinceLastSession: sinceLastSession.travel,
+            realmComparison: realmComparison.comparison,
+            isLocationSpoofed: spoofingScore >= this.policy.verdict('locationSpoofed', 20) ||
                 this.locationSpoofedByDevTools ||
                 this.locationSpoofedByBehavior ||
-                criticalIndicators ||
-                hasTimezoneIssue ||
-                hasDevToolsSignature
+                criticalIndicators
+        };
+    }
+
+    /**
+     * @description Checks the Geolocation API for hooks that could have answered the location
+     * request instead of the browser, see GeolocationIntegrityChecker.
+     * @returns {object[]} A GEOLOCATION_API_HOOKED indicator naming the techniques found, or nothing.
+     */
+    detectGeolocationHooks() {
+        const integrity = new GeolocationIntegrityChecker({ snapshot: this.originalFunctions }).check();
+        if (!integrity.hooked) return [];
+
+        return [createIndicator({
+            code: IndicatorCodes.GEOLOCATION_API_HOOKED,
+            source: 'location',
+            evidence: {
+                techniques: integrity.techniques,
+                findings: integrity.findings,
+                pristineRealm: integrity.pristineRealm
+            },
+            message: `Geolocation API hooked: ${integrity.techniques.join(', ')}`
+        })];
+    }
+
+    /**
+     * @description Compares the page's answer to the location request with the isolated realm's
+     * (see compareRealmPositions()). Spoofing extensions often patch only the top window.
+     * @returns {object} `{ comparison, indicators }`; comparison is `{ isolated, disagreements }`,
+     * or null when the realms were not compared.
+     */
+    detectRealmDisagreement() {
+        if (!this.locationData || !this.isolatedLocationData) return { comparison: null, indicators: [] };
+
+        const { disagreements, disagree } = compareRealmPositions(this.locationData, this.isolatedLocationData);
+        const comparison = { isolated: this.isolatedLocationData, disagreements };
+        const indicators = [];
+        if (disagree) {
+            indicators.push(createIndicator({
+                code: IndicatorCodes.GEOLOCATION_REALM_MISMATCH,
+                source: 'location',
+                evidence: comparison,
+                message: `Page and isolated iframe disagree on the location: ${disagreements.map(entry => entry.field).join(', ')}`
+            }));
+        }
+        return { comparison, indicators };
+    }
+
+    /**
+     * @description Compares the location with the last verified location of this device from an
+     * earlier session, and flags a distance that could not have been travelled in the time since.
+     * @returns {Promise<object>} `{ travel, indicators }`; travel is null on the first visit or
+     * without a location history (see LocationHistory.evaluateTravel()).
+     */
+    async detectTravelSinceLastSession() {
+        if (!this.locationHistory) return { travel: null, indicators: [] };
+
+        let previous;
+        try {
+            previous = await this.locationHistory.load();
+        } catch (e) {
+            fraudLogger.warn('Location history unavailable:', e.message);
+            return { travel: null, indicators: [] };
+        }
+        if (!previous) return { travel: null, indicators: [] };
+
+        const travel = {
+            previous: { latitude: previous.latitude, longitude: previous.longitude, timestamp: previous.timestamp },
+            ...this.locationHistory.evaluateTravel(previous, this.locationData)
         };
+        const indicators = [];
+        if (!travel.possible) {
+            indicators.push(createIndicator({
+                code: IndicatorCodes.IMPOSSIBLE_TRAVEL_SINCE_LAST_SESSION,
+                source: 'location',
+                evidence: travel,
+                message: `Impossible travel since last session: ${travel.distanceKm.toFixed(0)} km in ` +
+                    `${travel.elapsedHours.toFixed(1)} h (${travel.allowedDistanceKm.toFixed(0)} km possible)`
+            }));
+        }
+        return { travel, indicators };
+    }
+
+    /**
+     * @description Keeps the location as this device's last verified one, unless it looks spoofed.
+     * @param {object} locationAnalysis - The result of detectLocationSpoofing().
+     */
+    async rememberVerifiedLocation(locationAnalysis) {
+        if (!this.locationHistory || locationAnalysis.isLocationSpoofed) return;
+        try {
+            await this.locationHistory.save(this.locationData);
+        } catch (e) {
+            fraudLogger.warn('Location history unavailable:', e.message);
+        }
+    }
+
+    /**
+     * @description Checks the location and its accuracy against the geofence. A location that looks
+     * spoofed says nothing about where the device is, so it is reported as uncertain.
+     * @param {object} locationAnalysis - The result of detectLocationSpoofing().
+     * @returns {object|null} The result of Geofence.evaluate() with `locationVerified`, or null
+     * without a geofence.
+     */
+    evaluateGeofence(locationAnalysis) {
+        if (!this.geofence) return null;
+
+        const result = { ...this.geofence.evaluate(this.locationData), locationVerified: !locationAnalysis.isLocationSpoofed };
+        if (!result.locationVerified) {
+            result.status = 'uncertain';
+            result.reason = 'Location looks spoofed';
+        }
+        return result;
     }
 
     /**
      * @description Checks for critical indicators that automatically mark a location as spoofed.
-     * @param {string[]} indicators - An array of detected indicators.
-     * @returns {boolean} True if a critical indicator is found.
+     * @param {object[]} indicators - An array of structured indicators.
+     * @returns {boolean} True if an indicator with a critical code is found.
      */
     checkCriticalSpoofingIndicators(indicators) {
-        const criticalPatterns = [
-            'DevTools signature', 'DevTools default location', 'Timezone mismatch',
-            'accuracy exactly 150', 'accuracy exactly 1', 'Google HQ (DevTools default)',
-            'Mountain View (DevTools default)', 'San Francisco (DevTools default)',
-            'New York (DevTools default)', 'London (DevTools default)',
-            'Android Emulator Default', 'Null Island (0,0)', 'Emulator coordinates detected'
-        ];
-        return indicators.some(indicator =>
-            criticalPatterns.some(pattern => indicator.includes(pattern))
-        );
+        return indicators.some(isCriticalIndicator);
     }
 
-    getTimezoneOffsetFromName(timezoneName) {
-        // Get the current UTC offset for a timezone name (e.g., "Asia/Saigon" -> 7)
+    /**
+     * @description Returns the UTC offset a timezone observes at a given instant (DST-aware).
+     * @param {string} timezoneName - IANA timezone name, e.g. 'Asia/Saigon'.
+     * @param {Date} [date] - The instant to evaluate; defaults to now.
+     * @returns {number} The offset in hours (e.g. 7, -4, 5.5).
+     */
+    getTimezoneOffsetFromName(timezoneName, date = new Date()) {
         try {
-            // Use a specific date to check timezone offset
-            const testDate = new Date('2024-01-15T12:00:00Z'); // Use a winter date to avoid DST issues
-            
-            // Get the time in the target timezone
-            const formatter = new Intl.DateTimeFormat('en-CA', {
-                timeZone: timezoneName,
-                timeZoneName: 'longOffset'
-            });
-            
-            const parts = formatter.formatToParts(testDate);
-            const offsetPart = parts.find(part => part.type === 'timeZoneName');
-            
-            if (offsetPart && offsetPart.value) {
-                // Parse formats like "GMT+7", "GMT-5", etc.
-                const match = offsetPart.value.match(/GMT([+-])(\d+)(:(\d+))?/);
-                if (match) {
-                    const sign = match[1] === '+' ? 1 : -1;
-                    const hours = parseInt(match[2], 10);
-                    const minutes = match[4] ? parseInt(match[4], 10) : 0;
-                    return sign * (hours + minutes / 60);
-                }
-            }
-            
-            // Fallback: calculate manually
-            if (timezoneName.toLowerCase() === 'utc') {
-                return 0;
-            }
-            
-            const utcDate = new Date(testDate.toISOString());
-            const localDate = new Date(testDate.toLocaleString('en-CA', { timeZone: timezoneName }));
-            const diffMs = localDate.getTime() - utcDate.getTime();
-            return diffMs / (1000 * 60 * 60);
+            return getTimezoneOffsetAt(timezoneName, date);
         } catch (e) {
-            // Final fallback: use browser's current offset
-            return -new Date().getTimezoneOffset() / 60;
+            // Fallback: use browser's offset at that instant
+            return -date.getTimezoneOffset() / 60;
         }
     }
     
     /**
-     * @description Approximates timezone from coordinates. A real implementation should use a dedicated API.
+     * @description Resolves the IANA timezone of a coordinate using the embedded boundary dataset.
      * @param {number} lat - Latitude.
      * @param {number} lng - Longitude.
-     * @returns {Promise<string>} The estimated timezone (e.g., 'UTC+7').
+     * @returns {Promise<string|null>} The timezone (e.g. 'Asia/Ho_Chi_Minh'), or null if the point is not covered.
      */
     async getTimezoneFromCoords(lat, lng) {
-        // NOTE: This is a very rough approximation. For a real product, use a reverse geocoding API.
-        const timezoneOffset = Math.round(lng / 15);
-        const utcOffset = timezoneOffset >= 0 ? `+${timezoneOffset}` : `${timezoneOffset}`;
-        return `UTC${utcOffset}`;
+        return timezoneLookup.find(lat, lng);
     }
 
     /**
-     * @description Checks if a location is in a commonly known suspicious or spoofed area.
+     * @description Resolves the country and first-level region of coordinates from the embedded boundary data.
      * @param {number} lat - Latitude.
      * @param {number} lng - Longitude.
-     * @returns {boolean} True if the location is suspicious.
+     * @returns {object|null} `{ countryCode, countryName, regionCode, regionName }`, or null at sea.
      */
-    isSuspiciousLocation(lat, lng) {
-        if (Math.abs(lat) < 0.1 && Math.abs(lng) < 0.1) return true; // Null Island
-
-        const suspiciousCoords = [
-            [37.7749, -122.4194], // San Francisco (commonly spoofed)
-            [40.7128, -74.0060],  // New York (commonly spoofed)
-            [51.5074, -0.1278],   // London (commonly spoofed)
-        ];
-        return suspiciousCoords.some(coords =>
-            Math.abs(lat - coords[0]) < 0.01 && Math.abs(lng - coords[1]) < 0.01
-        );
+    getPlaceFromCoords(lat, lng) {
+        return reverseGeocoder.lookup(lat, lng);
     }
 
     /**
      * @description Executes the full suite of fraud detection analyses.
+     * @param {object} [options]
+     * @param {PositionOptions} [options.geolocation] - Overrides for the geolocation request options.
      * @returns {Promise<object>} A promise that resolves with a comprehensive analysis report.
      */
-    async performFullAnalysis() {
+    async performFullAnalysis(options = {}) {
+        this.timings = [];
+        this.recordEvent(TimelineEventTypes.ANALYSIS_STARTED, 'script.js');
         try {
             // Analyze environment first
-            const envData = this.detectRemoteDesktop();
+            const envData = await this.timeStep('environment', () => this.detectRemoteDesktop());
+
+            // Run the registered detector modules (extensions, device masking, VPN, automation, custom detectors)
+            const detectorResults = await this.runRegisteredDetectors();
+            const scoredResults = Object.values(detectorResults).filter(result => result.includeInTotal);
+            Object.values(detectorResults).forEach(result => {
+                this.timings.push({ step: `detector:${result.id}`, startedAt: result.startedAt, durationMs: result.durationMs });
+            });
 
-            // Analyze device masking
-            const maskingAnalysis = await this.detectDeviceDataMasking();
-            
             // Get location data
-            await this.analyzeLocation();
-            
+            await this.timeStep('geolocation', () => this.analyzeLocation(options.geolocation));
+
             // Analyze location spoofing
-            const locationAnalysis = await this.detectLocationSpoofing();
-
-            // Calculate overall scores including all detection methods with safe defaults
-            const totalSuspicion = (envData.rdpScore || 0) +
-                                   (locationAnalysis.spoofingScore || 0) +
-                                   (this.environmentData.devToolsScore || 0) +
-                                   (this.environmentData.consoleOverrideScore || 0) +
-                                   (this.environmentData.maskingScore || 0);
-            // Combine all indicators with safe defaults
-            const allIndicators = [
-                ...(locationAnalysis.spoofingIndicators || []),
-                ...(envData.rdpIndicators || []),
-                ...(this.environmentData.devToolsIndicators || []),
-                ...(this.environmentData.consoleOverrides || []),
-                ...(this.environmentData.maskingIndicators || [])
-            ];
-            
+            const locationAnalysis = await this.timeStep('locationSpoofing', () => this.detectLocationSpoofing());
+            await this.rememberVerifiedLocation(locationAnalysis);
+            const geofence = this.evaluateGeofence(locationAnalysis);
+
+            // Collect the raw score and indicators of every category
+            const categories = {
+                location: {
+                    score: locationAnalysis.spoofingScore || 0,
+                    indicators: locationAnalysis.spoofingIndicators || []
+                },
+                remoteDesktop: {
+                    score: envData.rdpScore || 0,
+                    indicators: envData.rdpIndicators || []
+                },
+                devTools: {
+                    score: this.environmentData.devToolsScore || 0,
+                    indicators: this.environmentData.devToolsIndicators || []
+                },
+                console: {
+                    score: this.environmentData.consoleOverrideScore || 0,
+                    indicators: this.environmentData.consoleOverrides || []
+                },
+                // Artifacts found by the mutation observer count towards the extensions category
+                extensions: {
+                    score: this.environmentData.extensionScore || 0,
+                    indicators: this.environmentData.extensionIndicators || []
+                }
+            };
+            scoredResults.forEach(result => {
+                if (!categories[result.category]) categories[result.category] = { score: 0, indicators: [] };
+                categories[result.category].score += result.score;
+                categories[result.category].indicators = [...categories[result.category].indicators, ...result.indicators];
+            });
+
+            // Normalize each category to 0-100 and combine them as configured by the scoring policy
+            const aggregation = await this.timeStep('aggregation', () => this.policy.aggregate(categories));
+            const totalSuspicion = aggregation.total;
+            const categoryScores = {};
+            Object.entries(aggregation.contributions).forEach(([category, contribution]) => {
+                categoryScores[category] = contribution.normalized;
+            });
+
+            const allIndicators = Object.values(categories).flatMap(category => category.indicators);
+
+            // Detectors registered with `mergedInto` are reported in that section, not one of their own
+            const mergedInto = section => Object.values(detectorResults).filter(result => result.mergedInto === section);
+            const environmentResults = mergedInto('environment');
+            const extensionResults = mergedInto('extensions');
+            const rdpScore = environmentResults.reduce((score, result) => score + result.score, envData.rdpScore || 0);
+            const maskingResult = this.getDetectorResult('deviceMasking');
+            const vpnResult = this.getDetectorResult('vpn');
+            const keystrokeResult = this.getDetectorResult('keystrokeDynamics');
+            const automationResult = this.getDetectorResult('automation');
+            const riskLevel = this.getRiskLevel(totalSuspicion);
+            this.recordEvent(TimelineEventTypes.ANALYSIS_COMPLETED, 'script.js', { suspicionScore: totalSuspicion, riskLevel });
+
             return {
                 location: {
                     coordinates: `${this.locationData.latitude.toFixed(4)}, ${this.locationData.longitude.toFixed(4)}`,
                     latitude: this.locationData.latitude,
                     longitude: this.locationData.longitude,
                     accuracy: `${this.locationData.accuracy.toFixed(0)}m`,
+                    altitude: this.locationData.altitude,
+                    altitudeAccuracy: this.locationData.altitudeAccuracy,
+                    heading: this.locationData.heading,
+                    speed: this.locationData.speed,
+                    country: locationAnalysis.place ? locationAnalysis.place.countryCode : null,
+                    countryName: locationAnalysis.place ? locationAnalysis.place.countryName : null,
+                    region: locationAnalysis.place ? locationAnalysis.place.regionName : null,
                     responseTime: `${this.locationData.responseTime}ms`,
                     isSpoofed: locationAnalysis.isLocationSpoofed,
+                    sinceLastSession: locationAnalysis.sinceLastSession,
+                    realmComparison: locationAnalysis.realmComparison,
                     spoofingScore: locationAnalysis.spoofingScore,
                     indicators: locationAnalysis.spoofingIndicators
                 },
                 environment: {
-                    isRemoteDesktop: envData.isRemoteDesktop,
-                    rdpScore: envData.rdpScore,
-                    indicators: envData.rdpIndicators,
+                    isRemoteDesktop: rdpScore >= this.policy.verdict('remoteDesktop', 20),
+                    rdpScore,
+                    indicators: [...envData.rdpIndicators, ...environmentResults.flatMap(result => result.indicators)],
+                    mouseDynamics: this.getDetectorResult('mouseDynamics').details,
+                    gpu: this.getDetectorResult('gpu').details,
+                    frameCadence: this.getDetectorResult('frameCadence').details,
                     platform: envData.platform,
                     resolution: `${envData.screen.width}x${envData.screen.height}`,
                     timezone: envData.timezone
@@ -663,25 +1078,45 @@ class FraudDetector {
                     indicators: this.environmentData.consoleOverrides || []
                 },
                 extensions: {
-                    detected: this.extensionDetected || false,
-                    score: this.environmentData.extensionScore || 0,
-                    indicators: this.environmentData.extensionIndicators || []
+                    // Artifacts found by the mutation observer are merged with the detector module result
+                    detected: this.extensionDetected || (this.environmentData.extensionIndicators || []).length > 0,
+                    score: extensionResults.reduce((score, result) => score + result.score, this.environmentData.extensionScore || 0),
+                    indicators: [...extensionResults.flatMap(result => result.indicators), ...(this.environmentData.extensionIndicators || [])]
                 },
                 deviceMasking: {
-                    detected: this.deviceMaskingDetected || false,
-                    score: this.environmentData.maskingScore || 0,
-                    indicators: this.environmentData.maskingIndicators || []
+                    detected: this.deviceMaskingDetected,
+                    score: maskingResult.score,
+                    indicators: maskingResult.indicators
                 },
                 vpn: {
-                    detected: this.vpnDetected || false,
-                    score: this.environmentData.vpnScore || 0,
-                    indicators: this.environmentData.vpnIndicators || [],
-                    provider: this.environmentData.detectedVpnProvider || null
+                    detected: this.vpnDetected,
+                    score: vpnResult.score,
+                    indicators: vpnResult.indicators,
+                    provider: vpnResult.details.provider || null
+                },
+                automation: {
+                    detected: this.automationDetected,
+                    score: automationResult.score,
+                    indicators: automationResult.indicators
                 },
+                keystrokes: {
+                    humanLikeness: keystrokeResult.details.humanLikeness === undefined ? null : keystrokeResult.details.humanLikeness,
+                    score: keystrokeResult.score,
+                    indicators: keystrokeResult.indicators
+                },
+                geofence,
+                detectors: detectorResults,
+                timeline: this.getTimeline(),
                 overall: {
                     suspicionScore: totalSuspicion,
-                    riskLevel: this.getRiskLevel(totalSuspicion),
-                    allIndicators: allIndicators
+                    riskLevel,
+                    policy: `${this.policy.name}@${this.policy.version}`,
+                    signatureCatalog: this.signatureCatalog.version,
+                    aggregation: aggregation.method,
+                    categoryScores,
+                    contributions: aggregation.contributions,
+                    allIndicators: allIndicators,
+                    criticalIndicators: allIndicators.filter(isCriticalIndicator).map(indicator => indicator.code)
                 }
             };
         } catch (error) {
@@ -689,16 +1124,34 @@ class FraudDetector {
         }
     }
 
+    /**
+     * @description Runs one step of the analysis and records when it started and how long it took.
+     * The timings of the latest analysis are kept in `this.timings`, in the order the steps ran.
+     * @param {string} step - Step name, e.g. 'geolocation'.
+     * @param {function} run - The step; may be async.
+     * @returns {Promise<*>} The step's result.
+     */
+    async timeStep(step, run) {
+        const startedAt = performance.timeOrigin + performance.now();
+        try {
+            return await run();
+        } finally {
+            const durationMs = performance.timeOrigin + performance.now() - startedAt;
+            this.timings.push({
+                step,
+                startedAt: Math.round(startedAt * 10) / 10,
+                durationMs: Math.round(durationMs * 10) / 10
+            });
+        }
+    }
+
     /**
      * @description Converts a numerical score into a categorical risk level.
      * @param {number} score - The total suspicion score.
      * @returns {string} The risk level ('LOW', 'MEDIUM', 'HIGH', 'CRITICAL').
      */
     getRiskLevel(score) {
-        if (score < 20) return 'LOW';
-        if (score < 40) return 'MEDIUM';
-        if (score < 60) return 'HIGH';
-        return 'CRITICAL';
+        return this.policy.riskLevel(score);
     }
 
     // RDP/VM Detection Methods
@@ -775,6 +1228,14 @@ class FraudDetector {
                 } else {
                     rendererString = 'WEBGL_debug_renderer_info not available';
                 }
+
+                // The renderer string can be masked or spoofed; the GPU's capabilities are harder to fake
+                if (this.gpuClassifier) {
+                    this.gpuClassifier.analyze().indicators.forEach(indicator => {
+                        suspicion = 'Suspicious';
+                        factors.push(indicator.message);
+                    });
+                }
             } else {
                 rendererString = 'WebGL not supported';
             }
@@ -820,7 +1281,26 @@ class FraudDetector {
         };
     }
 
-    getOverallRDPSuspicion(screenResult, webglResult, navigatorResult) {
+    /**
+     * @description Measures the display's frame cadence, or reuses the measurement of the last
+     * analysis.
+     * @returns {Promise<object>} `{ data, suspicion, factors }`, as the other RDP checks.
+     */
+    async checkFrameCadence() {
+        if (!this.frameCadence) return { data: 'Not available', suspicion: 'Could not determine', factors: [] };
+
+        const result = this.detectorResults.frameCadence || await this.frameCadence.analyze();
+        const { refreshHz, jitter, droppedFrames, deviceClass } = result.details;
+        if (refreshHz === null) return { data: 'requestAnimationFrame not running', suspicion: 'Could not determine', factors: [] };
+
+        return {
+            data: { refreshHz, jitter, droppedFrames, deviceClass },
+            suspicion: result.indicators.length > 0 ? 'Suspicious' : 'Normal',
+            factors: result.indicators.map(indicator => indicator.message)
+        };
+    }
+
+    getOverallRDPSuspicion(screenResult, webglResult, navigatorResult, cadenceResult = null) {
         let totalSuspicionPoints = 0;
         const contributingFactors = [];
 
@@ -836,6 +1316,10 @@ class FraudDetector {
             totalSuspicionPoints += 2;
             contributingFactors.push(...navigatorResult.factors.map(f => `Navigator: ${f}`));
         }
+        if (cadenceResult && cadenceResult.suspicion === 'Suspicious') {
+            totalSuspicionPoints += 2;
+            contributingFactors.push(...cadenceResult.factors.map(f => `Frame cadence: ${f}`));
+        }
 
         let overallLevel = 'Low';
         let type = 'authentic';
@@ -858,366 +1342,4 @@ class FraudDetector {
     }
 }
 
-
-
-
-/**
- * @class UIController
- * @description Handles all interactions with the DOM, including event listeners and result display.
- */
-class UIController {
-    constructor() {
-        this.detector = new FraudDetector();
-        this.map = null;
-        this.marker = null;
-
-        // Initialize behavioral analyzer if available
-        this.behaviorAnalyzer = null;
-        if (window.LocationBehaviorAnalyzer) {
-            this.behaviorAnalyzer = new window.LocationBehaviorAnalyzer();
-            this.behaviorAnalyzer.setFraudDetector(this.detector);
-        }
-
-        this.initializeEventListeners();
-
-        // Set up DevTools detector reference
-        if (window.DevToolsDetector) {
-            window.DevToolsDetector.setUIController(this);
-        }
-    }
-
-    /**
-     * @description Binds the click event to the main button.
-     */
-    initializeEventListeners() {
-        const locateBtn = document.getElementById('locateBtn');
-        locateBtn.addEventListener('click', () => this.handleLocateClick());
-    }
-
-    /**
-     * @description Orchestrates the analysis and display process when the button is clicked.
-     */
-    async handleLocateClick() {
-        const btn = document.getElementById('locateBtn');
-        const loading = document.getElementById('loading');
-        const results = document.getElementById('results');
-
-        try {
-            btn.disabled = true;
-            loading.style.display = 'block';
-            results.style.display = 'none';
-
-            if (this.behaviorAnalyzer) {
-                this.behaviorAnalyzer.startLocationMonitoring();
-            }
-
-            const analysis = await this.detector.performFullAnalysis();
-            
-            // Perform RDP/VM analysis
-            this.performRDPAnalysis();
-            
-            // Display results
-            this.displayResults(analysis);
-            this.displayMap(analysis.location.latitude, analysis.location.longitude);
-
-        } catch (error) {
-            this.displayError(error.message);
-        } finally {
-            loading.style.display = 'none';
-            btn.disabled = false;
-        }
-    }
-
-    /**
-     * @description Renders the analysis results on the page.
-     * @param {object} analysis - The comprehensive analysis report from FraudDetector.
-     */
-    displayResults(analysis) {
-        const results = document.getElementById('results');
-        const locationResult = document.getElementById('locationResult');
-        const environmentResult = document.getElementById('environmentResult');
-        const locationStatus = document.getElementById('locationStatus');
-        const environmentStatus = document.getElementById('environmentStatus');
-        const detectionDetails = document.getElementById('detectionDetails');
-
-        const locationAuth = analysis.location.isSpoofed ? '🚨 SPOOFED' : '✅ AUTHENTIC';
-        locationStatus.innerHTML = `
-            <strong>${locationAuth}</strong><br>
-            Coordinates: ${analysis.location.coordinates}<br>
-            Accuracy: ${analysis.location.accuracy}<br>
-            Response Time: ${analysis.location.responseTime}
-        `;
-
-        const envType = analysis.environment.isRemoteDesktop ? 'REMOTE DESKTOP DETECTED' : 'LOCAL DESKTOP';
-        const devToolsStatus = analysis.devTools.detected ? '⚠️ DEV TOOLS DETECTED' : '✅ No Dev Tools';
-        const consoleStatus = analysis.console.overridden ? '⚠️ CONSOLE OVERRIDE' : '✅ Console Normal';
-        const maskingStatus = analysis.deviceMasking.detected ? '⚠️ DEVICE MASKING' : '✅ Device Masking Normal';
-        
-        environmentStatus.innerHTML = `
-            <strong>${envType}</strong><br>
-            Platform: ${analysis.environment.platform}<br>
-            Resolution: ${analysis.environment.resolution}<br>
-            Timezone: ${analysis.environment.timezone}<br><br>
-            <strong>Advanced Detection:</strong><br>
-            ${devToolsStatus}<br>
-            ${consoleStatus}<br>
-            ${maskingStatus}
-        `;
-
-        // Apply appropriate styling based on overall risk
-        const hasHighRisk = analysis.devTools.detected || 
-                           analysis.console.overridden || analysis.location.isSpoofed || 
-                           analysis.deviceMasking.detected;
-        locationResult.className = `result-card ${this.getStatusClass(analysis.location.isSpoofed)}`;
-        environmentResult.className = `result-card ${this.getStatusClass(hasHighRisk)}`;
-
-        const detectionBreakdown = `
-            <strong>Detection Breakdown:</strong><br>
-            • Location Spoofing: ${analysis.location.spoofingScore} points<br>
-            • Remote Desktop: ${analysis.environment.rdpScore} points<br>
-            • Developer Tools: ${analysis.devTools.score} points<br>
-            • Console Override: ${analysis.console.score} points<br>
-            • Device Masking: ${analysis.deviceMasking.score} points<br>
-        `;
-
-        detectionDetails.innerHTML = `
-            <strong>Risk Level: ${analysis.overall.riskLevel}</strong> (Total Score: ${analysis.overall.suspicionScore})<br><br>
-            ${detectionBreakdown}<br>
-            ${analysis.overall.allIndicators.length > 0 ?
-                '<strong>All Detected Indicators:</strong><ul>' +
-                analysis.overall.allIndicators.map(indicator => `<li>${indicator}</li>`).join('') +
-                '</ul>' :
-                'No suspicious indicators detected.'
-            }
-        `;
-
-        results.style.display = 'block';
-    }
-    
-    /**
-     * @description Displays an error message in the UI.
-     * @param {string} message - The error message to display.
-     */
-    displayError(message) {
-        const results = document.getElementById('results');
-        const locationStatus = document.getElementById('locationStatus');
-        const environmentStatus = document.getElementById('environmentStatus');
-        const detectionDetails = document.getElementById('detectionDetails');
-
-        locationStatus.innerHTML = '<strong>🚨 SPOOFED</strong><br>Error occurred - Location cannot be verified';
-        environmentStatus.innerHTML = '<strong>ERROR</strong><br>Could not analyze environment';
-        detectionDetails.innerHTML = `<strong>Error:</strong> ${message}`;
-
-        document.getElementById('locationResult').className = 'result-card status-fake';
-        document.getElementById('environmentResult').className = 'result-card status-fake';
-
-        results.style.display = 'block';
-    }
-
-    /**
-     * @description Returns a CSS class name based on the spoofing status.
-     * @param {boolean} isSpoofed - Whether an item is considered spoofed or high-risk.
-     * @returns {string} The CSS class name ('status-fake' or 'status-authentic').
-     */
-    getStatusClass(isSpoofed) {
-        return isSpoofed ? 'status-fake' : 'status-authentic';
-    }
-
-    /**
-     * @description Updates the DevTools status in the UI in real-time.
-     * @param {boolean} devToolsDetected - The current detection status of DevTools.
-     */
-    updateDevToolsStatus(devToolsDetected) {
-        const results = document.getElementById('results');
-        if (results.style.display !== 'block') return;
-
-        const environmentStatus = document.getElementById('environmentStatus');
-        const environmentResult = document.getElementById('environmentResult');
-
-        if (environmentStatus && environmentResult) {
-            const devToolsStatus = devToolsDetected ?
-                '⚠️ DEV TOOLS DETECTED (LIVE)' :
-                '✅ Dev Tools Closed (but was detected)';
-            const updatedHTML = environmentStatus.innerHTML.replace(
-                /(⚠️ DEV TOOLS DETECTED.*?|✅ No Dev Tools|✅ Dev Tools Closed.*?)<br>/,
-                `${devToolsStatus}<br>`
-            );
-            environmentStatus.innerHTML = updatedHTML;
-            if (this.detector && this.detector.devToolsDetected) {
-                environmentResult.className = 'result-card status-fake';
-            }
-        }
-    }
-
-    /**
-     * @description Updates the location spoofing status if DevTools is detected.
-     * @param {boolean} locationSpoofed - Whether the location is considered spoofed.
-     */
-    updateLocationSpoofingStatus(locationSpoofed) {
-        const results = document.getElementById('results');
-        if (results.style.display !== 'block') return;
-
-        const locationStatus = document.getElementById('locationStatus');
-        const locationResult = document.getElementById('locationResult');
-
-        if (locationStatus && locationResult && locationSpoofed && this.detector && this.detector.locationSpoofedByDevTools) {
-             const updatedHTML = locationStatus.innerHTML.replace(
-                /<strong>(✅ AUTHENTIC|🚨 SPOOFED)<\/strong>/,
-                '<strong>🚨 SPOOFED - DEVTOOLS DETECTED</strong><br><span style="color: #dc3545; font-weight: bold;">Location cannot be trusted - DevTools allows geolocation manipulation</span>'
-            );
-            locationStatus.innerHTML = updatedHTML;
-            locationResult.className = 'result-card status-fake';
-        }
-    }
-
-    performRDPAnalysis() {
-        // Run RDP/VM detection checks
-        const screenResult = this.detector.checkScreenProperties();
-        const webglResult = this.detector.checkWebGLRenderer();
-        const navigatorResult = this.detector.checkNavigatorProperties();
-        const overallRdp = this.detector.getOverallRDPSuspicion(screenResult, webglResult, navigatorResult);
-
-        // Update RDP result cards
-        this.updateRDPResultCard('screenResult', 'screenStatus', 'screenDetails', screenResult);
-        this.updateRDPResultCard('webglResult', 'webglStatus', 'webglDetails', webglResult);
-        this.updateRDPResultCard('navigatorResult', 'navigatorStatus', 'navigatorDetails', navigatorResult);
-        
-        // Update overall RDP result
-        this.updateOverallRDPResult(overallRdp);
-    }
-
-    updateRDPResultCard(resultId, statusId, detailsId, result) {
-        const resultCard = document.getElementById(resultId);
-        const statusEl = document.getElementById(statusId);
-        const detailsEl = document.getElementById(detailsId);
-
-        if (statusEl) {
-            statusEl.textContent = result.suspicion;
-        }
-
-        if (detailsEl) {
-            if (typeof result.data === 'string') {
-                detailsEl.textContent = result.data;
-            } else {
-                detailsEl.textContent = JSON.stringify(result.data, null, 2);
-            }
-        }
-
-        if (resultCard) {
-            // Apply styling based on suspicion level
-            resultCard.classList.remove('status-authentic', 'status-suspicious', 'status-fake');
-            if (result.suspicion === 'Normal') {
-                resultCard.classList.add('status-authentic');
-            } else if (result.suspicion === 'Suspicious') {
-                resultCard.classList.add('status-suspicious');
-            } else {
-                resultCard.classList.add('status-fake');
-            }
-        }
-    }
-
-    updateOverallRDPResult(overallRdp) {
-        const overallRdpResult = document.getElementById('overallRdpResult');
-        const overallRdpStatus = document.getElementById('overallRdpStatus');
-        const overallRdpFactors = document.getElementById('overallRdpFactors');
-
-        if (overallRdpStatus) {
-            overallRdpStatus.textContent = `Suspicion Level: ${overallRdp.level}`;
-        }
-
-        if (overallRdpFactors) {
-            overallRdpFactors.innerHTML = '';
-            overallRdp.factors.forEach(factor => {
-                const li = document.createElement('li');
-                li.textContent = factor;
-                overallRdpFactors.appendChild(li);
-            });
-        }
-
-        if (overallRdpResult) {
-            overallRdpResult.classList.remove('status-authentic', 'status-suspicious', 'status-fake');
-            if (overallRdp.type === 'authentic') {
-                overallRdpResult.classList.add('status-authentic');
-            } else if (overallRdp.type === 'suspicious') {
-                overallRdpResult.classList.add('status-suspicious');
-            } else if (overallRdp.type === 'fake') {
-                overallRdpResult.classList.add('status-fake');
-            }
-        }
-    }
-
-    /**
-     * @description Displays the detected location on a Leaflet map.
-     * @param {number} latitude - The latitude of the location.
-     * @param {number} longitude - The longitude of the location.
-     */
-    displayMap(latitude, longitude) {
-        const mapContainer = document.getElementById('mapContainer');
-        mapContainer.style.display = 'block';
-
-        if (!this.map) {
-            this.map = L.map('map').setView([latitude, longitude], 13);
-            L.tileLayer('https://tile.openstreetmap.org/{z}/{x}/{y}.png', {
-                maxZoom: 19,
-                attribution: '&copy; <a href="http://www.openstreetmap.org/copyright">OpenStreetMap</a>'
-            }).addTo(this.map);
-        } else {
-            this.map.setView([latitude, longitude], 13);
-        }
-
-        if (this.marker) {
-            this.map.removeLayer(this.marker);
-        }
-
-        this.marker = L.marker([latitude, longitude])
-            .addTo(this.map)
-            .bindPopup(`<b>📍 Detected Location</b><br>Latitude: ${latitude.toFixed(6)}<br>Longitude: ${longitude.toFixed(6)}`)
-            .openPopup();
-            
-        if (this.detector.locationData && this.detector.locationData.accuracy) {
-             const accuracyCircle = L.circle([latitude, longitude], {
-                color: 'blue',
-                fillColor: '#add8e6',
-                fillOpacity: 0.2,
-                radius: this.detector.locationData.accuracy
-            }).addTo(this.map);
-            
-            const group = new L.featureGroup([this.marker, accuracyCircle]);
-            this.map.fitBounds(group.getBounds().pad(0.1));
-        }
-    }
-}
-
-// Dummy classes to prevent errors if other scripts aren't loaded.
-// In the final project, these would be in their own files.
-if (typeof ExtensionDetector === 'undefined') {
-    class ExtensionDetector {
-        performFullExtensionDetection() {
-            // Placeholder implementation
-            return { score: 0, indicators: [], detected: false };
-        }
-    }
-}
-if (typeof LocationBehaviorAnalyzer === 'undefined') {
-    class LocationBehaviorAnalyzer {
-        setFraudDetector(detector) {}
-        startLocationMonitoring() {}
-    }
-}
-if (typeof DevToolsDetector === 'undefined') {
-    class DevToolsDetector {
-        static setUIController(controller) {}
-        static initialize() {}
-    }
-}
-
-
-// Initialize the application
-document.addEventListener('DOMContentLoaded', () => {
-    new UIController();
-    
-    // Initialize DevTools detection if it exists
-    if (window.DevToolsDetector && typeof window.DevToolsDetector.initialize === 'function') {
-        window.DevToolsDetector.initialize();
-    }
-});
\ No newline at end of file
+window.FraudDetector = FraudDetector;
@@ -0,0 +1,26 @@
+// Loads browser modules (classic scripts that export through `window`) into a Node vm context, so
+// the server scores and canonicalizes reports with exactly the same code as the client.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * @description Runs the given modules, in order, in a fresh context whose `window` is the context
+ * itself.
+ * @param {string[]} files - File names relative to the fraudinator directory.
+ * @returns {object} The context; the modules' exports are its properties.
+ */
+function loadBrowserModules(files) {
+    const context = vm.createContext({ crypto: globalThis.crypto, TextEncoder, atob });
+    context.window = context;
+
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+module.exports = { loadBrowserModules };
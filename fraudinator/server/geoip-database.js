@@ -0,0 +1,461 @@
+// Local GeoIP database for the server-side IP geolocation check (see ip-geolocation.js). Reads
+// either format from disk, with no dependencies:
+//   - MaxMind DB (.mmdb), e.g. GeoLite2-City or DB-IP City Lite: a binary search tree over the
+//     address bits whose leaves point into a data section of typed values;
+//   - CSV (.csv) with a header row and one network per line, given either as a CIDR `network`
+//     column or as `start_ip` / `end_ip` columns, plus the location columns in CSV_COLUMNS.
+// Both answer lookup(ip) with the same flat record.
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+const MMDB_METADATA_MARKER = Buffer.from('abcdef4d61784d696e642e636f6d', 'hex'); // '\xAB\xCD\xEFMaxMind.com'
+const MMDB_DATA_SEPARATOR_BYTES = 16;
+
+// CSV column names, by record field
+const CSV_COLUMNS = Object.freeze({
+    country: 'country_iso_code',
+    countryName: 'country_name',
+    region: 'subdivision_iso_code',
+    regionName: 'subdivision_name',
+    city: 'city_name',
+    latitude: 'latitude',
+    longitude: 'longitude',
+    accuracyRadiusKm: 'accuracy_radius',
+    timeZone: 'time_zone'
+});
+
+/**
+ * @class GeoIpDatabaseError
+ * @description Raised when a GeoIP database cannot be read or is malformed.
+ */
+class GeoIpDatabaseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'GeoIpDatabaseError';
+    }
+}
+
+/**
+ * @description Parses an IPv4 or IPv6 address. IPv4-mapped IPv6 addresses (::ffff:1.2.3.4, as
+ * reported by dual-stack sockets) are treated as the IPv4 address.
+ * @param {string} text - The address.
+ * @returns {object|null} `{ version, bytes }` with 4 or 16 bytes, or null if it is not an address.
+ */
+function parseIpAddress(text) {
+    const address = String(text).trim().replace(/%.*$/, '');
+    if (net.isIPv4(address)) {
+        return { version: 4, bytes: Buffer.from(address.split('.').map(Number)) };
+    }
+    if (!net.isIPv6(address)) return null;
+
+    let groups = address;
+    let ipv4Tail = [];
+    const embedded = address.match(/:(\d+\.\d+\.\d+\.\d+)$/);
+    if (embedded) {
+        ipv4Tail = embedded[1].split('.').map(Number);
+        groups = `${address.slice(0, -embedded[1].length)}0:0`;
+    }
+    const [head, tail] = groups.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail !== undefined && tail ? tail.split(':') : [];
+    const missing = 8 - headGroups.length - tailGroups.length;
+    const words = [...headGroups, ...new Array(tail !== undefined ? missing : 0).fill('0'), ...tailGroups]
+        .map(group => parseInt(group, 16));
+
+    const bytes = Buffer.alloc(16);
+    words.forEach((word, index) => bytes.writeUInt16BE(word, index * 2));
+    if (ipv4Tail.length > 0) bytes.set(ipv4Tail, 12);
+
+    const mapped = bytes.subarray(0, 10).every(byte => byte === 0) && bytes[10] === 0xff && bytes[11] === 0xff;
+    return mapped ? { version: 4, bytes: Buffer.from(bytes.subarray(12)) } : { version: 6, bytes };
+}
+
+/**
+ * @returns {bigint} The address as a 128-bit number, IPv4 addresses mapped into ::ffff:0:0/96.
+ */
+function addressToBigInt({ version, bytes }) {
+    const value = BigInt(`0x${bytes.toString('hex')}`);
+    return version === 4 ? (0xffffn << 32n) | value : value;
+}
+
+/**
+ * @class MmdbReader
+ * @description Reads a MaxMind DB file (format version 2): record sizes 24, 28 and 32, IPv4 and
+ * IPv6 trees, and every data type of the specification.
+ */
+class MmdbReader {
+    /**
+     * @param {Buffer} buffer - Contents of the .mmdb file.
+     * @throws {GeoIpDatabaseError} If the buffer is not a MaxMind DB.
+     */
+    constructor(buffer) {
+        this.buffer = buffer;
+
+        const markerAt = buffer.lastIndexOf(MMDB_METADATA_MARKER);
+        if (markerAt < 0) throw new GeoIpDatabaseError('Not a MaxMind DB file: metadata marker missing');
+        const metadataStart = markerAt + MMDB_METADATA_MARKER.length;
+        this.metadata = this.decode(metadataStart, metadataStart).value;
+
+        const { node_count: nodeCount, record_size: recordSize, ip_version: ipVersion } = this.metadata;
+        if (this.metadata.binary_format_major_version !== 2) {
+            throw new GeoIpDatabaseError(`Unsupported MaxMind DB format version ${this.metadata.binary_format_major_version}`);
+        }
+        if (![24, 28, 32].includes(recordSize)) {
+            throw new GeoIpDatabaseError(`Unsupported MaxMind DB record size ${recordSize}`);
+        }
+
+        this.nodeCount = nodeCount;
+        this.recordSize = recordSize;
+        this.ipVersion = ipVersion;
+        this.nodeBytes = recordSize / 4;
+        this.dataStart = nodeCount * this.nodeBytes + MMDB_DATA_SEPARATOR_BYTES;
+        if (this.dataStart > markerAt) throw new GeoIpDatabaseError('MaxMind DB search tree is larger than the file');
+
+        // IPv4 addresses live at ::a.b.c.d in an IPv6 tree
+        this.ipv4Start = 0;
+        for (let bit = 0; ipVersion === 6 && bit < 96 && this.ipv4Start < nodeCount; bit++) {
+            this.ipv4Start = this.readRecord(this.ipv4Start, 0);
+        }
+    }
+
+    /**
+     * @description Looks an address up in the search tree.
+     * @param {object} address - As returned by parseIpAddress().
+     * @returns {object|null} `{ record }`, or null when the address is not in the database.
+     */
+    lookup({ version, bytes }) {
+        if (version === 6 && this.ipVersion === 4) return null;
+
+        let node = version === 4 ? this.ipv4Start : 0;
+        const bitCount = bytes.length * 8;
+        for (let bit = 0; bit < bitCount && node < this.nodeCount; bit++) {
+            const direction = (bytes[bit >> 3] >> (7 - (bit % 8))) & 1;
+            node = this.readRecord(node, direction);
+        }
+
+        if (node === this.nodeCount) return null;
+        if (node < this.nodeCount) throw new GeoIpDatabaseError('MaxMind DB search tree is deeper than the address');
+
+        const offset = this.dataStart + (node - this.nodeCount - MMDB_DATA_SEPARATOR_BYTES);
+        return { record: this.decode(offset, this.dataStart).value };
+    }
+
+    /**
+     * @returns {number} The left (0) or right (1) record of a search tree node.
+     */
+    readRecord(node, direction) {
+        const base = node * this.nodeBytes;
+        const buffer = this.buffer;
+        switch (this.recordSize) {
+            case 24:
+                return buffer.readUIntBE(base + direction * 3, 3);
+            case 28: {
+                // The middle byte holds the top 4 bits of both records
+                const middle = buffer[base + 3];
+                const high = direction === 0 ? middle >> 4 : middle & 0x0f;
+                return high * 0x1000000 + buffer.readUIntBE(base + (direction === 0 ? 0 : 4), 3);
+            }
+            default:
+                return buffer.readUInt32BE(base + direction * 4);
+        }
+    }
+
+    /**
+     * @description Decodes the data field at `offset`. Pointers are relative to `sectionStart`.
+     * @returns {object} `{ value, next }`, next being the offset after the field.
+     */
+    decode(offset, sectionStart) {
+        const buffer = this.buffer;
+        const control = buffer[offset++];
+        let type = control >> 5;
+
+        if (type === 1) {
+            const sizeBits = (control >> 3) & 0x03;
+            const high = control & 0x07;
+            let pointer;
+            switch (sizeBits) {
+                case 0: pointer = high * 0x100 + buffer[offset]; break;
+                case 1: pointer = high * 0x10000 + buffer.readUInt16BE(offset) + 2048; break;
+                case 2: pointer = high * 0x1000000 + buffer.readUIntBE(offset, 3) + 526336; break;
+                default: pointer = buffer.readUInt32BE(offset);
+            }
+            return { value: this.decode(sectionStart + pointer, sectionStart).value, next: offset + sizeBits + 1 };
+        }
+
+        if (type === 0) type = 7 + buffer[offset++];
+        let size = control & 0x1f;
+        if (size === 29) {
+            size = 29 + buffer[offset++];
+        } else if (size === 30) {
+            size = 285 + buffer.readUInt16BE(offset);
+            offset += 2;
+        } else if (size === 31) {
+            size = 65821 + buffer.readUIntBE(offset, 3);
+            offset += 3;
+        }
+
+        switch (type) {
+            case 2:
+                return { value: buffer.toString('utf8', offset, offset + size), next: offset + size };
+            case 3:
+                return { value: buffer.readDoubleBE(offset), next: offset + 8 };
+            case 4:
+                return { value: Buffer.from(buffer.subarray(offset, offset + size)), next: offset + size };
+            case 5:
+            case 6:
+                return { value: size > 0 ? buffer.readUIntBE(offset, size) : 0, next: offset + size };
+            case 7: {
+                const map = {};
+                let next = offset;
+                for (let i = 0; i < size; i++) {
+                    const key = this.decode(next, sectionStart);
+                    const entry = this.decode(key.next, sectionStart);
+                    map[key.value] = entry.value;
+                    next = entry.next;
+                }
+                return { value: map, next };
+            }
+            case 8: {
+                // Stored without its leading zero bytes
+                const value = size > 0 ? buffer.readUIntBE(offset, size) : 0;
+                return { value: size === 4 ? value | 0 : value, next: offset + size };
+            }
+            case 9:
+            case 10: {
+                const value = size > 0 ? BigInt(`0x${buffer.toString('hex', offset, offset + size)}`) : 0n;
+                return { value: value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value, next: offset + size };
+            }
+            case 11: {
+                const array = [];
+                let next = offset;
+                for (let i = 0; i < size; i++) {
+                    const entry = this.decode(next, sectionStart);
+                    array.push(entry.value);
+                    next = entry.next;
+                }
+                return { value: array, next };
+            }
+            case 14:
+                return { value: size !== 0, next: offset };
+            case 15:
+                return { value: buffer.readFloatBE(offset), next: offset + 4 };
+            default:
+                throw new GeoIpDatabaseError(`Unknown MaxMind DB data type ${type} at offset ${offset - 1}`);
+        }
+    }
+}
+
+/**
+ * @description Splits one CSV line, honouring double-quoted fields.
+ * @returns {string[]} The fields.
+ */
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+/**
+ * @class CsvIpRangeTable
+ * @description IP ranges read from a CSV file, sorted for binary search. Ranges must not overlap.
+ */
+class CsvIpRangeTable {
+    /**
+     * @param {string} text - Contents of the CSV file.
+     * @throws {GeoIpDatabaseError} If a line cannot be read.
+     */
+    constructor(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+        if (lines.length === 0) throw new GeoIpDatabaseError('CSV database is empty');
+
+        const header = splitCsvLine(lines[0]).map(name => name.trim());
+        const column = name => header.indexOf(name);
+        const networkColumn = column('network');
+        const [startColumn, endColumn] = [column('start_ip'), column('end_ip')];
+        if (networkColumn < 0 && (startColumn < 0 || endColumn < 0)) {
+            throw new GeoIpDatabaseError('CSV database needs a network column or start_ip and end_ip columns');
+        }
+
+        this.ranges = lines.slice(1).map((line, index) => {
+            const fields = splitCsvLine(line);
+            const lineNumber = index + 2;
+            const bounds = networkColumn >= 0
+                ? parseNetwork(fields[networkColumn], lineNumber)
+                : [parseRangeBound(fields[startColumn], lineNumber), parseRangeBound(fields[endColumn], lineNumber)];
+
+            const record = {};
+            Object.entries(CSV_COLUMNS).forEach(([field, name]) => {
+                const value = column(name) >= 0 ? (fields[column(name)] || '').trim() : '';
+                record[field] = value === '' ? null : value;
+            });
+            return { start: bounds[0], end: bounds[1], record };
+        }).sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+    }
+
+    /**
+     * @param {object} address - As returned by parseIpAddress().
+     * @returns {object|null} `{ record }` of the range holding the address, or null.
+     */
+    lookup(address) {
+        const value = addressToBigInt(address);
+        let low = 0;
+        let high = this.ranges.length - 1;
+        let candidate = null;
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (this.ranges[middle].start <= value) {
+                candidate = this.ranges[middle];
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return candidate && value <= candidate.end ? { record: candidate.record } : null;
+    }
+}
+
+function parseRangeBound(text, lineNumber) {
+    const address = parseIpAddress(text || '');
+    if (!address) throw new GeoIpDatabaseError(`CSV database line ${lineNumber}: "${text}" is not an IP address`);
+    return addressToBigInt(address);
+}
+
+function parseNetwork(text, lineNumber) {
+    const [ip, prefix] = String(text || '').split('/');
+    const address = parseIpAddress(ip);
+    const prefixLength = Number(prefix);
+    const maxPrefix = address ? address.bytes.length * 8 : 0;
+    if (!address || !Number.isInteger(prefixLength) || prefixLength < 0 || prefixLength > maxPrefix) {
+        throw new GeoIpDatabaseError(`CSV database line ${lineNumber}: "${text}" is not a CIDR network`);
+    }
+    const hostBits = BigInt(maxPrefix - prefixLength);
+    const start = (addressToBigInt(address) >> hostBits) << hostBits;
+    return [start, start + (1n << hostBits) - 1n];
+}
+
+/**
+ * @description Flattens a GeoIP2 / GeoLite2 City record into the fields of CSV_COLUMNS.
+ */
+function flattenMmdbRecord(record) {
+    const name = entry => (entry && entry.names ? entry.names.en || Object.values(entry.names)[0] : null) || null;
+    const country = record.country || record.registered_country || {};
+    const region = (record.subdivisions || [])[0] || {};
+    const location = record.location || {};
+    return {
+        country: country.iso_code || null,
+        countryName: name(country),
+        region: region.iso_code || null,
+        regionName: name(region),
+        city: name(record.city),
+        latitude: location.latitude,
+        longitude: location.longitude,
+        accuracyRadiusKm: location.accuracy_radius,
+        timeZone: location.time_zone || null
+    };
+}
+
+/**
+ * @class GeoIpDatabase
+ * @description Resolves IP addresses to a country, region and approximate coordinates.
+ */
+class GeoIpDatabase {
+    /**
+     * @param {object} table - An MmdbReader or CsvIpRangeTable.
+     * @param {string} format - 'mmdb' or 'csv'.
+     */
+    constructor(table, format) {
+        this.table = table;
+        this.format = format;
+    }
+
+    /**
+     * @description Reads a database file; the format is chosen by its extension.
+     * @param {string} file - Path to a .mmdb or .csv file.
+     * @returns {GeoIpDatabase} The database.
+     * @throws {GeoIpDatabaseError} If the file cannot be read or parsed.
+     */
+    static open(file) {
+        const extension = path.extname(file).toLowerCase();
+        if (extension !== '.mmdb' && extension !== '.csv') {
+            throw new GeoIpDatabaseError(`Unsupported GeoIP database ${file}: expected a .mmdb or .csv file`);
+        }
+
+        let contents;
+        try {
+            contents = fs.readFileSync(file);
+        } catch (e) {
+            throw new GeoIpDatabaseError(`Could not read GeoIP database ${file}: ${e.message}`);
+        }
+        return extension === '.mmdb' ? GeoIpDatabase.fromMmdb(contents) : GeoIpDatabase.fromCsv(contents.toString('utf8'));
+    }
+
+    /**
+     * @param {Buffer} buffer - Contents of a MaxMind DB file.
+     * @returns {GeoIpDatabase} The database.
+     */
+    static fromMmdb(buffer) {
+        return new GeoIpDatabase(new MmdbReader(buffer), 'mmdb');
+    }
+
+    /**
+     * @param {string} text - Contents of a CSV IP range file.
+     * @returns {GeoIpDatabase} The database.
+     */
+    static fromCsv(text) {
+        return new GeoIpDatabase(new CsvIpRangeTable(text), 'csv');
+    }
+
+    /**
+     * @description Resolves an address.
+     * @param {string} ip - IPv4 or IPv6 address.
+     * @returns {object|null} `{ ip, country, countryName, region, regionName, city, latitude,
+     * longitude, accuracyRadiusKm, timeZone }`, with null for the fields the database does not
+     * know; null when the address is invalid or not in the database.
+     */
+    lookup(ip) {
+        const address = parseIpAddress(ip);
+        const match = address && this.table.lookup(address);
+        if (!match) return null;
+
+        const fields = this.format === 'mmdb' ? flattenMmdbRecord(match.record) : match.record;
+        const number = value => (value === null || value === undefined || value === '' || !Number.isFinite(Number(value)) ? null : Number(value));
+        return {
+            ip,
+            country: fields.country,
+            countryName: fields.countryName,
+            region: fields.region,
+            regionName: fields.regionName,
+            city: fields.city,
+            latitude: number(fields.latitude),
+            longitude: number(fields.longitude),
+            accuracyRadiusKm: number(fields.accuracyRadiusKm),
+            timeZone: fields.timeZone
+        };
+    }
+}
+
+module.exports = { GeoIpDatabase, GeoIpDatabaseError, MmdbReader, CsvIpRangeTable, parseIpAddress, CSV_COLUMNS };
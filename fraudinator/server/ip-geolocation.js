@@ -0,0 +1,170 @@
+// Server-side IP geolocation check. The address a report was submitted from is resolved in a local
+// GeoIP database (see geoip-database.js) and compared with what the client reported:
+//   - the country of the reported coordinates (report.location.country);
+//   - the distance to the reported coordinates, beyond the database's accuracy radius;
+//   - the UTC offset of the browser timezone (report.environment.timezone).
+// Spoofed coordinates usually come with the user's real connection, and a VPN moves the address
+// but not the coordinates, so either shows up here. The findings are indicators of the
+// 'ipGeolocation' category; merge() adds them to the report and recomputes the overall score.
+
+const fs = require('fs');
+const path = require('path');
+const { loadBrowserModules } = require('./browser-modules');
+const { collectReportCategories } = require('./report-verifier');
+
+// Allowed distance on top of the database's accuracy radius: city-level entries are placed at the
+// city centre, and mobile carriers route through gateways in the next city
+const DISTANCE_TOLERANCE_KM = 100;
+
+/**
+ * @class IpGeolocationCheck
+ * @description Compares the location in a report with the location of the IP address it came from.
+ */
+class IpGeolocationCheck {
+    /**
+     * @param {object} options
+     * @param {GeoIpDatabase} options.database - Database the addresses are resolved in.
+     * @param {object} [options.policy] - Scoring policy definition. Defaults to scoring-policy.json.
+     * @param {number} [options.distanceToleranceKm] - Allowed distance beyond the accuracy radius.
+     * @param {function} [options.now] - Clock, in epoch milliseconds; the UTC offsets are compared at this time.
+     */
+    constructor({ database, policy, distanceToleranceKm = DISTANCE_TOLERANCE_KM, now = Date.now }) {
+        this.modules = loadBrowserModules(['scoring-policy.js', 'indicators.js']);
+        const definition = policy ||
+            JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'scoring-policy.json'), 'utf8'));
+        this.policy = this.modules.ScoringPolicy.setActive(definition);
+        this.database = database;
+        this.distanceToleranceKm = distanceToleranceKm;
+        this.now = now;
+    }
+
+    /**
+     * @description Resolves the address and compares it with the report.
+     * @param {string} ip - Address the report was submitted from.
+     * @param {object} report - The analysis report.
+     * @returns {object} `{ ip, resolved, distanceKm, score, indicators }`. resolved is the database
+     * record, null when the address is not in it (private networks, for example); distanceKm is
+     * null when either side has no coordinates.
+     */
+    check(ip, report) {
+        const { Codes, create, sumWeights } = this.modules.FraudIndicators;
+        const resolved = this.database.lookup(ip);
+        const indicators = [];
+        let distanceKm = null;
+
+        if (resolved) {
+            const location = report.location || {};
+            const where = [resolved.city, resolved.regionName, resolved.countryName].filter(Boolean).join(', ');
+
+            if (Number.isFinite(resolved.latitude) && Number.isFinite(resolved.longitude) &&
+                Number.isFinite(location.latitude) && Number.isFinite(location.longitude)) {
+                distanceKm = Math.round(calculateDistanceKm(resolved, location));
+            }
+
+            if (resolved.country && location.country && resolved.country !== location.country) {
+                indicators.push(create({
+                    code: Codes.IP_COUNTRY_MISMATCH,
+                    source: 'ipGeolocation',
+                    evidence: { ip, ipCountry: resolved.country, locationCountry: location.country, distanceKm },
+                    message: `IP address is in ${resolved.countryName || resolved.country} but the location is in ` +
+                        `${location.countryName || location.country}`
+                }));
+            } else if (distanceKm !== null) {
+                // A different country already explains the distance
+                const allowedKm = (resolved.accuracyRadiusKm || 0) + this.distanceToleranceKm;
+                if (distanceKm > allowedKm) {
+                    indicators.push(create({
+                        code: Codes.IP_DISTANCE_MISMATCH,
+                        source: 'ipGeolocation',
+                        evidence: {
+                            ip,
+                            distanceKm,
+                            accuracyRadiusKm: resolved.accuracyRadiusKm,
+                            allowedKm,
+                            ipLatitude: resolved.latitude,
+                            ipLongitude: resolved.longitude
+                        },
+                        message: `IP address is located ${distanceKm} km from the reported location (${where})`
+                    }));
+                }
+            }
+
+            const browserTimeZone = (report.environment || {}).timezone;
+            const at = new Date(this.now());
+            const ipOffset = resolved.timeZone ? formatUtcOffset(resolved.timeZone, at) : null;
+            const browserOffset = browserTimeZone ? formatUtcOffset(browserTimeZone, at) : null;
+            if (ipOffset && browserOffset && ipOffset !== browserOffset) {
+                indicators.push(create({
+                    code: Codes.IP_TIMEZONE_MISMATCH,
+                    source: 'ipGeolocation',
+                    evidence: { ip, ipTimeZone: resolved.timeZone, ipOffset, browserTimeZone, browserOffset },
+                    message: `IP address is in ${resolved.timeZone} (${ipOffset}) but the browser uses ` +
+                        `${browserTimeZone} (${browserOffset})`
+                }));
+            }
+        }
+
+        return { ip, resolved, distanceKm, score: sumWeights(indicators), indicators };
+    }
+
+    /**
+     * @description Adds the result of check() to a report as `report.ipGeolocation` and recomputes
+     * `report.overall` with the 'ipGeolocation' category included. The report is not changed.
+     * @param {object} report - The analysis report, as verified.
+     * @param {object} result - The result of check() for the report.
+     * @returns {object} The merged report.
+     */
+    merge(report, result) {
+        const categories = collectReportCategories(report);
+        categories.ipGeolocation = { score: result.score, indicators: result.indicators };
+
+        const aggregation = this.policy.aggregate(categories);
+        const categoryScores = {};
+        Object.entries(aggregation.contributions).forEach(([category, contribution]) => {
+            categoryScores[category] = contribution.normalized;
+        });
+        const allIndicators = Object.values(categories).flatMap(category => category.indicators);
+
+        return {
+            ...report,
+            ipGeolocation: result,
+            overall: {
+                ...report.overall,
+                suspicionScore: aggregation.total,
+                riskLevel: this.policy.riskLevel(aggregation.total),
+                aggregation: aggregation.method,
+                categoryScores,
+                contributions: aggregation.contributions,
+                allIndicators,
+                criticalIndicators: allIndicators.filter(indicator => this.policy.isCritical(indicator.code))
+                    .map(indicator => indicator.code)
+            }
+        };
+    }
+}
+
+/**
+ * @returns {string|null} The UTC offset of a timezone at a given time, e.g. 'UTC+07:00', or null
+ * for names the runtime does not know.
+ */
+function formatUtcOffset(timeZone, date) {
+    try {
+        const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+            .formatToParts(date).find(part => part.type === 'timeZoneName').value;
+        return name === 'GMT' ? 'UTC+00:00' : name.replace('GMT', 'UTC');
+    } catch (e) {
+        return null;
+    }
+}
+
+// Great-circle distance (Haversine formula)
+function calculateDistanceKm(a, b) {
+    const toRad = degrees => degrees * (Math.PI / 180);
+    const dLat = toRad(b.latitude - a.latitude);
+    const dLon = toRad(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return 6371 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+module.exports = { IpGeolocationCheck, DISTANCE_TOLERANCE_KM };
@@ -0,0 +1,175 @@
+// IP geolocation cross-check: the address a report came from is resolved in a local GeoIP database
+// (the fixture has the same networks as CSV and as MaxMind DB) and compared with the reported
+// location and timezone. The recorded report was made in Ho Chi Minh City, browser timezone
+// Asia/Saigon.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { GeoIpDatabase, GeoIpDatabaseError } = require('./geoip-database');
+const { IpGeolocationCheck } = require('./ip-geolocation');
+const { createTestServer } = require('./test-server');
+const { ReportVerifier } = require('./report-verifier');
+const { loadBrowserModules } = require('./browser-modules');
+const fixture = require('./fixtures/analysis-report.json');
+
+const { ReportSigner } = loadBrowserModules(['report-signer.js']);
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const mmdb = GeoIpDatabase.open(path.join(FIXTURES, 'geoip.mmdb'));
+const csv = GeoIpDatabase.open(path.join(FIXTURES, 'geoip.csv'));
+
+// Fixture networks
+const HO_CHI_MINH_CITY = '203.0.113.9';
+const HANOI = '192.0.2.200';
+const BERLIN = '198.51.100.7';
+const VIETNAM_COUNTRY_ONLY = '198.19.0.1';
+const TOKYO_IPV6 = '2001:db8:1::1';
+
+const codes = result => result.indicators.map(indicator => indicator.code);
+
+test('reads the same records from the MaxMind DB and the CSV database', () => {
+    assert.strictEqual(mmdb.format, 'mmdb');
+    assert.strictEqual(mmdb.table.metadata.record_size, 28);
+
+    [HO_CHI_MINH_CITY, HANOI, BERLIN, VIETNAM_COUNTRY_ONLY, TOKYO_IPV6, '192.0.2.0', '192.0.2.127',
+        `::ffff:${HO_CHI_MINH_CITY}`, '2001:db8:ffff:ffff:ffff:ffff:ffff:ffff', '10.0.0.1', '2001:db9::1', 'not-an-ip']
+        .forEach(ip => assert.deepStrictEqual(mmdb.lookup(ip), csv.lookup(ip), ip));
+
+    assert.deepStrictEqual(mmdb.lookup(`::ffff:${BERLIN}`), {
+        ip: `::ffff:${BERLIN}`,
+        country: 'DE',
+        countryName: 'Germany',
+        region: 'BE',
+        regionName: 'Land Berlin',
+        city: 'Berlin',
+        latitude: 52.52,
+        longitude: 13.405,
+        accuracyRadiusKm: 50,
+        timeZone: 'Europe/Berlin'
+    });
+    assert.strictEqual(mmdb.lookup('192.0.2.127').city, 'San Francisco');
+    assert.strictEqual(mmdb.lookup('192.0.2.128').city, 'Hanoi');
+    assert.strictEqual(mmdb.lookup('10.0.0.1'), null);
+});
+
+test('reads CSV databases with start and end addresses, and rejects malformed ones', () => {
+    const database = GeoIpDatabase.fromCsv([
+        'start_ip,end_ip,country_iso_code,country_name,city_name,latitude,longitude,accuracy_radius,time_zone',
+        '203.0.113.10,203.0.113.20,VN,Vietnam,"Thu Duc, Ho Chi Minh City",10.85,106.77,5,Asia/Ho_Chi_Minh',
+        '2001:db8::,2001:db8::ff,JP,Japan,Osaka,34.69,135.50,20,Asia/Tokyo'
+    ].join('\n'));
+
+    assert.strictEqual(database.lookup('203.0.113.15').city, 'Thu Duc, Ho Chi Minh City');
+    assert.strictEqual(database.lookup('203.0.113.15').region, null);
+    assert.strictEqual(database.lookup('203.0.113.21'), null);
+    assert.strictEqual(database.lookup('2001:db8::ab').city, 'Osaka');
+    assert.strictEqual(database.lookup('2001:db8::100'), null);
+
+    assert.throws(() => GeoIpDatabase.fromCsv('country_iso_code\nVN'), { name: 'GeoIpDatabaseError', message: /network column/ });
+    assert.throws(() => GeoIpDatabase.fromCsv('network,country_iso_code\n203.0.113.0/33,VN'),
+        { message: 'CSV database line 2: "203.0.113.0/33" is not a CIDR network' });
+    assert.throws(() => GeoIpDatabase.fromMmdb(Buffer.from('not a database')), GeoIpDatabaseError);
+    assert.throws(() => GeoIpDatabase.open(path.join(FIXTURES, 'analysis-report.json')), { message: /expected a \.mmdb or \.csv file/ });
+});
+
+test('finds nothing wrong with an address in the reported city', () => {
+    const check = new IpGeolocationCheck({ database: mmdb });
+    const result = check.check(HO_CHI_MINH_CITY, fixture.report);
+
+    assert.deepStrictEqual(codes(result), []);
+    assert.strictEqual(result.resolved.city, 'Ho Chi Minh City');
+    assert.strictEqual(result.distanceKm, 9);
+    assert.strictEqual(result.score, 0);
+
+    // Private and unknown addresses are not held against the client
+    const unknown = check.check('10.0.0.1', fixture.report);
+    assert.deepStrictEqual([unknown.resolved, unknown.distanceKm, codes(unknown)], [null, null, []]);
+    // Nor are database entries without coordinates
+    const countryOnly = check.check(VIETNAM_COUNTRY_ONLY, fixture.report);
+    assert.deepStrictEqual([countryOnly.distanceKm, codes(countryOnly)], [null, []]);
+});
+
+test('flags an address in another country and timezone', () => {
+    const result = new IpGeolocationCheck({ database: csv, now: () => Date.parse('2026-01-15T12:00:00Z') })
+        .check(BERLIN, fixture.report);
+
+    assert.deepStrictEqual(codes(result), ['IP_COUNTRY_MISMATCH', 'IP_TIMEZONE_MISMATCH']);
+    const [country, timezone] = result.indicators;
+    assert.strictEqual(country.message, 'IP address is in Germany but the location is in Vietnam');
+    assert.deepStrictEqual({ ...country.evidence }, { ip: BERLIN, ipCountry: 'DE', locationCountry: 'VN', distanceKm: 9280 });
+    assert.strictEqual(timezone.message, 'IP address is in Europe/Berlin (UTC+01:00) but the browser uses Asia/Saigon (UTC+07:00)');
+    assert.strictEqual(result.score, 60);
+});
+
+test('flags an address in the same country beyond the accuracy radius', () => {
+    const check = new IpGeolocationCheck({ database: mmdb });
+    const result = check.check(HANOI, fixture.report);
+
+    // Asia/Bangkok and Asia/Saigon are both UTC+7
+    assert.deepStrictEqual(codes(result), ['IP_DISTANCE_MISMATCH']);
+    const { evidence, message, weight } = result.indicators[0];
+    assert.deepStrictEqual([evidence.distanceKm, evidence.accuracyRadiusKm, evidence.allowedKm], [1144, 50, 150]);
+    assert.strictEqual(message, 'IP address is located 1144 km from the reported location (Hanoi, Hanoi, Vietnam)');
+    assert.strictEqual(weight, 25);
+
+    const lenient = new IpGeolocationCheck({ database: mmdb, distanceToleranceKm: 1100 });
+    assert.deepStrictEqual(codes(lenient.check(HANOI, fixture.report)), []);
+});
+
+test('merges the result into the report and rescores it with the policy', () => {
+    const check = new IpGeolocationCheck({ database: mmdb, now: () => Date.parse('2026-01-15T12:00:00Z') });
+    const merged = check.merge(fixture.report, check.check(BERLIN, fixture.report));
+
+    assert.strictEqual(merged.location, fixture.report.location);
+    assert.deepStrictEqual(codes(merged.ipGeolocation), ['IP_COUNTRY_MISMATCH', 'IP_TIMEZONE_MISMATCH']);
+    // The recorded report scored 68; the 36 points added are scaled down with the total, capped at 100
+    assert.deepStrictEqual({ ...merged.overall.contributions.ipGeolocation },
+        { score: 60, cap: 100, normalized: 60, weight: 0.6, critical: false, contribution: 34.8 });
+    assert.strictEqual(merged.overall.suspicionScore, 100);
+    assert.strictEqual(merged.overall.riskLevel, 'CRITICAL');
+    assert.strictEqual(merged.overall.categoryScores.ipGeolocation, 60);
+    assert.strictEqual(merged.overall.allIndicators.length, fixture.report.overall.allIndicators.length + 2);
+    assert.strictEqual(merged.overall.policy, fixture.report.overall.policy);
+    assert.strictEqual(fixture.report.ipGeolocation, undefined);
+
+    // Without findings the score stays as the client computed it
+    const clean = check.merge(fixture.report, check.check(HO_CHI_MINH_CITY, fixture.report));
+    assert.strictEqual(clean.overall.suspicionScore, fixture.report.overall.suspicionScore);
+});
+
+test('returns the cross-checked report for a verified submission', async () => {
+    const verifier = new ReportVerifier();
+    const server = createTestServer({ verifier, ipGeolocation: new IpGeolocationCheck({ database: mmdb }), trustProxy: true });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const submit = async (challenge, forwardedFor) => {
+            const shift = challenge.issuedAt + 5 - fixture.startedAt;
+            const payload = await new ReportSigner(challenge).sign({
+                report: fixture.report,
+                timings: fixture.timings.map(timing => ({ ...timing, startedAt: Math.round((timing.startedAt + shift) * 10) / 10 })),
+                startedAt: fixture.startedAt + shift,
+                completedAt: fixture.completedAt + shift
+            });
+            const response = await fetch(`http://127.0.0.1:${server.address().port}/api/report`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...(forwardedFor ? { 'X-Forwarded-For': forwardedFor } : {}) },
+                body: JSON.stringify(payload)
+            });
+            return { status: response.status, ...(await response.json()) };
+        };
+
+        const fromHanoi = await submit(verifier.issueChallenge(), `${HANOI}, 10.0.0.2`);
+        assert.strictEqual(fromHanoi.status, 200);
+        assert.strictEqual(fromHanoi.report.ipGeolocation.ip, HANOI);
+        assert.deepStrictEqual(codes(fromHanoi.report.ipGeolocation), ['IP_DISTANCE_MISMATCH']);
+        assert.ok(fromHanoi.report.overall.suspicionScore > fixture.report.overall.suspicionScore);
+
+        // Without the header the socket address is used; loopback is in no database
+        const local = await submit(verifier.issueChallenge());
+        assert.strictEqual(local.report.ipGeolocation.resolved, null);
+    } finally {
+        server.close();
+        server.closeAllConnections();
+    }
+});
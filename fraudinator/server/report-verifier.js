@@ -0,0 +1,334 @@
+// Server-side half of the signed report protocol (the client half is report-signer.js).
+//
+// The verifier issues single-use challenges and checks each submitted payload in this order:
+//   1. the nonce was issued here, has not been used and has not expired;
+//   2. the HMAC signature, the report digest and the timing hash chain match;
+//   3. the timestamps and the analysis steps are in order;
+//   4. the report agrees with the scoring policy: indicator weights, category scores, total and
+//      risk level.
+// Checks 1 and 2 stop at the first failure; the others report every problem found. Every failure
+// carries a stable code from VerificationCodes.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { loadBrowserModules } = require('./browser-modules');
+
+const VerificationCodes = Object.freeze({
+    MALFORMED: 'MALFORMED',
+    UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+    UNKNOWN_NONCE: 'UNKNOWN_NONCE',
+    REPLAYED_NONCE: 'REPLAYED_NONCE',
+    EXPIRED: 'EXPIRED',
+    BAD_SIGNATURE: 'BAD_SIGNATURE',
+    DIGEST_MISMATCH: 'DIGEST_MISMATCH',
+    CHAIN_MISMATCH: 'CHAIN_MISMATCH',
+    OUT_OF_ORDER: 'OUT_OF_ORDER',
+    POLICY_MISMATCH: 'POLICY_MISMATCH',
+    INCONSISTENT_REPORT: 'INCONSISTENT_REPORT'
+});
+
+// Report sections that hold the indicators of the fixed categories. Registered detectors add their
+// own categories, except those registered with `mergedInto` one of these sections.
+const SECTION_CATEGORIES = Object.freeze({
+    location: 'location',
+    environment: 'remoteDesktop',
+    devTools: 'devTools',
+    console: 'console',
+    extensions: 'extensions'
+});
+
+// Timings are rounded to 0.1 ms on the client
+const TIMING_TOLERANCE_MS = 1;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Indicators as createIndicator() builds them; a section without indicators found none
+const isIndicatorList = indicators => indicators === undefined || (Array.isArray(indicators) &&
+    indicators.every(indicator => isObject(indicator) && typeof indicator.code === 'string' && Number.isFinite(indicator.weight)));
+
+/**
+ * @description Regroups the indicators of a report by scoring category, as the client did before
+ * aggregating them.
+ * @param {object} report - An analysis report.
+ * @returns {object} `{ score, indicators }` keyed by category.
+ */
+function collectReportCategories(report) {
+    const categories = {};
+    const addIndicators = (category, indicators) => {
+        if (!categories[category]) categories[category] = { score: 0, indicators: [] };
+        (Array.isArray(indicators) ? indicators : []).forEach(indicator => {
+            categories[category].score += indicator.weight;
+            categories[category].indicators.push(indicator);
+        });
+    };
+    Object.entries(SECTION_CATEGORIES).forEach(([section, category]) => {
+        addIndicators(category, (report[section] || {}).indicators);
+    });
+    Object.values(report.detectors || {})
+        .filter(result => result.includeInTotal && !Object.hasOwn(SECTION_CATEGORIES, result.mergedInto))
+        .forEach(result => addIndicators(result.category, result.indicators));
+    return categories;
+}
+
+/**
+ * @class ReportVerifier
+ * @description Issues challenges and verifies the signed analysis reports submitted for them.
+ */
+class ReportVerifier {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.policy] - Scoring policy definition. Defaults to scoring-policy.json.
+     * @param {object} [options.signatures] - Location signature catalog definition, for the weights
+     * of the signature codes the policy does not define. Defaults to location-signatures.json.
+     * @param {number} [options.challengeTtlMs] - How long a challenge can be answered.
+     * @param {number} [options.clockSkewMs] - Allowed difference between client and server clocks.
+     * @param {function} [options.now] - Clock, in epoch milliseconds.
+     */
+    constructor({ policy, signatures, challengeTtlMs = 5 * 60 * 1000, clockSkewMs = 30 * 1000, now = Date.now } = {}) {
+        this.modules = loadBrowserModules(['scoring-policy.js', 'location-signatures.js', 'report-signer.js']);
+        const definition = policy ||
+            JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'scoring-policy.json'), 'utf8'));
+        this.policy = new this.modules.ScoringPolicy(definition);
+        const catalog = signatures ||
+            JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'location-signatures.json'), 'utf8'));
+        this.signatures = new this.modules.LocationSignatureCatalog(catalog);
+        this.challengeTtlMs = challengeTtlMs;
+        this.clockSkewMs = clockSkewMs;
+        this.now = now;
+        this.challenges = new Map();
+    }
+
+    /**
+     * @description Issues a single-use challenge. The whole object is sent to the client.
+     * @returns {object} `{ nonce, key, issuedAt, expiresAt }`.
+     */
+    issueChallenge() {
+        this.#forgetExpired();
+
+        const issuedAt = this.now();
+        const challenge = {
+            nonce: crypto.randomBytes(24).toString('base64url'),
+            key: crypto.randomBytes(32).toString('base64url'),
+            issuedAt,
+            expiresAt: issuedAt + this.challengeTtlMs
+        };
+        this.challenges.set(challenge.nonce, { ...challenge, used: false });
+        return challenge;
+    }
+
+    /**
+     * @description Verifies a signed payload. The nonce is used up even when verification fails.
+     * @param {object} payload - The payload produced by ReportSigner.
+     * @returns {Promise<object>} `{ valid, errors: [{ code, message }] }`.
+     */
+    async verify(payload) {
+        const errors = [];
+        const fail = (code, message) => {
+            errors.push({ code, message });
+            return { valid: false, errors };
+        };
+
+        const malformed = this.#checkShape(payload);
+        if (malformed) return fail(VerificationCodes.MALFORMED, malformed);
+        if (payload.version !== this.modules.SIGNED_REPORT_VERSION) {
+            return fail(VerificationCodes.UNSUPPORTED_VERSION, `Unsupported payload version ${payload.version}`);
+        }
+
+        const challenge = this.challenges.get(payload.nonce);
+        if (!challenge) return fail(VerificationCodes.UNKNOWN_NONCE, 'Nonce was not issued by this server');
+        if (challenge.used) return fail(VerificationCodes.REPLAYED_NONCE, 'Nonce has already been used');
+        challenge.used = true;
+
+        const receivedAt = this.now();
+        if (receivedAt > challenge.expiresAt) {
+            return fail(VerificationCodes.EXPIRED, `Challenge expired ${receivedAt - challenge.expiresAt}ms ago`);
+        }
+
+        const { ReportSigning } = this.modules;
+        const expectedSignature = crypto.createHmac('sha256', Buffer.from(challenge.key, 'base64url'))
+            .update(ReportSigning.signedContent(payload)).digest();
+        const signature = Buffer.from(payload.signature, 'hex');
+        if (signature.length !== expectedSignature.length || !crypto.timingSafeEqual(signature, expectedSignature)) {
+            return fail(VerificationCodes.BAD_SIGNATURE, 'Signature does not match the challenge key');
+        }
+
+        if (await ReportSigning.sha256Hex(ReportSigning.canonicalJson(payload.report)) !== payload.reportDigest) {
+            return fail(VerificationCodes.DIGEST_MISMATCH, 'Report does not match its signed digest');
+        }
+        if (await ReportSigning.hashTimingChain(payload.nonce, payload.timings) !== payload.chain) {
+            return fail(VerificationCodes.CHAIN_MISMATCH, 'Step timings do not match the signed hash chain');
+        }
+
+        this.#checkOrder(payload, challenge, receivedAt)
+            .forEach(message => errors.push({ code: VerificationCodes.OUT_OF_ORDER, message }));
+
+        const policyName = `${this.policy.name}@${this.policy.version}`;
+        if (payload.report.overall.policy !== policyName) {
+            errors.push({
+                code: VerificationCodes.POLICY_MISMATCH,
+                message: `Report was scored with policy ${payload.report.overall.policy}, expected ${policyName}`
+            });
+        } else {
+            this.#checkConsistency(payload.report)
+                .forEach(message => errors.push({ code: VerificationCodes.INCONSISTENT_REPORT, message }));
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    #checkShape(payload) {
+        if (!payload || typeof payload !== 'object') return 'Payload must be an object';
+
+        const strings = ['nonce', 'chain', 'reportDigest', 'signature'];
+        const missingString = strings.find(field => typeof payload[field] !== 'string');
+        if (missingString) return `${missingString} must be a string`;
+
+        const numbers = ['version', 'issuedAt', 'startedAt', 'completedAt'];
+        const missingNumber = numbers.find(field => !Number.isFinite(payload[field]));
+        if (missingNumber) return `${missingNumber} must be a number`;
+
+        if (!Array.isArray(payload.timings) || payload.timings.some(timing => !timing ||
+            typeof timing.step !== 'string' || !Number.isFinite(timing.startedAt) || !Number.isFinite(timing.durationMs))) {
+            return 'timings must be a list of { step, startedAt, durationMs }';
+        }
+        const { report } = payload;
+        if (!isObject(report) || !isObject(report.overall)) {
+            return 'report must be an analysis report';
+        }
+        const badSection = Object.keys(SECTION_CATEGORIES).find(section => report[section] !== undefined &&
+            !(isObject(report[section]) && isIndicatorList(report[section].indicators)));
+        if (badSection) return `report.${badSection}.indicators must be a list of { code, weight }`;
+        if (report.detectors !== undefined) {
+            if (!isObject(report.detectors)) return 'report.detectors must be an object';
+            const badDetector = Object.keys(report.detectors).find(id => !isObject(report.detectors[id]) ||
+                !isIndicatorList(report.detectors[id].indicators));
+            if (badDetector) return `report.detectors.${badDetector} must be a detector result with a list of { code, weight }`;
+        }
+        return null;
+    }
+
+    /**
+     * @returns {string[]} Problems with the timestamps or the order of the analysis steps.
+     */
+    #checkOrder(payload, challenge, receivedAt) {
+        const problems = [];
+        const { startedAt, completedAt, timings } = payload;
+
+        if (payload.issuedAt !== challenge.issuedAt) {
+            problems.push('issuedAt does not match the challenge');
+        }
+        if (startedAt < challenge.issuedAt - this.clockSkewMs) {
+            problems.push('Analysis started before the challenge was issued');
+        }
+        if (completedAt < startedAt) {
+            problems.push('Analysis completed before it started');
+        }
+        if (completedAt > receivedAt + this.clockSkewMs) {
+            problems.push('Analysis completed after the report was received');
+        }
+
+        let previousEnd = startedAt - TIMING_TOLERANCE_MS;
+        timings.forEach(timing => {
+            if (timing.durationMs < 0 || timing.startedAt < previousEnd - TIMING_TOLERANCE_MS) {
+                problems.push(`Step ${timing.step} overlaps or precedes the step before it`);
+            }
+            previousEnd = timing.startedAt + timing.durationMs;
+        });
+        if (timings.length > 0 && previousEnd > completedAt + TIMING_TOLERANCE_MS) {
+            problems.push('Last step ended after the analysis completed');
+        }
+
+        const detectorSteps = Object.keys(payload.report.detectors || {}).map(id => `detector:${id}`);
+        const expectedSteps = ['environment', ...detectorSteps, 'geolocation', 'locationSpoofing', 'aggregation'];
+        const steps = timings.map(timing => timing.step);
+        if (steps.join(',') !== expectedSteps.join(',')) {
+            problems.push(`Steps ran as [${steps.join(', ')}], expected [${expectedSteps.join(', ')}]`);
+        }
+        return problems;
+    }
+
+    /**
+     * @returns {string[]} Places where the report disagrees with the scoring policy.
+     */
+    #checkConsistency(report) {
+        const problems = [];
+        const overall = report.overall;
+
+        const categories = collectReportCategories(report);
+        const indicators = Object.values(categories).flatMap(category => category.indicators);
+        indicators.forEach(indicator => {
+            const expected = this.#expectedWeight(indicator);
+            if (expected === undefined) {
+                problems.push(`${indicator.code} names no entry of signature catalog ${this.signatures.version}: ${indicator.qualifier}`);
+            } else if (expected !== null && indicator.weight !== expected) {
+                problems.push(`${indicator.code} has weight ${indicator.weight}, expected ${expected}`);
+            }
+        });
+
+        const contributions = overall.contributions || {};
+        const reported = Object.keys(contributions).sort().join(',');
+        const expected = Object.keys(categories).sort().join(',');
+        if (reported !== expected) {
+            problems.push(`Categories [${reported}] do not match the report sections [${expected}]`);
+        }
+
+        const aggregation = this.policy.aggregate(categories);
+        Object.entries(aggregation.contributions).forEach(([category, entry]) => {
+            const claimed = contributions[category];
+            if (!claimed) return;
+            ['score', 'normalized', 'critical', 'contribution'].forEach(field => {
+                if (claimed[field] !== entry[field]) {
+                    problems.push(`${category}.${field} is ${claimed[field]}, the indicators give ${entry[field]}`);
+                }
+            });
+        });
+
+        if (overall.aggregation !== aggregation.method) {
+            problems.push(`Aggregated with ${overall.aggregation}, the policy uses ${aggregation.method}`);
+        }
+        if (overall.suspicionScore !== aggregation.total) {
+            problems.push(`Suspicion score is ${overall.suspicionScore}, the indicators give ${aggregation.total}`);
+        }
+        const riskLevel = this.policy.riskLevel(aggregation.total);
+        if (overall.riskLevel !== riskLevel) {
+            problems.push(`Risk level is ${overall.riskLevel}, the score gives ${riskLevel}`);
+        }
+
+        if (!Array.isArray(overall.allIndicators) || overall.allIndicators.length !== indicators.length) {
+            problems.push('allIndicators does not list the indicators of every category');
+        }
+        const criticalCodes = indicators.filter(indicator => this.policy.isCritical(indicator.code))
+            .map(indicator => indicator.code).sort().join(',');
+        if ([...(overall.criticalIndicators || [])].sort().join(',') !== criticalCodes) {
+            problems.push('criticalIndicators does not match the critical indicators in the report');
+        }
+        return problems;
+    }
+
+    /**
+     * @returns {number|null|undefined} The weight the policy gives an indicator for its code and
+     * qualifier. Signature codes the policy leaves out weigh what the catalog entry named by the
+     * qualifier says, and are undefined when it names none. null for codes neither defines (custom
+     * detectors choose their own weights).
+     */
+    #expectedWeight({ code, qualifier }) {
+        const policyWeight = this.policy.weight(code, qualifier === null ? undefined : qualifier);
+        if (policyWeight !== undefined) return policyWeight;
+
+        const signatures = this.signatures.signatures.filter(signature => signature.code === code);
+        if (signatures.length === 0) return null;
+        const signature = signatures.find(entry => entry.id === qualifier);
+        return signature ? signature.weight : undefined;
+    }
+
+    #forgetExpired() {
+        // Keep expired challenges for one more TTL so late answers are reported as EXPIRED, not UNKNOWN_NONCE
+        const now = this.now();
+        this.challenges.forEach((challenge, nonce) => {
+            if (challenge.expiresAt + this.challengeTtlMs < now) this.challenges.delete(nonce);
+        });
+    }
+}
+
+module.exports = { ReportVerifier, VerificationCodes, collectReportCategories };
@@ -0,0 +1,222 @@
+// Runs the signed report protocol end to end against the local test server: the client half
+// (report-signer.js) signs a recorded analysis report for a live challenge, the server verifies it.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createTestServer } = require('./test-server');
+const { ReportVerifier, VerificationCodes } = require('./report-verifier');
+const { loadBrowserModules } = require('./browser-modules');
+const fixture = require('./fixtures/analysis-report.json');
+
+const { ReportSigner } = loadBrowserModules(['report-signer.js']);
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = createTestServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => {
+    server.close(resolve);
+    // fetch keeps connections alive, which would hold the server open
+    server.closeAllConnections();
+}));
+
+async function fetchChallenge() {
+    const response = await fetch(`${baseUrl}/api/challenge`);
+    assert.strictEqual(response.status, 200);
+    return response.json();
+}
+
+async function submit(payload) {
+    const response = await fetch(`${baseUrl}/api/report`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    });
+    return { status: response.status, ...(await response.json()) };
+}
+
+/**
+ * @description Signs the recorded analysis as if it had run right after the challenge was issued.
+ * `edit` may change the report and timings before signing, as a script on the page could.
+ */
+async function signFixture(challenge, edit = () => {}) {
+    const shift = challenge.issuedAt + 5 - fixture.startedAt;
+    const analysis = JSON.parse(JSON.stringify({
+        report: fixture.report,
+        timings: fixture.timings.map(timing => ({ ...timing, startedAt: Math.round((timing.startedAt + shift) * 10) / 10 })),
+        startedAt: fixture.startedAt + shift,
+        completedAt: fixture.completedAt + shift
+    }));
+    edit(analysis);
+    return new ReportSigner(challenge).sign(analysis);
+}
+
+const errorCodes = result => result.errors.map(error => error.code);
+
+test('accepts an untouched report signed for a fresh challenge', async () => {
+    const result = await submit(await signFixture(await fetchChallenge()));
+    assert.strictEqual(result.status, 200);
+    assert.deepStrictEqual(result.errors, []);
+});
+
+test('rejects a replayed report', async () => {
+    const payload = await signFixture(await fetchChallenge());
+    assert.strictEqual((await submit(payload)).status, 200);
+
+    const replay = await submit(payload);
+    assert.strictEqual(replay.status, 422);
+    assert.deepStrictEqual(errorCodes(replay), [VerificationCodes.REPLAYED_NONCE]);
+});
+
+test('rejects a nonce the server never issued', async () => {
+    const challenge = { nonce: 'made-up', key: 'AAAA', issuedAt: Date.now(), expiresAt: Date.now() + 1000 };
+    const result = await submit(await signFixture(challenge));
+    assert.deepStrictEqual(errorCodes(result), [VerificationCodes.UNKNOWN_NONCE]);
+});
+
+test('rejects a report edited after signing', async () => {
+    const payload = await signFixture(await fetchChallenge());
+    payload.report.overall.riskLevel = 'LOW';
+
+    assert.deepStrictEqual(errorCodes(await submit(payload)), [VerificationCodes.DIGEST_MISMATCH]);
+});
+
+test('rejects a payload signed with another key', async () => {
+    const challenge = await fetchChallenge();
+    const payload = await signFixture({ ...challenge, key: (await fetchChallenge()).key });
+
+    assert.deepStrictEqual(errorCodes(await submit(payload)), [VerificationCodes.BAD_SIGNATURE]);
+});
+
+test('rejects timings reordered after signing', async () => {
+    const payload = await signFixture(await fetchChallenge());
+    payload.timings.reverse();
+
+    assert.deepStrictEqual(errorCodes(await submit(payload)), [VerificationCodes.CHAIN_MISMATCH]);
+});
+
+test('rejects steps reordered before signing', async () => {
+    const payload = await signFixture(await fetchChallenge(), analysis => {
+        const [environment, ...rest] = analysis.timings;
+        const geolocation = rest.findIndex(timing => timing.step === 'geolocation');
+        const steps = [rest[geolocation], environment, ...rest.filter((timing, index) => index !== geolocation)];
+        const starts = analysis.timings.map(timing => timing.startedAt);
+        analysis.timings = steps.map((timing, index) => ({ ...timing, startedAt: starts[index] }));
+    });
+
+    const result = await submit(payload);
+    assert.strictEqual(result.status, 422);
+    assert.ok(errorCodes(result).includes(VerificationCodes.OUT_OF_ORDER));
+});
+
+test('rejects an analysis that claims to start before the challenge', async () => {
+    const payload = await signFixture(await fetchChallenge(), analysis => {
+        analysis.startedAt -= 10 * 60 * 1000;
+    });
+
+    assert.deepStrictEqual(errorCodes(await submit(payload)), [VerificationCodes.OUT_OF_ORDER]);
+});
+
+test('rejects a lowered risk level that was re-signed on the page', async () => {
+    const payload = await signFixture(await fetchChallenge(), analysis => {
+        analysis.report.overall.riskLevel = 'LOW';
+        analysis.report.overall.suspicionScore = 5;
+    });
+
+    const result = await submit(payload);
+    assert.deepStrictEqual([...new Set(errorCodes(result))], [VerificationCodes.INCONSISTENT_REPORT]);
+    assert.ok(result.errors.some(error => /Suspicion score is 5/.test(error.message)));
+});
+
+test('rejects an indicator removed without rescoring', async () => {
+    const payload = await signFixture(await fetchChallenge(), analysis => {
+        analysis.report.console.indicators.pop();
+    });
+
+    const result = await submit(payload);
+    assert.deepStrictEqual([...new Set(errorCodes(result))], [VerificationCodes.INCONSISTENT_REPORT]);
+});
+
+test('rejects an indicator whose weight was changed', async () => {
+    const payload = await signFixture(await fetchChallenge(), analysis => {
+        analysis.report.console.indicators[0].weight = 0;
+    });
+
+    const result = await submit(payload);
+    assert.ok(result.errors.some(error => /has weight 0/.test(error.message)));
+});
+
+const addSignature = (weight, qualifier = 'devtools-berlin') => analysis => {
+    analysis.report.location.indicators.push({
+        code: 'DEVTOOLS_DEFAULT_LOCATION',
+        source: 'location',
+        qualifier,
+        weight,
+        severity: 'high',
+        evidence: { signature: qualifier },
+        message: 'Known spoofing location: Berlin (DevTools preset), 0m away (Chrome DevTools Sensors panel)'
+    });
+};
+const weightErrors = result => result.errors.filter(error => /has weight|names no entry/.test(error.message));
+
+test('checks the weight of a location signature against the signature catalog', async () => {
+
+    const tampered = await submit(await signFixture(await fetchChallenge(), addSignature(5)));
+    assert.strictEqual(tampered.status, 422);
+    assert.deepStrictEqual(weightErrors(tampered).map(error => error.message),
+        ['DEVTOOLS_DEFAULT_LOCATION has weight 5, expected 60']);
+
+    // The catalog weight passes; the scores, which leave the indicator out, do not
+    const unscored = await submit(await signFixture(await fetchChallenge(), addSignature(60)));
+    assert.deepStrictEqual(weightErrors(unscored), []);
+});
+
+test('requires the weight of the very signature an indicator names', async () => {
+    const definition = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'location-signatures.json'), 'utf8'));
+    definition.signatures.find(signature => signature.id === 'devtools-tokyo').weight = 90;
+    const verifier = new ReportVerifier({ signatures: definition });
+
+    // 90 is a weight of DEVTOOLS_DEFAULT_LOCATION, but that of Tokyo, not Berlin
+    const forged = await verifier.verify(JSON.parse(JSON.stringify(await signFixture(verifier.issueChallenge(), addSignature(90)))));
+    assert.deepStrictEqual(weightErrors(forged).map(error => error.message),
+        ['DEVTOOLS_DEFAULT_LOCATION has weight 90, expected 60']);
+
+    const unknown = await verifier.verify(JSON.parse(JSON.stringify(
+        await signFixture(verifier.issueChallenge(), addSignature(60, 'devtools-atlantis')))));
+    assert.deepStrictEqual(weightErrors(unknown).map(error => error.message),
+        [`DEVTOOLS_DEFAULT_LOCATION names no entry of signature catalog ${definition.version}: devtools-atlantis`]);
+});
+
+test('rejects a report with entries that are not indicators or detector results', async () => {
+    const edits = [
+        analysis => { analysis.report.location.indicators = [null]; },
+        analysis => { analysis.report.console.indicators[0] = 'CONSOLE_METHOD_OVERRIDDEN'; },
+        analysis => { analysis.report.detectors.vpn = null; },
+        analysis => { analysis.report.detectors.vpn.indicators = [{ code: 'VPN_DETECTED' }]; }
+    ];
+    for (const edit of edits) {
+        const result = await submit(await signFixture(await fetchChallenge(), edit));
+        assert.strictEqual(result.status, 422);
+        assert.deepStrictEqual(errorCodes(result), [VerificationCodes.MALFORMED]);
+    }
+    // The server is still up for the next client
+    await fetchChallenge();
+});
+
+test('rejects an answer after the challenge expired', async () => {
+    let now = Date.now();
+    const verifier = new ReportVerifier({ challengeTtlMs: 1000, now: () => now });
+    const challenge = verifier.issueChallenge();
+    const payload = JSON.parse(JSON.stringify(await signFixture(challenge)));
+
+    now += 2000;
+    const result = await verifier.verify(payload);
+    assert.deepStrictEqual(errorCodes(result), [VerificationCodes.EXPIRED]);
+});
@@ -0,0 +1,213 @@
+// Local test server for the signed report protocol. Serves the demo page and these endpoints:
+//   GET  /api/challenge        - issues a challenge for Fraudinator.analyzeSigned()
+//   POST /api/report           - verifies a signed payload; 200 when valid, 422 with the errors otherwise.
+//                                500 if the verifier fails on the payload.
+//                                With a GeoIP database, a valid report is cross-checked with the
+//                                location of the client's IP address and returned as `report`
+//   GET  /api/location-history - the last verified location of ?fingerprint=, 404 when unknown
+//   POST /api/location-history - stores a last verified location (the LocationHistory server mirror)
+//
+// Usage (from the fraudinator directory):
+//   node server/test-server.js [port] [geoip-database.mmdb|.csv]
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { ReportVerifier } = require('./report-verifier');
+const { GeoIpDatabase } = require('./geoip-database');
+const { IpGeolocationCheck } = require('./ip-geolocation');
+
+const ROOT = path.join(__dirname, '..');
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8'
+};
+
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'], 'Cache-Control': 'no-store' });
+    response.end(JSON.stringify(body));
+}
+
+function readJsonBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (e) {
+                reject(new Error(`Request body is not valid JSON: ${e.message}`));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+const FINGERPRINT_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * @description Checks a LocationHistory record submitted to the mirror.
+ * @param {object} record - The request body.
+ * @returns {string|null} What is wrong with it, or null when it is valid.
+ */
+function validateLocationRecord(record) {
+    if (!record || typeof record !== 'object') return 'Record must be an object';
+    if (!FINGERPRINT_PATTERN.test(record.fingerprint)) return 'fingerprint must be a hex SHA-256 digest';
+    if (!(Math.abs(record.latitude) <= 90) || !(Math.abs(record.longitude) <= 180)) return 'Coordinates out of range';
+    if (!Number.isFinite(record.accuracy) || !Number.isFinite(record.timestamp)) return 'accuracy and timestamp must be numbers';
+    return null;
+}
+
+/**
+ * @returns {string} Address the request came from. Behind a reverse proxy that sets
+ * X-Forwarded-For, pass `trustProxy` to use the client address it recorded.
+ */
+function clientAddress(request, trustProxy) {
+    const forwarded = trustProxy && request.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : request.socket.remoteAddress;
+}
+
+function serveStatic(url, response, root) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(url.pathname);
+    } catch (e) {
+        if (!(e instanceof URIError)) throw e;
+        sendJson(response, 400, { error: 'Bad Request' });
+        return;
+    }
+    const filePath = path.join(root, urlPath === '/' ? 'index.html' : urlPath);
+    if (!filePath.startsWith(root + path.sep)) {
+        sendJson(response, 403, { error: 'Forbidden' });
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            sendJson(response, 404, { error: 'Not found' });
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        response.end(content);
+    });
+}
+
+/**
+ * @description Creates the test server. It is not listening yet.
+ * @param {object} [options]
+ * @param {ReportVerifier} [options.verifier] - Verifier issuing the challenges.
+ * @param {string} [options.root] - Directory served for non-API requests.
+ * @param {Map} [options.locationHistory] - Records of the location history mirror, by fingerprint.
+ * @param {IpGeolocationCheck} [options.ipGeolocation] - Cross-checks verified reports with the IP address.
+ * @param {boolean} [options.trustProxy] - Take the client address from X-Forwarded-For.
+ * @returns {http.Server} The server.
+ */
+function createTestServer({
+    verifier = new ReportVerifier(),
+    root = ROOT,
+    locationHistory = new Map(),
+    ipGeolocation = null,
+    trustProxy = false
+} = {}) {
+    return http.createServer(async (request, response) => {
+        let url;
+        try {
+            url = new URL(request.url, 'http://localhost');
+        } catch (e) {
+            sendJson(response, 400, { error: 'Bad Request' });
+            return;
+        }
+        const { pathname } = url;
+
+        if (pathname === '/api/challenge' && request.method === 'GET') {
+            sendJson(response, 200, verifier.issueChallenge());
+            return;
+        }
+
+        if (pathname === '/api/report' && request.method === 'POST') {
+            let payload;
+            try {
+                payload = await readJsonBody(request);
+            } catch (e) {
+                sendJson(response, 400, { valid: false, errors: [{ code: 'MALFORMED', message: e.message }] });
+                return;
+            }
+            let result;
+            try {
+                result = await verifier.verify(payload);
+            } catch (e) {
+                console.error('Report verification failed:', e);
+                sendJson(response, 500, { valid: false, errors: [{ code: 'INTERNAL_ERROR', message: 'Report could not be verified' }] });
+                return;
+            }
+            if (result.valid && ipGeolocation) {
+                const check = ipGeolocation.check(clientAddress(request, trustProxy), payload.report);
+                result.report = ipGeolocation.merge(payload.report, check);
+            }
+            sendJson(response, result.valid ? 200 : 422, result);
+            return;
+        }
+
+        if (pathname === '/api/location-history' && request.method === 'GET') {
+            const fingerprint = url.searchParams.get('fingerprint');
+            const record = locationHistory.get(fingerprint);
+            if (record) {
+                sendJson(response, 200, record);
+            } else {
+                sendJson(response, 404, { error: 'No location history' });
+            }
+            return;
+        }
+
+        if (pathname === '/api/location-history' && request.method === 'POST') {
+            let record;
+            try {
+                record = await readJsonBody(request);
+            } catch (e) {
+                sendJson(response, 400, { error: e.message });
+                return;
+            }
+            const problem = validateLocationRecord(record);
+            if (problem) {
+                sendJson(response, 400, { error: problem });
+                return;
+            }
+            const { fingerprint, latitude, longitude, accuracy, timestamp } = record;
+            locationHistory.set(fingerprint, { fingerprint, latitude, longitude, accuracy, timestamp });
+            sendJson(response, 201, { stored: true });
+            return;
+        }
+
+        if (request.method === 'GET') {
+            serveStatic(url, response, root);
+            return;
+        }
+        sendJson(response, 405, { error: 'Method not allowed' });
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2] || '8080', 10);
+    const database = process.argv[3] ? GeoIpDatabase.open(process.argv[3]) : null;
+    const ipGeolocation = database ? new IpGeolocationCheck({ database }) : null;
+    createTestServer({ ipGeolocation }).listen(port, () => {
+        console.log(`🚀 Fraudinator test server on http://localhost:${port}`);
+        if (database) console.log(`🌍 IP geolocation check with ${process.argv[3]}`);
+    });
+}
+
+module.exports = { createTestServer };
@@ -0,0 +1,70 @@
+// Requests the local test server should answer with an error instead of going down.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createTestServer } = require('./test-server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = createTestServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => {
+    server.close(resolve);
+    // fetch keeps connections alive, which would hold the server open
+    server.closeAllConnections();
+}));
+
+test('answers 400 to a path that is not valid percent-encoding and keeps serving', async () => {
+    const malformed = await fetch(`${baseUrl}/%E0%A4%A`);
+    assert.strictEqual(malformed.status, 400);
+    assert.deepStrictEqual(await malformed.json(), { error: 'Bad Request' });
+
+    const page = await fetch(`${baseUrl}/`);
+    assert.strictEqual(page.status, 200);
+    await page.text();
+});
+
+test('answers 400 to a request target that is not a URL and keeps serving', async () => {
+    // fetch() would normalize the target, so the request line is written by hand
+    const status = await new Promise((resolve, reject) => {
+        const request = http.get({ host: '127.0.0.1', port: server.address().port, path: '//' }, response => {
+            response.resume();
+            resolve(response.statusCode);
+        });
+        request.on('error', reject);
+    });
+    assert.strictEqual(status, 400);
+
+    const challenge = await fetch(`${baseUrl}/api/challenge`);
+    assert.strictEqual(challenge.status, 200);
+    await challenge.json();
+});
+
+test('answers 500 when the verifier fails on a report', async () => {
+    const verifier = { verify: async () => { throw new TypeError('verifier bug'); } };
+    const failing = createTestServer({ verifier });
+    await new Promise(resolve => failing.listen(0, '127.0.0.1', resolve));
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        const response = await fetch(`http://127.0.0.1:${failing.address().port}/api/report`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{}'
+        });
+        assert.strictEqual(response.status, 500);
+        assert.deepStrictEqual((await response.json()).valid, false);
+    } finally {
+        console.error = originalError;
+        await new Promise(resolve => {
+            failing.close(resolve);
+            failing.closeAllConnections();
+        });
+    }
+});
@@ -0,0 +1,96 @@
+/**
+ * @description Event types recorded on the session timeline.
+ */
+const TimelineEventTypes = Object.freeze({
+    DEVTOOLS_DETECTED: 'devtools-detected',
+    CONSOLE_OVERRIDDEN: 'console-overridden',
+    EXTENSION_ARTIFACT: 'extension-artifact',
+    LOCATION_UPDATE: 'location-update',
+    BEHAVIOR_ANOMALY: 'behavior-anomaly',
+    GEOLOCATION_REQUESTED: 'geolocation-requested',
+    GEOLOCATION_RECEIVED: 'geolocation-received',
+    GEOLOCATION_FAILED: 'geolocation-failed',
+    ANALYSIS_STARTED: 'analysis-started',
+    ANALYSIS_COMPLETED: 'analysis-completed'
+});
+
+/**
+ * @class SessionTimeline
+ * @description Ordered record of what was detected during a session and when, so that findings
+ * made at different times can be put in sequence, e.g. DevTools opening 4 seconds before the
+ * geolocation call.
+ *
+ * An event has the following shape:
+ *   {
+ *     at: 1718000000123.4,          // high-resolution epoch time in ms (performance.timeOrigin + now())
+ *     offsetMs: 4021.7,             // time since the timeline was created
+ *     type: 'devtools-detected',    // one of TimelineEventTypes
+ *     source: 'devtools-detector.js', // module that observed it
+ *     evidence: { method: 'keyboard-F12' },
+ *     indicators: ['DEVTOOLS_REALTIME', 'LOCATION_UNTRUSTED_DEVTOOLS'] // codes added by the event
+ *   }
+ */
+class SessionTimeline {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxEvents] - Oldest events are dropped beyond this many.
+     */
+    constructor({ maxEvents = 500 } = {}) {
+        this.maxEvents = maxEvents;
+        this.events = [];
+        this.droppedEvents = 0;
+        this.startedAt = SessionTimeline.now();
+    }
+
+    /**
+     * @returns {number} The current high-resolution epoch time in ms, rounded to 0.1 ms.
+     */
+    static now() {
+        return Math.round((performance.timeOrigin + performance.now()) * 10) / 10;
+    }
+
+    /**
+     * @description Appends an event.
+     * @param {string} type - One of TimelineEventTypes.
+     * @param {string} source - The module that observed the event, e.g. 'script.js'.
+     * @param {object} [evidence] - Machine-readable details.
+     * @param {object[]} [indicators] - Structured indicators added because of the event.
+     * @returns {object} The recorded event.
+     */
+    record(type, source, evidence = {}, indicators = []) {
+        const at = SessionTimeline.now();
+        const event = Object.freeze({
+            at,
+            offsetMs: Math.round((at - this.startedAt) * 10) / 10,
+            type,
+            source,
+            evidence: Object.freeze({ ...evidence }),
+            indicators: Object.freeze(indicators.map(indicator => indicator.code))
+        });
+
+        this.events.push(event);
+        if (this.events.length > this.maxEvents) {
+            this.events.shift();
+            this.droppedEvents++;
+        }
+        return event;
+    }
+
+    /**
+     * @returns {object[]} The recorded events, oldest first.
+     */
+    getEvents() {
+        return [...this.events];
+    }
+
+    /**
+     * @description Removes every event.
+     */
+    clear() {
+        this.events = [];
+        this.droppedEvents = 0;
+    }
+}
+
+window.TimelineEventTypes = TimelineEventTypes;
+window.SessionTimeline = SessionTimeline;
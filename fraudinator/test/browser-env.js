@@ -0,0 +1,555 @@
+// Test harness for the browser modules: loads the real SDK sources, in the order the SDK bundles
+// them, into a jsdom window whose browser APIs are replaced by configurable fakes.
+//
+// The defaults describe an ordinary desktop Chrome on macOS in Ho Chi Minh City. Every fake can be
+// overridden per test, and `null` removes the API altogether:
+//   geolocation       - { coords, delayMs, error, source, track, intervalMs } for
+//                       getCurrentPosition/watchPosition; a watch reports each coords of `track`
+//                       `intervalMs` apart, or just `coords` once. Installed like the browser's
+//                       Geolocation interface, in the page and in every iframe it creates
+//   webgl             - { vendor, renderer, debugInfo, webgl2, limits, extensions, floatPrecision,
+//                       frameMs } of the WebGL context: getParameter() values, the supported
+//                       extensions, precision bits by precision type, and the render time of a frame,
+//                       by which performance.now() advances when pixels are read back
+//   audio             - { sampleRate, maxChannelCount, frequencyData } of AudioContext
+//   mediaDevices      - the device list returned by enumerateDevices()
+//   screen            - width, height, colorDepth, pixelDepth and devicePixelRatio
+//   rtcPeerConnection - { patched } when a VPN extension has replaced createDataChannel
+//   intl              - { timeZone, locale } reported by Intl.DateTimeFormat and Intl.NumberFormat
+//   indexedDB         - an IDBFactory from fake-indexeddb; empty by default, pass the same one to
+//                       two windows to share storage between sessions
+//   chrome            - { runtime } of window.chrome; headless Chrome has none
+//   notifications     - { permission, state }: Notification.permission and the state
+//                       navigator.permissions.query() reports for notifications
+//   cdpRuntime        - true when a DevTools Protocol client enabled the Runtime domain: the
+//                       console then serializes its arguments
+//   consoleCalls      - an array that receives `{ method, args }` for every console call
+//   animationFrames   - { intervals(i) }: the time between the timestamps of animation frame i - 1
+//                       and i passed to requestAnimationFrame callbacks
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { IDBFactory } = require('fake-indexeddb');
+const { SDK_SOURCES } = require('../tools/build-sdk');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_POLICY = JSON.parse(fs.readFileSync(path.join(ROOT, 'scoring-policy.json'), 'utf8'));
+const DEFAULT_SIGNATURES = JSON.parse(fs.readFileSync(path.join(ROOT, 'location-signatures.json'), 'utf8'));
+
+const DEFAULT_FAKES = {
+    geolocation: {
+        coords: { latitude: 10.823123, longitude: 106.629712, accuracy: 23 },
+        // Real fixes take a while; answers under 100 ms are a spoofing signal
+        delayMs: 150,
+        error: null,
+        source: null,
+        track: null,
+        intervalMs: 1000
+    },
+    webgl: {
+        vendor: 'Google Inc. (Apple)',
+        renderer: 'ANGLE (Apple, ANGLE Metal Renderer: Apple M2, Unspecified Version)',
+        debugInfo: true,
+        webgl2: true,
+        limits: {
+            MAX_TEXTURE_SIZE: 16384, MAX_RENDERBUFFER_SIZE: 16384, MAX_VIEWPORT_DIMS: [16384, 16384],
+            MAX_VERTEX_UNIFORM_VECTORS: 1024, MAX_FRAGMENT_UNIFORM_VECTORS: 1024, MAX_VARYING_VECTORS: 30,
+            ALIASED_LINE_WIDTH_RANGE: [1, 1], ALIASED_POINT_SIZE_RANGE: [1, 511], MAX_SAMPLES: 4, MAX_3D_TEXTURE_SIZE: 2048
+        },
+        extensions: [
+            'ANGLE_instanced_arrays', 'EXT_blend_minmax', 'EXT_color_buffer_half_float', 'EXT_float_blend',
+            'EXT_texture_filter_anisotropic', 'OES_element_index_uint', 'OES_standard_derivatives',
+            'OES_texture_float', 'OES_vertex_array_object', 'WEBGL_compressed_texture_s3tc',
+            'WEBGL_debug_renderer_info', 'WEBGL_depth_texture', 'WEBGL_draw_buffers', 'WEBGL_lose_context'
+        ],
+        floatPrecision: { LOW_FLOAT: 23, MEDIUM_FLOAT: 23, HIGH_FLOAT: 23 },
+        // Time the GPU takes to render a frame of the GpuClassifier benchmark
+        frameMs: 0.3
+    },
+    audio: {
+        sampleRate: 48000,
+        maxChannelCount: 2,
+        frequencyData: [12, 40, 87, 133, 171, 190, 176, 140, 96, 51]
+    },
+    mediaDevices: [
+        { kind: 'audioinput', label: 'MacBook Air Microphone (Built-in)', deviceId: 'mic-1' },
+        { kind: 'videoinput', label: 'FaceTime HD Camera', deviceId: 'cam-1' },
+        { kind: 'audiooutput', label: 'MacBook Air Speakers (Built-in)', deviceId: 'spk-1' }
+    ],
+    screen: { width: 2560, height: 1440, colorDepth: 24, pixelDepth: 24, devicePixelRatio: 2 },
+    rtcPeerConnection: { patched: false },
+    intl: { timeZone: 'Asia/Ho_Chi_Minh', locale: 'vi-VN' },
+    chrome: { runtime: true },
+    notifications: { permission: 'default', state: 'prompt' },
+    cdpRuntime: false,
+    consoleCalls: null,
+    // A 60 Hz display
+    animationFrames: { intervals: () => 1000 / 60 },
+    navigator: {
+        userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+        platform: 'MacIntel',
+        language: 'vi-VN',
+        languages: ['vi-VN', 'vi', 'en-US'],
+        hardwareConcurrency: 8,
+        deviceMemory: 8,
+        maxTouchPoints: 0,
+        webdriver: false,
+        connection: { effectiveType: '4g', rtt: 50 },
+        plugins: ['PDF Viewer', 'Chrome PDF Viewer', 'Chromium PDF Viewer', 'Microsoft Edge PDF Viewer', 'WebKit built-in PDF']
+            .map(name => ({ name, filename: 'internal-pdf-viewer', description: 'Portable Document Format' }))
+    },
+    window: { innerWidth: 1440, innerHeight: 789, outerWidth: 1440, outerHeight: 875, isSecureContext: true },
+    canvas: { dataUrl: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAASwAAACWCAYAAABkW7XSAAAgAElEQVR4Xu2d' }
+};
+
+// Source text the engine shows for a function instead of its own, e.g. `[native code]` for fakes of
+// built-ins. Shared by the page and its iframes, as one engine serves them all.
+const functionSources = new WeakMap();
+
+/**
+ * @description Makes `Function.prototype.toString` of a realm show the sources registered with
+ * withSource(). The replacement reads as a built-in itself.
+ */
+function installFunctionSources(window) {
+    const original = window.Function.prototype.toString;
+    const { toString } = {
+        toString() {
+            return functionSources.has(this) ? functionSources.get(this) : original.call(this);
+        }
+    };
+    defineValues(window.Function.prototype, { toString: withSource(window, toString, 'function toString() { [native code] }') });
+}
+
+/**
+ * @description Moves a fake into the window's realm and registers the source it shows.
+ * @param {function} fn - The fake.
+ * @param {string} source - What `toString()` returns for it.
+ * @returns {function} The same function.
+ */
+function withSource(window, fn, source) {
+    Object.setPrototypeOf(fn, window.Function.prototype);
+    functionSources.set(fn, source);
+    return fn;
+}
+
+/**
+ * @description Makes a fake look like a built-in to the `toString()` integrity checks.
+ * @param {function} fn - The fake.
+ * @param {string} name - The built-in's name.
+ * @returns {function} The same function.
+ */
+function nativeFunction(window, fn, name) {
+    return withSource(window, fn, `function ${name}() { [native code] }`);
+}
+
+/**
+ * @description Console whose methods are silent but pass the detectors' native code check.
+ * @param {boolean} serialize - Read the stack of logged errors, as the console of a browser with
+ * the DevTools Protocol Runtime domain enabled does.
+ * @param {object[]} [calls] - Receives `{ method, args }` for every call.
+ */
+function createSilentConsole(serialize, calls = null) {
+    const methods = ['log', 'warn', 'error', 'info', 'debug', 'trace', 'dir', 'table', 'group', 'groupCollapsed', 'groupEnd', 'clear'];
+    return Object.fromEntries(methods.map(method => [method, ((...args) => {
+        if (calls) calls.push({ method, args });
+        if (serialize) args.forEach(arg => arg && arg.stack);
+    }).bind(null)]));
+}
+
+function defineValues(target, values) {
+    Object.entries(values).forEach(([key, value]) => {
+        Object.defineProperty(target, key, { value, configurable: true, writable: true });
+    });
+}
+
+// Objects the fake Geolocation methods accept as `this`, from any realm
+const geolocationObjects = new WeakSet();
+
+function installGeolocation(window, fake) {
+    if (!fake) {
+        defineValues(window.navigator, { geolocation: undefined });
+        return;
+    }
+
+    const position = (coords = fake.coords) => ({
+        coords: { altitude: null, altitudeAccuracy: null, heading: null, speed: null, ...coords },
+        timestamp: window.Date.now()
+    });
+    const respond = (success, error) => window.setTimeout(() => {
+        if (fake.error) {
+            if (error) error(fake.error);
+        } else {
+            success(position());
+        }
+    }, fake.delayMs);
+    const follow = (watchId, success, step = 0) => window.setTimeout(() => {
+        success(position(fake.track[step]));
+        // The success callback may have cleared the watch
+        if (step + 1 < fake.track.length && watches.has(watchId)) {
+            watches.set(watchId, follow(watchId, success, step + 1));
+        }
+    }, step === 0 ? fake.delayMs : fake.intervalMs);
+
+    const watches = new Map();
+    let nextWatchId = 1;
+    const device = {
+        getCurrentPosition: (success, error) => { respond(success, error); },
+        watchPosition: (success, error) => {
+            const watchId = nextWatchId++;
+            watches.set(watchId, fake.track && !fake.error ? follow(watchId, success) : respond(success, error));
+            return watchId;
+        },
+        clearWatch: watchId => {
+            window.clearTimeout(watches.get(watchId));
+            watches.delete(watchId);
+        }
+    };
+
+    // The interface as browsers define it: navigator.geolocation is a getter on Navigator.prototype,
+    // and the methods live on Geolocation.prototype and only work on a Geolocation object
+    const Geolocation = nativeFunction(window, function Geolocation() {
+        throw new TypeError('Illegal constructor');
+    }, 'Geolocation');
+    Object.setPrototypeOf(Geolocation.prototype, window.Object.prototype);
+    Object.keys(device).forEach(name => {
+        const { [name]: method } = {
+            [name](...args) {
+                if (!geolocationObjects.has(this)) throw new TypeError('Illegal invocation');
+                return device[name](...args);
+            }
+        };
+        Object.defineProperty(method, 'length', { value: 1 });
+        Object.defineProperty(Geolocation.prototype, name, {
+            value: nativeFunction(window, method, name),
+            writable: true,
+            enumerable: true,
+            configurable: true
+        });
+    });
+    const geolocation = Object.create(Geolocation.prototype);
+    geolocationObjects.add(geolocation);
+    Object.defineProperty(window.Navigator.prototype, 'geolocation', {
+        get: nativeFunction(window, () => geolocation, 'get geolocation'),
+        set: undefined,
+        enumerable: true,
+        configurable: true
+    });
+    defineValues(window, { Geolocation });
+
+    // A spoofing extension's replacement shows its own source instead of native code
+    if (fake.source) {
+        Object.keys(device).forEach(name => {
+            geolocation[name] = withSource(window, (...args) => device[name](...args), fake.source);
+        });
+    }
+}
+
+/**
+ * @description Gives same-origin iframes the page's fakes, as a browser gives them the same APIs.
+ * What a test or `setup` changes on the page does not reach them, like an extension that only
+ * patches the top window.
+ */
+function installFrames(window, fakes) {
+    const contentWindow = Object.getOwnPropertyDescriptor(window.HTMLIFrameElement.prototype, 'contentWindow');
+    const installed = new WeakSet();
+    Object.defineProperty(window.HTMLIFrameElement.prototype, 'contentWindow', {
+        ...contentWindow,
+        get() {
+            const frame = contentWindow.get.call(this);
+            if (frame && !installed.has(frame)) {
+                installed.add(frame);
+                installFunctionSources(frame);
+                installGeolocation(frame, fakes.geolocation && { ...DEFAULT_FAKES.geolocation, ...fakes.geolocation, source: null });
+            }
+            return frame;
+        }
+    });
+}
+
+function installCanvas(window, canvas, webgl) {
+    const context2d = new Proxy({}, {
+        get: (target, property) => (property in target ? target[property] : () => {}),
+        set: (target, property, value) => {
+            target[property] = value;
+            return true;
+        }
+    });
+
+    const debugRendererInfo = { UNMASKED_VENDOR_WEBGL: 0x9245, UNMASKED_RENDERER_WEBGL: 0x9246 };
+    // Rendering takes no time, but reading the result back advances performance.now() by
+    // `frameMs` for every frame drawn since the last read
+    let pendingFrames = 0;
+    let renderTime = 0;
+    if (webgl) {
+        const now = window.performance.now.bind(window.performance);
+        defineValues(window.performance, { now: () => now() + renderTime });
+    }
+    // The GL enums are their own names; every method not faked here does nothing
+    const webglMethods = webgl && {
+        getExtension: name => (name === 'WEBGL_debug_renderer_info' && webgl.debugInfo ? debugRendererInfo : null),
+        getParameter: parameter => ({
+            [0x9245]: webgl.vendor,
+            [0x9246]: webgl.renderer,
+            VENDOR: 'WebKit',
+            RENDERER: 'WebKit WebGL',
+            ...webgl.limits
+        })[parameter],
+        getSupportedExtensions: () => [...webgl.extensions],
+        getShaderPrecisionFormat: (shaderType, precisionType) => ({
+            rangeMin: precisionType.endsWith('INT') ? 31 : 127,
+            rangeMax: precisionType.endsWith('INT') ? 30 : 127,
+            precision: precisionType.endsWith('INT') ? 0 : webgl.floatPrecision[precisionType]
+        }),
+        createShader: () => ({}),
+        createProgram: () => ({}),
+        createBuffer: () => ({}),
+        getShaderParameter: () => true,
+        getProgramParameter: () => true,
+        drawArrays: () => {
+            pendingFrames++;
+        },
+        readPixels: () => {
+            renderTime += pendingFrames * webgl.frameMs;
+            pendingFrames = 0;
+        }
+    };
+    const webglContext = webgl && new Proxy(webglMethods, {
+        get: (target, property) => {
+            if (property in target) return target[property];
+            return typeof property === 'string' && /^[A-Z][A-Z0-9_]*$/.test(property) ? property : () => {};
+        }
+    });
+
+    window.HTMLCanvasElement.prototype.getContext = function (type) {
+        if (type === '2d') return context2d;
+        if (['webgl', 'experimental-webgl'].includes(type)) return webglContext || null;
+        if (type === 'webgl2') return (webgl && webgl.webgl2 && webglContext) || null;
+        return null;
+    };
+    window.HTMLCanvasElement.prototype.toDataURL = () => canvas.dataUrl;
+}
+
+function installAudio(window, fake) {
+    if (!fake) {
+        defineValues(window, { AudioContext: undefined, webkitAudioContext: undefined });
+        return;
+    }
+
+    class FakeAudioContext {
+        constructor() {
+            this.sampleRate = fake.sampleRate;
+            this.currentTime = 0;
+            this.destination = { maxChannelCount: fake.maxChannelCount };
+        }
+
+        createOscillator() {
+            return { type: 'sine', frequency: { setValueAtTime() {} }, connect() {}, start() {}, stop() {} };
+        }
+
+        createAnalyser() {
+            return {
+                frequencyBinCount: 1024,
+                connect() {},
+                getByteFrequencyData: array => array.set(fake.frequencyData.slice(0, array.length))
+            };
+        }
+
+        createGain() {
+            return { gain: { setValueAtTime() {} }, connect() {} };
+        }
+
+        close() {
+            return Promise.resolve();
+        }
+    }
+    defineValues(window, { AudioContext: FakeAudioContext });
+}
+
+function installMediaDevices(window, devices) {
+    const mediaDevices = devices && {
+        enumerateDevices: nativeFunction(window, async () => devices.map(device => ({ groupId: '', ...device })), 'enumerateDevices')
+    };
+    defineValues(window.navigator, { mediaDevices: mediaDevices || undefined });
+}
+
+function installScreen(window, { devicePixelRatio, ...screen }) {
+    defineValues(window.screen, { availWidth: screen.width, availHeight: screen.height, ...screen });
+    defineValues(window, { devicePixelRatio });
+}
+
+function installRTCPeerConnection(window, fake) {
+    if (!fake) {
+        defineValues(window, { RTCPeerConnection: undefined });
+        return;
+    }
+
+    class FakeRTCPeerConnection {
+        createDataChannel(label) {
+            return { label };
+        }
+    }
+    if (fake.patched) {
+        // Wrapped by a leak-protection extension: the wrapper's own source is visible
+        const original = FakeRTCPeerConnection.prototype.createDataChannel;
+        FakeRTCPeerConnection.prototype.createDataChannel = function (label, options) {
+            return original.call(this, label, options);
+        };
+    } else {
+        nativeFunction(window, FakeRTCPeerConnection.prototype.createDataChannel, 'createDataChannel');
+    }
+    defineValues(window, { RTCPeerConnection: FakeRTCPeerConnection });
+}
+
+function installChrome(window, fake) {
+    if (!fake) return;
+    const chrome = { app: { isInstalled: false }, csi: () => ({}), loadTimes: () => ({}) };
+    if (fake.runtime) {
+        chrome.runtime = { id: undefined, connect: () => {}, sendMessage: () => {} };
+    }
+    defineValues(window, { chrome });
+}
+
+function installNotifications(window, fake) {
+    if (!fake) return;
+    defineValues(window, { Notification: { permission: fake.permission, requestPermission: async () => fake.permission } });
+    defineValues(window.navigator, {
+        permissions: {
+            query: async ({ name }) => ({ name, state: name === 'notifications' ? fake.state : 'prompt' })
+        }
+    });
+}
+
+// Animation frames come as fast as the event loop allows, with timestamps `intervals(i)` apart
+function installAnimationFrames(window, fake) {
+    if (!fake) {
+        defineValues(window, { requestAnimationFrame: undefined, cancelAnimationFrame: undefined });
+        return;
+    }
+
+    let frame = 0;
+    let timestamp = window.performance.now();
+    defineValues(window, {
+        requestAnimationFrame: callback => window.setTimeout(() => {
+            timestamp += fake.intervals(frame++);
+            callback(timestamp);
+        }, 0),
+        cancelAnimationFrame: id => window.clearTimeout(id)
+    });
+}
+
+function installIntl(window, { timeZone, locale }) {
+    const realIntl = window.Intl;
+    const withDefaults = (Real, defaultOptions) => {
+        function Formatter(locales, options = {}) {
+            return new Real(locales === undefined ? locale : locales, { ...defaultOptions, ...options });
+        }
+        Formatter.prototype = Real.prototype;
+        Formatter.supportedLocalesOf = Real.supportedLocalesOf.bind(Real);
+        return Formatter;
+    };
+    const intl = Object.create(realIntl);
+    intl.DateTimeFormat = withDefaults(realIntl.DateTimeFormat, { timeZone });
+    intl.NumberFormat = withDefaults(realIntl.NumberFormat, {});
+    defineValues(window, { Intl: intl });
+}
+
+/**
+ * @description Replaces the clock with one that starts at `now` and keeps running, or with one
+ * that reads the time from `now` when it is a function.
+ * @returns {function} Moves the clock forward by the given number of milliseconds.
+ */
+function installClock(window, now) {
+    const RealDate = window.Date;
+    const source = typeof now === 'function' ? now : () => RealDate.now();
+    let offset = typeof now === 'function' ? 0 : now - RealDate.now();
+
+    class FakeDate extends RealDate {
+        constructor(...args) {
+            if (args.length === 0) {
+                super(source() + offset);
+            } else {
+                super(...args);
+            }
+        }
+
+        static now() {
+            return source() + offset;
+        }
+    }
+    defineValues(window, { Date: FakeDate });
+    return ms => {
+        offset += ms;
+    };
+}
+
+/**
+ * @description Creates a jsdom window with the browser fakes installed and the SDK modules loaded.
+ * The default scoring policy and signature catalog are active.
+ * @param {object} [options] - Overrides for the fakes listed at the top of this file, plus:
+ * @param {string} [options.html] - Page markup, e.g. with attributes injected by an extension.
+ * @param {object} [options.globals] - Extra window properties, e.g. objects exposed by an extension.
+ * @param {number|Date|function} [options.now] - Start the clock at this instant instead of the real
+ * time, or take the time from this function, e.g. one that moves with mocked timers.
+ * @param {function} [options.setup] - Called with the window after the fakes are installed and
+ * before the modules load, for tampering that the fakes do not cover.
+ * @returns {object} `{ window, advanceClock(ms), close() }`. The modules' exports are on `window`.
+ */
+function createBrowserEnv(options = {}) {
+    const fakes = { ...DEFAULT_FAKES, ...options };
+    const dom = new JSDOM(options.html || '<!DOCTYPE html><html><head></head><body></body></html>', {
+        url: 'https://shop.example/checkout',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole()
+    });
+    const { window } = dom;
+
+    defineValues(window, {
+        console: createSilentConsole(fakes.cdpRuntime, fakes.consoleCalls),
+        crypto: globalThis.crypto,
+        TextEncoder,
+        ...(options.window === null ? {} : { ...DEFAULT_FAKES.window, ...options.window })
+    });
+    defineValues(window.navigator, { ...DEFAULT_FAKES.navigator, ...options.navigator });
+    installFunctionSources(window);
+    nativeFunction(window, window.XMLHttpRequest.prototype.open, 'open');
+
+    installGeolocation(window, fakes.geolocation && { ...DEFAULT_FAKES.geolocation, ...fakes.geolocation });
+    installCanvas(window, { ...DEFAULT_FAKES.canvas, ...options.canvas }, fakes.webgl && { ...DEFAULT_FAKES.webgl, ...fakes.webgl });
+    installAudio(window, fakes.audio && { ...DEFAULT_FAKES.audio, ...fakes.audio });
+    installMediaDevices(window, fakes.mediaDevices);
+    installScreen(window, { ...DEFAULT_FAKES.screen, ...options.screen });
+    installRTCPeerConnection(window, fakes.rtcPeerConnection);
+    installIntl(window, { ...DEFAULT_FAKES.intl, ...options.intl });
+    installChrome(window, fakes.chrome);
+    installNotifications(window, fakes.notifications);
+    installAnimationFrames(window, fakes.animationFrames);
+    installFrames(window, fakes);
+    defineValues(window, { indexedDB: options.indexedDB === undefined ? new IDBFactory() : options.indexedDB || undefined });
+    const advanceClock = options.now === undefined ? () => {} : installClock(window, typeof options.now === 'function' ? options.now : +options.now);
+    defineValues(window, options.globals || {});
+    if (options.setup) options.setup(window);
+
+    const context = dom.getInternalVMContext();
+    SDK_SOURCES.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    window.ScoringPolicy.setActive(DEFAULT_POLICY);
+    window.LocationSignatureCatalog.setActive(DEFAULT_SIGNATURES);
+
+    return {
+        window,
+        advanceClock,
+        close: () => window.close()
+    };
+}
+
+/**
+ * @param {object[]} indicators - Structured indicators.
+ * @returns {string[]} Their codes, in order, as an array of this realm so that assert can compare it.
+ */
+const indicatorCodes = indicators => Array.from(indicators, indicator => indicator.code);
+
+module.exports = { createBrowserEnv, indicatorCodes, DEFAULT_FAKES };
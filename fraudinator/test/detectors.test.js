@@ -0,0 +1,431 @@
+// Unit tests of the individual detector modules against the browser fakes in test/browser-env.js.
+// Each test starts from the authentic default browser and changes only what it is about.
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { createBrowserEnv, indicatorCodes } = require('./browser-env');
+
+/**
+ * @description Runs `fn` with a fresh browser and closes it afterwards.
+ * @param {object} options - Browser fakes, see createBrowserEnv().
+ * @param {function} fn - Called with the window; may be async.
+ */
+async function withBrowser(options, fn) {
+    const env = createBrowserEnv(options);
+    try {
+        return await fn(env.window, env);
+    } finally {
+        env.close();
+    }
+}
+
+const maskingCodes = options => withBrowser(options, async window => {
+    const result = await new window.DeviceDataMaskingDetector().runChecks();
+    return indicatorCodes(result.indicators);
+});
+
+const automationCheck = options => withBrowser(options, async window => {
+    const result = await new window.AutomationDetector().runChecks();
+    return { codes: indicatorCodes(result.indicators), result };
+});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('DeviceDataMaskingDetector', () => {
+    test('reports nothing for an ordinary laptop', async () => {
+        assert.deepStrictEqual(await maskingCodes({}), []);
+    });
+
+    test('flags missing WebGL, hidden renderer info and software rendering', async () => {
+        assert.deepStrictEqual(await maskingCodes({ webgl: null }), ['WEBGL_UNAVAILABLE']);
+        assert.deepStrictEqual(await maskingCodes({ webgl: { debugInfo: false } }), ['WEBGL_DEBUG_INFO_HIDDEN']);
+        assert.deepStrictEqual(await maskingCodes({ webgl: { renderer: 'llvmpipe (LLVM 15.0.7, 256 bits)' } }),
+            ['WEBGL_SOFTWARE_RENDERER']);
+    });
+
+    test('flags a blocked AudioContext and default audio values', async () => {
+        assert.deepStrictEqual(await maskingCodes({ audio: null }), ['AUDIO_CONTEXT_BLOCKED']);
+        assert.deepStrictEqual(await maskingCodes({ audio: { sampleRate: 44100 } }), ['AUDIO_DEFAULT_VALUES']);
+    });
+
+    test('flags unlabelled and unavailable media devices', async () => {
+        const unlabelled = [{ kind: 'audioinput', label: '', deviceId: '' }, { kind: 'videoinput', label: '', deviceId: '' }];
+        assert.deepStrictEqual(await maskingCodes({ mediaDevices: unlabelled }), ['MEDIA_DEVICES_MASKED']);
+        assert.deepStrictEqual(await maskingCodes({ mediaDevices: null }), ['MEDIA_DEVICES_BLOCKED']);
+    });
+
+    test('flags low and unusual screen resolutions', async () => {
+        assert.deepStrictEqual(await maskingCodes({ screen: { width: 640, height: 480 } }), ['LOW_SCREEN_RESOLUTION']);
+        assert.deepStrictEqual(await maskingCodes({ screen: { width: 1200, height: 1200 } }), ['UNUSUAL_ASPECT_RATIO']);
+    });
+
+    test('flags implausible hardware', async () => {
+        assert.deepStrictEqual(await maskingCodes({ navigator: { hardwareConcurrency: 64, deviceMemory: 64 } }),
+            ['HIGH_CPU_CORES', 'HIGH_DEVICE_MEMORY']);
+        assert.deepStrictEqual(await maskingCodes({ navigator: { plugins: [] } }), ['SUSPICIOUS_PLUGINS']);
+    });
+});
+
+describe('VPNDetector', () => {
+    test('reports nothing without a VPN', async () => {
+        const result = await withBrowser({}, window => new window.VPNDetector().detectVPN());
+        assert.deepStrictEqual(indicatorCodes(result.indicators), []);
+        assert.strictEqual(result.detected, false);
+    });
+
+    test('names the provider of injected DOM elements', async () => {
+        const html = '<!DOCTYPE html><html><body><div class="surfshark"></div></body></html>';
+        const result = await withBrowser({ html }, window => new window.VPNDetector().detectVPN());
+        assert.deepStrictEqual(indicatorCodes(result.indicators), ['VPN_DOM_ELEMENTS']);
+        assert.strictEqual(result.provider, 'Surfshark');
+    });
+
+    test('recognizes enterprise clients from the user agent', async () => {
+        const userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/124.0.0.0 Safari/537.36 Zscaler/4.2';
+        const result = await withBrowser({ navigator: { userAgent } }, window => new window.VPNDetector().detectVPN());
+        assert.ok(indicatorCodes(result.indicators).includes('VPN_USER_AGENT_PROVIDER'));
+        assert.strictEqual(result.provider, 'Zscaler');
+    });
+
+    test('flags a patched RTCPeerConnection only when it is patched', async () => {
+        const codes = async rtcPeerConnection => withBrowser({ rtcPeerConnection },
+            window => indicatorCodes(new window.VPNDetector().detectVPN().indicators));
+        assert.deepStrictEqual(await codes({ patched: true }), ['WEBRTC_LEAK_PROTECTION']);
+        assert.deepStrictEqual(await codes({ patched: false }), []);
+        assert.deepStrictEqual(await codes(null), []);
+    });
+});
+
+describe('AutomationDetector', () => {
+    test('reports nothing for a person at desktop Chrome', async () => {
+        const { codes, result } = await automationCheck({});
+        assert.deepStrictEqual(codes, []);
+        assert.strictEqual(result.isAutomated, false);
+        assert.strictEqual(result.details.cdpRuntime, false);
+    });
+
+    test('flags the WebDriver flag and the artifacts ChromeDriver leaves', async () => {
+        const { codes, result } = await automationCheck({
+            navigator: { webdriver: true },
+            html: '<!DOCTYPE html><html webdriver="true"><head></head><body></body></html>',
+            globals: { cdc_adoQpoasnfa76pfcZLmcfl_Array: [], $cdc_asdjflasutopfhvcZLmcfl_: {} }
+        });
+        assert.deepStrictEqual(codes, ['AUTOMATION_WEBDRIVER', 'AUTOMATION_SELENIUM_ARTIFACTS']);
+        assert.deepStrictEqual(Array.from(result.details.seleniumArtifacts),
+            ['cdc_adoQpoasnfa76pfcZLmcfl_Array', '$cdc_asdjflasutopfhvcZLmcfl_', 'html[webdriver]']);
+        assert.strictEqual(result.isAutomated, true);
+    });
+
+    test('names the framework of injected bindings', async () => {
+        const { codes, result } = await automationCheck({ globals: { __playwright__binding__: () => {}, __pwInitScripts: {} } });
+        assert.deepStrictEqual(codes, ['AUTOMATION_FRAMEWORK_BINDINGS']);
+        assert.strictEqual(result.indicators[0].message, 'Playwright bindings found: __playwright__binding__, __pwInitScripts');
+    });
+
+    test('flags the quirks of headless Chrome', async () => {
+        const { codes } = await automationCheck({
+            navigator: { userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) HeadlessChrome/124.0.0.0 Safari/537.36' },
+            chrome: null,
+            notifications: { permission: 'denied', state: 'prompt' },
+            window: { outerWidth: 0, outerHeight: 0 }
+        });
+        assert.deepStrictEqual(codes, [
+            'AUTOMATION_HEADLESS_USER_AGENT',
+            'AUTOMATION_CHROME_RUNTIME_MISSING',
+            'AUTOMATION_PERMISSIONS_INCONSISTENT',
+            'AUTOMATION_ZERO_OUTER_DIMENSIONS'
+        ]);
+
+        // Pages on plain http get no chrome.runtime from desktop Chrome either
+        const insecure = await automationCheck({ chrome: { runtime: false }, window: { isSecureContext: false } });
+        assert.deepStrictEqual(insecure.codes, []);
+    });
+
+    test('notices a DevTools Protocol client reading console arguments', async () => {
+        const { codes } = await automationCheck({ cdpRuntime: true });
+        assert.deepStrictEqual(codes, ['AUTOMATION_CDP_RUNTIME']);
+
+        // A console replaced by the page may read them for its own reasons
+        const replaced = await automationCheck({
+            cdpRuntime: true,
+            setup: window => {
+                window.console.debug = (...args) => args.forEach(arg => arg.stack);
+            }
+        });
+        assert.deepStrictEqual([replaced.codes, replaced.result.details.cdpRuntime], [[], null]);
+    });
+});
+
+describe('ExtensionDetector', () => {
+    test('runs clean on an untouched page', async () => {
+        const result = await withBrowser({}, window => window.detectorRegistry.runAll());
+        assert.deepStrictEqual(indicatorCodes(result.extensions.indicators), []);
+    });
+
+    test('detects a replaced Geolocation API', async () => {
+        const source = `function getCurrentPosition(success) { /* locationguard */ ${' '.repeat(80)} }`;
+        const result = await withBrowser({ geolocation: { source } }, window => window.detectorRegistry.runAll());
+        assert.deepStrictEqual(indicatorCodes(result.extensions.indicators),
+            ['KNOWN_EXTENSION_ARTIFACT', 'GEOLOCATION_API_MODIFIED']);
+        assert.strictEqual(result.extensions.indicators[0].evidence.extension, 'Location Guard');
+    });
+});
+
+describe('ConsoleInspector', () => {
+    test('tells native from replaced geolocation functions', async () => {
+        const check = options => withBrowser(options, window => window.ConsoleInspector.isGeolocationOverridden());
+        assert.strictEqual(await check({}), false);
+        assert.strictEqual(await check({ geolocation: { source: 'function () { return spoofed; }' } }), true);
+        assert.strictEqual(await check({ geolocation: null }), 'Not Supported');
+    });
+});
+
+describe('FraudDetector', () => {
+    test('reports DevTools docked at page load from the window dimensions', async () => {
+        const docked = { innerWidth: 1440, innerHeight: 475, outerWidth: 1440, outerHeight: 875 };
+        await withBrowser({ window: docked }, window => {
+            const detector = new window.FraudDetector();
+            assert.deepStrictEqual(indicatorCodes(detector.environmentData.devToolsIndicators),
+                ['DEVTOOLS_WINDOW_DIMENSIONS']);
+            // Already detected, so a later shortcut adds nothing
+            assert.deepStrictEqual(Array.from(detector.recordDevToolsDetection('keyboard-F12')), []);
+        });
+    });
+
+    test('reports a console that something reads, and not the page load checks themselves', async () => {
+        await withBrowser({}, window => {
+            const { environmentData } = new window.FraudDetector();
+            assert.deepStrictEqual(indicatorCodes(environmentData.devToolsIndicators), []);
+            assert.deepStrictEqual(indicatorCodes(environmentData.consoleOverrides), []);
+        });
+        await withBrowser({ cdpRuntime: true }, async window => {
+            const detector = new window.FraudDetector();
+            assert.deepStrictEqual(indicatorCodes(detector.environmentData.devToolsIndicators), []);
+
+            // The automation detector's probe finds the console being read, once per session
+            await detector.runRegisteredDetectors();
+            await detector.runRegisteredDetectors();
+            assert.deepStrictEqual(indicatorCodes(detector.environmentData.devToolsIndicators), ['CONSOLE_USAGE']);
+            assert.strictEqual(detector.environmentData.devToolsScore, detector.environmentData.devToolsIndicators[0].weight);
+        });
+    });
+
+    test('writes nothing to the console during an analysis', async () => {
+        const consoleCalls = [];
+        await withBrowser({ consoleCalls }, async window => {
+            await window.Fraudinator.analyze();
+            // The automation detector's console.debug probe is the only call, at the verbose level
+            // consoles hide by default
+            assert.deepStrictEqual(consoleCalls.map(call => call.method), ['debug']);
+            assert.ok(consoleCalls[0].args[0] instanceof window.Error);
+
+            consoleCalls.length = 0;
+            window.detectorRegistry.disable('automation');
+            await window.Fraudinator.analyze();
+            assert.deepStrictEqual(consoleCalls, []);
+        });
+    });
+
+    test('flags a Function.prototype.toString replaced to hide overrides', async () => {
+        const replaced = window => {
+            const original = window.Function.prototype.toString;
+            window.Function.prototype.toString = function () {
+                return this === window.navigator.geolocation.getCurrentPosition ? 'function getCurrentPosition() { [native code] }' : original.call(this);
+            };
+        };
+        const lying = window => {
+            window.Function.prototype.toString = function toString() { return 'function () { [native code] }'; };
+        };
+        for (const setup of [replaced, lying]) {
+            await withBrowser({}, window => {
+                setup(window);
+                const { environmentData } = new window.FraudDetector();
+                assert.deepStrictEqual(indicatorCodes(environmentData.consoleOverrides), ['FUNCTION_TOSTRING_MODIFIED']);
+            });
+        }
+    });
+
+    test('flags virtualization in the user agent', async () => {
+        const userAgent = 'Mozilla/5.0 (X11; Linux x86_64) Chrome/124.0.0.0 Safari/537.36 VirtualBox';
+        await withBrowser({ navigator: { userAgent } }, window => {
+            const environment = new window.FraudDetector().detectRemoteDesktop();
+            assert.deepStrictEqual(indicatorCodes(environment.rdpIndicators), ['VIRTUALIZATION_USER_AGENT']);
+            assert.strictEqual(environment.isRemoteDesktop, true);
+
+            // The threshold is the remoteDesktop verdict of the scoring policy
+            const { definition } = window.ScoringPolicy.active;
+            window.ScoringPolicy.setActive({ ...definition, verdicts: { ...definition.verdicts, remoteDesktop: 30 } });
+            assert.strictEqual(new window.FraudDetector().detectRemoteDesktop().isRemoteDesktop, false);
+        });
+    });
+
+    test('keeps the altitude, heading and speed of the fix', async () => {
+        const coords = { latitude: 10.823123, longitude: 106.629712, accuracy: 6, altitude: 12.6, altitudeAccuracy: 6, heading: 87.5, speed: 1.3 };
+        await withBrowser({ geolocation: { coords } }, async window => {
+            const report = await window.Fraudinator.analyze();
+            const { altitude, altitudeAccuracy, heading, speed } = report.location;
+            assert.deepStrictEqual({ altitude, altitudeAccuracy, heading, speed }, { altitude: 12.6, altitudeAccuracy: 6, heading: 87.5, speed: 1.3 });
+            assert.deepStrictEqual(indicatorCodes(report.location.indicators), []);
+        });
+    });
+
+    test('flags GPS-grade fixes without the fields a satellite receiver fills', async () => {
+        const fieldCodes = coords => withBrowser({}, async window => {
+            const detector = new window.FraudDetector();
+            detector.locationData = { latitude: 10.823123, longitude: 106.629712, responseTime: 800, ...coords };
+            return indicatorCodes(detector.detectCoordinateFieldAnomalies());
+        });
+        const missing = { accuracy: 3, altitude: null, altitudeAccuracy: null, heading: null, speed: null };
+        assert.deepStrictEqual(await fieldCodes(missing), ['GPS_FIELDS_MISSING']);
+        // Wi-Fi positioning has no altitude
+        assert.deepStrictEqual(await fieldCodes({ ...missing, accuracy: 35 }), []);
+        assert.deepStrictEqual(await fieldCodes({ ...missing, altitude: 0, altitudeAccuracy: 5 }), ['ALTITUDE_IMPLAUSIBLE']);
+        assert.deepStrictEqual(await fieldCodes({ ...missing, accuracy: 35, altitude: 15000, altitudeAccuracy: 5 }), ['ALTITUDE_IMPLAUSIBLE']);
+        assert.deepStrictEqual(await fieldCodes({ ...missing, altitude: 9.4, altitudeAccuracy: 5 }), []);
+    });
+
+    test('fails the analysis when the location is denied', async () => {
+        const denied = { error: { code: 1, message: 'User denied Geolocation' } };
+        await withBrowser({ geolocation: denied }, async window => {
+            await assert.rejects(window.Fraudinator.analyze(), /Analysis failed: User denied Geolocation/);
+        });
+    });
+
+    test('fails the analysis without a Geolocation API', async () => {
+        await withBrowser({ geolocation: null }, async window => {
+            await assert.rejects(window.Fraudinator.analyze(), /Analysis failed: Geolocation not supported/);
+        });
+    });
+
+    test('reports extension artifacts injected while monitoring', async () => {
+        await withBrowser({}, async window => {
+            const found = [];
+            const session = window.Fraudinator.monitor({ onIndicator: indicator => found.push(indicator.code) });
+            const injected = window.document.createElement('div');
+            injected.setAttribute('data-location-guard', 'active');
+            window.document.body.appendChild(injected);
+            await sleep(0);
+            session.stop();
+
+            assert.deepStrictEqual(found, ['EXTENSION_DOM_ARTIFACT']);
+            assert.deepStrictEqual(indicatorCodes(session.detector.environmentData.extensionIndicators), ['EXTENSION_DOM_ARTIFACT']);
+        });
+    });
+
+    test('reports a detector registered with mergedInto in that section', async () => {
+        await withBrowser({}, async window => {
+            window.detectorRegistry.register({
+                id: 'remoteSession',
+                category: 'remoteDesktop',
+                mergedInto: 'environment',
+                run: () => {
+                    const indicator = window.createIndicator({ code: 'RDP_USER_AGENT', source: 'remoteDesktop', message: 'Remote session' });
+                    return { score: indicator.weight, indicators: [indicator] };
+                }
+            });
+            const report = await window.Fraudinator.analyze();
+
+            assert.deepStrictEqual(indicatorCodes(report.environment.indicators), ['RDP_USER_AGENT']);
+            assert.strictEqual(report.environment.rdpScore, report.environment.indicators[0].weight);
+            assert.strictEqual(report.detectors.remoteSession.mergedInto, 'environment');
+            assert.strictEqual(report.remoteSession, undefined);
+        });
+    });
+});
+
+describe('createDevToolsWatcher', () => {
+    test('records a DevTools window opened during the session from its dimensions', async () => {
+        // 180 px is below the load-time threshold but above the watcher's
+        const opened = { innerWidth: 1440, innerHeight: 695, outerWidth: 1440, outerHeight: 875 };
+        await withBrowser({ window: opened }, window => {
+            const detector = new window.FraudDetector();
+            const detections = [];
+            const watcher = window.createDevToolsWatcher({ detector, onDetected: method => detections.push(method) });
+            watcher.start();
+            watcher.stop();
+
+            assert.deepStrictEqual(detections, ['dimensions']);
+            assert.deepStrictEqual(indicatorCodes(detector.locationSpoofingIndicators), ['LOCATION_UNTRUSTED_DEVTOOLS']);
+        });
+    });
+
+    test('recognizes and optionally blocks the Mac inspector shortcut', async () => {
+        await withBrowser({}, window => {
+            const detector = new window.FraudDetector();
+            const detections = [];
+            const watcher = window.createDevToolsWatcher({
+                detector,
+                onDetected: (method, indicators) => detections.push([method, indicatorCodes(indicators)]),
+                blockShortcuts: true
+            });
+            watcher.start();
+            const press = () => {
+                const event = new window.KeyboardEvent('keydown', { key: 'I', metaKey: true, altKey: true, cancelable: true });
+                window.dispatchEvent(event);
+                return event.defaultPrevented;
+            };
+            assert.strictEqual(press(), true);
+            assert.strictEqual(press(), true);
+            watcher.stop();
+            assert.strictEqual(press(), false);
+
+            // Only the first detection is scored
+            assert.deepStrictEqual(detections, [
+                ['keyboard-Ctrl+Shift+I', ['DEVTOOLS_REALTIME', 'LOCATION_UNTRUSTED_DEVTOOLS']],
+                ['keyboard-Ctrl+Shift+I', []]
+            ]);
+        });
+    });
+});
+
+describe('LocationBehaviorAnalyzer', () => {
+    test('flags travel faster than an airliner between two fixes', async () => {
+        await withBrowser({ now: new Date('2024-01-15T12:00:00Z') }, (window, env) => {
+            const analyzer = new window.LocationBehaviorAnalyzer();
+            const detector = new window.FraudDetector();
+            analyzer.setFraudDetector(detector);
+
+            analyzer.analyzeLocationUpdate({ coords: { latitude: 10.823123, longitude: 106.629712, accuracy: 23 } });
+            env.advanceClock(60 * 1000);
+            analyzer.analyzeLocationUpdate({ coords: { latitude: 21.028511, longitude: 105.804817, accuracy: 31 } });
+
+            assert.deepStrictEqual(indicatorCodes(detector.behavioralIndicators), ['IMPOSSIBLE_TRAVEL_SPEED']);
+        });
+    });
+
+    // Walks east along a street at about 1.4 m/s, one fix every 10 seconds
+    const motionCodes = fix => withBrowser({ now: new Date('2024-01-15T12:00:00Z') }, (window, env) => {
+        const analyzer = new window.LocationBehaviorAnalyzer();
+        for (let i = 0; i < 4; i++) {
+            analyzer.analyzeLocationUpdate({
+                coords: {
+                    latitude: 10.776889 + (i % 2) * 0.0000031,
+                    longitude: 106.700981 + i * 0.0001281,
+                    accuracy: 5 + i,
+                    altitude: 8.2 + i * 0.7,
+                    altitudeAccuracy: 4,
+                    heading: 90,
+                    speed: 1.4,
+                    ...fix(i)
+                }
+            });
+            env.advanceClock(10 * 1000);
+        }
+        return indicatorCodes(analyzer.behavioralIndicators);
+    });
+
+    test('accepts speed, heading and altitude that agree with the movement', async () => {
+        assert.deepStrictEqual(await motionCodes(() => ({})), []);
+    });
+
+    test('flags a reported speed or heading that disagrees with the movement', async () => {
+        assert.deepStrictEqual(await motionCodes(() => ({ speed: 12 })), ['SPEED_MISMATCH']);
+        assert.deepStrictEqual(await motionCodes(() => ({ heading: 270 })), ['HEADING_MISMATCH']);
+        // A car's speed on a walk
+        assert.deepStrictEqual(await motionCodes(() => ({ speed: 8, heading: null })), ['SPEED_MISMATCH']);
+    });
+
+    test('flags an altitude that never changes', async () => {
+        assert.deepStrictEqual(await motionCodes(() => ({ altitude: 30 })), ['ALTITUDE_IMPLAUSIBLE']);
+    });
+});
@@ -0,0 +1,119 @@
+// Frame cadence: requestAnimationFrame is sampled for the refresh rate, jitter and dropped frames of
+// the display, and checked against the device class. Displays are described by the intervals
+// between the timestamps of consecutive animation frames.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createBrowserEnv, indicatorCodes } = require('./browser-env');
+
+// Deterministic stand-in for timer noise, in [-1, 1]
+const noise = seed => Math.sin(seed * 12.9898) * 43758.5453 % 1;
+
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+
+async function analyzeCadence(intervals, browserOptions = {}) {
+    const env = createBrowserEnv({ animationFrames: { intervals }, ...browserOptions });
+    try {
+        const result = await new env.window.FrameCadenceSampler().analyze();
+        return { codes: indicatorCodes(result.indicators), result };
+    } finally {
+        env.close();
+    }
+}
+
+test('finds nothing wrong with a display paced by its vsync', async () => {
+    const { codes, result } = await analyzeCadence(() => 1000 / 60);
+
+    assert.deepStrictEqual(codes, []);
+    const { intervals, refreshHz, standardRate, jitter, droppedFrames, deviceClass } = result.details;
+    assert.deepStrictEqual([intervals, refreshHz, standardRate, jitter, droppedFrames, deviceClass], [60, 60, 60, 0, 0, 'desktop']);
+});
+
+test('flags frames paced at a rate no display runs at', async () => {
+    const { codes, result } = await analyzeCadence(i => 40 + noise(i) * 0.5);
+
+    assert.deepStrictEqual(codes, ['FRAME_RATE_NONSTANDARD']);
+    assert.strictEqual(result.indicators[0].message, 'Frames arrive at 25 Hz, a rate no display runs at');
+});
+
+test('flags a refresh rate outside the range of the claimed device class', async () => {
+    // A remote desktop session at 30 Hz behind a desktop user agent
+    const desktop = await analyzeCadence(() => 1000 / 30);
+    assert.deepStrictEqual(desktop.codes, ['FRAME_RATE_DEVICE_MISMATCH']);
+    assert.strictEqual(desktop.result.indicators[0].message, 'The display refreshes at 30 Hz, outside the 48-360 Hz of a desktop');
+
+    // A gaming monitor behind the user agent of an iPhone
+    const phone = await analyzeCadence(() => 1000 / 165, { navigator: { userAgent: IPHONE, maxTouchPoints: 5 } });
+    assert.deepStrictEqual(phone.codes, ['FRAME_RATE_DEVICE_MISMATCH']);
+    assert.strictEqual(phone.result.details.deviceClass, 'phone');
+
+    const gaming = await analyzeCadence(() => 1000 / 165);
+    assert.deepStrictEqual(gaming.codes, []);
+});
+
+test('takes a small touch screen for a phone, whatever the user agent', async () => {
+    const { codes, result } = await analyzeCadence(() => 1000 / 30, {
+        navigator: { maxTouchPoints: 5 },
+        screen: { width: 390, height: 844, colorDepth: 24, pixelDepth: 24, devicePixelRatio: 3 }
+    });
+
+    assert.deepStrictEqual(codes, ['FRAME_RATE_DEVICE_MISMATCH']);
+    assert.strictEqual(result.details.deviceClass, 'phone');
+});
+
+test('flags frames paced by a timer instead of a vsync', async () => {
+    // A virtual display ticking at 60 Hz on a timer that fires up to 3 ms early or late
+    const { codes, result } = await analyzeCadence(i => 1000 / 60 + (noise(i) > 0 ? 2.5 : -2.5) + noise(i + 0.5) * 0.5);
+
+    assert.deepStrictEqual(codes, ['FRAME_TIMING_JITTER']);
+    assert.strictEqual(result.details.standardRate, 60);
+    assert.strictEqual(result.indicators[0].message, "Frame times vary by 16%, without the pacing of a display's vsync");
+});
+
+test('flags dropped frames only when they recur at regular spacing', async () => {
+    // Every tenth frame is skipped, as a 60 Hz virtual display drifts against the stream
+    const periodic = await analyzeCadence(i => (i % 10 === 9 ? 2000 / 60 : 1000 / 60));
+    assert.deepStrictEqual(periodic.codes, ['FRAME_DROPS_PERIODIC']);
+    assert.deepStrictEqual([periodic.result.details.droppedFrames, periodic.result.details.dropRate], [6, 0.09]);
+
+    // A busy page drops frames now and then
+    const busy = await analyzeCadence(i => ([4, 11, 29, 33, 52].includes(i) ? 3000 / 60 : 1000 / 60));
+    assert.deepStrictEqual(busy.codes, []);
+    assert.strictEqual(busy.result.details.droppedFrames, 10);
+});
+
+test('does not judge a display without animation frames', async () => {
+    const missing = await analyzeCadence(null, { animationFrames: null });
+    assert.deepStrictEqual(missing.codes, []);
+    assert.strictEqual(missing.result.details.refreshHz, null);
+
+    // rAF stops in a hidden tab: the sampler gives up at its timeout
+    const env = createBrowserEnv({ globals: { requestAnimationFrame: () => 1, cancelAnimationFrame: () => {} } });
+    try {
+        const sampler = new env.window.FrameCadenceSampler({ timeoutMs: 20 });
+        assert.deepStrictEqual(Array.from(await sampler.sample()), []);
+    } finally {
+        env.close();
+    }
+});
+
+test('reports the frame cadence in the environment section and the RDP checks', async () => {
+    const env = createBrowserEnv({ animationFrames: { intervals: () => 40 } });
+    try {
+        const { window } = env;
+        const report = await window.Fraudinator.analyze();
+        assert.deepStrictEqual(indicatorCodes(report.environment.indicators), ['FRAME_RATE_NONSTANDARD']);
+        assert.strictEqual(report.environment.frameCadence.refreshHz, 25);
+        assert.strictEqual(report.environment.rdpScore, 20);
+
+        const detector = new window.FraudDetector();
+        const cadence = await detector.checkFrameCadence();
+        assert.strictEqual(cadence.suspicion, 'Suspicious');
+        assert.deepStrictEqual({ ...cadence.data }, { refreshHz: 25, jitter: 0, droppedFrames: 0, deviceClass: 'desktop' });
+        const overall = detector.getOverallRDPSuspicion(detector.checkScreenProperties(), detector.checkWebGLRenderer(),
+            detector.checkNavigatorProperties(), cadence);
+        assert.ok(overall.factors.includes('Frame cadence: Frames arrive at 25 Hz, a rate no display runs at'), overall.factors.join());
+    } finally {
+        env.close();
+    }
+});
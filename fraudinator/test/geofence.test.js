@@ -0,0 +1,162 @@
+// Geofencing: a location is judged inside, outside or uncertain against GeoJSON allow/deny regions,
+// taking its accuracy radius into account, and the result is the report's `geofence` section.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createBrowserEnv } = require('./browser-env');
+
+// Closed GeoJSON ring of a latitude/longitude box
+const box = (south, west, north, east) => [[west, south], [east, south], [east, north], [west, north], [west, south]];
+
+const region = (name, rule, ...rings) => ({
+    type: 'Feature',
+    properties: { name, rule },
+    geometry: { type: 'Polygon', coordinates: rings }
+});
+
+// Central Ho Chi Minh City, without the Tan Son Nhat airport
+const DELIVERY_AREA = {
+    type: 'FeatureCollection',
+    features: [
+        region('Ho Chi Minh City', 'allow', box(10.70, 106.55, 10.90, 106.80)),
+        region('Tan Son Nhat airport', 'deny', box(10.80, 106.64, 10.83, 106.67))
+    ]
+};
+
+// The default fix of the test environment, in Tan Binh district west of the airport
+const TAN_BINH = { latitude: 10.823123, longitude: 106.629712, accuracy: 23 };
+const HANOI = { latitude: 21.028511, longitude: 105.804817, accuracy: 31 };
+
+function withGeofence(regions, evaluate) {
+    const env = createBrowserEnv();
+    try {
+        return evaluate(new env.window.Geofence(regions), env.window);
+    } finally {
+        env.close();
+    }
+}
+
+test('places a precise fix well inside an allowed region inside', () => {
+    const result = withGeofence(DELIVERY_AREA, geofence => geofence.evaluate(TAN_BINH));
+
+    assert.strictEqual(result.status, 'inside');
+    assert.strictEqual(result.reason, 'Inside allowed region Ho Chi Minh City');
+    assert.deepStrictEqual(result.regions.map(entry => ({ ...entry })), [
+        { name: 'Ho Chi Minh City', rule: 'allow', position: 'inside', distanceMeters: 8558 },
+        { name: 'Tan Son Nhat airport', rule: 'deny', position: 'outside', distanceMeters: 1125 }
+    ]);
+});
+
+test('places a fix outside every allowed region outside', () => {
+    const result = withGeofence(DELIVERY_AREA, geofence => geofence.evaluate(HANOI));
+    assert.strictEqual(result.status, 'outside');
+    assert.strictEqual(result.reason, 'Outside every allowed region');
+});
+
+test('does not pass an accuracy circle straddling the border', () => {
+    withGeofence(DELIVERY_AREA, geofence => {
+        // 2.2 km south of the northern edge
+        const nearEdge = { latitude: 10.88, longitude: 106.70 };
+
+        assert.strictEqual(geofence.evaluate({ ...nearEdge, accuracy: 20 }).status, 'inside');
+        const coarse = geofence.evaluate({ ...nearEdge, accuracy: 5000 });
+        assert.strictEqual(coarse.status, 'uncertain');
+        assert.strictEqual(coarse.regions[0].position, 'boundary');
+        assert.strictEqual(coarse.accuracyMeters, 5000);
+
+        // Just outside, but it could be just inside
+        assert.strictEqual(geofence.evaluate({ latitude: 10.91, longitude: 106.70, accuracy: 5000 }).status, 'uncertain');
+        assert.strictEqual(geofence.evaluate({ latitude: 10.91, longitude: 106.70, accuracy: 50 }).status, 'outside');
+    });
+});
+
+test('lets a denied region override the allowed one around it', () => {
+    withGeofence(DELIVERY_AREA, geofence => {
+        const runway = geofence.evaluate({ latitude: 10.815, longitude: 106.655, accuracy: 30 });
+        assert.strictEqual(runway.status, 'outside');
+        assert.strictEqual(runway.reason, 'Inside denied region Tan Son Nhat airport');
+
+        const coarse = geofence.evaluate({ ...TAN_BINH, accuracy: 2000 });
+        assert.strictEqual(coarse.status, 'uncertain');
+        assert.match(coarse.reason, /denied region Tan Son Nhat airport/);
+    });
+});
+
+test('allows everywhere that is not denied when there are only deny regions', () => {
+    const result = withGeofence(DELIVERY_AREA.features[1], geofence => geofence.evaluate(HANOI));
+    assert.strictEqual(result.status, 'inside');
+    assert.strictEqual(result.reason, 'Outside every denied region');
+});
+
+test('handles polygon holes and multi-part regions', () => {
+    const islands = {
+        type: 'Feature',
+        id: 'islands',
+        properties: {},
+        geometry: {
+            type: 'MultiPolygon',
+            coordinates: [
+                // Phu Quoc, with a lake cut out
+                [box(10.0, 103.8, 10.5, 104.1), box(10.2, 103.9, 10.3, 104.0)],
+                // Con Dao
+                [box(8.6, 106.5, 8.8, 106.7)]
+            ]
+        }
+    };
+    withGeofence(islands, geofence => {
+        assert.strictEqual(geofence.evaluate({ latitude: 10.4, longitude: 103.95, accuracy: 20 }).status, 'inside');
+        assert.strictEqual(geofence.evaluate({ latitude: 8.7, longitude: 106.6, accuracy: 20 }).status, 'inside');
+        assert.strictEqual(geofence.evaluate({ latitude: 10.25, longitude: 103.95, accuracy: 20 }).status, 'outside');
+        assert.strictEqual(geofence.evaluate({ latitude: 10.25, longitude: 103.95, accuracy: 20 }).regions[0].name, 'islands');
+    });
+});
+
+test('measures the distance across the antimeridian', () => {
+    // Fiji's Taveuni straddles 180°
+    const taveuni = region('Taveuni', 'allow', box(-17.0, 179.8, -16.6, 180), box(-17.0, -180, -16.6, -179.8));
+    const result = withGeofence(taveuni, geofence => geofence.evaluate({ latitude: -16.8, longitude: -179.9, accuracy: 20 }));
+
+    assert.strictEqual(result.status, 'inside');
+    // 0.1° of longitude to the eastern edge, not the 359.9° around the globe
+    assert.ok(result.regions[0].distanceMeters < 11000, `${result.regions[0].distanceMeters} m`);
+});
+
+test('rejects regions it cannot evaluate', () => {
+    withGeofence(DELIVERY_AREA, (geofence, window) => {
+        assert.throws(() => new window.Geofence([]), /at least one GeoJSON feature/);
+        assert.throws(() => new window.Geofence({ type: 'Feature', properties: { name: 'Depot' }, geometry: { type: 'Point', coordinates: [106.7, 10.8] } }),
+            /Depot" needs a Polygon or MultiPolygon geometry/);
+        assert.throws(() => new window.Geofence(region('Depot', 'block', box(10, 106, 11, 107))), /expected allow or deny/);
+        assert.throws(() => new window.Geofence(region('Depot', 'allow', [[106, 10], [107, 10], [106, 10]])), /fewer than 4 positions/);
+    });
+});
+
+test('puts the geofence result in the report', async () => {
+    const env = createBrowserEnv();
+    try {
+        const report = await env.window.Fraudinator.analyze({ geofence: DELIVERY_AREA });
+        assert.strictEqual(report.geofence.status, 'inside');
+        assert.strictEqual(report.geofence.locationVerified, true);
+        assert.strictEqual(report.geofence.accuracyMeters, 23);
+
+        const withoutGeofence = await env.window.Fraudinator.analyze();
+        assert.strictEqual(withoutGeofence.geofence, null);
+    } finally {
+        env.close();
+    }
+});
+
+test('does not vouch for a location that looks spoofed', async () => {
+    // 1 m accuracy and no altitude: a spoofing tool, not a receiver
+    const env = createBrowserEnv({ geolocation: { coords: { ...TAN_BINH, accuracy: 1 } } });
+    try {
+        const report = await env.window.Fraudinator.analyze({ geofence: DELIVERY_AREA });
+        assert.strictEqual(report.location.isSpoofed, true);
+        assert.strictEqual(report.geofence.status, 'uncertain');
+        assert.strictEqual(report.geofence.reason, 'Location looks spoofed');
+        assert.strictEqual(report.geofence.locationVerified, false);
+        assert.strictEqual(report.geofence.regions[0].position, 'inside');
+    } finally {
+        env.close();
+    }
+});
@@ -0,0 +1,172 @@
+// Geolocation API integrity: hooks on navigator.geolocation are found through property descriptors,
+// Proxy wrappers, a spoofed Function.prototype.toString and a comparison with the pristine copy of
+// a fresh iframe. Each test hooks the API the way a spoofing tool does.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createBrowserEnv, indicatorCodes } = require('./browser-env');
+
+const PARIS = { latitude: 48.856613, longitude: 2.352222, accuracy: 20 };
+
+const answerWithParis = success => success({ coords: PARIS, timestamp: Date.now() });
+
+/**
+ * @description Runs the integrity check in a window, after `hook` has tampered with it.
+ * @returns {object} The result of GeolocationIntegrityChecker.check().
+ */
+function checkIntegrity(hook, envOptions = {}) {
+    const env = createBrowserEnv(envOptions);
+    try {
+        if (hook) hook(env.window);
+        const result = new env.window.GeolocationIntegrityChecker().check();
+        return { ...result, techniques: Array.from(result.techniques), findings: Array.from(result.findings, finding => ({ ...finding })) };
+    } finally {
+        env.close();
+    }
+}
+
+test('finds nothing wrong with the browser API', () => {
+    const result = checkIntegrity();
+    assert.strictEqual(result.supported, true);
+    assert.strictEqual(result.hooked, false);
+    assert.deepStrictEqual(result.findings, []);
+    assert.strictEqual(result.pristineRealm, true);
+});
+
+test('has nothing to check without the Geolocation API', () => {
+    const result = checkIntegrity(null, { geolocation: null });
+    assert.strictEqual(result.supported, false);
+    assert.strictEqual(result.hooked, false);
+});
+
+test('finds a method replaced on navigator.geolocation', () => {
+    const result = checkIntegrity(window => {
+        window.navigator.geolocation.getCurrentPosition = answerWithParis;
+    });
+
+    assert.deepStrictEqual(result.techniques, ['instance-property', 'replaced-function', 'behavior-mismatch']);
+    assert.ok(result.findings.every(finding => finding.target === 'navigator.geolocation.getCurrentPosition'));
+    assert.strictEqual(result.findings[2].detail,
+        "called on a plain object it returns, the browser's throws TypeError: Illegal invocation");
+});
+
+test('finds a Proxy that shows the native source of the method it wraps', () => {
+    const result = checkIntegrity(window => {
+        const { prototype } = window.Geolocation;
+        prototype.getCurrentPosition = new Proxy(prototype.getCurrentPosition, {
+            apply: (target, self, [success, ...rest]) => Reflect.apply(target, self, [() => answerWithParis(success), ...rest])
+        });
+        // What a toString() check sees
+        assert.strictEqual(window.Function.prototype.toString.call(prototype.getCurrentPosition), 'function () { [native code] }');
+    });
+
+    assert.deepStrictEqual(result.findings, [
+        { technique: 'proxy', target: 'navigator.geolocation.getCurrentPosition', detail: 'wrapped in a Proxy' }
+    ]);
+});
+
+test('finds a method turned into an accessor on Geolocation.prototype', () => {
+    const result = checkIntegrity(window => {
+        const { getCurrentPosition } = window.Geolocation.prototype;
+        Object.defineProperty(window.Geolocation.prototype, 'getCurrentPosition', { get: () => getCurrentPosition, configurable: true });
+    });
+
+    assert.deepStrictEqual(result.findings, [
+        { technique: 'prototype-descriptor', target: 'Geolocation.prototype.getCurrentPosition', detail: 'an accessor instead of a method' }
+    ]);
+});
+
+test('finds navigator.geolocation replaced by a plain object', () => {
+    const result = checkIntegrity(window => {
+        Object.defineProperty(window.navigator, 'geolocation', {
+            value: { getCurrentPosition: answerWithParis, watchPosition: answerWithParis, clearWatch() {} }
+        });
+    });
+
+    assert.deepStrictEqual(result.techniques.slice(0, 4),
+        ['navigator-descriptor', 'prototype-replaced', 'instance-property', 'replaced-function']);
+});
+
+test('sees through a Function.prototype.toString spoofed to hide the hook', () => {
+    const result = checkIntegrity(null, {
+        // Installed before the SDK loads, like an extension's content script
+        setup: window => {
+            const pageToString = window.Function.prototype.toString;
+            const hook = function getCurrentPosition(success) { answerWithParis(success); };
+            const toString = function toString() {
+                return this === hook || this === toString ? `function ${this.name}() { [native code] }` : pageToString.call(this);
+            };
+            window.Function.prototype.toString = toString;
+            window.Geolocation.prototype.getCurrentPosition = hook;
+            assert.strictEqual(toString.call(hook), 'function getCurrentPosition() { [native code] }');
+        }
+    });
+
+    assert.deepStrictEqual(result.techniques, ['tostring-spoofed', 'replaced-function', 'behavior-mismatch']);
+    assert.deepStrictEqual(result.findings[0],
+        { technique: 'tostring-spoofed', target: 'Function.prototype.toString', detail: 'replaced by a script' });
+});
+
+test('finds an own toString that hides the source of a hook', () => {
+    const result = checkIntegrity(window => {
+        const hook = success => answerWithParis(success);
+        hook.toString = () => 'function clearWatch() { [native code] }';
+        window.Geolocation.prototype.clearWatch = hook;
+    });
+
+    assert.ok(result.findings.some(finding =>
+        finding.technique === 'tostring-spoofed' && finding.target === 'navigator.geolocation.clearWatch.toString'));
+});
+
+test('falls back to the functions seen at load time when no iframe can be created', () => {
+    const env = createBrowserEnv({
+        setup: window => {
+            // As under a Content Security Policy that blocks frames
+            Object.defineProperty(window.HTMLIFrameElement.prototype, 'contentWindow', { get: () => null, configurable: true });
+        }
+    });
+    try {
+        const detector = new env.window.FraudDetector();
+        env.window.navigator.geolocation.getCurrentPosition = answerWithParis;
+
+        const [indicator] = detector.detectGeolocationHooks();
+        assert.strictEqual(indicator.code, 'GEOLOCATION_API_HOOKED');
+        assert.strictEqual(indicator.evidence.pristineRealm, false);
+        assert.deepStrictEqual(Array.from(indicator.evidence.techniques), ['instance-property', 'replaced-function', 'replaced-after-load']);
+        assert.strictEqual(indicator.message, 'Geolocation API hooked: instance-property, replaced-function, replaced-after-load');
+        assert.strictEqual(env.window.document.querySelectorAll('iframe').length, 0);
+    } finally {
+        env.close();
+    }
+});
+
+test('reports a hooked API as spoofing the location', async () => {
+    const env = createBrowserEnv({
+        setup: window => {
+            window.Geolocation.prototype.getCurrentPosition = new Proxy(window.Geolocation.prototype.getCurrentPosition, {});
+        }
+    });
+    try {
+        const report = await env.window.Fraudinator.analyze();
+        assert.deepStrictEqual(indicatorCodes(report.location.indicators), ['GEOLOCATION_API_HOOKED']);
+        assert.strictEqual(report.location.isSpoofed, true);
+        assert.deepStrictEqual(Array.from(report.overall.criticalIndicators), ['GEOLOCATION_API_HOOKED']);
+        // The pristine iframe is gone again
+        assert.strictEqual(env.window.document.querySelectorAll('iframe').length, 0);
+    } finally {
+        env.close();
+    }
+});
+
+test('lets the console inspector see hooks that a toString() check misses', () => {
+    const env = createBrowserEnv();
+    try {
+        const { ConsoleInspector, Geolocation } = env.window;
+        assert.strictEqual(ConsoleInspector.isGeolocationOverridden(), false);
+
+        Geolocation.prototype.watchPosition = new Proxy(Geolocation.prototype.watchPosition, {});
+        assert.strictEqual(ConsoleInspector.isGeolocationOverridden(), true);
+    } finally {
+        env.close();
+    }
+});
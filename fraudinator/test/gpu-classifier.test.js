@@ -0,0 +1,168 @@
+// GPU classification: the WebGL adapter is probed for its limits, extensions, precision formats and
+// render speed, and classified as a real GPU, a virtual display adapter or a software rasterizer.
+// Adapters are described as webgl fakes; `frameMs` is the time one benchmark frame takes.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createBrowserEnv, indicatorCodes } = require('./browser-env');
+
+// The limits each adapter reports through ANGLE, and the extensions it lacks
+const ADAPTERS = {
+    SwiftShader: {
+        limits: {
+            MAX_TEXTURE_SIZE: 8192, MAX_RENDERBUFFER_SIZE: 8192, MAX_VIEWPORT_DIMS: [8192, 8192],
+            MAX_VERTEX_UNIFORM_VECTORS: 256, MAX_FRAGMENT_UNIFORM_VECTORS: 256, MAX_VARYING_VECTORS: 31,
+            ALIASED_LINE_WIDTH_RANGE: [1, 1], ALIASED_POINT_SIZE_RANGE: [1, 1024], MAX_SAMPLES: 4
+        },
+        frameMs: 35
+    },
+    llvmpipe: {
+        limits: {
+            MAX_TEXTURE_SIZE: 16384, MAX_RENDERBUFFER_SIZE: 16384, MAX_VIEWPORT_DIMS: [16384, 16384],
+            MAX_VERTEX_UNIFORM_VECTORS: 4096, MAX_FRAGMENT_UNIFORM_VECTORS: 4096, MAX_VARYING_VECTORS: 32,
+            ALIASED_LINE_WIDTH_RANGE: [1, 255], ALIASED_POINT_SIZE_RANGE: [1, 255], MAX_SAMPLES: 4
+        },
+        frameMs: 60
+    },
+    'Hyper-V': {
+        limits: {
+            MAX_TEXTURE_SIZE: 16384, MAX_RENDERBUFFER_SIZE: 16384, MAX_VIEWPORT_DIMS: [16384, 16384],
+            MAX_VERTEX_UNIFORM_VECTORS: 4096, MAX_FRAGMENT_UNIFORM_VECTORS: 1024, MAX_VARYING_VECTORS: 30,
+            ALIASED_LINE_WIDTH_RANGE: [1, 1], ALIASED_POINT_SIZE_RANGE: [1, 1024], MAX_SAMPLES: 8
+        },
+        frameMs: 40
+    },
+    'VMware SVGA': {
+        limits: {
+            MAX_TEXTURE_SIZE: 8192, MAX_RENDERBUFFER_SIZE: 8192, MAX_VIEWPORT_DIMS: [8192, 8192],
+            MAX_VERTEX_UNIFORM_VECTORS: 4096, MAX_FRAGMENT_UNIFORM_VECTORS: 4096, MAX_VARYING_VECTORS: 32,
+            ALIASED_LINE_WIDTH_RANGE: [1, 1], ALIASED_POINT_SIZE_RANGE: [1, 63], MAX_SAMPLES: 4
+        },
+        frameMs: 2
+    },
+    VirtualBox: {
+        webgl2: false,
+        limits: {
+            MAX_TEXTURE_SIZE: 8192, MAX_RENDERBUFFER_SIZE: 8192, MAX_VIEWPORT_DIMS: [8192, 8192],
+            MAX_VERTEX_UNIFORM_VECTORS: 254, MAX_FRAGMENT_UNIFORM_VECTORS: 221, MAX_VARYING_VECTORS: 10,
+            ALIASED_LINE_WIDTH_RANGE: [1, 1], ALIASED_POINT_SIZE_RANGE: [1, 256]
+        },
+        extensions: ['ANGLE_instanced_arrays', 'OES_standard_derivatives', 'WEBGL_debug_renderer_info'],
+        frameMs: 3
+    },
+    Parallels: {
+        limits: {
+            MAX_TEXTURE_SIZE: 8192, MAX_RENDERBUFFER_SIZE: 8192, MAX_VIEWPORT_DIMS: [8192, 8192],
+            MAX_VERTEX_UNIFORM_VECTORS: 4096, MAX_FRAGMENT_UNIFORM_VECTORS: 1024, MAX_VARYING_VECTORS: 30,
+            ALIASED_LINE_WIDTH_RANGE: [1, 1], ALIASED_POINT_SIZE_RANGE: [1, 1024], MAX_SAMPLES: 4
+        },
+        extensions: ['ANGLE_instanced_arrays', 'EXT_texture_filter_anisotropic', 'WEBGL_debug_renderer_info'],
+        frameMs: 1.5
+    }
+};
+
+// A discrete GPU on Windows: the same ANGLE Direct3D 11 limits as Hyper-V's software rasterizer
+const WINDOWS_GPU = {
+    vendor: 'Google Inc. (NVIDIA)',
+    renderer: 'ANGLE (NVIDIA, NVIDIA GeForce RTX 3060 Direct3D11 vs_5_0 ps_5_0, D3D11)',
+    limits: ADAPTERS['Hyper-V'].limits,
+    frameMs: 0.2
+};
+
+async function classify(webgl) {
+    const env = createBrowserEnv({ webgl });
+    try {
+        const result = new env.window.GpuClassifier().analyze();
+        return { codes: indicatorCodes(result.indicators), result };
+    } finally {
+        env.close();
+    }
+}
+
+test('finds nothing wrong with a real GPU', async () => {
+    const { codes, result } = await classify({});
+
+    assert.deepStrictEqual(codes, []);
+    const { adapter, kind, webgl2, frameMs, limits } = result.details;
+    assert.deepStrictEqual([adapter, kind, webgl2, frameMs], [null, null, true, 0.3]);
+    assert.deepStrictEqual(Array.from(limits.MAX_VIEWPORT_DIMS), [16384, 16384]);
+});
+
+test('recognizes each virtual and software adapter by its capabilities alone', async () => {
+    for (const [name, adapter] of Object.entries(ADAPTERS)) {
+        // The renderer string is hidden, as by a privacy extension
+        const { codes, result } = await classify({ ...adapter, debugInfo: false });
+        const expected = {
+            SwiftShader: ['GPU_SOFTWARE_RENDERING'],
+            llvmpipe: ['GPU_SOFTWARE_RENDERING'],
+            'Hyper-V': ['GPU_VIRTUAL_ADAPTER', 'GPU_SOFTWARE_RENDERING'],
+            'VMware SVGA': ['GPU_VIRTUAL_ADAPTER'],
+            VirtualBox: ['GPU_VIRTUAL_ADAPTER'],
+            Parallels: ['GPU_VIRTUAL_ADAPTER']
+        }[name];
+
+        assert.deepStrictEqual(codes, expected, name);
+        assert.deepStrictEqual([result.details.adapter, result.details.basis], [name, 'capabilities'], name);
+    }
+});
+
+test('flags a renderer string that names another GPU than the capabilities', async () => {
+    const { codes, result } = await classify({ ...WINDOWS_GPU, ...ADAPTERS.SwiftShader });
+
+    assert.deepStrictEqual(codes, ['GPU_SOFTWARE_RENDERING', 'GPU_RENDERER_MISMATCH']);
+    const [software, mismatch] = result.indicators;
+    assert.strictEqual(software.message, 'WebGL is rendered in software: SwiftShader rasterizes on the CPU (35ms per benchmark frame)');
+    assert.strictEqual(mismatch.message,
+        `Renderer claims "${WINDOWS_GPU.renderer}", but the GPU capabilities are those of SwiftShader`);
+    assert.strictEqual(result.score, 25 + 35);
+});
+
+test('tells the Hyper-V software rasterizer from a GPU with the same limits by its render speed', async () => {
+    const gpu = await classify(WINDOWS_GPU);
+    assert.deepStrictEqual(gpu.codes, []);
+
+    const slow = await classify({ ...WINDOWS_GPU, frameMs: 40 });
+    assert.deepStrictEqual(slow.codes, ['GPU_VIRTUAL_ADAPTER', 'GPU_SOFTWARE_RENDERING', 'GPU_RENDERER_MISMATCH']);
+    assert.strictEqual(slow.result.details.adapter, 'Hyper-V');
+});
+
+test('classifies an adapter by its renderer string when the capabilities fit no profile', async () => {
+    const { codes, result } = await classify({ vendor: 'VMware, Inc.', renderer: 'SVGA3D; build: RELEASE; LLVM;' });
+
+    assert.deepStrictEqual(codes, ['GPU_VIRTUAL_ADAPTER']);
+    assert.strictEqual(result.indicators[0].message, 'Renderer is the VMware SVGA virtual display adapter');
+    assert.strictEqual(result.details.basis, 'renderer');
+});
+
+test('flags a mobile renderer string with the shader precision of a desktop', async () => {
+    const mobile = { vendor: 'Qualcomm', renderer: 'Adreno (TM) 650' };
+
+    const emulated = await classify(mobile);
+    assert.deepStrictEqual(emulated.codes, ['GPU_RENDERER_MISMATCH']);
+    assert.strictEqual(emulated.result.indicators[0].message,
+        'Renderer claims the mobile GPU "Adreno (TM) 650", but shader precision is that of a desktop');
+
+    const phone = await classify({ ...mobile, floatPrecision: { LOW_FLOAT: 8, MEDIUM_FLOAT: 10, HIGH_FLOAT: 23 } });
+    assert.deepStrictEqual(phone.codes, []);
+});
+
+test('reports the GPU classification in the environment section', async () => {
+    const env = createBrowserEnv({ webgl: { ...ADAPTERS.VirtualBox, debugInfo: false } });
+    try {
+        const { window } = env;
+        const report = await window.Fraudinator.analyze();
+
+        assert.deepStrictEqual(indicatorCodes(report.environment.indicators), ['GPU_VIRTUAL_ADAPTER']);
+        assert.strictEqual(report.environment.gpu.adapter, 'VirtualBox');
+        assert.strictEqual(report.environment.rdpScore, 30);
+        // 30 of the category's cap of 70
+        assert.strictEqual(report.overall.categoryScores.remoteDesktop, 42.9);
+
+        // The RDP checks of the demo page see the adapter through the masked renderer string
+        const webgl = new window.FraudDetector().checkWebGLRenderer();
+        assert.strictEqual(webgl.suspicion, 'Suspicious');
+        assert.deepStrictEqual(Array.from(webgl.factors), ['GPU capabilities match the VirtualBox virtual display adapter']);
+    } finally {
+        env.close();
+    }
+});
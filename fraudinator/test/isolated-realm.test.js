@@ -0,0 +1,105 @@
+// Realm comparison: with `compareRealms`, the position is requested from the page and from a fresh
+// iframe at the same time, and answers that disagree are flagged. The iframes of the test
+// environment get the same device as the page, without the page's hooks.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createBrowserEnv, indicatorCodes, DEFAULT_FAKES } = require('./browser-env');
+
+const PARIS = { latitude: 48.856613, longitude: 2.352222, accuracy: 20 };
+
+// A spoofing script that only patches the top window, and takes as long to answer as the device
+const answerWithParis = window => {
+    window.Geolocation.prototype.getCurrentPosition = function getCurrentPosition(success) {
+        window.setTimeout(() => success({ coords: PARIS, timestamp: window.Date.now() }), DEFAULT_FAKES.geolocation.delayMs);
+    };
+};
+
+const answer = (overrides = {}) => ({
+    latitude: 10.823123, longitude: 106.629712, accuracy: 23, timestamp: 1700000000000, responseTime: 40, ...overrides
+});
+
+async function analyzeWith(envOptions, analyzeOptions = { compareRealms: true }) {
+    const env = createBrowserEnv(envOptions);
+    try {
+        const report = await env.window.Fraudinator.analyze(analyzeOptions);
+        return { report, frames: env.window.document.querySelectorAll('iframe').length };
+    } finally {
+        env.close();
+    }
+}
+
+test('finds nothing when the page and the iframe get the same fix', async () => {
+    const { report, frames } = await analyzeWith();
+
+    assert.deepStrictEqual(indicatorCodes(report.location.indicators), []);
+    assert.deepStrictEqual(Array.from(report.location.realmComparison.disagreements), []);
+    assert.strictEqual(report.location.realmComparison.isolated.latitude, 10.823123);
+    assert.strictEqual(frames, 0);
+});
+
+test('leaves the comparison out unless asked for', async () => {
+    const { report } = await analyzeWith({}, {});
+    assert.strictEqual(report.location.realmComparison, null);
+});
+
+test('flags coordinates that only the page sees', async () => {
+    const { report } = await analyzeWith({ setup: answerWithParis });
+
+    const codes = indicatorCodes(report.location.indicators);
+    // Paris also clashes with the time zone and locale of the test environment
+    assert.deepStrictEqual(codes.slice(-2), ['GEOLOCATION_API_HOOKED', 'GEOLOCATION_REALM_MISMATCH']);
+    const mismatch = report.location.indicators[codes.length - 1];
+    assert.deepStrictEqual({ ...mismatch.evidence.disagreements[0].main }, { latitude: PARIS.latitude, longitude: PARIS.longitude });
+    assert.strictEqual(mismatch.message, 'Page and isolated iframe disagree on the location: coordinates');
+    assert.ok(Array.from(report.overall.criticalIndicators).includes('GEOLOCATION_REALM_MISMATCH'));
+});
+
+test('flags a page that answers although the browser denies the permission', async () => {
+    const { report } = await analyzeWith({
+        geolocation: { error: { code: 1, message: 'User denied Geolocation' } },
+        setup: answerWithParis
+    });
+
+    const mismatch = report.location.indicators.find(indicator => indicator.code === 'GEOLOCATION_REALM_MISMATCH');
+    assert.deepStrictEqual({ ...mismatch.evidence.disagreements[0] }, { field: 'permission', main: 'granted', isolated: 'denied' });
+});
+
+test('skips the comparison when no iframe can be created', async () => {
+    const { report } = await analyzeWith({
+        setup: window => {
+            Object.defineProperty(window.HTMLIFrameElement.prototype, 'contentWindow', { get: () => null, configurable: true });
+        }
+    });
+
+    assert.strictEqual(report.location.realmComparison, null);
+    assert.deepStrictEqual(indicatorCodes(report.location.indicators), []);
+});
+
+test('needs two weak disagreements, or one conclusive one', () => {
+    const env = createBrowserEnv();
+    try {
+        const { compareRealmPositions } = env.window;
+
+        // A queued request is answered later, from the same fix
+        const late = compareRealmPositions(answer(), answer({ responseTime: 900 }));
+        assert.deepStrictEqual(Array.from(late.disagreements, entry => entry.field), ['responseTime']);
+        assert.strictEqual(late.disagree, false);
+
+        const fabricated = compareRealmPositions(answer({ accuracy: 1 }), answer({ responseTime: 900 }));
+        assert.deepStrictEqual(Array.from(fabricated.disagreements, entry => entry.field), ['accuracy', 'responseTime']);
+        assert.strictEqual(fabricated.disagree, true);
+
+        // 500 m apart, within neither accuracy radius
+        const moved = compareRealmPositions(answer(), answer({ latitude: 10.827623 }));
+        assert.deepStrictEqual(Array.from(moved.disagreements, entry => entry.field), ['coordinates']);
+        assert.strictEqual(moved.disagree, true);
+        // The same distance with coarse fixes
+        assert.strictEqual(compareRealmPositions(answer({ accuracy: 400 }), answer({ latitude: 10.827623, accuracy: 400 })).disagree, false);
+
+        // A timeout in the iframe proves nothing
+        assert.strictEqual(compareRealmPositions(answer(), { error: { code: 3, message: 'Timeout expired' }, responseTime: 10000 }).disagree, false);
+    } finally {
+        env.close();
+    }
+});
@@ -0,0 +1,164 @@
+// Keystroke dynamics: the key timings of the form fields in a monitored session are recorded and
+// judged for remote desktop batching, scripted typing and paste-only input. Typing is fed as
+// keystrokes { down, up, field }, generated below, except for the tests of the event listeners and
+// of a monitored session.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createBrowserEnv, indicatorCodes } = require('./browser-env');
+
+// Deterministic stand-in for the irregularity of a typist, in [-1, 1]
+const noise = seed => Math.sin(seed * 12.9898) * 43758.5453 % 1;
+
+/**
+ * @description Keystrokes in one field: `interval(i)` after the previous key, each held for `dwell(i)`.
+ */
+function typing({ keys = 40, interval, dwell, field = 0 }) {
+    const keystrokes = [];
+    let time = 1000;
+    for (let i = 0; i < keys; i++) {
+        keystrokes.push({ down: time, up: time + dwell(i), field });
+        time += interval(i);
+    }
+    return keystrokes;
+}
+
+// A typist: 120-280 ms between keys, each held for 70-130 ms, with a pause to think now and then
+const TYPIST = { interval: i => (i % 12 === 11 ? 900 : 200 + noise(i) * 80), dwell: i => 100 + noise(i + 0.5) * 30 };
+// A remote desktop forwarding keys with its 30 Hz screen updates: every other key is queued behind
+// the previous one and sent in the same update, and the up event follows on the next update
+const TICK = 1000 / 30;
+const REMOTE_DESKTOP = {
+    interval: i => (i % 2 ? 0.2 : TICK * (3 + (i % 5)) - 0.2),
+    dwell: i => TICK * (1 + (i % 3))
+};
+// A script typing with a fixed delay and releasing each key at once
+const SCRIPT = { interval: () => 100, dwell: () => 0 };
+
+async function analyzeTyping(keystrokes, pastedFields = []) {
+    const env = createBrowserEnv();
+    try {
+        const keyboard = new env.window.KeystrokeDynamicsDetector();
+        keystrokes.forEach(keystroke => keyboard.addKeystroke(keystroke));
+        pastedFields.forEach(field => keyboard.addPaste(field));
+        const result = keyboard.analyze();
+        return { codes: indicatorCodes(result.indicators), result };
+    } finally {
+        env.close();
+    }
+}
+
+test('finds nothing wrong with a typist', async () => {
+    const { codes, result } = await analyzeTyping(typing(TYPIST));
+
+    assert.deepStrictEqual(codes, []);
+    assert.strictEqual(result.score, 0);
+    assert.ok(result.details.humanLikeness >= 90, `human-likeness ${result.details.humanLikeness}`);
+    assert.deepStrictEqual([result.details.keystrokes, result.details.intervals], [40, 39]);
+    assert.strictEqual(result.details.dwell.medianMs, 102.9);
+});
+
+test('flags keys forwarded in batches on the tick of a remote desktop', async () => {
+    const { codes, result } = await analyzeTyping(typing(REMOTE_DESKTOP));
+
+    assert.deepStrictEqual(codes, ['KEYSTROKE_BATCHED_INPUT', 'KEYSTROKE_QUANTIZED_TIMING']);
+    const [batched, quantized] = result.indicators;
+    assert.strictEqual(batched.message, '49% of keys arrive within 5ms of the previous one');
+    assert.strictEqual(quantized.evidence.tickMs, 33.3);
+    // The typist's own rhythm and dwell times come through; the way they are delivered does not
+    assert.strictEqual(result.details.humanLikeness, 61);
+});
+
+test('flags scripted typing with a constant rhythm', async () => {
+    const { codes, result } = await analyzeTyping(typing(SCRIPT));
+
+    assert.deepStrictEqual(codes, ['KEYSTROKE_CONSTANT_RHYTHM', 'KEYSTROKE_UNIFORM_DWELL']);
+    assert.strictEqual(result.indicators[0].message, 'Keys are pressed every 100ms, without the rhythm of a typist');
+    assert.strictEqual(result.indicators[1].message, 'Keys are released as soon as they are pressed');
+    assert.strictEqual(result.score, 30 + 20);
+    assert.ok(result.details.humanLikeness <= 30, `human-likeness ${result.details.humanLikeness}`);
+});
+
+test('flags a form filled only by pasting', async () => {
+    const pasted = await analyzeTyping([], [0, 1]);
+    assert.deepStrictEqual(pasted.codes, ['KEYSTROKE_PASTE_ONLY']);
+    assert.strictEqual(pasted.result.indicators[0].message, '2 form fields were filled by pasting, without typing');
+    // Too little was typed to judge the rhythm
+    assert.strictEqual(pasted.result.details.humanLikeness, null);
+
+    // Pasting into one field and typing in another is ordinary
+    const mixed = await analyzeTyping(typing({ ...TYPIST, keys: 10, field: 1 }), [0]);
+    assert.deepStrictEqual(mixed.codes, []);
+});
+
+test('records key timings in form fields only, without the characters', () => {
+    const env = createBrowserEnv({
+        setup: window => {
+            window.document.body.innerHTML = '<input id="email"><textarea id="note"></textarea><button>Send</button>';
+        }
+    });
+    try {
+        const { window } = env;
+        const keyboard = new window.KeystrokeDynamicsDetector();
+        const press = (selector, type, init, timeStamp) => {
+            const event = new window.KeyboardEvent(type, { bubbles: true, ...init });
+            Object.defineProperty(event, 'timeStamp', { value: timeStamp });
+            window.document.querySelector(selector).dispatchEvent(event);
+        };
+
+        keyboard.start();
+        press('#email', 'keydown', { key: 'a', code: 'KeyA' }, 100);
+        press('#email', 'keydown', { key: 'Shift', code: 'ShiftLeft' }, 150);
+        press('#email', 'keydown', { key: 'B', code: 'KeyB', shiftKey: true }, 210);
+        press('#email', 'keyup', { key: 'a', code: 'KeyA' }, 230);
+        press('#email', 'keydown', { key: 'B', code: 'KeyB', shiftKey: true, repeat: true }, 260);
+        press('#email', 'keyup', { key: 'B', code: 'KeyB' }, 300);
+        press('button', 'keydown', { key: 'Enter', code: 'Enter' }, 400);
+        press('#note', 'keydown', { key: 'v', code: 'KeyV', ctrlKey: true }, 500);
+        window.document.querySelector('#note').dispatchEvent(new window.InputEvent('input', { inputType: 'insertFromPaste', bubbles: true }));
+        keyboard.stop();
+        press('#email', 'keydown', { key: 'c', code: 'KeyC' }, 600);
+
+        assert.deepStrictEqual(Array.from(keyboard.keystrokes, keystroke => ({ ...keystroke })), [
+            { down: 100, up: 230, field: 0, kind: 'character' },
+            { down: 210, up: 300, field: 0, kind: 'character' },
+            { down: 500, up: null, field: 1, kind: 'shortcut' }
+        ]);
+        const { fields, flight } = keyboard.extractFeatures();
+        assert.deepStrictEqual({ ...fields }, { filled: 2, typed: 1, pasted: 1 });
+        // The second key went down before the first came up
+        assert.strictEqual(flight.medianMs, -20);
+    } finally {
+        env.close();
+    }
+});
+
+test('reports the keystroke dynamics of a monitored session', async () => {
+    const env = createBrowserEnv({
+        setup: window => {
+            window.document.body.innerHTML = '<input id="card">';
+        }
+    });
+    const { window } = env;
+    const session = window.Fraudinator.monitor();
+    try {
+        const input = window.document.querySelector('#card');
+        typing(SCRIPT).forEach(({ down, up }) => {
+            ['keydown', 'keyup'].forEach(type => {
+                const event = new window.KeyboardEvent(type, { key: '4', code: 'Digit4', bubbles: true });
+                Object.defineProperty(event, 'timeStamp', { value: type === 'keydown' ? down : up });
+                input.dispatchEvent(event);
+            });
+        });
+
+        const report = await session.analyze();
+        assert.deepStrictEqual(indicatorCodes(report.keystrokes.indicators), ['KEYSTROKE_CONSTANT_RHYTHM', 'KEYSTROKE_UNIFORM_DWELL']);
+        assert.strictEqual(report.keystrokes.score, 50);
+        assert.strictEqual(report.keystrokes.humanLikeness, report.detectors.keystrokeDynamics.details.humanLikeness);
+        assert.strictEqual(report.overall.categoryScores.keystrokeDynamics, 50);
+        assert.ok(indicatorCodes(report.overall.allIndicators).includes('KEYSTROKE_CONSTANT_RHYTHM'));
+    } finally {
+        session.stop();
+        env.close();
+    }
+});
@@ -0,0 +1,131 @@
+// Cross-session travel: the last verified location of a device is kept in IndexedDB (and on the
+// server mirror), and the next session flags a distance that could not have been travelled since.
+// Each session is a new window; sessions of one device share an IndexedDB.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { IDBFactory } = require('fake-indexeddb');
+const { createBrowserEnv, indicatorCodes } = require('./browser-env');
+const { createTestServer } = require('../server/test-server');
+
+const START = new Date('2024-01-15T08:00:00Z').getTime();
+const HOUR = 60 * 60 * 1000;
+
+const HO_CHI_MINH_CITY = { latitude: 10.823123, longitude: 106.629712, accuracy: 23 };
+const HANOI = { latitude: 21.028511, longitude: 105.804817, accuracy: 31 };
+// 10 km north-east, a drive across town
+const THU_DUC = { latitude: 10.870012, longitude: 106.703215, accuracy: 18 };
+
+let server;
+let serverUrl;
+
+before(async () => {
+    server = createTestServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    serverUrl = `http://127.0.0.1:${server.address().port}/api/location-history`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * @description Runs one analysis as a visit of the device.
+ * @param {object} visit - `{ coords, at, indexedDB, locationHistory }`.
+ * @returns {Promise<object>} The report.
+ */
+async function visit({ coords, at, indexedDB, locationHistory = true }) {
+    const env = createBrowserEnv({ geolocation: { coords }, now: at, indexedDB, globals: { fetch } });
+    try {
+        return await env.window.Fraudinator.analyze({ locationHistory });
+    } finally {
+        env.close();
+    }
+}
+
+const travelCodes = report => indicatorCodes(report.location.indicators)
+    .filter(code => code === 'IMPOSSIBLE_TRAVEL_SINCE_LAST_SESSION');
+
+test('has nothing to compare with on the first visit', async () => {
+    const report = await visit({ coords: HO_CHI_MINH_CITY, at: START, indexedDB: new IDBFactory() });
+    assert.strictEqual(report.location.sinceLastSession, null);
+    assert.deepStrictEqual(travelCodes(report), []);
+});
+
+test('accepts a drive across town', async () => {
+    const indexedDB = new IDBFactory();
+    await visit({ coords: HO_CHI_MINH_CITY, at: START, indexedDB });
+    const report = await visit({ coords: THU_DUC, at: START + HOUR, indexedDB });
+
+    assert.deepStrictEqual(travelCodes(report), []);
+    assert.strictEqual(report.location.sinceLastSession.mode, 'ground');
+    assert.strictEqual(report.location.sinceLastSession.previous.latitude, HO_CHI_MINH_CITY.latitude);
+});
+
+test('flags the other end of the country an hour later', async () => {
+    const indexedDB = new IDBFactory();
+    await visit({ coords: HO_CHI_MINH_CITY, at: START, indexedDB });
+    const report = await visit({ coords: HANOI, at: START + HOUR, indexedDB });
+
+    assert.deepStrictEqual(travelCodes(report), ['IMPOSSIBLE_TRAVEL_SINCE_LAST_SESSION']);
+    const { evidence } = report.location.indicators.find(indicator => indicator.code === 'IMPOSSIBLE_TRAVEL_SINCE_LAST_SESSION');
+    assert.strictEqual(evidence.distanceKm, 1138.2);
+    assert.strictEqual(evidence.elapsedHours, 1);
+    assert.strictEqual(evidence.mode, 'impossible');
+    assert.strictEqual(report.location.isSpoofed, true);
+});
+
+test('allows a flight when there was time for one, unless flights are ruled out', async () => {
+    const indexedDB = new IDBFactory();
+    await visit({ coords: HO_CHI_MINH_CITY, at: START, indexedDB });
+
+    const flown = await visit({ coords: HANOI, at: START + 5 * HOUR, indexedDB, locationHistory: { allowFlights: true } });
+    assert.deepStrictEqual(travelCodes(flown), []);
+    assert.strictEqual(flown.location.sinceLastSession.mode, 'flight');
+
+    // Six hours after Hanoi, enough for a flight but not for the road
+
+    const grounded = await visit({ coords: HO_CHI_MINH_CITY, at: START + 11 * HOUR, indexedDB, locationHistory: { allowFlights: false } });
+    assert.deepStrictEqual(travelCodes(grounded), ['IMPOSSIBLE_TRAVEL_SINCE_LAST_SESSION']);
+});
+
+test('does not keep a location that looks spoofed', async () => {
+    const indexedDB = new IDBFactory();
+    await visit({ coords: HO_CHI_MINH_CITY, at: START, indexedDB });
+    await visit({ coords: HANOI, at: START + HOUR, indexedDB });
+    const report = await visit({ coords: THU_DUC, at: START + 2 * HOUR, indexedDB });
+
+    // Compared with Ho Chi Minh City, not with the spoofed Hanoi
+    assert.deepStrictEqual(travelCodes(report), []);
+    // The clock keeps running during a visit
+    assert.ok(report.location.sinceLastSession.previous.timestamp - START < 1000);
+});
+
+test('finds the last location on the server mirror after the browser storage was cleared', async () => {
+    const locationHistory = { serverUrl };
+    await visit({ coords: HO_CHI_MINH_CITY, at: START, indexedDB: new IDBFactory(), locationHistory });
+    const report = await visit({ coords: HANOI, at: START + HOUR, indexedDB: new IDBFactory(), locationHistory });
+
+    assert.deepStrictEqual(travelCodes(report), ['IMPOSSIBLE_TRAVEL_SINCE_LAST_SESSION']);
+});
+
+test('keeps working without IndexedDB and with the server down', async () => {
+    const env = createBrowserEnv({ indexedDB: null, globals: { fetch } });
+    try {
+        const history = new env.window.LocationHistory({ serverUrl: 'http://127.0.0.1:9/api/location-history' });
+        await history.save({ ...HO_CHI_MINH_CITY, timestamp: START });
+        const record = await history.load();
+        assert.strictEqual(record.latitude, HO_CHI_MINH_CITY.latitude);
+        assert.match(record.fingerprint, /^[0-9a-f]{64}$/);
+    } finally {
+        env.close();
+    }
+});
+
+test('rejects malformed records on the server mirror', async () => {
+    const response = await fetch(serverUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fingerprint: 'device-1', latitude: 10.8, longitude: 106.6, accuracy: 20, timestamp: START })
+    });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(await response.json(), { error: 'fingerprint must be a hex SHA-256 digest' });
+});
@@ -0,0 +1,177 @@
+// Session-long location monitoring of LocationBehaviorAnalyzer: the watch keeps running until its
+// duration or sample budget runs out, can be paused, and reports samples and anomalies as events.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createBrowserEnv, indicatorCodes } = require('./browser-env');
+
+const START = Date.parse('2024-01-15T12:00:00Z');
+
+// A phone walking through District 1 of Ho Chi Minh City
+const WALK = [
+    { latitude: 10.776889, longitude: 106.700981, accuracy: 23 },
+    { latitude: 10.776953, longitude: 106.701047, accuracy: 19 },
+    { latitude: 10.777021, longitude: 106.701118, accuracy: 27 },
+    { latitude: 10.777094, longitude: 106.701183, accuracy: 21 },
+    { latitude: 10.777158, longitude: 106.701254, accuracy: 25 }
+];
+
+/**
+ * @description Creates a window whose fake watch reports `track` 20 ms apart, on mocked timers.
+ * @returns {object} `{ env, advance(ms) }`. `advance` moves the timers and the clock forward 1 ms
+ * at a time, so that a timer set by a callback is due relative to when the callback ran.
+ */
+function createMockedEnv(t, track) {
+    let elapsed = 0;
+    const env = createBrowserEnv({ geolocation: { track, delayMs: 0, intervalMs: 20 }, now: () => START + elapsed });
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const advance = ms => {
+        for (let i = 0; i < ms; i++) {
+            elapsed++;
+            t.mock.timers.tick(1);
+        }
+    };
+    return { env, advance };
+}
+
+/**
+ * @description Starts an analyzer on a fake watch that reports `track` 20 ms apart. The first
+ * position arrives 1 ms after the start.
+ * @returns {object} `{ env, advance, analyzer, samples, anomalies }`; the arrays fill with event details.
+ */
+function startMonitoring(t, track, analyzerOptions) {
+    const { env, advance } = createMockedEnv(t, track);
+    const analyzer = new env.window.LocationBehaviorAnalyzer(analyzerOptions);
+    const samples = [];
+    const anomalies = [];
+    analyzer.addEventListener('locationsample', event => samples.push(event.detail));
+    analyzer.addEventListener('anomaly', event => anomalies.push(event.detail));
+    analyzer.startLocationMonitoring();
+    return { env, advance, analyzer, samples, anomalies };
+}
+
+test('keeps watching the position after it starts', t => {
+    const { env, advance, analyzer, samples, anomalies } = startMonitoring(t, WALK);
+    try {
+        advance(100);
+
+        assert.deepStrictEqual(samples.map(detail => detail.samplesCollected), [1, 2, 3, 4, 5]);
+        assert.deepStrictEqual(samples.map(detail => detail.sample.accuracy), WALK.map(point => point.accuracy));
+        assert.deepStrictEqual(samples.map(detail => detail.sample.timestamp - START), [1, 21, 41, 61, 81]);
+        assert.deepStrictEqual(anomalies, []);
+        assert.strictEqual(analyzer.getAnalysisResults().monitoringActive, true);
+    } finally {
+        analyzer.stopLocationMonitoring();
+        env.close();
+    }
+});
+
+test('stops once the sample budget is spent', t => {
+    const { env, advance, analyzer, samples } = startMonitoring(t, WALK, { maxSamples: 2 });
+    try {
+        advance(30);
+        assert.strictEqual(samples.length, 2);
+        assert.strictEqual(analyzer.monitoringActive, false);
+        assert.strictEqual(analyzer.watchId, null);
+
+        advance(100);
+        assert.strictEqual(samples.length, 2);
+    } finally {
+        env.close();
+    }
+});
+
+test('stops once the duration is over', t => {
+    const { env, advance, analyzer, samples } = startMonitoring(t, WALK, { durationMs: 50 });
+    try {
+        // Samples are due at 1, 21, 41, 61 and 81 ms
+        advance(45);
+        assert.strictEqual(samples.length, 3);
+        assert.strictEqual(analyzer.monitoringActive, true);
+
+        advance(10);
+        assert.strictEqual(analyzer.monitoringActive, false);
+        advance(100);
+        assert.strictEqual(samples.length, 3);
+    } finally {
+        env.close();
+    }
+});
+
+test('keeps only the newest positions in its history', t => {
+    const { env, advance, analyzer } = startMonitoring(t, WALK, { historySize: 3 });
+    try {
+        advance(100);
+
+        const { locationHistory, samplesCollected } = analyzer.getAnalysisResults();
+        assert.deepStrictEqual(Array.from(locationHistory, point => point.accuracy), [27, 21, 25]);
+        assert.strictEqual(samplesCollected, 5);
+    } finally {
+        analyzer.stopLocationMonitoring();
+        env.close();
+    }
+});
+
+test('collects nothing while paused and carries on after resuming', t => {
+    const { env, advance, analyzer, samples } = startMonitoring(t, WALK);
+    try {
+        analyzer.addEventListener('locationsample', () => analyzer.pauseLocationMonitoring(), { once: true });
+        advance(60);
+        assert.strictEqual(samples.length, 1);
+        assert.strictEqual(analyzer.getAnalysisResults().monitoringPaused, true);
+
+        // The resumed watch starts over, at 61 and 81 ms
+        analyzer.resumeLocationMonitoring();
+        advance(30);
+        assert.strictEqual(samples.length, 3);
+        assert.strictEqual(analyzer.monitoringPaused, false);
+    } finally {
+        analyzer.stopLocationMonitoring();
+        env.close();
+    }
+});
+
+test('does not count paused time against the duration', t => {
+    const { env, advance, analyzer, samples } = startMonitoring(t, WALK, { durationMs: 50 });
+    try {
+        // Paused 1 ms in, with 49 ms left
+        analyzer.addEventListener('locationsample', () => analyzer.pauseLocationMonitoring(), { once: true });
+        advance(100);
+        assert.strictEqual(samples.length, 1);
+        analyzer.resumeLocationMonitoring();
+        assert.strictEqual(analyzer.monitoringActive, true);
+
+        // Samples at 101, 121 and 141 ms; the duration runs out at 149 ms
+        advance(45);
+        assert.strictEqual(analyzer.monitoringActive, true);
+        advance(10);
+        assert.strictEqual(analyzer.monitoringActive, false);
+        assert.strictEqual(samples.length, 4);
+    } finally {
+        env.close();
+    }
+});
+
+test('monitors the location for a monitor() session and reports the anomalies it finds', async t => {
+    // Jumps to Hanoi, 1,100 km away, within 20 ms
+    const teleport = [WALK[0], { latitude: 21.028511, longitude: 105.804817, accuracy: 31 }];
+    const { env, advance } = createMockedEnv(t, teleport);
+    const { window } = env;
+    try {
+        const session = window.Fraudinator.monitor({ locationMonitoring: { maxSamples: 2 } });
+        const anomalies = [];
+        session.locationMonitor.addEventListener('anomaly', event => anomalies.push(event.detail));
+        advance(30);
+
+        assert.strictEqual(session.locationMonitor.monitoringActive, false);
+        assert.deepStrictEqual(anomalies.map(detail => indicatorCodes(detail.indicators)), [['IMPOSSIBLE_TRAVEL_SPEED']]);
+
+        // The analysis waits on timers of its own
+        t.mock.timers.reset();
+        const report = await session.analyze();
+        session.stop();
+        assert.ok(indicatorCodes(report.location.indicators).includes('IMPOSSIBLE_TRAVEL_SPEED'));
+    } finally {
+        env.close();
+    }
+});
@@ -0,0 +1,158 @@
+// Location signature catalog: the coordinates and accuracy values of known spoofing tools come from
+// location-signatures.json, with a source, tolerance radius, accuracies and weight per entry.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createBrowserEnv, indicatorCodes } = require('./browser-env');
+
+const CATALOG = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'location-signatures.json'), 'utf8'));
+const POLICY = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'scoring-policy.json'), 'utf8'));
+
+function withDetector(run) {
+    const env = createBrowserEnv();
+    try {
+        const detector = new env.window.FraudDetector();
+        const signatures = (latitude, longitude, accuracy = 20) => {
+            detector.locationData = { latitude, longitude, accuracy };
+            return detector.detectLocationSignatures().signatureIndicators;
+        };
+        return run(signatures, env.window);
+    } finally {
+        env.close();
+    }
+}
+
+test('recognizes every DevTools Sensors preset', () => {
+    const presets = {
+        'devtools-berlin': [52.520007, 13.404954],
+        'devtools-moscow': [55.755826, 37.6173],
+        'devtools-mumbai': [19.075984, 72.877656],
+        'devtools-shanghai': [31.230416, 121.473701],
+        'devtools-sao-paulo': [-23.55052, -46.633309],
+        'devtools-tokyo': [35.689487, 139.691706]
+    };
+    withDetector(signatures => {
+        Object.entries(presets).forEach(([id, [latitude, longitude]]) => {
+            const [accuracy, preset] = signatures(latitude, longitude, 150);
+            assert.strictEqual(accuracy.code, 'DEVTOOLS_ACCURACY_SIGNATURE');
+            assert.strictEqual(preset.code, 'DEVTOOLS_DEFAULT_LOCATION');
+            assert.strictEqual(preset.evidence.signature, id);
+            assert.strictEqual(preset.evidence.accuracyMatched, true);
+            assert.strictEqual(preset.weight, 60);
+        });
+    });
+});
+
+test('recognizes the defaults of the location extensions the extension detector knows', () => {
+    withDetector(signatures => {
+        // Location Guard's fixed location starts out in the Pacific, reported with 10 m accuracy
+        const [fixed] = signatures(-4.448784, -171.24832, 10);
+        assert.strictEqual(fixed.code, 'DEVTOOLS_DEFAULT_LOCATION');
+        assert.strictEqual(fixed.evidence.signature, 'location-guard-fixed');
+        assert.strictEqual(fixed.evidence.accuracyMatched, true);
+
+        // Vytal takes the position from the IP address, but always reports 1 m
+        const [vytal] = signatures(48.856613, 2.352222, 1);
+        assert.strictEqual(vytal.code, 'SPOOFER_ACCURACY_SIGNATURE');
+        assert.strictEqual(vytal.evidence.signature, 'vytal-accuracy');
+        assert.strictEqual(vytal.message, 'Known spoofing accuracy: exactly 1m (Exact 1 m accuracy, Vytal extension)');
+    });
+});
+
+test('matches within the tolerance radius of an entry only', () => {
+    withDetector(signatures => {
+        // A preset edited by a few metres, and one moved a street further
+        const [nearby] = signatures(35.68955, 139.69175);
+        assert.strictEqual(nearby.evidence.signature, 'devtools-tokyo');
+        assert.strictEqual(nearby.evidence.accuracyMatched, false);
+        assert.match(nearby.message, /^Known spoofing location: Tokyo \(DevTools preset\), 8\.\dm away \(Chrome DevTools Sensors panel\)$/);
+        assert.deepStrictEqual(indicatorCodes(signatures(35.6905, 139.6917)), []);
+
+        // 5 km off the coast of Africa is still near Null Island; the exact spot is an emulator
+        assert.deepStrictEqual(indicatorCodes(signatures(0.045, 0.0)), ['SUSPICIOUS_LOCATION']);
+        assert.deepStrictEqual(indicatorCodes(signatures(0.0001, 0.0001)), ['EMULATOR_COORDINATES', 'SUSPICIOUS_LOCATION']);
+    });
+});
+
+test('takes the weight from the catalog unless the policy sets one', () => {
+    withDetector((signatures, window) => {
+        const catalog = { ...CATALOG, signatures: CATALOG.signatures.map(entry => (entry.id === 'devtools-tokyo' ? { ...entry, weight: 45 } : entry)) };
+        window.LocationSignatureCatalog.setActive(catalog);
+        assert.strictEqual(signatures(35.689487, 139.691706)[0].weight, 45);
+
+        window.ScoringPolicy.setActive({
+            ...POLICY,
+            weights: { ...POLICY.weights, DEVTOOLS_DEFAULT_LOCATION: { default: 50, qualifiers: { 'devtools-tokyo': 90 } } }
+        });
+        assert.strictEqual(signatures(35.689487, 139.691706)[0].weight, 90);
+        assert.strictEqual(signatures(52.520007, 13.404954)[0].weight, 50);
+    });
+});
+
+test('rejects catalogs it cannot match with', () => {
+    withDetector((signatures, window) => {
+        const { LocationSignatureCatalog } = window;
+        const entry = CATALOG.signatures.find(signature => signature.id === 'devtools-berlin');
+        const errorsOf = signaturesList => {
+            try {
+                new LocationSignatureCatalog({ version: 2, signatures: signaturesList });
+                return [];
+            } catch (e) {
+                assert.strictEqual(e.name, 'SignatureCatalogError');
+                return Array.from(e.errors);
+            }
+        };
+
+        assert.deepStrictEqual(errorsOf([entry, entry]), ['catalog.signatures[1].id "devtools-berlin" is used twice']);
+        const { toleranceMeters, ...withoutTolerance } = entry;
+        assert.deepStrictEqual(errorsOf([withoutTolerance]), ['catalog.signatures[0].toleranceMeters is required with a location']);
+        const { location, ...withoutLocation } = entry;
+        assert.deepStrictEqual(errorsOf([{ ...withoutLocation, accuracies: [] }]),
+            ['catalog.signatures[0] needs a location or accuracies to match on']);
+        assert.deepStrictEqual(errorsOf([{ ...entry, weight: '60' }]), ['catalog.signatures[0].weight must be of type number']);
+    });
+});
+
+test('loads a catalog over HTTP', async () => {
+    const responses = {
+        '/signatures/v2.json': { ok: true, status: 200, json: async () => ({ ...CATALOG, version: 2 }) },
+        '/signatures/missing.json': { ok: false, status: 404 }
+    };
+    const env = createBrowserEnv({ globals: { fetch: async url => responses[url] } });
+    try {
+        const { LocationSignatureCatalog } = env.window;
+        const catalog = await LocationSignatureCatalog.load('/signatures/v2.json');
+        assert.strictEqual(catalog.version, 2);
+        assert.strictEqual(catalog.signatures.length, CATALOG.signatures.length);
+
+        await assert.rejects(LocationSignatureCatalog.load('/signatures/missing.json'),
+            { name: 'SignatureCatalogError', message: 'Could not fetch signature catalog from /signatures/missing.json: HTTP 404' });
+    } finally {
+        env.close();
+    }
+});
+
+test('uses the catalog passed to analyze() and names its version in the report', async () => {
+    // The test environment's own position, added as if a new spoofing tool defaulted to it
+    const catalog = {
+        version: 7,
+        signatures: [{
+            id: 'example-tool', name: 'Tan Binh', source: 'Example spoofing extension',
+            code: 'SUSPICIOUS_LOCATION', location: { latitude: 10.823123, longitude: 106.629712 },
+            toleranceMeters: 25, accuracies: [23], weight: 35
+        }]
+    };
+    const env = createBrowserEnv();
+    try {
+        const report = await env.window.Fraudinator.analyze({ signatureCatalog: catalog });
+        const [indicator] = report.location.indicators.filter(entry => entry.code === 'SUSPICIOUS_LOCATION');
+        assert.strictEqual(indicator.weight, 35);
+        assert.strictEqual(indicator.evidence.catalogVersion, 7);
+        assert.strictEqual(indicator.evidence.accuracyMatched, true);
+        assert.strictEqual(report.overall.signatureCatalog, 7);
+    } finally {
+        env.close();
+    }
+});
@@ -0,0 +1,186 @@
+// Motion sensor fusion: the accelerometer and gyroscope are recorded next to the positions of
+// LocationBehaviorAnalyzer, and a track that moves while the device lies still, or the reverse, is
+// flagged. Sensor streams are injected, with the clock advanced between readings.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createBrowserEnv, indicatorCodes } = require('./browser-env');
+
+const ORIGIN = { latitude: 10.776889, longitude: 106.700981 };
+const METERS_PER_DEGREE_LNG = 111320 * Math.cos(ORIGIN.latitude * Math.PI / 180);
+
+// Sensor readings at time `t` in seconds
+const LYING_STILL = () => ({ acceleration: { x: 0, y: 0, z: 0 }, rotationRate: { alpha: 0, beta: 0, gamma: 0 } });
+const WALKING = t => ({
+    // Two steps a second
+    acceleration: { x: 0.4 * Math.cos(4 * Math.PI * t), y: 0.2, z: 1.6 * Math.sin(4 * Math.PI * t) },
+    rotationRate: { alpha: 8 * Math.sin(2 * Math.PI * t), beta: 3, gamma: 2 }
+});
+const IN_HAND = t => ({ acceleration: { x: 0.08 * Math.sin(7 * t), y: 0.05, z: 0.06 * Math.cos(5 * t) } });
+
+/**
+ * @returns {object} A sensor source for MotionSensorFusion, and `emit(reading)` to feed it.
+ */
+function injectedStream() {
+    const stream = {
+        onReading: null,
+        source: {
+            name: 'injected',
+            start: onReading => { stream.onReading = onReading; },
+            stop: () => { stream.onReading = null; }
+        },
+        emit: reading => stream.onReading && stream.onReading(reading)
+    };
+    return stream;
+}
+
+/**
+ * @description Moves east at `speed` m/s with a fix every 10 seconds, and ten sensor readings a
+ * second in between.
+ * @param {number} speed - Speed of the track in m/s.
+ * @param {function} motion - Called with the time in seconds, returns the sensor reading.
+ * @returns {object} `{ codes, indicators, sensors }` after the last fix.
+ */
+function analyzeWithSensors(speed, motion, fixes = 4) {
+    const env = createBrowserEnv({ now: new Date('2024-01-15T12:00:00Z') });
+    try {
+        const stream = injectedStream();
+        const analyzer = new env.window.LocationBehaviorAnalyzer({ motionSensors: { source: stream.source } });
+        analyzer.sensorFusion.start();
+        for (let i = 0; i < fixes; i++) {
+            analyzer.analyzeLocationUpdate({
+                coords: {
+                    latitude: ORIGIN.latitude + (i % 2) * 0.0000031,
+                    longitude: ORIGIN.longitude + speed * 10 * i / METERS_PER_DEGREE_LNG,
+                    accuracy: 4 + (i % 2)
+                }
+            });
+            for (let step = 1; step <= 100 && i < fixes - 1; step++) {
+                env.advanceClock(100);
+                stream.emit(motion(i * 10 + step / 10, i));
+            }
+        }
+        const { behavioralIndicators, sensorAnalysis } = analyzer.getAnalysisResults();
+        return { codes: indicatorCodes(behavioralIndicators), indicators: behavioralIndicators, sensors: sensorAnalysis };
+    } finally {
+        env.close();
+    }
+}
+
+test('accepts a walk that the sensors feel', () => {
+    const { codes, sensors } = analyzeWithSensors(1.4, WALKING);
+
+    assert.deepStrictEqual(codes, []);
+    assert.strictEqual(sensors.source, 'injected');
+    assert.deepStrictEqual(Array.from(sensors.intervals, interval => [interval.track, interval.sensors.activity]),
+        [['moving', 'active'], ['moving', 'active'], ['moving', 'active']]);
+    assert.ok(sensors.intervals[0].sensors.readings >= 99, `${sensors.intervals[0].sensors.readings} readings`);
+});
+
+test('accepts a phone held still in the hand', () => {
+    const { codes, sensors } = analyzeWithSensors(0, IN_HAND);
+    assert.deepStrictEqual(codes, []);
+    assert.strictEqual(sensors.intervals[0].track, 'stationary');
+    assert.strictEqual(sensors.intervals[0].sensors.activity, 'light');
+});
+
+test('flags a track driving along while the device lies perfectly still', () => {
+    const { codes, indicators } = analyzeWithSensors(13.9, LYING_STILL);
+
+    assert.deepStrictEqual(codes, ['SENSORS_STILL_WHILE_MOVING']);
+    const { evidence, message } = indicators[0];
+    assert.deepStrictEqual([evidence.pairs, evidence.mismatched, evidence.accelerationRms], [3, 3, 0]);
+    assert.strictEqual(message, 'Motion sensors report a still device while the location moves in 3 of 3 updates (13.9 m/s)');
+});
+
+test('flags steps the sensors feel while the location stays put', () => {
+    const { codes, indicators } = analyzeWithSensors(0, WALKING);
+
+    assert.deepStrictEqual(codes, ['SENSORS_MOVING_WHILE_STATIONARY']);
+    assert.ok(indicators[0].evidence.trackSpeed < 0.2, `${indicators[0].evidence.trackSpeed} m/s`);
+});
+
+test('lets a single odd update pass, and judges nothing without readings', () => {
+    // Put down on a table for ten seconds of the walk
+    const { codes, sensors } = analyzeWithSensors(1.4, (t, fix) => (fix === 1 ? LYING_STILL() : WALKING(t)));
+    assert.deepStrictEqual(codes, []);
+    assert.deepStrictEqual({ ...sensors.stillWhileMoving }, { pairs: 3, mismatched: 1 });
+
+    // A desktop has no motion sensors
+    const desktop = analyzeWithSensors(13.9, () => ({ acceleration: null, rotationRate: { alpha: null, beta: null, gamma: null } }));
+    assert.deepStrictEqual(desktop.codes, []);
+    assert.strictEqual(desktop.sensors.readings, 0);
+    assert.ok(desktop.sensors.intervals.every(interval => interval.sensors.activity === null));
+});
+
+test('records device motion events where the Generic Sensor API is missing', () => {
+    const env = createBrowserEnv();
+    try {
+        const fusion = new env.window.MotionSensorFusion();
+        fusion.start();
+        const fire = (type, properties) => env.window.dispatchEvent(Object.assign(new env.window.Event(type), properties));
+
+        fire('devicemotion', { acceleration: { x: 0.1, y: 0, z: 0 }, accelerationIncludingGravity: { x: 0.1, y: 0, z: 9.81 }, rotationRate: null });
+        fire('deviceorientation', { alpha: 12, beta: 40, gamma: -3 });
+        // Orientation sensors that are missing send nulls
+        fire('deviceorientation', { alpha: null, beta: null, gamma: null });
+        fusion.stop();
+        fire('devicemotion', { acceleration: { x: 1, y: 1, z: 1 } });
+
+        assert.strictEqual(fusion.analyze([]).source, 'devicemotion');
+        assert.strictEqual(fusion.readings.length, 2);
+        assert.deepStrictEqual({ ...fusion.readings[1].orientation }, { alpha: 12, beta: 40, gamma: -3 });
+    } finally {
+        env.close();
+    }
+});
+
+test('falls back to device motion events when the Generic Sensor API is blocked', () => {
+    const env = createBrowserEnv({
+        setup: window => {
+            // As under a Permissions Policy that denies the sensors
+            class BlockedSensor extends window.EventTarget {
+                start() {
+                    const event = new window.Event('error');
+                    event.error = { name: 'NotAllowedError', message: 'Access to the sensor is disallowed by permissions policy' };
+                    this.dispatchEvent(event);
+                }
+
+                stop() {}
+            }
+            window.LinearAccelerationSensor = BlockedSensor;
+            window.Gyroscope = BlockedSensor;
+        }
+    });
+    try {
+        const fusion = new env.window.MotionSensorFusion();
+        fusion.start();
+        assert.strictEqual(fusion.activeSource.name, 'devicemotion');
+
+        env.window.dispatchEvent(Object.assign(new env.window.Event('devicemotion'), { acceleration: { x: 0, y: 0.2, z: 0 } }));
+        assert.strictEqual(fusion.readings.length, 1);
+        fusion.stop();
+    } finally {
+        env.close();
+    }
+});
+
+test('records the sensors for as long as monitor() watches the location', async () => {
+    const env = createBrowserEnv();
+    try {
+        const stream = injectedStream();
+        const session = env.window.Fraudinator.monitor({ locationMonitoring: { motionSensors: { source: stream.source } } });
+        assert.ok(stream.onReading, 'sensors not started');
+
+        session.locationMonitor.pauseLocationMonitoring();
+        assert.strictEqual(stream.onReading, null);
+        session.locationMonitor.resumeLocationMonitoring();
+        stream.emit(WALKING(0.1));
+        assert.strictEqual(session.locationMonitor.sensorFusion.readings.length, 1);
+
+        session.stop();
+        assert.strictEqual(stream.onReading, null);
+    } finally {
+        env.close();
+    }
+});
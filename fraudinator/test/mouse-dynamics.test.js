@@ -0,0 +1,155 @@
+// Mouse dynamics: the movement of a monitored session is recorded and judged for the marks remote
+// desktop tools and injected input leave on it. Movement is fed as samples { x, y, time, pointer },
+// generated below, except for the tests of the event listener and of a monitored session.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createBrowserEnv, indicatorCodes } = require('./browser-env');
+
+// Deterministic stand-in for hand tremor and timing noise, in [-1, 1]
+const noise = seed => Math.sin(seed * 12.9898) * 43758.5453 % 1;
+
+// Minimum-jerk position profile: a hand accelerates and slows down smoothly within a stroke
+const minimumJerk = t => 10 * t ** 3 - 15 * t ** 4 + 6 * t ** 5;
+
+/**
+ * @description A hand on a local mouse: curved strokes with a bell-shaped speed profile, reported
+ * every 8 ms or so with fractional coordinates, and pauses of varying length between strokes.
+ */
+function handMovement({ round = false } = {}) {
+    const samples = [];
+    const pauses = [180, 420, 260, 900, 330, 610];
+    let time = 1000;
+    let from = { x: 200.5, y: 300.25 };
+    pauses.forEach((pause, stroke) => {
+        const to = { x: from.x + 320 - stroke * 90, y: from.y + (stroke % 2 ? 140 : -110) };
+        const bend = 60 + stroke * 10;
+        for (let i = 0; i <= 40; i++) {
+            const s = minimumJerk(i / 40);
+            const seed = stroke * 100 + i;
+            const x = from.x + (to.x - from.x) * s - bend * Math.sin(Math.PI * s) * 0.5 + noise(seed) * 0.4;
+            const y = from.y + (to.y - from.y) * s + bend * Math.sin(Math.PI * s) + noise(seed + 0.5) * 0.4;
+            samples.push({ x: round ? Math.round(x) : x, y: round ? Math.round(y) : y, time, pointer: true });
+            time += 8 + noise(seed + 0.25) * 1.5;
+        }
+        from = to;
+        time += pause;
+    });
+    return samples;
+}
+
+/**
+ * @description Straight moves between sparse positions, `step` px apart, one every `tickMs`, with
+ * `pauseMs` between moves.
+ */
+function straightMoves({ moves = 6, samplesPerMove = 8, step = 150, tickMs = 50, pauseMs = i => 300 + i * 170, batch = 1 }) {
+    const samples = [];
+    let time = 1000;
+    let position = { x: 100, y: 100 };
+    for (let move = 0; move < moves; move++) {
+        const angle = move * 1.1;
+        for (let i = 0; i < samplesPerMove; i++) {
+            position = {
+                x: Math.round(position.x + step * Math.cos(angle)),
+                y: Math.round(position.y + step * Math.sin(angle))
+            };
+            samples.push({ ...position, time, pointer: false });
+            // Several samples delivered at once share their timestamp
+            if ((i + 1) % batch === 0) time += tickMs + noise(move * 10 + i);
+        }
+        time += pauseMs(move);
+    }
+    return samples;
+}
+
+async function analyzeSamples(samples, browserOptions = {}) {
+    const env = createBrowserEnv(browserOptions);
+    try {
+        const mouse = new env.window.MouseDynamicsDetector();
+        samples.forEach(sample => mouse.addSample(sample));
+        const result = mouse.analyze();
+        return { codes: indicatorCodes(result.indicators), result };
+    } finally {
+        env.close();
+    }
+}
+
+test('finds nothing wrong with a hand on a local mouse', async () => {
+    const { codes, result } = await analyzeSamples(handMovement(), { screen: { devicePixelRatio: 1.25 } });
+
+    assert.deepStrictEqual(codes, []);
+    assert.strictEqual(result.score, 0);
+    const { samples, strokes, pauses, sampling, subPixel } = result.details;
+    assert.deepStrictEqual([samples, strokes, pauses.count], [246, 6, 5]);
+    assert.ok(sampling.tickMs < 10, `tick ${sampling.tickMs}ms`);
+    assert.strictEqual(subPixel.fractionalShare, 1);
+});
+
+test('flags movement replayed in straight jumps on the tick of a remote session', async () => {
+    const { codes, result } = await analyzeSamples(straightMoves({}));
+
+    assert.deepStrictEqual(codes, ['MOUSE_LINEAR_PATHS', 'MOUSE_POSITION_JUMPS', 'MOUSE_QUANTIZED_SAMPLING', 'MOUSE_CONSTANT_VELOCITY']);
+    const quantized = result.indicators.find(indicator => indicator.code === 'MOUSE_QUANTIZED_SAMPLING');
+    assert.match(quantized.message, /^Mouse samples arrive on a fixed 50(\.\d)?ms tick \(20 Hz\)$/);
+    assert.strictEqual(result.score, 15 + 15 + 20 + 15);
+});
+
+test('flags samples delivered in batches', async () => {
+    const { codes, result } = await analyzeSamples(straightMoves({ step: 12, tickMs: 16, batch: 4, samplesPerMove: 12 }));
+
+    assert.ok(codes.includes('MOUSE_EVENT_BATCHING'), codes.join());
+    // Three of every four moves share a timestamp; the first move after a pause starts a new stroke
+    assert.strictEqual(result.details.batching.batchedShare, 0.82);
+});
+
+test('flags scripted movement with identical pauses', async () => {
+    const { codes } = await analyzeSamples(straightMoves({ step: 10, tickMs: 8, samplesPerMove: 10, pauseMs: () => 500 }));
+
+    // Timer jitter of a millisecond on an 8 ms interval keeps the speed from looking constant
+    assert.deepStrictEqual(codes, ['MOUSE_LINEAR_PATHS', 'MOUSE_UNIFORM_PAUSES']);
+});
+
+test('flags whole-pixel positions only at a fractional device pixel ratio', async () => {
+    const scaled = await analyzeSamples(handMovement({ round: true }), { screen: { devicePixelRatio: 1.25 } });
+    assert.deepStrictEqual(scaled.codes, ['MOUSE_INTEGER_COORDINATES']);
+
+    const retina = await analyzeSamples(handMovement({ round: true }), { screen: { devicePixelRatio: 2 } });
+    assert.deepStrictEqual(retina.codes, []);
+});
+
+test('does not judge a session with little movement', async () => {
+    const { codes, result } = await analyzeSamples(straightMoves({}).slice(0, 20));
+
+    assert.deepStrictEqual(codes, []);
+    assert.strictEqual(result.details.samples, 20);
+});
+
+test('records mouse events only while started', () => {
+    const env = createBrowserEnv();
+    try {
+        const { window } = env;
+        const mouse = new window.MouseDynamicsDetector();
+        const move = (clientX, clientY, timeStamp) => {
+            const event = new window.MouseEvent('mousemove', { clientX, clientY, bubbles: true });
+            Object.defineProperty(event, 'timeStamp', { value: timeStamp });
+            window.document.body.dispatchEvent(event);
+        };
+
+        move(0, 0, 0);
+        mouse.start();
+        move(10, 20, 100.5);
+        move(15, 22, 108.5);
+        mouse.stop();
+        move(20, 24, 116.5);
+
+        assert.deepStrictEqual(Array.from(mouse.samples, sample => ({ ...sample })), [
+            { x: 10, y: 20, time: 100.5, pointer: false },
+            { x: 15, y: 22, time: 108.5, pointer: false }
+        ]);
+        assert.strictEqual(mouse.extractFeatures().events, 2);
+        mouse.reset();
+        assert.strictEqual(mouse.extractFeatures().samples, 0);
+    } finally {
+        env.close();
+    }
+});
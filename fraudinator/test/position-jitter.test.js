@@ -0,0 +1,149 @@
+// Position jitter analysis of LocationBehaviorAnalyzer: the noise of a stream of fixes is compared
+// with the accuracy they report. Streams are generated with a seeded random source, one fix a second.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createBrowserEnv, indicatorCodes } = require('./browser-env');
+
+const ORIGIN = { latitude: 10.776889, longitude: 106.700981 };
+const METERS_PER_DEGREE_LNG = 111320 * Math.cos(ORIGIN.latitude * Math.PI / 180);
+
+// Linear congruential generator, so every run sees the same noise
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+// Standard normal samples (Box-Muller)
+function seededGaussian(seed) {
+    const random = seededRandom(seed);
+    return () => Math.sqrt(-2 * Math.log(random() + 1e-12)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * @description Feeds `count` fixes to a new analyzer, one a second.
+ * @param {function} fix - Called with the index, returns `[eastMeters, northMeters, accuracy]`.
+ * @returns {Promise<object>} `{ codes, indicators, jitter }` after the last fix.
+ */
+function analyzeStream(fix, count = 20) {
+    const env = createBrowserEnv({ now: new Date('2024-01-15T12:00:00Z') });
+    try {
+        const analyzer = new env.window.LocationBehaviorAnalyzer();
+        for (let i = 0; i < count; i++) {
+            const [east, north, accuracy] = fix(i);
+            analyzer.analyzeLocationUpdate({
+                coords: {
+                    latitude: ORIGIN.latitude + north / 111320,
+                    longitude: ORIGIN.longitude + east / METERS_PER_DEGREE_LNG,
+                    accuracy
+                }
+            });
+            env.advanceClock(1000);
+        }
+        const { behavioralIndicators, jitterAnalysis } = analyzer.getAnalysisResults();
+        return { codes: indicatorCodes(behavioralIndicators), indicators: behavioralIndicators, jitter: jitterAnalysis };
+    } finally {
+        env.close();
+    }
+}
+
+// Noise of a real receiver: slowly drifting around the fix (first-order autoregressive)
+function drift(seed, sigma, correlation = 0.95) {
+    const gaussian = seededGaussian(seed);
+    let east = 0, north = 0;
+    return () => {
+        east = correlation * east + gaussian() * sigma;
+        north = correlation * north + gaussian() * sigma;
+        return [east, north];
+    };
+}
+
+test('needs a few fixes before it says anything', () => {
+    const { jitter } = analyzeStream(() => [0, 0, 12], 4);
+    assert.strictEqual(jitter, null);
+});
+
+test('accepts a stationary receiver drifting within its accuracy', () => {
+    const noise = drift(3, 1.5);
+    const { codes, jitter } = analyzeStream(i => [...noise(), 12 + (i % 5)]);
+
+    assert.deepStrictEqual(codes, []);
+    assert.strictEqual(jitter.outsideAccuracy, 0);
+    assert.ok(jitter.varianceRatio < 1, `variance ratio ${jitter.varianceRatio}`);
+    assert.ok(jitter.errorEllipse.semiMajorMeters < 14, `semi-major axis ${jitter.errorEllipse.semiMajorMeters}`);
+});
+
+test('accepts a walk with receiver noise', () => {
+    const noise = drift(7, 1, 0.9);
+    const { codes } = analyzeStream(i => {
+        const [east, north] = noise();
+        return [i * 1.4 + east, i * 0.5 + north, 8 + (i % 4)];
+    });
+    assert.deepStrictEqual(codes, []);
+});
+
+test('flags a position that never moves', () => {
+    const { codes, indicators } = analyzeStream(i => [0, 0, 12 + (i % 3)], 6);
+
+    assert.deepStrictEqual(codes, ['ZERO_POSITION_JITTER']);
+    assert.strictEqual(indicators[0].evidence.confidence, 0.969);
+    assert.strictEqual(indicators[0].evidence.residualMeters, 0);
+});
+
+test('flags a track moving in perfectly clean steps', () => {
+    const { codes } = analyzeStream(i => [i * 5, i * 2, 9 + (i % 3)], 10);
+    assert.deepStrictEqual(codes, ['ZERO_POSITION_JITTER']);
+});
+
+test('does not expect jitter from Wi-Fi positioning', () => {
+    const { codes, jitter } = analyzeStream(i => [0, 0, 60 + (i % 3)], 6);
+    assert.deepStrictEqual(codes, []);
+    assert.strictEqual(jitter.zeroJitter.confidence, 0);
+});
+
+test('flags scatter far beyond the reported accuracy', () => {
+    const noise = drift(2, 8, 0.9);
+    const { codes, indicators } = analyzeStream(i => [...noise(), 3 + (i % 2)]);
+
+    assert.deepStrictEqual(codes, ['JITTER_INCONSISTENT_WITH_ACCURACY']);
+    const { evidence } = indicators[0];
+    assert.ok(evidence.outsideAccuracy >= 15, `${evidence.outsideAccuracy} fixes outside`);
+    assert.ok(evidence.varianceRatio > 5, `variance ratio ${evidence.varianceRatio}`);
+    assert.strictEqual(evidence.confidence, 1);
+    assert.match(evidence.reasons[0], /of 20 fixes outside their accuracy radius/);
+});
+
+test('flags independent random noise added to a fixed position', () => {
+    const gaussian = seededGaussian(2);
+    const { codes, indicators } = analyzeStream(i => [gaussian() * 5, gaussian() * 5, 10 + (i % 3)]);
+
+    assert.deepStrictEqual(codes, ['JITTER_INCONSISTENT_WITH_ACCURACY']);
+    const { evidence } = indicators[0];
+    assert.ok(evidence.autocorrelation < -0.4, `autocorrelation ${evidence.autocorrelation}`);
+    assert.ok(evidence.confidence >= 0.95 && evidence.confidence < 1, `confidence ${evidence.confidence}`);
+    assert.match(evidence.reasons[0], /^independent noise/);
+});
+
+test('flags scatter far tighter than the reported accuracy', () => {
+    // A spoofing tool drifting its position by centimetres while it reports 20 m
+    const noise = drift(5, 0.03, 0.9);
+    const { codes, indicators } = analyzeStream(i => [...noise(), 18 + (i % 4)]);
+
+    assert.deepStrictEqual(codes, ['JITTER_INCONSISTENT_WITH_ACCURACY']);
+    const { evidence } = indicators[0];
+    assert.ok(evidence.residualMeters > 0.01 && evidence.varianceRatio < 0.0001, `${evidence.residualMeters}m, ratio ${evidence.varianceRatio}`);
+    assert.ok(evidence.errorEllipse.semiMajorMeters < 1, `semi-major axis ${evidence.errorEllipse.semiMajorMeters}`);
+    assert.match(evidence.reasons[0], /^scatter of 0\.0\dm far inside the accuracy radius/);
+});
+
+test('accepts a receiver that reports a cautious accuracy', () => {
+    // A phone in the open: metre-level drift, while it still claims 30 m
+    const noise = drift(11, 0.5);
+    const { codes, jitter } = analyzeStream(i => [...noise(), 28 + (i % 5)]);
+
+    assert.deepStrictEqual(codes, []);
+    assert.ok(jitter.varianceRatio < 0.01, `variance ratio ${jitter.varianceRatio}`);
+});
@@ -0,0 +1,244 @@
+// Recorded session scenarios for test/scenarios.test.js. Each one describes a browser (overrides of
+// the fakes in test/browser-env.js), what happens during the session, and the exact indicators and
+// risk level the full analysis must report for it.
+
+const VYTAL_EXTENSION_ID = 'kpfopkelmapcoipemfendmdcghnegimn';
+
+// Chrome's CPU rasterizer, used when there is no GPU: in VMs without GPU passthrough and headless
+const SWIFTSHADER_WEBGL = {
+    vendor: 'Google Inc. (Google)',
+    renderer: 'ANGLE (Google, Vulkan 1.3.0 (SwiftShader Device (Subzero) (0x0000C0DE)), SwiftShader driver)',
+    limits: {
+        MAX_TEXTURE_SIZE: 8192, MAX_RENDERBUFFER_SIZE: 8192, MAX_VIEWPORT_DIMS: [8192, 8192],
+        MAX_VERTEX_UNIFORM_VECTORS: 256, MAX_FRAGMENT_UNIFORM_VECTORS: 256, MAX_VARYING_VECTORS: 31,
+        ALIASED_LINE_WIDTH_RANGE: [1, 1], ALIASED_POINT_SIZE_RANGE: [1, 1024], MAX_SAMPLES: 4, MAX_3D_TEXTURE_SIZE: 2048
+    },
+    frameMs: 35
+};
+
+const SCENARIOS = [
+    {
+        name: 'authentic',
+        description: 'Chrome on a MacBook in Ho Chi Minh City with a real GPS fix',
+        browser: {},
+        expected: {
+            riskLevel: 'LOW',
+            indicators: {
+                location: [],
+                environment: [],
+                devTools: [],
+                console: [],
+                extensions: [],
+                deviceMasking: [],
+                vpn: [],
+                automation: []
+            }
+        }
+    },
+    {
+        name: 'devtools-spoofed',
+        description: 'DevTools opened with F12 in its own window, Sensors panel set to Google HQ',
+        browser: {
+            geolocation: {
+                // The Sensors override answers instantly with the preset and a 150 m accuracy
+                coords: { latitude: 37.4224764, longitude: -122.0842499, accuracy: 150 },
+                delayMs: 0
+            }
+        },
+        monitor: true,
+        interact: window => {
+            window.document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'F12', bubbles: true }));
+        },
+        expected: {
+            riskLevel: 'CRITICAL',
+            indicators: {
+                location: [
+                    'FAST_GEOLOCATION_RESPONSE',
+                    'TIMEZONE_MISMATCH',
+                    'DEVTOOLS_ACCURACY_SIGNATURE',
+                    'DEVTOOLS_DEFAULT_LOCATION',
+                    // Google HQ is also within 0.001 degrees of the Android emulator default
+                    'EMULATOR_COORDINATES',
+                    'LOCATION_UNTRUSTED_DEVTOOLS'
+                ],
+                environment: [],
+                devTools: ['DEVTOOLS_REALTIME'],
+                console: [],
+                extensions: [],
+                deviceMasking: [],
+                vpn: [],
+                automation: []
+            }
+        }
+    },
+    {
+        name: 'extension-spoofed',
+        description: 'Vytal replaces the Geolocation API and the timezone with Paris; the locale stays Vietnamese',
+        browser: {
+            html: `<!DOCTYPE html><html data-vytal="on"><head>
+                <script src="chrome-extension://${VYTAL_EXTENSION_ID}/content.js"></script>
+                </head><body></body></html>`,
+            geolocation: {
+                coords: { latitude: 48.856613, longitude: 2.352222, accuracy: 1 },
+                source: 'function getCurrentPosition(success, error, options) {\n' +
+                    '    const spoofed = JSON.parse(localStorage.getItem("vytal-location"));\n' +
+                    '    return success({ coords: spoofed, timestamp: Date.now() });\n}'
+            },
+            intl: { timeZone: 'Europe/Paris', locale: 'vi-VN' }
+        },
+        expected: {
+            riskLevel: 'CRITICAL',
+            indicators: {
+                // The spoofed timezone matches Paris; only the locale group disagrees, which is below the threshold
+                location: ['ACCURACY_TOO_HIGH', 'SPOOFER_ACCURACY_SIGNATURE', 'GPS_FIELDS_MISSING', 'GEOLOCATION_API_HOOKED'],
+                environment: [],
+                devTools: [],
+                console: [],
+                extensions: [
+                    'KNOWN_EXTENSION_ARTIFACT',
+                    'GEOLOCATION_API_MODIFIED',
+                    'EXTENSION_DOM_ELEMENTS',
+                    'KNOWN_SPOOFING_EXTENSION_ID'
+                ],
+                deviceMasking: [],
+                vpn: [],
+                automation: []
+            }
+        }
+    },
+    {
+        name: 'vpn',
+        description: 'NordVPN browser extension with WebRTC leak protection, real GPS fix',
+        browser: {
+            globals: { nordvpn: { connected: true, server: 'de1234.nordvpn.com' } },
+            rtcPeerConnection: { patched: true },
+            navigator: { connection: { type: 'other', effectiveType: '4g', rtt: 150 } }
+        },
+        expected: {
+            riskLevel: 'CRITICAL',
+            indicators: {
+                location: [],
+                environment: [],
+                devTools: [],
+                console: [],
+                extensions: ['WEBRTC_MODIFIED', 'EXTENSION_GLOBAL_OBJECT'],
+                deviceMasking: [],
+                vpn: ['VPN_GLOBAL_OBJECT', 'WEBRTC_LEAK_PROTECTION', 'UNUSUAL_CONNECTION_TYPE'],
+                automation: []
+            }
+        }
+    },
+    {
+        name: 'rdp',
+        description: 'Chrome inside a Windows VM reached over RDP at 16-bit colour, no audio or devices redirected',
+        browser: {
+            navigator: {
+                userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+                platform: 'Win32',
+                language: 'en-US',
+                languages: ['en-US'],
+                hardwareConcurrency: 1,
+                deviceMemory: 1
+            },
+            screen: { width: 1024, height: 768, colorDepth: 16, pixelDepth: 16, devicePixelRatio: 1 },
+            window: { innerWidth: 1024, innerHeight: 648, outerWidth: 1024, outerHeight: 728 },
+            webgl: SWIFTSHADER_WEBGL,
+            // The virtual display of the RDP session refreshes at 30 Hz
+            animationFrames: { intervals: () => 1000 / 30 },
+            audio: null,
+            mediaDevices: [],
+            intl: { timeZone: 'Asia/Ho_Chi_Minh', locale: 'en-US' }
+        },
+        monitor: true,
+        // The client sends the pointer position with each 50 ms screen update: the cursor crosses
+        // the form in straight 120 px jumps
+        interact: window => {
+            let time = 1000;
+            [[1, 0.5], [-0.5, 1], [1, -0.25], [-1, -0.5], [0.25, 1]].forEach(([dx, dy], move) => {
+                for (let i = 0; i < 8; i++) {
+                    const x = 100 + Math.round(move * 40 + i * dx * 120 / Math.hypot(dx, dy));
+                    const y = 100 + Math.round(move * 30 + i * dy * 120 / Math.hypot(dx, dy));
+                    const event = new window.MouseEvent('mousemove', { clientX: x, clientY: y, bubbles: true });
+                    Object.defineProperty(event, 'timeStamp', { value: time });
+                    window.document.body.dispatchEvent(event);
+                    time += 50;
+                }
+                time += 400 + move * 150;
+            });
+        },
+        expected: {
+            riskLevel: 'CRITICAL',
+            indicators: {
+                location: [],
+                environment: [
+                    'RDP_COMMON_RESOLUTION',
+                    'RDP_LOW_COLOR_DEPTH',
+                    'MOUSE_LINEAR_PATHS',
+                    'MOUSE_POSITION_JUMPS',
+                    'MOUSE_QUANTIZED_SAMPLING',
+                    'MOUSE_CONSTANT_VELOCITY',
+                    'GPU_SOFTWARE_RENDERING',
+                    'FRAME_RATE_DEVICE_MISMATCH'
+                ],
+                devTools: [],
+                console: [],
+                extensions: [],
+                deviceMasking: [
+                    'WEBGL_SOFTWARE_RENDERER',
+                    'AUDIO_CONTEXT_BLOCKED',
+                    'LOW_CPU_CORES',
+                    'LOW_DEVICE_MEMORY',
+                    'VM_RESOLUTION_LOW_COLOR_DEPTH',
+                    'MEDIA_DEVICES_MASKED',
+                    'GENERIC_LANGUAGE_PLATFORM'
+                ],
+                vpn: [],
+                automation: []
+            }
+        }
+    },
+    {
+        name: 'headless-automation',
+        description: 'Puppeteer driving headless Chrome on a Linux server with its default launch options',
+        browser: {
+            navigator: {
+                userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) HeadlessChrome/124.0.0.0 Safari/537.36',
+                platform: 'Linux x86_64',
+                language: 'en-US',
+                languages: ['en-US'],
+                webdriver: true
+            },
+            screen: { width: 800, height: 600, colorDepth: 24, pixelDepth: 24, devicePixelRatio: 1 },
+            window: { innerWidth: 800, innerHeight: 600, outerWidth: 0, outerHeight: 0 },
+            webgl: SWIFTSHADER_WEBGL,
+            mediaDevices: [],
+            chrome: null,
+            notifications: { permission: 'denied', state: 'prompt' },
+            cdpRuntime: true,
+            intl: { timeZone: 'Asia/Ho_Chi_Minh', locale: 'en-US' }
+        },
+        expected: {
+            riskLevel: 'CRITICAL',
+            indicators: {
+                location: [],
+                environment: ['GPU_SOFTWARE_RENDERING'],
+                // Puppeteer reads the console through the Runtime domain, as an open DevTools does
+                devTools: ['CONSOLE_USAGE'],
+                console: [],
+                extensions: [],
+                deviceMasking: ['WEBGL_SOFTWARE_RENDERER', 'MEDIA_DEVICES_MASKED'],
+                vpn: [],
+                automation: [
+                    'AUTOMATION_WEBDRIVER',
+                    'AUTOMATION_HEADLESS_USER_AGENT',
+                    'AUTOMATION_CHROME_RUNTIME_MISSING',
+                    'AUTOMATION_PERMISSIONS_INCONSISTENT',
+                    'AUTOMATION_ZERO_OUTER_DIMENSIONS',
+                    'AUTOMATION_CDP_RUNTIME'
+                ]
+            }
+        }
+    }
+];
+
+module.exports = { SCENARIOS };
@@ -0,0 +1,43 @@
+// Runs the full analysis for every recorded scenario in test/scenarios.js and checks the exact
+// indicators of each report section and the overall risk level.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createBrowserEnv, indicatorCodes } = require('./browser-env');
+const { SCENARIOS } = require('./scenarios');
+
+/**
+ * @description Analyzes the scenario the way a page would: a one-off analyze(), or monitor() with
+ * the scenario's interaction in between and analyze() on the session.
+ */
+async function analyzeScenario(scenario) {
+    const env = createBrowserEnv(scenario.browser);
+    const { Fraudinator } = env.window;
+    try {
+        if (!scenario.monitor) {
+            return await Fraudinator.analyze();
+        }
+        const session = Fraudinator.monitor();
+        try {
+            await scenario.interact(env.window);
+            return await session.analyze();
+        } finally {
+            session.stop();
+        }
+    } finally {
+        env.close();
+    }
+}
+
+SCENARIOS.forEach(scenario => {
+    test(`${scenario.name}: ${scenario.description}`, async () => {
+        const report = await analyzeScenario(scenario);
+
+        const indicators = Object.fromEntries(Object.keys(scenario.expected.indicators)
+            .map(section => [section, indicatorCodes(report[section].indicators)]));
+        assert.deepStrictEqual(indicators, scenario.expected.indicators);
+        assert.strictEqual(report.overall.riskLevel, scenario.expected.riskLevel);
+        assert.deepStrictEqual(indicatorCodes(report.overall.allIndicators).sort(),
+            Object.values(scenario.expected.indicators).flat().sort());
+    });
+});
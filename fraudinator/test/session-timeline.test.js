@@ -0,0 +1,129 @@
+// Session timeline: every detection is recorded with when it happened, the module that saw it and
+// the evidence, and the timeline is part of the analysis report.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createBrowserEnv } = require('./browser-env');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const summarize = timeline => Array.from(timeline, event => `${event.type} ${event.source}`);
+
+test('puts DevTools opened during monitoring before the geolocation call in the report', async () => {
+    const env = createBrowserEnv();
+    const { window } = env;
+    try {
+        const session = window.Fraudinator.monitor();
+        window.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'F12' }));
+        await sleep(50);
+        const report = await session.analyze();
+        session.stop();
+
+        assert.deepStrictEqual(summarize(report.timeline), [
+            'devtools-detected devtools-detector.js',
+            'analysis-started script.js',
+            'geolocation-requested script.js',
+            'geolocation-received script.js',
+            'analysis-completed script.js'
+        ]);
+
+        const [devTools, , requested, received, completed] = report.timeline;
+        assert.deepStrictEqual({ ...devTools.evidence }, { method: 'keyboard-F12' });
+        assert.deepStrictEqual(Array.from(devTools.indicators), ['DEVTOOLS_REALTIME', 'LOCATION_UNTRUSTED_DEVTOOLS']);
+        assert.ok(requested.at - devTools.at >= 50, 'DevTools opened at least 50 ms before the request');
+        assert.ok(received.at >= requested.at);
+        assert.strictEqual(received.evidence.accuracy, 23);
+        assert.deepStrictEqual({ ...completed.evidence }, {
+            suspicionScore: report.overall.suspicionScore,
+            riskLevel: report.overall.riskLevel
+        });
+        assert.deepStrictEqual(Array.from(session.getTimeline(), event => event.at), Array.from(report.timeline, event => event.at));
+    } finally {
+        env.close();
+    }
+});
+
+test('records page-load, runtime and mutation observer detections with their evidence', async () => {
+    const docked = { innerWidth: 1440, innerHeight: 475, outerWidth: 1440, outerHeight: 875 };
+    const env = createBrowserEnv({ window: docked });
+    const { window } = env;
+    try {
+        const detector = new window.FraudDetector();
+        detector.startMonitoring();
+        const injected = window.document.createElement('span');
+        injected.setAttribute('data-vytal', '1');
+        window.document.body.appendChild(injected);
+        await sleep(0);
+        detector.stopMonitoring();
+
+        // The random-interval check only records DevTools it has not seen before
+        detector.devToolsDetected = false;
+        detector.detectDevToolsRuntime();
+
+        const timeline = detector.getTimeline();
+        assert.deepStrictEqual(summarize(timeline), [
+            'devtools-detected script.js',
+            'extension-artifact script.js',
+            'devtools-detected script.js'
+        ]);
+        assert.deepStrictEqual({ ...timeline[0].evidence }, { method: 'page-load' });
+        assert.deepStrictEqual({ ...timeline[1].evidence }, { attribute: 'data-vytal', element: 'span' });
+        assert.deepStrictEqual(Array.from(timeline[1].indicators), ['EXTENSION_DOM_ARTIFACT']);
+        assert.deepStrictEqual({ ...timeline[2].evidence }, { method: 'runtime-dimensions', widthDifference: 0, heightDifference: 400 });
+        assert.ok(timeline.every((event, index) => index === 0 || event.at >= timeline[index - 1].at));
+    } finally {
+        env.close();
+    }
+});
+
+test('records location updates and the anomalies they reveal', async () => {
+    const env = createBrowserEnv({ now: new Date('2024-01-15T12:00:00Z') });
+    const { window } = env;
+    try {
+        const detector = new window.FraudDetector();
+        const analyzer = new window.LocationBehaviorAnalyzer();
+        analyzer.setFraudDetector(detector);
+
+        analyzer.analyzeLocationUpdate({ coords: { latitude: 10.823123, longitude: 106.629712, accuracy: 23 } });
+        env.advanceClock(60 * 1000);
+        analyzer.analyzeLocationUpdate({ coords: { latitude: 21.028511, longitude: 105.804817, accuracy: 31 } });
+
+        const timeline = detector.getTimeline();
+        assert.deepStrictEqual(summarize(timeline), [
+            'location-update location-behavior-analyzer.js',
+            'location-update location-behavior-analyzer.js',
+            'behavior-anomaly location-behavior-analyzer.js'
+        ]);
+        assert.deepStrictEqual(Array.from(timeline[2].indicators), ['IMPOSSIBLE_TRAVEL_SPEED']);
+        assert.strictEqual(timeline[2].evidence.samples, 2);
+    } finally {
+        env.close();
+    }
+});
+
+test('records a refused geolocation request', async () => {
+    const env = createBrowserEnv({ geolocation: { error: { code: 1, message: 'User denied Geolocation' } } });
+    try {
+        const detector = new env.window.FraudDetector();
+        await assert.rejects(detector.analyzeLocation());
+
+        const failed = detector.getTimeline().pop();
+        assert.strictEqual(failed.type, 'geolocation-failed');
+        assert.deepStrictEqual({ ...failed.evidence }, { code: 1, message: 'User denied Geolocation' });
+    } finally {
+        env.close();
+    }
+});
+
+test('keeps only the newest events beyond its limit', async () => {
+    const env = createBrowserEnv();
+    try {
+        const timeline = new env.window.SessionTimeline({ maxEvents: 2 });
+        ['first', 'second', 'third'].forEach(step => timeline.record('analysis-started', 'test', { step }));
+
+        assert.deepStrictEqual(Array.from(timeline.getEvents(), event => event.evidence.step), ['second', 'third']);
+        assert.strictEqual(timeline.droppedEvents, 1);
+    } finally {
+        env.close();
+    }
+});
@@ -0,0 +1,48 @@
+// Timezone consistency check of FraudDetector.detectLocationSpoofing(): the browser's timezone must
+// observe the same UTC offset as the timezone at the coordinates, at the instant of the analysis.
+// Each case runs the real detector with a faked browser timezone and clock.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createBrowserEnv } = require('./browser-env');
+
+const WINTER = new Date('2024-01-15T12:00:00Z');
+const SUMMER = new Date('2024-07-15T12:00:00Z');
+
+const CASES = [
+    { name: 'Vietnam: Asia/Saigon with Ho Chi Minh City coordinates', timezone: 'Asia/Saigon', lat: 10.8231, lng: 106.6297, expected: 'AUTHENTIC' },
+    { name: 'New York: America/New_York with NYC coordinates', timezone: 'America/New_York', lat: 40.7128, lng: -74.0060, expected: 'AUTHENTIC' },
+    { name: 'London: Europe/London with London coordinates', timezone: 'Europe/London', lat: 51.5074, lng: 0, expected: 'AUTHENTIC' },
+    { name: 'UTC with Greenwich coordinates', timezone: 'UTC', lat: 51.4769, lng: 0, expected: 'AUTHENTIC' },
+    { name: 'Vietnam timezone with NYC coordinates', timezone: 'Asia/Saigon', lat: 40.7128, lng: -74.0060, expected: 'SPOOFED' },
+    { name: 'NYC timezone with Vietnam coordinates', timezone: 'America/New_York', lat: 10.8231, lng: 106.6297, expected: 'SPOOFED' },
+    { name: 'Tokyo: Asia/Tokyo with Tokyo coordinates', timezone: 'Asia/Tokyo', lat: 35.6762, lng: 139.6503, expected: 'AUTHENTIC' },
+    { name: 'LA: America/Los_Angeles with LA coordinates', timezone: 'America/Los_Angeles', lat: 34.0522, lng: -118.2437, expected: 'AUTHENTIC' },
+    { name: 'China: Asia/Shanghai with Kashgar coordinates (Beijing time used in Xinjiang)', timezone: 'Asia/Shanghai', lat: 39.47, lng: 75.99, expected: 'AUTHENTIC' },
+    { name: 'India: Asia/Kolkata (UTC+5:30) with Delhi coordinates', timezone: 'Asia/Kolkata', lat: 28.61, lng: 77.21, expected: 'AUTHENTIC' },
+    { name: 'Spain: Europe/Madrid with A Coruña coordinates in summer', timezone: 'Europe/Madrid', lat: 43.36, lng: -8.41, date: SUMMER, expected: 'AUTHENTIC' },
+    { name: 'Argentina: America/Argentina/Buenos_Aires with Ushuaia coordinates', timezone: 'America/Argentina/Buenos_Aires', lat: -54.80, lng: -68.30, expected: 'AUTHENTIC' },
+    { name: 'Nepal: Asia/Kathmandu (UTC+5:45) with Kathmandu coordinates', timezone: 'Asia/Kathmandu', lat: 27.72, lng: 85.32, expected: 'AUTHENTIC' },
+    { name: 'India timezone with Kathmandu coordinates (15 minutes apart)', timezone: 'Asia/Kolkata', lat: 27.72, lng: 85.32, expected: 'SPOOFED' },
+    { name: 'Portugal: Europe/London with Lisbon coordinates (same offset all year)', timezone: 'Europe/London', lat: 38.72, lng: -9.14, expected: 'AUTHENTIC' },
+    { name: 'Korea: Asia/Tokyo with Seoul coordinates (both UTC+9)', timezone: 'Asia/Tokyo', lat: 37.57, lng: 126.98, expected: 'AUTHENTIC' },
+    { name: 'Berlin timezone with London coordinates in summer', timezone: 'Europe/Berlin', lat: 51.5074, lng: -0.1278, date: SUMMER, expected: 'SPOOFED' }
+];
+
+CASES.forEach(({ name, timezone, lat, lng, date = WINTER, expected }) => {
+    test(`${expected}: ${name}`, async () => {
+        const env = createBrowserEnv({ intl: { timeZone: timezone, locale: 'en-US' }, now: date });
+        try {
+            const detector = new env.window.FraudDetector();
+            detector.locationData = { latitude: lat, longitude: lng, accuracy: 25, responseTime: 800 };
+
+            const { spoofingIndicators } = await detector.detectLocationSpoofing();
+            const mismatch = spoofingIndicators.find(indicator => indicator.code === 'TIMEZONE_MISMATCH');
+
+            assert.strictEqual(mismatch ? 'SPOOFED' : 'AUTHENTIC', expected,
+                mismatch ? mismatch.message : `no mismatch reported for ${timezone}`);
+        } finally {
+            env.close();
+        }
+    });
+});
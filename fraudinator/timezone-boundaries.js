@@ -0,0 +1,430 @@
+// Generated by tools/build-timezone-boundaries.js - do not edit by hand.
+// Timezone boundaries from timezone-boundary-builder via geo-tz 8.1.9 (© OpenStreetMap contributors, ODbL),
+// simplified to 0.1° and stored as encoded polylines (lat/lng, 2 decimal places).
+const TIMEZONE_BOUNDARIES = {
+    source: 'timezone-boundary-builder (geo-tz 8.1.9)',
+    precision: 2,
+    tolerance: 0.1,
+    zones: {
+        'Africa/Abidjan': ['ug@vt@F_@g@?^^', 'gn@|s@BEI?DD', 'sh@vs@|@GLcBdAa@N}@zAG`Bj@rCMgCyIOwB?rAYiI\\cDm@IBw@eBAQj@}Ef@sAw@mCa@s@y@gDv@wAQFXaBjARxDn@d@]h@L`@k@v@qAZ]lBr@`AEd@s@CK`@c@WDf@ZBUh@|@??x@h@RIjC?aCs@lBdBhBTuA?hAj@Hj@WCc@h@L\\e@l@n@h@{@n@EYlBt@H\\eBH`AbB\\Il@pA_@bBZ?iCBlC', 'cb@fQAUEHFJ'],
+        'Africa/Accra': ['kh@jSfE_AAYeA?tBQp@?BlAj@FfAoEoEgN_@cDuAIo@pAsAr@sGKO[cBdAQ]s@H?~AAcBs@MOpBSkA}AG[L?dA?gAUG_AzA}AKMv@r@`ASvLlAXf@a@hFUf@TfDw@r@x@lC`@rAv@Z??sAJxA', 'kdA?XACCUD'],
+        'Africa/Addis_Ababa': ['sp@gmE\\IJkCgA?fA??kCjC??mCvG??wGrE??mCdA??kCdA??wG?vGeA??jCxBkDGqAp@iE}A}@qAwDbAmAAgCm@m@YaDmAcAk@iC?`AEyGeCcB{MoN?dEwA`GdA?eA?oBrIsAjByCpBdA?mC`@cAa@AjCMkCYr@XdDwCGsCoB}H~G_B`DXh@e@z@d@nAo@Pn@jC_BjBlCnAs@n@d@p@EzAzHrAFzAxD~B~AR?k@?l@dAKj@h@k@`@dA~@?_@@`@rAI|Bj@|DG^nAKhB|@Dd@d@', 'ws@wnE?YEJDL', 'ws@woE?w@Gb@FR', 'io@mpEd@mA|C}BL}BeA??lCkC??zD', 'ccAewE?CA@@@', 'wh@}wEh@{@pB@v@_@sE??xA', 'cb@wzEx@_@JwFeA??vG', 'y\\{~E~@k@?_Dl@qAeAC?lCkC??jCbBF', 'qcAakGLAOK@L'],
+        'Africa/Algiers': ['erDdu@nG?zOwZeAAdA??kC?jCvRo]?uClC??kCdA??kCdA??mCjC??wG?vGkC??lCh@wAjCX\\k@{AmNcGqHkC{EAlC?mCwK}TyCbAJd@gAfBQhCcCb@qD|ByAeByBX}Bc@{FV~@?kCTeB~@e@]sJ`BqAlC_AFsBtB?jC?kCeAZ?nB?oB}@JmA{A?r@Aw@u@}@e@L_Ae@OX{BH_B]Or@_AgBQl@Ai@k@JYbMr@lCW|IXrE~@jJVv@?kC?lC`AjCBkC?jCdAhGbBdBBhAx@@|@_BVTX_@rC@?y@@|@XYbANbBs@r@qA`@j@?gB?hBr@?GnI`AQXjCBmC@hDhBVM[l@Wv@\\L|A?{BL`D~B~DnAt@Yp@PlGhCxF?gC^zD', 'aeCkCfA}AdA@ZuAz@i@CmAv@e@K{@XYsA??jCeA??jCmC??lC', '}gFgf@?IA?@H', '}gFck@?yAEx@D^', '_{Ews@GG?FF?', 'udFws@XAOGIH', '{jDo|@KG?FJ?', 'yqCuiAEIEBJD', 'erCuiA?EIDH?'],
+        'Africa/Asmara': ['y}AubFtDY@{A_@Y?tB?yE_Bs@~AkBo@kCn@QgAYx@YYQd@cAWk@~AaD|H_HV{@wAwB{A~AaBj@LZ}ArB}BlBaAlB`A?qAPy@mAeALe@l@d@?i@BKv@}Bd@JnC_@p@yFhBZ|@nAl@h@rCr@TAnA|CD|EjB', 'ayAmhFl@_@m@[?z@'],
+        'Africa/Bamako': ['g{AnkAdAGj@m@~AR~@c@D_C?dAdAg@?]@`@hBMz@Z^o@k@_Av@_@?]eAMt@?g@i@f@aCk@eAi@LAkAfBo@z@Jt@cBrA~@KkAtAFlA_BeAW?kCeA??yGwG??kCsE??kCeA??kCkC??yGgA??kCeA??eL?dLdA?CcAy@iAZwGcAyBQyLaAeAkCaAcPM^xD]j@kCYu@pBJz@w@d@BlAs@^c@~AeAA}Tt`@bA?eA@eAjBGfJxq@wDgAEdA??kC@jCdAAd@w@dD`@?|Vg@?r@L?fG~@`@?fA?cAgBxBRd@`CPV\\?kC@dE', 'wuB_UBkC?jCdA?iA?', 'siAhbAFUIG@\\', 'q~@zp@BIIEDN', 'y_Aho@Ou@f@OReAi@S?y@}@ATg@c@e@d@?A{CgBDeAy@oAf@a@cC}@cAsANGs@eAXoAkAZAf@kBUe@sAFJoAqAG?hCdA??jCdA??jCrE??jCvG??xGdA??jCb@?', 'y`A`f@l@CRo@eAgBBzC', '{vA~TAmCm@cA\\gAs@??xGdA?', 'ayAdLr@AaAWy@aD?zDfA?'],
+        'Africa/Bangui': ['ae@cyAf@g@t@B?a@gA?rE??kCvG??kC?jClCkC@VrB[uB}@mCYKqCQk@g@?l@CTq@W_CXWaDJMi@gBaA?Tm@mCvAkCoB??xG?yGdA??kCdA??yG?xGv@W`@qESy@s@GgAiAp@{AaAuC?r@AgAc@Ud@w@AoASq@o@?Wk@bA}D@mAa@i@XcAcCj@aAtC]Oq@n@i@QeAlA?fC?gC{A|CmACy@fAW`CoAGCnCw@I?Vy@e@oBCkC|AbA?eA?eA~@QjAdAzCdA?dF~F?aC?`EXtAj@?m@BHhCz@[zBjBJvDr@xA?iAd@xCeAj@t@pAn@@m@?`@fAO~@`BbA?_A?~@pCjAh@dA', 'cb@e}CAmCfA??kC?jCeA??lC', '}_@yyAL[zBS@kCeA??jCkC??`@dAL', 'q[i{AdAaA?iAeA??jC', 'cXg}AbBmAkC??hAf@B', '{TesBDEI@BB', 'kv@{tBLS_@CPV', 'w]m~BdAK?_CeA??jC', 'q[y~B^YDeBe@??~B', 'w]cyCDUEE?Z', '}_@u_DDEEE?J', '__@kjDREKCGH'],
+        'Africa/Banjul': ['orAjiBz@G?k@UM?qDc@?EiBk@c@hAqCi@oBWr@Tv@kApCFt@f@Z?tGl@\\'],
+        'Africa/Bissau': ['okArhBTEW?@D', 'qkAlhB~Eq@zAcD?{A}@kAgB{@i@}D{@Ae@r@Su@?hAdA??lCdA??jCjC??jC?kCkC??kCeA??mCmC??lFn@tA`@lF', 'cnAh~AC_BAnADN', '{kAzvAAoAeAH?dAfA?'],
+        'Africa/Blantyre': ['btAekEnAaAO]V_@nBgAi@yB?hB?aCnDg@|BbAdDcCVgAeAVy@[g@gBqGGkFdE?r@}D^X??vGpE?kC?pAXf@p@', 'xnA{lEn@UeA?TT', '|y@}lEpAqAj@FhBkA|@xAdAW?kAqE??kCs@?yApAl@Ry@dE', 'bnAqmE?wGaBLqBs@?d@EeBgBdAgDFAbD|I?kC??lA`@XnCEl@y@x@bB', 'v~@ivE?Uq@Tp@?', 'hiBazEVUe@?LT', '`jBwzEA]q@D?Vr@?'],
+        'Africa/Brazzaville': ['tX{cAfBoBfBu@kBkBWmA[BxAwBm@?bAMg@y@u@ANg@o@_BzB?Bo@wBmBQu@AjC?kCc@OOaAmBy@sFC}DgCkBkC?hCWaDeADsBy@uBTuBm@uCGoDgBaBZ`@|@m@nCj@lD`AP?iA?hAdA?xBrAvAQTTu@|@OdDi@~@FdGxDZ_@mErB_A|AjBjBVrAiC`GPNb@p@TTU`@^Il@eAR`Av@BdDdA??lCdA?@t@Zu@bAHRn@m@j@tBrA', 'zM_gAtAC?_FeA??kCQfA}Ab@M^v@?{@@Lh@rBGQpBb@d@a@f@', 'rPcgAn@s@PZ@y@eA?@pA', 'hTadBWGYDp@@', '_U}fB?k@GRFV', 'cUmhBB_@GPBL'],
+        'Africa/Bujumbura': ['pPgtDz@s@vCDrBi@B_Ae@w@KdB?iBaCmA_AmAu@Aa@zB[{@ATcAGV`AU`@rALNfA`A?aA?ChB', 'pPgtD?gAU@Ur@j@P', 'pPwwD?]CJBP'],
+        'Africa/Cairo': ['i{DayC|DeAzk@??ar@t@kAGyAm@O?}QiAT_BvAkC??jC?kC]HaAhBwFbD|@?eADmEfC~@?mGf@cAu@y@JaH{AoJfCc@d@b@vGyAtCI~DTlCvBjF_BdIu@|Hd@nCp@r@xB_@`CfA', 'gcDkwEb@w@u@a@WbAh@T'],
+        'Africa/Casablanca': ['ukD|rA?M[@ZJ', 'qlDprAZAGi\\gE?Ym@EjCrE??~T?_UsE??kCkC??yGeA??yGeA??kCgA??kCwG??kCeA??eLgA?fA??dLdA??jCdA?]wGaAP@_JI\\eA{@yAjB}C^?pApE?oORSnA`@`Ao@m@W`Ad@r@D~FuBbDFbCrJ`EjClIjCrClBTnCfBfDFn@u@o@?v@CzChBpEbGfArGdAbA', '_|Dn|@@iC?hCA?', 'esDvs@iC_GQoGXo@oAu@gCuEEjCfA??jCdA??xGdA??xGjC?', 'e~DjYMmBw@U?bCdA?', 'k`EjY?eCm@PLZkB]?tBjC?', '}qEdLAuAcAEy@XSQY^WUm@hArF?'],
+        'Africa/Ceuta': ['_`Fv`@XG@cAe@PHx@', 'c_Ff`@D{@E??z@', 'o{EpQK_@MBXZ', '{{EpPSg@KR^R', '{zErNBIGIBR'],
+        'Africa/Conakry': ['uaAf`Bl@Qe@_ANkA?Tb@EjCuDz@NPmA|@YOsAwAsA?jCAkCcAa@Qu@EqEdCgBh@ND_@p@CcA?|AQlAn@s@sBRcE@dBNa@z@MdCLTcAU?EgAy@S^}AcB]DUe@FEp@w@IXmBmA\\C`CrE??jC?kC{S?Rl@wAk@o@nA{@K?dACiAaAb@?d@Ci@]R@jAh@Mj@dAg@|B`AbAItBCaBs@`@j@~@a@p@k@[IVZnDq@hBN`@_@?C`CfACRt@d@s@z@@h@|DfBz@|@jA?j@', 'cm@bx@d@EOs@UC?|@', '}u@vs@?aBg@CMg@]d@i@MMt@{AF{@i@cAjA_BDfMN'],
+        'Africa/Dakar': ['i{A|mBx@a@?s@h@c@bCu@S??wGeA??kC?jCdA?WoAjAqCUw@Vs@h@nBiApCn@r@@xAb@??pDTr@vBHh@Yg@kCi@??jC?wGeA?dA??eLeA?dACBw@^?Oa@p@iBQcEuBAiAl@Hl@oAn@m@W}Ap@o@K_ExEwA\\K|AiB`BXbKxAh@Al@|DdBdAfB', 'utAlhBV??uGWI?~G', 'cnA`dBh@AD_Bo@uA?vD', 'orAnhA?_@KXJD'],
+        'Africa/Dar_es_Salaam': ['j\\ivDrE{@j@XdAMjCcCeA?dAAfHmCNsA`B{BJaB~AiERyAm@SrBcBbEMhBeACgC]e@ZeA^G@wAa@]ZuBsAqBCjCFgEXg@gBgG?pA?sAsBkD{BdCuDb@wE{@gDCkB`AwHm@QrAd@n@mG~I{AKo@nAbA?eABeJxRDhT?gR?pPxR??lCdA??jCjC?kC??kCeA??mCkC??vAvCzAd@v@C~@p@T', 'zPa}DVwAt@@t@~@?sAyG?p@VHv@xAX', 'vEi}DpBmAzASsE?D`B'],
+        'Africa/Djibouti': ['yfAadGfBE?mAw@?x@A[uAVaAaE{B?hCCkCoB?Mt@e@BvAvBa@n@lEhC', 'imAmoGl@C]IOL'],
+        'Africa/Douala': ['eZks@FKs@@j@H', '}Yws@`CaEnBcAjC^Zq@aI??jCkC??jCr@?', 'u[ws@BkCqE??n@tANvBjA', 'ob@gv@J{@{A?nAz@', 'kd@cx@dL??kCxG??eb@?~T`@?NqOfBuHgG\\kDfDmB\\]n@dA?eA??lCAmCcAN?|B?}BeA^{BQg@f@i@eAqCkA?jA?kAkCwAyD~AYbAiD|CgAm@J{FoDnAkFCa@f@}AJbAJgA@Wh@{@N?lAdCQH{@pA{@l@j@VSdAxAKj@z@n@hFjAw@BnBXLd@?cAVdB|BL`AhBfCf@?yB?zB`C`@Pn@zAf@@`A_@?Eb@yAdA~ABy@?N`A[JdA~@UJv@L^fAhAh@', 'kNo|@h@ATc@GsFw@??xG', 'kNieAx@AY[@mBa@??jC', 'c}@u_BIk@]j@f@?'],
+        'Africa/El_Aaiun': ['iaCfkBNu@qBS?uWmHVmA{Ai@cC}NIClClN??jCbL??|T?}TcL??kCmN??_UwG?vG??}AiI?Fv\\zC~@bC~DtGlApDfExGnB?aB@jBj@|@zGz@', 's`C`kBLIM]?f@'],
+        'Africa/Freetown': ['aw@jsAnDId@o@jADvCeI{BeB?vH?yGkN?|I?U}Dw@Cf@rAyCYE^i@OmCvB^vFbA`@@mC?lCvArANrA', 'cm@heAmAaC_AI?jClC?', 'yt@|`AKQWLb@B'],
+        'Africa/Gaborone': ['ltC_|BjD?jA}A`DiA~Aj@|AMUg@J_D_CmDuDyAGwAhA_Bb@uCc@sDqDu@[wBgAsAqCs@y@wBcCyBMwA?`CAkCs@e@GgAa@`Ak@@m@jE_B~@sBCAtAkAJe@dBT?]BcAhB_Cj@cEjCBrB`AJ?kC?vGdA??lC?mCeA?j@x@k@R?vIdA??lC~T??jCpP?qP??kC_U??mCeA?F~C~U??fE|J?', 'fqBifC?wJw@`Av@tH', 'bqBmtCBkCq@?On@|@zA', '`oBmyC?kB[AZlB'],
+        'Africa/Harare': ['`oBy|CbEkC~Bk@jAmBo@?p@Ab@cBjAK@uArBB~A_Al@kEj@A`@_Al@cKyEiFo@Z]a@cA?oBgBkCj@?|AIeB{AZKm@aBM?dC?gCyDEuAj@k@_@y@vEqA|B?jDkA?LfEp@`BrB`@?yCkC??kC?jCjC??jCdA??jClC??lCjC??vGjC?kC??wGkC?bBnCg@~AHtD?mBW`@CtAZ@', 'zlB{iD?{CmC??mCeA?zAhEvB~A'],
+        'Africa/Johannesburg': ['nxOja@?ka@gnB??jC?kCg@?pDv]BeLPxOfiB?', 'tmLb^?KC?BJ', '~rDaeBvEiBqEA?mC?jCpE@rEaBbAk@cA?dAAhBqApAQrB~AfI}BrBgJgAoDWuEg@eBq@?p@?EqPsAyGcBeE_JsL?fACsAo@w@qJ}FeDoEcJoBUxEdBD?`BWbAgAbAiA?qCeBh@cCiHEsDhAdA?sHhAK`Ad@??dLdA??jCjC??lCrE??jCdA??jCrE??dL?wGq@?A|DaBtDL|AnDrAbBvC?kCeA??kCmC??mC?lClC??jCdA??jCdA??xG~I??jCdA??dL?wG}@@HzCg@zC_A?w@j@?z@fA\\~@pA', 'bxD{gDQy@eAUd@?e@_@?^aBwCUyAd@e@y@Ax@?pB}BbAz@n@A|@dD?aBJzBz@J?gCPnCeApCe@EgBlA', 'juDsuB?mCeA??kC_J??yGeA?ZTK~CTf@}AL_Bk@gElB?x@tT?RtAh@z@^CC|@z@?', 'vyC_|Bf@??y@g@x@', 'raDe}C?mCsE??kC_C?x@t@ZvBnCd@z@dAp@?', 'xxC_fD?kCsE?RrA~Dv@', '~qCshDDw@_@@Xt@', 'drCkjD?kCeA?BfB`Ab@', '~oCmlD?iAeA??mCeA?L`B|BtB', 'pkCesD@wGg@?]xALrCt@h@', 'rkC}{D?mCg@@?jCf@?', 'jdHchFh@g@@}AiB_Ai@zAfBhB'],
+        'Africa/Juba': ['ew@sqC?Wf@N?qANhABmCnAFVaCfAuA~@PzAcDkC??lCmC??jCkC?jC??kClC??mCjC??kCjC??kCrE??mCjC??kC?lCj@QLi@w@kAj@sAgAw@ZaAd@DtAuAcE??vG?wGjC??mCdA?AeLcA?dAAVyAkD{DAyGaCB?fCIkCAjBaC~@?lB?mBaBAoB|C?|A?}A}BbBMdCi@HcBo@?d@C_EY_@sDJAl@aCQ}BnCcDT{B]CnBx@C?{@?|Dn@y@dCO~FlFHxAsBhDh@vA`A@NhBcB??hFnBOVrFQ`A_DtAIt@TnBrAVT`@V|EfCn@', '}j@saDrAmAZVp@o@\\N`AuCpCq@pBeCeD??jCsE??jCkC??jC', 'q[amDDMEC?P', 'kY}{Dx@ApA}Bu@}@\\cAc@{@p@[Ho@m@k@WoB?vKeA??lC', '{[c_F?OUNT?'],
+        'Africa/Kampala': ['tD{wD~AAOm@`@SsAuAMsA@wR}EBo@e@?dA?eAkCeAc@gAiBe@kCHkCbBgB?Qv@yA`@|A`BWxAdA@eA?V|Bl@j@In@q@Zb@~@_@h@Rz@vFp@?g@?f@`@{Ab@SzFdGhDr@?cB?bBtD\\', 'kYisE?EA@@B'],
+        'Africa/Khartoum': ['aoAigC\\WOw@Vq@b@PnAYE[|AJb@eAfBHdA_A}I??jCyG?BjA`Aa@lB~A', 'cnAahCFAGc@?d@', 'cuA}hCLuAeA?v@tA', 'uyA{jC`Ag@VX~II?kC|I??mClC??kC?jCmC??lClC}ApE`@A}DUYcD_@a@o@sAWEi@g@?f@?KuBdD{APaAWsFt@YAqC[G?hCCmCo@o@?{AaAAi@wArBiDIyA_GmFeCNo@x@?o@?jC?}Ey@BBoBzB\\bDU|BoC`CP?m@{Bk@uAFeA{@j@e@k@i@aADCdB?aB_BSyD_C?fBGcE}@C?z@?{@eDaAiGJ}EkB}CE@oAs@Ui@sCuCiCeAWeA^MxAy@Po@lAfApAcDXqESmBlAgAH?xQl@NFxAu@jA?`r@fK??}@FdGzY?l@Ps@BBzC\\`@`AMfA`Ab@Gb@bA'],
+        'Africa/Kigali': ['xNksDh@c@[CBi@d@Q?eAKc@sAMJcDsCKwBhAfArA?c@RlDtCp@t@p@'],
+        'Africa/Kinshasa': ['xc@gjAd@mAk@yBCqT`Bm@?]?d@rDs@jDsBa@iENiDgEa@?sAcCv@AlC?mC_@?e@{@?z@?{@m@c@eHZR{@q@eAaE?uBc@UqAh@qAmA{Ab@[oBPJ}@_@Yx@yCk@uBUNGcBoAPcAxCq@Jc@g@[rCa@_@?{@uBnAyD|@o@vAqAm@o@XB[}@?~@ADaDa@?Ps@s@FAbAw@|@y@a@Y~AoAq@s@iCInCm@Pi@`EM`C^?c@@AbB_Ad@sAjCl@vBfB`AJf@jFMnDfBtCFtBl@tBUpEhA?kCwR?vR??jClC??jCdL??lCpE??jCdA??jCdA??lC?mCeA??kCeA??kCeA?R`EvBlBCn@{B@n@|AOf@t@@h@x@cA|@bAlA?iG?jCdA??jCdA?eC@Xd@bCM\\`B', '|_@cnA?kCeA?DjC~@?', 'jYw_B?iCkC??kCeL??mCgA?@tAb@v@zDfC|ECdC`ALz@d@R', 'pEgjB?sAeA?dArA', 'eLqlCRYS_@?x@', 'kNupC?g@U\\TH'],
+        'Africa/Lagos': ['kp@wOrAWbGJDkIhBeBmCA?dL_J?d@X', '_s@yOl@WkC?|AV', '}u@aPjNO?eLjC??mCrE??kCdA??kC?jCeA??lCqE??jCpEaBbB_Cw@kMk@O?jCCmCwBkA}BCeBcB?f@c@qBw@Mo@gA?qAYCxAeADc@^?QqAMr@?{@{@MSq@{@G?bC?eCsEcA{@gBIVA]qBGe@gA}AGa@m@aDs@{@o@Jk@s@sAwAE?tB?uBk@Eo@dBkCTwBtA?t@dA?eA?f@^@`Ah@h@v@?{@Bp@`@{@xDPjGn@fABmC?lCdA?eA?f@b@CfC_BtDEp@`ArC?aC?|CuBdBy@rDh@rEf@`A|AD`BzAxCE|@f@tCgAv@H?d@l@O~@^BkC?jCpE?qE?@`@pCr@D|@v@H', '{j@o~@XKOaAIlA'],
+        'Africa/Libreville': ['jCct@~IyDxGsGAoAcAm@l@k@Ga@oAW_@x@WW_@l@aBDLeEaA@AlB?iBm@FWk@xBcAFgA{@?z@?DYgAu@jAUWmAUTaAy@aGQiA~Bo@G?pB?sBg@Jy@c@]_AK~@WwAsB~@T`Dn@@k@?Dh@OUqBRk@[?~B?}B_@FEpJbGLCbJt@nAnAJpEtB', 'kCax@?AE?D@', 'dWqbAn@i@o@c@?lA', 'lN}gANIQI@R', 'jNuuADICIAR', 'lNivA?CA@@@', 'lNmvADAEK?L'],
+        'Africa/Lome': ['}aAPRQy@@d@N', 'iaA?z@oAnCBBZ^aAhBFX^vAgAj@Dg@?NTzCHH_@lB`@hDoCKsAg@FGa@oCn@_HM?j@Cm@mB@cAj@h@?kDHkArBa@NyAi@LpAc@`BbB@', 'cz@m@DIKMDV', 'kd@yFHCG[A^'],
+        'Africa/Luanda': ['ffBsfAlCO?uEgAI~@?i@_A?kAxAwBg@Sf@AGeZvAoBf@iNmAoKKl@?e@yE|F_AVwR??f@AcMcA\\m@_@yCTs@YcBRZXQtA\\l@KjCh@p@oANQ_@iA?}AZcBlAcE]kC\\AlC?mCyA@?vFgAONvEjAF?c@eA??kC?jCrE??xGdA??vG?wGeA??yGgA?@x@r@BOhDh@|DsD~BuEh@_An@ApND~Dj@xBQ~@b@FxLyEvCfAtJiDdFd@bBzBdAb@?kCmC??kCcL?bL??jCrE??jC~I??lC|I?}I??mCyG?RtAjIpAdAx@jCL', 'xjBcgABq@GQBbA', 'd_@aiAVOe@CLR', 'tb@uiAb@Q]aBcCLmA_Cy@f@IZZCVlA|AvA|B?', 'ttA}kA?eAeA??kCeA??jCdA~@dAD', '|]cnA@IGCDL', 'ln@axBZE?y@eA?h@~@'],
+        'Africa/Lubumbashi': ['ne@azBfBQ?yByG?Dj@xA?pA~A', 'vh@szB~@e@OcCfAN?wFfF_@~D\\dEiBhA?P^nAOi@q@LsBi@gEd@{@z@RJ{@s@qCy@?dAC?iC?hCdA?d@c@f@iGmAg@Ga@lCqA\\kC~Ao@QQf@c@eA??kC?jCjCY_@}B^C?g@qF?Dl@v@ROvAoAx@_@|@oCGuAk@wAVuAWiB`AeD}C?`A_@iKyFnBdA@eA??jC?kCuAfBwAb@`@?qBSgDv@}AQsBh@wCEyAfAsD{@eAaA?jCCwCiCJuH{A{FeG?fAAiAa@TYxAcEe@w@^Jj@k@@E~@{CpB|@vAk@tAt@pAwDxF`@r@M\\d@?e@@Jl@i@~@AbDn@DZjBk@lAv@|Ar@?s@@n@~Aq@zAVb@tBdA@o@p@Y?oAeA?dACR{@h@hCnAp@X_Bj@T?q@mC?lC??mCpE?eA?BlCYb@h@n@_@rAn@YpAl@n@wArBg@?{@?z@zDeB?z@`@^ZsCd@h@l@MdAyCnAQhAhEw@nC\\b@K|@nBOc@ZlAtAi@tATpAtBb@`E?p@dASz@dEa@?e@kC??kC_J??yGkC??eLsE?rE??dLjC??xG~I??jCdL??xB', 'rp@}fCRI{@@f@F', 'mP_nCh@]b@kBh@AQr@`@??uBkC?BlE', '~eA_}CXE[?@D', '}_@k}C?kAWd@Vd@', 'q[awD?OYDXH'],
+        'Africa/Lusaka': ['zvAohCdL?~@WjEwEAmH`AwBHuDf@_B]gA}DwC{A{DsBa@q@aBMgEcBd@dA?_B?k@eC?dCAmCkCeL?lC?mCwAjAqAeAwANoAyBm@x@oCDa@[?~@AaAcAX}@yAiBjAk@GwAnA_A`EaBzBFt@eAz@^fI?uE?jCjC??jCpP?}I?Bp@xAWxDz@j@G~AqB]_D`G?Ov@[]f@dCwC`B?nACqAk@h@]jCeCnA@f@l@@^x@IrCeA`CdABeA??jCxG??dL|T?}T??bBpE?', 'zlBeqCJGK{@?bA', 'hpAmtC?kCyG??kCeA?j@lDO^[W?hAfFGxA^Z]@\\', 'dcA{tCbAI?kA_@Dc@nA', 'heA_|C?e@K?Jd@', '|dAe}CJCICAF', 'riAsaD@w@EPBd@', 'ngAwhD?KG@FH', 'xx@kpDlB_AnAT?o@sE??kCkC?BfBtAb@fAxA', 'zdBesDKEMBX@', 'vvAqmEGe@KPRR'],
+        'Africa/Malabo': ['xG{`@r@g@s@o@i@n@h@f@', '}Sir@d@MZwAiCsAq@jBxBlA', 'sD{w@XGu@?ZF', 'oEcx@x@A{@cB@dB', 'sFex@`@?X_DOsGiFEDhGWd@\\?o@@In@rA?vCvA'],
+        'Africa/Maputo': ['n}A}{DnDe@?kDpA}Bx@wEj@^pAk@jCTdAUvBbAVa@dARj@IBk@dABnBfBjB\\d@WbDfD?kCkC??mCyG??kCeA?dA??jCxG??lCjC??jCvG?tDiArGNb@_@dDK@e@[?ZAJuCsDUsBw@Us@CjC?kCaByGoBcBeAUgAXoBa@gDHi@\\aBOWfA{A?_BpAeAIqDmEa@_BeE}CqAiC?hC[mIqBgDkAsAqG}CmCKeCt@~@?wRYeAVdA@?jCdA??jCdA??xGdA??dL?kCo@?UjCAcAa@r@Zz@@fEvBr@lFe@dAiB|DwCq@?rE@eAA?kCmC?lC??jCdL??xG?yG_J?nBFNlAvAt@pB]@j@s@K?jCAmCcAnA?|@?}@o@|@{Ad@?dB?gBi@c@wBa@wBj@h@pCoBfA?r@jCdL@wGgA??mC?lCfA??vGpE?qE?j@lCX?', 'bkCubE`F_AwGAt@`A', 'hlB_mEPMm@CZP', 'zvAqmE?s@KLJd@', '`yAguE?WCFBN', 'tiAocF?yGeA?PpB[tB\\n@p@@', 'ngAejF?oEaA?\\f@]p@FlAx@f@', 'ngAupF?kCeA?DjC~@?', 'heAiqF?eGeA??kCeA?B`BxBpEL|A', '|`Ai{FAqAi@Xj@v@'],
+        'Africa/Maseru': ['jxDygD~AoAd@Dr@eA?mAyAw@k@yCo@@cA{@sBlBLzCjC??lCjC?kC??kC}C?^hA|BvAXz@', 'd~DilDPkAQA?lA', 'dsDwnD?mCs@b@r@hB'],
+        'Africa/Mbabane': ['~eDm_E^]_@?~Ai@VeDeBEDWcDFw@xCpCdBp@B'],
+        'Africa/Mogadishu': ['qPe_GvU?`EqCaH{EwGcH?hCEmCmE{H?b@Em@eNoMyGwDkCo@eLqF?jC?kCeAs@?r@?s@e@YmDSIwA{@G}@r@|@?wGWe@dDx@z@~@`Ej@fIWxAhBbD]rC|A~E_ApBkCfAUj@`DhB?iC@jCbA`@dA_@eAAdA??kClC??mCdA??kCdA??kCdA??yGdA??yGfA?gA??xGeA??xGvAaG?eEzMnNdCbB@jCBkC?jCdA?eA?LlC|BfE?{@F~CpGzE', 'ccAcaHdA@eA??A', 'w~@akGzCqBrAkBnBsIeA??jCeA??jCeA??lCmC??jC'],
+        'Africa/Monrovia': ['gi@pgAdKmN`CaIsCLgA[At@jC??lC?mCqE??eAm@FO|@eA`@IjBa@?A^]_@CjCdA?eA??kCeA?dA?cB_@gBt@J^hAZNr@e@P?v@eCM{@LQfAQWFnBx@B^|@t@AhEhE', 'ys@t{@?QIHHF', 'qf@vs@?a@[`@Z?', '}_@ho@?}@eAG?dAdA?'],
+        'Africa/Nairobi': ['U}rE|EChJwSkCCjC?p@oAzAJpGuJgJ{DcEqE?hCAkC{@o@aEpCwU?iFwDFrCcAlApAvD|A|@q@hEFpAwBjDbA?eABm@pA?~Ca@RH|HdAdAxAa@Pw@bBAnCaBjCIhBd@b@|@zDtB', 'yT}uEt@K{@?DJ'],
+        'Africa/Ndjamena': ['ayAgsAjC]vBuAqK?~I??mCjC??kCjN??kCfA?gA??jCf@k@?fHfAl@bEaFpD_Bn@RH_BqA{B^w@?h@d@]yAiDKwDwAoAmAVs@W`@Ca@uG{E_GoAIeA{CLkAaAQeAlA}AKVZaBXc@Q?fBe@XmB_BsAj@oAeBaAf@c@cAc@FgAaAaAL]a@@qDwV?eOj^oGrQn@hB@kC?jC|I??kCx]?eA?@jCnEfEzCvB`B`@Zj@', 'orA{vAv@C?mAz@OVi@kCA?lC', 'cnAi{A`BW`@g@`HIdAaAkN??jC', 'wnCw|AjHg@jBuAj@DlAoArAp@bRt@?iCs[??jC}I?f@|A', '_pCq_B?CA?@B', 'yu@suBv@Ac@YSZ', 'cx@w|BDCEK?N', 'cx@g}BBe@Cb@?@', 'cnAgiC?q@O^NP'],
+        'Africa/Niamey': ['wyAa@`DuAdAgC?x@r@?`BoDWWZm@`@GV\\dAs@y@?_@wArBmC_@_@kBDaB{A}AE{@qCUcCh@uCdCcCaAoDdBgFBgCg@a@?hCCkCaAaD?RCkC~@sFwAoAAaAmB_@dA??u@wCZOi@wDaBuG_GCjCCsC}Qo@sAq@mAnAk@EkBtAkHf@lAxCuBzC_A~GvIpQlCSgA?@jCjCzEbGpHz@rHbXHwG?bDdA`AdAPxLz@bACrC~AJ', 'elA}KHES?HD', 'uiAyMHGI??F', 'uiA_Ur@Qs@G?X', 'aeCws@?kCeA?dAjC', 'orAcnAPAQO?P'],
+        'Africa/Nouakchott': ['e`CvjBbEgAeAAdA??kC?jClCsAjCg@jCDlHvAEw@sAs@gAA?eL@lCp@CCqA|A{A?gBBfAPcAxA]Ts@jAm@?}CkC??kC?jCjC?A[qASSe@fByB_Ae@Ea@?jC?yGeA??kY}j@jCpf@@qf@?mLn@?{ImM~V`G??m@BfU|N?h@bClAzAlHW?tWp@J?[rAhA', 'ifB`dBJ}Ae@yDi@??vGbA?', '_dBvuAHEKW@\\', 'o}ArnAFICECN', 'o}AbnAdAsAWwAm@D?dD', 'i{AvjAHKIC?N', 'o_B|`A?eFs@Mf@??}VeDa@e@v@jC@?jYdA?DlC', 'gfBbb@?AY@X?'],
+        'Africa/Ouagadougou': ['e`Ala@VoArA[h@w@Mc@\\g@o@c@S{DhBuAqFb@mAYAwGm@?p@EPwCs@cAn@{CK_By@c@Ee@y@K?lC?mHu@e@sAx@bA?mC?v@?G]{@\\Tn@aBnDs@??y@mB`DyBz@_BKOxDx@hA|@tDx@BU|An@fApAFInAbAC?wA?vAd@t@i@vA[@nAjAdAYFr@f@WlAb@|@jDnAg@dAx@`CB', '}vApP@kC?jCA?', 'g_ApPNAIGEH', '_`ApPAECDD?', 'orAqEF[GC?^', 'ogAyG\\?Ji@EkAc@g@?|C'],
+        'Africa/Porto-Novo': ['{_A{CjAsBdB?~Au@pKLnCo@F`@f@G[uEcBC?`CAeCcLH?zBCcCs@AE}@sC{@?rBCmCs@]y@L?e@w@IuCfAq@YkCrC\\bBp@QlAr@?yBZvG`AfARK@d@~BZ'],
+        'Africa/Sao_Tome': ['q@cf@p@GeAEjBQMaAqHiDcAKAbBlHrD', '_Jwk@?cBa@v@`@j@'],
+        'Africa/Tripoli': ['s{Dwy@fEwAqE?pE??mC~I?_J??lC`GWbDV?mCjC?kC??lCrAMxAdBpD}BdAArA_ACkBfAgBKe@bCcAiE??vGqE??lCmC?lC??mCpE??wGjC??mCfA??wGdA?AyGo@iBnGsQdOk^cB??gEkx@?}DdAaCgAyB^aAiBgAb@s@`GdA?eABIpAuAv@m@hCdA@eA?Q`ABxBrAhF?kC?nf@oAxGHbE{@lChCd@h@WzAbD?}ABvB`AlA^XfC[rA`Af@jB', 'erCi{A?eLdA??kCdA??kCdA??kCdA??mCdA??kCdA??kCfA??mCdA??kCdA??kCdA??yG?xGeA??jCeA??jCeA??lCgA??jCeA??jCeA??lCeA??jCeA??jCeA??lCeA??bL', 'kiDc|@d@IuAAn@J', 'mtCuiAlAI~@aHtB{CuBsF?tGeA??vGgA??lC'],
+        'Africa/Tunis': ['grE_n@Hi@eA?dA??mCpE??kClC??yG?xG~IsA]kAsAaAgCZ_@YaDkGi@ViCc@Yx@iBh@wAQUsAmAc@yAnBkBLInA_@T{BaCuATc@lD_@\\RpEs@FKj@Zp@f@DXm@\\v@~@O~@fBNs@hC\\pAINa@bFFeA??`BjArAt@@', '}qEkn@~@]_A??\\', 'woEio@rBuB~@GpAmCn@MiD??jCkC??lC', '}qEio@dA??mCeA??lC', 'ivE}p@?yAmC?n@d@t@Ef@x@'],
+        'Africa/Windhoek': ['zlBagApEeArEuCsEErE?tFkBzHqEdLK|AaAlCD~FiApEoBfC}CgAyAiAWGc@t@{@rAETmD?t@Pc@QkBZmAwAyASuAeg@??gE_V?_AwLv@_AAmAcA?`A?}@{AVi@w@kA?{@g@h@WbCzAjN?qBRtEStR?yG_@rDkAhAFzZyAvB?jAv@hBWhATjB`A@', 'fqB_rCf@Ig@{@?dA'],
+        'America/Adak': ['ubI~cb@YSk@RdA?', 'y_Ir`b@d@CX}@_AkB_@oFRcBsAeI?cLy@qDw@y@e@x@NjBd@^KjC`A?{ANYjAx@nCBrGVp@^?a@B`@dNdAtAdAR', 'ggIvo`@f@OLq@eA}IYS?jCEmCaASe@|AnA~BRxCr@pA', 'uiIsr`@z@aBDoBx@NZwBKw@{@]L_Ba@u@g@^iA`HChCRv@@kC?pCb@Z', 'kfI}ga@p@wAq@eAg@fBf@t@', '_cIopa@h@}@I}CbBsEAwB[_@eAbB?lC?kC_@tAe@E]z@UvGxA|@', 'edI{~a@z@g@K{BeA?Qp@f@pB'],
+        'America/Anchorage': ['csIns^k@{B_Au@nAkHo@kCm@?sAnAyAoF?jHrE??jC?kCsE??yGeA??kCeA??kCkC??mCgA??kCeA??yG?xGdA??jCfA??lCdA?AmCw@]uBcHlAdCr@ChAwAtAzAb@{Ag@wE}@e@uBmHgA]{@d@U{Ay@McAxAAlCdA?eA??mCeA??kCeA??wGgA??eLeA??mCeA??wG?vGdA?K_Eb@eFl@`@h@gAc@eBEjCWeLb@wEwBaCcy@?k@q@_BlLPbKwAlPdADeA?C~ScA`ESlK}AjNpB~I?iCQvG\\vEzA|GErB`f@?~AuCDtCr`@?AmLWo@z@iA_@oEj@o@lBn@jBbD|ApF?{BBjC`AzA?{Ab@pIhI?', 'k|Iv{]qAwEpAIPmBo@q@iAnAc@IeAiB?lCdA??jCdA??jCdA?', 'y{I~x]l@s@g@yAe@n@^|A', 'w{I|n]p@gBc@qAa@Ac@b@C`Az@tA', '}mJdt\\e@{@u@yGi@q@HsAoAgBAyBExGfA??vGdA??jCdA?', 'qtJf~[b@u@?uAiBuG?tGdA??jC', 'irJnt[j@eAk@wB_AnAJjAr@`@'],
+        'America/Anguilla': ['msBtlKpBu@SwBo@CQbBq@FGj@\\X'],
+        'America/Antigua': ['mhB|eKTSWsDqDD_@b@Lt@dEfB'],
+        'America/Araguaina': ['nfAb|HrFWs@}Ar@V?eABjA^AtAwD_Bq@`@]_@UVWnA]c@M\\O[{@^BOSn@kAiAId@g@Qy@e@EGcCYG\\IMq@Fj@cCN?jCeA?dA??kCq@L[{@Cd@q@DGu@[lAi@BqEgD`@l@a@PSlA~C?kC??jCeL??jCyG??lC?mCjC?A_Ac@r@w@o@oEOqAVe@~@S`Bb@nAHkAj@q@fAb@?cB?bBnALlBdDv@EbAf@r@m@pBXtDvCpGnBn@??gCBjCfBV', 'xmA|{HHKi@A^L', 'rnAj{HVUg@ONd@', 'pq@xiHCkGa@X`@nA}BtBKO?z@lC?', 'hpAleH`@?a@y@?x@', 'v~@leH?kC}An@o@QuAdBiCy@Io@m@M?~BdL?', 'bnA`aH_@i@{@f@zA@', 'hjA`aHTCKCIF', 'v~@x|G?EGBF@'],
+        'America/Argentina/Buenos_Aires': ['hvEdkKbf@ATuAnAiAe@uAuAsAeETsAwA_@eIAhC?iCeA?dA?WmCsB_IyGoEsBHmBwC}E~Lk@AeArAjC??kClC??yGdA?eA??xGmC??jCkC??xGeA??jCAwFIjAuA`CjAh@QlAfDjDJlI', 'btEptJ?yGeAnD?hBdA?'],
+        'America/Argentina/Catamarca': ['xiGbbMf@G?sA@rAv@oAZ??^l@ED]cA?dAA?iC?hCJYRZf@M^f@|@GHgCt@LBlDf@e@FkD@hBl@k@TJ?iA?lAh@dAvAU?uf@oDi@g@XaBoAuCb@y@m@cBmGo@ScCN?js@XILvAdAY?_A\\zA', '~pGn_MBGU?PF', 'plDxnL?c@eABdA^', 'plDtmLKiA|@ONe@ByC@rAp@MQ_GjBa@?}@Fz@nA_ChDaAu@_BsB_@wAXm@t@aCAWd@b@j@m@^LPgBZM`@eB}@WbAaBAv@j@oArAdA?wBLKk@u@YYv@Ao@YdKv@NpCi@|@h@tAaAr@|@Oh@z@XBmC?lCdA?', 'xnDxhLFEIO@T'],
+        'America/Argentina/Cordoba': ['~`E`zKhD?f@gBn@GEu@t@K|Br@jJCCyIyB??mIgDkDPmAo@[?Z[i@tAaCz@sFaD@a@}@cFVm@i@c@NsAk@SbBEiBuAD{@k@{EsFoCmBLa@c@NmAuCaAk@OgBe@SUmAy@[[R?jA?oAeAG?vAAyAeC\\e@p@^nBnBEpA`@vAdC?{BDlC~@`@?pBb@Tc@f@b@ZMh@n@??kClC?mC??xGeA??vGkC?jC??wG]p@BjCYHeB}Aw@??`@dA?yG??jCeA??lCkC??vGeA??jC?kCdA??wGjC??wG}DlIe@|DaDhEeBbAxJ?fGbFA|CbEl@|CdBpAD?VnCBl@u@rCQDZp@Cr@xAxDjA', 'd}CbpJ?kCeA@?hCdA?', 'xcDvkJAe@c@A_@y@?`BdA?', 'raDvkJAcBeAU?xBfA?', 'j_DvkJ?gC_BLi@xBhC?', '~zChkJ?SEFDJ', 'plDjgJ?mCaA?OlCpA?', '~~CjgJ_@UOTn@?', 'djD|fJDK?WEb@', 'lkDvaJCII@LF', 'fjDp~IByAUr@Pd@', 'znDlzIBEEA@F'],
+        'America/Argentina/Jujuy': ['`sC`cLfBqCaCa@Uk@hBSNo@~@Sj@oCYOTy@_AkAsCCVx@_@pAcE|AjCJqE??jCKsDBnB}@vAx@R\\xAr@f@?[Fl@t@\\d@e@hCj@', 'rkCtwKeAe@?d@dA?'],
+        'America/Argentina/La_Rioja': ['lpD`rLBy@fA_@Lm@`DNXaD|DkElD]lAaCSyBiD?wDeAiD`AoA~BsBb@P~Fs@LSjBq@N?hADd@tBdB', 'plDnkL?CK?JB'],
+        'America/Argentina/Mendoza': ['l{EbxLn@u@XTfCMUGbCmBf@?bBmHyHH?kIaBWeAE?|@jC?yG??jCeL??dL?kCi@@Yf@Z~AtAl@@~@~@_@\\R?_B?~At@ODo@nAV?w@@x@bAG?q@?p@\\IBf@b@J?{ADdBt@d@pA?Tt@', 'biEtmL?yGlC?A_AeCZ]f@]hBt@jD', 'hvEzdL?uCaBOsArAaBT?z@vG?', 'vzEn`LA_AkCt@lCH'],
+        'America/Argentina/Rio_Gallegos': ['~vHvjMzBg@Ti@`@Hg@{CeA?pB_@x@ZT[dA^PkC@rBb@eARNJkLz@eHd@PJ}@aA]qBfBmBj@eBCeC}F}G?dA??kCeAgC?fCCmCkBeCwDZoEs@?tf@fCAZ~@pAQE\\jBbBrBy@b@d@BkCElDz@K\\pAl@b@TOGxA~@H@sA?nAdAF?wA?vA', 'j{HneMJYKG?`@', 'j_Hn`Mt@e@_AAHf@', '`aHh_MBAC??@', '~vHzdL{Cg@u@cB?jCpE?'],
+        'America/Argentina/Salta': ['n}Fv`MpAW?WD`@f@BVe@X`@jAa@?_s@]W?hC?iCsE??jCcb@??lC?mCbb@??kCcc@TBxIbE??zRxHI{@|C?pBdA??yG?xGeA??jCgA??lC?yFsBxAl@PeALr@~BbBN@VXY^P?_@@f@rAAtDkA~@vB`CDJr@vAI?aC?|C\\@f@S?kCBbDt@V', 'fmF~zLDCG?@B', 'haFjxL?o@_@B^j@', '|gFlvLA}FUpBo@`@?hBfA?', '~yCpkL|@m@J`@ZaK|@CNn@~@?bAy@m@{@j@aBm@EKaAp@qAQyAgBm@Cy@ClC?mCeA?dA??kB}F{EaK?{A|A?~EhDhA?_ABfAuBf@YdCxAZnDaB^qAWy@pDXf@dA[f@XP]xBmAh@]bAoASQd@XN?a@@j@`C`@gBpCbAThAzDh@d@?q@?z@d@L', '``D|`Lp@K_AALL', 'xcDj~KHOIC?R', 'n_DznKDcBIGBjB', 'ndGnjKiBoAOw@eBrB~ER'],
+        'America/Argentina/San_Juan': ['ndE`xLfAgAL`@vB_AYeAgAUWgAT_Ah@A?o@g@i@MqA`@mBq@?z@CHi@i@f@u@AJ_D_AhAmD\\}DjEY`D}AA@|DrDBJ_@f@NAr@jCVp@t@?m@?l@|@D', 'juD~sLAcE_AAOl@gA^C|@x@R\\WdA|@'],
+        'America/Argentina/San_Luis': ['xgEtdLh@g@?}ABhBnEc@nB_BxAVtC{@?oA?nAfD\\?oHoPB}Bs@u@JDt@o@Fg@hBRvBYvEt@@'],
+        'America/Argentina/Tucuman': ['ldDr|KZQo@DRJ', 'jiDj|KBIM@HF', 'niD`|KhCsAQ}BqAE}CeB{A?Bd@X?Y?HdAm@~@J`Al@DYhAlA?Zs@hBr@'],
+        'America/Argentina/Ushuaia': ['dvIxkL?mGt@iFa@wEFiEi@Ch@?aAiBs@hBVbDw@bH}CxG_C|@eAhB|MR', 'bwOzdLj@??cjEwcA?YpQfA??qP|`A?}`A??pPeA??vs@eA??ho@eA??jYyG?xG??kYc@bWwcA_XMZdA?eA@iGxPf@nKtAe@hFmHj@lN@sP?rPhAhY~Cc@l@pD@yG?xGjCdL?yG?xGr@jCPkC?jC`zB?', 'bfKxkJeAAdA??@', '~nK~nKJCK??B', 'tlKjuJ?YA?@X', 'xpMjqI?io@dA??ws@mC`dBfA?', 'byJzgHfEkHaAgI?~Ba@kHgE??jHV?jArN', 'vvJ|{G?uBW?VtB'],
+        'America/Aruba': ['cnAbvL|@SH{AaBn@X~@', '{kA~sLFc@GG?j@'],
+        'America/Asuncion': ['jjCnfKnHiId@}D|DmIeAAdA?j@yBt@g@bBbALm@PrAr@T?iB@lBt@C~AzA`@IViIb@i@YC_@cCTcAeAa@oAmCaN??lCmC??jCqE??dLkN??jCkC??lCIkCbAtOxDhBhB?pFhA', 'lkDvaJMGHABH', 'f|BbpJ?kCjN??yGs@@]lEeFa@gCbAuA?kBrDtC?', '`{CvkJDEGG@L', 'jjDdeJTgAU??fA', 'rkC|bJ?kCpE??kCqDJkAn@YhCRpAp@?', 'jjDv`Jb@g@UUM|@', 'rvCdzI?mCeABJjBcAZ|B@', 'vpCdzI^ASGKH', 'xcDvuIz@AmMqByAb@?nAjN?'],
+        'America/Atikokan': ['{mHt_QH_AZJl@wAG_AWo@_D??rCbA?f@fB', 'i_IdvPbBuCyF?p@bBp@p@p@?', 'g`InqP[U[Tv@?', '{kKt`P~CmMhN?wOa^cEA{HfN?~Hq@|@dA?eA?_AlAE~@tAfGzBNrHdD', '{nK~sNpE??jCdA??jCdA??lCfA??jCdA??jCdA??jC?kCeA??kCgA??kCeA??mCeA??kCeA??kCqE?', '_tNh|OZYPyFGjF`@J?iC?jCj@gHiC?EfHZX'],
+        'America/Bahia': ['~eAbbHr@cBB~@l@CFg@Tl@v@E?gCHfC\\c@ZTByBDxBt@BH}BP~Bh@CAq@V`@rCIp@q@?o@B|@hCDA_AcACCwBgBqDTuA|@RRy@cA?pAKa@aAV}@gA?fA?rA_DM}@jAsAn@EM}B\\{B?Zb@}@v@@x@fAz@A@j@b@NdAHbAqAb@HzA_Dc@QWeAFmBgADKh@_Bv@yGeAqE`@iHg@[eA_B{AwE{B[^XbAc@x@qBt@UKHi@oB??jCsE??xG?yGeAXOtAc@ZX~@XA?}@DfBl@L@x@~@TRr@E^}@SeAfA@lAvApAN|A`@b@?{@XxBi@`@@|@_@^l@jAfB_@|B`BK\\~@?eAFjAtBU~@mCdAvARw@?dAtArCxA', 'hjAnaH?MG?FL', 'h}Ar|G_A}A?|A~@?', 'v~@tpF?kCmCDMf@oARe@r@pGT', '|`AhlFh@?M_@[^', '|`AhlFi@m@uA`@~BJ'],
+        'America/Bahia_Banderas': ['i`CvtSFsBQK?l@i@eBRlAo@^nAhA'],
+        'America/Barbados': ['irA`uJjAORu@_@o@g@G_A`Af@z@'],
+        'America/Belem': ['eNvuI~@EAeC}@jC', 'cLpuI~@MBkAt@u@\\mBpAYp@{@`AFxD{BzASd@aAQ_Ax@f@PYn@pAjCi@eACjCCdAoA`@\\\\MX\\iAdAlBlA`CLnBt@~FuAtAgBb@JZpAzBx@|CQb@cA`C{@fAd@HtA^_NmBc@yEcDwA?i@^q@_@aE?dA??kB{@{@oAM?h@Ey@g@JY_@k@p@IjA{C_F?`@Ag@gCcBAjC?kC_J?pE??mA_A[YPc@q@sA]w@KMf@Mq@yDk@qAhIqR|Q~@?_J`AcAjAbA?eA?Q`@xB^pDdC~Bj@`AdAe@lDr@`A@cC@pG', 'gLjqI@GA??F', 'uGtnIBGGABH', 'dp@~hIXMu@BZH', 'no@rrH`ACw@IIL', 'rl@rrHQGc@@t@D', '|j@rrHeAiB?hBdA?', 'dWleHmCiA?hAlC?'],
+        'America/Belize': ['kbBtlPa@_CZkAuBeB{DsAqAzA_AUQ~DlAt@Gx@tKN', 'kqBthPBoBY?OxAd@T'],
+        'America/Blanc-Sablon': ['avHvhKnAaFl@m@RzBY~B`C?AgNs@@uL}O_@{Ao@e@{B??xc@|L?', 'mpHh}J?kCkC??kCeA??mCmC??kCkC??kCeA?dA??jClC??jCjC??lCdA??jCjC??jC', 'enHbhKAU?T@?'],
+        'America/Boa_Vista': ['kYdtKh@Ye@ACZ', 'kYdtK?WMNLF', 'aXhsKjBqB`AT`Aq@bA?BqBx@Yh@qBfARbBcArBJjDaAtAz@zB}Bb@oAw@^gAIuBqA`@?Do@|@a@@m@a@m@c@TgBo@?z@?{@s@Y?cFqE@yAzCgBD}@p@eESkAeAi@f@i@I[`BoBe@a@^BpBt@WvArAA~@v@n@XhAKhB|@V_@??`@bAANl@iAzAZLE~Ao@^OlBb@?', 'sNjoKDOq@?j@N', 'eWznK?uAUPTbA'],
+        'America/Bogota': ['wjAf`O^{@o@c@SgA?v@Cy@c@A_AfBjCbA', '{Wj~Nb@s@u@][r@l@\\', 'orAb}Nd@KHu@_Ba@U|@dAd@', 'mxAp{NdAW@m@wBYYp@hAl@', 'cxAbvN^cAaBa@E`AfAb@', '_tAztNx@[My@kA\\^v@', 'qaBlsN`@m@k@e@c@h@l@h@', 'aIfnNZKv@mDp@UPaBd@m@r@HHqD?|AXgBk@}@n@cA]?z@Yn@kEdBwA?gB@lBt@UDo@nA_B?uA?|A^YXN`@sA~@Jt@q@CeBaA?dACO_Bm@c@r@cAe@gBtA_DdBl@?qBoL_AaBd@_AtAwC?YqDa@Ac@RExB}B?Eo@CjClC?mC??kCeA??yGeW?lC?AcAqCyAk@PS|@`@|AMxC\\d@q@fAdA@eA?aCdBIzJeA`@?l@aEEs@t@cBTD^i@N\\TIl@aCoAmCW?x@?y@{EkDeAeDgB@[pBxGpSjCvChErBnBvD|Ad@rB{@rAnAe@`@d@E~A`AjDaAdKHhOhH', '{aBvkN\\y@]Wm@h@l@f@', 'jNncMDEEO?T', '}j@|_MCUCPFB', 'vV|xL@oApAgAsEi@?pB~BnA', 'jB`rL^AKGSH', 'kC`rLP?QO?N', 'eL`rLdACDgC?mC}@Al@w@eAqA{@?z@?HmAkCbB?p@qBmBgD~AqEL?bAvR??xG', 'qEvpLAUENFD', 'yIfiL?GEBDB', 'eL~cLf@G\\{@eAP?p@', 'mGtbLb@KKm@iB^@VnA@'],
+        'America/Boise': ['moG|aVbFA?mFxA??kd@oN?_@|ARIEbDTh@^?c@@VbA_CvB?zA?}AkCjBn@dAIzATIa@vAd@`AE`DyACc@~@b@`@r@aA~ExC`@E@j@?iC[vFX\\@kCF`DdC?'],
+        'America/Cambridge_Bay': ['_hLfqVnF_ZbGcW?mJdCkGZuh@kN??orAkN?iCjCbA?eA@yHnLuHl|@yh@?`Cl]BkC~@|V`x@??rNRc@L`A?n@a@??lYTDr@gBLhXvH?', 'isK|zSzAm]iP??gpAcM?eAv@jNB?nrAjN??hY', 'arLbmP?CCBB?'],
+        'America/Campo_Grande': ['~|BpjJj@Q@sA?pA|@OFaAJz@Z[dF`@JoE@~BZuCm@yAh@c@@iAlDy@}@?rEU?uBgAAbA?Oa@r@kAsFcD?dCAkCiCkEkCcB}@Gg@s@{@EiAcB_D_@aBzEfA??kCjC?kC??jCgA??xGkC??jCeA??xGeA??vG~@bB}@bA~BcApHfCh@u@d@|@', 'zlBbhJ?OIDHH', '`oBlgJBAC??@', 'xlB|bJ@wGi@F[rANpCr@h@', 'tjBh~IEg@ERJR', '`oBdzI?yGdA??kCjC?CyG{@bBElAy@_@KbAq@EUnDs@q@uAAlAlAFr@e@n@b@lBMrAdA?', 'zlBdzI?{@Yz@X?', 'ntCpyIPk@ScA@nB'],
+        'America/Cancun': ['eyBbmPX]bF?CoBg@e@PiAn@?CoAy@QFeAiAO[v@}Be@{AHYK?qAqAu@i@^wAc@{Ab@UdAT`BhCBr@^zAxAd@lBHS`BlC', 'soBplPLmAaAk@?lBr@J', 'aoBxjPFMGA?N'],
+        'America/Caracas': ['mx@liMScAh@OE_@jEqA\\XxAATy@dAa@HgEWcAVoB~BeBcA?pBa@Q{GYg@ZiApC`@d@n@tC?vCq@jA{@pBlB?gA?T\\I|@iAvE}@fBqBAk@y@??kCgA??kCkC??mCyB?iAn@oAQoB~BgBOdA??sPeA??kCqE?jC?AsBiE|CmAg@?hCjC?qE??kCyG??kCqEBeAb@eA`BpE@qE?i@tDYI]bAk@aB?jCAmCcA[?Z?[JvJuBg@EnAn@dC`@V~AUv@`Cs@jCeAJWd@d@v@TdIiBf@jC?kC?YXk@hASfDq@JdA@aCVCrB~@b@vAMbApEc@p@R?g@F{@{BSf@f@|BdBv@n@dA?c@Bl@`Ab@?qA@rAjCT`CnA', 'gmAt{LfAm@[q@qAh@d@t@', '{kA|uL?}@Kj@JP', 'wjAhgL~@WB_Ba@Og@NUdAZp@', 'shAtbL|@eAq@qAVkAo@Wm@f@d@|@y@r@VjAt@T', 'qE`|Kx@?o@eA@c@bAAU_@y@??jC', 'ccAdyKd@o@Cw@a@Wk@ROz@z@n@', 'gDtwK_BuBi@yAVEeAo@?xBdA??jCpB?', 'mhAdtKn@sAs@k@c@P[pAbAZ', '_JhsK?{Bk@Qc@sBu@EExBdA??lCdA?', 'gYhsKPmBh@_@_A?BlC', 'wGpqKFMIC@P', 'kYznKdAAUaAZ[[MTcC_@C]}@T{@]cA?rL', 'caBbnKl@e@a@u@w@j@j@n@', 'ifAzjKt@m@Uk@i@GY`Ab@^', 'aWdjKn@s@Om@c@DBzA', 'kYtaKE}@w@o@@_AoAmA?nBdA??jCdA?', 'qf@taKAkCcA??jCdA?', 'sf@h}JQEEDV?', '}j@h}JdA?OyAu@qAc@|@aARw@c@yAqCw@b@Ik@e@~Bk@JvD??jCrE?'],
+        'America/Cayenne': ['sMftIl@cBu@aAd@mDaAeA_Ck@?nAjC??xG?yGyG??kCqE?pE?c@iAyB_@aD`EeBvGlClA?WdA~@?_A@bAjDWvAkAzAl@bAA|AnA', 'wRphIAuAkC_B?tDlC?'],
+        'America/Cayman': ['{wBd}Nv@i@GiAo@c@i@`@IhAr@j@', 'azB~tNl@_@M_Be@a@m@^L`Bd@^'],
+        'America/Chicago': ['m~DboS`Ai@y@?|Ds@z@yAe@??kCeA??qP?vGTmBzDiDeA?dA??mC?lClBs@fCuCrBQzBiAfAgEBqE@zB`@o@[aByEl@kCaAeAyA?bCCkCkGuMQwCl@}EbBiFg@cG`A]KkAw@aAeAVu@q@eAK_@eLt@kCD_A]Mj@iAsAJ?jYpE??dL?eLqE??_UgA??kCwG??jCpE?qE??kCuQhBEc@sBeA_AoA{@l@c@q@i@XCh@o@J[k@u@n@fA?gA?Nt@w@l@B~A[j@i@Yq@bAh@^iAZCdB{@^Vv@s@_@?|@jC?qP??kCkC?gA??jC?kCkC_@yGDyDiAgAwASzDr@p@Qz@k@IFd@dA@kCOU~@UEsArKm@z@_H{DQ~F]Xh@fC_AjBZr@e@Pk@`BPpBBmCAhEe@xC]`A?o@aBn@Cl@jA??rv@fEA~AuA_@uBb@uBWc@JaDt@SFgA`B[`@u@b@V?[@hAt@lAd@BNaE^K^d@|@m@hAZN`AtAiA^d@BbB~@BH^~C??aAlAA?WlDL?nBxBYeACdA??kC?jC`FL?pCtA??cClDb@~DG?dBtC?A~Df^J?z@@kC?bMnGJ', 'qwDjiSf@?dA{Dm@o@eCk@?jCdA??jC', 'wyDr`S\\A]aANiAOlC', 'upFhdPUmAgA^m@YqG?SkBoAKe@qAaA??dCbE??jCdL?', '}{DbwOCkCcA??jCfA?', 'wyDxvOdAg@Js@qAd@?t@', '}gFtsO?]GRFH', 'e~DvrObAAyAi@{Aj@pB?', 'icEvrOYGQFj@?', '}fEvrOu@e@OTdAN'],
+        'America/Chihuahua': ['yoDthTfB_@l@s@|AI?_A@`AJuAjDoAEg@g@??mCkC??wG?vGdA??kCWW`AsBZoD}A_ATqBa@\\WUcDj@uCaA]nEq@`@@j@g@Co@`Ae@`BsAQCZ[w@}@Eu@TIbAiA~@RdC`Aj@O`Cp@j@?mB?lBh@L\\pAdA@?cA?bAXQbBl@nDw@NtB', 'ycDj_Tt@KAa@hB_BBk@a@e@y@@?nA?qAiCy@AjCdA??lC', 'm`EpvS@OI?FN', 'ycDtlSDCEC?F'],
+        'America/Ciudad_Juarez': ['c_E|gTt@eAx@Qg@}@i@M?\\McA]FHoCmAmAGcBn@g@@iCcD`EC~IxA?VjCb@m@PV?gBDbC`@@', 'i`E`vS^kA~Ae@c@aC{AvBbA?eA@@xB'],
+        'America/Costa_Rica': ['oa@h_P?GG?FF', 'ccAryOjCY|Au@zDyGeA?dA?tDwGoB??jC?kC_J?cDbBSZ~@JPr@iAtCZl@w@jC~@pB', 'ms@peOIQ?PH?', 'ws@peOK[q@Pc@i@]j@qAM?TpE?', 'iz@peOYWVo@k@c@_BhBlC@'],
+        'America/Coyhaique': ['zoHdzMg@sEZgE`BeDu@g@]qAu@F?lBsE?dA??aC{@c@IXm@mBaARc@q@aBDQ`@Ig@iBFq@wA}@j@k@hBD{CcA_@IfC}@FGUm@jB_@HV`@_@|@RH[pFh@rE`CGjAlAxCm@dFdCdAi@nB?`Bx@zBD', 'fnH~gM?yBg@w@_@d@?Wk@l@YK?`ClC?', '~bHf_MGOq@Nx@?', 'x~Gf_MQUUTf@?'],
+        'America/Creston': ['grHnzU^W?sDy@@m@t@FfAs@MKXA\\`@FhAm@TfA', 'gqHbtU?y@k@t@j@B'],
+        'America/Cuiaba': ['|x@d`KfA]fBVHuA@nAh@UnBP@wEVaBh@KfBd@bBcA~@v@?w@?x@pEpAk@?b@n@~@aArAD?_C?|BhC]?j@BkC?|CdA_A~CM?qJp@D?iC@jCbAR~Ai@RiAxAuA_A_B?hCAmCs@i@B{@Se@?jCAkCeA?fAAKg@v@aBk@?n@ATy@UeCd@o@Gs@mAiAtAAr@p@ToDcA`@cDm@?tAYaCo@c@e@NsAwAa@yAkB]s@oBoAYaDY?bBrE?eW?jN?CmC}AWu@h@gPQ?x]eA??dLkC?IjCJbSVUdA^', 'j}AryJBCCQ?T', 'ju@flJP{CjC??eLdA??i`@uAzg@aBxAa@nAoBHgD|AbBr@n@SxB\\', 'ttAx_I?cBeAe@?hCdA?', 'bcAj{HsEmA?lArE?'],
+        'America/Curacao': ['{kAnpLdAw@RuBk@?eBtBTt@`@@'],
+        'America/Danmarkshavn': ['uyMdnC@}[qE??kCmC??mCqED?fCCmCs@_Aa@DJ}Eo@_C]~BTtFULWzc@bVn@', 'syMrkCb@qPIeLeCz@iAmBgAC{B{C_DbAxD??lClC??jCpE??jY', 'yxMzlBAQWPX?'],
+        'America/Dawson': ['qsLfpZrz@?XkEa@uDr@XP[?sEgz@?cAbDErL'],
+        'America/Dawson_Creek': ['ohJzkWb@}AcAC?`B^?', 'kgJ|hW@CA??B', 'ggJzhWDAE??@', 'ggJxhWd@aA\\B?mA@tAhCcB?}BBfCVc@tCk@\\oA^Jf@mGB`CjAwCt@YFsBdAw@?}@bAm@gY??xZbA??kCBjC', 'kpIrnV?EK?JD'],
+        'America/Denver': ['gqHhtUjE?`@g@?kB?jBr@QPyAt@AlAoAFy@J^HyAn@N?aB@bBdAN?sB?rB^SVb@h@?Ro@o@sAvCqA`@iApAw@i@uBD}Ci@QRy@pOG@tQpF??YBf@nVK?oOZm@@vA~At@^OeAAdA??mCeA?dA??lCjBIQuAvBOAuHcA?tAH[wAV@Gp@n@EA_BjU??gDyA?B_JbDaEeAAdA??oBqE@?lBdA??jC?kCkC??eLy]??kCkC??mCwG?jC?E}AmDQ?bCuA??qCwGI?ZcAA?oBeAQuD\\?`Ao@?vGB?jC~I??lCjC?kC??mC_J??kCwR??kCkC?dA?Cu@a@h@_@e@_@JO`EiCEQ|CsD^^pAk@fAPbAX?[@Nn@aAd@?`@}@NjC@sH??|iA', '}|EplTGdGqC?[iCjA|@HcBbAWXlA@kC', 'mgHnrUf@yAm@?DxA', 'avGhvT^_@_@??^', 'wzEdkTASCLDD', 'i`EdrSt@mBw@A@nB', '}fEdrSAaNg^K@_EuC??eByDF?jAjC??lCjC??jCx]??dLdA?', 'moGxwRsBg@CcB_@e@uAhAOaA[B?dDxG?', 'y`HxwRl@Cm@c@?f@', 'gxGlsRCu@aA@?r@dA?'],
+        'America/Detroit': ['abHbtPe@oBp@W?iAb@?OyF^??cBr@?Py@dA?|@wEfAvAxDhAxGEjC^?_UkC??kCqE??kC_Jv@}ApEm@QAxAwA\\FxAuAz@{G|Tz@|E~GzD', '_dG|_PDqVm@}@eAEm@sA?hEjC?N~T', '{hGpeOS{A}DmA_C\\~B??jCpE?'],
+        'America/Dominica': ['w`Bn`KvBg@OiAeBE_@fA\\n@'],
+        'America/Edmonton': ['_xI~lVvG?d@w@Pb@NiA@n@NoA`@UPcFB`Cj@mA|As@RtAz@_@Pu@`@??g@j@Lj@s@I}@x@OrAoC?wB?vB\\R`Au@^ARr@nAGGgAp@w@{@?dACj@u@?wb@}U??kBKj@AkAg@KZiAk@MqBdDAhA_g@??_q@mYAwBxl@eCjG?lJqMzm@|mA?', '{qL~lVA}AC|AD?', 'arL~lV?iFeA??yGeA??}j@ws@?vs@??|j@dA??xGdA?CwLs@fBUE?ok@{w@?rBx[~CpPBkCv@nSxo@?', 'gtLp`UX?CkAUA?lA', 'kmN~oT?o@E?Dn@'],
+        'America/Eirunepe': ['lk@flMvAsFz@yNnFwG`ByE}G~B`A?eA@kRvGpI??kCxG?yG??jCyG??jCkC?@fIfBlD`@H?yA?xAxChArAWjAtBt@P', 'p]|cMDACGAH', 'p[p`M?cIjC??kCoEbAXp@i@TC`Ap@z@d@dE'],
+        'America/El_Salvador': ['wsAzrPtBcJBmBk@y@e@h@oBAOtA\\n@oB|B?d@dA@mAPtBlCz@V'],
+        'America/Fort_Nelson': ['otJz}WpAuAKWr@UPwB?rAj@NXq@JVDuBj@oA}@OdAEVeCW?j@aAXV@_@Ao[_J?~I??m@mK??ho@l@N?kB@lB'],
+        'America/Fortaleza': ['l`@voHc@oAx@aD`Da@~BXz@l@Po@\\N`B}Ai@?~@K]wAd@g@dAlA?mABtAvBl@tAeBp@NtAu@KyCfBa@r@uAcAcCPe@i@m@uBu@w@f@k@s@L{Bh@g@{@{AO}AyEwF_AKgA`@]e@JsAeACdA?IcAhAaBOiBJgA\\Oa@iBmA_Bh@y@Tf@jAP`A}@_BkBMoBCjC?kCkC?jC?eAuB?iCeLpB~I@_J??jCeA??xGeA??jCeA??jCkC??jCgA??lCeA??dLeA??vGeA??lCeA??jCmC??jC?kCy@zDvDj@N^LUjCh@b@p@XQ~@^?aABfAbAf@?oB?pBdAV?iC@jCbA?cA?hChBzC~E', 'xMlaHPKm@?ZJ', 'f_At~GPWa@c@Nz@', '~IfxG?kCdA??mCdA??wGeA`FuEnInC?', 'bcA`xGDGEI?P', 'pPtfG?eLdA??mCfA??kCjC??kCdA??kCdA??yGdA??kCi@XkAxDb@j@[~BoFdGkDdHDbIo@lCfA?', 'ho@psFXGYi@?p@', 'xp@nhF?QO?NP', 'dm@vzEf@sBi@?@rB', 'dWrsEf@u@g@_@i@^h@t@'],
+        'America/Glace_Bay': ['_zG|fKpBuCw@}CAjC?kCkC??kCyG??kCs@_BmA|EtC|DvBr@bBpChBq@RzB', 'gxGh}JkCoG?nGjC?', 's|G|xJEkCo@kAcA^WfAk@Z}@?]w@?jCxG?'],
+        'America/Goose_Bay': ['qpIzfLzAeBZsAHVt@C?lAT]RP?s@h@e@w@o@Kw@hAO@`@p@QXVRg@_@Br@}@BaGsE??yG?xGrG?X[a@u@m@P[g@wBCa@kB\\K@u@\\jCf@?Jo@v@S@d@?qe@yG??mCwG?vG?AkCq@uC{BbEgBXmCfOsIxIqADqEvGkCbCs@L}CnDbA?JzDXy@fA|@Vq@_A?~@AQq@DUPd@@iB@lBx@ERo@IrA\\M^}A[uAXo@JrBZHLy@rAzBDi@t@]D}A\\`@j@ML`@R@C[X\\j@E`@x@p@w@B|@`@Q@aDRvCVwBXlA?mB@nBp@g@`@\\J}AZfALoA@v@x@DKf@b@X^i@Bd@o@tDXnDk@^InAk@n@@t@bAU@oBDbCROeA|ChAoAf@h@Ql@vA?@|@V@', 'kqItfL?y@cA?Ft@n@]J`@', 'adInyK@GECBJ', 'edIdxKh@WRcC}@??zC', 'wuI~vKEuASn@Xd@', 'swJjtKZoDeADh@hD', '}fIroKPWi@@VT', 'edIxmKD{h@yF?e@cD?pGxG??le@'],
+        'America/Grand_Turk': ['seCfeMrB_EAeBWc@?hCCkC_@[qAZ}AlDRhBdBr@'],
+        'America/Grenada': ['uiAnbK\\gAcBkA?xBdAX', '_lAtaKOcCi@xAx@h@'],
+        'America/Guadeloupe': ['adBnbKbAYcA??kCeA?e@x@^pAjAX', 'adBtaK|AOA{BaCkA_@V?r@dA??jC'],
+        'America/Guatemala': ['{xAf`QxB}DJ_B?{CeB{Be@FAi@eAK?jClC??xG?yGmC??kCkC??mCeA?dA??lCdA?CaAmBoCo@G[jAb@|BaKM?nJpB??rABmC?lC`AcADiA?t@zAsBbAH?`G~BjAbC?q@@~Bn@', 'k~Ah_QXS{@?`@R', 'utAduP\\iA]M?vA', '{vAjpPDOE@?L', 'ayArnPD?EI?H', 'uyAbmPM]{ADO]?t@xB?'],
+        'America/Guayaquil': ['dTj{N?mE|A]@mCXfEh@?@y@?`@l@V_@eAl@wBnAg@CqA}Ay@i@@?ZCa@eDm@X_@cBeAa@cBClC?mCeA?dA?k@kCmEwE}Bc@F]_A?kBjA@eAa@lBmA|Ah@\\Eh@r@?u@BYlDs@Ie@l@g@nEEcBUJw@nB?hC|AvBlGjC?kC@jCjDrApLJ'],
+        'America/Guyana': ['cd@r~JrC_CIyB`@_@pBd@LmAY?d@Sh@Hh@g@jAdAJSfAX?Y@\\bALfBk@a@?jCOtBmDS_Ae@@[e@R_A_@ASaB?vH?wGeA??mCeA??lCCmCuDfAYpEfA?eL??kCiH?kAxBiAPoCjCiAlCHj@v@c@xApCv@b@rAc@PyC?lBt@nAFrArCDFh@', 'kd@l~J?c@i@@h@`@', 'ah@t}JJKa@@TH', '_UvkJ?kC{AjAo@A?`AjC?', 'kYvkJ?cAkCc@SmB]U_@^qDaAiB`CfH??jCpE?', '_JjgJo@eA\\eBSaAOh@uAr@dA@?lCdA?', '}TjgJL?CEID'],
+        'America/Halifax': ['{sGr_LbEiAXiCIi@?jC?kCeAeC?pG?kCgA??kCeA??mCeA??wGeA??kAw@dBMqA?bEdA?eA??kCsE??mCqE??kCeA??kCmC?@nSx@fBj@_CnA{@jB`FbBLzA_EHx@?sBLnDhBxCj@Rt@tDbCnC', 'moGtwKCkCkBmCoBsKu@h@CpAdA??vGdA??lCdA??jCfA?', 'mzGbfKEaBiBp@cBqCwBs@uC}DwCJlC@?jCdA??jCpE??lCrE?', 'uqGvxJf@s@@qAi@iA?hACkA[C[n@LnBl@t@'],
+        'America/Havana': ['}gCfsOt@a@NuAYeBvAwEc@eLCdL?_U?xGFsD~@o@rC{FnCwC]mHP_Eg@qEaAs@a@LkCvFjC?kC?mBxGqF`LdABeA?mBdHBxKx@vGvAtDrCrB', 'ymCdkN?CAB@?', '_zBduMAI?H@?'],
+        'America/Hermosillo': ['qhE`nUfAUd@aAy@?`CKpC_CaA?dAEdG}ErEu@@{@mAS~AgBx@Cd@kCxAObDaG?uAk@kAYI?dAAkAq@c@Qb@}AHsBpAgAO?lClC?mC??mCqP?xG??iAuBAu@dAa@ASs@g@l@W]ApMaCbLdA@eA?cB`In@n@', '_qDbhTf@?QcBoDv@cBm@YP?fAvG?'],
+        'America/Indiana/Indianapolis': ['msFzbPP}ABlARK?gDdB?EiCc@i@@eA[?Fm@{BY?q@iNA?tIhDG`@pEpG?r@X', 'upFn{O?kCmC??kCcL?dL??jCjC??jC'],
+        'America/Indiana/Knox': ['i`Gh~O?yAs@?r@xA'],
+        'America/Indiana/Marengo': ['}nFv|Ob@U[_AGtA', 'onFn{Of@CAY_@OEl@'],
+        'America/Indiana/Petersburg': ['yoFraPz@_@?m@w@?ClA'],
+        'America/Indiana/Tell_City': ['olFp}O^_@Q[w@EG|@p@B', 'ymFn{O^?EIYH'],
+        'America/Indiana/Vevay': ['irFnsOn@?c@sAKrA'],
+        'America/Indiana/Vincennes': ['koFncPQqBdAWImAaC??jD^Gv@r@'],
+        'America/Indiana/Winamac': ['a`Gh~Oj@??yAs@?FxA'],
+        'America/Inuvik': ['wpLttYzI[^uC@bBb@WX^b@O?sMHv@`@aALn@ZsAp@r@V{@l@PCeG^l@n@iAf@v@?w@f@vB\\wBh@vAz@{DZb@EoCrAiABkC?jCV_Cf@\\De@eACdA??mC?lC`@u@h@jA`@oBf@\\z@k@PkAPXn@ETeBS_BlBkEu@?v@Ah@aAdA^Ca@l@K?gJY_Bb@QN\\\\e@w@?dACBm@p@Of@iA?mV}o@?a@fCwH?CgCoo@?tDlVhA^f@}@|BhD?kC?jC~DlGp@cBbAV^oAxBfDb@Q`C|C@iC?hCxFdL^dBlDtYa@tBZjIrApD', 'i}J~uW?wGmC??mC@lCjC??vG', '}_K|kW[c@PQb@ZYX', 'a|KpbY?SI?HR', '{aKz~W?AE?D@', 'gfMzqWJGY?LF', 'c{JtoWF]Gc@?`A', 'kbNrnV?EA?@D', 'mbNlnV@m@O?Ll@'],
+        'America/Iqaluit': ['a|KfrObA}BcA?dA?p@}@?_IzHgNbE@vO`^b^?@}By@?x@?\\cLdAKnAl@pBaAjDXzAgCs@?dAC?gCPhCnAiC[?jCeB`@oBgBcA?lC?mCeA??kCeA?dA?_Aq@kAt@?fCdA?_J?Em@A`@KUMh@c@??dCdA?kC??mCgA??wGeA??mCkC??kCqE??jCCkCaAf@AbB?eBeA~@]jAWIy@fEUVES?p@dA?qE??kCsE?jC?AmC[VSWGz@[c@e@~@YoAWzAc@w@?lF?kBkAeBs@TNYSYG^?q@_@bBsBl@_AgC?jB?eb@?jCdAA?iC@hCTcBn@T?eBLS@^Xy@Pz@[cAXsADf@DkC?tCTg@F\\b@SB}O?vGdAgAK}@g@E^o@nAtA~@q@jDF@eAb@l@Cu@n@ETeDj@K@w@f@QQSV}@Bf@LMm@_Ei@W?hI?wGeA??mCsE??kCeA??kCeL??mCeL??kCkC??kCeA??mCmC??kCeA?dA??jClC??lCdA??jCjC??jCdL??lCdA?AmCsBkCaDd@{B`BcBuEsAiAkAcDgFuDwBvEe@vDqFrS^?mC@yCpB}B`FwBtN{AnFg@`IyC|J}D`Im@xG@`GeCTjC?qE??kCsE??kCkC??mCsE??wGeA??mCeA??kCeA??kCkC??yGeA??eLgA??wGeA??mCeA??wGeA??eLeA??mCeA??wGgA??eLeA?sApPu@pf@A|TdA?eA?FjYdBzn@fgB?', 'gjIhaO?CQ@P@', 'qsI~sN?eC[t@kBuIEvGfA??lCdA?', '_bIpoNh@{Af@Mi@_@w@v@k@qAIbDdA?', 'qhIpoN?yBYQm@j@?~AfA?', 'yjIpoN?_B}@MSn@Kq@Eb@g@A?lAjC?', 'eoIpoNEgBMd@U][~AdA?', 'ypMpoNw@gDsAJdAN?jCdA?', 'kqIjnNCg@@b@@B', '}gIdkNJCEEEH', '}mJdkNAmAg@j@a@cBKTs@[?jCjC?', 'euMdkNoBkCm@GgAoAs@eCe@MeBnAcAiGCvGrE??lCjC??jClC?', '}mJjiNBUCF?L', 'cpJhhNBMC@?J', 'amJhhNDMCAAN', '_xIxfN_AmCElCdA?', 'irJxfNh@Qa@_AGz@Ym@a@RIcAArBfA?', 'irJpeN?MAK@X', 'cfKzbNHACMEN', 'ezIjbNkCqC?pCjC?', 'cfKjbN|@cJFZEmGk@gCn@mBcA??jY', 'q~I~}Mg@WiDTpE@', 'sdNryMq@gFyAwD?pGdA??lCdA?', '_iNxpMCkCaAmC?xGdA?', 'ekNllM?mCmA`A}@wH?bKjC?', 'oaK~dMJIQBDD', 'qoNrcMe@eLgBoH?nHfA??dLdA?', '{~Jd`M@]K?H\\', 's_K~_MBMEI@V', 'k~Jz_MASAHBH', 'i}JzzL`@{@OqAQlC', '_sJnrLNMY?HL', '_tNtmLuBeJU_E?vKdA??lCdA?', '}mJn`Ls@kD}@Qy@qAg@NwBcCLcAa@}A?jGdA??jCrE??lCdA?', 'kxNn`LaAeLCdLdA?', '}xJhsKAcC_Dz@o@i@y@^sAu@?fC~I?', 'mzNhsKCU?TB?', 'qzNhsKeAwG?vGdA?', 'w|NznKAkCcAuG?`LdA?', '}~NbfKgAgP?fPfA?', 'eaO|xJUgDo@fDdA?'],
+        'America/Jamaica': ['gqBbjNjIw@q@_E?lCAmCeA??wGkCBeAh@_AdCQpFN|@`Aj@', 'mhBjbNgAgHk@SuAb@`C??vGfA?'],
+        'America/Juneau': ['}mJh_Z~BiG~@]Q}C_@Wl@{BCwAxDu@{@gBE_Eo@wANw@wEhEiDzH]ZYMi@lA`@xDNUHn@z@RTdB?gC@jCbAjF', 'qtJlnY?a@EJDT'],
+        'America/Kentucky/Louisville': ['smFpzOh@u@]}B[C[j@e@g@`@dDRD?eB?dBZF'],
+        'America/Kentucky/Monticello': ['keFrrOn@MBi@g@g@K~A'],
+        'America/Kralendijk': ['{kAzkLxAw@S{@wAFUhAf@`@', '{lBrkKz@qAcAu@m@bBt@b@'],
+        'America/La_Paz': ['~jBhrLPc@vBe@Pk@RPnDs@jAaB`Az@Ra@d@D?gAFnBjACb@{@t@RdAcAa@?pDY`@W?yA?zAjC[G_CqBwAQ}@?hAE}A_AQ|@aBNsE|@m@Au@aBs@?_Fp@]gFmAiB?gBiAeA[?TeAyI?`AIyGjBsDbA@g@}@i@t@qCsAuC[kCh@?rBvG?}I??jCmC??xGqE??jCkC?dA?CwDeGj@OjCjC??kCfA?gA??jCkC??xGeA??jCeA??jCeA??lCgA??jCwG??jCkC??lC?mCjC??kCsESa@\\`@VUh@`@jD`DvEI~@j@`@BkC?jCp@fB]FI`DtHwD^P?kB?jBdAX?eC?fCdAAz@d@jA]aA?dBOB^`@F?WlAvA|@M@iA?`AZWdAv@nBi@^mArD`D?kCHrC', 'juB|mLFEQAHF', 'zkAtwK?kCi@@SbAw@H?`@{ARpED', 'heAtwKeAWq@VvB?', 'bnAhsK?mC_@@?z@}@nA|A?', 'rkCzqKdA[eAW?r@', 'hpAznK?kCdA??kCdA??mCu@BaAv@SxBeA|@k@|BLr@bB?', '|mA~iKD??UET', 'hpA`gKCSEBHN', 'ttAtaK?kCg@@AhCh@?', 't_Bh}J?kCpE??eLs@D@bJ_DLeA~@?xBdA?', 'ttAh}J?}Ak@nAj@L', 'tjBbpJ?kCgARcASAjClC?', 'zlBvkJAyBcAvBdA@', 'teBvkJPAS?@@', 'fqBjgJIi@w@h@`A?'],
+        'America/Lima': ['p[|oOdLo@eACjCMfH}BtDkCxBaErF_C~IoAjCaArDcDpFgBvCkBlGgGfGwLvAiEdBaBm@BeEcG?dCCkCyB_C?wGm@oBuA?_AeAYZAjC?kCeW?dW?oDaDc@lAoBh@eAw@{Al@sBwAoB\\{@e@sEF?jCqE??xGqE??vGmC??xGeA?dA??yGOzCu@o@eA\\dA@eA??lCsE??jCkC?jC??kCa@\\g@EIq@}A@aAqB}ARyCiA?p@dA?qE?dA?CkCoAkCw@?x@AYyCk@c@BuA}@CrACBeAcBhAAnA_CoA?lCrE?_J??jC{@?z@rA?|Cu@p@kAEUlAYO{@^y@bC_BZyA|CJnAn@a@?i@?h@f@i@rAGGd@|Bb@lEvEj@bC?cCd@nFfAfAVIUf@rEp@|Ax@LhAs@d@nB??kC?jCeA??lCeA??jCqE??|T?}TdA?AkC}A\\?xXjFd@', 't_BtoNeACdA??B', 'p[jxN?kCw@@^v@m@YY^k@_A?jCjC?', 'v]~sN?mCeAD?fCdA?', 'p[~sN?gCw@zBv@J', 'dCnuMDEK?DD', 'jCjuM^E_@??D', '|u@llM?mCwArAwAl@YQO\\xE?', '|_@~gM?s@Y@k@qA?bCdA?', 'v~@rcM?wGpE??yG{@@HdEmHQdBjD?~Cg@E}@t@lC?', 'jNxbM?WENDF', 'jNf_M?kCc@BXdAi@r@r@L', 'n|@h{L?MC?BL', 'vRzzL?mCeBm@e@lA?lBjC?', 'jNzzLKmAe@jAp@@', 'zkA`rL?kCfA?Yq@}HtDnGF', 'zwAtmL?O_@H^D', 'nrAtmLkCa@?`@jC?'],
+        'America/Los_Angeles': ['_lHvlWpEuBrEo@`Mf@tExA\\c@hDWp@o@fBFhB`AjC}BpD[jCsChAZ\\QXq@Uo@dB_@|@mApBUpFkF_@?vBIt@u@d@Zj@[d@iBi@yDLcB\\CNd@K`Ar@V_@fALn@n@@f@q@?_As@WQiA`@]x@\\n@c@LmAs@[i@j@c@u@k@NxAwBzAQQmLCdL?eLqE??kCeLN?zB?_Ck@PKkAVa@e@_@cc@AAtQyA??lFqJM?fCAmCY]XyCa@D_FyCs@`Ac@a@b@_AxABDaDe@aA`@wAUHFYqAu@a@j@dA??xG?yGmC?{@@I\\?jBdA?iD@_@vAGW_@HcA`A\\?mFD?ll@l@}@Nr@t@]ZXk@|IbAN', 'kkEtoUEiCeCReAi@?~CpE?', 'gcHtoU?kB}AjB|A?', 'qkEhkUU[e@Hz@P', '}qEhkUeAe@?d@dA?', 'ctEhkU_@_BuB~AtC?', 'y~GhkUA[eAM?h@fA?', 'aaHhkU?m@o@K@x@l@?'],
+        'America/Lower_Princes': ['{nBljKPk@i@SEd@\\X'],
+        'America/Maceio': ['hy@~mF^o@?qCeAB?fCd@t@', 'bcA|mFx@q@y@AbB?V_@O{AZa@gC{Ak@{AqIeGQh@n@?q@@EhC~AtCMr@TNk@~@`A??yGdA?eA??dLxA?Re@dBH?oB?pBZEBnAd@B', 'peAplFPGY@FD', 'heAjlFKA?@J?', '~w@hlFBgCy@|At@h@'],
+        'America/Managua': ['}oAhdPpJuJF_A_@Qv@kC[m@b@mA?yBeAA?mAqEgBuCfA{@]AjCjC?kC??kCyG?xG?kCeAeDYg@lANzBd@f@RbC|@@y@?MlBfBr@lAlBg@v@x@~@?vA|AKFh@p@P?nAa@Zl@bA', 'ccAxmOd@gAQs@SzB', '_dA|iOi@iA?hAh@?'],
+        'America/Manaus': ['?xtLd@A|@uAf@A?iCBjC~Bi@zPhB?_A@bAh`@iNp@kCoAmA?wAb@c@aAkB`@]sAm@KqCkB_@Qi@cA]?uCz@y@e@?t@EDe@h@CA]x@g@e@w@RqOsE?rE?MqCCTyB]o@RcBq@eC`AoZ_Lw@{@h@fBSbAxG?yG??lCeA??jCeA??jCyG?xG??kCkBNgBrAyBF?bFr@X?oA@rAdBj@b@U`@l@Al@gAbAX`ArAT?iADpAbBSa@lAdA??kC?jCeA??lCkN?kBl@gASs@bCl@xBj@?k@@zBdAa@HpAxCh@Fr@dAcA@H~@n@h@iBxCJl@uBHeAj@LrAl@Xm@v@|@EBpI|B?DyBrAWMpAdAN_AJTjAnB?', 'pq@hiLeAAdA??@', 'kCpqLASEHFH', 'eLfeLCk@UJX^', 'xGbfK?mC{B|BwA{@}C~@gBOu@ZnO?', '~IvkJ?kCdA??mCmAj@_A|C{@JXXYh@bC?', 'dL|bJEk@Wj@\\?'],
+        'America/Marigot': ['{oB~jKXWk@}APtB'],
+        'America/Martinique': ['i{A|~J~As@?cBiCRQnAz@r@'],
+        'America/Matamoros': ['mqDvfSRm@tBj@Be@nALBiDyG?xG?@jCl@`@d@a@VoBg@@Qa@\\eAq@N@oAaHdCgAo@NoA|Aw@XcB^NCu@|@O\\}EkChB?b@{BVOrBwA?e@x@@pAt@?y@BKdAZbAh@?k@@hBf@n@p@Cd@xA`A', 'kiDd|RKKSH^@', 'kuDxwR?_BcA~AbA?', '_qDlsRAi@cAh@dA?', 'qlDvrRF]lATt@{@AcCgBRa@t@?|B', 'chDvpRH_@^@AkAZF?sAeAn@@dC', 'yeDzmRPs@z@?Fg@h@KDkC?\\hBAHwBzAeCgEmAZ`BgAlEb@?g@?c@~B_AXDxA', 'saDjiRHGII?P'],
+        'America/Mazatlan': ['}zCxsUf@m@i@i@@vA', '_{CxsU?wAe@j@d@j@', 'omDppUhDcDeACdA??kC?jChBqDC{@jBsDeACdA??kC?jCfAc@~Db@rBkCh@mC~BkCw@?~Cm@LaAu@uAq@c@eABo@n@sCz@@|@w@p@cA?mC`AGh@}@DSp@sAHeBtB_AWAtAi@lAw@FHjIWd@X\\LtD', 'erBrmUv@]YaAy@TZhA', 'suBv|Tb@i@c@i@?rA', 'suBv|TCsAg@h@j@h@', 'cuBlvTdAc@OeA_@I{@l@d@dA', 'mwB~tT`@s@o@e@e@l@r@j@', 'saDjlThBUjA{DzB_BtCmEvF}EpAWPj@f@BLiAv@K?i@rBS[wBpAgBc@XqAa@A]q@?r@?Ko@g@O_Ab@i@xAmAOBj@y@t@Zh@eA??~A?_BY@F~@c@z@{ErA]l@Np@wCxBiANo@k@?tBjC??jC?kCqF?Df@{@l@uBb@|@P?dArAbBKfAbA`@', '_fD|eT?eA}@@Af@~@Z', 'k_Dj_TAyBwAjAKl@dB?', 'ggCf{SdB{@`@iBaAGeA`Ac@r@b@v@', 'mtCduSDQE??P', 'erCxtSAWIFJN'],
+        'America/Menominee': ['abHbtP^sALVrAsKTDZeA~@T?kC_Cb@?p@s@??bB_@?NxFc@??hAq@Vd@nB', 'iyGjcPP{@s@q@AzAb@P', 'kzG|_PAC?B@?', 'k{G|_P\\CQMKP'],
+        'America/Merida': ['waCfaQb@[?u@eA??hA`@F', 'ytBdaQfASDm@hAMj@}AqAm@h@CToAZ??oJ{A??\\dA??vG?wGkN??mCeA??kCsE?dApKp@jBzAl@jCDxBl@nBtDBdC', 'ybC~`Q?iAQd@Pb@', 's`Cj`QFYG[?t@', 'i}Bd_Q^O_A?^N', 'i~Bt~P`AC?q@cA?@t@', 'ybCt~PdAAc@Sa@T', 'm~Bn~P?k@ETDT', 'miCt{Pj@k@k@o@c@n@b@j@', 'olCnqPlA]GmAqAZJnA', 'gqBbmPAa@aFBY\\Ee@eBsAe@mB{AyAs@_@iCCUjArE??jCdA??lCdL?', 'ggCrfP?iAEp@DV'],
+        'America/Metlakatla': ['kwIdvXRiAa@SWdAd@V'],
+        'America/Mexico_City': ['m~B|tSvFcD`@_AgA?fAAdAyC`BiAlAcIbCeDpBsGb@wDtBcFv@yHkBwFF}AbByDeA?dAAxEeF}@k@{CE?jC?kCkC??yGmB@{ApBEXbA?gAB?fCC_FmC?i@fBz@Xk@|AiALEl@gARh@~A?hB@kC?jCt@rDgAv@{@pE_AVSl@uBl@bA?eA@kC|BmBl@Ua@k@?w@hAqA`@Rt@s@dAJpEcAr@X@YrB_B@DxAcBSi@R?jCAkC_BHiAvB@rAs@l@G`D|Bc@?zDrAxAjAO^t@bAThAQBd@vCRh@yAtAa@\\zAR]p@z@n@UsAtBhAzAGrBz@D', 'u_Bd{QDa@Ea@?bA', 'u_Bt~PwBkA?aGcAIMn@k@LhB??xGjC?', 'y|Ar~PKGIFT?'],
+        'America/Miquelon': ['ycHjaJz@yAUcAgC`BVp@hAH'],
+        'America/Moncton': ['sfHpnLV[_@mCt@qApG@?{@@~@PgA|@D^[Ee@hAu@nApAPcBcCkDu@uDk@SsB}DClCI_F}@~C{Ab@e@QkBaFoAz@k@~BlA|Fq@`Dn@jE_@l@?fBNr@hA?p@dC'],
+        'America/Monterrey': ['{}C`}ShAOvCyBOq@Tg@dAi@fAD?sA?z@dA[?kDeA??mCsE??kCkC??eL?dLdA?GuDW@A_@TyAr@m@AsAhAwBnFWF]]ITwA?v@XU|@P\\qB[EbAs@Q_Dx@sBSy@eKOkCc@_BdCIvBiB@?lBo@JGf@{@?WvAa@?FX_@AaAvAmAUg@bC}@NBt@[I]|A}Av@OnAfAn@|FiCcA?xAKJ~Ap@O]dAP`@f@Ag@|DZRf@]UpBVD?o@?n@jAt@_@j@Nt@s@nBElBdAXAYrAjAj@Q\\pAt@?aABj@~@', '}oCfsSp@}@GaAn@UJb@b@O[i@x@u@Oe@sAg@?`C?cC{BI_@u@kANsAyA?{D}APx@PeA@?hCdA??jCrE??lCdA?@lD', '_mDvhSL_BY@FZuBk@Sl@lC~@', 'qlDlhSdAG?yAeAJ?tA', 'uiDfhSj@SB_Ai@JY_@AdBT@', '_fD~nRUs@Ir@^?'],
+        'America/Montevideo': ['|pEplJdB_@dAmAj@@|E_MyFmLcCkAc@dA_CQ?hC?iCeA??jCmC??jCeA??lCeA??jCeA??jCeA??lCo@?Xf@hAKvA\\?y@D~@~@Bl@h@|AO?}ABdB~BQb@~@pAP', 'd~DjgJ?mCdA??kCsAFuAjBBx@b@NKrAfAF', 't{DhgJFEAKEP', 'pbEp~I?kCdA??{Ec@Zg@`CiA|@d@zAk@Cu@l@jCD', '|fEvuI?kCU?o@|@?lAdA?', 'jkEjqI?kCmCxA?p@lC?', 'pmE~lI}@gAe@fAbB?'],
+        'America/Montserrat': ['wgBheKx@s@Ym@a@CSb@T`A'],
+        'America/Nassau': ['mtCjwNrAq@d@iDvAiDcA?dACbDoH`GoTMuCkGiBeALkCjDsEjDmBrFyAvAcHnDeAfBjC?kC?eAfD?pAdAhCbEFtAh@bCa@rC~BZnBh@Z', 's`C`lMD[E_B?zB'],
+        'America/New_York': ['ylFn{Op@aAh@XZk@C_Bf@c@?_AeA?dA?jAcBx@h@h@Yb@p@?kB?jBz@m@~@nArBdADb@lNoAp@_AX`@~AB@mC?lCpE[?qB@tBbAV@mC?lCrAKk@hAdAFx@eA}AmEvDaDTq@eACdA??kC?jCrENvGgC\\_AnBo@?q@vBk@z@xDx@RRSo@?n@ATaAc@sDa@s@?|C?kCeA?AkCc@]yHg@qEdAdA?yFh@yC`B}Cv@qBJgDaA?hCjN?qP??kCeA??kCmC??mCkC??wGkC??mCeA??kCgA??kCqP??mCqE??kCsE??kCkC??yGeA??kCeA??yGmC?lC??lCdA??}FuDAo@hAChAuDq@_A{BQwDs@}@NqA]Wc@Ta@mDeAY?jBdA??jCdA??xGfA??jCdA??lCpE?qE??mCeA??kCgA??yGeA??kCoFOg@jAqGAy@nBb@nBw@|@vCzCx@R?aB?`BdAh@@kC?dCbDrBMrAx@j@?j@@kC?dW~CzGpB`BBdK^xAzBs@xArFd@`FdB|E?v@w@tAl@|@DtG|M@?p@pALV_AFtBf@@^j@Vm@ZB\\|Bm@z@\\V', 'qoGdkNBkC?jCC?', 'c{DdsOPMk@?XL', 'seEbsOXK}@?b@J', '}aE|rODEY@RB', 'yxCvfO`@mAw@a@UhAj@d@', 'wdEv|NAkCiCkC?jCdA??jCdA?', 'yxCjxNeAkC?jCdA?', 'ciE~sNcB}D}C{BAqC{Aw@eAoB?lEjC??vGjC??lClC?', 'ivEjbNNmDcBiBy@aCkBKqFdBsEuCwCa@gEcEaCYIiB?`CdA??jCrE??jCpE??lCpP??jCfA??jCdA?', 'u{FllMAmCmByIk@SNq@eAC?jCdA??jCdA??xGdA?', '}_GzzLJm@Og@BtA', 'avGzdL?kB[MiAt@?p@e@BjCL'],
+        'America/Nome': ['ezJn{`@`CmBSkCeA?dA?UsAo@TsAhEj@lB', 'ykKzs`@PEm@?ZD', 'gkKts`@x@mCKeDtAoEe@kFeAu@]XWvDaAlDPlDe@vBZlBvAP', 'idJlj`@j@IRs@aAuDu@tBJlAj@n@', 'w`Jlf`@j@{@FoAs@eAi@dABdBd@d@', '{gIjb`@BIY@TF', 'qhIbb`@?AE?D@', 'wgI`b`@YkD?jDX?', 'whI`b`@DkCOaBs@kAAkB?pK~@R', 'yjIja`@?oKeA?dA?_@kCuB{DKsDgB}CGwC^?^_AWmDgIKBrAx@|AI|AP^p@Iv@lG~@pAr@BIxAv@nCLrCj@~@t@JS~@Y_@i@TCrAh@\\\\a@x@jBBkC@zCbAdB', 'exKp_`@t@eI^OeA?dA?j@oArA{@XmAQcNl@gF]eCqL?NhFe@_@e@nALjJhD`S[jBbBL', 'iuKn|_@b@ULoAc@}Ao@|A`@dB', 'kwJ`x_@v@i@lAuGk@_Em@_@?}@|AoBLuAc@}Er@aAb@Dv@q@`AhAf@kBs`@?G|C\\`Ar@_@Tv@a@zDfAjG|@e@jCxEpB`@lBaCd@_Bj@fAQzAtAxH', 'cjLbu_@fDyP`Bq@d@gFaA?dAAd@k@^qDoX?pBzG?{@BdAdBp@`@v@p@nOzAv@?w@h@rC', 'glKvz^JGYDL@', 'kqIhy^Hg@E}@CdB', 'k|Ivu^?gAa@?`@fA'],
+        'America/Noronha': ['dWfkEh@g@i@}@s@`@r@bA', 'gDpwDTs@m@W_@f@v@b@'],
+        'America/North_Dakota/Beulah': ['yfHx}RdAM?kAs@??cB_Ab@AvCn@@'],
+        'America/North_Dakota/Center': ['gfH~zRr@?KoDq@\\Dj@\\?_@@DbB'],
+        'America/North_Dakota/New_Salem': ['sdHb}Rr@AP}Cr@?Pu@Y[?fAWkCyAlA?fF'],
+        'America/Nuuk': ['wnN|nLPuOdR}OLm@pAnDxAmWeA?dA??yG?xG|BaJtB[nOmNlGkBy@?jCKdAsCbEyAbGbAhBi@dLiIvAe@nSuVbEwVVkEq@qE?|K?yGeA??kCqE??kCsE??mCqE??kCkC??kCsE??yGeA??eLeA??kCeA??kCgA??mCeA??kCeA??kCeA??mCeA??wGeA??eLeA??eLgA??yGeA??wGeA??mCeA?dA??lCdA??vGdA??xGfA?AkCqEkTyBiGK`Kq@jGaBz@a@_AkF]pAkLGiEs@VkD}D?jCdA??lCjC??jC?kCkC??mCgA??kCeA??kCkC??mCeA??kCeA??yGeA?dA?C[q@i@cApCaAn@JvLe@bScVo@V{c@UJ_@uA_BeIm@aL?lPdA??vGfA??pf@hY?iY??qf@gA??wGeA??eLeA??kCeA??eLeA?dA?_@gBgArFkBj`@kB|MgDpf@k@v]Vvs@dHzbC@kCdAnP@eC?dCbAxG@gC?fCdAbG?wBzArR`ArFf@|@f@mAjChD', '_jOnyF@iC?hCA?', 'seOj{H@iC?hCA?', 'mxN`|K@iC?hCA?', 'mwMjkKB[C??Z', 'qtJloGAkC]g@{PsHgDuE?jCdA??jCpE??lCrE??jCpE??jCdA?', 'ulKz}FAkCqFsCkBmQ?fMdA??xGrE??jCdA?', 'uwKncFyF}RcD{FsCsW?hPdA??vGdA??lCdA??jCdA??jCdA??lCfA??jCdA??jCdA?', 'giLdsDeAmP?lPdA?', '_hMl~BeAkCAjCfA?', 'gjM`zBkCeEkC_K?jHdA??jCdA??lCjC?', 'evNnrA?kCqAyBy@kI?dMdA??jCdA?'],
+        'America/Ojinaga': ['mxD|tS`@w@EkD{DRd@bDPK^t@\\uA?bAh@R', 'gwDdrSt@}@DmAXfA|AgDMm@c@??cCe@Q_@tC?gA{AbDcCp@xC?HjC', 'esDjiSt@GBkAy@k@?~B'],
+        'America/Panama': ['as@`fOn@_@n@PbDwE?uReA??kCeL?y@jBKxEdBfImA|El@h@Yh@X@?uBBdClAA\\k@d@h@z@G?yBTzC', 'mz@jxNBkC?jCC?', '}j@dkNAkC}AeAe@Dd@a@sAoAsBz@sAWoBjCdL@?jCdA?', 'yv@jbNZASEGF'],
+        'America/Paramaribo': ['{X|iJzBqA?mC?lC\\ACcAj@C@cABbA~B{@FsC?hCtAs@Z{CkAn@s@i@Xk@e@mC^_@GyAaAe@AdP?eLsP??kCeA?Aw@g@tFTfFR?o@jCN`@`Dj@^_@dAtCZQzAd@?iANpA', 'kTrgJHGM?BF', 'qPvuI?_C_Dk@wAjAmDRsEuB?t@fA??jCpP?'],
+        'America/Phoenix': ['cjErlUbBcIcA?dAA`CcL@wKkU?@~As@K?vDfA?gA??hDwBNPtAqDJ?hCCkCu@c@KaAQV?nO~DPQ|At@?w@BJXj@]hE?tB_B`ApAjACp@h@lAu@pAfA', 'i`FrvTN_@a@IPh@', 'ueFpvTLMAIKV', 'iaFvtTbC?DuCYq@g@?AlA?cAYLIbBgAm@@vAb@`@', 'obF|pTRAWMBN'],
+        'America/Port-au-Prince': ['irBduMr@o@g@g@i@^\\v@', 'crBxqMr@_@~@oBc@aCAqF\\i@oAa@?hCCkCaAt@Qq@k@ZaA_@MjCCkCiAF}@`CdA@?jC?kCaBPQ|Al@|A?aADpA~@Zn@c@TeBj@FHtAdAI_@dDPz@hA^', 'mwBf_Mf@A[QKR', 'gyBf_Mf@EQAUF'],
+        'America/Port_of_Spain': ['y}@~bKb@uDU}@}FqBg@FMlApBhErDdA', 'meAh}JBkC?jCC?', '_aAtaK@kC?jCA?'],
+        'America/Porto_Velho': ['h|@n`LPiAa@cCTi@]a@rKY?a@n@I?eA@dAjBuC@}@i@?l@AQo@j@eAIk@nAkARyBtA_AA}Ba@I`@C^wAo@_A}E{BcBbAsAe@}@JWxHoGMgA\\eA_@g@^@h@pADw@?Mr@aDrC?tCdA^?^zBf@JpCvAt@e@T`AjBc@b@?vAnAlA', 'n`A|wKLCSCDF'],
+        'America/Puerto_Rico': ['{oB~hLh@w@k@q@y@~@z@h@', '{qBbfLf@{@vA[@iFgAmE{A\\[bEEzD`@~A`@P'],
+        'America/Punta_Arenas': ['lpHfzMpKq@~@g@jARvD}@\\aAp@@pJsI^eF|B{JcA?dAAlAiD?yFn@aEw@wCkCkAe@lCpD?kC??dLsP??vGeA??dLeA??jCeA?dA??eDQXk@UmAT?xGeL??dL?eLdA?AiCaBdD[jEx@pE', 'r}HllM?yGgA?f@zCa@Iy@x@wAVeAaBeAN?fC~I?', 'ddIrcM?eLdA??wGrP??eLg@BQvAClG}L?aAe@{@dHKjLSOe@bA?XdA?', 'x_IrcMK_@_@\\u@]k@^lC?', 'f`JznLf@mAWeA?lBCoBU?k@`ABl@p@d@', '~nKznKC_@?^B?', 'znKznKsBwh@aDrEbA?eA@eAvAuAd@zCrT?uBV`F~FbE'],
+        'America/Rankin_Inlet': ['_vJp|R?{k@rBQ@gBLpBv@H?{B?rBdAgA?}FzFmCzAl@u@oInAiLlAsDfB{B^oDU?|BeHmm@A_DlM{HeDsBOuAgG?vGjC??lCxG??jCjC?kC??kCyG??mCkC??wGorA?nrAOisA?k@dHdA@gBMFkFQxF[X[YDgHsN?bBxW?kA^rPrB|TdCzK?aCBjC`AzB?{BlA`^xh@?tHm|@xHoLeAAdA??kC?jCfCkCaA?dACdAw@bM??fpAvj@@', 'ypMl}QsE??yGeA??cL?jCdA?~@cDvB?DnHo@xGdA?eA@UdAWIm@gBM^_@cCCxGrE?', 'syMzkQ?vGdA??wGeA?'],
+        'America/Recife': ['lu@naGNsB?r@dAgA|@RD_@Ss@aAW?w@k@MGi@?nA?oAY@Y_AvAkCc@?d@?[a@`Bs@e@s@eAA`A?u@i@x@}AeACxAGR{B_BuCFkCU?f@i@wGiAc@tC~@xA?{BPzF~ApBcAf@@`@aBkAi@x@nB`Di@~BT^?i@XrA_BnB?tAdA?eABKrAZb@nA_@x@JnBvC', 'ho@~nFAQGHHF'],
+        'America/Regina': ['_vJpnTl`@?^mEc@oBNyAvAC@oFdADh@aA|AABu@^t@?rBdAA?Yf@VDv@h@A?oAo@?nB]VVAYdA??t@r@gAPbAjCY?pArCC?eAHfEfB??ug@s^pAO^v]B?v]?w]w]?eAlBu@@eAuBq]P?~p@', 'kqId|R?CAB@?'],
+        'America/Resolute': ['atMf{Q`@cAeAAdA??qPeA?dA??pPt@eLKcDi@QmAP_AbDfA?gA?Iv@l@bJL_@x@nB'],
+        'America/Rio_Branco': ['fn@jmMj@{@XPvAm@rAsAaA?jC_@?kB?lBt@l@NyCeAAbA?fAu@CaFaA?`A?oAiBzHVKsG`@iCi@aA?jCCmCk@a@H_AeCuDg@?}CpJoFvGW`EfA?gA?c@vHwArFf@SLp@b@D', '~l@dmMB?AGAF', 'n}@bbMAoD]i@@tE\\B', 't}@n`LYa@O`@h@?'],
+        'America/Santarem': ['eAboJjCGjC_BeACxAGNa@YYz@Kb@{@a@?b@AX_BlAsACaBaAA~@?O_@v@z@nZ~KlHaDnBI`@oA`ByAj@q[kB[}Ap@c@bAeALvGBwG??lCmC?lC??mCmC?eCwCuAfB{AJmBfAqEc@eEkBH_@}A??jCkN??lC{H?oAjCj@?m@?Wj@CjAgCXJfDYj@r@h@l@o@h@Ra@dGn@d@?mBDfDl@h@S~@bAf@DjAnD?', 'kN|xIA_BWXXdA', 'dA~lI?mCkCrAaAGiA`AvG?', 'pPphI?kC_Fj@a@oAQXy@g@P~@e@`AwCz@xN?', 'vRddIfAOEs@_@La@]eAnAdAB', 'pNddId@AOEUF', 'zOddITCY@B@', '~TtcIPUQQ?f@'],
+        'America/Santiago': ['|qEvyNr@gAs@i@k@dAj@j@', 'xcD~tNb@oAc@u@g@ROpAv@^', '|qE|mNXwAYg@a@@a@bAbAx@', 'loGrtMj@Ak@cG\\uCSu@^}@Wc@t@i@R_AS[gAL[h@u@e@y@nA?v@jC?}T?~I?CeC{Eh@y@o@_ATi@o@a@VdA@yG?jC?C_AsAD_AwBy@`@dABeA??jCeL?xG?AqBaAL_@Y[Xw@g@aB?v@AK{@mAcAoCJI\\Ui@gAWkNJ?lC}I?jC??aBq@k@yAQmNPxG??gAa@Lm@m@qC[yAaBiBm@?fCCkC{@YNi@s@}@uA`A}@i@qCh@cAq@}@l@e@MsBkFmEaA]\\CrCgCL?p@pE??kClC?mC??jC}I??lCeL??jCmC??jC?kClC??kCkFn@SQQj@mAd@L`AbAIx@~@?{ALbEjR{@vG`A?}@\\|AzIBdBYvBx@lCEdBn@?]B^nAEfGpBBkC?jCd@RdBG|@k@lA~@fALlJs@|Bv@hBSfBjArDb@dBrAhDt@lBdCfAXdBCdAg@@lAb@Xr@YDaAvCs@pBxAjEr@jASnJtBpAvA', '`kGrcMA{@cAO?jAdA?', 'zhGrcMCmAkAZEwAu@J?|BjC?', 'lpGf_MQ[MX^@', 'xzFf_MZ?OKKJ', 'hwFf_M_@G@k@i@??r@fA?', 'nnFf_M?kCkC^?jBjC?', 'biEzzL?mCfA?Aa@aCp@Kc@[p@mBN?~ApE?', 'nxElvLeAo@?n@dA?', 'hvElvL?s@c@GCg@]H?xAdA?', 'btElvL?}AeAH?rAdA?', '|qElvLAuAcAM?bBdA?', 'voElvLAgBMj@sACg@\\?`@jC?', '~`ElvL@EQDN?', 'd~DlvLgAsA?rAfA?', '|{DlvLA}AYXoBC?fAjC?', 'zlBvqL?QO?NP', '`eCtmL?mCgARc@n@u@Sq@z@?`@rE?', 'l~BtmLEo@w@PGg@e@ES`@aA{@qAdBrG?', 'liCfiLCs@gCn@jCB', 'xmC|cL?i@GFF`@'],
+        'America/Santo_Domingo': ['o{BjaMfAcAY?dAJX_@p@t@Na@p@??x@`@U^c@BkC?jCvAj@nBk@w@kCCjC?kCeA??mCeA??wG_J?~I??vGdA?CuJsAo@s@QyG`B}C|Cs@bBg@dCVhAxF`F', '}bCzzLBmC?lCC?', 'ywBt_MJMM?@L', 'wlBzzLCG?FB?', '{lBzzLcAmCAlCdA?'],
+        'America/Sao_Paulo': ['t{DhgJScD`BsBeA?fAE?eC?fCf@i@x@Aq@uATsC?`C~@q@`@oA[?\\?Bq@b@[?}@?|@p@}@q@?p@?h@qAxAy@i@?l@A`@eA|@dA?kC?lC~BPy@Q~@?DuAk@w@mFkCqEuG?hCAmC}IkEwEoFqF{@gBp@_BO{C{AgDwGAjC?kCeA?dA?{A{FsBiDCjC?kCeA?dA?Ym@e@wJEjC?kCkC?jC?A{@cCqAkA_CwAEyMiG}DC{A~Cg@G_AnAiBYAk@{@@y@gAw@AK`@l@?eAZa@vBPdBo@DkArAL|@sA~CjC??yGdA??kCjN??kCdL?eL??jCkN??jCeA??xGeA??jCeA??xG?yGWx@}@SUtAb@xA?gA@lAdChEDkC?dDZp@[G?hAdA??mC?lCeL??jC?kCpE??_B{A`AgBAWc@?p@{@Q?b@c@?ZF?z@z@hBa@dAhAH]XlA??kC?jCeA??pPdAh@?i@Bp@lFj@p@nB`Cl@LhArAvAh@KdAjA?w@@x@rAf@v@B?eB?dBjC[JcAf@f@Pm@?d@J}A`CwGn@YhC`@hAbBz@Dd@p@~@HjCbBhCjE@mCRnDhFpCn@OtF`AAqAu@Gz@GNs@fBg@rCD|A|ATdC`Aj@r@dB?kC?zCX^`@OK`@V@?aABxArBrA|EtF', 'pbEtwIFQGE?V', 'jjDdrI?Ya@B`@T', '|qEnlIVc@Wa@?dA', 'jrAj{HBqPIdA_@@Zt@]Nb@LoA\\WV^Ta@\\~Ap@yBrEfCd@', 'bnAdzH?_@s@Wr@v@', 'zxC`aHAE?D@?', 'n}A`aH?kAmCQ?|AlC?', 'hpA`aHO{@Jp@[H^?', 'hrCzsGCE?DB?', 'n}AloG?kCeA??fCdAB', 'h{ArnG?qBW|@Vr@', 'b_CvwDREg@?RD', 'v_CpwDRcA}@KO|@x@P', '`_CrtDh@m@}@c@S|@f@R'],
+        'America/Scoresbysund': ['{zLfzC`B{@p@kGJaKwAaBkGvAFhEoAnIAzAjF\\`@~@'],
+        'America/Sitka': ['}gJ`vYlAgBpAMbAgBcA?dAAtB}Ch@D^}Cp@D~@cAbAHb@y@SkA^w@?mE]m@Ne@w@?v@?i@oAVsAmBoB?fCOaDaBb@Y[k@P_BzIi@DKp@c@MG~@WW[VOt@n@zAD|Dz@fByDt@DnAo@~B^ZP|C', 'kwIdvXe@WVeA`@RShA', 'osIp}XBk@Ea@@lA'],
+        'America/St_Barthelemy': ['cnBdiKRaAiAUQXfA|@'],
+        'America/St_Johns': ['{oH~xJTAW?@@', '}oH|xJlEMlAcFKsDp@yGi@qAPy@bCcAb@iQ{@aAkC}@yFlAcEvC_AzAs@tGgBg@gAf@mA{@aBQc@r@gBj@mC_@s@l@xA`ItJ?dO~S', 'amIp~I@kC?jCA?', '_vHjmIVKo@?VJ', 'guH~lILkAg@e@]XBpAr@D', '_wHplI?iAGd@Fb@'],
+        'America/St_Kitts': ['_kB`iKlA}AqAg@_AnAbAt@'],
+        'America/St_Lucia': ['avA~}Jj@Cf@w@g@w@eBHEdA~@b@'],
+        'America/St_Thomas': ['}rBpvKzA]CsAq@?Gj@i@RJp@', 'cnBzuKz@]SaBk@Se@`Ah@pA'],
+        'America/St_Vincent': ['ymAj`Kh@yAUWcBa@cBJCdAvD`A'],
+        'America/Swift_Current': ['qtIpnTpE?@iApBeDx@`@_@BIp@t@j@?jB|U??kLgB??aCuCB?bAjC??jCdA??xG?yGeA??kCeL??mC{A??nAi@@Ew@g@W?XeA@?sB_@]C\\}A@i@`AeAE?VpE??lCrE?sE??mCqE?AvEwABOxAb@jA?gBAxF]~A', 'eyHj_TGuCkCXQcAk@|@A`CrE?', 'y_Ij_TEmDeA?@Xo@QQTdA@?lCdA?'],
+        'America/Tegucigalpa': ['uyAbmPbB{BIwLeA??kCgA??kCeA??yGeA?tB?i@}CZILoAo@g@{@x@IbAeA]QbAcAv@N`@dA@d@q@|@QeCnEc@pCkB~DzClMn@FzBrD`B?L\\', '{vAthPh@W]o@NuAnB@dAoA?mAs@UEg@}AJ?wAy@m@f@iAmAmB_AEq@q@^{B_@sB{@E?xGdA??jCfA??jCdA??dL', 'okB|lOXcAg@W]hAj@P', '{lBjlO?u@GZFX', '{aBfcOTaAm@OS~@j@P'],
+        'America/Thule': ['m~MfnMl@gEg@gHlAeDdAmHj@sNFcNqAoDMl@eR|OQtO~@nFp@`L?gCNvGp@lCBkC?jCj@`@vCaAtAyFeA?dAARaA?|Ib@x@'],
+        'America/Tijuana': ['kuDfdVzAYBeAc@W_BV?z@b@b@', 'cjEp}UpAoA~CoAeAAdA??kC?jCjCmA?}@D~@nA}@v@?eAAdA??mC?lCj@C~AwDxC{Cx@N?}A?~AVe@IkIuFl@{KbJ{@DpED}E?e@`AgATyA_Af@nP', 'wnD|fUAmCwG?xG??lC', 'woD|rUdAeAe@mByAj@PtB?uABxAb@L'],
+        'America/Toronto': ['gqHxwP~C?FuIgA??yG?xGfA??jCXAFiC_AyDzG}TtA{@MuA|Aa@@yAl@P|AqEpEu@eAAdA??mC?lClC]bEnArAxBdAW?sCeA??mCeA??wGeA??mCsE??qPkC??kCeA??mCeA??iYkC??mCsE??kCeA??kCkC??kYgA??yGkC??kCeA?dA??jCjC??kAaC?X_CS{Bm@l@\\?_@@mA~E}L??`DGa@w@RKlAnATCVp@O`@t@c@\\K`C_@?Az@Y@PtAw@^^Vm@J?hAcA?_@fBSQU\\?mAo@FO[_AhBx@NeARGSc@~@YE?pACoBs@X_@u@Nq@a@c@qAfAhAwCSN?_@kBh@hAmBHoAj@_@s@wBl@{@VwE_@h@c@YJg@{@M?zAAmBKp@[gAK|Aa@]u@h@WqAGtB[a@k@~@A}@s@v@a@y@OVu@o@BZa@c@k@LM_@UzAu@\\Eh@y@s@?fBjC?qE?IsFYn@ZtA]\\GvBWQ?tBAkCcA?_@p@}@q@c@l@KaA[t@Qa@C`@|BjC`@W^d@?o@VxA~@RVdBdAj@h@dDMjCOeBHl@g@NAv@k@JQn@GxBk@@Bt@c@m@OfAjC@aDLSc@QT_@WaC|@Ka@o@C?o@o@Vn@zAKd@i@A@b@r@?u@@PnAYz@|@?}@?GjCAc@i@jABg@I\\SS?`CEkCW?TlBSy@y@vB`@@Gh@_@k@YDWbBlC@mC?q@lBl@jDBkCBvDTk@i@nDZ~ASaAOjAV?W?UjCl@?s@@QjD~@fCnBg@b@aCJ|At@GBuA?xAdArA?mD^`BZyAHv@?_ANvAt@wAHz@ByAXt@ZW@kCJhF`@SVl@H{@XjAb@D[RTMD\\?c@?p@XA@x@ZGLaBDlB~@uBNiBVHLe@u@?t@?Na@?iB@nBfCoBcA?fAA?iC?hCvDS`A^bB|B?gCDjC~@`C?aCDlC`AtD?i@h@hEFs@v@ALi@JTBaAJTRg@DZZc@n@ZDc@Jp@JmAD~@@a@|@L?k@Ln@\\y@X`@d@W`@m@?}A@`BlAPj@pANy@@d@d@c@h@^g@Le@hAbBtAa@nBgBbAG`@h@?i@?oAhCxB@}C?iBlCt@?mC?|@A[_@gB@qB`AoAm@mATYfPkAbDy@bHgBxBkAjEzBhE`L??yG?xGZ??gEhAcBp@?jAbBp@??z@BkC?vGjC??kC?jC`B??UZTlL??~Dp@H', '{kHnvPN_DS?B~C', 'odGpeO^qBeB}Ee@aFyAsF{Br@[oA?`CjC??lCdA??vGdA??lCdA??jC', '}fIv|NPCKCEF', 'yeIt|NEGKDP@', 'moGpoNGqOqBaB_D{GAeTy@k@LsA}AmA?lBdA??hYdA??lCdA??jCjC??pPfA?', 'epItmNBUAFAL', 'aiIpkN@KG?DJ', '}cK~qMCe@Ab@D@', 'y~Jf_MFAG[?\\', 'm`Kf_MV?Eg@Qf@', 's|GzzLAuBm@e@UzCdA?', 'y~GlvLgAi@?h@fA?', 'aaHlvL?q@y@KqAmA?jCjC?', 'meH`rLeAmA^a@_@iBQ[iA?Os@?gB^m@IqAk@i@PqDd@_AaAeE?fZjC??jCdA?', 'usIzdLAECDD?', 'yhIz`LF??EGD', 'kfIn`L?{Aq@RD]YB?xAdAF', '_iIl`LL}A[P?]c@f@p@`A', 'akH~_LAG?B@B', 'kfI`~KDIEA?J', 'wuIfwKBCCC?F', '_lHhsKeA{D?}AAxGfA?', 'wkJhsKAcC_@I_@NC|BdA?', 'irJhsKdAAHsASn@g@Fg@k@RhA', 'wuJhsKNAIIEJ', 'exJhsKHA?_@I`@', 'sgIjpKf@e@eAE\\j@', 'ymJjoK?OAL@@', 'sgIznKOwBMvB\\?', 'qhIpnK?mA_@L^~@'],
+        'America/Tortola': ['isB~tKh@SFk@p@?w@cBaAOm@hAr@d@Jz@?m@Bt@'],
+        'America/Vancouver': ['_vJbdZvCaHb@OU}D{@SIo@OTg@mDn@yAXL\\[hD{HrFaFVVF_Ab@LJq@h@E~A{Ij@QXZ`Bc@pB`CRdMx@dBhBN~CyBnEuGnFeLn@}C~AeAp@qCnBwCjC{HeA?lAUr@mHg@sAu@\\Mk@UBYp@?_g@_@VQ_AmAd@w@{@?TKw@aBv@]S?RC[oAxCs@XE~B?eA_CvAKzBdA?kH?Hj@o@|Bo@p@Ie@_AfBYCEjC?oAeAv@?bDeA@qB|D@lA]GeAbBoBRUd@OOyAv@g@f@?|@CiAYFe@`AClC?iCc@|AmAG_BxM?}AYr@U[iAp@yA~CGm@e@A?xeA', 'axI~kX@kC?jCA?', 'cpJpzY\\?[sAArA', 'apJ|wYAC?B@?', '}qJ|jYDEK?DD', '}_K|kWX[]YUDXn@', 'qsIfwVAgBEv@}@n@dA?', 'edIteV?sAq@ZSaAeAT?bBjC?', 'qhIteVAcBeAbBfA?', 'yrHnxUCGGFJ?'],
+        'America/Whitehorse': ['_vJn}Y?uwAg@|@q@NCp@k@d@YSBrK`A?aA?Fx@y@LB`@[M?p@As@w@Eu@nCmAdBEtEq@DQYQjAw@j@k@]a@nBkAQ?fCeA@?hCdA?yCD@fA[c@{@|Ds@w@]rA]}@?rAA}Ae@m@o@hA_@m@BdG{@GIp@m@s@_@rAOo@AhBAcB[z@Iw@?rMsBFKh@Z?{Jb@OxGfz@?', 'k|K|aYKGCFN?', '{nKvtXKqCMj@MW]d@AvAfA?', 'cqKvtX?sAWv@VZ', 'ulKjpX?gCMr@_@k@W~BdA?', '{jK~kXWu@]X?Zt@?', 'abKx~WCAA@D?', 'c{JnlWCeBYt@\\n@'],
+        'America/Winnipeg': ['guIt_St@Al@o@T}@cA?dACN_@r^qA?ye@kA?JaArBc@j@}DUsCjAgCY_AO~@g@gBcA??{Ck@??vAEyGkH?cBtCq@?cBuCqC??jCCsIq@?kAcBq@?iAbB?fEh@?qE??jCpE?qE??kCeL?A_Ay@`Hz@bEWRN~A}@s@mCjArE?wE?gCfA?|IdA?yG?lC?y@s@q@b@oAA?zk@xZIeAAdA??kC?jCvAEdAtB', '}mJfpQ?aBeA`BdA?', 'inJxeQ@CE?BB', 'q~InqPwBiEShEjC?'],
+        'America/Yakutat': ['etJhtZh@qF|CmLw@}Cq@TiD|Hs@Y`@tDYjEvB`C'],
+        'Antarctica/Casey': ['ftLg}QFwnCg^?gEvnCfd@?'],
+        'Antarctica/Davis': ['nxOkcN?ct@_bC?lE|QBwGeA??mCeA??kC?jCdA??jCdA??xGfA??jCdA??lCdA??vGdA??lCdA??vG`oB?aoB??wGeA??mCeA??wGeA?@jClF~SnoB?', 'n`LuxN?oGeA??kCgA?lCzK', '`|KceO?MC?BL', 'nuKywO?UG?FT'],
+        'Antarctica/DumontDUrville': ['ntL_mV?_yFg^??~xFf^?'],
+        'Antarctica/Macquarie': ['~wIu|]Vo@WsAk@J[m@sBWCtBp@f@vACt@b@'],
+        'Antarctica/Mawson': ['nxOwvI?skCooB?]fDdABeA??dL?eL}In|@dA?gABaLrhAnhC?'],
+        'Antarctica/McMurdo': ['nqP~cb@?_ieAazB??jC?kC}@?_^~{B~aC??np{@wcA??nzDl@??qwDbcA??ku{@s`C??mC?lCr`C??ju{@ccA??pwDh{A?', 'nuK_g^?_@G^F?'],
+        'Antarctica/Palmer': ['xvKjxKi@_D?bCh@Z', 'nuKnwKo@wHsCb@v@??lC^|@jBfA', 'bqKdsK?iCcABbAdC'],
+        'Antarctica/Rothera': ['nxO~rN?cmA_|B??bmA~{B?', 'nxOvyE?ooBs|A?pE~\\?eL?dLvGnf@@cL?bLvGpf@?eLVrOvcA?', 'fjMznD?CA?@B', 'zzLtiB?MC?BL'],
+        'Antarctica/Syowa': ['nxOg{C?ozDohC?bAvN?wM?dLdA??pPdA??dLdA??pPdA??pPdA??pPfA??dLdA??rPdA??pPdA??pPdA??dLdA??xGzlB?{lB??yGeA?\\vInoB?', '`gLebD?_PeA?dA~O', 'zdLurD?OA?@N', 'xdLesD@qPeA?bApP', 'tbLecE?cReA?dAbR', 'n`LssE?iSeA?dAhS', 'h~KcdF?}OgA?fA|O', '`|KstF?MA?@L', '~{KauF@sPeA?bArP', 'zyKaeG?eReA?dAdR', 'twKquG?gSeA?dAfS', 'nuKafH?}OeA?dA|O', 'hsKovH?OA?@N', 'fsK_wH@qPeA?bApP'],
+        'Antarctica/Troll': ['nxO??g{CooB??f{CnoB?'],
+        'Antarctica/Vostok': ['nxOoxO?gtD_cB??hoBod@D~@vTBqP?pPdA??~TdA??~Tr`C?s`C??_UeA?|@~WfbC?', 'hsK_nP?oXeA?dAnX', 'bqKefQ?i@C?Bh@'],
+        'Arctic/Longyearbyen': ['alN{y@fAsAv@mCt@uK~BwAd@cAjDqPeA??jCeA??xGeA??jCmC??xGeA??vGkC?@lCf@rA', 'uqNaz@`CoBFX?eCeA??lCeA?@lA', 'wqNcz@?kAdA??mCpE??wGdA??yGlC??kCdA??yGdA??kCdA??mEe@aC{CmBOsB?vG?wMTyAtAsAXeEo@wGkByGq@oG?bCCmCe@@qAbLcBdGmAkTmDmT{CzXVlMy@hOPtENt@?_CBlClBxLf@na@x@dJ', 'kpMooB~@cEMmCq@_Ae@bAKhCLjCb@v@', 'u|MiuC^{FCjCeA?dA??kCyAqEYbA@`FtAfD', 'ukNk}C`AgCJkCy@}TCdLeA?PbLb@fC', 'wdNsaDUOONd@?', 'kmNokD?iBdA??cLw@uFe@tFVlO', 'usNe|Dv@qGWeLs@yDs@xDExG^vGl@dC'],
+        'Asia/Aden': ['u_BccGRcAq@QYv@v@\\', 'ydB_dG`@}@~AAzAw@c@`@Dj@zAGJc@q@i@Nu@jC_@j@dAvBo@Aa@w@]jB@lBq@p@uBc@_GiBmBUoEY{@?|BAkCcAcC?bCKyG_CeDsC{M_AyB?|@CcAgCUy@mCmNfFz@?eABfA`QxAzDpElC`@x@?b@w@h@g@xHRxFg@dCl@GXd@hBOVf@?oBl@lJ', 'wjBaaH@kAIFFbA', '{kAecI`@Ab@kAk@cA}AxAbAv@', 'ikA{hIr@c@FcAGYmCAfA??kCAqAeA_@o@pBNrE|@Nb@q@Ip@`@j@', 'wiA_mIc@M_@kE?xEbA?'],
+        'Asia/Almaty': ['}eHmhKbEoO^}JgA??dLeA??jCeA??lCeA?dA??mCdA??kCdA??eLrE??kCjN?eA??lAnDhJrA?JiBrCc@@{FP_@b@^x@yBuALDk@mAy@_BwE?`B?kBu@aAR_@c@S?tACsBkAYc@q@MqBz@_GeA?dA??}@aBWe@sANoByA??jC?kCdA??kYdA??kCdA??mC`ACIUiAXg@SK}@?pA?wA]j@SoAa@?_C|@?|@?_AcCLw@fBcBwJ^]D_CcBx@oHwCp@mDEkDZc@e@uBaAa@{CVq@g@SkCAvGCmHsBu@?uASRAYCx@{@f@Ch@k@_@Cd@bAlASpAdA@eA?CfB}An@i@tCq@Bw@v@Yz@z@?_ABBvDb@^A~Ek@FDdAm@U[`BTl@l@EXpATA}NpLmCpGa@R@_A{@a@lAtHRKb@lARtBl@Le@`Bh@|AYd@k@U?j@MoBe@OT`Bg@dCRNPc@Hj@GVg@IS|A\\xCq@^Dc@gAQa@bE?mCgA\\HbCy@~F\\MQp@`@R@x@?mB@lCj@ETpCBkC?jCdA?eA?f@xGdAQF\\\\y@RfAh@k@x@L?[|@AD[Ll@?}BDtCPu@h@z@nBB`An@NpA^m@z@d@?kC?jCp@o@p@DYeAt@iADeCv@[c@aDR]pD|F?gCBjCv@r@nArD?yA?nGd@F@j@\\k@JzATId@r@r@s@lChG', 'kfIgkNdA@eA??A', 's}Ha|K}I?|I??yGdA??kClC?kC??jCgA??xG', '}dHajKFMK?BL', 'mpHqsK?aBM|ALB', 'u~GwbL`A_@?c@eA?BbA', 'czGybL\\aAg@?H`A', 'mzGybL?aAeA?@h@bAV', 'wuIqcLCi@A`@DF', 'itGsdLDGQ?JF', 'ctG{dL|@oBNL?i@wG??jChE?', 'cnGyeLZmBmC?@l@f@??\\fA`@', 'qhG{zLBKMFHB', 'kqIk|LCm@Ed@HF', 'yrIeaMl@a@Ak@k@lA', 'gmGypMp@k@Z_BHaB_@k@w@??xG', 'gmGsyM|@AF_OPiCr@q@eA??jCeA??pP', 'akG{{MDGE]?d@', '{hGqoNReBh@g@}@??lC', 'enHo{OAE?D@?'],
+        'Asia/Amman': ['svD_yEf@mFiCmCYqCaA_@_@{@iE~DcBoKm@y@Mr@uEp@rEdKg@vCq@v@Tn@tI\\?yA@`B`Bh@nB?bBv@', 'q}DilFAEEDF?', 'ciEatF?IA?@H'],
+        'Asia/Anadyr': ['ouK~cb@?kCeA??_U?~TdA?a@m@]eMRqAhASz@iCD}Bj@oB?kLqE??yGeA??kCmC?lC?Iw@~@eDmBM{CrJdABeA?q@jAm@fLqKnh@pY?', '{zL~cb@?qPeA?dA?a@iAcBtEUxGHjCpC?', '_hK~cb@z@CWIc@L', 'usK~cb@u@kCCjCx@?', '_yL~cb@HkCeAeM?pQz@?', 'i}Lfma@n@sBg@gDa@f@Q~Bj@rB', '}pKx`a@r@iFe@uFyAeAeBJe@kFWcAm@_@?jDdA??xGpE?DbL', '_eLyx]Rc@XLt@uDj@]qEApE??kCrE??kCdA??yGdA??kYdA??eLdA??wGfA??mCjC?kC??lCgA?@dI@cCZ_Af@Q`@iCn@H~AtEp@eEwA?dA??mCdA??kYdA??cL?dLeA??jCX{A^X|@aBhAAqCyOn@eLyAkCEjC?kC{@?y@VeArBsCnAq@u@o@eDy@??jC?kCqY?m@jCiBfQs@db@b@tDMdJn@lC?mC?lCp@bBKtKa@rBLrIp@T@kCB~CpAeBT~@n@eAHt@f@_@p@f@GrFn@vOr@tB\\{@?rAf@h@', 'e~Ky|]`@kBe@?BjB', 'i~Kc}]?aBd@?B_AbB~@dAwGeA??jCsE??jCdA`B', 'swKeh^FWI?@V', 'uwK}h^j@k@`@mFmA??xG', 'ouKwq^f@Q\\mD?uBS\\[sAAiCp@}B[iAZmCeA??jY', 'ypLuu^BMK?FL', 'isKww^Dw@C_@AvA', 'gsKwj_@XYMsGv@yA?iAeA?@pM', 'ihKab`@b@Y`@sBeA??lC', 'weKme`@p@_AYgKc@?JfM', 'cfKus`@h@CBcBg@oDEvG', 'i{Lqwa@tA{@?eE?lCmC?v@rB', 'a}Le{a@lC?KyG{@??jC?kCkC?dAxG', 'g_Mmbb@?q@E?Dp@'],
+        'Asia/Aqtau': ['gxGivHjCw@^{AhCmBhA?T{Ar@o@TuBdEVeBmCs@wF|AqC|B_BGqB_V?c@sC}Dt@W~B_@BU~@T^?k@^zH|@p@d@nBK~Ar@lAH~DjAzAM~Cd@r@', '{sGk{HkCAjC??kCrE??kCdA??kCdA??eLdA??mC?lCeA??dLeA??jCeA??jCsE??lC'],
+        'Asia/Aqtobe': ['qtHanI|@CHgApAGHoDxBEx@c@xBVvAoAp@qDrB_AtCYqAqJp@}AeCDoD{ECcAg@??yAkCuA?b@?{CzA}BU?j@?J}@oCuGaBvAy@vCe@G?z@eAxAEc@q@p@sAw@\\?m@iAiCdB@h@Y@Gi@m@\\Ax@i@VJz@tAV\\~B_@~Cv@f@Fz@WBe@dDa@H?p@c@FBlBj@@Fx@SfB?gAYXD~ARIFpBd@Ff@nAKd@bA?oAH}@`CfA@gA?@t@dA_@z@hA|@k@t@L\\l@BoB?jCjC??yGdL??wGrE??yG?xGsE??vGeL??xGkC?FhB', 'ytH{nICoAA~@DN', '}tHkqI@WAC?Z', 's}HwkJAw@Yv@Z?', 'kzGcpJBGE@@D', 'mzGcpJ?EaAD`A?', 'meH}yJ@MAe@?r@'],
+        'Asia/Ashgabat': ['acGseIbCoAbCh@jAQb@e@eL?~I??mCrE??kCpE??kC?jCqE??jCb@q@lDXxBSOiEeB{Ac@}BHsBc@UA}Cv@UfAoE?eCcA?dACPu@nAi@T_BlA}@C_DfEOh@gA@}At@o@s@_Dg@@M_@a@X[}Di@u@?fAE}Ag@e@eCW_@cDu@Yd@gD{BYm@tBl@?m@?WtB{HfQsFlCa@vAZRMjDe@jAi@QYXCw@k@pAc@YWxBeB`D\\FBvAdAgAs@vAV^d@GPbCl@x@pBe@R\\G`I}B~A}ApCr@vFdBnC', 'ilFqtJ?dLeA??rP?sPdA??eLjC??kCfA??yGvG??kC?lCwG??vGgA??jCkC?', 'oyFqhIdAA\\_@nCVt@y@Og@eAa@sE??lC'],
+        'Asia/Atyrau': ['_kHaeH~@cA_@E\\}Cv@o@oAMdA??kCpE??kC?jCVGn@yBuAw@gAkFp@wAWoDR]nBJ?kCBlCl@?HuAe@oB}@q@WcG]k@T_A^CV_CkAb@gArEaAl@yBWeAv@UYwAJInDqAFVfFhBt@a@nHxBtEFnBPI_ArMd@QN^', 'ilHkeHBAG?B@', 'wbHgnHbAkC_F??jCjC}AN|A', 'gqHmhIX?WCAB'],
+        'Asia/Baghdad': ['qoEmqFtEq@Gk@d@Jf@qFtDcJlHaLkCC?lCgA??jCkC??jCeA??lCeA??jCeA??xGsE?DrB', 'woEwqF?kBrE??wGdA??kCdA??mCdA??kCjC??kCfA??mCjC??kCdA??yG?xGNuHgEcDN}Cx@gAhA]}@uA[?]rBgB`BgB??bA_CU?hCCkCaAR?vBAwBmAn@qBjGYPa@][`B?iAw@hAv@?w@?{@x@_Aa@]Z?vAQsCs@H?hCEkCu@k@Au@}Aj@i@kAM|BdABeA?WdAqANGd@o@@Yl@UM?xBAyBo@Zd@|A{@JNpAe@nE|AtB?iC?jCdAjB?kBF|ChET?e@Bh@hCFnAp@fEjL', '}gFsqG?{@Kj@JN', 'qwD{sG`AsABw@eA??jC', '{dEyiHWKKJb@?'],
+        'Asia/Bahrain': ['saDgyHfAa@VgAWE?j@Eo@sBKaA\\O\\\\l@dBT'],
+        'Asia/Baku': ['ewFyvGbBkAd@mB@r@`@kCwAZQz@i@OP|@o@`ABhA', 'mwFgxGB[KNFJ', 'caGixG`@c@?eBD|Bj@iB`@j@h@MZq@sA?dA??mCjC??eLlC??kC?jCeA?RlAp@g@f@x@tA{BK_By@@YkAmB[Ou@yD?dA?SyFg@L}@zBQdCkFdExCtEWxAiBhB?fAfA?d@aAl@p@oAlE^xA', '_yF_|GDSK@DP', 'yxFs|GlA_BIm@_D??lCh@w@p@v@', 'ucGs_Hl@g@gAEXl@', 'auFaaHZk@Ff@`@UAi@kCsE?vGf@c@^b@', 'odG_cH?IC@BF', 'iwFyiHfAmCgA??lC', '{uF_wHUIWFl@@', 'oyFqxHLe@Is@CxA', 'kyFk{HJw@Og@B~A'],
+        'Asia/Bangkok': ['}rBm_Rt@y@nBWtAkAJ{@Bh@bA{@ZLzAk@]]PSz@hAhC?TfAnAIj@e@eB?dA??kClC??kCvG??eL?jCr@Af@kAOe@fDqBFgAs@]eBh@q@Qw@x@cC\\g@@]s@?`CK{CuAi@i@oB?Z?wKa@[oAO[ZdA@cBWOV}@_@_@n@e@EObAqA|@`A?sFE}DdDSxB^X?Y|AdCmA~Bt@~@?k@F`A|@hA?kCT~CUb@eAW?jB?kBqAQSXyB}@WTd@?{B@RbCq@b@w@]AlC?mCeAh@\\b@]T?tBn@OHzA|@LRvA?qB?|Ex@n@~EJ}@?FjA', 'ot@}_Rt@Y?a@sCaAhIML}@o@YfBiA?q@r@WPx@dAIJq@i@e@KiAVo@}@Qn@cAkB??lCeA??jCeA??jCyG??lCeANn@MzAl@?o@Br@h@F', 'iz@iaRdAO?mCxG??kCdA??kCdA??mCdA??kCdA??kC?jCeA??jCd@?Ce@v@UCs@t@AAeD][kB_@uCJ{EbGeG|BuC|BcC]@bBnBbBrCj@EVvAjAM`ATN', 'cx@qsRdABeA??C', 'muBmaRJKQ?DJ', 'azBucRCi@Sd@VB', 'i{AgfRxAa@nBiBiE??jC', 'czBgfR@SEDBL', '}j@kiRDSASCf@', 'upAkjRFGc@?ZF', 'mpAsjRxA{@|B]AiBsASNiD[c@k@??xGwG??jClE?', 'ieAskR?_BkC_A@fBh@K~AbA', 'a}BmsRX?YE?D', 'ic@cvRd@]}@yAf@o@q@Y@dD^Z', 'myBywRVCSCCF', 'ckCm}RzBeBNaAzAb@fA{@^gCo@_AJc@t@eAr@l@?gAkC??xGuI?dAv@aAvBfA`A', 'ggCs`SZAK[O\\', 'skC_eSxG??yGjC??kCjC?kC?BhDX@\\kAx@\\b@f@KpBb@I^f@?[Bb@vByFt@Dx@u@WSxBw@hAsALkCBpBh@[LaAwBiBiG|E{ABCjC?kCuHqJ_Ae@aA^KhCaA|@EfAe@A?hBAkBcAX{@s@]~@D~B}AnBv@fB^KXZXdAWp@z@^w@z@d@Xg@`@z@?', 'suBsvSdA@eA??A', 'ayAonSf@g@g@_A?fB', 'wwBqvSCC?BB?', '_}B}~Sd@MMeA{@h@JZn@?m@@TJ'],
+        'Asia/Barnaul': ['qlIyeNbEkDqE?LjD', '_mIyfN?kClC??kCpE??mCdA??wGdA?HeLoA??jC?kCdA??mClC??kCdA??eLdA??wG?vGeA??xGdA??aBk@eBj@^bBcDk@qCe@IBwCu@sC{Af@Oj@q@mBSlBAeAsAvBw@JHjBu@tB_@q@Mj@a@Qa@mA}@OQnBRn@c@hBUG[p@c@]i@tAs@{@SjBm@P{@fBbA?eA@IdAs@r@|@nCJ|D\\Z_@Jz@nB?o@@r@v@Zc@tC_@RWUHt@UIQ|Au@d@~BdGRjEXCDv@[f@b@T', 'qhIekNdAAfIgGU@YqAm@DUm@ZaBf@R?aBeA??vGeA??lCqE??jC', 'q}HuyN?cAA?@bA', 'q}Hy{Nh@GDoCq@{D@rI', 's}H}iObAqABy@gA??jC', 'k{HslOdAa@h@uCd@KoA??lCeA??t@', '_wHwrO`Ac@BgBeA??jC', 'ytHewORqASM?~A', 'y_IuhPKsAa@p@l@`@'],
+        'Asia/Beirut': ['inE_yETcBcAwA?bCu@?bBv@', 'woEwzECkC_@g@a@JOmAQTw@eAi@LGjC?}BI\\[WHvDlFjA'],
+        'Asia/Bishkek': ['ywF{oLx@SSiFj@o@?q@i@_B\\K?k@d@CSq@d@a@e@s@UuGmBMc@uBk@??jCeA?BlC`A?MxDrA|Ae@HMnAH|@lAxAUMk@pB\\bBZEOd@h@P', '{zF{zLhAi@Db@[D|@?qB?', 'exFqwLAq@TXSV', 'obGquLHmBt@KRcBkAiA?|B?wGgA??jCkC?jC??kClC??yGjC??kCj@?[kAa@LLmAi@iAjASAi@[uBuBiA@sDiAmA{AwF?`CIkE]mA]?q@f@CvAcA~@c@vMLf@BkC?jCdA?eA?FxGmAzDB~@d@rAlAXf@SSnAdA?eA?a@jC`@?c@BWnBLpB|AnA^eAPdAhBjC', '{aGa_MXo@XDDgBeA?JpC', 'a`G}aMZCMc@b@m@RyFeA??nI', 'w|FccMJOO@BL', 'g|FkcMPsCaABn@nC', 'akGa}MC]AVDD', 'ckGkbN?_BGt@Fh@', 'efG_tNLAICCD'],
+        'Asia/Brunei': ['y\\ogUnCyBa@?Kq@wAPc@s@`AGEk@u@Zm@QSdAtApD', 'kYikUj@?k@k@?j@', 'q[enUb@CNk@s@D?h@', 'mZuoUPAGGIH'],
+        'Asia/Chita': ['mxHi`Td@EFi@n@DTg@?[kC?jC??kYEiBiA{A{@mDjAmG]gBhBgIqAgC?tA_@_Fe@Q?bB?cBWh@m@i@?bBAgBeCgBEbACoAaA]aA}BiBCIfCe@BaB}Ca@_GmA\\q@|@S[k@POwAA`B?{AO`@o@BHt@o@_Ag@M?lA?oA}@HG`CeAN?~@CaAWL`@vEw@PWeBaBnD[g@Yt@]S}@z@UUPx@]H?`A?cAUXmA]u@lHLV?oBHbC^Y?`@j@?RbAf@s@t@?{@OfAA?eAXf@ZS^TOn@d@xB^?c@Ba@tDx@fAj@iAZXhAo@fB@D}AdA}Al@Ot@f@V~EzBvF?q@PbCr@Fi@@JVbAa@f@uAlAz@h@`BPbE^l@Qz@zCpGSrCr@rB]rCr@t@Vc@dAbBVWD_D?`CTgAfA~D', '_wHgaV?vGeA??dLeA?AjC?kCfA??eLdA??wG', 'ytHwcTp@o@`@oIsA_P?~[', 'ceJ{|UFGGW?^'],
+        'Asia/Colombo': ['yz@koNLEQ?BD', '}z@qoNhCGDg@^IzBn@jKkAv@w@T{AqA{Dg@q@?p@?s@kCs@kCXmChAdABaBBcDnBwB|B@xAnAxA'],
+        'Asia/Damascus': ['s}Eu|Ez@i@|B@?eCHWZVPk@tI??mC?fGd@Yf@wCaL{XoAq@eD]sCPkBsD?lC?mC_A]TvHxAxHo@zDv@~Cg@~C|@Tt@[L`AhAj@k@zApAj@', 'ukEo~EH_DkC??jCzAGd@Z', '_oEs~Ej@OcA?VN', '{oEc_FBkCkC?b@v@PUNlA`@K^f@', 'ctEecF?IE?DH', 'yuEicFHEO?DD', 'ahFufG?CEADD', '_hFyfG@OCN@?'],
+        'Asia/Dhaka': ['ayCcePlAmClAZt@?Ri@p@NHsByG??lCsB?C\\bARMf@x@V', '_aDqePzBwDZPE`ArB??mCvR??qP?xGf@aFdBs@eACfB?b@y@{Df@]c@d@{@wHj@?dA?eAoDb@?`Ab@??_@?^n@d@j@O\\j@eAh@d@JyBf@oAm@Fi@a@_@T[_Bk@A[w@BFq@a@H]fAFdIa@vB_CIy@h@t@VIr@eAh@?b@X[CjAQMy@`A^NTe@dAhA?wARbB', 'ynCgjPjDs@dALjAu@cJ?BfA`@R', 'scDwjPFA?KGL', 'aeCcmPFKA_CEjC', 'saDumP?GE@DD', 'yxCu~Pl@?m@Y?X'],
+        'Asia/Dili': ['ry@ofWTu@iBSTdA|@B', '~v@yhWb@Ca@CAF', 'pw@{kWIk@i@?dAC\\d@f@[?y@eA}E?dCAkCiCcEi@~@NbFg@vArA~BfBJ', 'lz@gmWROWc@Br@'],
+        'Asia/Dubai': ['mwCk`I`HgF|@_OaEqAcAJYiBe@r@eAI?r@Au@cAE?z@IqAv@_@m@YIcA{@AHlAwCDYx@rH|I?pBuChChAp@Dz@j@AXp@_@r@jApA', 'e}CmpIv@]_@_Aq@\\X~@', 'e}CksIb@_@Uk@o@j@`@^', 'orCezIECUBZ?', 'i}Cq~IBeAkAHLx@x@@'],
+        'Asia/Dushanbe': ['stFycLv@eAPgBTXtA@h@eAnBjB?aA@dAd@J\\C?mA@lAb@@\\i@mAsDl@cA_@k@a@Ra@_@EsCeA@?`C?eCwAmAKeAg@??lC?yGvG??kC?jCeA?@h@lBNlAy@eA{DyAeCDyA`@\\]yB\\_C[u@i@j@_@OaC~@a@jDq@Za@YeAz@?nAdA?eA@?|Bd@r@e@`@Rp@e@B?j@]Jl@~Ao@`BRhFy@Pi@ONe@[D?lBf@HUPZb@~@VC~@b@?g@BQ|AfAjA', '_vFedL\\Qi@CJT', '{yFikLFsEaAC`AOY_A\\aC[aAFfAq@~@{@aB}@`ApAtC[hAj@ZfAQHxC', 'iyFkmLLIQ?BH', 'oyF_wLX]YU?r@', 'exFqwLRWUY@p@', 'upF{zLr@Ef@aAx@V?aAz@L?g@qE??jC', 'grFmlMECMBR?', '}gF_sMDAEE?F'],
+        'Asia/Famagusta': ['g|EekEn@GGiCf@KCo@[aBeAoB?z@C_Ac@Q]N?`Az@rDGjCf@b@', 'wzEmkEN[Oa@?|@', 'c_F}uE?KC?BJ', 'g_FivEBaAI^D`@'],
+        'Asia/Gaza': ['ybE{tEF]q@g@h@dA', 'qbE_uELEMQ?V'],
+        'Asia/Hebron': ['acEayEWuBcBK?jA?kAeAA?hBdBF?y@zAjA', 'ciE}yEIiB_@bAh@d@'],
+        'Asia/Ho_Chi_Minh': ['yy@acSbA}@pDeHs@qJwG_OsPuAqP`A}I~IAjB|@z@Od@fAAT}@cA?~AEz@mBdAn@`AqAfEXgAQrE??kCxG?gA??jCrA^Kl@`A|ACt@~@?StA`@h@?gAdA??mCjC?kC@?jCvA?I~@a@LZtC`@M`@f@?qBBnDjAfBw@@Dl@`AYbCtD', '{aBghTdABeA??C', 'gfBycTdA@eA??A', 'ogAitS|@Ih@}@gB??fA', 'gfBqySTQUQ?b@', 'ujB_|S?iB{@t@z@r@', '{kAg}S?[EDDT', 'ewA{}SbBo@_D??\\z@P', 'soAy~Sj@QBkCqE??jC`DP', 'eu@uwT`@SH}@i@o@AeCeAPSz@x@pAGbAf@b@', 'kp@o_Uh@g@m@uA_B_@Gr@dAj@?a@@dAb@X', 'yv@adUpAeCUq@o@Lq@zACt@h@V', 'cx@ydU?q@ETDZ', 'k}@ieUZs@gAWOp@NR?m@@l@h@D', 'i|@{gU^EYm@b@Y_@q@o@Gg@`@?r@lAp@', 'c~@}jUjATaAHI_@', 'sfAehUd@EEeAs@|@RL', 'ieAmhUDq@EG?x@', 'u_AiiU\\CAy@cAA?^r@BKZ', 'kv@ijUf@_@m@o@_@n@d@^', 'e_AikUw@M?Lv@?', 'aaAikUBMEA@N'],
+        'Asia/Hong_Kong': ['miC}fU?uBmAFPlBz@?', 'miC_iU@CAC?F'],
+        'Asia/Hovd': ['opHicP`@gAVZd@qBn@e@?uBgA??lCkC?FxCf@MR^', 'srHceP?qBjC??mCfA??wGpE??mC~I??wG?vG_J??lClBiAp@b@r@YdA|@dBa@d@oMsCPk@aAyAg@g@V]gC?fCC}C}Ap@}@jBqAbAe@q@s@?iAeCT}B[oCmAa@AjC?kCg@?]`@eAEWlDmBlACjCbA?eA@DnAe@PNlAc@t@XFHvBp@|@D`BbB~F?gA@pAb@YRhBTAFbEr@f@', '_lHmiP`@eAGgBf@c@G_A`D{B{E??lK', 's{GuuPLEk@?\\D', 'eiHogQZ?QSIR', 'anHogQEQ?PD?', '{sHstQf@A[SKT'],
+        'Asia/Irkutsk': ['arI}tQzAoC?_CeA??jCeA?dA??kCdA??kCdA??yGdA??kCfA?gA?FfDVu@?dAt@An@z@^El@{AkCCdA??kCdA??yGdA??yGpE??kCfA?g@cKf@wHeAAApP?sPfA??kC?lCf@g@NqC_@Lq@mBk@?]j@eAcBWb@s@u@\\sCu@sBTsC{CqGP{@]a@SoEi@aBmA{@g@tAcA`@g@sB?xACuBoBeEUiBAxGGeLu@g@m@NeA|AE|AgBAiAn@[Y_@lAeA}@?pA?mC?l@h@_Ei@oBNs@O\\Ci@g@HYg@?rE?kCo@`@QQg@r@Eu@y@M?a@_@XIS?ZGeDj@sAKyAw@?UhA{CA?|BA_Ci@xA?x@b@VWZJfBSZ_@U?bB?eB]j@ScAEfAaAlAa@lDFrAz@~@JjArC?gA??dBb@dBtA|@RvC`@Bs@H]g@AjASKThBn@?o@?BxEj@f@?sBNxDOfBq@XCr@OM?bAAgAIPg@y@qBe@iDaDo@zCo@ScAv@q@qAw@L[zDEqAm@y@Yf@}@J?vASuAi@tAAfDq@a@CaBUfBE_B}@`AH\\j@UFTDvGbL?qE@?fC~@yB`AxABUh@Jf@bB^ObAlF`@q@TrA^AJ`@X]RT\\u@JTb@iDlA?GvAd@z@j@g@JcBgA?xG?kC??`Aj@hAXMRhAyA|EdA?eA??xDdAQ?[xBtHP[XtAnA]Nh@]fAiBnA?~@rAjBU?KlF~CxBNmAXr@HaAj@J`@[?~@d@A^h@Ol@bAfAxAa@Lt@nCXG|Ab@lAZ@', 'coImyQpAkGsA?@jG', '_mIyaRh@qBX?@gDeA??xG', 'edIsjRTcCb@U?_CpA_IdBKrAyA_G??xGeA??xGeA??jCdA?', 'cpJe_S?yD]ZE[OdAr@rB', 'k{Hs`Sj@?XkCeA??jC', 'cyHidSZ{A]cC@~E', 'sqJipSb@g@J`@?u@eA?Tz@', 'uuJyqSJKQ?DJ', 'iiKqvS^C?gCqE?Kf@^W`A~@\\u@F~@j@@Hn@', 'k{HwcTj@AUoAUpA', 'irJs{TCo@SLV`@', 'qtJqhU?wAeA?dAvA', 'qsIsvUBUCB?P', 'oeJ{|UJAICAD', 'ceJy}UCi@Ef@H@', '}nJueV^CWCGF', '_pJueVPCCCMF'],
+        'Asia/Jakarta': ['gc@ioQ~DmAtKSjHaIdRkJbWeTRg@s@uHxHkGfCsI|@yGG_FdBqIdB_UD_AmCdBm@A}BeBRwGmL[wAtJj@zBmB~VwBvEiK_AKjDuDp@|@?_JXkCY?jCAkCiEkCo@mCiDzB_JpD?`AjCnB~DjJxAv@bBc@~DvBQh@|@bDe@jC}NxSkC|FcDzC{@pIqBzCBb@vAn@', 'eLi|RdABeA??C', 'qPstQkNAjN??kCjC??kCrE??kCpE?qE??jCsE??jCkC??lC'],
+        'Asia/Jayapura': ['bHoeWfEsAdA{B|D?`E_CtTR?iHdAmHUqFTuEcDcF_HaEzDyGGcBkD_AaCNaD}EdC{GrAo@cA?fAArAeApI`CzAFNaH[_Bz@eBeA?dAAvByDq@_@aM?w@b@k@[KdAAiAoWAeErLqBbNwBfEsBpAbA?eA@uCjBH`ApFdHCjA[NdA?eA@yF`DBp@~AzA_@tGoCbA}Eb@eCfEhIjJbDnAhC@tI~H'],
+        'Asia/Jerusalem': ['cbEeuE`JaCcFo@v@?}Bq@?p@As@oEWBxEr@\\`@u@~@z@', 'ecE_zESKLGDR', 'sfEu|EECDA?D', '}fEmvE?iCoALH{A}@Aq@{@sAHDn@l@d@UbBjFpA', 'aiE{yE?GDBEB', 'wiEg{EIKP?GJ', '}fEwzE?kAeAA?jA|@QFR', 'slEc_FGGUF\\?'],
+        'Asia/Kabul': ['ctEgyJjB[Hy@jAhAxD{@lCBTiDbAYfFzD?u@Bz@|A_IS}ETmB]m@?bJeA??lC_J??jC_U?jBd@Pn@l@c@Al@h@`@', 'k{Ey|JrUO?mC~I??kCdA??qNeAsFsEWu@_AO{DIWe@j@}@wBXoAIZM]l@aAaAsAiBPe@i@oAMQcBo@y@CjC?kC_CpARwBWsB{@SQ^dA?wA?gCcCQZYWw@T_AdAa@g@?jAAoAiBeDa@{H}@?Gf@a@]ExAxAdCdAzDoAx@mBQ?bB?cB{@M?`AmAM]nBzAzApC?eA?DzCd@`@\\U^j@m@bAlArDcA`BfABgA?IlFk@vBt@X^bDdCVl@z@?eAdArG?eC@lD^[L^f@Ar@fBDt@{@p@A|Ae@j@hAv@', 'alFquL|@[eA?FZ', 'weFmlMGkC}@?@fCbAB', '}gFwlMHiEe@f@Z`D', 'wgFypMCU?@BR', '{gFoqMDCGE@H'],
+        'Asia/Kamchatka': ['_xIci]lC]yGCxG??kCdL??mCpE??kC?jCqE??lClFc@bBiBiDwGgCmCwCwGgFwG?hCAkC_BkC}F}Dk@eAsHDkC[eAoEyGgN?dCu@qIF}CrBuDAuB{AaBqGeTiA@}@`B_@YSzA~@?_A?\\jC`@?a@@GbBFd@`@?o@Jj@|GUzBX?wATsA|HoBkFy@p@GbBaAfABfCi@dB^?w@RLtGg@`@OxA?j@ZA[`BZ?_@@Op@ZdFRmCL`Cr@_Aj@fCt@WNn@^w@\\@R|@h@Sn@bBn@oBTXt@SLhA@kCJ~DPgAZl@Ze@v@J`CrA~AvDLaAjAhBbC|FpCfDhA`D^fF@kC?jCrE?sE?Tv@n@Rl@e@XzAj@AXz@?m@Dt@~@p@tBt@`DN', 'qsIej]xLkCyL??jC', 'uxIyh_@j@SvBoEe@}Aw@LoBpBCtBl@jA', 'wuIgs_@jBaEe@oAeAjAdABeA?e@dAIfAn@r@'],
+        'Asia/Karachi': ['syDm{JfCkB?}AdA??kCdA??kCrE??kCdA?eA??jCsE??jCeA??lCp@Cz@sDjEB?sAZ[|AXXpDp@V@x@bGBAqPWaBtAmGxDyCz@{B_Bw@KmBaAABiDaA?vAWq@gD^??aAuAe@mCtAs@A?fAw@h@yBMq@hCoAYaDwCCc@r@a@e@kFmCoAgAaCwDyAq@qBy@FwByC@Zi@D?jCCkCsBOcAwCo@r@CrAeACPb@aBhB_@e@_Al@a@_Ai@xAYc@Ur@eAk@QcAZwD_@??vGAeQeAeAkCdBFpAg@`@kBN?hCCmCaAlCGc@BbB_@j@r@~BOdA^`Hd@n@?qANzCt@n@?_AjN?qE?RxB~BDVrBSvB~BqAeA?dAA?kCBlCv@lAHnAnALf@h@fBQx@|@g@hD|@vBh@g@JzD~@rA?mAxG?kC??~AdADdArFKfBJd@?aAZhBKnDt@?w@?L`D}A~H', 'kuDy~JrB{AsB??zA', 'gzC{_KWgR?lPkC??d@bDR', 'k_Dq`K?c@k@?j@b@', 'y}Di}Kz@E?_BmC?@pAnAR', 'atCgiLKK?JJ?', 'svCgmLHCIG?J', 'svCanLFEGM?R', 'qvCaxLD]Gc@@`A', 'ewC{zLKSERP?', 'g`F_|L~@eAv@UXV\\c@qE?@fA^^', 'oxEo|L?wAgA?fAvA', 'ubEypMWWi@R`AB', 'ciEeuM?QIPH?', 'oxEeuMr@[DsAm@iDKxG', 'iaFsyMAWcAVdA?', 'oxE_~ML?MS?R'],
+        'Asia/Kathmandu': ['usDksNfA{A[E`AcCl@Ut@oBZeDj@E`@sB]MGoCZs@mA??vGeA??xGmC??jCqE?pE??kCjC??yGfA??yGdA??kCdA??kCdA??eLdASeAe@oAd@{@M?`@Ae@cAS?x@O}@ShAZRAjBy@zBf@^i@f@DX^IAb@yAn@XREbAK^cA?h@Dg@@Th@_A|BeADQn@\\jAkAz@g@tB}AtB?jBEoBSFKdCpAb@uAjC~@aAjAbBvBPl@h@', 'kjDgjOL[M??Z', 'kjDinONq@t@E?uAeA??lC', 'ehD_pO|@qBUqAz@m@I_Bf@oAa@cAj@y@UiBo@??dLeA??bF', 'wnDkyO?MIBHH'],
+        'Asia/Khandyga': ['yrJouX|@a@HoA_CCBpBr@B', '}tJwuXJmBeA?lC??qP?dL|@Ai@sBf@mImAmB^sEsAqEApPI_R\\BDe@qBDe@_@MhBCeBi@U_@j@q@Yk@mA[_DeB{AKy@aAKGk@o@r@_@tCWg@?hB?iBAb@cA[k@uD{@JgAm@g@pCi@eA}AlFAk@uA_BImASTa@g@k@jFv@?w@?NbEo@lJrAxGBkC?jCjC?kC?jB~EBjDZL?_CrE?gA?@jCt@xANWdA`A?_Ap@i@?wF~@Sx@Xd@aAqE??xGeA?dA??yGjC??kCdA??kCxG?eA?r@fOPaB?fB|AKN`C~@d@Ln@hAZDt@', '}oJeyXf@UI}AiBW?jCjA?', 'urKs|Xb@]k@BFX', 'esKg}XFEK?BD', 'cqKq}X?kCeA??jCdA?', 'isKq}X?kCeA?@bCv@MJT', 'ihKkfYdA?LkChB}Bh@\\Lz@Ry@Ld@@sAsE??jCeA??jC', '{yKyiYC]AXDB', 'emK{mZNAKICJ', 'ulK}mZXAUECF'],
+        'Asia/Kolkata': ['uqCugLnA}AvDcAxGeHmCO?jCkC??jC_J?~I??kCjC??kClC??mCdA??wGdA??mC~T??kCvG??kC~I??kC~I??mCvG??kCxG??kCdA??mC?lCeA??jCyG??jCxGwAfDgDLmAgAyBeC{A@aDsBFC`AyBcADoAk@m@sGRcEwAkCWmKXWkA?~BYeEk@_@uBcFsJ_KAjC?mCqEwGAjC?kCwAkC_DwCeBeG?bCCkCq@yBiIfAe@]?nAAqAGv@q@OIh@mC[qAnCu@YLg@cASH_B[QArAeAZ[bAk@G?r@?y@eAu@UnBTtBk@l@`@bAg@lASzFCaCYRTrAs@jAIxACy@YC{@rB`@p@BjBa@rBk@D[dDu@nBm@T}AbFkAm@kBM_BaB?a@gAbD]Gu@bBLz@eAf@C|AgC?mBlA_@eAeAApBEZc@c@yAc@G}DtCyAI?jC?kCeA@?hCAkCw@lBuC\\AlCbA?eA??lBzAaAR`AbB\\}@@GZx@jCs@zFNnBn@N?_CvG??kCdA??mClC?mC??lCeA??jCkC?DpB~@m@d@`@zAeBQc@dABBsAf@u@jAxC~CJ?]vBxCx@Gp@pBvDxAfA`ClCnAd@fD?cCH~D}@h@Bb@zDdD`ADd@cCnC?V}A`GaBf@rAGZ]En@pBQnAdABeA?KzCdANCjAfBrA', 'wvCumLBKGBBF', 's`CmvLdAmCeA??lC', 'm~B{zLbAkCcA??jC', 'uiA_~LpPoDkNCjN??kC?jC`EsANw@sJmC}DKqIdKJj@rBf@', 'm~Bg_MdACdAoCxR_C_UC?jCeA??jC', 'gfB_hMjC[jEqBwI??lC', 'suE}kM@OSBPJ', 'o}AmlMdLkCeL??jC', 'quEmlMJ_@p@JHeAj@t@?gBkC?@hCT@', 'geEqpMFGM?DF', 'orAypMdA?xGiC_JA?jC', 'ogAeuMvGkCwGA?lC', 'u}Eu~MVGAmBUtB', 'e|EyfNSQ?PR?', 'ivEekNdAAm@y@Wz@', 'qbEclN?eAa@`@`@b@', 'iz@}mN?o@GVFV', '}{DkxNT?Qc@Cb@', 'wjDehOJACu@Gv@', 'ohD}dPnAe@dA\\?aBYd@[Od@c@u@?zAO@mAi@RPcA?j@dAs@?o@k@Sx@i@rBNJe@yG?m@~Ee@X]_@YR?tCz@L', 'scDwjPFM?JG@', '{jDgePNyCwBESh@\\`B|AR', 'e}CuhP?aAi@T@j@f@?', 'c}CmpP^yBEmIZ_A`@IIn@`BLPp@Le@\\pCf@X?_@@b@d@N`Cq@m@APkAiB_@?aAzHaA?g@h@Q_A{@_DLMs@cEF^a@FaCkEkBkARaA}@CjCOcDw@U?l@Iu@mBFwB{D]{Bn@_A_BZw@aB}@B]vAwCtBv@?eABe@p@z@|CUnDvA|Ab@~BvAxBZKd@t@GpDdAO?iAtBQVxGY`A`@hA@kC?jCxG??qPpE?qE?@rQ', '_pCuzPr@]]k@UhA', 'ogA}}PjCE~IaBjCw@eACdA?|HmCr@c@@o@_Ag@_BTeAdBMi@}CSa@|@hAXs@p@sIbBsCy@eBE?\\CoA[OuEXoDS_@h@^`AbFr@`E|A', 'iiCoaQVW[CBZ', '{kAihQl@s@m@a@e@j@d@h@', 'mtCwjQNSOE?X', 'esAyjQl@a@s@q@]p@b@`@', 'kuDcmQEkAUTZt@', 'mlDm}QBKGABL'],
+        'Asia/Krasnoyarsk': ['_qNwsM~@{DwA?VzD', 'wqNuuM?}BdA??kCPhCLiCCyGe@{BgAtKJhG', '}wN{cNb@}AJwGOyGm@oBo@hKTvGf@|A', 'gkMydNxBE~@y@yC?lC??kCdA??kCdA??yGxG??kCdA?eA??jCyG??xGf@yDx@jBAhBf@b@dAaHdAKLc@Xb@Hq@?dCx@pDRG`@`BZy@HVN}EkC?jC??eLdA??kCdL??kCrE??mCdA??kCjC??wGrE?sE?@dLXAIkBd@i@CkCv@Dl@i@j@FFd@|G?qE?FjCl@}Bj@h@TWdDjFnAs@bA}FvBtIdBiBhAj@P[@yMxBaD[?\\AGqCv@g@XxAjAzAz@SdAmGf@Ab@dBfAhADi@x@TP[P\\BmCkC?vG??kCdA?eA??jCXITvAjA~AvA_AdA^Rl@VoDt@l@b@m@j@nAp@LLu@x@Xr@mABp@VMbArAj@~Bp@`@Hk@p@d@\\eCm@c@^m@dAIhB_D\\d@Q^p@d@Bi@t@O}@{Ee@k@EaBq@}@IwBY@b@_AOmAd@QEqAgA??dL?eLdA??wGfA??qP?vGdAADaC\\m@s@mBNWoAsAc@Aa@|@e@C]h@wAm@mC{DS`A_@Do@{@u@@AeA]j@AtCY?[pBv@?w@?_AvCBvAqBhDa@EBe@e@c@H{A}@]?fAAiAoADIs@uAb@kAkANm@_@i@e@@?_Aa@Zk@KK`AWe@?|BA_CM`A_DyBV}DOkBy@o@LmD@~A~@q@Bm@@d@RGRkBuAVkD}I_AZ]YU{ANcA?Zb@[?kCeA?dA?IcG{@\\?vAC}AGt@i@f@QW?VMkCqA?k@xG?yBkAh@_A}@Au@a@p@cAmF[Pk@eBeAEQ_AWI_AxBdABeBJGy@m@GG{@]t@aA_A_@VCwIe@ZAnDu@nCT~A_@zAq@w@MNDs@a@j@kAwD_AtA?t@?w@s@Mg@pAq@KC_@aA^k@bCYoB?vBc@mGgBI?jCAkCgEGiBrCX?]Da@cAQeHc@aALmEc@Q?rAEmBk@l@[s@KuCKd@a@?}AoNKNOg@]nCoC?{@zD?dCQwD[lBm@XKw@Cp@_@a@?vAm@@Kr@a@aE]|@Q}@AjC_@iHW@k@rGmB}O?dLAoNcAiDqB}@cAfA{@P{@zEgAfYeAbBaBF_@{@YPsAxLq@t@mAvGeB~TgA~D[zHi@sA?hC?kCa@u@gCzMUxGb@vQSjOt@`F^uARwGeA?dA??yGdA?eA??jC@YbArE?k@rE??mCdA??w]dA??kCdA??yGjC?kC??xGeA??jCRkBpAe@z@iGzD`Y@iC?hCdA?eA?jCfN?aAbApP@iC?hCdA?eA?PpJn@`EBkC?jCfA?gA?d@`E`@lA?cC@jCrAxGn@b@~CxSVdN', 'cfKwrOjC??wGlC?kC??vGmC?', 'kmNgrSdA@eA??A', 'yeMyfNz@wBXl@Po@HRXqDeA??jCeA??jC', 'iqMkiNh@y@NkCMmCe@k@s@xDJjC`@x@', 'maMcnNDm@E??l@', 'arLqoNr@iAPiEeAE?xG', '}uMaxNVEg@CNH', 'yoLkxNHSKu@@hA', '{oLkxNAkCe@]Tq@P\\?{AeA??xGdA?', 'euMkxNz@kCDiEYeA{@m@s@ZQz@M_Ee@sAm@~EPlJj@t@b@mDp@nDf@?', 'qcNe{N`@q@PoDc@eFm@zBIjCf@~D', 'igLw}NbAaCjARfBsEJn@Z@t@{AXt@\\w@PNXeDPXXgArA\\?kCkC??lCeA??jCsE??jCeL?BhFLyBJQJd@jAoBJj@h@Kv@hA\\KNfC', 'idL}`OBGE?@F', '{tKumOFSU?LR', 'ulK{sO?gBeA?VpAl@T', 'mwM{zO?SC?BR', 'o`N{cPn@yCDyGuAcIk@Ni@iHk@vDBjCX|A?}A@|Ad@_@RtNfAxC', 'e`NcdPBEC??D', 'y_I_gPHYI[?t@', 'w`JehPl@e@LcAnAs@kC??|C', 'mpNenPpBcKuA??lCmC??jClA?b@hB', 'ksNmpPh@a@}@?R`@', 'atNoqP@kCeA?F~@z@jA', 'kmNizPd@kCb@kYiA??v]', 'mgNibQNWk@?ZV', 'ihNacQl@C@iCeA?TlC', 'yfNmcQPmG_@oBa@LUxA?rCdA??kC?lG', 'e`NwkQ?CA?@B', 'k{H{kQrBmAPwI_A??xGeA??jC', '_wHcyQFOGM?\\', 'cpJ_eS\\sB`@HDoDeAiA?bJ', '}tJerSAGGFH?', 'kvJerSN?EGIF', 'cwJerSIG?FH?', 'axK}zSKSARL?', '{nK_{SJg@KW?~@', 'ehM}pTDwAGC@zA', 'qhM}pTIm@Ml@V?', 'mkMiuTP?Gg@If@'],
+        'Asia/Kuala_Lumpur': ['cb@ehR|IkF|IsKcA?dAC|CuEViBw@o@b@mB_Ay@gDSsDpDwH?sEpC{A`ElCbAg@n@|@xAe@\\a@[?pB?qBu@@Br@w@TBd@^?_@?e@hAr@JKxB\\HHl@bC~A'],
+        'Asia/Kuching': ['aKskT`@[cAA`@\\', 'gIklTDE]@VB', '_JqlTbA]pBsCg@eB?jCmC?lC?GgDZ_Ae@uB{BgAb@AHoBVRC_IuA]I_@cANi@_A?dBAuBcAReAi@b@CE]uAa@_BP{@e@?vAe@{FFgCZa@cA??dLyG?xG??sPdA??kC?vGJiCl@g@MmCkAU?Z_A?wAyAq@AuBzCCdAw@fAoB?}CtDbGfIrEbBVAH}@l@PhBi@m@jBx@Gv@n@aDlC|FrDbB|InEdDSrCbA?', 'eLulT?{@Ib@HV', 'yGabUd@iBe@o@?xC', 'sn@}dU`AIPu@sAsAy@Z]]`@u@Kw@q@Sa@n@h@rAUx@b@x@t@Ef@d@', 'q\\ilU^I?q@{@?Zz@', 'q[{|UdAA?iCeA??jC'],
+        'Asia/Kuwait': ['{tD}aHRwD~Am@AqCu@qBi@x@}BXo@h@k@hCNdBvDzB'],
+        'Asia/Macau': ['}hCqdU?U[??TZ?'],
+        'Asia/Magadan': ['acKqg[d@kHaAC?jCqE?pE??kCdA??kC~I??mCrE??}TdA??kC?jCeA??pPrAkQO}Im@qBRgA]iIKe@?tA?uAeA[y@bEq@PgCuGe@Oq@wB_Ak@Y_AQyHjC}@fB}B?uE_BwD_D}As@b@Mq@a@jAKm@?dCOuEu@RWWm@lBYGU{Ai@TS_A]A_@v@Oo@u@Vk@gCc@|@]M]`H_@P|@?}@?]nAo@tIC}B_AhGbA?eA??lC?mCcB_AQnCTTXS?xCd@tBe@|@YlMXl@?oA?rAR_@^XBxCzADXzCb@X?iCHvCz@}@^xA^DS~AXtF`@CUnBc@IQd@`@rC]jDV|@d@s@v@x@GfAC[BZg@BZdA]vDr@h@TrBVSzArAjCk@JbAf@Kd@|A', 'uaKkw]AeLrE??kCdA??mC?lCeA??jCqE??dL', 'spGwj[n@yAz@i@EyA}@wBAjC?kC_@k@g@@YtAdApD{FwN?xGbAx@?pClDhC', 'sxJul[p@}@MmB`AmACs@f@_@~@T?mBmC??lC}I??jCnAaB|ACJr@t@JMfA~@hB', 'uaK}p[EA?@D?', 'upJmu[PmCeA?BlCn@?', 'gxGsu[?gCeA?dA??kCi@kCq@UDwB{B_E?r@E}@aAiA?|DxCxEWdAr@hBWtAzBbD', 'moK{y[IMGLP?', 'exGg~[AE?D@?', 'gcHck\\bAI@gCk@Cq@l@GdA^`@', 'gaHyo\\SGQFd@?', 'gqKyo\\Bk@EH@`@', '_dHkq\\t@c@Du@iBiCq@vA~AjC', 'a|Kkq]Cs@OXRX', 'o_Kkw]BCCu@?x@', 'aaKcv^EKCJH?'],
+        'Asia/Makassar': ['qDufUp@IGo@^Ou@eCPOt@]dAtAfAu@e@aA~CGGg@p@y@|@x@?}AyG?jN??lCjC??jC~I?_J?Bd@pKtAk@{BvAuJlLZSvG|BdB?c@Bd@h@?lCeBv@yKg@uGpCmBfC{EDsAdAqBKeDhAqEgDwHyBmCoBb@Ec@a@?Hj@gBKaAcBuTSaE~B}D?eAzBgErAuI_IiCAcDoAiIkJuAbCaEq@yD~B|AfD?kC?jCdBxBdKx@bHpCPjF}@dL`AlCiCpEsAdA{InBYfDdA@eA?]`@CvETPUf@`@X?u@B~@v@ZvCAZr@h@?m@@l@f@h@@L]v@vA`AOJ^tA\\Qb@Td@?qAfA??kCpE?qE??vG^F', 'w]ozWdA@eA??A', 'ry@ofW}@CSmAfBFc@?b@XUn@', 'sE}fU@kCgA?BtAn@HPj@', 'vRgjU?mDkC??mCeA?BlClElD', 'xCqoUHCQ?FB', 'xJwoUJW^V?kCkC?BlBzA\\', 'bcAisVXw@WeAA|B', 'dcAgwVAG?F@?', '~{@gmW]OSNp@?', 'fw@gmWZCUAED'],
+        'Asia/Manila': ['sdAchUn@a@v@PHuAaCh@Nz@', 'ggAshUr@}@{@AF~@', 'aaAikU[Ye@X`A?', '{cAulUVw@m@W]h@r@d@', 'waAoqUXw@eAYQz@|@T', 'kp@ixUXE_A@d@B', 'qq@oxUfAC~@gCvBiChBZv@gA?cBjA}BdAWpBrB~@??iBkBqE{D_HiA_At@oJhCaEeAAdA??_BqDoCmDgAkCIeLnAkNdCeB|AcHdDmA~FiIbCyCu@aXlBm@l@l@n@|IbClC~BjNjDdLo@lIZtLfFrErE?iC@jCnEjC', 'cb@gmWgA??lCeA??pP?qPdA??mCdA??kC@jC', '}u@avWdA@eA??A', 'g|Bw{VdABeA??C', 'io@{|UsE?rE??mCvG??wGjC??kCfA??mC?lCeA??jCmC??xGwG??jC', '}_@gmWRs@Sk@?~A'],
+        'Asia/Muscat': ['suBadIHCI??B', 'suBedIjNaFy@kELcCYgAgAu@?|BWsIeBCyCmAq@uEgCRoBY`@uBwAeBuBP}AgBkCuAeAEc@PQdAwDnCkArC^~Ai@jAqDhCt@xAk@P?f@jCPd@s@XhB~GK?kCpE?qE??jCbBWnKdCjEpQ', '{lBqhIwG?vG??mCjC?@wG?vGmC??lC', 'gfBgkIJEK_@?d@', '}lCaxIhBcAeC??`AZ@', 'ymCcxI?aAkC?jC`A', '_{Ca|IAg@GPHT', 'mbDi|INs@pAAEmA{Ak@qAB[f@Zz@pAfA', '{|Ci~IDGI?BF'],
+        'Asia/Nicosia': ['yyEegEjAc@b@kB]ERaB]_Bw@DXu@Ey@[Ie@N^|C_@DNrB_Ab@l@Hi@TPfAv@V', 'yzEqmE@kAGDDdA', 'wzEutE?KCBBF'],
+        'Asia/Novokuznetsk': ['i|I{nObA_A\\^Fu@fAHZo@BkCgA??jCkC?@zB', 'i}I}nOHSRP?wBjC??kCrE??kCdA??mCrE??wG?vGsE??lCeA??jC|@gBl@QRkBp@z@j@uAb@\\Zq@TFj@eHk@iBSL_@a@Y|@y@Y_@xACu@aAc@Eg@c@l@u@m@]nAv@p@c@@Kj@Ga@sAk@?^I]}@l@?zB?{BONu@{@k@{BYH?lC?gCoAl@MbAm@d@GpLl@jB^BEj@LU^nF', 'auIsqOn@_@_ACNb@', 'qsIsrOBCC??B', 'qsIwrOz@cAHeAkCA?jCdA?', 'aaJq_PHIK@@F', 'w`J}_PEi@Ch@H?', 'w`J_dP?IC?BH', 'w`JidPUiDY~@n@hB', 'ceIkgPg@iA?bAf@D'],
+        'Asia/Novosibirsk': ['cyIitMR[e@?PZ', 'o{IktMr@k@tBAz@gBJ^pA?_AwF~@p@?cCeA??vGyG?xG??wGjC?I}Ng@_@cAsDt@e@P}ATFIs@`@R?kB@lBRSb@wCy@]{@oBZ_@YGOsEw@qBItC?iCo@^U]?dCCkC[n@c@OCjBOkBWz@]_@_A|@YSCzBpAdAWlAa@e@aAbAi@m@Ub@z@tHy@bAT~DgB`DdA?eA@k@dEMvMjBg@r@dA?c@b@?@gBZtDh@pA^ICt@', 'gqIw|M`@g@e@@Bd@', 'kqIw|M?e@Ed@D?', 'epI_~M^kCeA?@jCb@?', 'eoI}_NdAgC{@qKIxO', '_mIedN\\w@SKIbA'],
+        'Asia/Omsk': ['{hJwvL`A_At@r@Ro@c@eAxBeCPbC^KRbAVi@Hh@^a@d@R?`ALeAFv@b@g@f@|@ZGCaAf@i@U?bBODe@fAPEb@f@UDuB[ETyAm@`@l@}ADVh@UIk@Qb@SOf@eCUaBd@NCn@h@f@l@e@i@{Ad@aBm@MSuBeA_CqA?K_@{@fB_@G}@v@s@[QZAw@_@Zi@cBIqB[j@]EDv@w@{Ae@DqAj@aA`B{@Ce@bBO_@_@V?tAj@zAAzEZn@?o@?|DG~D}@O?t@A{@_@|A|B`B', '_xI{zLqE?pE??kClC??yGdA??kCdA??kC?jCeA??lCeA??vGmC??jC', 'u|I{xLBKCG?R', 'iqIo{LFKIO@Z', 'kqIwaMBKCC?N', 'wkJyqMQiCYt@j@rA'],
+        'Asia/Oral': ['umHqaH~AqQQHGoByBuE`@oH_B]IkCa@g@?`@Ae@{@BGY?z@AcD_@q@u@M}@j@g@i@S\\m@S_BvEKe@Wz@H|Ck@\\?lAl@bA_ApDb@GKj@~@l@f@tDZTZQl@jB?aA?~BvB_AR\\HfBuBtBd@bAb@I`@h@?eCJtDx@J?u@?v@l@H`@u@rCnB', 'k{HsnHASELFD'],
+        'Asia/Phnom_Penh': ['wsAs~Rf@A?}@eA?\\~@', 'orAu~RdA]?_@eA??|@', 'cpAq_SnAa@uA?D`@', 'sdAe`StBIkCCTL', '}`Ao`S^C_@??B', '}`As`SlCGtAeAcCuD_A\\Qc@v@SaAcBC}@qAi@Rm@a@wA`@MH_Ay@Be@x@}@Ha@i@RuA_A?@y@_AcB?hAIgC}@C?hCCkCaAPeA[{B`@O|F\\NCf@YvAC_AOl@Jf@q@^Z\\g@`@VjJlBnAvE??kCxG?yG??jCtDq@bBp@?kC?jCjC??eL?dL', 'yxAouSz@a@w@?C`@', 'scAqvS@EUDR?', 'uxAqvSv@?@kCeAVJrB', 'ayA_wSAeBa@f@b@|@', '{vA}zS?eBeAINjBt@B', 'ayA_|SCGCFF?', 'ayAu|S?cAw@Mv@pA', '{kAc~SJGKI?P'],
+        'Asia/Pontianak': ['eA}bTvGWcLAjCX', 'pEucTHAI??@', 'pEwcT~Dq@JkDhK~@vBwElB_WuJiAeBq@gCkCCjC?kCcCWw@sA_Az@En@l@?gEBl@|@gAt@u@mA?`BCgBsAj@t@dCc@VFv@mAI?hCAuCeAq@d@jBe@`CWKKb@@lAXx@|@LZbAz@?cAZ@vCb@~@wCpDf@?eA@?jCAmC]\\o@y@]Zn@lChEjC@kC?jCbL?', 'cLqlTAC?B@?', 'qEwuT?YGJFL', 'yGkaU?UGBFP', 'yG}fU?{@KTJd@', 'pJuoUr@A_@WSX'],
+        'Asia/Pyongyang': ['ovFyfWbA_AcD?~A~@', 'oyFehW?SjC??mCxG?AcIcAsA?~B?yGeA?dACIk@k@SEcAmBpAg@lAw@B{CqH?hCIoEyA_AuAGg@X}AoBWmA{AjASr@c@AWfApB`@@fAn@?b@xA@pDnAw@d@TMxDdA?eAB?hCrBjBRlABm@z@~DnAlB', 'imFohWXyAl@C^y@a@kHe@O?zHwG??lCx@c@YqAjB~Az@Gn@f@', 'ajFgmWDOGS@b@', 'gbG_vWAmC_AbAJn@t@X', 'cgGkfXLe@s@@d@b@'],
+        'Asia/Qatar': ['}~Cc{Hb@Ga@?AF', '{~Ck{HbCQjAk@La@{@qCyF?eApAL`BvCVGd@', '_{CcdIBAC??@', '_{CedICsA[BSt@r@X', 'k_DceId@o@e@k@?zA', 'k_DceIA{Ai@n@j@j@'],
+        'Asia/Qostanay': ['}cI_vJj@gBP^jAmHkA??jCqE?pE??mCdA??kCjC??kCrE?kC??nBlAg@B~@x@Bg@?PZb@Zp@q@Db@dAyA?{@d@Fl@iCv@q@c@s@UHKcA]RAk@s@KR_Ca@kCkBmCClCO}D}AwBSFo@aBS\\b@`Do@DMzCs@bAVfAq@Ao@n@bA?eA??jCMkDm@E_@l@OqAaAo@oBCYy@]r@IeAqA\\?Zy@Mi@j@SgA]x@G]uAf@b@xCh@ADvF^?Yb@N~BHWNjC\\JQVEQGnFZ@Bx@VqDdA??kClC?mC?DxGrA_E@~Ep@z@jAgA~@zC?c@F|A', 'mnIs{JZiCPhA?aCeA?V`E', 'y_IuaKn@W@y@l@]Fh@XAAi@rAy@?mBeA??jCmC??lC', 'ytHwdK?EAB@@', 'mpHsgKBECG?L', 'utHo`LCC?BB?', 'm{Ho`L@{@GTDd@'],
+        'Asia/Qyzylorda': ['q~G}oJ|@EaA?BD', 's|GcpJjAG~DqKhDqDOkKgA??dLeA??jCkC??jCeA??jCsE?rE??kCdA??kCjC??mCdA??}TfA??kCdA??yGAaAYb@qBcA?`BOoBcAvB{CG]`A{Ag@kAl@MtHu@xAmB`KOg@YdDqB|B?vBjCtA?tAdAB]?BbAl@fA|BlC`A?', 'uqG{nKfAAYiEdDcDIu@aC??jCgA??xG', 'akGkzKDCEU?X', 'qgGa|Ki@sA?rAh@?', '}hGa|K@sAeCqGEdJhC?'],
+        'Asia/Riyadh': ['_nDkvEx@KLyAj@s@bHqErAArAgAjDeAn@eBnEoDzBq@nBR|@Y{K??jCmC??jCqE??lCyG??jCqE??jCyG?xG??kCpE??kCxG??mCpE??kClC??kC|I??mCxG??kCxG??kCpE??kCxG?AgIs@]kAVYe@YTYWl@{BSyF\\qH`Aq@?c@a@y@qEmC{AoE?xG?yGeAyO?rBEkCgCuK?zBCkCy@kDoKeC]RdABeA?oBbAm@lOaHfFu@a@Rn@z@Bu@?AnAyCv@dABgB@oA~@kCe@aBL}ApAWeAm@AElB\\h@sDzDZn@@pC_Bl@g@dP_ArAbA?eABsE`HoGbNg@pF`CtLfEeE`@`A`A^XnChCnCg@lFrGrA', 'ggCupFlC[vGoD~Cu@zAcBlKkEiH??jCqE??jCyG??lCyG??jC', 'gfBgbGl@g@SqFY[?tH'],
+        'Asia/Sakhalin': ['s_HyoZXoAs@k@a@nAz@j@', 'saI{rZjBeBx@h@rFWhDx@dCaAnAh@jBO`Bl@bC[r@cA?_BmC]?vB?{DfBm@?uAsAs@yARi@RM`AyCjBuFwAG}BbAyArA_@GcAm@g@oIrD_J`CsEWyChAw@OwAlAVrD~@Ar@}@~@jD~@k@bIx@', 'eyH}c[dA@eA??A', 'mrI_vZ^U}@?\\T', 'q|GuvZRi@Uo@@xA'],
+        'Asia/Samarkand': ['gaG_}INoES]cBl@dA@eA?{@cAQcCe@FW[V}@i@h@CwA]Gr@uAeA??vG?wGdA??yGrE??yGdA??kCpE??kCdA??kCdA??mCfA??kCdA??kCdA??mCjC?A{EmBeBi@dAkB[QjC?c@Y?Gb@`@?a@?G^sB_@e@~AaBX@n@m@WoAXCWuCl@KhB}DQDp@kDfDh@vQiDpDuFvNtBdO~U?', 'moG}nKdA@eA??A', '{hGcpJp@kARmEeA??xG', 'meGouJ\\mBeA?B`BZKFV', '}cGivJXYh@Pd@kALkD[S^wAeA??vGgA?PrA', 'a`GuaKrBu@Vi@zAShEyI~BgGVuB}A??jCeA??jCeA??lCgA??jCeA??jCqE??lC', 'akGe{K?[I?HZ', 'onFa|KZCt@wBfBh@VeGeAK?tEkC??lC', '}gF{bLPQQi@?z@'],
+        'Asia/Seoul': ['ilFihWdAa@MwA}@XD~A', 'cjFkiWHo@I[?jA', 'ctEgkWr@_AZsDtA\\fA_Am@uCaAm@w@v@S}Co@q@AxG?yGo@iDa@D{BsBEjC?_DuDgAk@f@aBSaBT_Ap@~@?eA?_EjCr@?{@@DdA\\DVx@dABeA?@fDbAlA?iB~@nJj@]Bw@hDnBnDmBl@L`C`DjCX', 'miFwnXn@s@eA?dA?o@wAm@l@l@|A', 'sgFquXb@w@m@m@c@p@l@r@'],
+        'Asia/Shanghai': ['auFojM`Ak@aAQdA??kCsE??eLeA?\\zD]@?pDNU~@`ElBLTdA', 'yqFqkM|@q@Sc@h@qBpAm@n@QRTfAm@NvBh@GVqGgA??lCwG??jCeA??jC`@Z', 'y{FeuMCaBe@Xh@fA', '}gFeuM?mCkC??qPyG??pPlC??lCvG?', 'ueFevMd@KIk@d@u@BkCeA??xF', '{`FsyMv@i@MoA^Q}C??jC`AWPV', 'ueFsyM?kCpE??kCyG??vGfA?', 'u{Fc}M?[dA??kCkC??mCeA?dA??kCkC?RtBhAlAKzCVn@fBp@', 'c_F_~Mf@W\\sBeA??jC', '}|EkbN?mCeA??lCdA?', 'g{EofNzBy@`@gF?jCV{@l@x@?iC?jClB?hDkC?gC?fCxG??mCdA??kCdA??yGfA??kCdA??kCdA??mCdA??kCdA??kCdA??kCdA??sP@rPgA?BrG`@a@DcAYS`BeAu@Yr@k@e@aAr@kADyB[SNw@q@gBr@s@tAR@iAi@DkB_B?mA}@??jC?wGdA??yG@jCR?f@[DuDyCcD}AyEORMW?`@[}AZUIcD{@??vG?eLdA??kCdA??kCdA??mClC??kCdL?gA??hB^Sb@t@BkC?jCvG??kCrE??kCpE??mCdA??kC?jCbA?_AmBrB]JeB_BM}Bv@k@WJuBQ|@?cAw@e@`AwBoAw@p@]g@Yx@_A{@_@Vq@s@aBm@Gi@sAX]y@??jC?wGdA??mCpE??kCdA??kCdA??kCfA??mCvG?wG??lCpEKpBpB`BLnBQZ_@j@mANaCiB{DkPuJ_@kC?jC[yGuDeL?xGeA??jC?kCdA??yGuBwGwDaEuCcFmBuBeLyFyG_FqEoB?lC?mCqDcAyCzDmHpBeKhI_CmCsDwGCjC?kCe@eAkCs@a@\\?zA]d@TfAq@|B{BHKu@j@s@{@u@d@{@e@i@g@v@OYCe@l@g@WgC_@[q@b@o@MUwC{Ak@oAmBsA_Fm@i@?hAEqAuBsAKo@t@a@b@iEo@g@oAv@AqDc@s@?dB?gBs@_@@kAqBa@NwF}@O?vAC}Am@KShBA{AwAKaDbA]gB?jC?kCcAmAz@kE}@?u@sBi@@sAwAk@J_CkAi@HoAwBu@l@iAm@CrBt@pCAhA`@tAn@TBnH}A~@?|BCeC}@A[n@o@_@?zAmBnCLtAY`AQKCdEm@v@qAOUv@sAJ{@dAu@I?pAAeAmAd@{@t@?tBSiCQp@KYaAzAWM?b@Eq@Qp@V?eAp@AxA?cAUbARv@{AnGx@zOb@n@?gAxG?kC?B~@f@_@\\L`A|BrEtC?g@@n@j@`@Ls@z@j@RxBpAfCaAdFfGxDr@CRr@?}AgA?fA??qPdA??kCdA??kCpE?qE??jCh@CdAiAl@BNj@a@hDl@fEIpAj@HL|CfBz@|@tBNdF~BtDs@zE?pC~BlAdCkB`AjDvBjCf@jCBkC?jCdA?eA?ZhDKtGzBfK?gC@jCp@zASdB_@C?hDkAhIw@j@_@nDPzGk@pMLzCgB`ByCjACf@s@QA`BdA?eA?eAjCdA?eA?}@jCm@nOw@b@V?cA?AjC?kCeA_As@Xq@c@oA`@cBtA?|A?}Ag@Ri@x@F~@g@b@FfBa@|AAW@Vi@Bk@zBW[_@dAU]g@RJxDXXt@Gf@r@?gCTxGp@f@?g@Zp@~Ba@`A`@d@tB[b@U|IhFdCnAJVs@f@GAbC_@\\bA`Iz@EZk@bB@`EkAPnAZi@L|@h@VlAWf@Vd@lC@kC?jCfA??eLjC??pPvG??eb@cb@??cb@jY??yGvG??xGfA??eL?dLjN??kC?v]jC??dLdA??kC?jCeA??|TdA??wG?vGdA??xGfA??kC?jCmC??jCt@H', 'wyCajVu@ZB[{@?lB?', '_lHcwOdA??yGvG??xG}I?', 'gxGknO?xG_J?dA??yGxG?', 'gbGacQmC??yGdA??wG?vGfA??xG', 'moGacQmC??yGlC??xG', 'miCeeU?s@eACMsArAa@?j@?aA?bE', 'qwCmaVYs@T[Zl@W`@', 'kbDalVe@c@f@@A`@', '}|EyfN?kCeA??jCdA?', 'kjE}hNlBmAfC?WgApAy@@_At@cB\\FfAcD?gAe@CJeCx@Q|AqErAgAUgBnAY\\s@`@iAWq@h@??eCeA??jCeA??lCeA??jCeA??jCeA??jCgA??xGeA??jCeA??lCyG?b@Fb@tA}@l@|@?eA?\\fA', 'gbGsjN?}CgA?fA|C', 'usEsjNVQe@?LP', 'iqE{jNBIK?FH', 'yeE{jNTIi@?RH', '}cE_kNDEK@DB', 'uwGgrNLw@i@?Zv@', '}{DmyNj@g@k@_@?fA', 'meHyeO?}AW`AVZ', 'kjD_jPh@e@U_@SA?fA', '_qDoqPbACLgCqA??jC', 'wnD{uPr@_@_@mBS??lC', 'qlD_}PHOIK?Z', 'guDgpQDSEB?N', 'iuDwpQ@??GAF', 'guD_qQPm@U]BjA', 'qwDstQ~@C_@sAd@q@eAC?lC', 'kuDayQdDuBZuAcAm@L]eA??jCeA??jC', 'wwCq`R\\g@kB?Pb@z@B', 'utCq`Ra@uDmF?FvBbFTb@f@', 'mtC}`RLIKQAZ', '_qDyaRfAsAxBe@GQyDA?lC', 'e}C}cR?iAeA?Dt@~@R', 'svCgfRb@]My@dAh@p@]?_AmC??jC', 'qlDgfRh@s@l@GpCGrB`@?iB}I??jC', 'crCohRbAQ?q@eA?@bA', '}oCaiRV}Bj@J?kAeA?@|D', 'qiCwjRTaDpBg@DkAiC??lCkC?BvAbCn@', 'odGwjS?o@E?Dn@', 'erCerS~ASt@}F`Av@dBYbAqDiB??lCqE??jCeA??jC', 'ggCk_Tf@AIu@bBsA~@kC{B??jCeA??jC', '{aBstTn@a@m@mGAxGeA?dA?EuHoD{@{AbCGbExG~@', 'yaBc~TAE?D@?', 'uz@e_UDaBm@GKbAr@d@', 'iz@g_U\\g@]q@?xA', 'kw@k_UdAQC[_AGAt@', 'i`BsdUf@_Ce@uAyBgAa@Zf@xBpBfC', 'ccAufUd@s@e@[o@`@n@l@', 'w~@ugUh@YKa@{@FE`@b@P', 'i{@chUX_@Oe@c@XXj@', 'y}@}iUbAWmAGH^', 'y~@ikUW_@q@NhAN', 'o|@uoU^a@Ig@w@MU|@v@X', '}kH_qUl@In@iAg@}@A{Bp@eBiAsAE_AW?@fO', 'a~Ak}Ut@WFi@k@k@{@t@h@v@', '_lHgaVXAFuAxAsBNmAeA??jCeA??lC', 'kgHwhVTi@]?Fh@', '{hIemVd@CIqARs@^N?{@mC?@jAz@hB', 'kcFs{VCE?DB?', 'ytHgaX?{@EVDb@', 'gjG}lXj@cAYAKb@[kACfBXD', '}jGkpX@s@EBBn@', 'mzGq}X`AOU_@k@B?j@'],
+        'Asia/Singapore': ['oFifSMoBa@LGp@v@n@', 'yGkkSEe@MNRT'],
+        'Asia/Srednekolymsk': ['kcLyaZb@{Ch@[LiEeA??vGeA?@tAb@a@Ht@', 'keLabZNaBdA??yGxG??cLdA??yGdA??kCdA??yGdA??yG?xGeA?DvIj@qFn@qA^uEWwAX?HsAo@m@e@r@W}@\\iEa@uBNc@d@FToBa@B?`@IiKWNc@}A?p@Au@Ut@k@?AjC?kCc@[Y{CGj@A}@O\\aAQF}B]q@a@V?|@YkBXqGS{Cx@}Ae@uB?l@AkEWVW]UdAA{@kAkAc@Xw@xDWQSb@g@i@?sA]z@i@}@y@qQFqFk@_@?x@EaAc@^Mu@o@dAU_Am@~Ag@C?`CCyCo@GIvJc@Ti@Yy@n@b@mKo@gC{AfH@dGj@`B{@bIQdLr@nSkCxFSpC}@fAk@jCqAl[hBnCd@`FFUv@rA@SHtAx@?Xt@X[hA`ENMfBzDb@kBeAEdA??wGpE?qE??vGNgDPYTp@hAcCTpFtAgAh@hB@kC\\zEf@m@T\\f@IPu@ExGv@vCEtA', '_}KghZ\\e@k@ALf@', 'a|KoiZx@_B`@f@PsAuD?ZjCj@?', 'i`LuiZ~@eCeA?DdC', 'agLwiZ?q@E`@DN', 'agLalZ?q@Gb@FL', '{yK{mZh@EFgCq@??lC', '{yKirZv@CLsGeA??vG', '{oLutZ?_ACl@BP', 'g}L{yZDe@y@?r@d@', 'uwKa{Zj@s@XeFeA??xG', 'oaMu_[@EAM?R', 'ouK{c[t@oBNT?q@eA??jC', 'ynKqz[Dq@GK@|@', '_gHwu\\p@{Ao@wAwBiBwABGfBxATzBzC', 'kqHi|\\f@UBoAlANJkAmDaFyAUeA~Cf@`Ax@}@lAp@IhC`@x@', 'sxHoe]PIc@DPB', 'eyHye]p@Sf@uCiB{DcA_Ay@dA?rEhAUbA`D', '}|Hsh]n@q@eA??oBYnBn@p@', 'a|Kim]Fa@CECf@', '}{Kqn]FcAKUBxA', 'e`Le`^AIEHF?'],
+        'Asia/Taipei': ['s`CawUbAm@g@oAeAX@bAf@^', 'kwCiaVIsAUZ^v@', 'eqCkgVvFaFkC??jCsE?rE??kCjC??mCdA??kC?jCeA??lCfBuALk@o@iDiI?mHaByCKSh@zB`FbGxHfBt@', '_{CgiVFOGI?X', 'ebDelVKe@_@Dj@^', 'qaDglVVOOQG`@', 'saDglV?YCLBJ', '}cDqoV@a@KPHN'],
+        'Asia/Tashkent': ['}_Go_LnAYl@VAo@lBi@VwAP\\\\WHiE_AW[c@TQa@HM_@C`BIyCgAPm@]\\gAoAgCz@oAt@|Av@{@GeAoBGdA??kCv@?eA}ALm@a@NP_As@qAA`C?kCw@xCL`@aB|AdAv@?y@DvASbBu@JIlBeBcD_@EAq@OZt@fBSXtBtEFg@VtBjAt@Cn@tAMy@xBc@_@Q^BhG', 'e`G{dLB}AIl@Dn@', 'myFumLDMGB@H', 'oyF{zLb@ECc@_@h@', 'u{F{zLZAViCs@??jC', '{eG{zLYo@?n@X?', 'gbGs~L?QMALR', 'u{FccMDMEA?N', 'y}FugMJII?AH', 'w}F_hM@ME?BL'],
+        'Asia/Tbilisi': ['gmGkxF~BgG~Bs@m@?`C?H]CoBsG?pE??wGfA??eL?dLdAAM_GSJa@aBbA{EeADm@f@Yg@?fCSkCq@tC}@Gi@hBGt@XJY~@f@lB}BzEGjFcAjEAnB`Af@', 'acGcaGLc@w@?h@b@', 'ebGucGFUIO@d@', 'odGufGdAAUaBRg@cA??jC', 'odGakGfAAl@m@T{AkC??jC', 'a`Gu`HDw@e@Uc@`AbAJ'],
+        'Asia/Tehran': ['auFerGdAu@eA??t@', 'yrFcsGzBWLg@tAv@^oAv@FtA_An@Jj@g@?cCeA??jC_J?~I??kCjC??mC~I?eA?@lCn@GIh@\\Pz@[`@`@nC{C`@\\XQ@w@zAkCi@?h@?RgAxBoAVJBkC?jCdA??mCrE??kCdA??kCdA??mCjC??kCrE??kCdA??kCdA??mCdA??kCdA??yG?xGeA??jCeA??lCeA??jCeA??jCsE??lCdACbDiCpGmOpBwA@q@e@_@j@c@Ge@cADcC{Ge@S|Cw@}D??jC?kCjC??mClC??kCdA??qP?pP|AcScDU?fBOeCgBKA_Aq@QYqDoBOIdBkEC_AvDsBzA?n@?q@g@J_B`BkFaEcAXUhDmCCyDz@kAiAIx@kBZi@a@@m@m@b@Qo@wD{@sA^_@UiBNB~CmA|@U~AoAh@Qt@dABeA?KdD}@nDw@TA~AB|@b@TArD`ArB~@d@NhEt@M^fEBmC?lCdA?eA?VfEmA|EcAl@g@jEc@\\v@?eDNJ~AYZf@?y@Ji@rAg@y@q@f@Sm@?lBAoB}@bAdC`G?iA?pA\\`@[tM', '_qFqsGHEWCLH', 'auF{sGdA??eFwCfDpA|@', 'mcFgxGVo@xAUReAgC?@jC', '_xEi|GDIS?LH', 'uxEs|GDmCyG??lCpAKCsBn@hA|Ak@@t@t@j@', 'qbEaiHx@??cAfB?fBaB`@{D`GgFmE??jCeA??jCeA??jCsE??lCeA?dAV', 'wdEwiH?AC?B@', '}mDewHRsA[Ea@l@h@j@', 'ycD}bJlCc@dAsFeAA?jCmC??lC'],
+        'Asia/Thimphu': ['shDuiP`AkAPgBc@oCXaASwGmBJ?|BA}BIlAiBb@KxCz@?}@?a@rDXl@?uA?vAdAbAjCO?eL?dLeA?@dAt@f@', 'kjD_kP?cAeA?dAbA'],
+        'Asia/Tokyo': ['kwCa~VTqAo@W_@dAx@b@', 'svC}aW`@Cn@kAaAyB}@c@AcAs@Il@m@@cAo@g@_A\\Sl@hAnAYVHx@v@Ja@?Ef@ZbBpAnA', 'ycDquWr@g@I_Aj@s@JmA[qA_HmDmC_D@qA_AMQt@eAF?r@j@Pj@bB?}@DdAdBdAz@?j@hA`@GBbBtBjA_@d@NzBdA^', 'ehEg~WpA}Ai@{@a@Dw@zAp@v@', 'smD__Xn@SUgAs@^Xz@', 'kkEeaXh@K~B}EtB~@fBC\\aCeAqD?fCAkCkBoDyCe@y@aG}@_@e@yD?~BCmCaA{@?z@KsDd@qCkFuINeGpAhAXGFeAe@c@Xa@Rl@x@Yg@_Bk@a@{B`A_CwECjC?kCy@MSeA]OeBz@kCmAiDKmAgBsFeBmCL}@f@|@?eABeA`AkCGWR?pCVn@?gC@lChClFb@b@vBc@hGjA`@nCz@|@l@dGjCt@fAKdAr@jCrG^pESbCqA_BcAz@Hp@jAjA`A{@`@~AnAjAn@zEdB~DBkC?jCpE?qE?jC`C|AfDrBn@', 'k`E_lX?lCeA?dAA?kC', 'kkEecXeA?dA??mClC??kCjC?kC??lCmC??jC', '{rDucX\\QGcAs@EmAuBuCcB_@kDmCS~AzDKj@X^^[`@lC|B@Tz@jB|@', 'esEgeXcBkCwARh@`ApCt@', 'e~DcjX@MAC?P', 'wnDejXF[E]Ax@', 'ivEwkX?GC?BF', 'axCoqXl@g@e@q@k@n@b@h@', 'a`DwqXToAgA[[z@lAn@', 's~BapYh@q@i@k@i@j@h@p@', 'gbGedZ~@eCiBaFAmBoBV]y@hCaIIo@kBc@wAgB@kCqAwEw@ReArB{BiAYlAnAhCgBvF{CjDo@dI~@RlHeAbAnDdGnElCJ', 'knEofZ~@}@e@cA}@`@b@~A', 'yiE_gZf@i@q@w@a@j@j@t@', 'ifE_hZf@o@g@m@g@l@f@n@', 'scE{hZ`@MOkAu@d@b@r@', 'mbEoiZD[I]Bx@', 'm}DijZf@s@k@o@i@p@l@p@', 'yxDwjZV}@u@WObAl@P', 'giDanZf@m@o@k@a@r@h@d@', '}}CqpZf@w@g@c@i@b@h@v@', 'syCupZd@s@_Ak@[j@t@r@', 'svCwqZl@k@m@m@e@l@d@j@', 'qlDuuZtA_@`DV^mAg@a@w@^k@a@{AFmAj@\\dA', 'ycDwvZDUE]?r@', 'svC}_]b@m@c@m@m@l@l@l@'],
+        'Asia/Tomsk': ['skJctMXa@P^d@cBz@BlAkBLwMj@eEeAA?pPgA??jCqE??lCr@]T~@', 'cmJmtMJWe@?XV', '_nJeuM@mCeA?vG??kCfA??qPdA??mCdA??}TdA??yGBrK`AcA`@d@VmAy@i@?ZWw@e@wIMT_A}BCsI]}B_Ae@Eh@gAiAc@eBu@Nw@~F{@RkA{AYyAw@f@DrCyB`DAxMw@Rc@c@sArAu@pD@~@dBdEw@dH`@dGe@`@?fLd@ZTUHp@n@GTZ?{B?|BhBFb@~B?yB@rCd@r@h@Ov@`B', '}bJqoNfBaDU_Ex@cAeA??vGeA??lC', 'w`Jw|NdA?SkCq@A?lC', 'q~Iw|N@AAG?H', 'e_JeaOg@gDTc@d@f@?sBeA??vGp@?', 'w`J_aP@?AG?F', 'u`JubPHCKe@@h@'],
+        'Asia/Ulaanbaatar': ['e|G{dQ|BUF}@yE?rArA', 'yjHkeQ|@wARR|@kB`B_@?iC?hClC?mC?VdCfID?wGdA??mCjC??kClC??kCdA??w]dA??mCdA??eLdA??kC{BkKBeDSdLC_Ug@kCwBkCkAoD{BnB_CmA?lCMkGh@aAVmD_CuDOeF}@uBgB{@M}Ck@IHqAm@gE?lCCiJqAj@u@hA?dBAgBgB|CCvChArAq@dB@zBf@|@o@hAe@H]y@s@BiGwDe@~AVvDq@~@ShCz@`DnApB?w@dA`M?[LpDa@nIgArBo@E?lA?mAQ~Cq@z@bA?eA@M~@YvFdA|H]pEA{BYlBZLo@H}@nAeBJsAbI@xBc@VUbC?~@^JXlApClB\\i@d@B`@}@l@L?e@fB~Ea@bEdA@qALB~BlAA?kCjC?eA?@lCbAT?U`@hBQdEhAdCr@?d@p@', 'gbHkgQBCE?@B', 'gxGogQbAkCcA??jC', 'gxG{kQ~AYj@qBkC??jC', 'avGgpQdA?@aBr@PBg@xCkAfBaBM{Cj@qMSmG`@}Dv@k@~@kGDgFh@?NaBq@{AAjCeA??dLeA??lCeA??v]eA??jCmC??lCkC??jC', 'wuHisQfA_AZR?kCeA??lCeA?f@h@', 'edIshR?{@Wh@VP', '{hGwcTZoB[aD?pG', 'eyHkiU?KAB@F', 'uoHctUMIIDVB', 'acHcfVAUA@BR', 'ccHyfV\\eCYq@CvD'],
+        'Asia/Urumqi': ['auFmjMdA}@eAA?kCmC?xG??yGmC??qPwG??jCeA??kCeA?RtBhAlAKzCVn@fBTJhCx@@s@?Jn@]@?pDNU~@`ElBLTfA', 'u{F_~M?kCeA?jC??jCeA?', 'yqFqkM|@q@Sc@h@qBpAm@n@QRTfAm@NvBd@AZwGgA??lCwG??jCeA??jC`@Z', 'y{FeuMCaBe@Xh@fA', 'ueFevMd@KIk@d@u@BkCeA??xF', '{`FsyMv@i@MoA^Q}C??jC`AWPV', '}gFsyM?wGxG??yGjC??yGGg@SP]_@d@}G{AyBRcBo@??xGdA??vGeA??_d@u@UOy@eA??jC?kYsE??kCrE??dL`@E~@cF?c@i@Kp@wDMg@wAPIz@o@?c@sB]D_Ah@q@lBuBANp@q@\\iBgMk@Lu@{@sEy@QeD}Au@eA}Ay@}Bh@a@w@}A?tHeA??xGlC??yG?jCjC??lCdA??jCxG??dLgA??yGwG??xGkY??bb@bb@??db@xG??pPjC?', 'u{Fc}M?[e@?d@Z', 'c_F_~Mf@W\\sBeA??jC', '}|EkbN?mCeA??lCdA?', 'g{EofNzBy@^{AAkEqBs@Wi@?|CfA??jCmC??jCt@H', 'gbGsjNjCQ?qPkC??dLgA?fA|C', 'ivEekNVy@WqA?jC', 'qdGqoN@yGwR??kC}@?r@vGz@EZk@bB@`EkAPnA^g@J~@f@RlAWf@Vd@lC', 'uwGgrNLw@i@?Zv@', 'gxGw|N?yG_J??qPwG?Zp@~Ba@`A`@d@tB[b@U|IhFdCnAJVs@f@GUhE`A@', 'mzGm}N?[GFFR', 'c_FqeOdAC`@mBC_CuA{E\\y@k@cB?rIdA??jCeA??jC', 'gxGqeO?yGyG??xGxG?', 'meHyeO?}AW`AVZ', '_lH{uO?aIgA?TxGp@f@', 'aaHcwO?yGwG??xGvG?', 'iaFo{Ok@{DCiFU??dLdA?', 'gnHu{O?gIMf@W[_@dAU]g@RJxDXXt@Gf@r@', '_lHidPAcDm@d@W|BfA?', 'yiHuhP?yGdA??}AqAlAF~@g@b@FfBa@|AdA?', 'mzGoqP?kCcA?AjCdA?', 'gcHoqP?kCrE?eA_As@Xq@c@_ATsB`B?|AjC?', 'gxG{uP?yGe@tFw@b@|A?', 'gxGu~P?kCdA??yG}@jCGxG', 'moGacQ?yGmC??kCeAjCdA??xGlC?', 'moGgpQ?kC|I?QuAy@Yk@f@w@qAa@DeAzAyCjACf@s@QA`BlC?'],
+        'Asia/Ust-Nera': ['kuK}eZxAsEh@dAr@yCz@t@z@Kj@tDbAZ@eAeA?dA??mCdA??wGdA?IyRg@JKcAyBl@YO?`BEmBgAw@]PUsBq@k@_BpJQa@y@zAYxF]Nq@pJPbFvA??mCjC??kCrE?sE??lCkC?B|F', 'ouKafZ?mBeA?dAlB', 'qgKegZ^{@K{@z@}AgB?VtE', 'cfK{mZb@AYi@z@iC?cBeA??xG', '}cKqsZfAuDGqBi@k@RsA\\@Ys@VOC_C}@oACxT'],
+        'Asia/Vientiane': ['u}BqpRWq@dAi@?kC@jCv@\\p@c@Y}@JoA`GFAqK]SRyBfCcBj@{@[?rE??kCjC??kCpE??oG_CQaApAeAo@i@~Ak@RTXwBd@cC~CqAb@iA|Ac@Q?rAQgAuBxFUc@o@?EyBeASr@?}@k@a@jAYK?r@s@m@u@dAJ~AVB?u@NjAo@pBgAz@e@W?t@?k@y@QS\\d@\\W@ElC?mC_CjBKbAp@l@RoABjA|@i@hAD?g@Bh@x@CWh@`@z@eAHX|ArAj@@[ZnA|A^', '{lBavRTc@US?v@', '{lBavR?w@_CoDpAoB}AkBB`LfC`@', 'grBqvR^g@eA?d@f@', 'gxBmwRJG[ANH', 'qyBkiSd@?OKUJ', 'm~BglSCg@MJPZ', 'iiBqmSZCi@CLF', 'ahBsmSx@AeACJD', 'gfBymSjDkD|@^hA]nANn@`An@]FaDy@b@o@oBz@y@{@{AJ]m@OAnGqE??jCkC??jC', '{vActS\\aAUKGlA'],
+        'Asia/Vladivostok': ['g_LakX\\_@?iCeA?lC??kCdA??mCjC??wCo@s@NeCe@mA?fCAsDaAgAAlBMuEw@sC?pAUgFT}DgA??dL?eLfA??cLi@ZGiC[WqAlEe@Pc@xC]y@a@p@DuAw@wCCvGHqPQt@g@HU]a@n@_@qACjCA_D[EMoA[hB?iAy@f@Ki@?jAGsGw@bAEbAe@s@OVMfDbA?eAD?dC?gCc@lBgB{DOLgA_E_@X}@Q[yBARs@kAQlC_@aJiBoC_@hDWb\\Zi@~A~Fz@dA|@lEEvHr@dH[fBm@m@_@dAHvG|C~Dp@_E@VVWP`@d@Wf@VVcF\\MPZHa@Fv@l@kBj@nChAf@Rx@XsBf@An@uBNl@He@`BpD?aAP~Cl@~@MdAxA`AHpCb@LL|@p@H', 'g~K_lXj@Ej@eCyA?@jC', 'apI}mXZyE?^HWhBKLeBa@aFo@yA@mCq@??xG?eLxG?mC?Bl@`@b@r@_@j@\\s@jGl@Bd@e@JTBbBjAlBVfDxGI?mCpE?qE??lCfDI`@TF|@n@JRrA@]n@p@Xm@f@Of@b@pAiACoHo@Ua@uA@iAu@qCBsB`Aj@|@k@nAvBh@YZp@bBh@j@KrAvAh@ATv@jAJXn@cAjEbAjA?kC\\tF`DcAxAL?q@sE?dL??yG?xGeA?^vEJc@~Aq@cBcScC{FkDwCiHsJwCgCaBk@qFqG?v@e@gBuBq@{DUYa@qC`@{D_CwHu@_Aj@cAdDuBvBeDrHwBfCkAgC{@m@?l@aAkCCjC?kCeAsDq@YQiACjCQsDqAo@g@eB?n@?o@iCgFAjCY_Tn@eBg@qEo@?CjYAmZsAIMhAaAlALhBq@`Az@?kA?o@iBLgA]I?n@Y{Ak@E?`BAaBy@?iAnAE|CCiCa@tBTf@SpC~@bBEt@UE?jBAi@[?SrAj@t@DxDAsA_CpIZrAbAJJx@dBzAZ~C^Z?}BJnDp@XF}@@p@T_@`Bp@bBQLRYTD`Bb@Lj@rC_@rEvAjC_@v@?bIf@dAZC@h@fAXCn@t@?Rh@TQ]tBfBuBRbAhBp@v@gA`@Z?aB?`BZHKtAvBfAB{B?tBr@q@OwG~@uA`@|BDmB@hBRMxAzFz@HFjAhAdA', 'w{HqoXJeDgA??jCPSh@l@', 'w}HkpXBkCeA??r@`AvA', 'a|KkpXdAkCeA??jC', 'ufGupXLQMoA?`B', 'ozH_qXRsAxAc@iC??`BZT', 'akG{qX?{AeA??v@dAb@', '{dJorX\\gA_@?@fA', 'aoG}rXFWp@P?s@eA?Jx@', 'y_IcsXAs@IVJZ', 'ceJisX?KGDFD', 'suH}sXLYS@DV', '{yKctXFeAn@p@n@gBrAgATJ?uBeA??jCkC??`D', 'abIgtX@E?IAN', 'skIotX?GI?HF', 'sjJotX@GE?BF', 'mmIqtXDEW?PD', 'ulJ{xXHIM?BH', 'smLw{Xb@y@e@?@x@', 'ouKq}XdA?]Wg@V', 'eoIkfYp@?Os@b@_AdAF?_@kC??jC', 'a|KayY\\}DOcEM`K', 'qtJi}Y?QIBHL', 'a|KceZn@uBEiAi@r@?jC', 'ggJ{mZCE?DB?', 'e_J}|Z\\qAm@}@_@fBn@f@', 'uaKaa[E}@SRXh@'],
+        'Asia/Yakutsk': ['{aLmrSj@kC`AWJ^r@C\\aAz@Vd@qB|AjE`@s@Ez@h@D@f@f@QJoAu@?t@AWoAf@gEeA??lCkCAjC??kCdA??wGlC??mCpE??kCrE??kCjC?kC??jCsE??jCkC??t@xAs@p@tAt@uC\\@p@pAdAy@l@Tn@{CnAv@@f@NOfApApBd@f@x@JwAPtA@q@p@Y?mDk@i@?sFq@aAj@??kA^f@r@Ik@UIeCuA}@e@}BqCyE}@??jC?yGdA??wGjC??yGfA??kC|I??kCrE??mCdA??kCdA??kCdL??eLdA??yGdA??kCrE??mCpE??kCrE??yGdA??kCdA?GkGa@Uu@b@CYkBJa@x@Ld@WJS]QVHh@gAM?hCKmDg@QSwAcAF?bCWiHkAmBKwBi@b@m@EL_AW?j@w@LuCg@Ys@^e@q@?jB?mBa@MWZCYk@dAb@r@U@TbAUfATdA?eAd@jCAxB`@P[@@rCk@G?jCAkC}@J_@lEkAeAGkA{@IwCgJcAhBNtGs@d@wBgAHeBYD?j@[eAgBlCIaBu@UOs@?bBCuBcB|BRkCO^Si@q@H?y@]WIfAsABInA}@`@w@I?`@]m@Jg@iA[Mo@_Ae@OaCWC?r@Au@uAJg@iLWq@Wz@M{@i@]iB|BMjCdA?eA?e@`Ay@Y_AR?vFq@h@?~@eAaAOVu@yAAjCAyCc@X[lBYOo@l@?`C?cCsAbCo@q@G|D?wBg@l@w@nEsBZ?tB?wB{@kAEsACvGA{IwA{@LeAm@_AHk@wCkFqBjFg@eAC|AEiBk@Ok@oCm@|BGiAI`@Q[]LWbFg@We@V[a@OlC?yBq@jDL~AmANg@tA}BOyBNQ\\bA@eA?}AxGcB|TOnId@pEfC[`@`HyBhM_@~TV~Fq@xAkA{B{AzB@dCbAfG?i@dA??kCdA?eA??vF`@_Cv@~ETeBj@rDXo@Lv@NsCgA?lC??mCdA??kCpE??kCdA?eA??jCqE??jCeA?@bFp@aCVz@t@eEnC?\\oCl@zAjAjL`@?Je@f@hEb@q@r@p@OjEb@`APdH`@bAlByCfEF@kC?hCdL??kCdA?eA??lCeL?tB^n@nF', 'umL}zSeA?dAA?kCrE?sE??lC', 's}KcvSb@Mq@?LL', '_qKi}SJWIi@A`A', 'cqKk_T^mAQ}@MjC', 'ulK{bT?gDmC??jCN{@VJt@w@B`Bj@`@', 'ulKweTFkAG??jA', 'ulKchTdAwA?u@eA??lC', 'yiMgoTNu@M?At@', 'qoMqqT\\eGeA?f@dG', 'ifMmrTN{AeA?BbAFURf@Bq@Pv@', 'wcMwtTBKEE@P', '_sMybU?aAA@@~@', 'koMaoUj@aDo@uD_@h@QjCt@`D', 'c{JuoU~@EDgCeA??lC', '}xJctUPqB`AoADgARbAHi@r@TR[KgBV[c@W?y@j@eBgA??xGkC??vG', '}pJudVl@g@jA@Js@~AK|@VL}A}I??xCRMV^', 'koJeeVLOO@@L', 'mmJgeVDMM?FL', 'ufJsgVIgAf@Nj@u@\\RXu@Zf@Lk@PN?uAsE?TxE', 'w`JwkVdAmC?uAeA??bF', 'u}IemVh@S[wE`BYMoBlAGDoAkC??jCeA?Z`I', 'k|IumVDAEM?N', 'iuIgwVGu@n@CTk@R`Bb@W^Vd@y@lA]UkHxA_GSw@VyARYVLPwAd@RTq@b@a@NXb@s@sE??jCeA??xGeA??dLyG?BfApAbA', 'edIguWb@Wc@??V', 'edI_vWvAUl@q@LTG_@t@H`ByAl@FTw@j@VbAg@R}Ej@u@MuAlBoCUeDo@K?lEeA??lCeA??vGsE??jCqE??lC', 'ytHc_XD_@Ec@?bA', 'y|HkpXGSKRR?', 'qbLkpXF[Ka@B|@', 'cvHwtXJAGECF', 'ivHwtXQGCDT@', '}kIwtXKIUD`@B', 'ceJwtXD?EK?J', '}mJeyXAeAi@APz@e@J~@?', 'kvM}hYd@y@mC?fBx@', 'snM_iYzAoEC}Dg@}@o@bAq@bEDjCj@v@', 'euMwjYDsFfB{Fb@oEfAyD^KvBtAbA}BVc\\oBN_@r@{B|Lu@kD?|BeAqP?pP?qPm@aC|AqLTwGe@eLsAqBe@pBs@nNwA|a@{AnNf@pPrAvFg@lDRjCrC??eLdA??yGdA??wGvG??kY@jYyG??vGeA??xGeA??dL', '_~Msy[Zk@LsFImCw@wBe@vB@lCz@~G', 'kxMyr\\`@k@JmCUwBa@ISfAGqAAjCeA?BlCb@X`@wBb@hC', 'y{Mot\\?cCdA?EsDk@g@a@tALhG', 'qyM_}\\AK?J@?', 'u`Nkk]b@eB[yGc@TQtBBlCh@dB', 'c_Ngu]b@}@JqCm@aDc@`D`@nE', 'm`Nkw]KEKDV?'],
+        'Asia/Yangon': ['icCa_QN_CmC??f@dBM[pAr@R', 'ybCo_QjBe@dATdBiB`M{FpJNhGcU|IAjCdAxLcBJeAoA_BsCk@iDiCM`AEuAe@QwCj@aBbA[UgCRuAbB_DtAe@WEs@iC?Mq@y@UVn@wCn@aC`CwB\\u@x@EsAoAF?jC?kCeD_AVe@SyC}@MI{Ao@NHeAoAEdA?Cw@aAYO{@aBc@[_AGnDqBf@DXl@?q@BSfCeAo@o@La@q@c@HUzBoA?g@j@gAi@NbD`@|@?iCGtDc@g@aAJBZ{@CQc@wAUGm@?bA?cA_ASEo@?fCCmCc@u@_@t@Uw@}AKWbA?}@gDHUr@\\VwB`@q@n@UnAfAd@l@KVv@?}BBjCZZfBq@w@hB\\fBvBzDvB??}AkCAxG?eA@BjC`A|@|@YhFvBw@|Cf@a@?XzC?Xt@rCO~@z@]PxK??mCxG??kCpP??kCdA??mCdA??kCdA??wG?vGeA??lCeA??jCeA??jCqP??jCyG??lCqE??pB', 'aeCc`Q?MEDDF', 'ihCyaQ`@??g@y@?KTb@P', '{vAkdQx@k@[w@aAIY~@|@l@', 'i{AkfQ^_A_@]?x@?y@g@GW`A~@b@', 'k_DipQ?iCgA?@|AdAj@', 'gqBq`RAUINJD', 'svCyaR?GEFD?', 'm~BkpRFCGE?H', 'maCmsRHCMOBR', 'ceCmsR?kB_AE~@pB'],
+        'Asia/Yekaterinburg': ['qbIi|H~@qDm@m@S}A~@c@Ge@iB??vGr@nB', 'gdIy_I@kCeA?@bCZQd@X', 'qgIq`Id@A?qBeA?jC??kCdA??yGdA??yGdA??kC?jCfA??eA}AyBTk@SDE_Bl@y@Gy@k@ABuBi@??dL?qPdA??eL@bO^Md@eDVCG{@w@g@^_D]_CyAo@m@rCY@KrBWUe@|AgAuEkAfAq@{@DkE[Ue@tDm@ECaAShC[u@CjC?kCWb@Cy@]IXmCSkAZS]KOqB?pBKsGg@cCLwBi@@Ww@}@}OsB?dA??sAc@YPm@]Hj@eHmAeAc@f@Gw@MfB?cBe@S_@`@Ii@Wh@ScAa@?OwBsBxBEn@NR?y@RfAa@x@]_AkA`A}BaBVuAfALFmI[o@@{E]qAMRMkAw@_A?jCAkCe@qA{@?c@s@CdCc@_H_BSIXOg@u@FIu@UTm@]VkDOgH?l@b@a@_@eGv@eHeBeEd@}CwA}Io@u@w@|FoAr@qCwE?vASkBUVg@i@o@hCoAiC?|BMqDk@Gm@h@OUs@r@NdBSj@MOUhG?kCKP[s@k@@YfAQYYdDQO]v@Ww@w@|A[AKo@uBpFm@u@sAdCOgC]Ja@}@_A?Kk@kAnBS_@S`IbA?eAD?dCKyBE|Dq@hAbA?eA??jC?kCu@pBOs@?lAAyAc@Yw@qDHwBUb@Yc@Mb@eAJeA`Hg@c@MeDKhCAiCSRWWq@`IGUQn@[m@g@nBgA`AyBDGrNhAfDFnBMbIaAlFd@bI?i@lC?eA??jCdAbBnDdBfBlHlCpBlBqBlBzGz@Ul@jB`@CLeDn@w@|@lA|@Uu@?x@ECeCVLNm@~@n@r@dDn@FTxA?iC?hCdA?eA??ZdAfF?uB@vBj@RXdA?eA?dAj@P|@rFfB~B?e@HjCz@?eAB@rAl@pAT]dA??kCfA?gA?RtDTu@XJBkC?jCjN?eA??pAf@?Vz@DkC?jCdA?eA??`NNt@p@XBkC?jCdA?eA?B`Ex@z@WzE\\Ls@zD\\JGjA\\LI|Az@VZsBh@DTcGtABA\\hAl@`@_@LgBPXl@_@J\\?gA_J??xGeA?dA??yGjN??kCjN?kC??dBv@zBt@oB`B`CFzAr@aBbAh@dBKAvA_@TAc@ULJlCZJRg@r@\\?mABtAt@j@VYl@ZJQfBlC', 'qzJedIQ?READ', 'k_JgyLAKD@CH', '_bIqhIb@C`@uGeA??xG', 'yrIslILKe@@VH', 'u_I_nI`AuB?aCeA?BvF', 'gmJsnIn@[?{@eA?TvA', '_kJeoIv@cAbA?DZ^{@T\\Ba@t@Yv@rAMj@j@GIs@H^VmAl@K?yA_J??jCeA?VdA', 'u`JupIJUM?@T', 'seJgqI@CC?@B', 'q}HuqIVaAl@R?}@gA\\@lA', 'k{HasIPYQe@?~@', 'y_IwuIpAIz@_CmCC?lC', 'i{HezIJe@MW@|@', 'i}Jq{IC_BKvANF', 'y_IwkJp@CRgCeA??jC', 'o_K}nJ?SAH@H', 'yhKaqJVq@ZR`@Q?_AwG?Lh@rDdA', 'uaKarJ?oAgA?@~@t@GNV', 'afKorJBg@~@b@?}@eA?@`A', 'erKurJ`@{@eA?b@z@', 'ouKsvJ?eAGl@FV', 'obI}xJAIEHF?', 'q}KejKLIO?@H', 'yqI{nKCGGFJ?', 'weLezKZ{@_@?Bz@', 'egLy{KBEEA@F', 'wvIgiLMWMVZ?', '_hMumL?kCgA?fAjC', '_xI}tLH[IQ?l@', 'erJkyM?GAF@?', '_`M_tNEk@Mj@R?', '}oLw|NMoAUr@b@Z'],
+        'Asia/Yerevan': ['_`GsnGvAy@`@^nAML_C|@yAK}@z@qAOaAjBw@@aAyB?Hl@sArB@o@m@[w@hB]Pm@o@[^EjAOY?d@Ag@]f@`@rH', '_|FcoGFIM?DH', '{rFa_Hb@IKu@W??~@', '{rFaaH\\W_ARGg@[j@dA?', 'quFaaHOc@Sb@b@?'],
+        'Atlantic/Azores': ['auFddEj@m@SkA{B?BjA~Al@', 'upFvtDdAq@eA?dAAXkCaAyBRcBq@q@w@f@It@VhA^FQn@i@g@w@|@X|@h@?x@zC', 'kkFbbD\\O{@B\\J', 'mjFraDpDmC?{AaB_A{CnBKpCRf@bA?'],
+        'Atlantic/Bermuda': ['ciE|uKx@q@y@yAq@v@p@rA'],
+        'Atlantic/Canary': ['qlD|qBn@UPo@aAkAu@f@t@hB', 'esD|pBfBi@B_Ak@_@_ACg@d@Ep@l@t@', 'wnDzlBv@k@UsA^m@Is@yCmB_@\\?`AlApEr@\\', 'mmDjcBjAyAWaAu@]mATMl@FbAtAp@', 'unD`{An@]Dw@w@oBmCiA?hCQ_DsA]eBp@A~@rGjCfAbA?cC@dC', 'wyDftA?o@EVDV'],
+        'Atlantic/Cape_Verde': ['miBx~Cr@UlAoD`IhAZYMoG{@aBiFeB_Dx@NrHeBvC`@xAf@L'],
+        'Atlantic/Faroe': ['kcKtq@tDwEPgAM_A}@Cx@?_FcBm@lBD`CpAvE'],
+        'Atlantic/Madeira': ['}kEjlBvA}BeA?fAAZoAk@m@iAd@]eAu@AKtA~@ZQhCp@b@', 'qmEdkB?iAEp@DV', 'yzDvdB`@M?eAeAi@?fBb@T', 'syD`dBDa@I[B|@', '}{D~cB?eBYl@Xv@'],
+        'Atlantic/Reykjavik': ['exKh{CfKcHrAyPe@ePu@}BOcEsAyHsAaFLkBe@{@e@rAs@g@eBVsDvDlC?mC?w@dLv@~F?sBBfCm@DS~@PlBXN^i@FfJy@fRjBvEzBpC', 'ubL~vBf@}Bg@qAg@hBf@dB'],
+        'Atlantic/South_Georgia': ['nmItgGt@gA?uA]Wg@r@?`B?}AQl@`@nA', 'doIleGHi@Ik@?tA', 'npIppFzEwMs@kDeAVoBhEYfJf@x@', 'bwIfzEZY?cBgA??lAj@n@', '~wIlyEFi@Gy@?bB', 'vuIvxE?mAEd@Df@', '~wIhvEc@a@c@^fA@', 'haJ|pDb@eAa@mAm@lAj@dA', 'p~IvmDt@aAYqA[C]j@\\jB', 'hrJvlDp@kA?yAa@{@s@j@AhBd@jA', 'faJrkDj@g@Du@e@kAq@`Ad@fB', 'zcJ`iDf@i@?w@k@oAi@nAl@`B', 'bpJlhDb@mAc@cC?bC?cCy@vAZjB\\L', 'nhJdgD`@o@a@aCu@nADz@n@d@', 'rlJxfDh@cB_@{Ae@Ba@`AN~Al@X'],
+        'Atlantic/St_Helena': ['jp@jzAx@s@i@s@y@v@h@n@', '|gF|oA|@y@B_A_BkAs@~@pAdC', 'xzFf_At@w@Gw@e@Uo@l@f@vA', '`cBnd@j@o@Oo@m@Qg@dARZ?{@@|@b@L'],
+        'Atlantic/Stanley': ['r}H`aKf@a@lCJrAaBb@kCX{Io@eA?fCAkCiCeEk@Fu@jAkAbT@rA^b@', 'tiI~rJb@]]gBi@XGr@j@v@'],
+        'Australia/Adelaide': ['lfEgeXk@sLj@aBtAuAW{@TaBcA?|CMVeDxBmBn@z@vASaAcCn@g@kC?jC??kCBjC`ATHx@rAPA{CbGqF\\y@Mm@t@OeAAdA??u@aB}Au@mEvCgCdAh@fA]rDqDRqBqkAG?rgAbb@?@jAr@?', 'raDgeXbb@C?eAcb@??hA', 'pcF}wYD[GY@t@'],
+        'Australia/Brisbane': ['ffBm}Yfz@ABwQrQ??wp@uAkBFs@YAX?MgBf@oCvAaA}@iAF{@iAJKW?d@m@}BPMk@?j@?BiBy@aC_FHm@~@{APiAUm@RdADeA?sBy@}AP]f@LrD{BnA]hACs@fBiCeACdA?UgAaFpDR|A`ARwEdByAHcChB[OEjC?kC]H_BrETfAgEdBPvA_AjAdA@eA??lC?mCcBfCi@qAqBj@uBdBDbA}Bo@qErCoFMkAbA`@?c@@aBnEqCbAdABeA??jC?kC}AZo@[?jCAkCmA[{@??ZA[cA?o@ZZvAl@d@YF_@?e@gA}BPFoAgAy@{Af@?|CdA??xGdW??jCdA?dA??kCeA?xG??jCdL??dL?eL_J??ZxGbBOd@ZQb@v@[lBmCeA_Ad@s@tBFj@lBr@s@nC\\Z', 'zaBmqZ?[eA??kCsE?@jCtBS`Dn@', 'ruA{qZf@IeAC?kCeW?@VjCf@~Cg@hFhBnCKzBb@', 'hz@ksZ^U_@I?^', 'hz@ksZ?_@GPFL', 'n|@}uZ?qHeA?dApH', 'ty@myZP}@WMDjA', 'hz@g_[?sCWbAVnA', 'py@mc[HMUBJH', 'zy@{c[K[IZT?', 'ffBmy[l@i@Eo@g@q@?|B?}Ba@@a@xAbAn@', 'zlBw|[|Ao@E_AwAWk@^JxA^L', 'viB{a\\Zq@eAk@]p@\\j@h@?', '`zB{b\\dAaAA_AcAC~@?_Ag@eAv@FhA|@j@', '~`Byd\\p@c@Uk@{@b@^j@', 'f|B}d\\J_@K]?|@', 'hiBsf\\`@i@}@}@]b@Pt@f@L', 'ncBag\\|@?P{@z@]Aq@q@Mc@X@n@cAES^`@t@', 'vkBel\\zAc@i@iAf@}@_AoCyAc@a@h@FrApAvAYTdA?eA@?lA`@b@', 'fgC{n\\j@s@k@g@c@|@b@\\', 'fdCkq\\r@_@@mAnBWdAw@Ri@S{@eASiBj@oCE_@xCb@`@Ev@tA\\', '`eCet\\gA??mC?jCfA@', '`wBut\\n@[?cAeB]i@bAN`@nAV', 'vvCsx\\F[K_@Bz@', 'rwBsx\\[Gc@D~@@', 'vgCc}\\n@cA_AcANfC', 'fgCe}\\?eCe@?]t@bAnA', '~aCkb]t@m@[k@k@CY|@j@^', 'liCkg]t@w@SqAa@Mc@|@b@xA', '~oCwi]r@i@Yo@w@\\\\z@', '~cCyj]`@Sa@sAkAv@jAn@', '`eCmk]DWE]?t@', 'pkBuk]h@MAaAa@Ks@n@l@j@', 'zlBcl]J]Ka@?~@'],
+        'Australia/Broken_Hill': ['ldEgpZ|B?NyD}@L?hBA_CmA??`E'],
+        'Australia/Darwin': ['n}AgeX~bA??gw@gz@@][mB`D{Ah@YjCeAtAyA_@?u@ClC?mCp@{Aq@w@eDCqBt@mCw@wGn@O|@tAj@dAhC?iCZrDaAx@|@v@X|A}@xCu@t@Th@YP?`RxGCfElBd@jAnBJ?s@D~@fCH', 'j_DqgXuiA??mCkC??kCmC?lC??jCjC??jCtiA@', 'phAijXxCu@aG?fBt@', 'heA_lXEgR_AQg@r@f@tC?aCl@dLm@fBdAb@'],
+        'Australia/Eucla': ['zkEkoW{@mBAsFqAwG]aAu@C?dA?gAcAD?zTfH?'],
+        'Australia/Hobart': ['hwFg`[|AO|AqC`DWrB}A|BIlEeDf@qAMyAh@q@U_Ag@?eAsDiEwA}GAo@Zy@y@qB`@Y~@s@Xu@jD?`GbBiBQgAdA_@?iAzBeAfAnH{@jCqAxAFdCkBDgA~@FlA~@X', 'roG{y[ElC?mCD?'],
+        'Australia/Lindeman': ['zzBg`\\tC_AUgAsARk@rB'],
+        'Australia/Lord_Howe': ['vcEq_^~AcAUeAaBp@CbAZR'],
+        'Australia/Melbourne': ['btE_pZ`Y?~@iAAkE|AyEoB{ElA{E~@gAAaGa@bA?k@Ch@[@kBeC?dCcAeLAjC?oFeA}B?rACuAaDbL_@WsAb@?jA?kAi@XIfB^~A[z@UfIf@CLh@_B~Bh@?k@?{@rB{@n@o@E?zB?{Bq@nBl@^GXoBv@MjDbADcA@AfA', 'btE_pZ?_AW~@V?', 'b_Fci[?}@Gb@FX', 'jlFsb\\Do@Gs@@bB'],
+        'Australia/Perth': ['j_Dm_UdDmAxDoCjCY`FqCjGWnFeCf@r@p@k@|DAh@V?kC?nFpDJ~@aA@oAtBgC`@eJk@sA?p@G}AwAsA[sCw@I_@sAd@y@CsAa@a@?`@E}@vBkCcAuDl@{CkCyCaAd@{@WyAgFgH??gAAjC?_WihBILzAc@jBkCfC[nAH`C}@zAj@r@r@DjBbDfBr@Tv@jBnAy@Vb@xC`AAb@cApDxDDvA~@WzEN|AlBdANfA|@`AxCByGsE??kC_J??mCkC??kCkC??kCeA??mCsE??kCeA??yG?xGdA??jCrE??lCdA??jCjC??jCjC??lC~I??jCrE??xGdA??vGdA??jCdA??xG?wGeA??mCeA??wGeA?X~BYvCjAn@tAhFeAlBVjAe@jFhDn@tAzAvAjDhDdAtC]pFlB?g@Xt@vDj@', 'voDmcUbDiADqA{@[_Bt@w@rAh@l@', 'nxOwmU?gxG_cB??fxG~bB?', 'zlBwdVt@_AaAc@AeAw@Ic@v@z@d@Cv@p@\\', '~yBueV@{Aa@CYz@x@b@', 'vwAovVh@}@c@_AoBUe@RB~@jC~@', 'zvA{aWp@[Us@[A?pA', 'zvA{aWCqA[j@^d@', '~xAecX@o@GVDV'],
+        'Australia/Sydney': ['ftDgpZdO??aEd@Eh@Z|@MOxDjJ?b@eBWgBeA?dAA?iCeA?jC?BjAt@]FYm@_@p@oBn@DfA}@TeBdAq@?yA?tAj@i@CiAg@@GY?uA}@AdAG?cC?bCXk@VwFc@cCVy@^G?_A@`ApAe@^V`DcLaASgATwBw@aAJsBaAo@_A_DWmGgD}@kB?fCYoD}ACoBkAwBc@eANqBcAiC?mCu@mBTx@`CS~Bj@nA?qF?jCjC??dL?kC{@?IjCAqBw@tCD|CtAjB?vp@', 'dtE}tZDc@GS@v@', 'ftEuvZj@iATF?iAeA?BjC', '||Ewb[Zc@[??b@', 'juDyo\\?kCu@@Dx@n@l@{@`@z@?', 'juDet\\?mCkC?BxBh@Uf@h@t@?'],
+        'Etc/UTC': ['nxOfiB?{fAgiB?r@fH?aC@jC|Ih}@r|A?'],
+        'Europe/Amsterdam': ['eaIgRj@wAPPF{Aq@aBGcCl@g@V{B^V?_@kAaA{Av@O{CMSSZ_@iAo@LO|@OeAkAe@_ADsA|Ch@fHxAjBlCh@jC`E?_AXvA', '{|Hgb@TkAa@MJxA'],
+        'Europe/Andorra': ['qhGyGOkAOz@^N'],
+        'Europe/Astrakhan': ['ulH_xG@GS@PD', 'slHgxGRkC?zA^gB`@BhAyAQgC\\`AtAsAfB?XlBdAGJ\\Tq@RL?}B?|BXaAMsCn@?lAwCy@p@]c@?cCq@g@eAyCeBfGULQeBaC|AaApAShC^DYv@e@JO_@e@R_@zBo@Ya@z@t@tENa@DfAf@J', 'y~GiaHKcCmG?pE??kClC??mC?lCeA??nG', 'a}GkdHAGJFI?', 'aaHmeHfAA?iCgA??jC'],
+        'Europe/Athens': ['kxFovBnDqDJwAhDdAzBmBVwC~@V`Bu@GmBj@Gd@eAiA{@dA??oA[NOc@yDlAd@_@AsAg@e@gAB`@q@b@?KYURCk@dBc@Zo@LrAn@KJb@ImB{@Cx@?y@q@AyA_A?C|@v@Z[f@qB^Ip@k@VR_BU?x@i@Jt@`Aw@[iD}BdEYAK|@aBTw@vEJmDK[g@R]_A@fBZ\\KdAk@h@V?kChBcAMn@{Aq@?lBWCuCaAVd@gAYe@q@t@A~@?w@u@fAHu@k@oAr@NXe@Oq@k@AUi@\\oEw@q@UdAi@yBu@D[tAJT`AMVbDo@rC?bCdA?aA?V|Eh@b@?sB?tFdA`@_@?PbDLUpE?kC??z@`ATHt@~@BQP`@N@l@e@Dg@vAXnA', '}xF}}BVOY?@N', '}gFu`Cd@SDo@k@c@c@b@b@bA', 'u{F}`C?{@eA?@Xh@OXp@', 'a`GshC?QEHDF', 'a`GmiC?c@GVFJ', 'gaFomCd@e@a@i@CnA', 'y_FmoCTMe@CNP', 'y~E_pCBk@o@RCVn@?', 'i}EaqCpAc@PwDj@k@MsDVi@Yk@m@?~@UsA_Ag@r@b@`AYDSdBdA@eA?L|Dg@TDhA_@`@f@bA', '{rFmrCDYES?l@', 'giFwsCPUc@DPN', 'ayEmtC`@i@OUi@b@VZ', 'auFutC?_Bi@p@h@l@', '{qFqvCd@gAuAZn@j@', 'upFyxCYc@i@b@bA?', 'adFsyCZi@ImAk@s@LSVTDa@Y@}@iDSZd@fCgAo@DlCfA?l@pB', 'uuFozCKw@UX`@\\', 'ayF{zCh@ALa@CaAk@QU@LtB', 'maF{{CCgAc@WUt@|@h@', '}|E}{C?g@GRFR', 'oyFe}C?k@ENDZ', 'u{Fo}CTk@Uk@?vA', 'u{Fo}C?wA_@n@^f@', '}oFw}CTU[i@Op@TL', 'ibFe_Db@g@Oa@i@j@T\\', '{sFy_D^u@eACd@x@', 'uoF{_DZY`@P\\o@yA_Aa@r@^bA', '}gFm`DAe@GRHP', 'giFw`DIuAbB_B|AU?sAc@Na@a@Qx@sAv@El@mAgBIpAd@jCj@Z', 'yrFsaDXoA[w@@fC', '{rFsaD?gCeAj@?zAdA?', 'ocFuaDT}An@[Uk@o@x@?jB', 'ocFuaDCmB]f@`@dA', 'auFuaDCyAIXL~@', 'q`FicDv@KBi@aALDf@', 'o_F_fDXSWWAj@', '{{EafDN]a@uAkBB|BnB', 'ciFufDr@s@MUu@XNn@', 'gcF}fDn@mBu@@DjB', 'iaFkjDpAcAe@uAaB[^zCk@X`A?', 'eeFkjDEGIFN?', 'ocFykD?u@Y@Xr@'],
+        'Europe/Belgrade': ['}}GqtBbAOJi@ZV`@}A?v@f@N?wBkC?jN??kCjC??yGn@?C}BcBAM}@{@s@eAdBz@?qBZ{AaAg@l@Yq@Uv@n@x@}@tCUa@Yf@Wa@cAvC{@IcAjBKnCXZ?u@ZnD', 'wwGwuBFiAdBt@~@gBFjArAs@?e@yG?NhC', 'wnGcwBtBaFb@`AjAk@Zy@OyFu@C?xGkC??jCeA??vATD', 'ufGi_C|@KB[k@IU{@?lB', 'yhGskCZASIGJ', 'akGmlCBICM?V'],
+        'Europe/Berlin': ['a~Huc@xBeBfBH?kCjC??yGrE?sE??xGp@oF`AlAfBr@jBC@gDo@Yx@}EC_@u@?v@Cr@iAy@k@^_De@mACoBYKLgBh@k@kA?o@n@OM?`@YwB{@q@Li@q@WS~A?mA{AzCS|@h@?{@Bm@n@a@]aAzANo@m@c@?wAk@qAAxG@sHw@sD_@Ln@yA_@?^?sAu@uBxAg@_@?hCGkC}@h@e@Qu@fBq@q@?|@?}@a@O{G~Ag@xBz@nEd@\\JhBq@bBHtB}@lCDtBy@pF|APz@i@HxBx@c@t@rGnAgD|@ExC\\b@jAP[XlD^M?{@?z@`@c@x@ZJUT|@', 'ghHi`ACB?IBD', '_bIqf@pE??kCfA?eA??jCsE?', '{wHee@p@sAbA^v@cA?_AqC??jCeA?h@j@', 'mgIwh@ZeAk@?NdA', 'qpIim@C[UZX?', 'wuIkz@?]IJHP'],
+        'Europe/Bratislava': ['kmHehBdAo@x@mCCoDIjAAqBm@?EyBa@a@NsASw@q@c@?V?kCeA?dA?MeAp@gAGcAmCgAgAlDDrBf@G]?EvCj@p@GlAe@Sd@ReA^^bAS|BrBdCRzC|@d@?cC?bCZP', 'ytHcxB?]GNFL', 'wkHk{BGM?LF?', 'yqHskCPCQI?L'],
+        'Europe/Brussels': ['m_I}MlBsAMcA`@U?s@gA?dA??kCfA??kCdA??kC?jCeA?JxCp@Mc@gCdAHx@{BMmAaAViAkB?`CM{Ce@h@QM?~BA_CYtBe@OEX_@m@WzBm@f@VbDFkC?jCdA?eA?P|C}@dAv@hC', 'k{HkS~@yADcBeAA?~D'],
+        'Europe/Bucharest': ['g_Hs}BrAkB?y@eA?jC??mCdA??wGpE??sPe@aFXyCp@_ABuB_DmAUiBwA{@gApCV`B`A?aA@TTYlAs@l@wAA?fC?eCoB_@iA\\YfC?uAmEbDC|@Cc@MPr@|BR|D^d@OtAAk@]p@?xE]~@vBdFlAj@BkC?jCrE?sE?`DzBb@vD', '{sGsaD?eLdA??kC?lCeA??bL', 'a|Gy`C|@_AoA?P~@', 'mzGybCb@sA\\\\Xg@Dd@f@u@d@cBm@gA^s@Jr@b@M?}BkC??vGeA??lC', '_uGkkCJGK??F', '{sGglCl@yAl@b@^gGJqFaAgC?~PeA??vB'],
+        'Europe/Budapest': ['}cHucB@KG?DJ', 'cdHadBZ]?mBeA??lATERbA', 'gcH_eBjCuD@eAgA??lCeA??lB', 'afHseBRyAyB?HxAXy@Xr@f@D', 'sgHmhBpEA?kCfA??wG?vIv@wBDuBwA}EHwEa@kBwAeACvA?oAeA{@?jCCmCmAk@w@uAA`C?sD[g@_BhCPpAa@d@?fBdA?gA?Kp@zAzDYt@`@`@F~Bh@GLf@I|HRCBj@l@?', 'cjHiiBFqBg@bA^l@', 'wiHskCDUGQ@f@'],
+        'Europe/Busingen': ['eiHcu@DAAICJ'],
+        'Europe/Chisinau': ['ulHkeDBSUDPL', 'qlH_fDT}@`Ai@?c@eA?dA??kCjCAEaHm@HQjCCgAqAQSRDp@g@`APRc@\\Pl@]Fc@`BNlDRUJT', 'yiHeiD~@o@DaCeA??pD', 'agHikDxByB?aC?`CdAK?uBJ`Cz@PrBWE}@o@?s@{AaB?NkFYv@i@SAxAeA@?vGeA?PlB', '_|GqnDDEK@DB', 'gcHqwDKyAWpA_@GbAN', '}`HiyDFOGG?V', '}`HazDAG?D@@', '_aHizDBYEI@b@'],
+        'Europe/Copenhagen': ['ezIio@r@aAd@Bb@gBNqIr@}Ac@c@|@qEmAkD?\\aBL}@{@s@j@dA@cB@_@v@c@dDpCdD}BkBs@CI_CcAf@NzAr@F[bB{@I]uCiAbBk@Da@tA^lCtApBHdD@iC?hCbL??eLfA??wG?vGgA??dLcL?dA`BdAd@pED', 'wuIo|@RaASE?fA', 'wuIcnAUq@o@p@dA?', 'awIsxAh@mA?wB[[}A?GzBvAdB', 'uuIi{AH_AKo@@nB', 'svIu_BQGYBj@B', 'qyIu_Bp@CYKWN'],
+        'Europe/Dublin': ['edIxcApB{Ak@?j@?n@eEUqB?hD?kCeA??kCeA??eL_L@EhCAoAu@nA|@x@EpA?[_AtB[yASd@Ac@YAV?Ce@w@]s@eCYBk@nBd@bFfCjCr@UfATeA?FbF|@fAfDWjAgCd@t@?u@?v@l@XRz@BkC?jCdAzA', 'anInaA`@M}@CZP', 'y_Ibx@eAsG?rGdA?', '_bIvs@CmCm@{ABiCe@aCs@NqBcAqC@i@\\k@bBzK??dLdA?'],
+        'Europe/Gibraltar': ['i`Fv`@?YU??XT?'],
+        'Europe/Guernsey': ['gtHzQb@ONkAk@yA_B?BrArA`B'],
+        'Europe/Helsinki': ['yiK_}BnHsCfBXp@jAv@kCqM??jCeA?dA??kCdL??mCpE??eLyA}Tq@aA?`A?cA_DgHkF_K{AuA}@dAkB|FcAsB_@L[vAgAIEdAq@h@MiA]z@{@s@OZSoAiDjCi@tB?y@_@NkBgD?dACoA]QoAhCYhCcAh@aAiAGhA[cBa@Rs@eBk@h@WpCu@vA\\hHt@rBJYrE?gA?HlC|@pAw@dEd@lCOdDkBlC?pBj@DCdB|AyFFkC?jBn@{EhAwBP`@?sAeA??lCeA?dA??mCpE??kCjN?eL??hCbBt@nBeBxA@vBn@n@hDl@RfBvEh@lF~@hB', 'urJaaCG}Hs@oI?fMqE??lCjCHl@}@p@X`@pA', 'moLebCNS]?LR', '{oLybC?qBIjAHd@', '{dLgqCLgAr@h@hAuA?}BeA??jCkC?@tAj@OV^', 'umLi_D?iAeA?@~@l@OTX', '{oLw_D?{@eA?dAz@'],
+        'Europe/Isle_of_Man': ['ypIh_@f@q@CqA}AkBi@p@J~AvA|A'],
+        'Europe/Istanbul': ['azFy~CPcBfCDI}AdAi@t@K^fBb@O`@\\?iBeA?dA??kCxG??yGdA??kCdA??kC?jCeA??jCeA??xGBe@^dATGOqBj@Qm@kBrBeDGw@p@WM_DcCqA|@cE~AcCOiF{BuD?h@Eu@pCaHeAk@?hBCkCwBUf@_Dw@_Dn@{DyAyHFkCe@eC?dCSmIb@gC[e@Jk@z@K{@cB?bBAeBa@l@}@AYhAuAw@Mf@q@?~@?gB?iBt@GmAiAe@\\g@cA`AMb@|@?}@@M|BiAVg@i@q@LmBzCdA@{AH\\~@@jCc@fBzA~EBwBa@xG`@fEyAhILx@aAf@GzC}@NS`BZj@GfHl@fDhCvGi@dLe@pA}@RNtCe@bBp@fB?a@jN??kClC?kC??jCsE?BdBv@Rc@f@ZbA', 'oyF}~CJ[Gy@CtA', '_xFs`DTYw@E`@^', 'i}FeaD^W?oARh@?{AqE?l@nAz@Gr@pA', 'wuFgaDLKi@?ZJ', 'mnFsbDr@_A\\cC~@h@dAaAj@^Ry@yGA@vF', '{cGqcDr@mAgA?RlA', 'c_FsjEFm@G]?jA', 'c_Fw`FHEIC?H', 'oaFocF?[g@Zf@?', 'g`GoyFBMAEAR', 'gbG{dGC[CNFJ', 'kbGweG@?C]@\\', '}gFigG^K_@{@?fA'],
+        'Europe/Jersey': ['srH~Nx@EJsAeAw@k@v@j@xA'],
+        'Europe/Kaliningrad': ['gtIgxBh@eED_Nm@Tg@g@IjAAiAk@v@HdBgAzGb@l@?cCHnFlB`B'],
+        'Europe/Kirov': ['owJc`HVQ?gCdATBm@jARBg@\\FFu@n@_@?dAXCnArDjACVkGRh@t@N?pCb@LVc@t@X?kAV?c@{E_@WP{Bg@ICk@gA??jC?kCfA??kCdA??kCBtDRgAj@AMq@bA{@PkC@bBb@cB]a@u@fAg@G@]w@?y@h@g@ICsA{@gAOXa@Q[l@i@WYkAPeC]q@\\UKsB[P_@m@i@b@QW?tAE{AMfBa@^wAsAo@Ii@p@OxGjAnBYx@z@pFLUBj@zAXCh@a@IQhBc@KSrBdA?mCFm@}@WbEOuCu@XKzAWDCXf@?i@BGvBpAl@VOD`@v@TAbB', 'cjJo`HNQc@?RP', 'svJaaHJgAO]BdB', '{bJ{bHBqAE?@pA', '_dJsrH`@kCeA??jCb@?', 'qtJmwH?YAX@?', 'g_Jc{HBGI?DF', 'eaJy_Ik@i@Kf@v@@'],
+        'Europe/Kyiv': ['omHkiCx@yAAm@`@Oa@u@|@oKc@iEsAkB?kCU??vG?qPfA??kCjC??kCpE??mCJpEW\\VZGlAa@ELr@`B?r@zAn@?D|@VUKqFj@_@ZkBSk@g@A_@lAsDwEfAoA^}CJuAc@yCk@Ob@eDx@eBEu@[L_BiCeAAdA??aByAeJWg@oBJ]aBWRCuEmAu@Q`@GUo@XC^m@[Ew@YrAq@oBg@d@a@UHdAgBbH`@fAkB~An@fDI|C?kCa@pAPfBm@n@yACIp@[@UvG?qBe@@]l@_@cAiBrBC`CXv@QhBf@FTn@KbFJgCBjCb@x@\\N?iA?rAz@[VVq@fAXhDw@h@p@hAu@`BHlA^TYD?`Ba@FG~AX?[D]|GTvDv@bAGlAx@Ep@u@q@?~@AZm@Nd@dAMHz@jDxEfBq@Q|@rBrA?cA@dAT@', 'gnHkjDt@yDb@]KaAmA??xG', 'mzG_pDXmAUWCdB', 'izGesDHUMQBf@', '_lHesDf@SLeAbA^p@w@Ma@n@FBkCeA??jCkC??jC', 'qeHkwDBCCA?D', 'geHqwDr@yAt@RZeAkC?DjC'],
+        'Europe/Lisbon': ['cvFj|@lDMxCsBjDRt@Y@}Fi@_B{@F?z@fA??xG?yGsP??kC}I?|I?w@a@c@`@c@q@cC\\kBsCWfAw@F^jHcATv@zDnFSlAXrC`C', '}gFho@?}@w@Ri@Ss@mAsA|@sBmAaCtBKmB?rCjN?', 'smF|j@^Ce@ODR'],
+        'Europe/Ljubljana': ['k`HsrAXy@^d@jAwAJjBNgCoB?dA??mCn@KFcAMk@m@XYyAiAJa@gBCjCKaFoA|@Fz@`@I@fEv@~A]hDj@`A', 's|G{vAj@AEiA_@Y^g@e@??lC', '}`HadB@YE?BX'],
+        'Europe/London': ['{fJpvA\\qA]o@e@|@d@bA', 'uhJjw@h@a@JqAy@cAe@bAh@rB', 'ksIbr@~@uB?aAw@m@jAqAMcAn@yAu@eB_Ao@QkDfCeD~@HMxFVl@h@Tf@k@fA~@`@i@C}AXGp@fDnAjBp@a@Ho@nDCdBhCBnB`@Pd@UHs@m@mAZiDeAqBNgEqAgAMy@f@{A]mCNkBm@wDNiBi@mDk@q@AdL?eLk@_B_Af@KnAyAwB{Ag@o@HgAdBSdD{ChBu@CwB`FmD`AqBpD_AI?jC?kCgDkCk@Hc@n@IlGWd@o@uAeFeDAkCo@CWcAoBmBaBCk@dAp@dElBxCp@KB{Bj@Up@jA@|Ft@hApATPxN@kC?jCz@vDM~AVt@`@AVeApAzAxAs@~A`@vB{BTsAhAQh@{@rA`Dv@\\FjANm@XdA?}@DxA', 'eyHv]?wGgA??sP@rPdA??vG', 'gqIdm@?OCBBJ', 'cpJ|g@^s@_@kD]DWpAFzAl@j@', 'apJp]j@{Am@sAm@pAl@|A?eC@dC', '}~IdLWOYNp@?'],
+        'Europe/Luxembourg': ['{vH{b@`AW?}ADfBPa@AkAs@_@g@z@B~A', '_wH_c@C}Ao@h@r@r@'],
+        'Europe/Madrid': ['akGxz@jEqA@y@aAuAVA?aAl@JYyHv@GVgAjBrCbC]b@p@b@a@v@XLlB~BuBdA~@?o@?n@l@Lr@o@Ea@tBlB?yAL`Bv@Q?oA@nAx@GJcBjDeCTwBMw@[F@}@kAmE?aKuCcD?Vm@yDsAQoAkA?hCAkCcA_BsBtAaA?mGoGg@oDwByE{Bk@Y`CZv@SpFw@R[bC`@BBjAi@fEbA?uAHMbCm@?E~@y@LWvIRfDs@pHPfEi@fDhBxGj@`AdAR', 'odGnm@DAEG?H', 'a`FlS\\A?yAu@ZV~@', 'c_FjSVk@Um@AxA', 'g`FpPb@?QEQD', 'exFqAj@y@}@o@WhAh@^', '{rFsDjB_AQuByASo@`@G`Av@dB', 'siGyGV?KEKD', 'ihGgK?IG@FF', 'kvFwK\\Mw@?XL', 'muFeLbByD_DkCTgCu@a@e@Ni@zAH~@l@h@MlCdAhCz@@', 'auF_U?lCgA?dA?@mC', 'qyFqP@{BOh@LpA'],
+        'Europe/Malta': ['c`FcvA^SeACdA?t@y@Es@o@i@sAlBLt@d@J'],
+        'Europe/Mariehamn': ['ewJgvBrAyBeA?dAA|@iCc@eDq@Ym@|@_BIu@jCr@jFrAX'],
+        'Europe/Minsk': ['meI_pCVsA|ANZYWJFmAw@cAUiDf@qK`@G?aBXE_@UImAt@aBu@OVAQcAt@]]qAd@uDcAXaAsAClCQyHi@j@oAA?`C?aC{@dAKS?nAYkCXgBeAuB}@pA|@?_A@EnBy@YqA~DYs@e@xA]e@gAVk@WAlCMkCs@xC`@|BI`@[G?pBMuBK`AXr@g@\\MnBt@?u@?jAbBKbB\\~A\\H?Yf@v@\\cE?jCfA?gA?t@jDPN?o@Bt@n@Ap@j@b@q@@~A?_Aa@VpAtEKxD|CoAvAEb@|A~@t@', 'wjIetCFGI?@F', 'eoIyfE?q@ERD\\'],
+        'Europe/Monaco': ['}nGgm@?[q@??Zp@?'],
+        'Europe/Moscow': ['suJgdD`@s@s@CPv@', 'qtJ_fDnAiHrBhDpBY~@aA~@bBv@iB|Ad@A}@PL\\k@kNAjN??kCdA??kCdA??eLxG??kCjC??mCjC?kC??lCzAmAn@pBWvCb@^z@oADZvB{@?aBo@Q?}CGdDmC?lC??eLpE??yGjC??eLfA??yGdA??wG?xGeA??vGeA??dLmC??xGr@yDx@Uf@Rl@o@S{Ab@cBe@sDjBiBa@}@fBcHIeA`@Td@g@r@pBX{E?fCrE?mC?Bl@\\SFTJc@rAv@IjDd@TLrA|@X?WNTp@Ur@rDdBwAdCjBQdChCJ`DmKjBuCmCC?jCeA??vGkC?jC??wGdA??mClC??}TdA??kCdA??eLdA??mCdA??kCdA??yG?xGbB]T_Cq@_@?p@GsAwAsBm@t@dABeA?mDlC`@?kC?gAaAc@NOnAcA]]|@HlA{BkCYr@s@DPlCcAdBK]eAFQi@?h@GmBgB?uArA]aAPfCiAxAa@Cs@vCh@d@U~A|@EIv@b@fAr@DIxCeBlA?dBs@_@[Pa@yBm@I_ApA@~@mB_@}@vBo@f@Y[q@F_@|@c@}@EjCq@cLyAhAgCqASy@^cFm@c@j@oBMPYaCT}@aA{BTk@g@c@s@FAhBAmBs@HSlAaAl@?tBAmBm@x@F^]_@?r@e@iE]p@w@BPqD`@McAqA?dLImU`Au@LcD^WAyAi@KWmAXiBh@_@[cAf@aBO[TM@b@^UR}@QYyDJc@v@c@sCuAo@OlDy@}@ST@n@b@Se@vBP]`@\\UbBf@LAhC[XQ{@N|@e@jCEy@ObAo@R?nB?k@m@LK`Aa@JBtAs@D@h@h@JQzB^VExAl@`BYpBw@_@Wb@c@M?qCu@OQi@YjGdABqC?m@yBQxB?aCOq@YB?eAo@^Gt@]GCf@kASCl@eAUNr@g@dB@cBw@UEa@UNsAm@LuCVEJ{AnAg@BRHs@l@|@pAGHsBb@JL}@?cBq@ACk@QPQgDe@eAXy@kAoBLy@i@E[rB{@WH}A]MFkA]Kr@{D]MV{Ey@{@GaEq@YOu@BiEClCeA?AjC?kCfA?EeLW{@g@A?|@OuAw@D?nACuA{@]ErB?oAa@R[SWp@sDeAMe@?hCAkC]Ag@^?lB?qBa@^[u@]Vm@qAAsAeACnA?Lq@cDsG?l@Y_Ek@S?dAYkCm@U?TeA}F?pBUgFo@Gs@eDa@GKr@C{@k@?DjCmAT}@mAo@v@MdDa@B}@uBk@^oBzYaBnFqAlKkCtFq@ZmA[wCuEsEeN?hCSuE{DiNAxG?yGoDqf@iAkDs@a@eAjC[zIj@xGBkC?jCdA?eA?dAfJ?oAf@jYv@dL|@jCzBtNb@b@l@M~BrD?sA?rAdA?eA?r@dEb@d@b@cArB|FjBjCBkC?jCpE??kCdA??yGfA??eLdA??qPdA??kCdA??yGrE?sE??xGVqBhBgCHR}AhB{@jEb@tCfAyB`@jDi@~TrB~TlB~HB|JsAx@S`A}@bQ`B|VqDrR{@pLoBdL^zFtAr@YpCTSX^VrCx@p@RxBFiA`AhAbAi@XiCnAiCrCdEXO?sA?tAlCgDdAc@RnAN[z@r@\\{@b@x@`@_BfAHZwA^MbArBjB}F|@eAfChD?g@Bv@lKfSd@jCr@?', 'c~IgjICCDCAF', 'i`JqnD@EE?BD', 'w`JwnDvAEf@gC_C??lC', 'q~IesDx@?AuBh@JHa@_@kCEjCeA??jC', 'k|I}{Dz@mC{@??lC', 'quIe_EZuAb@L?iBsE?@jC~AQp@v@', 'esLs_ERWc@?NV', 'wxIs_EVWy@?`@V', '{vIe`E@EE?BD', 'k|Ik`EdAA?iCeA??jC', 'qsImaEdAiBeA??hB', 'ggIgdEDKK?DJ', '{fIkdENIU@DF', 'qsIwdEdAA?iCeA??jC', 'kqIydEJq@v@ZHsBmA??hC', 'kfI}qEdAeA?eAeA??jC', '}aI_tE\\m@p@N@k@sA?@hA', 'edIatEt@eAN`A?cAeA??fA', '_tNk|Ej@cFG{Dc@}Ai@xGh@bF', 'oyGicFXE_@?DD', 'ayHocFDQIKB\\', 'moGauFnBuCtA{Ed@Mm@cCiANi@_AClCH}FdAgDoA??jCeA??~T', 'gmGgbGdA??jCeA??kC', 'ynH{vFPsAeA?Dv@l@Z', '_{HgbGAKGJH?', 'i_IakGAIGHH?', 'kfI{mGDEEY?^', 'akGmoG\\k@RRPq@i@oC\\W[Qr@qDv@`@dAeFt@eAwB??jCeA??lCeA??dL', 'qvNapGhCkTNeLgA??pPeA??lCeA?NvGh@xB', 'kxN}{G?UC?BT', 'oxNs|GBkC?jCdA??mCdA??qPfA??qP?pPPeL]qP]wBh@wGKwEv@cF[eLwAgF?zA_AqPEpPA_Ue@wG}@mBe@n@]hECxGf@dF[~DOeLk@eFe@vAQdLd@fKUS[p@SxGRdLRnAV?jAdV\\u@Xd@Ti@TbA?aCS`G_@]_@z@SrGZvG^TLtBGxG`@xG', 'qiJkaHAaCCxBDF', 'mdG}aHDEG[@`@', 'a}GkdHH?KG@F', 'umL{hHr@]Ry@P_FScDwBcDk@x@_AlGZdEj@rAtA\\', 'wtIqiHDGG?@F', '{yGyiH?CAB@?', 'wuIyiHf@AYw@ZsA?gAa@?Gu@?jG', 'gyJcnH@CC?@B', 'ceJwqHA[EHFP', 'irJksHBm@`@H@{@]IIhB', 'qsI{xHHIIS?\\', 'o`Mm|Hx@A~BuFkA??jCqE?bBjB', 'scMu_I?CC?BB', '{zLedIbB}Fz@mW|BqJiA??jCeA??pPeA??dLgA??xG', 'o~IogIBa@E?@`@', 'q~IogIAwAs@[Cd@TAb@nA', 'wuI_mIt@?cAg@Of@\\?', 'k|IqmI?q@ELDb@', 'qzIkqIQYIXZ?', 'iuKuxJBGIBDB', '{|KojKEEADF?', 'e`Nk{K?UC?BT', 'sfLa|KXEOYI^', 'qgLa|KFECACF'],
+        'Europe/Oslo': ['yyLn{@d@u@?}Cq@cFs@_@c@pADlC|AvF', 'g|JqXtFoBnB`@x@iBnB{AzA_EXcG_@mCwCwGCjCIaHeAuCj@WCe@aAc@eAZSq@]RYcBwAu@wBlAGwA}@i@]h@bA?eADg@`BmB_@cAn@mA_@w@t@kCmCEeGe@e@s@HWzAqCkDcBW_AT]}Dg@PqBiEyAp@?dCE{DkAaAi@kB\\{Bm@q@cABAU?bCd@sMY}@Kv@q@mAq@v@KmEORMS?jC?}FjBmCNeDe@mCv@eE}AoDo@J?pA?sAqA_@u@sBYcFCeAt@wAVqCj@i@r@dBf@m@w@m@YuCW]URRiDm@VeAyCu@a@cBpHoAdL@hYt@xG@kC?jCfA?gA?~BjY|BrFZpC?kBdAzK?cCBjCbIrSn@\\nBkBzAxBhHxF`Nv^zCxCfCJ', 'c{JkYkC?jC??kC~I??mCjC??kCdA??eL?dLeA??lCkC??jC_J??jC', 'gtLwnDeA??bL?eLdA??qP?rP', 'ymJo|@CQ?PB?', 'wnLybCCCABD?', 'ctL_fDAa@AFBX', 'etLagDF]Is@@pA'],
+        'Europe/Paris': ['qmH`a@|Ac@bB_I`AaA?iBlBk@dBiDvB{@bLdANkA_A?lB?O[l@mBeACdA??qPdA??kCBxE`@{@@aC[w@FcBm@ZgAMu@{BdBqMSiAeA}@?fCAkCu@}Am@Jh@QISgAJ?jB?mBm@SI`Cv@?sBb@y@c@y@nA]eBQTK_@y@fAk@g@YN?zBCoBcAN@~A`@FR`Ao@i@i@JiB}B?pAC_Bg@k@C\\[SUyBoBC_Bm@aAmAMbB`@?e@?Un@@tCcAzA?`Dy@zBkAD`@XN|AcA?Sf@J|@_AxA?xAOyAQT^bAgCvA`A~D?kCNdDfCVdAfF`An@M~Bo@b@MdE`AJBkC?jCdAw@dAv@?iCK|Ey@DOjAb@j@|AhLn@^', 'ihGgKGGFA?H', 'ilGdHHKW?LJ', 'akGjCf@kC?gCa@Cf@mCm@??dL', 'akGyGv@CLgCeA??jC', 'aaHuf@C}AEz@H`@', 'ivG}j@@IIHF?', 'ogHyk@BOGe@Bt@', 'ufGwr@pB_@dAiA_@cDqCg@EhC?iCeEn@Gp@zArC~@~@p@?'],
+        'Europe/Podgorica': ['yfGcrBhB}C_@]?jA?mAeANyAoANmAi@JKaAKbCAcCaCpGl@SNjAv@h@LaB@`Bn@OtA\\', '{hGmzBLOMc@?r@'],
+        'Europe/Prague': ['ayHqjA`AqBeA?jC??kCdA??kCdA??mC?lCv@AFs@k@aCq@G\\eFVAKgAd@kAq@s@KmCgAy@m@eCoAz@]fBR^e@v@U[?\\dA?eA@c@bCl@S?Tz@Dw@?Rb@aA`Be@e@?vDAmB]`Co@f@f@nA]xALMbB~G?vAl@b@On@', '_vHolApAmAXqBeA??jCeA?^r@', 'srH}pAv@mALoBeA??|D', 'k{HqrA?GEFD?', 'mpH}tAr@}@s@??|@', 'kpH_bBTaAW?@`A', 'k{HkcBCUCLFF', 'o{HadBBk@ILD\\', 'eyHgmBEUEJJH'],
+        'Europe/Riga': ['w`Jy_ClBSEaBeAwD`@qMEY}@E?~TkC?jC~A', 'ceJqbCjCG?kYdA??yGdA??kC?jCj@Ea@iAJcBaB{BoBt@@|@sAi@a@dAWGQ|BTpA[bB?k@e@b@d@Fg@@i@jC`@jGvBG?wBHhEiCpDb@bFzAfB', 'c_JyxCUy@f@_@?q@eA??jCr@?', 'qiJ{zCA}@MHNr@', '{iJ{|CHGM@BD', 'q~Ie}ClBwE?aAmB??xG'],
+        'Europe/Rome': ['}xGmh@ToA@x@`@y@ZI\\l@z@c@HaC~@b@t@YYuB}AiBhAyEVS^v@z@PpEgAt@oIlByCtBu@yGA?dLeA??lCqE?pE??mCdA??eLxG??wGdA??mCdA??wGxG??kC?jCyG??jCdA?lCeAfBx@Br@cAo@g@j@dAfF?_C@~Bz@M?_BTzBa@lCFhCv@hDr@CtAeChDqKVwBWq@{Am@uAVb@?eBOF{B}EsFqACiA}EyAs@kCnBkCpIiBVcAvAK~@b@tByApC{E|BgBnEdA?uBPcAo@}AIw@sEkAvAc@a@Ut@i@cAc@~Fk@z@a@QTbEf@l@QjB`ADApAx@Y]pDrBr@m@`@h@tKvAiAZH\\dB', '{}Fep@xE{@dBj@vAo@JqCcAsDqHu@kAHcBpAf@fDMtBfB`A', '{~Geq@?cDk@pAc@?f@fANQVZ', 'qdFahAd@s@q@eAq@dAXp@b@@', '}|EojAXSB_C{@@Ek@{@IOv@h@f@\\OA~Ah@V', '{}FcnAjCcLeAA?lCeA??vG', 'upFsoAb@aAw@k@YlAl@^', 'oyFi{AdAkCeA??jC'],
+        'Europe/Samara': ['qlIsjHXk@d@F`@}Af@v@Ii@~@gAQcAVgAh@k@n@sD^Ms@iB?fCGyC{@BKc@g@NCq@m@?i@wAKPm@[WXy@s@?|@?}@s@]Qb@]GIk@YZZbAi@^YhBVlAh@J]fDt@Yf@HTr@PUInE^@KzAVb@PWPR?bADaBLrB', 'wdJo~Hr@i@_A?dAARg@b@\\Ah@hAUJsCB~BTs@L|@ZY@iCg@OTaBm@?E`@c@oAU@Be@t@`@?iF?dCRUp@fAU}C{@qAa@PW`BGo@Bl@g@HLk@w@sAu@X?`@Y]Yz@K[cA?w@bAk@?A~Iz@dA^m@vALXdCf@H', 'o~I_jI`@qAc@R@|@', 'c~IgjI@GEBBB', 'k|IskIFICa@Cj@'],
+        'Europe/San_Marino': ['iqGolA?WS??VR?'],
+        'Europe/Sarajevo': ['ewGiaBb@{@vA[dBkCq@?p@AxBwCf@@?aC?tA`AuBOYkAHcAmANMk@LQuBgAl@?x@M_CeAfBeBu@WxEA{AOJEnAV?[B@tBXPYD]xBJrAj@l@m@hAFZfAH', 'uqGmhBqEApE??kClC??kC?jCmC??lC', 'mtGycBBGE?@F', 'qnGsuBf@EMMYR'],
+        'Europe/Saratov': ['_bIuhGjAkAqC?dAjA', 'qdIgjGJYe@?XX', 'i_IakGp@}AQcDo@WNxG', 'edIakGjC??qPdA??yGdA??yG@xGgA??xGr@?JmAXDc@cCbAgBQiAbCeDk@{A_Cx@e@cD[P[Ug@uD?vA?yA_Ak@?o@w@Xo@rDi@j@?x@OKH|Am@d@GjAYW^bBOV^PFfCg@zA`AzBU~@f@nBk@lBl@b@K|G`AD', 'ofImoGBu@ITD^', 'y_I{sG\\AZuDb@Ut@Z@eBuC??vG', 'kfIyxG?WGJFJ', 'k{HgoHBYCO?h@'],
+        'Europe/Simferopol': ['mzGihE`@Ya@?`@Ab@kCeA?dA?Jq@|A^v@yBEuAgAoBAsAs@}AIyDqCUC`D^x@{@bADt@m@`Ao@hEj@NnAnFr@X', 'swGocFGIKBRD'],
+        'Europe/Skopje': ['wbG{~BtA[?aBmC?lC??qHk@eAiAK{@^a@hAdA?eA?c@h@x@jHfB`A', '_`Gs_Ct@oACyBs@uA@~G'],
+        'Europe/Sofia': ['ypGwjC`@Y}@A~AEv@_Bz@r@?yALvC|BK`@iAz@_@jARBu@q@sEZeAqA??jC?kCfA??yG?lCn@AWaDeAJY_BeAa@l@A[eBd@_AMwCcAp@cCQgBoCo@BIrCk@f@[lDTnCrAxDi@vNm@a@_@hApA~@', 'mgGwjCT[g@@PX', 'aiGgkCDKg@?`@J', 'gbGyxCn@kCo@??jC'],
+        'Europe/Stockholm': ['}mJgaApE}BqECpE??kCfA??mCpE??kCjC??kC?jCkC??jCqE??lCgA??jCjEqEr@b@bAkBnAm@h@v@v@}@I}FqAeB]R[oB\\}B]kA?jC?kCm@yBUQAvG?wGqEaCiBx@qBeA_BwGuAkDo@a@_CxDoAYcAhGo@TuFeBgCeFQqC_AiB[eCaAGwAeCwAp@gCmMqA@iA|AcBcAiAvAs@i@MnBOcAu@HQc@s@hB?~BAaCmA`HuAxDClCp@w@p@lAJw@X|@c@dJbACl@p@]zBvB|EBkC?pCxAq@pBhEf@Q\\|D~@UbBVpCjDV{AfAHF`F|AzCTKf@j@v@m@lA^bAo@lB^f@aBeLEdL??kCjC?kC??jC^i@|@h@FvAzAgAfAFrBfDhAY`Ab@Bd@k@Vj@jCb@F', 'qtJczBfA@gA??A', '_uJ_iALQWCHT', 'ceJ}lBlB{@C_CiBsC?x@C_Aq@B{@qA_A^w@WSdCh@b@b@c@`@bC?cC@jCjChC', 'mkL_qB?GA?@F'],
+        'Europe/Tallinn': ['kkJsdChBsAa@uDdAkCe@o@WHFaDm@}CNcD@rBbA_D?_B@`BXy@UqATsAu@[UaA_A`AqBXsBiDkAhHbA?gABa@r@j@lJbCdPZh@zBt@'],
+        'Europe/Tirane': ['i|FwuBxAw@dAgCU{A]TQg@?bDeL?@pAx@SpAn@|DZ', 'ufGqwB?oAdL?CeEaAUe@u@_@N?tB?uByA|A_ECeAtALt@a@ZxAnA'],
+        'Europe/Ulyanovsk': ['mpIg}GBy@`@I@u@B\\r@e@\\{AjBMj@\\DqD_@Q?jCSuGm@Z@n@e@ESh@YS?_Ay@UHgB_@A@k@w@?z@CB_DQTUs@g@Iu@XMlBaAt@PpA`@?UfFn@~@a@LQpDt@I?{BBxBRk@jAvD', 'giIgnHGMMLT?'],
+        'Europe/Vaduz': ['aeHez@?a@m@??`@l@?'],
+        'Europe/Vienna': ['mfHqz@j@Qh@aB_@w@\\ONmBcAm@\\_@WcD`@Pj@{@v@mLQc@s@?r@A]s@AgEa@Ha@gBUbACgAw@NYs@Yx@GeC]N]]iA`A_AQ_AzJp@Fd@v@E~B_@j@p@TMj@n@\\j@vBv@o@XPNe@b@Ri@j@MfBXJBnBd@lA_@~CRSd@hAUKk@zAJj@^UTZ', 'khHe`ADCGC@F', 'aaH{yAFCGE?H'],
+        'Europe/Vilnius': ['cyIc`CdAyGGgBv@y@f@f@l@ULqAuD??vGeA??lCeA?dA??mCdA??wGlC??mCdA?AkF_@sAX?@w@a@r@k@k@o@B_AiBIyAEhCAkCW@Ct@g@]?pBCyBU?}A~DGrBs@d@d@xA]fH@|A\\?]BNvDLT?eAf@xEdCH', 'qsI_pCh@AZw@f@IQiGUH?tDeA??lC', 'axI_fDOWEVT?'],
+        'Europe/Volgograd': ['i|Hi`Gf@iA`BHnAiClB^A_A~@qAl@H`@xBZQr@^?eBtAgAeI??jC_J?DlCb@|@', '}xHsaGXSk@?PR', 'szH{aGLKY?JJ', 's}H}bG?wB~I??kCxG??kC?jCz@EHs@AiBq@Ac@gAHw@mADd@_BqAq@Dw@KOIj@{@uC`@eCsAqAq@p@gBWIi@AjCAyCyAq@UfBYJP|CYEQf@A\\b@FAdBu@[W`AKk@Sj@^?a@@KdBh@~Eo@bBHxDh@bA'],
+        'Europe/Warsaw': ['grI}vAjEkAtA~@r@eBd@P|@g@}KCjN??kCjC??yGdA??wGfA??kCdA??mCdA??qP?pPeA??bFhB{Ak@wAf@cAd@D?cAc@m@RuB]mCvA{FgBp@kDyEI{@eALOe@i@n@R?oBdAyAYo@`BaA{@a@wAqADgErA]x@\\?o@d@MvSuBxGVbFNr@?kC?lCdAhD?]dAlJ{@l@^F', '_cIezAdBoA?_BeA??jCeA?d@b@', 'edIe{AGA?@F?', 's}Hg|A?mBeA??~AdAL', 's}Ho~Ab@e@c@??d@', 's}Hu_Bb@?^kCcA??jC', 's}HadBdAAHs@Zn@z@kAOuAm@R`@eCcA??lCgA??jC', 'k{H{lBdACJ_@H`@d@w@S_@\\w@?eCeA??jCeA??jC', 'qrHa|BDMGC@P'],
+        'Europe/Zagreb': ['c{GqqAzAYeACdA??kCdA??mCjC??kCfA??kCjC??kC?pGNqCl@UFt@f@N\\s@g@gA]T?`A?yG`AgDc@WcBhC?t@OYcBtAm@pAT?{B~Br@JyA?oAtAiACIq@j@cAk@a@KqA^aCm@?n@AByEP{@?p@\\q@Sc@ETk@Y?u@]|A_@WMf@cA@b@vAEtB_CfFB~B`@pAhAKXxAL]HXZM?fBi@l@b@j@JhB_@jAXr@', 'gxGorAdAy@jC_FkC??lCeA??jC', 'uqGi{AdBkCf@kCeA??jCgA??jC', 'ulG_~Al@YDgDeA?IjCZt@', 's|Gq~ADEEA?F', 'itGadBLCIECH', 'isGcdBCGMDP@'],
+        'Europe/Zurich': ['i_Hgd@SaAa@GAl@v@Z', 'caH{d@@aEkC?rE??kC?jCTABeDs@{@OPg@gA{@?dB?d@}BwAi@PqDGX_@KNeAm@@?vB?wBc@IRjAi@|BaAe@_@Tu@dEPXV[RtH^EpA|BdBhA', 'aiHcu@CGBC?J', 'w`Hii@nAs@yA?Hr@', 'ygHsj@DCGE@H', 'ciHos@FGK?BF', 'm~G}u@^WMc@]JJn@', '{`Hcz@VoC]BDjC'],
+        'Indian/Antananarivo': ['liCskGzFwAnF]eWC?mCkN?jN??lCdW?|CeBjAiEIuBwByH}UyFAlC?mC_UeFsFqBqAVg@y@}Bq@eABdA@eA??lC?kCkNzBqD|BdAhDjBJbD~CxDr@pDdEbBxGByGeA??kCkC??kCyG??mCsE??kC?jCrE??lCxG??jCjC??jCdA??xGdA??jCxG??lCjC?kC??mCyG??kCeA?xAtFpKl@dAS~@iAdD[xBn@rEnCjCh@', 'xxCioGFCG??B', 'zaB{wG?KC?BJ', 'n}Ak{H?COBN?'],
+        'Indian/Chagos': ['|_@a_Mh@EKw@m@DNv@', 'jl@{bMl@WUWg@VNV'],
+        'Indian/Christmas': ['|`AiqSh@qAoA_@StAx@Z'],
+        'Indian/Cocos': ['bkAyzQl@g@Uy@uBRQZb@p@jA?'],
+        'Indian/Comoro': ['vhAujG\\K}@?^J', 'vgAakG|@?`CkClAiD}CiB{DrGbA?eA@Qn@~AxA'],
+        'Indian/Kerguelen': ['x~GwvHnBqAUqAu@^}@g@YVGv@z@zA', '`aH}_In@o@DgCu@cAm@dAExARnA^J', '~vH{fLd@SFw@m@m@_@z@^|@', 'dtHwhLn@}@tAa@N}@i@u@Qt@Cy@p@q@S_AYG?f@QkDs@_AeAMo@Pe@xCu@z@m@tEjA`Ap@e@p@Dz@bA', 'bqFyaNf@s@u@w@a@~@n@j@', 'vkF}aNf@}@Um@i@C[nAr@^'],
+        'Indian/Mahe': ['jy@q~GvBoASw@sBBQzA`@f@', 'v{@sfHrBiASs@mCl@?n@l@^', '~x@wzHxEiALu@y@o@iE`@@xBXR', 'bx@q{H?sB[h@ZhA', '|j@ggIr@IEiAoAFA~@b@J', 'he@_hI|@qAUo@o@GUvBAaCo@eBe@HAx@yBGo@\\Fd@~Dj@xAlA', 'lVwvIb@i@{@c@Sv@j@T', 'pZ{vIrBsAm@yBe@SeAJi@jAy@]Wd@Xf@v@]h@`Bd@T', 'jc@uwIr@i@Oe@kATf@x@', 'tb@ezIt@C[CYF', 'rk@i}In@UAe@cA[Yn@n@f@'],
+        'Indian/Maldives': ['cf@gcM~BImCAjC??kC@jChd@wAdAIh@i@oBgBoPe@AlCqP?pPA?kCsE[}IRsJjBc@jATz@zDx@', 'cb@qcMXAY??@'],
+        'Indian/Mauritius': ['x_Ak_Jx@e@UaAqA|@l@h@', 'l~B{cJr@QN{@[mAg@]kCJDzAdCpA', 'lhBmqJ`@k@]w@CbB', 'lhBmqJUyBo@I}Ap@Vx@jCV', '`zBgiKl@KT}@cAu@e@VG~@l@f@'],
+        'Indian/Mayotte': ['bnAsvG~AUXy@[u@_AScAh@Oz@t@r@'],
+        'Indian/Reunion': ['xbCyvIfAi@XaACy@eAi@kAd@[|@LlA`A\\'],
+        'Pacific/Apia': ['nsAhx`@zAkAj@aCAsC}@?u@rCgAx@FlBl@d@'],
+        'Pacific/Auckland': ['dcEb~a@^y@s@a@Yx@l@`@', 'd~Dn|a@VkAuBg@GhAdBh@', '`vDvxa@h@}@_Aq@WxAl@T', 'p|Hui_@p@i@H}AYs@eB]c@bAHfA|AlA', '|}Gkm_@|@]d@eAsE??kCkC??mCeA??kCeA??kCgA??mCeA??kCkC?jDxGtArF~F|H~CbB', '`kHwm_@p@g@e@iBs@t@dABeA?f@vA', '`bHap_@d@c@?y@{@ULmAVf@r@EnA~@pAgDmCaCq@iF?r@C{@}@qAClC?mCeAkCAjC?kCW_@q@DgCsAuB]}@mC?kC]gAgAAa@dAc@i@?l@_@aBwFwEgAZdABeA?~@{C_AsD{FqEgBo@mAHKy@r@{@[w@_B?qAsAkDm@o@lAEjBtAdCu@m@m@r@Rv@n@E?XmBbBeBVaApA`A?iBF}@hBC~@mACGx@o@Rm@rAo@jDi@I]d@FjBdAVtAyAr@JxDgDqE?pE?rEkCsEArE@zAe@n@p@n@[zAN?mCwG?vG??jCdA??lCdA?eA?dA^fAcA~AyEpAHv@x@Ul@bA?eA?}@v@VrAx@h@yAh@Uv@AfA~@tBt@d@jA@z@jB~D|A?uCkC??mCsE??kC?jCrE??lCjC??jCjC??jCdA??lCfA??jCdA??jCdA??lCjC??jCrFL', 'ngIc}_@ZQw@?ZP', 'jhIu}_@VuAq@qAq@ZIjATr@?_CBfCz@B', '~tEwp`@R}Ao@[_@`A^t@?{A?zAZ@', 'xrFm|`@@kCeA?bAjC', 'juHaza@r@eAa@cAc@AYj@j@~A', 'xiH_|a@^mAq@q@_@zAp@b@'],
+        'Pacific/Bougainville': ['|_@oa]L_A~AM~F}Dq@sBqAq@cDrBoB`@[m@?r@As@_@Cc@PQ`AgGnAo@`ANfBdM?', 'r\\or]b@KeAC`@N', 'z]_s]Ji@Oa@BjA', 'v]_s]?kAeAD?dAdA?', 'l[_s]BeAO`@Jb@', 'p[ma^n@iAo@i@_Al@?d@~@^'],
+        'Pacific/Chatham': ['tqGvra@fCsEe@oBy@Vg@g@gAzAu@hDXbAj@Qv@Z'],
+        'Pacific/Chuuk': ['ws@axYdAkASa@yAS]|@dAbA', 'sy@m|Y^o@]s@k@Om@VJ~@jAZ', 'm}@afZpAq@s@}AeA`@A~Ah@L', 'qq@yjZb@}@k@c@m@z@t@d@', 'q{@}kZT}@s@SWt@t@Z', 'wh@m{Zf@_Ag@c@?bB', 'wh@m{ZAcBk@t@l@l@', '{l@s`[j@o@q@s@DbB', 'cm@s`[?cBg@h@f@x@', 'ql@md[l@WOy@o@DO`@`@h@', 'st@yd[h@m@m@i@e@~@h@V', 'ux@kj[d@w@}@QMn@d@X', 'my@ul[h@CUCSF', 'io@im[dBqA_@eBcAd@ApC', 'io@im[?uAc@f@b@l@', 'kq@qr[f@o@m@k@DzA', 'qq@qr[C{Ac@j@f@n@', 'cm@st[h@o@i@c@e@x@d@X', 'qq@ox[?k@?j@d@k@e@e@k@d@j@j@', 'cm@ab\\j@{@k@{@eAGQx@vAdA', 'wh@yb\\GsAc@l@j@d@', 'uh@yb\\f@i@i@i@@rA', 'st@ge\\f@y@q@Y_@TdABeA?Bd@d@R', 'uv@sg\\|AiA?eAc@GgBdA?v@l@X', 'kt@qo\\|@qBi@aCeAc@g@x@~@pCQ`@j@h@', 'cm@gp\\n@QTkB?z@j@{@W}@yAEeAT[l@@n@~AlA', 'sj@iw\\z@i@Cw@a@QaAhAj@h@', 'sh@sx\\DWIYBp@', '{c@uz\\h@u@y@a@[x@j@\\', '_a@y|\\fAmAe@y@eAI?bCb@L', 'cb@g}\\AcCg@pAh@p@', 's`@ka]YGUDn@@'],
+        'Pacific/Easter': ['jjDlbUxGyAbAo@cA?dAA`CiCxByGNyGy@aF}BeFj@uFGkC_ByGeBkCeCmBkCaAqEYyGrAqExDqBrEi@xGx@vGrB`Ew@pJd@xDdAzCjClDjCbBlCx@pEX'],
+        'Pacific/Efate': ['nrAsn_@~IGjCs@qP??kCYjD~AZ', 't_Bop_@dA?`LyGaA?dAApEuClC{@jCaB?sAwDuAwDfEuD~B_CIkFjAyGh@gGbBO`FjN?'],
+        'Pacific/Fakaofo': ['|s@lv`@|@[a@{@s@XV|@', 'dx@lr`@v@o@g@u@OdB', 'bx@lr`@?cBo@h@n@x@', 'dy@rn`@z@[W_AeAX`@`A'],
+        'Pacific/Fiji': ['`zB~cb@`FuDjAYKiAaGqBaET}DUsElB~TB_U??lCqE??jCdW?', 'zaB~cb@?kC}@jC|@?', 'lhBr_b@?mCsDlAg@~@zE?', 'lhBd{a@?CCBB?', 'fgCeaa@Zi@o@i@_@r@r@^', 'tjBeoa@pEeByGA?kCeA??kCeA??yGeA?BjCfC`KdAbBfAf@', 'fmAqoa@h@{As@_@a@V?jAj@V', 'zkAipa@AcAEf@FZ', 'fqBmra@rEgCsECrE?L_JlAeAuU??xGdA??jCdA??jCxG?', 'zaBy_b@?eC}@?|@dC'],
+        'Pacific/Funafuti': ['hb@aja@r@{@S_@e@CD~A', 'bb@aja@?_Bc@t@b@h@', 'pf@wka@`@]a@s@s@^r@p@', 'jl@{pa@f@q@_A_@UbAl@L', 'de@ara@ZKu@@XH', '`f@mra@By@y@E?~@t@?', 'fd@mra@B_AO`@J\\', 'pq@exa@pEiFeACdA?`BeBGe@gA?}DjCmBjDNn@v@P', 'bn@oza@^q@_A[Uv@t@T', 'lbAk_b@TGk@?TF', 'bx@o_b@BCC??B', 'bcAs_b@AeA]E]r@|@V'],
+        'Pacific/Galapagos': ['uIh_QzPyBnA{EAkEgDwAqF|CcAlDkExF^r@'],
+        'Pacific/Gambier': ['~oCnyYb@q@c@g@a@DCfAd@J', 'hdC~vYhAmBq@q@y@p@M~@n@l@', '~hCpsYJoAg@EYx@t@Z', 'liChsYPc@Qc@?fA', '`eC`pYz@]a@yAy@f@^nA', '~oCxlYn@aAQy@f@[Ku@y@@E`A_A^?z@dAl@', 'xqCjfY[KYJt@?'],
+        'Pacific/Guadalcanal': ['bm@wi]rEoEdAeCvGoSeA?fAAdAgCmCClC?tAyCLaDs@MuBp@dA?{Dr@}ArAdABeA??jC?kCcHpEWbIw@dAqDhLBdAvAz@p@tBv@@', '|_@u`^pAs@O}BaA?{AlBTl@dAT', 'ne@ma^t@SSgAeAVb@bA', 'heAed^xG_BdAu@eAAdA??kByFBgCbE`@z@', 'hpA{h^BAC??@', 'lpA}h^h@{@m@o@BjB', '|`Agm^@CA??B', 'bx@wq^?CEBD?', 'vs@sw^b@a@Ce@y@SYz@r@^', 'v~@ki_@jCKdAkAeA?dA?hCoD[mAmBX{FjC]pCfA\\', 'l{@_r_@nAg@MgAqAt@Nx@', 'zkAy|_@h@o@i@g@k@d@j@p@', 'tgAgc`@b@k@i@g@DrA', 'ngAgc`@AsAc@f@d@j@', 'tiAme`@^a@_@m@o@l@n@`@'],
+        'Pacific/Guam': ['ksAse[`AEZg@Ie@aB_Ay@~@fArA'],
+        'Pacific/Honolulu': ['qlDjla@d@]?y@qAu@YtA?_@\\jAf@J', 'saD|_a@b@i@c@w@?`B', 'saD|_a@?aBq@b@Dd@j@V', 'k`Dvq`@^C?kA?jARa@o@u@e@h@`@p@', 'a~Cvj`@Zu@o@_@_@j@r@h@', '}fB|c`@LoA}@MKfAz@T', '_{Cjz_@^a@_@u@o@t@n@`@', 'mtCzo_@vAq@Ds@o@e@kA|@\\lA', 'erCve_@b@q@c@e@k@`@j@t@', 'moCjt^n@WS{@c@?Wh@^h@', 'qfCvk^n@c@eAiCXcB_B}@o@^GhAv@dCzA~A', 'weCr}]vA{@DgCcBBi@j@FxBf@X', 'igCv{]@wAUj@Rj@', 'ybCdz]F[Gm@?hA', 'ybCjw]|CaDQyA?nBEmC_AaAeA`AdA?eA@y@jCH~BWJfA?', 'azBto]dA_@eACdA??wGeA?eAv@uApD^l@t@A?iCDjC~@b@', 'kvBxn]TGeABn@B', '{wBpn]fA?t@mAyBiECvG', 'azBxe]dACe@O_@R'],
+        'Pacific/Kanton': ['l\\bca@b@k@_@m@u@v@p@`@', '~Tl`a@r@UUu@q@NRz@', 'p[rt`@\\_Aw@_@Y`Ar@\\', 'pPnq`@p@q@Qm@w@DWl@n@j@', '~Tdp`@r@]]o@k@RTx@', 'nZrn`@t@k@g@k@k@^\\v@', 'vRpm`@d@i@{@e@[p@p@\\', 'fVfk`@ZKw@?ZJ', 'jUzj`@x@AAy@w@@?x@', 'dWxj`@J[K[?v@'],
+        'Pacific/Kiritimati': ['k\\xj^j@{@w@[Yv@d@^', 'eWld^r@w@s@u@u@|@t@n@', '{J~x]nAcBSu@u@BgAbAC\\Z?[?HVz@Z', 'bb@zn]n@s@o@o@e@`@d@`A', 'lXvh]b@m@q@o@YF?lAf@F', 'dWnh]?mAO`@Nj@', 'z}@fx\\h@i@g@g@i@f@f@h@', '`fAdu\\t@_@Uo@w@NV~@', 'z}@dk\\Zw@gA[S~@~@R'],
+        'Pacific/Kosrae': ['}_@{w^h@}@i@k@c@BOhAr@Z'],
+        'Pacific/Kwajalein': ['iz@on_@bDkBB_Bp@kA]sA{D|AIdCkCVtCnB'],
+        'Pacific/Majuro': ['o|@uj^t@uAi@c@{@dAn@r@', 'ogAqr^xAaAAo@}@c@qA`Av@rA', 'ogAef_@vGiCxDfA`AQh@}@@{A|BgFeA?dAAzDoFhFyB~FlCx@YG}@qHmEaK`D_C`E\\rAq@jAC~AcDjBuCoBkCTe@aDeAYwAfM@f@|@n@', 'cb@gx_@j@a@k@y@?x@Ay@i@x@j@`@', 'i{Ag}_@fAQUuAq@?]h@\\|@', '}}@{}_@pAg@bAcCtAo@vCyDzEIeA?dA?pEiCeAAdA??mC?lCNMf@_Cw@QqFl@kGnC{JhAWnDkCPk@XKn@v@dAbEDBhAb@`@', '{kAud`@|@c@s@{@o@d@d@x@'],
+        'Pacific/Marquesas': ['tp@voZv@W@c@gAwAk@b@x@nB', 'hu@boZd@g@Ma@fAs@~@V`@c@a@y@c@Ca@l@c@o@b@Y?k@e@c@q@Z\\jAo@XJ|Ag@j@j@f@', 'n|@~eZfAYgAAfA?IsB{AGuAj@Lx@dBp@', 'v~@beZDUEU?j@', '|`A`cZf@s@uAsAWPBpA`Ab@', 'r~@v`ZBk@GRBV'],
+        'Pacific/Midway': ['ipDd{a@b@cAy@c@?fBT?', '_qDd{a@?gBc@p@b@t@', 'qoDhua@p@g@Gs@m@Si@l@l@`A'],
+        'Pacific/Nauru': ['lB}p_@f@m@q@k@g@j@p@l@'],
+        'Pacific/Niue': ['~uBnf`@z@e@Eq@m@]s@PMf@x@z@'],
+        'Pacific/Norfolk': ['ftDaw_@~@_@?g@eAa@[\\dABeA??r@`@R', 'dsDuw_@As@EXFX'],
+        'Pacific/Noumea': ['`zBmz]dAe@sEClCh@', 'h|Bw{]Xy@[i@@bB', 'f|Bw{]?cBeBqAqA[aAf@HdCZb@?mC?lCrE?', 'laCa|]`Ak@UaAyAh@@p@j@P', '`eCm~]f@w@g@?f@?EgBb@h@r@KQ{AgBGq@`@@`Dn@`@', '~oBgw^tAEjF_BmCA?mC?jClC@vGaFjCcEcA?dAAvGmIeAkDeADeAfBeAf@yGdJdA?eA?Kt@_ChCkF`DcCf@]tAjAl@', 'nrB}`_@|@g@_@y@aAn@b@p@', 'h{Bch_@\\Q?mBc@Wa@Je@rAlAv@', 'l~B}k_@dBmAd@qBbCgDTcAUm@sAEaD`EuAlFz@n@', 'zlCu}_@Py@y@WQ~@x@P', 'zjCsl`@`@k@w@g@Wx@l@X', 'tjCeq`@\\E?iA}@Z^r@', 'fjCus`@j@?UGUF'],
+        'Pacific/Pago_Pago': ['bdArm`@d@}@i@Y[L@|@\\J', 'bcAbm`@?y@K\\JZ', '`yA|k`@^aA_@}@c@Gg@~@f@fAb@?', 'pwAxd`@z@wAYi@w@HSv@h@~@', '|yAj{_@h@e@a@q@s@r@j@b@'],
+        'Pacific/Palau': ['qQgqXz@oB@uAwHaE?hCAkCuReKmCQw@f@@p@`PhM?kC?jCrE??kC?jCqE?pO|F'],
+        'Pacific/Pitcairn': ['ltCpqXl@e@m@w@g@v@f@d@', 't{CrmXh@s@k@i@g@h@h@r@', 'dwCrbXp@_@YcAi@BYf@j@v@', 'nyChlW^w@u@_@SdAh@P'],
+        'Pacific/Pohnpei': ['qq@wa]l@s@w@i@i@p@r@j@', 'qEud]l@y@m@i@s@f@r@z@', 'yV}e]d@q@q@k@i@n@t@l@', 'an@mg]v@i@Fm@oAk@i@j@?t@x@`@', 'ec@}s]`@OG}A{@@?zA`@N', 'kd@st]?qAOb@Nl@', 'kb@kw]YI]Hv@?', '}j@yw]bB}@G{Aw@m@iAf@E`@Rd@Y|@p@X', 'wh@cd^j@c@k@q@k@p@j@b@', '{e@aj^h@[_@w@s@j@h@f@'],
+        'Pacific/Port_Moresby': ['hh@goZLaBeW??kCeA??kCeA?BjCtAbBSfBbW@x@^', 'vh@ioZh@a@`NRX_@DcEo@?Ec@b@_ASy@f@?YwAmCkCcARy@q@UoBfAqFpDkBRk@`AM`@{AlB{Ab@kHlDqKFkCzAaI_A}EoAt@_BnFwDhAq@sEc@Qk@\\eBvJwAjECzC~BbDwCpDT?sFl@aByDSq@l@UMiFU_@?v@i@eDqEeIf@qEeL??vG?wG]?ZtBmBzBe@hCaCtDdA?eA?{@pA@dCeAtB~B`H?zEIv@iEfE[jAlCnMfDtD?eCeA??mCeA??kCgA??yG?xGfA??jCdA??lCjC??jCdA??jCpf@?kN??~A', 'jNipZ?_AKz@JB', 'bcAgj]`@k@Ik@}@m@e@p@jArA'],
+        'Pacific/Rarotonga': ['bcAhm_@j@{@k@i@s@d@r@~@', 'ngAbj_@^q@_@_@m@v@l@X', '|oBh|^h@y@q@k@o@j@v@x@', 'xqAh|^x@y@c@u@eAl@n@`A', 'z}@do^`@]~@HPcAw@Uc@b@aA?Ax@j@N', '|tBhg^t@o@_@y@aAXCf@n@f@', 'vcChg^h@]Cy@m@Sg@~@n@j@', '`eCjf^D]EW?t@', 'fwBza^j@UWgAy@f@d@t@', 'jzBr}]|A{@a@aA?`A?kC^Ld@m@e@m@u@h@Jb@{@J?x@^Nm@t@Vz@', 'jw@`|]TIcA?l@H', '|u@v{]dAATkAs@Yg@R?rA', '~gCr{]l@a@_@eAc@HArAVH', 'fgCh{]?qAUd@Tj@', 'f|Bry]J]K_@?|@'],
+        'Pacific/Saipan': ['k_Ceg[f@a@[u@s@Zf@z@', 'gwAwh[h@q@}@_Ac@n@v@`A', 'e|Bgi[j@i@n@?HcAa@OeAb@@xA', 'g|Bgi[?yAg@l@f@j@', '}{Aik[f@Q?q@SS?j@?k@eAm@{@DHrAbBj@', 'keB{k[h@S_@qAe@D?dAZX', 'stB}k[r@WOaAcAR^dA', 'yoBkl[VGs@AZH', 'adBul[FWG_@?v@', 'gfBul[?eA{@KI|@dAR', '_oBul[Na@Qe@@fA', 'aoBul[?gAeAK?jAdAF', 'uuBul[@m@EVBT', '{lBam[dAER_A_CCD~@^H', 'acBon[d@y@{@WIbA^L', 'edBco[Bu@KZFX'],
+        'Pacific/Tahiti': ['fgCjg]j@q@k@i@g@h@f@p@', 'ffBhg]t@o@]u@w@NOd@n@n@', 'zaBdf]h@c@i@u@k@t@j@b@', 'lhBtb]b@i@u@s@i@r@z@h@', '~lCl{\\X}@o@[a@l@v@j@', 'ffB`x\\VkAw@MW~@v@X', 'bdBfu\\|AM~A{As@sCeARJbAgBbBV`A', 'rkClr\\j@{@k@c@s@h@r@t@', 'ffBto\\?w@GXF\\', 'vmBxm\\^m@{@g@[p@v@b@', '`lBfi\\z@[b@aA\\sA]y@i@A[TdABeA?q@r@G`C^\\', 'jiBhg\\VGq@?XF', 'bjB`g\\LcAcAK?jAt@B', 'bqC|f\\j@q@k@_A_@HCtAb@P', '~oCjf\\?qAMj@Ld@', 'z{Ava\\xAwBT{FnAAl@}A|@SW{A|BeBfAuD?{As@Ca@q@xBaDc@o@u@De@w@aBr@g@jAPd@n@@o@fFk@XYy@w@\\Tv@fB?eADi@XAr@w@JKl@h@n@dAk@eACzAQaApBwALGZjC@kC?D~CkAhBLfDc@t@f@l@', '`cBxk[jA_A@sA|@g@g@hCcBp@', 'zaB`_\\p@q@q@m@e@dAd@X', 'h{Ab~[CeAI`@Lb@', '`oBv}[\\i@s@i@]r@r@^', 'd{A|{[@CAA?D', 'd{Av{[A{@Cf@DR', 'ltCn{[f@s@_Ay@]x@t@r@', 'n}Axu[?wCWjBVj@', 'lzAfs[Za@]uBiAc@Uz@X`BfA\\', '`kBhn[jAs@QeAsAl@XjA', 'h{Abl[TaAeAwAu@BEdAb@t@fAX', 'l{Bpj[f@k@o@u@c@P?z@j@R', '`zB|i[Eu@E\\JV', 't|Axg[`@g@s@o@Y|@j@X', 'pkDxf[^O?mAeAD@fAb@N', 'tjBvf[\\m@[m@AzA', 'plDhf[Ng@Me@AlA', 'jjDff[?eAI`@Hb@', 'pjDzc[~@A]Ia@J', 'l~Bna[jA_AZqAa@e@i@P{@dB^~@', 'hmDja[f@{@k@c@e@|@h@`@', 'blB`a[l@q@k@m@k@l@h@p@', '`oBp~ZTeAu@MWv@v@Z', 'zlB~{Zj@]?u@qBQMfArA\\', 'fdB`{Zd@QAaAmCkAU`A~B|A', 'hpBdzZhA_Ak@iAeBl@LfAx@R', 'lhBjwZ^}@_@Yq@h@p@l@', 'dtB~vZl@a@a@gA{@v@n@p@', 'zkBxtZ^_AeAMBdA`@F', 'tjBltZ?aAM^L`@', 'zvAftZ~@}@c@gAw@fAZ|@', 'pvBbsZv@Yc@}@q@d@\\p@', 'nlBhrZYI]Hv@?', 'ppB|qZnAcA@qAg@K_Ah@s@k@k@HBnApBhA', 'zaB|pZj@m@g@s@C`B', 'zaB|pZEaBe@n@j@p@', '~uBtoZz@Y]_As@^Tx@', 'nfCpoZp@u@Yo@eA\\?j@l@Z', 'hzBzmZNiAw@GSz@z@T', 'jcBhlZ\\k@m@u@k@n@Jb@n@L', 'zwBtfZl@q@e@m@h@q@]w@gAn@^|@Uh@h@p@', 'lsBhfZJgAr@OOgAo@B?jAw@h@v@d@', 'r`C~eZn@[Yy@s@R\\`A', 'lhCbeZ^o@?{A[\\i@S?`Cd@?', 'bgCbeZBaCk@~@f@`A', 'x{A`dZd@y@u@a@a@l@p@l@', 'liCtcZ~@]Y_Ae@??|A', 'laCjbZd@iA_AS[hAt@R', 'xkBpaZZ_A_Ac@OhAr@X', 'fqB~xYv@}@]i@{@^Gd@h@`@', 'vrBduYn@s@Y_AeAt@?d@n@V'],
+        'Pacific/Tarawa': ['pDga`@^}@i@Wc@z@l@X', 'wS_u`@pNu@vCeB\\qAuA_BiC~AbA?eA@gAt@mBWwHbAOf@v@`B', 'lBk~`@pFoDdAsBC{@gCaBf@q@g@k@y@j@\\t@wDtJ?h@f@\\', 'jCgea@?jCdA@eA??mC', 'dLoga@HYI[?t@', '`Osia@Zu@q@[]~@r@P', 'rOuna@\\UC}@a@Ei@p@p@f@', 'pPkoa@L]M[?x@'],
+        'Pacific/Tongatapu': ['ltCd`b@h@Q?}@mB}@CzAfAp@', 'drCr~a@?{A[l@Zl@', 'rjCtma@^OC}@YKg@Zd@|@', 'rkCdma@H]I[?x@', 'z`Bfja@^aAg@_@q@d@Rr@d@F', 'v_Cpha@`@m@q@k@e@l@t@j@', 'xbChha@lBaBQgAgCZIpAt@z@', 'pzBvfa@h@}@vBGVe@_@qAiD_Ae@PQpA`@r@Yt@~@n@', 'nvBfea@x@i@Me@_ADGg@ZpB', 'ruBnda@?yAe@S_@P?z@bAA@`@', 'bpBvaa@\\]_A?dACQkAgAp@Rx@`@@', 'btBx`a@l@U@uAaAWPbC', 'lsBr`a@?}Bs@r@r@hA', 'ruB|_a@Nm@Oa@?nA', 'dcBn~`@VaAuAQIx@fAX'],
+        'Pacific/Wake': ['{wB{n_@t@s@Oc@}@DC|@ZR'],
+        'Pacific/Wallis': ['zwAzya@bA{@]u@eAr@^|@', 'nrAxma@`@Q@_AeASc@fAdA\\']
+    }
+};
+
+window.TIMEZONE_BOUNDARIES = TIMEZONE_BOUNDARIES;
@@ -1,172 +0,0 @@
-// Final Timezone Logic Unit Test
-console.log('🧪 Timezone Logic Unit Tests');
-console.log('==================================');
-
-// Test implementation matching the actual fraud detector
-class TimezoneLogic {
-    getTimezoneOffsetFromName(timezoneName) {
-        try {
-            const testDate = new Date('2024-01-15T12:00:00Z');
-            
-            const formatter = new Intl.DateTimeFormat('en-CA', {
-                timeZone: timezoneName,
-                timeZoneName: 'longOffset'
-            });
-            
-            const parts = formatter.formatToParts(testDate);
-            const offsetPart = parts.find(part => part.type === 'timeZoneName');
-            
-            if (offsetPart && offsetPart.value) {
-                const match = offsetPart.value.match(/GMT([+-])(\d+)(:(\d+))?/);
-                if (match) {
-                    const sign = match[1] === '+' ? 1 : -1;
-                    const hours = parseInt(match[2], 10);
-                    const minutes = match[4] ? parseInt(match[4], 10) : 0;
-                    return sign * (hours + minutes / 60);
-                }
-            }
-            
-            if (timezoneName.toLowerCase() === 'utc') {
-                return 0;
-            }
-            
-            const utcDate = new Date(testDate.toISOString());
-            const localDate = new Date(testDate.toLocaleString('en-CA', { timeZone: timezoneName }));
-            const diffMs = localDate.getTime() - utcDate.getTime();
-            return diffMs / (1000 * 60 * 60);
-        } catch (e) {
-            return -new Date().getTimezoneOffset() / 60;
-        }
-    }
-
-    getTimezoneFromCoords(lat, lng) {
-        return Math.round(lng / 15);
-    }
-
-    checkTimezoneMatch(browserTimezone, lat, lng) {
-        const browserOffset = this.getTimezoneOffsetFromName(browserTimezone);
-        const locationOffset = this.getTimezoneFromCoords(lat, lng);
-        const difference = Math.abs(browserOffset - locationOffset);
-        const isMismatch = difference > 1; // Allow 1 hour for DST
-
-        return {
-            browserTimezone,
-            browserOffset,
-            locationOffset,
-            difference,
-            isMismatch,
-            result: isMismatch ? 'SPOOFED' : 'AUTHENTIC'
-        };
-    }
-}
-
-// Test cases
-const tests = [
-    {
-        name: 'Vietnam: Asia/Saigon with Ho Chi Minh City coordinates',
-        timezone: 'Asia/Saigon',
-        lat: 10.8231,
-        lng: 106.6297,
-        expected: 'AUTHENTIC'
-    },
-    {
-        name: 'New York: America/New_York with NYC coordinates',
-        timezone: 'America/New_York',
-        lat: 40.7128,
-        lng: -74.0060,
-        expected: 'AUTHENTIC'
-    },
-    {
-        name: 'London: Europe/London with London coordinates',
-        timezone: 'Europe/London',
-        lat: 51.5074,
-        lng: 0,
-        expected: 'AUTHENTIC'
-    },
-    {
-        name: 'UTC with Greenwich coordinates',
-        timezone: 'UTC',
-        lat: 51.4769,
-        lng: 0,
-        expected: 'AUTHENTIC'
-    },
-    {
-        name: 'SPOOFED: Vietnam timezone with NYC coordinates',
-        timezone: 'Asia/Saigon',
-        lat: 40.7128,
-        lng: -74.0060,
-        expected: 'SPOOFED'
-    },
-    {
-        name: 'SPOOFED: NYC timezone with Vietnam coordinates',
-        timezone: 'America/New_York',
-        lat: 10.8231,
-        lng: 106.6297,
-        expected: 'SPOOFED'
-    },
-    {
-        name: 'Tokyo: Asia/Tokyo with Tokyo coordinates',
-        timezone: 'Asia/Tokyo',
-        lat: 35.6762,
-        lng: 139.6503,
-        expected: 'AUTHENTIC'
-    },
-    {
-        name: 'LA: America/Los_Angeles with LA coordinates',
-        timezone: 'America/Los_Angeles',
-        lat: 34.0522,
-        lng: -118.2437,
-        expected: 'AUTHENTIC'
-    }
-];
-
-// Run tests
-const logic = new TimezoneLogic();
-let passed = 0;
-let failed = 0;
-
-console.log('\n📋 Test Results:');
-console.log('----------------------------------');
-
-tests.forEach((test, index) => {
-    const result = logic.checkTimezoneMatch(test.timezone, test.lat, test.lng);
-    const success = result.result === test.expected;
-    
-    if (success) {
-        console.log(`✅ Test ${index + 1}: ${test.name}`);
-        console.log(`   Result: ${result.result} (Expected: ${test.expected})`);
-        console.log(`   Details: Browser=${result.browserOffset}h, Location=${result.locationOffset}h, Diff=${result.difference}h`);
-        passed++;
-    } else {
-        console.log(`❌ Test ${index + 1}: ${test.name}`);
-        console.log(`   Result: ${result.result} (Expected: ${test.expected})`);
-        console.log(`   Details: Browser=${result.browserOffset}h, Location=${result.locationOffset}h, Diff=${result.difference}h`);
-        failed++;
-    }
-    console.log('');
-});
-
-// Summary
-console.log('==================================');
-console.log('📊 Test Summary:');
-console.log(`✅ Passed: ${passed}/${tests.length}`);
-console.log(`❌ Failed: ${failed}/${tests.length}`);
-console.log(`📈 Success Rate: ${((passed / tests.length) * 100).toFixed(1)}%`);
-
-if (passed === tests.length) {
-    console.log('\n🎉 ALL TESTS PASSED!');
-    console.log('✅ Timezone logic correctly identifies:');
-    console.log('   - Authentic timezones (no false positives)');
-    console.log('   - Spoofed locations (catches fraud attempts)');
-    console.log('   - Handles DST differences properly');
-    console.log('   - Works with various global timezones');
-} else {
-    console.log('\n⚠️  Some tests failed - review timezone logic');
-}
-
-console.log('\n💡 Key Features Verified:');
-console.log('• Asia/Saigon = UTC+7 (correctly matches Vietnam coordinates)');
-console.log('• America/New_York = UTC-5/-4 (correctly matches NYC coordinates)');
-console.log('• Cross-timezone spoofing detection (Vietnam timezone + NYC location = SPOOFED)');
-console.log('• DST tolerance (1-hour difference allowed)');
-console.log('• Global timezone support');
\ No newline at end of file
@@ -0,0 +1,76 @@
+/**
+ * @description Zones whose residents commonly run their devices on another zone's clock.
+ * Xinjiang uses both local time (Asia/Urumqi, UTC+6) and the official Beijing time.
+ */
+const TIMEZONE_ALTERNATIVES = Object.freeze({
+    'Asia/Urumqi': ['Asia/Shanghai']
+});
+
+/**
+ * @class TimezoneLookup
+ * @description Offline coordinate → IANA timezone lookup backed by the embedded boundary dataset
+ * (timezone-boundaries.js).
+ */
+class TimezoneLookup {
+    /**
+     * @param {object} dataset - `{ precision, tolerance, zones: { 'Area/City': [encodedRing, ...] } }`.
+     */
+    constructor(dataset) {
+        this.index = new PolygonIndex(dataset.precision, Object.entries(dataset.zones)
+            .map(([timezone, rings]) => ({ timezone, rings })), dataset.tolerance);
+    }
+
+    /**
+     * @description Finds the IANA timezone whose boundary contains a coordinate.
+     * @param {number} lat - Latitude.
+     * @param {number} lng - Longitude.
+     * @returns {string|null} The timezone name, or null when the point is outside every boundary
+     * (open sea beyond territorial waters, Antarctica).
+     */
+    find(lat, lng) {
+        const match = this.index.find(lat, lng);
+        return match ? match.timezone : null;
+    }
+
+    /**
+     * @param {string} timezone - The zone found for a location.
+     * @returns {string[]} The zone plus any zones a device there may legitimately be set to.
+     */
+    acceptedTimezones(timezone) {
+        return [timezone, ...(TIMEZONE_ALTERNATIVES[timezone] || [])];
+    }
+}
+
+/**
+ * @description Returns the UTC offset of a timezone at a given instant, so daylight saving time
+ * is taken into account (e.g. Europe/Madrid is +1 in January and +2 in July).
+ * @param {string} timezoneName - IANA timezone name.
+ * @param {Date} [date] - The instant; defaults to now.
+ * @returns {number} The offset in hours, e.g. 5.5 for Asia/Kolkata.
+ * @throws {RangeError} If the timezone name is not known to the browser.
+ */
+function getTimezoneOffsetAt(timezoneName, date = new Date()) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezoneName,
+        timeZoneName: 'longOffset'
+    });
+    const offsetPart = formatter.formatToParts(date).find(part => part.type === 'timeZoneName');
+
+    // "GMT" alone means UTC; otherwise "GMT+05:30", "GMT-03:00", ...
+    const match = offsetPart && offsetPart.value.match(/GMT(?:([+-])(\d{1,2})(?::(\d{2}))?)?$/);
+    if (!match) {
+        throw new RangeError(`Cannot determine UTC offset of ${timezoneName}`);
+    }
+    if (!match[1]) return 0;
+
+    const sign = match[1] === '+' ? 1 : -1;
+    return sign * (parseInt(match[2], 10) + (match[3] ? parseInt(match[3], 10) : 0) / 60);
+}
+
+// Shared lookup over the embedded dataset
+const timezoneLookup = new TimezoneLookup(typeof TIMEZONE_BOUNDARIES !== 'undefined' ? TIMEZONE_BOUNDARIES : { precision: 2, zones: {} });
+
+window.TimezoneLookup = TimezoneLookup;
+window.TIMEZONE_ALTERNATIVES = TIMEZONE_ALTERNATIVES;
+window.timezoneLookup = timezoneLookup;
+window.getTimezoneOffsetAt = getTimezoneOffsetAt;
@@ -0,0 +1,47 @@
+// Builds country-locales.js: official languages and currencies per country, and the countries each
+// IANA timezone (including deprecated aliases such as Asia/Saigon) is used in. Consumed by
+// locale-consistency.js.
+//
+// Sources: countries-list (MIT) and countries-and-timezones (MIT), both derived from CLDR / tzdata.
+//
+// Usage (from the fraudinator directory):
+//   npm install --no-save countries-list@3 countries-and-timezones@3
+//   node tools/build-country-locales.js
+
+const fs = require('fs');
+const path = require('path');
+const { countries } = require('countries-list');
+const countriesAndTimezones = require('countries-and-timezones');
+
+const OUTPUT = path.join(__dirname, '..', 'country-locales.js');
+
+const literal = value => `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+const list = values => `[${values.map(literal).join(', ')}]`;
+
+const countryLines = Object.keys(countries).sort().map(code => {
+    const country = countries[code];
+    return `        ${code}: { name: ${literal(country.name)}, languages: ${list(country.languages)}, currencies: ${list(country.currency)} }`;
+});
+
+const timezones = countriesAndTimezones.getAllTimezones({ deprecated: true });
+const timezoneLines = Object.keys(timezones).sort()
+    .filter(name => timezones[name].countries.length > 0)
+    .map(name => `        ${literal(name)}: ${list(timezones[name].countries)}`);
+
+const output = `// Generated by tools/build-country-locales.js - do not edit by hand.
+// Official languages (ISO 639-1) and currencies (ISO 4217) per ISO 3166-1 country, and the countries
+// each IANA timezone is used in. Sources: countries-list and countries-and-timezones (CLDR / tzdata).
+const COUNTRY_LOCALES = {
+    countries: {
+${countryLines.join(',\n')}
+    },
+    timezones: {
+${timezoneLines.join(',\n')}
+    }
+};
+
+window.COUNTRY_LOCALES = COUNTRY_LOCALES;
+`;
+
+fs.writeFileSync(OUTPUT, output);
+console.log(`✅ Wrote ${countryLines.length} countries and ${timezoneLines.length} timezones to ${OUTPUT}`);
@@ -0,0 +1,222 @@
+// Builds server/fixtures/geoip.mmdb, the MaxMind DB twin of server/fixtures/geoip.csv used by the
+// IP geolocation tests. The records have the GeoIP2 City layout (country, subdivisions, city,
+// location) and repeated values are stored once and referenced by pointers, as in the real
+// databases, so the test exercises the same decoder paths.
+//
+// Usage (from the fraudinator directory):
+//   node tools/build-geoip-fixture.js [input.csv] [output.mmdb]
+
+const fs = require('fs');
+const path = require('path');
+const { CsvIpRangeTable } = require('../server/geoip-database');
+
+const FIXTURES = path.join(__dirname, '..', 'server', 'fixtures');
+const INPUT = process.argv[2] || path.join(FIXTURES, 'geoip.csv');
+const OUTPUT = process.argv[3] || path.join(FIXTURES, 'geoip.mmdb');
+
+const RECORD_SIZE = 28;
+// Fixed, so that rebuilding an unchanged CSV gives an identical file
+const BUILD_EPOCH = 1792368000;
+const IPV4_MAPPED_PREFIX = 0xffffn << 32n;
+const METADATA_MARKER = Buffer.from('abcdef4d61784d696e642e636f6d', 'hex');
+
+// Values with an explicit MaxMind DB type; plain numbers are written as doubles or uint32
+const typed = (type, value) => ({ mmdbType: type, value });
+const double = value => typed(3, value);
+const uint16 = value => typed(5, value);
+const uint64 = value => typed(9, BigInt(value));
+
+function controlBytes(type, size) {
+    const first = (type <= 7 ? type : 0) << 5;
+    const extended = type > 7 ? [type - 7] : [];
+    if (size < 29) return Buffer.from([first | size, ...extended]);
+    if (size < 285) return Buffer.from([first | 29, ...extended, size - 29]);
+    if (size < 65821) return Buffer.from([first | 30, ...extended, (size - 285) >> 8, (size - 285) & 0xff]);
+    const rest = size - 65821;
+    return Buffer.from([first | 31, ...extended, rest >> 16, (rest >> 8) & 0xff, rest & 0xff]);
+}
+
+function unsignedBytes(value) {
+    let hex = BigInt(value).toString(16);
+    if (hex === '0') return Buffer.alloc(0);
+    if (hex.length % 2) hex = `0${hex}`;
+    return Buffer.from(hex, 'hex');
+}
+
+function pointerBytes(offset) {
+    if (offset < 2048) return Buffer.from([0x20 | (offset >> 8), offset & 0xff]);
+    if (offset < 526336) {
+        const value = offset - 2048;
+        return Buffer.from([0x28 | (value >> 16), (value >> 8) & 0xff, value & 0xff]);
+    }
+    const value = offset - 526336;
+    return Buffer.from([0x30 | (value >> 24), (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff]);
+}
+
+/**
+ * @description Appends values to a data section. With `deduplicate`, a string or map written before
+ * is replaced by a pointer to its first copy.
+ */
+function createDataWriter({ deduplicate }) {
+    const chunks = [];
+    let length = 0;
+    const written = new Map();
+
+    const append = buffer => {
+        chunks.push(buffer);
+        length += buffer.length;
+    };
+
+    const encode = value => {
+        const key = deduplicate && (typeof value === 'string' || (value && value.constructor === Object && !value.mmdbType))
+            ? JSON.stringify(value) : null;
+        if (key !== null && written.has(key)) {
+            append(pointerBytes(written.get(key)));
+            return;
+        }
+        if (key !== null) written.set(key, length);
+
+        if ((value && value.mmdbType === 3) || (typeof value === 'number' && !(Number.isInteger(value) && value >= 0))) {
+            const bytes = Buffer.alloc(8);
+            bytes.writeDoubleBE(typeof value === 'number' ? value : value.value);
+            append(Buffer.concat([controlBytes(3, 8), bytes]));
+        } else if (value && value.mmdbType) {
+            const bytes = unsignedBytes(value.value);
+            append(Buffer.concat([controlBytes(value.mmdbType, bytes.length), bytes]));
+        } else if (typeof value === 'number') {
+            const bytes = unsignedBytes(value);
+            append(Buffer.concat([controlBytes(6, bytes.length), bytes]));
+        } else if (typeof value === 'string') {
+            const bytes = Buffer.from(value, 'utf8');
+            append(Buffer.concat([controlBytes(2, bytes.length), bytes]));
+        } else if (Array.isArray(value)) {
+            append(controlBytes(11, value.length));
+            value.forEach(encode);
+        } else {
+            const entries = Object.entries(value);
+            append(controlBytes(7, entries.length));
+            entries.forEach(([name, entry]) => {
+                encode(name);
+                encode(entry);
+            });
+        }
+    };
+
+    return {
+        write: value => {
+            const offset = length;
+            encode(value);
+            return offset;
+        },
+        toBuffer: () => Buffer.concat(chunks)
+    };
+}
+
+/**
+ * @returns {object} The CSV record in the GeoIP2 City layout, without the fields it leaves empty.
+ */
+function toCityRecord(record) {
+    const names = name => ({ names: { en: name } });
+    const city = {};
+    if (record.city) city.city = names(record.city);
+    if (record.country) city.country = { iso_code: record.country, ...names(record.countryName || record.country) };
+    if (record.latitude !== null && record.longitude !== null) {
+        city.location = {
+            accuracy_radius: uint16(Number(record.accuracyRadiusKm)),
+            latitude: double(Number(record.latitude)),
+            longitude: double(Number(record.longitude)),
+            ...(record.timeZone ? { time_zone: record.timeZone } : {})
+        };
+    }
+    if (record.region) city.subdivisions = [{ iso_code: record.region, ...names(record.regionName || record.region) }];
+    return city;
+}
+
+/**
+ * @description Splits an inclusive range of the 128-bit address space into CIDR blocks.
+ * @returns {object[]} `{ start, prefixLength }` per block.
+ */
+function rangeToNetworks(start, end) {
+    const networks = [];
+    let next = start;
+    while (next <= end) {
+        let hostBits = 0n;
+        while (hostBits < 128n && next % (1n << (hostBits + 1n)) === 0n && next + (1n << (hostBits + 1n)) - 1n <= end) {
+            hostBits++;
+        }
+        networks.push({ start: next, prefixLength: 128 - Number(hostBits) });
+        next += 1n << hostBits;
+    }
+    return networks;
+}
+
+/**
+ * @returns {number[]} The bits to follow in an IPv6 tree. IPv4 networks are stored at ::a.b.c.d.
+ */
+function networkBits({ start, prefixLength }) {
+    const ipv4 = (start >> 32n) === 0xffffn && prefixLength >= 96;
+    const address = ipv4 ? start - IPV4_MAPPED_PREFIX : start;
+    const bits = [];
+    for (let bit = 0; bit < prefixLength; bit++) {
+        bits.push(Number((address >> BigInt(127 - bit)) & 1n));
+    }
+    return bits;
+}
+
+const table = new CsvIpRangeTable(fs.readFileSync(INPUT, 'utf8'));
+const data = createDataWriter({ deduplicate: true });
+const nodes = [[null, null]];
+
+table.ranges.forEach(range => {
+    const offset = data.write(toCityRecord(range.record));
+    rangeToNetworks(range.start, range.end).forEach(network => {
+        const bits = networkBits(network);
+        let node = 0;
+        bits.forEach((direction, index) => {
+            const slot = nodes[node][direction];
+            if (index === bits.length - 1) {
+                if (slot !== null) throw new Error(`Network ${network.start.toString(16)}/${network.prefixLength} overlaps another one`);
+                nodes[node][direction] = { data: offset };
+                return;
+            }
+            if (slot === null) {
+                nodes.push([null, null]);
+                nodes[node][direction] = { node: nodes.length - 1 };
+            } else if (slot.data !== undefined) {
+                throw new Error(`Network ${network.start.toString(16)}/${network.prefixLength} is inside another one`);
+            }
+            node = nodes[node][direction].node;
+        });
+    });
+});
+
+const nodeCount = nodes.length;
+const recordValue = slot => {
+    if (slot === null) return nodeCount;
+    return slot.node !== undefined ? slot.node : nodeCount + 16 + slot.data;
+};
+const tree = Buffer.alloc(nodeCount * RECORD_SIZE / 4);
+nodes.forEach(([left, right], index) => {
+    const base = index * 7;
+    const [leftValue, rightValue] = [recordValue(left), recordValue(right)];
+    tree.writeUIntBE(leftValue & 0xffffff, base, 3);
+    tree[base + 3] = ((leftValue >>> 24) << 4) | (rightValue >>> 24);
+    tree.writeUIntBE(rightValue & 0xffffff, base + 4, 3);
+});
+
+const metadata = createDataWriter({ deduplicate: false });
+metadata.write({
+    binary_format_major_version: uint16(2),
+    binary_format_minor_version: uint16(0),
+    build_epoch: uint64(BUILD_EPOCH),
+    database_type: 'Fraudinator-Test-City',
+    description: { en: `IP geolocation test fixture built from ${path.basename(INPUT)}` },
+    ip_version: uint16(6),
+    languages: ['en'],
+    node_count: nodeCount,
+    record_size: uint16(RECORD_SIZE)
+});
+
+const output = Buffer.concat([tree, Buffer.alloc(16), data.toBuffer(), METADATA_MARKER, metadata.toBuffer()]);
+fs.writeFileSync(OUTPUT, output);
+console.log(`Wrote ${path.relative(process.cwd(), OUTPUT)}: ${table.ranges.length} ranges, ${nodeCount} nodes, ${output.length} bytes`);
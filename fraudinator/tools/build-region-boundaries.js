@@ -0,0 +1,87 @@
+// Builds region-boundaries.js, the embedded country / first-level region (state, province) dataset
+// used by reverse-geocoder.js.
+//
+// The source is Natural Earth 1:10m Admin 1 - States, Provinces (public domain) as bundled by
+// geojson-places. Regions are simplified, quantized to 0.01° and stored as encoded polylines;
+// a region's country is its ISO 3166-1 code, so the same data answers both questions.
+//
+// Usage (from the fraudinator directory):
+//   npm install --no-save geojson-places@1
+//   node tools/build-region-boundaries.js [toleranceDegrees]
+
+const fs = require('fs');
+const path = require('path');
+const { encodeShape, quote } = require('./geo-encoding');
+
+const TOLERANCE = parseFloat(process.argv[2] || '0.1');
+const PRECISION = 2;
+const SCALE = Math.pow(10, PRECISION);
+const OUTPUT = path.join(__dirname, '..', 'region-boundaries.js');
+
+const sourceDir = path.join(path.dirname(require.resolve('geojson-places')), '..');
+const sourceVersion = JSON.parse(fs.readFileSync(path.join(sourceDir, 'package.json'), 'utf8')).version;
+const source = JSON.parse(fs.readFileSync(path.join(sourceDir, 'data', 'build.json'), 'utf8'));
+
+// Natural Earth leaves disputed or special areas without an ISO country; use the country that
+// administers them day to day. Areas without a sensible answer (Siachen, Spratly Is.) are skipped.
+const COUNTRY_OVERRIDES = {
+    ESB: 'CY',
+    WSB: 'CY',
+    CYN: 'CY',
+    SOL: 'SO',
+    USG: 'CU',
+    KAB: 'KZ',
+    IOA: 'AU',
+    CSI: 'AU',
+    CLP: 'FR'
+};
+
+const regions = new Map();
+
+source.features.forEach(feature => {
+    const properties = feature.properties;
+    const country = /^[A-Z]{2}$/.test(properties.iso_a2) ? properties.iso_a2 : COUNTRY_OVERRIDES[properties.adm0_a3];
+    if (!country) return;
+
+    // Natural Earth marks regions without an ISO 3166-2 code with placeholders such as 'MC-X01~'
+    const code = /^[A-Z]{2}-[A-Z0-9]{1,3}$/.test(properties.iso_3166_2) ? properties.iso_3166_2 : null;
+    const key = code || `${country}:${properties.name}`;
+    const polygons = feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+
+    // Some regions are split over several features; their polygons are disjoint, so concatenate them
+    if (!regions.has(key)) {
+        regions.set(key, { country, code, name: properties.name_en || properties.name, polygons: [] });
+    }
+    regions.get(key).polygons.push(...polygons);
+});
+
+const entries = [];
+let pointCount = 0;
+
+[...regions.values()]
+    .sort((a, b) => a.country.localeCompare(b.country) || String(a.code).localeCompare(String(b.code)))
+    .forEach(region => {
+        const shape = encodeShape(region.polygons, TOLERANCE, SCALE);
+        pointCount += shape.pointCount;
+        entries.push([region.country, region.code, region.name, shape.rings]);
+    });
+
+const literal = value => (value === null ? 'null' : `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`);
+const output = `// Generated by tools/build-region-boundaries.js - do not edit by hand.
+// Natural Earth 1:10m admin-1 boundaries (public domain) via geojson-places ${sourceVersion},
+// simplified to ${TOLERANCE}° and stored as encoded polylines (lat/lng, ${PRECISION} decimal places).
+// Each region is [ISO 3166-1 country, ISO 3166-2 region or null, name, [encodedRing, ...]].
+const REGION_BOUNDARIES = {
+    source: 'Natural Earth admin-1 (geojson-places ${sourceVersion})',
+    precision: ${PRECISION},
+    tolerance: ${TOLERANCE},
+    regions: [
+${entries.map(([country, code, name, rings]) => `        [${literal(country)}, ${literal(code)}, ${literal(name)}, [${rings.map(quote).join(', ')}]]`).join(',\n')}
+    ]
+};
+
+window.REGION_BOUNDARIES = REGION_BOUNDARIES;
+`;
+
+fs.writeFileSync(OUTPUT, output);
+console.log(`✅ Wrote ${entries.length} regions (${pointCount} points, ${(output.length / 1024).toFixed(0)} KB) to ${OUTPUT}`);
@@ -0,0 +1,132 @@
+// Builds the embeddable SDK: dist/fraudinator.mjs (ES module) and dist/fraudinator.umd.js
+// (CommonJS / AMD / <script> global), both exposing Fraudinator.analyze() and Fraudinator.monitor().
+//
+// The modules are classic scripts that share one global scope on the demo page. The build
+// concatenates them in the order below into a single module scope, drops their `window.X = X`
+// exports and inlines scoring-policy.json and location-signatures.json as the defaults, so loading
+// the SDK defines no globals and neither touches the DOM nor writes to the console.
+//
+// Usage (from the fraudinator directory):
+//   npm run build
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT_DIR = path.join(ROOT, 'dist');
+
+// Same order as index.html; each module only uses the ones before it at load time
+const SDK_SOURCES = [
+    'scoring-policy.js',
+    'location-signatures.js',
+    'indicators.js',
+    'logger.js',
+    'session-timeline.js',
+    'geo-polygon.js',
+    'timezone-boundaries.js',
+    'timezone-lookup.js',
+    'country-locales.js',
+    'region-boundaries.js',
+    'reverse-geocoder.js',
+    'locale-consistency.js',
+    'location-history.js',
+    'geofence.js',
+    'isolated-realm.js',
+    'geolocation-integrity.js',
+    'detector-registry.js',
+    'motion-sensor-fusion.js',
+    'location-behavior-analyzer.js',
+    'extension-detector.js',
+    'vpn-detector.js',
+    'devtools-detector.js',
+    'console-inspector.js',
+    'device-masking-detector.js',
+    'automation-detector.js',
+    'rdp-detector.js',
+    'gpu-classifier.js',
+    'frame-cadence.js',
+    'keystroke-dynamics.js',
+    'script.js',
+    'report-signer.js',
+    'fraudinator.js'
+];
+
+// Named exports of the ES module, in addition to the default Fraudinator namespace
+const ESM_EXPORTS = [
+    'Fraudinator',
+    'FraudDetector',
+    'DetectorRegistry',
+    'ScoringPolicy',
+    'ScoringPolicyError',
+    'IndicatorCodes',
+    'createIndicator',
+    'ReportSigner'
+];
+
+const GLOBAL_EXPORT = /^window\.(\w+) = (\w+);$/;
+
+/**
+ * @description Reads a module and removes its global exports.
+ * @param {string} file - File name relative to the fraudinator directory.
+ * @returns {string} The module source.
+ */
+function readModule(file) {
+    const lines = fs.readFileSync(path.join(ROOT, file), 'utf8').split('\n');
+    const kept = lines.filter(line => !GLOBAL_EXPORT.test(line));
+
+    const leftover = kept.find(line => /^window\./.test(line));
+    if (leftover) {
+        throw new Error(`${file}: unsupported global export "${leftover}"; use "window.Name = Name;"`);
+    }
+    return `// ---- ${file} ----\n${kept.join('\n').trim()}\n`;
+}
+
+/**
+ * @description Writes both bundles to dist/.
+ */
+function buildSdk() {
+    const packageInfo = JSON.parse(fs.readFileSync(path.join(ROOT, 'package.json'), 'utf8'));
+    const defaultPolicy = JSON.parse(fs.readFileSync(path.join(ROOT, 'scoring-policy.json'), 'utf8'));
+    const defaultSignatures = JSON.parse(fs.readFileSync(path.join(ROOT, 'location-signatures.json'), 'utf8'));
+
+    const banner = `/*! Fraudinator SDK ${packageInfo.version} - generated by tools/build-sdk.js, do not edit */`;
+    const body = [
+        `const SDK_VERSION = '${packageInfo.version}';`,
+        `const DEFAULT_SCORING_POLICY = ${JSON.stringify(defaultPolicy, null, 4)};\n`,
+        `const DEFAULT_LOCATION_SIGNATURES = ${JSON.stringify(defaultSignatures, null, 4)};\n`,
+        ...SDK_SOURCES.map(readModule)
+    ].join('\n');
+
+    const esm = `${banner}
+${body}
+export { Fraudinator as default, ${ESM_EXPORTS.join(', ')} };
+`;
+
+    const umd = `${banner}
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Fraudinator = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+${body}
+return Fraudinator;
+});
+`;
+
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    fs.writeFileSync(path.join(OUTPUT_DIR, 'fraudinator.mjs'), esm);
+    fs.writeFileSync(path.join(OUTPUT_DIR, 'fraudinator.umd.js'), umd);
+    console.log(`✅ Wrote dist/fraudinator.mjs and dist/fraudinator.umd.js (${(esm.length / 1024).toFixed(0)} KB each)`);
+}
+
+if (require.main === module) {
+    buildSdk();
+}
+
+module.exports = { SDK_SOURCES };
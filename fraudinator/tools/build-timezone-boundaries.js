@@ -0,0 +1,102 @@
+// Builds timezone-boundaries.js, the embedded IANA timezone boundary dataset used by timezone-lookup.js.
+//
+// The source polygons come from the timezone-boundary-builder project as packaged by geo-tz
+// (© OpenStreetMap contributors, ODbL). Every zone is unioned, simplified with Douglas-Peucker,
+// quantized to 0.01° and stored as encoded polylines, which keeps the dataset small enough to ship
+// to the browser while staying well inside the accuracy of a typical geolocation fix.
+//
+// Usage (from the fraudinator directory):
+//   npm install --no-save geo-tz@8 polygon-clipping@0.15
+//   node tools/build-timezone-boundaries.js [toleranceDegrees]
+
+const fs = require('fs');
+const path = require('path');
+const geobuf = require('geobuf');
+const Pbf = require('pbf');
+const polygonClipping = require('polygon-clipping');
+const { simplifyRing, encodeShape, quote } = require('./geo-encoding');
+
+const TOLERANCE = parseFloat(process.argv[2] || '0.1');
+const PRECISION = 2;
+const SCALE = Math.pow(10, PRECISION);
+const OUTPUT = path.join(__dirname, '..', 'timezone-boundaries.js');
+
+const geoTzDir = path.join(path.dirname(require.resolve('geo-tz')), '..');
+const geoTzVersion = require(path.join(geoTzDir, 'package.json')).version;
+const index = require(path.join(geoTzDir, 'data', 'timezones.geojson.index.json'));
+const dataFile = fs.openSync(path.join(geoTzDir, 'data', 'timezones.geojson.geo.dat'), 'r');
+
+// Collect every piece of every zone from the geo-tz quadtree. Leaves are either whole tiles
+// owned by one zone or geobuf feature collections clipped to the tile.
+const pieces = new Map();
+
+function addPiece(timezone, polygon) {
+    if (!pieces.has(timezone)) pieces.set(timezone, []);
+    pieces.get(timezone).push(polygon);
+}
+
+function walk(node, bounds) {
+    if (!node) return;
+
+    if (node.pos >= 0 && node.len) {
+        const buffer = Buffer.alloc(node.len);
+        fs.readSync(dataFile, buffer, 0, node.len, node.pos);
+        const collection = geobuf.decode(new Pbf(buffer));
+        collection.features.forEach(feature => {
+            const polygons = feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+            polygons.forEach(polygon => {
+                // Pre-simplify to keep the union cheap; the final pass uses the full tolerance
+                const rings = polygon
+                    .map(ring => simplifyRing(ring, TOLERANCE / 4))
+                    .filter(ring => ring.length >= 4);
+                if (rings.length > 0) addPiece(feature.properties.tzid, rings);
+            });
+        });
+        return;
+    }
+
+    if (Array.isArray(node)) {
+        if (node.length > 0) {
+            const { left, right, bottom, top } = bounds;
+            addPiece(index.timezones[node[0]], [[[left, bottom], [right, bottom], [right, top], [left, top], [left, bottom]]]);
+        }
+        return;
+    }
+
+    const midLat = (bounds.top + bounds.bottom) / 2;
+    const midLon = (bounds.left + bounds.right) / 2;
+    walk(node.a, { top: bounds.top, bottom: midLat, left: midLon, right: bounds.right });
+    walk(node.b, { top: bounds.top, bottom: midLat, left: bounds.left, right: midLon });
+    walk(node.c, { top: midLat, bottom: bounds.bottom, left: bounds.left, right: midLon });
+    walk(node.d, { top: midLat, bottom: bounds.bottom, left: midLon, right: bounds.right });
+}
+
+walk(index.lookup, { top: 90, bottom: -90, left: -180, right: 180 });
+fs.closeSync(dataFile);
+
+const zones = [];
+let pointCount = 0;
+
+[...pieces.keys()].sort().forEach(timezone => {
+    const shape = encodeShape(polygonClipping.union(...pieces.get(timezone)), TOLERANCE, SCALE);
+    pointCount += shape.pointCount;
+    zones.push([timezone, shape.rings]);
+});
+
+const output = `// Generated by tools/build-timezone-boundaries.js - do not edit by hand.
+// Timezone boundaries from timezone-boundary-builder via geo-tz ${geoTzVersion} (© OpenStreetMap contributors, ODbL),
+// simplified to ${TOLERANCE}° and stored as encoded polylines (lat/lng, ${PRECISION} decimal places).
+const TIMEZONE_BOUNDARIES = {
+    source: 'timezone-boundary-builder (geo-tz ${geoTzVersion})',
+    precision: ${PRECISION},
+    tolerance: ${TOLERANCE},
+    zones: {
+${zones.map(([timezone, rings]) => `        ${quote(timezone)}: [${rings.map(quote).join(', ')}]`).join(',\n')}
+    }
+};
+
+window.TIMEZONE_BOUNDARIES = TIMEZONE_BOUNDARIES;
+`;
+
+fs.writeFileSync(OUTPUT, output);
+console.log(`✅ Wrote ${zones.length} zones (${pointCount} points, ${(output.length / 1024).toFixed(0)} KB) to ${OUTPUT}`);
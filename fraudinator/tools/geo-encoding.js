@@ -0,0 +1,120 @@
+// Shared helpers for the boundary dataset builders: Douglas-Peucker simplification and the
+// Google encoded polyline algorithm, read back in the browser by geo-polygon.js.
+
+function squaredSegmentDistance(point, start, end) {
+    let x = start[0];
+    let y = start[1];
+    let dx = end[0] - x;
+    let dy = end[1] - y;
+
+    if (dx !== 0 || dy !== 0) {
+        const t = ((point[0] - x) * dx + (point[1] - y) * dy) / (dx * dx + dy * dy);
+        if (t > 1) {
+            x = end[0];
+            y = end[1];
+        } else if (t > 0) {
+            x += dx * t;
+            y += dy * t;
+        }
+    }
+
+    dx = point[0] - x;
+    dy = point[1] - y;
+    return dx * dx + dy * dy;
+}
+
+function simplifyRing(points, tolerance) {
+    if (points.length <= 4) return points;
+
+    const squaredTolerance = tolerance * tolerance;
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        let maxDistance = 0;
+        let maxIndex = -1;
+        for (let i = first + 1; i < last; i++) {
+            const distance = squaredSegmentDistance(points[i], points[first], points[last]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                maxIndex = i;
+            }
+        }
+        if (maxDistance > squaredTolerance) {
+            keep[maxIndex] = 1;
+            stack.push([first, maxIndex], [maxIndex, last]);
+        }
+    }
+
+    return points.filter((_, i) => keep[i]);
+}
+
+function ringArea(ring) {
+    let area = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+    }
+    return area / 2;
+}
+
+// Google encoded polyline algorithm, applied to already quantized integer coordinates
+function encodeValue(value) {
+    let shifted = value < 0 ? ~(value << 1) : value << 1;
+    let encoded = '';
+    while (shifted >= 0x20) {
+        encoded += String.fromCharCode((0x20 | (shifted & 0x1f)) + 63);
+        shifted >>= 5;
+    }
+    return encoded + String.fromCharCode(shifted + 63);
+}
+
+function encodeRing(ring) {
+    let previousLat = 0;
+    let previousLng = 0;
+    return ring.map(([lng, lat]) => {
+        const encoded = encodeValue(lat - previousLat) + encodeValue(lng - previousLng);
+        previousLat = lat;
+        previousLng = lng;
+        return encoded;
+    }).join('');
+}
+
+/**
+ * Simplifies, quantizes and encodes a (multi)polygon.
+ * @param {number[][][][]} polygons - GeoJSON MultiPolygon coordinates.
+ * @param {number} tolerance - Simplification tolerance in degrees.
+ * @param {number} scale - 10^precision.
+ * @returns {{ rings: string[], pointCount: number }} Encoded rings.
+ */
+function encodeShape(polygons, tolerance, scale) {
+    const rings = [];
+
+    polygons.forEach(polygon => polygon.forEach(ring => {
+        let quantized = simplifyRing(ring, tolerance).map(([lng, lat]) => [Math.round(lng * scale), Math.round(lat * scale)]);
+        quantized = quantized.filter((point, i) => i === 0 || point[0] !== quantized[i - 1][0] || point[1] !== quantized[i - 1][1]);
+        if (quantized.length >= 4 && Math.abs(ringArea(quantized)) >= 1) rings.push(quantized);
+    }));
+
+    if (rings.length === 0) {
+        // Microstates vanish when simplified; keep their bounding box instead
+        const points = polygons.flat(2);
+        const west = Math.floor(Math.min(...points.map(point => point[0])) * scale);
+        const south = Math.floor(Math.min(...points.map(point => point[1])) * scale);
+        const east = Math.ceil(Math.max(...points.map(point => point[0])) * scale);
+        const north = Math.ceil(Math.max(...points.map(point => point[1])) * scale);
+        rings.push([[west, south], [east, south], [east, north], [west, north], [west, south]]);
+    }
+
+    return {
+        rings: rings.map(encodeRing),
+        pointCount: rings.reduce((sum, ring) => sum + ring.length, 0)
+    };
+}
+
+// Single-quoted JS string literal; encoded polylines only ever need the backslash escaped
+const quote = value => `'${value.replace(/\\/g, '\\\\')}'`;
+
+module.exports = { simplifyRing, encodeShape, quote };
@@ -1,87 +1,76 @@
 class VPNDetector {
     constructor() {
+        // Per-provider weights live in the scoring policy, keyed by provider name
         this.VPN_PROVIDERS = {
             'NordVPN': {
                 extensionId: 'fjoaledfpmneenckfbpdfhkmimjbppie',
                 globalObjects: ['nordvpn', 'NordVPN'],
-                domSelectors: ['[data-nordvpn]', '.nordvpn', '#nordvpn'],
-                score: 50
+                domSelectors: ['[data-nordvpn]', '.nordvpn', '#nordvpn']
             },
             'ExpressVPN': {
                 extensionId: 'fgddmllnllkalaagkghckoinaemmogpe',
                 globalObjects: ['expressvpn', 'ExpressVPN'],
-                domSelectors: ['[data-expressvpn]', '.expressvpn', '#expressvpn'],
-                score: 50
+                domSelectors: ['[data-expressvpn]', '.expressvpn', '#expressvpn']
             },
             'Surfshark': {
                 extensionId: 'ailoabdmgclmfmhdagmlohpjlbpffblp',
                 globalObjects: ['surfshark', 'Surfshark'],
-                domSelectors: ['[data-surfshark]', '.surfshark', '#surfshark'],
-                score: 45
+                domSelectors: ['[data-surfshark]', '.surfshark', '#surfshark']
             },
             'CyberGhost': {
                 extensionId: 'ffbicmgkjkjjlgjkjjkfkfjjlgjjpjp',
                 globalObjects: ['cyberghost', 'CyberGhost'],
-                domSelectors: ['[data-cyberghost]', '.cyberghost', '#cyberghost'],
-                score: 45
+                domSelectors: ['[data-cyberghost]', '.cyberghost', '#cyberghost']
             },
             'ProtonVPN': {
                 extensionId: 'jplgfhpmjnbigmhklmmbgecoobifkmpa',
                 globalObjects: ['protonvpn', 'ProtonVPN'],
-                domSelectors: ['[data-protonvpn]', '.protonvpn', '#protonvpn'],
-                score: 45
+                domSelectors: ['[data-protonvpn]', '.protonvpn', '#protonvpn']
             },
             'Windscribe': {
                 extensionId: 'jinjaccalgkegednnccohejagnlnfdag',
                 globalObjects: ['windscribe', 'Windscribe'],
-                domSelectors: ['[data-windscribe]', '.windscribe', '#windscribe'],
-                score: 40
+                domSelectors: ['[data-windscribe]', '.windscribe', '#windscribe']
             },
             'Hotspot Shield': {
                 extensionId: 'hhojmcideegekjjjmnmolkmicnoodknb',
                 globalObjects: ['hotspotshield', 'HotspotShield'],
-                domSelectors: ['[data-hotspotshield]', '.hotspotshield', '#hotspotshield'],
-                score: 40
+                domSelectors: ['[data-hotspotshield]', '.hotspotshield', '#hotspotshield']
             },
             'TunnelBear': {
                 extensionId: 'oiigbmnaadbkfbmpbflllaodcchpdnmo',
                 globalObjects: ['tunnelbear', 'TunnelBear'],
-                domSelectors: ['[data-tunnelbear]', '.tunnelbear', '#tunnelbear'],
-                score: 40
+                domSelectors: ['[data-tunnelbear]', '.tunnelbear', '#tunnelbear']
             },
             'Zscaler': {
                 extensionId: 'cgfkddephppbfbobgbldimcbcmkholjb',
                 globalObjects: ['zscaler', 'Zscaler', 'ZscalerApp'],
                 domSelectors: ['[data-zscaler]', '.zscaler', '#zscaler', '.zscaler-client'],
-                userAgentKeywords: ['Zscaler', 'ZPA'],
-                score: 55
+                userAgentKeywords: ['Zscaler', 'ZPA']
             },
             'Cisco AnyConnect': {
                 extensionId: 'kcidjnaebmakapomnghkkgblopjghiad',
                 globalObjects: ['anyconnect', 'CiscoAnyConnect'],
                 domSelectors: ['[data-anyconnect]', '.anyconnect', '#anyconnect'],
-                userAgentKeywords: ['AnyConnect', 'Cisco'],
-                score: 50
+                userAgentKeywords: ['AnyConnect', 'Cisco']
             },
             'Palo Alto GlobalProtect': {
                 extensionId: 'nkoimibhblcddjcdmkhpdokomhhbkdol',
                 globalObjects: ['globalprotect', 'PaloAltoGP'],
                 domSelectors: ['[data-globalprotect]', '.globalprotect', '#globalprotect'],
-                userAgentKeywords: ['GlobalProtect', 'PaloAlto'],
-                score: 50
+                userAgentKeywords: ['GlobalProtect', 'PaloAlto']
             },
             'FortiClient': {
                 extensionId: 'gjhmeahnighphfcpmmhfplonokpjedbo',
                 globalObjects: ['forticlient', 'FortiClient'],
                 domSelectors: ['[data-forticlient]', '.forticlient', '#forticlient'],
-                userAgentKeywords: ['FortiClient', 'Fortinet'],
-                score: 50
+                userAgentKeywords: ['FortiClient', 'Fortinet']
             }
         };
     }
 
     detectVPN() {
-        console.log('🔍 Starting VPN detection scan...');
+        fraudLogger.debug('🔍 Starting VPN detection scan...');
         
         const vpnIndicators = [];
         let vpnScore = 0;
@@ -92,9 +81,10 @@ class VPNDetector {
             Object.entries(this.VPN_PROVIDERS).forEach(([providerName, config]) => {
                 config.globalObjects.forEach(globalObj => {
                     if (window[globalObj]) {
-                        vpnScore += config.score;
-                        vpnIndicators.push(`${providerName} VPN detected via global object (${globalObj})`);
-                        console.error(`🚨 VPN DETECTED: ${providerName} found via global object`);
+                        vpnScore += this.addIndicator(vpnIndicators, IndicatorCodes.VPN_GLOBAL_OBJECT, 
+                            { provider: providerName, globalObject: globalObj },
+                            `${providerName} VPN detected via global object (${globalObj})`);
+                        fraudLogger.error(`🚨 VPN DETECTED: ${providerName} found via global object`);
                         detectedProvider = providerName;
                     }
                 });
@@ -104,9 +94,10 @@ class VPNDetector {
                     try {
                         const elements = document.querySelectorAll(selector);
                         if (elements.length > 0) {
-                            vpnScore += config.score - 10;
-                            vpnIndicators.push(`${providerName} VPN detected via DOM elements`);
-                            console.error(`🚨 VPN DETECTED: ${providerName} found via DOM elements`);
+                            vpnScore += this.addIndicator(vpnIndicators, IndicatorCodes.VPN_DOM_ELEMENTS, 
+                                { provider: providerName, selector, count: elements.length },
+                                `${providerName} VPN detected via DOM elements`);
+                            fraudLogger.error(`🚨 VPN DETECTED: ${providerName} found via DOM elements`);
                             detectedProvider = providerName;
                         }
                     } catch (e) {
@@ -119,9 +110,10 @@ class VPNDetector {
                     const userAgent = navigator.userAgent;
                     config.userAgentKeywords.forEach(keyword => {
                         if (userAgent.includes(keyword)) {
-                            vpnScore += config.score;
-                            vpnIndicators.push(`${providerName} detected via user agent keyword: ${keyword}`);
-                            console.error(`🚨 VPN DETECTED: ${providerName} found via user agent`);
+                            vpnScore += this.addIndicator(vpnIndicators, IndicatorCodes.VPN_USER_AGENT_PROVIDER, 
+                                { provider: providerName, keyword },
+                                `${providerName} detected via user agent keyword: ${keyword}`);
+                            fraudLogger.error(`🚨 VPN DETECTED: ${providerName} found via user agent`);
                             detectedProvider = providerName;
                         }
                     });
@@ -139,9 +131,10 @@ class VPNDetector {
                     
                     Object.entries(this.VPN_PROVIDERS).forEach(([providerName, config]) => {
                         if (config.extensionId === extensionId) {
-                            vpnScore += config.score + 10;
-                            vpnIndicators.push(`${providerName} VPN extension detected via extension ID: ${extensionId}`);
-                            console.error(`🚨 VPN EXTENSION: ${providerName} detected with ID: ${extensionId}`);
+                            vpnScore += this.addIndicator(vpnIndicators, IndicatorCodes.VPN_EXTENSION_ID, 
+                                { provider: providerName, extensionId },
+                                `${providerName} VPN extension detected via extension ID: ${extensionId}`);
+                            fraudLogger.error(`🚨 VPN EXTENSION: ${providerName} detected with ID: ${extensionId}`);
                             detectedProvider = providerName;
                         }
                     });
@@ -153,17 +146,19 @@ class VPNDetector {
             if (window.RTCPeerConnection) {
                 const originalCreateDataChannel = window.RTCPeerConnection.prototype.createDataChannel;
                 if (originalCreateDataChannel.toString().indexOf('[native code]') === -1) {
-                    vpnScore += 25;
-                    vpnIndicators.push('WebRTC modifications detected (possible VPN IP leak protection)');
-                    console.warn('🚨 NETWORK MODIFICATION: WebRTC modified (possible VPN)');
+                    vpnScore += this.addIndicator(vpnIndicators, IndicatorCodes.WEBRTC_LEAK_PROTECTION,
+                        { api: 'RTCPeerConnection.prototype.createDataChannel' },
+                        'WebRTC modifications detected (possible VPN IP leak protection)');
+                    fraudLogger.warn('🚨 NETWORK MODIFICATION: WebRTC modified (possible VPN)');
                 }
             }
 
             // Method 4: Check for proxy settings indicators
             if (navigator.connection && navigator.connection.type === 'other') {
-                vpnScore += 15;
-                vpnIndicators.push('Unusual network connection type detected');
-                console.warn('🚨 NETWORK ANOMALY: Unusual connection type (possible VPN)');
+                vpnScore += this.addIndicator(vpnIndicators, IndicatorCodes.UNUSUAL_CONNECTION_TYPE,
+                    { connectionType: navigator.connection.type },
+                    'Unusual network connection type detected');
+                fraudLogger.warn('🚨 NETWORK ANOMALY: Unusual connection type (possible VPN)');
             }
 
             // Method 5: Check for VPN-specific user agent modifications
@@ -171,17 +166,18 @@ class VPNDetector {
             const vpnKeywords = ['VPN', 'Proxy', 'Tunnel', 'Shield'];
             vpnKeywords.forEach(keyword => {
                 if (userAgent.includes(keyword)) {
-                    vpnScore += 20;
-                    vpnIndicators.push(`VPN keyword detected in user agent: ${keyword}`);
-                    console.warn(`🚨 USER AGENT: VPN keyword detected: ${keyword}`);
+                    vpnScore += this.addIndicator(vpnIndicators, IndicatorCodes.VPN_USER_AGENT_KEYWORD,
+                        { keyword },
+                        `VPN keyword detected in user agent: ${keyword}`);
+                    fraudLogger.warn(`🚨 USER AGENT: VPN keyword detected: ${keyword}`);
                 }
             });
 
             // Method 6: Check for DNS over HTTPS modifications (common with VPN)
             if (window.navigator.dns || window.DoH) {
-                vpnScore += 15;
-                vpnIndicators.push('DNS over HTTPS modifications detected');
-                console.warn('🚨 DNS MODIFICATION: DoH detected (possible VPN)');
+                vpnScore += this.addIndicator(vpnIndicators, IndicatorCodes.DNS_OVER_HTTPS, {},
+                    'DNS over HTTPS modifications detected');
+                fraudLogger.warn('🚨 DNS MODIFICATION: DoH detected (possible VPN)');
             }
 
             // Method 7: Check for enterprise proxy indicators
@@ -193,7 +189,7 @@ class VPNDetector {
             }
 
         } catch (error) {
-            console.warn('VPN detection error:', error.message);
+            fraudLogger.warn('VPN detection error:', error.message);
         }
 
         return {
@@ -212,41 +208,50 @@ class VPNDetector {
         try {
             // Check for Zscaler specific indicators
             if (this.detectZscaler()) {
-                score += 55;
-                indicators.push('Zscaler enterprise proxy detected');
-                console.error('🚨 ENTERPRISE PROXY: Zscaler detected');
+                score += this.addIndicator(indicators, IndicatorCodes.ZSCALER_PROXY,
+                    { provider: 'Zscaler' },
+                    'Zscaler enterprise proxy detected');
+                fraudLogger.error('🚨 ENTERPRISE PROXY: Zscaler detected');
                 provider = 'Zscaler';
             }
 
             // Check for corporate proxy headers or artifacts
             if (document.querySelector('meta[name*="proxy"]') || 
                 document.querySelector('meta[content*="proxy"]')) {
-                score += 30;
-                indicators.push('Corporate proxy metadata detected');
-                console.warn('🚨 PROXY METADATA: Corporate proxy indicators found');
+                score += this.addIndicator(indicators, IndicatorCodes.PROXY_METADATA, {},
+                    'Corporate proxy metadata detected');
+                fraudLogger.warn('🚨 PROXY METADATA: Corporate proxy indicators found');
             }
 
             // Check for PAC (Proxy Auto-Configuration) files
             if (window.FindProxyForURL || window.pac) {
-                score += 40;
-                indicators.push('Proxy Auto-Configuration (PAC) detected');
-                console.warn('🚨 PAC DETECTED: Proxy Auto-Configuration found');
+                score += this.addIndicator(indicators, IndicatorCodes.PROXY_AUTO_CONFIG, {},
+                    'Proxy Auto-Configuration (PAC) detected');
+                fraudLogger.warn('🚨 PAC DETECTED: Proxy Auto-Configuration found');
             }
 
             // Check for WPAD (Web Proxy Autodiscovery Protocol)
             if (navigator.userAgent.includes('WPAD') || window.wpad) {
-                score += 35;
-                indicators.push('Web Proxy Autodiscovery Protocol (WPAD) detected');
-                console.warn('🚨 WPAD DETECTED: Web Proxy Autodiscovery found');
+                score += this.addIndicator(indicators, IndicatorCodes.WPAD_PROXY, {},
+                    'Web Proxy Autodiscovery Protocol (WPAD) detected');
+                fraudLogger.warn('🚨 WPAD DETECTED: Web Proxy Autodiscovery found');
             }
 
         } catch (error) {
-            console.warn('Enterprise proxy detection error:', error.message);
+            fraudLogger.warn('Enterprise proxy detection error:', error.message);
         }
 
         return { score, indicators, provider };
     }
 
+    // Push a structured VPN indicator and return the weight the scoring policy assigns to it.
+    // The provider name, when known, refines the weight lookup.
+    addIndicator(indicators, code, evidence, message) {
+        const indicator = createIndicator({ code, source: 'vpn', qualifier: evidence.provider, evidence, message });
+        indicators.push(indicator);
+        return indicator.weight;
+    }
+
     detectZscaler() {
         try {
             // Check for Zscaler-specific indicators
@@ -281,21 +286,21 @@ class VPNDetector {
     }
 
     performFullVPNDetection() {
-        console.log('🔍 Starting comprehensive VPN detection scan...');
+        fraudLogger.debug('🔍 Starting comprehensive VPN detection scan...');
         
         const result = this.detectVPN();
 
         // Summary logging
         if (result.detected) {
             const providerText = result.provider ? ` (${result.provider})` : '';
-            console.error(`🚨 VPN ALERT: VPN usage detected${providerText}! Risk Score: ${result.score}`);
-            console.group('📋 VPN Detection Summary:');
+            fraudLogger.error(`🚨 VPN ALERT: VPN usage detected${providerText}! Risk Score: ${result.score}`);
+            fraudLogger.group('📋 VPN Detection Summary:');
             result.indicators.forEach((indicator, index) => {
-                console.warn(`${index + 1}. ${indicator}`);
+                fraudLogger.warn(`${index + 1}. ${indicator.message}`);
             });
-            console.groupEnd();
+            fraudLogger.groupEnd();
         } else {
-            console.log('✅ VPN scan complete: No VPN usage detected');
+            fraudLogger.debug('✅ VPN scan complete: No VPN usage detected');
         }
 
         return result;
@@ -303,4 +308,17 @@ class VPNDetector {
 }
 
 // Make VPNDetector available globally
-window.VPNDetector = VPNDetector;
\ No newline at end of file
+window.VPNDetector = VPNDetector;
+
+if (typeof detectorRegistry !== 'undefined') {
+    const vpnDetector = new VPNDetector();
+    detectorRegistry.register({
+        id: 'vpn',
+        category: 'vpn',
+        description: 'Consumer VPN extensions and enterprise proxies',
+        run: () => {
+            const result = vpnDetector.performFullVPNDetection();
+            return { ...result, details: { provider: result.provider } };
+        }
+    });
+}
\ No newline at end of file